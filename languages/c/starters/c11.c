@@ -0,0 +1,35 @@
+// C11
+#include <stdio.h>
+#include <stdbool.h>
+
+// Designated initializers name the fields they set
+struct point {
+    int x;
+    int y;
+};
+
+bool is_prime(int n) {
+    if (n < 2) return false;
+    for (int d = 2; d * d <= n; d++) {
+        if (n % d == 0) return false;
+    }
+    return true;
+}
+
+// _Static_assert is checked by the compiler, not when the program runs (C11)
+_Static_assert(sizeof(int) >= 4, "this program needs 32-bit ints");
+
+int main(void) {
+    printf("Hello, C!\n");
+
+    struct point p = { .y = 4, .x = 3 };
+    printf("point: (%d, %d)\n", p.x, p.y);
+
+    printf("primes below 30:");
+    for (int n = 0; n < 30; n++) {
+        if (is_prime(n)) printf(" %d", n);
+    }
+    printf("\n");
+
+    return 0;
+}
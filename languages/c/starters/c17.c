@@ -0,0 +1,41 @@
+// C17
+#include <stdio.h>
+#include <string.h>
+
+// A struct groups related values under one name
+struct student {
+    char name[32];
+    int grade;
+};
+
+// Arrays are passed as a pointer to their first element, so the length travels separately
+double average(const int *values, size_t count) {
+    int total = 0;
+    for (size_t i = 0; i < count; i++) {
+        total += values[i];
+    }
+    return count ? (double)total / count : 0.0;
+}
+
+// _Generic picks an expression by the type of its argument (C11 and later)
+#define describe(x) _Generic((x), int: "an int", double: "a double", default: "something else")
+
+int main(void) {
+    printf("Hello, C!\n");
+
+    struct student best = { .grade = 97 };
+    strncpy(best.name, "Nina", sizeof best.name - 1);
+    printf("%s scored %d\n", best.name, best.grade);
+
+    int grades[] = { 88, 92, 75, 97 };
+    size_t count = sizeof grades / sizeof grades[0];
+    printf("average: %.2f\n", average(grades, count));
+
+    printf("42 is %s, 4.2 is %s\n", describe(42), describe(4.2));
+
+    // Reading past the end of an array is not an error in C - it is undefined
+    // behaviour. Here it is reported as a crash at the line that did it:
+    // printf("%d\n", grades[count]);
+
+    return 0;
+}
@@ -0,0 +1,55 @@
+// C++17
+#include <iostream>
+#include <map>
+#include <optional>
+#include <string>
+#include <vector>
+
+// A class with a constructor and a const member function
+class Student {
+public:
+    Student(std::string name, int grade) : name_(std::move(name)), grade_(grade) {}
+
+    std::string describe() const {
+        return name_ + " scored " + std::to_string(grade_);
+    }
+
+    int grade() const { return grade_; }
+
+private:
+    std::string name_;
+    int grade_;
+};
+
+// std::optional says "maybe no answer" without a special value (C++17)
+std::optional<int> find(const std::vector<int>& values, int wanted) {
+    for (std::size_t i = 0; i < values.size(); i++) {
+        if (values[i] == wanted) return static_cast<int>(i);
+    }
+    return std::nullopt;
+}
+
+int main() {
+    std::cout << "Hello, C++!" << std::endl;
+
+    std::vector<Student> students = { {"Nina", 97}, {"Omer", 88} };
+    for (const auto& student : students) {
+        std::cout << student.describe() << "\n";
+    }
+
+    // Structured bindings unpack a pair (C++17)
+    std::map<std::string, int> counts = { {"apples", 3}, {"pears", 5} };
+    for (const auto& [fruit, count] : counts) {
+        std::cout << fruit << ": " << count << "\n";
+    }
+
+    std::vector<int> numbers = { 4, 8, 15, 16, 23, 42 };
+    if (auto index = find(numbers, 15)) {
+        std::cout << "15 is at index " << *index << "\n";
+    }
+
+    // numbers[numbers.size()] reads past the end. It is reported as a crash at
+    // the line that did it, rather than returning whatever was in memory.
+
+    return 0;
+}
@@ -0,0 +1,37 @@
+// C++20
+#include <algorithm>
+#include <iostream>
+#include <numeric>
+#include <ranges>
+#include <vector>
+
+// A concept names what a template needs from its type (C++20)
+template <typename T>
+concept Number = std::integral<T> || std::floating_point<T>;
+
+template <Number T>
+T sum(const std::vector<T>& values) {
+    return std::accumulate(values.begin(), values.end(), T{});
+}
+
+int main() {
+    std::cout << "Hello, C++!" << std::endl;
+
+    std::vector<int> numbers(10);
+    std::iota(numbers.begin(), numbers.end(), 1);
+
+    // Ranges compose a pipeline without writing the loop (C++20)
+    auto evenSquares = numbers
+        | std::views::filter([](int n) { return n % 2 == 0; })
+        | std::views::transform([](int n) { return n * n; });
+
+    for (int value : evenSquares) {
+        std::cout << value << " ";
+    }
+    std::cout << "\n";
+
+    std::cout << "sum: " << sum(numbers) << "\n";
+    std::cout << "contains 7: " << std::ranges::count(numbers, 7) << "\n";
+
+    return 0;
+}
@@ -0,0 +1,63 @@
+// Go 1.21
+package main
+
+import (
+	"fmt"
+	"strings"
+)
+
+// A struct with a method
+type User struct {
+	Name string
+	Age  int
+}
+
+func (u User) Greeting() string {
+	return fmt.Sprintf("%s is %d", u.Name, u.Age)
+}
+
+// Generics (Go 1.18+)
+func Sum[T int | float64](values []T) T {
+	var total T
+	for _, value := range values {
+		total += value
+	}
+	return total
+}
+
+func main() {
+	fmt.Println("Hello, Go!")
+
+	user := User{Name: "Nina", Age: 36}
+	fmt.Println(user.Greeting())
+
+	// Slices and maps
+	words := []string{"go", "is", "fun"}
+	fmt.Println(strings.Join(words, " "))
+
+	counts := map[string]int{}
+	for _, word := range words {
+		counts[word] += len(word)
+	}
+	fmt.Println(counts)
+
+	// min and max are built in (Go 1.21+)
+	fmt.Println("sum:", Sum([]int{1, 2, 3}), "max:", max(3, 7, 5))
+
+	// Functions can return more than one value
+	quotient, remainder := divide(17, 5)
+	fmt.Println("17 / 5 =", quotient, "remainder", remainder)
+
+	fmt.Println("fib(10) =", fib(10))
+}
+
+func divide(a, b int) (int, int) {
+	return a / b, a % b
+}
+
+func fib(n int) int {
+	if n <= 1 {
+		return n
+	}
+	return fib(n-1) + fib(n-2)
+}
@@ -0,0 +1,764 @@
+// ─── Turtle for Browser Coder (Java) ───────────────────────────────────────
+// A port of languages/ruby/turtle_shim.rb - itself a port of the Python shim - so
+// `new Turtle()` draws in the same canvas Python, Ruby and JavaScript programs draw
+// in. The JDK has no turtle; this file IS the library. The Java adapter compiles it
+// with the student's sources, in the default package, so it is on the classpath of
+// every program that uses it and of no other (blueprint section 66).
+//
+// Transport: the drawing is serialised once, at exit, by a shutdown hook, to the path
+// in BROWSER_CODER_GRAPHICS_OUT - a file the SERVER chose inside the run's own job
+// directory. NOTHING is written to System.out, so nothing the program prints can
+// name a file for the service to open (V-01). There is no live stream: the JVM has
+// no way to write to an inherited socket descriptor, so a Java drawing replays once
+// the program has finished.
+//
+// The payload is the Python shim's, field for field: `sanitizeTurtleData` knows one
+// schema, and a second dialect of it would be dropped by the allowlist rather than
+// rejected loudly. Defaults match too - a 600x600 white canvas, speed 3, a green
+// turtle cursor drawn at 1.5x.
+//
+// The API is Python's turtle in Java spelling - camelCase, and `goTo`, because
+// `goto` is a reserved word:
+//
+//     Turtle t = new Turtle();
+//     t.color("red", "yellow");
+//     t.beginFill();
+//     for (int i = 0; i < 36; i++) { t.forward(200); t.left(170); }
+//     t.endFill();
+//
+// Java has no module-level turtle, so the window's methods are static:
+// `Turtle.bgcolor("navy")`, `Turtle.tracer(0)`.
+//
+// Not ported: SVG cursor shapes and events (section 65). Handlers need a window to
+// wait on, and a Java drawing has none until the program has ended.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import java.nio.charset.StandardCharsets;
+import java.nio.file.Files;
+import java.nio.file.Paths;
+import java.util.ArrayList;
+import java.util.Arrays;
+import java.util.LinkedHashMap;
+import java.util.List;
+import java.util.Locale;
+import java.util.Map;
+
+public final class Turtle {
+    private static final String DEFAULT_SHAPE = "turtle";
+    // Real turtle starts with a small black arrowhead, which is easy to miss on a
+    // browser canvas. The cursor is green and a little larger until the program
+    // chooses its own colours or size; drawing colours stay black.
+    private static final String CURSOR_FILL = "lightgreen";
+    private static final String CURSOR_PEN = "darkgreen";
+    private static final double CURSOR_SCALE = 1.5;
+    private static final List<String> BUILTIN_SHAPES =
+        Arrays.asList("classic", "arrow", "turtle", "circle", "square", "triangle", "blank");
+    // As many cursors as the Python shim ships; the sanitiser allows a few more.
+    private static final int MAX_CURSORS = 50;
+
+    // ── The canvas every turtle shares ──
+    private static final Object LOCK = new Object();
+    private static String bg = "white";
+    private static int screenWidth = 600;
+    private static int screenHeight = 600;
+    private static String pic = "";
+    private static final List<Map<String, Object>> SHAPES = new ArrayList<>();
+    private static final Map<String, double[][]> POLYS = new LinkedHashMap<>();
+    private static final List<Turtle> TURTLES = new ArrayList<>();
+    private static int tracer = 1;
+    private static int speed = 3;
+    private static double fullcircle = 360;
+    private static boolean arc = false;
+    private static int stamps = 0;
+    private static Map<String, Object> lastLook;
+
+    static {
+        // The renderer starts from the default look, so the first real change is the
+        // first one recorded.
+        lastLook = new Turtle(false).look();
+        lastLook.put("k", "SH");
+        Runtime.getRuntime().addShutdownHook(new Thread(Turtle::emit, "turtle-graphics"));
+    }
+
+    // ── One turtle ──
+    private double x = 0;
+    private double y = 0;
+    private double h = 0;
+    private boolean pd = true;
+    private String pc = "black";
+    private String fc = "black";
+    private double pw = 1;
+    private boolean fl = false;
+    private List<double[]> fp = new ArrayList<>();
+    private int fi = 0;
+    private boolean vis = true;
+    private boolean cu = false;          // has the program chosen a colour?
+    private String sh = DEFAULT_SHAPE;
+    private double sw = 1;
+    private double sl = 1;
+    private double ow = 1;
+    private double tl = 0;
+    private String rm = "noresize";
+
+    public Turtle() {
+        this(true);
+    }
+
+    public Turtle(String shape) {
+        this(true);
+        shape(shape);
+    }
+
+    private Turtle(boolean drawn) {
+        if (drawn) {
+            synchronized (LOCK) {
+                TURTLES.add(this);
+            }
+        }
+    }
+
+    // ── Movement ──
+    public void forward(double distance) {
+        double radians = Math.toRadians(h);
+        segment(x + distance * Math.cos(radians), y + distance * Math.sin(radians));
+    }
+
+    public void fd(double distance) { forward(distance); }
+    public void backward(double distance) { forward(-distance); }
+    public void back(double distance) { forward(-distance); }
+    public void bk(double distance) { forward(-distance); }
+    public void left(double angle) { turn(toDegrees(angle)); }
+    public void lt(double angle) { left(angle); }
+    public void right(double angle) { turn(-toDegrees(angle)); }
+    public void rt(double angle) { right(angle); }
+
+    public void setHeading(double angle) {
+        h = toDegrees(angle);
+        recordHeading();
+    }
+
+    public double heading() { return fromDegrees(h); }
+
+    public void goTo(double nx, double ny) { segment(nx, ny); }
+    public void setPosition(double nx, double ny) { goTo(nx, ny); }
+    public void setX(double nx) { goTo(nx, y); }
+    public void setY(double ny) { goTo(x, ny); }
+    public double xcor() { return x; }
+    public double ycor() { return y; }
+    public double getX() { return x; }
+    public double getY() { return y; }
+    public double[] position() { return new double[] { x, y }; }
+
+    public void home() {
+        segment(0, 0);
+        h = 0;
+        recordHeading();
+    }
+
+    public double distance(double px, double py) { return Math.hypot(x - px, y - py); }
+    public double distance(Turtle other) { return distance(other.x, other.y); }
+
+    /** Reported in the current angle unit, like heading. */
+    public double towards(double px, double py) {
+        double degrees = Math.toDegrees(Math.atan2(py - y, px - x));
+        return fromDegrees(((degrees % 360) + 360) % 360);
+    }
+
+    public double towards(Turtle other) { return towards(other.x, other.y); }
+
+    public void circle(double radius) { circle(radius, fullcircle, 0); }
+    public void circle(double radius, double extent) { circle(radius, extent, 0); }
+
+    /** A circle, or an arc of `extent`, in `steps` segments (0: as many as look smooth). */
+    public void circle(double radius, double extent, int steps) {
+        double sweep = toDegrees(extent);
+        if (sweep == 0) return;
+
+        double size = Math.abs(radius);
+        // Enough steps for a smooth arc: about one per three pixels of curve.
+        int count = steps > 0
+            ? steps
+            : Math.min(360, Math.max(12, (int) (2 * Math.PI * size * Math.abs(sweep) / 360 / 3 + 0.5)));
+        int direction = radius >= 0 ? 1 : -1;
+        double step = sweep / count * direction;
+        double toCenter = Math.toRadians(h + 90 * direction);
+        double cx = x + size * Math.cos(toCenter);
+        double cy = y + size * Math.sin(toCenter);
+        double start = Math.toDegrees(Math.atan2(y - cy, x - cx));
+
+        // Pen-up steps inside an arc would each record a move; one arc is one gesture.
+        arc = true;
+        try {
+            for (int index = 0; index < count; index++) {
+                double angle = Math.toRadians(start + (index + 1) * step);
+                segment(cx + size * Math.cos(angle), cy + size * Math.sin(angle));
+            }
+        } finally {
+            arc = false;
+        }
+        h += sweep * direction;
+        recordHeading();
+    }
+
+    public void dot() { dot(Math.max(pw + 4, pw * 2), pc); }
+    public void dot(double size) { dot(size, pc); }
+
+    public void dot(double size, String color) {
+        record(command("D", "x", round(x), "y", round(y), "r", round(size / 2), "c", color));
+    }
+
+    /** Imprints the cursor and returns the stamp's id, for clearStamp. */
+    public int stamp() {
+        synchronized (LOCK) {
+            int id = ++stamps;
+            Map<String, Object> stamp = command("S", "x", round(x), "y", round(y), "h", round(h), "c", pc);
+            stamp.putAll(look());
+            stamp.put("sid", id);
+            record(stamp);
+            return id;
+        }
+    }
+
+    public void clearStamp(int id) {
+        synchronized (LOCK) {
+            SHAPES.removeIf(shape -> "S".equals(shape.get("k")) && Integer.valueOf(id).equals(shape.get("sid")));
+        }
+    }
+
+    /** Every stamp. */
+    public void clearStamps() {
+        synchronized (LOCK) {
+            SHAPES.removeIf(shape -> "S".equals(shape.get("k")));
+        }
+    }
+
+    /** The first `count` stamps, or the last -`count` when it is negative. */
+    public void clearStamps(int count) {
+        synchronized (LOCK) {
+            List<Map<String, Object>> stamped = new ArrayList<>();
+            for (Map<String, Object> shape : SHAPES) {
+                if ("S".equals(shape.get("k"))) stamped.add(shape);
+            }
+            int n = Math.min(Math.abs(count), stamped.size());
+            List<Map<String, Object>> doomed = count >= 0
+                ? stamped.subList(0, n)
+                : stamped.subList(stamped.size() - n, stamped.size());
+            for (Map<String, Object> shape : doomed) removeIdentical(shape);
+        }
+    }
+
+    public void write(Object text) { write(text, "left", "Arial", 8, "normal"); }
+    public void write(Object text, String align) { write(text, align, "Arial", 8, "normal"); }
+
+    public void write(Object text, String align, String fontName, int fontSize, String fontStyle) {
+        record(command(
+            "T", "x", round(x), "y", round(y), "txt", String.valueOf(text), "c", pc,
+            "font", fontStyle + " " + fontSize + "px " + fontName, "align", align));
+    }
+
+    public int speed() { return speed; }
+
+    public void speed(int value) { speed = Math.min(10, Math.max(0, value)); }
+
+    /** "fastest", "fast", "normal", "slow" or "slowest". */
+    public void speed(String name) {
+        switch (name.toLowerCase(Locale.ROOT)) {
+            case "fastest": speed = 0; break;
+            case "fast": speed = 10; break;
+            case "normal": speed = 6; break;
+            case "slow": speed = 3; break;
+            case "slowest": speed = 1; break;
+            default: speed(Integer.parseInt(name.trim()));
+        }
+    }
+
+    // ── Pen ──
+    public void penDown() { pd = true; }
+    public void pd() { penDown(); }
+    public void penUp() { pd = false; }
+    public void pu() { penUp(); }
+    public boolean isDown() { return pd; }
+
+    public double penSize() { return pw; }
+
+    public void penSize(double width) {
+        pw = width;
+        appearanceChanged();
+    }
+
+    public void width(double width) { penSize(width); }
+
+    public String penColor() { return pc; }
+
+    public void penColor(String color) {
+        pc = color;
+        cu = true;
+        appearanceChanged();
+    }
+
+    public void penColor(double r, double g, double b) { penColor(rgb(r, g, b)); }
+
+    public String fillColor() { return fc; }
+
+    public void fillColor(String color) {
+        fc = color;
+        cu = true;
+        appearanceChanged();
+    }
+
+    public void fillColor(double r, double g, double b) { fillColor(rgb(r, g, b)); }
+
+    public void color(String both) { color(both, both); }
+
+    public void color(String pen, String fill) {
+        pc = pen;
+        fc = fill;
+        cu = true;
+        appearanceChanged();
+    }
+
+    /** color(255, 0, 0) or color(1.0, 0, 0): read as 0-1 when every part is at most 1. */
+    public void color(double r, double g, double b) { color(rgb(r, g, b)); }
+
+    // ── Fill ──
+    public void beginFill() {
+        synchronized (LOCK) {
+            fl = true;
+            fp = new ArrayList<>();
+            fp.add(new double[] { round(x), round(y) });
+            fi = SHAPES.size();           // the fill goes under the outline drawn from here
+        }
+    }
+
+    public void endFill() {
+        synchronized (LOCK) {
+            if (fl && fp.size() >= 3) {
+                Map<String, Object> fill = command(
+                    "F", "pts", fp.toArray(new double[0][]), "fc", fc, "pc", pd ? pc : null, "pw", pw);
+                fill.put("ln", studentLine());
+                SHAPES.add(Math.min(fi, SHAPES.size()), withoutNullLine(fill));
+            }
+            fl = false;
+            fp = new ArrayList<>();
+        }
+    }
+
+    public boolean filling() { return fl; }
+
+    // ── Visibility, clearing ──
+    public void hideTurtle() {
+        vis = false;
+        record(command("HT"));
+    }
+
+    public void ht() { hideTurtle(); }
+
+    public void showTurtle() {
+        vis = true;
+        record(command("ST"));
+    }
+
+    public void st() { showTurtle(); }
+    public boolean isVisible() { return vis; }
+    public void clear() { record(command("C")); }
+
+    public void reset() {
+        x = 0;
+        y = 0;
+        h = 0;
+        pd = true;
+        pc = "black";
+        fc = "black";
+        pw = 1;
+        fl = false;
+        fp = new ArrayList<>();
+        fi = 0;
+        vis = true;
+        cu = false;
+        sh = DEFAULT_SHAPE;
+        sw = 1;
+        sl = 1;
+        ow = 1;
+        tl = 0;
+        rm = "noresize";
+        record(command("C"));
+    }
+
+    public void undo() {
+        synchronized (LOCK) {
+            if (!SHAPES.isEmpty()) SHAPES.remove(SHAPES.size() - 1);
+        }
+    }
+
+    // ── Cursor shape ──
+    public String shape() { return sh; }
+
+    public void shape(String name) {
+        if (POLYS.containsKey(name)) {
+            sh = name;
+            appearanceChanged();
+        } else if (BUILTIN_SHAPES.contains(name.toLowerCase(Locale.ROOT))) {
+            sh = name.toLowerCase(Locale.ROOT);
+            appearanceChanged();
+        }
+    }
+
+    public void shapeSize(double stretch) { shapeSize(stretch, stretch, ow); }
+    public void shapeSize(double stretchWid, double stretchLen) { shapeSize(stretchWid, stretchLen, ow); }
+
+    public void shapeSize(double stretchWid, double stretchLen, double outline) {
+        sw = stretchWid;
+        sl = stretchLen;
+        ow = outline;
+        rm = "user";                      // as in real turtle: shapesize implies "user"
+        appearanceChanged();
+    }
+
+    public String resizeMode() { return rm; }
+
+    public void resizeMode(String mode) {
+        String wanted = mode.toLowerCase(Locale.ROOT);
+        if (wanted.equals("auto") || wanted.equals("user") || wanted.equals("noresize")) {
+            rm = wanted;
+            appearanceChanged();
+        }
+    }
+
+    public void tilt(double angle) {
+        tl += angle;
+        appearanceChanged();
+    }
+
+    public void setTiltAngle(double angle) {
+        tl = angle;
+        appearanceChanged();
+    }
+
+    public double tiltAngle() { return tl; }
+
+    @Override
+    public String toString() {
+        return "Turtle(x=" + round(x) + ", y=" + round(y) + ", heading=" + round(heading()) + ")";
+    }
+
+    // ── The window, shared by every turtle ──
+    public static void bgcolor(String color) {
+        synchronized (LOCK) {
+            bg = color;
+        }
+    }
+
+    public static void bgcolor(double r, double g, double b) { bgcolor(rgb(r, g, b)); }
+
+    /**
+     * A project image (for example "maze.svg") the canvas is drawn over. The name is
+     * resolved by the browser against the workspace, never opened here.
+     */
+    public static void bgpic(String name) {
+        synchronized (LOCK) {
+            pic = "nopic".equals(name) ? "" : name;
+        }
+    }
+
+    public static void setup(int width, int height) {
+        synchronized (LOCK) {
+            screenWidth = width;
+            screenHeight = height;
+        }
+    }
+
+    public static void screenSize(int width, int height) { setup(width, height); }
+    public static int windowWidth() { return screenWidth; }
+    public static int windowHeight() { return screenHeight; }
+
+    /** tracer(0) draws the finished picture at once instead of animating it. */
+    public static void tracer(int count) {
+        synchronized (LOCK) {
+            tracer = count;
+        }
+    }
+
+    /** A polygon cursor: registerShape("arrowhead", new double[][] {{0, 0}, {-5, -9}, {5, -9}}). */
+    public static void registerShape(String name, double[][] points) {
+        List<double[]> cleaned = new ArrayList<>();
+        for (double[] point : points) {
+            if (point != null && point.length >= 2) cleaned.add(new double[] { round(point[0]), round(point[1]) });
+        }
+        if (cleaned.size() < 3) return;
+        synchronized (LOCK) {
+            POLYS.put(name, cleaned.toArray(new double[0][]));
+        }
+    }
+
+    public static void addShape(String name, double[][] points) { registerShape(name, points); }
+
+    public static void degrees() { fullcircle = 360; }
+    public static void degrees(double full) { fullcircle = full; }
+    public static void radians() { fullcircle = 2 * Math.PI; }
+
+    // A desktop turtle waits on its window here. There is no window to wait on until
+    // the program has ended, so these return at once.
+    public static void done() {}
+    public static void mainloop() {}
+    public static void exitOnClick() {}
+    public static void bye() {}
+    public static void title(String title) {}
+    public static void update() {}
+
+    // ── Recording ──
+    private static Map<String, Object> command(String kind, Object... fields) {
+        Map<String, Object> command = new LinkedHashMap<>();
+        command.put("k", kind);
+        for (int index = 0; index + 1 < fields.length; index += 2) {
+            command.put((String) fields[index], fields[index + 1]);
+        }
+        return command;
+    }
+
+    // Every command remembers the student line that caused it, so the UI can highlight
+    // it while the drawing replays. Frames in this class are skipped.
+    private static Integer studentLine() {
+        return StackWalker.getInstance().walk(frames -> frames
+            .filter(frame -> !frame.getClassName().equals(Turtle.class.getName())
+                && !frame.getClassName().startsWith(Turtle.class.getName() + "$"))
+            .findFirst()
+            .map(StackWalker.StackFrame::getLineNumber)
+            .filter(line -> line > 0)
+            .orElse(null));
+    }
+
+    private static Map<String, Object> withoutNullLine(Map<String, Object> shape) {
+        if (shape.get("ln") == null) shape.remove("ln");
+        return shape;
+    }
+
+    private static void record(Map<String, Object> shape) {
+        if (!shape.containsKey("ln")) {
+            shape.put("ln", studentLine());
+            withoutNullLine(shape);
+        }
+        synchronized (LOCK) {
+            SHAPES.add(shape);
+        }
+    }
+
+    private static void removeIdentical(Map<String, Object> target) {
+        for (int index = 0; index < SHAPES.size(); index++) {
+            if (SHAPES.get(index) == target) {
+                SHAPES.remove(index);
+                return;
+            }
+        }
+    }
+
+    // Angles cross the unit boundary at the public methods. Internally every heading
+    // is degrees, whatever degrees()/radians() last chose.
+    private static double toDegrees(double value) { return value * 360 / fullcircle; }
+    private static double fromDegrees(double value) { return value * fullcircle / 360; }
+
+    private static double round(double value) { return round(value, 2); }
+
+    private static double round(double value, int places) {
+        double factor = Math.pow(10, places);
+        return Math.round(value * factor) / factor;
+    }
+
+    private static String rgb(double r, double g, double b) {
+        double[] parts = { r, g, b };
+        boolean unit = true;
+        for (double part : parts) unit &= part >= 0 && part <= 1;
+        StringBuilder hex = new StringBuilder("#");
+        for (double part : parts) {
+            int value = (int) Math.min(255, Math.max(0, unit ? part * 255 : part));
+            hex.append(String.format(Locale.ROOT, "%02x", value));
+        }
+        return hex.toString();
+    }
+
+    // Draw (or move, with the pen up) to a point.
+    private void segment(double nx, double ny) {
+        if (pd) {
+            record(command("l", "x1", round(x), "y1", round(y), "x2", round(nx), "y2", round(ny), "c", pc, "w", pw));
+        } else if (!fl && !arc && tracer != 0) {
+            // A pen-up jump, so the replay can animate it. Not recorded for an instant
+            // drawing, where it would only make the payload bigger.
+            record(command("M", "x", round(nx), "y", round(ny)));
+        }
+        if (fl) fp.add(new double[] { round(nx), round(ny) });
+        x = nx;
+        y = ny;
+    }
+
+    // Turns draw nothing, but the replay shows the cursor turning.
+    private void turn(double degrees) {
+        h += degrees;
+        recordHeading();
+    }
+
+    private void recordHeading() {
+        record(command("H", "h", round(((h % 360) + 360) % 360)));
+    }
+
+    // Everything the renderer needs to draw this turtle's cursor.
+    private Map<String, Object> look() {
+        double stretchWid;
+        double stretchLen;
+        if (rm.equals("auto")) {
+            stretchWid = stretchLen = Math.max(1, pw / 5);
+        } else if (rm.equals("user")) {
+            stretchWid = sw;
+            stretchLen = sl;
+        } else {
+            stretchWid = stretchLen = CURSOR_SCALE;
+        }
+        Map<String, Object> look = new LinkedHashMap<>();
+        look.put("sh", sh);
+        look.put("fc", cu ? fc : CURSOR_FILL);
+        look.put("pc", cu ? pc : CURSOR_PEN);
+        look.put("sw", round(stretchWid, 3));
+        look.put("sl", round(stretchLen, 3));
+        look.put("ow", round(ow));
+        look.put("tl", round(((tl % 360) + 360) % 360));
+        return look;
+    }
+
+    // Only real changes are recorded: the renderer carries one live cursor, so
+    // re-stating the current look would just bloat the command list.
+    private void appearanceChanged() {
+        synchronized (LOCK) {
+            if (tracer == 0) return;      // instant draw - only the final look matters
+
+            Map<String, Object> event = look();
+            event.put("k", "SH");
+            if (event.equals(lastLook)) return;
+
+            lastLook = event;
+            Map<String, Object> recorded = new LinkedHashMap<>(event);
+            recorded.put("ln", studentLine());
+            withoutNullLine(recorded);
+            int last = SHAPES.size() - 1;
+            if (last >= 0 && "SH".equals(SHAPES.get(last).get("k"))) {
+                SHAPES.set(last, recorded);    // nothing was drawn since the last change
+            } else {
+                SHAPES.add(recorded);
+            }
+        }
+    }
+
+    // Where this turtle ended up, for drawing its cursor once the picture is done.
+    private Map<String, Object> cursor() {
+        Map<String, Object> cursor = look();
+        cursor.put("x", round(x));
+        cursor.put("y", round(y));
+        cursor.put("h", round(h));
+        cursor.put("vis", vis);
+        return cursor;
+    }
+
+    // ── The payload ──
+    // Written whole, by the shutdown hook, to the target the SERVICE chose. A drawing
+    // that cannot be saved is a lost picture, never a failed program, so a failure here
+    // is swallowed rather than printed into the student's output.
+    private static void emit() {
+        String target = System.getenv("BROWSER_CODER_GRAPHICS_OUT");
+        if (target == null || target.isEmpty()) return;
+        try {
+            String json;
+            synchronized (LOCK) {
+                Map<String, Object> data = new LinkedHashMap<>();
+                data.put("bg", bg);
+                data.put("w", screenWidth);
+                data.put("h", screenHeight);
+                data.put("tracer", tracer);
+                data.put("speed", speed);
+                data.put("shapes", SHAPES);
+                List<Map<String, Object>> cursors = new ArrayList<>();
+                for (Turtle turtle : TURTLES.subList(0, Math.min(MAX_CURSORS, TURTLES.size()))) {
+                    cursors.add(turtle.cursor());
+                }
+                data.put("cursors", cursors);
+                if (!POLYS.isEmpty()) data.put("polys", POLYS);
+                if (!pic.isEmpty()) data.put("pic", pic);
+                StringBuilder out = new StringBuilder();
+                writeJson(out, data);
+                json = out.toString();
+            }
+            Files.write(Paths.get(target), json.getBytes(StandardCharsets.UTF_8));
+        } catch (Exception | StackOverflowError ignored) {
+            // nothing to report to the student
+        }
+    }
+
+    // JSON by hand: the JDK has no writer, and this library may not bring one.
+    private static void writeJson(StringBuilder out, Object value) {
+        if (value == null) {
+            out.append("null");
+        } else if (value instanceof String) {
+            writeString(out, (String) value);
+        } else if (value instanceof Boolean) {
+            out.append(value);
+        } else if (value instanceof Number) {
+            double number = ((Number) value).doubleValue();
+            if (!Double.isFinite(number)) {
+                out.append("null");
+            } else if (number == Math.rint(number) && Math.abs(number) < 1e15) {
+                out.append((long) number);
+            } else {
+                out.append(number);
+            }
+        } else if (value instanceof double[]) {
+            out.append('[');
+            double[] numbers = (double[]) value;
+            for (int index = 0; index < numbers.length; index++) {
+                if (index > 0) out.append(',');
+                writeJson(out, numbers[index]);
+            }
+            out.append(']');
+        } else if (value instanceof Object[]) {
+            writeJson(out, Arrays.asList((Object[]) value));
+        } else if (value instanceof List) {
+            out.append('[');
+            boolean first = true;
+            for (Object item : (List<?>) value) {
+                if (!first) out.append(',');
+                first = false;
+                writeJson(out, item);
+            }
+            out.append(']');
+        } else if (value instanceof Map) {
+            out.append('{');
+            boolean first = true;
+            for (Map.Entry<?, ?> entry : ((Map<?, ?>) value).entrySet()) {
+                if (!first) out.append(',');
+                first = false;
+                writeString(out, String.valueOf(entry.getKey()));
+                out.append(':');
+                writeJson(out, entry.getValue());
+            }
+            out.append('}');
+        } else {
+            writeString(out, value.toString());
+        }
+    }
+
+    private static void writeString(StringBuilder out, String text) {
+        out.append('"');
+        for (int index = 0; index < text.length(); index++) {
+            char c = text.charAt(index);
+            switch (c) {
+                case '"': out.append("\\\""); break;
+                case '\\': out.append("\\\\"); break;
+                case '\n': out.append("\\n"); break;
+                case '\r': out.append("\\r"); break;
+                case '\t': out.append("\\t"); break;
+                default:
+                    if (c < 0x20 || c == 0x2028 || c == 0x2029) {
+                        out.append(String.format(Locale.ROOT, "\\u%04x", (int) c));
+                    } else {
+                        out.append(c);
+                    }
+            }
+        }
+        out.append('"');
+    }
+}
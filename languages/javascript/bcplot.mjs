@@ -0,0 +1,206 @@
+// ─── bcplot for Browser Coder (JavaScript) ─────────────────────────────────
+// A port of languages/python/bcplot.py: line, bar and scatter charts for the data
+// lessons, with the names pyplot uses, so the same lesson reads the same in both
+// languages. Installed by the JavaScript adapter as the `bcplot` package in the
+// job's node_modules, beside `turtle` (blueprint section 68):
+//
+//     import * as plt from 'bcplot';
+//
+//     plt.plot([1, 2, 3, 4], [3, 5, 4, 8], { label: '2024' });
+//     plt.bar(['Mon', 'Tue', 'Wed'], [12, 7, 9]);
+//     plt.title('Visitors');
+//     plt.show();
+//
+// Keyword arguments are an options object, the way JavaScript spells them.
+//
+// Transport: the Python library's, field for field. The charts are written once,
+// at exit, to the path in BROWSER_CODER_CHARTS_OUT - the one other file the
+// permission model lets this process write - and each chart that changed goes
+// down BROWSER_CODER_GRAPHICS_LIVE_FD as a `chart` operation when the run is live.
+// NOTHING is written to stdout.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import fs from 'node:fs';
+
+// Must match CHART_LIMITS in server/graphics/charts.mjs: the server refuses a chart
+// past these in the live stream, which ends the stream for the run.
+const MAX_CHARTS = 16;
+const MAX_SERIES = 24;
+const LIVE_INTERVAL_MS = 50;
+const LIVE_MAX_FRAME = 512 * 1024;
+
+// Module-private, so the only names this file adds to a program are its exports.
+const charts = [];
+let current = null;
+let next = {};
+
+function number(value, what) {
+  const n = typeof value === 'number' ? value : typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+  if (Number.isNaN(n) && typeof value !== 'number') {
+    throw new TypeError(`bcplot: ${what} must be numbers, got ${JSON.stringify(value) ?? String(value)}`);
+  }
+  // JSON has no NaN; a missing reading is sent as null and left out by the server.
+  return Number.isFinite(n) ? n : null;
+}
+
+function values(list, what) {
+  if (typeof list === 'string') throw new TypeError(`bcplot: ${what} must be an array of numbers, not a string`);
+  if (list === null || typeof list !== 'object' || typeof list[Symbol.iterator] !== 'function') {
+    throw new TypeError(`bcplot: ${what} must be an array of numbers`);
+  }
+  return Array.from(list, value => number(value, what));
+}
+
+function chart() {
+  if (current === null) {
+    if (charts.length >= MAX_CHARTS) throw new RangeError(`bcplot shows at most ${MAX_CHARTS} charts in one run`);
+    current = { ...next, series: [] };
+    next = {};
+    charts.push(current);
+  }
+  return current;
+}
+
+function add(series, options = {}) {
+  if (options.label !== undefined && options.label !== null) series.label = String(options.label);
+  if (options.color !== undefined && options.color !== null) series.c = String(options.color);
+  const target = chart();
+  if (target.series.length >= MAX_SERIES) throw new RangeError(`bcplot draws at most ${MAX_SERIES} series on one chart`);
+  target.series.push(series);
+  liveTick();
+}
+
+function pairs(kind, x, y) {
+  const ys = values(y, 'y values');
+  const xs = x === null ? ys.map((_, index) => index) : values(x, 'x values');
+  if (xs.length !== ys.length) {
+    throw new RangeError(`bcplot.${kind}: x and y must be the same length, got ${xs.length} and ${ys.length}`);
+  }
+  return xs.map((value, index) => [value, ys[index]]);
+}
+
+// `plot(ys)`, `plot(ys, options)`, `plot(xs, ys)` and `plot(xs, ys, options)`.
+const isOptions = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+  && typeof value[Symbol.iterator] !== 'function';
+
+// ── Live channel (blueprint sections 64 and 68) ──────────────────────────────
+// The pipe the turtle library streams on. A chart that changed since it was last
+// sent goes whole, by its index.
+const live = { fd: null, at: 0, timer: null, sent: [] };
+{
+  const fd = Number.parseInt(process.env.BROWSER_CODER_GRAPHICS_LIVE_FD ?? '', 10);
+  if (Number.isInteger(fd) && fd >= 0) live.fd = fd;
+}
+
+function liveTick() {
+  if (live.fd === null) return;
+  if (Date.now() - live.at >= LIVE_INTERVAL_MS) {
+    liveFlush();
+    return;
+  }
+  live.timer ??= setTimeout(liveFlush, LIVE_INTERVAL_MS).unref();
+}
+
+function liveFlush() {
+  if (live.timer !== null) {
+    clearTimeout(live.timer);
+    live.timer = null;
+  }
+  if (live.fd === null) return;
+  live.at = Date.now();
+  try {
+    for (const [index, each] of charts.entries()) {
+      const text = JSON.stringify(each);
+      if (live.sent[index] === text) continue;
+      const body = Buffer.from(JSON.stringify({ v: 2, ops: [{ op: 'chart', index, chart: each }] }), 'utf8');
+      // Too big to stream: it, and every chart after it, arrives at exit instead.
+      if (body.length > LIVE_MAX_FRAME) return;
+      const header = Buffer.alloc(4);
+      header.writeUInt32BE(body.length, 0);
+      const bytes = Buffer.concat([header, body]);
+      let offset = 0;
+      while (offset < bytes.length) {
+        try {
+          offset += fs.writeSync(live.fd, bytes, offset);
+        } catch (error) {
+          if (error.code !== 'EAGAIN') throw error;
+        }
+      }
+      live.sent[index] = text;
+    }
+  } catch {
+    live.fd = null;
+  }
+}
+
+// ── The public API ───────────────────────────────────────────────────────────
+
+/** A line through the points. `plot(ys)` uses 0, 1, 2, … for x. */
+export function plot(x, y, options) {
+  if (y === undefined || isOptions(y)) add({ k: 'line', pts: pairs('plot', null, x) }, y);
+  else add({ k: 'line', pts: pairs('plot', x, y) }, options);
+}
+
+/** A dot at each point. */
+export function scatter(x, y, options) {
+  add({ k: 'scatter', pts: pairs('scatter', x, y) }, options);
+}
+
+/** One bar per category. Categories are shown as text, in the order given. */
+export function bar(categories, heights, options) {
+  if (typeof categories === 'string' || categories === null || typeof categories?.[Symbol.iterator] !== 'function') {
+    throw new TypeError('bcplot.bar: categories must be an array');
+  }
+  const cats = Array.from(categories, String);
+  const vals = values(heights, 'bar heights');
+  if (cats.length !== vals.length) {
+    throw new RangeError(`bcplot.bar: categories and heights must be the same length, got ${cats.length} and ${vals.length}`);
+  }
+  add({ k: 'bar', cats, vals }, options);
+}
+
+const labeller = key => text => {
+  (current ?? next)[key] = String(text);
+  liveTick();
+};
+
+/** The current chart's title. */
+export const title = labeller('title');
+/** The current chart's x-axis label. */
+export const xlabel = labeller('xlabel');
+/** The current chart's y-axis label. */
+export const ylabel = labeller('ylabel');
+
+/** Start a new chart. */
+export function figure() {
+  current = null;
+  next = {};
+}
+
+/** Show what is plotted so far. The next plot starts a new chart. */
+export function show() {
+  liveFlush();
+  current = null;
+  next = {};
+}
+
+/** Accepted for pyplot code. The legend shows whenever a series has a label. */
+export function legend() {}
+
+/** Accepted for pyplot code. The grid is always drawn. */
+export function grid() {}
+
+export default { plot, scatter, bar, title, xlabel, ylabel, figure, show, legend, grid };
+
+// Written whole, at exit, to the target the SERVICE chose. Lost charts are never a
+// failed program, so a failure here is swallowed rather than printed.
+process.on('exit', () => {
+  liveFlush();
+  const target = process.env.BROWSER_CODER_CHARTS_OUT;
+  if (!target || charts.length === 0) return;
+  try {
+    fs.writeFileSync(target, JSON.stringify({ charts }));
+  } catch {
+    // nothing to report to the student
+  }
+});
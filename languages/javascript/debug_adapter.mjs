@@ -36,6 +36,8 @@ const PORT = Number(process.env.BROWSER_CODER_DEBUG_PORT || 0);
 const TOKEN = process.env.BROWSER_CODER_DEBUG_TOKEN || '';
 const PROGRAM = process.env.BROWSER_CODER_DEBUG_PROGRAM || '';
 const WORKSPACE = process.env.BROWSER_CODER_WORKSPACE || '';
+// The project's installed packages, when it has any: readable, never writable.
+const PACKAGES = process.env.BROWSER_CODER_PACKAGES || '';
 
 if (!PORT || !TOKEN || !PROGRAM || !WORKSPACE) {
   process.stderr.write('debug adapter: missing session environment\n');
@@ -51,7 +53,7 @@ if (!PORT || !TOKEN || !PROGRAM || !WORKSPACE) {
  * guard, exactly as Python does it. Installed here rather than inside the worker
  * because it patches THIS thread's `fs`, which is the thread the program runs on.
  */
-installFsGuard(WORKSPACE);
+installFsGuard(WORKSPACE, { readOnly: PACKAGES ? [PACKAGES] : [] });
 
 const worker = new Worker(new URL('./debug_worker.mjs', import.meta.url), {
   workerData: { port: PORT, token: TOKEN, program: PROGRAM, pid: process.pid, workspace: WORKSPACE },
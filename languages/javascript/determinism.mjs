@@ -0,0 +1,55 @@
+/**
+ * Determinism for Browser Coder (JavaScript and TypeScript): a seeded `Math.random`
+ * and a frozen `Date` (blueprint section 69).
+ *
+ * Loaded with `--import` before the program, and only for a run that asked to be
+ * deterministic - the only one whose environment carries the seed and the clock.
+ *
+ * `Math.random` becomes mulberry32 from the seed: small, fast, and spread well enough
+ * for dice and shuffles. It is not V8's generator, so a seed does not reproduce what
+ * the same seed would in a browser; nothing in JavaScript can be seeded to compare
+ * against anyway.
+ *
+ * `Date` becomes a subclass whose "now" is the clock: `new Date()`, `Date.now()` and
+ * `Date()` called as a function. Every other constructor form is the real one, and a
+ * date made any way still passes `instanceof Date`.
+ *
+ * Left alone: `performance.now()` and timers, because a program that waits must see
+ * time pass; and `crypto.getRandomValues`, `crypto.randomUUID`, which exist to be
+ * unpredictable.
+ */
+
+const seed = Number(process.env.BROWSER_CODER_SEED) >>> 0;
+const clock = Number(process.env.BROWSER_CODER_CLOCK);
+
+let state = seed;
+Math.random = function random() {
+  state = (state + 0x6d2b79f5) >>> 0;
+  let t = state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const RealDate = Date;
+
+class FrozenDate extends RealDate {
+  constructor(...args) {
+    if (args.length === 0) super(clock);
+    else super(...args);
+  }
+
+  static now() {
+    return clock;
+  }
+
+  static [Symbol.hasInstance](value) {
+    return value instanceof RealDate;
+  }
+}
+Object.defineProperty(FrozenDate, 'name', { value: 'Date' });
+
+// `Date()` without `new` is a string of now, which a class cannot be called to give.
+globalThis.Date = new Proxy(FrozenDate, {
+  apply: () => new RealDate(clock).toString(),
+});
@@ -66,6 +66,22 @@ const FIRST_ARG_PATH = [
 /** Functions whose first TWO arguments are both paths. */
 const TWO_ARG_PATH = ['copyFile', 'link', 'rename', 'symlink'];
 
+/**
+ * The listed functions that only ever READ. These, and `open` with a read-only flag,
+ * are all a read-only root admits - see `installFsGuard`.
+ */
+const READ_ONLY = new Set([
+  'access', 'createReadStream', 'lstat', 'opendir', 'readdir', 'readFile', 'readlink',
+  'realpath', 'stat', 'statfs', 'glob',
+]);
+
+/** `open`'s flags argument, read-only: omitted, 'r'/'rs'/'sr', or O_RDONLY. */
+function readOnlyFlags(flags) {
+  if (flags === undefined || flags === null) return true;
+  if (typeof flags === 'number') return (flags & 3) === fs.constants.O_RDONLY;
+  return flags === 'r' || flags === 'rs' || flags === 'sr';
+}
+
 export class WorkspaceAccessError extends Error {
   constructor(target) {
     super(
@@ -103,12 +119,20 @@ function resolveReal(target) {
 /**
  * Install the guard.
  *
+ * `readOnly` is for the project's installed packages (server/dependencies/layers.mjs).
+ * A package's own files must be readable - CommonJS `require` reads every module with
+ * `fs.readFileSync`, so without this a debugged program could not load `lodash` - but
+ * the layer is shared by every run of the same lock, so nothing may be written there.
+ *
  * @param {string} workspace absolute path of the one directory that is allowed
+ * @param {{readOnly?: string[]}} [options] directories that may be read, never written
  */
-export function installFsGuard(workspace) {
+export function installFsGuard(workspace, { readOnly = [] } = {}) {
   const root = resolveReal(workspace);
+  const readRoots = readOnly.filter(Boolean).map(resolveReal);
+  const inside = (real, base) => real === base || real.startsWith(base + path.sep);
 
-  const allowed = target => {
+  const allowed = (target, reading = false) => {
     // A file descriptor, a Buffer or a URL-shaped value: only strings and file URLs
     // are checked, and anything else is refused rather than waved through. An
     // integer fd would let a program that already has one keep using it, which is
@@ -133,21 +157,22 @@ export function installFsGuard(workspace) {
     if (typeof name !== 'string') return false;
 
     const real = resolveReal(name);
-    return real === root || real.startsWith(root + path.sep);
+    return inside(real, root) || (reading && readRoots.some(base => inside(real, base)));
   };
 
-  const guardOne = (original, index) => function guarded(...args) {
+  const guardOne = (original, index, name) => function guarded(...args) {
     const target = args[index];
-    if (!allowed(target)) throw new WorkspaceAccessError(String(target));
+    const reading = READ_ONLY.has(name) || (name === 'open' && readOnlyFlags(args[1]));
+    if (!allowed(target, reading)) throw new WorkspaceAccessError(String(target));
     return original.apply(this, args);
   };
 
   for (const [module, isPromise] of [[fs, false], [fsPromises, true]]) {
     for (const name of FIRST_ARG_PATH) {
-      if (typeof module[name] === 'function') module[name] = guardOne(module[name], 0);
+      if (typeof module[name] === 'function') module[name] = guardOne(module[name], 0, name);
       const sync = `${name}Sync`;
       if (!isPromise && typeof module[sync] === 'function') {
-        module[sync] = guardOne(module[sync], 0);
+        module[sync] = guardOne(module[sync], 0, name);
       }
     }
 
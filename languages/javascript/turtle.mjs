@@ -0,0 +1,847 @@
+// ─── Turtle for Browser Coder (JavaScript) ─────────────────────────────────
+// A port of languages/ruby/turtle_shim.rb - itself a port of the Python shim - so
+// `import turtle from 'turtle'` draws in the same canvas Python and Ruby programs
+// draw in. Node has no turtle; this file IS the library, installed by the
+// JavaScript adapter as the `turtle` package in the job's node_modules
+// (blueprint section 66).
+//
+// Transport: identical to the other shims, and for the same reason. The drawing
+// is serialised once, at exit, to the path in BROWSER_CODER_GRAPHICS_OUT - a file
+// the SERVER chose inside the run's own job directory, and the only file the
+// permission model lets this process write. NOTHING is written to stdout, so
+// nothing the program prints can name a file for the service to open (V-01). With
+// BROWSER_CODER_GRAPHICS_LIVE_FD set, the same frames the other shims stream go
+// down that pipe while the program draws (blueprint section 64).
+//
+// The payload is the Python shim's, field for field: `sanitizeTurtleData` knows one
+// schema, and a second dialect of it would be dropped by the allowlist rather than
+// rejected loudly. Defaults match too - a 600x600 white canvas, speed 3, a green
+// turtle cursor drawn at 1.5x - so the same drawing looks the same whichever
+// language made it.
+//
+// The API is Python's turtle, with a camelCase name beside every name that has
+// more than one word, because course material uses the first and JavaScript
+// programmers reach for the second:
+//
+//     import turtle, { Turtle } from 'turtle';
+//
+//     const t = new Turtle();
+//     t.color('red', 'yellow');
+//     t.beginFill();
+//     for (let i = 0; i < 36; i++) { t.forward(200); t.left(170); }
+//     t.endFill();
+//
+// `turtle.forward(100)` drives one shared turtle, as in Python, and `Screen()`
+// is the window.
+//
+// Not ported: SVG cursor shapes, which read a workspace file the permission model
+// does not let a program open for the shim, and events (section 65). A Node program
+// ends when its last callback does, so `mainloop()` has nothing to wait for and
+// handlers are accepted and never called.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import fs from 'node:fs';
+
+const SELF = import.meta.url;
+
+const DEFAULT_SHAPE = 'turtle';
+// Real turtle starts with a small black arrowhead, which is easy to miss on a
+// browser canvas. The cursor is green and a little larger until the program
+// chooses its own colours or size; drawing colours stay black.
+const CURSOR_FILL = 'lightgreen';
+const CURSOR_PEN = 'darkgreen';
+const CURSOR_SCALE = 1.5;
+const BUILTIN_SHAPES = ['classic', 'arrow', 'turtle', 'circle', 'square', 'triangle', 'blank'];
+// As many cursors as the Python shim ships; the sanitiser allows a few more.
+const MAX_CURSORS = 50;
+const SPEEDS = { fastest: 0, fast: 10, normal: 6, slow: 3, slowest: 1 };
+
+// Everything the turtles share: the command list, the canvas, the cursor
+// bookkeeping. Module-private, so the only names this file adds to a program are
+// the ones it exports.
+const canvas = {
+  config: { bg: 'white', w: 600, h: 600, pic: '' },
+  shapes: [],
+  polys: {},
+  turtles: [],
+  shared: null,
+  tracer: 1,
+  speed: 3,
+  fullcircle: 360,
+  arc: false,
+  stamps: 0,
+  lastLook: null,
+};
+
+const round = (value, places = 2) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+// ── Recording ────────────────────────────────────────────────────────────────
+// Every command remembers the student line that caused it, so the UI can
+// highlight it while the drawing replays. Frames in this file are skipped.
+function studentLine() {
+  const { prepareStackTrace, stackTraceLimit } = Error;
+  Error.prepareStackTrace = (_, frames) => frames;
+  Error.stackTraceLimit = 16;
+  const holder = {};
+  Error.captureStackTrace(holder, studentLine);
+  const frames = holder.stack;
+  Error.prepareStackTrace = prepareStackTrace;
+  Error.stackTraceLimit = stackTraceLimit;
+
+  if (!Array.isArray(frames)) return null;
+  for (const frame of frames) {
+    const file = frame.getFileName?.();
+    if (file && file !== SELF && !file.startsWith('node:')) return frame.getLineNumber();
+  }
+  return null;
+}
+
+function withLine(shape) {
+  if ('ln' in shape) return shape;
+  const line = studentLine();
+  return line ? { ...shape, ln: line } : shape;
+}
+
+function record(shape) {
+  canvas.shapes.push(withLine(shape));
+  liveTick();
+}
+
+function recordAt(index, shape) {
+  liveTouch(index);
+  canvas.shapes.splice(index, 0, withLine(shape));
+}
+
+function replaceLast(shape) {
+  liveTouch(canvas.shapes.length - 1);
+  canvas.shapes[canvas.shapes.length - 1] = withLine(shape);
+}
+
+function removeLast() {
+  if (canvas.shapes.length > 0) liveTouch(canvas.shapes.length - 1);
+  canvas.shapes.pop();
+}
+
+// ── Units ────────────────────────────────────────────────────────────────────
+function number(value) {
+  const n = typeof value === 'number' ? value : typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+  if (!Number.isFinite(n)) throw new TypeError(`expected a number, got ${JSON.stringify(value) ?? String(value)}`);
+  return n;
+}
+
+// Angles cross the unit boundary at the public methods. Internally every heading
+// is degrees, whatever `degrees`/`radians` last chose.
+const toDegrees = value => number(value) * 360 / canvas.fullcircle;
+const fromDegrees = value => value * canvas.fullcircle / 360;
+
+// Colour names pass through; an [r, g, b] triple becomes #rrggbb, read as 0-1 when
+// every part is at most 1 and 0-255 otherwise.
+function colorValue(value) {
+  if (typeof value === 'string') return value;
+  if (!Array.isArray(value) || value.length !== 3) return 'black';
+  let parts = value.map(number);
+  if (parts.every(part => part >= 0 && part <= 1)) parts = parts.map(part => part * 255);
+  return `#${parts.map(part => Math.min(255, Math.max(0, Math.trunc(part))).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// color('red'), color(255, 0, 0) and color([1, 0, 0]) all name one colour.
+const oneColor = args => colorValue(args.length === 1 ? args[0] : args);
+
+function speedValue(value) {
+  const named = SPEEDS[String(value).toLowerCase()];
+  if (named !== undefined) return named;
+  return Math.min(10, Math.max(0, Math.trunc(number(value))));
+}
+
+// ── Cursor appearance ────────────────────────────────────────────────────────
+// Only real changes are recorded: the renderer carries one live cursor, so
+// re-stating the current look would just bloat the command list.
+function appearanceChanged(look) {
+  if (canvas.tracer === 0) return;      // instant draw - only the final look matters
+
+  const event = { ...look, k: 'SH' };
+  if (JSON.stringify(event) === JSON.stringify(canvas.lastLook)) return;
+
+  canvas.lastLook = event;
+  if (canvas.shapes.at(-1)?.k === 'SH') {
+    replaceLast(event);                  // nothing was drawn since the last change
+  } else {
+    record(event);
+  }
+}
+
+function removeStamp(id) {
+  const first = canvas.shapes.findIndex(shape => shape.k === 'S' && shape.sid === id);
+  if (first !== -1) liveTouch(first);
+  canvas.shapes = canvas.shapes.filter(shape => !(shape.k === 'S' && shape.sid === id));
+}
+
+// All stamps, or the first n (n > 0) / last n (n < 0).
+function removeStamps(count = null) {
+  let indexes = canvas.shapes.flatMap((shape, index) => (shape.k === 'S' ? [index] : []));
+  if (count !== null && count !== undefined) {
+    const n = Math.trunc(number(count));
+    if (n === 0) return;
+    indexes = n > 0 ? indexes.slice(0, n) : indexes.slice(n);
+  }
+  if (indexes.length > 0) liveTouch(indexes[0]);
+  for (const index of indexes.reverse()) canvas.shapes.splice(index, 1);
+}
+
+// ── The live channel ─────────────────────────────────────────────────────────
+// Frames of a 4-byte big-endian length and {"v":2,"ops":[...]}, each the
+// difference from what was already sent: appended shapes, or a `truncate` to the
+// lowest index a fill, a cleared stamp or an undo rewrote and everything after
+// it. Flushed at most every 50 ms, once the program goes quiet, and at exit. A
+// pipe that fails ends the stream, not the program.
+const LIVE_INTERVAL_MS = 50;
+const LIVE_CHUNK = 256;
+const live = {
+  fd: null,
+  sent: 0,
+  dirty: null,
+  at: 0,
+  timer: null,
+  screen: null,
+  cursors: null,
+  polys: {},
+};
+
+function liveStart() {
+  const fd = Number.parseInt(process.env.BROWSER_CODER_GRAPHICS_LIVE_FD ?? '', 10);
+  if (Number.isInteger(fd) && fd >= 0) live.fd = fd;
+}
+
+function liveTouch(index) {
+  if (live.fd === null) return;
+  if (live.dirty === null || index < live.dirty) live.dirty = index;
+  liveTick();
+}
+
+function liveTick() {
+  if (live.fd === null) return;
+  if (Date.now() - live.at >= LIVE_INTERVAL_MS || canvas.shapes.length - live.sent >= LIVE_CHUNK) {
+    liveFlush();
+    return;
+  }
+  // A program drawing from setInterval goes quiet between frames. Unref'd, so a
+  // pending flush never keeps a finished program alive.
+  live.timer ??= setTimeout(liveFlush, LIVE_INTERVAL_MS).unref();
+}
+
+function liveWrite(bytes) {
+  let offset = 0;
+  while (offset < bytes.length) {
+    try {
+      offset += fs.writeSync(live.fd, bytes, offset);
+    } catch (error) {
+      if (error.code !== 'EAGAIN') throw error;
+    }
+  }
+}
+
+function liveFlush() {
+  if (live.timer !== null) {
+    clearTimeout(live.timer);
+    live.timer = null;
+  }
+  if (live.fd === null) return;
+
+  try {
+    live.at = Date.now();
+    const ops = [];
+
+    const screen = {
+      bg: canvas.config.bg, w: canvas.config.w, h: canvas.config.h,
+      tracer: canvas.tracer, speed: canvas.speed, pic: canvas.config.pic,
+    };
+    if (JSON.stringify(screen) !== JSON.stringify(live.screen)) {
+      live.screen = screen;
+      ops.push({ op: 'screen', ...screen });
+    }
+    for (const [name, points] of Object.entries(canvas.polys)) {
+      if (JSON.stringify(live.polys[name]) === JSON.stringify(points)) continue;
+      live.polys[name] = points.map(point => [...point]);
+      ops.push({ op: 'polygon', name, points });
+    }
+
+    let start = live.sent;
+    if (live.dirty !== null && live.dirty < start) {
+      start = live.dirty;
+      ops.push({ op: 'truncate', length: start });
+    }
+    live.dirty = null;
+    for (let index = start; index < canvas.shapes.length; index += LIVE_CHUNK) {
+      ops.push({ op: 'shapes', shapes: canvas.shapes.slice(index, index + LIVE_CHUNK) });
+    }
+    live.sent = canvas.shapes.length;
+
+    const current = cursors();
+    if (JSON.stringify(current) !== JSON.stringify(live.cursors)) {
+      live.cursors = current;
+      ops.push({ op: 'cursors', cursors: current });
+    }
+    if (ops.length === 0) return;
+
+    const body = Buffer.from(JSON.stringify({ v: 2, ops }), 'utf8');
+    const header = Buffer.alloc(4);
+    header.writeUInt32BE(body.length, 0);
+    liveWrite(Buffer.concat([header, body]));
+  } catch {
+    live.fd = null;
+  }
+}
+
+// ── The payload ──────────────────────────────────────────────────────────────
+function cursors() {
+  const list = [];
+  if (canvas.shared) list.push(canvas.shared.cursor());
+  for (const turtle of canvas.turtles.slice(0, MAX_CURSORS)) list.push(turtle.cursor());
+  return list;
+}
+
+function payload() {
+  const data = {
+    bg: canvas.config.bg, w: canvas.config.w, h: canvas.config.h,
+    tracer: canvas.tracer, speed: canvas.speed,
+    shapes: canvas.shapes, cursors: cursors(),
+  };
+  if (Object.keys(canvas.polys).length > 0) data.polys = canvas.polys;
+  if (canvas.config.pic) data.pic = canvas.config.pic;
+  return data;
+}
+
+// Written whole, at exit, to the target the SERVICE chose. A drawing that cannot
+// be saved is a lost picture, never a failed program, so a failure here is
+// swallowed rather than printed into the student's output.
+function emit() {
+  liveFlush();
+  const target = process.env.BROWSER_CODER_GRAPHICS_OUT;
+  if (!target) return;
+  try {
+    fs.writeFileSync(target, JSON.stringify(payload()));
+  } catch {
+    // nothing to report to the student
+  }
+}
+
+// ── The window ───────────────────────────────────────────────────────────────
+// One canvas, so one screen. The event-loop methods exist so programs written for
+// a desktop turtle run unchanged; there is no window to wait on here.
+class TurtleScreen {
+  bgcolor(...color) {
+    if (color.length > 0) canvas.config.bg = oneColor(color);
+    return canvas.config.bg;
+  }
+
+  // A project image (for example "maze.svg") the canvas is drawn over. The name is
+  // resolved by the browser against the workspace, never opened here.
+  bgpic(name = null) {
+    if (name !== null) canvas.config.pic = String(name) === 'nopic' ? '' : String(name);
+    return canvas.config.pic || 'nopic';
+  }
+
+  setup(width = null, height = null) {
+    if (width !== null) canvas.config.w = Math.trunc(number(width));
+    if (height !== null) canvas.config.h = Math.trunc(number(height));
+  }
+
+  screensize(width = null, height = null, bg = null) {
+    this.setup(width, height);
+    if (bg !== null) this.bgcolor(bg);
+    return [canvas.config.w, canvas.config.h];
+  }
+
+  window_width() { return canvas.config.w; }
+  window_height() { return canvas.config.h; }
+
+  // tracer(0) draws the finished picture at once instead of animating it.
+  tracer(count = null) {
+    if (count !== null) canvas.tracer = Math.trunc(number(count));
+    return canvas.tracer;
+  }
+
+  // A polygon cursor: register_shape('arrowhead', [[0, 0], [-5, -9], [5, -9]]).
+  register_shape(name, points = []) {
+    const cleaned = (Array.isArray(points) ? points : [])
+      .map(point => (Array.isArray(point) ? point.slice(0, 2).map(value => round(number(value))) : null))
+      .filter(point => point && point.length === 2);
+    if (cleaned.length >= 3) canvas.polys[String(name)] = cleaned;
+  }
+
+  addshape(name, points) { this.register_shape(name, points); }
+  getshapes() { return [...BUILTIN_SHAPES, ...Object.keys(canvas.polys)].sort(); }
+  turtles() { return [...(canvas.shared ? [canvas.shared] : []), ...canvas.turtles]; }
+
+  degrees(fullcircle = 360) { canvas.fullcircle = number(fullcircle); }
+  radians() { canvas.fullcircle = 2 * Math.PI; }
+
+  title() {}
+  update() { liveFlush(); }
+  delay() { return 10; }
+  listen() {}
+  onkey() {}
+  onkeypress() {}
+  onkeyrelease() {}
+  onclick() {}
+  onscreenclick() {}
+  ontimer() {}
+  mainloop() {}
+  done() {}
+  exitonclick() {}
+  bye() {}
+  mode() { return 'standard'; }
+  colormode(mode = null) { return mode ?? 255; }
+  textinput() { return ''; }
+  numinput(_title, _prompt, fallback = null) { return fallback; }
+}
+
+let screenInstance = null;
+
+/** The window. A function, as in Python; `new Screen()` gives the same one. */
+export function Screen() {
+  screenInstance ??= new TurtleScreen();
+  return screenInstance;
+}
+
+// ── A turtle ─────────────────────────────────────────────────────────────────
+export class Turtle {
+  #x = 0;
+  #y = 0;
+  #h = 0;
+  #pd = true;
+  #pc = 'black';
+  #fc = 'black';
+  #pw = 1;
+  #fl = false;
+  #fp = [];
+  #fi = 0;
+  #vis = true;
+  #cu = false;          // has the program chosen a colour?
+  #sh = DEFAULT_SHAPE;
+  #sw = 1;
+  #sl = 1;
+  #ow = 1;
+  #tl = 0;
+  #rm = 'noresize';
+
+  constructor(shape = null, { visible = true } = {}, shared = false) {
+    if (!shared) canvas.turtles.push(this);
+    if (shape !== null) this.shape(shape);
+    if (!visible) this.#vis = false;
+  }
+
+  // ── Movement ──
+  forward(distance) {
+    const radians = this.#h * Math.PI / 180;
+    const d = number(distance);
+    this.#segment(this.#x + d * Math.cos(radians), this.#y + d * Math.sin(radians));
+  }
+
+  backward(distance) { this.forward(-number(distance)); }
+  left(angle) { this.#turn(toDegrees(angle)); }
+  right(angle) { this.#turn(-toDegrees(angle)); }
+
+  setheading(angle) {
+    this.#h = toDegrees(angle);
+    this.#recordHeading();
+  }
+
+  heading() { return fromDegrees(this.#h); }
+
+  goto(x, y = null) {
+    if (Array.isArray(x)) [x, y] = x;
+    this.#segment(number(x), y === null || y === undefined ? 0 : number(y));
+  }
+
+  setx(x) { this.goto(x, this.#y); }
+  sety(y) { this.goto(this.#x, y); }
+  position() { return [this.#x, this.#y]; }
+  xcor() { return this.#x; }
+  ycor() { return this.#y; }
+
+  home() {
+    this.#segment(0, 0);
+    this.#h = 0;
+    this.#recordHeading();
+  }
+
+  distance(x, y = null) {
+    [x, y] = pointOf(x, y);
+    return Math.hypot(this.#x - x, this.#y - y);
+  }
+
+  // Reported in the current angle unit, like heading.
+  towards(x, y = null) {
+    [x, y] = pointOf(x, y);
+    const degrees = Math.atan2(y - this.#y, x - this.#x) * 180 / Math.PI;
+    return fromDegrees(((degrees % 360) + 360) % 360);
+  }
+
+  circle(radius, extent = null, steps = null) {
+    const r = number(radius);
+    const sweep = extent === null ? 360 : toDegrees(extent);
+    if (sweep === 0) return;
+
+    const size = Math.abs(r);
+    // Enough steps for a smooth arc: about one per three pixels of curve.
+    const count = steps === null
+      ? Math.min(360, Math.max(12, Math.trunc(2 * Math.PI * size * Math.abs(sweep) / 360 / 3 + 0.5)))
+      : Math.trunc(number(steps));
+    const direction = r >= 0 ? 1 : -1;
+    const step = sweep / count * direction;
+    const toCenter = (this.#h + 90 * direction) * Math.PI / 180;
+    const cx = this.#x + size * Math.cos(toCenter);
+    const cy = this.#y + size * Math.sin(toCenter);
+    const start = Math.atan2(this.#y - cy, this.#x - cx) * 180 / Math.PI;
+
+    // Pen-up steps inside an arc would each record a move; one arc is one gesture.
+    canvas.arc = true;
+    try {
+      for (let index = 0; index < count; index++) {
+        const angle = (start + (index + 1) * step) * Math.PI / 180;
+        this.#segment(cx + size * Math.cos(angle), cy + size * Math.sin(angle));
+      }
+    } finally {
+      canvas.arc = false;
+    }
+    this.#h += sweep * direction;
+    this.#recordHeading();
+  }
+
+  dot(size = null, ...color) {
+    const diameter = size === null ? Math.max(this.#pw + 4, this.#pw * 2) : number(size);
+    const shade = color.length === 0 ? this.#pc : oneColor(color);
+    record({ k: 'D', x: round(this.#x), y: round(this.#y), r: round(diameter / 2), c: shade });
+  }
+
+  // Imprints the cursor and returns the stamp's id, for clearstamp.
+  stamp() {
+    const id = ++canvas.stamps;
+    record({ k: 'S', x: round(this.#x), y: round(this.#y), h: round(this.#h), c: this.#pc, ...this.#look(), sid: id });
+    return id;
+  }
+
+  clearstamp(id) { removeStamp(id); }
+  clearstamps(count = null) { removeStamps(count); }
+
+  write(text, _move = false, align = 'left', font = ['Arial', 8, 'normal']) {
+    // write('hi', { align: 'center', font: [...] }) as well as Python's positional form.
+    if (_move && typeof _move === 'object') ({ align = 'left', font = ['Arial', 8, 'normal'] } = _move);
+    const [name = 'Arial', size = 8, style = 'normal'] = Array.isArray(font) ? font : [font];
+    record({
+      k: 'T', x: round(this.#x), y: round(this.#y), txt: String(text), c: this.#pc,
+      font: `${style} ${size}px ${name}`, align: String(align),
+    });
+  }
+
+  speed(value = null) {
+    if (value !== null) canvas.speed = speedValue(value);
+    return canvas.speed;
+  }
+
+  // ── Pen ──
+  pendown() { this.#pd = true; }
+  penup() { this.#pd = false; }
+  isdown() { return this.#pd; }
+
+  pensize(width = null) {
+    if (width !== null) {
+      this.#pw = number(width);
+      this.#appearanceChanged();
+    }
+    return this.#pw;
+  }
+
+  pencolor(...color) {
+    if (color.length > 0) {
+      this.#pc = oneColor(color);
+      this.#cu = true;
+      this.#appearanceChanged();
+    }
+    return this.#pc;
+  }
+
+  fillcolor(...color) {
+    if (color.length > 0) {
+      this.#fc = oneColor(color);
+      this.#cu = true;
+      this.#appearanceChanged();
+    }
+    return this.#fc;
+  }
+
+  // color('red'), color('red', 'yellow'), color(255, 0, 0) or color([1, 0, 0]).
+  color(...colors) {
+    if (colors.length === 0) return [this.#pc, this.#fc];
+    if (colors.length === 2) {
+      this.#pc = colorValue(colors[0]);
+      this.#fc = colorValue(colors[1]);
+    } else {
+      this.#pc = this.#fc = oneColor(colors);
+    }
+    this.#cu = true;
+    this.#appearanceChanged();
+  }
+
+  // ── Fill ──
+  begin_fill() {
+    this.#fl = true;
+    this.#fp = [[round(this.#x), round(this.#y)]];
+    this.#fi = canvas.shapes.length;     // the fill goes under the outline drawn from here
+  }
+
+  end_fill() {
+    if (this.#fl && this.#fp.length >= 3) {
+      recordAt(this.#fi, { k: 'F', pts: this.#fp.slice(), fc: this.#fc, pc: this.#pd ? this.#pc : null, pw: this.#pw });
+    }
+    this.#fl = false;
+    this.#fp = [];
+  }
+
+  filling() { return this.#fl; }
+
+  // ── Visibility, clearing ──
+  hideturtle() {
+    this.#vis = false;
+    record({ k: 'HT' });
+  }
+
+  showturtle() {
+    this.#vis = true;
+    record({ k: 'ST' });
+  }
+
+  isvisible() { return this.#vis; }
+  clear() { record({ k: 'C' }); }
+
+  reset() {
+    this.#reset();
+    record({ k: 'C' });
+  }
+
+  undo() { removeLast(); }
+
+  // ── Cursor shape ──
+  shape(name = null) {
+    if (name !== null) {
+      const wanted = String(name);
+      if (wanted in canvas.polys) {
+        this.#sh = wanted;
+        this.#appearanceChanged();
+      } else if (BUILTIN_SHAPES.includes(wanted.toLowerCase())) {
+        this.#sh = wanted.toLowerCase();
+        this.#appearanceChanged();
+      }
+    }
+    return this.#sh;
+  }
+
+  shapesize(stretchWid = null, stretchLen = null, outline = null) {
+    if (stretchWid === null && stretchLen === null && outline === null) return [this.#sw, this.#sl, this.#ow];
+    if (stretchWid !== null) {
+      this.#sw = number(stretchWid);
+      this.#sl = stretchLen === null ? this.#sw : number(stretchLen);
+    } else if (stretchLen !== null) {
+      this.#sl = number(stretchLen);
+    }
+    if (outline !== null) this.#ow = number(outline);
+    this.#rm = 'user';                   // as in real turtle: shapesize implies "user"
+    this.#appearanceChanged();
+  }
+
+  resizemode(mode = null) {
+    if (mode !== null && ['auto', 'user', 'noresize'].includes(String(mode).toLowerCase())) {
+      this.#rm = String(mode).toLowerCase();
+      this.#appearanceChanged();
+    }
+    return this.#rm;
+  }
+
+  tilt(angle) {
+    this.#tl += number(angle);
+    this.#appearanceChanged();
+  }
+
+  settiltangle(angle) {
+    this.#tl = number(angle);
+    this.#appearanceChanged();
+  }
+
+  tiltangle(angle = null) {
+    if (angle !== null) this.settiltangle(angle);
+    return this.#tl;
+  }
+
+  getscreen() { return Screen(); }
+
+  // Where this turtle ended up, for drawing its cursor once the picture is done.
+  cursor() {
+    return { ...this.#look(), x: round(this.#x), y: round(this.#y), h: round(this.#h), vis: this.#vis };
+  }
+
+  toString() {
+    return `Turtle(x=${round(this.#x)}, y=${round(this.#y)}, heading=${round(this.heading())})`;
+  }
+
+  #reset() {
+    this.#x = 0;
+    this.#y = 0;
+    this.#h = 0;
+    this.#pd = true;
+    this.#pc = 'black';
+    this.#fc = 'black';
+    this.#pw = 1;
+    this.#fl = false;
+    this.#fp = [];
+    this.#fi = 0;
+    this.#vis = true;
+    this.#cu = false;
+    this.#sh = DEFAULT_SHAPE;
+    this.#sw = 1;
+    this.#sl = 1;
+    this.#ow = 1;
+    this.#tl = 0;
+    this.#rm = 'noresize';
+  }
+
+  // Draw (or move, with the pen up) to a point.
+  #segment(nx, ny) {
+    if (this.#pd) {
+      record({ k: 'l', x1: round(this.#x), y1: round(this.#y), x2: round(nx), y2: round(ny), c: this.#pc, w: this.#pw });
+    } else if (!this.#fl && !canvas.arc && canvas.tracer !== 0) {
+      // A pen-up jump, so the replay can animate it. Not recorded for an instant
+      // drawing, where it would only make the payload bigger.
+      record({ k: 'M', x: round(nx), y: round(ny) });
+    }
+    if (this.#fl) this.#fp.push([round(nx), round(ny)]);
+    this.#x = nx;
+    this.#y = ny;
+  }
+
+  // Turns draw nothing, but the replay shows the cursor turning.
+  #turn(degrees) {
+    this.#h += degrees;
+    this.#recordHeading();
+  }
+
+  #recordHeading() {
+    record({ k: 'H', h: round(((this.#h % 360) + 360) % 360) });
+  }
+
+  // Stretch factors actually applied to the cursor polygon.
+  #stretch() {
+    if (this.#rm === 'auto') return [Math.max(1, this.#pw / 5), Math.max(1, this.#pw / 5)];
+    if (this.#rm === 'user') return [this.#sw, this.#sl];
+    return [CURSOR_SCALE, CURSOR_SCALE];
+  }
+
+  // Everything the renderer needs to draw this turtle's cursor.
+  #look() {
+    const [sw, sl] = this.#stretch();
+    return {
+      sh: this.#sh,
+      fc: this.#cu ? this.#fc : CURSOR_FILL,
+      pc: this.#cu ? this.#pc : CURSOR_PEN,
+      sw: round(sw, 3), sl: round(sl, 3),
+      ow: round(this.#ow), tl: round(((this.#tl % 360) + 360) % 360),
+    };
+  }
+
+  #appearanceChanged() {
+    appearanceChanged(this.#look());
+  }
+}
+
+function pointOf(x, y) {
+  if (x instanceof Turtle) return x.position();
+  if (Array.isArray(x)) return [number(x[0] ?? 0), number(x[1] ?? 0)];
+  return [number(x ?? 0), number(y ?? 0)];
+}
+
+// Python's names, each with the camelCase spelling beside it, and the short forms.
+const ALIASES = {
+  fd: 'forward', bk: 'backward', back: 'backward', lt: 'left', rt: 'right',
+  seth: 'setheading', setHeading: 'setheading',
+  setpos: 'goto', setposition: 'goto', setPosition: 'goto', goTo: 'goto',
+  setX: 'setx', setY: 'sety', pos: 'position',
+  pd: 'pendown', down: 'pendown', penDown: 'pendown',
+  pu: 'penup', up: 'penup', penUp: 'penup', isDown: 'isdown',
+  width: 'pensize', penSize: 'pensize', penColor: 'pencolor', fillColor: 'fillcolor',
+  beginFill: 'begin_fill', endFill: 'end_fill',
+  ht: 'hideturtle', hideTurtle: 'hideturtle', st: 'showturtle', showTurtle: 'showturtle',
+  isVisible: 'isvisible', turtlesize: 'shapesize', shapeSize: 'shapesize', resizeMode: 'resizemode',
+  clearStamp: 'clearstamp', clearStamps: 'clearstamps', setTiltAngle: 'settiltangle', tiltAngle: 'tiltangle',
+  getScreen: 'getscreen',
+};
+for (const [alias, name] of Object.entries(ALIASES)) {
+  Object.defineProperty(Turtle.prototype, alias, {
+    value: Turtle.prototype[name], writable: true, configurable: true,
+  });
+}
+
+const SCREEN_ALIASES = {
+  bgColor: 'bgcolor', bgPic: 'bgpic', screenSize: 'screensize',
+  windowWidth: 'window_width', windowHeight: 'window_height',
+  registerShape: 'register_shape', addShape: 'addshape', getShapes: 'getshapes',
+  onKey: 'onkey', onKeyPress: 'onkeypress', onKeyRelease: 'onkeyrelease', onClick: 'onclick',
+  onScreenClick: 'onscreenclick', onTimer: 'ontimer', mainLoop: 'mainloop', exitOnClick: 'exitonclick',
+  colorMode: 'colormode', textInput: 'textinput', numInput: 'numinput',
+};
+for (const [alias, name] of Object.entries(SCREEN_ALIASES)) {
+  Object.defineProperty(TurtleScreen.prototype, alias, {
+    value: TurtleScreen.prototype[name], writable: true, configurable: true,
+  });
+}
+
+// ── The shared turtle and the screen, at module level ────────────────────────
+// turtle.forward(100) - the one turtle a program gets without making one. Made on
+// first use, which is also how the payload knows whether to give it a cursor.
+function shared() {
+  canvas.shared ??= new Turtle(null, {}, true);
+  return canvas.shared;
+}
+
+const TURTLE_COMMANDS = Object.getOwnPropertyNames(Turtle.prototype)
+  .filter(name => name !== 'constructor' && name !== 'cursor' && name !== 'toString');
+const SCREEN_COMMANDS = Object.getOwnPropertyNames(TurtleScreen.prototype).filter(name => name !== 'constructor');
+
+const turtle = { Turtle, Screen };
+for (const name of TURTLE_COMMANDS) turtle[name] = (...args) => shared()[name](...args);
+for (const name of SCREEN_COMMANDS) turtle[name] = (...args) => Screen()[name](...args);
+Object.freeze(turtle);
+
+export default turtle;
+
+// The names a program imports one at a time: `import { forward, left } from 'turtle'`.
+export const {
+  forward, fd, backward, bk, back, left, lt, right, rt,
+  setheading, seth, setHeading, heading, goto, goTo, setpos, setposition, setPosition,
+  setx, sety, setX, setY, position, pos, xcor, ycor, home, distance, towards,
+  circle, dot, stamp, clearstamp, clearstamps, clearStamp, clearStamps, write, speed,
+  pendown, pd, down, penDown, penup, pu, up, penUp, isdown, isDown,
+  pensize, width, penSize, pencolor, penColor, fillcolor, fillColor, color,
+  begin_fill, beginFill, end_fill, endFill, filling,
+  hideturtle, ht, hideTurtle, showturtle, st, showTurtle, isvisible, isVisible,
+  clear, reset, undo, shape, shapesize, shapeSize, turtlesize, resizemode, resizeMode,
+  tilt, settiltangle, setTiltAngle, tiltangle, tiltAngle, getscreen, getScreen,
+  bgcolor, bgColor, bgpic, bgPic, setup, screensize, screenSize,
+  window_width, windowWidth, window_height, windowHeight, tracer,
+  register_shape, registerShape, addshape, addShape, getshapes, getShapes, turtles,
+  degrees, radians, title, update, delay, listen,
+  onkey, onKey, onkeypress, onKeyPress, onkeyrelease, onKeyRelease, onclick, onClick,
+  onscreenclick, onScreenClick, ontimer, onTimer, mainloop, mainLoop, done,
+  exitonclick, exitOnClick, bye, mode, colormode, colorMode,
+  textinput, textInput, numinput, numInput,
+} = turtle;
+
+// The renderer starts from the default look, so the first real change is the first
+// one recorded.
+const { x: _x, y: _y, h: _h, vis: _vis, ...defaultLook } = new Turtle(null, {}, true).cursor();
+canvas.lastLook = { ...defaultLook, k: 'SH' };
+
+liveStart();
+process.on('exit', emit);
@@ -0,0 +1,246 @@
+# ─── bcplot for Browser Coder ───────────────────────────────────────────────
+# Line, bar and scatter charts for the data lessons, without matplotlib - which
+# needs a display, a compiled wheel and a second per run just to import. The
+# names are matplotlib.pyplot's, so course material reads the same:
+#
+#     import bcplot as plt
+#
+#     plt.plot([1, 2, 3, 4], [3, 5, 4, 8], label="2024")
+#     plt.bar(["Mon", "Tue", "Wed"], [12, 7, 9])
+#     plt.title("Visitors")
+#     plt.show()
+#
+# Installed by the Python adapter as `sys.modules['bcplot']` when any file imports
+# it, the way the turtle shim is (blueprint section 68).
+#
+# Transport: the turtle shim's, and for its reasons (V-01). The charts are written
+# once, at exit, to the path in BROWSER_CODER_CHARTS_OUT - a file the SERVER chose
+# beside the drawing - and, when BROWSER_CODER_GRAPHICS_LIVE_FD is set, each chart
+# that changed is streamed down the live pipe as a `chart` operation. NOTHING is
+# written to stdout. The server rebuilds every record from its own allowlist
+# (server/graphics/charts.mjs); what this file checks is what a student should be
+# told about, at their own line, rather than what would be unsafe.
+#
+# Scoped inside _setup_bcplot() like the shim: no stdlib handle leaks into the
+# program's namespace.
+# ─────────────────────────────────────────────────────────────────────────────
+
+def _setup_bcplot():
+    import sys as _sys
+    import os as _os
+    import json as _j
+    import math as _m
+    import atexit as _ae
+
+    # Must match CHART_LIMITS in server/graphics/charts.mjs. The server would refuse a
+    # chart past these in the live stream, which would end the stream for the run.
+    _MAX_CHARTS = 16
+    _MAX_SERIES = 24
+    _LIVE_INTERVAL = 0.05
+    _LIVE_MAX_FRAME = 512 * 1024      # half the server's maxFrameBytes
+
+    _charts = []          # every chart that has a series, in order
+    _current = [None]     # the chart plot() adds to; None until the first series
+    _next = [{}]          # title and labels set before that first series
+
+    def _number(value, what):
+        try:
+            value = float(value)
+        except (TypeError, ValueError):
+            raise TypeError('bcplot: %s must be numbers, got %r' % (what, value)) from None
+        # JSON has no NaN. A missing reading is sent as null, and the server leaves
+        # that point out of the chart.
+        return value if _m.isfinite(value) else None
+
+    def _values(values, what):
+        if isinstance(values, (str, bytes)):
+            raise TypeError('bcplot: %s must be a list of numbers, not a string' % what)
+        try:
+            return [_number(v, what) for v in values]
+        except TypeError as error:
+            if str(error).startswith('bcplot:'):
+                raise
+            raise TypeError('bcplot: %s must be a list of numbers' % what) from None
+
+    def _chart():
+        if _current[0] is None:
+            if len(_charts) >= _MAX_CHARTS:
+                raise RuntimeError('bcplot shows at most %d charts in one run' % _MAX_CHARTS)
+            chart = dict(_next[0], series=[])
+            _next[0] = {}
+            _charts.append(chart)
+            _current[0] = chart
+        return _current[0]
+
+    def _add(series):
+        chart = _chart()
+        if len(chart['series']) >= _MAX_SERIES:
+            raise RuntimeError('bcplot draws at most %d series on one chart' % _MAX_SERIES)
+        chart['series'].append(series)
+        _live_tick()
+
+    def _style(series, label, color):
+        if label is not None:
+            series['label'] = str(label)
+        if color is not None:
+            series['c'] = str(color)
+        return series
+
+    def _pairs(x, y, kind):
+        if y is None:
+            y, x = x, None
+        ys = _values(y, 'y values')
+        xs = list(range(len(ys))) if x is None else _values(x, 'x values')
+        if len(xs) != len(ys):
+            raise ValueError('bcplot.%s: x and y must be the same length, got %d and %d'
+                             % (kind, len(xs), len(ys)))
+        return [[a, b] for a, b in zip(xs, ys)]
+
+    # ── Live channel (blueprint sections 64 and 68) ───────────────────────────
+    # The pipe the turtle shim streams on, when there is one. Each chart that
+    # changed since it was last sent goes as the whole chart, by its index: charts
+    # are small, and replacing one is simpler to validate than patching it.
+    _live_fd = [None]
+    try:
+        _live_fd[0] = int(_os.environ.get('BROWSER_CODER_GRAPHICS_LIVE_FD', ''))
+    except ValueError:
+        pass
+    _live = {'at': 0.0, 'sent': []}
+    if _live_fd[0] is not None:
+        import struct as _struct
+        import time as _time
+
+    def _live_tick():
+        if _live_fd[0] is not None and _time.monotonic() - _live['at'] >= _LIVE_INTERVAL:
+            _live_flush()
+
+    def _live_flush():
+        fd = _live_fd[0]
+        if fd is None:
+            return
+        _live['at'] = _time.monotonic()
+        for index, chart in enumerate(_charts):
+            text = _j.dumps(chart, separators=(',', ':'))
+            if index < len(_live['sent']) and _live['sent'][index] == text:
+                continue
+            payload = _j.dumps({'v': 2, 'ops': [{'op': 'chart', 'index': index, 'chart': chart}]},
+                               separators=(',', ':')).encode('utf-8')
+            if len(payload) > _LIVE_MAX_FRAME:
+                # Too big to stream; it arrives with the rest at exit. So do the
+                # charts after it: the server refuses an index past one it never got.
+                return
+            try:
+                view = memoryview(_struct.pack('>I', len(payload)) + payload)
+                while view:
+                    view = view[_os.write(fd, view):]
+            except (OSError, ValueError, TypeError):
+                _live_fd[0] = None
+                return
+            if index < len(_live['sent']):
+                _live['sent'][index] = text
+            else:
+                _live['sent'].append(text)
+
+    if _live_fd[0] is not None:
+        # A program waiting for input, or pausing between updates, should be
+        # showing what it has plotted so far. The turtle shim may have wrapped
+        # these already; each wrapper calls the one before it.
+        import builtins as _builtins
+        _prior_input = _builtins.input
+        _prior_sleep = _time.sleep
+
+        def _flushing_input(*args):
+            _live_flush()
+            return _prior_input(*args)
+
+        def _flushing_sleep(seconds):
+            _live_flush()
+            return _prior_sleep(seconds)
+
+        _builtins.input = _flushing_input
+        _time.sleep = _flushing_sleep
+
+    # ── The public API ───────────────────────────────────────────────────────
+    def plot(x, y=None, label=None, color=None):
+        """A line through the points. `plot(ys)` uses 0, 1, 2, … for x."""
+        _add(_style({'k': 'line', 'pts': _pairs(x, y, 'plot')}, label, color))
+
+    def scatter(x, y, label=None, color=None):
+        """A dot at each point."""
+        _add(_style({'k': 'scatter', 'pts': _pairs(x, y, 'scatter')}, label, color))
+
+    def bar(categories, values, label=None, color=None):
+        """One bar per category. Categories are shown as text, in the order given."""
+        if isinstance(categories, (str, bytes)):
+            raise TypeError('bcplot.bar: categories must be a list, not a string')
+        cats = [str(c) for c in categories]
+        vals = _values(values, 'bar heights')
+        if len(cats) != len(vals):
+            raise ValueError('bcplot.bar: categories and heights must be the same length, got %d and %d'
+                             % (len(cats), len(vals)))
+        _add(_style({'k': 'bar', 'cats': cats, 'vals': vals}, label, color))
+
+    def _labeller(key):
+        def set_label(text):
+            target = _current[0] if _current[0] is not None else _next[0]
+            target[key] = str(text)
+            _live_tick()
+        set_label.__name__ = key
+        set_label.__doc__ = 'Set the %s of the current chart.' % key
+        return set_label
+
+    title = _labeller('title')
+    xlabel = _labeller('xlabel')
+    ylabel = _labeller('ylabel')
+
+    def figure(*args, **kwargs):
+        """Start a new chart. Arguments are accepted, for matplotlib code, and ignored."""
+        _current[0] = None
+        _next[0] = {}
+
+    def show(*args, **kwargs):
+        """Show what is plotted so far. The next plot starts a new chart."""
+        _live_flush()
+        _current[0] = None
+        _next[0] = {}
+
+    def pause(seconds=0):
+        """Show what is plotted so far and wait, for a chart that updates as it goes."""
+        _live_flush()
+        import time
+        time.sleep(seconds)
+
+    def legend(*args, **kwargs):
+        """Accepted for matplotlib code. The legend shows whenever a series has a label."""
+
+    def grid(*args, **kwargs):
+        """Accepted for matplotlib code. The grid is always drawn."""
+
+    # ── atexit: write the charts ─────────────────────────────────────────────
+    def _emit():
+        _live_flush()
+        out = _os.environ.get('BROWSER_CODER_CHARTS_OUT')
+        if not out or not _charts:
+            return
+        try:
+            # Written whole, then closed, so the server never reads half a document.
+            with open(out, 'w', encoding='utf-8') as handle:
+                handle.write(_j.dumps({'charts': _charts}, separators=(',', ':')))
+        except Exception:
+            # Lost charts, never a failed program - as with the drawing.
+            pass
+
+    _ae.register(_emit)
+
+    module = type(_sys)('bcplot')
+    module.__doc__ = 'Browser Coder charts: line, bar and scatter with the pyplot names.'
+    for name in ('plot', 'scatter', 'bar', 'title', 'xlabel', 'ylabel',
+                 'figure', 'show', 'pause', 'legend', 'grid'):
+        setattr(module, name, locals()[name])
+    module.__all__ = ['bar', 'figure', 'grid', 'legend', 'pause', 'plot', 'scatter',
+                      'show', 'title', 'xlabel', 'ylabel']
+    _sys.modules['bcplot'] = module
+
+
+_setup_bcplot()
+del _setup_bcplot
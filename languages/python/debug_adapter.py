@@ -33,8 +33,16 @@
 # Nothing, by design. The adapter never writes to stdout or stderr, so the program's
 # own output is exactly what it would be without a debugger attached. Standard input
 # still reaches the program, so a debugged program can call `input()`.
+#
+# ## Recording
+#
+# Asked for with `BROWSER_CODER_DEBUG_RECORD=1` (blueprint section 73). The adapter
+# keeps every line the program runs, with its locals, up to a budget, and then
+# `stepBack` and `reverseContinue` move through that record while the program stays
+# paused where it really is. Python cannot run backwards; what it can do is remember.
 
 import bdb
+import collections
 import json
 import os
 import queue
@@ -46,6 +54,13 @@ MAX_STRING = 200
 MAX_ITEMS = 100
 MAX_DEPTH = 3
 
+# The recording's budget: whichever is reached first drops the oldest steps. Bytes are
+# the JSON the step would be sent as, which is what a step costs the client too.
+MAX_RECORDED_STEPS = 2000
+MAX_RECORDED_BYTES = 8 * 1024 * 1024
+# A value in the timeline is a glance, not an inspection: the step itself has the rest.
+MAX_TIMELINE_TEXT = 80
+
 
 def _describe(value, depth=0):
     """A short, safe, JSON-encodable rendering of one value.
@@ -213,10 +228,81 @@ class _Channel:
         self._closed.set()
 
 
+class _Recording:
+    """The lines a recorded session ran, oldest dropped first once over budget.
+
+    Steps are numbered from 1 in the order they ran and never renumbered, so a number
+    the client holds keeps meaning the same line after older steps are dropped.
+    """
+
+    def __init__(self, max_steps=MAX_RECORDED_STEPS, max_bytes=MAX_RECORDED_BYTES):
+        self.max_steps = max_steps
+        self.max_bytes = max_bytes
+        self._steps = collections.deque()
+        self._sizes = collections.deque()
+        self._bytes = 0
+        self._next = 1
+        # The last step a `timeline` event has carried.
+        self._sent = 0
+
+    @property
+    def first(self):
+        return self._next - len(self._steps)
+
+    @property
+    def last(self):
+        return self._next - 1
+
+    def add(self, step):
+        """Keep one step, returning its number."""
+        size = len(json.dumps(step, default=str))
+        number = self._next
+        self._next += 1
+        self._steps.append(step)
+        self._sizes.append(size)
+        self._bytes += size
+        # The newest step is always kept, however large: it is the one a `stepBack`
+        # from the next stop goes to.
+        while len(self._steps) > 1 and (len(self._steps) > self.max_steps
+                                        or self._bytes > self.max_bytes):
+            self._steps.popleft()
+            self._bytes -= self._sizes.popleft()
+        return number
+
+    def get(self, number):
+        if number < self.first or number > self.last:
+            return None
+        return self._steps[number - self.first]
+
+    def timeline(self):
+        """The `timeline` event: every step since the last one sent, briefly.
+
+        `first` is the oldest step still held, so the client can drop what the adapter
+        no longer has and never offer a step it cannot go back to.
+        """
+        start = max(self._sent + 1, self.first)
+        steps = []
+        for number in range(start, self.last + 1):
+            step = self.get(number)
+            steps.append({
+                'step': number,
+                'file': step['file'],
+                'line': step['line'],
+                'depth': step['depth'],
+                'function': step['stack'][0]['name'] if step['stack'] else '(module)',
+                'values': [
+                    [entry['name'], entry['value']['text'][:MAX_TIMELINE_TEXT]]
+                    for entry in step['locals']
+                ],
+            })
+        self._sent = self.last
+        return {'type': 'timeline', 'first': self.first, 'steps': steps}
+
+
 class BrowserCoderDebugger(bdb.Bdb):
     """The trace hook, wired to the channel."""
 
-    def __init__(self, channel, program_path):
+    def __init__(self, channel, program_path, record=False):
         bdb.Bdb.__init__(self)
         self._channel = channel
         self._program_path = os.path.realpath(program_path)
@@ -231,6 +317,17 @@ class BrowserCoderDebugger(bdb.Bdb):
         # debugging" runs to the first breakpoint, and stopping on line 1 every time
         # reads as a bug. Tracked here so that first stop can be waved through.
         self._entered = False
+        # `is_our_file` is asked on every traced line once a session is recorded, and
+        # resolving a path each time is most of what that costs.
+        self._ours = {}
+        # The recording, when this session is recorded; None otherwise. `_cursor` is
+        # the step being looked at while paused, None for the present; `_present` is
+        # the step the program is really stopped on, when that is a recorded line.
+        self._recording = _Recording() if record else None
+        self._cursor = None
+        self._present = None
+        self._live_event = None
+        self._latest = None
 
     def dispatch_line(self, frame):
         """Forget the previous breakpoint before deciding why this line stopped.
@@ -238,10 +335,42 @@ class BrowserCoderDebugger(bdb.Bdb):
         bdb otherwise keeps `currentbp` after a hit. A later Step onto a log-point
         line would look like another breakpoint and silently continue instead of
         honouring the student's step command.
+
+        A recorded session keeps the line first, so a stop on it is the newest step.
         """
         self.currentbp = 0
+        if self._recording is not None and self.is_our_file(frame.f_code.co_filename):
+            self._record(frame)
         return super().dispatch_line(frame)
 
+    def dispatch_call(self, frame, arg):
+        """Keep tracing the student's functions while recording.
+
+        bdb declines to trace a function with no breakpoint in it while the program
+        runs on, which is what makes Continue fast - and what would leave a recording
+        with every function call missing from it.
+        """
+        traced = super().dispatch_call(frame, arg)
+        if traced is None and self._recording is not None \
+                and self.is_our_file(frame.f_code.co_filename):
+            return self.trace_dispatch
+        return traced
+
+    def _record(self, frame):
+        stack = self._stack_frames(frame)
+        step = {
+            'file': os.path.basename(frame.f_code.co_filename),
+            'line': frame.f_lineno,
+            'stack': stack,
+            'depth': len(stack),
+        }
+        step.update(self._variables(frame))
+        number = self._recording.add(step)
+        # Kept apart from the step so it is neither measured nor sent: it is what
+        # `reverseContinue` checks breakpoints against, in bdb's own spelling.
+        step['path'] = self.canonic(frame.f_code.co_filename)
+        self._latest = (id(frame), frame.f_lineno, number)
+
     # ── bdb only reports frames we admit to owning ──────────────────────────
     #
     # Without this the debugger stops inside the standard library and inside its own
@@ -249,13 +378,17 @@ class BrowserCoderDebugger(bdb.Bdb):
     def is_our_file(self, filename):
         if not filename:
             return False
+        known = self._ours.get(filename)
+        if known is not None:
+            return known
         try:
             resolved = os.path.realpath(filename)
         except OSError:
             return False
-        if resolved.startswith('<'):
-            return False
-        return resolved == self._program_path or resolved.startswith(self._workspace + os.sep)
+        ours = not resolved.startswith('<') and (
+            resolved == self._program_path or resolved.startswith(self._workspace + os.sep))
+        self._ours[filename] = ours
+        return ours
 
     # ── bdb hooks ───────────────────────────────────────────────────────────
 
@@ -339,13 +472,17 @@ class BrowserCoderDebugger(bdb.Bdb):
             'postMortem': True,
         }
         event.update(self._variables(frame))
-        self._channel.send(event)
+        # Where it broke is after the last recorded line, so every step is behind it -
+        # which is the moment a way back is worth the most.
+        self._arrive(event, None)
 
         while True:
             command = self._channel.receive()
             if command is None:
                 return
             action = command.get('command')
+            if self._travel(action, command):
+                continue
             if action in ('continue', 'stop', None):
                 return
             if action == 'evaluate':
@@ -489,7 +626,11 @@ class BrowserCoderDebugger(bdb.Bdb):
         event.update(self._variables(frame))
         if extra:
             event.update(extra)
-        self._channel.send(event)
+        # A stop on a line the recording has just kept IS that step. A stop on a call
+        # or a return comes after the newest step, like a crash does.
+        latest = self._latest
+        here = latest is not None and latest[0] == id(frame) and latest[1] == frame.f_lineno
+        self._arrive(event, latest[2] if here else None)
 
         while True:
             command = self._channel.receive()
@@ -501,6 +642,9 @@ class BrowserCoderDebugger(bdb.Bdb):
 
             action = command.get('command')
 
+            if self._travel(action, command):
+                continue
+
             if action == 'continue':
                 # Not set_continue: see _continue_keeping_trace.
                 self._continue_keeping_trace()
@@ -521,10 +665,122 @@ class BrowserCoderDebugger(bdb.Bdb):
                 self._evaluate(frame, command.get('expression') or '')
                 continue
 
+            if action in ('stepBack', 'reverseContinue'):
+                self._channel.send({
+                    'type': 'error',
+                    'message': 'this session is not recorded, so it cannot go back',
+                })
+                continue
+
             # An unknown command must not silently resume the program - that would
             # look like a spontaneous continue.
             self._channel.send({'type': 'error', 'message': 'unknown command: %s' % action})
 
+    # ── going back through a recording ──────────────────────────────────────
+
+    def _arrive(self, event, present):
+        """Report a real stop: the new timeline first, then where the program is."""
+        self._live_event = event
+        self._present = present
+        self._cursor = None
+        if self._recording is not None:
+            self._channel.send(self._recording.timeline())
+        self._channel.send(event)
+
+    def _travel(self, action, command):
+        """Handle a command that moves through the recording. True if it was one.
+
+        Backwards is always a move through the recording. Forwards is one only while
+        looking at the past: it replays by the same rules the live commands follow -
+        Step Over skips deeper steps, Step Out waits for a shallower one, Continue
+        stops at a breakpoint line - and arriving at the present shows the real stop
+        again. Nothing here resumes the program, so a Continue in the past ends at the
+        present, paused, rather than running on past where the student had got to.
+
+        A breakpoint's condition is not checked against the past: the values it would
+        be evaluated in are descriptions, not objects. Every breakpoint line stops.
+        """
+        recording = self._recording
+        if recording is None:
+            return False
+
+        # The step the program is on, or one past the newest when the stop is not a
+        # recorded line; either way, every step before it is the past.
+        now = self._present if self._present is not None else recording.last + 1
+        origin = self._cursor if self._cursor is not None else now
+
+        if action in ('stepBack', 'reverseContinue'):
+            if origin <= recording.first:
+                self._channel.send({
+                    'type': 'error',
+                    'message': 'that is as far back as the recording goes',
+                })
+                return True
+            target, reason = origin - 1, 'step'
+            if action == 'reverseContinue':
+                target = next((number for number in range(origin - 1, recording.first - 1, -1)
+                               if self._breaks_at(recording.get(number))), None)
+                reason = 'breakpoint'
+                if target is None:
+                    target, reason = recording.first, 'recordingStart'
+            self._show(target, reason, now)
+            return True
+
+        if self._cursor is None:
+            return False
+
+        if action == 'evaluate':
+            self._channel.send({
+                'type': 'evaluated',
+                'expression': command.get('expression') or '',
+                'error': 'this is a recorded step; step forward to the present to evaluate',
+            })
+            return True
+
+        depth = recording.get(self._cursor)['depth']
+        rules = {
+            'stepIn': lambda step: True,
+            'next': lambda step: step['depth'] <= depth,
+            'stepOut': lambda step: step['depth'] < depth,
+            'continue': self._breaks_at,
+        }
+        rule = rules.get(action)
+        if rule is None:
+            return False
+
+        target = next((number for number in range(self._cursor + 1, now)
+                       if rule(recording.get(number))), None)
+        if target is None:
+            self._cursor = None
+            # Marked, so the client can tell the pause it already has from a new one.
+            self._channel.send(dict(self._live_event, returned=True))
+        else:
+            self._show(target, 'breakpoint' if action == 'continue' else 'step', now)
+        return True
+
+    def _breaks_at(self, step):
+        """Whether a recorded step is on a line that stops, not one that only logs."""
+        line = step['line']
+        return bool(self.get_break(step['path'], line)) \
+            and line not in (self._logpoints.get(step['path']) or {})
+
+    def _show(self, number, reason, now):
+        """Send a recorded step as a stop, marked as the past."""
+        step = self._recording.get(number)
+        self._cursor = number
+        event = {
+            'type': 'stopped',
+            'reason': reason,
+            'file': step['file'],
+            'line': step['line'],
+            'stack': step['stack'],
+            'locals': step['locals'],
+            'globals': step['globals'],
+            # `present` is the step the program is on, or one past the newest.
+            'replay': {'step': number, 'present': now},
+        }
+        self._channel.send(event)
+
     def _resolve_in_workspace(self, relative_path):
         """Absolute path for a workspace-relative one, or None if it escapes.
 
@@ -704,14 +960,19 @@ def _install_turtle_shim():
     directory. The server sets it ONLY when it wrote a shim, so a student who happens to
     create a file by that name never has it executed as one - and the entry file may sit
     in a subdirectory, which a guessed path would miss anyway.
+
+    The chart library, bcplot, arrives the same way under its own variable, and is
+    installed after the shim in the order the bootstrap runs them.
     """
-    shim = os.environ.get('BROWSER_CODER_TURTLE_SHIM')
-    if not shim:
-        return
+    for variable, module_name in (('BROWSER_CODER_TURTLE_SHIM', '_bc_turtle_shim'),
+                                  ('BROWSER_CODER_BCPLOT_SHIM', '_bc_bcplot')):
+        shim = os.environ.get(variable)
+        if not shim:
+            continue
 
-    with open(shim, 'r', encoding='utf-8') as handle:
-        source = handle.read()
-    exec(compile(source, shim, 'exec'), {'__name__': '_bc_turtle_shim'})    # noqa: S102
+        with open(shim, 'r', encoding='utf-8') as handle:
+            source = handle.read()
+        exec(compile(source, shim, 'exec'), {'__name__': module_name})    # noqa: S102
 
 
 def _add_import_dirs(program):
@@ -746,6 +1007,12 @@ def _add_import_dirs(program):
 
     sys.path[:0] = ordered
 
+    # The project's installed packages, after the standard library, exactly where the
+    # ordinary bootstrap appends them. Set by the server only when a layer exists.
+    packages = os.environ.get('BROWSER_CODER_PACKAGES')
+    if packages:
+        sys.path.append(packages)
+
 
 def main():
     port = int(os.environ.get('BROWSER_CODER_DEBUG_PORT') or 0)
@@ -799,7 +1066,8 @@ def main():
     sock.settimeout(None)
     channel = _Channel(sock, token)
 
-    debugger = BrowserCoderDebugger(channel, program)
+    recording = os.environ.get('BROWSER_CODER_DEBUG_RECORD') == '1'
+    debugger = BrowserCoderDebugger(channel, program, record=recording)
 
     started = threading.Event()
 
@@ -833,7 +1101,12 @@ def main():
     # that sends nothing must not hang the run, hence the timeout.
     started.wait(timeout=5.0)
 
-    channel.send({'type': 'started'})
+    started_event = {'type': 'started'}
+    if recording:
+        # Said up front so the client offers a way back only when there is one.
+        started_event['recording'] = {'maxSteps': MAX_RECORDED_STEPS,
+                                      'maxBytes': MAX_RECORDED_BYTES}
+    channel.send(started_event)
 
     exit_code = 0
     try:
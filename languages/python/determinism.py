@@ -0,0 +1,114 @@
+# ─── Determinism shim for Browser Coder (Python) ────────────────────────────
+# Fixes what a deterministic run would otherwise take from the world: the seed of
+# the `random` module and the wall clock (blueprint section 69). A marking harness
+# that calls the student's `roll_dice()` twice has to get the same rolls on every
+# run, or a pass means nothing.
+#
+# Installed from the bootstrap, after the filesystem guard and before the student's
+# module is loaded - and only for a run that asked to be deterministic, which is the
+# only one whose environment carries the seed and clock.
+#
+# ## What is fixed
+#
+#   random        the module-level functions share one hidden Random instance;
+#                 seeding it seeds `randint`, `choice`, `shuffle` and the rest.
+#                 A `random.Random()` the program makes itself is unseeded, as it
+#                 would be anywhere: the program asked for its own.
+#   time          `time()`, `time_ns()`, and the calendar functions that default
+#                 to "now" - `localtime()`, `gmtime()`, `ctime()`, `asctime()`,
+#                 `strftime()`.
+#   datetime      `datetime.now()`, `utcnow()`, `today()` and `date.today()`.
+#   hash()        set and dict iteration order of strings, through
+#                 PYTHONHASHSEED - which the interpreter reads at startup, so it
+#                 is the launch that sets it, not this file.
+#
+# The timezone is UTC through TZ, which every one of the above respects.
+#
+# `time.monotonic()`, `perf_counter()` and `sleep()` are left alone. A program that
+# waits or times itself must still see time pass. `os.urandom`, `secrets` and
+# `uuid4` are left alone too: they exist to be unpredictable, and a lesson that
+# uses them is not one whose output can be marked by comparison.
+
+
+def _install_determinism():
+    import datetime as _datetime
+    import os as _os
+    import random as _random
+    import time as _time
+
+    _random.seed(int(_os.environ['BROWSER_CODER_SEED']))
+
+    _clock_ms = int(_os.environ['BROWSER_CODER_CLOCK'])
+    _now = _clock_ms / 1000
+
+    _localtime, _gmtime = _time.localtime, _time.gmtime
+    _strftime, _asctime = _time.strftime, _time.asctime
+
+    def time():
+        return _now
+
+    def time_ns():
+        return _clock_ms * 1_000_000
+
+    def localtime(secs=None):
+        return _localtime(_now if secs is None else secs)
+
+    def gmtime(secs=None):
+        return _gmtime(_now if secs is None else secs)
+
+    def ctime(secs=None):
+        return _asctime(localtime(secs))
+
+    def asctime(t=None):
+        return _asctime(localtime() if t is None else t)
+
+    def strftime(format, t=None):
+        return _strftime(format, localtime() if t is None else t)
+
+    for _function in (time, time_ns, localtime, gmtime, ctime, asctime, strftime):
+        _function.__module__ = 'time'
+        setattr(_time, _function.__name__, _function)
+
+    # `datetime` and `date` are C types whose methods cannot be replaced, so the
+    # module's names are pointed at subclasses that answer "now" from the clock.
+    # Through the metaclass, a real `date` or `datetime` - one made before this ran,
+    # or by another module - still passes `isinstance` against them.
+    _real = {}
+
+    class _Frozen(type):
+        def __instancecheck__(cls, instance):
+            return isinstance(instance, _real[cls]) if cls in _real else type.__instancecheck__(cls, instance)
+
+        def __subclasscheck__(cls, subclass):
+            return issubclass(subclass, _real[cls]) if cls in _real else type.__subclasscheck__(cls, subclass)
+
+    class date(_datetime.date, metaclass=_Frozen):
+        @classmethod
+        def today(cls):
+            return cls.fromtimestamp(_now)
+
+    class datetime(_datetime.datetime, metaclass=_Frozen):
+        @classmethod
+        def now(cls, tz=None):
+            return cls.fromtimestamp(_now, tz)
+
+        @classmethod
+        def utcnow(cls):
+            return cls.fromtimestamp(_now, _datetime.timezone.utc).replace(tzinfo=None)
+
+        @classmethod
+        def today(cls):
+            return cls.fromtimestamp(_now)
+
+    for _cls in (date, datetime):
+        _real[_cls] = _cls.__mro__[1]
+        _cls.__module__ = 'datetime'
+        _cls.__qualname__ = _cls.__name__
+        # The C `repr` prints the type's own name, so this is what keeps a printed
+        # list of dates reading `datetime.date(2000, 1, 1)`, as it does in any run.
+        _cls.__name__ = 'datetime.' + _cls.__name__
+    _datetime.date, _datetime.datetime = date, datetime
+
+
+_install_determinism()
+del _install_determinism
@@ -56,6 +56,13 @@ def _install_fs_guard():
     _root = _os.environ.get('BROWSER_CODER_WORKSPACE') or _os.getcwd()
     _root = _os.path.realpath(_root)
 
+    # The project's installed packages, when it declared any. READ-only: a package
+    # reading its own data file is ordinary, and the layer is shared by every run of
+    # the same lock, so writing into it would be writing into other students' runs.
+    _packages = _os.environ.get('BROWSER_CODER_PACKAGES') or None
+    if _packages:
+        _packages = _os.path.realpath(_packages)
+
     _real_open = _builtins.open
     _real_io_open = _io.open
     _real_file_io = _io.FileIO
@@ -71,7 +78,13 @@ def _install_fs_guard():
         text = repr(target)
         return text if len(text) <= 120 else text[:117] + '...'
 
-    def _checked_path(target):
+    def _within(resolved, root):
+        return resolved == root or resolved.startswith(root + _os.sep)
+
+    def _writes(mode):
+        return any(flag in str(mode) for flag in 'wax+')
+
+    def _checked_path(target, mode='r'):
         """Resolve `target` against the workspace, or raise PermissionError."""
         # A raw file descriptor carries no path, so there is nothing to check and
         # nothing that makes it necessary for a student program.
@@ -97,10 +110,12 @@ def _install_fs_guard():
         # and turns a relative name into the file that would really be touched.
         resolved = _os.path.realpath(_os.path.join(_root, target))
 
-        if resolved != _root and not resolved.startswith(_root + _os.sep):
-            raise PermissionError(_DENIED % _describe(target))
+        if _within(resolved, _root):
+            return resolved
+        if _packages and not _writes(mode) and _within(resolved, _packages):
+            return resolved
 
-        return resolved
+        raise PermissionError(_DENIED % _describe(target))
 
     def open(file, mode='r', buffering=-1, encoding=None, errors=None,
              newline=None, closefd=True, opener=None):
@@ -117,7 +132,7 @@ def _install_fs_guard():
                 'PermissionError: closefd=False is not available in Browser Coder.'
             )
         return _real_open(
-            _checked_path(file), mode, buffering, encoding, errors, newline,
+            _checked_path(file, mode), mode, buffering, encoding, errors, newline,
         )
 
     class FileIO(_real_file_io):
@@ -133,7 +148,7 @@ def _install_fs_guard():
                     'PermissionError: that form of file access is not available '
                     'in Browser Coder.'
                 )
-            _real_file_io.__init__(self, _checked_path(file), mode)
+            _real_file_io.__init__(self, _checked_path(file, mode), mode)
 
     # Both names, because `io.open` IS the builtin `open` and code reaches it by
     # either route - including the standard library itself.
@@ -147,19 +147,72 @@ _TURTLE_API = {
     'stamp', 'clearstamp', 'clearstamps',
 }
 
+# "Run only this case" (blueprint section 71). A marking harness is told which case
+# to run in this variable, and with `--test-case-read` it may `import os` to read it -
+# provided that is all it does with `os`. See server/execution/test-filter.mjs.
+_TEST_CASE_ENV = 'BCTEST_ONLY'
+
 _SECURITY_HINT = (
     'SecurityError: %s is disabled in Browser Coder. '
     'Drawing, math, random, time and strings are all available.'
 )
 
 
-def _security_problems(tree, lines):
+def _is_test_case_read(node):
+    """True for `os.getenv('BCTEST_ONLY')` or `os.environ.get('BCTEST_ONLY')`."""
+    if not (isinstance(node, ast.Call) and len(node.args) == 1 and not node.keywords):
+        return False
+    arg = node.args[0]
+    if not (isinstance(arg, ast.Constant) and arg.value == _TEST_CASE_ENV):
+        return False
+    func = node.func
+    if not isinstance(func, ast.Attribute):
+        return False
+    if isinstance(func.value, ast.Name):
+        return func.value.id == 'os' and func.attr == 'getenv'
+    return (
+        func.attr == 'get'
+        and isinstance(func.value, ast.Attribute)
+        and func.value.attr == 'environ'
+        and isinstance(func.value.value, ast.Name)
+        and func.value.value.id == 'os'
+    )
+
+
+def _test_case_read_nodes(tree):
+    """The `import os` statements and reads of the case name to let through.
+
+    Empty unless every use of `os` in the module is one of those reads, and every
+    import of it is a bare `import os`: an alias, `from os import …` or any other
+    `os.` is the module doing more than reading one variable.
+    """
+    reads = [node for node in ast.walk(tree) if _is_test_case_read(node)]
+    if not reads:
+        return set()
+    permitted = {
+        id(name) for read in reads for name in ast.walk(read.func) if isinstance(name, ast.Name)
+    }
+    imports = []
+    for node in ast.walk(tree):
+        if isinstance(node, ast.Name) and node.id == 'os' and id(node) not in permitted:
+            return set()
+        if isinstance(node, ast.Import) and any(a.name.split('.')[0] == 'os' for a in node.names):
+            if [(a.name, a.asname) for a in node.names] != [('os', None)]:
+                return set()
+            imports.append(node)
+        elif isinstance(node, ast.ImportFrom) and (node.module or '').split('.')[0] == 'os':
+            return set()
+    return {id(node) for node in reads + imports}
+
+
+def _security_problems(tree, lines, test_case_read=False):
     """Report real imports of blocked modules and real dangerous calls.
 
     Walks the AST, so comments, docstrings, strings and variable names are
     invisible to this check by construction.
     """
     problems = []
+    exempt = _test_case_read_nodes(tree) if test_case_read else set()
 
     def report(node, what):
         problems.append({
@@ -171,6 +224,9 @@ def _security_problems(tree, lines):
         })
 
     for node in ast.walk(tree):
+        if id(node) in exempt:
+            continue
+
         # ── Real import statements ──────────────────────────────────────────
         if isinstance(node, ast.Import):
             for alias in node.names:
@@ -322,7 +378,7 @@ def main():
     # Runs before the name check so a blocked program reports why it was
     # refused, instead of a confusing NameError further down the file.
     try:
-        blocked = _security_problems(tree, lines)
+        blocked = _security_problems(tree, lines, '--test-case-read' in sys.argv[2:])
     except Exception:
         blocked = []          # fail-open: the regex gate in server.mjs still ran
     if blocked:
@@ -5,7 +5,11 @@
 #
 # Transport: the JSON is written to the path in BROWSER_CODER_GRAPHICS_OUT,
 # which the server sets in the sandbox environment and which lives inside the
-# run's own private job directory. NOTHING is written to stdout.
+# run's own private job directory. NOTHING is written to stdout. A run that asked
+# for live graphics also gets BROWSER_CODER_GRAPHICS_LIVE_FD, a pipe the drawing
+# is streamed down while it is being made - see "Live channel" below - and
+# BROWSER_CODER_GRAPHICS_EVENTS_FD, the pipe key presses, clicks and dialog
+# answers come back on - see "Events".
 #
 # That is deliberate and load-bearing. An earlier version printed the output
 # path to stdout for the server to read back; since stdout belongs to the
@@ -23,6 +27,7 @@
 
 def _setup_turtle():
     import sys as _sys
+    import os as _os
     import json as _j
     import math as _m
     import atexit as _ae
@@ -64,19 +69,37 @@ def _setup_turtle():
             copy['ln'] = line
             return copy
 
+        # Every change that is not an append also says where it happened, so the live
+        # channel knows how much of what it already sent is no longer true.
+        def _index(self, index):
+            if isinstance(index, slice):
+                return index.indices(len(self))[0]
+            return max(0, index + len(self) if index < 0 else index)
+
         def append(self, value):
             super().append(self._with_line(value))
+            _live_tick()
 
         def insert(self, index, value):
+            _live_touch(min(self._index(index), len(self)))
             super().insert(index, self._with_line(value))
 
         def __setitem__(self, index, value):
+            _live_touch(self._index(index))
             if isinstance(index, slice):
                 value = [self._with_line(item) for item in value]
             else:
                 value = self._with_line(value)
             super().__setitem__(index, value)
 
+        def __delitem__(self, index):
+            _live_touch(self._index(index))
+            super().__delitem__(index)
+
+        def pop(self, index=-1):
+            _live_touch(self._index(index))
+            return super().pop(index)
+
     _shapes = _RecordedShapes()
 
     # ── Global canvas/screen config (single-element list so closures can mutate)
@@ -833,25 +856,37 @@ def _setup_turtle():
     def window_width():  return _cfg[0]['w']
     def window_height(): return _cfg[0]['h']
 
-    # All of these are no-ops in our headless renderer
     def tracer(n=None, delay=None):
         if n is not None:
             _tracer[0] = int(n)
-    def update(): pass
+
+    # update() shows what tracer(0) held back, and - as in Tk - is where a program
+    # that runs its own loop has its key presses and clicks delivered.
+    def update():
+        _live_flush()
+        _events_pump()
+
     def delay(d=None): return 10
-    def listen(): pass
-    def onkey(fun, key): pass
-    def onkeypress(fun, key=None): pass
-    def onkeyrelease(fun, key=None): pass
-    def onclick(fun, btn=1, add=None): pass
-    def onscreenclick(fun, btn=1, add=None): pass
-    def ontimer(fun, t=0): pass
-    def mainloop(): pass
+    def listen(xdummy=None, ydummy=None): pass
+
+    # Events: see "Events" below. Without the events channel - a buffered run, or
+    # one that did not ask for live graphics - nothing can ever arrive, so handlers
+    # are recorded and never called and mainloop() returns at once, as it always has.
+    def onkey(fun, key):                  _bind_key(_key_release, fun, key)
+    def onkeyrelease(fun, key=None):      _bind_key(_key_release, fun, key)
+    def onkeypress(fun, key=None):        _bind_key(_key_press, fun, key)
+    def onclick(fun, btn=1, add=None):    _bind_turtle_click(_gs, fun, btn, add)
+    def onscreenclick(fun, btn=1, add=None): _bind_screen_click(fun, btn, add)
+    def ontimer(fun, t=0):                _add_timer(fun, t)
+    def mainloop():                       _events_loop()
     done = mainloop
-    def exitonclick(): pass
-    def bye(): pass
-    def numinput(title, prompt, default=None, minval=None, maxval=None): return default
-    def textinput(title, prompt): return ''
+    def exitonclick():
+        _bind_screen_click(lambda x, y: bye(), 1, None)
+        _events_loop()
+    def bye():                            _events['closed'] = True
+    def numinput(title, prompt, default=None, minval=None, maxval=None):
+        return _numinput(title, prompt, default, minval, maxval)
+    def textinput(title, prompt):         return _textinput(title, prompt)
     def mode(m=None): return 'standard'
     def colormode(cmode=None): return cmode if cmode is not None else 255
 
@@ -931,8 +966,6 @@ def _setup_turtle():
         def radians(self):                     radians()
         def turtles(self):                     return turtles()
         def getcanvas(self):                   return getcanvas()
-        def onkeypress(self, fun, key=None):   return onkeypress(fun, key)
-        def onkeyrelease(self, fun, key=None): return onkeyrelease(fun, key)
 
         # Drawing calls, also accepted on the screen: they drive the module-level
         # turtle, exactly as turtle.forward() does. Same reasoning as the
@@ -987,20 +1020,23 @@ def _setup_turtle():
         def window_height(self):          return _cfg[0]['h']
         def tracer(self, n=None, d=None):
             if n is not None: _tracer[0] = int(n)
-        def update(self):                 pass
+        def update(self):                 update()
         def delay(self, d=None):          return 10
-        def listen(self):                 pass
-        def onkey(self, f, k):            pass
-        def onkeypress(self, f, k=None):  pass
-        def onkeyrelease(self, f, k=None):pass
-        def onclick(self, f, b=1, a=None):pass
-        def ontimer(self, f, t=0):        pass
-        def mainloop(self):               pass
+        def listen(self, xdummy=None, ydummy=None): pass
+        def onkey(self, f, k):            onkey(f, k)
+        def onkeypress(self, f, k=None):  onkeypress(f, k)
+        def onkeyrelease(self, f, k=None):onkeyrelease(f, k)
+        # Screen.onclick is the SCREEN's click, unlike the module-level onclick,
+        # which belongs to the anonymous turtle - the same split the real module has.
+        def onclick(self, f, b=1, a=None):onscreenclick(f, b, a)
+        onscreenclick = onclick
+        def ontimer(self, f, t=0):        ontimer(f, t)
+        def mainloop(self):               mainloop()
         done = mainloop
-        def exitonclick(self):            pass
-        def bye(self):                    pass
-        def numinput(self, t, p, d=None, mn=None, mx=None): return d
-        def textinput(self, t, p):        return ''
+        def exitonclick(self):            exitonclick()
+        def bye(self):                    bye()
+        def numinput(self, t, p, d=None, mn=None, mx=None): return numinput(t, p, d, mn, mx)
+        def textinput(self, t, p):        return textinput(t, p)
         def mode(self, m=None):           return 'standard'
         def colormode(self, c=None):      return c if c is not None else 255
 
@@ -1140,14 +1176,14 @@ def _setup_turtle():
         def tracer(self, n=None, d=None):
             if n is not None: _tracer[0] = int(n)
             return _tracer[0]
-        def update(self):                 pass
+        def update(self):                 update()
         def delay(self, d=None):          return 10
-        def ontimer(self, fun, t=0):      pass
-        def listen(self):                 pass
-        def mainloop(self):               pass
-        def done(self):                   pass
-        def bye(self):                    pass
-        def exitonclick(self):            pass
+        def ontimer(self, fun, t=0):      ontimer(fun, t)
+        def listen(self, xdummy=None, ydummy=None): pass
+        def mainloop(self):               mainloop()
+        def done(self):                   mainloop()
+        def bye(self):                    bye()
+        def exitonclick(self):            exitonclick()
         def write(self, arg, move=False, align='left', font=('Arial', 8, 'normal')):
             fn = '{} {}px {}'.format(
                 font[2] if len(font) > 2 else 'normal',
@@ -1191,7 +1227,7 @@ def _setup_turtle():
         def tiltangle(self, a=None):
             if a is not None: _set_tilt(self._s, a)
             return self._s['tl']
-        def onclick(self, fun, btn=1, add=None): pass
+        def onclick(self, fun, btn=1, add=None): _bind_turtle_click(self._s, fun, btn, add)
         def onrelease(self, fun, btn=1, add=None): pass
         def ondrag(self, fun, btn=1, add=None): pass
 
@@ -1297,16 +1333,340 @@ def _setup_turtle():
     # the same class - kept as names so `isinstance(t, turtle.RawPen)` resolves.
     RawPen = _Turtle
 
-    # ── atexit: emit drawing data ─────────────────────────────────────────────
-    def _emit():
-        # Where every turtle ended up. Used to draw the cursors once the
-        # drawing is complete (and as the only cursor source when animation
-        # is switched off, since no 'SH' events are recorded in that mode).
+    def _cursors_now():
+        # Where every turtle is. Used to draw the cursors once the drawing is
+        # complete (and as the only cursor source when animation is switched
+        # off, since no 'SH' events are recorded in that mode).
         _cursors = []
         if _gs_used[0] or _gs != _new_state():
             _cursors.append(_cur(_gs))
         for _ts in _turtles[:50]:
             _cursors.append(_cur(_ts))
+        return _cursors
+
+    # ── Live channel (blueprint section 64) ───────────────────────────────────
+    #
+    # The file below is written at exit, which is too late for the program a
+    # student most needs to watch: the spiral that loops forever and is killed
+    # by the timeout never reaches its atexit at all. So when the server passes
+    # a pipe in BROWSER_CODER_GRAPHICS_LIVE_FD, the drawing is also streamed down
+    # it as it grows.
+    #
+    # Each frame is a 4-byte big-endian length and a JSON object
+    # {"v": 2, "ops": [...]}. The ops are differences from what was already
+    # sent: new shapes are appended, and anything that rewrites the past - a fill
+    # inserted under its outline, a cleared stamp, an undo - becomes a
+    # `truncate` to the lowest index touched followed by everything after it. The
+    # server validates and numbers the frames; it never has to trust that this
+    # code kept count correctly, only that the sanitiser accepts what it sends.
+    #
+    # Flushed at most every 50 ms while drawing, before the program blocks on
+    # input() or time.sleep(), and once more at exit. A pipe that fails stops the
+    # stream, never the program.
+    _LIVE_INTERVAL = 0.05
+    _LIVE_CHUNK = 256                 # shapes per `shapes` op
+    _LIVE_MAX_FRAME = 512 * 1024      # half the server's maxFrameBytes
+    _live_fd = [None]
+    try:
+        _live_fd[0] = int(_os.environ.get('BROWSER_CODER_GRAPHICS_LIVE_FD', ''))
+    except ValueError:
+        pass
+    _live = {'sent': 0, 'dirty': None, 'at': 0.0,
+             'screen': None, 'cursors': None, 'polys': {}, 'svg': set()}
+    if _live_fd[0] is not None:
+        import struct as _struct
+        import time as _time
+
+    def _live_touch(index):
+        if _live_fd[0] is None:
+            return
+        if _live['dirty'] is None or index < _live['dirty']:
+            _live['dirty'] = index
+        _live_tick()
+
+    def _live_tick():
+        if _live_fd[0] is None:
+            return
+        if (_time.monotonic() - _live['at'] >= _LIVE_INTERVAL
+                or len(_shapes) - _live['sent'] >= _LIVE_CHUNK):
+            _live_flush()
+            # Tk delivers events while a turtle is moving, so a key press reaches its
+            # handler even in a program that never calls update().
+            _events_pump()
+
+    def _live_frames(ops):
+        payload = _j.dumps({'v': 2, 'ops': ops}, separators=(',', ':')).encode('utf-8')
+        if len(payload) <= _LIVE_MAX_FRAME:
+            return [payload]
+        if len(ops) > 1:
+            half = len(ops) // 2
+            return _live_frames(ops[:half]) + _live_frames(ops[half:])
+        op = ops[0]
+        if op.get('op') == 'shapes' and len(op['shapes']) > 1:
+            half = len(op['shapes']) // 2
+            return (_live_frames([{'op': 'shapes', 'shapes': op['shapes'][:half]}])
+                    + _live_frames([{'op': 'shapes', 'shapes': op['shapes'][half:]}]))
+        return [payload]   # one shape too large to split; the server decides
+
+    def _live_flush(extra=()):
+        fd = _live_fd[0]
+        if fd is None:
+            return
+        _live['at'] = _time.monotonic()
+        ops = []
+
+        screen = {'bg': _cfg[0]['bg'], 'w': _cfg[0]['w'], 'h': _cfg[0]['h'],
+                  'tracer': _tracer[0], 'speed': _speed[0], 'pic': _cfg[0]['pic']}
+        if screen != _live['screen']:
+            _live['screen'] = screen
+            ops.append(dict(screen, op='screen'))
+        for name, points in _polys.items():
+            if _live['polys'].get(name) != list(points):
+                _live['polys'][name] = list(points)
+                ops.append({'op': 'polygon', 'name': name, 'points': points})
+        for name, shape in _svg_shapes.items():
+            if name not in _live['svg']:
+                _live['svg'].add(name)
+                ops.append({'op': 'svgShape', 'name': name, 'shape': shape})
+
+        start = _live['sent']
+        if _live['dirty'] is not None and _live['dirty'] < start:
+            start = _live['dirty']
+            ops.append({'op': 'truncate', 'length': start})
+        _live['dirty'] = None
+        end = len(_shapes)
+        for i in range(start, end, _LIVE_CHUNK):
+            ops.append({'op': 'shapes', 'shapes': _shapes[i:i + _LIVE_CHUNK]})
+        _live['sent'] = end
+
+        cursors = _cursors_now()
+        if cursors != _live['cursors']:
+            _live['cursors'] = cursors
+            ops.append({'op': 'cursors', 'cursors': cursors})
+        ops.extend(extra)
+
+        if not ops:
+            return
+        try:
+            for payload in _live_frames(ops):
+                view = memoryview(_struct.pack('>I', len(payload)) + payload)
+                while view:
+                    view = view[_os.write(fd, view):]
+        except (OSError, ValueError, TypeError):
+            _live_fd[0] = None
+
+    if _live_fd[0] is not None:
+        # A program waiting for input, or sleeping between frames of an animation,
+        # should be showing what it has drawn so far.
+        import builtins as _builtins
+        _real_input = _builtins.input
+        _real_sleep = _time.sleep
+
+        def _flushing_input(*args):
+            _live_flush()
+            return _real_input(*args)
+
+        def _flushing_sleep(seconds):
+            _live_flush()
+            return _real_sleep(seconds)
+
+        _builtins.input = _flushing_input
+        _time.sleep = _flushing_sleep
+
+    # ── Events ────────────────────────────────────────────────────────────────
+    #
+    # Key presses, clicks and answers to numinput()/textinput() come back from the
+    # turtle window on a second pipe, BROWSER_CODER_GRAPHICS_EVENTS_FD, given only to
+    # a live run. The server validated each one and writes it as a line of JSON:
+    #
+    #   {"type": "key", "key": "Up", "down": true}
+    #   {"type": "click", "x": 12.0, "y": -40.5, "button": 1}
+    #   {"type": "prompt", "id": 3, "value": "42"}      value null: cancelled
+    #   {"type": "close"}                               the student closed the window
+    #
+    # They are delivered where Tk would deliver them: in mainloop(), in update(), and
+    # while the turtle moves. mainloop() returns once nothing could ever call the
+    # program again - no handler, no timer - or when the window is closed or bye()
+    # is called. A game that never ends is ended by the run's own time limits, the
+    # same ones that end any other loop.
+    _events_fd = [None]
+    if _live_fd[0] is not None:
+        try:
+            _events_fd[0] = int(_os.environ.get('BROWSER_CODER_GRAPHICS_EVENTS_FD', ''))
+        except ValueError:
+            pass
+        import select as _select
+        import heapq as _heapq
+    _events = {'buf': b'', 'closed': False, 'busy': False, 'asked': 0, 'answers': {}, 'timers': 0}
+    _key_press = {}          # key name, or None for any key -> [fun]
+    _key_release = {}
+    _screen_clicks = {}      # button -> [fun]
+    _turtle_clicks = []      # [state, button, fun]
+    _timers = []             # heap of (due, order, fun)
+
+    def _bind(table, slot, fun, add):
+        if fun is None:
+            table.pop(slot, None)
+        elif add:
+            table.setdefault(slot, []).append(fun)
+        else:
+            table[slot] = [fun]
+
+    def _bind_key(table, fun, key):
+        _bind(table, None if key is None else str(key), fun, False)
+
+    def _bind_screen_click(fun, btn, add):
+        _bind(_screen_clicks, int(btn), fun, add)
+
+    def _bind_turtle_click(state, fun, btn, add):
+        if not add:
+            _turtle_clicks[:] = [c for c in _turtle_clicks if not (c[0] is state and c[1] == int(btn))]
+        if fun is not None:
+            _turtle_clicks.append([state, int(btn), fun])
+
+    def _add_timer(fun, t):
+        if _events_fd[0] is None or fun is None:
+            return
+        _events['timers'] += 1
+        _heapq.heappush(_timers, (_time.monotonic() + max(0, t) / 1000.0, _events['timers'], fun))
+
+    def _events_read(timeout):
+        # Waits up to `timeout` seconds - None: until something arrives - and returns
+        # what did. End of file means the server is gone; nothing more will come.
+        fd = _events_fd[0]
+        if fd is None or _events['closed']:
+            return []
+        try:
+            ready, _, _ = _select.select([fd], [], [], timeout)
+            chunk = _os.read(fd, 65536) if ready else None
+        except (OSError, ValueError):
+            chunk = b''
+        if chunk is None:
+            return []
+        if not chunk:
+            _events['closed'] = True
+            return []
+        lines = (_events['buf'] + chunk).split(b'\n')
+        _events['buf'] = lines.pop()
+        received = []
+        for line in lines:
+            try:
+                event = _j.loads(line)
+            except ValueError:
+                continue
+            if isinstance(event, dict):
+                received.append(event)
+        return received
+
+    def _call(fun, *args):
+        # An exception in a handler is reported and the loop goes on, as Tk does:
+        # one bad key press must not end the game.
+        try:
+            fun(*args)
+        except Exception:
+            import traceback as _tb
+            _sys.stderr.write('Exception in Tkinter callback\n')
+            _tb.print_exc()
+
+    def _hits(state, x, y):
+        if not state['vis']:
+            return False
+        reach = 10.0 * max(1.0, abs(state['sw']), abs(state['sl']))
+        return (state['x'] - x) ** 2 + (state['y'] - y) ** 2 <= reach * reach
+
+    def _dispatch(event):
+        kind = event.get('type')
+        if kind == 'close':
+            _events['closed'] = True
+        elif kind == 'prompt':
+            _events['answers'][event.get('id')] = event.get('value')
+        elif kind == 'key':
+            table = _key_press if event.get('down') else _key_release
+            for fun in table.get(event.get('key'), []) + table.get(None, []):
+                _call(fun)
+        elif kind == 'click':
+            x, y, btn = float(event.get('x', 0)), float(event.get('y', 0)), event.get('button', 1)
+            # The topmost turtle under the pointer - the one made last - then the screen.
+            for state, button, fun in reversed(_turtle_clicks):
+                if button == btn and _hits(state, x, y):
+                    _call(fun, x, y)
+                    break
+            for fun in _screen_clicks.get(btn, []):
+                _call(fun, x, y)
+
+    def _run_timers():
+        now = _time.monotonic()
+        while _timers and _timers[0][0] <= now:
+            _call(_heapq.heappop(_timers)[2])
+
+    def _events_pump(timeout=0.0):
+        # Never inside a handler: a handler that moves the turtle passes through here,
+        # and delivering the next key in the middle of the last one would reorder them.
+        if _events_fd[0] is None or _events['busy']:
+            return
+        _events['busy'] = True
+        try:
+            _run_timers()
+            for event in _events_read(timeout):
+                _dispatch(event)
+            _run_timers()
+        finally:
+            _events['busy'] = False
+
+    def _events_loop():
+        if _events_fd[0] is None:
+            return
+        while not _events['closed'] and (_key_press or _key_release or _screen_clicks
+                                         or _turtle_clicks or _timers):
+            _live_flush()
+            wait = max(0.0, _timers[0][0] - _time.monotonic()) if _timers else None
+            _events_pump(wait)
+        _live_flush()
+
+    def _ask(kind, title, prompt, default, minval, maxval):
+        # The dialog is modal, as Tk's is: only its answer, or the window closing, is
+        # taken while it is open. None when there is no window to ask in.
+        if _events_fd[0] is None or _live_fd[0] is None:
+            return None
+        _events['asked'] += 1
+        ask_id = _events['asked']
+        _live_flush([{'op': 'prompt', 'id': ask_id, 'kind': kind, 'title': str(title),
+                      'prompt': str(prompt), 'default': default, 'min': minval, 'max': maxval}])
+        while ask_id not in _events['answers'] and not _events['closed'] and _live_fd[0] is not None:
+            for event in _events_read(None):
+                if event.get('type') in ('prompt', 'close'):
+                    _dispatch(event)
+        return _events['answers'].pop(ask_id, None)
+
+    def _numinput(title, prompt, default, minval, maxval):
+        if _events_fd[0] is None:
+            return default
+        def number(value):
+            try:
+                return None if value is None else float(value)
+            except (TypeError, ValueError):
+                return None
+        default, minval, maxval = number(default), number(minval), number(maxval)
+        while True:
+            answer = _ask('number', title, prompt, default, minval, maxval)
+            if answer is None:
+                return None
+            value = number(answer)
+            # The window checks as well; this is the check that holds.
+            if (value is not None and (minval is None or value >= minval)
+                    and (maxval is None or value <= maxval)):
+                return value
+
+    def _textinput(title, prompt):
+        if _events_fd[0] is None:
+            return ''
+        answer = _ask('text', title, prompt, None, None, None)
+        return None if answer is None else str(answer)
+
+    # ── atexit: emit drawing data ─────────────────────────────────────────────
+    def _emit():
+        _live_flush()
+        _cursors = _cursors_now()
 
         data = {
             'bg':     _cfg[0]['bg'],
@@ -1348,7 +1708,6 @@ def _setup_turtle():
         #
         # Using a file rather than stdout also keeps a dense drawing (spirograph,
         # mandala) from being truncated by the 100 KB output cap.
-        import os as _os
         _out_path = _os.environ.get('BROWSER_CODER_GRAPHICS_OUT')
         if _out_path:
             try:
@@ -1576,9 +1935,8 @@ def _setup_turtle():
     def shapetransform(t11=None, t12=None, t21=None, t22=None):
         return _module_turtle().shapetransform(t11, t12, t21, t22)
 
-    # Mouse handlers on the turtle itself. Accepted and recorded, like the existing
-    # onclick: a canvas drawing is a still image here, so a callback can never fire -
-    # but a program that registers one must still run to completion.
+    # Dragging is not sent by the turtle window - a click is - so these are accepted
+    # and never called. A program that registers one must still run to completion.
     def ondrag(fun, btn=1, add=None): pass
 
     def onrelease(fun, btn=1, add=None): pass
@@ -0,0 +1,31 @@
+# ─── Determinism for Browser Coder (Ruby) ───────────────────────────────────
+# A seeded default generator and a frozen `Time.now`, for a run that asked to be
+# deterministic (blueprint §69). Loaded with `-r` before the program, from the
+# seed and clock the pipeline put in the environment.
+#
+# `srand` seeds the generator behind `rand`, `Random.rand`, `Array#shuffle` and
+# `Array#sample`, which is every one a lesson uses. `Time.now` and `Time.new`
+# with no arguments answer the clock; `Time.new(2020, 1, 1)` is still that date.
+#
+# Not fixed: `Date.today` and `DateTime.now`, which the date library reads from
+# the system clock in C, beneath anything Ruby can replace; `Process.clock_gettime`,
+# because a program that times itself must see time pass; and `SecureRandom`,
+# which exists to be unpredictable.
+
+srand(Integer(ENV.fetch('BROWSER_CODER_SEED')))
+
+module BrowserCoderDeterminism
+  CLOCK = Rational(Integer(ENV.fetch('BROWSER_CODER_CLOCK')), 1000)
+
+  module FrozenTime
+    def now(**options)
+      at(CLOCK, **options)
+    end
+
+    def new(*args, **options)
+      args.empty? ? at(CLOCK, **options) : super
+    end
+  end
+end
+
+Time.singleton_class.prepend(BrowserCoderDeterminism::FrozenTime)
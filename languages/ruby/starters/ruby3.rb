@@ -0,0 +1,44 @@
+# Ruby 3.x
+
+# A class with a method
+class User
+  attr_reader :name, :age
+
+  def initialize(name, age)
+    @name = name
+    @age = age
+  end
+
+  def greeting
+    "#{name} is #{age}"
+  end
+end
+
+def fib(n)
+  n <= 1 ? n : fib(n - 1) + fib(n - 2)
+end
+
+puts "Hello, Ruby!"
+
+user = User.new("Nina", 36)
+puts user.greeting
+
+# Arrays, blocks and hashes
+words = %w[ruby is fun]
+puts words.map(&:upcase).join(" ")
+
+counts = words.to_h { |word| [word, word.length] }
+p counts
+
+# Everything is an object, even numbers
+3.times { |i| print i, " " }
+puts
+
+# Ranges and Enumerable
+puts "sum: #{(1..10).sum}, evens: #{(1..10).select(&:even?).inspect}"
+
+puts "fib(10) = #{fib(10)}"
+
+# Uncomment to draw:
+# require 'turtle'
+# 4.times { Turtle.forward 100; Turtle.right 90 }
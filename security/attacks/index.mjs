@@ -12,6 +12,10 @@
  * - php.mjs
  * - java.mjs
  * - csharp.mjs
+ * - go.mjs
+ * - ruby.mjs
+ * - c.mjs
+ * - cpp.mjs
  *
  * Hebrew files:
  * - javascript_he.mjs
@@ -20,6 +24,10 @@
  * - php_he.mjs
  * - java_he.mjs
  * - csharp_he.mjs
+ * - go_he.mjs
+ * - ruby_he.mjs
+ * - c_he.mjs
+ * - cpp_he.mjs
  */
 
 // Default/backwards-compatible exports: English attack vectors
@@ -29,6 +37,10 @@ export { pythonTests } from '../../tests/security/attacks/python.mjs';
 export { phpTests } from '../../tests/security/attacks/php.mjs';
 export { javaTests } from '../../tests/security/attacks/java.mjs';
 export { csharpTests } from '../../tests/security/attacks/csharp.mjs';
+export { goTests } from '../../tests/security/attacks/go.mjs';
+export { rubyTests } from '../../tests/security/attacks/ruby.mjs';
+export { cTests } from '../../tests/security/attacks/c.mjs';
+export { cppTests } from '../../tests/security/attacks/cpp.mjs';
 
 import { javascriptTests as javascriptTestsEn } from '../../tests/security/attacks/javascript.mjs';
 import { typescriptTests as typescriptTestsEn } from '../../tests/security/attacks/typescript.mjs';
@@ -36,6 +48,10 @@ import { pythonTests as pythonTestsEn } from '../../tests/security/attacks/pytho
 import { phpTests as phpTestsEn } from '../../tests/security/attacks/php.mjs';
 import { javaTests as javaTestsEn } from '../../tests/security/attacks/java.mjs';
 import { csharpTests as csharpTestsEn } from '../../tests/security/attacks/csharp.mjs';
+import { goTests as goTestsEn } from '../../tests/security/attacks/go.mjs';
+import { rubyTests as rubyTestsEn } from '../../tests/security/attacks/ruby.mjs';
+import { cTests as cTestsEn } from '../../tests/security/attacks/c.mjs';
+import { cppTests as cppTestsEn } from '../../tests/security/attacks/cpp.mjs';
 
 import { javascriptTests as javascriptTestsHe } from './javascript_he.mjs';
 import { typescriptTests as typescriptTestsHe } from './typescript_he.mjs';
@@ -43,6 +59,10 @@ import { pythonTests as pythonTestsHe } from './python_he.mjs';
 import { phpTests as phpTestsHe } from './php_he.mjs';
 import { javaTests as javaTestsHe } from './java_he.mjs';
 import { csharpTests as csharpTestsHe } from './csharp_he.mjs';
+import { goTests as goTestsHe } from './go_he.mjs';
+import { rubyTests as rubyTestsHe } from './ruby_he.mjs';
+import { cTests as cTestsHe } from './c_he.mjs';
+import { cppTests as cppTestsHe } from './cpp_he.mjs';
 
 export const SUPPORTED_ATTACK_LANGS = ['en', 'he'];
 
@@ -53,6 +73,10 @@ const ENGLISH_TESTS = {
   php: phpTestsEn,
   java: javaTestsEn,
   csharp: csharpTestsEn,
+  go: goTestsEn,
+  ruby: rubyTestsEn,
+  c: cTestsEn,
+  cpp: cppTestsEn,
 };
 
 const HEBREW_TESTS = {
@@ -62,6 +86,10 @@ const HEBREW_TESTS = {
   php: phpTestsHe,
   java: javaTestsHe,
   csharp: csharpTestsHe,
+  go: goTestsHe,
+  ruby: rubyTestsHe,
+  c: cTestsHe,
+  cpp: cppTestsHe,
 };
 
 const TESTS_BY_REPORT_LANGUAGE = {
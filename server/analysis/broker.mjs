@@ -0,0 +1,419 @@
+/**
+ * The analysis broker: one sandboxed Python language service per editor session
+ * (blueprint 7.2, "Analysis broker", and section 63).
+ *
+ * Go-to-definition and hover in the editor are regex heuristics. They cannot follow
+ * `from pkg.mod import helper` to the `def`, and they cannot complete a name at all,
+ * because knowing what `helper.` offers means knowing what `helper` IS. Jedi does:
+ * it parses the project, follows the imports and infers. This runs it the way the
+ * blueprint asks for a language server - bounded, idle-timed-out, sandboxed, and
+ * with no authority to run anything a request names.
+ *
+ * ## One process per session, not per request
+ *
+ * Jedi's value is its cache. A cold `import os` completion parses a slice of the
+ * standard library and costs a second; the same question a keystroke later costs
+ * milliseconds. A process per request would pay the cold price on every keystroke,
+ * so a session keeps its process - and its own job directory, into which the project
+ * is written before each request. Only changed files are rewritten, so Jedi's
+ * modification-time cache stays warm for the rest.
+ *
+ * Every request carries the whole project, as a check does. That is what makes a
+ * session disposable: one reaped for idleness, killed for overrunning, or living on
+ * a different replica is rebuilt from the next request with nothing lost but warmth.
+ *
+ * ## Bounded three ways
+ *
+ * - At most `maxSessions` processes. Past that a NEW session is refused with 429
+ *   `analysis_busy` and the client falls back to its regex providers; sessions that
+ *   already exist keep being served.
+ * - A session untouched for `idleMs` is killed and its directory deleted. A student
+ *   who closed the tab does not hold a process until the server restarts.
+ * - A request that takes longer than `requestTimeoutMs` kills the process - a Jedi
+ *   wedged on one pathological file would otherwise wedge every later question too -
+ *   and answers 504. The next request starts a fresh one.
+ *
+ * The host also caps its own address space (`memoryMb`), so inference on a
+ * pathological file fails with MemoryError rather than taking the container down.
+ *
+ * ## Obsolete work
+ *
+ * Jedi answers one question at a time, so a session queues. A question whose asker
+ * has gone - Monaco cancels a completion the moment the next key is typed, which
+ * aborts the request - is dropped from the queue before it reaches Jedi, so a burst
+ * of typing costs one answer, not one per keystroke.
+ */
+
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { ExecutionRefused } from '../execution/pipeline.mjs';
+import { Job } from '../execution/job.mjs';
+import { killTree } from '../execution/process-runner.mjs';
+import { buildSandboxEnv } from '../execution/sandbox-env.mjs';
+import { DEFAULT_PATH_LIMITS, normalizeWorkspacePath, validateFileSet } from '../domain/paths.mjs';
+import { log } from '../logging.mjs';
+
+const HOST_PATH = fileURLToPath(new URL('./jedi_host.py', import.meta.url));
+
+/** What the host answers. Anything else is refused before it reaches a process. */
+export const ANALYSIS_METHODS = Object.freeze(['complete', 'signatures', 'definition', 'references', 'rename']);
+
+/** Languages with a broker. The route refuses the rest with `analysis_unsupported`. */
+export const ANALYSIS_LANGUAGES = Object.freeze(['python']);
+
+/**
+ * A session key is chosen by the client (a random UUID per page) and is the only
+ * thing tying two requests to one process, so it is held to a shape that cannot be
+ * a path, a log-injection vector or an enumeration of someone else's.
+ */
+const SESSION_KEY = /^[A-Za-z0-9_-]{16,64}$/;
+
+/** How long a new process may take to import Jedi and say it is ready. */
+const STARTUP_TIMEOUT_MS = 15000;
+
+/** The host's answers are small; a line longer than this is a fault, not an answer. */
+const MAX_LINE_CHARS = 4 * 1024 * 1024;
+
+class AnalysisSession {
+  constructor({ key, ip, jobRoot, config, onExit }) {
+    this.key = key;
+    /** Whose session this is, for the per-connection cap. */
+    this.ip = ip;
+    this.config = config;
+    this.job = new Job(jobRoot, 'analysis');
+    this.lastUsedAt = Date.now();
+    /** path -> content, as last written, so an unchanged file keeps its mtime. */
+    this.written = new Map();
+    this.pending = new Map();
+    this.nextId = 1;
+    /** The tail of the request chain. Each request waits for the one before it. */
+    this.queue = Promise.resolve();
+    this.exited = false;
+    /** Set once the process is being ended; the broker replaces a dead session. */
+    this.dead = false;
+
+    const limits = config.analysis;
+    this.child = spawn(config.tools.python, [HOST_PATH, String(limits.memoryMb)], {
+      cwd: this.job.dir,
+      env: buildSandboxEnv({ jobDir: this.job.dir, config }),
+      stdio: ['pipe', 'pipe', 'pipe'],
+      detached: process.platform !== 'win32',
+      shell: false,
+      windowsHide: true,
+    });
+
+    this.ready = new Promise((resolve, reject) => {
+      this.resolveReady = resolve;
+      this.rejectReady = reject;
+    });
+    // Observed here so a session nobody awaited yet cannot raise an unhandled rejection.
+    this.ready.catch(() => {});
+    this.startupTimer = setTimeout(() => this.fail('timeout', 'Jedi did not start in time'), STARTUP_TIMEOUT_MS);
+
+    let buffered = '';
+    this.child.stdout.setEncoding('utf8');
+    this.child.stdout.on('data', text => {
+      buffered += text;
+      if (buffered.length > MAX_LINE_CHARS && !buffered.includes('\n')) {
+        this.fail('failed', 'Oversized answer from the analysis host');
+        return;
+      }
+      let newline;
+      while ((newline = buffered.indexOf('\n')) !== -1) {
+        const line = buffered.slice(0, newline);
+        buffered = buffered.slice(newline + 1);
+        this.receive(line);
+      }
+    });
+
+    // Jedi logs nothing we need, but an unread pipe fills and blocks the process.
+    let stderr = '';
+    this.child.stderr.setEncoding('utf8');
+    this.child.stderr.on('data', text => {
+      stderr = (stderr + text).slice(-4000);
+    });
+
+    // Writing to a process that has just died is EPIPE; the close below reports it.
+    this.child.stdin.on('error', () => {});
+
+    let ended = false;
+    const end = () => {
+      if (ended) return;
+      ended = true;
+      onExit(this);
+    };
+    // A missing interpreter is an `error` and may never be followed by `close`.
+    this.child.on('error', error => {
+      this.exited = true;
+      this.fail('unavailable', error.message);
+      end();
+    });
+    this.child.on('close', code => {
+      this.exited = true;
+      if (code && stderr) log('warn', 'analysis_host_exited', { code, stderr: stderr.slice(-500) });
+      this.fail('failed', 'The analysis host exited');
+      end();
+    });
+  }
+
+  receive(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      return;
+    }
+
+    if ('ready' in message) {
+      clearTimeout(this.startupTimer);
+      if (message.ready) this.resolveReady(message);
+      else this.fail('unavailable', message.error || 'Jedi is not installed');
+      return;
+    }
+
+    const waiter = this.pending.get(message.id);
+    if (!waiter) return;
+    this.pending.delete(message.id);
+    waiter.settle(message);
+  }
+
+  /**
+   * End the session's process and fail everything still waiting on it.
+   *
+   * @param {'unavailable'|'timeout'|'failed'} outcome  what the waiting requests report
+   */
+  fail(outcome, message) {
+    this.dead = true;
+    clearTimeout(this.startupTimer);
+    this.rejectReady(Object.assign(new Error(message), { outcome }));
+    for (const waiter of this.pending.values()) waiter.settle({ outcome, error: message });
+    this.pending.clear();
+    if (!this.exited) killTree(this.child, 'SIGKILL');
+  }
+
+  /** Bring the job directory in line with the project this request describes. */
+  sync(files) {
+    const wanted = new Set(files.map(file => file.name));
+    for (const name of this.written.keys()) {
+      if (wanted.has(name)) continue;
+      fs.rmSync(this.job.absolute(name), { force: true });
+      this.written.delete(name);
+      this.pruneEmptyParents(name);
+    }
+    for (const file of files) {
+      if (this.written.get(file.name) === file.content) continue;
+      this.job.writeFile(file.name, file.content);
+      this.written.set(file.name, file.content);
+    }
+  }
+
+  /** A folder emptied by a deletion goes too, or a later file of the same name could not be written. */
+  pruneEmptyParents(name) {
+    for (let parent = path.posix.dirname(name); parent !== '.'; parent = path.posix.dirname(parent)) {
+      try {
+        fs.rmdirSync(this.job.absolute(parent));
+      } catch {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Ask one question, after every question asked before it.
+   *
+   * @returns {Promise<{outcome: 'answered', result: object}
+   *   |{outcome: 'cancelled'|'unavailable'|'timeout'|'failed', error?: string}>}
+   */
+  ask({ files, request, signal }) {
+    this.lastUsedAt = Date.now();
+    const turn = this.queue.then(async () => {
+      if (signal?.aborted) return { outcome: 'cancelled' };
+      try {
+        await this.ready;
+      } catch (error) {
+        return { outcome: error.outcome ?? 'failed', error: error.message };
+      }
+      if (signal?.aborted) return { outcome: 'cancelled' };
+
+      this.sync(files);
+      return this.send(request);
+    });
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  send(request) {
+    const id = this.nextId++;
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        log('warn', 'analysis_timeout', { method: request.method });
+        this.fail('timeout', 'Jedi took too long');
+      }, this.config.analysis.requestTimeoutMs);
+
+      this.pending.set(id, {
+        settle: message => {
+          clearTimeout(timer);
+          this.lastUsedAt = Date.now();
+          if (message.outcome) resolve(message);
+          else if (message.error) resolve({ outcome: 'failed', error: message.error });
+          else resolve({ outcome: 'answered', result: message.result });
+        },
+      });
+      this.child.stdin.write(`${JSON.stringify({ id, ...request })}\n`);
+    });
+  }
+
+  stop() {
+    this.fail('failed', 'The analysis session ended');
+    this.job.dispose();
+  }
+}
+
+export class AnalysisBroker {
+  /**
+   * @param {object} options
+   * @param {object} options.config   CONFIG
+   * @param {string} options.jobRoot  parent directory for the sessions' job directories
+   */
+  constructor({ config, jobRoot }) {
+    this.config = config;
+    this.jobRoot = jobRoot;
+    /** @type {Map<string, AnalysisSession>} */
+    this.sessions = new Map();
+    this.sweeper = null;
+  }
+
+  /** Arm the idle sweep. A call rather than a constructor side effect, like the stores. */
+  start() {
+    const interval = Math.max(1000, Math.min(60000, Math.floor(this.config.analysis.idleMs / 2)));
+    this.sweeper = setInterval(() => this.sweep(), interval);
+    this.sweeper.unref?.();
+  }
+
+  stop() {
+    if (this.sweeper) clearInterval(this.sweeper);
+    this.sweeper = null;
+    for (const session of this.sessions.values()) session.stop();
+    this.sessions.clear();
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+
+  /** Directories the job reaper must leave alone. */
+  liveDirectories() {
+    return new Set([...this.sessions.values()].map(session => session.job.dir));
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, session] of this.sessions) {
+      if (now - session.lastUsedAt < this.config.analysis.idleMs) continue;
+      this.sessions.delete(key);
+      session.stop();
+    }
+  }
+
+  /**
+   * Validate a request without touching a process or the filesystem.
+   *
+   * The same file-set rules as a run, and nothing more: no dangerous-pattern scan,
+   * because nothing here is executed, and refusing to complete a name in a file that
+   * mentions `os.system` would be a strange way to enforce a policy about running it.
+   */
+  validate({ session, language, method, files, path: target, line, column, newName }) {
+    if (typeof session !== 'string' || !SESSION_KEY.test(session)) {
+      throw new ExecutionRefused('session_invalid', 'Missing or malformed analysis session');
+    }
+    if (!language || typeof language !== 'string') {
+      throw new ExecutionRefused('language_missing', 'Missing language');
+    }
+    if (!ANALYSIS_LANGUAGES.includes(language)) {
+      throw new ExecutionRefused('analysis_unsupported', `No analysis service for ${language}`);
+    }
+    if (!ANALYSIS_METHODS.includes(method)) {
+      throw new ExecutionRefused('method_unsupported', `Unknown analysis method: ${String(method)}`);
+    }
+    if (!Number.isInteger(line) || line < 1 || !Number.isInteger(column) || column < 1) {
+      throw new ExecutionRefused('position_invalid', 'line and column must be positive integers');
+    }
+    if (method === 'rename' && typeof newName !== 'string') {
+      throw new ExecutionRefused('name_missing', 'A rename needs newName');
+    }
+
+    const limits = { ...DEFAULT_PATH_LIMITS, maxPathChars: this.config.execution.maxPathChars };
+    const validated = validateFileSet(Array.isArray(files) ? files : [], {
+      limits,
+      maxFiles: this.config.execution.maxProjectFiles,
+      maxTotalContentChars: this.config.execution.maxCodeChars,
+    });
+    if (!validated.ok) throw new ExecutionRefused(validated.code, validated.message);
+
+    const normalized = normalizeWorkspacePath(target, limits);
+    const file = normalized.ok ? validated.files.find(item => item.name === normalized.path) : null;
+    if (!file) throw new ExecutionRefused('path_invalid', 'path must name a file in the project');
+
+    return {
+      key: session,
+      // Only what Jedi reads. An image in the project is nothing to it.
+      files: validated.files.filter(item => item.name.endsWith('.py') || item.name.endsWith('.pyi')),
+      request: { method, path: file.name, line, column, ...(method === 'rename' ? { newName } : {}) },
+    };
+  }
+
+  /**
+   * Refuse a NEW session past either cap, as the session registry does for runs.
+   *
+   * The session key is the client's to choose, so the total alone let one connection
+   * mint keys until every session was its own and the rest of the class fell back to
+   * regex completion for five idle minutes. Per connection, a client that mints keys
+   * only runs into its own limit.
+   */
+  checkCapacity(ip) {
+    if (this.sessions.size >= this.config.analysis.maxSessions) {
+      throw new ExecutionRefused('analysis_busy', 'Every analysis session is in use', { status: 429 });
+    }
+    let perIp = 0;
+    for (const session of this.sessions.values()) if (session.ip === ip) perIp += 1;
+    if (perIp >= this.config.analysis.maxSessionsPerIp) {
+      throw new ExecutionRefused('analysis_busy', 'Too many analysis sessions from your connection', { status: 429 });
+    }
+  }
+
+  /**
+   * Answer one question about a project.
+   *
+   * @param {object} request  the route's body: session, language, method, files, path,
+   *   line, column, and newName for a rename
+   * @param {AbortSignal} [signal]  aborted when the asker has gone
+   * @param {string} [ip]  the asker's address. Sessions are keyed under it, so the
+   *   same key from another connection is another session, never this one's files.
+   */
+  async ask(request, signal, ip = 'unknown') {
+    const plan = this.validate(request);
+    const key = `${ip} ${plan.key}`;
+
+    let session = this.sessions.get(key);
+    if (!session || session.dead) {
+      if (session) this.sessions.delete(key);
+      this.checkCapacity(ip);
+      session = new AnalysisSession({
+        key,
+        ip,
+        jobRoot: this.jobRoot,
+        config: this.config,
+        onExit: ended => {
+          // A session that died is forgotten, so the next request starts a new one.
+          if (this.sessions.get(ended.key) === ended) this.sessions.delete(ended.key);
+          ended.job.dispose();
+        },
+      });
+      this.sessions.set(key, session);
+    }
+
+    return session.ask({ files: plan.files, request: plan.request, signal });
+  }
+}
@@ -0,0 +1,186 @@
+# ─── Jedi host for the Python analysis broker (blueprint section 63) ──────────
+# One long-lived process per editor session, answering questions about the
+# session's project over plain pipes, one JSON object per line:
+#
+#   stdin   <- {"id": 7, "method": "complete", "path": "main.py",
+#               "line": 3, "column": 9}
+#   stdout  -> {"id": 7, "result": {...}}   or   {"id": 7, "error": "..."}
+#
+# The broker writes the project into our working directory before each request,
+# so the files on disk ARE the project; nothing here ever receives source text.
+# Lines are 1-based and columns 1-based on the wire, as Monaco counts them - Jedi
+# counts columns from 0, and the conversion happens here, once.
+#
+# Usage: jedi_host.py <memory-limit-mb>
+#
+# The first line written is the handshake: {"ready": true, "jedi": "<version>"},
+# or {"ready": false, "error": "..."} when Jedi cannot be imported - which the
+# broker reports as "unavailable" rather than as a crash.
+#
+# Nothing the student wrote is executed. Jedi parses and infers; it imports only
+# compiled modules from the interpreter's own path, to read their signatures, and
+# does it in THIS process (InterpreterEnvironment) rather than a helper it would
+# otherwise start, so the one process the broker bounds and kills is the whole of it.
+
+import json
+import os
+import resource
+import sys
+
+MAX_COMPLETIONS = 200
+MAX_LOCATIONS = 500
+
+
+def limit_memory(megabytes):
+    if megabytes <= 0:
+        return
+    limit = megabytes * 1024 * 1024
+    resource.setrlimit(resource.RLIMIT_AS, (limit, limit))
+
+
+def send(message):
+    sys.stdout.write(json.dumps(message) + '\n')
+    sys.stdout.flush()
+
+
+def workspace_path(root, module_path):
+    """A Jedi path as a workspace path, or None when it is not in the project."""
+    if module_path is None:
+        return None
+    absolute = os.path.realpath(str(module_path))
+    if not absolute.startswith(root + os.sep):
+        return None
+    return os.path.relpath(absolute, root).replace(os.sep, '/')
+
+
+def location(root, name):
+    path = workspace_path(root, name.module_path)
+    if path is None or name.line is None or name.column is None:
+        return None
+    return {
+        'path': path,
+        'line': name.line,
+        'column': name.column + 1,
+        'endLine': name.line,
+        'endColumn': name.column + 1 + len(name.name),
+    }
+
+
+def locations(root, names):
+    found = []
+    seen = set()
+    for name in names:
+        entry = location(root, name)
+        if entry is None:
+            continue
+        key = (entry['path'], entry['line'], entry['column'])
+        if key in seen:
+            continue
+        seen.add(key)
+        found.append(entry)
+        if len(found) >= MAX_LOCATIONS:
+            break
+    return found
+
+
+def complete(script, request, _root):
+    items = []
+    for completion in script.complete(request['line'], request['column'] - 1):
+        items.append({
+            'label': completion.name,
+            'kind': completion.type,
+            'detail': completion.description,
+        })
+        if len(items) >= MAX_COMPLETIONS:
+            break
+    return {'items': items}
+
+
+def signatures(script, request, _root):
+    found = []
+    for signature in script.get_signatures(request['line'], request['column'] - 1):
+        found.append({
+            'label': signature.to_string(),
+            'parameters': [parameter.to_string() for parameter in signature.params],
+            'activeParameter': signature.index,
+            'documentation': signature.docstring(raw=True),
+        })
+    return {'signatures': found}
+
+
+def definition(script, request, root):
+    names = script.goto(request['line'], request['column'] - 1, follow_imports=True)
+    return {'locations': locations(root, names)}
+
+
+def references(script, request, root):
+    names = script.get_references(request['line'], request['column'] - 1, include_builtins=False)
+    return {'locations': locations(root, names)}
+
+
+def rename(script, request, root):
+    new_name = request.get('newName', '')
+    if not isinstance(new_name, str) or not new_name.isidentifier():
+        return {'rejectReason': f'"{new_name}" is not a Python name'}
+
+    names = script.get_references(request['line'], request['column'] - 1, include_builtins=True)
+    if not names:
+        return {'rejectReason': 'There is nothing here to rename'}
+
+    # Renaming is all-or-nothing. A name defined in the standard library or an
+    # installed package cannot be renamed THERE, so renaming only the student's half
+    # would break the program rather than refactor it.
+    found = locations(root, names)
+    if len(found) != len(names):
+        return {'rejectReason': f'"{names[0].name}" is defined outside this project'}
+
+    return {'edits': [dict(entry, text=new_name) for entry in found]}
+
+
+def main():
+    limit_memory(int(sys.argv[1]) if len(sys.argv) > 1 else 0)
+    try:
+        import jedi
+    except ImportError as error:
+        send({'ready': False, 'error': f'jedi is not installed: {error}'})
+        return
+
+    root = os.path.realpath(os.getcwd())
+    environment = jedi.InterpreterEnvironment()
+    project = jedi.Project(root, added_sys_path=[root], load_unsafe_extensions=False)
+    send({'ready': True, 'jedi': jedi.__version__})
+
+    for line in sys.stdin:
+        try:
+            request = json.loads(line)
+        except ValueError:
+            continue
+
+        handler = HANDLERS.get(request.get('method'))
+        if handler is None:
+            send({'id': request.get('id'), 'error': 'unknown method'})
+            continue
+
+        path = os.path.join(root, request.get('path', ''))
+        try:
+            with open(path, encoding='utf-8') as source:
+                code = source.read()
+            script = jedi.Script(code, path=path, project=project, environment=environment)
+            send({'id': request['id'], 'result': handler(script, request, root)})
+        except MemoryError:
+            send({'id': request.get('id'), 'error': 'out of memory'})
+        except Exception as error:  # A Jedi bug on one file must not end the session.
+            send({'id': request.get('id'), 'error': f'{type(error).__name__}: {error}'})
+
+
+HANDLERS = {
+    'complete': complete,
+    'signatures': signatures,
+    'definition': definition,
+    'references': references,
+    'rename': rename,
+}
+
+
+if __name__ == '__main__':
+    main()
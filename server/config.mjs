@@ -148,6 +148,8 @@ const MAX_CONCURRENT = deriveMaxConcurrent({
   override: intFromEnv('MAX_CONCURRENT', 0),
 });
 
+const MAX_ANALYSIS_SESSIONS = intFromEnv('MAX_ANALYSIS_SESSIONS', Math.max(1, Math.floor(MAX_CONCURRENT / 4)));
+
 export const CONFIG = {
   port: intFromEnv('PORT', 3001),
   isDev: process.env.NODE_ENV !== 'production',
@@ -163,6 +165,19 @@ export const CONFIG = {
     java: stringFromEnv('JAVA_BIN', 'java'),
     javac: stringFromEnv('JAVAC_BIN', 'javac'),
     dotnet: stringFromEnv('DOTNET_BIN', 'dotnet'),
+    go: stringFromEnv('GO_BIN', 'go'),
+    ruby: stringFromEnv('RUBY_BIN', 'ruby'),
+    cc: stringFromEnv('CC_BIN', 'gcc'),
+    cxx: stringFromEnv('CXX_BIN', 'g++'),
+    // The formatters behind POST /api/format (blueprint section 61). C# uses `dotnet`
+    // above. Each is optional: where one is absent the client formats locally.
+    ruff: stringFromEnv('RUFF_BIN', 'ruff'),
+    googleJavaFormat: stringFromEnv('GOOGLE_JAVA_FORMAT_BIN', 'google-java-format'),
+    phpCsFixer: stringFromEnv('PHP_CS_FIXER_BIN', 'php-cs-fixer'),
+    // The PHP linter behind POST /api/lint (blueprint section 62). Python lints with
+    // `ruff` above, Java with `javac`, C# with `dotnet`, and JavaScript and TypeScript
+    // with ESLint in process, so this is the only linter with a binary of its own.
+    phpstan: stringFromEnv('PHPSTAN_BIN', 'phpstan'),
     // The C# debugger: dncdbg, the netcoredbg maintainer's fork, which is the only
     // .NET debugger that works on musl (see blueprint section 49). Not packaged for
     // Alpine, so the image unpacks its published linux-musl-x64 build here. Where it
@@ -181,6 +196,11 @@ export const CONFIG = {
     // Java pays for javac on every run; .NET pays for the first build.
     javaTimeoutMs: intFromEnv('JAVA_TIMEOUT_MS', 30000),
     csharpTimeoutMs: intFromEnv('CSHARP_TIMEOUT_MS', 45000),
+    // A native compiler's own budget. Go builds its standard library into the build
+    // cache the first time a package is imported - measured at about nine seconds for
+    // `fmt` on one core - which would not fit in a run's ten. gcc and g++ share it: a
+    // sanitized C++ build of a few files takes several seconds of its own.
+    nativeTimeoutMs: intFromEnv('NATIVE_TIMEOUT_MS', 30000),
 
     /*
      * The live check's own budget, separate from a run's.
@@ -203,6 +223,24 @@ export const CONFIG = {
      */
     maxConcurrentChecks: intFromEnv('MAX_CONCURRENT_CHECKS', Math.max(2, Math.floor(MAX_CONCURRENT / 2))),
 
+    /*
+     * A formatter's budget, and how many may run at once.
+     *
+     * Shorter than a check's: the student pressed a key and is watching for the result,
+     * and the client has the local formatter to fall back on, so a slow answer is worth
+     * less than a quick local one. `dotnet format` on one file takes about three
+     * seconds cold. The concurrency cap sheds with 429 for the same reason as checks.
+     */
+    formatTimeoutMs: intFromEnv('FORMAT_TIMEOUT_MS', 8000),
+    maxConcurrentFormats: intFromEnv('MAX_CONCURRENT_FORMATS', Math.max(1, Math.floor(MAX_CONCURRENT / 4))),
+
+    /*
+     * How many lints may run at once. Lints ride the same pause in typing as checks,
+     * and shed the same way, but from a pool of their own: a slow linter must not be
+     * the reason a check is refused. The lint itself runs on the check's budget.
+     */
+    maxConcurrentLints: intFromEnv('MAX_CONCURRENT_LINTS', Math.max(1, Math.floor(MAX_CONCURRENT / 4))),
+
     // Derived from the real memory budget rather than the host's (V-36). See
     // deriveMaxConcurrent() above.
     maxConcurrent: MAX_CONCURRENT,
@@ -241,6 +279,16 @@ export const CONFIG = {
       MAX_CONCURRENT,
     ),
     maxInteractiveSessionsPerIp: intFromEnv('MAX_INTERACTIVE_PER_IP', 50),
+
+    // The WebSocket session channel (blueprint section 11.1). Each session keeps its
+    // recent events in a ring bounded by BOTH numbers, so a reconnect can replay what
+    // the student missed; a session whose socket dropped survives the grace period
+    // waiting for it to come back, and a finished one is kept briefly so a client
+    // that reconnects just after the exit still receives it.
+    sessionReplayEvents: intFromEnv('SESSION_REPLAY_EVENTS', 4000),
+    sessionReplayBytes: intFromEnv('SESSION_REPLAY_BYTES', 1024 * 1024),
+    sessionDetachGraceMs: intFromEnv('SESSION_DETACH_GRACE_MS', 60000),
+    sessionRetainMs: intFromEnv('SESSION_RETAIN_MS', 60000),
   },
 
   /*
@@ -309,6 +357,77 @@ export const CONFIG = {
     sweepIntervalMs: intFromEnv('SHARE_SWEEP_MS', 60 * 60 * 1000),
   },
 
+  /**
+   * Offline dependency layers (blueprint 12.6 and section 56).
+   *
+   * A project with a hash-pinned `requirements.txt` or a `package-lock.json` gets
+   * those packages, installed ONLY from `mirrorDirectory` - a folder the operator fills
+   * with wheels (`pypi/`) and registry tarballs (`npm/`). Nothing is ever fetched.
+   *
+   * Off unless `DEPENDENCY_MIRROR_DIR` is set, so a deployment that never set it runs
+   * every program exactly as before. The cache, like the blob cache, should be shared
+   * across replicas to be worth much, and can be deleted at any time.
+   */
+  dependencies: {
+    mirrorDirectory: stringFromEnv('DEPENDENCY_MIRROR_DIR', null),
+    directory: process.env.DEPENDENCY_CACHE_DIR || path.join(os.tmpdir(), 'browser-coder-dependencies'),
+    ttlMs: intFromEnv('DEPENDENCY_CACHE_TTL_MS', 14 * 24 * 60 * 60 * 1000),
+    sweepIntervalMs: intFromEnv('DEPENDENCY_CACHE_SWEEP_MS', 60 * 60 * 1000),
+    limits: {
+      maxPackages: intFromEnv('DEPENDENCY_MAX_PACKAGES', 200),
+      maxFiles: intFromEnv('DEPENDENCY_MAX_FILES', 20000),
+      /** Expanded size of one whole layer, every package together. */
+      maxBytes: intFromEnv('DEPENDENCY_MAX_BYTES', 200 * 1024 * 1024),
+      /** One archive as it sits in the mirror, before expansion. */
+      maxArchiveBytes: intFromEnv('DEPENDENCY_MAX_ARCHIVE_BYTES', 50 * 1024 * 1024),
+      scriptTimeoutMs: intFromEnv('DEPENDENCY_SCRIPT_TIMEOUT_MS', 60 * 1000),
+    },
+    /**
+     * Packages whose install scripts an operator has vetted, as `name@version`,
+     * comma-separated. Empty by default: no install script runs.
+     */
+    allowScripts: (process.env.DEPENDENCY_ALLOW_SCRIPTS || '')
+      .split(',')
+      .map(item => item.trim())
+      .filter(Boolean),
+  },
+
+  /**
+   * Go's build cache (blueprint section 58).
+   *
+   * Shared between jobs, unlike everything else a run writes, because the alternative
+   * is measured: a cold cache spends about nine seconds compiling `fmt` and the runtime
+   * on every single run, a warm one links in forty milliseconds. It is safe to share
+   * because entries are keyed by a hash of their inputs, so one program's build can
+   * never be served for another's source, and it is handed to `go build` only - the
+   * student's program is launched without it. Deletable at any time.
+   */
+  go: {
+    buildCacheDirectory: process.env.GO_BUILD_CACHE_DIR || path.join(os.tmpdir(), 'browser-coder-go-cache'),
+  },
+
+  /**
+   * The Python analysis broker behind POST /api/analysis (blueprint section 63): one
+   * Jedi process per editor session, for completion, signature help, definitions,
+   * references and rename.
+   *
+   * A session holds a process between keystrokes, so the cap is on sessions rather
+   * than requests, and a quarter of the run budget by default - analysis is a
+   * convenience, and a class typing must never be the reason a Run is refused. Past
+   * the cap a new session is a 429 and the editor uses its regex providers. One
+   * connection may hold half of them, rounded up, so a client minting session keys
+   * cannot take them all - `maxInteractiveSessionsPerIp` for runs. An idle session is
+   * reaped; a request past its budget kills the process, which the next request
+   * replaces. `memoryMb` is the address-space limit the host sets on itself.
+   */
+  analysis: {
+    maxSessions: MAX_ANALYSIS_SESSIONS,
+    maxSessionsPerIp: intFromEnv('MAX_ANALYSIS_PER_IP', Math.ceil(MAX_ANALYSIS_SESSIONS / 2)),
+    idleMs: intFromEnv('ANALYSIS_IDLE_MS', 5 * 60 * 1000),
+    requestTimeoutMs: intFromEnv('ANALYSIS_TIMEOUT_MS', 10000),
+    memoryMb: intFromEnv('ANALYSIS_MEMORY_MB', 512),
+  },
+
   preview: {
     maxHtmlBytes: intFromEnv('PREVIEW_MAX_BYTES', 5 * 1024 * 1024),
     maxFileCount: intFromEnv('PREVIEW_MAX_FILES', 250),
@@ -45,6 +45,11 @@ import { normalizeWorkspacePath } from '../domain/paths.mjs';
 export const DEBUG_PORT_ENV = 'BROWSER_CODER_DEBUG_PORT';
 export const DEBUG_TOKEN_ENV = 'BROWSER_CODER_DEBUG_TOKEN';
 export const DEBUG_PROGRAM_ENV = 'BROWSER_CODER_DEBUG_PROGRAM';
+/**
+ * Set, to `1`, when the run asked to be recorded (blueprint section 73). Only an adapter
+ * whose manifest declares `debugRecording` is given it; any other would ignore it.
+ */
+export const DEBUG_RECORD_ENV = 'BROWSER_CODER_DEBUG_RECORD';
 
 /**
  * How long to wait for the adapter to connect.
@@ -252,6 +257,15 @@ const COMMAND_SHAPES = {
   stepOut: () => ({ command: 'stepOut' }),
   stop: () => ({ command: 'stop' }),
 
+  /*
+   * Backwards, through what a recorded session kept (blueprint section 73). Neither
+   * moves the program: the adapter replays its recording and the process stays paused
+   * where it really is. An adapter that is not recording answers with an error event,
+   * as it does for any command it does not know.
+   */
+  stepBack: () => ({ command: 'stepBack' }),
+  reverseContinue: () => ({ command: 'reverseContinue' }),
+
   setBreakpoints: body => {
     const clean = cleanLines(body?.lines);
 
@@ -414,4 +428,19 @@ export function buildDebugCommand(name, body) {
 
 export const DEBUG_COMMANDS = Object.keys(COMMAND_SHAPES);
 
+/**
+ * The `debug` field of a run request: `true`, or `{ record: true }` for a recorded
+ * session. Returns null when the run is not to be debugged.
+ *
+ * `true` stays the whole v1 shape, so a client that never heard of recording sends what
+ * it always sent. Anything else - `false`, a string, an array - is not a debug run,
+ * which is what `=== true` made of it before; a `record` that is not a boolean is not a
+ * recording.
+ */
+export function parseDebugRequest(value) {
+  if (value === true) return { record: false };
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  return { record: value.record === true };
+}
+
 export default DebugChannel;
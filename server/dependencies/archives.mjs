@@ -0,0 +1,294 @@
+/**
+ * Reading wheels (zip) and npm tarballs (tar.gz), written out under hard limits.
+ *
+ * Hand-written rather than a dependency, for the same reason the blob store's digest
+ * parser is: the formats are small, the subset a package archive uses is smaller, and
+ * the one thing that matters - that nothing is written outside the layer and nothing
+ * expands past its budget - is easier to be sure of in two hundred lines read here than
+ * in an archive library's general-purpose extraction.
+ *
+ * The archive's hash has already been checked against the lock before it reaches this
+ * file, so this is not where trust is decided. It is where a package the operator put
+ * in the mirror is prevented from being MORE than files: no absolute paths, no `..`, no
+ * symlinks or hard links out of the layer, no device files, and no zip bomb.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+
+import { DependencyError } from './errors.mjs';
+
+/**
+ * Counts files and bytes across every archive going into ONE layer, so the limits are
+ * on the layer as a whole. Per-archive limits alone would let a lock of two hundred
+ * packages each just under the bound add up to two hundred times it.
+ */
+export class ExtractionBudget {
+  #maxFiles;
+  #maxBytes;
+  files = 0;
+  bytes = 0;
+
+  constructor({ maxFiles, maxBytes }) {
+    this.#maxFiles = maxFiles;
+    this.#maxBytes = maxBytes;
+  }
+
+  /** Bytes still allowed, for bounding a decompression before it happens. */
+  get remainingBytes() {
+    return Math.max(0, this.#maxBytes - this.bytes);
+  }
+
+  charge(size) {
+    this.files += 1;
+    this.bytes += size;
+    if (this.files > this.#maxFiles) {
+      throw new DependencyError(
+        'layer_too_many_files',
+        `The dependencies would install more than ${this.#maxFiles} files.`,
+      );
+    }
+    if (this.bytes > this.#maxBytes) {
+      throw new DependencyError(
+        'layer_too_large',
+        `The dependencies would install more than ${Math.round(this.#maxBytes / 1024 / 1024)} MB.`,
+      );
+    }
+  }
+}
+
+/**
+ * A member name made safe to join onto a directory, or null to refuse it.
+ *
+ * Refuses rather than repairs: an archive that names `../x` or `/etc/x` is not a
+ * package with a typo, and writing it somewhere "close" would hide that.
+ */
+export function safeMemberPath(name) {
+  if (typeof name !== 'string' || name.length === 0 || name.includes('\0') || name.includes('\\')) {
+    return null;
+  }
+  if (name.startsWith('/') || /^[A-Za-z]:/.test(name)) return null;
+  const segments = name.split('/').filter(segment => segment !== '' && segment !== '.');
+  if (segments.length === 0 || segments.some(segment => segment === '..')) return null;
+  return segments.join('/');
+}
+
+/**
+ * Write one member under `root`.
+ *
+ * `wx` so two packages claiming the same file is an error rather than last-one-wins:
+ * which file a program imports must not depend on the order the lock was read in.
+ */
+export function writeMember(root, relative, data, { executable = false } = {}) {
+  const target = path.join(root, ...relative.split('/'));
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  try {
+    fs.writeFileSync(target, data, { flag: 'wx', mode: executable ? 0o755 : 0o644 });
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw new DependencyError('layer_conflict', `Two packages both install "${relative}".`);
+    }
+    throw error;
+  }
+}
+
+// ── zip (wheels) ─────────────────────────────────────────────────────────────
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const S_IFMT = 0o170000;
+const S_IFREG = 0o100000;
+
+/**
+ * The members of a zip archive.
+ *
+ * Read from the central directory, which is the archive's own index, rather than by
+ * scanning local headers - a file can contain a second, different listing in its
+ * local headers, and the central one is what every other reader believes.
+ *
+ * @param {Buffer} buffer
+ * @param {ExtractionBudget} budget
+ * @param {string} label  the archive's name, for messages
+ * @returns {Array<{name: string, data: Buffer, executable: boolean}>}
+ */
+export function readZip(buffer, budget, label) {
+  const corrupt = detail => new DependencyError('archive_invalid', `${label} is not a readable archive (${detail}).`);
+
+  // The end-of-central-directory record sits in the last 22 bytes plus a comment of
+  // at most 65,535 bytes.
+  let eocd = -1;
+  if (buffer.length < 22) throw corrupt('too short');
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xffff); offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) {
+      eocd = offset;
+      break;
+    }
+  }
+  if (eocd < 0) throw corrupt('no end of central directory');
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  const directoryOffset = buffer.readUInt32LE(eocd + 16);
+  if (count === 0xffff || directoryOffset === 0xffffffff) {
+    throw corrupt('zip64 is not supported');
+  }
+
+  const members = [];
+  let offset = directoryOffset;
+  for (let index = 0; index < count; index++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw corrupt('bad central directory');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const mode = buffer.readUInt32LE(offset + 38) >>> 16;
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const rawName = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (rawName.endsWith('/')) continue;
+
+    const name = safeMemberPath(rawName);
+    if (!name) throw corrupt(`unsafe member name "${rawName}"`);
+    if (flags & 0x1) throw corrupt(`"${name}" is encrypted`);
+    // Unix mode 0 means "not recorded", which is an ordinary file.
+    if (mode !== 0 && (mode & S_IFMT) !== S_IFREG) throw corrupt(`"${name}" is not a regular file`);
+
+    budget.charge(size);
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+      throw corrupt(`bad local header for "${name}"`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (compressed.length !== compressedSize) throw corrupt(`"${name}" is truncated`);
+
+    let data;
+    if (method === 0) {
+      data = compressed;
+    } else if (method === 8) {
+      try {
+        // Bounded by the size the directory declared, so a member that lies about it
+        // stops at the lie instead of at the end of the disk.
+        data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(1, size) });
+      } catch {
+        throw corrupt(`"${name}" does not decompress to its declared size`);
+      }
+    } else {
+      throw corrupt(`"${name}" uses compression method ${method}`);
+    }
+    if (data.length !== size) throw corrupt(`"${name}" does not decompress to its declared size`);
+
+    members.push({ name, data, executable: (mode & 0o111) !== 0 });
+  }
+
+  return members;
+}
+
+// ── tar.gz (npm) ─────────────────────────────────────────────────────────────
+
+function tarString(block, start, length) {
+  const end = block.indexOf(0, start);
+  return block.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+}
+
+function tarNumber(block, start, length) {
+  // GNU base-256 for sizes past 8 GiB: never legitimate in a package, so refused.
+  if (block[start] & 0x80) return Number.NaN;
+  const text = tarString(block, start, length).trim();
+  return text === '' ? 0 : Number.parseInt(text, 8);
+}
+
+/** `len key=value\n` records. Only `path` matters here: a size that needs pax is refused anyway. */
+function parsePax(data) {
+  const fields = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    if (space === -1) break;
+    const length = Number.parseInt(data.toString('utf8', offset, space), 10);
+    if (!Number.isFinite(length) || length <= 0) break;
+    const record = data.toString('utf8', space + 1, offset + length - 1);
+    const equals = record.indexOf('=');
+    if (equals > 0) fields[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return fields;
+}
+
+/**
+ * The regular files in a gzipped tarball, with the first path component removed.
+ *
+ * npm tarballs put everything under one top-level folder - `package/` by convention,
+ * but not always - and that folder is the package's root. Symbolic and hard links are
+ * skipped, exactly as npm's own extractor skips them, so a link can never point out of
+ * the layer.
+ *
+ * @param {Buffer} buffer
+ * @param {ExtractionBudget} budget
+ * @param {string} label
+ * @returns {Array<{name: string, data: Buffer, executable: boolean}>}
+ */
+export function readTarGz(buffer, budget, label) {
+  const corrupt = detail => new DependencyError('archive_invalid', `${label} is not a readable archive (${detail}).`);
+
+  let tar;
+  try {
+    // Bounded by what the whole layer has left, so a gzip bomb fails here rather than
+    // after it has filled memory. Tar's own headers and padding need a little more
+    // than the files do.
+    tar = zlib.gunzipSync(buffer, { maxOutputLength: Math.max(1, budget.remainingBytes * 2 + 1024 * 1024) });
+  } catch {
+    throw corrupt('it does not decompress, or expands too far');
+  }
+
+  const members = [];
+  let pending = {};
+  let offset = 0;
+  while (offset + 512 <= tar.length) {
+    const header = tar.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) break;
+
+    const type = String.fromCharCode(header[156] || 0x30);
+    const size = tarNumber(header, 124, 12);
+    if (!Number.isFinite(size) || size < 0) throw corrupt('bad member size');
+    const mode = tarNumber(header, 100, 8);
+    const dataStart = offset + 512;
+    const data = tar.subarray(dataStart, dataStart + size);
+    if (data.length !== size) throw corrupt('truncated member');
+    offset = dataStart + Math.ceil(size / 512) * 512;
+
+    if (type === 'x') {
+      pending = { ...pending, ...parsePax(data) };
+      continue;
+    }
+    if (type === 'L') {
+      pending = { ...pending, path: data.toString('utf8').replace(/\0+$/, '') };
+      continue;
+    }
+    if (type === 'g') continue;
+
+    const prefix = tarString(header, 345, 155);
+    const rawName = pending.path ?? (prefix ? `${prefix}/${tarString(header, 0, 100)}` : tarString(header, 0, 100));
+    pending = {};
+
+    // Directories are implied by the files in them; links and devices are skipped.
+    if (type !== '0' && type !== '\0' && type !== '7') continue;
+
+    const name = safeMemberPath(rawName);
+    if (!name) throw corrupt(`unsafe member name "${rawName}"`);
+    const stripped = name.split('/').slice(1).join('/');
+    if (!stripped) continue;
+
+    budget.charge(size);
+    members.push({ name: stripped, data: Buffer.from(data), executable: (mode & 0o111) !== 0 });
+  }
+
+  return members;
+}
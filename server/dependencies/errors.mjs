@@ -0,0 +1,23 @@
+/**
+ * Why a project's dependencies could not be provided.
+ *
+ * Every failure here is the PROJECT's problem or the MIRROR's, never the student's
+ * program: a lockfile that names a version the mirror does not have, a hash that does
+ * not match, an archive that would expand past its limits. So it is reported the way a
+ * compile error is - `kind: 'diagnostics'` with this message - and the program never
+ * starts. Running it without the packages would only move the same failure to an
+ * `ImportError` on line 1, with a less useful message.
+ */
+export class DependencyError extends Error {
+  /**
+   * @param {string} code    stable identifier, for logs and tests
+   * @param {string} message what the student (or their teacher) can act on
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'DependencyError';
+    this.code = code;
+  }
+}
+
+export default DependencyError;
@@ -0,0 +1,351 @@
+/**
+ * Dependency layers: a project's locked packages, installed once and shared.
+ *
+ * ## What problem this solves
+ *
+ * Jobs run Python with `-I -S` and JavaScript with no `node_modules`, so a lesson that
+ * needs one ordinary library - `lodash`, `chalk`, a pure-Python helper - cannot run at
+ * all. Blueprint 12.6 answers that with controlled capability profiles rather than
+ * "install anything": a project declares a lockfile, packages come ONLY from a local
+ * mirror the operator populated, every archive must match the hash the lock gives, and
+ * install scripts stay off unless a package has been vetted.
+ *
+ * ## Layers, not installs
+ *
+ * Installing per run would make the first line of every program wait on an unzip. A
+ * layer is the installed result of one lock, keyed by everything that could change
+ * what is in it - ecosystem, the canonical lock entries, the language profile, the
+ * architecture, the policy version and the script allowlist - and kept beside the
+ * others. A class of thirty running the same exercise installs it once;
+ * every later run is a directory lookup.
+ *
+ * A layer is built in a temporary directory and renamed into place with its marker
+ * written last, so a reader never sees half a layer and a crash mid-install leaves
+ * only a temporary directory for the sweep. Two runs asking for the same layer in this
+ * process share one build; two REPLICAS racing on a shared cache both build, and the
+ * loser of the rename simply uses the winner's, which is identical by construction.
+ *
+ * ## This is a CACHE
+ *
+ * Exactly as the blob store is: every layer can be deleted at any time and the only
+ * consequence is that the next run installs it again. Modelled on
+ * `server/blobs/store.mjs` down to the shape - explicit start/stop, no import-time
+ * side effects, a writable probe, a TTL sweep.
+ *
+ * ## Unconfigured means unchanged
+ *
+ * With no `DEPENDENCY_MIRROR_DIR`, `isReady` is false and `provide` answers null for
+ * every project, lockfile or not, so a deployment that never set it runs every program
+ * exactly as before. A lockfile is then an ordinary file in the project.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { ExtractionBudget } from './archives.mjs';
+import { DependencyError } from './errors.mjs';
+import { findLockfile, parsePackageLock, parseRequirements } from './lockfiles.mjs';
+import { installNodeLock } from './npm.mjs';
+import { installPythonLock } from './pypi.mjs';
+
+/**
+ * Bumped whenever a change here would install a different tree from the same lock -
+ * a new extraction rule, a different layout. Part of every key, so old layers are
+ * simply never looked up again and age out.
+ */
+export const DEPENDENCY_POLICY_VERSION = 1;
+
+/**
+ * The directory a run's packages are importable from, in the program's environment.
+ * Read by both filesystem guards, which allow READING beneath it and nothing else.
+ */
+export const PACKAGES_ENV = 'BROWSER_CODER_PACKAGES';
+
+/** Written last; a layer directory without it is incomplete and is never used. */
+const MARKER = '.layer.json';
+
+export class DependencyLayers {
+  #mirror;
+  #root;
+  #ttlMs;
+  #limits;
+  #allowScripts;
+  #node;
+  #sweepTimer = null;
+  #ready = false;
+  #log;
+  /** key -> promise of the layer, so concurrent runs of one lock share one build. */
+  #building = new Map();
+
+  /**
+   * @param {object} options
+   * @param {string|null} options.mirrorDirectory  operator-populated; null disables the feature
+   * @param {string} options.directory             where installed layers are kept
+   * @param {number} options.ttlMs
+   * @param {number} options.sweepIntervalMs
+   * @param {{maxPackages: number, maxFiles: number, maxBytes: number, maxArchiveBytes: number,
+   *   scriptTimeoutMs: number}} options.limits
+   * @param {string[]} [options.allowScripts]      `name@version` entries vetted to run install scripts
+   * @param {string} [options.node]                the Node binary an allowed script runs with
+   */
+  constructor({ mirrorDirectory, directory, ttlMs, sweepIntervalMs, limits, allowScripts = [], node = 'node', log = () => {} }) {
+    this.#mirror = mirrorDirectory ? path.resolve(mirrorDirectory) : null;
+    this.#root = directory ? path.resolve(directory) : null;
+    this.#ttlMs = ttlMs;
+    this.sweepIntervalMs = sweepIntervalMs;
+    this.#limits = limits;
+    this.#allowScripts = [...allowScripts].sort();
+    this.#node = node;
+    this.#log = log;
+  }
+
+  /** False means "not configured or not usable" - runs proceed without packages. */
+  get isReady() {
+    return this.#ready;
+  }
+
+  get root() {
+    return this.#root;
+  }
+
+  start() {
+    if (!this.#mirror || !this.#root) return;
+
+    try {
+      // The mirror is read, never written; it only has to exist. A typo in its path
+      // is reported here, once, rather than as "not in the mirror" on every run.
+      if (!fs.statSync(this.#mirror).isDirectory()) throw new Error(`${this.#mirror} is not a directory`);
+      fs.mkdirSync(this.#root, { recursive: true });
+      const probe = path.join(this.#root, `.writable-${process.pid}`);
+      fs.writeFileSync(probe, '');
+      fs.unlinkSync(probe);
+      this.#ready = true;
+    } catch (error) {
+      this.#log('warn', 'dependency_layers_unavailable', { error: error.message });
+      this.#ready = false;
+      return;
+    }
+
+    this.#sweepTimer = setInterval(() => this.sweep(), this.sweepIntervalMs);
+    this.#sweepTimer.unref?.();
+  }
+
+  stop() {
+    if (this.#sweepTimer) clearInterval(this.#sweepTimer);
+    this.#sweepTimer = null;
+    this.#ready = false;
+  }
+
+  /**
+   * The parsed lock for a project, or null when there is nothing to install.
+   *
+   * @throws {DependencyError} the lockfile is present but unusable
+   */
+  lockFor(ecosystem, files) {
+    const file = findLockfile(files, ecosystem);
+    if (!file) return null;
+
+    const entries = ecosystem === 'pypi' ? parseRequirements(file.content) : parsePackageLock(file.content);
+    if (entries.length === 0) return null;
+    if (entries.length > this.#limits.maxPackages) {
+      throw new DependencyError(
+        'lock_too_many_packages',
+        `${file.name} lists ${entries.length} packages; at most ${this.#limits.maxPackages} can be installed.`,
+      );
+    }
+    return { file: file.name, entries };
+  }
+
+  /**
+   * The cache key for a lock: everything that decides what the layer contains.
+   *
+   * Scripts are in it only as the allowlist entries that name a package in THIS lock,
+   * so vetting one package does not invalidate every other layer on the server.
+   */
+  keyFor(ecosystem, entries, profile) {
+    const names = new Set(entries.map(entry => `${entry.name}@${entry.version}`));
+    const material = JSON.stringify({
+      policy: DEPENDENCY_POLICY_VERSION,
+      ecosystem,
+      entries,
+      toolchain: profile ? `${profile.languageId}:${profile.versionId}` : null,
+      arch: `${process.platform}-${process.arch}`,
+      scripts: this.#allowScripts.filter(item => names.has(item)),
+    });
+    return crypto.createHash('sha256').update(material).digest('hex');
+  }
+
+  /**
+   * The layer for a project, installing it first if no run has.
+   *
+   * @param {object} request
+   * @param {'pypi'|'npm'} request.ecosystem
+   * @param {Array<{name: string, content: string}>} request.files
+   * @param {object} [request.profile]
+   * @returns {Promise<{ecosystem: string, key: string, path: string, packages: object[], reused: boolean}|null>}
+   *   null when the feature is off or the project declares no dependencies
+   * @throws {DependencyError}
+   */
+  async provide({ ecosystem, files, profile }) {
+    if (!this.#ready) return null;
+
+    const lock = this.lockFor(ecosystem, files);
+    if (!lock) return null;
+
+    const key = this.keyFor(ecosystem, lock.entries, profile);
+    const existing = this.#existing(ecosystem, key);
+    if (existing) return { ...existing, reused: true };
+
+    let pending = this.#building.get(key);
+    if (!pending) {
+      pending = this.#build(ecosystem, key, lock).finally(() => this.#building.delete(key));
+      this.#building.set(key, pending);
+    }
+    return { ...(await pending), reused: false };
+  }
+
+  #layerDir(ecosystem, key) {
+    return path.join(this.#root, ecosystem, key);
+  }
+
+  /** The importable directory inside a layer - what the adapter puts on its path. */
+  #importable(ecosystem, layerDir) {
+    return ecosystem === 'pypi' ? path.join(layerDir, 'site-packages') : path.join(layerDir, 'node_modules');
+  }
+
+  #existing(ecosystem, key) {
+    const layerDir = this.#layerDir(ecosystem, key);
+    const marker = path.join(layerDir, MARKER);
+    try {
+      const recorded = JSON.parse(fs.readFileSync(marker, 'utf8'));
+      this.touch(marker);
+      return { ecosystem, key, path: this.#importable(ecosystem, layerDir), packages: recorded.packages ?? [] };
+    } catch {
+      return null;
+    }
+  }
+
+  async #build(ecosystem, key, lock) {
+    const startedAt = Date.now();
+    const layerDir = this.#layerDir(ecosystem, key);
+    const temporary = path.join(
+      this.#root,
+      ecosystem,
+      `.building-${key.slice(0, 16)}-${process.pid}-${Date.now().toString(36)}`,
+    );
+    const budget = new ExtractionBudget({ maxFiles: this.#limits.maxFiles, maxBytes: this.#limits.maxBytes });
+
+    try {
+      fs.mkdirSync(temporary, { recursive: true });
+
+      const packages = ecosystem === 'pypi'
+        ? installPythonLock({
+            entries: lock.entries,
+            mirror: this.#mirror,
+            target: this.#importable('pypi', temporary),
+            budget,
+            maxArchiveBytes: this.#limits.maxArchiveBytes,
+          })
+        : await installNodeLock({
+            entries: lock.entries,
+            mirror: this.#mirror,
+            target: temporary,
+            budget,
+            maxArchiveBytes: this.#limits.maxArchiveBytes,
+            allowScripts: this.#allowScripts,
+            node: this.#node,
+            scriptTimeoutMs: this.#limits.scriptTimeoutMs,
+          });
+
+      fs.writeFileSync(
+        path.join(temporary, MARKER),
+        `${JSON.stringify({ policy: DEPENDENCY_POLICY_VERSION, ecosystem, lock: lock.file, packages }, null, 2)}\n`,
+      );
+
+      try {
+        fs.renameSync(temporary, layerDir);
+      } catch (error) {
+        // Another replica finished the same layer first. Its contents are what ours
+        // would have been, so use it and drop ours.
+        const winner = this.#existing(ecosystem, key);
+        if (!winner) throw error;
+        fs.rmSync(temporary, { recursive: true, force: true });
+        return winner;
+      }
+
+      this.#log('info', 'dependency_layer_built', {
+        ecosystem,
+        key: key.slice(0, 16),
+        packages: packages.length,
+        files: budget.files,
+        bytes: budget.bytes,
+        durationMs: Date.now() - startedAt,
+        scriptsSkipped: packages.filter(item => item.scripts === 'skipped').map(item => `${item.name}@${item.version}`),
+      });
+      return { ecosystem, key, path: this.#importable(ecosystem, layerDir), packages };
+    } catch (error) {
+      fs.rmSync(temporary, { recursive: true, force: true });
+      if (!(error instanceof DependencyError)) {
+        this.#log('warn', 'dependency_layer_failed', { ecosystem, error: error.message });
+      }
+      throw error;
+    }
+  }
+
+  /** Mark a layer as used, so the sweeper removes the genuinely cold ones. */
+  touch(marker) {
+    try {
+      const now = new Date();
+      fs.utimesSync(marker, now, now);
+    } catch {
+      // A failed timestamp only makes a layer look colder than it is.
+    }
+  }
+
+  /**
+   * Remove layers nobody has used within the TTL, and builds abandoned by a crash.
+   *
+   * Age only, with no size pass: unlike a blob a layer is in use for the whole length
+   * of a run, and evicting a warm one to make room would pull files out from under a
+   * program that is importing them. A layer last used a TTL ago is not in use.
+   */
+  sweep() {
+    if (!this.#ready) return { removed: 0 };
+
+    const cutoff = Date.now() - this.#ttlMs;
+    let removed = 0;
+
+    for (const ecosystem of ['pypi', 'npm']) {
+      const folder = path.join(this.#root, ecosystem);
+      let listing;
+      try {
+        listing = fs.readdirSync(folder, { withFileTypes: true });
+      } catch {
+        continue;
+      }
+      for (const item of listing) {
+        if (!item.isDirectory()) continue;
+        const layerDir = path.join(folder, item.name);
+        let age;
+        try {
+          age = item.name.startsWith('.building-')
+            ? fs.statSync(layerDir).mtimeMs
+            : fs.statSync(path.join(layerDir, MARKER)).mtimeMs;
+        } catch {
+          age = 0;
+        }
+        if (age >= cutoff) continue;
+        try {
+          fs.rmSync(layerDir, { recursive: true, force: true });
+          removed += 1;
+        } catch {
+          // In use or already gone; the next sweep tries again.
+        }
+      }
+    }
+
+    if (removed > 0) this.#log('info', 'dependency_layers_swept', { removed });
+    return { removed };
+  }
+}
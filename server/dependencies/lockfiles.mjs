@@ -0,0 +1,309 @@
+/**
+ * Reading the lockfile a project declares its dependencies in.
+ *
+ * Blueprint 12.6 makes the lockfile the contract: nothing is resolved, nothing is
+ * chosen, and no version range is ever widened. Every package that will be installed
+ * is named here at one exact version with the hash its archive must have, so two runs
+ * of the same project - on two replicas, a term apart - get byte-identical layers, and
+ * a mirror file that has been swapped is refused rather than installed.
+ *
+ * That is why both parsers are strict and refuse rather than guess. A line pip would
+ * accept but this cannot honour offline - an index URL, an editable install, a
+ * requirement with no hash - is a refusal naming that line, because silently dropping
+ * it produces a run that fails later with an `ImportError` nobody can trace back here.
+ *
+ * Pure functions over strings: no filesystem, so every rule is unit-tested directly.
+ */
+
+import { DependencyError } from './errors.mjs';
+
+/** The file each ecosystem's lock lives in, at the project root. */
+export const LOCKFILE_NAMES = Object.freeze({
+  pypi: 'requirements.txt',
+  npm: 'package-lock.json',
+});
+
+/** Hash algorithms accepted, strongest first. sha1 and md5 are deliberately absent. */
+const STRONG_ALGORITHMS = ['sha512', 'sha384', 'sha256'];
+
+/**
+ * The project's lockfile for an ecosystem, or null when it declares none.
+ *
+ * Only the root: a `requirements.txt` in a subfolder is an exercise's data file as
+ * often as it is a lock, and guessing which one is meant is how a run starts
+ * installing things nobody asked for.
+ */
+export function findLockfile(files, ecosystem) {
+  const name = LOCKFILE_NAMES[ecosystem];
+  if (!name) return null;
+  const file = files.find(candidate => candidate.name === name);
+  return file && typeof file.content === 'string' ? file : null;
+}
+
+// ── requirements.txt ─────────────────────────────────────────────────────────
+
+/** PEP 503 normalisation: `Foo_Bar.baz` and `foo-bar-baz` are the same project. */
+export function normalizePythonName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+const PYTHON_NAME = /^[A-Za-z0-9](?:[A-Za-z0-9._-]*[A-Za-z0-9])?$/;
+// A concrete release, never a wildcard: `1.2.*` is a range spelled like a pin.
+const PYTHON_VERSION = /^[A-Za-z0-9][A-Za-z0-9.+!_-]*$/;
+
+/**
+ * Options that are part of the lock's own vocabulary and change nothing offline.
+ * Everything else that starts with a dash names an index, a file or a build mode this
+ * cannot honour, and is refused.
+ */
+const HARMLESS_PIP_OPTIONS = new Set(['--require-hashes', '--no-deps', '--only-binary=:all:']);
+
+/**
+ * Join continuation lines and drop comments, keeping the line number each logical
+ * line started on so a refusal can point at it.
+ */
+function logicalLines(text) {
+  const lines = [];
+  let buffer = '';
+  let startLine = 0;
+
+  text.replace(/\r\n?/g, '\n').split('\n').forEach((raw, index) => {
+    // A comment starts at a `#` that begins the line or follows whitespace - pip's
+    // own rule, so `pkg==1.0#egg` is not silently truncated into something else.
+    const line = raw.replace(/(^|\s)#.*$/, '$1');
+    if (!buffer) startLine = index + 1;
+    if (/\\\s*$/.test(line)) {
+      buffer += `${line.replace(/\\\s*$/, '')} `;
+      return;
+    }
+    buffer += line;
+    if (buffer.trim()) lines.push({ line: startLine, text: buffer.trim() });
+    buffer = '';
+  });
+  if (buffer.trim()) lines.push({ line: startLine, text: buffer.trim() });
+
+  return lines;
+}
+
+/**
+ * Parse a hash-pinned `requirements.txt` - what `pip-compile --generate-hashes` and
+ * `pip freeze` plus `pip hash` produce.
+ *
+ * @returns {Array<{name: string, version: string, hashes: Array<{algorithm: string, hex: string}>}>}
+ *   sorted by name, so the layer key does not depend on line order
+ * @throws {DependencyError}
+ */
+export function parseRequirements(text) {
+  const entries = new Map();
+
+  for (const { line, text: logical } of logicalLines(text)) {
+    const where = `requirements.txt line ${line}`;
+    const tokens = logical.split(/\s+/);
+    const spec = [];
+    const hashes = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token === '--hash' || token.startsWith('--hash=')) {
+        const value = token === '--hash' ? tokens[++i] : token.slice('--hash='.length);
+        const match = /^(sha256|sha384|sha512):([0-9a-f]+)$/i.exec(value ?? '');
+        if (!match) {
+          throw new DependencyError(
+            'lock_hash_invalid',
+            `${where}: "${value ?? ''}" is not a sha256, sha384 or sha512 hash.`,
+          );
+        }
+        hashes.push({ algorithm: match[1].toLowerCase(), hex: match[2].toLowerCase() });
+      } else if (token.startsWith('-')) {
+        if (HARMLESS_PIP_OPTIONS.has(token)) continue;
+        throw new DependencyError(
+          'lock_option_unsupported',
+          `${where}: "${token}" is not supported. Packages come only from the server's `
+          + 'local mirror, so index, file and editable options cannot be used.',
+        );
+      } else {
+        spec.push(token);
+      }
+    }
+
+    // Options alone on a line (`--require-hashes`) are fine.
+    if (spec.length === 0) continue;
+
+    const requirement = spec.join('');
+    if (requirement.includes(';')) {
+      throw new DependencyError(
+        'lock_marker_unsupported',
+        `${where}: environment markers are not supported. Lock for one environment `
+        + 'and list only the packages it needs.',
+      );
+    }
+    if (/[:/@]/.test(requirement)) {
+      throw new DependencyError(
+        'lock_source_unsupported',
+        `${where}: "${requirement}" names a URL or a path. Only "name==version" `
+        + "requirements can be installed from the server's mirror.",
+      );
+    }
+
+    // `name[extras]==version`. Extras only ever add requirements, and in a complete
+    // lock those are already listed on lines of their own.
+    const match = /^([^[=<>!~]+)(?:\[[^\]]*\])?==([^=].*)$/.exec(requirement);
+    if (!match || !PYTHON_NAME.test(match[1]) || !PYTHON_VERSION.test(match[2])) {
+      throw new DependencyError(
+        'lock_unpinned',
+        `${where}: "${requirement}" is not pinned. Every requirement must be `
+        + '"name==version" with at least one --hash.',
+      );
+    }
+    if (hashes.length === 0) {
+      throw new DependencyError(
+        'lock_hash_missing',
+        `${where}: ${match[1]}==${match[2]} has no --hash. Every requirement needs one, `
+        + 'so a changed file in the mirror is refused instead of installed.',
+      );
+    }
+
+    const name = normalizePythonName(match[1]);
+    if (entries.has(name)) {
+      throw new DependencyError('lock_duplicate', `${where}: ${match[1]} is listed twice.`);
+    }
+    entries.set(name, { name, version: match[2], hashes });
+  }
+
+  return [...entries.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// ── package-lock.json ────────────────────────────────────────────────────────
+
+// npm's own rules for a package name, scope included. No path separators beyond the
+// scope's one slash, no leading dot or underscore, nothing that changes meaning in a
+// file path.
+const NPM_NAME = /^(?:@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/;
+const NPM_VERSION = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * The strongest digest in a Subresource Integrity string, or null.
+ *
+ * A lock may carry several (`sha512-... sha1-...`); the strongest one is the one that
+ * is checked. A lock that carries ONLY sha1 is refused by the caller - a collision in
+ * it is practical, and a hash that can be forged is not an integrity check.
+ */
+export function strongestIntegrity(integrity) {
+  if (typeof integrity !== 'string') return null;
+  const found = new Map();
+  for (const part of integrity.trim().split(/\s+/)) {
+    const match = /^(sha\d+)-([A-Za-z0-9+/]+={0,2})(?:\?.*)?$/.exec(part);
+    if (match && STRONG_ALGORITHMS.includes(match[1])) {
+      found.set(match[1], Buffer.from(match[2], 'base64').toString('hex'));
+    }
+  }
+  for (const algorithm of STRONG_ALGORITHMS) {
+    if (found.has(algorithm)) return { algorithm, hex: found.get(algorithm) };
+  }
+  return null;
+}
+
+/** The package name a `packages` key installs, e.g. `node_modules/a/node_modules/@s/b` -> `@s/b`. */
+function nameFromKey(key) {
+  const marker = key.lastIndexOf('node_modules/');
+  return key.slice(marker + 'node_modules/'.length);
+}
+
+/**
+ * Parse a `package-lock.json` of lockfileVersion 2 or 3.
+ *
+ * Version 1 is refused: it nests dependencies instead of listing install locations,
+ * predates `hasInstallScript`, and npm itself has not written it since npm 7.
+ *
+ * @param {string} text
+ * @param {{platform?: string, arch?: string}} [host] decides which optional packages
+ *   apply - a platform-specific optional package for another OS is skipped, as npm
+ *   skips it
+ * @returns {Array<{path: string, name: string, version: string, integrity: {algorithm: string, hex: string},
+ *   optional: boolean, hasInstallScript: boolean}>} sorted by install path
+ * @throws {DependencyError}
+ */
+export function parsePackageLock(text, host = {}) {
+  const platform = host.platform ?? process.platform;
+  const arch = host.arch ?? process.arch;
+
+  let lock;
+  try {
+    lock = JSON.parse(text);
+  } catch (error) {
+    throw new DependencyError('lock_invalid', `package-lock.json is not valid JSON: ${error.message}`);
+  }
+
+  if (!lock || typeof lock !== 'object' || ![2, 3].includes(lock.lockfileVersion)) {
+    throw new DependencyError(
+      'lock_version_unsupported',
+      'package-lock.json must be lockfileVersion 2 or 3 (written by npm 7 or later).',
+    );
+  }
+  if (!lock.packages || typeof lock.packages !== 'object') {
+    throw new DependencyError('lock_invalid', 'package-lock.json has no "packages" section.');
+  }
+
+  const matches = (list, value) => {
+    if (!Array.isArray(list) || list.length === 0) return true;
+    const denied = list.filter(item => String(item).startsWith('!')).map(item => String(item).slice(1));
+    const allowed = list.filter(item => !String(item).startsWith('!'));
+    if (denied.includes(value)) return false;
+    return allowed.length === 0 || allowed.includes(value);
+  };
+
+  const entries = [];
+  for (const [key, entry] of Object.entries(lock.packages)) {
+    // The root project itself.
+    if (key === '') continue;
+    if (!entry || typeof entry !== 'object') continue;
+
+    const where = `package-lock.json "${key}"`;
+
+    if (!key.startsWith('node_modules/') || key.split('/').some(segment => segment === '..' || segment === '.')) {
+      throw new DependencyError(
+        'lock_workspace_unsupported',
+        `${where}: workspace and local packages are not supported. Only packages from `
+        + "the server's mirror can be installed.",
+      );
+    }
+    if (entry.link) {
+      throw new DependencyError('lock_link_unsupported', `${where}: linked packages are not supported.`);
+    }
+    // Shipped inside its parent's own archive, so there is nothing to fetch.
+    if (entry.inBundle) continue;
+    if (entry.optional && (!matches(entry.os, platform) || !matches(entry.cpu, arch))) continue;
+
+    const installedAs = nameFromKey(key);
+    const name = typeof entry.name === 'string' ? entry.name : installedAs;
+    if (!NPM_NAME.test(installedAs) || !NPM_NAME.test(name)) {
+      throw new DependencyError('lock_name_invalid', `${where}: "${name}" is not a valid package name.`);
+    }
+    if (typeof entry.version !== 'string' || !NPM_VERSION.test(entry.version)) {
+      throw new DependencyError(
+        'lock_unpinned',
+        `${where}: "${entry.version ?? ''}" is not an exact registry version.`,
+      );
+    }
+
+    const integrity = strongestIntegrity(entry.integrity);
+    if (!integrity) {
+      throw new DependencyError(
+        'lock_hash_missing',
+        `${where}: ${name}@${entry.version} has no sha256, sha384 or sha512 integrity. `
+        + 'Every package needs one, so a changed file in the mirror is refused instead of installed.',
+      );
+    }
+
+    entries.push({
+      path: key,
+      name,
+      version: entry.version,
+      integrity,
+      optional: entry.optional === true,
+      hasInstallScript: entry.hasInstallScript === true,
+    });
+  }
+
+  return entries.sort((a, b) => a.path.localeCompare(b.path));
+}
@@ -0,0 +1,171 @@
+/**
+ * Installing a JavaScript lock from the mirror's `npm/` folder.
+ *
+ * The folder uses the registry's own tarball layout -
+ * `npm/<name>/-/<basename>-<version>.tgz`, scope included - so an operator can fill it
+ * from any registry mirror tool, or by hand with `npm pack`. The path is built from
+ * the lock's validated name and version and NEVER from its `resolved` URL: that field
+ * is whatever registry the student's machine used, and following it is how an offline
+ * install quietly stops being one.
+ *
+ * Each package lands at the install path the lock names (`node_modules/a`,
+ * `node_modules/a/node_modules/b`), so the tree is exactly npm's and Node's own
+ * resolution finds every module where npm would have put it.
+ *
+ * ## Install scripts
+ *
+ * Off. A package's `preinstall`, `install` and `postinstall` run arbitrary commands
+ * with the service's privileges at install time - outside any job, before any program
+ * exists to be confined - which is the single largest supply-chain risk in the npm
+ * ecosystem and the reason 12.6 says "disabled by default". They are skipped exactly
+ * as `npm install --ignore-scripts` skips them; the overwhelming majority of packages a
+ * lesson uses have none, and those that do are usually optional native speed-ups with
+ * a JavaScript fallback.
+ *
+ * An operator who has vetted a specific package can allow its scripts by naming it
+ * (`name@version`) in `DEPENDENCY_ALLOW_SCRIPTS`. Pinned to the version on purpose:
+ * vetting 1.2.3 says nothing about 1.2.4.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { runToCompletion } from '../execution/process-runner.mjs';
+import { readTarGz, writeMember } from './archives.mjs';
+import { DependencyError } from './errors.mjs';
+
+const LIFECYCLE = ['preinstall', 'install', 'postinstall'];
+
+/** The mirror path for a package, e.g. `@s/b@1.0.0` -> `npm/@s/b/-/b-1.0.0.tgz`. */
+export function tarballPath(mirror, name, version) {
+  const basename = name.includes('/') ? name.split('/')[1] : name;
+  return path.join(mirror, 'npm', ...name.split('/'), '-', `${basename}-${version}.tgz`);
+}
+
+/** Has the operator vetted this exact package's install scripts? */
+export function scriptsAllowed(allowScripts, name, version) {
+  return allowScripts.includes(`${name}@${version}`);
+}
+
+function lifecycleScripts(packageDir) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+    const scripts = manifest?.scripts && typeof manifest.scripts === 'object' ? manifest.scripts : {};
+    return LIFECYCLE.filter(stage => typeof scripts[stage] === 'string').map(stage => ({ stage, command: scripts[stage] }));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Install every entry of a parsed `package-lock.json` under `target`.
+ *
+ * @param {object} options
+ * @param {Array<{path: string, name: string, version: string, integrity: {algorithm: string, hex: string},
+ *   optional: boolean}>} options.entries
+ * @param {string} options.mirror
+ * @param {string} options.target  the layer directory; packages go to `<target>/node_modules/...`
+ * @param {import('./archives.mjs').ExtractionBudget} options.budget
+ * @param {number} options.maxArchiveBytes
+ * @param {string[]} options.allowScripts  `name@version` entries whose scripts may run
+ * @param {string} options.node            the Node binary scripts run with
+ * @param {number} options.scriptTimeoutMs
+ * @returns {Promise<Array<{name: string, version: string, scripts: 'none'|'skipped'|'ran'}>>}
+ * @throws {DependencyError}
+ */
+export async function installNodeLock({
+  entries,
+  mirror,
+  target,
+  budget,
+  maxArchiveBytes,
+  allowScripts,
+  node,
+  scriptTimeoutMs,
+}) {
+  const installed = [];
+  fs.mkdirSync(path.join(target, 'node_modules'), { recursive: true });
+
+  for (const entry of entries) {
+    const label = `${entry.name}@${entry.version}`;
+    const file = tarballPath(mirror, entry.name, entry.version);
+
+    let buffer;
+    try {
+      if (fs.statSync(file).size > maxArchiveBytes) {
+        throw new DependencyError(
+          'archive_too_large',
+          `${label} is larger than the ${Math.round(maxArchiveBytes / 1024 / 1024)} MB allowed for one package.`,
+        );
+      }
+      buffer = fs.readFileSync(file);
+    } catch (error) {
+      if (error instanceof DependencyError) throw error;
+      // npm's own rule: an optional package that cannot be installed is skipped.
+      if (entry.optional) continue;
+      throw new DependencyError(
+        'package_not_in_mirror',
+        `${label} is not in the server's package mirror. Ask your teacher to add it.`,
+      );
+    }
+
+    const actual = crypto.createHash(entry.integrity.algorithm).update(buffer).digest('hex');
+    if (actual !== entry.integrity.hex) {
+      throw new DependencyError(
+        'package_hash_mismatch',
+        `${label}: the mirror's tarball does not match the integrity in package-lock.json, `
+        + 'so it was not installed. Either the lock or the mirror is out of date.',
+      );
+    }
+
+    const packageDir = path.join(target, ...entry.path.split('/'));
+    for (const member of readTarGz(buffer, budget, path.basename(file))) {
+      writeMember(packageDir, member.name, member.data, { executable: member.executable });
+    }
+    installed.push({ name: entry.name, version: entry.version, path: entry.path, packageDir, scripts: 'none' });
+  }
+
+  // Scripts run only once EVERY package is in place, as npm runs them: an install
+  // script commonly requires one of its own dependencies.
+  for (const record of installed) {
+    const scripts = lifecycleScripts(record.packageDir);
+    if (scripts.length === 0) continue;
+    if (!scriptsAllowed(allowScripts, record.name, record.version)) {
+      record.scripts = 'skipped';
+      continue;
+    }
+
+    for (const { stage, command } of scripts) {
+      const result = await runToCompletion({
+        command: '/bin/sh',
+        args: ['-c', command],
+        cwd: record.packageDir,
+        // A deliberately small environment: no service secrets, and the PATH needed to
+        // find `node`. The variables are the ones npm itself sets for a lifecycle script.
+        env: {
+          PATH: [path.isAbsolute(node) ? path.dirname(node) : '', process.env.PATH || '']
+            .filter(Boolean)
+            .join(path.delimiter),
+          HOME: target,
+          npm_lifecycle_event: stage,
+          npm_package_name: record.name,
+          npm_package_version: record.version,
+          npm_node_execpath: node,
+        },
+        timeoutMs: scriptTimeoutMs,
+        maxOutputChars: 20000,
+      });
+      if (!result.termination.succeeded) {
+        const detail = (result.stderr || result.stdout || '').trim().split('\n').slice(-5).join('\n');
+        throw new DependencyError(
+          'package_script_failed',
+          `${record.name}@${record.version}: its ${stage} script failed.${detail ? `\n${detail}` : ''}`,
+        );
+      }
+    }
+    record.scripts = 'ran';
+  }
+
+  return installed.map(({ name, version, scripts }) => ({ name, version, scripts }));
+}
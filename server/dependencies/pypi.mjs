@@ -0,0 +1,158 @@
+/**
+ * Installing a Python lock from the mirror's `pypi/` folder.
+ *
+ * The folder is flat - the operator drops wheels into it, the way `pip download -d`
+ * leaves them - and a requirement is found by the name and version in the wheel's
+ * filename, then ACCEPTED only by its hash. The filename is a convenience for finding
+ * candidates; the lock's `--hash` is the only thing that decides what gets installed.
+ *
+ * Only pure-Python wheels (`none-any`). A source distribution would have to run its
+ * `setup.py` to be installed, which is exactly the install-time code execution that
+ * 12.6 keeps off by default; and a compiled wheel is built for one interpreter and one
+ * libc, which a class of students on a shared image cannot choose between. Both are
+ * refused by name, so the message says what to put in the mirror instead.
+ *
+ * A wheel never runs code at install time - installing one is unzipping it - so unlike
+ * npm there is no script policy to apply here.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { readZip, writeMember } from './archives.mjs';
+import { DependencyError } from './errors.mjs';
+import { normalizePythonName } from './lockfiles.mjs';
+
+/**
+ * Split a wheel filename into its parts, or null if it is not one.
+ * `{distribution}-{version}(-{build})?-{python}-{abi}-{platform}.whl`
+ */
+export function parseWheelName(filename) {
+  if (!filename.endsWith('.whl')) return null;
+  const parts = filename.slice(0, -'.whl'.length).split('-');
+  if (parts.length !== 5 && parts.length !== 6) return null;
+  const [distribution, version] = parts;
+  const [python, abi, platform] = parts.slice(-3);
+  return { name: normalizePythonName(distribution), version, python, abi, platform };
+}
+
+/** Runs on any Python 3 with no compiled code in it. */
+function isPureWheel(wheel) {
+  return (
+    wheel.abi === 'none'
+    && wheel.platform === 'any'
+    && wheel.python.split('.').some(tag => tag.startsWith('py3'))
+  );
+}
+
+/**
+ * Where a wheel member goes in `site-packages`.
+ *
+ * Most members go exactly where they are. `<dist>.data/purelib/` and `platlib/` are
+ * the spec's way of saying "also site-packages"; the other `.data` folders - scripts,
+ * headers, data files - are for an environment with a `bin/` and a prefix, and a
+ * program here imports rather than executes them, so they are left out.
+ */
+function installedName(member) {
+  const [first, second, ...rest] = member.split('/');
+  if (!first.endsWith('.data')) return member;
+  if ((second === 'purelib' || second === 'platlib') && rest.length > 0) return rest.join('/');
+  return null;
+}
+
+/**
+ * Install every entry of a parsed `requirements.txt` into `target`.
+ *
+ * @param {object} options
+ * @param {Array<{name: string, version: string, hashes: Array<{algorithm: string, hex: string}>}>} options.entries
+ * @param {string} options.mirror  the mirror root; wheels are read from `<mirror>/pypi`
+ * @param {string} options.target  the directory that becomes importable
+ * @param {import('./archives.mjs').ExtractionBudget} options.budget
+ * @param {number} options.maxArchiveBytes
+ * @returns {Array<{name: string, version: string, file: string}>} what was installed
+ * @throws {DependencyError}
+ */
+export function installPythonLock({ entries, mirror, target, budget, maxArchiveBytes }) {
+  const folder = path.join(mirror, 'pypi');
+  let listing;
+  try {
+    listing = fs.readdirSync(folder);
+  } catch {
+    listing = [];
+  }
+
+  const wheels = listing
+    .map(file => ({ file, wheel: parseWheelName(file) }))
+    .filter(candidate => candidate.wheel);
+
+  fs.mkdirSync(target, { recursive: true });
+  const installed = [];
+
+  for (const entry of entries) {
+    const label = `${entry.name}==${entry.version}`;
+    const candidates = wheels.filter(
+      ({ wheel }) => wheel.name === entry.name && wheel.version === entry.version,
+    );
+
+    if (candidates.length === 0) {
+      throw new DependencyError(
+        'package_not_in_mirror',
+        `${label} is not in the server's package mirror. Ask your teacher to add its wheel.`,
+      );
+    }
+
+    const pure = candidates.filter(({ wheel }) => isPureWheel(wheel));
+    if (pure.length === 0) {
+      throw new DependencyError(
+        'package_not_pure',
+        `${label} is only in the mirror as a compiled wheel. Only pure-Python `
+        + '("py3-none-any") packages can be installed here.',
+      );
+    }
+
+    // The first candidate whose bytes match a hash the lock lists. Several files can
+    // legitimately share a name and version (py3 and py2.py3 builds); at most one of
+    // them is the file the lock was made from.
+    let chosen = null;
+    for (const { file } of pure) {
+      const full = path.join(folder, file);
+      let buffer;
+      try {
+        if (fs.statSync(full).size > maxArchiveBytes) {
+          throw new DependencyError(
+            'archive_too_large',
+            `${file} is larger than the ${Math.round(maxArchiveBytes / 1024 / 1024)} MB allowed for one package.`,
+          );
+        }
+        buffer = fs.readFileSync(full);
+      } catch (error) {
+        if (error instanceof DependencyError) throw error;
+        continue;
+      }
+      const matches = entry.hashes.some(
+        ({ algorithm, hex }) => crypto.createHash(algorithm).update(buffer).digest('hex') === hex,
+      );
+      if (matches) {
+        chosen = { file, buffer };
+        break;
+      }
+    }
+
+    if (!chosen) {
+      throw new DependencyError(
+        'package_hash_mismatch',
+        `${label}: the mirror's wheel does not match any --hash in requirements.txt, `
+        + 'so it was not installed. Either the lock or the mirror is out of date.',
+      );
+    }
+
+    for (const member of readZip(chosen.buffer, budget, chosen.file)) {
+      const destination = installedName(member.name);
+      if (destination) writeMember(target, destination, member.data);
+    }
+    installed.push({ name: entry.name, version: entry.version, file: chosen.file });
+  }
+
+  return installed;
+}
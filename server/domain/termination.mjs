@@ -28,6 +28,12 @@ export const TerminationReason = Object.freeze({
   EXITED: 'exited',
   /** Died from a signal that was not one we sent deliberately. */
   SIGNALED: 'signaled',
+  /**
+   * Faulted in its own code: a memory error or undefined behaviour a sanitizer
+   * reported, or a fault signal such as SIGSEGV. Only an adapter that can tell
+   * these apart from an ordinary failure assigns it - see `crashed` below.
+   */
+  CRASHED: 'crashed',
   /** Wall-clock budget for the whole run was exhausted. */
   TIMEOUT: 'timeout',
   /** No output and no input for the configured idle window (interactive only). */
@@ -121,6 +127,27 @@ export function classifyExit({ code, signal, serviceReason = null }) {
   };
 }
 
+/**
+ * Reclassify a finished process as a crash, keeping what the OS reported.
+ *
+ * `classifyExit` cannot make this call: a sanitizer prints its report and exits
+ * with an ordinary status, so from the outside a heap overflow and `exit(1)` look
+ * the same. The adapter that built the program with the sanitizer can tell them
+ * apart from its output, and records what it found here.
+ *
+ * @param {ReturnType<typeof classifyExit>} termination
+ * @param {{kind: string, summary: string, tool: string, file?: string, line?: number, column?: number}} crash
+ */
+export function crashed(termination, crash) {
+  return {
+    ...termination,
+    reason: TerminationReason.CRASHED,
+    succeeded: false,
+    serviceInitiated: false,
+    crash,
+  };
+}
+
 /**
  * Collapse a termination into the single integer the v1 API exposes.
  *
@@ -131,6 +158,11 @@ export function toLegacyExitCode(termination) {
   if (termination.reason === TerminationReason.EXITED) {
     return termination.exitCode;
   }
+  // A sanitizer exits on its own after reporting, so its status passes through as
+  // any exit status does. A crash that was a signal has none, and is -1 as before.
+  if (termination.reason === TerminationReason.CRASHED && typeof termination.exitCode === 'number') {
+    return termination.exitCode;
+  }
   return LEGACY_TERMINATED_EXIT_CODE;
 }
 
@@ -169,6 +201,14 @@ export function describeTermination(termination) {
         : `Program exited with code ${termination.exitCode}.`;
     case TerminationReason.SIGNALED:
       return `Program was terminated by ${termination.signal}. This usually means it ran out of memory or crashed.`;
+    case TerminationReason.CRASHED: {
+      const where = termination.crash?.file && termination.crash?.line
+        ? ` at ${termination.crash.file}:${termination.crash.line}`
+        : '';
+      return termination.crash?.summary
+        ? `Program crashed: ${termination.crash.summary}${where}.`
+        : 'Program crashed.';
+    }
     case TerminationReason.TIMEOUT:
       return 'Program was stopped because it exceeded the time limit.';
     case TerminationReason.IDLE_TIMEOUT:
@@ -0,0 +1,180 @@
+/**
+ * Deterministic runs: the opt-in exercise profile of blueprint section 16.1, built in
+ * section 69.
+ *
+ * A marking harness prints `BCTEST case ... pass|fail`, and the teacher reads that as
+ * a verdict on the student's code. It is only one if running the same code twice gives
+ * the same answer. A student who writes `random.randint(1, 6)` or formats `Date.now()`
+ * produces a program whose checks pass on Monday and fail on Tuesday, and nobody can
+ * tell which run was the real one.
+ *
+ * A run that asks for `deterministic` therefore fixes what a language runtime would
+ * otherwise take from the world:
+ *
+ *   timezone  TZ=UTC, for every language - every runtime here reads it
+ *   stdin     the scripted text, written at start and then closed, so a program that
+ *             reads past it sees end of input instead of waiting for a keyboard
+ *   seed      the default random generator, where the adapter can reach it
+ *   clock     the wall clock - "now" - where the adapter can reach it
+ *
+ * A scripted run has no keyboard, so it cannot legitimately wait, and it may also ask
+ * for a wall-clock `timeLimitMs`: a test case that says "within two seconds" means it,
+ * even on the interactive route, which otherwise has no run timer because a person
+ * may take their time.
+ *
+ * The first two are the pipeline's own and hold everywhere. The last two need a shim
+ * inside the runtime, and which runtimes have one is the manifest's to say
+ * (`capabilities.deterministic`), the way it says which can draw.
+ *
+ * ## The statement, not a promise
+ *
+ * The run response says what was fixed and what was not, in `describeDeterminism`.
+ * A Java run is deterministic in its timezone and its input and NOT in `new Random()`,
+ * and a teacher reading "deterministic: true" for it would trust a pass that the next
+ * run may not repeat. So nothing is claimed that was not done: `notFixed` lists what
+ * the language could not freeze, and `complete` is true only when that list is empty.
+ *
+ * Monotonic clocks are never frozen. A program that times itself, or sleeps, or polls
+ * until a deadline must still see time pass, or it would never finish.
+ */
+
+/** The seed, as a decimal integer. Read by each language's determinism shim. */
+export const SEED_ENV = 'BROWSER_CODER_SEED';
+
+/** The frozen wall clock, in milliseconds since the epoch. Read by the shims. */
+export const CLOCK_ENV = 'BROWSER_CODER_CLOCK';
+
+/**
+ * What a runtime shim can fix, for `capabilities.deterministic` in a manifest. The
+ * timezone and stdin are not listed: the pipeline fixes those for every language.
+ */
+export const DETERMINISM_CONTROLS = Object.freeze(['seed', 'clock']);
+
+/** The clock when a run asks for none: a date no exercise is being written on. */
+export const DEFAULT_CLOCK_MS = Date.UTC(2000, 0, 1);
+
+export const DETERMINISM_LIMITS = Object.freeze({
+  /** Seeds are 32-bit: what every generator here accepts without reducing it. */
+  maxSeed: 2 ** 32 - 1,
+  /** The last instant a four-digit year can name, which is all `datetime` can. */
+  maxClockMs: Date.UTC(9999, 11, 31, 23, 59, 59),
+  /** Scripted input. A test case's input is lines, not a dataset. */
+  maxStdinChars: 64 * 1024,
+  /** A time limit shorter than this measures the runtime's startup, not the program. */
+  minTimeLimitMs: 100,
+  maxTimeLimitMs: 60_000,
+});
+
+const OPTION_FIELDS = new Set(['seed', 'clock', 'stdin', 'timeLimitMs']);
+
+/** An ISO 8601 instant with its offset: a clock without one means the server's zone. */
+const ISO_INSTANT = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+
+const refuse = message => ({ ok: false, code: 'deterministic_invalid', message });
+
+/**
+ * Read a request's `deterministic` field.
+ *
+ * Absent or false is an ordinary run. True is the defaults. An object may set any of
+ * `seed` (an integer from 0 to 2^32 - 1), `clock` (an ISO 8601 instant with its
+ * offset, or milliseconds since the epoch), `stdin` (the program's whole input) and
+ * `timeLimitMs` (how long the program may run, from 100 ms to a minute).
+ *
+ * @returns {{ok: true, profile: DeterminismProfile|null} | {ok: false, code: string, message: string}}
+ */
+export function parseDeterminism(raw) {
+  if (raw === undefined || raw === null || raw === false) return { ok: true, profile: null };
+  if (raw === true) raw = {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return refuse('deterministic must be true or an object with seed, clock, stdin and timeLimitMs');
+  }
+  const unknown = Object.keys(raw).find(key => !OPTION_FIELDS.has(key));
+  if (unknown !== undefined) return refuse(`deterministic.${unknown} is not an option`);
+
+  const seed = raw.seed ?? 0;
+  if (!Number.isInteger(seed) || seed < 0 || seed > DETERMINISM_LIMITS.maxSeed) {
+    return refuse(`deterministic.seed must be a whole number from 0 to ${DETERMINISM_LIMITS.maxSeed}`);
+  }
+
+  let clock = raw.clock ?? DEFAULT_CLOCK_MS;
+  if (typeof clock === 'string') {
+    clock = ISO_INSTANT.test(clock) ? Date.parse(clock) : NaN;
+  }
+  if (!Number.isInteger(clock) || clock < 0 || clock > DETERMINISM_LIMITS.maxClockMs) {
+    return refuse('deterministic.clock must be an ISO 8601 instant with its offset, from 1970 to 9999');
+  }
+
+  const stdin = raw.stdin ?? '';
+  if (typeof stdin !== 'string') return refuse('deterministic.stdin must be a string');
+  if (stdin.length > DETERMINISM_LIMITS.maxStdinChars) {
+    return refuse(`deterministic.stdin is too long (max ${DETERMINISM_LIMITS.maxStdinChars / 1024}KB)`);
+  }
+
+  const timeLimitMs = raw.timeLimitMs ?? null;
+  if (timeLimitMs !== null && (!Number.isInteger(timeLimitMs)
+    || timeLimitMs < DETERMINISM_LIMITS.minTimeLimitMs || timeLimitMs > DETERMINISM_LIMITS.maxTimeLimitMs)) {
+    return refuse(`deterministic.timeLimitMs must be a whole number from ${DETERMINISM_LIMITS.minTimeLimitMs} `
+      + `to ${DETERMINISM_LIMITS.maxTimeLimitMs}`);
+  }
+
+  return { ok: true, profile: { seed, clock, stdin, timeLimitMs } };
+}
+
+/**
+ * The environment a deterministic run adds to `buildSandboxEnv`'s. `PYTHONHASHSEED`
+ * is here rather than in the Python adapter because it is the seed, and the seed is
+ * this module's; only Python reads it.
+ */
+export function determinismEnv(profile) {
+  return {
+    TZ: 'UTC',
+    [SEED_ENV]: String(profile.seed),
+    [CLOCK_ENV]: String(profile.clock),
+    PYTHONHASHSEED: String(profile.seed),
+  };
+}
+
+/**
+ * How long the program may run.
+ *
+ * A run's own limit is the operator's, from the language's resource profile, and a
+ * request may only shorten it: a test case cannot buy a student's loop more time than
+ * Run would give it. A limit of 0 is the interactive route's "no run timer", which a
+ * scripted limit replaces.
+ *
+ * @param {DeterminismProfile|null} profile
+ * @param {number} timeoutMs  the limit the run would otherwise have
+ */
+export function determinismTimeoutMs(profile, timeoutMs) {
+  const limit = profile?.timeLimitMs ?? null;
+  if (limit === null) return timeoutMs;
+  return timeoutMs > 0 ? Math.min(limit, timeoutMs) : limit;
+}
+
+/**
+ * What the run response says about a deterministic run.
+ *
+ * @param {DeterminismProfile} profile
+ * @param {readonly string[]} controls  the adapter's `deterministic` capability
+ */
+export function describeDeterminism(profile, controls = []) {
+  const notFixed = DETERMINISM_CONTROLS.filter(control => !controls.includes(control));
+  return {
+    seed: profile.seed,
+    clock: new Date(profile.clock).toISOString(),
+    timezone: 'UTC',
+    stdinChars: profile.stdin.length,
+    timeLimitMs: profile.timeLimitMs,
+    fixed: ['timezone', 'stdin', ...DETERMINISM_CONTROLS.filter(control => controls.includes(control))],
+    notFixed,
+    complete: notFixed.length === 0,
+  };
+}
+
+/**
+ * @typedef {object} DeterminismProfile
+ * @property {number} seed   0 to 2^32 - 1
+ * @property {number} clock  milliseconds since the epoch
+ * @property {string} stdin  the program's whole input
+ * @property {number|null} timeLimitMs  the wall-clock limit asked for, or null
+ */
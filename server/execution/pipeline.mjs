@@ -27,15 +27,34 @@
 
 import { validateFileSet, resolveEntryPoint, DEFAULT_PATH_LIMITS } from '../domain/paths.mjs';
 import { TerminationReason, classifyExit } from '../domain/termination.mjs';
+import {
+  DEFAULT_GRAPHICS_POLICY,
+  GRAPHICS_EVENTS_ENV,
+  GRAPHICS_LIVE_ENV,
+  GRAPHICS_POLICIES,
+  LIVE_GRAPHICS_EVENTS_FD,
+  LIVE_GRAPHICS_FD,
+  LiveGraphicsReader,
+  MAX_PENDING_EVENT_BYTES,
+  isLiveGraphicsPolicy,
+} from '../graphics/live.mjs';
+import { readChartChannel } from '../graphics/charts.mjs';
 import { createGraphicsChannel, readGraphicsChannel } from '../graphics/turtle.mjs';
-import { DebugChannel, DEBUG_PORT_ENV, DEBUG_TOKEN_ENV } from '../debug/channel.mjs';
+import { DebugChannel, DEBUG_PORT_ENV, DEBUG_RECORD_ENV, DEBUG_TOKEN_ENV } from '../debug/channel.mjs';
+import { DependencyError } from '../dependencies/errors.mjs';
+import { formattedLanguages, formatterFor, normalizeFormatOptions, runFormatter } from '../formatting/formatters.mjs';
+import { diagnostics } from '../languages/adapter-kit.mjs';
 import { resolveVersion } from '../languages/catalog.mjs';
+import { resourceTimeoutMs } from '../languages/manifest.mjs';
 import { getAdapter } from '../languages/registry.mjs';
 import { log } from '../logging.mjs';
 import { validateCodeSecurity } from '../security/validate.mjs';
 import { Job } from './job.mjs';
-import { spawnManaged } from './process-runner.mjs';
+import { PTY_SUPPORTED, spawnManaged } from './process-runner.mjs';
+import { describeDeterminism, determinismTimeoutMs, parseDeterminism } from './determinism.mjs';
+import { parseTestCase, withoutTestCaseReads } from './test-filter.mjs';
 import { buildSandboxEnv } from './sandbox-env.mjs';
+import { SessionEventRing } from './session-events.mjs';
 
 /** A typed refusal that the HTTP layer maps to a status code. */
 export class ExecutionRefused extends Error {
@@ -55,11 +74,14 @@ export class ExecutionPipeline {
    * @param {object} options.config       CONFIG
    * @param {string} options.jobRoot      parent directory for job directories
    * @param {string} options.templateRoot parent directory for warm toolchain templates
+   * @param {import('../dependencies/layers.mjs').DependencyLayers|null} [options.dependencies]
+   *   installed package layers; absent or not ready means no project gets packages
    */
-  constructor({ config, jobRoot, templateRoot }) {
+  constructor({ config, jobRoot, templateRoot, dependencies = null }) {
     this.config = config;
     this.jobRoot = jobRoot;
     this.templateRoot = templateRoot;
+    this.dependencies = dependencies;
 
     /**
      * Admission accounting.
@@ -109,9 +131,29 @@ export class ExecutionPipeline {
    * @param {string} [request.code]        single-file form
    * @param {Array} [request.files]        multi-file form
    * @param {unknown} [request.entryPoint]
+   * @param {unknown} [request.graphicsPolicy]  one of GRAPHICS_POLICIES; absent is the default
+   * @param {unknown} [request.deterministic]   true, or {seed, clock, stdin, timeLimitMs}; see determinism.mjs
+   * @param {unknown} [request.testCase]        the one case a marking harness should run; see test-filter.mjs
    */
   validate(request) {
     const { language, version, code, files, entryPoint } = request;
+    const graphicsPolicy = request.graphicsPolicy ?? DEFAULT_GRAPHICS_POLICY;
+    if (!GRAPHICS_POLICIES.includes(graphicsPolicy)) {
+      throw new ExecutionRefused(
+        'graphics_policy_invalid',
+        `graphicsPolicy must be one of ${GRAPHICS_POLICIES.join(', ')}`,
+      );
+    }
+
+    const determinism = parseDeterminism(request.deterministic);
+    if (!determinism.ok) {
+      throw new ExecutionRefused(determinism.code, determinism.message);
+    }
+
+    const testCase = parseTestCase(request.testCase);
+    if (!testCase.ok) {
+      throw new ExecutionRefused(testCase.code, testCase.message);
+    }
 
     if (!language || typeof language !== 'string') {
       throw new ExecutionRefused('language_missing', 'Missing language');
@@ -175,9 +217,11 @@ export class ExecutionPipeline {
     }
 
     // ── Dangerous-pattern policy ─────────────────────────────────────────────
+    // A hidden harness may read the case it is asked to run, and only that; see
+    // test-filter.mjs.
     for (const file of fileSet) {
       if (!file.content) continue;
-      const verdict = validateCodeSecurity(language, file.content);
+      const verdict = validateCodeSecurity(language, withoutTestCaseReads(language, file.name, file.content));
       if (!verdict.safe) {
         log('warn', 'security_block', {
           language,
@@ -204,7 +248,41 @@ export class ExecutionPipeline {
     // override the resolved entry point in an adapter that consults it.
     for (const file of fileSet) file.isMain = file.name === resolvedEntry.entryPoint;
 
-    return { adapter, profile, files: fileSet, entryPoint: resolvedEntry.entryPoint };
+    return {
+      adapter,
+      profile,
+      files: fileSet,
+      entryPoint: resolvedEntry.entryPoint,
+      graphicsPolicy,
+      determinism: determinism.profile,
+      testCase: testCase.name,
+    };
+  }
+
+  /**
+   * The project's installed packages, for an adapter that declares an ecosystem.
+   *
+   * Resolved BEFORE `prepare`, and outside it, so no adapter has to know how a layer
+   * is found, built or cached - it receives a directory and puts it on its own import
+   * path. A lockfile that cannot be honoured is reported as `diagnostics`, like a
+   * compile error: the program never starts, because starting it without its packages
+   * only moves the same failure to an ImportError with a worse message.
+   *
+   * @returns {Promise<{layer: object|null, failure: object|null}>}
+   */
+  async provideDependencies(plan) {
+    const ecosystem = plan.adapter.dependencies;
+    if (!ecosystem || !this.dependencies?.isReady) return { layer: null, failure: null };
+
+    const startedAt = Date.now();
+    try {
+      const layer = await this.dependencies.provide({ ecosystem, files: plan.files, profile: plan.profile });
+      return { layer, failure: null };
+    } catch (error) {
+      if (!(error instanceof DependencyError)) throw error;
+      log('info', 'dependencies_refused', { language: plan.adapter.id, code: error.code });
+      return { layer: null, failure: diagnostics(error.message, Date.now() - startedAt) };
+    }
   }
 
   /**
@@ -256,6 +334,10 @@ export class ExecutionPipeline {
     try {
       job.writeFiles(plan.files);
 
+      // A check resolves the layer too: an import is only "unresolved" if the package
+      // is genuinely missing, and a bad lockfile is exactly what a check should report.
+      const dependencies = await this.provideDependencies(plan);
+
       const graphics = createGraphicsChannel(job);
       const sandboxEnv = buildSandboxEnv({
         jobDir: job.dir,
@@ -277,13 +359,15 @@ export class ExecutionPipeline {
         // compiler is slower - C# does - uses its own.
         timeoutMs: this.config.execution.checkTimeoutMs,
         debug: null,
+        dependencies: dependencies.layer,
       };
 
       // An adapter that compiles at RUN time rather than during prepare implements
       // `check`; null from it means the project compiles.
-      const prepared = plan.adapter.check
-        ? (await plan.adapter.check(context)) ?? { kind: 'launch' }
-        : await plan.adapter.prepare(context);
+      const prepared = dependencies.failure
+        ?? (plan.adapter.check
+          ? (await plan.adapter.check(context)) ?? { kind: 'launch' }
+          : await plan.adapter.prepare(context));
 
       if (prepared.kind === 'diagnostics') {
         return {
@@ -300,9 +384,116 @@ export class ExecutionPipeline {
     }
   }
 
+  /**
+   * Format one file with the language's real formatter (blueprint section 61).
+   *
+   * Not a run, and deliberately not `validate()`: nothing the student wrote is
+   * executed, so the dangerous-pattern policy has nothing to protect - and refusing
+   * to indent a file because it mentions `system` would be a strange answer to
+   * "Format document". What IS shared with a run is everything about the process: a
+   * slot, a private job directory and the sandbox environment, because a formatter
+   * is still a toolchain reading untrusted input.
+   *
+   * @param {{language: string, code: string, options?: object}} request
+   * @returns {Promise<{formatter: string, outcome: string, text?: string, output?: string, durationMs: number}>}
+   */
+  async format({ language, code, options }) {
+    if (!language || typeof language !== 'string') {
+      throw new ExecutionRefused('language_missing', 'Missing language');
+    }
+    const formatter = formatterFor(language);
+    if (!formatter) {
+      throw new ExecutionRefused(
+        'format_unsupported',
+        `No server formatter for ${language} (available: ${formattedLanguages().join(', ')})`,
+      );
+    }
+    if (typeof code !== 'string') {
+      throw new ExecutionRefused('code_missing', 'Missing code');
+    }
+    if (code.length > this.config.execution.maxCodeChars) {
+      throw new ExecutionRefused(
+        'code_too_large',
+        `Code too large (max ${this.config.execution.maxCodeChars / 1000}KB)`,
+      );
+    }
+
+    this.admit();
+    const job = new Job(this.jobRoot, 'format');
+    this.liveJobDirs.add(job.dir);
+    const startedAt = Date.now();
+
+    try {
+      const result = await runFormatter({
+        formatter,
+        job,
+        code,
+        options: normalizeFormatOptions(options),
+        config: this.config,
+        sandboxEnv: buildSandboxEnv({ jobDir: job.dir, config: this.config }),
+      });
+      return { formatter: formatter.name, ...result, durationMs: Date.now() - startedAt };
+    } finally {
+      this.liveJobDirs.delete(job.dir);
+      this.release();
+      job.dispose();
+    }
+  }
+
+  /**
+   * Lint the project: the tool that says what a compiler does not (blueprint
+   * section 62).
+   *
+   * Shaped like `check()` - the same validation, a slot, a private job - because it
+   * is the same question asked of a different tool, on the same pause in typing. It
+   * differs in what comes back: findings with rule ids rather than compiler text, and
+   * `unavailable` or `timeout` for a tool that could not answer, which the route
+   * reports as such rather than as a clean file.
+   *
+   * No dependency layer is resolved. None of the linters follows an import into a
+   * package, so installing one would cost the lint a lockfile's worth of time and
+   * change nothing it says.
+   */
+  async lint(request) {
+    const plan = this.validate(request);
+    if (!plan.adapter.lint) {
+      throw new ExecutionRefused('lint_unsupported', `No linter for ${plan.adapter.id}`);
+    }
+    this.admit();
+
+    const job = new Job(this.jobRoot, 'lint');
+    this.liveJobDirs.add(job.dir);
+    const startedAt = Date.now();
+
+    try {
+      job.writeFiles(plan.files);
+      const result = await plan.adapter.lint({
+        job,
+        files: plan.files,
+        entryPoint: plan.entryPoint,
+        profile: plan.profile,
+        config: this.config,
+        sandboxEnv: buildSandboxEnv({ jobDir: job.dir, config: this.config }),
+        templateRoot: this.templateRoot,
+        timeoutMs: this.config.execution.checkTimeoutMs,
+      });
+      return { ...result, durationMs: Date.now() - startedAt };
+    } finally {
+      this.liveJobDirs.delete(job.dir);
+      this.release();
+      job.dispose();
+    }
+  }
+
   async start(request, hooks = {}) {
     const plan = this.validate(request);
 
+    // A debugger decides when the program moves, and the student types into it:
+    // neither is a script. Refused rather than one of them silently ignored.
+    if (plan.determinism && hooks.debug) {
+      throw new ExecutionRefused('deterministic_debug', 'A deterministic run cannot be debugged');
+    }
+
     // Reserved only after validation passes, so a malformed request cannot
     // occupy a slot, and reserved BEFORE preparation, so preparation cannot
     // overrun the limit (V-27).
@@ -327,7 +518,46 @@ export class ExecutionPipeline {
       // whether graphics "might" be used.
       const graphics = createGraphicsChannel(job);
 
-      const timeoutMs = hooks.timeoutMs ?? this.config.execution.timeoutMs;
+      // The language's resource profile, from its manifest: the operator decides how
+      // long each cost shape may run, and a language only says which shape it is.
+      const timeoutMs = hooks.timeoutMs
+        ?? resourceTimeoutMs(plan.adapter.resources?.run, this.config);
+
+      /*
+       * The replay ring, when the caller's transport can resume (section 11.1).
+       *
+       * Recorded HERE rather than by the transport, so the ring sees every byte in the
+       * order the process produced it, whether or not anybody is connected at that
+       * moment. A transport that recorded its own sends would record nothing while the
+       * student's Wi-Fi was down - which is exactly the window replay exists for.
+       *
+       * Only for a caller that asked: the NDJSON route cannot resume, and a ring per
+       * buffered run would hold output nobody will ever request.
+       */
+      const events = hooks.replay ? new SessionEventRing(hooks.replay) : null;
+
+      /*
+       * The transport (section 11.4). Pipes unless the caller asked for a terminal AND
+       * this host can provide one; either way the answer is declared on every output
+       * event, so a client renders what it was actually given rather than what it
+       * requested.
+       */
+      /*
+       * A deterministic run is always piped. Its input is a script, and a terminal
+       * would echo that script into the output and hand it to the program a line at a
+       * time through the line discipline - both of which make the output depend on
+       * the transport rather than on the program.
+       */
+      const terminal = hooks.terminal && PTY_SUPPORTED && !plan.determinism ? hooks.terminal : null;
+      const transport = terminal ? 'pty' : 'pipes';
+
+      const recorded = (stream, hook) =>
+        events
+          ? text => {
+              events.append(stream, { stream, transport, text });
+              hook?.(text);
+            }
+          : hook;
 
       /*
        * The debug channel, when this run asked to be debugged.
@@ -346,13 +576,22 @@ export class ExecutionPipeline {
       let debugEnv = {};
       if (hooks.debug && plan.adapter.supportsDebug) {
         debugChannel = new DebugChannel({
-          onEvent: hooks.onDebugEvent ?? (() => {}),
+          onEvent: event => {
+            events?.append('debug.event', event);
+            hooks.onDebugEvent?.(event);
+          },
           onClose: hooks.onDebugClose,
         });
         const port = await debugChannel.listen();
         debugEnv = {
           [DEBUG_PORT_ENV]: String(port),
           [DEBUG_TOKEN_ENV]: debugChannel.token,
+          // `hooks.debug` is `true` or the route's `{ record }` (blueprint section 73).
+          // A language without a recorder is debugged unrecorded; its `started` event
+          // does not say `recording`, so the client offers no way back.
+          ...(hooks.debug?.record === true && plan.adapter.supportsDebugRecording
+            ? { [DEBUG_RECORD_ENV]: '1' }
+            : {}),
         };
       }
 
@@ -360,9 +599,19 @@ export class ExecutionPipeline {
         jobDir: job.dir,
         config: this.config,
         extra: { ...graphics.env, ...debugEnv },
+        determinism: plan.determinism,
+        testCase: plan.testCase,
       });
 
-      const prepared = await plan.adapter.prepare({
+      // What the response says was fixed: the timezone and the input always, the seed
+      // and the clock where the language has a shim for them (blueprint section 69).
+      const deterministic = plan.determinism
+        ? describeDeterminism(plan.determinism, plan.adapter.deterministic)
+        : null;
+
+      const dependencies = await this.provideDependencies(plan);
+
+      const prepared = dependencies.failure ?? await plan.adapter.prepare({
         job,
         files: plan.files,
         entryPoint: plan.entryPoint,
@@ -375,6 +624,11 @@ export class ExecutionPipeline {
         // Present only for a debug run, so an adapter can pick a different launch
         // without having to inspect the environment it was handed.
         debug: debugChannel ? { enabled: true } : null,
+        // The installed layer for a project with a lockfile, else null. See
+        // server/dependencies/layers.mjs.
+        dependencies: dependencies.layer,
+        // A deterministic run's profile, so the adapter can load its shim; else null.
+        determinism: plan.determinism,
       });
 
       // A compile or lint failure is a terminal result, not a live session. The
@@ -391,6 +645,7 @@ export class ExecutionPipeline {
           kind: 'diagnostics',
           profile: plan.profile,
           entryPoint: plan.entryPoint,
+          deterministic,
           result: {
             stdout: '',
             stderr: prepared.stderr,
@@ -399,25 +654,80 @@ export class ExecutionPipeline {
             blocked: prepared.blocked === true,
             durationMs: prepared.durationMs,
             graphics: null,
+            charts: null,
             truncated: false,
           },
         };
       }
 
+      /*
+       * The live graphics pipe (blueprint section 64), for a run whose policy streams
+       * the drawing, in a language whose manifest can draw, with someone to stream it
+       * to. Anything else keeps the success-only replay: the file read at exit, below.
+       * The file is still written and read for a live run - it is the finished drawing,
+       * and the live view is only ever as complete as the program got.
+       */
+      const liveGraphics = isLiveGraphicsPolicy(plan.graphicsPolicy)
+        && plan.adapter.graphics?.includes('turtle-live')
+        && (events !== null || typeof hooks.onGraphics === 'function');
+      const liveReader = liveGraphics
+        ? new LiveGraphicsReader({
+            sessionId: job.id,
+            onBatch: batch => {
+              events?.append('graphics.batch', batch, { retain: false });
+              hooks.onGraphics?.(batch);
+            },
+            onWarning: warning => {
+              log('info', 'graphics_limit', { resource: warning.resource, stopped: warning.stopped });
+              events?.append('resource.warning', warning);
+              hooks.onResourceWarning?.(warning);
+            },
+          })
+        : null;
+
       const managed = spawnManaged({
         command: prepared.command,
         args: prepared.args,
         cwd: prepared.cwd || job.dir,
-        env: { ...sandboxEnv, ...(prepared.extraEnv || {}) },
-        timeoutMs: prepared.timeoutMs ?? timeoutMs,
+        env: {
+          ...sandboxEnv,
+          ...(prepared.extraEnv || {}),
+          ...(liveReader
+            ? {
+                [GRAPHICS_LIVE_ENV]: String(LIVE_GRAPHICS_FD),
+                [GRAPHICS_EVENTS_ENV]: String(LIVE_GRAPHICS_EVENTS_FD),
+              }
+            : {}),
+        },
+        // A scripted run's own limit, where it asked for one and it is the shorter.
+        timeoutMs: determinismTimeoutMs(plan.determinism, prepared.timeoutMs ?? timeoutMs),
         maxOutputChars: this.config.execution.maxOutputChars,
         // Always true. This is the "every run is interactive" decision.
         stdin: true,
-        onStdout: hooks.onStdout,
-        onStderr: hooks.onStderr,
+        onStdout: recorded('stdout', hooks.onStdout),
+        onStderr: recorded('stderr', hooks.onStderr),
         transformStderr: prepared.transformStderr,
+        extraFds: liveReader ? ['pipe', 'pipe'] : [],
+        terminal: terminal
+          ? { python: this.config.tools.python, rows: terminal.rows, cols: terminal.cols }
+          : null,
       });
 
+      // Drained to the end even once the reader has stopped forwarding: a pipe nobody
+      // reads fills, and the program's next write would block it forever.
+      const livePipe = managed.extraStreams?.[0];
+      if (liveReader && livePipe) {
+        livePipe.on('data', chunk => liveReader.push(chunk));
+        livePipe.on('end', () => liveReader.finish());
+      }
+      const eventsPipe = liveReader ? managed.extraStreams?.[1] ?? null : null;
+
+      // The script, then end of input: the whole of what this run's program may read.
+      if (plan.determinism) {
+        if (plan.determinism.stdin) managed.writeStdin(plan.determinism.stdin);
+        managed.closeStdin();
+      }
+
       // Tear the channel down with the run. A listener outlasting the process it
       // was serving is a leaked socket per debug session.
       managed.done.finally(() => debugChannel?.close());
@@ -427,23 +737,30 @@ export class ExecutionPipeline {
         // service allocated. See server/graphics/turtle.mjs for why that
         // direction matters (V-01).
         let graphicsData = null;
+        let chartData = null;
         try {
           graphicsData = readGraphicsChannel(graphics.path);
+          chartData = readChartChannel(graphics.chartsPath);
         } catch (error) {
           log('warn', 'graphics_read_failed', { error: error.message });
         }
 
         // `dotnet run` reports build errors on stdout and still exits nonzero, so
-        // the adapter gets a chance to reclassify after the fact.
+        // the adapter gets a chance to reclassify after the fact. The C family uses
+        // the same hook the other way round: a sanitizer's report turns an ordinary
+        // nonzero exit into a crash (blueprint section 60). It is told the transport,
+        // because on a terminal what the program wrote to stderr arrives as stdout.
         let phase = 'run';
         let stdout = result.stdout;
         let stderr = result.stderr;
+        let termination = result.termination;
         if (!result.termination.succeeded && plan.adapter.classifyFailure) {
-          const reclassified = plan.adapter.classifyFailure(result, job);
+          const reclassified = plan.adapter.classifyFailure({ ...result, transport }, job);
           if (reclassified) {
-            phase = reclassified.phase;
-            stdout = reclassified.stdout;
-            stderr = reclassified.stderr;
+            phase = reclassified.phase ?? phase;
+            stdout = reclassified.stdout ?? stdout;
+            stderr = reclassified.stderr ?? stderr;
+            termination = reclassified.termination ?? termination;
           }
         }
 
@@ -452,11 +769,12 @@ export class ExecutionPipeline {
         return {
           stdout,
           stderr,
-          termination: result.termination,
+          termination,
           phase,
           blocked: false,
           durationMs: result.durationMs,
           graphics: graphicsData,
+          charts: chartData,
           truncated: result.truncated,
         };
       });
@@ -470,11 +788,32 @@ export class ExecutionPipeline {
         entryPoint: plan.entryPoint,
         jobDir: job.dir,
         pid: managed.pid,
-        writeStdin: managed.writeStdin,
+        // A scripted run takes nothing from the keyboard: its input was closed above.
+        writeStdin: plan.determinism ? () => false : managed.writeStdin,
         closeStdin: managed.closeStdin,
         stop: managed.stop,
         done,
 
+        /** 'pty' or 'pipes' - what this run was given, which is not always what was asked. */
+        transport,
+
+        /**
+         * The drawing policy this run was given. A live policy is downgraded to
+         * `successOnlyReplay` when the language cannot draw or nobody is listening,
+         * so a client knows not to wait for batches that will never come.
+         */
+        graphicsPolicy: liveReader ? plan.graphicsPolicy : DEFAULT_GRAPHICS_POLICY,
+
+        /**
+         * What a deterministic run fixed, from `describeDeterminism`, or null for an
+         * ordinary run. The routes put it in every response, so a pass or fail can be
+         * read together with how far it can be trusted.
+         */
+        deterministic,
+
+        /** Resize a terminal run's window. False for a piped one. */
+        resize: managed.resize,
+
         /**
          * Whether this run really has a debugger attached.
          *
@@ -486,8 +825,25 @@ export class ExecutionPipeline {
          */
         debugSupported: debugChannel !== null,
 
+        /** The replay ring, when `hooks.replay` asked for one; otherwise null. */
+        events,
+
         /** Send one validated command to the adapter. False when nothing is attached. */
         sendDebug: frame => debugChannel?.send(frame) ?? false,
+
+        /**
+         * Pass one event from the turtle window (`buildGraphicsEvent`) to the program.
+         * False when this run has no live graphics. A key or click the program is too
+         * busy to read is dropped past `MAX_PENDING_EVENT_BYTES`; an answer never is.
+         */
+        sendGraphicsEvent: event => {
+          if (!eventsPipe || eventsPipe.destroyed || !eventsPipe.writable) return false;
+          const urgent = event.type === 'prompt' || event.type === 'close';
+          if (urgent || eventsPipe.writableLength < MAX_PENDING_EVENT_BYTES) {
+            eventsPipe.write(`${JSON.stringify(event)}\n`);
+          }
+          return true;
+        },
       };
     } catch (error) {
       finish();
@@ -503,8 +859,9 @@ export class ExecutionPipeline {
    */
   async run(request) {
     const handle = await this.start(request, { jobKind: 'run' });
+    const described = { profile: handle.profile, entryPoint: handle.entryPoint, deterministic: handle.deterministic };
     if (handle.kind === 'diagnostics') {
-      return { ...handle.result, profile: handle.profile, entryPoint: handle.entryPoint };
+      return { ...handle.result, ...described };
     }
 
     // Buffered semantics: the contract says stdin is closed immediately unless
@@ -513,7 +870,7 @@ export class ExecutionPipeline {
     handle.closeStdin();
 
     const result = await handle.done;
-    return { ...result, profile: handle.profile, entryPoint: handle.entryPoint };
+    return { ...result, ...described };
   }
 
   stats() {
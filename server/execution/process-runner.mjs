@@ -27,7 +27,9 @@
  */
 
 import { spawn } from 'node:child_process';
+import path from 'node:path';
 import process from 'node:process';
+import { fileURLToPath } from 'node:url';
 
 import { TerminationReason, classifyExit } from '../domain/termination.mjs';
 import { log } from '../logging.mjs';
@@ -35,6 +37,41 @@ import { log } from '../logging.mjs';
 /** POSIX gets a real process group; Windows needs taskkill for the tree. */
 const IS_WINDOWS = process.platform === 'win32';
 
+/**
+ * The pseudo-terminal host. A few dozen lines of Python rather than a native addon:
+ * Python is already in every image this service runs in, its `os.openpty` is the
+ * libc call a native module would wrap, and a dependency that must be compiled per
+ * platform is a dependency that breaks the image build.
+ */
+const PTY_HOST_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'pty_host.py');
+
+/**
+ * Can a run here be given a terminal at all?
+ *
+ * Windows has no pty(7). A run that asked for one there is given pipes and SAYS so,
+ * through the transport its events declare - never the other way round: section
+ * 11.4 forbids silently turning a piped run into a terminal one, and a terminal
+ * request quietly answered with pipes would be the same lie in reverse.
+ */
+export const PTY_SUPPORTED = !IS_WINDOWS;
+
+/** Bounds on a requested terminal size. A 0x0 terminal breaks every program that asks. */
+export const TERMINAL_LIMITS = Object.freeze({ minRows: 2, maxRows: 500, minCols: 10, maxCols: 1000 });
+
+/** What a terminal request that names no size gets: the VT100's, which every program assumes. */
+export const DEFAULT_TERMINAL_SIZE = Object.freeze({ rows: 24, cols: 80 });
+
+/** Clamp a requested size into TERMINAL_LIMITS; null when it is not a size at all. */
+export function normalizeTerminalSize(rows, cols) {
+  const r = Number(rows);
+  const c = Number(cols);
+  if (!Number.isInteger(r) || !Number.isInteger(c)) return null;
+  return {
+    rows: Math.min(TERMINAL_LIMITS.maxRows, Math.max(TERMINAL_LIMITS.minRows, r)),
+    cols: Math.min(TERMINAL_LIMITS.maxCols, Math.max(TERMINAL_LIMITS.minCols, c)),
+  };
+}
+
 /**
  * Kill an entire process tree.
  *
@@ -42,9 +79,18 @@ const IS_WINDOWS = process.platform === 'win32';
  * a negative PID signals the whole group. Without this, only the direct child
  * dies: `dotnet run` and `npx` both exec their real workload as a grandchild.
  */
-function killTree(child, signal) {
+export function killTree(child, signal, ptyGroup = null) {
   if (child.exitCode !== null || child.signalCode !== null) return;
 
+  // A terminal program leads its own session, so it is not in the host's group.
+  if (ptyGroup) {
+    try {
+      process.kill(-ptyGroup, signal);
+    } catch {
+      /* already gone */
+    }
+  }
+
   if (IS_WINDOWS) {
     try {
       // /T kills the tree, /F forces. Fire-and-forget: the exit handler is what
@@ -144,7 +190,12 @@ class OutputSink {
  * @param {(text: string) => void} [options.onStdout]
  * @param {(text: string) => void} [options.onStderr]
  * @param {(text: string) => string} [options.transformStderr] rewrite paths before the user sees them
- * @param {number[]} [options.extraFds]        additional inherited descriptors (graphics channel)
+ * @param {Array<'pipe'|number>} [options.extraFds] descriptors from 3 on. A `'pipe'` is
+ *   returned, readable, in `extraStreams` - the live graphics channel is one.
+ * @param {{ python: string, rows: number, cols: number }} [options.terminal]
+ *   run on a pseudo-terminal instead of pipes. Output then arrives on stdout only,
+ *   as a terminal merges its streams, `transformStderr` applies to it, and `resize`
+ *   becomes meaningful.
  * @returns {ManagedProcess}
  */
 export function spawnManaged(options) {
@@ -160,6 +211,7 @@ export function spawnManaged(options) {
     onStderr,
     transformStderr,
     extraFds = [],
+    terminal = null,
   } = options;
 
   const startedAt = Date.now();
@@ -174,11 +226,35 @@ export function spawnManaged(options) {
 
   const stdio = [stdin ? 'pipe' : 'ignore', 'pipe', 'pipe', ...extraFds];
 
+  // On a terminal, the host runs the program and a control pipe goes last, so it
+  // never displaces a descriptor the program itself was promised.
+  let spawnCommand = command;
+  let spawnArgs = args;
+  let spawnEnv = env;
+  let controlIndex = -1;
+  if (terminal) {
+    controlIndex = stdio.length;
+    stdio.push('pipe');
+    spawnCommand = terminal.python;
+    spawnArgs = [
+      PTY_HOST_PATH,
+      String(controlIndex),
+      String(terminal.rows),
+      String(terminal.cols),
+      '--',
+      command,
+      ...args,
+    ];
+    // Programs decide whether to emit colour from TERM. The sandbox environment is
+    // built from an allowlist and never inherits one.
+    spawnEnv = { ...env, TERM: 'xterm-256color' };
+  }
+
   let child;
   try {
-    child = spawn(command, args, {
+    child = spawn(spawnCommand, spawnArgs, {
       cwd,
-      env,
+      env: spawnEnv,
       stdio,
       // Own process group so killTree can signal the whole tree. Not unref'd:
       // we still want its exit event.
@@ -197,7 +273,9 @@ export function spawnManaged(options) {
       termination,
       writeStdin: () => false,
       closeStdin: () => {},
+      resize: () => false,
       stop: () => {},
+      extraStreams: [],
       done: Promise.resolve({
         termination,
         stdout: '',
@@ -208,7 +286,31 @@ export function spawnManaged(options) {
     };
   }
 
-  const stdoutSink = new OutputSink(maxOutputChars, onStdout);
+  /** The terminal program's own process group, once the host reports it. */
+  let ptyGroup = null;
+  const control = controlIndex === -1 ? null : child.stdio[controlIndex];
+  if (control) {
+    let pending = '';
+    control.setEncoding('utf8');
+    control.on('data', text => {
+      pending += text;
+      const match = /^pid (\d+)\n/m.exec(pending);
+      if (match) ptyGroup = Number(match[1]);
+    });
+    control.on('error', () => {});
+  }
+
+  // The parent's ends of `extraFds`, in order; null for a descriptor that was not a pipe.
+  const extraStreams = child.stdio.slice(3, 3 + extraFds.length);
+  for (const stream of extraStreams) stream?.on('error', () => {});
+
+  // A terminal merges the program's stderr into its stdout, so the stderr rewrite -
+  // job paths, injected library frames - has to run over stdout instead. Without it a
+  // traceback on a terminal run named the job directory the pipes run never shows.
+  const transformStdout = terminal ? transformStderr : null;
+  const stdoutSink = new OutputSink(maxOutputChars, onStdout && (
+    transformStdout ? text => onStdout(transformStdout(text)) : onStdout
+  ));
   const stderrSink = new OutputSink(maxOutputChars, text => {
     if (onStderr) onStderr(transformStderr ? transformStderr(text) : text);
   });
@@ -217,7 +319,7 @@ export function spawnManaged(options) {
   const stop = (reason, signal = 'SIGKILL') => {
     if (settled) return;
     if (serviceReason === null) serviceReason = reason;
-    killTree(child, signal);
+    killTree(child, signal, ptyGroup);
   };
 
   const timeoutTimer =
@@ -291,9 +393,18 @@ export function spawnManaged(options) {
       }
     }
 
+    let stdout = stdoutSink.value();
+    if (transformStdout && !onStdout) {
+      try {
+        stdout = transformStdout(stdout);
+      } catch {
+        /* leave raw */
+      }
+    }
+
     resolveDone({
       termination,
-      stdout: stdoutSink.value(),
+      stdout,
       stderr,
       truncated,
       durationMs: Date.now() - startedAt,
@@ -322,8 +433,25 @@ export function spawnManaged(options) {
       }
     },
 
+    /**
+     * Tell a terminal program its window changed size. The kernel delivers
+     * SIGWINCH. A no-op for a piped run, which has no window to resize.
+     */
+    resize(rows, cols) {
+      if (!control || settled || control.destroyed) return false;
+      const size = normalizeTerminalSize(rows, cols);
+      if (!size) return false;
+      try {
+        control.write(`resize ${size.rows} ${size.cols}\n`);
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
     stop,
     done,
+    extraStreams,
   };
 }
 
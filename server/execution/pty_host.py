@@ -0,0 +1,165 @@
+# ─── Pseudo-terminal host for the `pty` transport (blueprint section 11.4) ────
+# Runs one program on a fresh pseudo-terminal and relays it over plain pipes, so
+# the Node side keeps its one managed-process primitive and never needs a native
+# addon:
+#
+#   our stdin   -> the terminal's input (what the student types)
+#   terminal    -> our stdout           (stdout and stderr, already merged, as a
+#                                        real terminal merges them)
+#   control fd  <-> line messages:      "resize <rows> <cols>" in,
+#                                       "pid <pid>" out, once, after the fork
+#
+# Usage: pty_host.py <control-fd> <rows> <cols> -- <command> [args...]
+#
+# The program gets its own session with the terminal as its controlling tty, so
+# everything a terminal implies works without help from here: Ctrl+C typed in raw
+# mode becomes SIGINT, a resize becomes SIGWINCH, `isatty()` is true and colour and
+# line buffering switch on. That session is also a separate process GROUP, which is
+# why the pid is reported: the Node side kills that group as well as ours, or a stop
+# would leave the program running with nobody attached (V-21).
+#
+# End of input from the Node side (our stdin closing) is delivered as the
+# terminal's EOF character, exactly what Ctrl+D at the start of a line does.
+#
+# Exit status mirrors the program's: its exit code, or death by the same signal,
+# so the service classifies a pty run exactly as it would a piped one.
+
+import errno
+import fcntl
+import os
+import select
+import signal
+import struct
+import sys
+import termios
+
+READ_SIZE = 65536
+EOF_CHAR = b'\x04'
+
+
+def set_size(fd, rows, cols):
+    fcntl.ioctl(fd, termios.TIOCSWINSZ, struct.pack('HHHH', rows, cols, 0, 0))
+
+
+def clamp(value, low, high):
+    return max(low, min(high, value))
+
+
+def spawn(command, rows, cols, control_fd):
+    master, slave = os.openpty()
+    # Sized BEFORE the fork, so a program that asks for its width on its first line
+    # never sees the 0x0 of a terminal nobody has configured yet.
+    set_size(master, rows, cols)
+
+    pid = os.fork()
+    if pid == 0:
+        try:
+            os.close(master)
+            os.close(control_fd)
+            os.setsid()
+            fcntl.ioctl(slave, termios.TIOCSCTTY, 0)
+            for fd in (0, 1, 2):
+                os.dup2(slave, fd)
+            if slave > 2:
+                os.close(slave)
+            os.execvp(command[0], command)
+        except OSError as error:
+            os.write(2, ('Could not start %s: %s\r\n' % (command[0], error.strerror)).encode())
+        os._exit(127)
+
+    os.close(slave)
+    return pid, master
+
+
+def main():
+    argv = sys.argv[1:]
+    if len(argv) < 5 or argv[3] != '--':
+        sys.stderr.write('usage: pty_host.py <control-fd> <rows> <cols> -- <command> [args...]\n')
+        return 2
+
+    control_fd = int(argv[0])
+    rows = clamp(int(argv[1]), 2, 500)
+    cols = clamp(int(argv[2]), 10, 1000)
+    command = argv[4:]
+
+    pid, master = spawn(command, rows, cols, control_fd)
+    os.write(control_fd, ('pid %d\n' % pid).encode())
+
+    # Non-blocking, so a program that stops reading its input can never wedge the
+    # relay: its unread keystrokes wait here while its output keeps flowing.
+    os.set_blocking(master, False)
+    pending_input = b''
+    control_buffer = b''
+    reading_stdin = True
+    reading_control = True
+
+    while True:
+        readers = [master]
+        if reading_stdin:
+            readers.append(0)
+        if reading_control:
+            readers.append(control_fd)
+        writers = [master] if pending_input else []
+
+        try:
+            readable, writable, _ = select.select(readers, writers, [])
+        except InterruptedError:
+            continue
+
+        if master in readable:
+            try:
+                data = os.read(master, READ_SIZE)
+            except BlockingIOError:
+                data = None
+            except OSError as error:
+                # EIO is Linux's answer once every holder of the terminal has exited:
+                # the program, and anything it left running on it.
+                if error.errno != errno.EIO:
+                    raise
+                break
+            if data == b'':
+                break
+            if data:
+                os.write(1, data)
+
+        if 0 in readable:
+            data = os.read(0, READ_SIZE)
+            if data:
+                pending_input += data
+            else:
+                pending_input += EOF_CHAR
+                reading_stdin = False
+
+        if control_fd in readable:
+            data = os.read(control_fd, 4096)
+            if not data:
+                reading_control = False
+            control_buffer += data
+            while b'\n' in control_buffer:
+                line, control_buffer = control_buffer.split(b'\n', 1)
+                parts = line.decode('ascii', 'replace').split()
+                if len(parts) == 3 and parts[0] == 'resize':
+                    try:
+                        set_size(master, clamp(int(parts[1]), 2, 500), clamp(int(parts[2]), 10, 1000))
+                    except (ValueError, OSError):
+                        pass
+
+        if master in writable and pending_input:
+            try:
+                written = os.write(master, pending_input)
+                pending_input = pending_input[written:]
+            except BlockingIOError:
+                pass
+            except OSError:
+                pending_input = b''
+
+    _, status = os.waitpid(pid, 0)
+    if os.WIFSIGNALED(status):
+        sig = os.WTERMSIG(status)
+        signal.signal(sig, signal.SIG_DFL)
+        os.kill(os.getpid(), sig)
+    return os.WEXITSTATUS(status) if os.WIFEXITED(status) else 1
+
+
+if __name__ == '__main__':
+    sys.exit(main())
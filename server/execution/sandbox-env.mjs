@@ -11,14 +11,20 @@
  * mistake that ends with one path being hardened and the other not.
  */
 
+import { determinismEnv } from './determinism.mjs';
+import { TEST_CASE_ENV } from './test-filter.mjs';
+
 /**
  * @param {object} options
  * @param {string} options.jobDir      the run's private directory
  * @param {object} options.config      CONFIG
  * @param {Record<string,string>} [options.extra] adapter-supplied additions,
  *   e.g. the graphics channel path
+ * @param {import('./determinism.mjs').DeterminismProfile|null} [options.determinism]
+ *   a deterministic run's profile: the timezone, seed and clock its shims read
+ * @param {string|null} [options.testCase]  the one case a marking harness should run
  */
-export function buildSandboxEnv({ jobDir, config, extra = {} }) {
+export function buildSandboxEnv({ jobDir, config, extra = {}, determinism = null, testCase = null }) {
   // PATH: locked to the minimal Linux set in production. Development adds the
   // host PATH so tools are discoverable on a macOS or Windows machine, where
   // toolchains are not in /usr/bin.
@@ -80,6 +86,15 @@ export function buildSandboxEnv({ jobDir, config, extra = {} }) {
     // Verified in the production image: with this removed, a Java run's stderr is
     // empty for a program that prints nothing to it.
 
+    // TZ is otherwise unset, which every runtime reads as the container's zone. Only a
+    // deterministic run pins it: for the rest, the zone the service runs in is the
+    // honest answer to "what time is it here" (blueprint section 69).
+    ...(determinism ? determinismEnv(determinism) : {}),
+
+    // "Run only this case" (blueprint section 71): read by a marking harness, and by
+    // nothing else.
+    ...(testCase ? { [TEST_CASE_ENV]: testCase } : {}),
+
     ...extra,
   };
 }
@@ -0,0 +1,216 @@
+/**
+ * Sequenced session events, and the stdin ledger that makes input resumable.
+ *
+ * Section 11.1's two halves of "reconnect without losing anything", kept apart from
+ * any transport so they can be tested as pure state.
+ *
+ * OUTPUT goes into a bounded ring. Every event gets the next sequence number for its
+ * session, and a reconnecting client names the last one it saw; everything after it
+ * is replayed from the ring. The ring is bounded by count AND by bytes, because a
+ * program printing in a tight loop produces events far faster than a classroom
+ * laptop reconnects, and an unbounded replay buffer per session is the memory of the
+ * whole service divided by the number of students. When the gap has already been
+ * evicted, the answer says so - `gap: true` - and the caller turns that into
+ * `replay.unavailable`. The client is never told its output is complete when it is
+ * not; "my program vanished" becomes "some output was lost while you were offline",
+ * which is true and is the most that can be said.
+ *
+ * INPUT is the reverse direction and needs the reverse guarantee. A line typed just
+ * as the Wi-Fi dropped is uncertain: it may or may not have reached the program. A
+ * client that resends it blindly can feed `input()` the same answer twice; one that
+ * drops it loses the answer. So each session's input is a byte stream with offsets,
+ * the client says where each chunk starts, and the ledger accepts exactly the bytes
+ * that extend what was already delivered - trimming any overlap, refusing any gap -
+ * and reports the contiguous high-water mark. Identical lines typed twice are two
+ * different offsets and both arrive; the same line resent is one offset and arrives
+ * once.
+ */
+
+/** Section 8.4's envelope version. v1 NDJSON events carry no version at all. */
+export const SESSION_PROTOCOL_VERSION = 2;
+
+/** Defaults sized for a chatty program and a laptop that is offline for a minute. */
+export const DEFAULT_REPLAY_LIMITS = Object.freeze({ maxEvents: 4000, maxBytes: 1024 * 1024 });
+
+const utf8Length = text => Buffer.byteLength(text, 'utf8');
+
+/**
+ * A bounded, per-session event log with live subscribers.
+ *
+ * `sessionId` is assigned after construction: the pipeline creates the ring before
+ * the session registry has minted the ID, and output can only be addressed once it
+ * has one.
+ */
+export class SessionEventRing {
+  /**
+   * @param {object} [limits]
+   * @param {number} [limits.maxEvents]
+   * @param {number} [limits.maxBytes]  measured on the serialized payloads
+   */
+  constructor({ maxEvents = DEFAULT_REPLAY_LIMITS.maxEvents, maxBytes = DEFAULT_REPLAY_LIMITS.maxBytes } = {}) {
+    this.maxEvents = maxEvents;
+    this.maxBytes = maxBytes;
+    this.sessionId = null;
+
+    this.events = [];
+    this.bytes = 0;
+    this.nextSequence = 1;
+    this.subscribers = new Set();
+
+    /** The newest sequence of a retained event that has been evicted; 0 while none has. */
+    this.evictedThrough = 0;
+  }
+
+  /** The sequence of the newest event, or 0 before the first. */
+  get lastSequence() {
+    return this.nextSequence - 1;
+  }
+
+  /** The oldest sequence still held, or the next one to be written when empty. */
+  get firstAvailable() {
+    return this.events.length > 0 ? this.events[0].envelope.sequence : this.nextSequence;
+  }
+
+  /**
+   * Record one event and deliver it to every live subscriber.
+   *
+   * `retain: false` is for an event that is live or nothing - a graphics batch
+   * (blueprint section 64). It takes a sequence and reaches every subscriber, but is
+   * never replayed: a drawing streams far more bytes than its program prints, and
+   * holding it here would evict the output a reconnect is for. Its absence from a
+   * replay is not a gap, because it was never replayable; the graphics stream numbers
+   * its own batches, and the final drawing arrives with the exit regardless.
+   *
+   * @param {string} type     one of the section 8.4 event types
+   * @param {object} payload
+   * @param {{ retain?: boolean }} [options]
+   * @returns {object} the envelope
+   */
+  append(type, payload, { retain = true } = {}) {
+    const envelope = {
+      protocolVersion: SESSION_PROTOCOL_VERSION,
+      sessionId: this.sessionId,
+      sequence: this.nextSequence++,
+      timestamp: new Date().toISOString(),
+      type,
+      payload,
+    };
+    if (!retain) {
+      this.deliver(envelope);
+      return envelope;
+    }
+    const size = utf8Length(JSON.stringify(payload ?? null));
+
+    this.events.push({ envelope, size });
+    this.bytes += size;
+
+    // Evict from the front. The newest event is always kept, even alone over the
+    // byte budget: an event the live subscriber is about to receive must also be
+    // replayable, or a reconnect a millisecond later would report it lost.
+    while (
+      this.events.length > 1 &&
+      (this.events.length > this.maxEvents || this.bytes > this.maxBytes)
+    ) {
+      const evicted = this.events.shift();
+      this.bytes -= evicted.size;
+      this.evictedThrough = evicted.envelope.sequence;
+    }
+
+    this.deliver(envelope);
+    return envelope;
+  }
+
+  deliver(envelope) {
+    for (const subscriber of this.subscribers) {
+      try {
+        subscriber(envelope);
+      } catch {
+        /* one broken subscriber must not starve the others */
+      }
+    }
+  }
+
+  /**
+   * Everything after `lastAcknowledgedSequence`.
+   *
+   * `gap` is true when events the caller has not seen were already evicted - the
+   * replay that follows is then correct but incomplete, and must be announced as such.
+   *
+   * @param {number} lastAcknowledgedSequence  0 for "from the beginning"
+   */
+  since(lastAcknowledgedSequence) {
+    const after = Math.max(0, Math.floor(Number(lastAcknowledgedSequence) || 0));
+    // Measured against what was evicted, not against the oldest event held: the
+    // sequences between them may belong to events that were never retained.
+    const gap = after < this.evictedThrough;
+    const events = this.events.filter(entry => entry.envelope.sequence > after).map(entry => entry.envelope);
+    return { events, gap, firstAvailable: this.firstAvailable };
+  }
+
+  /** Receive each event as it is appended. Returns the unsubscribe function. */
+  subscribe(listener) {
+    this.subscribers.add(listener);
+    return () => this.subscribers.delete(listener);
+  }
+
+  clear() {
+    this.evictedThrough = this.lastSequence;
+    this.events = [];
+    this.bytes = 0;
+    this.subscribers.clear();
+  }
+}
+
+/**
+ * Exactly-once application of an input byte stream.
+ *
+ * Offsets are UTF-8 byte positions, as section 11.1 specifies, not UTF-16 string
+ * indexes: the client and the server must count the same thing, and bytes are the
+ * only unit both sides agree on regardless of language.
+ */
+export class StdinLedger {
+  constructor() {
+    /** Bytes accepted so far - the contiguous high-water mark, and the next expected offset. */
+    this.acknowledged = 0;
+  }
+
+  /**
+   * Offer one chunk that begins at `offset`.
+   *
+   * @returns {{ accepted: boolean, apply: string, acknowledged: number, reason?: string }}
+   *   `apply` is the part not yet delivered, possibly empty. `accepted` is false for
+   *   a gap - bytes the server never received lie before this chunk - and for an
+   *   offset that cannot be right.
+   */
+  offer(offset, data) {
+    const start = Number(offset);
+    const text = String(data ?? '');
+
+    if (!Number.isSafeInteger(start) || start < 0) {
+      return { accepted: false, apply: '', acknowledged: this.acknowledged, reason: 'invalid_offset' };
+    }
+    if (start > this.acknowledged) {
+      return { accepted: false, apply: '', acknowledged: this.acknowledged, reason: 'gap' };
+    }
+
+    const bytes = Buffer.from(text, 'utf8');
+    const end = start + bytes.length;
+    if (end <= this.acknowledged) {
+      // Entirely a resend of what was already delivered. Acknowledged again, applied
+      // never.
+      return { accepted: true, apply: '', acknowledged: this.acknowledged };
+    }
+
+    // Trimmed by bytes, then decoded. An overlap that splits a multibyte character
+    // means the client's offsets are not the ones it was acknowledged, so it is
+    // refused rather than patched into a replacement character.
+    const fresh = bytes.subarray(this.acknowledged - start);
+    const decoded = new TextDecoder('utf-8', { fatal: false }).decode(fresh);
+    if (utf8Length(decoded) !== fresh.length) {
+      return { accepted: false, apply: '', acknowledged: this.acknowledged, reason: 'invalid_offset' };
+    }
+
+    this.acknowledged = end;
+    return { accepted: true, apply: decoded, acknowledged: this.acknowledged };
+  }
+}
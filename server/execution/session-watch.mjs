@@ -0,0 +1,139 @@
+/**
+ * The timers every live session runs, whatever transport carries it.
+ *
+ * Idle timeout, absolute lifetime, and the "waiting for input" hint were written
+ * inline in the NDJSON route. The WebSocket channel needs all three with exactly the
+ * same semantics - a student must not find that a program survives longer, or is
+ * announced as waiting sooner, depending on which transport their browser chose - so
+ * they live here once and both routes drive them.
+ *
+ * A watch knows nothing about how its events are delivered. It is told about output
+ * and activity, and it calls back with "waiting" and with the reason it stopped the
+ * program.
+ */
+
+import { TerminationReason } from '../domain/termination.mjs';
+
+/**
+ * Announce "the program is waiting for you to type".
+ *
+ * Without a pseudo-terminal a blocked read(2) cannot be observed directly, so it
+ * is inferred: a live process that has gone quiet is either waiting on input or
+ * doing slow work, and in both cases the user may type.
+ *
+ * Two delays, because the situations differ. After some output the prompt has
+ * already been printed, so a short pause feels instant. Before any output the
+ * interpreter may still be starting, so waiting longer avoids revealing an input
+ * box with no context - anything typed early would be echoed above the prompt.
+ *
+ * Note this is only about WHEN THE UI HINTS. It no longer decides whether input
+ * is possible: every session accepts stdin regardless.
+ *
+ * The third delay exists because the IDE now streams EVERY run, not only ones a
+ * regex thought would read input. A program that prints a line and then computes
+ * for a second would otherwise be announced as waiting for input, which is simply
+ * untrue and teaches the student to distrust the prompt.
+ *
+ * The signal that separates them is the trailing newline. A prompt is written
+ * WITHOUT one - `input("Name: ")`, `printf("n? ")`, `Console.Write(...)` - because
+ * the caret is meant to sit on the same line. Ordinary output ends with a newline.
+ * So unterminated output is a strong prompt signal and gets the short delay, while
+ * output that ended cleanly is probably just work in progress and waits longer.
+ *
+ * It is still a heuristic: without a pseudo-terminal a blocked read cannot be
+ * observed. But it is right far more often than a flat timer, and being wrong is
+ * harmless in both directions - typing into a program that is not reading merely
+ * buffers, and a late hint still arrives.
+ */
+export const WAITING_DELAY_AFTER_PROMPT_MS = 250;
+export const WAITING_DELAY_AFTER_LINE_MS = 1500;
+export const WAITING_DELAY_INITIAL_MS = 1200;
+
+/**
+ * @param {object} options
+ * @param {object} options.config              CONFIG
+ * @param {(reason: string) => void} options.stop  terminate the program
+ * @param {() => void} options.onWaiting       the input hint is due
+ */
+export function createSessionWatch({ config, stop, onWaiting }) {
+  const state = {
+    finished: false,
+    sawOutput: false,
+    outputEndedMidLine: false,
+    idleTimer: null,
+    lifetimeTimer: null,
+    waitingTimer: null,
+    serviceReason: null,
+  };
+
+  const armWaiting = () => {
+    if (state.finished) return;
+    clearTimeout(state.waitingTimer);
+    state.waitingTimer = setTimeout(
+      () => {
+        if (!state.finished) onWaiting();
+      },
+      !state.sawOutput
+        ? WAITING_DELAY_INITIAL_MS
+        : state.outputEndedMidLine
+          ? WAITING_DELAY_AFTER_PROMPT_MS
+          : WAITING_DELAY_AFTER_LINE_MS,
+    );
+  };
+
+  const resetIdle = () => {
+    if (state.finished) return;
+    clearTimeout(state.idleTimer);
+    state.idleTimer = setTimeout(() => {
+      state.serviceReason = TerminationReason.IDLE_TIMEOUT;
+      stop(TerminationReason.IDLE_TIMEOUT);
+    }, config.execution.interactiveIdleTimeoutMs);
+  };
+
+  return {
+    /** The service-initiated reason, when a timer ended the program; otherwise null. */
+    get serviceReason() {
+      return state.serviceReason;
+    },
+
+    /** Arm the lifetime cap and the first idle and waiting timers. */
+    start() {
+      state.lifetimeTimer = setTimeout(() => {
+        state.serviceReason = TerminationReason.LIFETIME_LIMIT;
+        stop(TerminationReason.LIFETIME_LIMIT);
+      }, config.execution.interactiveMaxLifetimeMs);
+      resetIdle();
+      armWaiting();
+    },
+
+    /** The program wrote something. */
+    output(type, text) {
+      if (state.finished || !text) return;
+      state.sawOutput = true;
+      // Only stdout counts: a stderr warning ending mid-line is not a prompt.
+      if (type === 'stdout') state.outputEndedMidLine = !text.endsWith('\n');
+      resetIdle();
+      armWaiting();
+    },
+
+    /** Input arrived: the student is here, and the program may print a new prompt. */
+    input() {
+      resetIdle();
+      armWaiting();
+    },
+
+    /**
+     * Something happened that is not output - a debugger pause, for one. A program
+     * paused at a breakpoint is doing exactly what it was asked to, and the idle timer
+     * must not reap it while the student reads their variables.
+     */
+    activity: resetIdle,
+
+    finish() {
+      state.finished = true;
+      clearTimeout(state.idleTimer);
+      clearTimeout(state.lifetimeTimer);
+      clearTimeout(state.waitingTimer);
+    },
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * "Run only this case": the one case a marking harness is asked to run (blueprint
+ * section 71).
+ *
+ * The IDE's report has a button per case, and pressing it re-runs the harness with
+ * `BCTEST_ONLY` set to that case's name. A harness that reads it skips every other
+ * case; one that does not still works, because the client narrows the report.
+ *
+ * The dangerous-pattern policy (security/patterns.mjs) refuses environment reads in
+ * every language, so a harness could not read the variable until the policy made one
+ * exception: in a hidden file, the read of this name and no other, written one way
+ * per language (`TEST_CASE_READS`). `withoutTestCaseReads` blanks those reads out of
+ * the text the policy scans - the program that runs is unchanged. The value is the
+ * request's own field, so reading it tells a harness nothing the client did not send.
+ *
+ * The value is a case name as the report shows it, so it is bounded the way a name is
+ * and may not contain a control character - a newline in it could not have come from
+ * a `BCTEST case` line, which is one line.
+ */
+
+import { stripPythonCommentsAndStrings } from '../security/python-source.mjs';
+
+/** The variable a harness reads. Also `BCTEST_ONLY` in src/features/tests/protocol.ts. */
+export const TEST_CASE_ENV = 'BCTEST_ONLY';
+
+/** A case name's longest, as the report clamps it. */
+export const MAX_TEST_CASE_CHARS = 200;
+
+/** The prefix that hides a file from the student, as `workspace-visibility.ts` has it. */
+const HIDDEN_PREFIX = 'X_HIDDEN_';
+
+// eslint-disable-next-line no-control-regex
+const CONTROL = /[\u0000-\u001f\u007f]/;
+
+const QUOTED = `(?:"${TEST_CASE_ENV}"|'${TEST_CASE_ENV}')`;
+const DOUBLE_QUOTED = `"${TEST_CASE_ENV}"`;
+
+/**
+ * The reads of `BCTEST_ONLY` the policy lets a hidden file make, one expression per
+ * language, each reading that literal name and nothing computed.
+ *
+ * Python's `import os` is refused on its own as well; `withoutUnusedOsImport` lets it
+ * through only when reading this variable is all the file does with `os`.
+ */
+const TEST_CASE_READS = {
+  python: new RegExp(`\\bos\\s*\\.\\s*(?:getenv|environ\\s*\\.\\s*get)\\s*\\(\\s*${QUOTED}\\s*\\)`, 'g'),
+  javascript: new RegExp(
+    `\\bprocess\\s*\\.\\s*env\\s*(?:\\.\\s*${TEST_CASE_ENV}(?![\\w$])|\\[\\s*${QUOTED}\\s*\\])`,
+    'g',
+  ),
+  java: new RegExp(`\\bSystem\\s*\\.\\s*getenv\\s*\\(\\s*${DOUBLE_QUOTED}\\s*\\)`, 'g'),
+  csharp: new RegExp(`\\bEnvironment\\s*\\.\\s*GetEnvironmentVariable\\s*\\(\\s*${DOUBLE_QUOTED}\\s*\\)`, 'g'),
+  php: new RegExp(`\\bgetenv\\s*\\(\\s*${QUOTED}\\s*\\)`, 'g'),
+  go: new RegExp(`\\bos\\s*\\.\\s*Getenv\\s*\\(\\s*${DOUBLE_QUOTED}\\s*\\)`, 'g'),
+  ruby: new RegExp(`\\bENV\\s*\\[\\s*${QUOTED}\\s*\\]`, 'g'),
+  c: new RegExp(`(?:\\bstd\\s*::\\s*)?\\bgetenv\\s*\\(\\s*${DOUBLE_QUOTED}\\s*\\)`, 'g'),
+};
+TEST_CASE_READS.typescript = TEST_CASE_READS.javascript;
+TEST_CASE_READS.cpp = TEST_CASE_READS.c;
+
+/** Is this path hidden from the student - its own name, or a folder it is in? */
+export function isHiddenPath(path) {
+  return typeof path === 'string'
+    && path.replace(/\\/g, '/').split('/').some(segment => segment.startsWith(HIDDEN_PREFIX));
+}
+
+/**
+ * Read a request's `testCase` field.
+ *
+ * @returns {{ok: true, name: string|null} | {ok: false, code: string, message: string}}
+ */
+export function parseTestCase(raw) {
+  if (raw === undefined || raw === null) return { ok: true, name: null };
+  if (typeof raw !== 'string' || raw.trim() === '' || raw.length > MAX_TEST_CASE_CHARS || CONTROL.test(raw)) {
+    return {
+      ok: false,
+      code: 'test_case_invalid',
+      message: `testCase must be a case name of 1 to ${MAX_TEST_CASE_CHARS} characters on one line`,
+    };
+  }
+  return { ok: true, name: raw };
+}
+
+/** Spaces for every character but a newline, so the policy's line numbers still hold. */
+function blank(text) {
+  return text.replace(/[^\n]/g, ' ');
+}
+
+/**
+ * Python's `import os` lines, blanked when nothing else in the file names `os`.
+ *
+ * Decided on the code with its comments and strings removed, as the policy scans it.
+ * Only a bare `import os` qualifies: an alias or a second module on the line keeps the
+ * refusal, and so does any other use of the name, since that is `os` doing more than
+ * reading one variable.
+ */
+function withoutUnusedOsImport(code) {
+  const lines = stripPythonCommentsAndStrings(code).split('\n');
+  const imports = new Set();
+  lines.forEach((line, index) => {
+    if (/^[ \t]*import[ \t]+os[ \t]*$/.test(line)) imports.add(index);
+  });
+  if (imports.size === 0) return code;
+  if (lines.some((line, index) => !imports.has(index) && /\bos\b/.test(line))) return code;
+  return code
+    .split('\n')
+    .map((line, index) => (imports.has(index) ? blank(line) : line))
+    .join('\n');
+}
+
+/**
+ * The text the dangerous-pattern policy scans for one file: the file, less its reads
+ * of `BCTEST_ONLY` when it is hidden, so a marking harness may make them.
+ *
+ * A student's own file is scanned as written. So is a hidden one in a language with
+ * no sanctioned read.
+ */
+export function withoutTestCaseReads(language, path, code) {
+  const reads = TEST_CASE_READS[language];
+  if (!reads || !isHiddenPath(path) || !code.includes(TEST_CASE_ENV)) return code;
+  const masked = code.replace(reads, blank);
+  return language === 'python' ? withoutUnusedOsImport(masked) : masked;
+}
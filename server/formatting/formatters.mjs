@@ -0,0 +1,190 @@
+/**
+ * Real formatters, run on the server for the languages Monaco cannot format.
+ *
+ * `src/features/format-core.ts` re-indents brace languages and tidies whitespace, and
+ * says plainly that it is not black or google-java-format: it never re-wraps a line,
+ * and for Python it changes nothing but whitespace. Instructors grade style, so "Format
+ * document" doing the same thing in every language and nothing about a 140-column
+ * line was not enough. These are the tools the style guides are written against.
+ *
+ * Each formatter is a process over one file in a private job directory, spawned with
+ * the sandbox environment like a compiler. Three rules shape the table:
+ *
+ *  1. Only the student's file is written, and every tool is told not to look for
+ *     configuration: `ruff --isolated`, php-cs-fixer with its rules on the command line.
+ *     A config file the tool discovered by walking up from the job directory would make
+ *     the result depend on where the service happens to be installed. php-cs-fixer's
+ *     config is also a PHP file it EXECUTES, so one must never be found at all.
+ *  2. The student's indentation settings are honoured where the tool has a knob for
+ *     them, and ignored where the style guide fixes them (PSR-12 is four spaces).
+ *  3. A tool that refuses the file - ruff and google-java-format refuse code that does
+ *     not parse - is an answer about the code, not a failure of the service. The client
+ *     falls back to the local formatter for it, as it does when a tool is absent.
+ *
+ * Pure apart from `runFormatter`, which takes its job and environment from the caller.
+ */
+
+import fs from 'node:fs';
+
+import { TerminationReason } from '../domain/termination.mjs';
+import { runToCompletion } from '../execution/process-runner.mjs';
+
+/**
+ * One formatter per language.
+ *
+ * `tool` is the key into CONFIG.tools, so each binary can be pointed elsewhere by its
+ * `*_BIN` variable like every other toolchain.
+ */
+const FORMATTERS = {
+  python: {
+    name: 'ruff',
+    tool: 'ruff',
+    fileName: 'main.py',
+    args: (file, { indentSize, useTabs }) => [
+      'format', '--isolated', '--no-cache', '--quiet',
+      '--config', `indent-width = ${indentSize}`,
+      '--config', `format.indent-style = "${useTabs ? 'tab' : 'space'}"`,
+      file,
+    ],
+  },
+  java: {
+    name: 'google-java-format',
+    tool: 'googleJavaFormat',
+    fileName: 'Main.java',
+    // Google style indents by two. AOSP style is the same formatter at four, which is
+    // what a student with Monaco's default tab size expects to see.
+    args: (file, { indentSize }) => [...(indentSize >= 4 ? ['--aosp'] : []), '--replace', file],
+  },
+  php: {
+    name: 'php-cs-fixer',
+    tool: 'phpCsFixer',
+    fileName: 'main.php',
+    args: file => [
+      'fix', '--rules=@PSR12', '--using-cache=no', '--no-interaction', '--show-progress=none', file,
+    ],
+    // The fixer refuses to start on a PHP newer than it was tested against unless told.
+    env: { PHP_CS_FIXER_IGNORE_ENV: '1' },
+  },
+  csharp: {
+    name: 'dotnet format',
+    tool: 'dotnet',
+    fileName: 'Program.cs',
+    // `--folder` formats the files it finds without a project, so nothing is restored
+    // and no build runs. Whitespace only: the style and analyzer passes need one.
+    args: () => ['format', 'whitespace', '.', '--folder', '--verbosity', 'quiet'],
+    // dotnet format takes its indentation from .editorconfig and nowhere else. `root`
+    // stops it walking up into the service's own directories.
+    editorConfig: ({ indentSize, useTabs }) => [
+      'root = true',
+      '',
+      '[*.cs]',
+      `indent_style = ${useTabs ? 'tab' : 'space'}`,
+      `indent_size = ${indentSize}`,
+      'end_of_line = lf',
+      'insert_final_newline = true',
+      '',
+    ].join('\n'),
+  },
+};
+
+/** The formatter for a language, or null when the server has none for it. */
+export function formatterFor(language) {
+  return Object.hasOwn(FORMATTERS, language) ? FORMATTERS[language] : null;
+}
+
+/** Languages with a server formatter, for the refusal message. */
+export function formattedLanguages() {
+  return Object.keys(FORMATTERS);
+}
+
+/** Indentation settings from a request, bounded to values every tool accepts. */
+export function normalizeFormatOptions(options) {
+  const size = Number.parseInt(options?.indentSize, 10);
+  return {
+    indentSize: Number.isFinite(size) ? Math.min(8, Math.max(1, size)) : 4,
+    useTabs: options?.useTabs === true,
+  };
+}
+
+/**
+ * The smallest single replacement that turns `before` into `after`.
+ *
+ * Offsets are UTF-16 indices into `before`, the unit JavaScript strings and Monaco's
+ * `getPositionAt` share. A whole-document replacement would do the same job, but it
+ * moves the cursor to the end and makes the undo step the entire file; trimming the
+ * common prefix and suffix keeps both where the student left them whenever a
+ * formatter only touched part of the file. Null when nothing changed.
+ *
+ * @returns {{start: number, end: number, text: string}|null}
+ */
+export function minimalEdit(before, after) {
+  if (before === after) return null;
+
+  let start = 0;
+  const shortest = Math.min(before.length, after.length);
+  while (start < shortest && before.charCodeAt(start) === after.charCodeAt(start)) start++;
+
+  let beforeEnd = before.length;
+  let afterEnd = after.length;
+  while (beforeEnd > start && afterEnd > start
+    && before.charCodeAt(beforeEnd - 1) === after.charCodeAt(afterEnd - 1)) {
+    beforeEnd--;
+    afterEnd--;
+  }
+
+  // Never split a surrogate pair: an edit boundary inside one would leave half a
+  // character on each side of the replacement.
+  if (start > 0 && isHighSurrogate(before.charCodeAt(start - 1))) start--;
+  if (beforeEnd < before.length && isLowSurrogate(before.charCodeAt(beforeEnd))) {
+    beforeEnd++;
+    afterEnd++;
+  }
+
+  return { start, end: beforeEnd, text: after.slice(start, afterEnd) };
+}
+
+function isHighSurrogate(code) {
+  return code >= 0xd800 && code <= 0xdbff;
+}
+
+function isLowSurrogate(code) {
+  return code >= 0xdc00 && code <= 0xdfff;
+}
+
+/**
+ * Run one formatter over `code` in `job`.
+ *
+ * @param {object} ctx
+ * @param {ReturnType<typeof formatterFor>} ctx.formatter
+ * @param {import('../execution/job.mjs').Job} ctx.job
+ * @param {string} ctx.code
+ * @param {{indentSize: number, useTabs: boolean}} ctx.options
+ * @param {object} ctx.config       CONFIG
+ * @param {Record<string,string>} ctx.sandboxEnv
+ * @returns {Promise<{outcome: 'formatted', text: string}
+ *   |{outcome: 'rejected'|'unavailable'|'timeout', output: string}>}
+ */
+export async function runFormatter({ formatter, job, code, options, config, sandboxEnv }) {
+  job.writeFile(formatter.fileName, code);
+  if (formatter.editorConfig) job.writeFile('.editorconfig', formatter.editorConfig(options));
+
+  const result = await runToCompletion({
+    command: config.tools[formatter.tool],
+    args: formatter.args(formatter.fileName, options),
+    cwd: job.dir,
+    env: { ...sandboxEnv, ...formatter.env },
+    timeoutMs: config.execution.formatTimeoutMs,
+    maxOutputChars: 20000,
+  });
+
+  const output = (result.stderr || result.stdout || '').trim();
+  switch (result.termination.reason) {
+    case TerminationReason.STARTUP_ERROR:
+      return { outcome: 'unavailable', output };
+    case TerminationReason.TIMEOUT:
+      return { outcome: 'timeout', output };
+    default:
+      if (!result.termination.succeeded) return { outcome: 'rejected', output };
+      return { outcome: 'formatted', text: fs.readFileSync(job.absolute(formatter.fileName), 'utf8') };
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * Charts: the second record family on the graphics channel (blueprint section 68).
+ *
+ * Section 15.2 planned the channel for more than turtle. The data lessons want
+ * `plot(xs, ys)` from Python and JavaScript without matplotlib, which needs a
+ * display, a compiled wheel and a second per run to import. `bcplot` is the trusted
+ * library each language gets instead (languages/python/bcplot.py,
+ * languages/javascript/bcplot.mjs); this module is everything the service does
+ * with what it writes.
+ *
+ * ## Same direction of trust as the drawing (V-01)
+ *
+ * The library writes `{"charts": [...]}` once, at exit, to `CHARTS_OUT_ENV` - a
+ * file beside `turtle.json` that the SERVICE chose - and streams each chart that
+ * changed down the live pipe as a `chart` operation. Nothing it prints is read. The
+ * program it runs inside can write to both, so everything read back is rebuilt
+ * field by field from the tables below, exactly as a turtle shape is: an unlisted
+ * field is dropped, never passed through.
+ *
+ * ## Records
+ *
+ *   chart    title, xlabel, ylabel, series
+ *   line     k: 'line', label, c, pts: [[x, y], ...]
+ *   scatter  k: 'scatter', label, c, pts: [[x, y], ...]
+ *   bar      k: 'bar', label, c, cats: ['Mon', ...], vals: [3, ...]
+ *
+ * A point that is not two finite numbers is dropped, and so is a bar whose value is
+ * not one: a gap in a line is better than a chart that never arrives. A series left
+ * with nothing is dropped, and a chart left with no series is not a chart.
+ */
+
+import { GRAPHICS_LIMITS, readChannelJson } from './turtle.mjs';
+
+/**
+ * Bounds. A chart for a lesson has a handful of series and hundreds of points; these
+ * leave room for a dataset of a few thousand rows and stop well short of stalling a
+ * browser. Values are data, not canvas coordinates, so the turtle's coordinate limit
+ * does not apply: a population is a fine y value.
+ */
+export const CHART_LIMITS = Object.freeze({
+  maxBytes: GRAPHICS_LIMITS.maxBytes,
+  maxCharts: 16,
+  maxSeriesPerChart: 24,
+  maxPointsPerSeries: 20000,
+  /** Across every series of every chart, so 16 × 24 full series cannot add up. */
+  maxTotalPoints: 200000,
+  maxStringLength: GRAPHICS_LIMITS.maxStringLength,
+  valueLimit: 1e15,
+});
+
+const SERIES_KINDS = new Set(['line', 'scatter', 'bar']);
+
+const CHART_TEXT_FIELDS = ['title', 'xlabel', 'ylabel'];
+
+const SERIES_STRING_FIELDS = ['label', 'c'];
+
+const finiteValue = (value, limits) =>
+  typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limits.valueLimit ? value : null;
+
+const boundedString = (value, limits) =>
+  typeof value === 'string' ? value.slice(0, limits.maxStringLength) : null;
+
+/**
+ * One series, bounded, or null. `budget.points` is what is left of `maxTotalPoints`,
+ * and is spent here.
+ */
+export function sanitizeSeries(raw, limits = CHART_LIMITS, budget = { points: limits.maxTotalPoints }) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+  if (typeof raw.k !== 'string' || !SERIES_KINDS.has(raw.k)) return null;
+
+  const out = { k: raw.k };
+  for (const key of SERIES_STRING_FIELDS) {
+    const value = boundedString(raw[key], limits);
+    if (value !== null) out[key] = value;
+  }
+
+  const room = Math.min(limits.maxPointsPerSeries, budget.points);
+  if (raw.k === 'bar') {
+    if (!Array.isArray(raw.cats) || !Array.isArray(raw.vals)) return null;
+    out.cats = [];
+    out.vals = [];
+    const count = Math.min(raw.cats.length, raw.vals.length);
+    for (let index = 0; index < count && out.vals.length < room; index++) {
+      const category = typeof raw.cats[index] === 'number' ? String(raw.cats[index]) : boundedString(raw.cats[index], limits);
+      const value = finiteValue(raw.vals[index], limits);
+      if (category === null || value === null) continue;
+      out.cats.push(category);
+      out.vals.push(value);
+    }
+    if (out.vals.length === 0) return null;
+    budget.points -= out.vals.length;
+    return out;
+  }
+
+  if (!Array.isArray(raw.pts)) return null;
+  out.pts = [];
+  for (const point of raw.pts) {
+    if (out.pts.length >= room) break;
+    if (!Array.isArray(point) || point.length < 2) continue;
+    const x = finiteValue(point[0], limits);
+    const y = finiteValue(point[1], limits);
+    if (x !== null && y !== null) out.pts.push([x, y]);
+  }
+  if (out.pts.length === 0) return null;
+  budget.points -= out.pts.length;
+  return out;
+}
+
+/**
+ * One chart, bounded, or null when no series survived. Exported for the live channel
+ * (live.mjs), so a chart streamed mid-run passes exactly the checks the same chart
+ * passes in the file at exit.
+ */
+export function sanitizeChart(raw, limits = CHART_LIMITS, budget = { points: limits.maxTotalPoints }) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+
+  const out = {};
+  for (const key of CHART_TEXT_FIELDS) {
+    const value = boundedString(raw[key], limits);
+    if (value !== null && value !== '') out[key] = value;
+  }
+
+  out.series = [];
+  if (Array.isArray(raw.series)) {
+    for (const series of raw.series.slice(0, limits.maxSeriesPerChart)) {
+      const cleaned = sanitizeSeries(series, limits, budget);
+      if (cleaned) out.series.push(cleaned);
+    }
+  }
+  return out.series.length > 0 ? out : null;
+}
+
+/** How many values a chart carries: what it costs against a session budget. */
+export function chartPointCount(chart) {
+  return chart.series.reduce((sum, series) => sum + (series.pts ?? series.vals).length, 0);
+}
+
+/**
+ * Validate and bound the whole payload. Null when there is no chart in it - a program
+ * that imported bcplot and plotted nothing has nothing to show.
+ */
+export function sanitizeChartData(raw, limits = CHART_LIMITS) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.charts)) return null;
+
+  const budget = { points: limits.maxTotalPoints };
+  const charts = raw.charts
+    .slice(0, limits.maxCharts)
+    .map(chart => sanitizeChart(chart, limits, budget))
+    .filter(Boolean);
+  return charts.length > 0 ? { charts } : null;
+}
+
+/**
+ * Read the charts a finished job produced, if any. Null - never a throw - for none,
+ * too large or malformed, for the reason `readGraphicsChannel` gives.
+ *
+ * @param {string} channelPath the path THIS SERVICE allocated
+ */
+export function readChartChannel(channelPath, limits = CHART_LIMITS) {
+  return sanitizeChartData(readChannelJson(channelPath, limits.maxBytes), limits);
+}
+
+/** How each language with the library asks for it. */
+const CHART_IMPORTS = {
+  python: /\bimport\s+bcplot\b|\bfrom\s+bcplot\b/,
+  javascript: /\b(?:from|import)\s*['"]bcplot['"]|\b(?:import|require)\s*\(\s*['"]bcplot['"]\s*\)/,
+};
+
+/** Does this source import bcplot? A hint, with the costs `usesTurtle` describes. */
+export function usesCharts(source, languageId = 'python') {
+  return CHART_IMPORTS[languageId]?.test(source) ?? false;
+}
@@ -0,0 +1,477 @@
+/**
+ * The live graphics channel: a drawing streamed while it is being made.
+ *
+ * The exit-time file (turtle.mjs) is the whole picture, but it is read only after
+ * the process exits - and only a program that exits cleanly writes it. The spiral
+ * that loops forever is killed by the timeout before its atexit runs, and a
+ * student who most needed to see where it went wrong saw nothing at all. Blueprint
+ * section 15.2 planned the answer, and section 64 records what was built.
+ *
+ * ## The pipe
+ *
+ * A run whose policy is live gets one extra descriptor, `LIVE_GRAPHICS_FD`, and its
+ * number in `GRAPHICS_LIVE_ENV`. The shim writes frames to it: a 4-byte big-endian
+ * length, then `{"v": 2, "ops": [...]}` in UTF-8. Same direction of trust as the
+ * file (V-01): the SERVICE made the pipe and reads only from it, and nothing the
+ * program prints on stdout can open, name or feed it.
+ *
+ * The shim is trusted, the program it runs in is not, and both can write to the
+ * descriptor. So every frame is parsed and validated here with the sanitisers the
+ * file goes through, and bounded per frame, per batch and per session.
+ *
+ * ## Operations
+ *
+ *   screen     bg, w, h, tracer, speed, pic - the whole set, when any changed
+ *   shapes     shapes to append
+ *   truncate   drop every shape from `length` on (a fill drawn under its outline, a
+ *              cleared stamp, an undo - the shim re-sends what follows)
+ *   cursors    where every turtle is now; only the newest matters
+ *   polygon    a registered cursor polygon
+ *   svgShape   a registered SVG cursor
+ *   prompt     numinput()/textinput() is waiting for an answer; not part of the
+ *              drawing (section 65)
+ *   chart      the whole of one bcplot chart, by its index: a new one, or one that
+ *              grew (section 68). Not part of the drawing either; a client shows it
+ *              in the chart window
+ *
+ * A shape the sanitiser would drop is NOT dropped here: every later `truncate` is an
+ * index into the shim's list, and one missing shape would shift the rest of the
+ * drawing under it. A frame that does not validate stops the stream instead, with a
+ * warning - the exit-time file still arrives, sanitised shape by shape as before.
+ *
+ * ## Batches
+ *
+ * Whatever arrived in one read becomes one `GraphicsBatch`:
+ *
+ *   { protocolVersion: 2, sessionId, sequence, sceneRevision, operations }
+ *
+ * `sessionId` is the run's own id, fixed before the process starts - a client only
+ * compares it, to tell one run's drawing from the next. `sequence` counts batches
+ * from 1 so a client can tell one went missing, and `sceneRevision` counts
+ * operations (a shape is one), so two clients that applied the same batches agree
+ * on which scene they hold. Consecutive cursor updates inside a
+ * batch collapse to the last - a turtle that moved twice before anyone looked is
+ * only drawn where it ended up. Nothing is ever reordered.
+ *
+ * At `warnAt` of a session budget the reader says so once; at the budget it stops
+ * forwarding and says that too. It keeps reading, because a full pipe would block the
+ * program on its next write: the graphics stop, the program does not.
+ *
+ * ## Events back (blueprint section 65)
+ *
+ * A live run gets a second pipe, `LIVE_GRAPHICS_EVENTS_FD`, for what the student
+ * does in the turtle window: key presses, clicks, answers to numinput() and
+ * textinput(), and closing it. `buildGraphicsEvent` rebuilds each one field by field,
+ * the way `buildDebugCommand` rebuilds a debug command, and the pipeline writes it as
+ * one line of JSON. A question comes the other way, as a `prompt` operation in the
+ * drawing's own stream, so it is shown in order with what was drawn before it.
+ */
+
+import { log } from '../logging.mjs';
+import { CHART_LIMITS, chartPointCount, sanitizeChart } from './charts.mjs';
+import {
+  GRAPHICS_LIMITS,
+  sanitizeCursor,
+  sanitizePolygon,
+  sanitizeScreen,
+  sanitizeShape,
+  sanitizeSvgShape,
+} from './turtle.mjs';
+
+export const GRAPHICS_PROTOCOL_VERSION = 2;
+
+/** The descriptor the pipe is given in the child: the first after stdio. */
+export const LIVE_GRAPHICS_FD = 3;
+
+/** Tells the shim the pipe is there. Set only for a live run. */
+export const GRAPHICS_LIVE_ENV = 'BROWSER_CODER_GRAPHICS_LIVE_FD';
+
+/** The descriptor events from the turtle window arrive on, in the child. */
+export const LIVE_GRAPHICS_EVENTS_FD = 4;
+
+/** Tells the shim the events pipe is there. Set with `GRAPHICS_LIVE_ENV`, never alone. */
+export const GRAPHICS_EVENTS_ENV = 'BROWSER_CODER_GRAPHICS_EVENTS_FD';
+
+/**
+ * Unread event bytes beyond which key presses and clicks are dropped.
+ *
+ * A program that is not in mainloop() reads nothing, and a student holding an arrow
+ * key would otherwise queue events in this process without bound. A keyboard buffer
+ * drops keys when full too. Dialog answers and `close` are always written: the
+ * program is waiting for those.
+ */
+export const MAX_PENDING_EVENT_BYTES = 64 * 1024;
+
+/**
+ * What a run's drawing does when the program fails (blueprint section 15.3).
+ *
+ *   successOnlyReplay    no stream; the drawing is replayed after a clean exit. The
+ *                        default, so a client that never asked sees what it always did.
+ *   liveDiscardOnError   streamed; cleared if the program fails.
+ *   livePreserveOnError  streamed; kept if the program fails.
+ */
+export const GRAPHICS_POLICIES = Object.freeze(['successOnlyReplay', 'liveDiscardOnError', 'livePreserveOnError']);
+
+export const DEFAULT_GRAPHICS_POLICY = 'successOnlyReplay';
+
+export function isLiveGraphicsPolicy(policy) {
+  return policy === 'liveDiscardOnError' || policy === 'livePreserveOnError';
+}
+
+/**
+ * The exit-time bounds, plus the stream's own. The session budgets are twice the
+ * file's, because a stream re-sends what a fill or an undo rewrote, and a drawing
+ * the file would hold should not lose its live view for having been edited.
+ */
+export const LIVE_GRAPHICS_LIMITS = Object.freeze({
+  ...GRAPHICS_LIMITS,
+  maxFrameBytes: 1024 * 1024,
+  maxOperationsPerBatch: 4096,
+  maxSessionOperations: 2 * GRAPHICS_LIMITS.maxShapes,
+  maxSessionBytes: 2 * GRAPHICS_LIMITS.maxBytes,
+  warnAt: 0.8,
+});
+
+const HEADER_BYTES = 4;
+
+/** Refused frame: the stream stops, the reason is logged and reported once. */
+class FrameRefused extends Error {}
+
+/**
+ * Reads one run's pipe and produces its batches.
+ *
+ * `push` every chunk the pipe delivers and `finish` at close. `onBatch` and
+ * `onWarning` are called synchronously from `push`, in order.
+ */
+export class LiveGraphicsReader {
+  /**
+   * @param {object} options
+   * @param {string|null} [options.sessionId]  stamped on every batch
+   * @param {object} [options.limits]
+   * @param {(batch: object) => void} options.onBatch
+   * @param {(warning: {resource: string, used: number, limit: number, stopped: boolean, message: string}) => void} [options.onWarning]
+   */
+  constructor({ sessionId = null, limits = LIVE_GRAPHICS_LIMITS, onBatch, onWarning = () => {} }) {
+    this.sessionId = sessionId;
+    this.limits = limits;
+    this.onBatch = onBatch;
+    this.onWarning = onWarning;
+
+    this.pending = Buffer.alloc(0);
+    this.sequence = 0;
+    this.sceneRevision = 0;
+    this.operations = 0;
+    this.bytes = 0;
+    this.warned = false;
+
+    /** Shapes the scene holds, as the shim counts them - what `truncate` is checked against. */
+    this.shapeCount = 0;
+    this.polygons = new Set();
+    this.svgShapes = new Set();
+    this.svgBudget = { used: 0 };
+
+    /** Charts the client holds, so a `chart` index can only replace one or add the next. */
+    this.chartCount = 0;
+
+    /** Null while streaming; the reason once it has stopped. */
+    this.stopped = null;
+  }
+
+  push(chunk) {
+    if (this.stopped) return;
+    this.pending = this.pending.length === 0 ? chunk : Buffer.concat([this.pending, chunk]);
+
+    const operations = [];
+    try {
+      while (this.pending.length >= HEADER_BYTES) {
+        const length = this.pending.readUInt32BE(0);
+        if (length > this.limits.maxFrameBytes) {
+          throw new FrameRefused(`a frame of ${length} bytes is over the ${this.limits.maxFrameBytes}-byte limit`);
+        }
+        if (this.pending.length < HEADER_BYTES + length) break;
+
+        const frame = this.pending.subarray(HEADER_BYTES, HEADER_BYTES + length);
+        this.pending = this.pending.subarray(HEADER_BYTES + length);
+        if (!this.account(HEADER_BYTES + length, 0)) break;
+
+        for (const operation of this.parse(frame)) {
+          if (!this.account(0, weight(operation))) break;
+          operations.push(operation);
+        }
+        if (this.stopped) break;
+      }
+    } catch (error) {
+      if (!(error instanceof FrameRefused)) throw error;
+      log('warn', 'graphics_frame_refused', { reason: error.message });
+      this.stop('graphics_invalid', `Live drawing stopped: ${error.message}.`);
+    }
+
+    // What validated before a refusal is still delivered: it was true when sent.
+    this.deliver(operations);
+    if (this.stopped) this.pending = Buffer.alloc(0);
+  }
+
+  /** The pipe closed. A partial frame is a program killed mid-write, not an error. */
+  finish() {
+    this.pending = Buffer.alloc(0);
+  }
+
+  // ── Validation ─────────────────────────────────────────────────────────────
+
+  parse(frame) {
+    let message;
+    try {
+      message = JSON.parse(frame.toString('utf8'));
+    } catch {
+      throw new FrameRefused('a frame is not JSON');
+    }
+    if (!message || message.v !== GRAPHICS_PROTOCOL_VERSION || !Array.isArray(message.ops)) {
+      throw new FrameRefused('a frame is not a version 2 graphics frame');
+    }
+    return message.ops.map(operation => this.operation(operation));
+  }
+
+  operation(raw) {
+    const limits = this.limits;
+    switch (raw?.op) {
+      case 'screen':
+        return { op: 'screen', ...sanitizeScreen(raw, limits) };
+
+      case 'truncate': {
+        const { length } = raw;
+        if (!Number.isSafeInteger(length) || length < 0 || length > this.shapeCount) {
+          throw new FrameRefused('a truncate is outside the drawing');
+        }
+        this.shapeCount = length;
+        return { op: 'truncate', length };
+      }
+
+      case 'shapes': {
+        if (!Array.isArray(raw.shapes)) throw new FrameRefused('a shapes operation has no list');
+        const shapes = raw.shapes.map(shape => sanitizeShape(shape, limits));
+        if (shapes.includes(null)) throw new FrameRefused('a shape is not one the renderer draws');
+        if (this.shapeCount + shapes.length > limits.maxShapes) {
+          throw new FrameRefused(`the drawing is over ${limits.maxShapes} shapes`);
+        }
+        this.shapeCount += shapes.length;
+        return { op: 'shapes', shapes };
+      }
+
+      case 'cursors': {
+        if (!Array.isArray(raw.cursors)) throw new FrameRefused('a cursors operation has no list');
+        const cursors = raw.cursors
+          .slice(0, limits.maxCursors)
+          .map(cursor => sanitizeCursor(cursor, limits))
+          .filter(Boolean);
+        return { op: 'cursors', cursors };
+      }
+
+      case 'polygon': {
+        const name = boundedName(raw.name, limits);
+        const points = sanitizePolygon(raw.points, limits);
+        if (name === null || points === null) throw new FrameRefused('a polygon is malformed');
+        this.polygons.add(name);
+        if (this.polygons.size > limits.maxPolygons) {
+          throw new FrameRefused(`more than ${limits.maxPolygons} polygons`);
+        }
+        return { op: 'polygon', name, points };
+      }
+
+      case 'svgShape': {
+        const name = boundedName(raw.name, limits);
+        if (name === null) throw new FrameRefused('an SVG shape has no name');
+        if (!this.svgShapes.has(name) && this.svgShapes.size >= limits.maxSvgShapes) {
+          throw new FrameRefused(`more than ${limits.maxSvgShapes} SVG shapes`);
+        }
+        const shape = sanitizeSvgShape(raw.shape, limits, this.svgBudget);
+        if (!shape) throw new FrameRefused('an SVG shape was refused');
+        this.svgShapes.add(name);
+        return { op: 'svgShape', name, shape };
+      }
+
+      case 'prompt': {
+        const { id } = raw;
+        if (!Number.isSafeInteger(id) || id < 1) throw new FrameRefused('a prompt has no id');
+        if (raw.kind !== 'text' && raw.kind !== 'number') throw new FrameRefused('a prompt is neither text nor number');
+        const bound = value => finiteOrNull(value, limits);
+        return {
+          op: 'prompt',
+          id,
+          kind: raw.kind,
+          title: boundedText(raw.title, limits),
+          prompt: boundedText(raw.prompt, limits),
+          default: raw.kind === 'number' ? bound(raw.default) : null,
+          min: raw.kind === 'number' ? bound(raw.min) : null,
+          max: raw.kind === 'number' ? bound(raw.max) : null,
+        };
+      }
+
+      case 'chart': {
+        const { index } = raw;
+        if (!Number.isSafeInteger(index) || index < 0 || index > this.chartCount || index >= CHART_LIMITS.maxCharts) {
+          throw new FrameRefused('a chart is outside the list');
+        }
+        const chart = sanitizeChart(raw.chart);
+        if (!chart) throw new FrameRefused('a chart has no series the viewer draws');
+        this.chartCount = Math.max(this.chartCount, index + 1);
+        return { op: 'chart', index, chart };
+      }
+
+      default:
+        throw new FrameRefused('an operation is not one this server knows');
+    }
+  }
+
+  // ── Budgets ────────────────────────────────────────────────────────────────
+
+  /** Count bytes and operations against the session. False once the stream has stopped. */
+  account(bytes, operations) {
+    this.bytes += bytes;
+    this.operations += operations;
+    const { maxSessionBytes, maxSessionOperations, warnAt } = this.limits;
+
+    if (this.bytes > maxSessionBytes) {
+      this.stop('graphics_bytes', `Live drawing stopped after ${maxSessionBytes} bytes. The finished drawing still appears when the program ends.`);
+      return false;
+    }
+    if (this.operations > maxSessionOperations) {
+      this.stop('graphics_operations', `Live drawing stopped after ${maxSessionOperations} operations. The finished drawing still appears when the program ends.`);
+      return false;
+    }
+
+    if (!this.warned) {
+      const bytesUsed = this.bytes / maxSessionBytes;
+      const operationsUsed = this.operations / maxSessionOperations;
+      if (bytesUsed >= warnAt || operationsUsed >= warnAt) {
+        this.warned = true;
+        const byBytes = bytesUsed >= operationsUsed;
+        this.onWarning({
+          resource: byBytes ? 'graphics_bytes' : 'graphics_operations',
+          used: byBytes ? this.bytes : this.operations,
+          limit: byBytes ? maxSessionBytes : maxSessionOperations,
+          stopped: false,
+          message: 'This drawing is close to the live graphics limit. Past it, the drawing appears only when the program ends.',
+        });
+      }
+    }
+    return true;
+  }
+
+  stop(resource, message) {
+    if (this.stopped) return;
+    this.stopped = resource;
+    const used = resource === 'graphics_operations' ? this.operations : this.bytes;
+    const limit = resource === 'graphics_operations'
+      ? this.limits.maxSessionOperations
+      : this.limits.maxSessionBytes;
+    this.onWarning({ resource, used, limit, stopped: true, message });
+  }
+
+  // ── Delivery ───────────────────────────────────────────────────────────────
+
+  deliver(operations) {
+    const coalesced = [];
+    for (const operation of operations) {
+      // A cursor update directly after another replaces it; anything in between
+      // keeps both, so no shape is ever drawn with the wrong cursor beside it.
+      if (operation.op === 'cursors' && coalesced.at(-1)?.op === 'cursors') coalesced.pop();
+      coalesced.push(operation);
+    }
+
+    let batch = [];
+    let size = 0;
+    const flush = () => {
+      if (batch.length === 0) return;
+      this.sequence += 1;
+      this.sceneRevision += size;
+      this.onBatch({
+        protocolVersion: GRAPHICS_PROTOCOL_VERSION,
+        sessionId: this.sessionId,
+        sequence: this.sequence,
+        sceneRevision: this.sceneRevision,
+        operations: batch,
+      });
+      batch = [];
+      size = 0;
+    };
+
+    const max = this.limits.maxOperationsPerBatch;
+    for (const operation of coalesced) {
+      if (operation.op !== 'shapes') {
+        if (size + 1 > max) flush();
+        batch.push(operation);
+        size += 1;
+        continue;
+      }
+      // A long run of shapes is split across batches rather than sent as one.
+      let { shapes } = operation;
+      while (shapes.length > 0) {
+        if (size >= max) flush();
+        const room = max - size;
+        batch.push({ op: 'shapes', shapes: shapes.slice(0, room) });
+        size += Math.min(room, shapes.length);
+        shapes = shapes.slice(room);
+      }
+    }
+    flush();
+  }
+}
+
+/** How much of the session budget an operation spends. A shape is one, and so is a chart's value. */
+function weight(operation) {
+  if (operation.op === 'shapes') return operation.shapes.length;
+  if (operation.op === 'chart') return Math.max(1, chartPointCount(operation.chart));
+  return 1;
+}
+
+function boundedText(value, limits) {
+  return typeof value === 'string' ? value.slice(0, limits.maxTextLength) : '';
+}
+
+function finiteOrNull(value, limits) {
+  return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limits.coordinateLimit
+    ? value
+    : null;
+}
+
+/** A key name as Tk spells it: `Up`, `space`, `a`, `F1`. */
+const KEY_NAME = /^(?:[A-Za-z0-9_]{1,32}|[^\s\p{Cc}])$/u;
+
+/**
+ * One event from the turtle window, rebuilt from an untrusted request body.
+ *
+ * Returns null for anything that is not exactly one of the four shapes, so a route
+ * can refuse it rather than pass it on.
+ */
+export function buildGraphicsEvent(raw, limits = LIVE_GRAPHICS_LIMITS) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+  switch (raw.type) {
+    case 'key':
+      if (typeof raw.key !== 'string' || !KEY_NAME.test(raw.key) || typeof raw.down !== 'boolean') return null;
+      return { type: 'key', key: raw.key, down: raw.down };
+
+    case 'click': {
+      const x = finiteOrNull(raw.x, limits);
+      const y = finiteOrNull(raw.y, limits);
+      const button = raw.button ?? 1;
+      if (x === null || y === null || ![1, 2, 3].includes(button)) return null;
+      return { type: 'click', x, y, button };
+    }
+
+    case 'prompt':
+      if (!Number.isSafeInteger(raw.id) || raw.id < 1) return null;
+      if (raw.value !== null && typeof raw.value !== 'string') return null;
+      return { type: 'prompt', id: raw.id, value: raw.value === null ? null : raw.value.slice(0, limits.maxTextLength) };
+
+    case 'close':
+      return { type: 'close' };
+
+    default:
+      return null;
+  }
+}
+
+function boundedName(value, limits) {
+  if (typeof value !== 'string' || value === '') return null;
+  return value.length > limits.maxStringLength ? value.slice(0, limits.maxStringLength) : value;
+}
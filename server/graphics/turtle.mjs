@@ -38,9 +38,17 @@ import { log } from '../logging.mjs';
 /** Environment variable the trusted shim reads to find its output target. */
 export const GRAPHICS_OUT_ENV = 'BROWSER_CODER_GRAPHICS_OUT';
 
+/**
+ * The same, for the chart library (`bcplot`, blueprint section 68). A file of its own
+ * beside the drawing, because a program may draw and chart at once and two writers
+ * of one file would overwrite each other at exit.
+ */
+export const CHARTS_OUT_ENV = 'BROWSER_CODER_CHARTS_OUT';
+
 /** Service-owned directory name inside the job. */
 const CHANNEL_DIR = '.graphics';
 const CHANNEL_FILE = 'turtle.json';
+const CHARTS_FILE = 'charts.json';
 
 /**
  * Bounds. A drawing is data for a canvas, not an arbitrary document, so every
@@ -220,7 +228,7 @@ function sanitizeRecord(record, fields, limits, requireKind) {
  * from the student's workspace - so the content is untrusted even though the
  * envelope is not.
  */
-function sanitizeSvgShape(value, limits, budget) {
+export function sanitizeSvgShape(value, limits, budget) {
   if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
   if (typeof value.data !== 'string') return null;
   if (!value.data.startsWith(SVG_DATA_URL_PREFIX)) return null;
@@ -271,13 +279,18 @@ function sanitizeSvgShape(value, limits, budget) {
  * never from program output.
  *
  * @param {import('../execution/job.mjs').Job} job
- * @returns {{path: string, env: Record<string,string>}}
+ * @returns {{path: string, chartsPath: string, env: Record<string,string>}}
  */
 export function createGraphicsChannel(job) {
   const directory = path.join(job.dir, CHANNEL_DIR);
   fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
   const filePath = path.join(directory, CHANNEL_FILE);
-  return { path: filePath, env: { [GRAPHICS_OUT_ENV]: filePath } };
+  const chartsPath = path.join(directory, CHARTS_FILE);
+  return {
+    path: filePath,
+    chartsPath,
+    env: { [GRAPHICS_OUT_ENV]: filePath, [CHARTS_OUT_ENV]: chartsPath },
+  };
 }
 
 const finiteNumber = (value, limit) => {
@@ -293,18 +306,42 @@ const boundedString = (value, maxLength) => {
 };
 
 /**
- * Validate and bound one drawing payload.
+ * One shape, bounded, or null for a record the renderer would not recognise.
  *
- * Deliberately allowlist-shaped: unknown keys are dropped rather than passed
- * through, so a future shim change cannot smuggle an unreviewed field into the
- * renderer. Malformed entries are skipped rather than failing the whole drawing -
- * a student who produced 10,000 valid shapes and one bad one should still see
- * their picture.
+ * Exported, with its siblings below, for the live channel (server/graphics/live.mjs):
+ * a shape streamed mid-run must pass exactly the checks the same shape would have
+ * passed in the file at exit, or the two views of one drawing could disagree.
  */
-export function sanitizeTurtleData(raw, limits = GRAPHICS_LIMITS) {
-  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+export function sanitizeShape(shape, limits = GRAPHICS_LIMITS) {
+  return sanitizeRecord(shape, SHAPE_FIELDS, limits, true);
+}
 
+/** One cursor. A cursor is NOT a shape: it carries no `k`. */
+export function sanitizeCursor(cursor, limits = GRAPHICS_LIMITS) {
+  return sanitizeRecord(cursor, CURSOR_FIELDS, limits, false);
+}
+
+/** A registered polygon's points, or null when it is not a list. Bad points are dropped. */
+export function sanitizePolygon(points, limits = GRAPHICS_LIMITS) {
+  if (!Array.isArray(points)) return null;
+  return points
+    .slice(0, limits.maxPointsPerShape)
+    .map(point => {
+      if (!Array.isArray(point) || point.length < 2) return null;
+      const x = finiteNumber(point[0], limits.coordinateLimit);
+      const y = finiteNumber(point[1], limits.coordinateLimit);
+      return x !== null && y !== null ? [x, y] : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * The screen settings: background, size, tracer, speed and background picture.
+ * Only the fields that passed are present.
+ */
+export function sanitizeScreen(raw, limits = GRAPHICS_LIMITS) {
   const out = {};
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return out;
 
   const bg = boundedString(raw.bg, limits.maxStringLength);
   if (bg !== null) out.bg = bg;
@@ -319,13 +356,35 @@ export function sanitizeTurtleData(raw, limits = GRAPHICS_LIMITS) {
   const speed = finiteNumber(raw.speed, limits.coordinateLimit);
   if (speed !== null) out.speed = speed;
 
-  const sanitizeShape = shape => sanitizeRecord(shape, SHAPE_FIELDS, limits, true);
-  const sanitizeCursor = cursor => sanitizeRecord(cursor, CURSOR_FIELDS, limits, false);
+  // `pic` names a workspace image the frontend resolves. It is a filename, not a
+  // path: no separators, no traversal, so it can only ever match a project file.
+  const pic = boundedString(raw.pic, limits.maxStringLength);
+  if (pic !== null && pic !== '' && !pic.includes('/') && !pic.includes('\\') && !pic.includes('..')) {
+    out.pic = pic;
+  }
+
+  return out;
+}
+
+/**
+ * Validate and bound one drawing payload.
+ *
+ * Deliberately allowlist-shaped: unknown keys are dropped rather than passed
+ * through, so a future shim change cannot smuggle an unreviewed field into the
+ * renderer. Malformed entries are skipped rather than failing the whole drawing -
+ * a student who produced 10,000 valid shapes and one bad one should still see
+ * their picture.
+ */
+export function sanitizeTurtleData(raw, limits = GRAPHICS_LIMITS) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+
+  const { pic, ...screen } = sanitizeScreen(raw, limits);
+  const out = { ...screen };
 
   if (Array.isArray(raw.shapes)) {
     out.shapes = raw.shapes
       .slice(0, limits.maxShapes)
-      .map(sanitizeShape)
+      .map(shape => sanitizeShape(shape, limits))
       .filter(Boolean);
   } else {
     out.shapes = [];
@@ -336,7 +395,7 @@ export function sanitizeTurtleData(raw, limits = GRAPHICS_LIMITS) {
       .slice(0, limits.maxCursors)
       // A cursor is NOT a shape: it carries no `k`, so running it through the shape
       // sanitiser rejected every one of them.
-      .map(sanitizeCursor)
+      .map(cursor => sanitizeCursor(cursor, limits))
       .filter(Boolean);
   } else {
     out.cursors = [];
@@ -348,16 +407,9 @@ export function sanitizeTurtleData(raw, limits = GRAPHICS_LIMITS) {
     for (const [name, points] of Object.entries(raw.polys)) {
       if (count >= limits.maxPolygons) break;
       const key = boundedString(name, limits.maxStringLength);
-      if (key === null || !Array.isArray(points)) continue;
-      polys[key] = points
-        .slice(0, limits.maxPointsPerShape)
-        .map(point => {
-          if (!Array.isArray(point) || point.length < 2) return null;
-          const x = finiteNumber(point[0], limits.coordinateLimit);
-          const y = finiteNumber(point[1], limits.coordinateLimit);
-          return x !== null && y !== null ? [x, y] : null;
-        })
-        .filter(Boolean);
+      const cleaned = sanitizePolygon(points, limits);
+      if (key === null || cleaned === null) continue;
+      polys[key] = cleaned;
       count++;
     }
     if (count > 0) out.polys = polys;
@@ -390,12 +442,7 @@ export function sanitizeTurtleData(raw, limits = GRAPHICS_LIMITS) {
     if (count > 0) out.svgShapes = svgShapes;
   }
 
-  // `pic` names a workspace image the frontend resolves. It is a filename, not a
-  // path: no separators, no traversal, so it can only ever match a project file.
-  const pic = boundedString(raw.pic, limits.maxStringLength);
-  if (pic !== null && pic !== '' && !pic.includes('/') && !pic.includes('\\') && !pic.includes('..')) {
-    out.pic = pic;
-  }
+  if (pic !== undefined) out.pic = pic;
 
   if (out.shapes.length === 0 && out.cursors.length === 0) return null;
   return out;
@@ -411,6 +458,17 @@ export function sanitizeTurtleData(raw, limits = GRAPHICS_LIMITS) {
  * @param {string} channelPath the path THIS SERVICE allocated
  */
 export function readGraphicsChannel(channelPath, limits = GRAPHICS_LIMITS) {
+  return sanitizeTurtleData(readChannelJson(channelPath, limits.maxBytes), limits);
+}
+
+/**
+ * The parsed JSON in a channel file, unvalidated, or null. Shared with the chart
+ * channel (charts.mjs), which is read with the same care and then sanitised by its
+ * own tables.
+ *
+ * @param {string} channelPath the path THIS SERVICE allocated
+ */
+export function readChannelJson(channelPath, maxBytes) {
   if (!channelPath) return null;
 
   let stat;
@@ -429,22 +487,31 @@ export function readGraphicsChannel(channelPath, limits = GRAPHICS_LIMITS) {
   }
 
   // Size is checked BEFORE reading, so an oversized payload is never allocated.
-  if (stat.size > limits.maxBytes) {
-    log('warn', 'graphics_channel_too_large', { bytes: stat.size, limit: limits.maxBytes });
+  if (stat.size > maxBytes) {
+    log('warn', 'graphics_channel_too_large', { bytes: stat.size, limit: maxBytes });
     return null;
   }
 
-  let parsed;
   try {
-    parsed = JSON.parse(fs.readFileSync(channelPath, 'utf8'));
+    return JSON.parse(fs.readFileSync(channelPath, 'utf8'));
   } catch (error) {
     log('warn', 'graphics_channel_unparseable', { error: error.message });
     return null;
   }
-
-  return sanitizeTurtleData(parsed, limits);
 }
 
+/** How each language with a turtle shim asks for it. */
+const TURTLE_IMPORTS = {
+  python: /\bimport\s+turtle\b|\bfrom\s+turtle\b/,
+  ruby: /^\s*require\s*\(?\s*['"]turtle['"]/m,
+  // `import turtle from 'turtle'`, `import 'turtle'`, `await import('turtle')` and
+  // `require('turtle')`.
+  javascript: /\b(?:from|import)\s*['"]turtle['"]|\b(?:import|require)\s*\(\s*['"]turtle['"]\s*\)/,
+  // Java imports nothing from the default package, so the class is the tell:
+  // `new Turtle(...)`, or a static call such as `Turtle.bgcolor("navy")`.
+  java: /\bnew\s+Turtle\s*\(|\bTurtle\s*\.\s*[a-z]\w*\s*\(/,
+};
+
 /**
  * Does this source import turtle?
  *
@@ -452,7 +519,10 @@ export function readGraphicsChannel(channelPath, limits = GRAPHICS_LIMITS) {
  * negative costs a missing drawing, never correctness, and a false positive
  * costs a few milliseconds - so a regex is the right tool here, unlike in the
  * security policy where the same shape of check would be load-bearing.
+ *
+ * Python's spelling is the default because it was the only one for a long time;
+ * a language with no shim never imports turtle.
  */
-export function usesTurtle(source) {
-  return /\bimport\s+turtle\b|\bfrom\s+turtle\b/.test(source);
+export function usesTurtle(source, languageId = 'python') {
+  return TURTLE_IMPORTS[languageId]?.test(source) ?? false;
 }
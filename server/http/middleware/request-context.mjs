@@ -10,6 +10,16 @@ import crypto from 'node:crypto';
 import compression from 'compression';
 import express from 'express';
 
+// N-01: `trust proxy: true` told Express to trust EVERY hop, so `req.ip` was
+// taken from the leftmost X-Forwarded-For entry - a value the client writes.
+// A hop COUNT makes Express count inward from the socket, so entries a client
+// injected on the left are never reached. One hop (nginx) by default;
+// TRUSTED_PROXY_HOPS covers a deployment that adds a CDN or load balancer.
+//
+// Exported because the WebSocket upgrade never passes through Express, and must
+// derive the same client address by the same count.
+export const TRUSTED_PROXY_HOPS = Number.parseInt(process.env.TRUSTED_PROXY_HOPS || '1', 10);
+
 /**
  * @param {import('express').Express} app
  * @param {object} options
@@ -20,12 +30,7 @@ import express from 'express';
  *        buffered - the capacity gate, and the CORS headers its refusal needs.
  */
 export function applyRequestContext(app, { config, runBodyLimitBytes, runGate = [] }) {
-  // N-01: `trust proxy: true` told Express to trust EVERY hop, so `req.ip` was
-  // taken from the leftmost X-Forwarded-For entry - a value the client writes.
-  // A hop COUNT makes Express count inward from the socket, so entries a client
-  // injected on the left are never reached. One hop (nginx) by default;
-  // TRUSTED_PROXY_HOPS covers a deployment that adds a CDN or load balancer.
-  app.set('trust proxy', Number.parseInt(process.env.TRUSTED_PROXY_HOPS || '1', 10));
+  app.set('trust proxy', TRUSTED_PROXY_HOPS);
 
   app.use(compression());
 
@@ -56,6 +61,10 @@ export function applyRequestContext(app, { config, runBodyLimitBytes, runGate =
 
   app.use('/api/run', express.json({ limit: runBodyLimitBytes }));
 
+  // An analysis request carries the whole project too, on every completion, so it
+  // gets a run's allowance rather than the 100kb default (blueprint section 63).
+  app.use('/api/analysis', express.json({ limit: runBodyLimitBytes }));
+
   /*
    * An asset upload is RAW BYTES, not JSON and not multipart.
    *
@@ -0,0 +1,68 @@
+/**
+ * POST /api/analysis - questions about a Python project, answered by Jedi.
+ *
+ * Completion, signature help, go-to-definition, references and rename, through the
+ * analysis broker (server/analysis/broker.mjs, blueprint section 63). The body names
+ * the editor session, the question and where it was asked, and carries the project:
+ *
+ *     {session, language: 'python', method, files, path, line, column, newName?}
+ *
+ * ## Every failure is one the editor can fall back from
+ *
+ * The editor keeps its regex providers and uses them whenever this cannot answer, so
+ * the statuses say which kind of "cannot" it was:
+ *
+ *     200 {result}                 answered; the shape depends on the method
+ *     400 analysis_unsupported     no broker for this language (and the usual 400s)
+ *     429 analysis_busy            every session, or every one this connection may
+ *                                  hold, is in use; a NEW one was refused
+ *     503 analysis_unavailable     this server has no Jedi; stop asking
+ *     504 analysis_timeout         Jedi overran and its process was replaced
+ *
+ * A request whose client has gone is not answered at all - and, if it had not yet
+ * reached Jedi, is never asked.
+ */
+
+import { ExecutionRefused } from '../../execution/pipeline.mjs';
+import { log } from '../../logging.mjs';
+
+export function registerAnalysisRoutes(app, { broker }) {
+  app.post('/api/analysis', async (req, res) => {
+    const body = req.body || {};
+
+    // Aborted when the editor cancels, which it does the moment a newer keystroke
+    // makes the question obsolete. The broker drops it from the session's queue.
+    const abandoned = new AbortController();
+    res.on('close', () => { if (!res.writableEnded) abandoned.abort(); });
+
+    try {
+      const ip = req.ip || req.socket?.remoteAddress || 'unknown';
+      const answer = await broker.ask(body, abandoned.signal, ip);
+      if (abandoned.signal.aborted) return undefined;
+
+      switch (answer.outcome) {
+        case 'answered':
+          return res.json({ result: answer.result });
+        case 'unavailable':
+          log('warn', 'analysis_unavailable', { error: answer.error });
+          return res.status(503).json({ error: 'Python analysis is not available on this server', code: 'analysis_unavailable' });
+        case 'timeout':
+          return res.status(504).json({ error: 'Python analysis took too long', code: 'analysis_timeout' });
+        case 'cancelled':
+          return undefined;
+        default:
+          log('warn', 'analysis_failed', { method: body.method, error: answer.error });
+          return res.status(500).json({ error: 'Analysis failed', code: 'analysis_failed' });
+      }
+    } catch (error) {
+      if (abandoned.signal.aborted) return undefined;
+
+      if (error instanceof ExecutionRefused) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+      }
+
+      log('error', 'analysis_failed', { method: body.method, error: error.message });
+      return res.status(500).json({ error: 'Analysis failed', code: 'internal_error' });
+    }
+  });
+}
@@ -0,0 +1,95 @@
+/**
+ * POST /api/format - "Format document" with the language's real formatter.
+ *
+ * The editor formats locally with `format-core.ts`, which re-indents and tidies but
+ * never re-wraps a line. This route runs ruff, google-java-format, php-cs-fixer or
+ * `dotnet format` instead (blueprint section 61), through the pipeline's `format()`,
+ * so no formatter logic lives here, as none lives in the run routes.
+ *
+ * ## Every failure is an answer the client can fall back from
+ *
+ * The client prefers this route and keeps the local formatter for everything else:
+ * no formatter for the language, the tool absent from the image, a busy server, a
+ * slow one. So the statuses say which of those happened rather than collapsing to
+ * 500, and the client decides - it stops asking for a language whose formatter is
+ * missing, and asks again next time after a 429 or a timeout.
+ *
+ *     200 {ok: true,  formatter, edit}     formatted; edit is null when nothing changed
+ *     200 {ok: false, formatter, output}   the tool refused the file (it does not parse)
+ *     400 format_unsupported               no server formatter for this language
+ *     429 format_busy                      shed, like a check; nothing was queued
+ *     503 formatter_unavailable            this server does not have the tool
+ *     504 format_timeout                   the tool ran out of time
+ *
+ * ## A text edit, not the text
+ *
+ * The edit is one replacement, `{start, end, text}` as offsets into the code that was
+ * sent. Applied to a model that has not changed since, it keeps the cursor and the
+ * undo history where a whole-document replacement would lose both; against one that
+ * has changed, the client discards it.
+ */
+
+import { ExecutionRefused } from '../../execution/pipeline.mjs';
+import { minimalEdit } from '../../formatting/formatters.mjs';
+import { log } from '../../logging.mjs';
+
+export function registerFormatRoutes(app, { pipeline, config }) {
+  const limit = config.execution.maxConcurrentFormats;
+  let inFlight = 0;
+
+  app.post('/api/format', async (req, res) => {
+    if (inFlight >= limit) {
+      return res.status(429).json({ error: 'Too many formats in flight', code: 'format_busy' });
+    }
+
+    const { language, code, options } = req.body || {};
+
+    // Armed before the await, as on the check route: `close` fires once.
+    let clientGone = false;
+    res.on('close', () => { if (!res.writableEnded) clientGone = true; });
+
+    inFlight += 1;
+    try {
+      const result = await pipeline.format({ language, code, options });
+      if (clientGone) return undefined;
+
+      switch (result.outcome) {
+        case 'formatted':
+          return res.json({
+            ok: true,
+            formatter: result.formatter,
+            edit: minimalEdit(code, result.text),
+            durationMs: result.durationMs,
+          });
+        case 'rejected':
+          return res.json({
+            ok: false,
+            formatter: result.formatter,
+            output: result.output,
+            durationMs: result.durationMs,
+          });
+        case 'unavailable':
+          // Logged once per request rather than per process lifetime: it is what an
+          // operator needs to see to know the image is missing a tool.
+          log('warn', 'formatter_unavailable', { language, formatter: result.formatter });
+          return res.status(503).json({
+            error: `${result.formatter} is not installed on this server`,
+            code: 'formatter_unavailable',
+          });
+        default:
+          return res.status(504).json({ error: `${result.formatter} took too long`, code: 'format_timeout' });
+      }
+    } catch (error) {
+      if (clientGone) return undefined;
+
+      if (error instanceof ExecutionRefused) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+      }
+
+      log('error', 'format_failed', { language, error: error.message });
+      return res.status(500).json({ error: 'Format failed', code: 'internal_error' });
+    } finally {
+      inFlight -= 1;
+    }
+  });
+}
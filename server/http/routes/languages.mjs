@@ -1,18 +1,17 @@
 /**
  * Language metadata and starter templates.
  *
- * The config cache lives here with the routes that use it, rather than as two
- * loose `let` bindings in the composition root. It is a five-minute cache of files
- * that only change on deploy, so its only job is to keep a directory scan off the
- * hot path.
+ * `/api/languages` is generated from the language manifests (blueprint 12.1, see
+ * server/languages/manifest.mjs) - the same validated set the registry binds adapters
+ * from, so a language this route advertises is one the run routes will accept. It
+ * used to scan `languages/` itself, with its own cache and no validation, and so it
+ * was a second loader that could disagree with the first.
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
 
-import { extensionFor } from '../../languages/catalog.mjs';
-
-const CACHE_TTL_MS = 300_000;
+import { extensionFor, publicCatalog } from '../../languages/catalog.mjs';
 
 /**
  * @param {import('express').Express} app
@@ -23,33 +22,11 @@ const CACHE_TTL_MS = 300_000;
 export function registerLanguageRoutes(app, { rootDir, log }) {
   const languagesDir = path.join(rootDir, 'languages');
 
-  let cache = null;
-  let cachedAt = 0;
-
-  async function loadLanguageConfigs() {
-    if (cache && Date.now() - cachedAt < CACHE_TTL_MS) return cache;
-
-    const languages = {};
+  app.get('/api/languages', (req, res) => {
     try {
-      for (const dir of fs.readdirSync(languagesDir)) {
-        const configPath = path.join(languagesDir, dir, 'config.json');
-        if (fs.existsSync(configPath)) {
-          languages[dir] = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
-        }
-      }
+      res.json(publicCatalog());
     } catch (error) {
-      log('error', 'Failed to load language configs', { error: error.message });
-    }
-
-    cache = languages;
-    cachedAt = Date.now();
-    return languages;
-  }
-
-  app.get('/api/languages', async (req, res) => {
-    try {
-      res.json(await loadLanguageConfigs());
-    } catch {
+      log('error', 'Failed to load languages', { error: error.message });
       res.status(500).json({ error: 'Failed to load languages' });
     }
   });
@@ -59,7 +36,7 @@ export function registerLanguageRoutes(app, { rootDir, log }) {
       const { language, version } = req.params;
 
       // The extension comes from the catalog rather than a map maintained here.
-      // Hardcoding one duplicated languages/*/config.json, so adding a language
+      // Hardcoding one duplicated the language manifests, so adding a language
       // meant editing the core (N-09).
       const starterPath = path.join(
         languagesDir,
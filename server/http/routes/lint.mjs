@@ -0,0 +1,84 @@
+/**
+ * POST /api/lint - what a compiler accepts and a reviewer would still circle.
+ *
+ * Unused variables, shadowed names, assignments nothing reads: the bugs students
+ * most need flagged and no compiler here reports as an error. Each language's linter
+ * (blueprint section 62) runs through the pipeline's `lint()`, which hands the
+ * project to the adapter's `lint` - so, as on the check route, no language logic
+ * lives here.
+ *
+ * ## Findings, not text
+ *
+ * Unlike /api/check, the answer is structured:
+ *
+ *     200 {tool, findings: [{file, line, column, endLine?, endColumn?,
+ *                            severity, rule, message}]}
+ *
+ * The check returns compiler text because the client already parses that text for a
+ * failed run. Nothing parses lint output anywhere else, and two of the tools emit
+ * JSON, so it is read once on the server (server/linting/findings.mjs).
+ *
+ * ## Shedding, and saying why there is no answer
+ *
+ * Lints arrive on the same pause in typing as checks and are shed the same way: 429
+ * `lint_busy` at once, never queued, from a pool of their own. A linter the server
+ * does not have is 503 `linter_unavailable`, one that ran out of time is 504
+ * `lint_timeout`, and one whose output could not be parsed is 502 `lint_unreadable`.
+ * None is an empty list - an empty list CLEARS the Problems panel, and a student
+ * would read it as "no problems".
+ */
+
+import { ExecutionRefused } from '../../execution/pipeline.mjs';
+import { log } from '../../logging.mjs';
+
+export function registerLintRoutes(app, { pipeline, config }) {
+  const limit = config.execution.maxConcurrentLints;
+  let inFlight = 0;
+
+  app.post('/api/lint', async (req, res) => {
+    if (inFlight >= limit) {
+      return res.status(429).json({ error: 'Too many lints in flight', code: 'lint_busy' });
+    }
+
+    const { language, version, code, files, entryPoint } = req.body || {};
+
+    // Armed before the await, as on the check route: `close` fires once.
+    let clientGone = false;
+    res.on('close', () => { if (!res.writableEnded) clientGone = true; });
+
+    inFlight += 1;
+    try {
+      const result = await pipeline.lint({ language, version, code, files, entryPoint });
+      if (clientGone) return undefined;
+
+      switch (result.outcome) {
+        case 'linted':
+          return res.json({ tool: result.tool, findings: result.findings, durationMs: result.durationMs });
+        case 'unavailable':
+          log('warn', 'linter_unavailable', { language, tool: result.tool });
+          return res.status(503).json({
+            error: `${result.tool} is not installed on this server`,
+            code: 'linter_unavailable',
+          });
+        case 'unreadable':
+          return res.status(502).json({
+            error: `${result.tool} printed output that could not be read`,
+            code: 'lint_unreadable',
+          });
+        default:
+          return res.status(504).json({ error: `${result.tool} took too long`, code: 'lint_timeout' });
+      }
+    } catch (error) {
+      if (clientGone) return undefined;
+
+      if (error instanceof ExecutionRefused) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+      }
+
+      log('error', 'lint_failed', { language, error: error.message });
+      return res.status(500).json({ error: 'Lint failed', code: 'internal_error' });
+    } finally {
+      inFlight -= 1;
+    }
+  });
+}
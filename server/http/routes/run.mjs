@@ -22,7 +22,9 @@ import { resolveBlobFiles } from '../../blobs/resolve.mjs';
 import { TerminationReason, toLegacyExitCode, toLegacyNote } from '../../domain/termination.mjs';
 import { ExecutionRefused } from '../../execution/pipeline.mjs';
 import { FORWARDED_HEADER } from '../../execution/session-registry.mjs';
-import { buildDebugCommand } from '../../debug/channel.mjs';
+import { createSessionWatch } from '../../execution/session-watch.mjs';
+import { buildDebugCommand, parseDebugRequest } from '../../debug/channel.mjs';
+import { buildGraphicsEvent } from '../../graphics/live.mjs';
 import { log } from '../../logging.mjs';
 
 /**
@@ -65,7 +67,11 @@ function toLegacyResult(result) {
     phase: result.phase || 'run',
 
     // ── Additive, v1-safe ────────────────────────────────────────────────────
+    // bcplot's charts (blueprint section 68), beside the drawing rather than in it.
+    chartData: result.charts || null,
     terminationReason: result.termination.reason,
+    // What a crashed program did and where, when the adapter could tell (section 60).
+    crash: result.termination.crash ?? null,
     outputTruncated: result.truncated === true,
     resolvedVersion: result.profile
       ? {
@@ -76,6 +82,8 @@ function toLegacyResult(result) {
         }
       : null,
     entryPoint: result.entryPoint ?? null,
+    // What a deterministic run fixed (blueprint section 69); null for an ordinary run.
+    deterministic: result.deterministic ?? null,
   };
 }
 
@@ -94,39 +102,9 @@ function sendRefusal(res, error) {
 }
 
 /**
- * Announce "the program is waiting for you to type".
- *
- * Without a pseudo-terminal a blocked read(2) cannot be observed directly, so it
- * is inferred: a live process that has gone quiet is either waiting on input or
- * doing slow work, and in both cases the user may type.
- *
- * Two delays, because the situations differ. After some output the prompt has
- * already been printed, so a short pause feels instant. Before any output the
- * interpreter may still be starting, so waiting longer avoids revealing an input
- * box with no context - anything typed early would be echoed above the prompt.
- *
- * Note this is only about WHEN THE UI HINTS. It no longer decides whether input
- * is possible: every session accepts stdin regardless.
- *
- * The third delay exists because the IDE now streams EVERY run, not only ones a
- * regex thought would read input. A program that prints a line and then computes
- * for a second would otherwise be announced as waiting for input, which is simply
- * untrue and teaches the student to distrust the prompt.
- *
- * The signal that separates them is the trailing newline. A prompt is written
- * WITHOUT one - `input("Name: ")`, `printf("n? ")`, `Console.Write(...)` - because
- * the caret is meant to sit on the same line. Ordinary output ends with a newline.
- * So unterminated output is a strong prompt signal and gets the short delay, while
- * output that ended cleanly is probably just work in progress and waits longer.
- *
- * It is still a heuristic: without a pseudo-terminal a blocked read cannot be
- * observed. But it is right far more often than a flat timer, and being wrong is
- * harmless in both directions - typing into a program that is not reading merely
- * buffers, and a late hint still arrives.
+ * Keep-alive cadence for the stream. The browser holds the connection open while the
+ * student thinks, which can exceed a proxy's idle-read timeout.
  */
-const WAITING_DELAY_AFTER_PROMPT_MS = 250;
-const WAITING_DELAY_AFTER_LINE_MS = 1500;
-const WAITING_DELAY_INITIAL_MS = 1200;
 const PING_INTERVAL_MS = 15000;
 
 export function registerRunRoutes(app, { pipeline, sessions, config, blobStore = null }) {
@@ -153,15 +131,17 @@ export function registerRunRoutes(app, { pipeline, sessions, config, blobStore =
 
   // ── POST /api/run ─────────────────────────────────────────────────────────
   app.post('/api/run', async (req, res) => {
-    const { language, version, code, entryPoint } = req.body || {};
+    const { language, version, code, entryPoint, graphicsPolicy, deterministic, testCase } = req.body || {};
 
     const files = resolveAssets(req.body || {}, res);
     if (files === null) return undefined;
 
     let handle;
     try {
+      // A buffered run has nothing to stream to, so a live policy is checked and then
+      // answered with the drawing at exit, as every policy is here.
       handle = await pipeline.start(
-        { language, version, code, files, entryPoint },
+        { language, version, code, files, entryPoint, graphicsPolicy, deterministic, testCase },
         { jobKind: 'run' },
       );
     } catch (error) {
@@ -170,7 +150,12 @@ export function registerRunRoutes(app, { pipeline, sessions, config, blobStore =
 
     if (handle.kind === 'diagnostics') {
       return res.json(
-        toLegacyResult({ ...handle.result, profile: handle.profile, entryPoint: handle.entryPoint }),
+        toLegacyResult({
+          ...handle.result,
+          profile: handle.profile,
+          entryPoint: handle.entryPoint,
+          deterministic: handle.deterministic,
+        }),
       );
     }
 
@@ -193,7 +178,12 @@ export function registerRunRoutes(app, { pipeline, sessions, config, blobStore =
       const result = await handle.done;
       if (clientGone) return undefined;
       return res.json(
-        toLegacyResult({ ...result, profile: handle.profile, entryPoint: handle.entryPoint }),
+        toLegacyResult({
+          ...result,
+          profile: handle.profile,
+          entryPoint: handle.entryPoint,
+          deterministic: handle.deterministic,
+        }),
       );
     } catch (error) {
       if (clientGone) return undefined;
@@ -203,7 +193,7 @@ export function registerRunRoutes(app, { pipeline, sessions, config, blobStore =
 
   // ── POST /api/run/interactive ─────────────────────────────────────────────
   app.post('/api/run/interactive', async (req, res) => {
-    const { language, version, code, entryPoint } = req.body || {};
+    const { language, version, code, entryPoint, graphicsPolicy, deterministic, testCase } = req.body || {};
     const ip = req.ip || req.socket?.remoteAddress || 'unknown';
 
     const files = resolveAssets(req.body || {}, res);
@@ -219,8 +209,10 @@ export function registerRunRoutes(app, { pipeline, sessions, config, blobStore =
      *
      * The frozen v1 surface is untouched: a client that never sends `debug` gets
      * byte-identical behaviour, and the extra event types only appear when asked for.
+     * `{ record: true }` is the same session, recorded (blueprint section 73).
      */
-    const wantsDebug = req.body?.debug === true;
+    const debugRequest = parseDebugRequest(req.body?.debug);
+    const wantsDebug = debugRequest !== null;
 
     // Admission before preparation, so compilation cannot overrun the cap (V-27).
     const capacity = sessions.checkCapacity(ip);
@@ -230,17 +222,9 @@ export function registerRunRoutes(app, { pipeline, sessions, config, blobStore =
       return res.status(capacity.status).json(body);
     }
 
-    // Streaming state, all per-session.
-    const state = {
-      finished: false,
-      sawOutput: false,
-      outputEndedMidLine: false,
-      idleTimer: null,
-      lifetimeTimer: null,
-      waitingTimer: null,
-      pingTimer: null,
-      serviceReason: null,
-    };
+    // Streaming state, all per-session. The timers themselves live in the watch,
+    // which the WebSocket channel shares.
+    const state = { finished: false, pingTimer: null };
 
     let sessionId = null;
     let handle = null;
@@ -259,38 +243,16 @@ export function registerRunRoutes(app, { pipeline, sessions, config, blobStore =
       }
     };
 
-    const armWaiting = () => {
-      if (state.finished) return;
-      clearTimeout(state.waitingTimer);
-      state.waitingTimer = setTimeout(
-        () => {
-          if (!state.finished) send({ type: 'waiting' });
-        },
-        !state.sawOutput
-          ? WAITING_DELAY_INITIAL_MS
-          : state.outputEndedMidLine
-            ? WAITING_DELAY_AFTER_PROMPT_MS
-            : WAITING_DELAY_AFTER_LINE_MS,
-      );
-    };
-
-    const resetIdle = () => {
-      if (state.finished) return;
-      clearTimeout(state.idleTimer);
-      state.idleTimer = setTimeout(() => {
-        state.serviceReason = TerminationReason.IDLE_TIMEOUT;
-        handle?.stop(TerminationReason.IDLE_TIMEOUT);
-      }, config.execution.interactiveIdleTimeoutMs);
-    };
+    const watch = createSessionWatch({
+      config,
+      stop: reason => handle?.stop(reason),
+      onWaiting: () => send({ type: 'waiting' }),
+    });
 
     const onOutput = (type, text) => {
       if (state.finished || !text) return;
       send({ type, data: text });
-      state.sawOutput = true;
-      // Only stdout counts: a stderr warning ending mid-line is not a prompt.
-      if (type === 'stdout') state.outputEndedMidLine = !text.endsWith('\n');
-      resetIdle();
-      armWaiting();
+      watch.output(type, text);
     };
 
     /*
@@ -331,7 +293,7 @@ export function registerRunRoutes(app, { pipeline, sessions, config, blobStore =
 
     try {
       handle = await pipeline.start(
-        { language, version, code, files, entryPoint },
+        { language, version, code, files, entryPoint, graphicsPolicy, deterministic, testCase },
         {
           jobKind: 'session',
           // No wall-clock run timeout: an interactive program legitimately blocks
@@ -340,7 +302,7 @@ export function registerRunRoutes(app, { pipeline, sessions, config, blobStore =
           timeoutMs: 0,
           onStdout: text => onOutput('stdout', text),
           onStderr: text => onOutput('stderr', text),
-          debug: wantsDebug,
+          debug: debugRequest,
           // Debug frames ride the SAME NDJSON stream as stdout. One ordered
           // transport means a `stopped` event cannot arrive before the output the
           // program printed just before pausing, which two channels could not
@@ -349,9 +311,16 @@ export function registerRunRoutes(app, { pipeline, sessions, config, blobStore =
             // Counts as activity: a program paused at a breakpoint is doing exactly
             // what it was asked to, and the idle timer must not reap it while the
             // student reads their variables.
-            resetIdle();
+            watch.activity();
             send(event);
           },
+          // The drawing rides the same stream for the same reason: a line drawn just
+          // before a print arrives before it (blueprint section 64).
+          onGraphics: batch => {
+            watch.activity();
+            send({ type: 'graphics', batch });
+          },
+          onResourceWarning: warning => send({ type: 'resource.warning', ...warning }),
         },
       );
     } catch (error) {
@@ -406,10 +375,7 @@ export function registerRunRoutes(app, { pipeline, sessions, config, blobStore =
       ip,
       jobDir: handle.jobDir,
       finished: false,
-      onActivity: () => {
-        resetIdle();
-        armWaiting();
-      },
+      onActivity: () => watch.input(),
     });
 
     res.writeHead(200, {
@@ -424,7 +390,12 @@ export function registerRunRoutes(app, { pipeline, sessions, config, blobStore =
     });
     if (typeof res.flushHeaders === 'function') res.flushHeaders();
 
-    send({ type: 'session', sessionId });
+    send({
+      type: 'session',
+      sessionId,
+      graphicsPolicy: handle.graphicsPolicy,
+      deterministic: handle.deterministic,
+    });
 
     // Asked to debug a language with no adapter. Told plainly rather than running
     // anyway and ignoring every breakpoint.
@@ -438,32 +409,22 @@ export function registerRunRoutes(app, { pipeline, sessions, config, blobStore =
       });
     }
 
-    // The browser holds this connection open while the student thinks, which can
-    // exceed a proxy's idle-read timeout. A periodic keep-alive proves the
-    // connection is active.
+    // A periodic keep-alive proves the connection is active.
     state.pingTimer = setInterval(() => send({ type: 'ping' }), PING_INTERVAL_MS);
 
-    state.lifetimeTimer = setTimeout(() => {
-      state.serviceReason = TerminationReason.LIFETIME_LIMIT;
-      handle.stop(TerminationReason.LIFETIME_LIMIT);
-    }, config.execution.interactiveMaxLifetimeMs);
-
-    resetIdle();
-    armWaiting();
+    watch.start();
 
     try {
       const result = await handle.done;
       state.finished = true;
-      clearTimeout(state.idleTimer);
-      clearTimeout(state.lifetimeTimer);
-      clearTimeout(state.waitingTimer);
+      watch.finish();
       clearInterval(state.pingTimer);
 
       // A service-initiated reason recorded here outranks what the OS reported,
       // for the same reason the process runner prefers it: "killed by SIGKILL" is
       // true but useless; "idle timeout" is what happened.
-      const termination = state.serviceReason
-        ? { ...result.termination, reason: state.serviceReason, succeeded: false }
+      const termination = watch.serviceReason
+        ? { ...result.termination, reason: watch.serviceReason, succeeded: false }
         : result.termination;
 
       // v1 announced truncation as a stderr event before the exit event.
@@ -478,18 +439,20 @@ export function registerRunRoutes(app, { pipeline, sessions, config, blobStore =
         durationMs: result.durationMs,
         note: toLegacyNote(termination),
         turtleData: result.graphics || null,
+        chartData: result.charts || null,
         terminationReason: termination.reason,
+        crash: termination.crash ?? null,
+        deterministic: handle.deterministic,
       });
     } catch (error) {
       state.finished = true;
+      watch.finish();
       clearInterval(state.pingTimer);
       send({ type: 'stderr', data: `\n[session failed: ${error.message}]\n` });
-      send({ type: 'exit', exitCode: -1, durationMs: 0, note: null, turtleData: null });
+      send({ type: 'exit', exitCode: -1, durationMs: 0, note: null, turtleData: null, chartData: null });
     } finally {
       state.finished = true;
-      clearTimeout(state.idleTimer);
-      clearTimeout(state.lifetimeTimer);
-      clearTimeout(state.waitingTimer);
+      watch.finish();
       clearInterval(state.pingTimer);
       if (sessionId) sessions.remove(sessionId);
       if (!res.writableEnded) {
@@ -610,6 +573,24 @@ export function registerRunRoutes(app, { pipeline, sessions, config, blobStore =
     }
   });
 
+  /*
+   * What the student does in the turtle window: a key, a click, an answer to
+   * numinput()/textinput(), closing it (blueprint section 65). Rebuilt by the same
+   * kind of allowlist as a debug command, and counted as input, so a game being
+   * played is not a program that has gone idle.
+   */
+  sessionCommand('/api/run/interactive/:id/graphics', (id, req) => {
+    const session = sessions.get(id);
+    const event = buildGraphicsEvent(req.body?.event);
+    if (!event) {
+      throw Object.assign(new Error('not a turtle window event'), { statusCode: 400 });
+    }
+    if (!session?.handle?.sendGraphicsEvent?.(event)) {
+      throw Object.assign(new Error('this session has no live graphics'), { statusCode: 409 });
+    }
+    session.onActivity?.();
+  });
+
   // EOF without termination, so `input()` past the end of input raises the way it
   // does in a terminal. Additive; harmless to a v1 client that never calls it.
   sessionCommand('/api/run/interactive/:id/eof', id => sessions.closeStdin(id), {
@@ -0,0 +1,862 @@
+/**
+ * The session channel: one WebSocket per IDE, multiplexing every live run.
+ *
+ * Blueprint section 11.1. The NDJSON route delivers a run's output as the body of the
+ * request that started it, so when a classroom's Wi-Fi drops for three seconds the
+ * response is gone, and with it everything the program printed in those seconds and
+ * after - the student sees their program "vanish". Input travels separately, as POSTs
+ * that the session registry forwards to the owning replica (V-08), and a POST lost in
+ * the same drop is a line the program never reads.
+ *
+ * Here both directions ride one connection, and both are resumable:
+ *
+ *   - every event is sequenced and kept in the session's bounded ring (see
+ *     server/execution/session-events.mjs); a reconnect names the last sequence it
+ *     saw and receives the rest, or `replay.unavailable` when the ring has moved on;
+ *   - stdin carries byte offsets, the server acknowledges the contiguous high-water
+ *     mark, and a reconnecting client resends only what was not acknowledged;
+ *   - stop, EOF and debug commands carry IDs and are deduplicated, so a command
+ *     retried after an ambiguous drop is applied once;
+ *   - creating a session carries a `clientCommandId`, and a create retried after a
+ *     drop attaches to the session the first one started instead of starting another.
+ *
+ * A dropped socket does not stop the program. It is detached, and survives a grace
+ * period waiting for the client to come back; only then is it cancelled, exactly as a
+ * closed NDJSON stream is.
+ *
+ * The NDJSON route is untouched and remains the fallback. Sessions created here are
+ * registered in the same SessionRegistry, so the per-IP cap, the drain, the job
+ * reaper and the HTTP command routes all see them.
+ *
+ * Messages are JSON text frames. A client sends:
+ *
+ *   session.create  { clientCommandId, request: { language, version, code, files, entryPoint, debug,
+ *                                                 transport: 'pipes' | 'pty', terminal: { rows, cols },
+ *                                                 graphicsPolicy } }
+ *   session.resume  { sessionId, lastAcknowledgedSequence }
+ *   stdin           { sessionId, offset, data }
+ *   resize          { sessionId, rows, cols }
+ *   control         { sessionId, commandId, command: 'stop' | 'eof' }
+ *   debug           { sessionId, commandId, command, args }
+ *   graphics        { sessionId, commandId, event }   a key, click, dialog answer or
+ *                                                     close from the turtle window
+ *   ping            {}
+ *
+ * and receives section 8.4 envelopes (`protocolVersion: 2`, with a `sequence`) for
+ * session events - `graphics.batch` among them, which is sequenced but never replayed
+ * (blueprint section 64) - plus unsequenced replies: session.created, session.refused,
+ * session.compile, session.resumed, session.unknown, session.detached,
+ * replay.unavailable, stdin.ack, stdin.rejected, command.ack, command.error, pong, error.
+ */
+
+import net from 'node:net';
+
+import { resolveBlobFiles } from '../../blobs/resolve.mjs';
+import { buildDebugCommand, parseDebugRequest } from '../../debug/channel.mjs';
+import { buildGraphicsEvent } from '../../graphics/live.mjs';
+import { TerminationReason, toLegacyExitCode, toLegacyNote } from '../../domain/termination.mjs';
+import { ExecutionRefused } from '../../execution/pipeline.mjs';
+import { DEFAULT_TERMINAL_SIZE, normalizeTerminalSize } from '../../execution/process-runner.mjs';
+import { StdinLedger } from '../../execution/session-events.mjs';
+import { FORWARDED_HEADER } from '../../execution/session-registry.mjs';
+import { createSessionWatch } from '../../execution/session-watch.mjs';
+import { isAllowedOrigin } from '../middleware/cors.mjs';
+import { TRUSTED_PROXY_HOPS } from '../middleware/request-context.mjs';
+import { acceptWebSocket, CloseCode, rejectUpgrade } from '../websocket.mjs';
+
+export const SESSION_SOCKET_PATH = '/api/session';
+
+/** Matches the NDJSON keep-alive, so a proxy tuned for one is tuned for both. */
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Queued bytes beyond which a client is too slow to keep.
+ *
+ * Closing is safe precisely because of the ring: the client reconnects and replays
+ * from its last sequence. Buffering without bound for a client that reads slower than
+ * a program prints would be the server's memory spent on one tab.
+ */
+const MAX_BUFFERED_BYTES = 8 * 1024 * 1024;
+
+/** One stdin frame. The same bound the HTTP stdin route applies to a line. */
+const MAX_STDIN_CHARS = 10000;
+
+/** Remembered command IDs per session, for deduplication. */
+const COMMAND_ID_MEMORY = 256;
+
+/** Same visible marker the NDJSON route uses. */
+const TRUNCATION_NOTICE = '\n... (output truncated)\n';
+
+const isCommandId = value => typeof value === 'string' && value.length > 0 && value.length <= 128;
+
+/**
+ * The client address, derived the way Express derives `req.ip`.
+ *
+ * An upgrade never reaches Express, so `req.ip` does not exist here. Counting inward
+ * from the socket by the same trusted-hop count gives the same answer, which matters:
+ * the per-IP session cap must see a WebSocket session and an NDJSON session from one
+ * student as the same student.
+ */
+export function clientAddress(req, hops = TRUSTED_PROXY_HOPS) {
+  const forwarded = String(req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .reverse();
+  const chain = [req.socket?.remoteAddress || 'unknown', ...forwarded];
+  return chain[Math.min(Math.max(hops, 0), chain.length - 1)];
+}
+
+/**
+ * May this page open a session socket?
+ *
+ * CORS does not apply to WebSockets: a browser opens one to any origin and sends the
+ * page's cookies with it. Without this check any site a student visits could start
+ * programs on their behalf. Same-origin, the Step-Up origins CORS already trusts, and
+ * requests with no Origin at all (not a browser) are admitted; in development the Vite
+ * proxy rewrites Host but not Origin, so localhost is admitted there too.
+ */
+export function isAllowedSocketOrigin(req, { isDev }) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+
+  let parsed;
+  try {
+    parsed = new URL(origin);
+  } catch {
+    return false;
+  }
+  if (parsed.host === req.headers.host) return true;
+  if (isDev && (parsed.hostname === 'localhost' || parsed.hostname === '127.0.0.1')) return true;
+  return isAllowedOrigin(origin, { isDev });
+}
+
+/**
+ * Carry a resumed socket to the replica that owns the session.
+ *
+ * The WebSocket counterpart of the HTTP command forwarding in run.mjs, under the same
+ * constraints: the destination comes from `sessions.ownerOf()`, which only ever names
+ * a private address on our own port, and the forwarded request is marked so it can
+ * never be forwarded again. The request head is replayed verbatim, so the owner sees
+ * the same X-Forwarded-For and derives the same client address.
+ */
+function tunnelToOwner(req, socket, head, owner, log) {
+  const upstream = net.connect({ host: owner.host, port: owner.port });
+  upstream.setTimeout(5000, () => upstream.destroy());
+
+  const teardown = () => {
+    upstream.destroy();
+    socket.destroy();
+  };
+  upstream.on('error', error => {
+    log('warn', 'session_socket_forward_failed', { error: error.message });
+    if (!socket.destroyed) rejectUpgrade(socket, 502, 'Bad Gateway');
+    upstream.destroy();
+  });
+
+  upstream.on('connect', () => {
+    upstream.setTimeout(0);
+    const lines = [`${req.method} ${req.url} HTTP/1.1`];
+    for (let i = 0; i < req.rawHeaders.length; i += 2) {
+      if (req.rawHeaders[i].toLowerCase() === FORWARDED_HEADER) continue;
+      lines.push(`${req.rawHeaders[i]}: ${req.rawHeaders[i + 1]}`);
+    }
+    lines.push(`${FORWARDED_HEADER}: 1`);
+    upstream.write(`${lines.join('\r\n')}\r\n\r\n`);
+    if (head?.length) upstream.write(head);
+
+    socket.pipe(upstream).pipe(socket);
+    socket.on('error', teardown);
+    socket.on('close', teardown);
+    upstream.on('close', teardown);
+  });
+}
+
+/**
+ * Owns every socket-created session on this replica and every open session socket.
+ *
+ * Constructed without side effects; the heartbeat is armed by `start()`, as the rate
+ * limiter's sweep is, so the lifecycle can hold it as a stoppable from the beginning.
+ */
+export class SessionSocketHub {
+  constructor({ pipeline, sessions, config, blobStore = null, log }) {
+    this.pipeline = pipeline;
+    this.sessions = sessions;
+    this.config = config;
+    this.blobStore = blobStore;
+    this.log = log;
+
+    /** sessionId -> entry, for running sessions and for finished ones still retained. */
+    this.entries = new Map();
+    /** `${ip} ${clientCommandId}` -> { connection, sessionId } while a create is ambiguous. */
+    this.creates = new Map();
+    this.connections = new Set();
+    this.draining = false;
+    this.heartbeat = null;
+  }
+
+  start() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => this.beat(), HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref?.();
+  }
+
+  get size() {
+    return this.connections.size;
+  }
+
+  /**
+   * Protocol pings, and the dead-peer check they make possible.
+   *
+   * A laptop that closes its lid does not send a TCP FIN; without this the server
+   * would keep believing the client is attached and the detach grace period would
+   * never begin.
+   */
+  beat() {
+    const deadline = Date.now() - HEARTBEAT_INTERVAL_MS * 2;
+    for (const connection of this.connections) {
+      if (connection.lastSeen < deadline) connection.destroy();
+      else connection.ping();
+    }
+  }
+
+  /** Adopt an accepted WebSocket. */
+  attach(connection, ip) {
+    this.connections.add(connection);
+    connection.ip = ip;
+
+    connection.on('message', text => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch {
+        message = null;
+      }
+      if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+        this.reply(connection, { type: 'error', code: 'invalid_message' });
+        return;
+      }
+      try {
+        this.dispatch(connection, message);
+      } catch (error) {
+        this.log('error', 'session_socket_message_failed', { error: error?.message });
+        this.reply(connection, { type: 'error', code: 'internal_error' });
+      }
+    });
+
+    connection.on('close', () => this.detachConnection(connection));
+  }
+
+  dispatch(connection, message) {
+    switch (message.type) {
+      case 'session.create':
+        void this.create(connection, message);
+        return;
+      case 'session.resume':
+        this.resume(connection, message);
+        return;
+      case 'stdin':
+        this.stdin(connection, message);
+        return;
+      case 'resize':
+        this.resize(connection, message);
+        return;
+      case 'control':
+      case 'debug':
+      case 'graphics':
+        this.command(connection, message);
+        return;
+      case 'ping':
+        this.reply(connection, { type: 'pong' });
+        return;
+      default:
+        this.reply(connection, { type: 'error', code: 'unknown_message', message: message.type });
+    }
+  }
+
+  /** Send one message, closing a client that has fallen too far behind. */
+  reply(connection, message) {
+    if (!connection || connection.closed) return;
+    if (connection.bufferedAmount > MAX_BUFFERED_BYTES) {
+      connection.close(CloseCode.POLICY, 'slow consumer');
+      return;
+    }
+    connection.send(JSON.stringify(message));
+  }
+
+  // ── session.create ────────────────────────────────────────────────────────
+
+  async create(connection, message) {
+    const { clientCommandId } = message;
+    if (!isCommandId(clientCommandId)) {
+      this.reply(connection, { type: 'error', code: 'invalid_command_id' });
+      return;
+    }
+
+    // Scoped by address so one client cannot attach to another's session by
+    // guessing its command ID.
+    const key = `${connection.ip} ${clientCommandId}`;
+    const known = this.creates.get(key);
+    if (known) {
+      // A retry of a create whose answer was lost. Never a second program: either
+      // the first is still preparing - and its answer now goes here - or it exists,
+      // and the client is told which session to resume.
+      known.connection = connection;
+      if (known.sessionId) {
+        this.reply(connection, { type: 'session.created', clientCommandId, sessionId: known.sessionId });
+      }
+      return;
+    }
+
+    if (this.draining) {
+      this.reply(connection, {
+        type: 'session.refused',
+        clientCommandId,
+        status: 503,
+        code: 'shutting_down',
+        error: 'The server is restarting - try again shortly',
+        retryAfter: 5,
+      });
+      return;
+    }
+
+    const record = { connection, sessionId: null };
+    const refuse = body => {
+      // A refused create started nothing, so repeating it is harmless; forgetting
+      // the ID lets a client retry after, say, uploading the missing assets.
+      this.creates.delete(key);
+      this.reply(record.connection, { type: 'session.refused', clientCommandId, ...body });
+    };
+
+    const request = message.request && typeof message.request === 'object' ? message.request : {};
+    const { language, version, code, entryPoint, graphicsPolicy, deterministic, testCase } = request;
+    const debugRequest = parseDebugRequest(request.debug);
+    const wantsDebug = debugRequest !== null;
+
+    // A terminal is opt-in, per run, and only on this channel: /api/run and the NDJSON
+    // route are always pipes, so no legacy run can turn into a terminal one (11.4).
+    const transport = request.transport ?? 'pipes';
+    if (transport !== 'pipes' && transport !== 'pty') {
+      refuse({ status: 400, code: 'transport_unsupported', error: `Unsupported transport: ${transport}` });
+      return;
+    }
+    const terminal =
+      transport === 'pty'
+        ? normalizeTerminalSize(request.terminal?.rows, request.terminal?.cols) ?? DEFAULT_TERMINAL_SIZE
+        : null;
+
+    const assets = resolveBlobFiles(request.files, this.blobStore);
+    if (assets.missing) {
+      refuse({
+        status: 409,
+        code: 'blob_missing',
+        error: 'Some assets are not cached.',
+        missing: assets.missing,
+      });
+      return;
+    }
+
+    // Admission before preparation, as on the NDJSON route (V-27).
+    const capacity = this.sessions.checkCapacity(connection.ip);
+    if (!capacity.ok) {
+      refuse({ status: capacity.status, error: capacity.error, retryAfter: capacity.retryAfter });
+      return;
+    }
+
+    this.creates.set(key, record);
+
+    let handle = null;
+    const watch = createSessionWatch({
+      config: this.config,
+      stop: reason => handle?.stop(reason),
+      onWaiting: () => handle?.events?.append('input.available', {}),
+    });
+
+    try {
+      handle = await this.pipeline.start(
+        { language, version, code, files: assets.files, entryPoint, graphicsPolicy, deterministic, testCase },
+        {
+          jobKind: 'session',
+          // No wall-clock timeout, for the reason the NDJSON route gives: the idle
+          // and lifetime timers can tell waiting from looping, a run timer cannot.
+          timeoutMs: 0,
+          replay: {
+            maxEvents: this.config.execution.sessionReplayEvents,
+            maxBytes: this.config.execution.sessionReplayBytes,
+          },
+          onStdout: text => watch.output('stdout', text),
+          onStderr: text => watch.output('stderr', text),
+          debug: debugRequest,
+          onDebugEvent: () => watch.activity(),
+          onGraphics: () => watch.activity(),
+          terminal,
+        },
+      );
+    } catch (error) {
+      if (error instanceof ExecutionRefused) {
+        const body = { status: error.status, code: error.code, error: error.message };
+        if (error.blocked) body.blocked = true;
+        if (error.status === 503) body.retryAfter = 5;
+        if (error.details?.available) body.available = error.details.available;
+        refuse(body);
+      } else {
+        this.log('error', 'execution_error', { error: error.message });
+        refuse({ status: 500, code: 'internal_error', error: 'Execution failed' });
+      }
+      return;
+    }
+
+    // A compile failure never becomes a session; the same `compile` object the
+    // NDJSON route answers with.
+    if (handle.kind === 'diagnostics') {
+      this.creates.delete(key);
+      this.reply(record.connection, {
+        type: 'session.compile',
+        clientCommandId,
+        compile: {
+          stdout: '',
+          stderr: handle.result.stderr,
+          exitCode: toLegacyExitCode(handle.result.termination),
+          phase: 'compile',
+          durationMs: handle.result.durationMs,
+          blocked: handle.result.blocked === true,
+        },
+      });
+      return;
+    }
+
+    const id = this.sessions.register({
+      handle,
+      ip: connection.ip,
+      jobDir: handle.jobDir,
+      finished: false,
+      onActivity: () => watch.input(),
+    });
+    handle.events.sessionId = id;
+    record.sessionId = id;
+
+    const entry = {
+      id,
+      key,
+      handle,
+      ring: handle.events,
+      ledger: new StdinLedger(),
+      watch,
+      connection: null,
+      unsubscribe: null,
+      detachTimer: null,
+      retainTimer: null,
+      commandIds: new Map(),
+      finished: false,
+    };
+    this.entries.set(id, entry);
+
+    this.reply(record.connection, { type: 'session.created', clientCommandId, sessionId: id });
+
+    handle.events.append('session.started', {
+      entryPoint: handle.entryPoint ?? null,
+      transport: handle.transport,
+      terminal: handle.transport === 'pty' ? terminal : null,
+      debugSupported: handle.debugSupported,
+      graphicsPolicy: handle.graphicsPolicy,
+      // What a deterministic run fixed (blueprint section 69), or null.
+      deterministic: handle.deterministic,
+      resolvedVersion: handle.profile
+        ? {
+            requested: handle.profile.requested,
+            resolved: handle.profile.versionId,
+            resolution: handle.profile.resolution,
+            runtime: handle.profile.runtimeNote,
+          }
+        : null,
+    });
+    if (wantsDebug && !handle.debugSupported) {
+      handle.events.append('debug.event', {
+        type: 'debug:unsupported',
+        message: `${language} cannot be debugged yet. The program will run normally.`,
+      });
+    }
+
+    // Attached from the first event. A client that vanished during the compile is
+    // attached as already-gone, which starts its grace period.
+    if (record.connection.closed) this.detach(entry);
+    else this.attachEntry(entry, record.connection, 0);
+
+    watch.start();
+    void this.awaitExit(entry);
+  }
+
+  async awaitExit(entry) {
+    const { handle, ring, watch } = entry;
+    try {
+      const result = await handle.done;
+      watch.finish();
+      const termination = watch.serviceReason
+        ? { ...result.termination, reason: watch.serviceReason, succeeded: false }
+        : result.termination;
+
+      if (result.truncated) {
+        ring.append('stderr', { stream: 'stderr', transport: handle.transport, text: TRUNCATION_NOTICE });
+      }
+      ring.append('session.exited', {
+        reason: termination.reason,
+        exitCode: toLegacyExitCode(termination),
+        note: toLegacyNote(termination),
+        durationMs: result.durationMs,
+        outputTruncated: result.truncated === true,
+        turtleData: result.graphics || null,
+        chartData: result.charts || null,
+        crash: termination.crash ?? null,
+        deterministic: handle.deterministic,
+      });
+    } catch (error) {
+      watch.finish();
+      ring.append('stderr', {
+        stream: 'stderr',
+        transport: 'pipes',
+        text: `\n[session failed: ${error.message}]\n`,
+      });
+      ring.append('session.exited', {
+        reason: TerminationReason.INFRASTRUCTURE_ERROR,
+        exitCode: -1,
+        note: null,
+        durationMs: 0,
+        outputTruncated: false,
+        turtleData: null,
+        chartData: null,
+      });
+    } finally {
+      entry.finished = true;
+      this.sessions.remove(entry.id);
+      clearTimeout(entry.detachTimer);
+
+      // Retained so a client reconnecting just after the exit still receives it.
+      entry.retainTimer = setTimeout(() => this.forget(entry), this.config.execution.sessionRetainMs);
+      entry.retainTimer.unref?.();
+
+      const { connection } = entry;
+      if (connection && this.draining && !this.hasLiveSessions(connection)) {
+        connection.close(CloseCode.GOING_AWAY, 'server restarting');
+      }
+    }
+  }
+
+  forget(entry) {
+    entry.unsubscribe?.();
+    entry.ring.clear();
+    this.entries.delete(entry.id);
+    this.creates.delete(entry.key);
+  }
+
+  // ── attach, detach, resume ────────────────────────────────────────────────
+
+  /** Route a session's events to `connection`, replaying everything after `after`. */
+  attachEntry(entry, connection, after) {
+    if (entry.connection && entry.connection !== connection) {
+      // The same session resumed from a second socket - a reconnect that beat the
+      // old socket's close. The newer one wins; the older is told, not left to
+      // wonder why its output stopped.
+      this.reply(entry.connection, { type: 'session.detached', sessionId: entry.id });
+    }
+    entry.unsubscribe?.();
+    clearTimeout(entry.detachTimer);
+    entry.detachTimer = null;
+    entry.connection = connection;
+
+    // Replay and subscribe in one synchronous block, so no event can be appended
+    // between the two and fall through the gap.
+    const { events } = entry.ring.since(after);
+    for (const event of events) this.reply(connection, event);
+    entry.unsubscribe = entry.ring.subscribe(event => this.reply(connection, event));
+  }
+
+  /** The session lost its socket: keep it for the grace period, then cancel it. */
+  detach(entry) {
+    entry.unsubscribe?.();
+    entry.unsubscribe = null;
+    entry.connection = null;
+    if (entry.finished || this.draining) return;
+
+    clearTimeout(entry.detachTimer);
+    entry.detachTimer = setTimeout(() => {
+      entry.detachTimer = null;
+      entry.handle.stop(TerminationReason.CANCELLED);
+    }, this.config.execution.sessionDetachGraceMs);
+    entry.detachTimer.unref?.();
+  }
+
+  detachConnection(connection) {
+    this.connections.delete(connection);
+    for (const entry of this.entries.values()) {
+      if (entry.connection === connection) this.detach(entry);
+    }
+    // A create still compiling for this socket keeps its record: the client's retry
+    // of the same create is what reattaches to it.
+  }
+
+  hasLiveSessions(connection) {
+    for (const entry of this.entries.values()) {
+      if (entry.connection === connection && !entry.finished) return true;
+    }
+    return false;
+  }
+
+  resume(connection, message) {
+    const { sessionId } = message;
+    const entry = typeof sessionId === 'string' ? this.entries.get(sessionId) : null;
+    if (!entry) {
+      // Expired, never existed, or owned by a replica this socket did not reach -
+      // indistinguishable by design, as with a 410 from the HTTP routes.
+      this.reply(connection, { type: 'session.unknown', sessionId });
+      return;
+    }
+
+    const after = Math.max(0, Math.floor(Number(message.lastAcknowledgedSequence) || 0));
+    const { gap, firstAvailable } = entry.ring.since(after);
+    const state = entry.finished ? 'exited' : 'running';
+
+    this.reply(connection, {
+      type: 'session.resumed',
+      sessionId: entry.id,
+      lastSequence: entry.ring.lastSequence,
+      stdinAcknowledged: entry.ledger.acknowledged,
+      state,
+      // Repeated here because `session.started` may be among the events the ring
+      // has already evicted, and a client must not render a terminal as plain text.
+      transport: entry.handle.transport,
+    });
+    if (gap) {
+      // The events between `after` and `firstAvailable` are gone. Said plainly, with
+      // the snapshot the client needs to carry on - never papered over.
+      this.reply(connection, {
+        type: 'replay.unavailable',
+        sessionId: entry.id,
+        lastAcknowledgedSequence: after,
+        firstAvailableSequence: firstAvailable,
+        state,
+      });
+    }
+    this.attachEntry(entry, connection, after);
+  }
+
+  /** The entry `message` addresses, if this socket is the one attached to it. */
+  attachedEntry(connection, message) {
+    const entry = typeof message.sessionId === 'string' ? this.entries.get(message.sessionId) : null;
+    if (!entry || entry.connection !== connection) {
+      this.reply(connection, { type: 'session.unknown', sessionId: message.sessionId });
+      return null;
+    }
+    return entry;
+  }
+
+  // ── stdin and commands ────────────────────────────────────────────────────
+
+  stdin(connection, message) {
+    const entry = this.attachedEntry(connection, message);
+    if (!entry) return;
+
+    const data = typeof message.data === 'string' ? message.data : '';
+    if (entry.finished) {
+      this.reply(connection, {
+        type: 'stdin.rejected',
+        sessionId: entry.id,
+        acknowledged: entry.ledger.acknowledged,
+        reason: 'session_exited',
+      });
+      return;
+    }
+    if (data.length > MAX_STDIN_CHARS) {
+      this.reply(connection, {
+        type: 'stdin.rejected',
+        sessionId: entry.id,
+        acknowledged: entry.ledger.acknowledged,
+        reason: 'too_large',
+      });
+      return;
+    }
+
+    const outcome = entry.ledger.offer(message.offset, data);
+    if (!outcome.accepted) {
+      this.reply(connection, {
+        type: 'stdin.rejected',
+        sessionId: entry.id,
+        acknowledged: outcome.acknowledged,
+        reason: outcome.reason,
+      });
+      return;
+    }
+    if (outcome.apply) {
+      entry.handle.writeStdin(outcome.apply);
+      entry.watch.input();
+    }
+    this.reply(connection, { type: 'stdin.ack', sessionId: entry.id, offset: outcome.acknowledged });
+  }
+
+  /**
+   * A terminal run's window changed size. Neither sequenced nor deduplicated: only
+   * the latest size means anything, and applying one twice is harmless.
+   */
+  resize(connection, message) {
+    const entry = this.attachedEntry(connection, message);
+    if (!entry || entry.finished) return;
+    entry.handle.resize?.(message.rows, message.cols);
+  }
+
+  command(connection, message) {
+    const entry = this.attachedEntry(connection, message);
+    if (!entry) return;
+
+    const { commandId } = message;
+    if (!isCommandId(commandId)) {
+      this.reply(connection, { type: 'error', code: 'invalid_command_id' });
+      return;
+    }
+
+    // A repeated ID gets the answer the first one got, and nothing is applied again.
+    const remembered = entry.commandIds.get(commandId);
+    if (remembered) {
+      this.reply(connection, remembered);
+      return;
+    }
+
+    let answer;
+    try {
+      this.applyCommand(entry, message);
+      answer = { type: 'command.ack', sessionId: entry.id, commandId };
+    } catch (error) {
+      answer = {
+        type: 'command.error',
+        sessionId: entry.id,
+        commandId,
+        status: Number(error?.statusCode) || 500,
+        error: error?.message || 'Command failed',
+      };
+    }
+
+    entry.commandIds.set(commandId, answer);
+    if (entry.commandIds.size > COMMAND_ID_MEMORY) {
+      entry.commandIds.delete(entry.commandIds.keys().next().value);
+    }
+    this.reply(connection, answer);
+  }
+
+  applyCommand(entry, message) {
+    if (message.type === 'control') {
+      // Both are idempotent on an exited session, as their HTTP routes are: "already
+      // stopped" is the state the caller asked for.
+      if (message.command === 'stop') {
+        if (!entry.finished) entry.handle.stop(TerminationReason.CANCELLED);
+        return;
+      }
+      if (message.command === 'eof') {
+        if (!entry.finished) entry.handle.closeStdin();
+        return;
+      }
+      throw Object.assign(new Error(`unknown control command: ${message.command}`), { statusCode: 400 });
+    }
+
+    // Deduplicated like any command, which matters for one kind above all: a dialog
+    // answer resent after a drop must not answer the NEXT question too.
+    if (message.type === 'graphics') {
+      const event = buildGraphicsEvent(message.event);
+      if (!event) throw Object.assign(new Error('not a turtle window event'), { statusCode: 400 });
+      if (entry.finished || !entry.handle.sendGraphicsEvent?.(event)) {
+        throw Object.assign(new Error('this session has no live graphics'), { statusCode: 409 });
+      }
+      entry.watch.input();
+      return;
+    }
+
+    // Validated against the same allowlist as the HTTP debug route; the arguments
+    // are rebuilt field by field there, never passed through.
+    const frame = buildDebugCommand(String(message.command ?? ''), message.args ?? {});
+    if (!frame) {
+      throw Object.assign(new Error(`unknown debug command: ${message.command}`), { statusCode: 400 });
+    }
+    if (entry.finished || !entry.handle.sendDebug?.(frame)) {
+      throw Object.assign(new Error('this session has no debugger attached'), { statusCode: 409 });
+    }
+    entry.watch.activity();
+  }
+
+  /**
+   * Drain: refuse new sessions, and close each socket once its sessions have exited.
+   *
+   * Not closed immediately. The lifecycle stops every session right after this, and
+   * a socket closed first would lose the `session.exited` that tells the student why
+   * their program ended.
+   */
+  stop() {
+    this.draining = true;
+    if (this.heartbeat) clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    for (const entry of this.entries.values()) clearTimeout(entry.detachTimer);
+    for (const connection of this.connections) {
+      if (!this.hasLiveSessions(connection)) connection.close(CloseCode.GOING_AWAY, 'server restarting');
+    }
+  }
+}
+
+/**
+ * Accept session sockets on `server`.
+ *
+ * @param {import('node:http').Server} server
+ * @param {object} deps
+ * @param {SessionSocketHub} deps.hub
+ * @param {object} deps.sessions
+ * @param {object} deps.config           CONFIG
+ * @param {number} deps.maxMessageBytes  RUN_BODY_LIMIT_BYTES: a create carries a whole project
+ * @param {object} [deps.rateLimiter]    the /api limiter; an upgrade counts as one request
+ * @param {Function} deps.log
+ */
+export function registerSessionSocket(
+  server,
+  { hub, sessions, config, maxMessageBytes, rateLimiter = null, log },
+) {
+  server.on('upgrade', (req, socket, head) => {
+    socket.on('error', () => socket.destroy());
+
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch {
+      rejectUpgrade(socket, 400, 'Bad Request');
+      return;
+    }
+    if (url.pathname !== SESSION_SOCKET_PATH) {
+      rejectUpgrade(socket, 404, 'Not Found');
+      return;
+    }
+    if (hub.draining) {
+      rejectUpgrade(socket, 503, 'Service Unavailable');
+      return;
+    }
+    if (!isAllowedSocketOrigin(req, { isDev: config.isDev })) {
+      log('warn', 'session_socket_origin_rejected', { origin: req.headers.origin });
+      rejectUpgrade(socket, 403, 'Forbidden');
+      return;
+    }
+
+    const ip = clientAddress(req);
+    if (rateLimiter && !rateLimiter.check(ip).allowed) {
+      rejectUpgrade(socket, 429, 'Too Many Requests');
+      return;
+    }
+
+    // A reconnect names the session it wants back in the URL, so a replica that does
+    // not own it can hand the whole socket over before accepting it.
+    const resumeId = url.searchParams.get('resume');
+    if (resumeId && !hub.entries.has(resumeId) && !req.headers[FORWARDED_HEADER]) {
+      const owner = sessions.ownerOf(resumeId);
+      if (owner) {
+        tunnelToOwner(req, socket, head, owner, log);
+        return;
+      }
+    }
+
+    const connection = acceptWebSocket(req, socket, head, { maxMessageBytes });
+    if (connection) hub.attach(connection, ip);
+  });
+}
+
+export default registerSessionSocket;
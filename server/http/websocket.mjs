@@ -0,0 +1,410 @@
+/**
+ * A WebSocket server connection, RFC 6455, written here rather than depended on.
+ *
+ * The same choice the JDWP client and the DBGp parser made, for the same reason: the
+ * part of the protocol this service needs is small and fully specified, and the part a
+ * general library adds - extensions, compression, client mode, a dozen options - is
+ * surface nobody here would review. Text and binary messages, ping/pong, close, and
+ * fragmentation are what a browser sends. `permessage-deflate` is deliberately never
+ * negotiated: a compressed frame is how a 100-byte message becomes a 1 GiB allocation,
+ * and the bound below is only meaningful for bytes that arrive as they are.
+ *
+ * Two rules carry the security weight:
+ *
+ *   - A frame's declared length is checked BEFORE anything is allocated for it. The
+ *     64-bit length field lets a client announce an exabyte in ten bytes; a parser
+ *     that sizes a buffer from the header first and validates second is a memory
+ *     exhaustion primitive. The same bound covers a message reassembled from
+ *     fragments, which is the version of that attack that gets past a per-frame cap.
+ *   - A client frame MUST be masked (section 5.1). An unmasked one is a protocol
+ *     error and closes the connection, because masking is what stops a page from
+ *     shaping bytes an intermediary cache would misread as an HTTP request.
+ */
+
+import crypto from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+/** Fixed by section 1.3. Concatenated with the client key to prove the upgrade was read. */
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+export const Opcode = Object.freeze({
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa,
+});
+
+/** Close codes from section 7.4.1 that this server sends. */
+export const CloseCode = Object.freeze({
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  PROTOCOL_ERROR: 1002,
+  UNSUPPORTED: 1003,
+  POLICY: 1008,
+  TOO_BIG: 1009,
+  INTERNAL: 1011,
+});
+
+/** The `Sec-WebSocket-Accept` value for a client key. */
+export function acceptKey(clientKey) {
+  return crypto.createHash('sha1').update(`${clientKey}${HANDSHAKE_GUID}`).digest('base64');
+}
+
+/**
+ * Encode one unmasked server frame.
+ *
+ * Servers never mask (section 5.1), and every frame this server sends is final: there
+ * is no message large enough to be worth fragmenting that is not already too large to
+ * send at all.
+ */
+export function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const body = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload), 'utf8');
+  const length = body.length;
+
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Incremental frame parser for the client-to-server direction.
+ *
+ * Fed arbitrary TCP chunks, emits whole messages. Separate from the connection so the
+ * bounds can be tested against hostile byte sequences without a socket.
+ */
+export class FrameParser {
+  /**
+   * @param {object} options
+   * @param {number} options.maxMessageBytes  bound on one frame AND on a reassembled message
+   * @param {(opcode: number, payload: Buffer) => void} options.onMessage  text/binary, reassembled
+   * @param {(opcode: number, payload: Buffer) => void} options.onControl  ping, pong, close
+   * @param {(code: number, reason: string) => void} options.onError      protocol violation
+   */
+  constructor({ maxMessageBytes, onMessage, onControl, onError }) {
+    this.maxMessageBytes = maxMessageBytes;
+    this.onMessage = onMessage;
+    this.onControl = onControl;
+    this.onError = onError;
+
+    this.buffered = [];
+    this.bufferedBytes = 0;
+    this.fragments = [];
+    this.fragmentBytes = 0;
+    this.fragmentOpcode = null;
+    this.failed = false;
+  }
+
+  push(chunk) {
+    if (this.failed) return;
+    this.buffered.push(chunk);
+    this.bufferedBytes += chunk.length;
+
+    while (!this.failed) {
+      if (!this.parseOne()) break;
+    }
+  }
+
+  /** Bytes available without copying, as one buffer. */
+  peek(count) {
+    if (this.buffered.length === 1 || this.buffered[0].length >= count) {
+      return this.buffered[0];
+    }
+    const joined = Buffer.concat(this.buffered);
+    this.buffered = [joined];
+    return joined;
+  }
+
+  consume(count) {
+    const joined = this.peek(count);
+    const taken = joined.subarray(0, count);
+    const rest = joined.subarray(count);
+    this.buffered = rest.length > 0 ? [rest] : [];
+    this.bufferedBytes -= count;
+    return taken;
+  }
+
+  fail(code, reason) {
+    this.failed = true;
+    this.buffered = [];
+    this.fragments = [];
+    this.onError(code, reason);
+  }
+
+  /** Parse one frame if a whole one is buffered. @returns {boolean} whether one was. */
+  parseOne() {
+    if (this.bufferedBytes < 2) return false;
+    const head = this.peek(2);
+    const fin = (head[0] & 0x80) !== 0;
+    const rsv = head[0] & 0x70;
+    const opcode = head[0] & 0x0f;
+    const masked = (head[1] & 0x80) !== 0;
+    let length = head[1] & 0x7f;
+    let offset = 2;
+
+    if (rsv !== 0) {
+      // No extension was negotiated, so a reserved bit is a violation, not a hint.
+      this.fail(CloseCode.PROTOCOL_ERROR, 'reserved bits set');
+      return false;
+    }
+    if (!masked) {
+      this.fail(CloseCode.PROTOCOL_ERROR, 'client frames must be masked');
+      return false;
+    }
+
+    if (length === 126) {
+      if (this.bufferedBytes < 4) return false;
+      length = this.peek(4).readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (this.bufferedBytes < 10) return false;
+      const declared = this.peek(10).readBigUInt64BE(2);
+      // Compared as a BigInt, before any conversion: a length above 2^53 would round
+      // when turned into a Number, and the rounded value is what would be checked.
+      if (declared > BigInt(this.maxMessageBytes)) {
+        this.fail(CloseCode.TOO_BIG, 'frame too large');
+        return false;
+      }
+      length = Number(declared);
+      offset = 10;
+    }
+
+    const isControl = (opcode & 0x08) !== 0;
+    if (isControl && (length > 125 || !fin)) {
+      this.fail(CloseCode.PROTOCOL_ERROR, 'malformed control frame');
+      return false;
+    }
+
+    // The bound, checked against the header alone - nothing has been allocated yet.
+    if (length > this.maxMessageBytes || (!isControl && this.fragmentBytes + length > this.maxMessageBytes)) {
+      this.fail(CloseCode.TOO_BIG, 'message too large');
+      return false;
+    }
+
+    if (this.bufferedBytes < offset + 4 + length) return false;
+
+    const frame = this.consume(offset + 4 + length);
+    const mask = frame.subarray(offset, offset + 4);
+    const payload = Buffer.from(frame.subarray(offset + 4));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+
+    if (isControl) {
+      this.onControl(opcode, payload);
+      return true;
+    }
+
+    if (opcode === Opcode.CONTINUATION) {
+      if (this.fragmentOpcode === null) {
+        this.fail(CloseCode.PROTOCOL_ERROR, 'continuation without a message');
+        return false;
+      }
+    } else if (opcode === Opcode.TEXT || opcode === Opcode.BINARY) {
+      if (this.fragmentOpcode !== null) {
+        this.fail(CloseCode.PROTOCOL_ERROR, 'new message inside a fragmented one');
+        return false;
+      }
+      this.fragmentOpcode = opcode;
+    } else {
+      this.fail(CloseCode.PROTOCOL_ERROR, `unknown opcode ${opcode}`);
+      return false;
+    }
+
+    this.fragments.push(payload);
+    this.fragmentBytes += payload.length;
+
+    if (fin) {
+      const message = this.fragments.length === 1 ? this.fragments[0] : Buffer.concat(this.fragments);
+      const messageOpcode = this.fragmentOpcode;
+      this.fragments = [];
+      this.fragmentBytes = 0;
+      this.fragmentOpcode = null;
+      this.onMessage(messageOpcode, message);
+    }
+    return true;
+  }
+}
+
+/**
+ * One accepted connection.
+ *
+ * Events: `message` (text: string), `close` (code: number). Binary messages are
+ * refused: the session protocol is JSON, and a binary frame from a client speaking it
+ * is a client speaking something else.
+ */
+export class WebSocketConnection extends EventEmitter {
+  constructor(socket, { maxMessageBytes }) {
+    super();
+    this.socket = socket;
+    this.closed = false;
+    this.closeSent = false;
+
+    const decoder = new TextDecoder('utf-8', { fatal: true });
+
+    this.parser = new FrameParser({
+      maxMessageBytes,
+      onMessage: (opcode, payload) => {
+        if (opcode !== Opcode.TEXT) {
+          this.close(CloseCode.UNSUPPORTED, 'text frames only');
+          return;
+        }
+        let text;
+        try {
+          text = decoder.decode(payload);
+        } catch {
+          // Section 8.1: a text message that is not valid UTF-8 fails the connection.
+          this.close(1007, 'invalid utf-8');
+          return;
+        }
+        this.emit('message', text);
+      },
+      onControl: (opcode, payload) => {
+        if (opcode === Opcode.PING) this.write(Opcode.PONG, payload);
+        else if (opcode === Opcode.CLOSE) {
+          const code = payload.length >= 2 ? payload.readUInt16BE(0) : CloseCode.NORMAL;
+          this.close(code === 1005 || code === 1006 ? CloseCode.NORMAL : code);
+        }
+        // A pong is proof of life and nothing more; the heartbeat reads `lastSeen`.
+        this.lastSeen = Date.now();
+      },
+      onError: (code, reason) => this.close(code, reason),
+    });
+
+    this.lastSeen = Date.now();
+    socket.on('data', chunk => {
+      this.lastSeen = Date.now();
+      this.parser.push(chunk);
+    });
+    socket.on('error', () => this.destroy());
+    socket.on('close', () => this.destroy());
+  }
+
+  write(opcode, payload) {
+    if (this.closeSent || this.socket.destroyed) return false;
+    try {
+      this.socket.write(encodeFrame(opcode, payload));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /** Send one text message. False when the connection is already going away. */
+  send(text) {
+    return this.write(Opcode.TEXT, text);
+  }
+
+  ping() {
+    return this.write(Opcode.PING);
+  }
+
+  /** Bytes queued in the kernel-side buffer, for backpressure decisions. */
+  get bufferedAmount() {
+    return this.socket.writableLength ?? 0;
+  }
+
+  close(code = CloseCode.NORMAL, reason = '') {
+    if (this.closeSent) return;
+    const reasonBytes = Buffer.from(String(reason).slice(0, 120), 'utf8');
+    const payload = Buffer.alloc(2 + reasonBytes.length);
+    payload.writeUInt16BE(code, 0);
+    reasonBytes.copy(payload, 2);
+    this.write(Opcode.CLOSE, payload);
+    this.closeSent = true;
+    // Half-close and let the peer answer; a peer that never does is cut off by the
+    // socket timeout rather than held open.
+    try {
+      this.socket.end();
+    } catch {
+      /* already gone */
+    }
+    this.socket.setTimeout?.(5000, () => this.destroy());
+    this.finish(code);
+  }
+
+  destroy() {
+    this.closeSent = true;
+    try {
+      this.socket.destroy();
+    } catch {
+      /* already gone */
+    }
+    this.finish(CloseCode.GOING_AWAY);
+  }
+
+  finish(code) {
+    if (this.closed) return;
+    this.closed = true;
+    this.emit('close', code);
+  }
+}
+
+/**
+ * Complete the opening handshake on an `upgrade` socket.
+ *
+ * Answers a malformed request with a plain HTTP error and returns null, so the caller
+ * only ever holds a connection that really is one.
+ *
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:net').Socket} socket
+ * @param {Buffer} head  bytes already read past the request headers
+ * @param {{maxMessageBytes: number}} options
+ * @returns {WebSocketConnection | null}
+ */
+export function acceptWebSocket(req, socket, head, { maxMessageBytes }) {
+  const key = req.headers['sec-websocket-key'];
+  const upgrade = String(req.headers.upgrade || '').toLowerCase();
+
+  if (
+    req.method !== 'GET' ||
+    upgrade !== 'websocket' ||
+    req.headers['sec-websocket-version'] !== '13' ||
+    typeof key !== 'string' ||
+    Buffer.from(key, 'base64').length !== 16
+  ) {
+    rejectUpgrade(socket, 400, 'Bad Request');
+    return null;
+  }
+
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${acceptKey(key)}\r\n` +
+      '\r\n',
+  );
+  socket.setNoDelay?.(true);
+  socket.setTimeout?.(0);
+
+  const connection = new WebSocketConnection(socket, { maxMessageBytes });
+  if (head && head.length > 0) connection.parser.push(head);
+  return connection;
+}
+
+/** Answer an upgrade request with an ordinary HTTP status and drop the socket. */
+export function rejectUpgrade(socket, status, message) {
+  try {
+    socket.end(
+      `HTTP/1.1 ${status} ${message}\r\n` +
+        'Connection: close\r\n' +
+        'Content-Type: text/plain; charset=utf-8\r\n' +
+        `Content-Length: ${Buffer.byteLength(message)}\r\n` +
+        '\r\n' +
+        message,
+    );
+  } catch {
+    /* already gone */
+  }
+}
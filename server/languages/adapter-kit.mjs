@@ -37,6 +37,15 @@
  * @property {string} id
  * @property {(code: string, profile: object) => string} defaultEntryName
  * @property {(ctx: PrepareContext) => Promise<PreparedRun>} prepare
+ * @property {boolean} [supportsDebug]          from the manifest, bound by the registry
+ * @property {boolean} [supportsDebugRecording] from the manifest, bound by the registry
+ * @property {'pypi'|'npm'|null} [dependencies] from the manifest, bound by the registry
+ * @property {string[]} [graphics]               the manifest's graphics protocols, bound by the registry
+ * @property {{run: string, compile?: string}} [resources]  the manifest's resource profiles
+ * @property {(result: object, job: import('../execution/job.mjs').Job) =>
+ *   ({phase?: string, stdout?: string, stderr?: string, termination?: object}|null)} [classifyFailure]
+ *   a second look at a run that failed: C#'s build errors, the C family's crashes.
+ *   `result.transport` is `'pty'` or `'pipes'`; a terminal merges stderr into stdout.
  */
 
 import fs from 'node:fs';
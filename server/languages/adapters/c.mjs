@@ -0,0 +1,411 @@
+/**
+ * C adapter, and the gcc machinery the C++ adapter shares (blueprint §60).
+ *
+ * Compiled with fixed flags into the job, then the binary is launched directly, as
+ * the Go adapter does - the compiler is not in the process tree while the program
+ * runs. Every source file in the project is part of the program, because that is
+ * what a C project is: one `main`, and the files beside it.
+ *
+ * The point of the flags is the crash report. A student's first out-of-bounds write
+ * in C does not fail - it corrupts something and the program carries on, or it dies
+ * with SIGSEGV and nothing else. Built with AddressSanitizer and UBSan, the same
+ * mistake stops at the faulting line with a report naming it, and `classifyFailure`
+ * turns that report into a `crashed` termination carrying the kind and the location.
+ *
+ * Three things shape everything below.
+ *
+ *  1. The sanitizer runtimes are not part of every gcc installation: AddressSanitizer
+ *     does not support musl at all. They are probed once per compiler, and a build
+ *     without them is still a working build - a fault is then classified from the
+ *     signal alone, without a location.
+ *  2. A sanitizer ends the program with `_exit`, so anything still in stdio's buffer
+ *     is lost, and stdout on a pipe is fully buffered. Output printed before the
+ *     crash would vanish with it - exactly the output that shows how far the program
+ *     got. A constructor linked into every program makes stdout unbuffered, which is
+ *     what `python -u` does for Python and for the same reason.
+ *  3. gcc compiles more than source. Assembly, objects, archives and precompiled
+ *     headers are native code or compiler state the source policy never reads, so
+ *     `validateFiles` refuses them, as the Go adapter refuses `.s` and `.syso` (V-06).
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { crashed, TerminationReason } from '../../domain/termination.mjs';
+import { runToCompletion } from '../../execution/process-runner.mjs';
+import { log } from '../../logging.mjs';
+import { diagnostics, filesWithExtension, stripJobPaths } from '../adapter-kit.mjs';
+
+/** Where the compiled program and the adapter's own files go, apart from sources. */
+const BUILD_DIR = '.build';
+
+/**
+ * Linked into every program: stdout unbuffered before `main` runs.
+ *
+ * Valid as C and as C++, so one file serves both compilers.
+ */
+const UNBUFFERED_STDOUT = [
+  '#include <stdio.h>',
+  '__attribute__((constructor)) static void browser_coder_unbuffered_stdout(void) {',
+  '  setvbuf(stdout, NULL, _IONBF, 0);',
+  '}',
+  '',
+].join('\n');
+const UNBUFFERED_STDOUT_FILE = `${BUILD_DIR}/unbuffered-stdout.c`;
+
+/** Flags every build gets: debug information for the report, and no colour codes. */
+const COMMON_FLAGS = ['-g', '-O0', '-Wall', '-Wextra', '-fno-omit-frame-pointer', '-fdiagnostics-color=never'];
+
+/** The sanitizers, halting at the first report rather than carrying on past it. */
+const SANITIZER_FLAGS = ['-fsanitize=address,undefined', '-fno-sanitize-recover=all'];
+
+/**
+ * The sanitizers' runtime options.
+ *
+ * Leak detection is off: LeakSanitizer stops the world with ptrace, which the
+ * sandbox does not allow, and a leak is not a crash. `handle_abort` makes a failed
+ * `assert`, an uncaught exception and a libstdc++ bounds assertion print a stack like
+ * any other fault, which is what locates them in the student's code.
+ */
+const ASAN_OPTIONS = 'detect_leaks=0:handle_abort=1:print_legend=0:color=never';
+const UBSAN_OPTIONS = 'print_stacktrace=1:halt_on_error=1:color=never';
+
+/**
+ * Files gcc would feed to something other than the compiler proper.
+ *
+ * A `.gch` beside a header is used INSTEAD of the header, so it is compiler state
+ * that decides what a program means without ever being read as source.
+ */
+const FORBIDDEN_EXTENSIONS = ['.s', '.sx', '.asm', '.o', '.obj', '.a', '.so', '.dylib', '.dll', '.gch', '.pch'];
+
+/** Signals that mean the program faulted in its own code. */
+const FAULT_SIGNALS = {
+  SIGSEGV: 'segmentation fault (invalid memory access)',
+  SIGBUS: 'bus error (invalid memory access)',
+  SIGFPE: 'arithmetic error, such as division by zero',
+  SIGILL: 'illegal instruction',
+  SIGABRT: 'the program aborted',
+  SIGTRAP: 'trap',
+};
+
+/** One frame of a sanitizer stack: `#0 0x55f0b792b312 in get util.c:3`. */
+const STACK_FRAME = /^\s*#\d+\s+0x[0-9a-f]+\s+in\s+(.+?)\s+(\S+?):(\d+)(?::(\d+))?\s*$/;
+
+/**
+ * Is this a file the student wrote?
+ *
+ * After job-path stripping the student's files are relative; the standard library's
+ * headers keep their absolute install path, and the sanitizer's own sources are
+ * named relative to its build tree (`../../../../src/libsanitizer/…`).
+ */
+function isWorkspaceFile(file) {
+  return !file.startsWith('/') && !file.startsWith('../') && !file.startsWith('<');
+}
+
+/** The first frame after `from` that names a workspace file. */
+function firstWorkspaceFrame(lines, from = 0) {
+  for (let i = from; i < lines.length; i++) {
+    const frame = lines[i].match(STACK_FRAME);
+    if (frame && isWorkspaceFile(frame[2])) {
+      return {
+        file: frame[2],
+        line: Number.parseInt(frame[3], 10),
+        ...(frame[4] ? { column: Number.parseInt(frame[4], 10) } : {}),
+      };
+    }
+  }
+  return null;
+}
+
+/** A short name for what UBSan found, from the sentence it printed. */
+function undefinedBehaviourKind(message) {
+  if (/signed integer overflow/.test(message)) return 'signed-integer-overflow';
+  if (/division by zero/.test(message)) return 'division-by-zero';
+  if (/null pointer/.test(message)) return 'null-pointer';
+  if (/out of bounds/.test(message)) return 'index-out-of-bounds';
+  if (/shift/.test(message)) return 'invalid-shift';
+  if (/misaligned/.test(message)) return 'misaligned-address';
+  if (/control reached end of non-void function|reached an unreachable program point/.test(message)) {
+    return 'missing-return';
+  }
+  return 'undefined-behavior';
+}
+
+/**
+ * Read a crash out of a program's stderr, job paths already stripped.
+ *
+ * Four shapes, most specific first:
+ *
+ *     main.c:7:12: runtime error: signed integer overflow: 2147483647 + 1 …   (UBSan)
+ *     ==123==ERROR: AddressSanitizer: heap-buffer-overflow on address …      (ASan)
+ *     prog: main.c:4: main: Assertion `x > 0' failed.                        (assert)
+ *     terminate called after throwing an instance of 'std::out_of_range'     (C++)
+ *
+ * An assertion and an uncaught exception end in `abort()`, which ASan then reports
+ * as an `ABRT` - so the line printed BEFORE the ASan report is the real story, and
+ * the report only supplies the stack. The location is always the first stack frame
+ * in a workspace file: the fault itself is often inside the standard library
+ * (`std::vector::operator[]`), and the student's line is the call that got there.
+ *
+ * Returns null when the text shows no crash; a program that printed to stderr and
+ * returned 1 is not one.
+ */
+export function parseCrashReport(text) {
+  if (!text) return null;
+  const lines = text.split('\n');
+
+  const ubsan = text.match(/^(\S+?):(\d+):(\d+): runtime error: (.*)$/m);
+  if (ubsan) {
+    const index = lines.findIndex(line => line.includes(': runtime error: '));
+    const location = isWorkspaceFile(ubsan[1])
+      ? { file: ubsan[1], line: Number.parseInt(ubsan[2], 10), column: Number.parseInt(ubsan[3], 10) }
+      : firstWorkspaceFrame(lines, index + 1);
+    return {
+      tool: 'ubsan',
+      kind: undefinedBehaviourKind(ubsan[4]),
+      summary: ubsan[4].trim(),
+      ...location,
+    };
+  }
+
+  const asanAt = lines.findIndex(line => /==\d+==ERROR: AddressSanitizer: /.test(line));
+  const assertion = text.match(/^(?:\S+: )?(\S+?):(\d+): [^\n]*?Assertion [`'](.+)' failed\.$/m);
+  const uncaught = text.match(/^terminate called after throwing an instance of '([^']+)'(?:\n\s+what\(\):\s+(.*))?/m);
+
+  if (assertion) {
+    const own = isWorkspaceFile(assertion[1]);
+    return {
+      tool: asanAt >= 0 ? 'asan' : 'signal',
+      kind: own ? 'assertion-failed' : 'library-assertion',
+      summary: `Assertion '${assertion[3]}' failed`,
+      ...(own
+        ? { file: assertion[1], line: Number.parseInt(assertion[2], 10) }
+        : firstWorkspaceFrame(lines, Math.max(asanAt, 0))),
+    };
+  }
+
+  if (uncaught) {
+    return {
+      tool: asanAt >= 0 ? 'asan' : 'signal',
+      kind: 'uncaught-exception',
+      summary: uncaught[2] ? `uncaught ${uncaught[1]}: ${uncaught[2].trim()}` : `uncaught ${uncaught[1]}`,
+      ...firstWorkspaceFrame(lines, Math.max(asanAt, 0)),
+    };
+  }
+
+  if (asanAt >= 0) {
+    // `attempting double-free on …` is the one heading that opens with a verb.
+    const heading = lines[asanAt].match(/AddressSanitizer: (?:attempting )?([\w-]+)/);
+    const kind = heading ? heading[1] : 'memory-error';
+    // `READ of size 4 at …` for an access, `The signal is caused by a WRITE memory
+    // access.` for a SEGV. Either says what the program was doing.
+    const access = text.match(/^(READ|WRITE) of size (\d+)/m)
+      ?? text.match(/The signal is caused by a (READ|WRITE) memory access/);
+    const summary = access
+      ? `${kind}: ${access[1]}${access[2] ? ` of size ${access[2]}` : ''}`
+      : kind;
+    return {
+      tool: 'asan',
+      kind,
+      summary: /zero page/.test(text) ? `${summary} (a null pointer)` : summary,
+      ...firstWorkspaceFrame(lines, asanAt + 1),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Take the noise out of a sanitizer report before the student reads it.
+ *
+ * The shadow-memory dump is ASan's view of the bytes around the fault - twenty lines
+ * of hex with no meaning to anyone who is not debugging ASan - and there is no option
+ * to turn it off. Removed line by line, so it works on a streamed chunk as well as on
+ * a whole buffered report; a line split across two chunks is simply left in.
+ */
+export function trimSanitizerReport(text) {
+  if (!text) return text || '';
+  return text
+    .split('\n')
+    .filter(line =>
+      !/^Shadow bytes around the buggy address:$/.test(line)
+      && !/^(?:=>|\s\s)0x[0-9a-f]+:(?: [0-9a-f]{2}|\[[0-9a-f]{2}\]| ?[0-9a-f]{2}\]?)*\s*$/.test(line)
+      && !/^HINT: this may be a false positive|^\s+\(longjmp and C\+\+ exceptions \*are\* supported\)$/.test(line))
+    .join('\n');
+}
+
+/**
+ * Whether this compiler can build AND run a sanitized program, asked once.
+ *
+ * Running matters as much as linking: ASan reserves its shadow memory at startup and
+ * can refuse to start under some address-space layouts. Memoised per compiler, so
+ * the cost is one tiny build for the life of the process.
+ */
+const sanitizerSupport = new Map();
+
+async function sanitizersAvailable(ctx, compiler) {
+  if (!sanitizerSupport.has(compiler)) {
+    sanitizerSupport.set(compiler, (async () => {
+      const source = ctx.job.absolute(`${BUILD_DIR}/probe.c`);
+      const binary = ctx.job.absolute(`${BUILD_DIR}/probe`);
+      fs.writeFileSync(source, 'int main(void) { return 0; }\n', { mode: 0o600 });
+      const build = await runToCompletion({
+        command: compiler,
+        args: ['-x', 'c', ...SANITIZER_FLAGS, source, '-o', binary],
+        cwd: ctx.job.dir,
+        env: ctx.sandboxEnv,
+        timeoutMs: ctx.config.execution.nativeTimeoutMs,
+        maxOutputChars: 20000,
+      });
+      const run = build.termination.succeeded
+        ? await runToCompletion({
+          command: binary,
+          args: [],
+          cwd: ctx.job.dir,
+          env: { ...ctx.sandboxEnv, ASAN_OPTIONS, UBSAN_OPTIONS },
+          timeoutMs: 5000,
+          maxOutputChars: 20000,
+        })
+        : build;
+      const available = run.termination.succeeded;
+      if (!available) {
+        log('warn', 'sanitizers_unavailable', {
+          compiler,
+          detail: (run.stderr || run.stdout || '').split('\n').find(line => line.trim()) || null,
+        });
+      }
+      return available;
+    })());
+  }
+  return sanitizerSupport.get(compiler);
+}
+
+/**
+ * A gcc-family adapter.
+ *
+ * @param {object} spec
+ * @param {string} spec.id
+ * @param {string} spec.tool            key into CONFIG.tools
+ * @param {string} spec.entryName
+ * @param {string[]} spec.sourceExtensions
+ * @param {string[]} spec.languageFlags flags only this language gets
+ * @param {string[]} spec.libraries     linked after the sources
+ */
+export function createGccAdapter({ id, tool, entryName, sourceExtensions, languageFlags, libraries }) {
+  return {
+    id,
+
+    defaultEntryName() {
+      return entryName;
+    },
+
+    validateFiles(files) {
+      for (const file of files) {
+        const extension = path.extname(file.name).toLowerCase();
+        if (FORBIDDEN_EXTENSIONS.includes(extension)) {
+          return {
+            ok: false,
+            code: 'native_build_file_not_allowed',
+            message:
+              `"${file.name}" would be assembled or linked as native code and cannot be supplied. `
+              + 'Send source files and headers only.',
+          };
+        }
+      }
+      return { ok: true };
+    },
+
+    async prepare(ctx) {
+      const { job, files, profile } = ctx;
+      const startedAt = Date.now();
+
+      const sources = filesWithExtension(files, ...sourceExtensions).map(file => file.name);
+      if (sources.length === 0) {
+        return diagnostics(
+          `No ${sourceExtensions.join(' or ')} source files were provided.`,
+          Date.now() - startedAt,
+        );
+      }
+
+      const compiler = ctx.config.tools[tool];
+      fs.mkdirSync(job.absolute(BUILD_DIR), { recursive: true, mode: 0o700 });
+      job.writeFile(UNBUFFERED_STDOUT_FILE, UNBUFFERED_STDOUT);
+      const sanitize = await sanitizersAvailable(ctx, compiler);
+
+      const program = job.absolute(`${BUILD_DIR}/program`);
+      const compile = await runToCompletion({
+        command: compiler,
+        args: [
+          `-std=${profile.sourceLevel}`,
+          ...COMMON_FLAGS,
+          ...(sanitize ? SANITIZER_FLAGS : []),
+          ...languageFlags,
+          ...sources,
+          UNBUFFERED_STDOUT_FILE,
+          '-o', program,
+          ...libraries,
+        ],
+        cwd: job.dir,
+        env: ctx.sandboxEnv,
+        timeoutMs: ctx.config.execution.nativeTimeoutMs,
+        maxOutputChars: ctx.config.execution.maxOutputChars,
+      });
+
+      if (!compile.termination.succeeded) {
+        return diagnostics(
+          stripJobPaths(compile.stderr || compile.stdout, job.dir).trim()
+            || `${path.basename(compiler)} exited with ${compile.termination.exitCode}`,
+          compile.durationMs,
+        );
+      }
+
+      return {
+        kind: 'launch',
+        command: program,
+        args: [],
+        cwd: job.dir,
+        timeoutMs: ctx.timeoutMs,
+        extraEnv: sanitize ? { ASAN_OPTIONS, UBSAN_OPTIONS } : {},
+        transformStderr: text => trimSanitizerReport(stripJobPaths(text, job.dir)),
+      };
+    },
+
+    /**
+     * A nonzero exit with a sanitizer report, or a fault signal, is a crash.
+     *
+     * The stream the student saw is left as it was; only the termination changes,
+     * which is what carries the kind and the location to the client. On a terminal
+     * the report is in stdout, merged there with the program's own output and with
+     * the terminal's CRLF line endings.
+     */
+    classifyFailure(result, job) {
+      const { termination } = result;
+      if (termination.reason !== TerminationReason.EXITED && termination.reason !== TerminationReason.SIGNALED) {
+        return null;
+      }
+
+      const reported = result.transport === 'pty' ? (result.stdout || '').replace(/\r\n/g, '\n') : result.stderr;
+      const report = parseCrashReport(stripJobPaths(reported, job.dir));
+      if (report) return { termination: crashed(termination, report) };
+
+      const fault = FAULT_SIGNALS[termination.signal];
+      if (fault) {
+        return { termination: crashed(termination, { tool: 'signal', kind: termination.signal, summary: fault }) };
+      }
+      return null;
+    },
+  };
+}
+
+export const cAdapter = createGccAdapter({
+  id: 'c',
+  tool: 'cc',
+  entryName: 'main.c',
+  sourceExtensions: ['.c'],
+  languageFlags: [],
+  // <math.h> is a separate library in C, and "undefined reference to `sqrt'" is not
+  // a lesson anyone needs on their first day.
+  libraries: ['-lm'],
+});
+
+export default cAdapter;
@@ -0,0 +1,27 @@
+/**
+ * C++ adapter.
+ *
+ * The C adapter's build with g++ in place of gcc (blueprint §60): the same probe,
+ * the same sanitizers, the same crash classification. What differs is only what C++
+ * adds on top of C's ways to fail.
+ *
+ * `std::vector::operator[]` is not bounds-checked, and an index one past the end
+ * usually lands in memory the vector itself owns - so AddressSanitizer, which only
+ * sees the allocation, cannot catch the commonest C++ mistake there is.
+ * `_GLIBCXX_ASSERTIONS` turns on libstdc++'s own precondition checks, which can: the
+ * assertion fires inside the library, and `parseCrashReport` walks the stack back to
+ * the student's line that made the call.
+ */
+
+import { createGccAdapter } from './c.mjs';
+
+export const cppAdapter = createGccAdapter({
+  id: 'cpp',
+  tool: 'cxx',
+  entryName: 'main.cpp',
+  sourceExtensions: ['.cpp', '.cc', '.cxx', '.c++'],
+  languageFlags: ['-D_GLIBCXX_ASSERTIONS'],
+  libraries: [],
+});
+
+export default cppAdapter;
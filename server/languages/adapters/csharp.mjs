@@ -36,6 +36,7 @@ import { fileURLToPath } from 'node:url';
 import { runToCompletion } from '../../execution/process-runner.mjs';
 import { log } from '../../logging.mjs';
 import { diagnostics, stripJobPaths } from '../adapter-kit.mjs';
+import { parseMsbuildWarnings, runLinter } from '../../linting/findings.mjs';
 import { WORKSPACE_ENV } from './python.mjs';
 
 /**
@@ -96,6 +97,23 @@ function projectFileContents(profile) {
 
 const PROJECT_FILE_NAME = 'UserProgram.csproj';
 
+/**
+ * What a lint build turns on, beyond the compiler's own warnings.
+ *
+ * The compiler already reports a local declared and never used (CS0168) or assigned
+ * and never read (CS0219). These are the code-style analyzers that find the rest of
+ * the same family - a value overwritten before it is read, a private member nothing
+ * calls - which the SDK ships but leaves silent unless a build is told to report
+ * them. Unused parameters are left out: every `Main(string[] args)` would have one.
+ */
+const LINT_EDITORCONFIG = `root = true
+
+[*.cs]
+dotnet_diagnostic.IDE0059.severity = warning
+dotnet_diagnostic.IDE0051.severity = warning
+dotnet_diagnostic.IDE0052.severity = warning
+`;
+
 /** Where the DAP debug adapter lives in the image, next to the language's other files. */
 export const CSHARP_ADAPTER_DIR = fileURLToPath(new URL('../../../languages/csharp/', import.meta.url));
 
@@ -318,17 +336,6 @@ export const csharpAdapter = {
     return { ok: true };
   },
 
-  /**
-   * C# can be debugged.
-   *
-   * Through `dncdbg`, over DAP, spoken by a client written for this project - see
-   * languages/csharp/dap.mjs. It is the only .NET debugger that works on musl -
-   * netcoredbg segfaults there, for a reason recorded in blueprint section 49 - and it
-   * is unpacked into the image rather than compiled. Where it is absent the run reports
-   * `debug:unsupported` rather than pretending.
-   */
-  supportsDebug: true,
-
   /**
    * Compile without running, for live error checking.
    *
@@ -364,6 +371,37 @@ export const csharpAdapter = {
     );
   },
 
+  /**
+   * Lint with Roslyn (blueprint section 62): the check's build, with the code-style
+   * analyzers enforced, read for warnings instead of errors.
+   *
+   * The `.editorconfig` is written after the project is set up, over any the student
+   * sent, so the rules are the service's.
+   */
+  async lint(ctx) {
+    const refusal = await setUpProject(ctx, Date.now());
+    if (refusal) return { outcome: 'linted', tool: 'roslyn', findings: [] };
+
+    fs.writeFileSync(path.join(ctx.job.dir, '.editorconfig'), LINT_EDITORCONFIG, {
+      encoding: 'utf8',
+      mode: 0o600,
+    });
+
+    return runLinter({
+      tool: 'roslyn',
+      command: ctx.config.tools.dotnet,
+      args: [
+        'build', '-c', 'Debug', '--no-restore', '--nologo', '-v', 'q',
+        '-p:EnforceCodeStyleInBuild=true',
+        ctx.job.dir,
+      ],
+      ctx,
+      timeoutMs: ctx.config.execution.csharpTimeoutMs,
+      perLine: true,
+      parse: result => parseMsbuildWarnings(`${result.stdout}\n${result.stderr}`, ctx.job.dir),
+    });
+  },
+
   async prepare(ctx) {
     const startedAt = Date.now();
     const debugging = ctx.debug?.enabled === true;
@@ -0,0 +1,197 @@
+/**
+ * Go adapter.
+ *
+ * Compiled with `go build` into the job, then the binary is launched directly - the
+ * toolchain is not in the process tree while the program runs, so `go run`'s extra
+ * parent process and its `exit status 2` trailer never reach the student.
+ *
+ * Three things about the Go toolchain shape everything below.
+ *
+ *  1. It will go to the network if it is allowed to. A missing import becomes a
+ *     module lookup against proxy.golang.org, and a `go` directive newer than the
+ *     installed toolchain becomes a toolchain DOWNLOAD. `GOPROXY=off` and
+ *     `GOTOOLCHAIN=local` turn both into an immediate, readable error, so only the
+ *     standard library is ever available - which is the whole offering.
+ *  2. Module mode is decided by the nearest `go.mod`, found by walking UP from the
+ *     job directory. That is V-34 again in another language: whatever happens to sit
+ *     above TMPDIR decides how the student's code is built. `pinGoModule` writes the
+ *     boundary explicitly, exactly as `pinModuleType` does for Node.
+ *  3. `go build` compiles more than `.go` files. Assembly (`.s`) is assembled and
+ *     linked, and `.syso` objects are linked as they are - either is native code that
+ *     never passes through the source policy. `validateFiles` refuses them, as the C#
+ *     adapter refuses MSBuild control files (V-06).
+ *
+ * Each of those is code a manifest's `phases` cannot express - a phase list fills
+ * placeholders into a fixed command, and has no step that writes `go.mod` or refuses a
+ * file - which is why languages/go/manifest.json names this module instead.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { runToCompletion } from '../../execution/process-runner.mjs';
+import { diagnostics, filesWithExtension, stripJobPaths } from '../adapter-kit.mjs';
+
+/** Where the compiled program and the toolchain's per-job state go, apart from sources. */
+const BUILD_DIR = '.build';
+
+/** The module path used when the project does not name one. */
+export const DEFAULT_MODULE_PATH = 'app';
+
+/**
+ * Files `go build` would feed to something other than the Go compiler.
+ *
+ * Assembly and prebuilt objects link native code directly, and the C family only
+ * builds through cgo - which is disabled, but refusing them here says so plainly
+ * instead of surfacing as "C source files not allowed when not using cgo".
+ */
+const FORBIDDEN_EXTENSIONS = [
+  '.s', '.sx', '.syso',
+  '.c', '.cc', '.cpp', '.cxx', '.h', '.hh', '.hpp', '.hxx',
+  '.m', '.f', '.for', '.f90', '.swig', '.swigcxx',
+];
+
+/**
+ * The module path a project's own go.mod declares, if it is one we can keep.
+ *
+ * Kept so a project with packages in subdirectories still compiles: its imports are
+ * written against that path (`import "shapes/geometry"`). Anything that does not look
+ * like a plain module path is replaced rather than interpolated into the file.
+ */
+export function declaredModulePath(files) {
+  const goMod = files.find(file => file.name === 'go.mod');
+  const match = goMod?.content.match(/^\s*module\s+"?([A-Za-z0-9][\w.\-~/]*)"?\s*(?:\/\/.*)?$/m);
+  return match ? match[1] : null;
+}
+
+/**
+ * Pin module mode for a job directory.
+ *
+ * Always written, even over a go.mod the student sent: theirs may carry `require`
+ * lines that can never be satisfied offline, or a `go` directive naming a toolchain
+ * that is not installed. Only the module path survives. The `go` line is the profile's
+ * language version, so the version picker selects real language semantics (loop
+ * variables, for one, changed meaning in 1.22) against whichever toolchain is present.
+ */
+export function pinGoModule(job, { modulePath, languageVersion }) {
+  fs.writeFileSync(
+    path.join(job.dir, 'go.mod'),
+    `module ${modulePath || DEFAULT_MODULE_PATH}\n\ngo ${languageVersion}\n`,
+    { encoding: 'utf8', mode: 0o600 },
+  );
+}
+
+/**
+ * The package `go build` should compile: the entry point's directory.
+ *
+ * Go builds packages, not files, so every `.go` file beside the entry point is part of
+ * the program and a file in another directory is another package.
+ */
+export function packageFor(entryPoint) {
+  const directory = path.posix.dirname(entryPoint.replace(/\\/g, '/'));
+  return directory === '.' ? '.' : `./${directory}`;
+}
+
+/** Environment for `go build`: no network, no other toolchain, no cgo, no stray config. */
+function buildEnv(ctx) {
+  return {
+    ...ctx.sandboxEnv,
+    GOCACHE: ctx.config.go.buildCacheDirectory,
+    // The module cache lives under GOPATH. Nothing is ever downloaded into it, but the
+    // toolchain insists on a writable one, and it should not be HOME's.
+    GOPATH: ctx.job.absolute(path.join(BUILD_DIR, 'gopath')),
+    // The sandbox points TMPDIR at the job directory, and the go command deliberately
+    // ignores a go.mod found in the system temp root - so the pinned module was
+    // skipped with "go.mod file not found" until the build's temp moved one level down.
+    TMPDIR: ctx.job.absolute(path.join(BUILD_DIR, 'tmp')),
+    GOPROXY: 'off',
+    GOSUMDB: 'off',
+    GOTOOLCHAIN: 'local',
+    GOFLAGS: '-mod=mod',
+    GOWORK: 'off',
+    GOENV: 'off',
+    GO111MODULE: 'on',
+    CGO_ENABLED: '0',
+    GOTELEMETRY: 'off',
+  };
+}
+
+export const goAdapter = {
+  id: 'go',
+
+  defaultEntryName() {
+    return 'main.go';
+  },
+
+  validateFiles(files) {
+    for (const file of files) {
+      const extension = path.extname(file.name).toLowerCase();
+      if (FORBIDDEN_EXTENSIONS.includes(extension)) {
+        return {
+          ok: false,
+          code: 'go_build_file_not_allowed',
+          message:
+            `"${file.name}" would be assembled or linked by go build as native code and cannot be supplied. `
+            + 'Send only .go source files.',
+        };
+      }
+    }
+    return { ok: true };
+  },
+
+  async prepare(ctx) {
+    const { job, files, entryPoint, profile } = ctx;
+    const startedAt = Date.now();
+
+    if (filesWithExtension(files, '.go').length === 0) {
+      return diagnostics('No .go source files were provided.', Date.now() - startedAt);
+    }
+
+    pinGoModule(job, {
+      modulePath: declaredModulePath(files),
+      languageVersion: profile.sourceLevel,
+    });
+
+    const program = job.absolute(path.join(BUILD_DIR, 'program'));
+    fs.mkdirSync(job.absolute(path.join(BUILD_DIR, 'tmp')), { recursive: true, mode: 0o700 });
+
+    const compile = await runToCompletion({
+      command: ctx.config.tools.go,
+      args: ['build', '-o', program, packageFor(entryPoint)],
+      cwd: job.dir,
+      env: buildEnv(ctx),
+      timeoutMs: ctx.config.execution.nativeTimeoutMs,
+      maxOutputChars: ctx.config.execution.maxOutputChars,
+    });
+
+    if (!compile.termination.succeeded) {
+      // `go build` opens with `# <package>`, which names the build rather than the
+      // problem and reads like a heading the student should act on.
+      const message = stripJobPaths(compile.stderr || compile.stdout, job.dir)
+        .split('\n')
+        .filter(line => !/^#\s/.test(line))
+        .join('\n')
+        .trim();
+      return diagnostics(
+        message || `go build exited with ${compile.termination.exitCode}`,
+        compile.durationMs,
+      );
+    }
+
+    return {
+      kind: 'launch',
+      command: program,
+      args: [],
+      cwd: job.dir,
+      timeoutMs: ctx.timeoutMs,
+      extraEnv: {
+        // The runtime's soft heap ceiling, as `-Xmx128m` is Java's and
+        // `--max-old-space-size` is Node's.
+        GOMEMLIMIT: '128MiB',
+      },
+      transformStderr: text => stripJobPaths(text, job.dir),
+    };
+  },
+};
+
+export default goAdapter;
@@ -16,13 +16,21 @@
  *   two students running `Main.java` at the same moment overwrote each other's
  *   source AND bytecode, and each `finally` deleted the other's artifacts. Fixed
  *   structurally by the per-job directory; nothing here is shared.
+ *
+ * Also the fourth adapter with turtle graphics (blueprint section 66). The JDK has no
+ * turtle; languages/java/Turtle.java IS the library, compiled with the student's
+ * sources when one of them uses it, so `new Turtle()` needs no import and no jar.
  */
 
+import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
 import { runToCompletion } from '../../execution/process-runner.mjs';
+import { usesTurtle } from '../../graphics/turtle.mjs';
+import { log } from '../../logging.mjs';
 import { diagnostics, filesWithExtension, stripJobPaths } from '../adapter-kit.mjs';
+import { parseJavacLint, runLinter } from '../../linting/findings.mjs';
 
 /** Directory the compiler writes classes into, kept apart from sources. */
 const CLASSES_DIR = '.classes';
@@ -30,6 +38,50 @@ const CLASSES_DIR = '.classes';
 /** Where the JDWP debug adapter lives in the image, next to the language's other files. */
 export const JAVA_ADAPTER_DIR = fileURLToPath(new URL('../../../languages/java/', import.meta.url));
 
+/**
+ * Where the turtle library's source is written inside the job directory: apart from
+ * the student's files, so it is never mistaken for one of them in a listing, a
+ * diagnostic or the Problems panel.
+ */
+export const TURTLE_LIB_DIR = '.browser-coder-java';
+const TURTLE_LIB_FILE = 'Turtle.java';
+
+let librarySource = null;
+function turtleLibrary() {
+  if (librarySource !== null) return librarySource;
+  try {
+    librarySource = fs.readFileSync(path.join(JAVA_ADAPTER_DIR, TURTLE_LIB_FILE), 'utf8');
+  } catch (error) {
+    log('warn', 'turtle_shim_unavailable', { language: 'java', error: error.message });
+    librarySource = '';
+  }
+  return librarySource;
+}
+
+/**
+ * The library's source files for this project: none, unless a file uses `Turtle` and
+ * no file declares a `Turtle` of its own. A student who wrote their own class keeps
+ * it - two classes of one name in one package would not compile, and theirs is the
+ * one they meant.
+ */
+function turtleSources(job, javaFiles) {
+  if (!javaFiles.some(file => usesTurtle(file.content, 'java'))) return [];
+  const declaresTurtle = javaFiles.some(file => /\b(?:class|interface|enum|record)\s+Turtle\b/.test(
+    file.content.replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\/\/[^\n]*/g, ' '),
+  ));
+  if (declaresTurtle || !turtleLibrary()) return [];
+  return [job.writeFile(path.posix.join(TURTLE_LIB_DIR, TURTLE_LIB_FILE), turtleLibrary())];
+}
+
+/**
+ * Take the turtle library's frames out of a Java stack trace, so the first `at` line
+ * under the message is the call the student wrote.
+ */
+export function dropTurtleFrames(text) {
+  if (!text) return text || '';
+  return text.split('\n').filter(line => !/^\s+at Turtle[.$]/.test(line)).join('\n');
+}
+
 /** Environment the debug adapter reads to know what to launch and how. */
 export const JAVA_MAIN_ENV = 'BROWSER_CODER_JAVA_MAIN';
 export const JAVA_CLASSPATH_ENV = 'BROWSER_CODER_JAVA_CLASSPATH';
@@ -90,14 +142,39 @@ export const javaAdapter = {
   },
 
   /**
-   * Java can be debugged.
+   * Lint with javac's own `-Xlint` (blueprint section 62): raw types, unchecked
+   * casts, switch fall-through, empty statements, division by zero.
    *
-   * Through JDWP, the JVM's own debug protocol, spoken by a client written for this
-   * project - see languages/java/jdwp.mjs for the wire format and
-   * languages/java/debug_adapter.mjs for why a supervising process rather than an
-   * in-process hook. No JDI, no jdb, no third-party dependency.
+   * `serial` is off - every Exception subclass a student writes would be told to
+   * declare a serialVersionUID they have no use for - and annotation processing is
+   * off, because a processor on the classpath is code that runs inside javac.
    */
-  supportsDebug: true,
+  lint(ctx) {
+    const javaFiles = filesWithExtension(ctx.files, '.java');
+    // The library too, or every `new Turtle()` would be "cannot find symbol".
+    const sources = [
+      ...javaFiles.map(file => ctx.job.absolute(file.name)),
+      ...turtleSources(ctx.job, javaFiles),
+    ];
+    const releaseArgs = ctx.profile.sourceLevel ? ['--release', ctx.profile.sourceLevel] : [];
+    return runLinter({
+      tool: 'javac -Xlint',
+      command: ctx.config.tools.javac,
+      args: [
+        '-J-Xmx128m',
+        ...releaseArgs,
+        '-Xlint:all', '-Xlint:-serial', '-Xmaxwarns', '500', '-proc:none',
+        '-encoding', 'UTF-8',
+        '-d', ctx.job.absolute(CLASSES_DIR),
+        ...sources,
+      ],
+      ctx,
+      timeoutMs: ctx.config.execution.javaTimeoutMs,
+      perLine: true,
+      parse: result => parseJavacLint(`${result.stderr}\n${result.stdout}`, ctx.job.dir)
+        .filter(finding => !finding.file.startsWith(`${TURTLE_LIB_DIR}/`)),
+    });
+  },
 
   async prepare(ctx) {
     const { job, files, entryPoint, profile } = ctx;
@@ -110,6 +187,11 @@ export const javaAdapter = {
     }
 
     const classesDir = job.absolute(CLASSES_DIR);
+    const librarySources = turtleSources(job, javaFiles);
+    const transformStderr = text => {
+      const out = stripJobPaths(text, job.dir);
+      return librarySources.length > 0 ? dropTurtleFrames(out) : out;
+    };
 
     // `--release` pins language level AND the API surface, so java11 genuinely
     // cannot use a Java 17 method. Omitted when a profile declares no level, so a
@@ -133,6 +215,7 @@ export const javaAdapter = {
         '-d',
         classesDir,
         ...javaFiles.map(file => job.absolute(file.name)),
+        ...librarySources,
       ],
       cwd: job.dir,
       env: ctx.sandboxEnv,
@@ -193,7 +276,7 @@ export const javaAdapter = {
           [JAVA_CLASSPATH_ENV]: classesDir,
           [JAVA_BIN_ENV]: ctx.config.tools.java,
         },
-        transformStderr: text => stripJobPaths(text, job.dir),
+        transformStderr,
       };
     }
 
@@ -211,7 +294,7 @@ export const javaAdapter = {
       ],
       cwd: job.dir,
       timeoutMs: ctx.config.execution.javaTimeoutMs,
-      transformStderr: text => stripJobPaths(text, job.dir),
+      transformStderr,
     };
   },
 };
@@ -12,14 +12,28 @@
  * (https://nodejs.org/api/permissions.html). Narrowing it removes an accidental
  * cross-job read; real containment is the sandbox's job. It is defence in depth,
  * not the defence.
+ *
+ * Also the third adapter with turtle graphics (blueprint section 66). Node has no
+ * turtle, so languages/javascript/turtle.mjs IS the library, installed as the `turtle`
+ * package in the job's `node_modules` - `import turtle from 'turtle'` then resolves
+ * the way any package does. It writes the same payload, to the same service-chosen
+ * file, as the Python and Ruby shims. The chart library, languages/javascript/bcplot.mjs,
+ * is installed beside it as the package `bcplot` (blueprint section 68), and writes
+ * its own service-chosen file. Those two files are the only writes the launch grants.
  */
 
+import fs from 'node:fs';
 import path from 'node:path';
-import { fileURLToPath } from 'node:url';
+import { fileURLToPath, pathToFileURL } from 'node:url';
 
 import { diagnostics, pinModuleType, stripJobPaths } from '../adapter-kit.mjs';
 import { runToCompletion } from '../../execution/process-runner.mjs';
+import { usesCharts } from '../../graphics/charts.mjs';
+import { usesTurtle } from '../../graphics/turtle.mjs';
+import { log } from '../../logging.mjs';
+import { lintWithEslint } from '../../linting/eslint.mjs';
 import { DEBUG_PROGRAM_ENV } from '../../debug/channel.mjs';
+import { PACKAGES_ENV } from '../../dependencies/layers.mjs';
 // The same variable Python's guard reads. One name for "the directory a program may
 // touch", so the two languages cannot describe confinement differently.
 import { WORKSPACE_ENV } from './python.mjs';
@@ -29,13 +43,134 @@ export const JS_ADAPTER_DIR = path.join(
   fileURLToPath(new URL('../../../languages/javascript/', import.meta.url)),
 );
 
+/** Where the turtle package goes: a package like any other, so it imports like one. */
+export const TURTLE_PACKAGE_DIR = 'node_modules/turtle';
+
+/** And the chart library's. */
+export const BCPLOT_PACKAGE_DIR = 'node_modules/bcplot';
+
+/**
+ * The libraries a program may import, by package name: the file that is the library,
+ * and the test of whether a source imports it.
+ */
+const LIBRARIES = {
+  turtle: { file: 'turtle.mjs', uses: source => usesTurtle(source, 'javascript') },
+  bcplot: { file: 'bcplot.mjs', uses: source => usesCharts(source, 'javascript') },
+};
+
+/** Enough of a manifest for the resolver: an ES module with one entry. */
+const packageJson = name => `${JSON.stringify({
+  name, private: true, type: 'module', exports: `./${LIBRARIES[name].file}`,
+}, null, 2)}\n`;
+
+const librarySources = new Map();
+function librarySource(name) {
+  if (!librarySources.has(name)) {
+    try {
+      librarySources.set(name, fs.readFileSync(path.join(JS_ADAPTER_DIR, LIBRARIES[name].file), 'utf8'));
+    } catch (error) {
+      log('warn', name === 'turtle' ? 'turtle_shim_unavailable' : 'bcplot_unavailable', {
+        language: 'javascript',
+        error: error.message,
+      });
+      librarySources.set(name, '');
+    }
+  }
+  return librarySources.get(name);
+}
+
+/**
+ * Install the libraries the project imports beside its own packages.
+ *
+ * Without a package layer, `node_modules` is simply made with the libraries in it. With
+ * one, `node_modules` would be a link to the shared layer, which no run may write into -
+ * so it becomes a real directory holding a link to each entry of the layer, and the
+ * libraries beside them. Same resolution for every package, one or two more packages.
+ *
+ * A project that installed an npm package called `turtle` or `bcplot` gets THAT one:
+ * what the lock says is what runs, and its output is then simply not ours to collect.
+ *
+ * @param {string[]} names the libraries some file imports
+ * @returns {Set<string>} the libraries installed
+ */
+function installLibraries(job, packagesDir, names) {
+  const entries = packagesDir ? fs.readdirSync(packagesDir) : [];
+  const installing = names.filter(name => librarySource(name) && !entries.includes(name));
+  if (installing.length === 0) return new Set();
+
+  if (packagesDir) {
+    fs.mkdirSync(job.absolute('node_modules'), { mode: 0o700 });
+    for (const entry of entries) {
+      fs.symlinkSync(path.join(packagesDir, entry), job.absolute(path.posix.join('node_modules', entry)));
+    }
+  }
+  for (const name of installing) {
+    const directory = path.posix.join('node_modules', name);
+    job.writeFile(path.posix.join(directory, 'package.json'), packageJson(name));
+    job.writeFile(path.posix.join(directory, LIBRARIES[name].file), librarySource(name));
+  }
+  return new Set(installing);
+}
+
+/** Where a deterministic run's preload is written: a dot file, out of the student's way. */
+const DETERMINISM_FILE = '.browser-coder-determinism.mjs';
+
+let determinismSource = null;
+
+/**
+ * Write the determinism preload into the job, for a run that asked to be deterministic
+ * (blueprint section 69). Into the job because the permission model reads nothing
+ * outside it. Shared with the TypeScript adapter, whose emitted program is launched
+ * by `nodeLaunchArgs` too.
+ *
+ * A preload that cannot be read refuses the run by throwing, as Python's does: a
+ * deterministic answer from an unseeded program is worse than none.
+ *
+ * @returns {string|null} the preload's absolute path, or null for an ordinary run
+ */
+export function installDeterminism(job, ctx) {
+  if (!ctx.determinism) return null;
+  determinismSource ??= fs.readFileSync(path.join(JS_ADAPTER_DIR, 'determinism.mjs'), 'utf8');
+  return job.writeFile(DETERMINISM_FILE, determinismSource);
+}
+
+/**
+ * Take the turtle library out of a Node error.
+ *
+ * A wrong argument is reported where the library noticed it, which is the student's
+ * mistake shown at a line they never wrote:
+ *
+ *     file://node_modules/turtle/turtle.mjs:131
+ *       if (!Number.isFinite(n)) throw new TypeError(…);
+ *                                      ^
+ *
+ *     TypeError: expected a number, got "far"
+ *         at number (file://node_modules/turtle/turtle.mjs:131:34)
+ *         at file://main.mjs:3:3
+ *
+ * The excerpt and the library's frames go; the message and the student's own frames
+ * stay, so the first `at` line left is the call they wrote. bcplot's errors are
+ * cleaned the same way, by naming its file instead.
+ */
+export function dropTurtleFrames(text, libraryFile = `${TURTLE_PACKAGE_DIR}/turtle.mjs`) {
+  if (!text) return text || '';
+  const inLibrary = line => line.includes(`${libraryFile}:`);
+  const lines = text.split('\n');
+  // Node's excerpt: the location, the source line, the caret, a blank line.
+  const start = lines.findIndex(line => /^\S/.test(line) && inLibrary(line));
+  if (start !== -1 && /^\s*\^+\s*$/.test(lines[start + 2] ?? '') && (lines[start + 3] ?? '').trim() === '') {
+    lines.splice(start, 4);
+  }
+  return lines.filter(line => !(/^\s+at\s/.test(line) && inLibrary(line))).join('\n');
+}
+
 /**
  * Shared launch arguments for running JavaScript under Node.
  * Exported so the TypeScript adapter runs its emitted output identically rather
  * than maintaining a second copy of the flags - the drift between those copies
  * is exactly what this refactor exists to remove.
  */
-export function nodeLaunchArgs(job, entryAbsolute) {
+export function nodeLaunchArgs(job, entryAbsolute, packagesDir = null, writable = [], preload = null) {
   return [
     // Suppress the ExperimentalWarning the permission model emits, which would
     // otherwise appear in every student's stderr.
@@ -43,7 +178,18 @@ export function nodeLaunchArgs(job, entryAbsolute) {
     '--experimental-permission',
     // Scoped to THIS job only. Previously the whole shared temp root.
     `--allow-fs-read=${job.dir}`,
+    // And the project's installed packages, when it has any. The job's `node_modules`
+    // is a link to them, and the loader reads a module at its real path, so granting
+    // the job directory alone would refuse every package the lock installed. Read
+    // only, like everything else but the one file below.
+    ...(packagesDir ? [`--allow-fs-read=${packagesDir}`] : []),
+    // The only writes there are: the turtle drawing and the charts, each to the single
+    // file the service chose for it. Files, not their directory, so a program can
+    // create nothing else. A path or a list of them.
+    ...[writable ?? []].flat().map(file => `--allow-fs-write=${file}`),
     '--max-old-space-size=128',
+    // Run before the program's first line, in its realm: `installDeterminism`.
+    ...(preload ? [`--import=${pathToFileURL(preload).href}`] : []),
     entryAbsolute,
   ];
 }
@@ -86,14 +232,10 @@ export const javascriptAdapter = {
     return 'main.mjs';
   },
 
-  /**
-   * JavaScript can be debugged.
-   *
-   * Through V8's own inspector, attached from a worker thread inside the same process
-   * the pipeline already spawned - see languages/javascript/debug_adapter.mjs for why
-   * that rather than `--inspect-brk` and a supervising process.
-   */
-  supportsDebug: true,
+  /** ESLint, in process, with the service's own rules (blueprint section 62). */
+  lint(ctx) {
+    return lintWithEslint(ctx.files, ['.js', '.mjs', '.cjs', '.jsx']);
+  },
 
   async prepare(ctx) {
     const { job, entryPoint } = ctx;
@@ -102,8 +244,30 @@ export const javascriptAdapter = {
     // package.json happens to sit above the job directory. See V-34.
     pinModuleType(job, 'module');
 
+    /*
+     * The installed packages, where Node looks for them: `node_modules` beside the
+     * program. A link rather than a copy, because the layer is shared by every run of
+     * the same lock and copying it would cost each run what the cache exists to save.
+     * `node_modules` is a reserved directory name in a project (domain/paths.mjs), so
+     * nothing the student sent can already be there. When the turtle library joins
+     * them, it is a link per package instead (installTurtle).
+     */
+    const packagesDir = ctx.dependencies?.path ?? null;
+
+    // Installed when ANY file imports one: a helper module may be the one drawing.
+    const sources = ctx.files.filter(file => /\.[mc]?js$/.test(file.name));
+    const imported = Object.keys(LIBRARIES)
+      .filter(name => sources.some(file => LIBRARIES[name].uses(file.content)));
+    const installed = installLibraries(job, packagesDir, imported);
+    if (packagesDir && installed.size === 0) fs.symlinkSync(packagesDir, job.absolute('node_modules'), 'dir');
+    const writable = [
+      ...(installed.has('turtle') && ctx.graphics?.path ? [ctx.graphics.path] : []),
+      ...(installed.has('bcplot') && ctx.graphics?.chartsPath ? [ctx.graphics.chartsPath] : []),
+    ];
+
     const entryAbsolute = job.absolute(entryPoint);
     const debugging = ctx.debug?.enabled === true;
+    const preload = installDeterminism(job, ctx);
 
     /*
      * Parse before running, the way every other language here does.
@@ -140,7 +304,7 @@ export const javascriptAdapter = {
       command: ctx.config.tools.node,
       args: debugging
         ? nodeDebugLaunchArgs(JS_ADAPTER_DIR)
-        : nodeLaunchArgs(job, entryAbsolute),
+        : nodeLaunchArgs(job, entryAbsolute, packagesDir, writable, preload),
       cwd: job.dir,
       timeoutMs: ctx.timeoutMs,
       extraEnv: debugging
@@ -149,9 +313,16 @@ export const javascriptAdapter = {
             // The one directory the guard allows. Same variable name Python's guard
             // reads, so the two languages describe confinement identically.
             [WORKSPACE_ENV]: path.resolve(job.dir),
+            // Readable but not writable under the guard, as under --allow-fs-read.
+            ...(packagesDir ? { [PACKAGES_ENV]: packagesDir } : {}),
           }
         : undefined,
-      transformStderr: text => stripJobPaths(text, job.dir),
+      transformStderr: text => {
+        const out = stripJobPaths(text, job.dir);
+        let cleaned = installed.has('turtle') ? dropTurtleFrames(out) : out;
+        if (installed.has('bcplot')) cleaned = dropTurtleFrames(cleaned, `${BCPLOT_PACKAGE_DIR}/bcplot.mjs`);
+        return cleaned;
+      },
     };
   },
 };
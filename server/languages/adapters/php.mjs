@@ -16,7 +16,8 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
 import { runToCompletion } from '../../execution/process-runner.mjs';
-import { diagnostics, stripJobPaths } from '../adapter-kit.mjs';
+import { diagnostics, filesWithExtension, stripJobPaths } from '../adapter-kit.mjs';
+import { parsePhpstan, runLinter } from '../../linting/findings.mjs';
 import { DEBUG_PROGRAM_ENV } from '../../debug/channel.mjs';
 // The same variable Python's guard reads. One name for "the directory a program may
 // touch", so the languages cannot describe confinement differently.
@@ -25,6 +26,13 @@ import { WORKSPACE_ENV } from './python.mjs';
 /** Where the DBGp debug adapter lives in the image, next to the language's other files. */
 export const PHP_ADAPTER_DIR = fileURLToPath(new URL('../../../languages/php/', import.meta.url));
 
+/**
+ * The only configuration PHPStan is given. Passed explicitly so it never looks for a
+ * `phpstan.neon` in the project: that file can name bootstrap scripts, which PHPStan
+ * runs before analysing anything.
+ */
+const PHPSTAN_CONFIG = fileURLToPath(new URL('../../linting/phpstan.neon', import.meta.url));
+
 /** Environment the debug adapter reads to know what to launch and how. */
 export const PHP_BIN_ENV = 'BROWSER_CODER_PHP_BIN';
 /** The interpreter flags a normal run would have used, as a JSON array. */
@@ -73,14 +81,24 @@ export const phpAdapter = {
   },
 
   /**
-   * PHP can be debugged.
-   *
-   * Through Xdebug, over DBGp, spoken by a client written for this project - see
-   * languages/php/dbgp.mjs. The one structural oddity is that Xdebug DIALS OUT: the
-   * debugger listens and the program connects to it, which is why the debug launch
-   * starts a supervising Node process rather than the interpreter.
+   * Lint with PHPStan at level 0 (blueprint section 62): undefined functions,
+   * classes and methods, wrong argument counts, variables that are never defined.
+   * PHPStan reads the code and never includes it, so nothing the student wrote runs.
    */
-  supportsDebug: true,
+  lint(ctx) {
+    const sources = filesWithExtension(ctx.files, '.php').map(file => ctx.job.absolute(file.name));
+    return runLinter({
+      tool: 'phpstan',
+      command: ctx.config.tools.phpstan,
+      args: [
+        'analyse', `--configuration=${PHPSTAN_CONFIG}`, '--error-format=json',
+        '--no-progress', '--no-interaction', '--memory-limit=256M',
+        ...sources,
+      ],
+      ctx,
+      parse: result => parsePhpstan(result.stdout, ctx.job.dir),
+    });
+  },
 
   async prepare(ctx) {
     const { job, entryPoint } = ctx;
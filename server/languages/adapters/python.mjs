@@ -8,7 +8,8 @@
  * Also the adapter where the turtle graphics channel is wired: the shim is
  * prepended to the entry file and told, via the environment, which
  * service-chosen file to write to. See server/graphics/turtle.mjs for why that
- * direction of information flow is the whole fix for V-01.
+ * direction of information flow is the whole fix for V-01. The chart library,
+ * bcplot, is installed the same way beside it (blueprint section 68).
  */
 
 import fs from 'node:fs';
@@ -16,11 +17,15 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
 import { runToCompletion } from '../../execution/process-runner.mjs';
+import { usesCharts } from '../../graphics/charts.mjs';
 import { GRAPHICS_OUT_ENV, usesTurtle } from '../../graphics/turtle.mjs';
 import { DEBUG_PROGRAM_ENV } from '../../debug/channel.mjs';
+import { PACKAGES_ENV } from '../../dependencies/layers.mjs';
+import { isHiddenPath } from '../../execution/test-filter.mjs';
 import { log } from '../../logging.mjs';
 import SECURITY from '../../security/patterns.mjs';
-import { diagnostics, stripJobPaths } from '../adapter-kit.mjs';
+import { diagnostics, filesWithExtension, stripJobPaths } from '../adapter-kit.mjs';
+import { parseRuff, runLinter } from '../../linting/findings.mjs';
 
 const LANGUAGES_ROOT = path.resolve(
   path.dirname(fileURLToPath(import.meta.url)),
@@ -31,9 +36,11 @@ const LANGUAGES_ROOT = path.resolve(
 );
 
 const SHIM_PATH = path.join(LANGUAGES_ROOT, 'python', 'turtle_shim.py');
+const BCPLOT_PATH = path.join(LANGUAGES_ROOT, 'python', 'bcplot.py');
 const PREFLIGHT_PATH = path.join(LANGUAGES_ROOT, 'python', 'preflight.py');
 const FS_GUARD_PATH = path.join(LANGUAGES_ROOT, 'python', 'fs_guard.py');
 const DEBUG_ADAPTER_PATH = path.join(LANGUAGES_ROOT, 'python', 'debug_adapter.py');
+const DETERMINISM_PATH = path.join(LANGUAGES_ROOT, 'python', 'determinism.py');
 
 /** Environment variable naming the directory a program may open files in. */
 export const WORKSPACE_ENV = 'BROWSER_CODER_WORKSPACE';
@@ -41,6 +48,9 @@ export const WORKSPACE_ENV = 'BROWSER_CODER_WORKSPACE';
 /** Where the debug adapter finds the turtle shim. Set only when one was written. */
 export const TURTLE_SHIM_ENV = 'BROWSER_CODER_TURTLE_SHIM';
 
+/** Where the debug adapter finds bcplot. Set only when it was written, like the shim. */
+export const BCPLOT_SHIM_ENV = 'BROWSER_CODER_BCPLOT_SHIM';
+
 /**
  * The filesystem guard, loaded once.
  *
@@ -59,6 +69,20 @@ function fsGuard() {
   return fsGuardSource;
 }
 
+/**
+ * The determinism shim (blueprint section 69), loaded once, for the runs that ask.
+ *
+ * Like the guard, a run that cannot have it is refused rather than run without it:
+ * a "deterministic" result from a program whose dice were not seeded is the one
+ * answer worse than no answer.
+ */
+let determinismSource = null;
+function determinismShim() {
+  if (determinismSource !== null) return determinismSource;
+  determinismSource = fs.readFileSync(DETERMINISM_PATH, 'utf8');
+  return determinismSource;
+}
+
 /** Separator between the shim and user code. Line count must stay in sync. */
 /**
  * Where the turtle shim is written inside the job directory.
@@ -80,6 +104,21 @@ function turtleShim() {
   return shimSource;
 }
 
+/** Where bcplot is written, named on the shim's pattern for the shim's reasons. */
+const BCPLOT_FILE = '.browser-coder-bcplot.py';
+
+let bcplotSource = null;
+function bcplotLibrary() {
+  if (bcplotSource !== null) return bcplotSource;
+  try {
+    bcplotSource = fs.readFileSync(BCPLOT_PATH, 'utf8');
+  } catch (error) {
+    log('warn', 'bcplot_unavailable', { language: 'python', error: error.message });
+    bcplotSource = '';
+  }
+  return bcplotSource;
+}
+
 /**
  * Drop traceback frames for files WE put in the job directory.
  *
@@ -162,8 +201,11 @@ function formatProblems(problems, filename) {
  * Fail-open by design. A checker that is missing, slow or confused must never be
  * the reason valid code is refused, so every failure path returns null and the
  * program runs normally.
+ *
+ * A hidden entry point is a marking harness, and may `import os` to read the case it
+ * is asked to run (`--test-case-read`; see execution/test-filter.mjs).
  */
-async function preflight(ctx, source, displayName) {
+async function preflight(ctx, source, displayName, hidden) {
   if (!fs.existsSync(PREFLIGHT_PATH)) return null;
 
   const probeFile = ctx.job.absolute('.preflight-input.py');
@@ -172,7 +214,7 @@ async function preflight(ctx, source, displayName) {
 
     const result = await runToCompletion({
       command: ctx.config.tools.python,
-      args: ['-I', '-S', '-B', PREFLIGHT_PATH, probeFile],
+      args: ['-I', '-S', '-B', PREFLIGHT_PATH, probeFile, ...(hidden ? ['--test-case-read'] : [])],
       cwd: ctx.job.dir,
       env: ctx.sandboxEnv,
       timeoutMs: 8000,
@@ -215,23 +257,42 @@ async function preflight(ctx, source, displayName) {
   }
 }
 
+/**
+ * The ruff rules a lint runs: pyflakes (unused imports and variables, undefined and
+ * redefined names), shadowed builtins - a student's `list = [...]` or a file called
+ * `random.py` - and bugbear's mutable defaults and unused loop variables. Nothing
+ * about style: that is "Format document".
+ */
+const RUFF_RULES = ['F', 'A', 'B', 'PLW2901'];
+
 export const pythonAdapter = {
   id: 'python',
 
-  /**
-   * Python can be debugged.
-   *
-   * Declared rather than assumed, so the pipeline only pays for a listening socket
-   * on a language that has an adapter to connect back - and so a client asking to
-   * debug Java gets an honest refusal instead of a run that silently ignores every
-   * breakpoint.
-   */
-  supportsDebug: true,
-
   defaultEntryName() {
     return 'main.py';
   },
 
+  /**
+   * Lint with ruff (blueprint section 62). `--isolated` so a `ruff.toml` or
+   * `pyproject.toml` in the project cannot choose the rules - the same reason the
+   * formatter passes it.
+   */
+  lint(ctx) {
+    const sources = filesWithExtension(ctx.files, '.py').map(file => ctx.job.absolute(file.name));
+    return runLinter({
+      tool: 'ruff',
+      command: ctx.config.tools.ruff,
+      args: [
+        'check', '--isolated', '--no-cache', '--exit-zero', '--output-format', 'json-lines',
+        '--select', RUFF_RULES.join(','),
+        ...sources,
+      ],
+      ctx,
+      perLine: true,
+      parse: result => parseRuff(result.stdout, ctx.job.dir),
+    });
+  },
+
   async prepare(ctx) {
     const { job, files, entryPoint } = ctx;
     const entryAbsolute = job.absolute(entryPoint);
@@ -243,7 +304,7 @@ export const pythonAdapter = {
 
     // Runs against the student's original source, before any shim injection, so
     // reported positions are theirs.
-    const problems = await preflight(ctx, job.readFile(entryPoint), displayName);
+    const problems = await preflight(ctx, job.readFile(entryPoint), displayName, isHiddenPath(entryPoint));
     if (problems) return problems;
 
     /*
@@ -270,6 +331,15 @@ export const pythonAdapter = {
       shimPath = job.writeFile(TURTLE_SHIM_FILE, turtleShim());
     }
 
+    // bcplot the same way, for the same reason: it owns `sys.modules['bcplot']`. A
+    // project's own bcplot.py is found first on sys.path and never imported - the
+    // module is already there - so a student cannot shadow it, only rename theirs.
+    let bcplotPath = null;
+    const anyCharts = files.some(file => file.name.endsWith('.py') && usesCharts(file.content));
+    if (anyCharts && bcplotLibrary()) {
+      bcplotPath = job.writeFile(BCPLOT_FILE, bcplotLibrary());
+    }
+
     // Make every workspace folder importable, so moving a file into a folder does
     // not break an existing bare import. Entry directory and project root first,
     // then every nested directory in deterministic order, which supports both
@@ -282,11 +352,19 @@ export const pythonAdapter = {
       ]),
     );
 
+    const packagesDir = ctx.dependencies?.path ?? null;
+
     // The guard is written into the job directory and executed by the bootstrap.
     // Passing it inline through -c would work but puts several kilobytes on the
     // command line, and a file gives any traceback a real name to point at.
     const guardPath = job.writeFile('.browser-coder-fs-guard.py', fsGuard());
 
+    // A deterministic run's seed and clock. The shim reads both from the environment
+    // the pipeline built; this only decides whether it is loaded.
+    const determinismPath = ctx.determinism
+      ? job.writeFile('.browser-coder-determinism.py', determinismShim())
+      : null;
+
     /** `exec` a file we wrote, under a name that is not the student's. */
     const execFileLine = (file, moduleName) =>
       `exec(compile(open(${JSON.stringify(file)}).read(), ${JSON.stringify(file)}, "exec"), `
@@ -298,11 +376,18 @@ export const pythonAdapter = {
       // reach - including an import of one of their own modules - runs before
       // `open` is confined to the workspace.
       `exec(compile(open(${JSON.stringify(guardPath)}).read(), ${JSON.stringify(guardPath)}, "exec"), {"__name__": "_bc_fs_guard"})`,
+      // Then the clock and the seed, before anything else can read either.
+      ...(determinismPath ? [execFileLine(determinismPath, '_bc_determinism')] : []),
       // Then the turtle shim, if this project draws. After the guard, because the shim
       // is ordinary code and gets no more filesystem than the student does; before the
       // program, because it must own `sys.modules['turtle']` by the time they import it.
       ...(shimPath ? [execFileLine(shimPath, '_bc_turtle_shim')] : []),
+      ...(bcplotPath ? [execFileLine(bcplotPath, '_bc_bcplot')] : []),
       `sys.path[:0] = ${JSON.stringify(importDirs)}`,
+      // The project's installed packages, AFTER the standard library - where `-S`
+      // would otherwise have put site-packages - so a package named like a stdlib
+      // module cannot replace it, and the student's own files still come first.
+      ...(packagesDir ? [`sys.path.append(${JSON.stringify(packagesDir)})`] : []),
       `runpy.run_path(${JSON.stringify(entryAbsolute)}, run_name="__main__")`,
     ].join('\n');
 
@@ -320,15 +405,25 @@ export const pythonAdapter = {
      * the adapter compiles that file as-is.
      */
     const debugging = ctx.debug?.enabled === true;
+
+    /*
+     * `-I` is `-E -P -s`, and `-E` ignores every PYTHON* variable - PYTHONHASHSEED
+     * included, which is the only way to fix the order a set of strings iterates in.
+     * A deterministic run therefore spells out `-P -s` without `-E`. That costs no
+     * isolation: the environment is built from nothing (sandbox-env.mjs), so the only
+     * PYTHON* variables in it are the service's own.
+     */
+    const isolation = ctx.determinism ? ['-P', '-s'] : ['-I'];
     const adapterArgs = debugging
-      ? ['-u', '-I', '-S', '-B', DEBUG_ADAPTER_PATH]
-      : ['-u', '-I', '-S', '-B', '-c', bootstrap];
+      ? ['-u', ...isolation, '-S', '-B', DEBUG_ADAPTER_PATH]
+      : ['-u', ...isolation, '-S', '-B', '-c', bootstrap];
 
     return {
       kind: 'launch',
       command: ctx.config.tools.python,
       // -u unbuffered so a prompt with no trailing newline reaches the user
-      // immediately; -I isolated; -S no site; -B no .pyc beside the source.
+      // immediately; -I isolated, or its parts (above); -S no site; -B no .pyc beside
+      // the source.
       args: adapterArgs,
       cwd: job.dir,
       timeoutMs: ctx.timeoutMs,
@@ -343,10 +438,14 @@ export const pythonAdapter = {
         // adapter to load one - see `_install_turtle_shim`. The ordinary bootstrap
         // has the path inlined and does not read this.
         ...(debugging && shimPath ? { [TURTLE_SHIM_ENV]: shimPath } : {}),
+        ...(debugging && bcplotPath ? { [BCPLOT_SHIM_ENV]: bcplotPath } : {}),
+        // The installed layer. fs_guard.py lets a package READ its own files beneath
+        // it - data tables, templates - and the debug adapter puts it on sys.path.
+        ...(packagesDir ? { [PACKAGES_ENV]: packagesDir } : {}),
       },
       transformStderr: text => {
         const out = stripJobPaths(text, job.dir);
-        return dropInjectedFrames(out, [guardPath, ...(shimPath ? [shimPath] : [])]);
+        return dropInjectedFrames(out, [guardPath, determinismPath, shimPath, bcplotPath].filter(Boolean));
       },
     };
   },
@@ -0,0 +1,209 @@
+/**
+ * Ruby adapter.
+ *
+ * Interpreted like Python and PHP: parsed first with `ruby -c`, so a syntax error is a
+ * compile-phase result rather than a program that started and died, and then run
+ * directly. Both are launched with the job directory as cwd and the entry point as a
+ * RELATIVE path, so Ruby names the student's file the way the editor does.
+ *
+ * Also the second adapter with turtle graphics (blueprint §59). Ruby has no turtle
+ * library at all, so `require 'turtle'` would otherwise be a LoadError; the shim in
+ * languages/ruby/turtle_shim.rb IS that library. It is installed as `turtle.rb` in a
+ * directory of its own, which goes on the load path with `-I`, and writes its drawing
+ * to the service-chosen file named in the environment - the same channel, and the same
+ * payload, as the Python shim. See server/graphics/turtle.mjs for why the service
+ * chooses the file.
+ *
+ * The parse gate and the run alone would fit a manifest's `phases`. The shims do not:
+ * which ones a run gets is decided per request, they are written into the job first,
+ * and their frames come back out of every traceback - so this stays a code adapter.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { runToCompletion } from '../../execution/process-runner.mjs';
+import { GRAPHICS_OUT_ENV, usesTurtle } from '../../graphics/turtle.mjs';
+import { log } from '../../logging.mjs';
+import { diagnostics, filesWithExtension, stripJobPaths } from '../adapter-kit.mjs';
+
+const SHIM_PATH = fileURLToPath(new URL('../../../languages/ruby/turtle_shim.rb', import.meta.url));
+const DETERMINISM_PATH = fileURLToPath(new URL('../../../languages/ruby/determinism.rb', import.meta.url));
+
+/**
+ * Where a deterministic run's preload is written (blueprint §69). Beside the program
+ * rather than in the library directory: it is loaded by path with `-r`, so it never
+ * needs to be requirable by name.
+ */
+const DETERMINISM_FILE = '.browser-coder-determinism.rb';
+let determinismSource = null;
+
+/**
+ * Where the turtle library is installed inside the job directory.
+ *
+ * A directory rather than a file beside the student's, because `-I` puts a whole
+ * directory on the load path: adding the job directory itself would make every file
+ * the student wrote requirable by bare name, which Ruby never does for them anywhere
+ * else.
+ */
+export const TURTLE_LIB_DIR = '.browser-coder-ruby';
+const TURTLE_LIB_FILE = 'turtle.rb';
+
+/**
+ * Project files Ruby would read as its OWN configuration rather than as data.
+ *
+ * The sandbox points HOME at the job directory, so a `.gemrc` at the project root is
+ * RubyGems' per-user config - gem paths and sources the student chose, consulted the
+ * moment a program requires a bundled gem. The same class of problem as MSBuild
+ * control files for C# (V-06): a file that never passes through the source policy and
+ * still decides what runs.
+ */
+const CONFIG_FILES = ['.gemrc'];
+
+let shimSource = null;
+function turtleShim() {
+  if (shimSource !== null) return shimSource;
+  try {
+    shimSource = fs.readFileSync(SHIM_PATH, 'utf8');
+  } catch (error) {
+    log('warn', 'turtle_shim_unavailable', { language: 'ruby', error: error.message });
+    shimSource = '';
+  }
+  return shimSource;
+}
+
+/**
+ * Take the turtle library's frames out of a Ruby error.
+ *
+ * Ruby prints the INNERMOST frame first, in the heading line itself:
+ *
+ *     .browser-coder-ruby/turtle.rb:300:in `forward': wrong number of arguments … (ArgumentError)
+ *     	from main.rb:20:in `<main>'
+ *
+ * Dropping that line the way Python's `dropInjectedFrames` drops a frame would lose
+ * the message with it. So the heading is re-pointed at the first frame the student
+ * wrote - which is also exactly how Ruby reports a method written in C, such as
+ * `Integer#/`: the caller's line, the callee's name - and the library's remaining
+ * `from` lines are removed. The student sees their own call, at the line they wrote it.
+ */
+export function dropShimFrames(text, shimFile = `${TURTLE_LIB_DIR}/${TURTLE_LIB_FILE}`) {
+  if (!text) return text || '';
+
+  const isShim = file => file === shimFile || file.endsWith(`/${shimFile}`);
+  const frame = /^(\s*from\s+)?(.+?):(\d+):in\s/;
+  const lines = text.split('\n');
+  const out = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(frame);
+    if (!match || !isShim(match[2])) {
+      out.push(lines[i]);
+      continue;
+    }
+    if (match[1]) continue;          // a `from` line inside the library
+
+    let caller = null;
+    for (let j = i + 1; j < lines.length && !caller; j++) {
+      const candidate = lines[j].match(frame);
+      if (candidate?.[1] && !isShim(candidate[2]) && !candidate[2].startsWith('<internal:')) caller = candidate;
+    }
+    out.push(caller ? `${caller[2]}:${caller[3]}${lines[i].slice(match[0].length - 4)}` : lines[i]);
+  }
+
+  return out.join('\n');
+}
+
+export const rubyAdapter = {
+  id: 'ruby',
+
+  defaultEntryName() {
+    return 'main.rb';
+  },
+
+  validateFiles(files) {
+    for (const file of files) {
+      if (CONFIG_FILES.includes(file.name)) {
+        return {
+          ok: false,
+          code: 'ruby_config_file_not_allowed',
+          message: `"${file.name}" would be read as RubyGems configuration and cannot be supplied.`,
+        };
+      }
+    }
+    return { ok: true };
+  },
+
+  async prepare(ctx) {
+    const { job, files, entryPoint } = ctx;
+
+    if (filesWithExtension(files, '.rb').length === 0) {
+      return diagnostics('No .rb source files were provided.');
+    }
+    if (!job.exists(entryPoint)) {
+      throw new Error(`Ruby entry point was not written: ${entryPoint}`);
+    }
+
+    /*
+     * `ruby -c` parses and exits without running a line - the check for this language
+     * and the gate before a run, as `node --check` is for JavaScript. Only the entry
+     * file: a file pulled in with require_relative is parsed when it is loaded, and a
+     * syntax error there arrives as a run-phase SyntaxError naming that file.
+     */
+    const parse = await runToCompletion({
+      command: ctx.config.tools.ruby,
+      args: ['-c', entryPoint],
+      cwd: job.dir,
+      env: ctx.sandboxEnv,
+      timeoutMs: 8000,
+      maxOutputChars: 100000,
+    });
+
+    if (!parse.termination.succeeded) {
+      // `ruby -c` repeats the file name in front of every error it reports
+      // (`main.rb: main.rb:4: syntax error, …`); the second copy is the one every
+      // other Ruby message has, so the first goes.
+      const text = stripJobPaths(parse.stderr || parse.stdout, job.dir)
+        .replace(/^[^\s:]+\.rb: (?=\S+\.rb:\d+:)/gm, '')
+        .trim();
+      return diagnostics(text || 'SyntaxError', parse.durationMs);
+    }
+
+    // Installed when ANY file requires turtle: a helper may be the one drawing.
+    let shimFile = null;
+    const anyTurtle = files.some(file => file.name.endsWith('.rb') && usesTurtle(file.content, 'ruby'));
+    if (anyTurtle && turtleShim()) {
+      job.writeFile(path.posix.join(TURTLE_LIB_DIR, TURTLE_LIB_FILE), turtleShim());
+      shimFile = `${TURTLE_LIB_DIR}/${TURTLE_LIB_FILE}`;
+    }
+
+    // Read without a fallback: a run that asked for a seed is refused, by the throw,
+    // rather than run unseeded and reported as deterministic.
+    if (ctx.determinism) {
+      determinismSource ??= fs.readFileSync(DETERMINISM_PATH, 'utf8');
+      job.writeFile(DETERMINISM_FILE, determinismSource);
+    }
+
+    return {
+      kind: 'launch',
+      command: ctx.config.tools.ruby,
+      args: [
+        ...(shimFile ? ['-I', job.absolute(TURTLE_LIB_DIR)] : []),
+        ...(ctx.determinism ? ['-r', job.absolute(DETERMINISM_FILE)] : []),
+        entryPoint,
+      ],
+      cwd: job.dir,
+      timeoutMs: ctx.timeoutMs,
+      extraEnv: {
+        ...(ctx.graphics ? { [GRAPHICS_OUT_ENV]: ctx.graphics.path } : {}),
+      },
+      transformStderr: text => {
+        let out = stripJobPaths(text, job.dir);
+        if (ctx.determinism) out = dropShimFrames(out, DETERMINISM_FILE);
+        return shimFile ? dropShimFrames(out, shimFile) : out;
+      },
+    };
+  },
+};
+
+export default rubyAdapter;
@@ -28,8 +28,9 @@
 import path from 'node:path';
 
 import { log } from '../../logging.mjs';
+import { lintWithEslint } from '../../linting/eslint.mjs';
 import { diagnostics, pinModuleType, stripJobPaths } from '../adapter-kit.mjs';
-import { JS_ADAPTER_DIR, nodeDebugLaunchArgs, nodeLaunchArgs } from './javascript.mjs';
+import { JS_ADAPTER_DIR, installDeterminism, nodeDebugLaunchArgs, nodeLaunchArgs } from './javascript.mjs';
 import { WORKSPACE_ENV } from './python.mjs';
 import { DEBUG_PROGRAM_ENV } from '../../debug/channel.mjs';
 
@@ -123,14 +124,10 @@ export const typescriptAdapter = {
     return 'main.ts';
   },
 
-  /**
-   * TypeScript can be debugged, through the JavaScript debugger and a source map.
-   *
-   * It was excluded before for a good reason: it is compiled before it runs, so a
-   * breakpoint on a .ts line would have armed against the emitted .js and stopped
-   * somewhere else. The map is what removes that objection.
-   */
-  supportsDebug: true,
+  /** ESLint through typescript-eslint's parser, as for JavaScript (blueprint section 62). */
+  lint(ctx) {
+    return lintWithEslint(ctx.files, ['.ts', '.mts', '.cts', '.tsx']);
+  },
 
   async prepare(ctx) {
     const { job, files, entryPoint, profile } = ctx;
@@ -148,7 +145,7 @@ export const typescriptAdapter = {
       return {
         kind: 'launch',
         command: ctx.config.tools.node,
-        args: nodeLaunchArgs(job, job.absolute(entryPoint)),
+        args: nodeLaunchArgs(job, job.absolute(entryPoint), null, [], installDeterminism(job, ctx)),
         cwd: job.dir,
         timeoutMs: ctx.timeoutMs,
         transformStderr: text => stripJobPaths(text, job.dir),
@@ -254,7 +251,7 @@ export const typescriptAdapter = {
     return {
       kind: 'launch',
       command: ctx.config.tools.node,
-      args: nodeLaunchArgs(job, entryToRun),
+      args: nodeLaunchArgs(job, entryToRun, null, [], installDeterminism(job, ctx)),
       cwd: job.dir,
       timeoutMs: ctx.timeoutMs,
       transformStderr: text =>
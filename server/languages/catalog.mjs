@@ -19,7 +19,7 @@
  * So resolution is explicit, and the outcome is reported on every response:
  *
  *   exact                 the requested ID is a real profile
- *   alias                 a known display value, mapped through the table below
+ *   alias                 a known display value, mapped through its manifest's `aliases`
  *   unavailable-fallback  a value real content sends that has no toolchain here
  *                         (Python 3.11, Java 21). The default runs and the response
  *                         SAYS the request was not honoured.
@@ -37,7 +37,7 @@
  *   STRICT_VERSIONS=1         also refuse the known-unavailable set. Flip this once
  *                             Step-Up content has been migrated.
  *   ALLOW_UNKNOWN_VERSIONS=1  restore the old lenient behaviour, if production turns
- *                             out to send something this table does not know about.
+ *                             out to send something no manifest knows about.
  */
 
 import fs from 'node:fs';
@@ -45,6 +45,7 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
 import { log } from '../logging.mjs';
+import { MANIFEST_FILE, normalizeVersionKey, publicLanguage, validateManifest } from './manifest.mjs';
 
 const LANGUAGES_DIR = path.resolve(
   path.dirname(fileURLToPath(import.meta.url)),
@@ -53,97 +54,53 @@ const LANGUAGES_DIR = path.resolve(
   'languages',
 );
 
-/** Cache TTL matches the pre-refactor loader so hot-editing a config still works. */
-const CACHE_TTL_MS = 300000;
-
-let cache = null;
-let cachedAt = 0;
-
 /**
- * Display values Step-Up sends, mapped to canonical profile IDs.
+ * Loaded once, not on a timer.
  *
- * Frozen table from blueprint section 12.3. Matching is case- and
- * whitespace-normalized through this table ONLY - never "pick the first
- * version", which is what produced the silent substitution.
+ * This used to be a five-minute cache so a hand-edited config.json took effect without
+ * a restart. A manifest now decides which adapter the registry binds and what it may
+ * do, and the registry is built at startup - so a reloaded catalog would describe
+ * capabilities the running adapters do not have. One load, one truth.
+ */
+let cache = null;
+
+/*
+ * The alias table and the known-unavailable list that used to be here - frozen from
+ * blueprint section 12.3 - now live in each language's manifest, as `aliases` on the
+ * version they name and `knownUnavailable` beside them. Matching is unchanged: case-
+ * and whitespace-normalized, through those lists ONLY - never "pick the first
+ * version", which is what produced the silent substitution. The manifest schema
+ * refuses an alias that names two versions, and a known-unavailable value that some
+ * profile answers, so the order a lookup runs in cannot matter.
  */
-const VERSION_ALIASES = Object.freeze({
-  javascript: {
-    es2022: 'es2022',
-    es2020: 'es2020',
-    es2015: 'es2015',
-    es6: 'es2015',
-    es5: 'es5',
-    latest: 'es2022',
-  },
-  typescript: {
-    '5strict': 'ts5-strict',
-    '5': 'ts5',
-    ts5: 'ts5',
-    ts5strict: 'ts5-strict',
-    es2020: 'ts-es2020',
-    es2015: 'ts-es2015',
-    strict: 'ts5-strict',
-  },
-  python: {
-    3: 'python3',
-    py3: 'python3',
-    python: 'python3',
-  },
-  java: {
-    17: 'java17',
-    11: 'java11',
-    jdk17: 'java17',
-    jdk11: 'java11',
-  },
-  php: {
-    8: 'php8',
-    php8: 'php8',
-  },
-  csharp: {
-    12: 'csharp12',
-    10: 'csharp10',
-    'c#12': 'csharp12',
-    'c#10': 'csharp10',
-    dotnet8: 'csharp12',
-    dotnet6: 'csharp10',
-  },
-});
 
 /**
- * Values known to be requested by real content that have no truthful profile.
+ * Load and validate every languages/<id>/manifest.json.
  *
- * Kept explicit so they can be reported accurately instead of being quietly
- * folded in with genuine typos. Provisioning a real toolchain, or removing the
- * value from Step-Up authoring, is what resolves each of these.
+ * @returns {Record<string, import('./manifest.mjs').LanguageManifest>}
  */
-const KNOWN_UNAVAILABLE = Object.freeze({
-  python: ['3.11', '3.12', '3.10', '2.7'],
-  java: ['21', '8'],
-  csharp: ['11', '9'],
-});
-
-const normalizeVersionKey = value =>
-  String(value ?? '')
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, '');
-
-/** Load every languages/<id>/config.json. Cached. */
 export function loadCatalog({ force = false } = {}) {
-  if (!force && cache && Date.now() - cachedAt < CACHE_TTL_MS) return cache;
+  if (!force && cache) return cache;
 
   const languages = {};
   try {
     for (const entry of fs.readdirSync(LANGUAGES_DIR, { withFileTypes: true })) {
       if (!entry.isDirectory()) continue;
-      const configPath = path.join(LANGUAGES_DIR, entry.name, 'config.json');
-      if (!fs.existsSync(configPath)) continue;
+      const manifestPath = path.join(LANGUAGES_DIR, entry.name, MANIFEST_FILE);
+      if (!fs.existsSync(manifestPath)) continue;
       try {
-        languages[entry.name] = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        const verdict = validateManifest(JSON.parse(fs.readFileSync(manifestPath, 'utf8')), {
+          directory: entry.name,
+        });
+        if (verdict.ok) {
+          languages[entry.name] = verdict.manifest;
+        } else {
+          log('error', 'language_manifest_invalid', { language: entry.name, errors: verdict.errors });
+        }
       } catch (error) {
-        // One malformed config must not remove every other language from the
+        // One malformed manifest must not remove every other language from the
         // catalog, which is what a single try around the whole loop would do.
-        log('error', 'language_config_unparseable', {
+        log('error', 'language_manifest_unparseable', {
           language: entry.name,
           error: error.message,
         });
@@ -154,13 +111,24 @@ export function loadCatalog({ force = false } = {}) {
   }
 
   cache = languages;
-  cachedAt = Date.now();
   return cache;
 }
 
-/** Language IDs that can actually be executed (as opposed to edited/previewed). */
+/** Every language's public description, keyed by id: the `/api/languages` body. */
+export function publicCatalog() {
+  return Object.fromEntries(
+    Object.entries(loadCatalog()).map(([id, manifest]) => [id, publicLanguage(manifest)]),
+  );
+}
+
+/**
+ * Language IDs that can actually be executed (as opposed to edited/previewed).
+ *
+ * Every manifest names an adapter or a phase list, so this is simply the catalog.
+ * It was a hardcoded list of six.
+ */
 export function executableLanguageIds() {
-  return ['javascript', 'typescript', 'python', 'java', 'php', 'csharp'];
+  return Object.keys(loadCatalog());
 }
 
 export function isExecutable(languageId) {
@@ -168,14 +136,14 @@ export function isExecutable(languageId) {
 }
 
 /**
- * The extension a language's files use, from config rather than a hardcoded map.
+ * The extension a language's files use, from its manifest rather than a hardcoded map.
  *
  * Fixes N-09: `getExtension()` duplicated this mapping inside server.mjs, so
  * adding a language meant editing the core.
  */
 export function extensionFor(languageId) {
-  const config = loadCatalog()[languageId];
-  return config?.extension || 'txt';
+  const manifest = loadCatalog()[languageId];
+  return manifest?.extension || 'txt';
 }
 
 /**
@@ -226,13 +194,12 @@ export function resolveVersion(languageId, requestedVersion, options = {}) {
   const exact = versions.find(version => normalizeVersionKey(version.id) === requestedKey);
   if (exact) return build(exact, 'exact');
 
-  const aliasTarget = VERSION_ALIASES[languageId]?.[requestedKey];
-  if (aliasTarget) {
-    const aliased = versions.find(version => version.id === aliasTarget);
-    if (aliased) return build(aliased, 'alias');
-  }
+  const aliased = versions.find(version =>
+    (version.aliases || []).some(alias => normalizeVersionKey(alias) === requestedKey),
+  );
+  if (aliased) return build(aliased, 'alias');
 
-  const knownUnavailable = (KNOWN_UNAVAILABLE[languageId] || []).some(
+  const knownUnavailable = (config.knownUnavailable || []).some(
     value => normalizeVersionKey(value) === requestedKey,
   );
 
@@ -305,7 +272,7 @@ function buildProfile(config, version, { requested, resolution }) {
     // ECMAScript target for the JS/TS toolchain.
     target: version.monacoTarget ?? null,
     strict: version.strict === true,
-    runtimeNote: runtimeNoteFor(config.id, version),
+    runtimeNote: runtimeNoteFor(config, version),
   });
 }
 
@@ -315,32 +282,23 @@ function buildProfile(config, version, { requested, resolution }) {
  * Recorded because a "version" is a language profile, not always a runtime
  * number, and pretending otherwise is what section 6.3 objects to. A selection
  * that only affects compilation says so.
+ *
+ * The sentence is the manifest's, with the version's own target, source level and
+ * strictness filled in. It used to be a `switch` on the language id here, which was
+ * one more place a new language had to be added. The schema refuses a note that names
+ * a field its version does not have.
  */
-function runtimeNoteFor(languageId, version) {
-  switch (languageId) {
-    case 'javascript':
-      return `Compiled and checked at ${version.monacoTarget || 'ES2022'}; executed on the service's Node runtime.`;
-    case 'typescript':
-      return `Compiled with target ${version.monacoTarget || 'ES2022'} and strict=${version.strict === true}; executed on the service's Node runtime.`;
-    case 'java':
-      return version.sourceLevel
-        ? `Compiled with --release ${version.sourceLevel} against the installed JDK.`
-        : 'Compiled against the installed JDK.';
-    case 'csharp':
-      return version.sourceLevel
-        ? `Compiled with LangVersion ${version.sourceLevel} targeting the installed .NET runtime.`
-        : 'Compiled targeting the installed .NET runtime.';
-    case 'python':
-      return "Executed on the service's installed CPython.";
-    case 'php':
-      return "Executed on the service's installed PHP.";
-    default:
-      return 'Executed on the installed toolchain.';
-  }
+function runtimeNoteFor(config, version) {
+  const template = version.runtimeNote ?? config.runtimeNote ?? 'Executed on the installed toolchain.';
+  const values = {
+    target: version.monacoTarget,
+    sourceLevel: version.sourceLevel,
+    strict: String(version.strict === true),
+  };
+  return template.replace(/\{(target|sourceLevel|strict)\}/g, (_, name) => values[name]);
 }
 
 /** Clear the cache. Used by tests. */
 export function resetCatalogCache() {
   cache = null;
-  cachedAt = 0;
 }
@@ -0,0 +1,115 @@
+/**
+ * The adapter for a language whose manifest declares `phases` instead of code.
+ *
+ * Most toolchains need nothing a code adapter offers: compile every source file with
+ * fixed flags, report what the compiler said if that failed, otherwise run the result.
+ * Writing a module for each of those is how the six original adapters came to differ
+ * in small, unreviewed ways - one strips job paths from compiler output and another
+ * forgets. This runs any such language the same way, from its manifest alone.
+ *
+ * Everything it executes is named by the manifest, which the schema has already
+ * checked: a declared tool or a file the compile phase built, fixed arguments, and
+ * four placeholders filled in here. Nothing from the request reaches an argument
+ * except paths the pipeline has already validated, and each is one argv element -
+ * there is no shell to split or expand them.
+ *
+ * A language that needs more - a debugger, a generated project file, an entry point
+ * derived from the source - writes a code adapter and names it in `adapter`.
+ */
+
+import fs from 'node:fs';
+
+import { runToCompletion } from '../execution/process-runner.mjs';
+import { diagnostics, filesWithExtension, stripJobPaths } from './adapter-kit.mjs';
+import { resourceTimeoutMs } from './manifest.mjs';
+
+/** Where a compile phase writes, inside the job. Fixed, so `{build}` means one thing. */
+export const BUILD_DIR = '.build';
+
+/**
+ * The executable for a phase command.
+ *
+ * A tool's binary comes from CONFIG.tools when the service already knows it - so a
+ * manifest naming `node` gets the same `NODE_BIN` every other adapter does - otherwise
+ * from the tool's own `*_BIN` variable, otherwise its default.
+ */
+function executableFor(command, manifest, config, values) {
+  if (command.startsWith('{build}/')) return `${values.build}${command.slice('{build}'.length)}`;
+  const tool = manifest.tools[command];
+  return config.tools[command] ?? (process.env[tool.env] || tool.default);
+}
+
+/** Fill placeholders. `{sources}` becomes as many arguments as there are sources. */
+function expandArgs(args, values) {
+  return args.flatMap(arg =>
+    arg === '{sources}'
+      ? values.sources
+      : arg.replace(/\{(job|entry|build)\}/g, (_, name) => values[name]),
+  );
+}
+
+function expandEnv(env = {}, values) {
+  return Object.fromEntries(
+    Object.entries(env).map(([key, value]) => [
+      key,
+      value.replace(/\{(job|entry|build)\}/g, (_, name) => values[name]),
+    ]),
+  );
+}
+
+/**
+ * @param {import('./manifest.mjs').LanguageManifest} manifest  already validated
+ * @returns {import('./adapter-kit.mjs').LanguageAdapter}
+ */
+export function createCommandAdapter(manifest) {
+  const { phases, resources } = manifest;
+  const extensions = [manifest.extension, ...(manifest.extensions ?? [])].map(ext => `.${ext}`);
+
+  return {
+    id: manifest.id,
+
+    defaultEntryName() {
+      return `main.${manifest.extension}`;
+    },
+
+    async prepare(ctx) {
+      const { job, files, entryPoint, config } = ctx;
+      const values = {
+        job: job.dir,
+        entry: job.absolute(entryPoint),
+        build: job.absolute(BUILD_DIR),
+        sources: filesWithExtension(files, ...extensions).map(file => job.absolute(file.name)),
+      };
+
+      if (phases.compile) {
+        fs.mkdirSync(values.build, { recursive: true, mode: 0o700 });
+        const compile = await runToCompletion({
+          command: executableFor(phases.compile.command, manifest, config, values),
+          args: expandArgs(phases.compile.args, values),
+          cwd: job.dir,
+          env: { ...ctx.sandboxEnv, ...expandEnv(phases.compile.env, values) },
+          timeoutMs: resourceTimeoutMs(resources.compile ?? resources.run, config),
+          maxOutputChars: config.execution.maxOutputChars,
+        });
+
+        if (!compile.termination.succeeded) {
+          const message = stripJobPaths(compile.stderr || compile.stdout, job.dir).trim();
+          return diagnostics(
+            message || `${phases.compile.command} exited with ${compile.termination.exitCode}`,
+            compile.durationMs,
+          );
+        }
+      }
+
+      return {
+        kind: 'launch',
+        command: executableFor(phases.run.command, manifest, config, values),
+        args: expandArgs(phases.run.args, values),
+        cwd: job.dir,
+        timeoutMs: ctx.timeoutMs,
+        extraEnv: expandEnv(phases.run.env, values),
+        transformStderr: text => stripJobPaths(text, job.dir),
+      };
+    },
+  };
+}
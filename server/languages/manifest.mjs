@@ -0,0 +1,489 @@
+/**
+ * Language manifests: blueprint section 12.1, as one JSON file per language.
+ *
+ * Adding a language used to mean four edits in four places: an adapter module, an
+ * entry in the registry, its display values in the catalog's alias table, and a
+ * `config.json` the client read. Three of those were copies of facts that belong to
+ * the language, so a language could be runnable and absent from the picker, or
+ * debuggable on the server and offered no Debug button - and nothing checked that
+ * the copies agreed.
+ *
+ * `languages/<id>/manifest.json` is now the only place those facts live. The
+ * catalog, the registry, `/api/languages` and the client's capability gates are all
+ * generated from it, and it is validated here before any of them sees it.
+ *
+ * ## What a manifest may say
+ *
+ * Data, and nothing else. It names the language, its extensions, its version
+ * profiles and the display values real content sends for them, what the IDE may
+ * offer, which resource profile its runs get - and HOW it runs, in one of two ways:
+ *
+ *   "adapter"  the name of a code adapter in server/languages/adapters/. Every
+ *              shipped language works this way, because each launch is computed:
+ *              Python's bootstrap, Java's `--release`, a generated .csproj.
+ *   "phases"   a fixed executable and argument array per phase, compile then run,
+ *              for a toolchain that needs nothing more. server/languages/
+ *              command-adapter.mjs runs them.
+ *
+ * No shipped manifest uses "phases", including Go and Ruby, the two languages added
+ * since. A phase list can fill in paths. It cannot write a file into the job, refuse
+ * one, or rewrite what the toolchain prints. Go needs all three: `go.mod` is pinned
+ * over the student's (V-34), `.s` and `.syso` files are refused, and `# package`
+ * headers are dropped from compiler output. Ruby writes its turtle and determinism
+ * shims into the job when a run needs them, refuses a `.gemrc`, and strips the shims'
+ * frames from tracebacks. Its `deterministic` capability also needs a code adapter.
+ * The form is still tested end to end, from manifest to a running program, in
+ * tests/unit/language-manifests.test.mjs.
+ *
+ * A phase names a tool the manifest declares, never a path a request supplies, and
+ * its arguments are fixed strings with four placeholders the service fills in. There
+ * is no shell and no way to spell one - section 12's "user requests select a declared
+ * language/version/capability; they never provide commands".
+ *
+ * Unknown fields are refused, not ignored. A misspelt capability that quietly reads
+ * as false is a Debug button that silently disappears.
+ */
+
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+import { DETERMINISM_CONTROLS } from '../execution/determinism.mjs';
+
+/** The file a language directory must contain to be a language. */
+export const MANIFEST_FILE = 'manifest.json';
+
+/** The only manifest shape this service understands. */
+export const MANIFEST_SCHEMA_VERSION = 1;
+
+const ADAPTERS_DIR = fileURLToPath(new URL('./adapters/', import.meta.url));
+
+/**
+ * Resource profiles, by name, and the timeout each one reads from CONFIG.execution.
+ *
+ * A language picks a profile; it never states a number. How long a run may take is the
+ * operator's decision, made once in config and applied to every language that shares a
+ * cost shape - so a manifest cannot grant itself a longer leash than its neighbours.
+ */
+export const RESOURCE_PROFILES = Object.freeze({
+  interpreted: 'timeoutMs',
+  // Java pays for javac on every run.
+  jvm: 'javaTimeoutMs',
+  // .NET pays for the first build.
+  dotnet: 'csharpTimeoutMs',
+});
+
+/** The timeout a resource profile grants, in milliseconds. */
+export function resourceTimeoutMs(profile, config) {
+  return config.execution[RESOURCE_PROFILES[profile] ?? RESOURCE_PROFILES.interpreted];
+}
+
+/** Capabilities that are a yes or a no. Absent means no. */
+export const BOOLEAN_CAPABILITIES = Object.freeze(['debug', 'debugRecording', 'taughtKeywords', 'runSelection', 'check', 'lint']);
+
+/**
+ * Graphics protocols a runtime may speak. `turtle` is the drawing written once, at
+ * exit, to the file the service chose; `turtle-live` is the same drawing streamed down
+ * the live pipe while the program runs (blueprint section 64). Separate, because a
+ * runtime can only stream to a descriptor it can write: the JVM cannot open an
+ * inherited socket (blueprint section 66), so Java draws at exit and never live.
+ * `charts` is the bcplot library (section 68), which travels both ways the drawing
+ * does: at exit always, and live where the runtime also declares `turtle-live`.
+ */
+export const GRAPHICS_PROTOCOLS = Object.freeze(['turtle', 'turtle-live', 'charts']);
+
+/** Dependency ecosystems server/dependencies/ can install. */
+export const DEPENDENCY_ECOSYSTEMS = Object.freeze(['pypi', 'npm']);
+
+/**
+ * Placeholders a phase argument may contain.
+ *
+ *   {job}      the job's private directory
+ *   {entry}    the entry point, absolute
+ *   {build}    a directory inside the job for compiler output, created before compiling
+ *   {sources}  every project file with one of the language's extensions, as separate
+ *              arguments - so it must be a whole argument on its own
+ */
+export const PHASE_PLACEHOLDERS = Object.freeze(['job', 'entry', 'build', 'sources']);
+
+/** Fields a version's runtime note may interpolate, and where each comes from. */
+const NOTE_FIELDS = Object.freeze({ target: 'monacoTarget', sourceLevel: 'sourceLevel', strict: 'strict' });
+
+const TOP_LEVEL = new Set([
+  'schemaVersion', 'id', 'name', 'icon', 'extension', 'extensions', 'monacoLanguage',
+  'versions', 'knownUnavailable', 'runtimeNote', 'capabilities', 'resources',
+  'adapter', 'tools', 'phases',
+]);
+const VERSION_FIELDS = new Set([
+  'id', 'name', 'default', 'aliases', 'monacoTarget', 'strict', 'sourceLevel', 'runtimeNote',
+]);
+const CAPABILITY_FIELDS = new Set([...BOOLEAN_CAPABILITIES, 'graphics', 'dependencies', 'deterministic']);
+const RESOURCE_FIELDS = new Set(['run', 'compile']);
+const PHASE_NAMES = new Set(['compile', 'run']);
+const PHASE_FIELDS = new Set(['command', 'args', 'env']);
+
+const LANGUAGE_ID = /^[a-z][a-z0-9-]{0,31}$/;
+const EXTENSION = /^[a-z0-9]{1,16}$/;
+const VERSION_ID = /^[a-z0-9][a-z0-9.+-]{0,31}$/;
+const TOOL_NAME = /^[a-z][a-zA-Z0-9-]{0,31}$/;
+const TOOL_ENV = /^[A-Z][A-Z0-9_]*_BIN$/;
+const ENV_NAME = /^[A-Z_][A-Z0-9_]*$/;
+// The service's own channels, and the loader's. A manifest setting either would be
+// able to redirect where a program's output, debugger or libraries come from.
+const RESERVED_ENV = /^(BROWSER_CODER_|LD_|DYLD_)/;
+
+/** The key display values are compared by: case- and whitespace-insensitive. */
+export const normalizeVersionKey = value =>
+  String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '');
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isText = value => typeof value === 'string' && value.trim().length > 0;
+const isTextList = value => Array.isArray(value) && value.every(isText);
+
+function unknownFields(value, allowed, where, errors) {
+  for (const key of Object.keys(value)) {
+    if (!allowed.has(key)) errors.push(`${where}: unknown field "${key}"`);
+  }
+}
+
+/** `{name}` placeholders in a string, in order. */
+const placeholdersIn = text => [...String(text).matchAll(/\{([^{}]*)\}/g)].map(match => match[1]);
+
+function checkVersions(manifest, errors) {
+  const { versions } = manifest;
+  if (!Array.isArray(versions) || versions.length === 0) {
+    errors.push('versions: at least one version profile is required');
+    return;
+  }
+
+  // Every display value a request might send, so a collision is found here rather
+  // than by whichever version a lookup happened to reach first.
+  const claimed = new Map();
+  const claim = (value, owner, where) => {
+    const key = normalizeVersionKey(value);
+    const previous = claimed.get(key);
+    if (previous !== undefined && previous !== owner) {
+      errors.push(`${where}: "${value}" already names ${previous}`);
+    }
+    claimed.set(key, owner);
+  };
+
+  versions.forEach((version, index) => {
+    const where = `versions[${index}]`;
+    if (!isObject(version)) {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    unknownFields(version, VERSION_FIELDS, where, errors);
+    if (typeof version.id !== 'string' || !VERSION_ID.test(version.id)) {
+      errors.push(`${where}.id: must match ${VERSION_ID}`);
+      return;
+    }
+    if (!isText(version.name)) errors.push(`${where}.name: required`);
+    if (version.default !== undefined && typeof version.default !== 'boolean') {
+      errors.push(`${where}.default: must be a boolean`);
+    }
+    if (version.strict !== undefined && typeof version.strict !== 'boolean') {
+      errors.push(`${where}.strict: must be a boolean`);
+    }
+    for (const field of ['monacoTarget', 'sourceLevel', 'runtimeNote']) {
+      if (version[field] !== undefined && !isText(version[field])) {
+        errors.push(`${where}.${field}: must be a non-empty string`);
+      }
+    }
+
+    claim(version.id, version.id, `${where}.id`);
+    if (version.aliases !== undefined) {
+      if (!isTextList(version.aliases)) errors.push(`${where}.aliases: must be a list of strings`);
+      else for (const alias of version.aliases) claim(alias, version.id, `${where}.aliases`);
+    }
+
+    // A note that names a field the version does not have would render as a literal
+    // "{sourceLevel}" in every response for that version.
+    const note = version.runtimeNote ?? manifest.runtimeNote;
+    if (typeof note === 'string') {
+      for (const name of placeholdersIn(note)) {
+        if (!(name in NOTE_FIELDS)) {
+          errors.push(`${where}: runtime note uses unknown placeholder {${name}}`);
+        } else if (name !== 'strict' && version[NOTE_FIELDS[name]] === undefined) {
+          errors.push(`${where}: runtime note uses {${name}} but the version has no ${NOTE_FIELDS[name]}`);
+        }
+      }
+    }
+  });
+
+  if (versions.filter(version => version?.default === true).length !== 1) {
+    errors.push('versions: exactly one version must be the default');
+  }
+
+  if (manifest.knownUnavailable !== undefined) {
+    if (!isTextList(manifest.knownUnavailable)) {
+      errors.push('knownUnavailable: must be a list of strings');
+    } else {
+      // Known-unavailable means "no profile answers this". One that does is a
+      // contradiction the resolver would settle silently in the profile's favour.
+      for (const value of manifest.knownUnavailable) {
+        const owner = claimed.get(normalizeVersionKey(value));
+        if (owner !== undefined) errors.push(`knownUnavailable: "${value}" names ${owner}`);
+      }
+    }
+  }
+}
+
+function checkCapabilities(manifest, errors) {
+  const { capabilities } = manifest;
+  if (capabilities === undefined) return;
+  if (!isObject(capabilities)) {
+    errors.push('capabilities: must be an object');
+    return;
+  }
+  unknownFields(capabilities, CAPABILITY_FIELDS, 'capabilities', errors);
+  for (const name of BOOLEAN_CAPABILITIES) {
+    if (capabilities[name] !== undefined && typeof capabilities[name] !== 'boolean') {
+      errors.push(`capabilities.${name}: must be a boolean`);
+    }
+  }
+  if (capabilities.graphics !== undefined) {
+    if (!Array.isArray(capabilities.graphics)
+      || !capabilities.graphics.every(protocol => GRAPHICS_PROTOCOLS.includes(protocol))) {
+      errors.push(`capabilities.graphics: must list protocols from ${GRAPHICS_PROTOCOLS.join(', ')}`);
+    }
+  }
+  if (capabilities.dependencies !== undefined && !DEPENDENCY_ECOSYSTEMS.includes(capabilities.dependencies)) {
+    errors.push(`capabilities.dependencies: must be one of ${DEPENDENCY_ECOSYSTEMS.join(', ')}`);
+  }
+  // What a deterministic run can freeze beyond the timezone and stdin, which the
+  // pipeline fixes for every language (blueprint section 69).
+  if (capabilities.deterministic !== undefined) {
+    if (!Array.isArray(capabilities.deterministic)
+      || !capabilities.deterministic.every(control => DETERMINISM_CONTROLS.includes(control))) {
+      errors.push(`capabilities.deterministic: must list controls from ${DETERMINISM_CONTROLS.join(', ')}`);
+    }
+  }
+
+  // All four need code that reads them: a debug launch, a packages directory on the
+  // import path, a linter's invocation, a shim loaded before the program. A phase list has nowhere to put any of them,
+  // so claiming one without an adapter would be a button that starts a run which
+  // ignores it, or a Problems panel waiting on a lint that can never come.
+  if (manifest.adapter === undefined) {
+    if (capabilities.debug === true) errors.push('capabilities.debug: requires a code adapter');
+    if (capabilities.lint === true) errors.push('capabilities.lint: requires a code adapter');
+    if (capabilities.dependencies !== undefined) errors.push('capabilities.dependencies: requires a code adapter');
+    if (capabilities.deterministic?.length) errors.push('capabilities.deterministic: requires a code adapter');
+  }
+  // Recording is a mode of the debugger (blueprint section 73), so it cannot be
+  // promised by a language that has none.
+  if (capabilities.debugRecording === true && capabilities.debug !== true) {
+    errors.push('capabilities.debugRecording: requires capabilities.debug');
+  }
+}
+
+function checkResources(manifest, errors) {
+  const { resources } = manifest;
+  if (!isObject(resources)) {
+    errors.push('resources: required, with at least a "run" profile');
+    return;
+  }
+  unknownFields(resources, RESOURCE_FIELDS, 'resources', errors);
+  for (const phase of RESOURCE_FIELDS) {
+    if (resources[phase] === undefined && phase !== 'run') continue;
+    if (!Object.hasOwn(RESOURCE_PROFILES, resources[phase])) {
+      errors.push(`resources.${phase}: must be one of ${Object.keys(RESOURCE_PROFILES).join(', ')}`);
+    }
+  }
+}
+
+function checkPhases(manifest, errors) {
+  const { tools = {}, phases } = manifest;
+
+  if (!isObject(tools)) {
+    errors.push('tools: must be an object');
+    return;
+  }
+  for (const [name, tool] of Object.entries(tools)) {
+    const where = `tools.${name}`;
+    if (!TOOL_NAME.test(name)) errors.push(`${where}: invalid tool name`);
+    if (!isObject(tool)) {
+      errors.push(`${where}: must be an object`);
+      continue;
+    }
+    unknownFields(tool, new Set(['env', 'default']), where, errors);
+    if (typeof tool.env !== 'string' || !TOOL_ENV.test(tool.env)) {
+      errors.push(`${where}.env: must name a *_BIN variable`);
+    }
+    if (!isText(tool.default)) errors.push(`${where}.default: required`);
+  }
+
+  if (!isObject(phases)) {
+    errors.push('phases: must be an object');
+    return;
+  }
+  unknownFields(phases, PHASE_NAMES, 'phases', errors);
+  if (phases.run === undefined) errors.push('phases.run: required');
+
+  for (const name of PHASE_NAMES) {
+    const phase = phases[name];
+    if (phase === undefined) continue;
+    const where = `phases.${name}`;
+    if (!isObject(phase)) {
+      errors.push(`${where}: must be an object`);
+      continue;
+    }
+    unknownFields(phase, PHASE_FIELDS, where, errors);
+
+    // A declared tool, or something the compile phase built. Never a path.
+    const { command } = phase;
+    const built = typeof command === 'string' && /^\{build\}\/[A-Za-z0-9._-]+$/.test(command);
+    if (!built && !(typeof command === 'string' && Object.hasOwn(tools, command))) {
+      errors.push(`${where}.command: must be a declared tool or {build}/<file>`);
+    }
+    if (built && phases.compile === undefined) {
+      errors.push(`${where}.command: {build} is only produced by a compile phase`);
+    }
+
+    if (!Array.isArray(phase.args) || !phase.args.every(arg => typeof arg === 'string')) {
+      errors.push(`${where}.args: must be a list of strings`);
+    } else {
+      for (const arg of phase.args) {
+        for (const placeholder of placeholdersIn(arg)) {
+          if (!PHASE_PLACEHOLDERS.includes(placeholder)) {
+            errors.push(`${where}.args: unknown placeholder {${placeholder}}`);
+          } else if (placeholder === 'sources' && arg !== '{sources}') {
+            errors.push(`${where}.args: {sources} must be an argument on its own`);
+          }
+        }
+      }
+    }
+
+    if (phase.env !== undefined) {
+      if (!isObject(phase.env)) {
+        errors.push(`${where}.env: must be an object`);
+        continue;
+      }
+      for (const [key, value] of Object.entries(phase.env)) {
+        if (!ENV_NAME.test(key) || RESERVED_ENV.test(key)) errors.push(`${where}.env: "${key}" may not be set`);
+        if (typeof value !== 'string') errors.push(`${where}.env.${key}: must be a string`);
+        else if (placeholdersIn(value).some(placeholder => placeholder === 'sources'
+          || !PHASE_PLACEHOLDERS.includes(placeholder))) {
+          errors.push(`${where}.env.${key}: may use only {job}, {entry} and {build}`);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Check a parsed manifest against schema version 1.
+ *
+ * Every problem is reported, not just the first: the person reading the log is
+ * onboarding a language and would otherwise fix one field per restart.
+ *
+ * @param {unknown} manifest
+ * @param {{directory?: string}} [options]  the directory it was read from, which the
+ *   id must equal - the client keys languages by directory, the server by id
+ * @returns {{ok: true, manifest: LanguageManifest} | {ok: false, errors: string[]}}
+ */
+export function validateManifest(manifest, { directory } = {}) {
+  const errors = [];
+  if (!isObject(manifest)) return { ok: false, errors: ['manifest: must be a JSON object'] };
+
+  unknownFields(manifest, TOP_LEVEL, 'manifest', errors);
+  if (manifest.schemaVersion !== MANIFEST_SCHEMA_VERSION) {
+    // Nothing else is checked: a different schema version means these rules are
+    // the wrong rules, and listing their complaints would only mislead.
+    return { ok: false, errors: [`schemaVersion: expected ${MANIFEST_SCHEMA_VERSION}, got ${JSON.stringify(manifest.schemaVersion)}`] };
+  }
+
+  if (typeof manifest.id !== 'string' || !LANGUAGE_ID.test(manifest.id)) {
+    errors.push(`id: must match ${LANGUAGE_ID}`);
+  } else if (directory !== undefined && manifest.id !== directory) {
+    errors.push(`id: "${manifest.id}" must equal its directory "${directory}"`);
+  }
+  for (const field of ['name', 'icon', 'monacoLanguage']) {
+    if (!isText(manifest[field])) errors.push(`${field}: required`);
+  }
+  if (typeof manifest.extension !== 'string' || !EXTENSION.test(manifest.extension)) {
+    errors.push(`extension: must match ${EXTENSION}`);
+  }
+  if (manifest.extensions !== undefined
+    && !(Array.isArray(manifest.extensions) && manifest.extensions.every(ext => EXTENSION.test(ext)))) {
+    errors.push(`extensions: must be a list matching ${EXTENSION}`);
+  }
+  if (manifest.runtimeNote !== undefined && !isText(manifest.runtimeNote)) {
+    errors.push('runtimeNote: must be a non-empty string');
+  }
+
+  checkVersions(manifest, errors);
+  checkCapabilities(manifest, errors);
+  checkResources(manifest, errors);
+
+  if ((manifest.adapter === undefined) === (manifest.phases === undefined)) {
+    errors.push('manifest: declare exactly one of "adapter" or "phases"');
+  } else if (manifest.adapter !== undefined) {
+    if (manifest.tools !== undefined) errors.push('tools: only meaningful with "phases"');
+    if (typeof manifest.adapter !== 'string' || !LANGUAGE_ID.test(manifest.adapter)) {
+      errors.push(`adapter: must match ${LANGUAGE_ID}`);
+    } else if (!fs.existsSync(`${ADAPTERS_DIR}${manifest.adapter}.mjs`)) {
+      errors.push(`adapter: server/languages/adapters/${manifest.adapter}.mjs does not exist`);
+    }
+  } else {
+    checkPhases(manifest, errors);
+  }
+
+  return errors.length > 0 ? { ok: false, errors } : { ok: true, manifest: deepFreeze(manifest) };
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object') {
+    for (const child of Object.values(value)) deepFreeze(child);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+/**
+ * What `/api/languages` tells a client about a language.
+ *
+ * The shape `config.json` had, which is what the IDE and Step-Up already read. How
+ * the language is run - its adapter, tools and phases - and the alias tables stay on
+ * the server: a client selects a version by id and has no use for either.
+ */
+export function publicLanguage(manifest) {
+  return {
+    id: manifest.id,
+    name: manifest.name,
+    extension: manifest.extension,
+    ...(manifest.extensions ? { extensions: manifest.extensions } : {}),
+    monacoLanguage: manifest.monacoLanguage,
+    icon: manifest.icon,
+    versions: manifest.versions.map(({ aliases, runtimeNote, ...version }) => version),
+    capabilities: manifest.capabilities ?? {},
+  };
+}
+
+/**
+ * @typedef {object} LanguageManifest
+ * @property {1} schemaVersion
+ * @property {string} id
+ * @property {string} name
+ * @property {string} icon
+ * @property {string} extension
+ * @property {string[]} [extensions]
+ * @property {string} monacoLanguage
+ * @property {{id: string, name: string, default?: boolean, aliases?: string[],
+ *   monacoTarget?: string, strict?: boolean, sourceLevel?: string,
+ *   runtimeNote?: string}[]} versions
+ * @property {string[]} [knownUnavailable]
+ * @property {string} [runtimeNote]
+ * @property {{debug?: boolean, debugRecording?: boolean, taughtKeywords?: boolean, runSelection?: boolean,
+ *   check?: boolean, lint?: boolean, graphics?: string[], dependencies?: 'pypi'|'npm',
+ *   deterministic?: string[]}} [capabilities]
+ * @property {{run: string, compile?: string}} resources
+ * @property {string} [adapter]
+ * @property {Record<string, {env: string, default: string}>} [tools]
+ * @property {{compile?: Phase, run: Phase}} [phases]
+ *
+ * @typedef {{command: string, args: string[], env?: Record<string, string>}} Phase
+ */
@@ -1,32 +1,66 @@
 /**
  * Adapter registry.
  *
- * The point of this file is what is NOT in it: no language-specific behaviour.
- * Adding a language means adding an adapter module and one entry here. The
- * pipeline, the HTTP routes, the session layer and the process runner never learn
- * its name.
+ * The point of this file is what is NOT in it: no language-specific behaviour, and
+ * now no list of languages either. Every adapter is bound from a manifest - see
+ * manifest.mjs - so adding a language means adding `languages/<id>/manifest.json`
+ * and, only if its launch needs code, `adapters/<id>.mjs`. The pipeline, the HTTP
+ * routes, the session layer and the process runner never learn its name.
  *
  * That is the extensibility requirement from section 2.5 - "adding a language or
  * version must not require new switches throughout the core" - made structural.
  * The pre-refactor code had six `switch (language)` statements plus a hardcoded
  * extension map, so a seventh language meant editing the core in seven places.
+ *
+ * What an adapter may DO is the manifest's to say, not the module's. `supportsDebug`
+ * and `dependencies` used to be properties each module declared for itself while the
+ * client read the same facts from config.json, and a test existed only to catch the
+ * two disagreeing. They are copied from the manifest here, so there is nothing left
+ * to disagree.
  */
 
-import { csharpAdapter } from './adapters/csharp.mjs';
-import { javaAdapter } from './adapters/java.mjs';
-import { javascriptAdapter } from './adapters/javascript.mjs';
-import { phpAdapter } from './adapters/php.mjs';
-import { pythonAdapter } from './adapters/python.mjs';
-import { typescriptAdapter } from './adapters/typescript.mjs';
+import { loadCatalog } from './catalog.mjs';
+import { createCommandAdapter } from './command-adapter.mjs';
+
+/**
+ * @param {import('./manifest.mjs').LanguageManifest} manifest
+ * @param {object} implementation  a code adapter module's default export, or a
+ *   command adapter built from the manifest's phases
+ */
+function bindAdapter(manifest, implementation) {
+  if (implementation.id !== manifest.id) {
+    // A manifest borrowing another language's module would run one language's
+    // toolchain under another's name, policy and capabilities.
+    throw new Error(`languages/${manifest.id}/manifest.json names an adapter whose id is "${implementation.id}"`);
+  }
+  // `lint` is the manifest's to grant too. A module may carry one its manifest has not
+  // switched on, but a manifest may not promise one the module lacks: the client would
+  // ask on every pause and be refused every time.
+  const lints = manifest.capabilities?.lint === true;
+  if (lints && typeof implementation.lint !== 'function') {
+    throw new Error(`languages/${manifest.id}/manifest.json declares lint, but its adapter has no lint()`);
+  }
+  return Object.freeze({
+    ...implementation,
+    lint: lints ? implementation.lint : undefined,
+    supportsDebug: manifest.capabilities?.debug === true,
+    supportsDebugRecording: manifest.capabilities?.debugRecording === true,
+    dependencies: manifest.capabilities?.dependencies ?? null,
+    graphics: manifest.capabilities?.graphics ?? [],
+    deterministic: manifest.capabilities?.deterministic ?? [],
+    resources: manifest.resources,
+  });
+}
 
-const ADAPTERS = new Map([
-  [javascriptAdapter.id, javascriptAdapter],
-  [typescriptAdapter.id, typescriptAdapter],
-  [pythonAdapter.id, pythonAdapter],
-  [javaAdapter.id, javaAdapter],
-  [phpAdapter.id, phpAdapter],
-  [csharpAdapter.id, csharpAdapter],
-]);
+const ADAPTERS = new Map();
+for (const manifest of Object.values(loadCatalog())) {
+  // The schema has already checked the module exists, so a failure here is a broken
+  // module, and it should stop the server rather than quietly drop a language.
+  const implementation = manifest.adapter
+    ? (await import(`./adapters/${manifest.adapter}.mjs`)).default
+    : createCommandAdapter(manifest);
+  ADAPTERS.set(manifest.id, bindAdapter(manifest, implementation));
+}
 
 /** @returns {import('./adapter-kit.mjs').LanguageAdapter | null} */
 export function getAdapter(languageId) {
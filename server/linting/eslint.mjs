@@ -0,0 +1,141 @@
+/**
+ * ESLint, in process, with the one configuration this service ships.
+ *
+ * JavaScript and TypeScript are linted by `Linter`, ESLint's in-memory core, rather
+ * than by spawning the CLI. `Linter` reads no files: it is given the source and the
+ * config, and so cannot discover an `eslint.config.js` in the student's project. That
+ * matters more than speed - an ESLint config is a JavaScript module the CLI IMPORTS,
+ * so finding one would be running the student's code outside the sandbox.
+ *
+ * The rules are the mistakes a beginner makes and a reviewer would point at: a
+ * variable declared and never read, a name that shadows an outer one, an assignment
+ * that is overwritten before anything reads it, a comparison with NaN. Style rules
+ * are absent on purpose - "Format document" is the answer to style, and a Problems
+ * panel full of quote-style warnings would bury the unused variable.
+ *
+ * Loaded lazily, like the TypeScript compiler in the TypeScript adapter: a missing
+ * package makes linting `unavailable`, never takes the language offline.
+ */
+
+import { log } from '../logging.mjs';
+import { fromEslintMessages, MAX_FINDINGS } from './findings.mjs';
+
+let loaded = null;
+let loadAttempted = false;
+
+async function load() {
+  if (loadAttempted) return loaded;
+  loadAttempted = true;
+  try {
+    const [{ Linter }, tseslint, globals] = await Promise.all([
+      import('eslint'),
+      import('typescript-eslint'),
+      import('globals'),
+    ]);
+    loaded = { Linter, tseslint: tseslint.default ?? tseslint, globals: globals.default ?? globals };
+    log('info', 'eslint_loaded', { version: Linter.version });
+  } catch (error) {
+    log('warn', 'eslint_unavailable', { error: error.message });
+  }
+  return loaded;
+}
+
+/** Rules that mean the same thing in JavaScript and TypeScript. */
+const SHARED_RULES = {
+  'no-useless-assignment': 'warn',
+  'no-unused-private-class-members': 'warn',
+  'no-self-assign': 'warn',
+  'no-self-compare': 'warn',
+  'no-cond-assign': 'warn',
+  'no-constant-condition': ['warn', { checkLoops: false }],
+  'no-unreachable': 'warn',
+  'no-fallthrough': 'warn',
+  'no-loss-of-precision': 'warn',
+  'no-dupe-keys': 'error',
+  'no-duplicate-case': 'error',
+  'no-shadow-restricted-names': 'error',
+  'use-isnan': 'error',
+  'valid-typeof': 'error',
+  'no-unsafe-negation': 'error',
+};
+
+/** Underscore-prefixed names are the conventional "unused on purpose". */
+const UNUSED_OPTIONS = {
+  args: 'after-used',
+  caughtErrors: 'none',
+  ignoreRestSiblings: true,
+  argsIgnorePattern: '^_',
+  varsIgnorePattern: '^_',
+};
+
+const JS_FILES = ['**/*.js', '**/*.mjs', '**/*.cjs', '**/*.jsx'];
+const TS_FILES = ['**/*.ts', '**/*.mts', '**/*.cts', '**/*.tsx'];
+
+function configFor({ tseslint, globals }) {
+  return [
+    {
+      files: [...JS_FILES, ...TS_FILES],
+      languageOptions: {
+        ecmaVersion: 'latest',
+        sourceType: 'module',
+        parserOptions: { ecmaFeatures: { jsx: true } },
+        // Both, because a program here may be run by node or previewed in a page.
+        globals: { ...globals.node, ...globals.browser },
+      },
+      linterOptions: { reportUnusedDisableDirectives: 'off' },
+      rules: SHARED_RULES,
+    },
+    {
+      files: JS_FILES,
+      rules: {
+        'no-unused-vars': ['warn', UNUSED_OPTIONS],
+        'no-shadow': ['warn', { hoist: 'functions' }],
+        'no-undef': 'error',
+        'no-redeclare': 'error',
+        'no-const-assign': 'error',
+        'no-func-assign': 'error',
+        'no-dupe-args': 'error',
+      },
+    },
+    {
+      files: ['**/*.cjs'],
+      languageOptions: { sourceType: 'commonjs' },
+    },
+    {
+      // The TypeScript-aware versions of the rules the core gets wrong on types: the
+      // core `no-unused-vars` calls a type-only import unused, and `no-shadow` flags
+      // an enum member. Undefined names and redeclarations are the compiler's.
+      files: TS_FILES,
+      languageOptions: { parser: tseslint.parser },
+      plugins: { '@typescript-eslint': tseslint.plugin },
+      rules: {
+        '@typescript-eslint/no-unused-vars': ['warn', UNUSED_OPTIONS],
+        '@typescript-eslint/no-shadow': ['warn', { hoist: 'functions' }],
+      },
+    },
+  ];
+}
+
+/**
+ * Lint the project's script files.
+ *
+ * @param {{name: string, content: string}[]} files  the project, as validated
+ * @param {string[]} extensions  which of them this language lints
+ */
+export async function lintWithEslint(files, extensions) {
+  const modules = await load();
+  if (!modules) return { outcome: 'unavailable', tool: 'eslint' };
+
+  const linter = new modules.Linter({ configType: 'flat' });
+  const config = configFor(modules);
+  const findings = [];
+
+  for (const file of files) {
+    if (!extensions.some(extension => file.name.toLowerCase().endsWith(extension))) continue;
+    const messages = linter.verify(file.content, config, { filename: file.name });
+    findings.push(...fromEslintMessages(messages, file.name));
+    if (findings.length >= MAX_FINDINGS) break;
+  }
+
+  return { outcome: 'linted', tool: 'eslint', findings: findings.slice(0, MAX_FINDINGS) };
+}
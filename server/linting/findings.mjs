@@ -0,0 +1,284 @@
+/**
+ * Lint tools' output, read into one shape of finding.
+ *
+ * `POST /api/check` returns compiler TEXT, because the client already parses that
+ * text for a failed run and a second parser would drift from the first. A linter's
+ * output has no such consumer: ruff and PHPStan speak JSON, and javac's `-Xlint` and
+ * the Roslyn analyzers' lines are read nowhere else. So these are parsed once, here,
+ * into what the Problems panel needs - and the one thing the compiler path never had,
+ * the rule that fired:
+ *
+ *     {file, line, column, endLine?, endColumn?, severity, rule, message}
+ *
+ * `file` is relative to the job directory, the workspace path the client knows.
+ *
+ * ## A lint finding is never a compile error
+ *
+ * Every tool here also reports code that does not parse or compile. Those are dropped:
+ * the live check already reports them, from the compiler that decides whether the
+ * program runs, and the same error twice in the Problems panel - once worded by ruff,
+ * once by CPython - is noise a student has to read past. What remains is what only a
+ * linter says: unused variables, shadowed names, assignments nothing reads.
+ *
+ * Pure. The process that produced the text is `runLinter`'s, which takes its job and
+ * environment from the adapter.
+ */
+
+import path from 'node:path';
+
+import { TerminationReason } from '../domain/termination.mjs';
+import { runToCompletion } from '../execution/process-runner.mjs';
+import { log } from '../logging.mjs';
+
+/**
+ * More than anyone reads, fewer than a generated file could produce. A project that
+ * trips five hundred rules is served the first five hundred, in file order.
+ */
+export const MAX_FINDINGS = 500;
+
+/**
+ * What a lint tool may print: room for MAX_FINDINGS findings at the most verbose of
+ * them, a ruff finding with its fix and link, which runs to well over a kilobyte.
+ *
+ * Not the run's `maxOutputChars`. That bounds what a student's program sends to a
+ * browser, 100k by default, and a few hundred ruff findings are past it - the tool
+ * was stopped, its JSON cut mid-document, and "the first five hundred" became a 500.
+ */
+export const LINT_OUTPUT_CHARS = MAX_FINDINGS * 4000;
+
+/** A path a tool printed, as a workspace path. Absolute paths outside the job are kept. */
+export function workspacePath(reported, jobDir) {
+  const normalized = reported.replace(/\\/g, '/');
+  if (!path.isAbsolute(reported)) return normalized.replace(/^\.\//, '');
+  const relative = path.relative(jobDir, reported);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) return normalized;
+  return relative.split(path.sep).join('/');
+}
+
+function finding({ file, line, column, endLine, endColumn, severity, rule, message }) {
+  const result = {
+    file,
+    line: Math.max(1, line | 0),
+    column: Math.max(1, column | 0),
+    severity,
+    rule,
+    message: message.trim(),
+  };
+  if (endLine) result.endLine = endLine;
+  if (endColumn) result.endColumn = endColumn;
+  return result;
+}
+
+/**
+ * `ruff check --output-format json-lines`: one finding per line.
+ *
+ * One per line rather than one document, so output cut at the budget is still read
+ * up to the cut (`runLinter` drops the partial last line).
+ *
+ * A syntax error arrives with a null code (E999 in older releases) and is dropped.
+ * Undefined names are errors - the program will raise NameError when it reaches one -
+ * and everything else ruff says is a warning.
+ */
+export function parseRuff(stdout, jobDir) {
+  const entries = (stdout || '').split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+  const findings = [];
+  for (const entry of entries) {
+    if (!entry.code || entry.code === 'E999') continue;
+    findings.push(finding({
+      file: workspacePath(entry.filename, jobDir),
+      line: entry.location?.row,
+      column: entry.location?.column,
+      endLine: entry.end_location?.row,
+      endColumn: entry.end_location?.column,
+      severity: /^F82\d$/.test(entry.code) ? 'error' : 'warning',
+      rule: entry.code,
+      message: entry.message,
+    }));
+  }
+  return findings;
+}
+
+const JAVAC_LINT = /^(.+?\.java):(\d+): warning: \[([\w-]+)\] (.*)$/;
+
+/**
+ * javac's `-Xlint` warnings.
+ *
+ * javac has no machine format. Each warning is a header line, sometimes detail lines,
+ * the source line, and a caret under the column - so the caret is looked for in the
+ * lines that follow, up to the next header. Only bracketed warnings are lint: an
+ * `error:` is the compiler's, and `warning: [options]` names no file.
+ */
+export function parseJavacLint(text, jobDir) {
+  const lines = (text || '').split(/\r?\n/);
+  const findings = [];
+  for (let index = 0; index < lines.length; index++) {
+    const match = JAVAC_LINT.exec(lines[index]);
+    if (!match) continue;
+
+    let column = 1;
+    for (let next = index + 1; next < Math.min(lines.length, index + 8); next++) {
+      if (/^\S.*:\d+: (?:warning|error):/.test(lines[next])) break;
+      if (/^\s*\^\s*$/.test(lines[next])) {
+        column = lines[next].indexOf('^') + 1;
+        break;
+      }
+    }
+
+    findings.push(finding({
+      file: workspacePath(match[1], jobDir),
+      line: Number(match[2]),
+      column,
+      severity: 'warning',
+      rule: match[3],
+      message: match[4],
+    }));
+  }
+  return findings;
+}
+
+/**
+ * PHPStan's `--error-format=json`.
+ *
+ * PHPStan reports no columns. An identifier ending `.notFound` - an undefined
+ * function, class or method - is a fatal error when PHP reaches it, so it is an error
+ * here; the rest are warnings, because the program runs regardless. Its top-level
+ * `errors` are about the analysis itself and belong in the server log, not the panel.
+ */
+export function parsePhpstan(stdout, jobDir) {
+  const report = JSON.parse(stdout || '{}');
+  const findings = [];
+  for (const [file, entry] of Object.entries(report.files ?? {})) {
+    for (const message of entry.messages ?? []) {
+      const rule = message.identifier ?? 'phpstan';
+      findings.push(finding({
+        file: workspacePath(file, jobDir),
+        line: message.line ?? 1,
+        column: 1,
+        severity: /\.notFound$/.test(rule) ? 'error' : 'warning',
+        rule,
+        message: message.message,
+      }));
+    }
+  }
+  return findings;
+}
+
+const MSBUILD_WARNING =
+  /^(.+?\.cs)\((\d+),(\d+)(?:,(\d+),(\d+))?\): warning ([A-Z]+\d+): (.*?)(?: \(https?:\/\/[^)\s]*\))?(?: \[[^\]]*\])?$/;
+
+/**
+ * Roslyn's compiler warnings and analyzer findings, from a `dotnet build`.
+ *
+ * MSBuild prints every warning twice, once as it happens and again in the summary,
+ * so identical lines are kept once. The documentation link on analyzer messages is
+ * dropped: the rule id is already the key to it.
+ */
+export function parseMsbuildWarnings(text, jobDir) {
+  const seen = new Set();
+  const findings = [];
+  for (const line of (text || '').split(/\r?\n/)) {
+    const match = MSBUILD_WARNING.exec(line.trim());
+    if (!match) continue;
+    const key = match.slice(1, 8).join('|');
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    findings.push(finding({
+      file: workspacePath(match[1], jobDir),
+      line: Number(match[2]),
+      column: Number(match[3]),
+      endLine: match[4] ? Number(match[4]) : undefined,
+      endColumn: match[5] ? Number(match[5]) : undefined,
+      severity: 'warning',
+      rule: match[6],
+      message: match[7],
+    }));
+  }
+  return findings;
+}
+
+/**
+ * ESLint's messages for one file.
+ *
+ * A fatal message is a parse error, and a message without a rule is ESLint talking
+ * about itself; neither is a finding.
+ */
+export function fromEslintMessages(messages, file) {
+  return messages
+    .filter(message => !message.fatal && message.ruleId)
+    .map(message => finding({
+      file,
+      line: message.line,
+      column: message.column,
+      endLine: message.endLine,
+      endColumn: message.endColumn,
+      severity: message.severity === 2 ? 'error' : 'warning',
+      rule: message.ruleId,
+      message: message.message,
+    }));
+}
+
+/** Text up to its last newline: a line the output limit cut in two is not read. */
+function wholeLines(text) {
+  const end = text.lastIndexOf('\n');
+  return end === -1 ? '' : text.slice(0, end + 1);
+}
+
+/**
+ * Run one lint tool over a prepared job.
+ *
+ * Shaped like `runFormatter`: a tool that cannot start is `unavailable` and one that
+ * overran is `timeout`, both answers the route turns into their own statuses. A
+ * nonzero exit is NOT a failure - javac, PHPStan and MSBuild all exit nonzero when
+ * they found something - so whatever the tool printed is parsed either way.
+ *
+ * A tool that printed more than LINT_OUTPUT_CHARS was stopped. One that prints a
+ * finding per line (`perLine`) is read up to its last whole line: the first findings
+ * are the ones served anyway, so nothing is lost. A JSON document cut short is
+ * `unreadable`, as is output that does not parse for any other reason - the tool's
+ * failure, not the server's, and never an empty list the panel would read as clean.
+ *
+ * @returns {Promise<{outcome: 'linted', tool: string, findings: object[]}
+ *   |{outcome: 'unavailable'|'timeout'|'unreadable', tool: string}>}
+ */
+export async function runLinter({ tool, command, args, ctx, timeoutMs, perLine = false, parse }) {
+  const result = await runToCompletion({
+    command,
+    args,
+    cwd: ctx.job.dir,
+    env: ctx.sandboxEnv,
+    timeoutMs: timeoutMs ?? ctx.timeoutMs,
+    maxOutputChars: LINT_OUTPUT_CHARS,
+  });
+
+  const unreadable = cause => {
+    log('warn', 'lint_unreadable', {
+      tool,
+      reason: result.termination.reason,
+      outputChars: result.stdout.length,
+      cause,
+    });
+    return { outcome: 'unreadable', tool };
+  };
+
+  let output = result;
+  switch (result.termination.reason) {
+    case TerminationReason.STARTUP_ERROR:
+      return { outcome: 'unavailable', tool };
+    case TerminationReason.TIMEOUT:
+      return { outcome: 'timeout', tool };
+    case TerminationReason.OUTPUT_LIMIT:
+      if (!perLine) return unreadable('cut short');
+      output = { ...result, stdout: wholeLines(result.stdout), stderr: wholeLines(result.stderr) };
+      break;
+    default:
+      break;
+  }
+
+  try {
+    return { outcome: 'linted', tool, findings: parse(output).slice(0, MAX_FINDINGS) };
+  } catch (error) {
+    // The name only: the parser's message quotes the output, which quotes the code.
+    return unreadable(error.name);
+  }
+}
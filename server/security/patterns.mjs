@@ -567,6 +567,144 @@ const SECURITY = {
       /\bSemaphore\b/i,
       /\bEventWaitHandle\b/i,
     ],
+
+    /*
+     * Go. Imports are matched as quoted paths, because that is the one spelling every
+     * form shares - grouped, single, aliased (`x "os/exec"`), blank (`_ "unsafe"`) and
+     * raw-string, with backquotes. Go cannot reach a package without writing its path
+     * as a string literal, which makes this corpus unusually tight for a regex one.
+     * `os` itself is needed for `os.Stdin`, so its dangerous functions are matched by
+     * name instead - and a renamed `os` import, which would walk past those, is refused.
+     */
+    go: [
+      // ─── Processes ───────────────────────────────────────────────
+      /["`]os\/exec["`]/i,
+      /\bos\s*\.\s*(StartProcess|FindProcess)\b/i,
+      // ─── Raw system calls and native code ────────────────────────
+      /["`]syscall(\/[\w/]+)?["`]/i,
+      /["`]golang\.org\/x\/sys(\/[\w/]+)?["`]/i,
+      /["`]unsafe["`]/i,
+      /["`]plugin["`]/i,
+      /["`]runtime\/cgo["`]/i,
+      /^\s*import\s+["`]C["`]/m,
+      /\/\/\s*#cgo\b/i,
+      /\/\/\s*go:(linkname|cgo_\w+|uintptrescapes)\b/i,
+      // ─── Network ─────────────────────────────────────────────────
+      // `net/url` is a parser with no I/O, and parsing a URL is ordinary teaching.
+      /["`]net(\/(?!url["`])[\w/]+)?["`]/i,
+      /["`]crypto\/tls["`]/i,
+      /["`]log\/syslog["`]/i,
+      // ─── Files ───────────────────────────────────────────────────
+      // No parenthesis required, so a function value (`open := os.Open`) is caught too.
+      /\bos\s*\.\s*(Open|OpenFile|Create|CreateTemp|NewFile|ReadFile|WriteFile|ReadDir|DirFS|Remove|RemoveAll|Rename|Truncate|Mkdir|MkdirAll|MkdirTemp|Chdir|Chmod|Chown|Lchown|Chtimes|Link|Symlink|Readlink|Stat|Lstat|Getwd|SameFile)\b/i,
+      /["`]io\/ioutil["`]/i,
+      /\bfilepath\s*\.\s*(Walk|WalkDir|Glob|EvalSymlinks|Abs)\b/i,
+      /^[ \t]*(?:import[ \t]+)?(?!import\b|return\b)(?:[A-Za-z_]\w*|\.)[ \t]+["`]os["`][ \t]*(?:\/\/.*)?$/im,
+      // ─── Environment and identity ────────────────────────────────
+      /\bos\s*\.\s*(Getenv|LookupEnv|Setenv|Unsetenv|Clearenv|Environ|ExpandEnv|Hostname|Executable|Getpid|Getppid|Getuid|Geteuid|Getgid|Getegid|Getgroups|UserHomeDir|UserCacheDir|UserConfigDir|TempDir)\b/i,
+      /["`]os\/user["`]/i,
+      /["`]os\/signal["`]/i,
+      /["`]runtime\/debug["`]/i,
+      /["`]runtime\/pprof["`]/i,
+    ],
+
+    /*
+     * Ruby. Scanned as written, like every language but Python, and case-SENSITIVE,
+     * because Ruby is: `File` is the class and `file` is a student's variable, so the
+     * constants below only match with their capital. A dangerous class is refused
+     * wherever it is used as a VALUE - followed by `.`, `::`, `[`, a closing bracket
+     * or the end of the line - which also catches `f = File` and `Class.new(IO)`, while
+     * the same word inside a sentence (`puts "File saved"`) is left alone.
+     *
+     * Kernel's dangerous methods are private, so reaching one needs a bare call or a
+     * way of naming it: `send`, `method`, a symbol. Bare names carry the same guard as
+     * Python's - a method on the student's own object (`door.open`) and defining one
+     * (`def open`) stay legal - and `method(...)` is allowed only with a literal symbol
+     * that is not one of them, so `map(&method(:puts))` still works.
+     */
+    ruby: [
+      // ─── Processes ───────────────────────────────────────────────
+      /`[^`\n]*`/,
+      /:`/,
+      /%x[({[<|!/]/,
+      /(?<![.\w@$]|def\s+(?:self\.)?)(?:system|spawn|exec|fork|syscall)\b(?!\s*(?:=(?![=~>])|:(?!:)|[?!]))/,
+      /\bProcess\s*(?:\.|::)\s*(?:spawn|exec|fork|kill|daemon|detach|setsid|setpgid|setrlimit|getrlimit|setuid|setgid|uid|euid|gid|egid|ppid|pid|wait\w*|last_status|warmup)\b/,
+      /\bOpen3\b|\bPTY\b/,
+      // ─── Kernel, files and directories ───────────────────────────
+      /\b(?:Kernel|IO|Dir|ObjectSpace|FileUtils|Pathname|Tempfile|Etc)\b(?=\s*(?:[.;,)\]}[]|::|$))/m,
+      /\bFile\b(?!\s*(?:\.|::)\s*(?:basename|extname|dirname|join|split|SEPARATOR|ALT_SEPARATOR)\b)(?=\s*(?:[.;,)\]}[]|::|$))/m,
+      /(?<![.\w@$]|def\s+(?:self\.)?)(?:open|load|autoload)\b(?!\s*(?:=(?![=~>])|:(?!:)|[?!]))/,
+      /\b(?:popen|sysopen|for_fd|copy_stream|binread|binwrite|foreach|load_file|unsafe_load\w*)\b/,
+      // `$stdin.class` is IO, without ever writing the word.
+      /\.\s*(?:class|superclass|singleton_class)\s*\.\s*(?:(?:superclass|class)\s*\.\s*)*(?:read|write|readlines|open|pipe|select|delete|unlink|rename|symlink|link|chmod|chown|truncate|exist\?|file\?|directory\?|stat|lstat|readlink|realpath|expand_path|absolute_path|mkfifo|glob|entries|children|each_child|mkdir|rmdir|home|pwd|chdir|utime)\b/,
+      /\bARG[VF]\b|\$[<*]/,
+      /\.\s*reopen\b/,
+      // ─── Libraries ───────────────────────────────────────────────
+      /\brequire(?:_relative)?\b\s*\(?\s*['"](?:open3|pty|socket|net\/[\w/]+|open-uri|openssl|resolv(?:-replace)?|webrick|drb(?:\/\w+)?|fiddle(?:\/\w+)?|etc|fileutils|pathname|tempfile|tmpdir|io\/console|syslog|objspace|bundler(?:\/\w+)?|erb|irb|find|pstore|yaml\/store|mkmf|rubygems|debug|ffi|rbconfig)['"]/,
+      // A require it cannot read: absolute, from HOME, interpolated or computed.
+      /\brequire(?:_relative)?\b\s*\(?\s*['"](?:\/|~|[A-Za-z]:|[^'"\n]*#\{)/,
+      /\brequire(?:_relative)?\b(?=[ \t]*\(?[ \t]*[^\s('"])/,
+      /\b(?:Socket|BasicSocket|TCPSocket|TCPServer|UDPSocket|UNIXSocket|UNIXServer|Addrinfo|IPSocket|Resolv|OpenSSL|WEBrick|DRb|Net|Fiddle|Gem|Bundler|ERB)\s*(?:\.|::)/,
+      /\bURI\s*\.\s*open\b/,
+      // ─── Environment and signals ─────────────────────────────────
+      /\bENV\b/,
+      /\$LOAD_PATH|\$LOADED_FEATURES|\$:/,
+      /\b(?:Signal\s*\.\s*)?trap\b\s*\(?\s*['":\d]/,
+      // ─── Code as data ────────────────────────────────────────────
+      /\b(?:eval|instance_eval|class_eval|module_eval|instance_exec|class_exec|module_exec)\b/,
+      /\bbinding\b|\bTOPLEVEL_BINDING\b|\bRubyVM\b/,
+      /(?<![\w.]|def\s+(?:self\.)?)(?:__send__|public_send|send)\b(?!\s*(?:=(?![=~>])|:(?!:)))|\.\s*(?:__send__|public_send|send)\b/,
+      /\b(?:const_get|const_source_location|bind_call)\b/,
+      /\b(?:method|public_method|instance_method|public_instance_method|singleton_method)\b(?!\s*(?:=(?![=~>])|:(?!:)|\(?\s*:(?!(?:system|spawn|exec|fork|syscall|open|load|autoload|require\w*|eval|\w+_eval|\w+_exec|binding|trap|send|public_send|__send__)\b)(?:[A-Za-z_]\w*[?!=]?|[-+*/%<>=!~^&|[\]]+)\s*\)?\s*(?:[),.;}&]|$)))/m,
+      /\bMarshal\s*\.\s*(?:load|restore)\b/,
+    ],
+
+    /*
+     * C (and C++, below). A C program needs no library to reach the kernel - it can
+     * declare `int system(const char *);` itself and call it - so the headers are the
+     * weaker signal and the FUNCTIONS are the rule. A call is the function name before
+     * a parenthesis, except as a member (`door.open()`, `node->link(`) or where it is
+     * defined (`void open() {`), which is how a struct's fields and a class's own
+     * methods stay legal. The distinctive names are refused as values too
+     * (`f = system;`, `&popen`) and in a #define, the two ways of calling one without
+     * writing the call.
+     *
+     * The preprocessor is the other half. It can build a name out of pieces - token
+     * pasting (`sys ## tem`), a backslash-newline inside a word, the `%:` digraph for
+     * `#` - so those are refused outright, and an #include can only name a project
+     * file or a library header by its plain name: an absolute path, a `..` or a macro
+     * would have gcc quote some other file back in its error message.
+     */
+    c: [
+      // ─── Processes ───────────────────────────────────────────────
+      /(?<![\w.]|->)(?:system|popen|exec[lv]p?e?|execvpe|fexecve|fork|vfork|clone3?|daemon|posix_spawnp?|syscall|ptrace|kill|killpg|wait4)(?!\s*\([^()]*\)[\s\w]*\{)\s*\(/,
+      // ─── Raw system calls and native code ────────────────────────
+      /\b(?:__)?asm(?:__)?\b/,
+      /\b(?:__libc_\w+|__NR_\w+|__syscall\w*)\b/,
+      /(?<![\w.]|->)(?:dlopen|dlmopen|dlsym|dlvsym|mmap|mmap64|mprotect|pkey_mprotect|mremap|prctl|seccomp|unshare|setns|personality|chroot|set(?:e|re|res)?[ug]id|setsid|setpgid)(?!\s*\([^()]*\)[\s\w]*\{)\s*\(/,
+      // ─── Network ─────────────────────────────────────────────────
+      /(?<![\w.]|->)(?:socket|socketpair|getaddrinfo|gethostbyname2?|gethostbyaddr)(?!\s*\([^()]*\)[\s\w]*\{)\s*\(/,
+      // ─── Files and directories ───────────────────────────────────
+      // std::remove is also the <algorithm> that takes iterators; C++ refuses the
+      // one-argument form separately.
+      /(?<![\w.]|->)(?:fopen|fopen64|freopen|fdopen|open|open64|openat|creat|rename|renameat2?|unlink|unlinkat|rmdir|mkdir|mkdirat|mkfifo|mknod|opendir|fdopendir|scandir|nftw|ftw|tmpfile|tmpnam|tempnam|mkstemps?|mkostemps?|mkdtemp|symlink|link|linkat|readlink|chmod|fchmod|fchmodat|chown|lchown|fchown|truncate|ftruncate|access|faccessat|stat|lstat|fstatat|statx|realpath|getcwd|get_current_dir_name|chdir|fchdir|sendfile|copy_file_range)(?!\s*\([^()]*\)[\s\w]*\{)\s*\(/,
+      /(?<![\w.]|->)(?<!std\s*::\s*)remove(?!\s*\([^()]*\)[\s\w]*\{)\s*\(/,
+      // ─── Environment and identity ────────────────────────────────
+      /(?<![\w.]|->)(?:getenv|secure_getenv|setenv|unsetenv|putenv|clearenv|getpwnam|getpwuid|getlogin|gethostname|getuid|geteuid)(?!\s*\([^()]*\)[\s\w]*\{)\s*\(/,
+      /\b_{0,2}environ\b/,
+      // `int main(int argc, char **argv, char **envp)` is the environment, as a parameter.
+      /\bmain\s*\([^,)]*,[^,)]*,/,
+      // ─── Calling without writing the call ────────────────────────
+      /(?:[=&,(?:]|\breturn\b)\s*(?:system|popen|exec[lv]p?e?|execvpe|fork|vfork|syscall|ptrace|dlopen|dlsym|mmap|mprotect|fopen|freopen|fdopen|unlink|getenv|setenv|putenv|socket)\b(?=\s*[;,):])/,
+      /^[ \t]*#[ \t]*define\b[^\n]*\b(?:system|popen|exec[lv]p?e?|execvpe|fork|vfork|syscall|ptrace|dlopen|dlsym|mmap|mprotect|fopen|freopen|fdopen|unlink|getenv|setenv|putenv|socket)\b/m,
+      // ─── The preprocessor ────────────────────────────────────────
+      /##/,
+      /%:/,
+      /\w\\\r?\n/,
+      /^[ \t]*#[ \t]*(?:include|include_next|import)\b[ \t]*(?:[<"][ \t]*(?:\/|[A-Za-z]:|[^>"\n]*\.\.)|[^<"\s])/m,
+      /^[ \t]*#[ \t]*embed\b/m,
+      /^[ \t]*#[ \t]*include\b[ \t]*[<"](?:sys\/(?:socket|mman|ptrace|syscall|prctl|reboot|mount)\.h|netinet\/[\w.]+|arpa\/[\w.]+|netdb\.h|dlfcn\.h|spawn\.h|pwd\.h|grp\.h|dirent\.h|ftw\.h|linux\/[\w/.]+|asm\/[\w/.]+)[>"]/m,
+    ],
   },
   
   // Messages for blocked patterns
@@ -577,11 +715,23 @@ const SECURITY = {
     php: 'Blocked: Shell commands (exec, system, shell_exec), file operations, network functions, and dangerous constructs are disabled for security',
     java: 'Blocked: Runtime.exec, ProcessBuilder, file I/O, network sockets, reflection, and system access are disabled for security',
     csharp: 'Blocked: Process.Start, file I/O, network, reflection, P/Invoke, unsafe/binary code, serialization, and system access are disabled for security',
+    go: 'Blocked: os/exec, syscall, unsafe, cgo, network (net), file I/O, and environment access are disabled for security',
+    ruby: 'Blocked: system, backticks, spawn, sockets, file I/O, eval, send and environment access are disabled for security',
+    c: 'Blocked: system, exec, fork, inline assembly, sockets, file I/O, environment access and preprocessor tricks are disabled for security',
+    cpp: 'Blocked: system, exec, fork, inline assembly, sockets, file I/O (including fstream and filesystem), environment access and preprocessor tricks are disabled for security',
   },
 };
 
 // TypeScript inherits JavaScript patterns
 SECURITY.patterns.typescript = [...SECURITY.patterns.javascript];
 
+// C++ inherits C's, and adds the standard library's own file and process access.
+SECURITY.patterns.cpp = [
+  ...SECURITY.patterns.c,
+  /\b(?:i|o)?fstream\b|\b(?:basic_)?filebuf\b/,
+  /\bfilesystem\b/,
+  /\bstd\s*::\s*remove\s*\([^,]*?\)\s*[;)]/,
+];
+
 export { SECURITY };
 export default SECURITY;
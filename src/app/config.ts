@@ -9,8 +9,12 @@ export const appConfig = {
   noOutput: urlParams.get('nooutput') === '1',
   hackLabEnabled: urlParams.get('hacklab') === '1',
   urlLanguage: urlParams.get('lang') || 'javascript',
+  /** Whether `lang` was in the URL, or `urlLanguage` is only the default. */
+  urlLanguageGiven: urlParams.has('lang'),
   urlVersion: urlParams.get('version') || '',
   urlUiLang: urlParams.get('uilang') || 'en',
+  /** The standalone project to open; the most recent one when absent. */
+  urlProject: urlParams.get('project') || '',
 };
 
 export const policyState: {
@@ -2,7 +2,7 @@ import type * as Monaco from 'monaco-editor';
 import type { LoadedLanguage, VersionConfig } from '../languages';
 import type { TabManager } from '../tabs';
 import type { storage as storageType } from '../storage';
-import type { MonacoModelRegistry, WorkspaceService } from '../workspace';
+import type { LocalHistory, MonacoModelRegistry, VersionControl, WorkspaceService } from '../workspace';
 import type { CommandRegistry } from '../commands/registry.ts';
 import type { DiagnosticsStore } from '../diagnostics/store.ts';
 
@@ -58,6 +58,10 @@ export const runtime: {
   commands: CommandRegistry | null;
   /** Problems, bound to the revision they were computed for. */
   diagnostics: DiagnosticsStore | null;
+  /** Earlier versions of each file. Null until it is open. */
+  history: LocalHistory | null;
+  /** Commits and branches; its `.git` goes into the project ZIP. Null until it is open. */
+  versionControl: VersionControl | null;
   fileModels: ModelMapView;
   currentLang: LoadedLanguage | null;
   currentVersion: VersionConfig | null;
@@ -70,6 +74,8 @@ export const runtime: {
   models: null,
   commands: null,
   diagnostics: null,
+  history: null,
+  versionControl: null,
   fileModels: new ModelMapView(),
   currentLang: null,
   currentVersion: null,
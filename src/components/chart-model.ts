@@ -0,0 +1,303 @@
+/**
+ * A bcplot chart as geometry: scales, ticks, bar rectangles, the value under the
+ * pointer, and the CSV a student can take to a spreadsheet (blueprint section 68).
+ *
+ * The records are the server's, rebuilt from its allowlist (server/graphics/charts.mjs),
+ * so every value here is a finite number and every string is bounded. What is left
+ * is deciding where things go, which is arithmetic and is kept here, pure, so it can
+ * be tested without a canvas. `chart.ts` draws what this returns.
+ *
+ * ## Bars put the x axis in categories
+ *
+ * As in pyplot, a chart with a bar series places category N at x = N, so a line
+ * plotted over bars with `range(len(categories))` for x lands on the bars. Bar
+ * series on one chart stand side by side within each category, and the y axis of a
+ * chart with bars always includes zero: a bar drawn from anywhere else misleads.
+ */
+
+export interface ChartSeries {
+  k: 'line' | 'scatter' | 'bar';
+  label?: string;
+  /** A CSS colour, as the student gave it. Invalid ones fall back to the palette. */
+  c?: string;
+  pts?: Array<[number, number]>;
+  cats?: string[];
+  vals?: number[];
+}
+
+export interface Chart {
+  title?: string;
+  xlabel?: string;
+  ylabel?: string;
+  series: ChartSeries[];
+}
+
+export interface ChartData {
+  charts: Chart[];
+}
+
+/** Series colours in order, pyplot's, so a lesson's screenshots match its notes. */
+export const CHART_PALETTE: readonly string[] = [
+  '#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd',
+  '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf',
+];
+
+export const paletteColor = (index: number): string => CHART_PALETTE[index % CHART_PALETTE.length];
+
+/** What a series is called in the legend, the tooltip and the CSV. */
+export const seriesLabel = (series: ChartSeries, index: number): string =>
+  series.label || `Series ${index + 1}`;
+
+// ── Ticks ────────────────────────────────────────────────────────────────────
+
+/** Rounds away the 0.30000000000000004 that stepping by 0.1 produces. */
+const clean = (value: number) => Number(value.toPrecision(12));
+
+/**
+ * Round tick values covering [min, max]: steps of 1, 2 or 5 times a power of ten,
+ * about `count` of them. The domain is widened to the outer ticks, so the data never
+ * touches the frame.
+ */
+export function niceTicks(min: number, max: number, count = 5): { domain: [number, number]; step: number; ticks: number[] } {
+  if (!(max > min)) {
+    // One value, or none: centre it in a unit-sized range.
+    const pad = min === 0 ? 1 : Math.abs(min) / 2;
+    [min, max] = [min - pad, max + pad];
+  }
+  const raw = (max - min) / Math.max(1, count);
+  const power = 10 ** Math.floor(Math.log10(raw));
+  const step = clean(([1, 2, 5, 10].find(factor => factor * power >= raw) ?? 10) * power);
+  const low = clean(Math.floor(min / step) * step);
+  const high = clean(Math.ceil(max / step) * step);
+  const ticks: number[] = [];
+  for (let index = 0; low + index * step <= high + step / 2; index++) ticks.push(clean(low + index * step));
+  return { domain: [low, high], step, ticks };
+}
+
+/** A tick or a value as text: the decimals the step needs, and no more. */
+export function formatValue(value: number, step = 0): string {
+  if (value !== 0 && (Math.abs(value) >= 1e9 || Math.abs(value) < 1e-6)) return value.toExponential(2);
+  const decimals = step > 0 ? Math.min(10, Math.max(0, -Math.floor(Math.log10(step)))) : 0;
+  return step > 0 ? String(clean(Number(value.toFixed(decimals)))) : String(clean(value));
+}
+
+// ── Layout ───────────────────────────────────────────────────────────────────
+
+export interface ChartTick {
+  /** Where it sits along its axis, in canvas pixels. */
+  at: number;
+  label: string;
+}
+
+export interface ChartLayout {
+  width: number;
+  height: number;
+  /** The plotting area, inside the axes. */
+  plot: { left: number; top: number; right: number; bottom: number };
+  /** Category names when the chart has bars, else null. */
+  categories: string[] | null;
+  xStep: number;
+  yStep: number;
+  xTicks: ChartTick[];
+  yTicks: ChartTick[];
+  x(value: number): number;
+  y(value: number): number;
+}
+
+const MARGIN = { left: 58, right: 18, top: 14, bottom: 34 };
+/** Room for the title above, and for each axis label. */
+const TITLE_SPACE = 24;
+const LABEL_SPACE = 18;
+/** The share of a category's width its bars take together. */
+const BAR_GROUP = 0.8;
+
+/** Every category in order of first appearance across the bar series. */
+function chartCategories(chart: Chart): string[] | null {
+  const bars = chart.series.filter(series => series.k === 'bar');
+  if (bars.length === 0) return null;
+  const seen = new Set<string>();
+  for (const series of bars) for (const category of series.cats ?? []) seen.add(category);
+  return [...seen];
+}
+
+/** Lay a chart out on a `width` × `height` canvas. */
+export function chartLayout(chart: Chart, width: number, height: number): ChartLayout {
+  const categories = chartCategories(chart);
+  const plot = {
+    left: MARGIN.left + (chart.ylabel ? LABEL_SPACE : 0),
+    top: MARGIN.top + (chart.title ? TITLE_SPACE : 0),
+    right: width - MARGIN.right,
+    bottom: height - MARGIN.bottom - (chart.xlabel ? LABEL_SPACE : 0),
+  };
+
+  let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
+  for (const series of chart.series) {
+    if (series.k === 'bar') {
+      for (const value of series.vals ?? []) [yMin, yMax] = [Math.min(yMin, value, 0), Math.max(yMax, value, 0)];
+      continue;
+    }
+    for (const [x, y] of series.pts ?? []) {
+      [xMin, xMax] = [Math.min(xMin, x), Math.max(xMax, x)];
+      [yMin, yMax] = [Math.min(yMin, y), Math.max(yMax, y)];
+    }
+  }
+  if (yMin > yMax) [yMin, yMax] = [0, 1];
+
+  const yScale = niceTicks(yMin, yMax, Math.max(2, Math.round((plot.bottom - plot.top) / 48)));
+  let xDomain: [number, number];
+  let xStep = 1;
+  let xValues: Array<[number, string]>;
+  if (categories) {
+    // Half a category of room either side, so the outer bars are whole.
+    xDomain = [Math.min(-0.5, xMin - 0.5), Math.max(categories.length - 0.5, xMax + 0.5)];
+    xValues = categories.map((name, index) => [index, name]);
+  } else {
+    if (xMin > xMax) [xMin, xMax] = [0, 1];
+    const xScale = niceTicks(xMin, xMax, Math.max(2, Math.round((plot.right - plot.left) / 80)));
+    xDomain = xScale.domain;
+    xStep = xScale.step;
+    xValues = xScale.ticks.map(value => [value, formatValue(value, xScale.step)]);
+  }
+
+  const x = (value: number) =>
+    plot.left + ((value - xDomain[0]) / (xDomain[1] - xDomain[0])) * (plot.right - plot.left);
+  const y = (value: number) =>
+    plot.bottom - ((value - yScale.domain[0]) / (yScale.domain[1] - yScale.domain[0])) * (plot.bottom - plot.top);
+
+  return {
+    width,
+    height,
+    plot,
+    categories,
+    xStep,
+    yStep: yScale.step,
+    xTicks: xValues.map(([value, label]) => ({ at: x(value), label })),
+    yTicks: yScale.ticks.map(value => ({ at: y(value), label: formatValue(value, yScale.step) })),
+    x,
+    y,
+  };
+}
+
+export interface ChartBar {
+  series: number;
+  category: string;
+  value: number;
+  left: number;
+  top: number;
+  width: number;
+  height: number;
+}
+
+/** Every bar's rectangle, series side by side within each category. */
+export function chartBars(chart: Chart, layout: ChartLayout): ChartBar[] {
+  if (!layout.categories) return [];
+  const position = new Map(layout.categories.map((name, index) => [name, index]));
+  const barSeries = chart.series.flatMap((series, index) => (series.k === 'bar' ? [index] : []));
+  const band = layout.x(1) - layout.x(0);
+  const width = (band * BAR_GROUP) / barSeries.length;
+  const zero = layout.y(0);
+
+  return barSeries.flatMap((seriesIndex, slot) => {
+    const series = chart.series[seriesIndex];
+    return (series.cats ?? []).map((category, index) => {
+      const value = series.vals?.[index] ?? 0;
+      const centre = layout.x(position.get(category) ?? 0);
+      const top = Math.min(zero, layout.y(value));
+      return {
+        series: seriesIndex,
+        category,
+        value,
+        left: centre - (band * BAR_GROUP) / 2 + slot * width,
+        top,
+        width,
+        height: Math.abs(layout.y(value) - zero),
+      };
+    });
+  });
+}
+
+// ── Hover ────────────────────────────────────────────────────────────────────
+
+export interface ChartHit {
+  series: number;
+  label: string;
+  x: string;
+  y: string;
+  /** Where to mark it, in canvas pixels. */
+  at: [number, number];
+}
+
+/**
+ * The value under the pointer at (px, py): a bar it is over, or else the nearest
+ * point within `radius` pixels. Null when there is neither.
+ */
+export function chartValueAt(chart: Chart, layout: ChartLayout, px: number, py: number, radius = 12): ChartHit | null {
+  let best: ChartHit | null = null;
+  let bestDistance = radius * radius;
+
+  for (const [index, series] of chart.series.entries()) {
+    for (const [x, y] of series.pts ?? []) {
+      const at: [number, number] = [layout.x(x), layout.y(y)];
+      const distance = (at[0] - px) ** 2 + (at[1] - py) ** 2;
+      if (distance > bestDistance) continue;
+      bestDistance = distance;
+      best = {
+        series: index,
+        label: seriesLabel(series, index),
+        x: layout.categories ? (layout.categories[x] ?? formatValue(x)) : formatValue(x),
+        y: formatValue(y),
+        at,
+      };
+    }
+  }
+  if (best) return best;
+
+  // A line point drawn over a bar wins: it is the smaller target.
+  for (const bar of chartBars(chart, layout)) {
+    // A zero-height bar is still something to point at.
+    const top = Math.min(bar.top, layout.y(0) - 3);
+    const bottom = Math.max(bar.top + bar.height, layout.y(0) + 3);
+    if (px >= bar.left && px <= bar.left + bar.width && py >= top && py <= bottom) {
+      return {
+        series: bar.series,
+        label: seriesLabel(chart.series[bar.series], bar.series),
+        x: bar.category,
+        y: formatValue(bar.value),
+        at: [bar.left + bar.width / 2, layout.y(bar.value)],
+      };
+    }
+  }
+  return null;
+}
+
+// ── CSV ──────────────────────────────────────────────────────────────────────
+
+/**
+ * A text field for a spreadsheet. Quoted when it has to be, and a leading `=`, `+`,
+ * `-` or `@` is defused: a label is the student's text, and a CSV opened in a
+ * spreadsheet would otherwise run it as a formula on whoever opens the file.
+ */
+function csvText(value: string): string {
+  const safe = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+/** One row per value - series, x, y - in the order the program plotted them. */
+export function chartCsv(chart: Chart): string {
+  const rows = ['series,x,y'];
+  chart.series.forEach((series, index) => {
+    const label = csvText(seriesLabel(series, index));
+    if (series.k === 'bar') {
+      (series.cats ?? []).forEach((category, at) => rows.push(`${label},${csvText(category)},${series.vals?.[at]}`));
+    } else {
+      for (const [x, y] of series.pts ?? []) rows.push(`${label},${x},${y}`);
+    }
+  });
+  return rows.join('\r\n') + '\r\n';
+}
+
+/** A file name for a chart's CSV, from its title when it has one. */
+export function chartCsvName(chart: Chart, index: number): string {
+  const stem = (chart.title ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+  return `${stem || `chart-${index + 1}`}.csv`;
+}
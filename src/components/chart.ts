@@ -0,0 +1,373 @@
+/**
+ * The chart window: what a program plotted with bcplot (blueprint section 68).
+ *
+ * A popup of its own beside the turtle window, not a second mode of it - a data
+ * lesson can draw a picture and chart its numbers in one run, and the two should be
+ * side by side. Axes, grid, legend and the value under the pointer are drawn here;
+ * where each of them goes is chart-model.ts, which is pure and tested.
+ *
+ * ## Live, then final
+ *
+ * Charts arrive as `chart` operations in the graphics stream while the program runs,
+ * each replacing the chart at its index, and whole in the exit payload. The console
+ * decides which to keep on a failed run by the same graphics policy as the drawing
+ * (interactive-console.ts); this module only shows what it is given.
+ */
+
+import { downloadBlob } from './download.ts';
+import { setStatus } from './output';
+import { getPopupWindow, hidePopupWindow, showPopupWindow } from './popup-window';
+import {
+  chartBars,
+  chartCsv,
+  chartCsvName,
+  chartLayout,
+  chartValueAt,
+  paletteColor,
+  seriesLabel,
+  type Chart,
+  type ChartData,
+  type ChartHit,
+  type ChartLayout,
+} from './chart-model.ts';
+
+const CHART_WINDOW_ID = 'chart-window';
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 340;
+
+let shownCharts: Chart[] = [];
+let selectedChart = 0;
+
+interface ChartElements {
+  windowEl: HTMLElement;
+  picker: HTMLSelectElement;
+  canvas: HTMLCanvasElement;
+  legend: HTMLElement;
+  tooltip: HTMLElement;
+}
+
+/** The window's parts, built on first use. */
+function getChartElements(): ChartElements | null {
+  const popup = getPopupWindow(CHART_WINDOW_ID, '📊 Charts', clearCharts);
+  if (!popup) return null;
+  const { windowEl, bodyEl } = popup;
+
+  if (!bodyEl.querySelector('#chart-canvas')) {
+    bodyEl.classList.add('chart-popup-body');
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'chart-toolbar';
+    const picker = document.createElement('select');
+    picker.id = 'chart-picker';
+    picker.title = 'Which chart to show';
+    picker.addEventListener('change', () => {
+      selectedChart = Number(picker.value) || 0;
+      paintCharts();
+    });
+    const csv = document.createElement('button');
+    csv.type = 'button';
+    csv.textContent = 'CSV';
+    csv.title = 'Download this chart’s values, for a spreadsheet';
+    csv.addEventListener('click', downloadChartCsv);
+    toolbar.append(picker, csv);
+
+    const frame = document.createElement('div');
+    frame.className = 'chart-frame';
+    const canvas = document.createElement('canvas');
+    canvas.id = 'chart-canvas';
+    const tooltip = document.createElement('div');
+    tooltip.id = 'chart-tooltip';
+    tooltip.className = 'chart-tooltip hidden';
+    tooltip.setAttribute('role', 'status');
+    frame.append(canvas, tooltip);
+
+    const legend = document.createElement('div');
+    legend.id = 'chart-legend';
+    legend.className = 'chart-legend';
+
+    bodyEl.append(toolbar, frame, legend);
+    canvas.addEventListener('pointermove', event => showChartValue(event));
+    canvas.addEventListener('pointerleave', () => showChartValue(null));
+  }
+
+  return {
+    windowEl,
+    picker: bodyEl.querySelector('#chart-picker') as HTMLSelectElement,
+    canvas: bodyEl.querySelector('#chart-canvas') as HTMLCanvasElement,
+    legend: bodyEl.querySelector('#chart-legend') as HTMLElement,
+    tooltip: bodyEl.querySelector('#chart-tooltip') as HTMLElement,
+  };
+}
+
+/** A theme colour from the page's CSS variables, so the chart matches light and dark. */
+function themeColor(element: HTMLElement, name: string, fallback: string): string {
+  return getComputedStyle(element).getPropertyValue(name).trim() || fallback;
+}
+
+/**
+ * A series' colour as the canvas takes it. An invalid CSS colour is ignored by the
+ * canvas, leaving the palette's in place - so a typo in `color=` costs the colour,
+ * not the chart.
+ */
+function applySeriesColor(ctx: CanvasRenderingContext2D, chart: Chart, index: number): void {
+  ctx.strokeStyle = ctx.fillStyle = paletteColor(index);
+  const wanted = chart.series[index].c;
+  if (wanted) ctx.strokeStyle = ctx.fillStyle = wanted;
+}
+
+function drawChart(canvas: HTMLCanvasElement, chart: Chart, hit: ChartHit | null = null): ChartLayout | null {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return null;
+  const scale = window.devicePixelRatio || 1;
+  if (canvas.width !== CHART_WIDTH * scale) {
+    canvas.width = CHART_WIDTH * scale;
+    canvas.height = CHART_HEIGHT * scale;
+    canvas.style.width = `${CHART_WIDTH}px`;
+    canvas.style.height = `${CHART_HEIGHT}px`;
+  }
+  ctx.setTransform(scale, 0, 0, scale, 0, 0);
+
+  const layout = chartLayout(chart, CHART_WIDTH, CHART_HEIGHT);
+  const { plot } = layout;
+  const text = themeColor(canvas, '--text-primary', '#333');
+  const muted = themeColor(canvas, '--text-secondary', '#6e6e6e');
+  const grid = themeColor(canvas, '--border-color', '#e0e0e0');
+
+  ctx.fillStyle = themeColor(canvas, '--bg-editor', '#fff');
+  ctx.fillRect(0, 0, CHART_WIDTH, CHART_HEIGHT);
+  ctx.font = '11px system-ui, sans-serif';
+  ctx.lineWidth = 1;
+
+  // Grid and tick labels.
+  ctx.strokeStyle = grid;
+  ctx.fillStyle = muted;
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (const tick of layout.yTicks) {
+    ctx.beginPath();
+    ctx.moveTo(plot.left, Math.round(tick.at) + 0.5);
+    ctx.lineTo(plot.right, Math.round(tick.at) + 0.5);
+    ctx.stroke();
+    ctx.fillText(tick.label, plot.left - 6, tick.at);
+  }
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  for (const tick of layout.xTicks) {
+    if (!layout.categories) {
+      ctx.beginPath();
+      ctx.moveTo(Math.round(tick.at) + 0.5, plot.top);
+      ctx.lineTo(Math.round(tick.at) + 0.5, plot.bottom);
+      ctx.stroke();
+    }
+    ctx.fillText(tick.label, tick.at, plot.bottom + 6, layout.categories ? (plot.right - plot.left) / layout.categories.length : 80);
+  }
+
+  // Series, clipped to the plotting area: a line may run off the nice domain's end.
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(plot.left, plot.top, plot.right - plot.left, plot.bottom - plot.top);
+  ctx.clip();
+  for (const bar of chartBars(chart, layout)) {
+    applySeriesColor(ctx, chart, bar.series);
+    ctx.fillRect(bar.left, bar.top, bar.width, bar.height);
+  }
+  chart.series.forEach((series, index) => {
+    if (series.k === 'bar') return;
+    applySeriesColor(ctx, chart, index);
+    const points = series.pts ?? [];
+    if (series.k === 'line') {
+      ctx.lineWidth = 2;
+      ctx.lineJoin = 'round';
+      ctx.beginPath();
+      points.forEach(([x, y], at) => (at === 0 ? ctx.moveTo(layout.x(x), layout.y(y)) : ctx.lineTo(layout.x(x), layout.y(y))));
+      ctx.stroke();
+      // A one-point line would otherwise not show at all.
+      if (points.length === 1) ctx.fillRect(layout.x(points[0][0]) - 2, layout.y(points[0][1]) - 2, 4, 4);
+    } else {
+      for (const [x, y] of points) {
+        ctx.beginPath();
+        ctx.arc(layout.x(x), layout.y(y), 3.5, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+  });
+  ctx.restore();
+
+  // Axes, then the words.
+  ctx.strokeStyle = muted;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(plot.left + 0.5, plot.top);
+  ctx.lineTo(plot.left + 0.5, plot.bottom + 0.5);
+  ctx.lineTo(plot.right, plot.bottom + 0.5);
+  ctx.stroke();
+
+  ctx.fillStyle = text;
+  if (chart.title) {
+    ctx.font = '600 14px system-ui, sans-serif';
+    ctx.textBaseline = 'top';
+    ctx.fillText(chart.title, (plot.left + plot.right) / 2, 10, CHART_WIDTH - 20);
+  }
+  ctx.font = '12px system-ui, sans-serif';
+  if (chart.xlabel) {
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(chart.xlabel, (plot.left + plot.right) / 2, CHART_HEIGHT - 6, plot.right - plot.left);
+  }
+  if (chart.ylabel) {
+    ctx.save();
+    ctx.translate(14, (plot.top + plot.bottom) / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textBaseline = 'middle';
+    ctx.fillText(chart.ylabel, 0, 0, plot.bottom - plot.top);
+    ctx.restore();
+  }
+
+  if (hit) {
+    applySeriesColor(ctx, chart, hit.series);
+    ctx.strokeStyle = text;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(hit.at[0], hit.at[1], 5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+  return layout;
+}
+
+/** The legend, for the series the program named. None named, no legend. */
+function fillLegend(legend: HTMLElement, chart: Chart): void {
+  legend.replaceChildren();
+  chart.series.forEach((series, index) => {
+    if (!series.label) return;
+    const item = document.createElement('span');
+    item.className = 'chart-legend-item';
+    const swatch = document.createElement('span');
+    swatch.className = `chart-legend-swatch chart-legend-${series.k}`;
+    // Assigned twice for the canvas's reason: an invalid colour leaves the first.
+    swatch.style.background = paletteColor(index);
+    if (series.c) swatch.style.background = series.c;
+    const name = document.createElement('span');
+    name.textContent = seriesLabel(series, index);
+    item.append(swatch, name);
+    legend.appendChild(item);
+  });
+  legend.classList.toggle('hidden', legend.childElementCount === 0);
+}
+
+function paintCharts(): void {
+  const elements = getChartElements();
+  const chart = shownCharts[selectedChart];
+  if (!elements || !chart) return;
+
+  const { picker } = elements;
+  if (picker.options.length !== shownCharts.length || [...picker.options].some((option, index) =>
+    option.textContent !== (shownCharts[index].title || `Chart ${index + 1}`))) {
+    picker.replaceChildren(...shownCharts.map((each, index) => {
+      const option = document.createElement('option');
+      option.value = String(index);
+      option.textContent = each.title || `Chart ${index + 1}`;
+      return option;
+    }));
+  }
+  picker.value = String(selectedChart);
+  picker.classList.toggle('hidden', shownCharts.length < 2);
+
+  drawChart(elements.canvas, chart);
+  fillLegend(elements.legend, chart);
+  elements.tooltip.classList.add('hidden');
+  // Beside the turtle window, which opens on the right.
+  showPopupWindow(elements.windowEl, 'left');
+}
+
+function showChartValue(event: PointerEvent | null): void {
+  const elements = getChartElements();
+  const chart = shownCharts[selectedChart];
+  if (!elements || !chart) return;
+
+  const rect = elements.canvas.getBoundingClientRect();
+  const layout = chartLayout(chart, CHART_WIDTH, CHART_HEIGHT);
+  const hit = event
+    ? chartValueAt(chart, layout, event.clientX - rect.left, event.clientY - rect.top)
+    : null;
+  drawChart(elements.canvas, chart, hit);
+
+  const { tooltip } = elements;
+  if (!hit) {
+    tooltip.classList.add('hidden');
+    return;
+  }
+  tooltip.textContent = `${hit.label}: ${hit.x}, ${hit.y}`;
+  tooltip.classList.remove('hidden');
+  // Flipped to the pointer's left near the right edge, so it stays on the chart.
+  const flip = hit.at[0] > CHART_WIDTH * 0.65;
+  tooltip.style.left = flip ? 'auto' : `${hit.at[0] + 10}px`;
+  tooltip.style.right = flip ? `${CHART_WIDTH - hit.at[0] + 10}px` : 'auto';
+  tooltip.style.top = `${Math.max(0, hit.at[1] - 30)}px`;
+}
+
+function downloadChartCsv(): void {
+  const chart = shownCharts[selectedChart];
+  if (!chart) return;
+  const name = chartCsvName(chart, selectedChart);
+  downloadBlob(name, new Blob([chartCsv(chart)], { type: 'text/csv' }));
+  setStatus(`Downloaded ${name}`);
+}
+
+/** Whether the chart window has anything to show. */
+export function hasCharts(): boolean {
+  return shownCharts.length > 0;
+}
+
+/** Show a finished run's charts, replacing whatever the window held. */
+export function renderCharts(data: ChartData | null | undefined): void {
+  const charts = (data?.charts ?? []).filter(chart => chart?.series?.length);
+  if (charts.length === 0) return;
+  shownCharts = charts;
+  if (selectedChart >= charts.length) selectedChart = 0;
+  paintCharts();
+}
+
+export interface LiveCharts {
+  /** Apply one `chart` operation from the run's stream. */
+  apply(index: number, chart: Chart): void;
+  /** The charts as they stand, for `renderCharts` once the run is over. */
+  snapshot(): ChartData;
+}
+
+/**
+ * Start showing a run's charts as they stream. The first chart replaces whatever the
+ * window showed from the run before.
+ */
+export function startLiveCharts(): LiveCharts {
+  const charts: Chart[] = [];
+  let started = false;
+  let scheduled = false;
+
+  return {
+    apply(index, chart) {
+      if (!Number.isInteger(index) || index < 0 || !chart?.series?.length) return;
+      charts[index] = chart;
+      if (!started) {
+        started = true;
+        selectedChart = 0;
+      }
+      // The newest chart is the one a program that plots as it goes is building.
+      if (index > selectedChart && index === charts.length - 1) selectedChart = index;
+      shownCharts = charts.filter(Boolean);
+      if (scheduled) return;
+      scheduled = true;
+      requestAnimationFrame(() => {
+        scheduled = false;
+        paintCharts();
+      });
+    },
+    snapshot: () => ({ charts: charts.filter(Boolean) }),
+  };
+}
+
+/** Hide the chart window and forget what it showed. Safe when it never opened. */
+export function clearCharts(): void {
+  shownCharts = [];
+  selectedChart = 0;
+  hidePopupWindow(CHART_WINDOW_ID);
+}
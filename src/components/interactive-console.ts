@@ -23,7 +23,10 @@
 // the way was the regex. It is gone.
 //
 // Protocol:
-//   POST /api/run/interactive           -> NDJSON stream, or JSON for a compile error
+//   WS   /api/session                   -> preferred: one resumable socket, see
+//                                          session-channel.ts
+//   POST /api/run/interactive           -> NDJSON stream, or JSON for a compile error;
+//                                          the fallback where no socket can be opened
 //   POST /api/run/interactive/:id/stdin -> one line of input
 //   POST /api/run/interactive/:id/close -> stop
 //
@@ -31,9 +34,15 @@
 // server-side - it is simply no longer how the IDE runs code.
 import { panelContentEl } from './dom';
 import { setStatus } from './output';
-import { renderTurtle } from './turtle';
+import { clearCharts, renderCharts, startLiveCharts, type LiveCharts } from './chart';
+import type { ChartData } from './chart-model';
+import { clearTurtleCanvas, renderTurtle, startLiveTurtle, type LiveTurtle } from './turtle';
+import type { TurtleWindowEvent } from './turtle-input.ts';
+import type { GraphicsPolicy } from './turtle-scene.ts';
 import { t } from '../i18n';
 import { inlineMissingAssets, isMissingBlobResponse } from '../features/asset-transport.ts';
+import { isRefusal, sessionChannel, type ChannelRun, type ConsoleMessage } from './session-channel.ts';
+import { TerminalView, measureTerminal } from './terminal-view.ts';
 
 export interface RunConsoleOptions {
   /**
@@ -67,8 +76,90 @@ export interface RunConsoleOptions {
    * surface frozen.
    */
   debug?: boolean;
+  /**
+   * With `debug`, ask for a recorded session: the adapter keeps every line it runs, so
+   * the student can step backwards (blueprint section 73).
+   */
+  record?: boolean;
   /** Maps a completed stdout line to the print statement that most likely emitted it. */
   traceOutput?: (line: string) => { file: string; line: number } | null;
+  /**
+   * Maps a line of stderr to the source line it names, for the runtimes whose crash
+   * reports name one on every line (a sanitizer's stack). Unlike `traceOutput` this is
+   * not a guess, so a line it cannot place is simply shown as it came.
+   */
+  traceError?: (line: string) => { file: string; line: number } | null;
+
+  /**
+   * Ask for a terminal (`pty`, blueprint section 11.4) instead of pipes, so colours,
+   * `\r` progress bars and cursor movement render as they would in a terminal.
+   *
+   * Only over the session socket; the NDJSON fallback is always pipes. And only a
+   * request: the run is drawn as a terminal once the server says it got one.
+   */
+  terminal?: boolean;
+
+  /**
+   * Draw turtle graphics while the program runs (blueprint section 64), and what to
+   * do with the drawing if it then fails: `livePreserveOnError` keeps it where it
+   * stopped, `liveDiscardOnError` clears it. Omitted, the request is unchanged and
+   * the drawing appears only after a clean exit, as it always did.
+   */
+  graphicsPolicy?: GraphicsPolicy;
+
+  /**
+   * Run deterministically (blueprint section 69): a fixed seed, clock and timezone,
+   * and `stdin` as the program's whole input. The console offers no input line for
+   * such a run - its input is the script, closed at its end.
+   */
+  deterministic?: DeterministicRunOptions;
+}
+
+/**
+ * What a deterministic run asks for. `true` is the defaults: seed 0, 2000-01-01 UTC, no
+ * input, and the language's own time limit.
+ */
+export type DeterministicRunOptions =
+  | true
+  | {
+    readonly seed?: number;
+    readonly clock?: string | number;
+    readonly stdin?: string;
+    readonly timeLimitMs?: number;
+  };
+
+/**
+ * What the server says a deterministic run fixed (`server/execution/determinism.mjs`).
+ *
+ * `notFixed` names what the language could not freeze - a Java program's `Random`,
+ * say - so a caller can say how far a result can be trusted rather than only that
+ * determinism was asked for.
+ */
+export interface RunDeterminism {
+  readonly seed: number;
+  /** ISO 8601, UTC. */
+  readonly clock: string;
+  readonly timezone: string;
+  readonly stdinChars: number;
+  /** The wall-clock limit the run asked for, or null for the language's own. */
+  readonly timeLimitMs: number | null;
+  readonly fixed: readonly string[];
+  readonly notFixed: readonly string[];
+  readonly complete: boolean;
+}
+
+/**
+ * What the server found when it classified a run as crashed (`server/domain/termination.mjs`).
+ *
+ * Sent on the exit event only for the languages that can tell a crash from a failure.
+ */
+export interface RunCrash {
+  readonly kind: string;
+  readonly summary: string;
+  readonly tool: string;
+  readonly file?: string;
+  readonly line?: number;
+  readonly column?: number;
 }
 
 /** One frame from the debug half of the stream, with the `debug:` prefix removed. */
@@ -82,6 +173,10 @@ export interface InteractiveResult {
   stderr: string;
   exitCode: number;
   durationMs: number;
+  /** What a deterministic run fixed; null or absent for an ordinary run. */
+  deterministic?: RunDeterminism | null;
+  /** Why the server stopped the program - `time-limit`, `idle-timeout` - or null. */
+  note?: string | null;
 }
 
 interface ActiveSession {
@@ -97,6 +192,8 @@ interface ActiveSession {
    */
   sessionId: string | null;
   controller: AbortController;
+  /** Set when the run is carried by the session socket rather than NDJSON. */
+  channelRun: ChannelRun | null;
 }
 
 let active: ActiveSession | null = null;
@@ -109,6 +206,10 @@ function compileLabel(langId: string): string {
   switch (langId) {
     case 'java':       return 'Compile Error (javac)';
     case 'csharp':     return 'Compile Error (dotnet build)';
+    case 'go':         return 'Compile Error (go build)';
+    case 'c':          return 'Compile Error (gcc)';
+    case 'cpp':        return 'Compile Error (g++)';
+    case 'ruby':       return 'Syntax Error (ruby -c)';
     case 'typescript': return 'TypeScript Error';
     case 'php':        return 'Parse Error (php -l)';
     case 'python':     return 'Problem Detected — code was not run';
@@ -128,10 +229,19 @@ export function activeSessionId(): string | null {
   return active?.sessionId ?? null;
 }
 
+/**
+ * The live run's socket, when it has one, so debug commands ride the same ordered,
+ * resumable connection as its output. Null for an NDJSON run.
+ */
+export function activeChannelRun(): ChannelRun | null {
+  return active?.channelRun ?? null;
+}
+
 export function stopInteractive(): void {
   if (!active) return;
-  const { sessionId, controller } = active;
+  const { sessionId, controller, channelRun } = active;
   active = null;
+  channelRun?.stop();
   // Ask the server to kill the sandbox, then drop the stream. Aborting alone
   // would also stop it (the request's close handler kills the process), but
   // the explicit call makes cleanup immediate and independent of socket teardown.
@@ -195,9 +305,21 @@ export function runProgram(
     eofButton.textContent = t('panel.endInput');
     eofButton.title = t('panel.endInputHint');
 
+    // Line or raw input, for a terminal run only. Line input is the box above, edited
+    // before it is sent. Raw sends every key as it is pressed - arrow keys, Ctrl+C,
+    // "press any key" - which is what a game or a menu that reads single keys needs.
+    const modeButton = document.createElement('button');
+    modeButton.className = 'term-eof term-mode';
+    modeButton.type = 'button';
+    modeButton.textContent = t('panel.rawInput');
+    modeButton.title = t('panel.rawInputHint');
+    modeButton.setAttribute('aria-pressed', 'false');
+    modeButton.hidden = true;
+
     inputLine.appendChild(caret);
     inputLine.appendChild(input);
     inputLine.appendChild(eofButton);
+    inputLine.appendChild(modeButton);
 
     panelContentEl.appendChild(outEl);
     panelContentEl.appendChild(inputLine);
@@ -206,7 +328,23 @@ export function runProgram(
     let aggStderr = '';
     let settled = false;
 
+    // Set once the server confirms a pty run. From then on the program's output is
+    // drawn on this screen, and the console's own notes are written into it too, so
+    // they land where the cursor is rather than below a screen still being drawn.
+    let terminalView: TerminalView | null = null;
+    let terminalOpen = false;
+    const NOTE_STYLE: Record<string, string> = { error: '\x1b[31m', success: '\x1b[32m', info: '\x1b[2m' };
+
+    // A terminal run's stdout is the screen's transcript: the text without its colour
+    // codes, which is what diagnostics and the run result must see.
+    const stdoutSoFar = () => (terminalView ? terminalView.screen.transcript : aggStdout);
+
     const append = (text: string, cls?: string) => {
+      if (terminalOpen && terminalView) {
+        const style = (cls && NOTE_STYLE[cls]) || '';
+        terminalView.write(`${style}${text.replace(/\r?\n/g, '\r\n')}${style ? '\x1b[0m' : ''}`, { record: false });
+        return;
+      }
       const node = document.createElement('span');
       if (cls) node.className = cls;
       node.textContent = text;
@@ -251,6 +389,21 @@ export function runProgram(
       }
     };
 
+    // stderr is written as it arrives. Only complete lines can name a place, and a
+    // sanitizer writes its report in whole lines, so a line split across two chunks is
+    // shown as plain text rather than held back waiting for the rest of it.
+    const appendStderr = (chunk: string) => {
+      if (!options.traceError) {
+        append(chunk, 'error');
+        return;
+      }
+      for (const piece of chunk.split(/(?<=\n)/)) {
+        const location = piece.endsWith('\n') ? options.traceError(piece) : null;
+        if (location) appendTrace(piece, location.file, location.line);
+        else append(piece, 'error');
+      }
+    };
+
     // Preserve stream ordering when a partial stdout line is followed by stderr,
     // typed input, or a debugger log event. Otherwise the next stdout chunk removes
     // the old node and appends it after the intervening event.
@@ -261,9 +414,17 @@ export function runProgram(
       pendingStdout = '';
     };
 
+    /** Stop drawing into the screen. It stays on view; what follows goes below it. */
+    const closeTerminal = () => {
+      if (!terminalOpen) return;
+      terminalOpen = false;
+      terminalView?.dispose();
+    };
+
     const settle = (result: InteractiveResult) => {
       if (settled) return;
       settled = true;
+      closeTerminal();
       inputLine.remove();
       // The Run/Stop pair is owned by run-controls.ts. This module used to set
       // `runBtn.disabled` here and below, competing with run-loader.ts and
@@ -272,11 +433,50 @@ export function runProgram(
       resolve(result);
     };
 
+    // The drawing as it streams. Started by the first batch, so a run that never
+    // draws never touches the turtle window; the policy is the server's answer, which
+    // is successOnlyReplay whenever it could not stream this run.
+    let liveTurtle: LiveTurtle | null = null;
+    // bcplot's charts ride the same stream (blueprint section 68), and open their own
+    // window on the first one.
+    let liveCharts: LiveCharts | null = null;
+    let graphicsPolicy: GraphicsPolicy = 'successOnlyReplay';
+    // The server's statement for a deterministic run, from the first message that
+    // carries one. Null for an ordinary run, which is every run that did not ask.
+    let deterministic: RunDeterminism | null = null;
+
+    // bgpic("maze.svg") names a project file. Python reports only the name, so the
+    // image has to be resolved from the workspace before rendering.
+    const showTurtle = async (turtleData: any, animate: boolean) => {
+      try {
+        const picName = turtleData.pic;
+        if (picName && options.resolveImage) {
+          const picUrl = await options.resolveImage(picName);
+          if (picUrl) {
+            turtleData.picData = picUrl;
+          } else {
+            append(
+              `
+[turtle: background image "${picName}" was not found in this project. ` +
+              `Add an .svg file with that name - bgpic() reads SVG images from the workspace.]
+`,
+              'info',
+            );
+          }
+        }
+        renderTurtle(turtleData, { animate });
+      } catch (renderErr) {
+        append(`\n[turtle render error: ${String(renderErr)}]\n`, 'error');
+      }
+    };
+
     const finishRun = async (
       exitCode: number,
       durationMs: number,
       note?: string | null,
-      turtleData?: any
+      turtleData?: any,
+      crash?: RunCrash | null,
+      chartData?: ChartData | null,
     ) => {
       if (pendingStdout) {
         pendingStdoutNode?.remove();
@@ -287,49 +487,69 @@ export function runProgram(
         pendingStdoutNode = null;
       }
       inputLine.remove();
+      closeTerminal();
+      liveTurtle?.finish();
       if (note === 'idle-timeout') append('\n[stopped: no input received in time]\n', 'error');
       else if (note === 'time-limit') append('\n[stopped: time limit reached]\n', 'error');
 
-      // Turtle drawings only open on a clean finish, matching the buffered
-      // path: a program that crashed part-way must not flash a half drawing.
-      if (
-        exitCode === 0 &&
-        turtleData &&
-        ((turtleData.shapes?.length ?? 0) > 0 || (turtleData.cursors?.length ?? 0) > 0)
-      ) {
-        try {
-          // bgpic("maze.svg") names a project file. Python reports only the name,
-          // so the image has to be resolved from the workspace before rendering.
-          const picName = turtleData.pic;
-          if (picName && options.resolveImage) {
-            const picUrl = await options.resolveImage(picName);
-            if (picUrl) {
-              turtleData.picData = picUrl;
-            } else {
-              append(
-                `
-[turtle: background image "${picName}" was not found in this project. ` +
-                `Add an .svg file with that name - bgpic() reads SVG images from the workspace.]
-`,
-                'info',
-              );
-            }
-          }
-          renderTurtle(turtleData);
-        } catch (renderErr) {
-          append(`\n[turtle render error: ${String(renderErr)}]\n`, 'error');
+      // A classified crash says what went wrong and where in one line, under a report
+      // that may run to dozens - and the line is the one to click.
+      if (crash?.summary) {
+        const text = `\n[crashed: ${crash.summary}]\n`;
+        if (crash.file && crash.line) appendTrace(text, crash.file, crash.line);
+        else append(text, 'error');
+      }
+
+      const drewAtExit = Boolean(
+        turtleData && ((turtleData.shapes?.length ?? 0) > 0 || (turtleData.cursors?.length ?? 0) > 0),
+      );
+      if (liveTurtle?.hasContent()) {
+        // The student watched it being drawn, so the finished drawing is shown as it
+        // stands rather than animated a second time. The exit payload wins when there
+        // is one: it is whole even if a batch went missing on the way.
+        if (exitCode === 0 || graphicsPolicy === 'livePreserveOnError') {
+          await showTurtle(drewAtExit ? turtleData : liveTurtle.snapshot(), false);
+          if (exitCode !== 0) append('\n[turtle: drawing kept as it was when the program stopped]\n', 'info');
+        } else {
+          clearTurtleCanvas();
+          append('\n[turtle: drawing cleared because the program did not finish]\n', 'info');
         }
+      } else if (exitCode === 0 && drewAtExit) {
+        // Without the live stream a drawing only opens on a clean finish, matching the
+        // buffered path: a program that crashed part-way must not flash a half drawing.
+        await showTurtle(turtleData, true);
+      }
+
+      // Charts follow the drawing's rules, and its reasons.
+      const chartedAtExit = Boolean(chartData?.charts?.length);
+      if (liveCharts) {
+        if (exitCode === 0 || graphicsPolicy === 'livePreserveOnError') {
+          renderCharts(chartedAtExit ? chartData : liveCharts.snapshot());
+        } else {
+          clearCharts();
+          append('\n[charts: cleared because the program did not finish]\n', 'info');
+        }
+      } else if (exitCode === 0 && chartedAtExit) {
+        renderCharts(chartData);
       }
 
       const footer = exitCode === 0 ? '[exit 0 ✓]' : `[exit code: ${exitCode}]`;
       append('\n' + footer, exitCode === 0 ? 'success' : 'error');
       setStatus(exitCode === 0 ? 'Ready ✅' : 'Runtime error ❌');
-      settle({ stdout: aggStdout, stderr: aggStderr, exitCode, durationMs: durationMs || 0 });
+      settle({
+        stdout: stdoutSoFar(),
+        stderr: aggStderr,
+        exitCode,
+        durationMs: durationMs || 0,
+        deterministic,
+        note: note ?? null,
+      });
     };
 
     setStatus('Running…');
 
     let sessionId = '';
+    let channelRun: ChannelRun | null = null;
 
     // Send one line to the program. The caret is hidden again immediately:
     // the program is now busy consuming that line, and the server will send a
@@ -337,11 +557,22 @@ export function runProgram(
     const submit = () => {
       if (!sessionId || settled) return;
       const value = input.value;
-      commitPendingStdout();
-      append(value + '\n');
       input.value = '';
-      inputLine.style.display = 'none';
       setStatus('Running…');
+      // A terminal echoes what it is sent, as any terminal does, so echoing here too
+      // would print every answer twice. It also takes input at any time, so the line
+      // stays open.
+      if (!terminalOpen) {
+        commitPendingStdout();
+        append(value + '\n');
+        inputLine.style.display = 'none';
+      }
+      // Over the socket the newline is part of the bytes, because offsets count
+      // exactly what the program receives; the HTTP route appends it server-side.
+      if (channelRun) {
+        channelRun.sendStdin(value + '\n');
+        return;
+      }
       fetch(`/api/run/interactive/${sessionId}/stdin`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
@@ -365,14 +596,73 @@ export function runProgram(
       append('\n[end of input]\n', 'info');
       inputLine.style.display = 'none';
       setStatus('Running…');
+      if (channelRun) {
+        channelRun.eof();
+        return;
+      }
       fetch(`/api/run/interactive/${sessionId}/eof`, { method: 'POST' }).catch(() => {});
     };
 
+    // A key, click or dialog answer from the turtle window, for the program's
+    // handlers. A refusal needs no message: the program ended, or never listened.
+    const sendGraphicsEvent = (event: TurtleWindowEvent) => {
+      if (!sessionId || settled) return;
+      if (channelRun) {
+        void channelRun.graphics(event);
+        return;
+      }
+      fetch(`/api/run/interactive/${sessionId}/graphics`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ event }),
+      }).catch(() => {});
+    };
+
     eofButton.addEventListener('click', event => {
       event.preventDefault();
       sendEof();
     });
 
+    const setRawInput = (raw: boolean) => {
+      if (!terminalView) return;
+      terminalView.setRawMode(raw);
+      modeButton.setAttribute('aria-pressed', String(raw));
+      // In raw mode Ctrl+D is a key like any other, sent to the program as it is typed.
+      caret.hidden = input.hidden = eofButton.hidden = raw;
+      if (!raw) input.focus();
+    };
+
+    modeButton.addEventListener('click', event => {
+      event.preventDefault();
+      setRawInput(!terminalView?.rawMode);
+    });
+
+    /**
+     * Switch the console to a terminal: the server has confirmed a pty run, either in
+     * `session.started` or - when that event was evicted before a reconnect - in the
+     * resume. A run that asked for one and got pipes never comes here.
+     */
+    const openTerminal = (size: { rows: number; cols: number } | null) => {
+      if (terminalView || settled) return;
+      const { rows, cols } = size ?? measureTerminal(panelContentEl);
+      terminalView = new TerminalView({
+        rows,
+        cols,
+        onInput: data => {
+          if (!settled) channelRun?.sendStdin(data);
+        },
+        onResize: (nextRows, nextCols) => channelRun?.resize(nextRows, nextCols),
+      });
+      commitPendingStdout();
+      outEl.appendChild(terminalView.element);
+      terminalOpen = true;
+      terminalView.observe(panelContentEl);
+      // A terminal takes input whenever it is typed - the program may be mid-output,
+      // and its read will find it - so the line is open from the start.
+      modeButton.hidden = false;
+      inputLine.style.display = '';
+    };
+
     input.addEventListener('keydown', (e) => {
       if (e.key === 'Enter') { e.preventDefault(); submit(); return; }
       // Ctrl+D on an EMPTY line only, matching a real terminal: with text typed,
@@ -396,7 +686,7 @@ export function runProgram(
        * student had already started another one would silently disown the new one, and
        * Stop would then do nothing for the rest of it.
        */
-      const session: ActiveSession = { sessionId: null, controller };
+      const session: ActiveSession = { sessionId: null, controller, channelRun: null };
       active = session;
       const releaseSession = () => {
         if (active === session) active = null;
@@ -408,6 +698,11 @@ export function runProgram(
       // anything typed before the prompt arrived got echoed above it.
       const showInput = () => {
         if (settled) return;
+        if (terminalView?.rawMode) {
+          setStatus(t('status.readyForInput'));
+          terminalView.focus();
+          return;
+        }
         if (inputLine.style.display !== 'none') { input.focus(); return; }
         inputLine.style.display = '';
         // Deliberately states the CAPABILITY, not a claim about the program.
@@ -426,27 +721,54 @@ export function runProgram(
           case 'session':
             sessionId = msg.sessionId;
             session.sessionId = sessionId;
+            if (msg.graphicsPolicy) graphicsPolicy = msg.graphicsPolicy;
+            if (msg.deterministic) deterministic = msg.deterministic;
             // The stream is live from here, so the caller can drop its spinner
             // and let the console own the panel.
             options.onStreamStart?.();
             break;
+          case 'started':
+            if (msg.graphicsPolicy) graphicsPolicy = msg.graphicsPolicy;
+            if (msg.deterministic) deterministic = msg.deterministic;
+            if (msg.transport === 'pty') openTerminal(msg.terminal ?? null);
+            break;
+          case 'graphics':
+            liveTurtle ??= startLiveTurtle({ resolveImage: options.resolveImage, onEvent: sendGraphicsEvent });
+            liveTurtle.apply(msg.batch);
+            for (const operation of msg.batch?.operations ?? []) {
+              if (operation?.op !== 'chart') continue;
+              liveCharts ??= startLiveCharts();
+              liveCharts.apply(operation.index, operation.chart);
+            }
+            break;
+          case 'resource.warning':
+            commitPendingStdout();
+            append(`\n[${msg.message}]\n`, 'info');
+            break;
           case 'stdout':
+            if (terminalOpen && terminalView) {
+              terminalView.write(msg.data);
+              break;
+            }
             aggStdout += msg.data;
             appendStdout(msg.data);
             break;
           case 'stderr':
             aggStderr += msg.data;
             commitPendingStdout();
-            append(msg.data, 'error');
+            appendStderr(msg.data);
             break;
           case 'waiting':
-            showInput();
+            // A scripted run's input is already closed: a prompt would take a line
+            // the program can never read.
+            if (!deterministic) showInput();
             break;
           case 'ping':
             break;
           case 'exit':
+            if (msg.deterministic) deterministic = msg.deterministic;
             releaseSession();
-            void finishRun(msg.exitCode, msg.durationMs, msg.note, msg.turtleData);
+            void finishRun(msg.exitCode, msg.durationMs, msg.note, msg.turtleData, msg.crash, msg.chartData);
             break;
           default:
             // Debug frames are namespaced `debug:` by the server so they can never
@@ -474,18 +796,126 @@ export function runProgram(
         }
       };
 
+      const showRefusal = (message: string) => {
+        append(message + '\n', 'error');
+        append('[exit code: 1]', 'error');
+        setStatus('Run failed');
+        settle({ stdout: '', stderr: message, exitCode: 1, durationMs: 0 });
+      };
+
+      // Compile / lint error: the program never started.
+      const showCompile = (c: any) => {
+        append(`── ${compileLabel(langId)} ──────────────────────────────────────\n`, 'info');
+        if (c.stderr) append(c.stderr, 'error');
+        append(`\n[exit code: ${c.exitCode ?? 1}]`, 'error');
+        setStatus('Compile error ❌');
+        settle({ stdout: '', stderr: c.stderr || '', exitCode: c.exitCode ?? 1, durationMs: c.durationMs || 0 });
+      };
+
+      const connectionLost = () => {
+        if (settled) return;
+        releaseSession();
+        append('\n[connection lost]\n', 'error');
+        setStatus('Run failed');
+        settle({ stdout: stdoutSoFar(), stderr: aggStderr, exitCode: -1, durationMs: 0 });
+      };
+
+      const requestBody = (files: unknown) => ({
+        ...payload,
+        ...(files ? { files } : {}),
+        language: langId,
+        // Omitted entirely unless asked for, so the request a v1 client sends is
+        // unchanged rather than carrying `debug: false`.
+        ...(options.debug ? { debug: options.record ? { record: true } : true } : {}),
+        ...(options.graphicsPolicy ? { graphicsPolicy: options.graphicsPolicy } : {}),
+        ...(options.deterministic ? { deterministic: options.deterministic } : {}),
+      });
+
+      /*
+       * The session socket, when this browser and network carry one.
+       *
+       * Resolves true once the run is over, false when no socket could be opened - a
+       * proxy that strips Upgrade, a school filter - in which case nothing was started
+       * and the NDJSON request below runs instead. Falling back only BEFORE the first
+       * open is what keeps this safe: after it, a drop is a reconnect, never a second
+       * program on the other transport.
+       */
+      const runOverChannel = (files: unknown, retriedAssets = false): Promise<boolean> =>
+        new Promise(done => {
+          const channel = sessionChannel();
+          if (!channel || controller.signal.aborted) {
+            done(false);
+            return;
+          }
+
+          const request = {
+            ...requestBody(files),
+            ...(options.terminal ? { transport: 'pty', terminal: measureTerminal(panelContentEl) } : {}),
+          };
+          const run = channel.start(request, (msg: ConsoleMessage) => {
+            switch (msg.type) {
+              case 'unavailable':
+                channelRun = null;
+                session.channelRun = null;
+                done(false);
+                return;
+              case 'refused': {
+                if (!isRefusal(msg)) return;
+                // The same one-shot asset retry as the NDJSON path below.
+                if (!retriedAssets && isMissingBlobResponse(msg.status, msg)) {
+                  const inlined = inlineMissingAssets(
+                    (payload.files || []) as Parameters<typeof inlineMissingAssets>[0],
+                    msg.missing,
+                  );
+                  void runOverChannel(inlined, true).then(done);
+                  return;
+                }
+                showRefusal(String(msg.error || `HTTP ${msg.status}`));
+                done(true);
+                return;
+              }
+              case 'compile':
+                showCompile(msg.compile);
+                done(true);
+                return;
+              case 'reconnecting':
+                setStatus('Reconnecting…');
+                return;
+              case 'resumed':
+                setStatus('Running…');
+                if (msg.transport === 'pty') openTerminal(null);
+                return;
+              case 'notice':
+                commitPendingStdout();
+                append('\n[some output was lost while the connection was down]\n', 'info');
+                return;
+              case 'lost':
+                connectionLost();
+                done(true);
+                return;
+              default:
+                handle(msg);
+                if (msg.type === 'exit') done(true);
+            }
+          });
+          channelRun = run;
+          session.channelRun = run;
+          // A Stop pressed before the name arrives still reaches the server: the
+          // channel sends it with the create's answer.
+          controller.signal.addEventListener('abort', () => {
+            if (!settled) settle({ stdout: stdoutSoFar(), stderr: aggStderr, exitCode: -1, durationMs: 0 });
+            done(true);
+          }, { once: true });
+        });
+
+      if (await runOverChannel(null)) return;
+      if (settled) return;
+
       try {
         const send = (files: unknown) => fetch('/api/run/interactive', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            ...payload,
-            ...(files ? { files } : {}),
-            language: langId,
-            // Omitted entirely unless asked for, so the request a v1 client sends is
-            // unchanged rather than carrying `debug: false`.
-            ...(options.debug ? { debug: true } : {}),
-          }),
+          body: JSON.stringify(requestBody(files)),
           signal: controller.signal,
         });
 
@@ -518,22 +948,12 @@ export function runProgram(
           const data = await resp.json().catch(() => null);
 
           if (!resp.ok) {
-            const msg = (data && data.error) || `HTTP ${resp.status}`;
-            append(msg + '\n', 'error');
-            append('[exit code: 1]', 'error');
-            setStatus('Run failed');
-            settle({ stdout: '', stderr: String(msg), exitCode: 1, durationMs: 0 });
+            showRefusal(String((data && data.error) || `HTTP ${resp.status}`));
             return;
           }
 
-          // Compile / lint error: the program never started.
           if (data && data.compile) {
-            const c = data.compile;
-            append(`── ${compileLabel(langId)} ──────────────────────────────────────\n`, 'info');
-            if (c.stderr) append(c.stderr, 'error');
-            append(`\n[exit code: ${c.exitCode ?? 1}]`, 'error');
-            setStatus('Compile error ❌');
-            settle({ stdout: '', stderr: c.stderr || '', exitCode: c.exitCode ?? 1, durationMs: c.durationMs || 0 });
+            showCompile(data.compile);
             return;
           }
 
@@ -567,23 +987,18 @@ export function runProgram(
         }
 
         // Stream ended without an exit event (server died / network dropped).
-        if (!settled) {
-          releaseSession();
-          append('\n[connection lost]\n', 'error');
-          setStatus('Run failed');
-          settle({ stdout: aggStdout, stderr: aggStderr, exitCode: -1, durationMs: 0 });
-        }
+        connectionLost();
       } catch (e: any) {
         if (settled) return;
         releaseSession();
         // An abort is a deliberate stop (new run / clear output), not a fault.
         if (e?.name === 'AbortError') {
-          settle({ stdout: aggStdout, stderr: aggStderr, exitCode: -1, durationMs: 0 });
+          settle({ stdout: stdoutSoFar(), stderr: aggStderr, exitCode: -1, durationMs: 0 });
           return;
         }
         append('\n' + String(e?.message || e) + '\n', 'error');
         setStatus('Run failed');
-        settle({ stdout: aggStdout, stderr: aggStderr, exitCode: -1, durationMs: 0 });
+        settle({ stdout: stdoutSoFar(), stderr: aggStderr, exitCode: -1, durationMs: 0 });
       }
     })();
   });
@@ -11,7 +11,8 @@
  */
 
 const DEFAULT_TOP = '90px';
-const DEFAULT_RIGHT = '24px';
+/** From whichever side the window opens on. */
+const DEFAULT_INSET = '24px';
 
 export interface PopupWindow {
   windowEl: HTMLElement;
@@ -72,18 +73,19 @@ export function getPopupWindow(
 /**
  * Reveal a popup window.
  *
- * A window that was hidden snaps back to the default top-right spot so it is
- * always on screen; one that is already open (a re-run) keeps whatever position
+ * A window that was hidden snaps back to its default spot - top right, or top left
+ * for one that opens beside another (the chart window beside the turtle's) - so it
+ * is always on screen; one that is already open (a re-run) keeps whatever position
  * the user dragged it to.
  */
-export function showPopupWindow(windowEl: HTMLElement): void {
+export function showPopupWindow(windowEl: HTMLElement, side: 'left' | 'right' = 'right'): void {
   const wasHidden = windowEl.classList.contains('hidden');
   windowEl.classList.remove('hidden');
   if (!wasHidden) return;
 
-  windowEl.style.left   = 'auto';
+  windowEl.style.left   = side === 'left' ? DEFAULT_INSET : 'auto';
   windowEl.style.top    = DEFAULT_TOP;
-  windowEl.style.right  = DEFAULT_RIGHT;
+  windowEl.style.right  = side === 'left' ? 'auto' : DEFAULT_INSET;
   windowEl.style.bottom = 'auto';
 }
 
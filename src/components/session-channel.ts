@@ -0,0 +1,572 @@
+//
+// The session WebSocket: one connection for every run, and the reason a dropped
+// connection no longer loses a program's output.
+//
+// The NDJSON transport ties a run's output to one HTTP response. When a classroom's
+// Wi-Fi blinks, the response dies and so does everything after it - the program is
+// still running on the server, and the student is told "[connection lost]". This
+// channel speaks the protocol in server/http/routes/session-socket.mjs instead
+// (blueprint section 11.1), where the loss is recoverable:
+//
+//   - every event carries a sequence number; after a reconnect the channel resumes
+//     from the last one it saw and the server replays the rest, or says plainly that
+//     it cannot (`replay.unavailable`) - which is shown, never papered over;
+//   - stdin is a byte stream with offsets, and only the bytes the server has not
+//     acknowledged are resent, so a line typed as the network dropped arrives exactly
+//     once;
+//   - commands carry IDs the server deduplicates, and a create is retried with the
+//     same ID, so a reconnect can never start the program twice.
+//
+// The console does not learn a new protocol. Sequenced events are translated back into
+// the v1 message shapes it already handles - `session`, `stdout`, `waiting`, `exit`,
+// `debug:*` - so the NDJSON path stays as the fallback with nothing duplicated.
+//
+// No DOM here, and the WebSocket constructor is injected: the reconnect logic is the
+// part worth testing, and it is testable under node with a fake socket.
+
+/** The subset of the browser WebSocket this module uses. */
+export interface SessionSocketLike {
+  readonly readyState: number;
+  onopen: ((event: unknown) => void) | null;
+  onmessage: ((event: { data: unknown }) => void) | null;
+  onclose: ((event: unknown) => void) | null;
+  onerror: ((event: unknown) => void) | null;
+  send(data: string): void;
+  close(code?: number, reason?: string): void;
+}
+
+/** A v1-shaped console message, as `runProgram` already understands it. */
+export type ConsoleMessage = { readonly type: string; readonly [key: string]: unknown };
+
+/**
+ * The server turning a run away before it started. `missing` is set on a 409
+ * `blob_missing`: the asset digests the replica does not hold, which the caller
+ * re-sends inline exactly once.
+ */
+export interface RefusedMessage extends ConsoleMessage {
+  readonly type: 'refused';
+  readonly status: number;
+  readonly error?: string;
+  readonly code?: string;
+  readonly missing?: string[];
+}
+
+/** Whether `message` is a refusal, with its fields typed. */
+export function isRefusal(message: ConsoleMessage): message is RefusedMessage {
+  return message.type === 'refused';
+}
+
+export interface SessionChannelOptions {
+  /** Defaults to /api/session on the page's own host. */
+  url?: string;
+  createSocket?: (url: string) => SessionSocketLike;
+  /** Injected for tests; defaults to Math.random. */
+  random?: () => number;
+  setTimer?: (callback: () => void, ms: number) => unknown;
+  clearTimer?: (handle: unknown) => void;
+  /** Reconnect attempts before a run is reported lost. */
+  maxReconnectAttempts?: number;
+}
+
+export interface ChannelRun {
+  /** Null until the server has created the session. */
+  readonly sessionId: string | null;
+  /** Queue bytes for the program's stdin. Resent after a reconnect until acknowledged. */
+  sendStdin(text: string): void;
+  /** End of input, as Ctrl+D. */
+  eof(): void;
+  /**
+   * Ask the server to stop the program, and stop listening to it.
+   *
+   * The run stays on the channel until the server confirms, so a Stop pressed while
+   * the program is still compiling - or while the socket is down - is delivered when
+   * it can be, rather than leaving a program that runs until its grace period ends.
+   */
+  stop(): void;
+  /** Send a debug command. Resolves with the server's verdict. */
+  debug(command: string, args?: Record<string, unknown>): Promise<{ ok: boolean; status?: number; error?: string }>;
+  /**
+   * A key, click, dialog answer or close from the turtle window (blueprint section
+   * 65). Resent after a reconnect like any command, and never twice: a dialog answer
+   * delivered twice would answer the next question as well.
+   */
+  graphics(event: Record<string, unknown>): Promise<{ ok: boolean; status?: number; error?: string }>;
+  /**
+   * The terminal's new size, for a `pty` run. Only the latest size matters, so it is
+   * not queued like input: it is sent now if it can be, and again after a reconnect.
+   */
+  resize(rows: number, cols: number): void;
+}
+
+const OPEN = 1;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 10000;
+/** Longer than this without any frame and the socket is presumed dead. */
+const HEARTBEAT_INTERVAL_MS = 15000;
+/** Below the server's per-frame stdin bound, so a long paste is split rather than refused. */
+const MAX_STDIN_CHUNK_CHARS = 4000;
+
+let commandCounter = 0;
+
+/** An ID that is unique for this page and unguessable enough to scope a create. */
+export function newCommandId(): string {
+  commandCounter += 1;
+  const random = Math.random().toString(36).slice(2, 10);
+  return `${Date.now().toString(36)}-${commandCounter.toString(36)}-${random}`;
+}
+
+/**
+ * Delay before reconnect attempt `attempt` (0-based): exponential, capped, and
+ * jittered across the upper half of the window. Without the jitter a classroom whose
+ * access point restarts reconnects thirty laptops in the same millisecond, every time.
+ */
+export function reconnectDelay(attempt: number, random: () => number = Math.random): number {
+  const ceiling = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** Math.max(0, attempt));
+  return Math.floor(ceiling / 2 + random() * (ceiling / 2));
+}
+
+const utf8 = new TextEncoder();
+
+interface PendingStdin {
+  offset: number;
+  data: string;
+  end: number;
+}
+
+interface PendingCommand {
+  message: Record<string, unknown>;
+  resolve?: (verdict: { ok: boolean; status?: number; error?: string }) => void;
+}
+
+interface RunState {
+  clientCommandId: string;
+  request: Record<string, unknown>;
+  sessionId: string | null;
+  onMessage: (message: ConsoleMessage) => void;
+  lastSequence: number;
+  stdinOffset: number;
+  stdin: PendingStdin[];
+  commands: Map<string, PendingCommand>;
+  terminalSize: { rows: number; cols: number } | null;
+  finished: boolean;
+}
+
+/**
+ * One WebSocket carrying any number of runs.
+ *
+ * The socket is opened on the first `start()` and then kept, as section 11 asks; it
+ * is reopened after a loss only while a run needs it, so an idle tab whose socket
+ * dropped does not reconnect until the next Run.
+ */
+export class SessionChannel {
+  private readonly url: string;
+  private readonly createSocket: (url: string) => SessionSocketLike;
+  private readonly random: () => number;
+  private readonly setTimer: (callback: () => void, ms: number) => unknown;
+  private readonly clearTimer: (handle: unknown) => void;
+  private readonly maxReconnectAttempts: number;
+
+  private socket: SessionSocketLike | null = null;
+  private connected = false;
+  /** Whether any socket from this channel has ever opened - the fallback signal. */
+  private everConnected = false;
+  private attempts = 0;
+  private reconnectTimer: unknown = null;
+  private heartbeatTimer: unknown = null;
+  private lastFrameAt = 0;
+  private readonly runs = new Set<RunState>();
+
+  constructor(options: SessionChannelOptions = {}) {
+    this.url = options.url ?? defaultSocketUrl();
+    this.createSocket = options.createSocket ?? (url => new WebSocket(url) as unknown as SessionSocketLike);
+    this.random = options.random ?? Math.random;
+    this.setTimer = options.setTimer ?? ((callback, ms) => setTimeout(callback, ms));
+    this.clearTimer = options.clearTimer ?? (handle => clearTimeout(handle as ReturnType<typeof setTimeout>));
+    this.maxReconnectAttempts = options.maxReconnectAttempts ?? 8;
+  }
+
+  /**
+   * Create a session and stream its events to `onMessage` in v1 shapes.
+   *
+   * `onMessage` receives, in order: `session` (or `compile` / `refused`), `started`
+   * with the transport the run got, then `stdout` / `stderr` / `waiting` / `debug:*`,
+   * then `exit` - or `unavailable` if no
+   * socket could be opened at all, or `lost` if the session could not be recovered.
+   * `reconnecting`, `resumed` and `notice` report the connection in between.
+   */
+  start(request: Record<string, unknown>, onMessage: (message: ConsoleMessage) => void): ChannelRun {
+    const run: RunState = {
+      clientCommandId: newCommandId(),
+      request,
+      sessionId: null,
+      onMessage,
+      lastSequence: 0,
+      stdinOffset: 0,
+      stdin: [],
+      commands: new Map(),
+      terminalSize: null,
+      finished: false,
+    };
+    this.runs.add(run);
+
+    if (this.connected) this.sendCreate(run);
+    else this.connect();
+
+    return {
+      get sessionId() {
+        return run.sessionId;
+      },
+      sendStdin: text => this.queueStdin(run, text),
+      eof: () => void this.command(run, 'control', { command: 'eof' }),
+      stop: () => {
+        run.onMessage = () => {};
+        void this.command(run, 'control', { command: 'stop' }).then(() => this.finish(run));
+      },
+      debug: (command, args = {}) => this.command(run, 'debug', { command, args }),
+      graphics: event => this.command(run, 'graphics', { event }),
+      resize: (rows, cols) => {
+        if (run.finished) return;
+        run.terminalSize = { rows, cols };
+        this.sendResize(run);
+      },
+    };
+  }
+
+  // ── connection ────────────────────────────────────────────────────────────
+
+  private connect(): void {
+    if (this.socket || this.runs.size === 0) return;
+
+    // A reconnect names a session, so a replica that does not own it can hand the
+    // socket to the one that does before accepting it.
+    const resumable = [...this.runs].find(run => run.sessionId);
+    const url = resumable
+      ? `${this.url}${this.url.includes('?') ? '&' : '?'}resume=${encodeURIComponent(resumable.sessionId!)}`
+      : this.url;
+
+    let socket: SessionSocketLike;
+    try {
+      socket = this.createSocket(url);
+    } catch {
+      this.handleClose();
+      return;
+    }
+    this.socket = socket;
+
+    socket.onopen = () => {
+      if (this.socket !== socket) return;
+      this.connected = true;
+      this.everConnected = true;
+      this.attempts = 0;
+      this.lastFrameAt = Date.now();
+      this.armHeartbeat();
+      for (const run of this.runs) {
+        if (run.sessionId) this.send({ type: 'session.resume', sessionId: run.sessionId, lastAcknowledgedSequence: run.lastSequence });
+        else this.sendCreate(run);
+      }
+    };
+    socket.onmessage = event => {
+      if (this.socket !== socket) return;
+      this.lastFrameAt = Date.now();
+      if (typeof event.data !== 'string') return;
+      let message: any;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      if (message && typeof message === 'object') this.receive(message);
+    };
+    socket.onclose = () => {
+      if (this.socket === socket) this.handleClose();
+    };
+    // An error is always followed by a close; the close is where recovery happens.
+    socket.onerror = () => {};
+  }
+
+  private handleClose(): void {
+    this.socket = null;
+    this.connected = false;
+    if (this.heartbeatTimer !== null) this.clearTimer(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    if (this.runs.size === 0) return;
+
+    // Never opened at all: this network or proxy does not carry WebSockets. Said once,
+    // so the console can fall back to NDJSON rather than retrying into a wall.
+    if (!this.everConnected) {
+      for (const run of [...this.runs]) {
+        this.finish(run);
+        run.onMessage({ type: 'unavailable' });
+      }
+      return;
+    }
+
+    if (this.attempts >= this.maxReconnectAttempts) {
+      for (const run of [...this.runs]) {
+        this.finish(run);
+        run.onMessage({ type: 'lost' });
+      }
+      return;
+    }
+
+    for (const run of this.runs) run.onMessage({ type: 'reconnecting' });
+    const delay = reconnectDelay(this.attempts, this.random);
+    this.attempts += 1;
+    this.reconnectTimer = this.setTimer(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  /**
+   * Application-level ping.
+   *
+   * Browsers answer protocol pings without telling the page, so a socket whose peer
+   * vanished looks open until TCP gives up minutes later. Anything received counts as
+   * life; silence for two intervals is a dead socket, and closing it starts the
+   * reconnect.
+   */
+  private armHeartbeat(): void {
+    this.heartbeatTimer = this.setTimer(() => {
+      this.heartbeatTimer = null;
+      if (!this.connected || !this.socket) return;
+      if (Date.now() - this.lastFrameAt > HEARTBEAT_INTERVAL_MS * 2) {
+        const dead = this.socket;
+        this.handleClose();
+        try { dead.close(); } catch { /* already gone */ }
+        return;
+      }
+      this.send({ type: 'ping' });
+      this.armHeartbeat();
+    }, HEARTBEAT_INTERVAL_MS);
+  }
+
+  private send(message: Record<string, unknown>): boolean {
+    if (!this.connected || !this.socket || this.socket.readyState !== OPEN) return false;
+    try {
+      this.socket.send(JSON.stringify(message));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  private sendCreate(run: RunState): void {
+    this.send({ type: 'session.create', clientCommandId: run.clientCommandId, request: run.request });
+  }
+
+  private finish(run: RunState): void {
+    run.finished = true;
+    this.runs.delete(run);
+    for (const pending of run.commands.values()) pending.resolve?.({ ok: false });
+    run.commands.clear();
+    if (this.runs.size === 0) {
+      if (this.reconnectTimer !== null) this.clearTimer(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  private runFor(message: any): RunState | null {
+    for (const run of this.runs) {
+      if (message.clientCommandId && run.clientCommandId === message.clientCommandId) return run;
+      if (message.sessionId && run.sessionId === message.sessionId) return run;
+    }
+    return null;
+  }
+
+  // ── input and commands ────────────────────────────────────────────────────
+
+  private queueStdin(run: RunState, text: string): void {
+    if (run.finished) return;
+    // Split by code point, so no chunk boundary falls inside a surrogate pair and
+    // every chunk's byte length is what the server will count.
+    const codePoints = Array.from(text);
+    for (let start = 0; start < codePoints.length; start += MAX_STDIN_CHUNK_CHARS) {
+      const data = codePoints.slice(start, start + MAX_STDIN_CHUNK_CHARS).join('');
+      const end = run.stdinOffset + utf8.encode(data).length;
+      const chunk = { offset: run.stdinOffset, data, end };
+      run.stdinOffset = end;
+      run.stdin.push(chunk);
+      if (run.sessionId) this.send({ type: 'stdin', sessionId: run.sessionId, offset: chunk.offset, data: chunk.data });
+    }
+  }
+
+  /** Drop what the server has, resend what it does not - never more. */
+  private acknowledgeStdin(run: RunState, acknowledged: number, resend: boolean): void {
+    run.stdin = run.stdin.filter(chunk => chunk.end > acknowledged);
+    if (!resend || !run.sessionId) return;
+    for (const chunk of run.stdin) {
+      this.send({ type: 'stdin', sessionId: run.sessionId, offset: chunk.offset, data: chunk.data });
+    }
+  }
+
+  private command(
+    run: RunState,
+    type: 'control' | 'debug' | 'graphics',
+    fields: Record<string, unknown>,
+  ): Promise<{ ok: boolean; status?: number; error?: string }> {
+    if (run.finished) return Promise.resolve({ ok: false });
+    const commandId = newCommandId();
+    return new Promise(resolve => {
+      const message = { type, commandId, ...fields };
+      run.commands.set(commandId, { message, resolve });
+      if (run.sessionId) this.send({ ...message, sessionId: run.sessionId });
+    });
+  }
+
+  private resendCommands(run: RunState): void {
+    if (!run.sessionId) return;
+    for (const pending of run.commands.values()) this.send({ ...pending.message, sessionId: run.sessionId });
+  }
+
+  private sendResize(run: RunState): void {
+    if (run.sessionId && run.terminalSize) this.send({ type: 'resize', sessionId: run.sessionId, ...run.terminalSize });
+  }
+
+  // ── incoming ──────────────────────────────────────────────────────────────
+
+  private receive(message: any): void {
+    if (typeof message.sequence === 'number') {
+      const run = this.runFor(message);
+      if (run) this.deliverEvent(run, message);
+      return;
+    }
+
+    const run = this.runFor(message);
+    if (!run) return;
+
+    switch (message.type) {
+      case 'session.created':
+        if (run.sessionId) return;
+        run.sessionId = message.sessionId;
+        run.onMessage({ type: 'session', sessionId: message.sessionId });
+        // Anything typed or clicked before the name arrived goes out now.
+        this.acknowledgeStdin(run, 0, true);
+        this.resendCommands(run);
+        this.sendResize(run);
+        return;
+      case 'session.compile':
+        this.finish(run);
+        run.onMessage({ type: 'compile', compile: message.compile });
+        return;
+      case 'session.refused':
+        this.finish(run);
+        run.onMessage({
+          ...message,
+          type: 'refused',
+          status: Number(message.status) || 0,
+          missing: Array.isArray(message.missing) ? message.missing.map(String) : undefined,
+        } satisfies RefusedMessage);
+        return;
+      case 'session.resumed':
+        run.onMessage({ type: 'resumed', transport: message.transport ?? 'pipes' });
+        this.acknowledgeStdin(run, Number(message.stdinAcknowledged) || 0, true);
+        this.resendCommands(run);
+        // The panel may have changed size while the socket was down.
+        this.sendResize(run);
+        return;
+      case 'replay.unavailable':
+        run.onMessage({ type: 'notice', reason: 'replay-unavailable' });
+        return;
+      case 'session.unknown':
+      case 'session.detached':
+        this.finish(run);
+        run.onMessage({ type: 'lost' });
+        return;
+      case 'stdin.ack':
+        this.acknowledgeStdin(run, Number(message.offset) || 0, false);
+        return;
+      case 'stdin.rejected':
+        // A gap means bytes the server never received lie before this chunk - resend
+        // everything after its high-water mark, in order.
+        // Any other refusal is final, and resending would only repeat it.
+        if (message.reason === 'gap') this.acknowledgeStdin(run, Number(message.acknowledged) || 0, true);
+        else run.stdin = [];
+        return;
+      case 'command.ack':
+      case 'command.error': {
+        const pending = run.commands.get(message.commandId);
+        run.commands.delete(message.commandId);
+        pending?.resolve?.(
+          message.type === 'command.ack'
+            ? { ok: true }
+            : { ok: false, status: message.status, error: message.error },
+        );
+        return;
+      }
+      default:
+    }
+  }
+
+  private deliverEvent(run: RunState, event: any): void {
+    // At-least-once on the wire, exactly-once here: a replay overlapping what arrived
+    // just before the drop is discarded by sequence.
+    if (event.sequence <= run.lastSequence) return;
+    run.lastSequence = event.sequence;
+
+    const payload = event.payload ?? {};
+    switch (event.type) {
+      case 'session.started':
+        // Which transport the server actually gave the run: a `pty` request is
+        // answered with `pipes` where the server cannot provide a terminal. The
+        // graphics policy likewise, and only from a server that knows of one.
+        run.onMessage({
+          type: 'started',
+          transport: payload.transport ?? 'pipes',
+          terminal: payload.terminal ?? null,
+          ...(payload.graphicsPolicy ? { graphicsPolicy: payload.graphicsPolicy } : {}),
+          ...(payload.deterministic ? { deterministic: payload.deterministic } : {}),
+        });
+        return;
+      case 'stdout':
+      case 'stderr':
+        run.onMessage({ type: event.type, data: String(payload.text ?? '') });
+        return;
+      case 'input.available':
+        run.onMessage({ type: 'waiting' });
+        return;
+      case 'debug.event':
+        if (typeof payload.type === 'string') run.onMessage(payload);
+        return;
+      // Live graphics, as the NDJSON stream carries them. A batch is never replayed,
+      // so one lost to a reconnect shows up as a hole in the batch sequence - which
+      // the scene reducer notices - rather than here.
+      case 'graphics.batch':
+        run.onMessage({ type: 'graphics', batch: payload });
+        return;
+      case 'resource.warning':
+        run.onMessage({ ...payload, type: 'resource.warning' });
+        return;
+      case 'session.exited':
+        this.finish(run);
+        run.onMessage({
+          type: 'exit',
+          exitCode: payload.exitCode,
+          durationMs: payload.durationMs,
+          note: payload.note ?? null,
+          turtleData: payload.turtleData ?? null,
+          chartData: payload.chartData ?? null,
+          terminationReason: payload.reason,
+          crash: payload.crash ?? null,
+          deterministic: payload.deterministic ?? null,
+        });
+        return;
+      default:
+        // Types from a newer server: nothing the console shows.
+    }
+  }
+}
+
+function defaultSocketUrl(): string {
+  const { protocol, host } = globalThis.location ?? { protocol: 'http:', host: 'localhost' };
+  return `${protocol === 'https:' ? 'wss:' : 'ws:'}//${host}/api/session`;
+}
+
+let shared: SessionChannel | null = null;
+
+/** The page's channel, or null where the browser has no WebSocket. */
+export function sessionChannel(): SessionChannel | null {
+  if (typeof WebSocket === 'undefined') return null;
+  shared ??= new SessionChannel();
+  return shared;
+}
@@ -2,6 +2,8 @@ import {
   themeSel,
   sidebarEl,
   panelEl,
+  langSel,
+  versionSel,
 } from "./dom";
 
 // ===== Settings Management (localStorage) =====
@@ -12,6 +14,9 @@ export interface IDESettings {
   sidebarWidth: number;
   panelHeight: number;
   panelCollapsed: boolean;
+  /** The project's language and version, for a project with no file open to say. */
+  language?: string;
+  version?: string;
 }
 
 /**
@@ -48,6 +53,33 @@ export const DEFAULT_SETTINGS: IDESettings = {
   panelCollapsed: false,
 };
 
+const SETTINGS_KEY = 'browser-coder-settings';
+
+/**
+ * The project whose settings these are, or null outside projects (embedded, or a
+ * standalone page that could not open the registry).
+ *
+ * The theme belongs to the student and stays in the one unscoped key. The layout, the
+ * panel state and the language belong to the project, in `browser-coder-settings:<id>`,
+ * so switching from a web page to a Python exercise brings back that exercise's
+ * panels and language. A project with no settings yet reads the unscoped ones: the
+ * first project is the old workspace, and opens looking the way it always did.
+ */
+let projectScope: string | null = null;
+
+export function setSettingsScope(projectId: string | null): void {
+  projectScope = projectId;
+}
+
+function projectKey(projectId: string): string {
+  return `${SETTINGS_KEY}:${projectId}`;
+}
+
+function readSettings(key: string): Partial<IDESettings> {
+  const saved = localStorage.getItem(key);
+  return saved ? JSON.parse(saved) : {};
+}
+
 export function loadSettings(): IDESettings {
   // The OS preference is the default, and a stored choice overrides it. Spread in
   // this order so a student who has never touched the selector follows their system
@@ -55,10 +87,8 @@ export function loadSettings(): IDESettings {
   const defaults: IDESettings = { ...DEFAULT_SETTINGS, theme: preferredTheme() };
 
   try {
-    const saved = localStorage.getItem('browser-coder-settings');
-    if (saved) {
-      return { ...defaults, ...JSON.parse(saved) };
-    }
+    const project = projectScope ? readSettings(projectKey(projectScope)) : {};
+    return { ...defaults, ...readSettings(SETTINGS_KEY), ...project };
   } catch (e) {
     console.warn('Failed to load settings:', e);
   }
@@ -75,9 +105,44 @@ export function saveSettings(): void {
       panelHeight: panelEl.offsetHeight,
       panelCollapsed: panelEl.classList.contains('collapsed'),
     };
-    localStorage.setItem('browser-coder-settings', JSON.stringify(settings));
+    if (!projectScope) {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+      return;
+    }
+
+    const { theme, ...project } = settings;
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...readSettings(SETTINGS_KEY), theme }));
+    localStorage.setItem(projectKey(projectScope), JSON.stringify({
+      ...project,
+      language: langSel.value || undefined,
+      version: versionSel.value || undefined,
+    }));
+  } catch (e) {
+    console.warn('Failed to save settings:', e);
+  }
+}
+
+/** Start a project's settings from these - a new project's language, say. */
+export function seedProjectSettings(projectId: string, settings: Partial<IDESettings>): void {
+  try {
+    localStorage.setItem(projectKey(projectId), JSON.stringify(settings));
   } catch (e) {
     console.warn('Failed to save settings:', e);
   }
 }
 
+/** A duplicated project opens with the layout and language of the one it copies. */
+export function copyProjectSettings(fromProjectId: string, toProjectId: string): void {
+  const saved = localStorage.getItem(projectKey(fromProjectId));
+  if (saved) seedProjectSettings(toProjectId, JSON.parse(saved));
+}
+
+export function removeProjectSettings(projectId: string): void {
+  localStorage.removeItem(projectKey(projectId));
+}
+
+/** Clear Cache: the unscoped settings, and this project's. */
+export function clearSettings(): void {
+  localStorage.removeItem(SETTINGS_KEY);
+  if (projectScope) removeProjectSettings(projectScope);
+}
@@ -0,0 +1,792 @@
+//
+// The terminal model behind the run console's `pty` mode (blueprint section 11.4).
+//
+// A program given a real terminal writes to it the way it would to xterm: colours as
+// SGR sequences, a progress bar as `\r` and an overwrite, a text game as cursor moves
+// and clear-screen. Rendered as literal text - what the console does for a piped
+// run, and must keep doing - all of that is noise: `[31m` in front of every error,
+// a hundred progress lines instead of one, a maze drawn as escape codes.
+//
+// This is the part that interprets it: a grid of styled cells, a cursor, bounded
+// scrollback, and a streaming parser whose state survives chunk boundaries, since a
+// sequence split across two WebSocket frames is routine. It covers what student
+// programs actually emit - colorama, ANSI-aware `print`, Console.ForegroundColor,
+// curses-style full-screen games - not every VT extension; anything unrecognised is
+// consumed and ignored rather than printed.
+//
+// No DOM here. terminal-view.ts draws it; this module is tested under node.
+
+/** A palette index (0-255) or a `#rrggbb` truecolour. */
+export type TerminalColor = number | string;
+
+export interface CellStyle {
+  readonly fg: TerminalColor | null;
+  readonly bg: TerminalColor | null;
+  readonly bold: boolean;
+  readonly dim: boolean;
+  readonly italic: boolean;
+  readonly underline: boolean;
+  readonly inverse: boolean;
+}
+
+export interface Cell {
+  readonly ch: string;
+  readonly style: CellStyle;
+}
+
+/** Consecutive cells sharing one style, as the renderer draws them. */
+export interface TextRun {
+  readonly text: string;
+  readonly style: CellStyle;
+}
+
+export interface ScreenChanges {
+  /** Lines dropped from the front of scrollback since the last call. */
+  readonly removed: number;
+  /** Indexes, after `removed` is applied, of lines to redraw. */
+  readonly dirty: number[];
+  /** Lines worth showing: through the last with content, or the cursor's. */
+  readonly lineCount: number;
+}
+
+export interface TerminalScreenOptions {
+  rows?: number;
+  cols?: number;
+  /** Lines kept above the screen. Older lines are dropped. */
+  maxScrollback?: number;
+  /**
+   * Bytes the terminal sends back to the program: answers to a cursor-position or
+   * device-attributes query. A program that asks and gets no answer can hang waiting.
+   */
+  onReply?: (data: string) => void;
+}
+
+const DEFAULT_STYLE: CellStyle = Object.freeze({
+  fg: null,
+  bg: null,
+  bold: false,
+  dim: false,
+  italic: false,
+  underline: false,
+  inverse: false,
+});
+
+const BLANK: Cell = Object.freeze({ ch: ' ', style: DEFAULT_STYLE });
+
+/** Interned, so a run boundary is a reference comparison. */
+const styles = new Map<string, CellStyle>([[styleKey(DEFAULT_STYLE), DEFAULT_STYLE]]);
+
+function styleKey(style: CellStyle): string {
+  return `${style.fg}|${style.bg}|${+style.bold}${+style.dim}${+style.italic}${+style.underline}${+style.inverse}`;
+}
+
+function intern(style: CellStyle): CellStyle {
+  const key = styleKey(style);
+  let known = styles.get(key);
+  if (!known) {
+    known = Object.freeze({ ...style });
+    styles.set(key, known);
+  }
+  return known;
+}
+
+const TAB_WIDTH = 8;
+const COMBINING = /\p{M}/u;
+
+type ParserState = 'ground' | 'escape' | 'charset' | 'csi' | 'osc' | 'oscEscape';
+
+/**
+ * The xterm 256-colour palette entry for an index above 15, as `#rrggbb`.
+ * 16-231 are a 6x6x6 cube, 232-255 a grey ramp. 0-15 are themed, so the renderer
+ * maps those to CSS instead.
+ */
+export function paletteColor(index: number): string {
+  const hex = (value: number) => value.toString(16).padStart(2, '0');
+  if (index >= 232) {
+    const level = 8 + (index - 232) * 10;
+    return `#${hex(level)}${hex(level)}${hex(level)}`;
+  }
+  const cube = index - 16;
+  const step = (value: number) => (value === 0 ? 0 : 55 + value * 40);
+  return `#${hex(step(Math.floor(cube / 36)))}${hex(step(Math.floor(cube / 6) % 6))}${hex(step(cube % 6))}`;
+}
+
+export class TerminalScreen {
+  rows: number;
+  cols: number;
+
+  /** Scrollback followed by the screen; the screen is the last `rows` lines. */
+  private lines: Cell[][] = [];
+  private readonly maxScrollback: number;
+  private readonly onReply: (data: string) => void;
+
+  /** Cursor, relative to the top of the screen. `col === cols` is a pending wrap. */
+  private row = 0;
+  private col = 0;
+  private saved = { row: 0, col: 0, style: DEFAULT_STYLE };
+  private style: CellStyle = DEFAULT_STYLE;
+  cursorVisible = true;
+
+  /** DECSTBM, inclusive, relative to the screen top. */
+  private scrollTop = 0;
+  private scrollBottom = 0;
+
+  /** The main screen while a full-screen program has the alternate one. */
+  private mainScreen: { lines: Cell[][]; row: number; col: number } | null = null;
+
+  private state: ParserState = 'ground';
+  private params = '';
+
+  /** Absolute line numbers (index + removedTotal) changed since `takeChanges`. */
+  private dirty = new Set<number>();
+  private removedTotal = 0;
+  private removedSinceTake = 0;
+
+  /**
+   * What the program printed, minus every control sequence and with `\r\n` read as
+   * one newline. Not what is on screen - a redrawn progress bar appears once per
+   * redraw - but the text the run result and the error parsers need, which must not
+   * carry colour codes into a diagnostic message.
+   */
+  transcript = '';
+
+  constructor(options: TerminalScreenOptions = {}) {
+    this.rows = Math.max(1, options.rows ?? 24);
+    this.cols = Math.max(1, options.cols ?? 80);
+    this.maxScrollback = options.maxScrollback ?? 5000;
+    this.onReply = options.onReply ?? (() => {});
+    for (let i = 0; i < this.rows; i++) this.lines.push([]);
+    this.scrollBottom = this.rows - 1;
+  }
+
+  /** Where the cursor is, as an index into `lineAt`, and its column. */
+  get cursor(): { line: number; col: number } {
+    return { line: this.screenTop + this.row, col: Math.min(this.col, this.cols - 1) };
+  }
+
+  private get screenTop(): number {
+    return this.lines.length - this.rows;
+  }
+
+  /** Feed output. `record: false` draws without adding to `transcript` - console notes. */
+  write(data: string, { record = true }: { record?: boolean } = {}): void {
+    for (const ch of data) this.consume(ch, record);
+  }
+
+  /** The line's cells merged into runs of one style, trailing blanks dropped. */
+  runs(index: number): TextRun[] {
+    const line = this.lines[index] ?? [];
+    let end = line.length;
+    while (end > 0 && line[end - 1].ch === ' ' && line[end - 1].style.bg === null && !line[end - 1].style.inverse) end--;
+
+    const runs: TextRun[] = [];
+    let text = '';
+    let style: CellStyle | null = null;
+    for (let i = 0; i < end; i++) {
+      const cell = line[i] ?? BLANK;
+      if (cell.style !== style && text) {
+        runs.push({ text, style: style! });
+        text = '';
+      }
+      style = cell.style;
+      text += cell.ch;
+    }
+    if (text) runs.push({ text, style: style! });
+    return runs;
+  }
+
+  /** The plain text of one line, for tests and copy. */
+  lineText(index: number): string {
+    return this.runs(index).map(run => run.text).join('');
+  }
+
+  get lineCount(): number {
+    let last = this.lines.length - 1;
+    while (last > this.screenTop + this.row && this.lines[last].length === 0) last--;
+    return last + 1;
+  }
+
+  takeChanges(): ScreenChanges {
+    const dirty: number[] = [];
+    for (const absolute of this.dirty) {
+      const index = absolute - this.removedTotal;
+      if (index >= 0 && index < this.lines.length) dirty.push(index);
+    }
+    dirty.sort((a, b) => a - b);
+    const changes = { removed: this.removedSinceTake, dirty, lineCount: this.lineCount };
+    this.dirty.clear();
+    this.removedSinceTake = 0;
+    return changes;
+  }
+
+  /**
+   * Change the window size. Columns do not reflow - neither does a real terminal's
+   * history - and rows are taken from or given to the scrollback at the top, so the
+   * cursor stays on the line it was on.
+   */
+  resize(rows: number, cols: number): void {
+    rows = Math.max(1, Math.floor(rows));
+    cols = Math.max(1, Math.floor(cols));
+    if (rows === this.rows && cols === this.cols) return;
+
+    if (rows < this.rows) {
+      // Blank lines below the cursor go first, so a short program's output does not
+      // scroll away just because the panel got smaller.
+      let excess = this.rows - rows;
+      while (excess > 0 && this.lines.length - 1 > this.screenTop + this.row && this.lines[this.lines.length - 1].length === 0) {
+        this.lines.pop();
+        excess--;
+      }
+      this.row = Math.max(0, this.row - excess);
+    } else {
+      for (let i = this.rows; i < rows; i++) this.lines.push([]);
+    }
+
+    this.rows = rows;
+    this.cols = cols;
+    this.col = Math.min(this.col, cols);
+    this.scrollTop = 0;
+    this.scrollBottom = rows - 1;
+    this.trimScrollback();
+    this.markAll();
+  }
+
+  // ── parser ────────────────────────────────────────────────────────────────
+
+  private consume(ch: string, record: boolean): void {
+    switch (this.state) {
+      case 'ground':
+        this.ground(ch, record);
+        return;
+      case 'escape':
+        this.escape(ch);
+        return;
+      case 'charset':
+        // ESC ( B and friends select a character set. Everything here is UTF-8.
+        this.state = 'ground';
+        return;
+      case 'csi':
+        if (ch >= '@' && ch <= '~') {
+          const params = this.params;
+          this.state = 'ground';
+          this.params = '';
+          this.csi(params, ch);
+        } else if (this.params.length < 64) {
+          this.params += ch;
+        }
+        return;
+      case 'osc':
+        // Window titles and hyperlinks. Consumed so they never print; not applied.
+        if (ch === '\x07') this.state = 'ground';
+        else if (ch === '\x1b') this.state = 'oscEscape';
+        return;
+      case 'oscEscape':
+        this.state = ch === '\\' ? 'ground' : 'osc';
+        return;
+    }
+  }
+
+  private ground(ch: string, record: boolean): void {
+    const code = ch.codePointAt(0)!;
+    if (code >= 0x20 && code !== 0x7f) {
+      this.print(ch);
+      if (record) this.transcript += ch;
+      return;
+    }
+    switch (ch) {
+      case '\x1b':
+        this.state = 'escape';
+        return;
+      case '\r':
+        this.col = 0;
+        return;
+      case '\n':
+      case '\x0b':
+      case '\x0c':
+        this.lineFeed();
+        if (record) this.transcript += '\n';
+        return;
+      case '\b':
+        this.col = Math.max(0, Math.min(this.col, this.cols - 1) - 1);
+        return;
+      case '\t':
+        this.col = Math.min(this.cols - 1, (Math.floor(this.col / TAB_WIDTH) + 1) * TAB_WIDTH);
+        if (record) this.transcript += '\t';
+        return;
+      default:
+      // BEL, NUL and the rest: nothing to draw.
+    }
+  }
+
+  private escape(ch: string): void {
+    this.state = 'ground';
+    switch (ch) {
+      case '[':
+        this.state = 'csi';
+        this.params = '';
+        return;
+      case ']':
+        this.state = 'osc';
+        return;
+      case '(':
+      case ')':
+      case '*':
+      case '+':
+        this.state = 'charset';
+        return;
+      case '7':
+        this.saveCursor();
+        return;
+      case '8':
+        this.restoreCursor();
+        return;
+      case 'D':
+        this.lineFeed();
+        return;
+      case 'E':
+        this.col = 0;
+        this.lineFeed();
+        return;
+      case 'M':
+        this.reverseIndex();
+        return;
+      case 'c':
+        this.reset();
+        return;
+      default:
+      // Keypad modes and the like: nothing visible.
+    }
+  }
+
+  private csi(raw: string, final: string): void {
+    const privateMarker = /^[?>=<]/.test(raw) ? raw[0] : '';
+    const body = privateMarker ? raw.slice(1) : raw;
+    // Intermediates (a space before `q`, for a cursor shape) change the meaning
+    // entirely; none that matter here, so such a sequence is ignored.
+    if (/[ -/]/.test(body)) return;
+    const params = body.split(/[;:]/).map(part => (part === '' ? NaN : Number(part)));
+    const n = (index: number, fallback = 1) => {
+      const value = params[index];
+      return Number.isFinite(value) && value! > 0 ? value! : fallback;
+    };
+
+    if (privateMarker === '?') {
+      if (final === 'h' || final === 'l') this.setPrivateModes(params, final === 'h');
+      return;
+    }
+    if (privateMarker) return;
+
+    switch (final) {
+      case 'A':
+        this.moveTo(this.row - n(0), this.col);
+        return;
+      case 'B':
+      case 'e':
+        this.moveTo(this.row + n(0), this.col);
+        return;
+      case 'C':
+      case 'a':
+        this.moveTo(this.row, this.col + n(0));
+        return;
+      case 'D':
+        this.moveTo(this.row, Math.min(this.col, this.cols - 1) - n(0));
+        return;
+      case 'E':
+        this.moveTo(this.row + n(0), 0);
+        return;
+      case 'F':
+        this.moveTo(this.row - n(0), 0);
+        return;
+      case 'G':
+      case '`':
+        this.moveTo(this.row, n(0) - 1);
+        return;
+      case 'd':
+        this.moveTo(n(0) - 1, this.col);
+        return;
+      case 'H':
+      case 'f':
+        this.moveTo(n(0) - 1, n(1) - 1);
+        return;
+      case 'J':
+        this.eraseDisplay(n(0, 0));
+        return;
+      case 'K':
+        this.eraseLine(n(0, 0));
+        return;
+      case 'X':
+        this.eraseCells(this.row, this.col, this.col + n(0));
+        return;
+      case 'P':
+        this.deleteCells(n(0));
+        return;
+      case '@':
+        this.insertCells(n(0));
+        return;
+      case 'L':
+        this.insertLines(n(0));
+        return;
+      case 'M':
+        this.deleteLines(n(0));
+        return;
+      case 'S':
+        for (let i = 0; i < n(0); i++) this.scrollUp();
+        return;
+      case 'T':
+        for (let i = 0; i < n(0); i++) this.scrollDown();
+        return;
+      case 'm':
+        this.sgr(params);
+        return;
+      case 'r':
+        this.setScrollRegion(n(0) - 1, n(1, this.rows) - 1);
+        return;
+      case 's':
+        this.saveCursor();
+        return;
+      case 'u':
+        this.restoreCursor();
+        return;
+      case 'n':
+        if (n(0, 0) === 5) this.onReply('\x1b[0n');
+        else if (n(0, 0) === 6) this.onReply(`\x1b[${this.row + 1};${Math.min(this.col, this.cols - 1) + 1}R`);
+        return;
+      case 'c':
+        // Primary device attributes: "a VT100 with advanced video".
+        this.onReply('\x1b[?1;2c');
+        return;
+      default:
+    }
+  }
+
+  private setPrivateModes(params: number[], enable: boolean): void {
+    for (const mode of params) {
+      if (mode === 25) {
+        this.cursorVisible = enable;
+        this.markCursor();
+      } else if (mode === 1049 || mode === 1047 || mode === 47) {
+        if (enable) this.enterAlternateScreen(mode === 1049);
+        else this.leaveAlternateScreen(mode === 1049);
+      }
+    }
+  }
+
+  private sgr(params: number[]): void {
+    let next = { ...this.style } as { -readonly [K in keyof CellStyle]: CellStyle[K] };
+    if (params.length === 0) params = [0];
+    for (let i = 0; i < params.length; i++) {
+      const code = Number.isFinite(params[i]) ? params[i] : 0;
+      if (code === 0) next = { ...DEFAULT_STYLE };
+      else if (code === 1) next.bold = true;
+      else if (code === 2) next.dim = true;
+      else if (code === 3) next.italic = true;
+      else if (code === 4) next.underline = true;
+      else if (code === 7) next.inverse = true;
+      else if (code === 22) next.bold = next.dim = false;
+      else if (code === 23) next.italic = false;
+      else if (code === 24) next.underline = false;
+      else if (code === 27) next.inverse = false;
+      else if (code >= 30 && code <= 37) next.fg = code - 30;
+      else if (code === 39) next.fg = null;
+      else if (code >= 40 && code <= 47) next.bg = code - 40;
+      else if (code === 49) next.bg = null;
+      else if (code >= 90 && code <= 97) next.fg = code - 90 + 8;
+      else if (code >= 100 && code <= 107) next.bg = code - 100 + 8;
+      else if (code === 38 || code === 48) {
+        let color: TerminalColor | null = null;
+        if (params[i + 1] === 5) {
+          const index = params[i + 2];
+          if (Number.isInteger(index) && index >= 0 && index <= 255) color = index;
+          i += 2;
+        } else if (params[i + 1] === 2) {
+          const [r, g, b] = params.slice(i + 2, i + 5).map(value => Math.max(0, Math.min(255, value || 0)));
+          color = `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+          i += 4;
+        }
+        if (color !== null) {
+          if (code === 38) next.fg = color;
+          else next.bg = color;
+        }
+      }
+    }
+    this.style = intern(next);
+  }
+
+  // ── drawing ───────────────────────────────────────────────────────────────
+
+  private print(ch: string): void {
+    // A combining mark belongs to the character before it, not a cell of its own -
+    // otherwise every Hebrew niqqud or accented letter typed as two code points
+    // would push the rest of the line one column right.
+    if (COMBINING.test(ch)) {
+      const line = this.lines[this.screenTop + this.row];
+      const at = Math.min(this.col, this.cols) - 1;
+      if (at >= 0 && line[at]) {
+        line[at] = { ch: line[at].ch + ch, style: line[at].style };
+        this.mark(this.row);
+      }
+      return;
+    }
+
+    if (this.col >= this.cols) {
+      this.col = 0;
+      this.lineFeed();
+    }
+    const line = this.lines[this.screenTop + this.row];
+    while (line.length < this.col) line.push(BLANK);
+    line[this.col] = { ch, style: this.style };
+    this.col += 1;
+    this.mark(this.row);
+  }
+
+  private lineFeed(): void {
+    if (this.row === this.scrollBottom) this.scrollUp();
+    else if (this.row < this.rows - 1) this.row += 1;
+    this.markCursor();
+  }
+
+  private reverseIndex(): void {
+    if (this.row === this.scrollTop) this.scrollDown();
+    else if (this.row > 0) this.row -= 1;
+  }
+
+  /** Scroll the region up one line. A full-screen scroll on the main screen feeds scrollback. */
+  private scrollUp(): void {
+    const top = this.screenTop + this.scrollTop;
+    const bottom = this.screenTop + this.scrollBottom;
+    if (this.scrollTop === 0 && this.scrollBottom === this.rows - 1 && !this.mainScreen) {
+      this.lines.push([]);
+      this.trimScrollback();
+      this.markAll();
+      return;
+    }
+    this.lines.splice(top, 1);
+    this.lines.splice(bottom, 0, []);
+    this.markRange(this.scrollTop, this.scrollBottom);
+  }
+
+  private scrollDown(): void {
+    const top = this.screenTop + this.scrollTop;
+    const bottom = this.screenTop + this.scrollBottom;
+    this.lines.splice(bottom, 1);
+    this.lines.splice(top, 0, []);
+    this.markRange(this.scrollTop, this.scrollBottom);
+  }
+
+  private trimScrollback(): void {
+    const excess = this.lines.length - this.rows - this.maxScrollback;
+    if (excess <= 0) return;
+    this.lines.splice(0, excess);
+    this.removedTotal += excess;
+    this.removedSinceTake += excess;
+  }
+
+  private moveTo(row: number, col: number): void {
+    this.markCursor();
+    this.row = Math.max(0, Math.min(this.rows - 1, row));
+    this.col = Math.max(0, Math.min(this.cols - 1, col));
+    this.markCursor();
+  }
+
+  private eraseCells(row: number, from: number, to: number): void {
+    const line = this.lines[this.screenTop + row];
+    const end = Math.min(to, line.length);
+    for (let i = Math.max(0, from); i < end; i++) line[i] = BLANK;
+    this.mark(row);
+  }
+
+  private eraseLine(mode: number): void {
+    const line = this.lines[this.screenTop + this.row];
+    if (mode === 0) line.length = Math.min(line.length, this.col);
+    else if (mode === 1) this.eraseCells(this.row, 0, this.col + 1);
+    else line.length = 0;
+    this.mark(this.row);
+  }
+
+  private eraseDisplay(mode: number): void {
+    const top = this.screenTop;
+    if (mode === 0) {
+      this.eraseLine(0);
+      for (let r = this.row + 1; r < this.rows; r++) this.lines[top + r] = [];
+      this.markRange(this.row, this.rows - 1);
+    } else if (mode === 1) {
+      for (let r = 0; r < this.row; r++) this.lines[top + r] = [];
+      this.eraseCells(this.row, 0, this.col + 1);
+      this.markRange(0, this.row);
+    } else if (mode === 2) {
+      for (let r = 0; r < this.rows; r++) this.lines[top + r] = [];
+      this.markRange(0, this.rows - 1);
+    } else if (mode === 3) {
+      // "Clear scrollback", as `clear` sends after ESC[2J.
+      const removed = this.screenTop;
+      this.lines.splice(0, removed);
+      this.removedTotal += removed;
+      this.removedSinceTake += removed;
+      this.markAll();
+    }
+  }
+
+  private deleteCells(count: number): void {
+    const line = this.lines[this.screenTop + this.row];
+    line.splice(Math.min(this.col, this.cols - 1), count);
+    this.mark(this.row);
+  }
+
+  private insertCells(count: number): void {
+    const line = this.lines[this.screenTop + this.row];
+    const at = Math.min(this.col, this.cols - 1);
+    while (line.length < at) line.push(BLANK);
+    line.splice(at, 0, ...Array<Cell>(count).fill(BLANK));
+    if (line.length > this.cols) line.length = this.cols;
+    this.mark(this.row);
+  }
+
+  private insertLines(count: number): void {
+    if (this.row < this.scrollTop || this.row > this.scrollBottom) return;
+    const bottom = this.screenTop + this.scrollBottom;
+    for (let i = 0; i < count; i++) {
+      this.lines.splice(bottom, 1);
+      this.lines.splice(this.screenTop + this.row, 0, []);
+    }
+    this.markRange(this.row, this.scrollBottom);
+  }
+
+  private deleteLines(count: number): void {
+    if (this.row < this.scrollTop || this.row > this.scrollBottom) return;
+    const bottom = this.screenTop + this.scrollBottom;
+    for (let i = 0; i < count; i++) {
+      this.lines.splice(this.screenTop + this.row, 1);
+      this.lines.splice(bottom, 0, []);
+    }
+    this.markRange(this.row, this.scrollBottom);
+  }
+
+  private setScrollRegion(top: number, bottom: number): void {
+    if (top >= bottom || bottom >= this.rows) {
+      this.scrollTop = 0;
+      this.scrollBottom = this.rows - 1;
+    } else {
+      this.scrollTop = Math.max(0, top);
+      this.scrollBottom = bottom;
+    }
+    this.moveTo(0, 0);
+  }
+
+  private saveCursor(): void {
+    this.saved = { row: this.row, col: this.col, style: this.style };
+  }
+
+  private restoreCursor(): void {
+    this.markCursor();
+    this.row = Math.min(this.saved.row, this.rows - 1);
+    this.col = Math.min(this.saved.col, this.cols);
+    this.style = this.saved.style;
+    this.markCursor();
+  }
+
+  /**
+   * The alternate screen, which full-screen programs draw on and leave when they
+   * exit. Nothing drawn on it reaches scrollback, so a game's hundred frames do not
+   * bury the output that came before it.
+   */
+  private enterAlternateScreen(saveCursor: boolean): void {
+    if (this.mainScreen) return;
+    if (saveCursor) this.saveCursor();
+    const top = this.screenTop;
+    this.mainScreen = { lines: this.lines.slice(top), row: this.row, col: this.col };
+    for (let r = 0; r < this.rows; r++) this.lines[top + r] = [];
+    this.markRange(0, this.rows - 1);
+  }
+
+  private leaveAlternateScreen(restoreCursor: boolean): void {
+    if (!this.mainScreen) return;
+    const { lines, row, col } = this.mainScreen;
+    this.mainScreen = null;
+    const top = this.screenTop;
+    for (let r = 0; r < this.rows; r++) this.lines[top + r] = lines[r] ?? [];
+    this.row = Math.min(row, this.rows - 1);
+    this.col = col;
+    if (restoreCursor) this.restoreCursor();
+    this.markRange(0, this.rows - 1);
+  }
+
+  private reset(): void {
+    this.mainScreen = null;
+    this.style = DEFAULT_STYLE;
+    this.cursorVisible = true;
+    this.scrollTop = 0;
+    this.scrollBottom = this.rows - 1;
+    this.eraseDisplay(2);
+    this.moveTo(0, 0);
+  }
+
+  // ── change tracking ───────────────────────────────────────────────────────
+
+  private mark(row: number): void {
+    this.dirty.add(this.removedTotal + this.screenTop + row);
+  }
+
+  private markRange(from: number, to: number): void {
+    for (let r = from; r <= to; r++) this.mark(r);
+  }
+
+  private markCursor(): void {
+    this.mark(this.row);
+  }
+
+  private markAll(): void {
+    for (let i = 0; i < this.lines.length; i++) this.dirty.add(this.removedTotal + i);
+  }
+}
+
+/** The subset of a KeyboardEvent that decides what a key sends. */
+export interface KeyLike {
+  readonly key: string;
+  readonly ctrlKey?: boolean;
+  readonly altKey?: boolean;
+  readonly metaKey?: boolean;
+}
+
+const SPECIAL_KEYS: Record<string, string> = {
+  Enter: '\r',
+  Backspace: '\x7f',
+  Tab: '\t',
+  Escape: '\x1b',
+  ArrowUp: '\x1b[A',
+  ArrowDown: '\x1b[B',
+  ArrowRight: '\x1b[C',
+  ArrowLeft: '\x1b[D',
+  Home: '\x1b[H',
+  End: '\x1b[F',
+  Insert: '\x1b[2~',
+  Delete: '\x1b[3~',
+  PageUp: '\x1b[5~',
+  PageDown: '\x1b[6~',
+  F1: '\x1bOP',
+  F2: '\x1bOQ',
+  F3: '\x1bOR',
+  F4: '\x1bOS',
+};
+
+/**
+ * The bytes a terminal sends for a key in raw input mode, or null for a key that
+ * should stay with the browser (Cmd+C to copy, a bare Shift).
+ *
+ * Ctrl+letter is the control character, so Ctrl+C interrupts the program exactly
+ * as it would in a terminal - the line discipline on the server turns it into
+ * SIGINT, which is the point of having one.
+ */
+export function keyToInput(event: KeyLike): string | null {
+  if (event.metaKey) return null;
+  const special = SPECIAL_KEYS[event.key];
+  if (special) return event.altKey ? `\x1b${special}` : special;
+  if ([...event.key].length !== 1) return null;
+
+  if (event.ctrlKey) {
+    const code = event.key.toUpperCase().charCodeAt(0);
+    if (code >= 0x40 && code <= 0x5f) return String.fromCharCode(code & 0x1f);
+    if (event.key === ' ') return '\x00';
+    return null;
+  }
+  return event.altKey ? `\x1b${event.key}` : event.key;
+}
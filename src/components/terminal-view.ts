@@ -0,0 +1,244 @@
+//
+// The run console's screen for a `pty` run: draws a TerminalScreen into the output
+// panel, keeps its size matched to the panel's, and - in raw input mode - sends
+// keystrokes to the program as a terminal would.
+//
+// Drawing is batched to one animation frame. A progress bar redrawn a thousand times
+// a second is one DOM update per frame, not a thousand, and only the lines that
+// changed are touched, so a long scrollback costs nothing to keep.
+
+import {
+  TerminalScreen,
+  keyToInput,
+  paletteColor,
+  type CellStyle,
+  type TerminalColor,
+} from './terminal-screen.ts';
+
+/** The bounds the server clamps to (process-runner.mjs TERMINAL_LIMITS). */
+const MIN_ROWS = 2;
+const MAX_ROWS = 500;
+const MIN_COLS = 10;
+const MAX_COLS = 1000;
+
+export interface TerminalViewOptions {
+  rows: number;
+  cols: number;
+  /** Bytes for the program: keys in raw mode, and the screen's answers to queries. */
+  onInput: (data: string) => void;
+  /** The window changed size. Already clamped and deduplicated. */
+  onResize: (rows: number, cols: number) => void;
+}
+
+/** The width of one character cell and the height of one line, in pixels. */
+function measureCell(container: HTMLElement): { width: number; height: number } {
+  const probe = document.createElement('span');
+  probe.className = 'term-measure';
+  probe.textContent = 'MMMMMMMMMM';
+  container.appendChild(probe);
+  const rect = probe.getBoundingClientRect();
+  probe.remove();
+  return { width: rect.width / 10 || 7, height: rect.height || 18 };
+}
+
+/**
+ * How many rows and columns fit in `container`, within the server's bounds.
+ * Used for the size a run asks for before it has a screen to measure.
+ */
+export function measureTerminal(container: HTMLElement): { rows: number; cols: number } {
+  const cell = measureCell(container);
+  const style = getComputedStyle(container);
+  const width = container.clientWidth - parseFloat(style.paddingLeft || '0') - parseFloat(style.paddingRight || '0');
+  const height = container.clientHeight - parseFloat(style.paddingTop || '0') - parseFloat(style.paddingBottom || '0');
+  return {
+    rows: Math.max(MIN_ROWS, Math.min(MAX_ROWS, Math.floor(height / cell.height))),
+    cols: Math.max(MIN_COLS, Math.min(MAX_COLS, Math.floor(width / cell.width))),
+  };
+}
+
+function colorFor(color: TerminalColor, property: 'color' | 'background', classes: string[], css: string[], kind: 'fg' | 'bg'): void {
+  if (typeof color === 'number' && color < 16) classes.push(`ansi-${kind}-${color}`);
+  else css.push(`${property}:${typeof color === 'number' ? paletteColor(color) : color}`);
+}
+
+function renderRun(text: string, style: CellStyle): Node {
+  const plain =
+    style.fg === null && style.bg === null && !style.bold && !style.dim && !style.italic && !style.underline && !style.inverse;
+  if (plain) return document.createTextNode(text);
+
+  const classes: string[] = [];
+  const css: string[] = [];
+  const fg = style.inverse ? style.bg : style.fg;
+  const bg = style.inverse ? style.fg : style.bg;
+  if (fg !== null) colorFor(fg, 'color', classes, css, 'fg');
+  else if (style.inverse) classes.push('ansi-fg-inverse');
+  if (bg !== null) colorFor(bg, 'background', classes, css, 'bg');
+  else if (style.inverse) classes.push('ansi-bg-inverse');
+  if (style.bold) classes.push('ansi-bold');
+  if (style.dim) classes.push('ansi-dim');
+  if (style.italic) classes.push('ansi-italic');
+  if (style.underline) classes.push('ansi-underline');
+
+  const span = document.createElement('span');
+  span.className = classes.join(' ');
+  if (css.length) span.style.cssText = css.join(';');
+  span.textContent = text;
+  return span;
+}
+
+export class TerminalView {
+  readonly element: HTMLDivElement;
+  readonly screen: TerminalScreen;
+
+  private readonly onInput: (data: string) => void;
+  private readonly onResize: (rows: number, cols: number) => void;
+  private readonly cursorEl: HTMLDivElement;
+  private readonly rowEls: HTMLDivElement[] = [];
+  private frame: number | null = null;
+  private resizeObserver: ResizeObserver | null = null;
+  private raw = false;
+  private disposed = false;
+
+  constructor(options: TerminalViewOptions) {
+    this.onInput = options.onInput;
+    this.onResize = options.onResize;
+    this.screen = new TerminalScreen({
+      rows: options.rows,
+      cols: options.cols,
+      onReply: data => this.onInput(data),
+    });
+
+    this.element = document.createElement('div');
+    this.element.className = 'term-screen';
+    this.element.setAttribute('role', 'log');
+    this.cursorEl = document.createElement('div');
+    this.cursorEl.className = 'term-cursor';
+    this.cursorEl.setAttribute('aria-hidden', 'true');
+    this.element.appendChild(this.cursorEl);
+
+    this.element.addEventListener('keydown', event => this.keydown(event));
+    this.element.addEventListener('paste', event => this.paste(event));
+  }
+
+  /**
+   * Follow the size of `container` - the output panel - from now on. The first
+   * measurement is sent too: the panel may have changed between the request and the
+   * run starting.
+   */
+  observe(container: HTMLElement): void {
+    const update = () => {
+      if (this.disposed) return;
+      const { rows, cols } = measureTerminal(container);
+      if (rows === this.screen.rows && cols === this.screen.cols) return;
+      this.screen.resize(rows, cols);
+      this.onResize(rows, cols);
+      this.schedule();
+    };
+    if (typeof ResizeObserver === 'function') {
+      this.resizeObserver = new ResizeObserver(() => update());
+      this.resizeObserver.observe(container);
+    }
+    update();
+  }
+
+  write(data: string, options?: { record?: boolean }): void {
+    this.screen.write(data, options);
+    this.schedule();
+  }
+
+  /**
+   * Raw input: every key goes straight to the program, the way a terminal sends it,
+   * for programs that read single keys - a game's arrow keys, "press any key".
+   * Line input (the default) edits a line in the console's input box first.
+   */
+  setRawMode(raw: boolean): void {
+    this.raw = raw;
+    this.element.tabIndex = raw ? 0 : -1;
+    if (raw) this.element.focus();
+  }
+
+  get rawMode(): boolean {
+    return this.raw;
+  }
+
+  focus(): void {
+    this.element.focus();
+  }
+
+  /** Draw what is pending now, and stop following the panel. The screen stays on view. */
+  dispose(): void {
+    if (this.frame !== null) cancelAnimationFrame(this.frame);
+    this.frame = null;
+    this.render();
+    this.disposed = true;
+    this.resizeObserver?.disconnect();
+    this.resizeObserver = null;
+    this.raw = false;
+    this.element.tabIndex = -1;
+    this.cursorEl.remove();
+  }
+
+  private schedule(): void {
+    if (this.frame !== null || this.disposed) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.render();
+    });
+  }
+
+  private render(): void {
+    if (this.disposed) return;
+    const scroller = this.element.parentElement?.closest<HTMLElement>('#panel-content') ?? null;
+    const following = !scroller || scroller.scrollHeight - scroller.scrollTop - scroller.clientHeight < 4;
+
+    const { removed, dirty, lineCount } = this.screen.takeChanges();
+    for (const row of this.rowEls.splice(0, Math.min(removed, this.rowEls.length))) row.remove();
+    while (this.rowEls.length > lineCount) this.rowEls.pop()!.remove();
+    const firstNew = this.rowEls.length;
+    while (this.rowEls.length < lineCount) {
+      const row = document.createElement('div');
+      row.className = 'term-row';
+      this.element.insertBefore(row, this.cursorEl);
+      this.rowEls.push(row);
+    }
+
+    const redraw = new Set(dirty.filter(index => index < lineCount));
+    for (let index = firstNew; index < lineCount; index++) redraw.add(index);
+    for (const index of redraw) {
+      const row = this.rowEls[index];
+      row.replaceChildren(...this.screen.runs(index).map(run => renderRun(run.text, run.style)));
+    }
+
+    const { line, col } = this.screen.cursor;
+    this.cursorEl.style.display = this.screen.cursorVisible ? '' : 'none';
+    const rowEl = this.rowEls[line];
+    if (rowEl) {
+      this.cursorEl.style.top = `${rowEl.offsetTop}px`;
+      this.cursorEl.style.left = `${col}ch`;
+    }
+
+    if (scroller && following) scroller.scrollTop = scroller.scrollHeight;
+  }
+
+  private keydown(event: KeyboardEvent): void {
+    if (!this.raw || event.isComposing) return;
+    // Ctrl+C with text selected is a copy, not an interrupt - the one place a
+    // terminal's meaning and the browser's collide, resolved the way desktop
+    // terminals resolve it.
+    if (event.ctrlKey && event.key.toLowerCase() === 'c' && String(getSelection() ?? '') !== '') return;
+    // Ctrl+V is left to the browser, which fires `paste`.
+    if (event.ctrlKey && event.key.toLowerCase() === 'v') return;
+    const data = keyToInput(event);
+    if (data === null) return;
+    event.preventDefault();
+    this.onInput(data);
+  }
+
+  private paste(event: ClipboardEvent): void {
+    if (!this.raw) return;
+    const text = event.clipboardData?.getData('text/plain') ?? '';
+    event.preventDefault();
+    // Enter in a terminal is a carriage return; a pasted line break should be too.
+    if (text) this.onInput(text.replace(/\r?\n/g, '\r'));
+  }
+}
@@ -0,0 +1,404 @@
+/**
+ * A finished turtle drawing as files a student can keep: SVG from the recorded
+ * shapes, and an animated GIF of the replay (blueprint section 67).
+ *
+ * The PNG is the canvas's own `toBlob`, so it needs nothing here. The other two do.
+ *
+ * ## SVG is built from the records, not traced from pixels
+ *
+ * Every line, fill, dot and label the program made is in `TurtleData.shapes` with
+ * its coordinates and colours, so the SVG is the drawing itself: it scales without
+ * blurring and opens in any vector editor. It places everything with the same
+ * geometry the canvas uses (turtle-look.ts), so what is saved is what was on screen.
+ * SVG adds and never erases, so a `clear()` is honoured by starting after the last one.
+ *
+ * ## The GIF encoder is ours
+ *
+ * A browser can encode PNG and, via MediaRecorder, WebM - but not GIF, and a WebM
+ * depends on real-time playback and on a codec some school browsers lack. GIF plays
+ * everywhere a portfolio might be shown. A turtle drawing is a few flat colours on a
+ * background, which is GIF's best case: an exact palette nearly always fits, and each
+ * frame only has to carry the rectangle that changed. Past 256 colours (a photo
+ * behind bgpic, say) it falls back to a fixed 252-colour cube rather than doing
+ * quantisation properly, which a teaching tool does not need.
+ *
+ * Pure: no canvas, no DOM. `turtle.ts` renders the frames and hands over the pixels.
+ */
+
+import type { TurtleData, TurtleLook, TurtleShape } from './turtle.ts';
+import {
+  cursorOutline,
+  DEFAULT_LOOK,
+  mergeLook,
+  stampLook,
+  turtleCanvasSize,
+} from './turtle-look.ts';
+
+// ── SVG ──────────────────────────────────────────────────────────────────────
+
+const escapeXml = (value: unknown) =>
+  String(value).replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+
+/** Two decimals at most: enough for a pixel, and short enough to read. */
+const num = (value: unknown) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? String(Math.round(n * 100) / 100) : '0';
+};
+
+const TEXT_ANCHOR: Record<string, string> = { left: 'start', center: 'middle', right: 'end' };
+
+/** The drawing as an SVG document, cursors where they came to rest. */
+export function turtleSvg(data: TurtleData): string {
+  const { cw, ch } = turtleCanvasSize(data);
+  const tx = (x: unknown) => num(cw / 2 + Number(x));
+  const ty = (y: unknown) => num(ch / 2 - Number(y));
+  const shapes = data.shapes ?? [];
+  const svgShapes = data.svgShapes ?? {};
+
+  const cursor = (x: unknown, y: unknown, heading: number, look: TurtleLook): string => {
+    if (look.sh === 'blank') return '';
+    const cx = cw / 2 + Number(x), cy = ch / 2 - Number(y);
+    const image = svgShapes[look.sh];
+    if (image) {
+      const width = Math.max(2, Number(image.w ?? 42)) * look.sl;
+      const height = Math.max(2, Number(image.h ?? 42)) * look.sw;
+      // The canvas's own rotation, in degrees: SVG's y grows downward too.
+      const angle = image.rotate === true ? 90 - heading - look.tl : -look.tl;
+      return `<image href="${escapeXml(image.data)}" x="${num(-width / 2)}" y="${num(-height / 2)}" `
+        + `width="${num(width)}" height="${num(height)}" transform="translate(${num(cx)} ${num(cy)}) rotate(${num(angle)})"/>`;
+    }
+    const outline = cursorOutline(cx, cy, heading, look, data.polys);
+    if (outline.length < 2) return '';
+    const stroke = look.ow > 0 ? ` stroke="${escapeXml(look.pc)}" stroke-width="${num(look.ow)}"` : '';
+    return `<polygon points="${outline.map(([px, py]) => `${num(px)},${num(py)}`).join(' ')}" fill="${escapeXml(look.fc)}"${stroke}/>`;
+  };
+
+  const element = (shape: TurtleShape): string => {
+    switch (shape.k) {
+      case 'l':
+        return `<line x1="${tx(shape.x1)}" y1="${ty(shape.y1)}" x2="${tx(shape.x2)}" y2="${ty(shape.y2)}" `
+          + `stroke="${escapeXml(shape.c ?? 'black')}" stroke-width="${num(shape.w ?? 1)}"/>`;
+      case 'F': {
+        const points = shape.pts as number[][] | undefined;
+        if (!Array.isArray(points) || points.length < 2) return '';
+        const stroke = shape.pc ? ` stroke="${escapeXml(shape.pc)}" stroke-width="${num(shape.pw ?? 1)}"` : '';
+        return `<polygon points="${points.map(([x, y]) => `${tx(x)},${ty(y)}`).join(' ')}" `
+          + `fill="${escapeXml(shape.fc ?? 'black')}"${stroke}/>`;
+      }
+      case 'D':
+        return `<circle cx="${tx(shape.x)}" cy="${ty(shape.y)}" r="${num(Math.max(0.5, Number(shape.r ?? 5)))}" `
+          + `fill="${escapeXml(shape.c ?? 'black')}"/>`;
+      case 'T':
+        return `<text x="${tx(shape.x)}" y="${ty(shape.y)}" fill="${escapeXml(shape.c ?? 'black')}" `
+          + `text-anchor="${TEXT_ANCHOR[String(shape.align ?? 'left')] ?? 'start'}" `
+          + `style="font: ${escapeXml(shape.font ?? '12px Arial')}; white-space: pre">${escapeXml(shape.txt ?? '')}</text>`;
+      case 'S':
+        return cursor(shape.x, shape.y, Number(shape.h ?? 0), stampLook(shape));
+      default:
+        return '';
+    }
+  };
+
+  let from = 0;
+  shapes.forEach((shape, index) => {
+    if (shape.k === 'C') from = index + 1;
+  });
+
+  const body = [
+    `<rect width="${cw}" height="${ch}" fill="${escapeXml(data.bg ?? 'white')}"/>`,
+    ...(data.picData
+      ? [`<image href="${escapeXml(data.picData)}" width="${cw}" height="${ch}" preserveAspectRatio="xMidYMid meet"/>`]
+      : []),
+    `<g stroke-linecap="round" stroke-linejoin="round">`,
+    ...shapes.slice(from).map(element).filter(Boolean),
+    ...(data.cursors ?? [])
+      .filter(c => c.vis !== false)
+      .map(c => cursor(c.x ?? 0, c.y ?? 0, c.h ?? 0, mergeLook(DEFAULT_LOOK, c as Record<string, unknown>)))
+      .filter(Boolean),
+    '</g>',
+  ];
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${cw}" height="${ch}" viewBox="0 0 ${cw} ${ch}">`,
+    ...body.map(line => `  ${line}`),
+    '</svg>',
+    '',
+  ].join('\n');
+}
+
+// ── The replay, as frames ───────────────────────────────────────────────────
+
+/** How long one replay step shows at a replay speed - the window's own pace. */
+export function replayStepMs(speed: number): number {
+  return Math.max(35, 240 / (speed > 0 ? speed : 1));
+}
+
+// Cursor moves, appearance changes and show/hide put nothing on the canvas; a frame
+// for each would be a frame identical to the one before.
+const BOOKKEEPING = new Set(['M', 'SH', 'H', 'HT', 'ST']);
+
+/**
+ * Which prefixes of the shape list become frames: the empty canvas, then after each
+ * shape that drew something, thinned evenly to at most `maxFrames`. The last frame is
+ * always the whole drawing. `steps` is how many drawing steps each frame stands for,
+ * so its delay keeps the replay's pace.
+ */
+export function replayFrames(shapes: readonly TurtleShape[], maxFrames = 120): Array<{ count: number; steps: number }> {
+  const drawn: number[] = [];
+  shapes.forEach((shape, index) => {
+    if (!BOOKKEEPING.has(shape.k)) drawn.push(index + 1);
+  });
+  if (drawn.length === 0) return [{ count: shapes.length, steps: 1 }];
+
+  const every = Math.max(1, Math.ceil(drawn.length / Math.max(1, maxFrames - 1)));
+  const frames = [{ count: 0, steps: 1 }];
+  for (let index = every - 1; index < drawn.length; index += every) {
+    frames.push({ count: drawn[index], steps: every });
+  }
+  const last = frames[frames.length - 1];
+  if (last.count !== shapes.length) {
+    if (last.count === drawn[drawn.length - 1]) last.count = shapes.length;
+    else frames.push({ count: shapes.length, steps: drawn.length % every || every });
+  }
+  return frames;
+}
+
+// ── GIF ──────────────────────────────────────────────────────────────────────
+
+export interface GifPalette {
+  /** 0xRRGGBB, in table order. */
+  readonly colors: readonly number[];
+  /** The table entry for a pixel. */
+  index(rgb: number): number;
+}
+
+const CUBE = { r: 6, g: 7, b: 6 };
+
+/** The 252-colour fallback, for a drawing with more colours than a GIF table holds. */
+function cubePalette(): GifPalette {
+  const level = (value: number, steps: number) => Math.round(value * (steps - 1) / 255);
+  const colors: number[] = [];
+  for (let r = 0; r < CUBE.r; r++) {
+    for (let g = 0; g < CUBE.g; g++) {
+      for (let b = 0; b < CUBE.b; b++) {
+        colors.push(
+          (Math.round(r * 255 / (CUBE.r - 1)) << 16)
+          | (Math.round(g * 255 / (CUBE.g - 1)) << 8)
+          | Math.round(b * 255 / (CUBE.b - 1)),
+        );
+      }
+    }
+  }
+  return {
+    colors,
+    index: rgb => (level(rgb >> 16, CUBE.r) * CUBE.g + level((rgb >> 8) & 0xff, CUBE.g)) * CUBE.b
+      + level(rgb & 0xff, CUBE.b),
+  };
+}
+
+/**
+ * The palette for a set of frames: their exact colours when there are at most 256,
+ * the colour cube otherwise. Alpha is ignored; a painted canvas is opaque.
+ */
+export function gifPalette(frames: Iterable<Uint8ClampedArray>): GifPalette {
+  const seen = new Map<number, number>();
+  for (const rgba of frames) {
+    for (let offset = 0; offset < rgba.length; offset += 4) {
+      const rgb = (rgba[offset] << 16) | (rgba[offset + 1] << 8) | rgba[offset + 2];
+      if (seen.has(rgb)) continue;
+      if (seen.size === 256) return cubePalette();
+      seen.set(rgb, seen.size);
+    }
+  }
+  const colors = [...seen.keys()];
+  if (colors.length === 0) colors.push(0xffffff);
+  return {
+    colors,
+    // A colour the palette pass never saw cannot happen when both passes render the
+    // same frames; if it does, the first entry is a visible wrong pixel, not a crash.
+    index: rgb => seen.get(rgb) ?? 0,
+  };
+}
+
+/** Bytes, appended to in place. GIF is little-endian throughout. */
+class ByteSink {
+  #bytes = new Uint8Array(1 << 16);
+  length = 0;
+
+  byte(value: number): void {
+    if (this.length === this.#bytes.length) {
+      const grown = new Uint8Array(this.#bytes.length * 2);
+      grown.set(this.#bytes);
+      this.#bytes = grown;
+    }
+    this.#bytes[this.length++] = value;
+  }
+
+  word(value: number): void {
+    this.byte(value & 0xff);
+    this.byte((value >> 8) & 0xff);
+  }
+
+  ascii(text: string): void {
+    for (const character of text) this.byte(character.charCodeAt(0));
+  }
+
+  result(): Uint8Array {
+    return this.#bytes.slice(0, this.length);
+  }
+}
+
+/** GIF's variable-width LZW, written in sub-blocks of at most 255 bytes. */
+function writeLzw(out: ByteSink, pixels: Uint8Array, minCodeSize: number): void {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map<number, number>();
+
+  const block: number[] = [];
+  let bits = 0;
+  let bitCount = 0;
+  const flushBlock = () => {
+    out.byte(block.length);
+    for (const value of block) out.byte(value);
+    block.length = 0;
+  };
+  const emit = (code: number) => {
+    bits |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block.push(bits & 0xff);
+      if (block.length === 255) flushBlock();
+      bits >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  out.byte(minCodeSize);
+  emit(clearCode);
+  let prefix = pixels[0];
+  for (let i = 1; i < pixels.length; i++) {
+    const pixel = pixels[i];
+    const key = (prefix << 8) | pixel;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      // The table is full: start over, as the decoder will on reading the clear.
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = pixel;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) block.push(bits & 0xff);
+  if (block.length > 0) flushBlock();
+  out.byte(0);
+}
+
+export interface GifFrame {
+  readonly rgba: Uint8ClampedArray;
+  readonly delayMs: number;
+}
+
+/**
+ * An animated GIF of `frames`, looping forever.
+ *
+ * Frames are consumed one at a time and only the previous one is kept, so a long
+ * replay costs one frame of memory, not all of them. Each frame after the first
+ * carries just the rectangle that differs from the one before, and a frame that
+ * changes nothing lengthens its predecessor instead of adding one.
+ */
+export function encodeGif(
+  width: number,
+  height: number,
+  palette: GifPalette,
+  frames: Iterable<GifFrame>,
+): Uint8Array {
+  const out = new ByteSink();
+  let tableBits = 1;
+  while (1 << tableBits < palette.colors.length) tableBits++;
+
+  out.ascii('GIF89a');
+  out.word(width);
+  out.word(height);
+  out.byte(0x80 | (7 << 4) | (tableBits - 1));   // global table, 8-bit colour resolution
+  out.byte(0);                                   // background colour index
+  out.byte(0);                                   // square pixels
+  for (let entry = 0; entry < 1 << tableBits; entry++) {
+    const rgb = palette.colors[entry] ?? 0;
+    out.byte(rgb >> 16);
+    out.byte((rgb >> 8) & 0xff);
+    out.byte(rgb & 0xff);
+  }
+  // NETSCAPE2.0: loop forever.
+  out.byte(0x21); out.byte(0xff); out.byte(11);
+  out.ascii('NETSCAPE2.0');
+  out.byte(3); out.byte(1); out.word(0); out.byte(0);
+
+  const minCodeSize = Math.max(2, tableBits);
+  let previous: Uint8Array | null = null;
+  let pending: { x: number; y: number; w: number; h: number; pixels: Uint8Array; delayMs: number } | null = null;
+
+  const writePending = () => {
+    if (!pending) return;
+    // Graphic control: disposal "leave in place", so the next rectangle draws over it.
+    out.byte(0x21); out.byte(0xf9); out.byte(4);
+    out.byte(1 << 2);
+    out.word(Math.max(2, Math.round(pending.delayMs / 10)));
+    out.byte(0); out.byte(0);
+    out.byte(0x2c);
+    out.word(pending.x); out.word(pending.y); out.word(pending.w); out.word(pending.h);
+    out.byte(0);
+    writeLzw(out, pending.pixels, minCodeSize);
+  };
+
+  for (const frame of frames) {
+    const indices = new Uint8Array(width * height);
+    for (let pixel = 0, offset = 0; pixel < indices.length; pixel++, offset += 4) {
+      indices[pixel] = palette.index((frame.rgba[offset] << 16) | (frame.rgba[offset + 1] << 8) | frame.rgba[offset + 2]);
+    }
+
+    let left = 0, top = 0, right = width - 1, bottom = height - 1;
+    if (previous) {
+      left = width; top = height; right = -1; bottom = -1;
+      for (let y = 0; y < height; y++) {
+        const row = y * width;
+        for (let x = 0; x < width; x++) {
+          if (indices[row + x] === previous[row + x]) continue;
+          if (x < left) left = x;
+          if (x > right) right = x;
+          if (y < top) top = y;
+          bottom = y;
+        }
+      }
+      if (right < 0) {
+        if (pending) pending.delayMs += frame.delayMs;
+        continue;
+      }
+    }
+
+    writePending();
+    const w = right - left + 1, h = bottom - top + 1;
+    const pixels = new Uint8Array(w * h);
+    for (let y = 0; y < h; y++) {
+      pixels.set(indices.subarray((top + y) * width + left, (top + y) * width + left + w), y * w);
+    }
+    pending = { x: left, y: top, w, h, pixels, delayMs: frame.delayMs };
+    previous = indices;
+  }
+
+  writePending();
+  out.byte(0x3b);
+  return out.result();
+}
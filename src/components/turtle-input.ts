@@ -0,0 +1,107 @@
+/**
+ * What the turtle window sends back to a running program (blueprint section 65).
+ *
+ * Python's turtle names keys the way Tk does - "Up", "space", "Return" - and puts
+ * the origin of a click at the centre of the canvas with y pointing up. The browser
+ * says "ArrowUp", " " and "Enter", and measures from the top-left corner of a canvas
+ * that CSS may have shrunk. Translating one into the other is all this module does,
+ * and it is pure so that translation can be tested without a DOM; `turtle.ts` owns
+ * the listeners and the dialog.
+ *
+ * The server checks every event again (`buildGraphicsEvent`). These are shaped so
+ * that check never has a reason to refuse one.
+ */
+
+import type { GraphicsPrompt } from './turtle-scene.ts';
+
+export type TurtleWindowEvent =
+  | { type: 'key'; key: string; down: boolean }
+  | { type: 'click'; x: number; y: number; button: number }
+  | { type: 'prompt'; id: number; value: string | null }
+  | { type: 'close' };
+
+/** Browser key names that Tk spells differently. */
+const TK_KEY_NAMES: Record<string, string> = {
+  ArrowUp: 'Up',
+  ArrowDown: 'Down',
+  ArrowLeft: 'Left',
+  ArrowRight: 'Right',
+  ' ': 'space',
+  Enter: 'Return',
+  Escape: 'Escape',
+  Backspace: 'BackSpace',
+  Tab: 'Tab',
+  Delete: 'Delete',
+  Home: 'Home',
+  End: 'End',
+  PageUp: 'Prior',
+  PageDown: 'Next',
+  Shift: 'Shift_L',
+  Control: 'Control_L',
+  Alt: 'Alt_L',
+};
+
+/**
+ * The Tk name for a `KeyboardEvent.key`, or null for a key no turtle program can
+ * bind - a dead key, a media key. Function keys keep their name: Tk calls F1 "F1".
+ */
+export function turtleKeyName(key: string): string | null {
+  if (key in TK_KEY_NAMES) return TK_KEY_NAMES[key];
+  if (/^F(?:[1-9]|1[0-9]|2[0-4])$/.test(key)) return key;
+  // One character: a letter, digit or symbol, which Tk binds by itself.
+  if ([...key].length === 1 && !/[\s\p{Cc}]/u.test(key)) return key;
+  return null;
+}
+
+/** Keys the page must not act on while the canvas has focus: they would scroll it. */
+export function turtleKeyScrolls(key: string): boolean {
+  return key === ' ' || key.startsWith('Arrow') || key === 'PageUp' || key === 'PageDown'
+    || key === 'Home' || key === 'End';
+}
+
+export interface CanvasBox {
+  left: number;
+  top: number;
+  width: number;
+  height: number;
+}
+
+/**
+ * A pointer position in turtle coordinates. `box` is where the canvas is on screen,
+ * `cw`×`ch` its drawing size; the two differ whenever the window is smaller than the
+ * drawing, and a click must land where the student saw it land.
+ */
+export function turtleClickPoint(
+  clientX: number,
+  clientY: number,
+  box: CanvasBox,
+  cw: number,
+  ch: number,
+): { x: number; y: number } {
+  const sx = box.width > 0 ? cw / box.width : 1;
+  const sy = box.height > 0 ? ch / box.height : 1;
+  const round = (value: number) => Math.round(value * 100) / 100;
+  return {
+    x: round((clientX - box.left) * sx - cw / 2),
+    y: round(ch / 2 - (clientY - box.top) * sy),
+  };
+}
+
+/** Tk's button number for a `MouseEvent.button`: left 1, middle 2, right 3. */
+export function turtleButton(button: number): number | null {
+  return button === 0 ? 1 : button === 1 ? 2 : button === 2 ? 3 : null;
+}
+
+/**
+ * Why an answer to `prompt` cannot be sent, or null when it can. Only a number
+ * prompt can refuse one: outside its bounds, or not a number at all. The shim asks
+ * again when this check is skipped, so this is a courtesy, not the guard.
+ */
+export function promptAnswerError(prompt: GraphicsPrompt, text: string): string | null {
+  if (prompt.kind !== 'number') return null;
+  const value = Number(text.trim());
+  if (text.trim() === '' || !Number.isFinite(value)) return 'Please enter a number.';
+  if (typeof prompt.min === 'number' && value < prompt.min) return `The number must be at least ${prompt.min}.`;
+  if (typeof prompt.max === 'number' && value > prompt.max) return `The number must be at most ${prompt.max}.`;
+  return null;
+}
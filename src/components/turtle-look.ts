@@ -0,0 +1,108 @@
+/**
+ * Where a turtle drawing's pixels go, shared by everything that puts them somewhere:
+ * the canvas in `turtle.ts` and the exported files in `turtle-export.ts`.
+ *
+ * An exported SVG that placed a cursor one pixel differently from the window would be
+ * a drawing the student never saw, so the geometry lives here once rather than being
+ * copied into the exporter. Pure: no canvas, no DOM.
+ */
+
+import type { TurtleData, TurtleLook } from './turtle.ts';
+
+// ── Built-in cursor shapes ───────────────────────────────────────────────────
+// Same polygons Python's turtle module uses. They are defined pointing "up"
+// (+y); cursorOutline() rotates them onto the turtle's heading.
+export const TURTLE_SHAPE_POLYS: Record<string, number[][]> = {
+  classic:  [[0, 0], [-5, -9], [0, -7], [5, -9]],
+  arrow:    [[-10, 0], [10, 0], [0, 10]],
+  square:   [[10, -10], [10, 10], [-10, 10], [-10, -10]],
+  triangle: [[10, -5.77], [0, 11.55], [-10, -5.77]],
+  circle: [
+    [10, 0], [9.51, 3.09], [8.09, 5.88], [5.88, 8.09], [3.09, 9.51],
+    [0, 10], [-3.09, 9.51], [-5.88, 8.09], [-8.09, 5.88], [-9.51, 3.09],
+    [-10, 0], [-9.51, -3.09], [-8.09, -5.88], [-5.88, -8.09], [-3.09, -9.51],
+    [0, -10], [3.09, -9.51], [5.88, -8.09], [8.09, -5.88], [9.51, -3.09],
+  ],
+  turtle: [
+    [0, 16], [-2, 14], [-1, 10], [-4, 7], [-7, 9], [-9, 8], [-6, 5], [-7, 1],
+    [-5, -3], [-8, -6], [-6, -8], [-4, -5], [0, -7], [4, -5], [6, -8], [8, -6],
+    [5, -3], [7, 1], [6, 5], [9, 8], [7, 9], [4, 7], [1, 10], [2, 14],
+  ],
+};
+
+// The look a cursor has before the program changes anything. Must stay in sync
+// with the shim's defaults (_DEF_SHAPE / _DEF_CURSOR_* / _DEF_SCALE in
+// languages/python/turtle_shim.py): the shim only sends a 'SH' event once the
+// appearance actually changes, so the two ends have to start from the same one.
+export const DEFAULT_LOOK: TurtleLook = {
+  sh: 'turtle', fc: 'lightgreen', pc: 'darkgreen', sw: 1.5, sl: 1.5, ow: 1, tl: 0,
+};
+
+/** Merge the look fields of a shim event/cursor over an existing look. */
+export function mergeLook(base: TurtleLook, src: Record<string, unknown>): TurtleLook {
+  const num = (v: unknown, fallback: number) =>
+    (typeof v === 'number' && isFinite(v)) ? v : fallback;
+  return {
+    sh: typeof src.sh === 'string' ? src.sh : base.sh,
+    fc: typeof src.fc === 'string' ? src.fc : base.fc,
+    pc: typeof src.pc === 'string' ? src.pc : base.pc,
+    sw: num(src.sw, base.sw),
+    sl: num(src.sl, base.sl),
+    ow: num(src.ow, base.ow),
+    tl: num(src.tl, base.tl),
+  };
+}
+
+/** The look a stamp record draws with. Records from before shape support carry only `c`. */
+export function stampLook(shape: Record<string, unknown>): TurtleLook {
+  // Those render the way they always did - a plain arrowhead in the pen colour.
+  const legacy: TurtleLook = {
+    ...DEFAULT_LOOK,
+    sh: 'classic', sw: 1, sl: 1,
+    fc: String(shape.c ?? 'black'),
+    pc: String(shape.c ?? 'black'),
+  };
+  return mergeLook(legacy, shape);
+}
+
+/**
+ * A polygon cursor's outline on the canvas, for a turtle at canvas point (cx, cy).
+ *
+ * The polygon lives in "shape space", pointing up (+y), and is mapped onto the
+ * heading exactly the way Python's turtle does it: shape +y follows the heading,
+ * shape +x points to its right. shapesize() stretch and tilt are applied first, in
+ * shape space. Empty for a shape with fewer than two points.
+ */
+export function cursorOutline(
+  cx: number, cy: number,
+  headingDeg: number,
+  look: TurtleLook,
+  polys?: Record<string, number[][]>,
+): number[][] {
+  const poly = polys?.[look.sh] ?? TURTLE_SHAPE_POLYS[look.sh] ?? TURTLE_SHAPE_POLYS.classic;
+  if (!poly || poly.length < 2) return [];
+
+  const hRad = headingDeg * Math.PI / 180;
+  const sinH = Math.sin(hRad), cosH = Math.cos(hRad);
+  const tRad = look.tl * Math.PI / 180;
+  const sinT = Math.sin(tRad), cosT = Math.cos(tRad);
+
+  // Stretch + tilt matrix, matching turtle's _shapetrafo
+  const t11 =  look.sw * cosT, t12 = look.sl * sinT;
+  const t21 = -look.sw * sinT, t22 = look.sl * cosT;
+
+  return poly.map(([px, py]) => {
+    const sx = t11 * px + t12 * py;
+    const sy = t21 * px + t22 * py;
+    // shape space → turtle space, then → canvas (whose y grows downward)
+    return [cx + (sinH * sx + cosH * sy), cy - (cosH * sx - sinH * sy)];
+  });
+}
+
+/** The canvas size for a drawing: the program's setup(), within what a page can show. */
+export function turtleCanvasSize(data: TurtleData): { cw: number; ch: number } {
+  return {
+    cw: (data.w && data.w > 0) ? Math.min(data.w, 1200) : 600,
+    ch: (data.h && data.h > 0) ? Math.min(data.h, 900)  : 600,
+  };
+}
@@ -0,0 +1,194 @@
+/**
+ * The live turtle scene: what the drawing looks like so far, rebuilt from the
+ * server's `GraphicsBatch` stream (blueprint section 64).
+ *
+ * A batch is a list of operations - append shapes, truncate, replace the cursors,
+ * set the screen, register a cursor shape - and applying the same batches in the
+ * same order always gives the same scene. That is the whole contract, and why this
+ * module is pure: no canvas, no DOM, no timers. `turtle.ts` paints whatever this
+ * holds, at most once per animation frame, however many batches arrived in between.
+ *
+ * ## Missing batches
+ *
+ * Batches are numbered per stream. One that skips a number means something was lost
+ * - a reconnect, which never replays graphics - and every later `truncate` would then
+ * be an index into a list this scene does not have. So the scene becomes `stale`
+ * and stops changing: it stays exactly as it was last known to be right, and the
+ * finished drawing that comes with the exit replaces it. A new `sessionId` is a new
+ * run, and starts a new scene.
+ *
+ * ## Damage
+ *
+ * A canvas cannot un-draw, so the painter needs to know when what it already drew
+ * stopped being true. `invalidFrom` is the lowest shape index whose pixels may be
+ * wrong; the painter redraws from scratch when it is below what it has painted, and
+ * otherwise only draws what is new. Cursor moves, appearance changes and show/hide
+ * put no pixels down, so truncating only those - the shim rewrites the last
+ * appearance change in place all the time - costs no redraw.
+ */
+
+import type { Chart } from './chart-model.ts';
+import type { TurtleCursor, TurtleData, TurtleShape, TurtleSvgShape } from './turtle.ts';
+
+export const GRAPHICS_PROTOCOL_VERSION = 2;
+
+/** What happens to a run's drawing; the server's GRAPHICS_POLICIES. */
+export type GraphicsPolicy = 'successOnlyReplay' | 'liveDiscardOnError' | 'livePreserveOnError';
+
+export type GraphicsOperation =
+  | { op: 'screen'; bg?: string; w?: number; h?: number; tracer?: number; speed?: number; pic?: string }
+  | { op: 'shapes'; shapes: TurtleShape[] }
+  | { op: 'truncate'; length: number }
+  | { op: 'cursors'; cursors: TurtleCursor[] }
+  | { op: 'polygon'; name: string; points: number[][] }
+  | { op: 'svgShape'; name: string; shape: TurtleSvgShape }
+  /** A bcplot chart, whole, replacing the one at `index` (blueprint section 68). */
+  | { op: 'chart'; index: number; chart: Chart }
+  | GraphicsPrompt;
+
+/**
+ * `numinput`/`textinput` asking the student something (blueprint section 65). It
+ * rides the graphics stream because the question belongs in the turtle window, but
+ * it is not part of the drawing: the scene ignores it and `turtle.ts` shows it.
+ */
+export interface GraphicsPrompt {
+  op: 'prompt';
+  id: number;
+  kind: 'text' | 'number';
+  title: string;
+  prompt: string;
+  default?: number | null;
+  min?: number | null;
+  max?: number | null;
+}
+
+export interface GraphicsBatch {
+  protocolVersion: number;
+  sessionId: string | null;
+  sequence: number;
+  sceneRevision: number;
+  operations: GraphicsOperation[];
+}
+
+/** Shapes that move or restyle the cursor and draw nothing. */
+export const BOOKKEEPING_KINDS: ReadonlySet<string> = new Set(['M', 'SH', 'H', 'HT', 'ST']);
+
+export interface TurtleScene {
+  sessionId: string | null;
+  /** The last batch applied; 0 before the first. */
+  sequence: number;
+  /** The server's count of operations applied, as of `sequence`. */
+  revision: number;
+  /** True once a batch went missing. Nothing more is applied. */
+  stale: boolean;
+  /** The drawing, in the shape the exit-time payload has. */
+  data: Required<Pick<TurtleData, 'shapes' | 'cursors' | 'polys' | 'svgShapes'>> & TurtleData;
+  /** Lowest shape index whose pixels may be wrong; null when nothing drawn is. */
+  invalidFrom: number | null;
+}
+
+export function createTurtleScene(): TurtleScene {
+  return {
+    sessionId: null,
+    sequence: 0,
+    revision: 0,
+    stale: false,
+    data: { shapes: [], cursors: [], polys: {}, svgShapes: {} },
+    invalidFrom: null,
+  };
+}
+
+function invalidate(scene: TurtleScene, index: number): void {
+  scene.invalidFrom = scene.invalidFrom === null ? index : Math.min(scene.invalidFrom, index);
+}
+
+/**
+ * Apply one batch. Returns whether the scene changed.
+ *
+ * A batch from a newer protocol, a repeat of one already applied, or anything after
+ * a gap is ignored - the scene is never left half-way through a batch it could not
+ * understand.
+ */
+export function applyGraphicsBatch(scene: TurtleScene, batch: GraphicsBatch): boolean {
+  if (batch?.protocolVersion !== GRAPHICS_PROTOCOL_VERSION || !Array.isArray(batch.operations)) return false;
+
+  if (batch.sessionId !== scene.sessionId) {
+    Object.assign(scene, createTurtleScene(), { sessionId: batch.sessionId });
+  }
+  if (scene.stale || batch.sequence <= scene.sequence) return false;
+  if (batch.sequence !== scene.sequence + 1) {
+    scene.stale = true;
+    return false;
+  }
+
+  const { data } = scene;
+  for (const operation of batch.operations) {
+    switch (operation.op) {
+      case 'screen': {
+        // Always the whole set, so a field that is absent was cleared - `bgpic('nopic')`.
+        // Size, colour and picture change every pixel; tracer and speed change none.
+        const { bg, w, h, pic, tracer, speed } = operation;
+        if (bg !== data.bg || w !== data.w || h !== data.h || pic !== data.pic) invalidate(scene, 0);
+        Object.assign(data, { bg, w, h, pic, tracer, speed });
+        break;
+      }
+      case 'shapes':
+        data.shapes.push(...operation.shapes);
+        break;
+      case 'truncate': {
+        const removed = data.shapes.splice(Math.max(0, operation.length));
+        const drawn = removed.findIndex(shape => !BOOKKEEPING_KINDS.has(shape.k));
+        if (drawn !== -1) invalidate(scene, operation.length + drawn);
+        break;
+      }
+      case 'cursors':
+        data.cursors = operation.cursors;
+        break;
+      case 'polygon':
+        // A stamp already drawn in this shape is drawn in the new one too.
+        data.polys[operation.name] = operation.points;
+        invalidate(scene, 0);
+        break;
+      case 'svgShape':
+        data.svgShapes[operation.name] = operation.shape;
+        invalidate(scene, 0);
+        break;
+      case 'prompt':
+        // A question, not a drawing; the painter answers it.
+        break;
+      case 'chart':
+        // Not the drawing either: the chart window shows it (chart.ts).
+        break;
+      default:
+        // An operation from a newer server: nothing this client can draw.
+    }
+  }
+
+  scene.sequence = batch.sequence;
+  scene.revision = batch.sceneRevision;
+  return true;
+}
+
+/** The painter's half of the damage: where to start, then forgotten. */
+export function takeSceneDamage(scene: TurtleScene): number | null {
+  const from = scene.invalidFrom;
+  scene.invalidFrom = null;
+  return from;
+}
+
+/** A copy of the drawing as it stands, for rendering once the run is over. */
+export function sceneSnapshot(scene: TurtleScene): TurtleData {
+  const { data } = scene;
+  return {
+    ...data,
+    shapes: [...data.shapes],
+    cursors: [...data.cursors],
+    polys: { ...data.polys },
+    svgShapes: { ...data.svgShapes },
+  };
+}
+
+/** Whether the scene has anything a student would see: a shape or a turtle. */
+export function sceneHasContent(scene: TurtleScene): boolean {
+  return scene.data.shapes.length > 0 || scene.data.cursors.length > 0;
+}
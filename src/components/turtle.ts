@@ -3,7 +3,35 @@ import {
 } from "./dom";
 import * as monaco from 'monaco-editor';
 import { runtime } from '../app/runtime.ts';
+import { downloadBlob } from './download.ts';
+import { setStatus } from './output';
 import { getPopupWindow, hidePopupWindow, showPopupWindow } from "./popup-window";
+import {
+  applyGraphicsBatch,
+  createTurtleScene,
+  sceneHasContent,
+  sceneSnapshot,
+  takeSceneDamage,
+  type GraphicsBatch,
+  type GraphicsPrompt,
+  type TurtleScene,
+} from './turtle-scene.ts';
+import {
+  cursorOutline,
+  DEFAULT_LOOK,
+  mergeLook,
+  stampLook,
+  turtleCanvasSize,
+} from './turtle-look.ts';
+import { encodeGif, gifPalette, replayFrames, replayStepMs, turtleSvg } from './turtle-export.ts';
+import {
+  promptAnswerError,
+  turtleButton,
+  turtleClickPoint,
+  turtleKeyName,
+  turtleKeyScrolls,
+  type TurtleWindowEvent,
+} from './turtle-input.ts';
 
 // Id of the shared popup window the turtle drawing is rendered into.
 const TURTLE_WINDOW_ID = 'turtle-window';
@@ -85,54 +113,26 @@ let turtleBgImage: HTMLImageElement | null = null;
 let turtleSvgImages = new Map<string, HTMLImageElement>();
 let turtleSvgAssets: Record<string, TurtleSvgShape> = {};
 
-// Incremented by every renderTurtle()/clearTurtleCanvas() call so a background
-// picture that finishes loading late can tell it belongs to a run that has
-// already been replaced, and drop itself instead of painting over the new one.
+// Incremented by every renderTurtle()/startLiveTurtle()/clearTurtleCanvas() call
+// so a background picture that finishes loading late can tell it belongs to a run
+// that has already been replaced, and drop itself instead of painting over the new
+// one. The live painter checks it the same way.
 let turtleRenderSeq = 0;
 
-// ── Built-in cursor shapes ───────────────────────────────────────────────────
-// Same polygons Python's turtle module uses. They are defined pointing "up"
-// (+y); drawTurtleCursor() rotates them onto the turtle's heading.
-const TURTLE_SHAPE_POLYS: Record<string, number[][]> = {
-  classic:  [[0, 0], [-5, -9], [0, -7], [5, -9]],
-  arrow:    [[-10, 0], [10, 0], [0, 10]],
-  square:   [[10, -10], [10, 10], [-10, 10], [-10, -10]],
-  triangle: [[10, -5.77], [0, 11.55], [-10, -5.77]],
-  circle: [
-    [10, 0], [9.51, 3.09], [8.09, 5.88], [5.88, 8.09], [3.09, 9.51],
-    [0, 10], [-3.09, 9.51], [-5.88, 8.09], [-8.09, 5.88], [-9.51, 3.09],
-    [-10, 0], [-9.51, -3.09], [-8.09, -5.88], [-5.88, -8.09], [-3.09, -9.51],
-    [0, -10], [3.09, -9.51], [5.88, -8.09], [8.09, -5.88], [9.51, -3.09],
-  ],
-  turtle: [
-    [0, 16], [-2, 14], [-1, 10], [-4, 7], [-7, 9], [-9, 8], [-6, 5], [-7, 1],
-    [-5, -3], [-8, -6], [-6, -8], [-4, -5], [0, -7], [4, -5], [6, -8], [8, -6],
-    [5, -3], [7, 1], [6, 5], [9, 8], [7, 9], [4, 7], [1, 10], [2, 14],
-  ],
-};
+// The live painter's pending frame, so a burst of batches costs one paint.
+let turtleLiveRafId: number | null = null;
 
-// The look a cursor has before the program changes anything. Must stay in sync
-// with the shim's defaults (_DEF_SHAPE / _DEF_CURSOR_* / _DEF_SCALE in
-// languages/python/turtle_shim.py): the shim only sends a 'SH' event once the
-// appearance actually changes, so the two ends have to start from the same one.
-const DEFAULT_LOOK: TurtleLook = {
-  sh: 'turtle', fc: 'lightgreen', pc: 'darkgreen', sw: 1.5, sl: 1.5, ow: 1, tl: 0,
-};
+// The finished drawing on screen, for the export buttons and the save command, and
+// the replay speed the GIF is paced at. Null while a run is live and once the window
+// closes: what is exported must be what the student is looking at.
+let turtleExportData: TurtleData | null = null;
+let turtleExportSpeed = 1;
 
-/** Merge the look fields of a shim event/cursor over an existing look. */
-function mergeLook(base: TurtleLook, src: Record<string, unknown>): TurtleLook {
-  const num = (v: unknown, fallback: number) =>
-    (typeof v === 'number' && isFinite(v)) ? v : fallback;
-  return {
-    sh: typeof src.sh === 'string' ? src.sh : base.sh,
-    fc: typeof src.fc === 'string' ? src.fc : base.fc,
-    pc: typeof src.pc === 'string' ? src.pc : base.pc,
-    sw: num(src.sw, base.sw),
-    sl: num(src.sl, base.sl),
-    ow: num(src.ow, base.ow),
-    tl: num(src.tl, base.tl),
-  };
-}
+// Where the window's keys, clicks and dialog answers go while a live run is
+// listening, and the switch that takes its canvas listeners down again. Module-level
+// because the close button is bound once, for every run the window will ever show.
+let turtleEventSink: ((event: TurtleWindowEvent) => void) | null = null;
+let turtleInputAbort: AbortController | null = null;
 
 /**
  * Resolve the floating turtle window and its canvas, building them on demand.
@@ -147,7 +147,7 @@ function getTurtleElements(): { output: HTMLElement; canvas: HTMLCanvasElement;
   const popup = getPopupWindow(
     TURTLE_WINDOW_ID,
     '\uD83D\uDC22 Turtle Graphics',
-    () => clearTurtleCanvas(),   // closing also stops any running animation
+    closeTurtleWindow,   // closing also stops any running animation
   );
   if (!popup) return null;
 
@@ -165,6 +165,24 @@ function getTurtleElements(): { output: HTMLElement; canvas: HTMLCanvasElement;
   return { output: popup.windowEl, canvas, body: popup.bodyEl };
 }
 
+/**
+ * The close button. A program in mainloop() is told, and returns from it, the way
+ * closing a real turtle window ends the program waiting on it.
+ */
+function closeTurtleWindow(): void {
+  const sink = turtleEventSink;
+  clearTurtleCanvas();
+  sink?.({ type: 'close' });
+}
+
+/** Stop sending the window's events anywhere, and take down an unanswered dialog. */
+function detachTurtleInput(): void {
+  turtleInputAbort?.abort();
+  turtleInputAbort = null;
+  turtleEventSink = null;
+  document.getElementById('turtle-prompt')?.remove();
+}
+
 function stopTurtleReplay(): void {
   if (turtleReplayTimer !== null) {
     window.clearInterval(turtleReplayTimer);
@@ -235,6 +253,10 @@ function createTurtleReplayControls(
     if (value === 1) option.selected = true;
     speed.appendChild(option);
   }
+  turtleExportSpeed = 1;
+  speed.addEventListener('change', () => {
+    turtleExportSpeed = Number(speed.value);
+  });
 
   const label = document.createElement('span');
   label.className = 'turtle-replay-label';
@@ -269,7 +291,7 @@ function createTurtleReplayControls(
     }
     if (Number(range.value) >= shapes.length) seek(0, true);
     play.textContent = '⏸ Pause';
-    const delay = Math.max(35, 240 / Number(speed.value));
+    const delay = replayStepMs(Number(speed.value));
     turtleReplayTimer = window.setInterval(() => {
       const next = Number(range.value) + 1;
       setProgress(next, false);
@@ -287,13 +309,143 @@ function createTurtleReplayControls(
   return { setProgress };
 }
 
+// ── Export (blueprint section 67) ────────────────────────────────────────────
+// The finished drawing as a file: SVG from the records, PNG of the last frame, GIF
+// of the replay at the speed the replay control is set to. Rendered on a canvas of
+// its own with the same painters as the window, so it never disturbs a replay in
+// progress and never includes the replay's half-drawn line.
+
+export type TurtleExportFormat = 'svg' | 'png' | 'gif';
+
+export const TURTLE_EXPORT_FORMATS: readonly TurtleExportFormat[] = ['svg', 'png', 'gif'];
+
+const TURTLE_EXPORT_MEDIA_TYPES: Record<TurtleExportFormat, string> = {
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  gif: 'image/gif',
+};
+
+/** How long the finished drawing holds before the GIF starts over. */
+const GIF_FINAL_HOLD_MS = 2000;
+
+/** Whether a finished drawing is on screen to export. */
+export function hasTurtleDrawing(): boolean {
+  return turtleExportData !== null;
+}
+
 /**
- * Draw a turtle cursor at canvas position (cx, cy).
- *
- * The polygon lives in "shape space", pointing up (+y), and is mapped onto the
- * heading exactly the way Python's turtle does it: shape +y follows the
- * heading, shape +x points to its right. shapesize() stretch and tilt are
- * applied first, in shape space.
+ * The drawing on screen as a file, or null when there is none. Throws when the
+ * browser refuses to read the canvas back (an SVG cursor taints it in some).
+ */
+export async function exportTurtleDrawing(
+  format: TurtleExportFormat,
+): Promise<{ name: string; bytes: Uint8Array; mediaType: string } | null> {
+  const data = turtleExportData;
+  if (!data) return null;
+  const file = (bytes: Uint8Array) => ({
+    name: `turtle-drawing.${format}`,
+    bytes,
+    mediaType: TURTLE_EXPORT_MEDIA_TYPES[format],
+  });
+
+  if (format === 'svg') return file(new TextEncoder().encode(turtleSvg(data)));
+
+  const { cw, ch } = turtleCanvasSize(data);
+  const shapes = data.shapes ?? [];
+  const canvas = document.createElement('canvas');
+  canvas.width = cw;
+  canvas.height = ch;
+  const ctx = canvas.getContext('2d', { willReadFrequently: format === 'gif' });
+  if (!ctx) return null;
+  const paintAt = (count: number) =>
+    drawTurtlePrefix(ctx, shapes, count, cw, ch, data.bg ?? 'white', data.cursors, data.polys);
+
+  if (format === 'png') {
+    paintAt(shapes.length);
+    const blob = await new Promise<Blob | null>(resolve => canvas.toBlob(resolve, 'image/png'));
+    return blob ? file(new Uint8Array(await blob.arrayBuffer())) : null;
+  }
+
+  // Two passes over the same frames - one for the palette, one to encode - so only
+  // one frame's pixels are ever held, however long the replay.
+  const frames = replayFrames(shapes);
+  const stepMs = replayStepMs(turtleExportSpeed);
+  function* pixels(): Generator<Uint8ClampedArray> {
+    for (const frame of frames) {
+      paintAt(frame.count);
+      yield ctx!.getImageData(0, 0, cw, ch).data;
+    }
+  }
+  function* timed() {
+    let index = 0;
+    for (const rgba of pixels()) {
+      index += 1;
+      yield { rgba, delayMs: index < frames.length ? frames[index].steps * stepMs : GIF_FINAL_HOLD_MS };
+    }
+  }
+  return file(encodeGif(cw, ch, gifPalette(pixels()), timed()));
+}
+
+/** "Save as" under the drawing: to this computer, or into the project as a file. */
+function createTurtleExportControls(body: HTMLElement): void {
+  body.querySelector('#turtle-export-controls')?.remove();
+
+  const controls = document.createElement('div');
+  controls.id = 'turtle-export-controls';
+  controls.className = 'turtle-export-controls';
+
+  const label = document.createElement('span');
+  label.textContent = 'Save drawing';
+
+  const destination = document.createElement('select');
+  destination.title = 'Where the drawing is saved';
+  for (const [value, text] of [['download', 'to this computer'], ['project', 'into the project']]) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    destination.appendChild(option);
+  }
+  // A structure-locked workspace cannot take a new file; the command knows.
+  if (!runtime.commands?.isEnabled('workspace.saveTurtleDrawing')) {
+    destination.querySelector<HTMLOptionElement>('option[value="project"]')!.disabled = true;
+  }
+
+  const buttons = TURTLE_EXPORT_FORMATS.map(format => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = format.toUpperCase();
+    button.title = format === 'gif' ? 'The replay, as an animated GIF' : `The finished drawing, as ${format.toUpperCase()}`;
+    button.addEventListener('click', async () => {
+      for (const each of buttons) each.disabled = true;
+      setStatus(`Exporting the drawing as ${format.toUpperCase()}…`);
+      // A turn for the status to paint: a long GIF encodes on this thread.
+      await new Promise(resolve => setTimeout(resolve, 0));
+      try {
+        if (destination.value === 'project') {
+          await runtime.commands?.execute('workspace.saveTurtleDrawing', { source: 'ui' }, format);
+        } else {
+          const exported = await exportTurtleDrawing(format);
+          if (exported) {
+            downloadBlob(exported.name, new Blob([exported.bytes as BlobPart], { type: exported.mediaType }));
+            setStatus(`Downloaded ${exported.name}`);
+          }
+        }
+      } catch (error) {
+        setStatus(`Could not export the drawing: ${error instanceof Error ? error.message : String(error)}`);
+      } finally {
+        for (const each of buttons) each.disabled = false;
+      }
+    });
+    return button;
+  });
+
+  controls.append(label, destination, ...buttons);
+  body.appendChild(controls);
+}
+
+/**
+ * Draw a turtle cursor at canvas position (cx, cy): its SVG image when it has one,
+ * otherwise its polygon, placed by `cursorOutline` (turtle-look.ts).
  */
 function drawTurtleCursor(
   ctx: CanvasRenderingContext2D,
@@ -339,29 +491,14 @@ function drawTurtleCursor(
     return;
   }
 
-  const poly = polys?.[look.sh] ?? TURTLE_SHAPE_POLYS[look.sh] ?? TURTLE_SHAPE_POLYS.classic;
-  if (!poly || poly.length < 2) return;
-
-  const hRad = headingDeg * Math.PI / 180;
-  const sinH = Math.sin(hRad), cosH = Math.cos(hRad);
-  const tRad = look.tl * Math.PI / 180;
-  const sinT = Math.sin(tRad), cosT = Math.cos(tRad);
-
-  // Stretch + tilt matrix, matching turtle's _shapetrafo
-  const t11 =  look.sw * cosT, t12 = look.sl * sinT;
-  const t21 = -look.sw * sinT, t22 = look.sl * cosT;
+  const outline = cursorOutline(cx, cy, headingDeg, look, polys);
+  if (outline.length < 2) return;
 
   ctx.save();
   ctx.beginPath();
-  for (let i = 0; i < poly.length; i++) {
-    const px = poly[i][0], py = poly[i][1];
-    const sx = t11 * px + t12 * py;
-    const sy = t21 * px + t22 * py;
-    // shape space → turtle space, then → canvas (whose y grows downward)
-    const x = cx + (sinH * sx + cosH * sy);
-    const y = cy - (cosH * sx - sinH * sy);
+  outline.forEach(([x, y], i) => {
     if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
-  }
+  });
   ctx.closePath();
   ctx.fillStyle = look.fc;
   ctx.fill();
@@ -494,19 +631,11 @@ function drawTurtleShape(
       }
       case 'S': {
         // A stamp is an imprint of the cursor: same shape, colours and size.
-        // Payloads from before shape support only carry the pen colour `c`;
-        // those render the way they always did — a plain black arrowhead.
-        const legacy: TurtleLook = {
-          ...DEFAULT_LOOK,
-          sh: 'classic', sw: 1, sl: 1,
-          fc: String(s.c ?? 'black'),
-          pc: String(s.c ?? 'black'),
-        };
         drawTurtleCursor(
           sctx,
           tx(s.x as number), ty(s.y as number),
           (s.h as number) ?? 0,
-          mergeLook(legacy, s),
+          stampLook(s),
           polys,
         );
         break;
@@ -577,23 +706,36 @@ const TURTLE_PX_PER_SEC: Record<number, number> = {
   5: 1000, 6: 1600, 7: 2500, 8: 4000, 9: 6500, 10: 10000,
 };
 
+function cancelTurtleFrames(): void {
+  if (turtleAnimRafId !== null) {
+    cancelAnimationFrame(turtleAnimRafId);
+    turtleAnimRafId = null;
+  }
+  if (turtleLiveRafId !== null) {
+    cancelAnimationFrame(turtleLiveRafId);
+    turtleLiveRafId = null;
+  }
+}
+
 /**
  * Render a finished turtle program.
  *
  * When the program set a background picture with bgpic(), the picture has to be
  * decoded before anything can be painted, so the drawing starts once the image
  * has loaded (or failed). Everything else renders immediately.
+ *
+ * `animate: false` shows the finished picture at once, with the replay slider -
+ * for a drawing the student already watched being made, live.
  */
-export function renderTurtle(data: TurtleData): void {
+export function renderTurtle(data: TurtleData, { animate = true }: { animate?: boolean } = {}): void {
   // Cancel a running animation right away: even while an image is loading, the
   // previous drawing must not keep animating onto the canvas.
-  if (turtleAnimRafId !== null) {
-    cancelAnimationFrame(turtleAnimRafId);
-    turtleAnimRafId = null;
-  }
+  cancelTurtleFrames();
   stopTurtleReplay();
+  detachTurtleInput();
 
   const seq = ++turtleRenderSeq;
+  turtleExportData = null;
   turtleBgImage = null;
   turtleSvgImages = new Map<string, HTMLImageElement>();
   turtleSvgAssets = data.svgShapes ?? {};
@@ -603,7 +745,7 @@ export function renderTurtle(data: TurtleData): void {
   // Preserve the original fast path exactly for every existing Turtle program.
   // Image loading is introduced only when bgpic or an SVG cursor is present.
   if (!data.picData && svgEntries.length === 0) {
-    drawTurtleData(data);
+    drawTurtleData(data, animate);
     return;
   }
 
@@ -612,7 +754,7 @@ export function renderTurtle(data: TurtleData): void {
   const imageFinished = () => {
     pendingImages -= 1;
     if (pendingImages === 0 && seq === turtleRenderSeq) {
-      drawTurtleData(data);
+      drawTurtleData(data, animate);
     }
   };
 
@@ -637,15 +779,23 @@ export function renderTurtle(data: TurtleData): void {
   }
 }
 
-function drawTurtleData(data: TurtleData): void {
+/** Size the visible canvas and fit it on screen, keeping its full resolution. */
+function fitTurtleCanvas(turtleCanvas: HTMLCanvasElement, cw: number, ch: number): void {
+  turtleCanvas.width  = cw;
+  turtleCanvas.height = ch;
+  // The canvas keeps its full internal resolution (cw × ch); CSS max-* only
+  // shrinks the on-screen size, so drawings stay crisp on small viewports.
+  const maxCanvasW = Math.min(cw, Math.floor(window.innerWidth  * 0.6));
+  const maxCanvasH = Math.min(ch, Math.floor(window.innerHeight * 0.7));
+  turtleCanvas.style.maxWidth  = maxCanvasW + 'px';
+  turtleCanvas.style.maxHeight = maxCanvasH + 'px';
+}
+
+function drawTurtleData(data: TurtleData, animate = true): void {
   // ── Cancel any previous animation ──────────────────────────────────────────
-  if (turtleAnimRafId !== null) {
-    cancelAnimationFrame(turtleAnimRafId);
-    turtleAnimRafId = null;
-  }
+  cancelTurtleFrames();
 
-  const cw      = (data.w && data.w > 0) ? Math.min(data.w, 1200) : 600;
-  const ch      = (data.h && data.h > 0) ? Math.min(data.h, 900)  : 600;
+  const { cw, ch } = turtleCanvasSize(data);
   const bg      = data.bg ?? 'white';
   const shapes  = data.shapes ?? [];
   const polys   = data.polys;
@@ -656,8 +806,8 @@ function drawTurtleData(data: TurtleData): void {
   if (!turtleElements) return;
   const { output: turtleWindow, canvas: turtleCanvas, body: turtleBody } = turtleElements;
 
-  turtleCanvas.width  = cw;
-  turtleCanvas.height = ch;
+  // ── Scale the canvas to fit the screen while preserving aspect ratio ───────
+  fitTurtleCanvas(turtleCanvas, cw, ch);
   const context = turtleCanvas.getContext('2d');
   if (context === null) return;
 
@@ -667,20 +817,14 @@ function drawTurtleData(data: TurtleData): void {
 
   paintTurtleBackground(ctx, cw, ch, bg);
 
-  // ── Scale the canvas to fit the screen while preserving aspect ratio ───────
-  // The canvas keeps its full internal resolution (cw × ch); CSS max-* only
-  // shrinks the on-screen size, so drawings stay crisp on small viewports.
-  const maxCanvasW = Math.min(cw, Math.floor(window.innerWidth  * 0.6));
-  const maxCanvasH = Math.min(ch, Math.floor(window.innerHeight * 0.7));
-  turtleCanvas.style.maxWidth  = maxCanvasW + 'px';
-  turtleCanvas.style.maxHeight = maxCanvasH + 'px';
-
   // ── Show the popup window ───────────────────────────────────────────────────
   showPopupWindow(turtleWindow);
 
   const replay = createTurtleReplayControls(turtleBody, shapes, count => {
     drawTurtlePrefix(ctx, shapes, count, cw, ch, bg, cursors, polys);
   });
+  turtleExportData = data;
+  createTurtleExportControls(turtleBody);
 
   // Nothing was drawn, but the turtles themselves are still worth showing —
   // that is what a real turtle window looks like after a program that only
@@ -712,7 +856,7 @@ function drawTurtleData(data: TurtleData): void {
   let drawCount = 0;
   for (const s of shapes) if (!BOOKKEEPING.has(s.k)) drawCount++;
 
-  if (tracerVal === 0 || speedVal === 0 || drawCount > INSTANT_LIMIT) {
+  if (!animate || tracerVal === 0 || speedVal === 0 || drawCount > INSTANT_LIMIT) {
     for (const s of shapes) drawTurtleShape(octx, s, cw, ch, bg, polys);
     ctx.drawImage(offscreen, 0, 0);
     drawFinalCursors(ctx, cursors, cw, ch, polys);
@@ -849,18 +993,281 @@ function drawTurtleData(data: TurtleData): void {
   turtleAnimRafId = requestAnimationFrame(animFrame);
 }
 
+// ── Live drawing (blueprint section 64) ──────────────────────────────────────
+// The same canvas, fed by GraphicsBatch messages while the program runs instead
+// of one payload after it exits. turtle-scene.ts keeps the drawing; this paints
+// it, at most once per animation frame, onto the same double buffer the replay
+// uses: new shapes are added to the offscreen canvas, and only a change to
+// something already drawn (a fill under its outline, an undo, a new screen size)
+// repaints it from the start.
+//
+// It is also the way back (blueprint section 65). With `onEvent` set, the canvas
+// takes focus and sends its key presses and clicks in turtle terms, and a `prompt`
+// operation - numinput()/textinput() waiting - becomes a small form under the
+// drawing. The program is blocked until that form is answered, so a prompt is shown
+// even when the scene has gone stale, and opens the window even before anything is
+// drawn.
+
+export interface LiveTurtle {
+  /** Apply one batch from the run's stream and schedule a paint. */
+  apply(batch: GraphicsBatch): void;
+  /** Whether anything was drawn yet - a program that never used turtle never opens the window. */
+  hasContent(): boolean;
+  /** The drawing as it stands, for `renderTurtle` once the run is over. */
+  snapshot(): TurtleData;
+  /** The run is over: stop sending events, and drop a dialog nobody can answer now. */
+  finish(): void;
+}
+
+export interface LiveTurtleOptions {
+  /** Resolve a bgpic() name to a data URL, as the console does for a finished drawing. */
+  resolveImage?: (name: string) => Promise<string | null>;
+  /** Deliver a key, click, dialog answer or close to the running program. */
+  onEvent?: (event: TurtleWindowEvent) => void;
+}
+
+/**
+ * Start showing a run's drawing as it streams. Replaces whatever the window showed.
+ */
+export function startLiveTurtle(options: LiveTurtleOptions = {}): LiveTurtle {
+  cancelTurtleFrames();
+  stopTurtleReplay();
+  detachTurtleInput();
+  turtleReplayDecorations?.clear();
+  turtleEventSink = options.onEvent ?? null;
+  turtleExportData = null;
+
+  const seq = ++turtleRenderSeq;
+  turtleBgImage = null;
+  turtleSvgImages = new Map<string, HTMLImageElement>();
+  turtleSvgAssets = {};
+
+  const scene: TurtleScene = createTurtleScene();
+  const offscreen = document.createElement('canvas');
+  const octx = offscreen.getContext('2d');
+  let painted = 0;
+  let opened = false;
+  let loadedPic: string | undefined;
+  const requestedSvg = new Set<string>();
+  // Prompts are taken from each batch once, by its number, whether or not the
+  // scene could apply it.
+  let promptedThrough = 0;
+  let asking: GraphicsPrompt | null = null;
+
+  const current = () => seq === turtleRenderSeq;
+  const send = (event: TurtleWindowEvent) => {
+    if (current()) turtleEventSink?.(event);
+  };
+  const elementsCanvas = () => (current() ? document.getElementById('turtle-canvas') : null);
+
+  const schedule = () => {
+    if (turtleLiveRafId === null && current()) turtleLiveRafId = requestAnimationFrame(paint);
+  };
+
+  /** Something drawn under the shapes changed; paint it all again. */
+  const repaintAll = () => {
+    scene.invalidFrom = 0;
+    schedule();
+  };
+
+  // Images load asynchronously: the picture and any SVG cursor are painted once
+  // they arrive, and a run replaced meanwhile drops them.
+  const loadImages = () => {
+    const { pic, svgShapes } = scene.data;
+    if (pic !== loadedPic) {
+      loadedPic = pic;
+      turtleBgImage = null;
+      if (pic && options.resolveImage) {
+        void options.resolveImage(pic).then(url => {
+          if (!url || !current() || loadedPic !== pic) return;
+          const picture = new Image();
+          picture.onload = () => {
+            if (!current() || loadedPic !== pic) return;
+            turtleBgImage = picture;
+            repaintAll();
+          };
+          picture.src = url;
+        });
+      }
+    }
+    turtleSvgAssets = svgShapes;
+    for (const [name, asset] of Object.entries(svgShapes)) {
+      if (requestedSvg.has(name)) continue;
+      requestedSvg.add(name);
+      const image = new Image();
+      image.onload = () => {
+        if (!current()) return;
+        turtleSvgImages.set(name, image);
+        repaintAll();
+      };
+      image.src = asset.data;
+    }
+  };
+
+  /** Keys and clicks on the canvas, in turtle terms; taken down by detachTurtleInput(). */
+  const listen = (canvas: HTMLCanvasElement) => {
+    if (!turtleEventSink || turtleInputAbort) return;
+    turtleInputAbort = new AbortController();
+    const { signal } = turtleInputAbort;
+    canvas.tabIndex = 0;
+
+    const key = (down: boolean) => (event: KeyboardEvent) => {
+      const name = turtleKeyName(event.key);
+      if (turtleKeyScrolls(event.key)) event.preventDefault();
+      if (name) send({ type: 'key', key: name, down });
+    };
+    canvas.addEventListener('keydown', key(true), { signal });
+    canvas.addEventListener('keyup', key(false), { signal });
+    canvas.addEventListener('mousedown', event => {
+      canvas.focus();
+      const button = turtleButton(event.button);
+      if (button === null) return;
+      const { x, y } = turtleClickPoint(
+        event.clientX, event.clientY, canvas.getBoundingClientRect(), canvas.width, canvas.height,
+      );
+      send({ type: 'click', x, y, button });
+    }, { signal });
+    // A right click is a turtle click, not a browser menu.
+    canvas.addEventListener('contextmenu', event => event.preventDefault(), { signal });
+    canvas.focus();
+  };
+
+  /** numinput()/textinput(): a form under the drawing, answered once. */
+  const showPrompt = (body: HTMLElement, prompt: GraphicsPrompt) => {
+    body.querySelector('#turtle-prompt')?.remove();
+
+    const form = document.createElement('form');
+    form.id = 'turtle-prompt';
+    form.className = 'turtle-prompt';
+
+    const title = document.createElement('strong');
+    title.textContent = prompt.title;
+    const label = document.createElement('label');
+    label.textContent = prompt.prompt;
+    const input = document.createElement('input');
+    input.type = 'text';
+    if (prompt.kind === 'number') input.inputMode = 'decimal';
+    if (typeof prompt.default === 'number') input.value = String(prompt.default);
+    label.appendChild(input);
+    const error = document.createElement('span');
+    error.className = 'turtle-prompt-error';
+    error.setAttribute('role', 'alert');
+
+    const ok = document.createElement('button');
+    ok.type = 'submit';
+    ok.textContent = 'OK';
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.textContent = 'Cancel';
+
+    const answer = (value: string | null) => {
+      form.remove();
+      if (asking?.id === prompt.id) asking = null;
+      send({ type: 'prompt', id: prompt.id, value });
+      elementsCanvas()?.focus();
+    };
+    form.addEventListener('submit', event => {
+      event.preventDefault();
+      const problem = promptAnswerError(prompt, input.value);
+      if (problem) {
+        error.textContent = problem;
+        input.focus();
+        return;
+      }
+      answer(input.value);
+    });
+    cancel.addEventListener('click', () => answer(null));
+    input.addEventListener('keydown', event => {
+      if (event.key === 'Escape') answer(null);
+    });
+
+    form.append(title, label, error, ok, cancel);
+    body.appendChild(form);
+    input.focus();
+    input.select();
+  };
+
+  function paint(): void {
+    turtleLiveRafId = null;
+    if (!current() || !octx || (!sceneHasContent(scene) && !asking)) return;
+
+    const elements = getTurtleElements();
+    if (!elements) return;
+    const ctx = elements.canvas.getContext('2d');
+    if (!ctx) return;
+
+    const { data } = scene;
+    const { cw, ch } = turtleCanvasSize(data);
+    const bg = data.bg ?? 'white';
+
+    let from = takeSceneDamage(scene);
+    if (!opened || elements.canvas.width !== cw || elements.canvas.height !== ch) {
+      // A drawing from a previous run, a replay slider, or a setup() resize: none of
+      // what is on the canvas belongs to this frame.
+      elements.body.querySelector('#turtle-replay-controls')?.remove();
+      elements.body.querySelector('#turtle-export-controls')?.remove();
+      fitTurtleCanvas(elements.canvas, cw, ch);
+      offscreen.width = cw;
+      offscreen.height = ch;
+      from = 0;
+    }
+    if (!opened) {
+      opened = true;
+      showPopupWindow(elements.output);
+      listen(elements.canvas);
+    }
+    if (asking && !elements.body.querySelector('#turtle-prompt')) showPrompt(elements.body, asking);
+
+    if (from !== null && from < painted) painted = 0;
+    if (painted === 0) paintTurtleBackground(octx, cw, ch, bg);
+    // Truncating cursor bookkeeping leaves the pixels right but the count behind.
+    painted = Math.min(painted, data.shapes.length);
+    for (; painted < data.shapes.length; painted++) {
+      drawTurtleShape(octx, data.shapes[painted], cw, ch, bg, data.polys);
+    }
+
+    ctx.drawImage(offscreen, 0, 0);
+    drawFinalCursors(ctx, data.cursors, cw, ch, data.polys);
+  }
+
+  return {
+    apply(batch) {
+      if (!current()) return;
+      if (batch?.sequence > promptedThrough && Array.isArray(batch.operations)) {
+        promptedThrough = batch.sequence;
+        // Only one question is ever open: the program waits on each answer.
+        let prompt: GraphicsPrompt | null = null;
+        for (const operation of batch.operations) if (operation.op === 'prompt') prompt = operation;
+        if (prompt && turtleEventSink) {
+          asking = prompt;
+          document.getElementById('turtle-prompt')?.remove();
+          schedule();
+        }
+      }
+      if (!applyGraphicsBatch(scene, batch)) return;
+      loadImages();
+      schedule();
+    },
+    hasContent: () => sceneHasContent(scene),
+    snapshot: () => sceneSnapshot(scene),
+    finish() {
+      asking = null;
+      if (current()) detachTurtleInput();
+    },
+  };
+}
+
 /** Cancel any running animation, hide the popup window, and clear its pixels. */
 export function clearTurtleCanvas(): void {
-  if (turtleAnimRafId !== null) {
-    cancelAnimationFrame(turtleAnimRafId);
-    turtleAnimRafId = null;
-  }
+  cancelTurtleFrames();
   stopTurtleReplay();
+  detachTurtleInput();
   turtleReplayDecorations?.clear();
 
   // Also invalidate a background picture that is still loading, so a slow
   // decode from the previous run cannot draw into the cleared canvas.
   turtleRenderSeq++;
+  turtleExportData = null;
   turtleBgImage = null;
   turtleSvgImages = new Map<string, HTMLImageElement>();
   turtleSvgAssets = {};
@@ -869,6 +1276,7 @@ export function clearTurtleCanvas(): void {
   // Missing optional elements must therefore be a no-op, never a run failure.
   const canvas = turtleCanvasEl ?? document.getElementById('turtle-canvas') as HTMLCanvasElement | null;
   document.getElementById('turtle-replay-controls')?.remove();
+  document.getElementById('turtle-export-controls')?.remove();
 
   hidePopupWindow(TURTLE_WINDOW_ID);
   if (!canvas) return;
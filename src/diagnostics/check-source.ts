@@ -4,19 +4,28 @@
  * The scanner in `syntax-source.ts` runs on every keystroke and finds what is knowable
  * from the text. This finds everything else - undefined names, type errors, a method
  * that does not exist, an import that does not resolve - because it is javac, dotnet,
- * php -l and the Python preflight, invoked through `POST /api/check` without running
- * anything.
+ * go build, gcc, php -l, ruby -c and the Python preflight, invoked through
+ * `POST /api/check` without running anything.
  *
- * Together they are what makes the editor behave like an IDE for the four languages
- * Monaco has no service for.
+ * Together they are what makes the editor behave like an IDE for the languages Monaco
+ * has no service for.
  *
  * ## Which languages
  *
- * Exactly the four the scanner covers: python, java, php, csharp. TypeScript,
- * JavaScript, CSS, HTML and JSON already have live Monaco language services, which are
- * real parsers running locally with no round trip - asking a server to second-guess
- * them would be slower and worse. (The endpoint still serves those languages; the RUN
- * path uses it. The client just has nothing to gain.)
+ * Those whose manifest declares the `check` capability - today the four the scanner
+ * covers (python, java, php, csharp), and go, ruby, C and C++, which have none: go's
+ * compiler answers in well under a second once the shared build cache is warm,
+ * `ruby -c` in a tenth of one, and gcc in a few hundred milliseconds - g++ longer, for
+ * the standard headers it has to parse. TypeScript, JavaScript, CSS, HTML and JSON
+ * already have live Monaco language services, which are real parsers running locally
+ * with no round trip - asking a server to second-guess them would be slower and worse.
+ * (The endpoint still serves those languages; the RUN path uses it. The client just
+ * has nothing to gain.)
+ *
+ * It used to be the scanner's own list, which meant a language the server could check
+ * was never asked unless somebody also wrote it a scanner. The question is injected
+ * rather than imported from the language loader because the loader uses Vite's
+ * `import.meta.glob`, and this module should stay loadable under node.
  *
  * ## Pacing
  *
@@ -37,7 +46,6 @@ import {
   publishCompilerDiagnostics,
 } from './server-source.ts';
 import type { DiagnosticsStore } from './store.ts';
-import { hasInstantSyntaxCheck } from '../languages/syntax-check.ts';
 import type { WorkspaceService } from '../workspace/service.ts';
 import type { Disposable } from '../workspace/types.ts';
 
@@ -45,13 +53,18 @@ import type { Disposable } from '../workspace/types.ts';
  * How long after the last keystroke to ask, per language.
  *
  * Chosen from what the toolchain actually costs, measured through /api/check: the
- * Python preflight and `php -l` return in tens of milliseconds, javac takes a second
- * or two on a warm JVM, and `dotnet build` is the slowest thing in the system.
+ * Python preflight, `php -l` and `ruby -c` return in tens of milliseconds, javac takes
+ * a second or two on a warm JVM, `go build` and gcc a few hundred milliseconds (g++
+ * nearer a second), and `dotnet build` is the slowest thing in the system.
  */
 const DEBOUNCE_MS: Record<string, number> = {
   python: 400,
   php: 400,
+  ruby: 400,
   java: 1200,
+  go: 800,
+  c: 800,
+  cpp: 1200,
   csharp: 1800,
 };
 
@@ -61,6 +74,7 @@ export function connectCheckDiagnostics({
   store,
   service,
   activeDocumentId,
+  checks,
 }: {
   store: DiagnosticsStore;
   service: WorkspaceService;
@@ -74,6 +88,8 @@ export function connectCheckDiagnostics({
    * file regardless, so one rule serves all four.
    */
   activeDocumentId: () => string | null;
+  /** Does this language's manifest offer a live compiler check? */
+  checks: (languageId: string) => boolean;
 }): Disposable {
   const subscriptions = new Map<string, Disposable>();
   let timer: ReturnType<typeof setTimeout> | null = null;
@@ -87,7 +103,7 @@ export function connectCheckDiagnostics({
     if (!documentId) return;
 
     const document = service.getDocument(documentId);
-    if (!document || !hasInstantSyntaxCheck(document.language)) return;
+    if (!document || !checks(document.language)) return;
 
     const files = service.snapshotForExecution().map(file => ({
       path: file.path,
@@ -168,7 +184,7 @@ export function connectCheckDiagnostics({
   const schedule = (): void => {
     const documentId = activeDocumentId();
     const language = documentId ? service.getDocument(documentId)?.language : undefined;
-    if (!language || !hasInstantSyntaxCheck(language)) return;
+    if (!language || !checks(language)) return;
 
     if (timer) clearTimeout(timer);
     timer = setTimeout(() => {
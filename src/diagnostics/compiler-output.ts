@@ -178,6 +178,203 @@ function parseTypeScript(text: string): ParsedDiagnostic[] {
   return results;
 }
 
+/**
+ * Go, two shapes.
+ *
+ * `go build` reports every error on one line, relative to the build directory:
+ *
+ *     ./main.go:4:2: x declared and not used
+ *
+ * A program that panics prints the panic, then one goroutine's stack, INNERMOST frame
+ * first - the opposite order to a Python traceback:
+ *
+ *     panic: runtime error: index out of range [5] with length 3
+ *
+ *     goroutine 1 [running]:
+ *     main.main()
+ *         main.go:6 +0x17
+ *
+ * so the FIRST frame naming a workspace file is where it happened. Frames inside the
+ * standard library carry the toolchain's absolute GOROOT path, which job-path
+ * stripping leaves alone, and that is how they are told apart.
+ */
+function parseGo(text: string): ParsedDiagnostic[] {
+  const results: ParsedDiagnostic[] = [];
+  for (const match of text.matchAll(/^(?:\.\/)?([^\s:]+\.go):(\d+):(\d+):\s*(.*)$/gm)) {
+    results.push({
+      file: match[1],
+      line: Number.parseInt(match[2], 10),
+      column: Number.parseInt(match[3], 10),
+      severity: 'error',
+      message: match[4].trim(),
+    });
+  }
+  if (results.length > 0) return results;
+
+  const failure = text.match(/^((?:panic|fatal error): .*?)(?:\s+\[recovered\])?$/m);
+  if (!failure) return [];
+  for (const frame of text.matchAll(/^\s+([^\s:]+\.go):(\d+)(?:\s+\+0x[0-9a-f]+)?$/gm)) {
+    if (frame[1].startsWith('/')) continue;
+    return [{
+      file: frame[1],
+      line: Number.parseInt(frame[2], 10),
+      severity: 'error',
+      message: failure[1].trim(),
+    }];
+  }
+  return [];
+}
+
+/**
+ * Ruby, two shapes.
+ *
+ * A syntax error, from `ruby -c` or from a file pulled in with require_relative, and a
+ * warning, are one line each, with no column - the caret snippet under them is for
+ * reading, not for parsing:
+ *
+ *     main.rb:2: syntax error, unexpected end-of-input, expecting `end' (SyntaxError)
+ *     main.rb:1: warning: assigned but unused variable - a
+ *
+ * An uncaught exception names the INNERMOST frame on its first line, as Go does, and
+ * the callers follow as `from` lines:
+ *
+ *     main.rb:2:in `f': undefined method `upcase' for nil (NoMethodError)
+ *     	from main.rb:4:in `<main>'
+ *
+ * The message is what follows the method name. The location is the first frame in a
+ * workspace file: a method written in C reports its caller's line already, but one in
+ * the standard library reports its own absolute path or an `<internal:…>` one. Ruby
+ * 3.4 quotes method names with two straight quotes instead of a backtick, so both are
+ * accepted.
+ */
+function parseRuby(text: string): ParsedDiagnostic[] {
+  const results: ParsedDiagnostic[] = [];
+  for (const match of text.matchAll(/^([^\s:<][^\s:]*\.rb):(\d+): (?!in\s)(.*)$/gm)) {
+    const warning = /^warning:\s*/.exec(match[3]);
+    results.push({
+      file: match[1],
+      line: Number.parseInt(match[2], 10),
+      severity: warning ? 'warning' : 'error',
+      message: (warning ? match[3].slice(warning[0].length) : match[3]).trim(),
+    });
+  }
+  if (results.some(result => result.severity === 'error')) return results;
+
+  const failure = text.match(/^\S+?:\d+:in [`'][^`'\n]*': (.+)$/m);
+  if (!failure) return results;
+  for (const frame of text.matchAll(/^(?:\s+from\s+)?(\S+?):(\d+):in [`']/gm)) {
+    if (frame[1].startsWith('/') || frame[1].startsWith('<internal:')) continue;
+    results.push({
+      file: frame[1],
+      line: Number.parseInt(frame[2], 10),
+      severity: 'error',
+      message: failure[1].trim(),
+    });
+    break;
+  }
+  return results;
+}
+
+/** One frame of a sanitizer stack: `    #0 0x55f0b792b312 in get util.c:3`. */
+const SANITIZER_FRAME = /^\s*#\d+\s+0x[0-9a-f]+\s+in\s+.+?\s+(\S+?):(\d+)(?::(\d+))?\s*$/;
+
+/**
+ * A file the student wrote, as a sanitizer or gcc names it once job paths are gone.
+ *
+ * The standard library's headers keep their absolute install path, and the sanitizer
+ * runtime names its own sources relative to its build tree (`../../../../src/…`).
+ */
+const isWorkspacePath = (file: string) => !file.startsWith('/') && !file.startsWith('../') && !file.startsWith('<');
+
+/**
+ * C and C++ (gcc and g++), two shapes.
+ *
+ * The compiler reports one line per problem, with a snippet and a caret under it for
+ * reading, and a `note:` after an error that belongs to that error:
+ *
+ *     main.c:5:5: error: expected ',' or ';' before 'printf'
+ *     main.c:4:9: warning: unused variable 'x' [-Wunused-variable]
+ *
+ * Errors are returned ahead of warnings. gcc prints in source order, so a warning on
+ * line 4 would otherwise be the FIRST diagnostic - the one the explanation is about -
+ * in a build that failed for a different reason on line 5. The `[-Wflag]` suffix names
+ * the compiler switch, which nobody here can change, and is dropped. A problem inside
+ * a system header is the library's report of the student's call, which g++ also
+ * reports at the call; only workspace files are kept.
+ *
+ * A program built with the sanitizers that crashed reports once, on stderr - UBSan on
+ * one line, AddressSanitizer as a heading and a stack, INNERMOST frame first, as Go's:
+ *
+ *     main.c:7:12: runtime error: signed integer overflow: 2147483647 + 1 cannot …
+ *     ==123==ERROR: AddressSanitizer: heap-buffer-overflow on address 0x602… at pc …
+ *     READ of size 4 at 0x602000000018 thread T0
+ *         #0 0x55f0b792b312 in get util.c:3
+ *
+ * An assertion and an uncaught exception print their own line first and then the
+ * sanitizer's stack of the abort. Where the fault is inside the library, the first
+ * frame in a workspace file is the student's line that called it.
+ */
+function parseGcc(text: string): ParsedDiagnostic[] {
+  const errors: ParsedDiagnostic[] = [];
+  const warnings: ParsedDiagnostic[] = [];
+  for (const match of text.matchAll(/^([^\s:][^:\n]*?):(\d+):(\d+): (fatal error|error|warning): (.*)$/gm)) {
+    if (!isWorkspacePath(match[1])) continue;
+    const diagnostic: ParsedDiagnostic = {
+      file: match[1],
+      line: Number.parseInt(match[2], 10),
+      column: Number.parseInt(match[3], 10),
+      severity: match[4] === 'warning' ? 'warning' : 'error',
+      message: match[5].replace(/\s+\[-(?:W[\w=+-]*|fpermissive)\]$/, '').trim(),
+    };
+    (diagnostic.severity === 'error' ? errors : warnings).push(diagnostic);
+  }
+  if (errors.length + warnings.length > 0) return [...errors, ...warnings];
+
+  const undefinedBehaviour = text.match(/^(\S+?):(\d+):(\d+): (runtime error: .*)$/m);
+  if (undefinedBehaviour && isWorkspacePath(undefinedBehaviour[1])) {
+    return [{
+      file: undefinedBehaviour[1],
+      line: Number.parseInt(undefinedBehaviour[2], 10),
+      column: Number.parseInt(undefinedBehaviour[3], 10),
+      severity: 'error',
+      message: undefinedBehaviour[4].trim(),
+    }];
+  }
+
+  const lines = text.split('\n');
+  const assertion = text.match(/^(?:\S+: )?(\S+?):(\d+): [^\n]*?(Assertion [`'].+' failed\.)$/m);
+  if (assertion && isWorkspacePath(assertion[1])) {
+    return [{
+      file: assertion[1],
+      line: Number.parseInt(assertion[2], 10),
+      severity: 'error',
+      message: assertion[3],
+    }];
+  }
+
+  const uncaught = text.match(/^terminate called after throwing an instance of '([^']+)'(?:\n\s+what\(\):\s+(.*))?/m);
+  const heading = text.match(/^==\d+==ERROR: AddressSanitizer: (?:attempting )?([\w-]+)/m);
+  const access = text.match(/^(READ|WRITE) of size (\d+)/m);
+  let message: string | null = null;
+  if (assertion) message = assertion[3];
+  else if (uncaught) message = `uncaught exception '${uncaught[1]}'${uncaught[2] ? `: ${uncaught[2].trim()}` : ''}`;
+  else if (heading) message = `AddressSanitizer: ${heading[1]}${access ? ` (${access[1]} of size ${access[2]})` : ''}`;
+  if (!message) return [];
+
+  for (const line of lines) {
+    const frame = line.match(SANITIZER_FRAME);
+    if (!frame || !isWorkspacePath(frame[1])) continue;
+    return [{
+      file: frame[1],
+      line: Number.parseInt(frame[2], 10),
+      ...(frame[3] ? { column: Number.parseInt(frame[3], 10) } : {}),
+      severity: 'error',
+      message,
+    }];
+  }
+  return [];
+}
+
 const PARSERS: Record<string, (text: string) => ParsedDiagnostic[]> = {
   python: parsePython,
   java: parseJava,
@@ -185,6 +382,10 @@ const PARSERS: Record<string, (text: string) => ParsedDiagnostic[]> = {
   php: parsePhp,
   javascript: parseJavaScript,
   typescript: parseTypeScript,
+  go: parseGo,
+  ruby: parseRuby,
+  c: parseGcc,
+  cpp: parseGcc,
 };
 
 /**
@@ -0,0 +1,235 @@
+/**
+ * The linter's half of live checking: what compiles and is still wrong.
+ *
+ * The scanner and the compiler check (`syntax-source.ts`, `check-source.ts`) answer
+ * "will this run?". Neither says anything about `total = 0` assigned and never read,
+ * a loop variable that shadows the function's parameter, or `x == NaN` - code that
+ * runs, and does the wrong thing. Those are the bugs a student cannot find by reading
+ * an error message, because there is none. This asks each language's linter through
+ * `POST /api/lint` (ruff, ESLint, javac -Xlint, PHPStan, the Roslyn analyzers) and
+ * publishes the findings as their own producer, so they sit beside the compiler's in
+ * the Problems panel with the rule that fired.
+ *
+ * ## Unlike the check
+ *
+ * It runs for JavaScript and TypeScript too. Monaco's services there are a type
+ * checker, not a linter: they say nothing about an unused `let` or a shadowed name.
+ *
+ * Its debounce is longer than the check's for every language. A finding about code
+ * still being written ("`i` is never used", one keystroke before the line that uses
+ * it) is noise, so it waits for a longer pause than the check does.
+ *
+ * And a linter the server does not have answers 503 - remembered per language, and
+ * not asked about again until the page reloads. Busy (429), slow (504) and offline
+ * leave the last findings where they are, as the check does: an empty list would
+ * clear the panel and read as "nothing wrong".
+ *
+ * What the store does with a lint finding - shown, but never blocking a run nor
+ * hiding the scanner on its line - is the store's business (`LINT_SOURCE`).
+ */
+
+import { LINT_SOURCE } from './store.ts';
+import type { Diagnostic, DiagnosticSeverity, DiagnosticsStore } from './store.ts';
+import type { WorkspaceService } from '../workspace/service.ts';
+import type { Disposable } from '../workspace/types.ts';
+
+/** One finding, as `POST /api/lint` reports it (server/linting/findings.mjs). */
+export interface LintFinding {
+  readonly file: string;
+  readonly line: number;
+  readonly column: number;
+  readonly endLine?: number;
+  readonly endColumn?: number;
+  readonly severity: DiagnosticSeverity;
+  readonly rule: string;
+  readonly message: string;
+}
+
+/**
+ * How long after the last keystroke to ask, per language.
+ *
+ * Each a little over the check's pause for the same language, and scaled the same
+ * way: ESLint runs in the server's process and ruff in milliseconds, PHPStan starts a
+ * PHP process, javac a JVM, and the Roslyn analyzers ride on a `dotnet build`.
+ */
+const DEBOUNCE_MS: Record<string, number> = {
+  python: 600,
+  javascript: 500,
+  typescript: 500,
+  php: 800,
+  java: 1500,
+  csharp: 2500,
+};
+
+const DEFAULT_DEBOUNCE_MS = 1000;
+
+/**
+ * The server's findings as diagnostics, grouped by the document they belong to.
+ *
+ * A finding in a file the workspace no longer has - renamed or deleted while the lint
+ * was in flight - is dropped; there is nowhere to show it.
+ */
+export function findingsToDiagnostics(
+  findings: readonly LintFinding[],
+  tool: string,
+  findByPath: (path: string) => { id: string } | null,
+): Map<string, Diagnostic[]> {
+  const byDocument = new Map<string, Diagnostic[]>();
+  for (const finding of findings) {
+    const document = findByPath(finding.file);
+    if (!document) continue;
+
+    const diagnostic: Diagnostic = {
+      documentId: document.id,
+      path: finding.file,
+      severity: finding.severity,
+      message: finding.message,
+      line: finding.line,
+      column: finding.column,
+      endLine: finding.endLine,
+      endColumn: finding.endColumn,
+      source: tool,
+      code: finding.rule,
+    };
+    const list = byDocument.get(document.id);
+    if (list) list.push(diagnostic);
+    else byDocument.set(document.id, [diagnostic]);
+  }
+  return byDocument;
+}
+
+export function connectLintDiagnostics({
+  store,
+  service,
+  activeDocumentId,
+  lints,
+}: {
+  store: DiagnosticsStore;
+  service: WorkspaceService;
+  /** The file the student is looking at: its language picks the linter. */
+  activeDocumentId: () => string | null;
+  /** Does this language's manifest offer a linter? */
+  lints: (languageId: string) => boolean;
+}): Disposable {
+  const subscriptions = new Map<string, Disposable>();
+  /** Languages whose linter the server said it does not have. */
+  const unavailable = new Set<string>();
+  let timer: ReturnType<typeof setTimeout> | null = null;
+  let inFlight: AbortController | null = null;
+  let disposed = false;
+
+  const wanted = (language: string | undefined): language is string =>
+    !!language && lints(language) && !unavailable.has(language);
+
+  const run = async (): Promise<void> => {
+    if (disposed) return;
+
+    const documentId = activeDocumentId();
+    if (!documentId) return;
+
+    const document = service.getDocument(documentId);
+    if (!document || !wanted(document.language)) return;
+
+    const files = service.snapshotForExecution().map(file => ({
+      path: file.path,
+      content: file.content,
+      language: file.language,
+    }));
+    if (files.length === 0) return;
+
+    // Bound BEFORE the request, for the reason given in check-source.ts.
+    const revisions = new Map<string, number>();
+    for (const item of service.allDocuments()) revisions.set(item.id, item.revision);
+
+    inFlight?.abort();
+    const controller = new AbortController();
+    inFlight = controller;
+
+    let payload: { tool: string; findings: LintFinding[] } | null = null;
+    try {
+      const response = await fetch('/api/lint', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          language: document.language,
+          version: document.version,
+          files,
+          entryPoint: service.pathOf(documentId) ?? document.name,
+        }),
+        signal: controller.signal,
+      });
+
+      if (response.status === 503) unavailable.add(document.language);
+      // Busy, slow, or refused: no answer this time, and nothing said about it.
+      if (!response.ok) return;
+      payload = await response.json();
+    } catch {
+      return;
+    } finally {
+      if (inFlight === controller) inFlight = null;
+    }
+
+    if (disposed || controller.signal.aborted || !payload) return;
+
+    // Superseded while in flight. Dropped rather than published, so the previous
+    // findings stay up instead of flickering away (see check-source.ts).
+    const current = service.getDocument(documentId);
+    if (!current || current.revision !== revisions.get(documentId)) return;
+
+    const byDocument = findingsToDiagnostics(payload.findings, payload.tool, path => service.findByPath(path));
+    // Every document, not only those with findings: the one fixed since the last lint
+    // must be cleared, and the answer covers the whole project.
+    for (const item of service.allDocuments()) {
+      const revision = revisions.get(item.id);
+      if (revision === undefined) continue;
+      store.set(item.id, LINT_SOURCE, revision, byDocument.get(item.id) ?? []);
+    }
+  };
+
+  const schedule = (): void => {
+    const documentId = activeDocumentId();
+    const language = documentId ? service.getDocument(documentId)?.language : undefined;
+    if (!wanted(language)) return;
+
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      void run();
+    }, DEBOUNCE_MS[language] ?? DEFAULT_DEBOUNCE_MS);
+  };
+
+  const reconcile = (): void => {
+    const live = new Set<string>();
+
+    for (const document of service.allDocuments()) {
+      live.add(document.id);
+      if (subscriptions.has(document.id)) continue;
+      subscriptions.set(document.id, document.onDidChangeContent(() => schedule()));
+    }
+
+    for (const [id, subscription] of [...subscriptions]) {
+      if (live.has(id)) continue;
+      subscription.dispose();
+      subscriptions.delete(id);
+      store.clear(id, LINT_SOURCE);
+    }
+  };
+
+  const workspaceSubscription = service.onDidChangeWorkspace(() => {
+    reconcile();
+    schedule();
+  });
+  reconcile();
+  schedule();
+
+  return {
+    dispose: () => {
+      disposed = true;
+      workspaceSubscription.dispose();
+      for (const subscription of subscriptions.values()) subscription.dispose();
+      subscriptions.clear();
+      if (timer) clearTimeout(timer);
+      inFlight?.abort();
+    },
+  };
+}
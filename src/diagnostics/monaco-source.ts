@@ -106,7 +106,10 @@ export function connectMonacoDiagnostics({
   // A document that goes away must take its problems with it, or the panel lists
   // errors in a file that no longer exists and clicking one navigates nowhere.
   const workspaceSubscription = service.onDidChangeWorkspace(event => {
-    if (event.reason !== 'delete' && event.reason !== 'clear' && event.reason !== 'replace-all') {
+    if (
+      event.reason !== 'delete' && event.reason !== 'clear' && event.reason !== 'replace-all' &&
+      event.reason !== 'sync'
+    ) {
       return;
     }
     for (const documentId of event.affected) {
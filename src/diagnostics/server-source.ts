@@ -201,6 +201,36 @@ export function publishCompilerDiagnostics(
   }
 }
 
+const MARKER_SEVERITY: Record<Diagnostic['severity'], monaco.MarkerSeverity> = {
+  error: monaco.MarkerSeverity.Error,
+  warning: monaco.MarkerSeverity.Warning,
+  info: monaco.MarkerSeverity.Info,
+};
+
+/**
+ * Where a marker's underline stops.
+ *
+ * At the end of the start line unless the producer gave a range: compilers rarely give
+ * an end column, and a one-character squiggle is easy to miss. Linters do - ruff and
+ * ESLint name exactly the unused variable - and underlining the whole line would say
+ * the statement is wrong when only the name is. A range that no longer fits the model,
+ * or is empty, falls back the same way.
+ */
+function markerEnd(
+  model: monaco.editor.ITextModel,
+  line: number,
+  column: number,
+  diagnostic: Diagnostic,
+): { line: number; column: number } {
+  const toEndOfLine = { line, column: model.getLineMaxColumn(line) };
+  if (!diagnostic.endLine || !diagnostic.endColumn) return toEndOfLine;
+  if (diagnostic.endLine < line || diagnostic.endLine > model.getLineCount()) return toEndOfLine;
+
+  const endColumn = Math.min(diagnostic.endColumn, model.getLineMaxColumn(diagnostic.endLine));
+  if (diagnostic.endLine === line && endColumn <= column) return toEndOfLine;
+  return { line: diagnostic.endLine, column: endColumn };
+}
+
 /**
  * Keep Monaco's squiggles in step with the store.
  *
@@ -229,12 +259,10 @@ export function connectRunMarkers({
         const line = Math.min(Math.max(1, diagnostic.line), model.getLineCount());
         const maxColumn = model.getLineMaxColumn(line);
         const column = Math.min(Math.max(1, diagnostic.column), maxColumn);
+        const end = markerEnd(model, line, column, diagnostic);
 
         return {
-          severity:
-            diagnostic.severity === 'warning'
-              ? monaco.MarkerSeverity.Warning
-              : monaco.MarkerSeverity.Error,
+          severity: MARKER_SEVERITY[diagnostic.severity],
           /*
            * The compiler's message, then the plain-language explanation.
            *
@@ -250,11 +278,10 @@ export function connectRunMarkers({
             : diagnostic.message,
           startLineNumber: line,
           startColumn: column,
-          endLineNumber: line,
-          // Underline to the end of the line: compilers rarely give an end column,
-          // and a one-character squiggle is easy to miss.
-          endColumn: maxColumn,
+          endLineNumber: end.line,
+          endColumn: end.column,
           source: diagnostic.source,
+          code: diagnostic.code,
         };
       });
 
@@ -33,6 +33,13 @@ export interface Diagnostic {
   readonly endColumn?: number;
   /** Who produced it: "ts", "javac", "python", ... Shown so the origin is legible. */
   readonly source: string;
+  /**
+   * The rule that fired, for a linter's finding: `F841`, `no-shadow`, `IDE0059`.
+   *
+   * Shown beside the source, because it is what a student searches for to learn why
+   * the tool objects - and what a teacher names when saying which ones to ignore.
+   */
+  readonly code?: string;
   /**
    * A plain-language explanation of this message, when one exists.
    *
@@ -189,9 +196,16 @@ export class DiagnosticsStore {
     return { error, warning, info, total: error + warning + info };
   }
 
-  /** True when a run should be blocked. Only errors block; warnings never do. */
+  /**
+   * True when a run should be blocked. Only errors block; warnings never do, and
+   * neither does anything the linter says, whatever severity it gave.
+   */
   hasErrors(): boolean {
-    return this.all().some(diagnostic => diagnostic.severity === 'error');
+    for (const bySource of this.#byDocument.values()) {
+      const blocking = new Map([...bySource].filter(([producer]) => producer !== LINT_SOURCE));
+      if (preferAuthoritative(blocking).some(diagnostic => diagnostic.severity === 'error')) return true;
+    }
+    return false;
   }
 }
 
@@ -208,6 +222,18 @@ export class DiagnosticsStore {
  */
 const ADVISORY_PRODUCER = 'syntax';
 
+/**
+ * The linter's producer key (`lint-source.ts`).
+ *
+ * Its findings are opinions about code that compiles, so they are held to a lower
+ * standard than a compiler's in both directions the store decides. A lint finding does
+ * not speak for its line - a syntax error the scanner found there still shows, since
+ * the linter dropped its own parse errors as the check's business. And it never blocks
+ * a run: ESLint calling a global undefined, or PHPStan a function unknown, may be
+ * wrong, and running the program is how the student finds out.
+ */
+export const LINT_SOURCE = 'lint';
+
 /**
  * One problem per line, with the compiler winning.
  *
@@ -229,7 +255,7 @@ const ADVISORY_PRODUCER = 'syntax';
 function preferAuthoritative(bySource: Map<string, Entry>): Diagnostic[] {
   const spokenFor = new Set<number>();
   for (const [producer, entry] of bySource) {
-    if (producer === ADVISORY_PRODUCER) continue;
+    if (producer === ADVISORY_PRODUCER || producer === LINT_SOURCE) continue;
     for (const diagnostic of entry.diagnostics) spokenFor.add(diagnostic.line);
   }
 
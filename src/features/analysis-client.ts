@@ -0,0 +1,163 @@
+/**
+ * Asking the server's Python analysis broker, and knowing when not to.
+ *
+ * `POST /api/analysis` runs Jedi over the project (blueprint section 63): it knows
+ * that `helper` came from `pkg/mod.py`, what `helper(1).` offers, and every place a
+ * name is used. The editor asks it first for Python and falls back to what it had
+ * before - the regex go-to-definition in `go-to-definition.ts`, and for completion
+ * Monaco's own word list - whenever it cannot answer.
+ *
+ * Shaped like `format-server.ts`, for the same reasons: a 503 means this server has
+ * no Jedi and never will this session, so it is remembered and never asked again; a
+ * 429 (every session taken) or a timeout is about right now, so the next question
+ * asks again.
+ *
+ * ## One session per page
+ *
+ * The broker keeps one Jedi process per session, warm between questions, and the
+ * session key is how it knows two questions are the same student's. A random UUID per
+ * page: the key is all that ties requests to a process, so it must not be guessable.
+ *
+ * Pure: no DOM, no Monaco. `fetch` is injected so the decisions are tested in node.
+ */
+
+export type AnalysisMethod = 'complete' | 'signatures' | 'definition' | 'references' | 'rename';
+
+/** A place in the project. Lines and columns are 1-based; `endColumn` is exclusive. */
+export interface AnalysisLocation {
+  readonly path: string;
+  readonly line: number;
+  readonly column: number;
+  readonly endLine: number;
+  readonly endColumn: number;
+}
+
+export interface AnalysisCompletion {
+  readonly label: string;
+  /** Jedi's type: module, class, instance, function, param, path, keyword, property, statement. */
+  readonly kind: string;
+  readonly detail: string;
+}
+
+export interface AnalysisSignature {
+  readonly label: string;
+  readonly parameters: readonly string[];
+  readonly activeParameter: number | null;
+  readonly documentation: string;
+}
+
+export interface AnalysisResults {
+  complete: { items: AnalysisCompletion[] };
+  signatures: { signatures: AnalysisSignature[] };
+  definition: { locations: AnalysisLocation[] };
+  references: { locations: AnalysisLocation[] };
+  rename: { edits: Array<AnalysisLocation & { text: string }> } | { rejectReason: string };
+}
+
+export interface AnalysisQuestion {
+  /** Every Python file in the project, with its live text. */
+  files: ReadonlyArray<{ path: string; content: string }>;
+  /** The file the question is asked in. */
+  path: string;
+  line: number;
+  column: number;
+  newName?: string;
+}
+
+export type AnalysisOutcome<T> =
+  | { kind: 'answered'; result: T }
+  /** No answer worth using. The caller does what it did before the broker existed. */
+  | { kind: 'fallback'; reason: string }
+  /** The caller gave up first - a newer keystroke made the question obsolete. */
+  | { kind: 'cancelled' };
+
+export interface AnalysisClient {
+  ask<M extends AnalysisMethod>(
+    method: M,
+    question: AnalysisQuestion,
+    signal?: AbortSignal,
+  ): Promise<AnalysisOutcome<AnalysisResults[M]>>;
+  /** False once the server has said it has no analysis service. */
+  available(): boolean;
+}
+
+/** Longer than the server's own budget (ANALYSIS_TIMEOUT_MS, ten seconds by default). */
+const DEFAULT_TIMEOUT_MS = 12_000;
+
+export function createAnalysisClient({
+  fetch: fetchImpl = (...args) => globalThis.fetch(...args),
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  session = globalThis.crypto.randomUUID(),
+  language = 'python',
+}: {
+  fetch?: typeof globalThis.fetch;
+  timeoutMs?: number;
+  session?: string;
+  language?: string;
+} = {}): AnalysisClient {
+  let missing = false;
+
+  const ask: AnalysisClient['ask'] = async (method, question, signal) => {
+    if (missing) return { kind: 'fallback', reason: 'no analysis service on this server' };
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    if (signal?.aborted) controller.abort();
+
+    try {
+      const response = await fetchImpl('/api/analysis', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ session, language, method, ...question }),
+        signal: controller.signal,
+      });
+      const payload = await response.json().catch(() => null);
+
+      if (response.ok && payload?.result) return { kind: 'answered', result: payload.result };
+
+      switch (payload?.code) {
+        case 'analysis_unavailable':
+          missing = true;
+          return { kind: 'fallback', reason: 'no analysis service on this server' };
+        case 'analysis_busy':
+          return { kind: 'fallback', reason: 'the server is busy' };
+        case 'analysis_timeout':
+          return { kind: 'fallback', reason: 'the analysis took too long' };
+        default:
+          return { kind: 'fallback', reason: 'the server could not answer' };
+      }
+    } catch {
+      if (signal?.aborted) return { kind: 'cancelled' };
+      if (timedOut) return { kind: 'fallback', reason: 'the server took too long' };
+      return { kind: 'fallback', reason: 'the server could not be reached' };
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+
+  return { ask, available: () => !missing };
+}
+
+/** Rename edits grouped by file, each file's in reverse document order. */
+export function groupEditsByPath(
+  edits: ReadonlyArray<AnalysisLocation & { text: string }>,
+): Map<string, Array<AnalysisLocation & { text: string }>> {
+  const byPath = new Map<string, Array<AnalysisLocation & { text: string }>>();
+  for (const edit of edits) {
+    const list = byPath.get(edit.path);
+    if (list) list.push(edit);
+    else byPath.set(edit.path, [edit]);
+  }
+  // Reverse order, so applying one never moves the columns of the next on its line.
+  for (const list of byPath.values()) {
+    list.sort((left, right) => right.line - left.line || right.column - left.column);
+  }
+  return byPath;
+}
@@ -29,6 +29,12 @@ export function heuristicSpine(
     java: /^(\s*)(?:(?:public|private|protected|static|final|abstract|synchronized|native)\s+)*(?:class|interface|enum|record|[\w<>[\],\s]+?)\s+([A-Za-z_]\w*)\s*(?:\(|\{|extends|implements)/,
     csharp: /^(\s*)(?:(?:public|private|protected|internal|static|sealed|abstract|virtual|override|async|partial)\s+)*(?:class|interface|struct|enum|record|[\w<>[\],\s]+?)\s+([A-Za-z_]\w*)\s*(?:\(|\{|:)/,
     php: /^(\s*)(?:(?:public|private|protected|static|abstract|final)\s+)*(?:function|class|interface|trait)\s+([A-Za-z_]\w*)/,
+    ruby: /^(\s*)(?:def\s+(?:self\.)?([A-Za-z_]\w*[?!=]?)|(?:class|module)\s+([A-Z]\w*(?:::[A-Z]\w*)*))/,
+    go: /^(\s*)(?:func\s+(?:\([^)]*\)\s*)?([A-Za-z_]\w*)|type\s+([A-Za-z_]\w*)\s+(?:struct|interface)\b)/,
+    // A function is a type, a name and an opening parenthesis on a line with no `;` - a
+    // prototype ends with one. Statements that look the same (`else if (`) are excluded.
+    c: /^(\s*)(?:(?:struct|union|enum)\s+([A-Za-z_]\w*)\s*\{?\s*$|(?!(?:else|return|if|while|for|switch|do|case)\b)[A-Za-z_][\w\s*]*?[\s*]([A-Za-z_]\w*)\s*\([^;]*$)/,
+    cpp: /^(\s*)(?:(?:class|struct|union|enum(?:\s+class)?|namespace)\s+([A-Za-z_]\w*)\b[^;]*$|(?!(?:else|return|if|while|for|switch|do|case)\b)[A-Za-z_][\w\s*&:<>,]*?[\s*&]((?:[A-Za-z_]\w*::)*~?[A-Za-z_]\w*)\s*\([^;]*$)/,
   };
 
   const pattern = patterns[languageId];
@@ -0,0 +1,138 @@
+/**
+ * Checkpoints in the palette, and the project diff they open.
+ *
+ * `WorkspaceCheckpoints` keeps named snapshots of the whole project; this is where a
+ * student makes one ("Create a checkpoint…", named at the moment - "before refactor"),
+ * compares the project with one, and puts files back from it.
+ *
+ * The comparison is the project diff (`project-diff.ts`): the checkpoint on the left,
+ * the project now on the right.
+ *
+ * ## Restoring
+ *
+ * "Restore this file" and "Restore everything" each commit in one `replaceAll`, so a
+ * failure changes nothing. Both record what the files held first in local history,
+ * and "Restore everything" also keeps the whole project as a checkpoint before it
+ * replaces it - a restore is undone the way it was made. They change the project's
+ * files and folders, so they are offered only where its structure may be changed.
+ */
+
+import { runtime } from '../app/runtime';
+import { setStatus } from '../components/output';
+import { announce } from '../components/announce.ts';
+import { createPicker } from './picker.ts';
+import { closeProjectDiff, openProjectDiff } from './project-diff.ts';
+import type { CheckpointSummary, WorkspaceCheckpoints } from '../workspace/checkpoints.ts';
+import type { CommandRegistry } from '../commands/registry.ts';
+import type { Disposable } from '../workspace/types.ts';
+
+const COMPARE_PICKER_ID = 'checkpoint-compare';
+const DELETE_PICKER_ID = 'checkpoint-delete';
+
+function describeCheckpoint(summary: CheckpointSummary): string {
+  const files = summary.files === 1 ? '1 file' : `${summary.files} files`;
+  return `${new Date(summary.createdAt).toLocaleString()} · ${files}`;
+}
+
+export async function openCheckpointDiff(checkpoints: WorkspaceCheckpoints, checkpointId: string): Promise<void> {
+  const summary = checkpoints.get(checkpointId);
+  if (!summary) return;
+  await openProjectDiff({
+    title: `Changes since "${summary.name}"`,
+    note: 'Left: the file at the checkpoint. Right: the file now.',
+    emptyText: 'Nothing has changed since this checkpoint.',
+    compare: () => checkpoints.compare(checkpointId),
+    goneText: `The checkpoint "${summary.name}" no longer exists.`,
+    restore: {
+      file: change => checkpoints.restoreFile(checkpointId, change.path),
+      fileDone: change => `Restored ${change.before?.path ?? change.path} from "${summary.name}".`,
+      all: () => checkpoints.restoreAll(checkpointId),
+      allQuestion:
+        `Put the whole project back as it was at "${summary.name}"? ` +
+        'The project as it is now is kept as a checkpoint first.',
+      allDone: `Restored the project from "${summary.name}".`,
+    },
+  });
+}
+
+/** The palette entries: make a checkpoint, compare with one, delete one. */
+export function initializeCheckpoints(checkpoints: WorkspaceCheckpoints, registry: CommandRegistry): Disposable {
+  const items = () =>
+    checkpoints.list().map(summary => ({
+      id: summary.id,
+      label: summary.name,
+      detail: describeCheckpoint(summary),
+    }));
+
+  const comparePicker = createPicker({
+    overlayId: COMPARE_PICKER_ID,
+    placeholder: 'Compare the project with a checkpoint…',
+    ariaLabel: 'Checkpoints',
+    emptyText: 'No checkpoints yet',
+    items,
+    onPick: item => openCheckpointDiff(checkpoints, item.id),
+  });
+
+  const deletePicker = createPicker({
+    overlayId: DELETE_PICKER_ID,
+    placeholder: 'Delete a checkpoint…',
+    ariaLabel: 'Checkpoints',
+    emptyText: 'No checkpoints yet',
+    items,
+    onPick: async item => {
+      if (!confirm(`Delete the checkpoint "${item.label}"? This cannot be undone.`)) return;
+      await checkpoints.remove(item.id);
+      setStatus(`Deleted the checkpoint "${item.label}"`);
+    },
+  });
+
+  // Another tab on the same project may have made or deleted one since.
+  const openFresh = (picker: { open(): void }) => async () => {
+    await checkpoints.refresh().catch(error => console.error('[checkpoints] Could not list:', error));
+    picker.open();
+  };
+
+  const subscriptions: Disposable[] = [
+    registry.register({
+      id: 'workspace.createCheckpoint',
+      title: 'Create a checkpoint…',
+      when: () => (runtime.workspace?.allDocuments().length ?? 0) > 0,
+      run: async () => {
+        const name = window.prompt('Name this checkpoint, e.g. "before refactor":', '');
+        if (name === null || !name.trim()) return;
+        try {
+          const summary = await checkpoints.create(name);
+          const message = `Checkpoint "${summary.name}" saved.`;
+          setStatus(message);
+          announce(message);
+        } catch (error) {
+          console.error('[checkpoints] Could not save:', error);
+          setStatus('Could not save the checkpoint.');
+        }
+      },
+    }),
+    registry.register({
+      id: 'workspace.compareWithCheckpoint',
+      title: 'Compare with a checkpoint…',
+      when: () => checkpoints.list().length > 0,
+      run: openFresh(comparePicker),
+    }),
+    registry.register({
+      id: 'workspace.deleteCheckpoint',
+      title: 'Delete a checkpoint…',
+      when: () => checkpoints.list().length > 0,
+      run: openFresh(deletePicker),
+    }),
+    // The palette reads `when` as it opens, but buttons bound to these do not.
+    checkpoints.onDidChange(() => registry.notifyEnablementChanged()),
+    comparePicker,
+    deletePicker,
+  ];
+
+  return {
+    dispose: () => {
+      closeProjectDiff();
+      for (const subscription of subscriptions) subscription.dispose();
+    },
+  };
+}
@@ -12,6 +12,8 @@
  * as the command registry in Phase D.
  */
 
+import { ExecutionTimeline, type TimelineStep } from './timeline.ts';
+
 export type DebugStatus =
   /** No debug session. */
   | 'idle'
@@ -51,6 +53,14 @@ export interface DebugStop {
   readonly globals: readonly DebugVariable[];
   readonly exception?: { readonly type: string; readonly message: string };
   readonly postMortem?: boolean;
+  /**
+   * Set when this is a recorded step shown by a recorded session, not a real stop
+   * (blueprint section 73). The program is still paused at `present`; `step` is how far
+   * back the student has gone.
+   */
+  readonly replay?: { readonly step: number; readonly present: number };
+  /** The real stop sent again after looking back: the same pause, not a new one. */
+  readonly returned?: boolean;
 }
 
 export interface DebugSnapshot {
@@ -83,6 +93,10 @@ export interface DebugSnapshot {
    * debugger can show.
    */
   readonly watchValues: ReadonlyMap<string, { readonly text: string | null; readonly error: string | null }>;
+  /** The adapter said at `started` that it is recording, so the way back exists. */
+  readonly recording: boolean;
+  /** Every line a recorded session has run, oldest first; empty otherwise. */
+  readonly timeline: readonly TimelineStep[];
 }
 
 /** What the toolbar may offer, derived rather than tracked. */
@@ -94,6 +108,9 @@ export interface DebugCapabilities {
   readonly canStepOut: boolean;
   readonly canStop: boolean;
   readonly canEvaluate: boolean;
+  /** Only in a recorded session, and from a crash too: that is where a way back is worth most. */
+  readonly canStepBack: boolean;
+  readonly canReverseContinue: boolean;
 }
 
 const PAUSED_STATES: readonly DebugStatus[] = ['paused'];
@@ -107,7 +124,7 @@ const PAUSED_STATES: readonly DebugStatus[] = ['paused'];
  */
 const MAX_CONDITION_CHARS = 2000;
 
-export function capabilitiesFor(status: DebugStatus): DebugCapabilities {
+export function capabilitiesFor(status: DebugStatus, recording = false): DebugCapabilities {
   const paused = PAUSED_STATES.includes(status);
   const live = status === 'running' || status === 'starting' || paused || status === 'postMortem';
 
@@ -125,6 +142,8 @@ export function capabilitiesFor(status: DebugStatus): DebugCapabilities {
     // of view but the traceback keeps it alive, which is the whole value of stopping
     // where it broke.
     canEvaluate: paused || status === 'postMortem',
+    canStepBack: recording && (paused || status === 'postMortem'),
+    canReverseContinue: recording && (paused || status === 'postMortem'),
   };
 }
 
@@ -163,6 +182,8 @@ export class DebugSessionState {
   #evaluated: DebugSnapshot['evaluated'] = null;
   #watches: string[] = [];
   #watchValues = new Map<string, { text: string | null; error: string | null }>();
+  #recording = false;
+  #timeline = new ExecutionTimeline();
   #listeners = new Set<(snapshot: DebugSnapshot) => void>();
   /**
    * Turn a workspace path back into a document id.
@@ -197,6 +218,8 @@ export class DebugSessionState {
       evaluated: this.#evaluated,
       watches: [...this.#watches],
       watchValues: new Map(this.#watchValues),
+      recording: this.#recording,
+      timeline: this.#timeline.steps(),
     };
   }
 
@@ -233,7 +256,7 @@ export class DebugSessionState {
   }
 
   capabilities(): DebugCapabilities {
-    return capabilitiesFor(this.#status);
+    return capabilitiesFor(this.#status, this.#recording);
   }
 
   #emit(): void {
@@ -439,6 +462,8 @@ export class DebugSessionState {
     this.#stop = null;
     this.#lastError = null;
     this.#evaluated = null;
+    this.#recording = false;
+    this.#timeline.reset();
     this.#emit();
   }
 
@@ -459,6 +484,11 @@ export class DebugSessionState {
         // the server repeating itself, and moving back to running would wrongly grey
         // out the step buttons.
         if (this.#status === 'starting' || this.#status === 'running') this.#status = 'running';
+        this.#recording = typeof event.recording === 'object' && event.recording !== null;
+        break;
+
+      case 'timeline':
+        this.#timeline.apply(event);
         break;
 
       case 'stopped': {
@@ -471,13 +501,25 @@ export class DebugSessionState {
           globals: Array.isArray(event.globals) ? (event.globals as DebugVariable[]) : [],
           exception: event.exception as DebugStop['exception'],
           postMortem: event.postMortem === true,
+          ...(replayOf(event.replay) ?? {}),
+          ...(event.returned === true ? { returned: true } : {}),
         };
         this.#stop = stop;
+        // A recorded step is paused even after a crash: stepping forward through the
+        // recording is exactly what the student is doing, until it reaches the crash.
         this.#status = stop.postMortem ? 'postMortem' : 'paused';
         // Every watch value is now from the PREVIOUS line. A stale value looks exactly
         // like a current one, which is the most misleading thing a debugger can show,
         // so they are cleared here and asked for again by the UI.
         this.#watchValues.clear();
+        // Except in a recorded step, where nothing can be evaluated: the recording
+        // holds descriptions of the values, not the objects. Said, rather than left
+        // looking like an answer still on its way.
+        if (stop.replay) {
+          for (const expression of this.#watches) {
+            this.#watchValues.set(expression, { text: null, error: 'not kept in the recording' });
+          }
+        }
         break;
       }
 
@@ -567,6 +609,16 @@ export class DebugSessionState {
     this.#stop = null;
     this.#lastError = null;
     this.#evaluated = null;
+    this.#recording = false;
+    this.#timeline.reset();
     this.#emit();
   }
 }
+
+/** The `replay` of a `stopped` event, when it is a well-formed one. */
+function replayOf(value: unknown): { replay: NonNullable<DebugStop['replay']> } | null {
+  if (!value || typeof value !== 'object') return null;
+  const { step, present } = value as { step?: unknown; present?: unknown };
+  if (!Number.isInteger(step) || !Number.isInteger(present)) return null;
+  return { replay: { step: step as number, present: present as number } };
+}
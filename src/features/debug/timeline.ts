@@ -0,0 +1,107 @@
+/**
+ * Every line a recorded session ran, with its variables - the scrubber's data.
+ *
+ * ## How this differs from the stop history
+ *
+ * `history.ts` keeps the places the program PAUSED, which is all any debugger used to
+ * know. A recorded session (blueprint section 73) knows every line in between: the
+ * adapter keeps each one with its locals, and sends a `timeline` event with the new
+ * ones just before each stop. This is that list, so the student can drag through the
+ * run and read "line 7, total = 3" without pausing there first.
+ *
+ * ## Brief on purpose
+ *
+ * A timeline step carries each local's rendered text, cut short, and not its children.
+ * Fifty lines in, a full step per line would be most of a megabyte on every pause; the
+ * whole value is one `stepBack` away, which sends the recorded step as a stop.
+ *
+ * Pure, like the rest of the session state: tested in node, rendered by `ui.ts`.
+ */
+
+export interface TimelineStep {
+  /** The adapter's number for the step: from 1, in the order the lines ran. */
+  readonly step: number;
+  readonly file: string;
+  readonly line: number;
+  /** How many of the student's frames were on the stack; 1 is the module. */
+  readonly depth: number;
+  readonly function: string;
+  /** Each local as [name, rendered text], in the order the adapter listed them. */
+  readonly values: readonly (readonly [string, string])[];
+}
+
+/**
+ * How many steps to keep, whatever an adapter sends.
+ *
+ * The Python adapter's own budget is the same number, so this only matters for an
+ * adapter that grows a bigger one: the oldest are dropped, as the adapter drops them.
+ */
+export const MAX_TIMELINE_STEPS = 2000;
+
+function parseStep(raw: unknown): TimelineStep | null {
+  if (!raw || typeof raw !== 'object') return null;
+  const entry = raw as Record<string, unknown>;
+  const step = Number(entry.step);
+  const line = Number(entry.line);
+  if (!Number.isInteger(step) || step < 1 || !Number.isInteger(line) || line < 1) return null;
+
+  const values = Array.isArray(entry.values)
+    ? entry.values
+      .filter((pair): pair is [unknown, unknown] => Array.isArray(pair) && pair.length === 2)
+      .map(([name, text]) => [String(name), String(text)] as const)
+    : [];
+
+  return {
+    step,
+    file: String(entry.file ?? ''),
+    line,
+    depth: Number.isInteger(entry.depth) ? Number(entry.depth) : 1,
+    function: String(entry.function ?? '(module)'),
+    values,
+  };
+}
+
+export class ExecutionTimeline {
+  #steps: readonly TimelineStep[] = [];
+
+  /**
+   * Take one `timeline` event.
+   *
+   * `first` is the oldest step the adapter still holds, and anything older is dropped
+   * here too: a scrubber position the adapter cannot go back to would be a promise the
+   * Step back button then breaks. A step already held is not taken twice.
+   */
+  apply(event: { readonly [key: string]: unknown }): void {
+    const first = Number(event.first);
+    const newest = this.#steps.at(-1)?.step ?? 0;
+    const incoming = (Array.isArray(event.steps) ? event.steps : [])
+      .map(parseStep)
+      .filter((step): step is TimelineStep => step !== null && step.step > newest);
+
+    const kept = Number.isInteger(first) ? this.#steps.filter(step => step.step >= first) : this.#steps;
+    this.#steps = [...kept, ...incoming].slice(-MAX_TIMELINE_STEPS);
+  }
+
+  reset(): void {
+    this.#steps = [];
+  }
+
+  /** Oldest first. A new array after every change, so a snapshot holding one is stable. */
+  steps(): readonly TimelineStep[] {
+    return this.#steps;
+  }
+}
+
+/** Position of a step number in `steps`, or -1. Steps are contiguous, so this is arithmetic. */
+export function indexOfStep(steps: readonly TimelineStep[], step: number): number {
+  if (steps.length === 0) return -1;
+  const index = step - steps[0].step;
+  return index >= 0 && index < steps.length && steps[index].step === step ? index : -1;
+}
+
+/** One line of the scrubber: where, and what the variables were. */
+export function describeStep(step: TimelineStep): string {
+  const where = step.function === '(module)' ? `line ${step.line}` : `line ${step.line} in ${step.function}`;
+  if (step.values.length === 0) return where;
+  return `${where} · ${step.values.map(([name, text]) => `${name} = ${text}`).join(', ')}`;
+}
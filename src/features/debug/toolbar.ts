@@ -32,6 +32,8 @@ export interface ToolbarAction {
   /** Destructive actions are styled apart, so Stop is never pressed by accident. */
   readonly tone?: 'stop';
   readonly enabled: (snapshot: DebugSnapshot) => boolean;
+  /** Absent means always shown. A control that can never work in this session is hidden. */
+  readonly visible?: (snapshot: DebugSnapshot) => boolean;
   readonly run: () => void;
 }
 
@@ -57,6 +59,11 @@ const ICONS = {
     + '<path d="M5.4 4.8L8 2.2l2.6 2.6" fill="none" stroke="currentColor" stroke-width="1.6" stroke-linecap="round" stroke-linejoin="round"/>'
     + '<circle cx="8" cy="12.6" r="1.9"/>',
   stop: '<rect x="4" y="4" width="8" height="8" rx="1.4"/>',
+  stepBack:
+    '<path d="M13.4 8.6a5.4 5.4 0 0 0-10.4-2" fill="none" stroke="currentColor" stroke-width="1.6" stroke-linecap="round"/>'
+    + '<path d="M2.6 3.1v3.6h3.6" fill="none" stroke="currentColor" stroke-width="1.6" stroke-linecap="round" stroke-linejoin="round"/>'
+    + '<circle cx="8" cy="12.4" r="1.9"/>',
+  reverseContinue: '<path d="M11.5 3.2v9.6l-8-4.8z"/>',
 } as const;
 
 function icon(body: string): string {
@@ -125,6 +132,40 @@ export function debugActions(
   ];
 }
 
+/**
+ * The two controls that go backwards, for a recorded session (blueprint section 73).
+ *
+ * Apart from `debugActions` because they exist only when the adapter said it is
+ * recording: hidden otherwise, rather than greyed, since nothing the student can do in
+ * that session would enable them. The icons are Step over and Continue mirrored, which
+ * is what they are.
+ */
+export function reverseActions(
+  capabilities: () => { canStepBack: boolean; canReverseContinue: boolean },
+  send: (command: string) => void,
+): ToolbarAction[] {
+  return [
+    {
+      id: 'debug-reverse-continue',
+      label: 'Reverse',
+      shortcut: 'Alt+F5',
+      icon: ICONS.reverseContinue,
+      enabled: () => capabilities().canReverseContinue,
+      visible: snapshot => snapshot.recording,
+      run: () => send('reverseContinue'),
+    },
+    {
+      id: 'debug-reverse-step',
+      label: 'Step back',
+      shortcut: 'Alt+F10',
+      icon: ICONS.stepBack,
+      enabled: () => capabilities().canStepBack,
+      visible: snapshot => snapshot.recording,
+      run: () => send('stepBack'),
+    },
+  ];
+}
+
 /**
  * What the program is doing, in one sentence a student can act on.
  *
@@ -139,6 +180,12 @@ export function describeStatus(snapshot: DebugSnapshot): string {
     case 'running':
       return 'Running — it will pause at your next breakpoint';
     case 'paused':
+      // A recorded step says how far back it is, because the editor's arrow is on a
+      // line the program has already left.
+      if (snapshot.stop?.replay) {
+        const behind = snapshot.stop.replay.present - snapshot.stop.replay.step;
+        return `Looking back at line ${snapshot.stop.line} — ${behind} ${behind === 1 ? 'step' : 'steps'} before the program`;
+      }
       return snapshot.stop
         ? `Paused on line ${snapshot.stop.line}`
         : 'Paused';
@@ -200,6 +247,7 @@ export function renderToolbar(
     const element = document.getElementById(action.id) as HTMLButtonElement | null;
     if (!element) continue;
     element.disabled = !action.enabled(snapshot);
+    element.hidden = action.visible ? !action.visible(snapshot) : false;
   }
 
   const status = document.getElementById('debug-status');
@@ -13,7 +13,7 @@ import * as monaco from 'monaco-editor';
 
 import { runtime } from '../../app/runtime';
 import { escapeHtml } from '../../components/html-escape.ts';
-import { activeSessionId } from '../../components/interactive-console.ts';
+import { activeChannelRun, activeSessionId } from '../../components/interactive-console.ts';
 import { setStatus } from '../../components/output';
 import {
   DebugSessionState,
@@ -27,10 +27,12 @@ import {
 } from './variable-diff.ts';
 import { stopIsOnScreen } from './stop-location.ts';
 import { StopHistory } from './history.ts';
+import { describeStep, indexOfStep, type TimelineStep } from './timeline.ts';
 import {
   buildToolbar,
   debugActions,
   renderToolbar,
+  reverseActions,
   type ToolbarAction,
 } from './toolbar.ts';
 import type { Disposable } from '../../workspace/types.ts';
@@ -66,6 +68,17 @@ async function sendCommand(command: string, body: Record<string, unknown> = {}):
   const sessionId = activeSessionId();
   if (!sessionId) return;
 
+  // A run carried by the session socket takes its commands there too: one ordered
+  // connection, and a command sent as the network drops is retried once, not lost.
+  const channelRun = activeChannelRun();
+  if (channelRun) {
+    const verdict = await channelRun.debug(command, body);
+    if (!verdict.ok && verdict.status) {
+      setStatus(verdict.error || `Debug command failed (${verdict.status})`);
+    }
+    return;
+  }
+
   try {
     const response = await fetch(`/api/run/interactive/${sessionId}/debug/${command}`, {
       method: 'POST',
@@ -419,6 +432,87 @@ function renderHistoryTape(
   host.appendChild(section);
 }
 
+/** Lines listed either side of the one the scrubber is on. */
+const TIMELINE_WINDOW = 5;
+
+/**
+ * The scrubber: every line a recorded session ran, with its variables (blueprint
+ * section 73).
+ *
+ * Dragging only changes what the panel shows, not where the program is - the same rule
+ * as the value history above it. A drag rebuilds none of this, only the readout and the
+ * list, or the range input under the pointer would be replaced mid-drag and let go.
+ */
+function renderTimeline(
+  host: HTMLElement,
+  steps: readonly TimelineStep[],
+  focus: number,
+  current: number | null,
+  onSelect: (step: number) => void,
+): void {
+  if (steps.length === 0) return;
+
+  const section = document.createElement('section');
+  section.className = 'debug-timeline';
+  const heading = document.createElement('div');
+  heading.className = 'debug-section';
+  heading.textContent = steps[0].step > 1
+    ? `Timeline · the last ${steps.length} lines run`
+    : `Timeline · ${steps.length} lines run`;
+  section.appendChild(heading);
+
+  const range = document.createElement('input');
+  range.type = 'range';
+  range.className = 'debug-timeline-range';
+  range.min = '0';
+  range.max = String(steps.length - 1);
+  range.setAttribute('aria-label', 'Scrub through the lines the program ran');
+  section.appendChild(range);
+
+  const readout = document.createElement('div');
+  readout.className = 'debug-timeline-readout';
+  readout.setAttribute('aria-live', 'polite');
+  section.appendChild(readout);
+
+  const list = document.createElement('ol');
+  list.className = 'debug-timeline-list';
+  section.appendChild(list);
+
+  const show = (index: number): void => {
+    const step = steps[index];
+    range.value = String(index);
+    readout.textContent = `Step ${step.step}: ${describeStep(step)}`;
+
+    list.textContent = '';
+    const from = Math.max(0, index - TIMELINE_WINDOW);
+    for (const near of steps.slice(from, index + TIMELINE_WINDOW + 1)) {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'debug-timeline-step';
+      button.classList.toggle('active', near.step === step.step);
+      button.classList.toggle('current', near.step === current);
+      button.textContent = `${near.step}  ${describeStep(near)}`;
+      button.addEventListener('click', () => {
+        onSelect(near.step);
+        show(indexOfStep(steps, near.step));
+      });
+      item.appendChild(button);
+      list.appendChild(item);
+    }
+  };
+
+  range.addEventListener('input', () => {
+    const index = Number(range.value);
+    onSelect(steps[index].step);
+    show(index);
+  });
+
+  const at = indexOfStep(steps, focus);
+  show(at === -1 ? steps.length - 1 : at);
+  host.appendChild(section);
+}
+
 // ── Watch expressions ───────────────────────────────────────────────────────
 
 /**
@@ -565,23 +659,29 @@ export function initializeDebugUi(): Disposable {
       id: 'debug-step-back', label: 'Back', shortcut: 'Alt+Left',
       icon: '<path d="M9.8 3.2 5 8l4.8 4.8" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"/>',
       enabled: () => history.view().canGoBack,
+      // A recorded session has real Step back and the timeline, and two buttons that
+      // both say "back" but mean different things would be one too many.
+      visible: snapshot => !snapshot.recording,
       run: () => { if (history.back()) renderLatest(); },
     },
     {
       id: 'debug-history-forward', label: 'Forward', shortcut: 'Alt+Right',
       icon: '<path d="M6.2 3.2 11 8l-4.8 4.8" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"/>',
       enabled: () => history.view().canGoForward,
+      visible: snapshot => !snapshot.recording,
       run: () => { if (history.forward()) renderLatest(); },
     },
   ];
-  const actions: ToolbarAction[] = [...historyActions, ...debugActions(
-    () => debugState.capabilities(),
-    command => {
-      history.toLive();
-      renderLatest();
-      void sendCommand(command);
-    },
-  )];
+  const send = (command: string): void => {
+    history.toLive();
+    renderLatest();
+    void sendCommand(command);
+  };
+  const actions: ToolbarAction[] = [
+    ...historyActions,
+    ...reverseActions(() => debugState.capabilities(), send),
+    ...debugActions(() => debugState.capabilities(), send),
+  ];
   buildToolbar(toolbarHost, actions, () => latestSnapshot);
 
   // Clicking the glyph margin toggles a breakpoint, which is where every IDE puts it.
@@ -651,7 +751,9 @@ export function initializeDebugUi(): Disposable {
   let lastStopKey = '';
   const refreshWatches = (snapshot: DebugSnapshot): void => {
     const paused = snapshot.status === 'paused' || snapshot.status === 'postMortem';
-    if (!paused) {
+    // A recorded step has no frame to evaluate in, and the state has said so per watch.
+    // Forgetting the key means the return to the present asks again.
+    if (!paused || snapshot.stop?.replay) {
       lastStopKey = '';
       return;
     }
@@ -665,22 +767,39 @@ export function initializeDebugUi(): Disposable {
     }
   };
 
+  /*
+   * Where the timeline scrubber is, as a step number; null follows the stop. Kept here
+   * rather than in the state because it moves nothing: it is a place in a panel.
+   */
+  let scrubbed: number | null = null;
+
   renderLatest = () => {
     const view = history.view();
-    const display = view.stop ? { ...latestSnapshot, stop: view.stop } : latestSnapshot;
+    // A recorded step is drawn as it came. It is not in the stop history, which is
+    // the places the program paused, and the adapter already knows where it is.
+    const replaying = latestSnapshot.stop?.replay !== undefined;
+    const display = view.stop && !replaying ? { ...latestSnapshot, stop: view.stop } : latestSnapshot;
     renderDecorations(display);
     renderToolbar(toolbarHost, actions, display);
     const status = document.getElementById('debug-status');
-    if (status && view.stop) {
+    if (status && view.stop && !replaying) {
       const prefix = view.viewingPast
         ? 'Reviewing'
         : latestSnapshot.status === 'ended' ? 'Recorded' : 'Paused on';
       status.textContent = `${prefix} line ${view.stop.line} · step ${view.index + 1} of ${view.total}`;
     }
-    renderVariables(variablesHost, display, !view.viewingPast);
-    renderHistoryTape(variablesHost, history, index => {
-      if (history.goTo(index)) renderLatest();
-    });
+    // A recorded step is not the line after the last stop, so marking what "changed"
+    // since then would compare two unrelated moments.
+    renderVariables(variablesHost, display, !view.viewingPast && !replaying);
+    if (latestSnapshot.recording) {
+      const steps = latestSnapshot.timeline;
+      const current = latestSnapshot.stop?.replay?.step ?? steps.at(-1)?.step ?? null;
+      renderTimeline(variablesHost, steps, scrubbed ?? current ?? 0, current, step => { scrubbed = step; });
+    } else {
+      renderHistoryTape(variablesHost, history, index => {
+        if (history.goTo(index)) renderLatest();
+      });
+    }
     renderCallStack(stackHost, display);
     if (watchHost) renderWatches(watchHost, display);
   };
@@ -691,8 +810,11 @@ export function initializeDebugUi(): Disposable {
       history.reset();
       lastRecordedStop = null;
     } else if (snapshot.stop && snapshot.stop !== lastRecordedStop) {
-      history.record(snapshot.stop);
+      // Looking back, and coming back, are not places the program paused.
+      if (!snapshot.stop.replay && !snapshot.stop.returned) history.record(snapshot.stop);
       lastRecordedStop = snapshot.stop;
+      // The scrubber follows every stop; a drag is a look, not a setting.
+      scrubbed = null;
     }
     renderLatest();
     refreshWatches(snapshot);
@@ -723,6 +845,10 @@ export function initializeDebugUi(): Disposable {
     [monaco.KeyCode.F11, 'stepIn'],
     [monaco.KeyMod.Shift | monaco.KeyCode.F11, 'stepOut'],
     [monaco.KeyMod.Shift | monaco.KeyCode.F5, 'stop'],
+    // No editor has a shortcut a student already knows for these; Alt is the key the
+    // stop history's Back and Forward already use.
+    [monaco.KeyMod.Alt | monaco.KeyCode.F10, 'stepBack'],
+    [monaco.KeyMod.Alt | monaco.KeyCode.F5, 'reverseContinue'],
   ];
 
   for (const [keybinding, command] of keys) {
@@ -733,7 +859,9 @@ export function initializeDebugUi(): Disposable {
         (command === 'next' && can.canStepOver) ||
         (command === 'stepIn' && can.canStepIn) ||
         (command === 'stepOut' && can.canStepOut) ||
-        (command === 'stop' && can.canStop);
+        (command === 'stop' && can.canStop) ||
+        (command === 'stepBack' && can.canStepBack) ||
+        (command === 'reverseContinue' && can.canReverseContinue);
       if (allowed) void sendCommand(command);
     });
   }
@@ -23,10 +23,11 @@ import { runCode } from './execution';
 import { languageCan } from '../languages/loader';
 import { getOrCreateModel } from './editor-core';
 import { describeFormatResult, hasFormatter, takeLastFormatResult } from './formatting';
-import { downloadSelectedItem, importFromPicker } from './explorer/operations';
+import { addGeneratedFile, downloadSelectedItem, importFromPicker } from './explorer/operations';
 import { explorerState } from './explorer/state';
 import { runStudentTests } from './tests/run.ts';
 import { shareProject } from './share.ts';
+import { exportTurtleDrawing, hasTurtleDrawing, type TurtleExportFormat } from '../components/turtle.ts';
 
 // The shared accessors, not a private copy. See the note in app/runtime.ts.
 const editor = requireEditor();
@@ -65,6 +66,26 @@ commands.register({
   run: async () => { await runCode(editor.getValue(), { debug: true }); },
 });
 
+/*
+ * Debugging, recorded: every line the program runs is kept with its variables, so the
+ * session can step backwards and the timeline can be scrubbed (blueprint section 73).
+ *
+ * A command of its own rather than a setting on Debug. Recording slows every line the
+ * program runs, and a student who never asked for the way back should not pay for it;
+ * and it is offered only for a language whose adapter records, for the reason Debug
+ * itself is gated - a session that said it could go back and then could not.
+ */
+commands.register({
+  id: 'workspace.debugRecorded',
+  title: 'Debug with recording',
+  capability: 'run',
+  when: () => {
+    const model = editor.getModel();
+    return model !== null && languageCan(model.getLanguageId(), 'debugRecording');
+  },
+  run: async () => { await runCode(editor.getValue(), { debug: true, record: true }); },
+});
+
 /*
  * Check my work.
  *
@@ -81,7 +102,8 @@ commands.register({
   id: 'workspace.runTests',
   title: 'Check my work',
   capability: 'run',
-  run: () => runStudentTests(),
+  // The host's `stepup:run-tests` may name one case; the palette and keys never do.
+  run: (_context, only: string | null = null) => runStudentTests(only),
 });
 
 /*
@@ -205,6 +227,20 @@ commands.register({
   run: () => downloadSelectedItem(),
 });
 
+// The turtle window's drawing, saved as a file beside the code that drew it - the
+// other half of the window's "Save drawing" control, which downloads. A new file in
+// the tree, so 'structure' like any other: a locked task keeps its file list.
+commands.register({
+  id: 'workspace.saveTurtleDrawing',
+  title: 'Save the turtle drawing into the project',
+  capability: 'structure',
+  when: () => hasTurtleDrawing(),
+  run: async (_context, format: TurtleExportFormat = 'png') => {
+    const file = await exportTurtleDrawing(format);
+    if (file) await addGeneratedFile(file.name, file.bytes);
+  },
+});
+
 /**
  * Stop the running program.
  *
@@ -167,6 +167,126 @@ function nodeCodeKey(message: string): string | null {
   return errno ? errno[1] : null;
 }
 
+/**
+ * Go, like Java, reports a PHRASE at compile time and something else at run time.
+ *
+ * The compiler puts the student's identifier inside the sentence, and moved it between
+ * releases - 1.21 says `x declared and not used`, 1.22 `declared and not used: x` - so
+ * both spellings collapse to one key. A panic is keyed by what it says after the
+ * `panic: runtime error:` preamble, because every runtime failure shares that preamble
+ * and a dictionary keyed on it would give one answer to a dozen mistakes.
+ */
+function goKey(message: string): string | null {
+  const text = message.trim();
+  if (text.length === 0) return null;
+
+  const runtime = text.match(/^(?:panic:\s*(?:runtime error:\s*)?|fatal error:\s*)(.*)$/);
+  if (runtime) {
+    const what = runtime[1];
+    if (/^index out of range/.test(what)) return 'index out of range';
+    if (/^slice bounds out of range/.test(what)) return 'slice bounds out of range';
+    if (/nil pointer/.test(what)) return 'nil pointer';
+    if (/^assignment to entry in nil map/.test(what)) return 'assignment to entry in nil map';
+    if (/^integer divide by zero/.test(what)) return 'integer divide by zero';
+    if (/deadlock/.test(what)) return 'all goroutines are asleep';
+    if (/^interface conversion/.test(what)) return 'interface conversion';
+    return 'panic';
+  }
+
+  if (/declared and not used/.test(text)) return 'declared and not used';
+  if (/imported and not used/.test(text)) return 'imported and not used';
+  if (/^undefined:/.test(text)) return 'undefined';
+  if (/^syntax error:/.test(text)) return 'syntax error';
+  if (/^missing return/.test(text)) return 'missing return';
+  if (/^cannot use .+ as .+ value/.test(text)) return 'cannot use';
+  if (/^invalid operation: .*mismatched types/.test(text)) return 'mismatched types';
+  if (/^non-boolean condition/.test(text)) return 'non-boolean condition';
+  if (/cannot find module providing package|is not in std/.test(text)) return 'cannot find package';
+  if (/^(?:not enough|too many) (?:arguments|return values)/.test(text)) {
+    return text.startsWith('not enough') ? 'not enough arguments' : 'too many arguments';
+  }
+  if (/^no new variables on left side of :=/.test(text)) return 'no new variables on left side of :=';
+  if (/(?:assignment|declared) .*mismatch/.test(text)) return 'assignment mismatch';
+  return text;
+}
+
+/**
+ * Ruby puts the exception class LAST, in brackets: `undefined method `upcase' for nil
+ * (NoMethodError)`. The class is always there, so it is the fallback; the phrase in
+ * front is tried first where one class covers mistakes that need different advice -
+ * calling a method on nil is a NoMethodError, and so is a typo in a method name, but
+ * only one of them is about a variable that was never set.
+ */
+function rubyKey(message: string): Array<string | null> {
+  const text = message.trim();
+  const trailing = text.match(/\(([A-Z]\w*(?:::[A-Z]\w*)*)\)$/);
+  const className = trailing ? trailing[1].split('::').pop() ?? null : null;
+
+  let phrase: string | null = null;
+  if (/unexpected end-of-input/.test(text)) phrase = 'unexpected end-of-input';
+  else if (/^uninitialized constant/.test(text)) phrase = 'uninitialized constant';
+  else if (/^undefined method .+ for nil\b/.test(text)) phrase = 'undefined method for nil';
+  else if (/^wrong number of arguments/.test(text)) phrase = 'wrong number of arguments';
+  else if (/can't be coerced into/.test(text)) phrase = "can't be coerced";
+  else if (/^no implicit conversion/.test(text)) phrase = 'no implicit conversion';
+
+  return [phrase, className];
+}
+
+/**
+ * C and C++ (gcc and g++). A compiler PHRASE, as Go's, or what the sanitizer named.
+ *
+ * gcc puts the student's identifiers inside its sentences - `'y' undeclared (first use
+ * in this function)` - so a compile message is keyed by the phrase around them. A
+ * crash is keyed by what the report called it: AddressSanitizer's kind, which is what
+ * the student sees in its heading (`heap-buffer-overflow`), or UBSan's sentence with
+ * the numbers taken off. libstdc++'s bounds assertion is keyed apart from the student's
+ * own `assert`, because `__n < this->size()` is a library's precondition and the
+ * student needs to hear "index out of range", not "your assertion failed".
+ */
+function gccKey(message: string): string | null {
+  const text = message.trim();
+  if (text.length === 0) return null;
+
+  const sanitizer = text.match(/^AddressSanitizer: (?:attempting )?([\w-]+)/);
+  if (sanitizer) return sanitizer[1];
+
+  const runtime = text.match(/^runtime error: (.*)$/);
+  if (runtime) {
+    const what = runtime[1];
+    if (/^signed integer overflow/.test(what)) return 'signed integer overflow';
+    if (/division by zero/.test(what)) return 'division by zero';
+    if (/out of bounds/.test(what)) return 'index out of bounds';
+    if (/null pointer/.test(what)) return 'null pointer';
+    return 'runtime error';
+  }
+
+  if (/^Assertion .+ failed\.?$/.test(text)) {
+    return /this->size\(\)/.test(text) ? 'index out of range' : 'Assertion failed';
+  }
+  if (/^uncaught exception/.test(text)) return 'uncaught exception';
+
+  if (/^expected /.test(text)) return 'expected';
+  if (/undeclared \(first use/.test(text)) return 'undeclared';
+  if (/was not declared in this scope/.test(text)) return 'was not declared in this scope';
+  if (/^implicit declaration of function/.test(text)) return 'implicit declaration of function';
+  if (/^conflicting types for/.test(text)) return 'conflicting types';
+  if (/^too few arguments to function/.test(text)) return 'too few arguments to function';
+  if (/^too many arguments to function/.test(text)) return 'too many arguments to function';
+  if (/^subscripted value is neither array nor pointer/.test(text)) return 'subscripted value is neither array nor pointer';
+  if (/^incompatible types? /.test(text)) return 'incompatible types';
+  if (/makes (?:pointer from integer|integer from pointer)/.test(text)) return 'makes pointer from integer';
+  if (/^invalid conversion from/.test(text)) return 'invalid conversion';
+  if (/^format '[^']*' expects/.test(text)) return 'format';
+  if (/^unused variable/.test(text)) return 'unused variable';
+  if (/No such file or directory$/.test(text)) return 'No such file or directory';
+  if (/is not a member of/.test(text)) return 'is not a member of';
+  if (/has no member named/.test(text)) return 'has no member named';
+  if (/^no match for 'operator/.test(text)) return "no match for 'operator";
+  if (/^no matching function for call/.test(text)) return 'no matching function for call';
+  return text;
+}
+
 /**
  * One rule per language, returning candidates from most specific to least.
  *
@@ -190,6 +310,10 @@ const EXTRACTORS: Record<string, (message: string) => Array<string | null>> = {
   csharp: message => [codeKey(message, /\b(CS\d{4})\b/), qualifiedExceptionKey(message)],
   java: message => [javaKey(message)],
   php: phpKey,
+  go: message => [goKey(message)],
+  ruby: rubyKey,
+  c: message => [gccKey(message)],
+  cpp: message => [gccKey(message)],
 };
 
 /**
@@ -8,7 +8,8 @@ import { withCachedAssets } from './asset-transport.ts';
 import { notifyRunResult } from '../integrations/stepup-bus';
 import { appendOutputHtml, setStatus, setOutputHtml } from '../components/output';
 import { runEnded, runStarted } from '../components/run-controls.ts';
-import { runProgram, stopInteractive } from '../components/interactive-console';
+import { runProgram, stopInteractive, type DeterministicRunOptions } from '../components/interactive-console';
+import { clearCharts } from '../components/chart';
 import { clearTurtleCanvas } from '../components/turtle';
 import { publishRunDiagnostics } from '../diagnostics/server-source';
 import { ASSET_LANGUAGE_ID } from '../workspace/assets.ts';
@@ -21,7 +22,7 @@ import { parseCompilerOutput } from '../diagnostics/compiler-output.ts';
 import { buildErrorHelpBlock, selectErrorKey } from './error-help.ts';
 import { getUILang } from './wrapped-i18n';
 import { announce, describeRunOutcome } from '../components/announce.ts';
-import { OutputTraceMapper } from './output-trace.ts';
+import { errorReportLocation, OutputTraceMapper } from './output-trace.ts';
 import { firstAidButtonHtml, safeFixFor } from './error-first-aid.ts';
 
 /**
@@ -112,6 +113,7 @@ function showSvgPreview(filePath: string, source: string): void {
   const fileName = normalizeProjectPath(filePath).split('/').pop() || 'image.svg';
 
   clearTurtleCanvas();          // one graphics window on screen at a time
+  clearCharts();
   showImageWindow(fileName, source);
 
   setOutputHtml(
@@ -128,6 +130,8 @@ export async function runCode(
   code: string,
   options: {
     debug?: boolean;
+    /** With `debug`: record the session, so it can be stepped backwards. */
+    record?: boolean;
     /**
      * The lines being run, when this is a selection rather than the whole file.
      *
@@ -145,6 +149,23 @@ export async function runCode(
      * the entire reason this is an option here rather than a second pipeline.
      */
     entryPointOverride?: string;
+    /**
+     * A fixed seed, clock and timezone, and scripted input (blueprint section 69).
+     * "Check my work" asks for it, so a harness's verdict does not change from one
+     * run of the same code to the next.
+     */
+    deterministic?: DeterministicRunOptions;
+    /**
+     * Project files this run must not carry. A test case file holds the expected
+     * output of the program being checked; sent with it, the program could read its
+     * own answers out of the job directory.
+     */
+    withhold?: readonly string[];
+    /**
+     * "Run only this case": the name a marking harness finds in `BCTEST_ONLY`
+     * (blueprint section 71).
+     */
+    testCase?: string;
   } = {},
 ) {
   const { editor, tabManager, storage } = requireRuntime();
@@ -247,6 +268,11 @@ export async function runCode(
   // starting a new one (buffered or interactive).
   stopInteractive();
 
+  // Every run is a version worth going back to: "the code that last worked" is what a
+  // student looks for in the timeline. Captured synchronously, so it is exactly the
+  // code about to run; the write does not hold the run up.
+  runtime.history?.checkpoint('run').catch(() => {});
+
   setStatus("Running…");
   // One owner for the Run/Stop pair, and the point at which Stop becomes available.
   // It is armed HERE rather than when the stream opens, because the compile happens
@@ -289,8 +315,10 @@ const workspaceFiles = await collectWorkspaceSnapshot();
  */
 const COMPANION_LANGUAGES = new Set([ASSET_LANGUAGE_ID, 'svg', 'json', 'markdown', 'css', 'html', 'text']);
 
+const withheld = new Set((options.withhold ?? []).map(normalizeProjectPath));
 const languageFiles = workspaceFiles.filter(file =>
-  !file.language || file.language === lang.id || COMPANION_LANGUAGES.has(file.language)
+  (!file.language || file.language === lang.id || COMPANION_LANGUAGES.has(file.language))
+  && !withheld.has(normalizeProjectPath(file.path))
 );
 
 /*
@@ -360,6 +388,8 @@ requestBody = {
   entryPoint };
 }
 
+    if (options.testCase) requestBody.testCase = options.testCase;
+
     // ── One transport ────────────────────────────────────────────────────
     //
     // Every run streams. There is no longer a regex deciding whether this
@@ -385,7 +415,20 @@ requestBody = {
       onStreamStart: () => {},
 
       debug: options.debug === true,
+      record: options.record === true,
       traceOutput: line => outputTrace.locationFor(line),
+      traceError: line => errorReportLocation(lang.id, line),
+
+      // A terminal only for the student's own Run in the standalone IDE. Step-Up
+      // lessons, "Check my work" and the debugger keep pipes: each reads stdout and
+      // stderr as separate streams, and a terminal merges them into one.
+      terminal: !appConfig.isEmbedded && !options.entryPointOverride && options.debug !== true,
+
+      // Draw while the program runs, and keep the drawing when it fails: a spiral
+      // that goes wrong is debugged by seeing where it went wrong.
+      graphicsPolicy: 'livePreserveOnError',
+
+      deterministic: options.deterministic,
 
       onDebugEvent: event => {
         debugState.apply(event);
@@ -6,6 +6,7 @@ import {
   btnClearCache,
 } from '../../components/dom';
 import { setStatus, setOutput } from '../../components/output';
+import { clearSettings } from '../../components/settings';
 import { getOrCreateModel, disposeModel, updateEmptyState } from '../editor-core';
 import { explorerState } from './state';
 import { downloadBlob, downloadFile, fileBytesFor } from '../../components/download.ts';
@@ -24,6 +25,7 @@ import { archiveFolderName, planImport } from './import-plan.ts';
 import { descendantFolderIds, topLevelItems } from './selection-scope.ts';
 import { placeRelativeTo } from './ordering.ts';
 import { lazyRef } from '../../app/lazy';
+import { GIT_DIRECTORY } from '../../workspace/vcs-git.ts';
 
 const tabManager = lazyRef(() => runtime.tabManager, 'tabManager');
 const editor = lazyRef(() => runtime.editor, 'editor');
@@ -353,7 +355,7 @@ btnClearCache.addEventListener('click', async () => {
       );
     }
 
-    localStorage.removeItem('browser-coder-settings');
+    clearSettings();
 
     explorerState.expandedFolders = new Set();
     explorerState.selectedIds = new Set();
@@ -470,6 +472,17 @@ btnDownloadProject.addEventListener('click', async () => {
       zip.file(zipPath, data, { binary: typeof data !== 'string' });
     }
 
+    // The commits too, as the `.git` directory real git reads, so `git log` works on
+    // the unzipped project (see src/workspace/vcs-git.ts). Without it the ZIP is still
+    // the files, which is what it always was; a failure here is not worth losing that.
+    try {
+      for (const entry of (await runtime.versionControl?.exportGitDirectory()) ?? []) {
+        zip.file(`.git/${entry.path}`, entry.data, { binary: true });
+      }
+    } catch (error) {
+      console.error('[vcs] Could not add .git to the ZIP:', error);
+    }
+
     // Generate ZIP blob
     const zipBlob = await zip.generateAsync({ 
       type: 'blob',
@@ -680,9 +693,13 @@ async function storeIncoming(
 async function importIncomingFiles(
   incoming: readonly IncomingFile[],
   targetParentId: string | null,
-): Promise<void> {
-  if (policyState.lockStructure) return;
-  if (incoming.length === 0) return;
+): Promise<string[]> {
+  if (policyState.lockStructure) return [];
+  if (incoming.length === 0) return [];
+
+  // An import only adds files, under names nobody has taken - but it is the kind of
+  // bulk change a student looks for in the timeline afterwards.
+  runtime.history?.checkpoint('import').catch(() => {});
 
   const existingFileCount = (await storage.getAllFiles()).length;
   const plan = planImport(
@@ -727,6 +744,25 @@ async function importIncomingFiles(
   } else if (imported.length === 0) {
     setStatus('Nothing to import');
   }
+  return imported;
+}
+
+/**
+ * Add a file the IDE made - an exported turtle drawing - to the project root.
+ *
+ * Through the import path rather than straight into storage, so it is held to the
+ * same rules as a file the student brought: an image is checked by its bytes and
+ * stored as an asset, the structure lock applies, and a name already taken gets a
+ * numbered one instead of overwriting.
+ */
+export async function addGeneratedFile(name: string, bytes: Uint8Array): Promise<void> {
+  const [stored] = await importIncomingFiles([{
+    path: name,
+    size: bytes.length,
+    bytes: async () => bytes,
+    text: async () => new TextDecoder().decode(bytes),
+  }], null);
+  if (stored) setStatus(`Saved ${stored} to the project`);
 }
 
 /**
@@ -755,7 +791,9 @@ export async function importArchive(file: File, targetParentId: string | null):
 
   const incoming: IncomingFile[] = [];
   archive.forEach((path, entry) => {
-    if (entry.dir) return;
+    // A repository is brought in by "Import a Git repository…", which replaces the
+    // project; as files it would be hundreds of compressed objects nobody can open.
+    if (entry.dir || GIT_DIRECTORY.test(path)) return;
     incoming.push({
       path,
       // `_data.uncompressedSize` is jszip's own metadata; absent for an entry it has
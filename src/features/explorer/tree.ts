@@ -788,6 +788,7 @@ function setContextMenuActionLabel(action: string, label?: string): void {
     'import-files': '⬆️',
     'import-folder': '📥',
     download: '⬇️',
+    timeline: '🕘',
     rename: '✏️',
     delete: '🗑️',
   };
@@ -802,6 +803,7 @@ function updateContextMenuForSelection(type: 'file' | 'folder') {
   setContextMenuActionLabel('import-files');
   setContextMenuActionLabel('import-folder');
   setContextMenuActionLabel('download');
+  setContextMenuActionLabel('timeline');
   setContextMenuActionLabel('rename');
   setContextMenuActionLabel('delete');
 
@@ -810,6 +812,8 @@ function updateContextMenuForSelection(type: 'file' | 'folder') {
   setContextMenuActionVisible('import-folder', true);
   // Downloading needs exactly one thing to download - a file, or a folder as a ZIP.
   setContextMenuActionVisible('download', selectedCount === 1);
+  // Versions are kept per file; a folder has none of its own.
+  setContextMenuActionVisible('timeline', selectedCount === 1 && type === 'file' && runtime.history !== null);
 
   if (selectedCount === 0) {
     // Empty explorer area: only creation actions are relevant.
@@ -913,6 +917,11 @@ contextMenuEl.querySelectorAll('.context-menu-item').forEach(item => {
       case 'download':
         await downloadSelectedItem();
         break;
+      case 'timeline':
+        if (explorerState.selectedItemId) {
+          await runtime.commands?.execute('workspace.showTimeline', { source: 'ui' }, explorerState.selectedItemId);
+        }
+        break;
       case 'delete':
         await deleteSelectedItems();
         break;
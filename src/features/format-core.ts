@@ -23,6 +23,10 @@
  * It never re-wraps or re-breaks lines. Where a student has made a deliberate
  * layout choice inside a line, it survives.
  *
+ * For Python, Java, PHP and C# the real tools now run on the server, behind
+ * `POST /api/format`, and are asked first. This is still what runs when the server
+ * has no tool, no time, or no connection - so it must stay correct on its own.
+ *
  * ## The safety rule
  *
  * Indentation is only rewritten when the file can be scanned exactly. Any
@@ -0,0 +1,126 @@
+/**
+ * Asking the server's real formatter, and knowing when not to.
+ *
+ * `POST /api/format` runs ruff, google-java-format, php-cs-fixer or `dotnet format`
+ * over one file. It is preferred for those four languages because it does what
+ * `format-core.ts` deliberately will not - re-wrap, re-break, normalise spacing inside
+ * a line. It is never REQUIRED: an image without a tool, a busy server, a slow one and
+ * no network at all all end in the local formatter, and the student is told which.
+ *
+ * ## Remembering "not installed"
+ *
+ * A 503 means this server does not have the tool, and it will not have it in a
+ * minute, so the language is remembered for the session and never asked again - a
+ * student formatting on every save should not wait on a round trip that cannot
+ * succeed. A 429 or a timeout is about right now, so the next format asks again.
+ *
+ * Pure: no DOM, no Monaco. `fetch` is injected so the decisions are tested in node.
+ */
+
+/** Languages the server has a formatter for. Mirrors server/formatting/formatters.mjs. */
+export const SERVER_FORMAT_LANGUAGES: readonly string[] = ['python', 'java', 'php', 'csharp'];
+
+/** One replacement, as UTF-16 offsets into the code that was sent. */
+export interface FormatEdit {
+  start: number;
+  end: number;
+  text: string;
+}
+
+export type ServerFormatOutcome =
+  /** Formatted. `edit` is null when the formatter changed nothing. */
+  | { kind: 'formatted'; formatter: string; edit: FormatEdit | null }
+  /** The formatter refused the file; `output` is what it said. */
+  | { kind: 'rejected'; formatter: string; output: string }
+  /** No answer worth using. `reason` finishes the sentence "used the built-in formatter: ...". */
+  | { kind: 'fallback'; reason: string }
+  /** The caller gave up first. Nothing should be applied or reported. */
+  | { kind: 'cancelled' };
+
+export interface ServerFormatter {
+  format(
+    language: string,
+    code: string,
+    options: { indentSize: number; useTabs: boolean },
+    signal?: AbortSignal,
+  ): Promise<ServerFormatOutcome>;
+  /** False once the server has said it lacks this language's tool. */
+  available(language: string): boolean;
+}
+
+/**
+ * Longer than the server's own limit (FORMAT_TIMEOUT_MS, eight seconds by default), so
+ * a slow formatter is reported by the server as a timeout rather than cut off here.
+ */
+const DEFAULT_TIMEOUT_MS = 10_000;
+
+export function createServerFormatter({
+  fetch: fetchImpl = (...args) => globalThis.fetch(...args),
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+}: {
+  fetch?: typeof globalThis.fetch;
+  timeoutMs?: number;
+} = {}): ServerFormatter {
+  const missing = new Set<string>();
+
+  const available = (language: string): boolean =>
+    SERVER_FORMAT_LANGUAGES.includes(language) && !missing.has(language);
+
+  const format: ServerFormatter['format'] = async (language, code, options, signal) => {
+    if (!SERVER_FORMAT_LANGUAGES.includes(language)) {
+      return { kind: 'fallback', reason: 'no server formatter for this language' };
+    }
+    if (missing.has(language)) {
+      return { kind: 'fallback', reason: 'the formatter is not installed on this server' };
+    }
+
+    // One controller for both ways of giving up, so the request is always torn down.
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    if (signal?.aborted) controller.abort();
+
+    try {
+      const response = await fetchImpl('/api/format', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ language, code, options }),
+        signal: controller.signal,
+      });
+      const payload = await response.json().catch(() => null);
+
+      if (response.ok && payload?.ok === true) {
+        return { kind: 'formatted', formatter: String(payload.formatter), edit: payload.edit ?? null };
+      }
+      if (response.ok && payload?.ok === false) {
+        return { kind: 'rejected', formatter: String(payload.formatter), output: String(payload.output ?? '') };
+      }
+
+      switch (payload?.code) {
+        case 'formatter_unavailable':
+          missing.add(language);
+          return { kind: 'fallback', reason: 'the formatter is not installed on this server' };
+        case 'format_busy':
+          return { kind: 'fallback', reason: 'the server is busy' };
+        case 'format_timeout':
+          return { kind: 'fallback', reason: 'the formatter took too long' };
+        default:
+          return { kind: 'fallback', reason: 'the server could not format it' };
+      }
+    } catch {
+      if (signal?.aborted) return { kind: 'cancelled' };
+      if (timedOut) return { kind: 'fallback', reason: 'the server took too long' };
+      return { kind: 'fallback', reason: 'the server could not be reached' };
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+
+  return { format, available };
+}
@@ -15,11 +15,25 @@
  *    re-indent in cases where guessing could corrupt the program, and a student
  *    who is not told that has been misled in the same way as before - just more
  *    quietly.
+ *
+ * For Python, Java, PHP and C# the server's real formatter is asked first (see
+ * `format-server.ts`), and `format-core.ts` is what runs when it cannot answer. The
+ * report then says which formatter did the work, because "Formatted" after the
+ * built-in pass and "Formatted" after ruff promise very different things.
  */
 
 import * as monaco from 'monaco-editor';
 
 import { canFormatLocally, formatSource, type FormatResult } from './format-core.ts';
+import { createServerFormatter, SERVER_FORMAT_LANGUAGES } from './format-server.ts';
+
+/** What a format did, as reported to the student. */
+export interface EditorFormatResult extends FormatResult {
+  /** The server formatter that produced the text, when one did. */
+  formatter?: string;
+  /** Why the server was asked and the built-in formatter ran anyway. */
+  fallbackReason?: string;
+}
 
 /**
  * Monaco language ids this module provides formatting for.
@@ -38,9 +52,11 @@ const MONACO_LANGUAGES = ['typescript', 'javascript', 'css', 'html', 'json'] as
  * Monaco's formatting action returns nothing useful - it applies edits and
  * resolves - so the provider records what it did and the command reads it back.
  */
-const lastResult = new Map<string, FormatResult>();
+const lastResult = new Map<string, EditorFormatResult>();
 
-export function takeLastFormatResult(model: monaco.editor.ITextModel): FormatResult | null {
+const serverFormatter = createServerFormatter();
+
+export function takeLastFormatResult(model: monaco.editor.ITextModel): EditorFormatResult | null {
   const key = model.uri.toString();
   const result = lastResult.get(key) ?? null;
   lastResult.delete(key);
@@ -65,14 +81,50 @@ export function initializeFormatting(): void {
   for (const languageId of LOCAL_LANGUAGES) {
     monaco.languages.registerDocumentFormattingEditProvider(languageId, {
       displayName: 'Browser Coder',
-      provideDocumentFormattingEdits(model, options) {
+      async provideDocumentFormattingEdits(model, options, token) {
         const original = model.getValue();
-        const result = formatSource(languageId, original, {
-          indentSize: options.tabSize,
-          useTabs: !options.insertSpaces,
-        });
+        const version = model.getVersionId();
+        const indentation = { indentSize: options.tabSize, useTabs: !options.insertSpaces };
+
+        let fallbackReason: string | undefined;
+        if (SERVER_FORMAT_LANGUAGES.includes(languageId)) {
+          const controller = new AbortController();
+          const cancelled = token.onCancellationRequested(() => controller.abort());
+          const outcome = await serverFormatter
+            .format(languageId, original, indentation, controller.signal)
+            .finally(() => cancelled.dispose());
 
-        lastResult.set(model.uri.toString(), result);
+          // Cancelled, or typed into while the server worked: the edit's offsets are
+          // into text that no longer exists, so nothing is applied and nothing said.
+          if (outcome.kind === 'cancelled' || token.isCancellationRequested) return [];
+          if (model.getVersionId() !== version) return [];
+
+          if (outcome.kind === 'formatted') {
+            const edit = outcome.edit;
+            lastResult.set(model.uri.toString(), {
+              text: edit ? original.slice(0, edit.start) + edit.text + original.slice(edit.end) : original,
+              reindented: true,
+              formatter: outcome.formatter,
+            });
+            if (!edit) return [];
+            const { start, end, text } = edit;
+            const from = model.getPositionAt(start);
+            const to = model.getPositionAt(end);
+            return [
+              {
+                range: new monaco.Range(from.lineNumber, from.column, to.lineNumber, to.column),
+                text,
+              },
+            ];
+          }
+
+          fallbackReason = outcome.kind === 'rejected'
+            ? `${outcome.formatter} could not parse it`
+            : outcome.reason;
+        }
+
+        const result = formatSource(languageId, original, indentation);
+        lastResult.set(model.uri.toString(), { ...result, fallbackReason });
 
         // No edit at all when nothing changed: returning a full-range replacement
         // that happens to be identical still moves the cursor and pushes an undo
@@ -98,10 +150,15 @@ export function initializeFormatting(): void {
  */
 export function describeFormatResult(
   fileName: string,
-  result: FormatResult | null,
+  result: EditorFormatResult | null,
 ): string {
   if (!result) return `Formatted ${fileName}`;
-  if (result.reindented) return `Formatted ${fileName}`;
-  if (result.declinedReason) return `Tidied ${fileName} — ${result.declinedReason}`;
-  return `Formatted ${fileName}`;
+  if (result.formatter) return `Formatted ${fileName} with ${result.formatter}`;
+
+  const local = result.declinedReason && !result.reindented
+    ? `Tidied ${fileName} — ${result.declinedReason}`
+    : `Formatted ${fileName}`;
+  return result.fallbackReason
+    ? `${local} (built-in formatter: ${result.fallbackReason})`
+    : local;
 }
@@ -3,6 +3,7 @@ import { requireModels, runtime } from '../app/runtime';
 import { getAllLanguages } from '../languages';
 import { maskCommentsAndStrings } from '../languages/syntax.ts';
 import type { StoredFile } from '../storage';
+import { pythonDefinitions } from './python-analysis';
 import { isWorkspaceEntryHidden } from './workspace-visibility';
 
 interface SymbolDefinition {
@@ -216,6 +217,28 @@ async function resolveDefinitions(
   if (!sourceFile) return [];
 
   const sourceLanguage = sourceFile.language;
+
+  // Python asks the analysis broker first, which follows the imports instead of
+  // guessing by name. An answer - even an empty one - is final; only "could not
+  // answer" falls through to the regexes below.
+  if (sourceLanguage === 'python') {
+    const located = await pythonDefinitions(model, position);
+    if (located) {
+      return located.flatMap(location => {
+        const file = files.find(candidate => normalizePath(candidate.path) === location.path);
+        if (!file) return [];
+        return [{
+          name: word,
+          file,
+          line: location.line,
+          column: location.column,
+          length: location.endColumn - location.column,
+          kind: 'variable' as const,
+        }];
+      });
+    }
+  }
+
   const hints = parseImportHints(model.getValue(), sourceLanguage).filter(hint => hint.localName === word);
   const allDefinitions = files.flatMap(collectDefinitions);
 
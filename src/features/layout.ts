@@ -22,6 +22,7 @@ import {
   loadSettings,
 } from '../components/settings';
 import { setOutput } from '../components/output';
+import { clearCharts } from '../components/chart';
 import { clearTurtleCanvas } from '../components/turtle';
 import { applyTheme } from '../components/monaco-config';
 import { t } from '../i18n';
@@ -58,6 +59,7 @@ export function initializeLayout(): void {
     stopInteractive();
     setOutput('');
     clearTurtleCanvas();
+    clearCharts();
   });
 
   // ===== Panel tabs =====
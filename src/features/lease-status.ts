@@ -0,0 +1,136 @@
+/**
+ * Two tabs, one project: which one edits, and what the other one shows.
+ *
+ * `WriterLease` decides which tab is the writer; this is what the decision does to the
+ * rest of the IDE (blueprint section 9.5). A reader's editor is read-only and its
+ * autosave stopped, it re-reads the project each time the writer says it saved, and it
+ * says so - once, in the status line and to a screen reader - with the way out, "Take
+ * over editing". A writer does what it always did and tells the readers when it wrote.
+ *
+ * ## Why the reader re-reads rather than merges
+ *
+ * A reader cannot type, so it has nothing of its own to keep, and the committed
+ * project is exactly what it should show. The exception is the tab that was taken
+ * over from while it still held an edit its autosave had not written: the store
+ * refuses that write, because the point of the fence is that it cannot land on top
+ * of the new writer's work. The student is told, plainly, before the re-read replaces
+ * it - the handover flushes a tab that is still alive, so this is the frozen-tab case,
+ * and the edit is at most the last second of typing.
+ *
+ * Pure, like `save-status.ts`: the policy switch and the status line are injected, so
+ * what is said when can be asserted in node.
+ */
+
+import type { WorkspaceService } from '../workspace/service.ts';
+import type { Disposable } from '../workspace/types.ts';
+import type { LeaseRole, WriterLease } from '../workspace/writer-lease.ts';
+
+export interface LeaseStatusReporter {
+  status(message: string): void;
+  announce(message: string): void;
+  /** Make the editor and every editing command read-only, or give them back. */
+  setReadOnly(readOnly: boolean): void;
+}
+
+export const READER_MESSAGE =
+  'This project is open in another tab, which is saving it. This tab is read-only and shows ' +
+  'that tab\'s changes as they happen. Use "Take over editing" to edit here instead.';
+
+export const TAKEN_OVER_MESSAGE =
+  'Another tab took over editing this project. This tab is read-only now and shows that ' +
+  'tab\'s changes.';
+
+export const WRITER_MESSAGE = 'This tab is editing the project now. Other tabs show its changes.';
+
+export function connectLeaseStatus(
+  service: WorkspaceService,
+  lease: WriterLease,
+  reporter: LeaseStatusReporter,
+): Disposable {
+  let previous: LeaseRole = lease.role;
+
+  // One re-read at a time, and at most one more after it: a writer typing steadily
+  // posts a `changed` a second, and each re-read reads every file.
+  let reloading: Promise<void> | null = null;
+  let again = false;
+  const reload = (): Promise<void> => {
+    if (reloading) {
+      again = true;
+      return reloading;
+    }
+    reloading = service
+      .reload()
+      .catch(error => console.error('[workspace] Could not show the other tab\'s changes:', error))
+      .finally(() => {
+        reloading = null;
+        if (again && lease.role === 'reader') {
+          again = false;
+          void reload();
+        }
+      });
+    return reloading;
+  };
+
+  const say = (message: string) => {
+    reporter.status(message);
+    reporter.announce(message);
+  };
+
+  const onRole = async (role: LeaseRole) => {
+    const from = previous;
+    previous = role;
+
+    if (role === 'reader') {
+      service.persistence.suspend();
+      reporter.setReadOnly(true);
+      if (from === 'writer') {
+        const unsaved = service.dirtyDocuments.map(document => document.name);
+        say(
+          unsaved.length > 0
+            ? `${TAKEN_OVER_MESSAGE} Your last changes to ${unsaved.join(', ')} were not saved.`
+            : TAKEN_OVER_MESSAGE,
+        );
+      } else {
+        say(READER_MESSAGE);
+      }
+      await reload();
+      return;
+    }
+
+    if (role === 'writer') {
+      // A tab that was reading may be behind by the last change the writer made
+      // before letting go; it edits from what is committed, not from what it last
+      // showed. A tab that was the writer from the start loaded it moments ago.
+      if (from === 'reader') await reload();
+      service.persistence.resume();
+      reporter.setReadOnly(false);
+      if (from === 'reader') say(WRITER_MESSAGE);
+    }
+  };
+
+  const subscriptions: Disposable[] = [
+    lease.onDidChangeRole(role => {
+      void onRole(role);
+    }),
+    lease.onDidReceiveChange(() => {
+      void reload();
+    }),
+    // The writer's half: every committed write is news to the readers. A save that
+    // was superseded still committed the revision it names.
+    service.persistence.onDidSave(event => {
+      if (event.outcome.status !== 'failed') lease.notifyChanged();
+    }),
+    service.onDidChangeWorkspace(event => {
+      if (event.reason !== 'sync' && event.reason !== 'open') lease.notifyChanged();
+    }),
+  ];
+
+  // The role may already be known: `start` can finish before this is connected.
+  if (lease.role === 'reader') void onRole('reader');
+
+  return {
+    dispose: () => {
+      for (const subscription of subscriptions) subscription.dispose();
+    },
+  };
+}
@@ -15,17 +15,61 @@ const PRINT_PATTERNS: Record<string, RegExp> = {
   php: /(?:\becho\b|\bprint\s*\(?|\bprintf\s*\()(.*)$/,
   java: /\bSystem\.(?:out|err)\.print(?:ln)?\s*\((.*)$/,
   csharp: /\bConsole\.(?:Write|WriteLine)\s*\((.*)$/,
+  ruby: /(?:^|[\s;({])(?:puts|print|p)(?:\s+|\s*\()(.*)$/,
+  go: /\bfmt\.(?:Print|Println|Printf)\s*\((.*)$/,
+  c: /\b(?:printf|puts)\s*\((.*)$/,
+  cpp: /\b(?:std::)?(?:cout|printf|puts)\b\s*(?:<<|\()\s*(.*)$/,
 };
 
+/**
+ * Lines of a sanitizer report that name a place in the student's code.
+ *
+ * The print patterns above guess which statement printed a line of stdout; these
+ * do not guess. A UBSan line, a stack frame, a failed `assert` and ASan's SUMMARY each
+ * state a file and a line, and every one of them is made clickable - the first frame
+ * is where it happened, the ones below it are how the program got there. Frames in
+ * the standard library and the sanitizer's own sources are absolute or `../` paths
+ * once job paths are stripped, and are left as text.
+ */
+const GCC_REPORT_LOCATIONS: readonly RegExp[] = [
+  /^(\S+?):(\d+):\d+: runtime error: /,
+  /^\s*#\d+\s+0x[0-9a-f]+\s+in\s+.+?\s+(\S+?):(\d+)(?::\d+)?\s*$/,
+  /^(?:\S+: )?(\S+?):(\d+): .*Assertion [`'].+' failed\.$/,
+  /^SUMMARY: \w+Sanitizer: \S+ (\S+?):(\d+)(?::\d+)? in /,
+];
+
+const ERROR_REPORT_LOCATIONS: Record<string, readonly RegExp[]> = {
+  c: GCC_REPORT_LOCATIONS,
+  cpp: GCC_REPORT_LOCATIONS,
+};
+
+/** The source line one line of a crash report names, or null when it names none. */
+export function errorReportLocation(language: string, reportLine: string): OutputLocation | null {
+  const text = reportLine.replace(/\r?\n$/, '');
+  for (const pattern of ERROR_REPORT_LOCATIONS[language] ?? []) {
+    const match = text.match(pattern);
+    if (!match) continue;
+    const [, file, line] = match;
+    if (file.startsWith('/') || file.startsWith('../') || file.startsWith('<')) return null;
+    return { file, line: Number.parseInt(line, 10) };
+  }
+  return null;
+}
+
 function firstLiteral(argumentsText: string): string | null {
   const match = argumentsText.trim().match(/^(["'])(.*?)\1/);
   if (!match) return null;
-  // Enough unescaping for the literal anchors used to distinguish Start/Done lines.
+  // A printf format is not what gets printed: `"%d\n"` never equals a line of output,
+  // so it would anchor nothing and hide the lines it does print.
+  if (/%[-+ #0]*\d*(?:\.\d+)?[diouxXeEfgGcsp]/.test(match[2])) return null;
+  // Enough unescaping for the literal anchors used to distinguish Start/Done lines. A
+  // trailing newline is C's way of ending the line that was printed, not part of it.
   return match[2]
     .replace(/\\n/g, '\n')
     .replace(/\\t/g, '\t')
     .replace(/\\r/g, '\r')
-    .replace(/\\([\\"'])/g, '$1');
+    .replace(/\\([\\"'])/g, '$1')
+    .replace(/\n$/, '');
 }
 
 export function findPrintSites(source: string, language: string, file = ''): PrintSite[] {
@@ -87,7 +87,8 @@ function renderInto(container: HTMLElement, store: DiagnosticsStore): void {
 
       const origin = document.createElement('span');
       origin.className = 'problem-source';
-      origin.textContent = diagnostic.source;
+      // With the rule, when a linter named one: "ruff F841" is searchable, "ruff" is not.
+      origin.textContent = diagnostic.code ? `${diagnostic.source} ${diagnostic.code}` : diagnostic.source;
       row.appendChild(origin);
 
       const location = document.createElement('span');
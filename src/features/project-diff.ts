@@ -0,0 +1,297 @@
+/**
+ * The project diff: every file that differs between two versions of the project, beside
+ * Monaco's diff editor.
+ *
+ * The same frame as the Timeline, for the same reason: a list beside the diff answers
+ * "what did I change?" without making anyone compare by eye. The list is every file
+ * that differs - added, removed, renamed, modified - and the diff is the chosen file
+ * on the left as it was and on the right as it is. Both sides are copies, so nothing
+ * done in the overlay touches a real document.
+ *
+ * Which two versions is the caller's: a checkpoint and the project now
+ * (`checkpoints.ts`), or two commits, or a commit and the project now
+ * (`version-control.ts`). So is whether files can be put back from the left side -
+ * `restore` - which is offered only where the project's structure may be changed.
+ * Restoring commits in one `replaceAll`, so a failure changes nothing, and records
+ * what the files held first in local history.
+ */
+
+import * as monaco from 'monaco-editor';
+import { runtime } from '../app/runtime';
+import { policyState } from '../app/config';
+import { getLanguage } from '../languages';
+import { setStatus } from '../components/output';
+import { announce } from '../components/announce.ts';
+import { renderFileTree } from './explorer';
+import { updateEmptyState } from './editor-core';
+import { describeChange } from '../workspace/checkpoints.ts';
+import type { ProjectChange } from '../workspace/checkpoints.ts';
+import type { ReplaceAllResult } from '../workspace/service.ts';
+import type { Disposable } from '../workspace/types.ts';
+
+const OVERLAY_ID = 'project-diff';
+
+const KIND_MARKS: Record<ProjectChange['kind'], string> = {
+  added: 'A',
+  removed: 'D',
+  renamed: 'R',
+  modified: 'M',
+};
+
+/** Putting files back as the left side has them. */
+export interface ProjectDiffRestore {
+  file(change: ProjectChange): Promise<ReplaceAllResult>;
+  /** The status line once `file` has put `change` back. */
+  fileDone(change: ProjectChange): string;
+  all(): Promise<ReplaceAllResult>;
+  /** Asked before `all`, which replaces the whole project. */
+  allQuestion: string;
+  allDone: string;
+}
+
+export interface ProjectDiffOptions {
+  title: string;
+  /** Says what each side is. */
+  note: string;
+  /** Shown in the list when nothing differs. */
+  emptyText: string;
+  /** The changes, compared again on every refresh; null when the left side is gone. */
+  compare(): Promise<ProjectChange[] | null>;
+  /** The status line when `compare` finds the left side gone. */
+  goneText: string;
+  restore?: ProjectDiffRestore;
+}
+
+interface OpenDiff {
+  readonly overlay: HTMLElement;
+  readonly diff: monaco.editor.IStandaloneDiffEditor;
+  readonly original: monaco.editor.ITextModel;
+  readonly modified: monaco.editor.ITextModel;
+  readonly subscriptions: Disposable[];
+}
+
+let open: OpenDiff | null = null;
+
+export function closeProjectDiff(): void {
+  // References first, as in the picker: disposal can re-enter through a blur.
+  const closing = open;
+  open = null;
+  if (!closing) return;
+  for (const subscription of closing.subscriptions) subscription.dispose();
+  closing.diff.dispose();
+  closing.original.dispose();
+  closing.modified.dispose();
+  closing.overlay.remove();
+}
+
+function element<K extends keyof HTMLElementTagNameMap>(
+  tag: K,
+  className: string,
+  text?: string,
+): HTMLElementTagNameMap[K] {
+  const node = document.createElement(tag);
+  node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+const canRestore = () => !policyState.readonly && !policyState.lockStructure;
+
+/**
+ * Show the editor again after the project's files were replaced. The active file may
+ * have been removed or renamed away, and a file whose content changed under an open
+ * tab is already showing it - its model is its buffer.
+ */
+export async function showReplaced(result: ReplaceAllResult): Promise<void> {
+  const tabManager = runtime.tabManager;
+  if (!tabManager) return;
+  const next = tabManager.getActiveTab()?.file.id ?? tabManager.getAllTabs()[0]?.file.id ?? result.documents[0]?.id;
+  const shown = next ? await tabManager.switchToTab(next) : null;
+  if (!shown) updateEmptyState(tabManager.getAllTabs().length === 0);
+  await renderFileTree(tabManager);
+  runtime.notifyWorkspaceChanged();
+}
+
+export async function openProjectDiff(options: ProjectDiffOptions): Promise<void> {
+  const workspace = runtime.workspace;
+  if (!workspace) return;
+  closeProjectDiff();
+
+  const overlay = element('div', '');
+  overlay.id = OVERLAY_ID;
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-modal', 'true');
+  overlay.setAttribute('aria-labelledby', `${OVERLAY_ID}-title`);
+
+  const box = element('div', 'timeline-box');
+  const header = element('div', 'timeline-header');
+  const title = element('h2', 'timeline-title', options.title);
+  title.id = `${OVERLAY_ID}-title`;
+  const close = element('button', 'timeline-close', 'Close');
+  close.type = 'button';
+  header.append(title, close);
+
+  const body = element('div', 'timeline-body');
+  const list = element('div', 'timeline-list');
+  list.setAttribute('role', 'listbox');
+  list.setAttribute('aria-label', 'Changed files');
+  const diffHost = element('div', 'timeline-diff');
+  body.append(list, diffHost);
+
+  const footer = element('div', 'timeline-footer');
+  const note = element('span', 'timeline-note', options.note);
+  footer.append(note);
+  const restoreFile = element('button', 'timeline-restore', 'Restore this file');
+  restoreFile.type = 'button';
+  const restoreAll = element('button', 'timeline-restore', 'Restore everything');
+  restoreAll.type = 'button';
+  if (options.restore) {
+    const actions = element('div', 'timeline-actions');
+    actions.append(restoreFile, restoreAll);
+    footer.append(actions);
+  }
+
+  box.append(header, body, footer);
+  overlay.appendChild(box);
+  document.body.appendChild(overlay);
+
+  const original = monaco.editor.createModel('', 'plaintext');
+  const modified = monaco.editor.createModel('', 'plaintext');
+  const diff = monaco.editor.createDiffEditor(diffHost, {
+    readOnly: true,
+    originalEditable: false,
+    automaticLayout: true,
+    renderSideBySide: true,
+    minimap: { enabled: false },
+  });
+  diff.setModel({ original, modified });
+
+  let changes: ProjectChange[] = [];
+  let selected = 0;
+  // By path as well as position, so a refresh keeps the student on the same file.
+  let selectedPath: string | null = null;
+  let busy = false;
+
+  const updateButtons = () => {
+    restoreFile.disabled = busy || !canRestore() || changes[selected] === undefined;
+    restoreAll.disabled = busy || !canRestore();
+  };
+
+  const show = (index: number): void => {
+    selected = index;
+    const change = changes[index];
+    selectedPath = change?.path ?? null;
+    list.querySelectorAll('.timeline-row').forEach((row, rowIndex) => {
+      row.classList.toggle('selected', rowIndex === index);
+      row.setAttribute('aria-selected', String(rowIndex === index));
+    });
+    updateButtons();
+    const file = change?.after ?? change?.before;
+    const languageId = (file && getLanguage(file.language)?.monacoLanguage) || 'plaintext';
+    monaco.editor.setModelLanguage(original, languageId);
+    monaco.editor.setModelLanguage(modified, languageId);
+    original.setValue(change?.before?.content ?? '');
+    modified.setValue(change?.after?.content ?? '');
+  };
+
+  const render = async (): Promise<void> => {
+    const compared = await options.compare();
+    if (!open || open.overlay !== overlay) return;
+    if (!compared) {
+      closeProjectDiff();
+      setStatus(options.goneText);
+      return;
+    }
+    changes = compared;
+    list.textContent = '';
+    if (changes.length === 0) {
+      list.appendChild(element('div', 'timeline-empty', options.emptyText));
+    }
+    for (const [index, change] of changes.entries()) {
+      const row = element('button', 'timeline-row');
+      row.type = 'button';
+      row.setAttribute('role', 'option');
+      const label = element('span', 'project-diff-path');
+      const mark = element('span', `project-diff-kind ${change.kind}`, KIND_MARKS[change.kind]);
+      mark.setAttribute('aria-hidden', 'true');
+      label.append(mark, document.createTextNode(change.path));
+      row.append(label, element('span', 'timeline-detail', describeChange(change)));
+      row.addEventListener('click', () => show(index));
+      list.appendChild(row);
+    }
+    const kept = changes.findIndex(change => change.path === selectedPath);
+    show(kept === -1 ? 0 : kept);
+  };
+
+  const restore = async (run: () => Promise<ReplaceAllResult>, done: string): Promise<void> => {
+    if (busy || !canRestore()) return;
+    busy = true;
+    updateButtons();
+    try {
+      // Every file as it is, in its own timeline, before any of them is replaced.
+      await runtime.history?.checkpoint('restore').catch(() => {});
+      const result = await run();
+      await showReplaced(result);
+      setStatus(done);
+      announce(done);
+    } catch (error) {
+      console.error('[project-diff] Could not restore:', error);
+      setStatus(`Could not restore: ${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      busy = false;
+      updateButtons();
+    }
+    await render();
+  };
+
+  const onRestoreFile = (): void => {
+    const change = changes[selected];
+    if (!change || !options.restore) return;
+    const { file, fileDone } = options.restore;
+    void restore(() => file(change), fileDone(change));
+  };
+
+  const onRestoreAll = (): void => {
+    if (!options.restore || !confirm(options.restore.allQuestion)) return;
+    void restore(options.restore.all, options.restore.allDone);
+  };
+
+  const onKeyDown = (event: KeyboardEvent): void => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      closeProjectDiff();
+      return;
+    }
+    if (!list.contains(document.activeElement)) return;
+    const step = event.key === 'ArrowDown' ? 1 : event.key === 'ArrowUp' ? -1 : 0;
+    if (step === 0 || changes.length === 0) return;
+    event.preventDefault();
+    const next = (selected + step + changes.length) % changes.length;
+    (list.querySelectorAll<HTMLElement>('.timeline-row')[next])?.focus();
+    show(next);
+  };
+
+  close.addEventListener('click', closeProjectDiff);
+  restoreFile.addEventListener('click', onRestoreFile);
+  restoreAll.addEventListener('click', onRestoreAll);
+  overlay.addEventListener('keydown', onKeyDown);
+  overlay.addEventListener('mousedown', event => {
+    if (event.target === overlay) closeProjectDiff();
+  });
+
+  open = {
+    overlay,
+    diff,
+    original,
+    modified,
+    subscriptions: [
+      // A file added, removed or renamed from elsewhere - another tab, the host.
+      workspace.onDidChangeWorkspace(() => {
+        if (!busy) void render();
+      }),
+    ],
+  };
+
+  await render();
+  (list.querySelector<HTMLElement>('.timeline-row') ?? close).focus();
+}
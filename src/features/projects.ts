@@ -0,0 +1,250 @@
+/**
+ * The project switcher: the project's name in the status bar, and the palette
+ * commands that make, rename, copy, delete and open projects.
+ *
+ * `ProjectManager` keeps the list; this is how a student uses it. A switch is a page
+ * load of `?project=<id>`, after the open project's edits are flushed and its layout
+ * saved - `main.ts` decides the project before it builds a single service, so the
+ * workspace, its history, its checkpoints, its repository and the writer lease are
+ * the new project's from the start and nothing needs taking apart.
+ *
+ * What comes back on a switch is what the project left: its files and the file that
+ * was open - the entry point Run uses - from its own database, and its language, panel
+ * and sidebar state from its own settings (`setSettingsScope`). The theme is the
+ * student's, not the project's, and does not change.
+ *
+ * Not offered when embedded: there, the host owns the one workspace on the page.
+ */
+
+import { runtime } from '../app/runtime';
+import { setStatus } from '../components/output';
+import { announce } from '../components/announce.ts';
+import { langSel, versionSel } from '../components/dom';
+import {
+  copyProjectSettings, removeProjectSettings, saveSettings, seedProjectSettings,
+} from '../components/settings';
+import { bindButton } from '../commands';
+import { createPicker } from './picker.ts';
+import {
+  IndexedDbCheckpointStore, IndexedDbHistoryStore, IndexedDbProjectRegistry, IndexedDbVcsStore,
+  IndexedDbWorkspaceStore, LEGACY_WORKSPACE_DATABASE, ProjectManager, deleteProjectDatabases, projectDatabaseName,
+  workspaceDatabaseExists,
+} from '../workspace';
+import type { ProjectRecord } from '../workspace/projects.ts';
+import type { CommandRegistry } from '../commands/registry.ts';
+import type { Disposable } from '../workspace/types.ts';
+
+const OPEN_PICKER_ID = 'project-open';
+const DELETE_PICKER_ID = 'project-delete';
+/** The query parameter naming the project a page opens. */
+export const PROJECT_PARAM = 'project';
+
+/** Keep what this project has, then load the page again as the other one. */
+async function switchTo(project: ProjectRecord): Promise<void> {
+  saveSettings();
+  try {
+    await runtime.workspace?.flushAll();
+  } catch (error) {
+    // Reported per document by the save status already; the switch still happens,
+    // because the files that did save are all a reload could keep anyway.
+    console.error('[projects] Could not save before switching:', error);
+  }
+
+  const url = new URL(window.location.href);
+  url.searchParams.set(PROJECT_PARAM, project.id);
+  // What the last page was opened with is not what this project wants: its language
+  // is its own, and a share link has already been loaded into the project it named.
+  for (const param of ['lang', 'version', 'share']) url.searchParams.delete(param);
+  window.location.assign(url.toString());
+}
+
+/**
+ * The registry, migrated if it has not been, with the project this page opens chosen:
+ * the one in `?project=`, or the one opened last, or a new one.
+ *
+ * Throws when the registry cannot be opened or the migration could not be verified;
+ * the caller then opens `BrowserCoderDB` as the IDE did before projects.
+ */
+export async function openProjects(requestedId: string | null): Promise<ProjectManager> {
+  const locks = typeof navigator !== 'undefined' ? navigator.locks : undefined;
+  const projects = new ProjectManager({
+    registry: new IndexedDbProjectRegistry(),
+    databaseNameFor: projectDatabaseName,
+    openWorkspace: databaseName => new IndexedDbWorkspaceStore(databaseName),
+    openHistory: databaseName => new IndexedDbHistoryStore(databaseName),
+    openCheckpoints: databaseName => new IndexedDbCheckpointStore(databaseName),
+    openVcs: databaseName => new IndexedDbVcsStore(databaseName),
+    deleteDatabases: deleteProjectDatabases,
+    legacy: {
+      databaseName: LEGACY_WORKSPACE_DATABASE,
+      exists: () => workspaceDatabaseExists(LEGACY_WORKSPACE_DATABASE),
+    },
+    // Two tabs opened together on the first load must not both migrate. `request`
+    // settles with what the task's promise settles with, which its typing does not say.
+    exclusive: locks
+      ? <T>(task: () => Promise<T>) => locks.request('browser-coder:projects', task) as unknown as Promise<T>
+      : undefined,
+  });
+  await projects.open();
+  await projects.choose(requestedId);
+  return projects;
+}
+
+function describeProject(project: ProjectRecord, current: ProjectRecord | null): string {
+  if (project.id === current?.id) return 'Open now';
+  return project.openedAt > 0
+    ? `Opened ${new Date(project.openedAt).toLocaleString()}`
+    : 'Not opened yet';
+}
+
+export function initializeProjects(projects: ProjectManager, registry: CommandRegistry): Disposable {
+  const button = document.getElementById('status-project');
+  const render = () => {
+    if (!button) return;
+    const name = projects.current?.name ?? '';
+    button.textContent = name;
+    button.title = `Project: ${name} - switch project`;
+    button.classList.toggle('hidden', !projects.current);
+  };
+
+  const items = (includeCurrent: boolean) => () =>
+    projects.list().map(project => ({
+      id: project.id,
+      label: project.name,
+      detail: describeProject(project, projects.current),
+      enabled: includeCurrent || project.id !== projects.current?.id,
+      disabledNote: 'Open now',
+    }));
+
+  const openPicker = createPicker({
+    overlayId: OPEN_PICKER_ID,
+    placeholder: 'Open a project…',
+    ariaLabel: 'Projects',
+    emptyText: 'No other projects yet',
+    items: items(false),
+    onPick: async item => {
+      const project = projects.get(item.id);
+      if (project) await switchTo(project);
+    },
+  });
+
+  const deletePicker = createPicker({
+    overlayId: DELETE_PICKER_ID,
+    placeholder: 'Delete a project…',
+    ariaLabel: 'Projects',
+    emptyText: 'No projects',
+    items: items(true),
+    onPick: async item => {
+      const project = projects.get(item.id);
+      if (!project) return;
+      if (!confirm(`Delete the project "${project.name}" and every file in it? This cannot be undone.`)) return;
+
+      const wasOpen = project.id === projects.current?.id;
+      // Somewhere to go first, so deleting the last project cannot leave a page with
+      // none: the next most recent, or a new empty one.
+      const next = wasOpen
+        ? projects.list().find(other => other.id !== project.id) ?? await projects.create('My project')
+        : null;
+
+      await projects.remove(project.id);
+      removeProjectSettings(project.id);
+      const message = `Deleted the project "${project.name}".`;
+      setStatus(message);
+      announce(message);
+      if (next) await switchTo(next);
+    },
+  });
+
+  // Another tab may have made, renamed or deleted one since.
+  const openFresh = (picker: { open(): void }) => async () => {
+    await projects.refresh().catch(error => console.error('[projects] Could not list:', error));
+    picker.open();
+  };
+
+  const subscriptions: Disposable[] = [
+    registry.register({
+      id: 'projects.openRecent',
+      title: 'Open a recent project…',
+      run: openFresh(openPicker),
+    }),
+    registry.register({
+      id: 'projects.create',
+      title: 'New project…',
+      run: async () => {
+        const name = window.prompt('Name the new project:', '');
+        if (name === null || !name.trim()) return;
+        try {
+          const project = await projects.create(name);
+          // It starts in the language the student is using now.
+          seedProjectSettings(project.id, { language: langSel.value, version: versionSel.value });
+          await switchTo(project);
+        } catch (error) {
+          console.error('[projects] Could not create:', error);
+          setStatus(error instanceof Error ? error.message : 'Could not create the project.');
+        }
+      },
+    }),
+    registry.register({
+      id: 'projects.rename',
+      title: 'Rename this project…',
+      when: () => projects.current !== null,
+      run: async () => {
+        const current = projects.current;
+        if (!current) return;
+        const name = window.prompt('Rename the project:', current.name);
+        if (name === null || !name.trim() || name.trim() === current.name) return;
+        try {
+          const renamed = await projects.rename(current.id, name);
+          setStatus(`Renamed the project to "${renamed.name}"`);
+        } catch (error) {
+          setStatus(error instanceof Error ? error.message : 'Could not rename the project.');
+        }
+      },
+    }),
+    registry.register({
+      id: 'projects.duplicate',
+      title: 'Duplicate this project',
+      when: () => projects.current !== null,
+      run: async () => {
+        const current = projects.current;
+        if (!current) return;
+        // The copy is read from the database, so it has to hold what is on screen.
+        saveSettings();
+        await runtime.workspace?.flushAll();
+        setStatus(`Copying "${current.name}"…`);
+        try {
+          const copy = await projects.duplicate(current.id);
+          copyProjectSettings(current.id, copy.id);
+          await switchTo(copy);
+        } catch (error) {
+          console.error('[projects] Could not duplicate:', error);
+          setStatus('Could not duplicate the project. Nothing was changed.');
+        }
+      },
+    }),
+    registry.register({
+      id: 'projects.delete',
+      title: 'Delete a project…',
+      run: openFresh(deletePicker),
+    }),
+    projects.onDidChange(() => {
+      render();
+      registry.notifyEnablementChanged();
+    }),
+    openPicker,
+    deletePicker,
+  ];
+
+  if (button) subscriptions.push(bindButton(registry, button, 'projects.openRecent'));
+  // The language and panels as they are when the page goes, which is also how a
+  // switch leaves them - `pagehide`, because `unload` is not fired from bfcache.
+  window.addEventListener('pagehide', saveSettings);
+  render();
+
+  return {
+    dispose: () => {
+      window.removeEventListener('pagehide', saveSettings);
+      for (const subscription of subscriptions) subscription.dispose();
+    },
+  };
+}
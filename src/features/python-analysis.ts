@@ -0,0 +1,211 @@
+/**
+ * Python completion, signature help, references and rename, from the analysis broker.
+ *
+ * Until now everything the editor knew about a Python project came from regexes:
+ * `go-to-definition.ts` matched `def` lines by name, and completion was Monaco's list
+ * of words already in the file. Neither can tell which of two `helper`s an import
+ * means, what `point.` offers, or where a function is called. The broker can - it runs
+ * Jedi over the whole project on the server (`analysis-client.ts`, blueprint section
+ * 63) - so these providers ask it.
+ *
+ * Every provider treats "no answer" as "nothing to add": Monaco's word completion
+ * still appears, a missing signature shows no hint, and go-to-definition falls back
+ * to its regexes (`pythonDefinitions` returns null for exactly that). A rename with
+ * no broker is refused with the reason, rather than approximated with a text replace
+ * that would also rename every unrelated `x` in the project.
+ */
+
+import * as monaco from 'monaco-editor';
+
+import { requireModels, requireWorkspace } from '../app/runtime';
+import {
+  createAnalysisClient,
+  groupEditsByPath,
+  type AnalysisLocation,
+  type AnalysisMethod,
+  type AnalysisOutcome,
+  type AnalysisQuestion,
+  type AnalysisResults,
+} from './analysis-client.ts';
+
+const client = createAnalysisClient();
+
+/** Jedi's completion types, as Monaco's kinds. Anything else is plain text. */
+const COMPLETION_KINDS: Record<string, monaco.languages.CompletionItemKind> = {
+  module: monaco.languages.CompletionItemKind.Module,
+  class: monaco.languages.CompletionItemKind.Class,
+  instance: monaco.languages.CompletionItemKind.Variable,
+  function: monaco.languages.CompletionItemKind.Function,
+  param: monaco.languages.CompletionItemKind.Variable,
+  path: monaco.languages.CompletionItemKind.File,
+  keyword: monaco.languages.CompletionItemKind.Keyword,
+  property: monaco.languages.CompletionItemKind.Property,
+  statement: monaco.languages.CompletionItemKind.Variable,
+};
+
+/**
+ * The question, as the broker wants it: every Python file's live text, and where in
+ * which file it was asked. Null when the model is not a workspace document (a diff
+ * view, a scratch model).
+ */
+function questionAt(
+  model: monaco.editor.ITextModel,
+  position: monaco.IPosition,
+  newName?: string,
+): AnalysisQuestion | null {
+  const workspace = requireWorkspace();
+  const id = requireModels().documentIdFor(model);
+  const path = id ? workspace.pathOf(id) : null;
+  if (!path) return null;
+
+  const files = workspace
+    .snapshotForExecution()
+    .filter(file => file.language === 'python')
+    .map(({ path: filePath, content }) => ({ path: filePath, content }));
+
+  return { files, path, line: position.lineNumber, column: position.column, newName };
+}
+
+/** Ask, giving up when Monaco cancels - which it does on the next keystroke. */
+async function ask<M extends AnalysisMethod>(
+  method: M,
+  question: AnalysisQuestion,
+  token?: monaco.CancellationToken,
+): Promise<AnalysisOutcome<AnalysisResults[M]>> {
+  const controller = new AbortController();
+  const cancelled = token?.onCancellationRequested(() => controller.abort());
+  try {
+    return await client.ask(method, question, controller.signal);
+  } finally {
+    cancelled?.dispose();
+  }
+}
+
+/** A broker location in Monaco's terms; null when the file has since been deleted. */
+function toLocation(location: AnalysisLocation): monaco.languages.Location | null {
+  const document = requireWorkspace().findByPath(location.path);
+  if (!document) return null;
+  return {
+    uri: requireModels().acquire(document).uri,
+    range: new monaco.Range(location.line, location.column, location.endLine, location.endColumn),
+  };
+}
+
+/**
+ * Where the name at `position` is defined, according to Jedi.
+ *
+ * Null means "ask someone else": no broker, a busy one, or a model outside the
+ * workspace. An empty list is an answer - Jedi looked and the name is a builtin or
+ * undefined - and the regex fallback must not second-guess it with a same-named
+ * `def` from an unrelated file.
+ */
+export async function pythonDefinitions(
+  model: monaco.editor.ITextModel,
+  position: monaco.IPosition,
+): Promise<AnalysisLocation[] | null> {
+  if (!client.available()) return null;
+  const question = questionAt(model, position);
+  if (!question) return null;
+  const outcome = await ask('definition', question);
+  return outcome.kind === 'answered' ? outcome.result.locations : null;
+}
+
+let disposables: monaco.IDisposable[] = [];
+
+export function initializePythonAnalysis(): void {
+  disposePythonAnalysis();
+
+  disposables.push(monaco.languages.registerCompletionItemProvider('python', {
+    triggerCharacters: ['.'],
+    provideCompletionItems: async (model, position, _context, token) => {
+      const question = client.available() ? questionAt(model, position) : null;
+      if (!question) return { suggestions: [] };
+      const outcome = await ask('complete', question, token);
+      if (outcome.kind !== 'answered') return { suggestions: [] };
+
+      const word = model.getWordUntilPosition(position);
+      const range = new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn);
+      return {
+        suggestions: outcome.result.items.map((item, index) => ({
+          label: item.label,
+          kind: COMPLETION_KINDS[item.kind] ?? monaco.languages.CompletionItemKind.Text,
+          detail: item.detail,
+          insertText: item.label,
+          // Jedi's order is its ranking; Monaco would otherwise sort alphabetically.
+          sortText: String(index).padStart(4, '0'),
+          range,
+        })),
+      };
+    },
+  }));
+
+  disposables.push(monaco.languages.registerSignatureHelpProvider('python', {
+    signatureHelpTriggerCharacters: ['(', ','],
+    provideSignatureHelp: async (model, position, token) => {
+      const question = client.available() ? questionAt(model, position) : null;
+      if (!question) return null;
+      const outcome = await ask('signatures', question, token);
+      if (outcome.kind !== 'answered' || outcome.result.signatures.length === 0) return null;
+
+      const signatures = outcome.result.signatures;
+      return {
+        value: {
+          signatures: signatures.map(signature => ({
+            label: signature.label,
+            documentation: signature.documentation || undefined,
+            parameters: signature.parameters.map(label => ({ label })),
+          })),
+          activeSignature: 0,
+          activeParameter: signatures[0].activeParameter ?? 0,
+        },
+        dispose: () => {},
+      };
+    },
+  }));
+
+  disposables.push(monaco.languages.registerReferenceProvider('python', {
+    provideReferences: async (model, position, _context, token) => {
+      const question = client.available() ? questionAt(model, position) : null;
+      if (!question) return [];
+      const outcome = await ask('references', question, token);
+      if (outcome.kind !== 'answered') return [];
+      return outcome.result.locations
+        .map(toLocation)
+        .filter((location): location is monaco.languages.Location => location !== null);
+    },
+  }));
+
+  disposables.push(monaco.languages.registerRenameProvider('python', {
+    provideRenameEdits: async (model, position, newName, token) => {
+      const question = questionAt(model, position, newName);
+      if (!question) return { edits: [], rejectReason: 'Rename works on files in the project' };
+      const outcome = await ask('rename', question, token);
+      if (outcome.kind === 'cancelled') return { edits: [] };
+      if (outcome.kind === 'fallback') return { edits: [], rejectReason: `Rename is unavailable: ${outcome.reason}` };
+      if ('rejectReason' in outcome.result) return { edits: [], rejectReason: outcome.result.rejectReason };
+
+      const edits: monaco.languages.IWorkspaceTextEdit[] = [];
+      for (const [path, fileEdits] of groupEditsByPath(outcome.result.edits)) {
+        const document = requireWorkspace().findByPath(path);
+        if (!document) continue;
+        const resource = requireModels().acquire(document).uri;
+        for (const edit of fileEdits) {
+          edits.push({
+            resource,
+            versionId: undefined,
+            textEdit: {
+              range: new monaco.Range(edit.line, edit.column, edit.endLine, edit.endColumn),
+              text: edit.text,
+            },
+          });
+        }
+      }
+      return { edits };
+    },
+  }));
+}
+
+export function disposePythonAnalysis(): void {
+  for (const disposable of disposables) disposable.dispose();
+  disposables = [];
+}
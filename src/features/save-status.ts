@@ -21,6 +21,7 @@
  * reader has no other way to notice.
  */
 
+import { StaleWriterError } from '../workspace/store.ts';
 import type { WorkspaceService } from '../workspace/service.ts';
 import type { Disposable } from '../workspace/types.ts';
 
@@ -109,6 +110,11 @@ export function connectSaveStatus(
 
   const subscription = service.persistence.onDidSave(event => {
     if (event.outcome.status === 'failed') {
+      // Not this browser failing: another tab took the project over, and
+      // `lease-status.ts` says so in words that fit. "Could not be saved to this
+      // browser" would send the student looking for a full disk.
+      if (event.outcome.error instanceof StaleWriterError) return;
+
       // Announced once per outage, not once per failed write. A debounced autosave
       // retries on every keystroke, and repeating the message on each one would make
       // the live region unusable and bury everything else the IDE says.
@@ -151,7 +151,7 @@ export function dedent(code: string): string {
 /*
  * `canRunSelection` used to live here, over a hardcoded set of language ids.
  *
- * It is now `languageCan(id, 'runSelection')`, read from each language's config.json,
+ * It is now `languageCan(id, 'runSelection')`, read from each language's manifest.json,
  * and it is called from `editor-context-menu.ts` instead - because the loader uses
  * Vite's `import.meta.glob`, and importing it here would end this module's ability to
  * run under node. That is not a small loss: this file's whole reason for existing
@@ -159,5 +159,5 @@ export function dedent(code: string): string {
  * header above says so.
  *
  * The capability data itself is covered by tests/unit/language-capabilities.test.mjs,
- * which reads the real config.json files rather than a copy of what they should say.
+ * which reads the real manifest.json files rather than a copy of what they should say.
  */
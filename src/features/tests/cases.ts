@@ -0,0 +1,297 @@
+/**
+ * Test cases without a harness: `X_HIDDEN_tests.json`.
+ *
+ * A `BCTEST` harness is a program in the task's language, and a teacher who cannot
+ * write C# cannot write one for a C# task. Most of what such a harness checks is
+ * "given this input, the program prints this", and that needs no program at all:
+ *
+ *     {
+ *       "timeLimitMs": 2000,
+ *       "cases": [
+ *         { "name": "adds two numbers", "stdin": ["2", "3"], "stdout": "5" },
+ *         { "name": "greets by name", "stdin": "Ada\n", "pattern": "Hello,? Ada" },
+ *         { "name": "averages", "stdin": "1 2\n", "stdout": "1.5", "tolerance": 0.01 }
+ *       ]
+ *     }
+ *
+ * The student's program is run once per case, deterministically (blueprint section
+ * 69), with the case's input and time limit, and each run is judged here into the
+ * same `TestReport` a harness's output is parsed into. From there on the two are one
+ * feature: the same panel, the same summary, the same status line.
+ *
+ * ## What is compared
+ *
+ * Output is compared after three normalisations: `\r\n` is `\n`, trailing spaces are
+ * dropped from every line, and trailing blank lines are dropped. Whether a program
+ * ends with a newline, or leaves a space after its last number, is never what a task
+ * is about, and failing a student for it teaches them only that the checker is
+ * pedantic. Everything else counts, including a prompt `input("Number: ")` prints: it
+ * is output, and a case either includes it or uses a pattern.
+ *
+ *   stdout     the whole output, line for line
+ *   tolerance  with `stdout`: a token that is a number on both sides matches within
+ *              this absolute distance, so `0.30000000000000004` is `0.3`
+ *   pattern    a regular expression the output must contain somewhere; `^` and `$`
+ *              match at line ends
+ *
+ * A case has `stdout` or `pattern`, not both. A program that exits with an error
+ * fails its case whatever it printed: the output of a crash is half an answer.
+ *
+ * ## Refused, not guessed
+ *
+ * An unknown field is an error that names it. `"stdOut": "5"` would otherwise be a
+ * case with nothing to compare, and a case with nothing to compare passes. The
+ * student is told the checks could not be read, which is the teacher's to fix.
+ *
+ * Pure: no DOM, no runs. `run.ts` does the running.
+ */
+
+import { diffLines } from './diff.ts';
+import type { TestCase, TestReport } from './protocol.ts';
+
+export type CaseExpectation =
+  | { readonly kind: 'output'; readonly stdout: string; readonly tolerance: number | null }
+  | { readonly kind: 'pattern'; readonly pattern: RegExp };
+
+export interface CaseSpec {
+  readonly name: string;
+  readonly stdin: string;
+  readonly expect: CaseExpectation;
+  readonly timeLimitMs: number;
+}
+
+export type CaseFileResult =
+  | { readonly ok: true; readonly cases: readonly CaseSpec[] }
+  | { readonly ok: false; readonly error: string };
+
+/** How one run of the program ended, as far as judging it needs. */
+export interface CaseRun {
+  readonly stdout: string;
+  readonly exitCode: number;
+  /** The server's reason for stopping it, `time-limit` among them, or null. */
+  readonly note: string | null;
+}
+
+/** Each case is a whole run, so a file of hundreds is minutes of a student waiting. */
+export const MAX_CASES = 100;
+
+export const DEFAULT_TIME_LIMIT_MS = 5_000;
+
+/*
+ * The server's bounds for a deterministic run's `timeLimitMs`
+ * (`DETERMINISM_LIMITS` in server/execution/determinism.mjs). Checked here as well so
+ * a teacher's typo is reported against the case that has it, not as a refused run.
+ */
+const MIN_TIME_LIMIT_MS = 100;
+const MAX_TIME_LIMIT_MS = 60_000;
+
+const FILE_FIELDS = new Set(['cases', 'timeLimitMs', 'tolerance']);
+const CASE_FIELDS = new Set(['name', 'stdin', 'stdout', 'pattern', 'tolerance', 'timeLimitMs']);
+
+class CaseFileError extends Error {}
+
+/** `\r\n` is `\n`, no trailing spaces on a line, no trailing blank lines. */
+export function normaliseOutput(text: string): string {
+  return String(text ?? '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+$/, ''))
+    .join('\n')
+    .replace(/\n+$/, '');
+}
+
+/** A string, or lines - which JSON makes far easier to write than `\n` escapes. */
+function textField(value: unknown, where: string, trailingNewline: boolean): string {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value) && value.every(line => typeof line === 'string')) {
+    return value.length === 0 ? '' : value.join('\n') + (trailingNewline ? '\n' : '');
+  }
+  throw new CaseFileError(`${where} must be text, or a list of lines`);
+}
+
+function timeLimit(value: unknown, where: string): number {
+  if (!Number.isInteger(value) || (value as number) < MIN_TIME_LIMIT_MS || (value as number) > MAX_TIME_LIMIT_MS) {
+    throw new CaseFileError(`${where} must be a whole number of milliseconds from ${MIN_TIME_LIMIT_MS} to ${MAX_TIME_LIMIT_MS}`);
+  }
+  return value as number;
+}
+
+function tolerance(value: unknown, where: string): number {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new CaseFileError(`${where} must be a number, 0 or more`);
+  }
+  return value;
+}
+
+function unknownField(object: object, known: ReadonlySet<string>, where: string): void {
+  const unknown = Object.keys(object).find(key => !known.has(key));
+  if (unknown !== undefined) throw new CaseFileError(`${where}"${unknown}" is not a field a test case file has`);
+}
+
+function readCase(raw: unknown, index: number, defaults: { timeLimitMs: number; tolerance: number | null }): CaseSpec {
+  const where = `case ${index + 1}`;
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    throw new CaseFileError(`${where} must be an object`);
+  }
+  const entry = raw as Record<string, unknown>;
+  unknownField(entry, CASE_FIELDS, `${where}: `);
+
+  const name = entry.name === undefined ? where : entry.name;
+  if (typeof name !== 'string' || name.trim() === '') throw new CaseFileError(`${where}: name must be text`);
+
+  const stdin = entry.stdin === undefined ? '' : textField(entry.stdin, `${where}: stdin`, true);
+
+  const hasOutput = entry.stdout !== undefined;
+  const hasPattern = entry.pattern !== undefined;
+  if (hasOutput === hasPattern) {
+    throw new CaseFileError(`${where} needs either "stdout" or "pattern" - exactly one of them`);
+  }
+
+  let expect: CaseExpectation;
+  if (hasPattern) {
+    if (typeof entry.pattern !== 'string') throw new CaseFileError(`${where}: pattern must be text`);
+    if (entry.tolerance !== undefined) throw new CaseFileError(`${where}: tolerance only applies to "stdout"`);
+    try {
+      expect = { kind: 'pattern', pattern: new RegExp(entry.pattern, 'm') };
+    } catch {
+      throw new CaseFileError(`${where}: pattern is not a valid regular expression`);
+    }
+  } else {
+    expect = {
+      kind: 'output',
+      stdout: normaliseOutput(textField(entry.stdout, `${where}: stdout`, false)),
+      tolerance: entry.tolerance === undefined ? defaults.tolerance : tolerance(entry.tolerance, `${where}: tolerance`),
+    };
+  }
+
+  return {
+    name: name.trim(),
+    stdin,
+    expect,
+    timeLimitMs: entry.timeLimitMs === undefined ? defaults.timeLimitMs : timeLimit(entry.timeLimitMs, `${where}: timeLimitMs`),
+  };
+}
+
+/**
+ * Read a test case file. An error names the case and the field, because it is read by
+ * whoever wrote the file - through a student who cannot fix it, but can pass it on.
+ */
+export function parseCaseFile(text: string): CaseFileResult {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    return { ok: false, error: `it is not valid JSON (${error instanceof Error ? error.message : String(error)})` };
+  }
+
+  try {
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+      throw new CaseFileError('it must be an object with a "cases" list');
+    }
+    const file = raw as Record<string, unknown>;
+    unknownField(file, FILE_FIELDS, '');
+    if (!Array.isArray(file.cases) || file.cases.length === 0) {
+      throw new CaseFileError('"cases" must be a list with at least one case');
+    }
+    if (file.cases.length > MAX_CASES) {
+      throw new CaseFileError(`it has ${file.cases.length} cases; the most is ${MAX_CASES}`);
+    }
+    const defaults = {
+      timeLimitMs: file.timeLimitMs === undefined ? DEFAULT_TIME_LIMIT_MS : timeLimit(file.timeLimitMs, 'timeLimitMs'),
+      tolerance: file.tolerance === undefined ? null : tolerance(file.tolerance, 'tolerance'),
+    };
+    return { ok: true, cases: file.cases.map((entry, index) => readCase(entry, index, defaults)) };
+  } catch (error) {
+    if (error instanceof CaseFileError) return { ok: false, error: error.message };
+    throw error;
+  }
+}
+
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+/** Do two tokens match, numbers within the tolerance and everything else exactly? */
+function tokenMatches(expected: string, actual: string, within: number | null): boolean {
+  if (expected === actual) return true;
+  if (within === null || !NUMBER.test(expected) || !NUMBER.test(actual)) return false;
+  return Math.abs(Number(expected) - Number(actual)) <= within;
+}
+
+function lineMatches(expected: string, actual: string, within: number | null): boolean {
+  if (within === null) return expected === actual;
+  const left = expected.trim().split(/\s+/);
+  const right = actual.trim().split(/\s+/);
+  return left.length === right.length && left.every((token, index) => tokenMatches(token, right[index], within));
+}
+
+function quote(line: string | undefined): string {
+  if (line === undefined) return 'nothing';
+  const clipped = line.length > 60 ? `${line.slice(0, 60)}…` : line;
+  return JSON.stringify(clipped);
+}
+
+function describeLimit(ms: number): string {
+  return ms < 1000 ? `${ms} ms` : `${Number((ms / 1000).toFixed(1))} s`;
+}
+
+/**
+ * Judge one run against its case.
+ *
+ * The detail names the first line that differs, because that is the "Start here" line
+ * the panel shows: the diff underneath is the whole picture, the detail is where to
+ * look in it.
+ */
+export function judgeCase(spec: CaseSpec, run: CaseRun): TestCase {
+  const fail = (detail: string, extra: Partial<TestCase> = {}): TestCase =>
+    ({ name: spec.name, status: 'fail', detail, ...extra });
+
+  if (run.note === 'time-limit') {
+    return fail(`took longer than ${describeLimit(spec.timeLimitMs)}, so it was stopped`);
+  }
+  if (run.exitCode !== 0) {
+    // Not the error's text: which line of stderr names it differs by language - the
+    // last in Python, the first in Java - and the run itself shows it whole.
+    return fail(`the program stopped with an error (exit code ${run.exitCode})`);
+  }
+
+  const actual = normaliseOutput(run.stdout);
+
+  if (spec.expect.kind === 'pattern') {
+    return spec.expect.pattern.test(actual)
+      ? { name: spec.name, status: 'pass', detail: '' }
+      : fail(`the output does not match ${spec.expect.pattern}`);
+  }
+
+  const { stdout: expected, tolerance: within } = spec.expect;
+  const left = expected === '' ? [] : expected.split('\n');
+  const right = actual === '' ? [] : actual.split('\n');
+  const at = Array.from({ length: Math.max(left.length, right.length) }, (_, index) => index)
+    .find(index => left[index] === undefined || right[index] === undefined || !lineMatches(left[index], right[index], within));
+  if (at === undefined) return { name: spec.name, status: 'pass', detail: '' };
+
+  const detail = right[at] === undefined
+    ? `line ${at + 1}: expected ${quote(left[at])} but the output ended`
+    : `line ${at + 1}: expected ${quote(left[at])} but got ${quote(right[at])}`
+      + (within !== null ? ` (numbers may differ by ${within})` : '');
+  return fail(detail, { diff: diffLines(expected, actual) });
+}
+
+/**
+ * The report for a file's cases, as `parseTestReport` makes one from a harness.
+ *
+ * `done` is whether every case ran. A run that could not start - a compile error - ends
+ * the check, because every case after it would fail the same way and say so a hundred
+ * times.
+ */
+export function caseReport(judged: readonly TestCase[], planned: number): TestReport {
+  const count = (status: TestCase['status']) => judged.filter(entry => entry.status === status).length;
+  return {
+    present: true,
+    plan: planned,
+    cases: judged,
+    done: judged.length === planned,
+    truncated: false,
+    passed: count('pass'),
+    failed: count('fail'),
+    skipped: count('skip'),
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * Expected output against the student's, line by line.
+ *
+ * A failed check that only says "output differs" sends a student to compare two
+ * blocks of text by eye, and the difference is usually one character on one line of
+ * twenty. Marking the lines that differ - and folding away the ones that match - is
+ * what turns the failure into a place to look.
+ *
+ * Lines, not characters: the output of a lesson's program is lines, the student
+ * thinks about it in lines, and a character diff of `5` against `6` says nothing the
+ * two lines side by side do not.
+ *
+ * Pure: no DOM. `run.ts` draws it.
+ */
+
+export type DiffLineKind = 'same' | 'expected' | 'actual' | 'gap';
+
+export interface DiffLine {
+  readonly kind: DiffLineKind;
+  /** The line itself; for a `gap`, a note of how many matching lines were folded. */
+  readonly text: string;
+}
+
+export interface LineDiff {
+  readonly lines: readonly DiffLine[];
+  /** True when either side was longer than was compared. */
+  readonly truncated: boolean;
+}
+
+/**
+ * Lines compared on each side.
+ *
+ * The comparison is a longest-common-subsequence table, quadratic in the line count.
+ * A lesson's expected output is a screen or two; a program stuck printing in a loop is
+ * not worth a second of the student's browser to diff in full.
+ */
+const MAX_LINES = 300;
+
+/** Matching lines kept either side of a change, so a change is seen in its place. */
+const CONTEXT = 2;
+
+/** Most lines drawn. A diff longer than this is read from the top, not all of it. */
+const MAX_SHOWN = 60;
+
+function linesOf(text: string): string[] {
+  return text === '' ? [] : text.split('\n');
+}
+
+/**
+ * The difference between two outputs, already normalised by the caller.
+ *
+ * Expected lines come before actual ones where both change at the same place, the
+ * order every diff a student may meet later uses.
+ */
+export function diffLines(expected: string, actual: string): LineDiff {
+  const allLeft = linesOf(expected);
+  const allRight = linesOf(actual);
+  const left = allLeft.slice(0, MAX_LINES);
+  const right = allRight.slice(0, MAX_LINES);
+
+  // lcs[i][j]: the longest common run of left[i..] and right[j..].
+  const lcs: number[][] = Array.from({ length: left.length + 1 }, () => new Array<number>(right.length + 1).fill(0));
+  for (let i = left.length - 1; i >= 0; i -= 1) {
+    for (let j = right.length - 1; j >= 0; j -= 1) {
+      lcs[i][j] = left[i] === right[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const full: DiffLine[] = [];
+  let i = 0;
+  let j = 0;
+  while (i < left.length || j < right.length) {
+    if (i < left.length && j < right.length && left[i] === right[j]) {
+      full.push({ kind: 'same', text: left[i] });
+      i += 1;
+      j += 1;
+    } else if (j >= right.length || (i < left.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+      full.push({ kind: 'expected', text: left[i] });
+      i += 1;
+    } else {
+      full.push({ kind: 'actual', text: right[j] });
+      j += 1;
+    }
+  }
+
+  const truncated = allLeft.length > MAX_LINES || allRight.length > MAX_LINES;
+  return { lines: fold(full), truncated };
+}
+
+/** Fold each run of matching lines down to its context, and cap the whole. */
+function fold(full: readonly DiffLine[]): DiffLine[] {
+  const near = (index: number) => {
+    for (let k = Math.max(0, index - CONTEXT); k <= Math.min(full.length - 1, index + CONTEXT); k += 1) {
+      if (full[k].kind !== 'same') return true;
+    }
+    return false;
+  };
+
+  const folded: DiffLine[] = [];
+  let hidden = 0;
+  const flush = () => {
+    if (hidden === 0) return;
+    folded.push({ kind: 'gap', text: `${hidden} matching ${hidden === 1 ? 'line' : 'lines'}` });
+    hidden = 0;
+  };
+
+  full.forEach((line, index) => {
+    if (line.kind === 'same' && !near(index)) {
+      hidden += 1;
+      return;
+    }
+    flush();
+    folded.push(line);
+  });
+  flush();
+
+  if (folded.length <= MAX_SHOWN) return folded;
+  const rest = folded.length - MAX_SHOWN;
+  return [...folded.slice(0, MAX_SHOWN), { kind: 'gap', text: `${rest} more ${rest === 1 ? 'line' : 'lines'} of difference` }];
+}
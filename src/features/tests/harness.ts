@@ -20,6 +20,8 @@ export interface HarnessCandidate {
 export type HarnessResult =
   /** Exactly one harness. */
   | { readonly kind: 'found'; readonly path: string }
+  /** Exactly one file of test cases, run against the student's own program (`cases.ts`). */
+  | { readonly kind: 'cases'; readonly path: string }
   /** None - the task has no checks, which is not an error. */
   | { readonly kind: 'none' }
   /** Several. Refused rather than guessed; the paths are named so it can be fixed. */
@@ -48,9 +50,25 @@ export function isHarnessFile(path: string): boolean {
   return isWorkspacePathHidden(path) && /test/i.test(basename(path));
 }
 
+/**
+ * Is this a file of test cases rather than a harness program?
+ *
+ * One name only - `X_HIDDEN_tests.json`, or `tests.json` in a hidden folder - where a
+ * harness program may be called anything with "test" in it. Teachers hide JSON
+ * fixtures too, and `X_HIDDEN_test_data.json` read as a case file would turn a task's
+ * data into a report that its checks could not be read.
+ */
+export function isCaseFile(path: string): boolean {
+  return isWorkspacePathHidden(path) && /^(x_hidden_)?tests\.json$/i.test(basename(path));
+}
+
 /**
  * The harness to run for a language, or why there is not exactly one.
  *
+ * A case file counts for every language, since it names no code. It also counts
+ * against the one-harness rule: a task with a harness program AND a case file has two
+ * sets of checks, and which one the teacher meant is theirs to say.
+ *
  * Ambiguity is refused rather than resolved by picking the first. A task with two
  * harnesses is a mistake in the task, and running an arbitrary one of them would mark
  * the student against something the teacher did not intend - silently, and differently
@@ -61,12 +79,12 @@ export function findHarness(
   languageId: string,
 ): HarnessResult {
   const matches = files
-    .filter(file => file.languageId === languageId && isHarnessFile(file.path))
+    .filter(file => isCaseFile(file.path) || (file.languageId === languageId && isHarnessFile(file.path)))
     .map(file => file.path)
     .sort();
 
   if (matches.length === 0) return { kind: 'none' };
   if (matches.length > 1) return { kind: 'ambiguous', paths: matches };
-  return { kind: 'found', path: matches[0] };
+  return isCaseFile(matches[0]) ? { kind: 'cases', path: matches[0] } : { kind: 'found', path: matches[0] };
 }
 
@@ -0,0 +1,113 @@
+/**
+ * "Check my work" as the host sees it: the `ide:test-report` message.
+ *
+ * A host embedding the IDE got `ide:run-result` - stdout, stderr, an exit code - and
+ * nothing else, so a gradebook wanting a score had to find the `BCTEST` lines in the
+ * output itself, with its own parser that would drift from `protocol.ts`. This is the
+ * report the panel drew, already parsed, with what it was run against.
+ *
+ * ## What it is not
+ *
+ * Proof. The message is posted by a page the student controls, so it is a client
+ * observation exactly as `ide:run-result` is (blueprint section 31.7: "never
+ * grading"): a student with the console open can post one that says 10 of 10. A host
+ * may record it as the IDE's report of a check; grading that must hold up needs the
+ * server to run the harness against the submitted snapshot, which `snapshotHash` lets
+ * the host name.
+ *
+ * ## Every outcome is a message
+ *
+ * A host that started a check with `stepup:run-tests` is waiting for an answer. A
+ * task without checks, two harnesses, a case file that does not parse, a program
+ * that never ran, a refused command - each is posted with a `status` and no report,
+ * rather than leaving the host to time out.
+ *
+ * Pure: the wiring is in `run.ts` and `integrations/stepup.ts`.
+ */
+
+import type { RunDeterminism } from '../../components/interactive-console';
+import type { TestCase, TestReport, TestStatus } from './protocol.ts';
+
+export type HostReportStatus =
+  /** The checks ran and `report` is what they said. */
+  | 'reported'
+  /** The task has no harness and no case file. */
+  | 'no-checks'
+  /** The task has more than one, so none ran. */
+  | 'ambiguous'
+  /** The case file could not be read. */
+  | 'unreadable'
+  /** The program or the harness did not run, or printed no report. */
+  | 'not-run'
+  /** "Run only this case" named a case that is not in the checks. */
+  | 'no-such-case'
+  /** The IDE's policy refused the command, e.g. a task that may not be run. */
+  | 'refused';
+
+export interface HostTestCase {
+  readonly name: string;
+  readonly status: TestStatus;
+  readonly detail: string;
+  readonly expected?: string;
+  readonly actual?: string;
+}
+
+export interface HostTestReport {
+  readonly status: HostReportStatus;
+  /** What marked the work: a harness program, or a test case file. */
+  readonly harness: { readonly kind: 'program' | 'cases'; readonly path: string } | null;
+  /** `snapshotDigest` of the project when the check started; null without a secure context. */
+  readonly snapshotHash: string | null;
+  /** True only when every run was deterministic and the language fixed all of it. */
+  readonly deterministic: boolean;
+  /** The one case asked for, or null for all of them. */
+  readonly only: string | null;
+  readonly report: {
+    readonly plan: number | null;
+    readonly done: boolean;
+    readonly truncated: boolean;
+    readonly passed: number;
+    readonly failed: number;
+    readonly skipped: number;
+    readonly cases: readonly HostTestCase[];
+  } | null;
+}
+
+/** A case without its `diff`: the host has both sides and can draw its own. */
+function hostCase(entry: TestCase): HostTestCase {
+  return {
+    name: entry.name,
+    status: entry.status,
+    detail: entry.detail,
+    ...(entry.expected === undefined ? {} : { expected: entry.expected }),
+    ...(entry.actual === undefined ? {} : { actual: entry.actual }),
+  };
+}
+
+/** The message for one check, whatever became of it. */
+export function hostTestReport(options: {
+  readonly status: HostReportStatus;
+  readonly harness?: HostTestReport['harness'];
+  readonly snapshotHash?: string | null;
+  readonly determinism?: RunDeterminism | null;
+  readonly only?: string | null;
+  readonly report?: TestReport | null;
+}): HostTestReport {
+  const report = options.status === 'reported' ? options.report ?? null : null;
+  return {
+    status: options.status,
+    harness: options.harness ?? null,
+    snapshotHash: options.snapshotHash ?? null,
+    deterministic: report !== null && options.determinism?.complete === true,
+    only: options.only ?? null,
+    report: report && {
+      plan: report.plan,
+      done: report.done,
+      truncated: report.truncated,
+      passed: report.passed,
+      failed: report.failed,
+      skipped: report.skipped,
+      cases: report.cases.map(hostCase),
+    },
+  };
+}
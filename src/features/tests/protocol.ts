@@ -39,12 +39,37 @@
  * the difference between a teacher writing `adds two numbers` and having to remember
  * an escaping rule.
  *
+ * ## Expected and actual
+ *
+ *     BCTEST case prints the table fail
+ *     BCTEST data eyJleHBlY3RlZCI6IjEgeCAxID0gMVxuIiwiYWN0dWFsIjoiMSB4IDEgPSAyXG4ifQ==
+ *
+ * "expected 0 but got 1" fits on the case line; a table of ten lines does not. A
+ * `data` line straight after a case carries `{"expected": ..., "actual": ...}` as
+ * base64 JSON - base64 because the values are multi-line, and a line protocol cannot
+ * carry a newline any other way every language can print. Each value is text, or any
+ * JSON, which is shown pretty-printed. The panel draws a failed case's pair as a line
+ * diff.
+ *
+ * A `data` line that does not decode, or follows no case, is ignored, like any line
+ * this parser does not understand.
+ *
+ * ## One case
+ *
+ * "Run only this case" runs the harness with `BCTEST_ONLY` in its environment, set to
+ * the case's name. A harness that reads it can skip the rest; one that does not still
+ * works, because the report is narrowed to that case here (`onlyCase`). The sandbox
+ * policy lets a hidden file read this one variable (server/execution/test-filter.mjs).
+ *
  * ## Pure
  *
  * No DOM, no Monaco, no fetch. Parsing a student-visible result is exactly the kind of
  * thing that should be tested without a browser, and the panel is a separate file.
  */
 
+import type { RunDeterminism } from '../../components/interactive-console';
+import { diffLines, type LineDiff } from './diff.ts';
+
 export type TestStatus = 'pass' | 'fail' | 'skip';
 
 export interface TestCase {
@@ -52,6 +77,11 @@ export interface TestCase {
   readonly status: TestStatus;
   /** Whatever the harness said after the status - usually why it failed. */
   readonly detail: string;
+  /** What the harness expected and what it got, when it sent a `data` line. */
+  readonly expected?: string;
+  readonly actual?: string;
+  /** Expected output against the program's, for a failed case that compared them. */
+  readonly diff?: LineDiff;
 }
 
 export interface TestReport {
@@ -72,6 +102,9 @@ export interface TestReport {
 /** The marker. Deliberately unlikely to appear in a student's own output. */
 export const BCTEST = 'BCTEST';
 
+/** The environment variable "Run only this case" sets to the case's name. */
+export const BCTEST_ONLY = 'BCTEST_ONLY';
+
 /**
  * Most cases reported.
  *
@@ -83,6 +116,15 @@ const MAX_CASES = 500;
 const MAX_NAME_CHARS = 200;
 const MAX_DETAIL_CHARS = 500;
 
+/**
+ * Each of `expected` and `actual`. A screen of output is a few thousand characters;
+ * past this a payload is a program printing in a loop, and the start says enough.
+ */
+const MAX_PAYLOAD_CHARS = 20_000;
+
+/** A `data` line longer than this is not decoded at all. */
+const MAX_DATA_LINE_CHARS = 256 * 1024;
+
 const STATUSES: readonly string[] = ['pass', 'fail', 'skip'];
 
 function clamp(text: string, limit: number): string {
@@ -90,6 +132,31 @@ function clamp(text: string, limit: number): string {
   return trimmed.length > limit ? `${trimmed.slice(0, limit)}…` : trimmed;
 }
 
+/** A payload value as text: strings as they are, anything else as indented JSON. */
+function payloadText(value: unknown): string {
+  const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2) ?? String(value);
+  const unified = text.replace(/\r\n?/g, '\n');
+  return unified.length > MAX_PAYLOAD_CHARS ? `${unified.slice(0, MAX_PAYLOAD_CHARS)}…` : unified;
+}
+
+/**
+ * Decode a `data` line's payload, or null for anything that is not base64 of a JSON
+ * object with both `expected` and `actual`.
+ */
+export function decodeCasePayload(encoded: string): { expected: string; actual: string } | null {
+  if (encoded.length > MAX_DATA_LINE_CHARS || !/^[A-Za-z0-9+/]+={0,2}$/.test(encoded)) return null;
+  try {
+    const bytes = Uint8Array.from(atob(encoded), char => char.charCodeAt(0));
+    const payload: unknown = JSON.parse(new TextDecoder().decode(bytes));
+    if (typeof payload !== 'object' || payload === null || Array.isArray(payload)) return null;
+    const { expected, actual } = payload as Record<string, unknown>;
+    if (expected === undefined || actual === undefined) return null;
+    return { expected: payloadText(expected), actual: payloadText(actual) };
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Read every `BCTEST` line out of a program's output.
  *
@@ -104,6 +171,7 @@ export function parseTestReport(stdout: string): TestReport {
   let done = false;
   let present = false;
   let seen = 0;
+  let previousWasCase = false;
   const tally: Record<TestStatus, number> = { pass: 0, fail: 0, skip: 0 };
 
   for (const rawLine of String(stdout ?? '').split(/\r?\n/)) {
@@ -116,6 +184,8 @@ export function parseTestReport(stdout: string): TestReport {
 
     present = true;
     const body = rest.trim();
+    const afterCase = previousWasCase;
+    previousWasCase = false;
 
     if (body.startsWith('plan')) {
       const count = Number(body.slice(4).trim());
@@ -128,6 +198,21 @@ export function parseTestReport(stdout: string): TestReport {
       continue;
     }
 
+    if (body.startsWith('data ')) {
+      // Only straight after the case it belongs to: a `data` line cannot reach back
+      // past another case, or onto one that was past the cap and not listed.
+      if (!afterCase || seen > cases.length) continue;
+      const payload = decodeCasePayload(body.slice(5).trim());
+      if (!payload) continue;
+      const last = cases[cases.length - 1];
+      cases[cases.length - 1] = {
+        ...last,
+        ...payload,
+        ...(last.status === 'fail' ? { diff: diffLines(payload.expected, payload.actual) } : {}),
+      };
+      continue;
+    }
+
     if (!body.startsWith('case')) continue;
 
     /*
@@ -145,6 +230,7 @@ export function parseTestReport(stdout: string): TestReport {
     const status = words[at].toLowerCase() as TestStatus;
 
     seen += 1;
+    previousWasCase = true;
     /*
      * Tally every case, list only the first MAX_CASES.
      *
@@ -240,3 +326,51 @@ export function summariseReport(report: TestReport): string {
 
   return `${parts.join('. ')}.`;
 }
+
+/**
+ * A report narrowed to the cases with one name, for "Run only this case".
+ *
+ * The tallies are recounted over what is kept. A harness that honoured `BCTEST_ONLY`
+ * reported only that case and this changes nothing; one that ran everything is not
+ * allowed to pass or fail a run the student asked about one case of.
+ */
+export function onlyCase(report: TestReport, name: string): TestReport {
+  const cases = report.cases.filter(entry => entry.name === name);
+  const count = (status: TestStatus) => cases.filter(entry => entry.status === status).length;
+  return {
+    ...report,
+    plan: cases.length,
+    cases,
+    truncated: false,
+    passed: count('pass'),
+    failed: count('fail'),
+    skipped: count('skip'),
+  };
+}
+
+/** The names the run statement uses for what a language could not freeze. */
+const UNFIXED: Record<string, string> = { seed: 'random numbers', clock: 'the clock' };
+
+/**
+ * One sentence on how far a verdict can be trusted (blueprint section 69).
+ *
+ * The harness runs deterministically, and the server says what that fixed. A pass is
+ * only a verdict on the code if the same code would pass again, so a teacher - or a
+ * student about to argue with a fail - reads here whether it would. A language that
+ * could not freeze something is named as such rather than reported as deterministic.
+ */
+export function describeRunDeterminism(statement: RunDeterminism | null | undefined): string {
+  if (!statement) {
+    return 'This run was not deterministic: a check that uses random numbers or the time may give a different result next time.';
+  }
+  // `2000-01-01T00:00:00.000Z` reads as `2000-01-01 00:00 UTC`: the seconds only when set.
+  const [date, time = ''] = statement.clock.split('T');
+  const clock = `${date} ${time.replace(/(\.000)?Z$/, '').replace(/:00$/, '')} UTC`;
+  if (statement.complete) {
+    return `Deterministic run: random numbers seeded with ${statement.seed}, the clock fixed at ${clock}, `
+      + 'and the input scripted. The same code gives the same result every time.';
+  }
+  const unfixed = statement.notFixed.map(control => UNFIXED[control] ?? control).join(' and ');
+  return `Deterministic run: timezone ${statement.timezone} and the input scripted, but ${unfixed} `
+    + 'cannot be fixed in this language, so a check that uses them may still vary.';
+}
@@ -7,9 +7,10 @@
  * surface - a button, and something that reads the result rather than dumping the
  * harness's stdout at a fourteen-year-old.
  *
- * This is the thin part. The two decisions worth testing - which file is the harness,
- * and what its output means - are in `harness.ts` and `protocol.ts`, both pure. This
- * file is the wiring that needs a browser.
+ * This is the thin part. The decisions worth testing - which file is the harness,
+ * what its output means, and how a test case file's runs are judged - are in
+ * `harness.ts`, `protocol.ts` and `cases.ts`, all pure. This file is the wiring that
+ * needs a browser.
  */
 
 import { runtime } from '../../app/runtime';
@@ -18,8 +19,22 @@ import { announce } from '../../components/announce.ts';
 import { escapeHtml } from '../../components/html-escape.ts';
 import { collectWorkspaceSnapshot } from '../workspace';
 import { runCode } from '../execution';
+import { notifyTestReport } from '../../integrations/stepup-bus';
+import { snapshotDigest } from '../../workspace/content-hash.ts';
+import type { Disposable } from '../../workspace/types.ts';
 import { findHarness } from './harness.ts';
-import { parseTestReport, summariseReport, type TestReport } from './protocol.ts';
+import { hostTestReport, type HostTestReport } from './host-report.ts';
+import type { RunDeterminism } from '../../components/interactive-console';
+import { caseReport, judgeCase, parseCaseFile } from './cases.ts';
+import type { DiffLine } from './diff.ts';
+import {
+  describeRunDeterminism,
+  onlyCase,
+  parseTestReport,
+  summariseReport,
+  type TestCase,
+  type TestReport,
+} from './protocol.ts';
 
 /** The status glyph for each outcome. Shape as well as colour, for the same reason the
  * conditional breakpoint is a different shape: colour alone is not a signal everyone
@@ -41,10 +56,16 @@ async function locateHarness() {
   if (!activeTab) return null;
 
   const snapshot = await collectWorkspaceSnapshot();
-  return findHarness(
-    snapshot.map(file => ({ path: file.path, languageId: file.language ?? '' })),
-    activeTab.file.language,
-  );
+  return {
+    found: findHarness(
+      snapshot.map(file => ({ path: file.path, languageId: file.language ?? '' })),
+      activeTab.file.language,
+    ),
+    // A case file is read here rather than run, and it is in the same snapshot.
+    contentOf: (path: string) => snapshot.find(file => file.path === path)?.content ?? null,
+    // What the host's report says the check ran against (blueprint section 72).
+    snapshotHash: await snapshotDigest(snapshot),
+  };
 }
 
 /**
@@ -59,8 +80,33 @@ function progressBar(passed: number, total: number): string {
   return '█'.repeat(filled) + '░'.repeat(12 - filled);
 }
 
+/** The mark for each side of a diff: shape as well as colour, as for the glyphs. */
+const DIFF_MARK = { same: ' ', expected: '−', actual: '+', gap: '…' } as const;
+const DIFF_CLASS = { same: 'info', expected: 'success', actual: 'error', gap: 'info' } as const;
+
+/** A failed case's diff, indented under it. Expected first, as the legend says. */
+function renderDiff(entry: TestCase): string[] {
+  if (!entry.diff) return [];
+  const line = ({ kind, text }: DiffLine) =>
+    `<span class="${DIFF_CLASS[kind]}">    ${DIFF_MARK[kind]} ${escapeHtml(text)}</span>`;
+  return [
+    '<span class="info">    − expected   + your output</span>',
+    ...entry.diff.lines.map(line),
+    ...(entry.diff.truncated ? ['<span class="info">    … only the start of the output was compared</span>'] : []),
+  ];
+}
+
+/**
+ * "Run only this", at the end of every row. A button rather than a link in the text
+ * so it is reached by Tab and says what it does to a screen reader.
+ */
+function rerunButton(entry: TestCase): string {
+  return `<button type="button" class="test-case-rerun" data-test-case="${escapeHtml(entry.name)}" `
+    + `aria-label="Run only the check ${escapeHtml(entry.name)}">Run only this</button>`;
+}
+
 /** Render one case per line, which is the whole point of the feature. */
-function renderReport(report: TestReport): void {
+function renderReport(report: TestReport, deterministic: RunDeterminism | null, only: string | null): void {
   const total = report.passed + report.failed + report.skipped;
   const firstFailure = report.cases.find(entry => entry.status === 'fail');
 
@@ -75,9 +121,10 @@ function renderReport(report: TestReport): void {
     ? `${progressBar(report.passed, total)}  ${report.passed} of ${total} checks passing`
     : 'The checks produced no results.';
 
+  const title = only === null ? 'Check my work' : `Check my work: only "${only}"`;
   const lines: string[] = [
     '',
-    '<span class="info">── Check my work ───────────────────────────────────────────</span>',
+    `<span class="info">── ${escapeHtml(title)} ───────────────────────────────────────────</span>`,
     `<span class="${report.failed > 0 ? 'warning' : 'success'}">${escapeHtml(headline)}</span>`,
   ];
 
@@ -101,7 +148,9 @@ function renderReport(report: TestReport): void {
   for (const entry of report.cases) {
     const detail = entry.detail ? `  <span class="info">${escapeHtml(entry.detail)}</span>` : '';
     lines.push(
-      `<span class="${CLASS[entry.status]}">${GLYPH[entry.status]} ${escapeHtml(entry.name)}</span>${detail}`,
+      `<span class="${CLASS[entry.status]}">${GLYPH[entry.status]} ${escapeHtml(entry.name)}</span>${detail}  `
+        + rerunButton(entry),
+      ...renderDiff(entry),
     );
   }
 
@@ -109,19 +158,45 @@ function renderReport(report: TestReport): void {
     lines.push('<span class="info">… more checks ran than are listed here.</span>');
   }
 
-  lines.push('', `<span class="info">${escapeHtml(summariseReport(report))}</span>`);
+  lines.push(
+    '',
+    `<span class="info">${escapeHtml(summariseReport(report))}</span>`,
+    `<span class="info">${escapeHtml(describeRunDeterminism(deterministic))}</span>`,
+  );
   appendOutputHtml(`${lines.join('\n')}\n`);
 }
 
 /**
- * Run the harness and report.
+ * A re-run of one case found no case by that name: the task's checks were renamed or
+ * replaced since the report the button was in.
+ */
+function reportMissingCase(only: string): void {
+  setStatus(`No check named "${only}" ran.`);
+  appendOutputHtml(
+    `\n<span class="info">No check named "${escapeHtml(only)}" ran. The task's checks may have `
+    + 'changed since that report; run Check my work again for the whole list.</span>\n',
+  );
+}
+
+/**
+ * Run the harness and report, in the panel and to the host.
  *
  * The run itself is an ordinary run with a different entry point, so it gets the
  * diagnostics gate, the stream, the console and the error explanations for free - and
  * a harness that crashes is reported the same way any other crashing program is.
+ *
+ * With `only`, one case: the harness is told which through `BCTEST_ONLY`, a case file
+ * runs only the matching case, and the report lists that case alone either way.
  */
-export async function runStudentTests(): Promise<void> {
-  const found = await locateHarness();
+export async function runStudentTests(only: string | null = null): Promise<void> {
+  // Every outcome is posted, so a host that started the check is never left waiting.
+  notifyTestReport(await checkWork(only));
+}
+
+async function checkWork(only: string | null): Promise<HostTestReport> {
+  const located = await locateHarness();
+  const found = located?.found;
+  const snapshotHash = located?.snapshotHash ?? null;
 
   if (!found || found.kind === 'none') {
     /*
@@ -138,7 +213,7 @@ export async function runStudentTests(): Promise<void> {
       '<span class="info">This task has no checks. A teacher adds them by including a ' +
       'marking file (one whose name starts with X_HIDDEN_) in the project.</span>\n',
     );
-    return;
+    return hostTestReport({ status: 'no-checks', snapshotHash, only });
   }
 
   if (found.kind === 'ambiguous') {
@@ -153,14 +228,28 @@ export async function runStudentTests(): Promise<void> {
       + found.paths.map(path => `<span class="error">  ${escapeHtml(path)}</span>`).join('\n')
       + `\n<span class="info">A task must have exactly one.</span>\n`,
     );
-    return;
+    return hostTestReport({ status: 'ambiguous', snapshotHash, only });
+  }
+
+  if (found.kind === 'cases') {
+    const outcome = await runCaseFile(found.path, located?.contentOf(found.path) ?? '', only);
+    return hostTestReport({ ...outcome, harness: { kind: 'cases', path: found.path }, snapshotHash, only });
   }
 
+  const harness = { kind: 'program', path: found.path } as const;
+
   const editor = runtime.editor;
-  const result = await runCode(editor?.getValue() ?? '', { entryPointOverride: found.path });
-  if (!result) return;
+  // Deterministic, so a verdict on the code is the same verdict on the next run of it:
+  // a student's `randint` or `datetime.now()` cannot flip a check between two presses.
+  const result = await runCode(editor?.getValue() ?? '', {
+    entryPointOverride: found.path,
+    deterministic: true,
+    ...(only === null ? {} : { testCase: only }),
+  });
+  if (!result) return hostTestReport({ status: 'not-run', harness, snapshotHash, only });
 
-  const report = parseTestReport(result.stdout);
+  const parsed = parseTestReport(result.stdout);
+  const report = only === null ? parsed : onlyCase(parsed, only);
 
   if (!report.present) {
     /*
@@ -170,11 +259,22 @@ export async function runStudentTests(): Promise<void> {
      */
     setStatus('The checks did not run.');
     announce('The marking harness produced no results.');
-    return;
+    return hostTestReport({ status: 'not-run', harness, snapshotHash, only });
+  }
+
+  if (only !== null && report.cases.length === 0) {
+    reportMissingCase(only);
+    return hostTestReport({ status: 'no-such-case', harness, snapshotHash, only });
   }
 
-  renderReport(report);
+  const determinism = result.deterministic ?? null;
+  renderReport(report, determinism, only);
+  reportVerdict(report);
+  return hostTestReport({ status: 'reported', harness, snapshotHash, only, report, determinism });
+}
 
+/** The status line and the one announcement, for either kind of check. */
+function reportVerdict(report: TestReport): void {
   const summary = summariseReport(report);
   setStatus(
     report.failed === 0 && report.done
@@ -185,3 +285,85 @@ export async function runStudentTests(): Promise<void> {
   // ordinary output: a hundred lines would be read aloud.
   announce(summary);
 }
+
+/**
+ * Run the student's program once per case in a test case file, and report.
+ *
+ * Each case is an ordinary run of the active file, as Run makes it, with the case's
+ * input scripted and its time limit set - so a case sees exactly the program the
+ * student sees, through the same pipeline, and a compile error is shown the way Run
+ * shows one. The case file itself is withheld from the runs.
+ */
+async function runCaseFile(
+  path: string,
+  content: string,
+  only: string | null,
+): Promise<{ status: HostTestReport['status']; report?: TestReport; determinism?: RunDeterminism | null }> {
+  const parsed = parseCaseFile(content);
+  if (!parsed.ok) {
+    // The teacher's mistake, said plainly enough to be passed on to them.
+    setStatus('The checks for this task could not be read.');
+    appendOutputHtml(
+      '\n<span class="info">── Check my work ───────────────────────────────────────────</span>\n'
+      + `<span class="error">The checks for this task could not be read: ${escapeHtml(parsed.error)}.</span>\n`
+      + `<span class="info">This is a problem with the task, not your code. Tell whoever set it `
+      + `that ${escapeHtml(path)} needs fixing.</span>\n`,
+    );
+    return { status: 'unreadable' };
+  }
+
+  const specs = only === null ? parsed.cases : parsed.cases.filter(spec => spec.name === only);
+  if (specs.length === 0) {
+    reportMissingCase(only ?? '');
+    return { status: 'no-such-case' };
+  }
+
+  const editor = runtime.editor;
+  const judged: TestCase[] = [];
+  let deterministic: RunDeterminism | null = null;
+
+  for (const [index, spec] of specs.entries()) {
+    setStatus(`Checking ${index + 1} of ${specs.length}: ${spec.name}…`);
+    const result = await runCode(editor?.getValue() ?? '', {
+      deterministic: { stdin: spec.stdin, timeLimitMs: spec.timeLimitMs },
+      withhold: [path],
+    });
+
+    /*
+     * No statement means the program never ran: a compile error, a refused run, or
+     * Stop. The panel is showing why, and every later case would only repeat it, so
+     * the check ends here. Before the first case that is not a report at all.
+     */
+    if (!result?.deterministic) {
+      if (judged.length === 0) {
+        setStatus('The checks did not run.');
+        announce('Your program did not run, so no checks ran.');
+        return { status: 'not-run' };
+      }
+      break;
+    }
+
+    deterministic = result.deterministic;
+    judged.push(judgeCase(spec, { stdout: result.stdout, exitCode: result.exitCode, note: result.note ?? null }));
+  }
+
+  const report = caseReport(judged, specs.length);
+  renderReport(report, deterministic, only);
+  reportVerdict(report);
+  return { status: 'reported', report, determinism: deterministic };
+}
+
+/**
+ * The "Run only this" buttons. One listener on the panel rather than one per button:
+ * the report is HTML appended to the output, and is replaced wholesale by the next run.
+ */
+export function initializeTestRerun(): Disposable {
+  const panel = document.getElementById('panel-content');
+  const onClick = (event: MouseEvent) => {
+    const button = (event.target as HTMLElement | null)?.closest<HTMLElement>('.test-case-rerun');
+    const name = button?.dataset.testCase;
+    if (name) void runStudentTests(name);
+  };
+  panel?.addEventListener('click', onClick);
+  return { dispose: () => panel?.removeEventListener('click', onClick) };
+}
@@ -0,0 +1,289 @@
+/**
+ * The Timeline: one file's earlier versions, each compared with the file as it is now,
+ * and a way to put one back.
+ *
+ * `LocalHistory` keeps the versions (blueprint sections 9.3 and 9.4); this is where a
+ * student finds them. Opened from "Timeline" in the explorer's context menu, or "Show
+ * file history" in the palette for the file in front of them. A deleted file has no
+ * row in the explorer to right-click, so "Restore a deleted file…" lists those.
+ *
+ * ## A diff, not a preview
+ *
+ * The question a student brings here is "what did I change since it worked?", and a
+ * version shown on its own makes them answer it by eye. Monaco's diff editor answers
+ * it: the version on the left, the file now on the right, the changes marked. Both
+ * sides are read-only and the right is a copy, so nothing typed here - or scrolled,
+ * or folded - touches the real document.
+ *
+ * ## Restore
+ *
+ * Restore is an edit, so it is offered only where editing is allowed - not in a
+ * read-only page, and not in a tab another tab is editing for. It records the file as
+ * it was first, so the restore shows up in this same timeline and can be taken back.
+ */
+
+import * as monaco from 'monaco-editor';
+import { runtime } from '../app/runtime';
+import { policyState } from '../app/config';
+import { getLanguage } from '../languages';
+import { setStatus } from '../components/output';
+import { announce } from '../components/announce.ts';
+import { createPicker } from './picker.ts';
+import { describeVersion } from '../workspace/history.ts';
+import type { HistoryEntry, LocalHistory } from '../workspace/history.ts';
+import type { CommandRegistry } from '../commands/registry.ts';
+import type { Disposable } from '../workspace/types.ts';
+
+const OVERLAY_ID = 'file-timeline';
+const DELETED_PICKER_ID = 'deleted-files';
+
+interface OpenTimeline {
+  readonly overlay: HTMLElement;
+  readonly diff: monaco.editor.IStandaloneDiffEditor;
+  readonly original: monaco.editor.ITextModel;
+  readonly current: monaco.editor.ITextModel;
+  readonly subscriptions: Disposable[];
+}
+
+let open: OpenTimeline | null = null;
+
+function closeTimeline(): void {
+  // References first, as in the picker: disposal can re-enter through a blur.
+  const closing = open;
+  open = null;
+  if (!closing) return;
+  for (const subscription of closing.subscriptions) subscription.dispose();
+  closing.diff.dispose();
+  closing.original.dispose();
+  closing.current.dispose();
+  closing.overlay.remove();
+}
+
+function element<K extends keyof HTMLElementTagNameMap>(
+  tag: K,
+  className: string,
+  text?: string,
+): HTMLElementTagNameMap[K] {
+  const node = document.createElement(tag);
+  node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+export function openTimeline(history: LocalHistory, documentId: string): void {
+  const workspace = runtime.workspace;
+  const target = workspace?.getDocument(documentId);
+  if (!workspace || !target) return;
+  closeTimeline();
+
+  const path = workspace.pathOf(documentId) ?? target.name;
+  const languageId = getLanguage(target.language)?.monacoLanguage || 'plaintext';
+
+  const overlay = element('div', '');
+  overlay.id = OVERLAY_ID;
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-modal', 'true');
+  overlay.setAttribute('aria-labelledby', `${OVERLAY_ID}-title`);
+
+  const box = element('div', 'timeline-box');
+  const header = element('div', 'timeline-header');
+  const title = element('h2', 'timeline-title', `History of ${path}`);
+  title.id = `${OVERLAY_ID}-title`;
+  const close = element('button', 'timeline-close', 'Close');
+  close.type = 'button';
+  header.append(title, close);
+
+  const body = element('div', 'timeline-body');
+  const list = element('div', 'timeline-list');
+  list.setAttribute('role', 'listbox');
+  list.setAttribute('aria-label', 'Versions');
+  const diffHost = element('div', 'timeline-diff');
+  body.append(list, diffHost);
+
+  const footer = element('div', 'timeline-footer');
+  const note = element('span', 'timeline-note', 'Left: the version you picked. Right: the file now.');
+  const restore = element('button', 'timeline-restore', 'Restore this version');
+  restore.type = 'button';
+  footer.append(note, restore);
+
+  box.append(header, body, footer);
+  overlay.appendChild(box);
+  document.body.appendChild(overlay);
+
+  const original = monaco.editor.createModel('', languageId);
+  const current = monaco.editor.createModel(target.getContent(), languageId);
+  const diff = monaco.editor.createDiffEditor(diffHost, {
+    readOnly: true,
+    originalEditable: false,
+    automaticLayout: true,
+    renderSideBySide: true,
+    minimap: { enabled: false },
+  });
+  diff.setModel({ original, modified: current });
+
+  let versions: HistoryEntry[] = [];
+  let selected = 0;
+  // By id as well as position: a new version arrives at the top and would otherwise
+  // move the selection onto a different one under the student's cursor.
+  let selectedId: string | null = null;
+  // Content reads are async; only the latest click may fill the left side.
+  let showing = 0;
+
+  const canRestore = () => !policyState.readonly && versions[selected] !== undefined;
+
+  const show = async (index: number): Promise<void> => {
+    selected = index;
+    selectedId = versions[index]?.id ?? null;
+    const ticket = ++showing;
+    list.querySelectorAll('.timeline-row').forEach((row, rowIndex) => {
+      row.classList.toggle('selected', rowIndex === index);
+      row.setAttribute('aria-selected', String(rowIndex === index));
+    });
+    restore.disabled = !canRestore();
+    const entry = versions[index];
+    if (!entry) {
+      original.setValue('');
+      return;
+    }
+    const content = await history.content(entry.id);
+    if (ticket !== showing || !open) return;
+    original.setValue(content ?? '');
+  };
+
+  const render = (): void => {
+    versions = history.versionsOf(documentId);
+    list.textContent = '';
+    if (versions.length === 0) {
+      list.appendChild(element('div', 'timeline-empty', 'No earlier versions yet. One is kept each time the file is saved.'));
+    }
+    const now = Date.now();
+    versions.forEach((entry, index) => {
+      const row = element('button', 'timeline-row');
+      row.type = 'button';
+      row.setAttribute('role', 'option');
+      row.appendChild(element('span', 'timeline-label', describeVersion(entry, now)));
+      if (entry.path !== path) row.appendChild(element('span', 'timeline-detail', entry.path));
+      row.addEventListener('click', () => void show(index));
+      list.appendChild(row);
+    });
+    const kept = versions.findIndex(entry => entry.id === selectedId);
+    void show(kept === -1 ? 0 : kept);
+  };
+
+  const doRestore = async (): Promise<void> => {
+    const entry = versions[selected];
+    if (!entry || !canRestore()) return;
+    restore.disabled = true;
+    try {
+      await history.restore(entry.id);
+      const message = `Restored ${path} to the version from ${new Date(entry.createdAt).toLocaleString()}.`;
+      setStatus(message);
+      announce(message);
+    } catch (error) {
+      console.error('[history] Could not restore:', error);
+      setStatus(`Could not restore ${path}.`);
+    } finally {
+      restore.disabled = !canRestore();
+    }
+  };
+
+  const onKeyDown = (event: KeyboardEvent): void => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      closeTimeline();
+      return;
+    }
+    if (!list.contains(document.activeElement)) return;
+    const step = event.key === 'ArrowDown' ? 1 : event.key === 'ArrowUp' ? -1 : 0;
+    if (step === 0 || versions.length === 0) return;
+    event.preventDefault();
+    const next = (selected + step + versions.length) % versions.length;
+    (list.querySelectorAll<HTMLElement>('.timeline-row')[next])?.focus();
+    void show(next);
+  };
+
+  close.addEventListener('click', closeTimeline);
+  restore.addEventListener('click', () => void doRestore());
+  overlay.addEventListener('keydown', onKeyDown);
+  overlay.addEventListener('mousedown', event => {
+    if (event.target === overlay) closeTimeline();
+  });
+
+  open = {
+    overlay,
+    diff,
+    original,
+    current,
+    subscriptions: [
+      // A save, a restore or a prune changes the list; an edit changes the right side.
+      history.onDidChange(ids => {
+        if (ids.includes(documentId)) render();
+      }),
+      target.onDidChangeContent(() => current.setValue(target.getContent())),
+      workspace.onWillDeleteDocuments(event => {
+        if (event.documents.some(document => document.id === documentId)) closeTimeline();
+      }),
+    ],
+  };
+
+  render();
+  (list.querySelector<HTMLElement>('.timeline-row') ?? close).focus();
+}
+
+/**
+ * The palette entries, and the picker for files that are gone.
+ *
+ * "Timeline" in the explorer runs `workspace.showTimeline` with the file it was
+ * opened on, so both ways in are the one command.
+ */
+export function initializeTimeline(history: LocalHistory, registry: CommandRegistry): Disposable {
+  const deletedPicker = createPicker({
+    overlayId: DELETED_PICKER_ID,
+    placeholder: 'Restore a deleted file…',
+    ariaLabel: 'Deleted files',
+    emptyText: 'No deleted files to restore',
+    items: () => {
+      const now = Date.now();
+      return history.deletedDocuments().map(entry => ({
+        id: entry.id,
+        label: entry.path,
+        detail: describeVersion(entry, now),
+      }));
+    },
+    onPick: async item => {
+      const restored = await history.restore(item.id);
+      if (!restored) return;
+      const path = runtime.workspace?.pathOf(restored.id) ?? restored.name;
+      setStatus(`Restored ${path}`);
+      announce(`Restored ${path}`);
+      await runtime.tabManager?.switchToTab(restored.id);
+    },
+  });
+
+  const subscriptions: Disposable[] = [
+    registry.register({
+      id: 'workspace.showTimeline',
+      title: 'Show file history',
+      when: () => (runtime.workspace?.allDocuments().length ?? 0) > 0,
+      run: (_context, documentId?: unknown) => {
+        const id = typeof documentId === 'string' ? documentId : runtime.tabManager?.getActiveTab()?.file.id;
+        if (id) openTimeline(history, id);
+      },
+    }),
+    registry.register({
+      id: 'workspace.restoreDeletedFile',
+      title: 'Restore a deleted file…',
+      capability: 'structure',
+      when: () => history.deletedDocuments().length > 0,
+      run: () => deletedPicker.open(),
+    }),
+    deletedPicker,
+  ];
+
+  return {
+    dispose: () => {
+      closeTimeline();
+      for (const subscription of subscriptions) subscription.dispose();
+    },
+  };
+}
@@ -0,0 +1,436 @@
+/**
+ * Version control in the palette and the status bar: commit, log, branches, merge,
+ * and bringing a repository in from a real machine.
+ *
+ * `VersionControl` does the work (`src/workspace/vcs.ts`); this is how a student asks
+ * for it, in git's words, so what they learn here is what they type later:
+ *
+ * - the branch in the status bar opens the branch list, and switching is picking one;
+ * - "Commit…" asks for the message; "Show the log" lists the commits, and picking one
+ *   shows what it changed in the project diff (`project-diff.ts`), as does "Show
+ *   uncommitted changes" for the project now and "Compare two commits…" for any two;
+ * - "Merge a branch…" brings another branch in. A conflict opens the first conflicted
+ *   file with its markers in the editor; the student edits them away and commits, or
+ *   aborts.
+ *
+ * What changes the project's files - a switch, a merge, an abort, an import - needs
+ * the structure capability, as a checkpoint restore does. A commit changes no file
+ * and needs only the edit capability, so a read-only page or a tab following another
+ * can still read the log.
+ *
+ * Export is the Download Project ZIP, which carries `.git` beside the files
+ * (`explorer/operations.ts`). Import is a ZIP with `.git` inside it, as that download
+ * or `zip -r project.zip project` on a real machine makes.
+ *
+ * Not offered when embedded: the host owns that workspace and replaces it at will.
+ */
+
+import JSZip from 'jszip';
+import { runtime } from '../app/runtime';
+import { setStatus } from '../components/output';
+import { announce } from '../components/announce.ts';
+import { bindButton } from '../commands';
+import { createPicker } from './picker.ts';
+import { openProjectDiff, showReplaced } from './project-diff.ts';
+import { GIT_DIRECTORY } from '../workspace/vcs-git.ts';
+import { ASSET_LANGUAGE_ID, assetTypeFor } from '../workspace/assets.ts';
+import type { CommitRecord, MergeOutcome, VersionControl } from '../workspace';
+import type { ReplaceAllResult, ResolvedLanguage } from '../workspace/service.ts';
+import type { CommandRegistry } from '../commands/registry.ts';
+import type { Disposable } from '../workspace/types.ts';
+
+const SWITCH_PICKER_ID = 'vcs-branch';
+const MERGE_PICKER_ID = 'vcs-merge';
+const LOG_PICKER_ID = 'vcs-log';
+const COMPARE_FROM_PICKER_ID = 'vcs-compare-from';
+const COMPARE_TO_PICKER_ID = 'vcs-compare-to';
+
+function shortId(id: string): string {
+  return id.slice(0, 7);
+}
+
+function subject(commit: CommitRecord): string {
+  return commit.message.split('\n')[0];
+}
+
+function describeCommit(commit: CommitRecord): string {
+  const merge = commit.parents.length > 1 ? ' · merge' : '';
+  return `${shortId(commit.id)} · ${commit.author.name} · ${new Date(commit.time).toLocaleString()}${merge}`;
+}
+
+function report(message: string): void {
+  setStatus(message);
+  announce(message);
+}
+
+function failed(doing: string, error: unknown): void {
+  console.error(`[vcs] Could not ${doing}:`, error);
+  setStatus(error instanceof Error ? error.message : `Could not ${doing}.`);
+}
+
+/**
+ * The language a file a checkout creates is given: an asset's by its extension, source
+ * by its extension as a dropped file's is, and anything else the language in use.
+ */
+export function languageForPath(path: string): ResolvedLanguage {
+  const asset = assetTypeFor(path);
+  if (asset) return { id: ASSET_LANGUAGE_ID, version: asset.extension };
+  const detected = runtime.tabManager?.detectLanguageByExtension(path.split('/').pop() ?? path);
+  if (detected) {
+    const version = detected.versions.find(candidate => candidate.default) ?? detected.versions[0];
+    return { id: detected.id, version: version.id };
+  }
+  return { id: runtime.currentLang?.id ?? 'plaintext', version: runtime.currentVersion?.id ?? '' };
+}
+
+/** Open a file the merge left conflict markers in, so the student starts there. */
+async function openFile(path: string): Promise<void> {
+  const document = runtime.workspace?.findByPath(path);
+  if (document) await runtime.tabManager?.switchToTab(document.id);
+}
+
+/** Ask for a ZIP, without a permanent `<input>` in the page. */
+function chooseZip(): Promise<File | null> {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.zip,application/zip';
+  input.style.display = 'none';
+  document.body.appendChild(input);
+  return new Promise<File | null>(resolve => {
+    input.addEventListener('change', () => resolve(input.files?.[0] ?? null), { once: true });
+    input.addEventListener('cancel', () => resolve(null), { once: true });
+    input.click();
+  }).finally(() => input.remove());
+}
+
+/**
+ * The `.git` directory in a ZIP, by path inside it, and the files beside it by
+ * project path. The repository may be at the root or in the one folder the ZIP holds.
+ */
+async function readRepositoryZip(file: File): Promise<{
+  git: Map<string, Uint8Array>;
+  working: Map<string, Uint8Array>;
+}> {
+  const archive = await JSZip.loadAsync(await file.arrayBuffer());
+  const entries: Array<{ path: string; entry: JSZip.JSZipObject }> = [];
+  archive.forEach((path, entry) => {
+    if (!entry.dir) entries.push({ path, entry });
+  });
+  const marker = entries.map(({ path }) => GIT_DIRECTORY.exec(path)?.[0]).find(Boolean);
+  if (!marker) throw new Error(`${file.name} has no .git folder in it`);
+  const root = marker.slice(0, -'.git/'.length);
+
+  const git = new Map<string, Uint8Array>();
+  const working = new Map<string, Uint8Array>();
+  for (const { path, entry } of entries) {
+    if (!path.startsWith(root)) continue;
+    const bytes = new Uint8Array(await entry.async('arraybuffer'));
+    if (path.startsWith(marker)) git.set(path.slice(marker.length), bytes);
+    else if (!GIT_DIRECTORY.test(path)) working.set(path.slice(root.length), bytes);
+  }
+  return { git, working };
+}
+
+export function initializeVersionControl(vcs: VersionControl, registry: CommandRegistry): Disposable {
+  const button = document.getElementById('status-branch');
+  const render = () => {
+    if (!button) return;
+    const merging = vcs.merging;
+    const label = button.querySelector('.status-branch-name');
+    if (label) label.textContent = merging ? `${vcs.branch} (merging)` : vcs.branch;
+    button.title = merging
+      ? `Merging ${merging.branch} into ${vcs.branch} - resolve the conflicts and commit, or abort the merge`
+      : `Branch: ${vcs.branch} - switch branch`;
+    button.classList.toggle('hidden', !vcs.available);
+  };
+
+  let log: CommitRecord[] = [];
+  const logItems = () =>
+    log.map(commit => ({ id: commit.id, label: subject(commit), detail: describeCommit(commit) }));
+  const readLog = async () => {
+    await vcs.refresh();
+    log = await vcs.log();
+  };
+
+  const showCommit = async (id: string) => {
+    const commit = await vcs.readCommit(id);
+    await openProjectDiff({
+      title: `${shortId(commit.id)} ${subject(commit)}`,
+      note: commit.parents.length > 0
+        ? `Left: the project at ${shortId(commit.parents[0])}. Right: the project at this commit.`
+        : 'The first commit: everything in it was added.',
+      emptyText: 'This commit changed no files.',
+      compare: () => vcs.commitChanges(id),
+      goneText: 'That commit no longer exists.',
+    });
+  };
+
+  /** After a switch, a merge or an abort: the editor shows the new files. */
+  const replaced = async (result: ReplaceAllResult, message: string) => {
+    await showReplaced(result);
+    report(message);
+  };
+
+  const switchPicker = createPicker({
+    overlayId: SWITCH_PICKER_ID,
+    placeholder: 'Switch to a branch…',
+    ariaLabel: 'Branches',
+    emptyText: 'No branches yet: commit, then create one',
+    items: () => vcs.branches().map(branch => ({
+      id: branch.name,
+      label: branch.name,
+      detail: branch.id ? shortId(branch.id) : 'No commits yet',
+      enabled: !branch.current,
+      disabledNote: 'Current branch',
+    })),
+    onPick: async item => {
+      try {
+        const result = await vcs.switchBranch(item.id);
+        if (result) await replaced(result, `Switched to branch ${item.id}.`);
+      } catch (error) {
+        failed('switch branch', error);
+      }
+    },
+  });
+
+  const mergePicker = createPicker({
+    overlayId: MERGE_PICKER_ID,
+    placeholder: 'Merge a branch into the current one…',
+    ariaLabel: 'Branches',
+    emptyText: 'No other branches',
+    items: () => vcs.branches().filter(branch => !branch.current && branch.id).map(branch => ({
+      id: branch.name,
+      label: branch.name,
+      detail: shortId(branch.id!),
+    })),
+    onPick: async item => {
+      let outcome: MergeOutcome;
+      try {
+        outcome = await vcs.merge(item.id);
+      } catch (error) {
+        failed('merge', error);
+        return;
+      }
+      switch (outcome.kind) {
+        case 'up-to-date':
+          report(`Already up to date: ${vcs.branch} has everything ${item.id} has.`);
+          return;
+        case 'fast-forward':
+          await replaced(outcome.result, `Fast-forwarded ${vcs.branch} to ${item.id}.`);
+          return;
+        case 'merged':
+          await replaced(outcome.result, `Merged ${item.id} into ${vcs.branch}.`);
+          return;
+        case 'conflicts': {
+          const files = outcome.conflicts.join(', ');
+          await replaced(
+            outcome.result,
+            `Merge conflict in ${files}. Fix the marked lines, then commit - or abort the merge.`,
+          );
+          await openFile(outcome.conflicts[0]);
+        }
+      }
+    },
+  });
+
+  const logPicker = createPicker({
+    overlayId: LOG_PICKER_ID,
+    placeholder: 'Commits, newest first…',
+    ariaLabel: 'Commits',
+    emptyText: 'No commits yet',
+    items: logItems,
+    onPick: item => showCommit(item.id),
+  });
+
+  let compareFrom: string | null = null;
+  const compareToPicker = createPicker({
+    overlayId: COMPARE_TO_PICKER_ID,
+    placeholder: 'Compare with…',
+    ariaLabel: 'Commits',
+    emptyText: 'No commits yet',
+    items: () => logItems().map(item => ({
+      ...item,
+      enabled: item.id !== compareFrom,
+      disabledNote: 'Compared from',
+    })),
+    onPick: async item => {
+      const from = compareFrom;
+      if (!from) return;
+      await openProjectDiff({
+        title: `${shortId(from)} → ${shortId(item.id)}`,
+        note: `Left: the project at ${shortId(from)}. Right: the project at ${shortId(item.id)}.`,
+        emptyText: 'The two commits have the same files.',
+        compare: () => vcs.compare(from, item.id),
+        goneText: 'That commit no longer exists.',
+      });
+    },
+  });
+  const compareFromPicker = createPicker({
+    overlayId: COMPARE_FROM_PICKER_ID,
+    placeholder: 'Compare from…',
+    ariaLabel: 'Commits',
+    emptyText: 'No commits yet',
+    items: logItems,
+    onPick: item => {
+      compareFrom = item.id;
+      compareToPicker.open();
+    },
+  });
+
+  const hasCommits = () => vcs.available && vcs.headCommit !== null;
+  const openFresh = (picker: { open(): void }) => async () => {
+    // Another tab on the same project may have committed since.
+    await readLog().catch(error => console.error('[vcs] Could not read the log:', error));
+    picker.open();
+  };
+
+  const subscriptions: Disposable[] = [
+    registry.register({
+      id: 'vcs.commit',
+      title: 'Commit…',
+      capability: 'edit',
+      when: () => vcs.available,
+      run: async () => {
+        const merging = vcs.merging;
+        const suggested = merging ? `Merge branch '${merging.branch}' into ${vcs.branch}` : '';
+        const message = window.prompt(`Commit to ${vcs.branch} - describe the change:`, suggested);
+        if (message === null || !message.trim()) return;
+        try {
+          await vcs.refresh();
+          const commit = await vcs.commit(message);
+          report(`Committed ${shortId(commit.id)} to ${vcs.branch}: ${subject(commit)}`);
+        } catch (error) {
+          failed('commit', error);
+        }
+      },
+    }),
+    registry.register({
+      id: 'vcs.showChanges',
+      title: 'Show uncommitted changes',
+      when: () => vcs.available,
+      run: async () => {
+        const head = vcs.headCommit;
+        await openProjectDiff({
+          title: `Uncommitted changes on ${vcs.branch}`,
+          note: head
+            ? `Left: the last commit, ${shortId(head)}. Right: the project now.`
+            : 'Nothing is committed yet: everything is new.',
+          emptyText: 'Nothing to commit: the project is as the last commit has it.',
+          compare: () => vcs.status(),
+          goneText: 'The repository is gone.',
+        });
+      },
+    }),
+    registry.register({
+      id: 'vcs.log',
+      title: 'Show the log',
+      when: hasCommits,
+      run: openFresh(logPicker),
+    }),
+    registry.register({
+      id: 'vcs.compare',
+      title: 'Compare two commits…',
+      when: hasCommits,
+      run: openFresh(compareFromPicker),
+    }),
+    registry.register({
+      id: 'vcs.createBranch',
+      title: 'Create a branch…',
+      capability: 'structure',
+      when: hasCommits,
+      run: async () => {
+        const name = window.prompt(`New branch, starting from ${vcs.branch}:`, '');
+        if (name === null || !name.trim()) return;
+        try {
+          const branch = await vcs.createBranch(name, { switchTo: true });
+          report(`Created branch ${branch.name} and switched to it.`);
+        } catch (error) {
+          failed('create the branch', error);
+        }
+      },
+    }),
+    registry.register({
+      id: 'vcs.switchBranch',
+      title: 'Switch branch…',
+      capability: 'structure',
+      when: () => vcs.available,
+      run: async () => {
+        await vcs.refresh().catch(() => {});
+        switchPicker.open();
+      },
+    }),
+    registry.register({
+      id: 'vcs.merge',
+      title: 'Merge a branch…',
+      capability: 'structure',
+      when: () => hasCommits() && vcs.branches().length > 1,
+      run: async () => {
+        await vcs.refresh().catch(() => {});
+        mergePicker.open();
+      },
+    }),
+    registry.register({
+      id: 'vcs.abortMerge',
+      title: 'Abort the merge',
+      capability: 'structure',
+      when: () => vcs.merging !== null,
+      run: async () => {
+        const merging = vcs.merging;
+        if (!merging) return;
+        if (!confirm(`Abort merging ${merging.branch}? The files go back to the last commit on ${vcs.branch}.`)) return;
+        try {
+          // Conflicts resolved so far are kept in each file's timeline.
+          await runtime.history?.checkpoint('restore').catch(() => {});
+          await replaced(await vcs.abortMerge(), `Aborted the merge of ${merging.branch}.`);
+        } catch (error) {
+          failed('abort the merge', error);
+        }
+      },
+    }),
+    registry.register({
+      id: 'vcs.import',
+      title: 'Import a Git repository…',
+      capability: 'structure',
+      when: () => vcs.available,
+      run: async () => {
+        const file = await chooseZip();
+        if (!file) return;
+        try {
+          setStatus(`Reading ${file.name}…`);
+          const { git, working } = await readRepositoryZip(file);
+          const question = `Replace this project's files and commits with the repository in ${file.name}? `
+            + 'The commits here are replaced too; download the project first to keep them.';
+          if (!confirm(question)) {
+            setStatus('');
+            return;
+          }
+          await runtime.history?.checkpoint('import').catch(() => {});
+          await replaced(
+            await vcs.importGitDirectory(git, working),
+            `Imported the repository from ${file.name}, on branch ${vcs.branch}.`,
+          );
+        } catch (error) {
+          failed('import the repository', error);
+        }
+      },
+    }),
+    vcs.onDidChange(() => {
+      render();
+      registry.notifyEnablementChanged();
+    }),
+    switchPicker,
+    mergePicker,
+    logPicker,
+    compareFromPicker,
+    compareToPicker,
+  ];
+
+  if (button) subscriptions.push(bindButton(registry, button, 'vcs.switchBranch'));
+  render();
+
+  return {
+    dispose: () => {
+      for (const subscription of subscriptions) subscription.dispose();
+    },
+  };
+}
@@ -1,4 +1,5 @@
 import { appConfig } from '../app/config';
+import type { HostTestReport } from '../features/tests/host-report.ts';
 import { isStepUpOrigin } from '../../server/domain/stepup-origins.mjs';
 
 let parentOrigin: string | null = null;
@@ -55,3 +56,8 @@ export function notifyCodeChange(code: string): void {
 export function notifyRunResult(result: { stdout: string; stderr: string; exitCode: number; durationMs: number }): void {
   sendToParent('ide:run-result', result);
 }
+
+/** "Check my work", parsed: see `features/tests/host-report.ts` for what it is and is not. */
+export function notifyTestReport(report: HostTestReport): void {
+  sendToParent('ide:test-report', { ...report });
+}
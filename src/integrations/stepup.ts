@@ -4,15 +4,17 @@ import { runtime } from '../app/runtime';
 import { getLanguage } from '../languages';
 import { langSel, versionSel, statusLangEl, runBtn } from '../components/dom';
 import { setOutput } from '../components/output';
+import { clearCharts, renderCharts } from '../components/chart';
 import { clearTurtleCanvas, renderTurtle } from '../components/turtle';
 import { populateVersionDropdown, configureMonacoForVersion } from '../components/monaco-config';
 import { getOrCreateModel, disposeModel, updateEmptyState } from '../features/editor-core';
 import { renderFileTree, setExpandedFolders } from '../features/explorer';
 import { collectWorkspaceSnapshot } from '../features/workspace';
 import { applyPolicyFromMessage } from '../features/sidebar';
+import { hostTestReport } from '../features/tests/host-report.ts';
 import {
   deriveInitialParentOrigin, isAllowedOrigin, notifyCodeChange, notifyParentReady,
-  sendToParent, setParentOrigin,
+  notifyTestReport, sendToParent, setParentOrigin,
 } from './stepup-bus';
 
 /**
@@ -57,6 +59,10 @@ export function setupStepUpIntegration(): void {
     // Disposing them up front threw all of that away on every host update, which
     // is what made a Step-Up autosave feel like the editor was resetting.
 
+    // What the student had, kept in local history before the host's project replaces
+    // it. Captured now; the write does not hold up the replace.
+    runtime.history?.checkpoint('host-replace').catch(() => {});
+
     const activeTab = await tabManager.replaceAllFiles(
       data.files,
       runtime.currentLang!,
@@ -253,12 +259,25 @@ export function setupStepUpIntegration(): void {
         await runtime.commands?.execute('workspace.run', { source: 'host' });
         break;
 
+      case 'stepup:run-tests': {
+        // Through the registry like `stepup:run`, so a task that may not run may not be
+        // marked either. Optional `testCase` is "Run only this case" (section 71).
+        const testCase = typeof data.testCase === 'string' && data.testCase ? data.testCase : null;
+        const outcome = await runtime.commands?.execute('workspace.runTests', { source: 'host' }, testCase);
+        // A refused or failed command never posted its report, and the host asked for one.
+        if (outcome && outcome.status !== 'ran') {
+          notifyTestReport(hostTestReport({ status: outcome.status === 'refused' ? 'refused' : 'not-run', only: testCase }));
+        }
+        break;
+      }
+
       case 'stepup:set-readonly':
         applyPolicyFromMessage(data);
         break;
 
       case 'stepup:show-output': {
         clearTurtleCanvas();
+        clearCharts();
 
         let text = typeof data.output === 'string'
           ? data.output
@@ -284,12 +303,15 @@ export function setupStepUpIntegration(): void {
           renderTurtle(data.turtleData);
         }
 
+        renderCharts(data.chartData);
+
         break;
       }
 
       case 'stepup:clear-output':
         setOutput('');
         clearTurtleCanvas();
+        clearCharts();
         break;
     }
   }
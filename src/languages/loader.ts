@@ -2,13 +2,15 @@
 // Loads configs at build time with Vite glob, starters fetched from server at runtime
 // Optimized for high-traffic with caching and batch loading
 
-import type { ErrorEntry, KeywordEntry, LanguageCapabilities, LanguageConfig, LoadedLanguage, ResolvedErrorEntry, ResolvedKeywordEntry, VersionConfig } from "./types";
+import type { ErrorEntry, KeywordEntry, LanguageConfig, LanguageGate, LoadedLanguage, ResolvedErrorEntry, ResolvedKeywordEntry, VersionConfig } from "./types";
 import { LANGUAGE_ICONS } from "./types";
 import { ASSET_LANGUAGE_ID, ASSET_TYPES } from "../workspace/assets.ts";
 
-// Import all config.json files at build time
+// Import every language manifest at build time. The server validates the same files
+// (server/languages/manifest.mjs) and refuses to start a language whose manifest is
+// wrong, so what is bundled here is what the server runs.
 const configModules = import.meta.glob<{ default: LanguageConfig }>(
-  "/languages/*/config.json",
+  "/languages/*/manifest.json",
   { eager: true }
 );
 
@@ -292,7 +294,7 @@ function loadLanguages(): Map<string, LoadedLanguage> {
     });
   }
 
-  // Attach keyword dictionaries, keyed by the same language id used for config.json
+  // Attach keyword dictionaries, keyed by the same language id used for manifest.json
   for (const [path, module] of Object.entries(keywordModules)) {
     const langId = languageIdFromPath(path);
     const lang = languages.get(langId);
@@ -359,14 +361,14 @@ export function getLanguageIds(): string[] {
  */
 export function languageCan(
   languageId: string | undefined | null,
-  capability: keyof LanguageCapabilities,
+  capability: LanguageGate,
 ): boolean {
   if (!languageId) return false;
   return languages.get(languageId)?.capabilities?.[capability] === true;
 }
 
 /** Every language declaring a capability, in registration order. */
-export function languagesThatCan(capability: keyof LanguageCapabilities): string[] {
+export function languagesThatCan(capability: LanguageGate): string[] {
   return Array.from(languages.values())
     .filter(language => language.capabilities?.[capability] === true)
     .map(language => language.id);
@@ -23,16 +23,22 @@ export interface VersionConfig {
  * kind of edit that gets three of them.
  *
  * Debugging is the case that proves it: the server decides whether a language can be
- * debugged (`supportsDebug` on its adapter), and the client had its own copy of that
- * list. The two agreeing was a matter of somebody remembering. Now both read the same
- * `config.json`, and `tests/contract/adapter-manifest.test.mjs` fails if they diverge.
+ * debugged, and the client had its own copy of that list. The two agreeing was a
+ * matter of somebody remembering. Now both read the language's `manifest.json` - the
+ * server's registry binds `supportsDebug` FROM it - so there is one answer, not two
+ * that a test has to compare.
  *
  * Every field is optional and defaults to false, so a new language gets nothing until
  * somebody says it works - which is the right default for a promise to a student.
  */
 export interface LanguageCapabilities {
-  /** The Debug button is offered. Must match the server adapter's `supportsDebug`. */
+  /** The Debug button is offered, and the server attaches a debugger. */
   debug?: boolean;
+  /**
+   * "Debug with recording" is offered: the debugger keeps the lines it ran and their
+   * variables, so the program can be stepped backwards (blueprint section 73).
+   */
+  debugRecording?: boolean;
   /** Hover explains this language's keywords and operators (languages/<id>/keywords.json). */
   taughtKeywords?: boolean;
   /**
@@ -43,8 +49,41 @@ export interface LanguageCapabilities {
    * "class, interface, or enum expected" for a gesture that looks reasonable.
    */
   runSelection?: boolean;
+  /**
+   * The real compiler is asked, on a pause in typing, through `POST /api/check`.
+   *
+   * False for JavaScript and TypeScript, which already have live Monaco language
+   * services - a round trip to second-guess a local parser would be slower and worse.
+   */
+  check?: boolean;
+  /**
+   * The language's linter is asked, on the same pause, through `POST /api/lint`, and
+   * its findings - unused variables, shadowed names - join the Problems panel.
+   *
+   * Unlike `check`, true for JavaScript and TypeScript: Monaco's services report
+   * type errors, not a variable that shadows another.
+   */
+  lint?: boolean;
+  /** Graphics protocols the runtime speaks. `turtle` is Python's turtle shim. */
+  graphics?: string[];
+  /** The lockfile ecosystem installed from the server's package mirror, if any. */
+  dependencies?: 'pypi' | 'npm';
+  /**
+   * What a deterministic run can freeze in this runtime beyond the timezone and the
+   * input, which every language gets (blueprint section 69).
+   */
+  deterministic?: Array<'seed' | 'clock'>;
 }
 
+/** The capabilities that are a yes or a no, which is what a UI gate can ask about. */
+export type LanguageGate = 'debug' | 'debugRecording' | 'taughtKeywords' | 'runSelection' | 'check' | 'lint';
+
+/**
+ * The part of `languages/<id>/manifest.json` the IDE reads.
+ *
+ * The manifest also says how the server runs the language - its adapter, tools and
+ * phases - which the client has no use for and does not type.
+ */
 export interface LanguageConfig {
   id: string;
   name: string;
@@ -130,6 +169,10 @@ export const LANGUAGE_ICONS: Record<string, string> = {
   java: '☕',
   php: '🐘',
   csharp: '🟦',
+  go: '🐹',
+  ruby: '💎',
+  c: '🔧',
+  cpp: '🔩',
   html: '🌐',
   css: '🎨',
   svg: '🖼️',
@@ -1,8 +1,13 @@
 import * as monaco from 'monaco-editor';
 import { initI18n, setLanguage, getLanguage as getUILang } from './i18n';
-import { getAllLanguages, getLanguage, preloadDefaultStarters } from './languages';
+import { getAllLanguages, getLanguage, languageCan, preloadDefaultStarters } from './languages';
 import { setWorkspaceService, storage } from './storage';
-import { createWorkspace } from './workspace';
+import {
+  IndexedDbCheckpointStore, IndexedDbHistoryStore, IndexedDbVcsStore, LEGACY_WORKSPACE_DATABASE,
+  LocalHistory, ProjectMigrationError, VersionControl, WorkspaceCheckpoints, WriterLease,
+  checkpointDatabaseName, createWorkspace, historyDatabaseName, storagePressureWarning, vcsDatabaseName,
+} from './workspace';
+import type { ProjectManager } from './workspace';
 import { createCommandRegistry } from './commands';
 import { DiagnosticsStore } from './diagnostics/store';
 import { connectMonacoDiagnostics } from './diagnostics/monaco-source';
@@ -10,13 +15,23 @@ import { connectRunMarkers } from './diagnostics/server-source';
 import { connectDiagnosticStaleness } from './diagnostics/staleness';
 import { connectSyntaxDiagnostics } from './diagnostics/syntax-source';
 import { connectCheckDiagnostics } from './diagnostics/check-source';
+import { connectLintDiagnostics } from './diagnostics/lint-source';
 import { connectSaveStatus } from './features/save-status';
+import { connectLeaseStatus } from './features/lease-status';
+import { initializeTimeline } from './features/timeline';
+import { initializeCheckpoints } from './features/checkpoints';
+import { initializeProjects, openProjects } from './features/projects';
+import { initializeVersionControl, languageForPath } from './features/version-control';
+import { isWorkspacePathHidden } from './features/workspace-visibility';
+import { loadSettings, setSettingsScope } from './components/settings';
+import { applyPolicyFromMessage } from './features/sidebar';
+import { bindButton } from './commands';
 import { initializeProblemsPanel, showPanelTab } from './features/problems-panel';
 import { initializeCommandPalette } from './features/command-palette';
 import { initializeQuickOpen } from './features/quick-open';
 import { initializeBreadcrumbs } from './features/breadcrumbs';
 import { debugState, initializeDebugUi } from './features/debug/ui';
-import { appConfig, applyModeClasses } from './app/config';
+import { appConfig, applyModeClasses, policyState } from './app/config';
 import { runtime } from './app/runtime';
 import { createEditor, createTabManager } from './features/editor-core';
 import { renderFileTree } from './features/explorer';
@@ -31,12 +46,14 @@ import { setStatus } from './components/output';
 import { announce } from './components/announce.ts';
 import { updateGridForRTL } from './features/ui-layout';
 import { initializeGoToDefinition } from './features/go-to-definition';
+import { initializePythonAnalysis } from './features/python-analysis';
 import { initializeWebPreview } from './features/live-preview';
 import { initializeFormatting } from './features/formatting';
 import { initializeHoverHelp } from './features/hover-help';
 import { initializeTryExample, tryExample } from './features/try-example';
 import { initializeOutputTracing } from './features/output-trace.ts';
 import { initializeErrorFirstAid } from './features/error-first-aid.ts';
+import { initializeTestRerun } from './features/tests/run.ts';
 import { renderHover } from './features/hover-content';
 import { getKeywordExplanation as getKeywordExplanationForSeam } from './languages';
 
@@ -61,24 +78,53 @@ async function bootstrap(): Promise<void> {
     return;
   }
 
+  // Which project this page is, before anything that belongs to one: its database
+  // below, and its language and panels (blueprint section 9.7 for the first load
+  // after an update, which moves the old workspace into a project). A registry that
+  // cannot be opened, or a migration that did not verify, leaves the IDE as it was
+  // before projects - one workspace, `BrowserCoderDB` - and says so once it is ready.
+  let projects: ProjectManager | null = null;
+  let projectsProblem: string | null = null;
+  if (!appConfig.isEmbedded) {
+    try {
+      projects = await openProjects(appConfig.urlProject || null);
+      setSettingsScope(projects.current!.id);
+    } catch (error) {
+      console.error('[projects] Could not open the project registry:', error);
+      projectsProblem = error instanceof ProjectMigrationError
+        ? `${error.message} Your files are safe and still open here; this will be tried again next time.`
+        : 'Projects are not available in this browser. Your files are open as before.';
+    }
+  }
+
   populateLanguageDropdown();
-  runtime.currentLang = getLanguage(appConfig.urlLanguage) || languages[0];
+  // A `lang` in the URL wins; otherwise the project's own, for a project with no file
+  // open to decide it.
+  const remembered = projects && !appConfig.urlLanguageGiven ? loadSettings() : null;
+  const rememberedLang = remembered?.language ? getLanguage(remembered.language) : undefined;
+  runtime.currentLang = rememberedLang || getLanguage(appConfig.urlLanguage) || languages[0];
   langSel.value = runtime.currentLang.id;
-  runtime.currentVersion = populateVersionDropdown(runtime.currentLang, appConfig.urlVersion || undefined);
+  runtime.currentVersion = populateVersionDropdown(
+    runtime.currentLang,
+    appConfig.urlVersion || (rememberedLang ? remembered?.version : undefined) || undefined,
+  );
   configureMonacoForVersion(runtime.currentLang, runtime.currentVersion);
 
   // The workspace is created before anything can touch it, and the database name
   // is decided here because it depends on the embedding mode. Embedded IDEs get an
   // isolated database so several Step-Up parts on one page cannot overwrite each
-  // other's files, and it is deleted on unload.
+  // other's files, and it is deleted on unload. Standalone, it is the project's.
   const databaseName = appConfig.isEmbedded
     ? `BrowserCoderDB-embed-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
-    : 'BrowserCoderDB';
+    : projects?.current?.databaseName ?? LEGACY_WORKSPACE_DATABASE;
 
   if (appConfig.isEmbedded) {
     window.addEventListener('beforeunload', () => {
       try {
         indexedDB.deleteDatabase(databaseName);
+        indexedDB.deleteDatabase(historyDatabaseName(databaseName));
+        indexedDB.deleteDatabase(checkpointDatabaseName(databaseName));
+        indexedDB.deleteDatabase(vcsDatabaseName(databaseName));
       } catch {
         /* best effort - the browser may already be tearing the page down */
       }
@@ -166,6 +212,7 @@ async function bootstrap(): Promise<void> {
   setupStepUpIntegration();
   await initializeWorkspace();
   initializeGoToDefinition();
+  initializePythonAnalysis();
   initializeWebPreview();
   // Before the editor features load, so `Format document` is enabled correctly on
   // the very first document rather than after the first language switch.
@@ -220,14 +267,116 @@ async function bootstrap(): Promise<void> {
     store: diagnostics,
     service: workspace.service,
     activeDocumentId: () => runtime.tabManager?.getActiveTab()?.file.id ?? null,
+    checks: languageId => languageCan(languageId, 'check'),
+  });
+  // And a linter behind that, on a longer pause, for what compiles and is still wrong:
+  // the unused variable, the shadowed name. Never blocks Run.
+  connectLintDiagnostics({
+    store: diagnostics,
+    service: workspace.service,
+    activeDocumentId: () => runtime.tabManager?.getActiveTab()?.file.id ?? null,
+    lints: languageId => languageCan(languageId, 'lint'),
   });
 
   // Say so when autosave is failing, and flush what is pending before the page goes
   // away. The persistence coordinator reported both and nothing listened.
   connectSaveStatus(workspace.service, { status: setStatus, announce });
 
+  // One writer per project across tabs (blueprint section 9.5). Not when embedded:
+  // that database is this page's alone, named at random above, so there is no other
+  // tab to share it with.
+  if (!appConfig.isEmbedded) {
+    const lease = new WriterLease({
+      workspaceId: databaseName,
+      locks: navigator.locks ?? null,
+      channel: typeof BroadcastChannel === 'function'
+        ? new BroadcastChannel(`browser-coder:${databaseName}`)
+        : null,
+      claim: () => workspace.store.claimWriter(),
+      release: () => workspace.store.releaseWriter(),
+      flush: () => workspace.service.flushAll(),
+    });
+
+    // What the page allowed before any tab was a reader, so taking over gives back
+    // exactly that - a `?readonly=1` page stays read-only whichever tab it is in.
+    const granted = {
+      readonly: policyState.readonly,
+      lockStructure: policyState.lockStructure,
+      allowSearchReplace: policyState.allowSearchReplace,
+    };
+    connectLeaseStatus(workspace.service, lease, {
+      status: setStatus,
+      announce,
+      setReadOnly: readOnly => applyPolicyFromMessage(
+        readOnly ? { readonly: true, lockStructure: true, allowSearchReplace: false } : granted,
+      ),
+    });
+
+    // No capability: a reader is refused 'edit', and this is how it gets it back.
+    runtime.commands!.register({
+      id: 'workspace.takeOverEditing',
+      title: 'Take over editing',
+      when: () => lease.role === 'reader',
+      run: () => lease.takeOver(),
+    });
+    const takeOver = document.getElementById('status-lease');
+    if (takeOver) {
+      bindButton(runtime.commands!, takeOver, 'workspace.takeOverEditing');
+      lease.onDidChangeRole(role => {
+        takeOver.classList.toggle('hidden', role !== 'reader');
+        runtime.commands!.notifyPolicyChanged();
+      });
+    }
+
+    // Never disposed: the browser lets go of the lock when the tab goes, and a tab
+    // restored from the back/forward cache must still be holding its place.
+    await lease.start();
+  }
+
+  // Earlier versions of each file, in a database beside the workspace's (blueprint
+  // sections 9.3 and 9.4). Not awaited: the first versions are written while the
+  // student starts reading, and anything captured sooner waits its turn. A read-only
+  // page - or a tab reading while another edits - records nothing of its own.
+  const history = new LocalHistory({
+    store: new IndexedDbHistoryStore(databaseName),
+    service: workspace.service,
+    canRecord: () => !policyState.readonly,
+  });
+  runtime.history = history;
+  void history.open().catch(() => {});
+  initializeTimeline(history, runtime.commands!);
+
+  // Named snapshots of the whole project, compared and restored from the palette.
+  // Like history, in a database of its own and not awaited: the list is empty only
+  // for as long as it takes to read it.
+  const checkpoints = new WorkspaceCheckpoints({
+    store: new IndexedDbCheckpointStore(databaseName),
+    service: workspace.service,
+  });
+  void checkpoints.open().catch(error => console.error('[checkpoints] Could not open:', error));
+  initializeCheckpoints(checkpoints, runtime.commands!);
+
+  // Commits and branches, in git's own format (blueprint section 78), in a database
+  // of their own again. Not when embedded: the host replaces that workspace at will,
+  // and the database is gone when the page is.
+  if (!appConfig.isEmbedded) {
+    const versionControl = new VersionControl({
+      store: new IndexedDbVcsStore(databaseName),
+      service: workspace.service,
+      languageFor: languageForPath,
+      tracks: path => !isWorkspacePathHidden(path),
+    });
+    runtime.versionControl = versionControl;
+    void versionControl.open().catch(error => console.error('[vcs] Could not open:', error));
+    initializeVersionControl(versionControl, runtime.commands!);
+  }
+
+  // The switcher in the status bar, and New / Rename / Duplicate / Delete project.
+  if (projects) initializeProjects(projects, runtime.commands!);
+
   initializeProblemsPanel(diagnostics);
   initializeErrorFirstAid(monaco);
+  initializeTestRerun();
 
   runtime.commands!.register({
     id: 'workspace.showProblems',
@@ -250,6 +399,20 @@ async function bootstrap(): Promise<void> {
   initializeLayout();
   initializeMoreMenu();
   setStatus('Ready ✅ (Ctrl+Enter to run)');
+  if (projectsProblem) {
+    setStatus(projectsProblem);
+    announce(projectsProblem);
+  }
+  // After "Ready", which would otherwise replace it. Section 9.5: say how much room
+  // is left while there is still time to do something about it.
+  navigator.storage?.estimate?.()
+    .then(estimate => {
+      const warning = storagePressureWarning(estimate);
+      if (!warning) return;
+      setStatus(warning);
+      announce(warning);
+    })
+    .catch(() => {});
 
   // Only now is it true. Host messages that arrived earlier were queued and are
   // released by this call; readiness is announced to the host from here too, so a
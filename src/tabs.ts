@@ -97,7 +97,7 @@ export class TabManager {
     // A rename or language change must redraw the strip. Previously each call site
     // remembered to do this itself, and the ones that forgot showed a stale name.
     this.#service.onDidChangeWorkspace(event => {
-      if (event.reason === 'delete' || event.reason === 'clear' || event.reason === 'replace-all') {
+      if (event.reason === 'delete' || event.reason === 'clear' || event.reason === 'replace-all' || event.reason === 'sync') {
         this.#dropClosedDocuments();
       }
       this.render();
@@ -623,6 +623,10 @@ export class TabManager {
       java: '☕',
       php: '🐘',
       csharp: '🟦',
+      go: '🐹',
+      ruby: '💎',
+      c: '🔧',
+      cpp: '🔩',
     };
     return icons[languageId] || '📄';
   }
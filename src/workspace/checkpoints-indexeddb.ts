@@ -0,0 +1,135 @@
+/**
+ * IndexedDB implementation of CheckpointStore.
+ *
+ * In `<workspace database>-checkpoints`, beside the history database rather than
+ * inside it: the history database is at version 1, and a store added there would
+ * raise it - after which a revert of this change could no longer open local history.
+ * The reasoning is the workspace database's (see `history-indexeddb.ts`), one level
+ * down.
+ *
+ * Summaries and snapshots are separate stores written in one transaction, so listing
+ * checkpoints reads no file bodies; a snapshot is read only when it is compared or
+ * restored.
+ */
+
+import type { CheckpointStore, CheckpointSummary } from './checkpoints.ts';
+import type { WorkspaceSnapshot } from './store.ts';
+
+const DB_VERSION = 1;
+const SUMMARIES_STORE = 'summaries';
+const SNAPSHOTS_STORE = 'snapshots';
+
+function promisify<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error ?? new Error('IndexedDB request failed'));
+  });
+}
+
+function transactionDone(transaction: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error ?? new Error('IndexedDB transaction failed'));
+    transaction.onabort = () => reject(transaction.error ?? new Error('IndexedDB transaction aborted'));
+  });
+}
+
+/** The checkpoint database that goes with a workspace database. */
+export function checkpointDatabaseName(workspaceDatabaseName: string): string {
+  return `${workspaceDatabaseName}-checkpoints`;
+}
+
+export class IndexedDbCheckpointStore implements CheckpointStore {
+  #databaseName: string;
+  #db: IDBDatabase | null = null;
+  #opening: Promise<void> | null = null;
+
+  constructor(workspaceDatabaseName: string) {
+    this.#databaseName = checkpointDatabaseName(workspaceDatabaseName);
+  }
+
+  get databaseName(): string {
+    return this.#databaseName;
+  }
+
+  open(): Promise<void> {
+    if (this.#db) return Promise.resolve();
+    if (this.#opening) return this.#opening;
+
+    this.#opening = new Promise<void>((resolve, reject) => {
+      const request = indexedDB.open(this.#databaseName, DB_VERSION);
+
+      request.onerror = () => reject(request.error ?? new Error('Could not open the checkpoint database'));
+
+      request.onsuccess = () => {
+        this.#db = request.result;
+        this.#db.onversionchange = () => this.close();
+        resolve();
+      };
+
+      request.onupgradeneeded = event => {
+        const db = (event.target as IDBOpenDBRequest).result;
+        if (!db.objectStoreNames.contains(SUMMARIES_STORE)) {
+          db.createObjectStore(SUMMARIES_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(SNAPSHOTS_STORE)) {
+          db.createObjectStore(SNAPSHOTS_STORE, { keyPath: 'id' });
+        }
+      };
+    }).finally(() => {
+      this.#opening = null;
+    });
+
+    return this.#opening;
+  }
+
+  close(): void {
+    this.#db?.close();
+    this.#db = null;
+  }
+
+  async list(): Promise<CheckpointSummary[]> {
+    const db = await this.#require();
+    const transaction = db.transaction(SUMMARIES_STORE, 'readonly');
+    return promisify<CheckpointSummary[]>(transaction.objectStore(SUMMARIES_STORE).getAll());
+  }
+
+  async read(id: string): Promise<WorkspaceSnapshot | null> {
+    const db = await this.#require();
+    const transaction = db.transaction(SNAPSHOTS_STORE, 'readonly');
+    const row = await promisify<{ id: string; snapshot: WorkspaceSnapshot } | undefined>(
+      transaction.objectStore(SNAPSHOTS_STORE).get(id),
+    );
+    return row?.snapshot ?? null;
+  }
+
+  async put(summary: CheckpointSummary, snapshot: WorkspaceSnapshot): Promise<void> {
+    const db = await this.#require();
+    const transaction = db.transaction([SUMMARIES_STORE, SNAPSHOTS_STORE], 'readwrite');
+    transaction.objectStore(SUMMARIES_STORE).put(summary);
+    transaction.objectStore(SNAPSHOTS_STORE).put({ id: summary.id, snapshot });
+    await transactionDone(transaction);
+  }
+
+  async remove(id: string): Promise<void> {
+    const db = await this.#require();
+    const transaction = db.transaction([SUMMARIES_STORE, SNAPSHOTS_STORE], 'readwrite');
+    transaction.objectStore(SUMMARIES_STORE).delete(id);
+    transaction.objectStore(SNAPSHOTS_STORE).delete(id);
+    await transactionDone(transaction);
+  }
+
+  async clear(): Promise<void> {
+    const db = await this.#require();
+    const transaction = db.transaction([SUMMARIES_STORE, SNAPSHOTS_STORE], 'readwrite');
+    transaction.objectStore(SUMMARIES_STORE).clear();
+    transaction.objectStore(SNAPSHOTS_STORE).clear();
+    await transactionDone(transaction);
+  }
+
+  async #require(): Promise<IDBDatabase> {
+    await this.open();
+    if (!this.#db) throw new Error('The checkpoint database is not open');
+    return this.#db;
+  }
+}
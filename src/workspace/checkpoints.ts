@@ -0,0 +1,399 @@
+/**
+ * Named checkpoints - the whole project as it was at a moment the student chose.
+ *
+ * Local history (`history.ts`) answers "what did this file look like before?" one file
+ * at a time. A refactor is not one file: it renames some, splits others, deletes what
+ * it made redundant. The question afterwards is "what did I change since
+ * *before refactor*?", and it is asked of the project. A checkpoint is the full
+ * `WorkspaceSnapshot` - every file with its content, every folder, the state - under
+ * a name, and `diffProjects` says what differs from it now.
+ *
+ * ## Matching files across the two sides
+ *
+ * A file is the same file when it has the same id: a rename or a move keeps the
+ * document, so both show up as a rename rather than a removal and an addition. Ids
+ * do not survive everything - a host's `set-files` creates new documents for paths it
+ * had not seen, and a file deleted and restored from history comes back under a new
+ * id - so a file left unmatched is paired next by path, and only then, among what is
+ * still left, by identical content: a file that was removed and added elsewhere with
+ * the same text is a rename the student made by hand.
+ *
+ * ## Restoring goes through `replaceAll`
+ *
+ * "Restore everything" is one `WorkspaceService.replaceAll`, so it is all or nothing:
+ * a failure halfway leaves the project exactly as it was (V-13). "Restore this file"
+ * is the same call with the current project and that one file put back, which is what
+ * lets it undo a rename or an addition - a change to two paths - as one commit. Before
+ * everything is replaced, the project as it is becomes a checkpoint of its own, so a
+ * restore can be taken back the same way it was made.
+ *
+ * `replaceAll` matches documents by path. A file renamed since the checkpoint returns
+ * to its old path as a new document; its content is what the checkpoint held, but its
+ * local history stays with the id it had.
+ *
+ * Checkpoints are never pruned: a student made each one on purpose and deletes them
+ * the same way. Clear Cache deletes them with everything else.
+ *
+ * No DOM, no IndexedDB - the store is a port, as in `history.ts`.
+ */
+
+import { Emitter } from './emitter.ts';
+import { buildTree } from './tree.ts';
+import type { ReplaceAllResult, WorkspaceService } from './service.ts';
+import type { WorkspaceSnapshot } from './store.ts';
+import type { Disposable, DocumentId, FolderMetadata } from './types.ts';
+
+export interface CheckpointSummary {
+  readonly id: string;
+  readonly name: string;
+  readonly createdAt: number;
+  readonly files: number;
+  /** What the snapshot costs to keep: two bytes per UTF-16 code unit of content. */
+  readonly bytes: number;
+}
+
+/** The persistence port. Snapshots are kept apart, so listing reads no file bodies. */
+export interface CheckpointStore {
+  open(): Promise<void>;
+  list(): Promise<CheckpointSummary[]>;
+  read(id: string): Promise<WorkspaceSnapshot | null>;
+  put(summary: CheckpointSummary, snapshot: WorkspaceSnapshot): Promise<void>;
+  remove(id: string): Promise<void>;
+  clear(): Promise<void>;
+  close(): void;
+}
+
+/** One file of a project, on either side of a comparison. */
+export interface ProjectFile {
+  readonly id: DocumentId;
+  readonly path: string;
+  readonly language: string;
+  readonly version: string;
+  readonly order: number;
+  readonly content: string;
+}
+
+export type ProjectChangeKind = 'added' | 'removed' | 'renamed' | 'modified';
+
+export interface ProjectChange {
+  readonly kind: ProjectChangeKind;
+  /** Where the file is now; for a removed file, where it was. */
+  readonly path: string;
+  /** Where a renamed file was at the checkpoint. */
+  readonly previousPath: string | null;
+  /** The file at the checkpoint; null when it was added since. */
+  readonly before: ProjectFile | null;
+  /** The file now; null when it was removed since. */
+  readonly after: ProjectFile | null;
+}
+
+/** A row in the project diff: what happened to the file. */
+export function describeChange(change: ProjectChange): string {
+  switch (change.kind) {
+    case 'added':
+      return 'Added';
+    case 'removed':
+      return 'Removed';
+    case 'modified':
+      return 'Modified';
+    case 'renamed':
+      return change.before?.content === change.after?.content
+        ? `Renamed from ${change.previousPath}`
+        : `Renamed from ${change.previousPath}, and changed`;
+  }
+}
+
+/** Every file in a snapshot, with the path its folders give it. */
+export function snapshotFiles(snapshot: Pick<WorkspaceSnapshot, 'files' | 'folders'>): ProjectFile[] {
+  const tree = buildTree({ files: snapshot.files, folders: snapshot.folders });
+  return snapshot.files.map(file => ({
+    id: file.id,
+    path: tree.pathById.get(file.id) ?? file.name,
+    language: file.language,
+    version: file.version,
+    order: file.order,
+    content: file.content,
+  }));
+}
+
+function byPath(a: { path: string }, b: { path: string }): number {
+  return a.path < b.path ? -1 : a.path > b.path ? 1 : 0;
+}
+
+/**
+ * What changed between two projects, sorted by path. Unchanged files are left out.
+ *
+ * Files are paired by id, then by path, then by identical content - see "Matching
+ * files across the two sides". Empty files are never paired by content: every empty
+ * file matches every other, and a guess there would be a rename nobody made.
+ */
+export function diffProjects(before: readonly ProjectFile[], after: readonly ProjectFile[]): ProjectChange[] {
+  const changes: ProjectChange[] = [];
+  const unmatchedBefore = new Map(before.map(file => [file.id, file]));
+  const unmatchedAfter = new Map(after.map(file => [file.id, file]));
+
+  const pair = (old: ProjectFile, now: ProjectFile) => {
+    unmatchedBefore.delete(old.id);
+    unmatchedAfter.delete(now.id);
+    if (old.path !== now.path) {
+      changes.push({ kind: 'renamed', path: now.path, previousPath: old.path, before: old, after: now });
+    } else if (old.content !== now.content) {
+      changes.push({ kind: 'modified', path: now.path, previousPath: null, before: old, after: now });
+    }
+  };
+
+  for (const old of before) {
+    const now = unmatchedAfter.get(old.id);
+    if (now) pair(old, now);
+  }
+
+  const afterByPath = new Map([...unmatchedAfter.values()].map(file => [file.path, file]));
+  for (const old of [...unmatchedBefore.values()]) {
+    const now = afterByPath.get(old.path);
+    if (now) pair(old, now);
+  }
+
+  const addedByContent = new Map<string, ProjectFile[]>();
+  for (const now of [...unmatchedAfter.values()].sort(byPath)) {
+    if (now.content === '') continue;
+    addedByContent.set(now.content, [...(addedByContent.get(now.content) ?? []), now]);
+  }
+  for (const old of [...unmatchedBefore.values()].sort(byPath)) {
+    const now = addedByContent.get(old.content)?.shift();
+    if (now) pair(old, now);
+  }
+
+  for (const old of unmatchedBefore.values()) {
+    changes.push({ kind: 'removed', path: old.path, previousPath: null, before: old, after: null });
+  }
+  for (const now of unmatchedAfter.values()) {
+    changes.push({ kind: 'added', path: now.path, previousPath: null, before: null, after: now });
+  }
+  return changes.sort(byPath);
+}
+
+/** An in-memory `CheckpointStore`, for tests. */
+export class MemoryCheckpointStore implements CheckpointStore {
+  #summaries = new Map<string, CheckpointSummary>();
+  #snapshots = new Map<string, WorkspaceSnapshot>();
+
+  async open(): Promise<void> {}
+
+  async list(): Promise<CheckpointSummary[]> {
+    return [...this.#summaries.values()];
+  }
+
+  async read(id: string): Promise<WorkspaceSnapshot | null> {
+    return this.#snapshots.get(id) ?? null;
+  }
+
+  async put(summary: CheckpointSummary, snapshot: WorkspaceSnapshot): Promise<void> {
+    this.#summaries.set(summary.id, summary);
+    this.#snapshots.set(summary.id, snapshot);
+  }
+
+  async remove(id: string): Promise<void> {
+    this.#summaries.delete(id);
+    this.#snapshots.delete(id);
+  }
+
+  async clear(): Promise<void> {
+    this.#summaries.clear();
+    this.#snapshots.clear();
+  }
+
+  close(): void {}
+}
+
+export interface WorkspaceCheckpointsOptions {
+  store: CheckpointStore;
+  service: WorkspaceService;
+  now?: () => number;
+  newId?: () => string;
+}
+
+function defaultNewId(): string {
+  return typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+    ? `checkpoint_${crypto.randomUUID()}`
+    : `checkpoint_${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export class WorkspaceCheckpoints {
+  #store: CheckpointStore;
+  #service: WorkspaceService;
+  #now: () => number;
+  #newId: () => string;
+
+  #summaries = new Map<string, CheckpointSummary>();
+  #subscriptions: Disposable[] = [];
+  #onDidChange = new Emitter<void>();
+
+  constructor(options: WorkspaceCheckpointsOptions) {
+    this.#store = options.store;
+    this.#service = options.service;
+    this.#now = options.now ?? (() => Date.now());
+    this.#newId = options.newId ?? defaultNewId;
+  }
+
+  /** A checkpoint was made, deleted, or the list was re-read. */
+  readonly onDidChange = (listener: () => void): Disposable => this.#onDidChange.event(listener);
+
+  async open(): Promise<void> {
+    this.#subscriptions.push(
+      this.#service.onDidChangeWorkspace(event => {
+        // A checkpoint restores the whole project in one step, which would undo
+        // Clear Cache outright; see 'clear' in WorkspaceChangeReason (service.ts).
+        if (event.reason !== 'clear') return;
+        this.#summaries.clear();
+        this.#onDidChange.fire();
+        this.#store.clear().catch(error => console.error('[checkpoints] Could not clear:', error));
+      }),
+    );
+    await this.#store.open();
+    await this.refresh();
+  }
+
+  /** Re-read the list: another tab on the same project may have made one. */
+  async refresh(): Promise<void> {
+    const summaries = await this.#store.list();
+    this.#summaries = new Map(summaries.map(summary => [summary.id, summary]));
+    this.#onDidChange.fire();
+  }
+
+  /** Every checkpoint, newest first. */
+  list(): CheckpointSummary[] {
+    return [...this.#summaries.values()].reverse().sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  get(id: string): CheckpointSummary | null {
+    return this.#summaries.get(id) ?? null;
+  }
+
+  /**
+   * Keep the project as it is now under this name.
+   *
+   * The snapshot is taken before the first `await`, including edits autosave has not
+   * written yet: it is the project the student is looking at when they name it.
+   */
+  async create(name: string): Promise<CheckpointSummary> {
+    const trimmed = name.trim();
+    if (!trimmed) throw new Error('A checkpoint needs a name');
+    const snapshot = this.#capture();
+    const summary: CheckpointSummary = {
+      id: this.#newId(),
+      name: trimmed,
+      createdAt: this.#now(),
+      files: snapshot.files.length,
+      bytes: snapshot.files.reduce((total, file) => total + file.content.length * 2, 0),
+    };
+    await this.#store.put(summary, snapshot);
+    this.#summaries.set(summary.id, summary);
+    this.#onDidChange.fire();
+    return summary;
+  }
+
+  async remove(id: string): Promise<void> {
+    await this.#store.remove(id);
+    this.#summaries.delete(id);
+    this.#onDidChange.fire();
+  }
+
+  /** What changed since the checkpoint, or null when it no longer exists. */
+  async compare(id: string): Promise<ProjectChange[] | null> {
+    const snapshot = await this.#store.read(id);
+    if (!snapshot) return null;
+    return diffProjects(snapshotFiles(snapshot), this.#currentFiles());
+  }
+
+  /**
+   * Put one file back as the checkpoint had it: its content, and its old path if it
+   * was renamed. A file added since is removed. Everything else stays as it is now.
+   *
+   * `path` is the change's `path` - where the file is now, or where a removed file
+   * was. The comparison is made again here rather than trusted from the caller: the
+   * project may have changed since it was shown.
+   */
+  async restoreFile(id: string, path: string): Promise<ReplaceAllResult> {
+    const snapshot = await this.#require(id);
+    const change = diffProjects(snapshotFiles(snapshot), this.#currentFiles()).find(
+      candidate => candidate.path === path,
+    );
+    if (!change) throw new Error(`${path} is already as it was at the checkpoint`);
+
+    const files = new Map(this.#currentFiles().map(file => [file.path, file]));
+    if (change.after) files.delete(change.after.path);
+    if (change.before) {
+      const occupant = files.get(change.before.path);
+      if (occupant) {
+        throw new Error(`Cannot put ${change.before.path} back: another file is there now`);
+      }
+      files.set(change.before.path, change.before);
+    }
+    const folders = this.#service.allFolders().flatMap(folder => this.#service.pathOf(folder.id) ?? []);
+    return this.#replace([...files.values()], folders);
+  }
+
+  /**
+   * Put the whole project back as the checkpoint had it, in one commit.
+   *
+   * The project as it is now is kept first, as a checkpoint named after this one.
+   */
+  async restoreAll(id: string): Promise<ReplaceAllResult> {
+    const snapshot = await this.#require(id);
+    const name = this.#summaries.get(id)?.name ?? 'a checkpoint';
+    await this.create(`Before restoring "${name}"`);
+    return this.#replace(snapshotFiles(snapshot), folderPaths(snapshot.folders));
+  }
+
+  dispose(): void {
+    for (const subscription of this.#subscriptions) subscription.dispose();
+    this.#subscriptions = [];
+    this.#onDidChange.dispose();
+    this.#store.close();
+  }
+
+  // ===== internals =====
+
+  #capture(): WorkspaceSnapshot {
+    return {
+      files: this.#service.allDocuments().map(document => ({ ...document.metadata, content: document.getContent() })),
+      folders: this.#service.allFolders(),
+      state: this.#service.state,
+    };
+  }
+
+  #currentFiles(): ProjectFile[] {
+    return this.#service.allDocuments().map(document => ({
+      id: document.id,
+      path: this.#service.pathOf(document.id) ?? document.name,
+      language: document.language,
+      version: document.version,
+      order: document.metadata.order,
+      content: document.getContent(),
+    }));
+  }
+
+  async #require(id: string): Promise<WorkspaceSnapshot> {
+    const snapshot = await this.#store.read(id);
+    if (!snapshot) throw new Error('That checkpoint no longer exists');
+    return snapshot;
+  }
+
+  #replace(files: readonly ProjectFile[], folders: readonly string[]): Promise<ReplaceAllResult> {
+    // In `order`, which `replaceAll` renumbers from the position it is given.
+    const ordered = [...files].sort((a, b) => a.order - b.order);
+    const languages = new Map(ordered.map(file => [file.path, { id: file.language, version: file.version }]));
+    return this.#service.replaceAll(
+      ordered.map(file => ({ path: file.path, content: file.content })),
+      {
+        resolve: (_fileName, _explicitLanguage, path) => languages.get(path)!,
+        folders,
+      },
+    );
+  }
+}
+
+function folderPaths(folders: readonly FolderMetadata[]): string[] {
+  const tree = buildTree({ files: [], folders });
+  return folders.flatMap(folder => tree.pathById.get(folder.id) ?? []);
+}
@@ -43,3 +43,39 @@ export async function digestToken(bytes: Uint8Array): Promise<string | null> {
     return null;
   }
 }
+
+/**
+ * One digest for a whole project: what a report of "Check my work" says it ran against.
+ *
+ * The bytes hashed are the UTF-8 of `JSON.stringify([[path, content], ...])`, sorted by
+ * path in code-unit order - not `localeCompare`, whose order depends on the browser's
+ * locale, when a host must be able to recompute the same token from the files it sent.
+ * JSON rather than joined text because no separator is safe inside file content.
+ *
+ * Null wherever `digestToken` is: no secure context, no digest.
+ */
+export async function snapshotDigest(files: ReadonlyArray<{ path: string; content: string }>): Promise<string | null> {
+  const entries = files
+    .map(file => [file.path, file.content] as const)
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return digestToken(new TextEncoder().encode(JSON.stringify(entries)));
+}
+
+/**
+ * A git object id, in a repository made with `git init --object-format=sha256`: the
+ * SHA-256 of `"<type> <size>\0"` followed by the body, as 64 hex digits.
+ *
+ * The same digest as `digestToken`, over git's framing of the bytes rather than the
+ * bytes alone - so a blob's name here is the name real `git hash-object` gives the
+ * same file, and a `.git` directory written from these ids is one git can read.
+ *
+ * Null wherever `digestToken` is.
+ */
+export async function gitObjectId(type: 'blob' | 'tree' | 'commit', body: Uint8Array): Promise<string | null> {
+  const header = new TextEncoder().encode(`${type} ${body.length}\0`);
+  const framed = new Uint8Array(header.length + body.length);
+  framed.set(header);
+  framed.set(body, header.length);
+  const token = await digestToken(framed);
+  return token ? token.slice(ALGORITHM.length + 1) : null;
+}
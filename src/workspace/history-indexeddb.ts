@@ -0,0 +1,140 @@
+/**
+ * IndexedDB implementation of HistoryStore.
+ *
+ * **A database of its own.** History lives in `<workspace database>-history`, not in
+ * a new store inside `BrowserCoderDB`. Adding a store would mean raising DB_VERSION,
+ * and the workspace database's version is held at 2 so that reverting this branch
+ * leaves a workspace the previous code can still open (see `store-indexeddb.ts`).
+ * Blueprint section 9.3 asks for new schema to go into a new physical database for
+ * the same reason. The cost is that a version and the save it records are two
+ * transactions on two databases - which is fine, because history is a copy: losing
+ * one version loses nothing the workspace still has.
+ *
+ * **Entries and contents are separate stores**, written in one transaction. Opening
+ * the timeline lists entries; only the version being looked at is read in full.
+ */
+
+import type { HistoryEntry, HistoryStore } from './history.ts';
+
+const DB_VERSION = 1;
+const ENTRIES_STORE = 'entries';
+const CONTENTS_STORE = 'contents';
+
+function promisify<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error ?? new Error('IndexedDB request failed'));
+  });
+}
+
+function transactionDone(transaction: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error ?? new Error('IndexedDB transaction failed'));
+    transaction.onabort = () => reject(transaction.error ?? new Error('IndexedDB transaction aborted'));
+  });
+}
+
+/** The history database that goes with a workspace database. */
+export function historyDatabaseName(workspaceDatabaseName: string): string {
+  return `${workspaceDatabaseName}-history`;
+}
+
+export class IndexedDbHistoryStore implements HistoryStore {
+  #databaseName: string;
+  #db: IDBDatabase | null = null;
+  #opening: Promise<void> | null = null;
+
+  constructor(workspaceDatabaseName: string) {
+    this.#databaseName = historyDatabaseName(workspaceDatabaseName);
+  }
+
+  get databaseName(): string {
+    return this.#databaseName;
+  }
+
+  open(): Promise<void> {
+    if (this.#db) return Promise.resolve();
+    if (this.#opening) return this.#opening;
+
+    this.#opening = new Promise<void>((resolve, reject) => {
+      const request = indexedDB.open(this.#databaseName, DB_VERSION);
+
+      request.onerror = () => reject(request.error ?? new Error('Could not open the history database'));
+
+      request.onsuccess = () => {
+        this.#db = request.result;
+        this.#db.onversionchange = () => this.close();
+        resolve();
+      };
+
+      request.onupgradeneeded = event => {
+        const db = (event.target as IDBOpenDBRequest).result;
+        if (!db.objectStoreNames.contains(ENTRIES_STORE)) {
+          const entries = db.createObjectStore(ENTRIES_STORE, { keyPath: 'id' });
+          entries.createIndex('documentId', 'documentId', { unique: false });
+        }
+        if (!db.objectStoreNames.contains(CONTENTS_STORE)) {
+          db.createObjectStore(CONTENTS_STORE, { keyPath: 'id' });
+        }
+      };
+    }).finally(() => {
+      this.#opening = null;
+    });
+
+    return this.#opening;
+  }
+
+  close(): void {
+    this.#db?.close();
+    this.#db = null;
+  }
+
+  async list(): Promise<HistoryEntry[]> {
+    const db = await this.#require();
+    const transaction = db.transaction(ENTRIES_STORE, 'readonly');
+    return promisify<HistoryEntry[]>(transaction.objectStore(ENTRIES_STORE).getAll());
+  }
+
+  async read(id: string): Promise<string | null> {
+    const db = await this.#require();
+    const transaction = db.transaction(CONTENTS_STORE, 'readonly');
+    const row = await promisify<{ id: string; content: string } | undefined>(
+      transaction.objectStore(CONTENTS_STORE).get(id),
+    );
+    return row?.content ?? null;
+  }
+
+  async put(entry: HistoryEntry, content: string): Promise<void> {
+    const db = await this.#require();
+    const transaction = db.transaction([ENTRIES_STORE, CONTENTS_STORE], 'readwrite');
+    transaction.objectStore(ENTRIES_STORE).put(entry);
+    transaction.objectStore(CONTENTS_STORE).put({ id: entry.id, content });
+    await transactionDone(transaction);
+  }
+
+  async remove(ids: readonly string[]): Promise<void> {
+    if (ids.length === 0) return;
+    const db = await this.#require();
+    const transaction = db.transaction([ENTRIES_STORE, CONTENTS_STORE], 'readwrite');
+    for (const id of ids) {
+      transaction.objectStore(ENTRIES_STORE).delete(id);
+      transaction.objectStore(CONTENTS_STORE).delete(id);
+    }
+    await transactionDone(transaction);
+  }
+
+  async clear(): Promise<void> {
+    const db = await this.#require();
+    const transaction = db.transaction([ENTRIES_STORE, CONTENTS_STORE], 'readwrite');
+    transaction.objectStore(ENTRIES_STORE).clear();
+    transaction.objectStore(CONTENTS_STORE).clear();
+    await transactionDone(transaction);
+  }
+
+  async #require(): Promise<IDBDatabase> {
+    await this.open();
+    if (!this.#db) throw new Error('The history database is not open');
+    return this.#db;
+  }
+}
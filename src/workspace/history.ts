@@ -0,0 +1,551 @@
+/**
+ * Local history - earlier versions of each file, kept in the browser.
+ *
+ * `WorkspaceService` holds one version of each document: the current one. Storage
+ * holds the same one. So an accidental delete, or a find-and-replace that went
+ * wrong, was final the moment autosave wrote it, and a reload made it final for
+ * certain. Blueprint sections 9.3 and 9.4 ask for bounded previous revisions and a
+ * recycle bin holding exact content; this is both, per document.
+ *
+ * ## What is recorded, and when
+ *
+ * - **Each file as it was opened**: when the workspace loads, and when a file arrives
+ *   by being created, imported or sent by the host. Without it, the first save after
+ *   a bad edit would be the oldest version there is, and the file before the edit
+ *   would be exactly what could not be brought back.
+ * - **Every committed save**, from `PersistenceCoordinator.onDidSave`. Saves close
+ *   together are one version: autosave writes a second after each pause in typing,
+ *   and a version per pause would be a timeline nobody can read. A save within
+ *   `coalesceMs` of the start of the current burst replaces the burst's version, so
+ *   the most that is ever lost between two versions is that much typing. Only a
+ *   version this session recorded from saves is replaced, and only until anything
+ *   else is recorded for the file: the version a checkpoint or a restore found
+ *   already current is one a student may come back for, and the next save must not
+ *   write over it.
+ * - **Checkpoints** a caller asks for, at the moments a student later looks for: a
+ *   run, an import, a host's `set-files`, and a restore - so that restoring is itself
+ *   undoable.
+ * - **A delete**, from `WorkspaceService.onWillDeleteDocuments`. The last version of
+ *   a deleted file is what "Restore a deleted file" brings back.
+ *
+ * A version whose content matches the one before it is not recorded, apart from a
+ * delete: a checkpoint before every run would otherwise fill the budget with copies.
+ *
+ * ## Capture now, write later
+ *
+ * `checkpoint` copies every document's content before its first `await`. A
+ * checkpoint "before the run" is the workspace as it was when the student pressed
+ * Run, not as it was when IndexedDB got round to the write; the same holds for a
+ * delete, whose buffers are disposed right after the event. The writes then go
+ * through one queue, so coalescing always compares against the version that really
+ * is the latest.
+ *
+ * ## Bounded by bytes
+ *
+ * Section 9.5: prune "by byte budget, never merely by item count". `planPrune` keeps
+ * each document's newest version whatever it costs, drops a document's oldest
+ * versions past its own share, then the oldest anywhere past the total. A file that
+ * no longer exists loses even its last version before a live file loses its own.
+ *
+ * No DOM, no IndexedDB - the store is a port, like `WorkspaceStore`, so all of the
+ * above is tested in node.
+ */
+
+import { Emitter } from './emitter.ts';
+import type { WorkspaceDocument } from './document.ts';
+import type { WorkspaceService } from './service.ts';
+import type { Disposable, DocumentId, FolderId } from './types.ts';
+
+export type HistoryReason = 'open' | 'save' | 'run' | 'import' | 'host-replace' | 'delete' | 'restore';
+
+export interface HistoryEntry {
+  readonly id: string;
+  readonly documentId: DocumentId;
+  /** Where the file was when this was recorded. A deleted file has no other path. */
+  readonly path: string;
+  readonly language: string;
+  readonly version: string;
+  readonly reason: HistoryReason;
+  readonly createdAt: number;
+  /** When the burst of saves this version stands for began; `createdAt` otherwise. */
+  readonly since: number;
+  /** What the content costs to keep: two bytes per UTF-16 code unit, as IndexedDB stores it. */
+  readonly bytes: number;
+  /** FNV-1a of the content. Equal fingerprints are confirmed against the content itself. */
+  readonly fingerprint: string;
+}
+
+/** The persistence port. Content is kept apart, so listing reads no file bodies. */
+export interface HistoryStore {
+  open(): Promise<void>;
+  list(): Promise<HistoryEntry[]>;
+  read(id: string): Promise<string | null>;
+  /** Add the version, or replace the one with the same id - entry and content together. */
+  put(entry: HistoryEntry, content: string): Promise<void>;
+  remove(ids: readonly string[]): Promise<void>;
+  clear(): Promise<void>;
+  close(): void;
+}
+
+export interface HistoryBudget {
+  /** Every version of every file, together. */
+  readonly maxBytes: number;
+  /** One file's versions, apart from its newest. */
+  readonly maxDocumentBytes: number;
+  /** Saves closer together than this are one version. */
+  readonly coalesceMs: number;
+}
+
+export const DEFAULT_HISTORY_BUDGET: HistoryBudget = {
+  maxBytes: 20 * 1024 * 1024,
+  maxDocumentBytes: 2 * 1024 * 1024,
+  coalesceMs: 60_000,
+};
+
+const REASON_LABELS: Record<HistoryReason, string> = {
+  open: 'As opened',
+  save: 'Saved',
+  run: 'Before run',
+  import: 'Before import',
+  'host-replace': 'Before the project was replaced',
+  delete: 'Deleted',
+  restore: 'Before restore',
+};
+
+export function describeReason(reason: HistoryReason): string {
+  return REASON_LABELS[reason];
+}
+
+/** A row in the timeline: what the version is, and how long ago. */
+export function describeVersion(entry: HistoryEntry, now: number): string {
+  const seconds = Math.max(0, Math.round((now - entry.createdAt) / 1000));
+  const age =
+    seconds < 45 ? 'just now'
+    : seconds < 3600 ? `${Math.max(1, Math.round(seconds / 60))} min ago`
+    : seconds < 86_400 ? `${Math.round(seconds / 3600)} h ago`
+    : new Date(entry.createdAt).toLocaleString();
+  return `${describeReason(entry.reason)} · ${age}`;
+}
+
+export function contentBytes(content: string): number {
+  return content.length * 2;
+}
+
+export function fingerprint(content: string): string {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < content.length; index++) {
+    hash ^= content.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Which versions to drop so what is left fits the budget.
+ *
+ * `live` is the documents that still exist. Returned oldest first; pure, so the
+ * rules in the header are asserted directly.
+ */
+export function planPrune(
+  entries: readonly HistoryEntry[],
+  live: ReadonlySet<DocumentId>,
+  budget: Pick<HistoryBudget, 'maxBytes' | 'maxDocumentBytes'> = DEFAULT_HISTORY_BUDGET,
+): string[] {
+  const byDocument = new Map<DocumentId, HistoryEntry[]>();
+  for (const entry of entries) {
+    const list = byDocument.get(entry.documentId) ?? [];
+    list.push(entry);
+    byDocument.set(entry.documentId, list);
+  }
+
+  const dropped = new Set<string>();
+  const newest = new Set<string>();
+  for (const list of byDocument.values()) {
+    list.sort((a, b) => b.createdAt - a.createdAt);
+    newest.add(list[0].id);
+    let used = 0;
+    for (const entry of list.slice(1)) {
+      used += entry.bytes;
+      if (used > budget.maxDocumentBytes) dropped.add(entry.id);
+    }
+  }
+
+  let total = entries.reduce((sum, entry) => sum + (dropped.has(entry.id) ? 0 : entry.bytes), 0);
+  const oldestFirst = [...entries].sort((a, b) => a.createdAt - b.createdAt);
+  const tiers = [
+    (entry: HistoryEntry) => !newest.has(entry.id),
+    (entry: HistoryEntry) => !live.has(entry.documentId),
+  ];
+  for (const droppable of tiers) {
+    for (const entry of oldestFirst) {
+      if (total <= budget.maxBytes) break;
+      if (dropped.has(entry.id) || !droppable(entry)) continue;
+      dropped.add(entry.id);
+      total -= entry.bytes;
+    }
+  }
+
+  return oldestFirst.filter(entry => dropped.has(entry.id)).map(entry => entry.id);
+}
+
+/**
+ * What to tell the student about browser storage, or null while there is room.
+ *
+ * From `navigator.storage.estimate()`, which is an estimate - and absent outside a
+ * secure context, which is why a missing quota is "nothing to say" and not zero.
+ */
+export function storagePressureWarning(
+  estimate: { usage?: number; quota?: number } | null | undefined,
+  threshold = 0.8,
+): string | null {
+  const usage = estimate?.usage;
+  const quota = estimate?.quota;
+  if (!usage || !quota || usage / quota < threshold) return null;
+  const megabytes = (bytes: number) => `${Math.round(bytes / (1024 * 1024))} MB`;
+  return (
+    `Browser storage is ${Math.round((usage / quota) * 100)}% full ` +
+    `(${megabytes(usage)} of ${megabytes(quota)}). ` +
+    'If it fills up, saving stops working; download the project to keep a copy of your work.'
+  );
+}
+
+/** An in-memory `HistoryStore`, for tests. */
+export class MemoryHistoryStore implements HistoryStore {
+  #entries = new Map<string, HistoryEntry>();
+  #contents = new Map<string, string>();
+
+  async open(): Promise<void> {}
+
+  async list(): Promise<HistoryEntry[]> {
+    return [...this.#entries.values()];
+  }
+
+  async read(id: string): Promise<string | null> {
+    return this.#contents.get(id) ?? null;
+  }
+
+  async put(entry: HistoryEntry, content: string): Promise<void> {
+    this.#entries.set(entry.id, entry);
+    this.#contents.set(entry.id, content);
+  }
+
+  async remove(ids: readonly string[]): Promise<void> {
+    for (const id of ids) {
+      this.#entries.delete(id);
+      this.#contents.delete(id);
+    }
+  }
+
+  async clear(): Promise<void> {
+    this.#entries.clear();
+    this.#contents.clear();
+  }
+
+  close(): void {}
+}
+
+export interface LocalHistoryOptions {
+  store: HistoryStore;
+  service: WorkspaceService;
+  budget?: Partial<HistoryBudget>;
+  now?: () => number;
+  newId?: () => string;
+  /**
+   * Whether this tab records at all. A read-only tab (section 9.5) shares the
+   * writer's history database and has nothing of its own to add to it.
+   */
+  canRecord?: () => boolean;
+}
+
+/** One document's content at the moment it was captured. */
+interface Capture {
+  readonly documentId: DocumentId;
+  readonly path: string;
+  readonly language: string;
+  readonly version: string;
+  readonly content: string;
+}
+
+function defaultNewId(): string {
+  return typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+    ? `history_${crypto.randomUUID()}`
+    : `history_${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export class LocalHistory {
+  #store: HistoryStore;
+  #service: WorkspaceService;
+  #budget: HistoryBudget;
+  #now: () => number;
+  #newId: () => string;
+  #canRecord: () => boolean;
+
+  #entries = new Map<string, HistoryEntry>();
+  /** Save versions that later saves may still replace: see "What is recorded". */
+  #growing = new Set<string>();
+  #queue: Promise<void> = Promise.resolve();
+  #subscriptions: Disposable[] = [];
+  #onDidChange = new Emitter<readonly DocumentId[]>();
+
+  constructor(options: LocalHistoryOptions) {
+    this.#store = options.store;
+    this.#service = options.service;
+    this.#budget = { ...DEFAULT_HISTORY_BUDGET, ...options.budget };
+    this.#now = options.now ?? (() => Date.now());
+    this.#newId = options.newId ?? defaultNewId;
+    this.#canRecord = options.canRecord ?? (() => true);
+  }
+
+  /** The documents whose versions changed: recorded, pruned, or cleared. */
+  readonly onDidChange = (listener: (documentIds: readonly DocumentId[]) => void): Disposable =>
+    this.#onDidChange.event(listener);
+
+  /**
+   * Load the index, start listening, and record each file as it was opened. Anything
+   * captured before the load finishes waits in the queue behind it.
+   */
+  open(): Promise<void> {
+    this.#subscriptions.push(
+      this.#service.persistence.onDidSave(event => {
+        if (event.outcome.status !== 'saved') return;
+        const document = this.#service.getDocument(event.documentId);
+        // Dirty again already: the buffer is past the revision that was saved, and
+        // the next save records that.
+        if (document && !document.isDirty) this.#background(this.#enqueue([this.#capture(document)], 'save'));
+      }),
+      this.#service.onWillDeleteDocuments(event => {
+        this.#background(this.#enqueue(event.documents.map(document => this.#capture(document)), 'delete'));
+      }),
+      this.#service.onDidChangeWorkspace(event => {
+        // Every revision kept here is a copy of a file that was just deleted; see
+        // 'clear' in WorkspaceChangeReason (service.ts).
+        if (event.reason === 'clear') this.#background(this.#run(() => this.#clear()));
+        if (event.reason === 'create' || event.reason === 'replace-all') {
+          this.#background(this.checkpoint('open', event.affected));
+        }
+      }),
+    );
+
+    this.#background(
+      this.#run(async () => {
+        await this.#store.open();
+        for (const entry of await this.#store.list()) this.#entries.set(entry.id, entry);
+      }),
+    );
+    // Unchanged files are skipped, so on a workspace whose history is current this
+    // reads each latest version once and writes nothing.
+    const opened = this.checkpoint('open');
+    this.#background(opened);
+    return opened.then(() => {});
+  }
+
+  /**
+   * Record the current content of these documents (all of them by default).
+   *
+   * Resolves once written, with how many versions were new.
+   */
+  checkpoint(reason: HistoryReason, documentIds?: readonly DocumentId[]): Promise<number> {
+    const documents = documentIds
+      ? documentIds.flatMap(id => this.#service.getDocument(id) ?? [])
+      : this.#service.allDocuments();
+    return this.#enqueue(documents.map(document => this.#capture(document)), reason);
+  }
+
+  /** A document's versions, newest first. */
+  versionsOf(documentId: DocumentId): HistoryEntry[] {
+    // Reversed before the (stable) sort: two versions in the same millisecond are
+    // in the order they were recorded, which is the map's.
+    return [...this.#entries.values()]
+      .filter(entry => entry.documentId === documentId)
+      .reverse()
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /** The last version of each file that no longer exists, most recently deleted first. */
+  deletedDocuments(): HistoryEntry[] {
+    const latest = new Map<DocumentId, HistoryEntry>();
+    for (const entry of this.#entries.values()) {
+      if (this.#service.getDocument(entry.documentId)) continue;
+      const current = latest.get(entry.documentId);
+      if (!current || entry.createdAt >= current.createdAt) latest.set(entry.documentId, entry);
+    }
+    return [...latest.values()].sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  content(entryId: string): Promise<string | null> {
+    return this.#store.read(entryId);
+  }
+
+  /**
+   * Put a version back.
+   *
+   * Into its own document when that still exists, after recording what it held -
+   * so a restore can be undone from the same timeline. Otherwise as a new file at
+   * the path it had, recreating the folders on the way; the name may gain a suffix
+   * if something else has taken it since. Returns the document, or null when the
+   * version is gone.
+   */
+  async restore(entryId: string): Promise<WorkspaceDocument | null> {
+    const entry = this.#entries.get(entryId);
+    const content = entry ? await this.#store.read(entryId) : null;
+    if (!entry || content === null) return null;
+
+    const existing = this.#service.getDocument(entry.documentId);
+    if (existing) {
+      await this.checkpoint('restore', [existing.id]);
+      existing.setContent(content);
+      await this.#service.flush(existing.id);
+      return existing;
+    }
+
+    const segments = entry.path.split('/').filter(Boolean);
+    const name = segments.pop() ?? entry.path;
+    const parentId = await this.#ensureFolders(segments);
+    const document = await this.#service.createDocument({
+      name,
+      parentId,
+      language: entry.language,
+      version: entry.version,
+      content,
+      isUserModified: true,
+    });
+    // The file is back under a new id. Its versions move with it, so its timeline
+    // carries on and it stops being listed as deleted.
+    await this.#run(() => this.#adopt(entry.documentId, document.id));
+    return document;
+  }
+
+  dispose(): void {
+    for (const subscription of this.#subscriptions) subscription.dispose();
+    this.#subscriptions = [];
+    this.#onDidChange.dispose();
+    this.#store.close();
+  }
+
+  // ===== internals =====
+
+  #capture(document: WorkspaceDocument): Capture {
+    return {
+      documentId: document.id,
+      path: this.#service.pathOf(document.id) ?? document.name,
+      language: document.language,
+      version: document.version,
+      content: document.getContent(),
+    };
+  }
+
+  /** Work nobody waits for. `#run` has already logged a failure. */
+  #background(work: Promise<unknown>): void {
+    work.catch(() => {});
+  }
+
+  #run(task: () => Promise<void>): Promise<void> {
+    const next = this.#queue.then(task);
+    // The queue must survive a failed write, or one quota error ends history for
+    // the session. The failure is logged here, once; a caller that waits still sees it.
+    this.#queue = next.catch(error => console.error('[history] Could not record a version:', error));
+    return next;
+  }
+
+  #enqueue(captures: readonly Capture[], reason: HistoryReason): Promise<number> {
+    if (captures.length === 0 || !this.#canRecord()) return Promise.resolve(0);
+    let recorded = 0;
+    return this.#run(async () => {
+      const changed: DocumentId[] = [];
+      for (const capture of captures) {
+        if (await this.#record(capture, reason)) changed.push(capture.documentId);
+      }
+      recorded = changed.length;
+      if (changed.length === 0) return;
+      changed.push(...(await this.#prune()));
+      this.#onDidChange.fire([...new Set(changed)]);
+    }).then(() => recorded);
+  }
+
+  async #record(capture: Capture, reason: HistoryReason): Promise<boolean> {
+    const latest = this.versionsOf(capture.documentId)[0];
+    const print = fingerprint(capture.content);
+    // A delete is recorded whatever it holds: it is the file's tombstone, the version
+    // "Restore a deleted file" lists, under the path it had when it went.
+    if (
+      reason !== 'delete' &&
+      latest &&
+      latest.fingerprint === print &&
+      latest.path === capture.path &&
+      (await this.#store.read(latest.id)) === capture.content
+    ) {
+      if (reason !== 'save') this.#growing.delete(latest.id);
+      return false;
+    }
+
+    const now = this.#now();
+    const coalesce =
+      reason === 'save' &&
+      latest !== undefined &&
+      this.#growing.has(latest.id) &&
+      now - latest.since < this.#budget.coalesceMs;
+    const entry: HistoryEntry = {
+      id: coalesce ? latest.id : this.#newId(),
+      documentId: capture.documentId,
+      path: capture.path,
+      language: capture.language,
+      version: capture.version,
+      reason,
+      createdAt: now,
+      since: coalesce ? latest.since : now,
+      bytes: contentBytes(capture.content),
+      fingerprint: print,
+    };
+    await this.#store.put(entry, capture.content);
+    // Re-inserted rather than updated in place, so a coalesced version is the newest.
+    this.#entries.delete(entry.id);
+    this.#entries.set(entry.id, entry);
+    if (reason === 'save') this.#growing.add(entry.id);
+    return true;
+  }
+
+  async #prune(): Promise<DocumentId[]> {
+    const live = new Set(this.#service.allDocuments().map(document => document.id));
+    const doomed = planPrune([...this.#entries.values()], live, this.#budget);
+    if (doomed.length === 0) return [];
+    await this.#store.remove(doomed);
+    const affected = doomed.flatMap(id => this.#entries.get(id)?.documentId ?? []);
+    for (const id of doomed) {
+      this.#entries.delete(id);
+      this.#growing.delete(id);
+    }
+    return affected;
+  }
+
+  async #clear(): Promise<void> {
+    const affected = [...new Set([...this.#entries.values()].map(entry => entry.documentId))];
+    await this.#store.clear();
+    this.#entries.clear();
+    this.#growing.clear();
+    if (affected.length > 0) this.#onDidChange.fire(affected);
+  }
+
+  async #adopt(from: DocumentId, to: DocumentId): Promise<void> {
+    const moved = [...this.#entries.values()].filter(entry => entry.documentId === from);
+    for (const entry of moved) {
+      const content = await this.#store.read(entry.id);
+      if (content === null) continue;
+      const adopted = { ...entry, documentId: to };
+      await this.#store.put(adopted, content);
+      this.#entries.set(adopted.id, adopted);
+    }
+    if (moved.length > 0) this.#onDidChange.fire([from, to]);
+  }
+
+  /** The folder at this chain of names, creating whatever part of it is missing. */
+  async #ensureFolders(segments: readonly string[]): Promise<FolderId | null> {
+    let parentId: FolderId | null = null;
+    for (const segment of segments) {
+      const existing = this.#service.allFolders().find(
+        folder => folder.parentId === parentId && folder.name === segment,
+      );
+      parentId = existing ? existing.id : (await this.#service.createFolder(segment, parentId)).id;
+    }
+    return parentId;
+  }
+}
@@ -15,7 +15,19 @@ export { MemoryBuffer } from './buffer.ts';
 export { WorkspaceDocument } from './document.ts';
 export { PersistenceCoordinator } from './persistence.ts';
 export { WorkspaceService } from './service.ts';
-export { IndexedDbWorkspaceStore } from './store-indexeddb.ts';
+export {
+  IndexedDbWorkspaceStore, LEGACY_WORKSPACE_DATABASE, projectDatabaseName, workspaceDatabaseExists,
+} from './store-indexeddb.ts';
+export { IndexedDbHistoryStore, historyDatabaseName } from './history-indexeddb.ts';
+export { LocalHistory, describeReason, storagePressureWarning } from './history.ts';
+export { IndexedDbCheckpointStore, checkpointDatabaseName } from './checkpoints-indexeddb.ts';
+export { WorkspaceCheckpoints, describeChange, diffProjects } from './checkpoints.ts';
+export { IndexedDbProjectRegistry, deleteProjectDatabases } from './projects-indexeddb.ts';
+export { ProjectManager, ProjectMigrationError } from './projects.ts';
+export { IndexedDbVcsStore, vcsDatabaseName } from './vcs-indexeddb.ts';
+export { VersionControl } from './vcs.ts';
+export { StaleWriterError } from './store.ts';
+export { WriterLease } from './writer-lease.ts';
 export { MonacoBuffer } from './monaco/buffer.ts';
 export { MonacoModelRegistry } from './monaco/model-registry.ts';
 export { buildTree, findCollisions, sortEntriesForDisplay, uniqueName } from './tree.ts';
@@ -24,6 +36,11 @@ export { DisposableStore, Emitter } from './emitter.ts';
 export type { WorkingCopyBuffer } from './buffer.ts';
 export type { WorkspaceStore, WorkspaceSnapshot } from './store.ts';
 export type { HostFile, ReplaceAllResult, WorkspaceChangeEvent } from './service.ts';
+export type { LeaseRole } from './writer-lease.ts';
+export type { HistoryEntry, HistoryReason } from './history.ts';
+export type { CheckpointSummary, ProjectChange, ProjectChangeKind } from './checkpoints.ts';
+export type { ProjectRecord } from './projects.ts';
+export type { BranchInfo, CommitRecord, MergeOutcome } from './vcs.ts';
 export type {
   Disposable,
   DocumentId,
@@ -40,6 +40,7 @@
 
 import { Emitter } from './emitter.ts';
 import type { WorkspaceDocument } from './document.ts';
+import { StaleWriterError } from './store.ts';
 import type { WorkspaceStore } from './store.ts';
 import type { Disposable, DocumentId, SaveOutcome } from './types.ts';
 
@@ -252,6 +253,11 @@ export class PersistenceCoordinator {
       } catch (error) {
         const failure = error instanceof Error ? error : new Error(String(error));
         this.#lastError.set(document.id, failure);
+        // Another tab took the workspace (blueprint section 9.5). Unlike a full disk
+        // this does not pass: every document's next write would be refused the same
+        // way, so stop writing altogether until this tab is the writer again and
+        // whoever wires the lease calls `resume`.
+        if (failure instanceof StaleWriterError) this.suspend();
         // Deliberately does NOT mark saved, so the document stays dirty and the
         // next trigger retries. Returning instead of looping avoids turning a
         // persistent failure (a storage quota, say) into a spin.
@@ -0,0 +1,160 @@
+/**
+ * IndexedDB implementation of ProjectRegistryStore.
+ *
+ * The registry is a database of its own, `BrowserCoderProjects`, at version 1. Not a
+ * store inside `BrowserCoderDB`: that would raise its version, and a rollback could no
+ * longer open the database the migration deliberately left untouched (blueprint
+ * section 9.7, step 6). The reasoning is the one `history-indexeddb.ts` gives for its
+ * own database.
+ *
+ * Two stores: `projects`, one record per project, and `migrationMetadata`, one row
+ * saying how far the copy of the old database got. `activate` writes a project and
+ * that row in one transaction, which is what makes the migration's last step atomic.
+ */
+
+import { checkpointDatabaseName } from './checkpoints-indexeddb.ts';
+import { historyDatabaseName } from './history-indexeddb.ts';
+import { vcsDatabaseName } from './vcs-indexeddb.ts';
+import type { MigrationRecord, ProjectRecord, ProjectRegistryStore } from './projects.ts';
+
+const REGISTRY_DB_NAME = 'BrowserCoderProjects';
+const DB_VERSION = 1;
+const PROJECTS_STORE = 'projects';
+const MIGRATION_STORE = 'migrationMetadata';
+const MIGRATION_KEY = 'workspace';
+
+function promisify<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error ?? new Error('IndexedDB request failed'));
+  });
+}
+
+function transactionDone(transaction: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error ?? new Error('IndexedDB transaction failed'));
+    transaction.onabort = () => reject(transaction.error ?? new Error('IndexedDB transaction aborted'));
+  });
+}
+
+function deleteDatabase(name: string): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(name);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error ?? new Error(`Could not delete ${name}`));
+  });
+}
+
+/**
+ * A project's workspace database, and its history, checkpoint and version control
+ * databases with it.
+ */
+export async function deleteProjectDatabases(workspaceDatabaseName: string): Promise<void> {
+  await Promise.all([
+    deleteDatabase(workspaceDatabaseName),
+    deleteDatabase(historyDatabaseName(workspaceDatabaseName)),
+    deleteDatabase(checkpointDatabaseName(workspaceDatabaseName)),
+    deleteDatabase(vcsDatabaseName(workspaceDatabaseName)),
+  ]);
+}
+
+export class IndexedDbProjectRegistry implements ProjectRegistryStore {
+  #databaseName: string;
+  #db: IDBDatabase | null = null;
+  #opening: Promise<void> | null = null;
+
+  constructor(databaseName: string = REGISTRY_DB_NAME) {
+    this.#databaseName = databaseName;
+  }
+
+  get databaseName(): string {
+    return this.#databaseName;
+  }
+
+  open(): Promise<void> {
+    if (this.#db) return Promise.resolve();
+    if (this.#opening) return this.#opening;
+
+    this.#opening = new Promise<void>((resolve, reject) => {
+      const request = indexedDB.open(this.#databaseName, DB_VERSION);
+
+      request.onerror = () => reject(request.error ?? new Error('Could not open the project registry'));
+
+      request.onsuccess = () => {
+        this.#db = request.result;
+        this.#db.onversionchange = () => this.close();
+        resolve();
+      };
+
+      request.onupgradeneeded = event => {
+        const db = (event.target as IDBOpenDBRequest).result;
+        if (!db.objectStoreNames.contains(PROJECTS_STORE)) {
+          db.createObjectStore(PROJECTS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(MIGRATION_STORE)) {
+          db.createObjectStore(MIGRATION_STORE, { keyPath: 'key' });
+        }
+      };
+    }).finally(() => {
+      this.#opening = null;
+    });
+
+    return this.#opening;
+  }
+
+  close(): void {
+    this.#db?.close();
+    this.#db = null;
+  }
+
+  async list(): Promise<ProjectRecord[]> {
+    const db = await this.#require();
+    const transaction = db.transaction(PROJECTS_STORE, 'readonly');
+    return promisify<ProjectRecord[]>(transaction.objectStore(PROJECTS_STORE).getAll());
+  }
+
+  async put(record: ProjectRecord): Promise<void> {
+    const db = await this.#require();
+    const transaction = db.transaction(PROJECTS_STORE, 'readwrite');
+    transaction.objectStore(PROJECTS_STORE).put(record);
+    await transactionDone(transaction);
+  }
+
+  async remove(id: string): Promise<void> {
+    const db = await this.#require();
+    const transaction = db.transaction(PROJECTS_STORE, 'readwrite');
+    transaction.objectStore(PROJECTS_STORE).delete(id);
+    await transactionDone(transaction);
+  }
+
+  async readMigration(): Promise<MigrationRecord | null> {
+    const db = await this.#require();
+    const transaction = db.transaction(MIGRATION_STORE, 'readonly');
+    const row = await promisify<{ key: string; value: MigrationRecord } | undefined>(
+      transaction.objectStore(MIGRATION_STORE).get(MIGRATION_KEY),
+    );
+    return row?.value ?? null;
+  }
+
+  async writeMigration(migration: MigrationRecord): Promise<void> {
+    const db = await this.#require();
+    const transaction = db.transaction(MIGRATION_STORE, 'readwrite');
+    transaction.objectStore(MIGRATION_STORE).put({ key: MIGRATION_KEY, value: migration });
+    await transactionDone(transaction);
+  }
+
+  async activate(record: ProjectRecord, migration: MigrationRecord): Promise<void> {
+    const db = await this.#require();
+    const transaction = db.transaction([PROJECTS_STORE, MIGRATION_STORE], 'readwrite');
+    transaction.objectStore(PROJECTS_STORE).put(record);
+    transaction.objectStore(MIGRATION_STORE).put({ key: MIGRATION_KEY, value: migration });
+    await transactionDone(transaction);
+  }
+
+  async #require(): Promise<IDBDatabase> {
+    await this.open();
+    if (!this.#db) throw new Error('The project registry is not open');
+    return this.#db;
+  }
+}
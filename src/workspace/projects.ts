@@ -0,0 +1,514 @@
+/**
+ * Projects - several workspaces in one browser, one database each.
+ *
+ * The standalone IDE had exactly one workspace, `BrowserCoderDB`. A student with six
+ * exercises either kept them all in one tree or swapped them in and out as ZIPs. A
+ * project is a workspace of its own: its own workspace database (with the history and
+ * checkpoint databases that go beside it), named through the namespace in
+ * `store-indexeddb.ts`, and listed in a small registry database - the "registry
+ * database" blueprint section 9.3 selects a physical database through.
+ *
+ * Nothing below the registry knows projects exist. `WorkspaceService`, local history,
+ * checkpoints and the writer lease are all keyed by a database name already; a project
+ * only decides which name that is, once, before any of them is built. Switching is a
+ * page load of another project, not an in-place swap, so no service ever has to
+ * forget one workspace and learn another.
+ *
+ * ## The migration (blueprint section 9.7)
+ *
+ * The first time this runs on a browser that used the IDE before, `BrowserCoderDB`
+ * becomes the first project, by the numbered steps of 9.7:
+ *
+ * 1. The old database is opened and read - only read.
+ * 2. A migration record naming the target project is written before anything is
+ *    copied, so a load that is interrupted resumes into the same target instead of
+ *    leaving an orphan per attempt.
+ * 3. The snapshot is written to the new database in one `replaceAll`, and read back.
+ * 4. Every file and folder is compared with what was read: ids, names, parents,
+ *    order, language, version and the exact content, and the active file - which is
+ *    the tab mapping and the entry point.
+ * 5. Local history and checkpoints are copied after it, best effort: losing them is
+ *    a loss, but not one worth refusing the student their files over.
+ * 6. The project record and the finished migration record are written in ONE
+ *    registry transaction. Until it commits there is no project to open, and a crash
+ *    at any step before it repeats the migration on the next load; after it, the
+ *    migration never runs again.
+ *
+ * The old database is never written or deleted. If verification fails, `open` throws
+ * `ProjectMigrationError` and the caller opens `BrowserCoderDB` as before, without
+ * projects, and tries again next time.
+ *
+ * No DOM, no IndexedDB - the registry and the databases are ports, as in `history.ts`.
+ */
+
+import { Emitter } from './emitter.ts';
+import type { CheckpointStore } from './checkpoints.ts';
+import type { HistoryStore } from './history.ts';
+import type { WorkspaceSnapshot, WorkspaceStore } from './store.ts';
+import type { VcsStore } from './vcs.ts';
+import type { Disposable } from './types.ts';
+
+export interface ProjectRecord {
+  readonly id: string;
+  readonly name: string;
+  /** The workspace database; history and checkpoints are named after it. */
+  readonly databaseName: string;
+  readonly createdAt: number;
+  /** When it was last opened - what "Open recent" sorts by. */
+  readonly openedAt: number;
+}
+
+/** Section 9.7's `migrationMetadata`: where the one-time copy of the old database got to. */
+export interface MigrationRecord {
+  readonly source: string;
+  /** The project being copied into; null once there turned out to be nothing to copy. */
+  readonly target: string | null;
+  readonly phase: 'copying' | 'done';
+  readonly startedAt: number;
+  readonly completedAt: number | null;
+}
+
+/** The persistence port for the registry. */
+export interface ProjectRegistryStore {
+  open(): Promise<void>;
+  list(): Promise<ProjectRecord[]>;
+  put(record: ProjectRecord): Promise<void>;
+  remove(id: string): Promise<void>;
+  readMigration(): Promise<MigrationRecord | null>;
+  writeMigration(migration: MigrationRecord): Promise<void>;
+  /** The project and the finished migration, together or not at all. */
+  activate(record: ProjectRecord, migration: MigrationRecord): Promise<void>;
+  close(): void;
+}
+
+/** The old database could not be copied faithfully. Nothing was deleted; try again next load. */
+export class ProjectMigrationError extends Error {
+  constructor(message: string) {
+    super(`Could not move your files into a project: ${message}`);
+    this.name = 'ProjectMigrationError';
+  }
+}
+
+export class MemoryProjectRegistry implements ProjectRegistryStore {
+  #projects = new Map<string, ProjectRecord>();
+  #migration: MigrationRecord | null = null;
+
+  async open(): Promise<void> {}
+
+  async list(): Promise<ProjectRecord[]> {
+    return [...this.#projects.values()];
+  }
+
+  async put(record: ProjectRecord): Promise<void> {
+    this.#projects.set(record.id, record);
+  }
+
+  async remove(id: string): Promise<void> {
+    this.#projects.delete(id);
+  }
+
+  async readMigration(): Promise<MigrationRecord | null> {
+    return this.#migration;
+  }
+
+  async writeMigration(migration: MigrationRecord): Promise<void> {
+    this.#migration = migration;
+  }
+
+  async activate(record: ProjectRecord, migration: MigrationRecord): Promise<void> {
+    this.#projects.set(record.id, record);
+    this.#migration = migration;
+  }
+
+  close(): void {}
+}
+
+/**
+ * Why `copy` is not a faithful copy of `original`, or null when it is.
+ *
+ * Exact, field by field: a copy that differs in anything a student could notice - a
+ * byte of content, which file was open, where a folder sits - is a failed copy.
+ */
+export function compareSnapshots(original: WorkspaceSnapshot, copy: WorkspaceSnapshot): string | null {
+  if (copy.files.length !== original.files.length) {
+    return `${original.files.length} files were read and ${copy.files.length} written`;
+  }
+  if (copy.folders.length !== original.folders.length) {
+    return `${original.folders.length} folders were read and ${copy.folders.length} written`;
+  }
+
+  const files = new Map(copy.files.map(file => [file.id, file]));
+  for (const file of original.files) {
+    const copied = files.get(file.id);
+    if (!copied) return `${file.name} is missing`;
+    if (copied.content !== file.content) return `${file.name} does not have the same content`;
+    if (
+      copied.name !== file.name
+      || copied.parentId !== file.parentId
+      || copied.order !== file.order
+      || copied.language !== file.language
+      || copied.version !== file.version
+    ) {
+      return `${file.name} is not where it was`;
+    }
+  }
+
+  const folders = new Map(copy.folders.map(folder => [folder.id, folder]));
+  for (const folder of original.folders) {
+    const copied = folders.get(folder.id);
+    if (!copied || copied.name !== folder.name || copied.parentId !== folder.parentId || copied.order !== folder.order) {
+      return `the folder ${folder.name} is not where it was`;
+    }
+  }
+
+  if (copy.state.activeFileId !== original.state.activeFileId) return 'the open file changed';
+  return null;
+}
+
+export interface ProjectManagerOptions {
+  registry: ProjectRegistryStore;
+  /** The workspace database a new project gets (see `projectDatabaseName`). */
+  databaseNameFor: (projectId: string) => string;
+  openWorkspace: (databaseName: string) => WorkspaceStore;
+  openHistory?: (databaseName: string) => HistoryStore;
+  openCheckpoints?: (databaseName: string) => CheckpointStore;
+  openVcs?: (databaseName: string) => VcsStore;
+  /** A project's workspace database and the databases beside it, gone. */
+  deleteDatabases: (databaseName: string) => Promise<void>;
+  /** The database the IDE used before projects, migrated once; omit to skip. */
+  legacy?: { databaseName: string; exists: () => Promise<boolean> };
+  /** Runs the migration with no other tab running it at the same time. */
+  exclusive?: <T>(task: () => Promise<T>) => Promise<T>;
+  now?: () => number;
+  newId?: () => string;
+}
+
+const FIRST_PROJECT_NAME = 'My project';
+
+function defaultNewId(): string {
+  return typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function nameKey(name: string): string {
+  return name.trim().toLocaleLowerCase();
+}
+
+export class ProjectManager {
+  #registry: ProjectRegistryStore;
+  #databaseNameFor: (projectId: string) => string;
+  #openWorkspace: (databaseName: string) => WorkspaceStore;
+  #openHistory: ((databaseName: string) => HistoryStore) | undefined;
+  #openCheckpoints: ((databaseName: string) => CheckpointStore) | undefined;
+  #openVcs: ((databaseName: string) => VcsStore) | undefined;
+  #deleteDatabases: (databaseName: string) => Promise<void>;
+  #legacy: ProjectManagerOptions['legacy'];
+  #exclusive: <T>(task: () => Promise<T>) => Promise<T>;
+  #now: () => number;
+  #newId: () => string;
+
+  #projects = new Map<string, ProjectRecord>();
+  #currentId: string | null = null;
+  #onDidChange = new Emitter<void>();
+
+  constructor(options: ProjectManagerOptions) {
+    this.#registry = options.registry;
+    this.#databaseNameFor = options.databaseNameFor;
+    this.#openWorkspace = options.openWorkspace;
+    this.#openHistory = options.openHistory;
+    this.#openCheckpoints = options.openCheckpoints;
+    this.#openVcs = options.openVcs;
+    this.#deleteDatabases = options.deleteDatabases;
+    this.#legacy = options.legacy;
+    this.#exclusive = options.exclusive ?? (task => task());
+    this.#now = options.now ?? (() => Date.now());
+    this.#newId = options.newId ?? defaultNewId;
+  }
+
+  /** A project was created, renamed, opened or deleted. */
+  readonly onDidChange = (listener: () => void): Disposable => this.#onDidChange.event(listener);
+
+  /** Open the registry, migrating the old database first if it has not been yet. */
+  async open(): Promise<void> {
+    await this.#registry.open();
+    await this.#exclusive(() => this.#migrate());
+    await this.refresh();
+  }
+
+  /** Re-read the list: another tab may have made, renamed or deleted one. */
+  async refresh(): Promise<void> {
+    const records = await this.#registry.list();
+    this.#projects = new Map(records.map(record => [record.id, record]));
+    this.#onDidChange.fire();
+  }
+
+  /** Every project, the most recently opened first. */
+  list(): ProjectRecord[] {
+    return [...this.#projects.values()].sort((a, b) => b.openedAt - a.openedAt || a.name.localeCompare(b.name));
+  }
+
+  get(id: string): ProjectRecord | null {
+    return this.#projects.get(id) ?? null;
+  }
+
+  /** The project this page opened. */
+  get current(): ProjectRecord | null {
+    return this.#currentId ? this.get(this.#currentId) : null;
+  }
+
+  /**
+   * The project this page opens: the one asked for, or the one opened last, or - in a
+   * browser with none - a new one. It becomes the most recently opened.
+   */
+  async choose(requestedId: string | null): Promise<ProjectRecord> {
+    const chosen = (requestedId ? this.get(requestedId) : null)
+      ?? this.list()[0]
+      ?? await this.create(FIRST_PROJECT_NAME);
+    const opened: ProjectRecord = { ...chosen, openedAt: this.#now() };
+    await this.#registry.put(opened);
+    this.#projects.set(opened.id, opened);
+    this.#currentId = opened.id;
+    this.#onDidChange.fire();
+    return opened;
+  }
+
+  /** A new, empty project. Its database is created when it is first opened. */
+  async create(name: string): Promise<ProjectRecord> {
+    const id = this.#newId();
+    const now = this.#now();
+    const record: ProjectRecord = {
+      id,
+      name: this.#unusedName(this.#requireName(name)),
+      databaseName: this.#databaseNameFor(id),
+      createdAt: now,
+      // Never opened: after the project already open, not before it.
+      openedAt: 0,
+    };
+    await this.#registry.put(record);
+    this.#projects.set(id, record);
+    this.#onDidChange.fire();
+    return record;
+  }
+
+  async rename(id: string, name: string): Promise<ProjectRecord> {
+    const record = this.#require(id);
+    const trimmed = this.#requireName(name);
+    const taken = this.list().some(other => other.id !== id && nameKey(other.name) === nameKey(trimmed));
+    if (taken) throw new Error(`There is already a project called ${trimmed}`);
+
+    const renamed: ProjectRecord = { ...record, name: trimmed };
+    await this.#registry.put(renamed);
+    this.#projects.set(id, renamed);
+    this.#onDidChange.fire();
+    return renamed;
+  }
+
+  /**
+   * A copy of the project - files, folders, open file, local history, checkpoints and
+   * commits - under "<name> (copy)".
+   *
+   * Read from the database, so the caller flushes the project first if it is the one
+   * open. The copy is verified like the migration's, and only registered once it is:
+   * a failed duplicate leaves no half a project in the list.
+   */
+  async duplicate(id: string): Promise<ProjectRecord> {
+    const source = this.#require(id);
+    const copyId = this.#newId();
+    const now = this.#now();
+    const record: ProjectRecord = {
+      id: copyId,
+      name: this.#unusedName(`${source.name} (copy)`),
+      databaseName: this.#databaseNameFor(copyId),
+      createdAt: now,
+      openedAt: 0,
+    };
+
+    try {
+      await this.#copyWorkspace(source.databaseName, record.databaseName);
+    } catch (error) {
+      await this.#deleteDatabases(record.databaseName).catch(() => {});
+      throw error;
+    }
+    await this.#copyCompanions(source.databaseName, record.databaseName);
+
+    await this.#registry.put(record);
+    this.#projects.set(copyId, record);
+    this.#onDidChange.fire();
+    return record;
+  }
+
+  /**
+   * Delete the project and its databases.
+   *
+   * Out of the registry first: a project that is listed must be one that can be opened,
+   * so a deletion interrupted halfway leaves unlisted databases behind, never a listed
+   * project with nothing in it.
+   */
+  async remove(id: string): Promise<void> {
+    const record = this.#require(id);
+    await this.#registry.remove(id);
+    this.#projects.delete(id);
+    if (this.#currentId === id) this.#currentId = null;
+    this.#onDidChange.fire();
+
+    try {
+      await this.#deleteDatabases(record.databaseName);
+    } catch (error) {
+      console.error(`[projects] Could not delete the databases of ${record.name}:`, error);
+    }
+  }
+
+  // ===== internals =====
+
+  async #migrate(): Promise<void> {
+    const migration = await this.#registry.readMigration();
+    if (migration?.phase === 'done') return;
+
+    const legacy = this.#legacy;
+    if (!legacy) return;
+    const startedAt = migration?.startedAt ?? this.#now();
+    const nothingToCopy = async (source: string) => {
+      await this.#registry.writeMigration({
+        source, target: null, phase: 'done', startedAt, completedAt: this.#now(),
+      });
+    };
+
+    if (!(await legacy.exists())) {
+      await nothingToCopy(legacy.databaseName);
+      return;
+    }
+
+    // Step 1: read, and only read.
+    const source = this.#openWorkspace(legacy.databaseName);
+    await source.open();
+    const snapshot = await source.loadAll();
+    source.close();
+    if (snapshot.files.length === 0 && snapshot.folders.length === 0) {
+      await nothingToCopy(legacy.databaseName);
+      return;
+    }
+
+    // Step 2: the target is recorded before it is written, and reused on a resume.
+    const target = migration?.target ?? this.#newId();
+    const copying: MigrationRecord = {
+      source: legacy.databaseName, target, phase: 'copying', startedAt, completedAt: null,
+    };
+    if (!migration) await this.#registry.writeMigration(copying);
+
+    // Steps 3 and 4.
+    const record: ProjectRecord = {
+      id: target,
+      name: FIRST_PROJECT_NAME,
+      databaseName: this.#databaseNameFor(target),
+      createdAt: startedAt,
+      openedAt: this.#now(),
+    };
+    await this.#writeVerified(snapshot, record.databaseName);
+
+    // Step 5.
+    await this.#copyCompanions(legacy.databaseName, record.databaseName);
+
+    // Step 6.
+    await this.#registry.activate(record, { ...copying, phase: 'done', completedAt: this.#now() });
+  }
+
+  async #copyWorkspace(from: string, to: string): Promise<void> {
+    const source = this.#openWorkspace(from);
+    await source.open();
+    const snapshot = await source.loadAll();
+    source.close();
+    await this.#writeVerified(snapshot, to);
+  }
+
+  async #writeVerified(snapshot: WorkspaceSnapshot, databaseName: string): Promise<void> {
+    const target = this.#openWorkspace(databaseName);
+    await target.open();
+    try {
+      await target.replaceAll(snapshot);
+      const problem = compareSnapshots(snapshot, await target.loadAll());
+      if (problem) throw new ProjectMigrationError(problem);
+    } finally {
+      target.close();
+    }
+  }
+
+  /**
+   * Local history, checkpoints and the repository, entry by entry through their
+   * ports. Best effort.
+   */
+  async #copyCompanions(from: string, to: string): Promise<void> {
+    if (this.#openHistory) {
+      const source = this.#openHistory(from);
+      const target = this.#openHistory(to);
+      try {
+        await Promise.all([source.open(), target.open()]);
+        for (const entry of await source.list()) {
+          const content = await source.read(entry.id);
+          if (content !== null) await target.put(entry, content);
+        }
+      } catch (error) {
+        console.error('[projects] Could not copy local history:', error);
+      } finally {
+        source.close();
+        target.close();
+      }
+    }
+
+    if (this.#openCheckpoints) {
+      const source = this.#openCheckpoints(from);
+      const target = this.#openCheckpoints(to);
+      try {
+        await Promise.all([source.open(), target.open()]);
+        for (const summary of await source.list()) {
+          const snapshot = await source.read(summary.id);
+          if (snapshot) await target.put(summary, snapshot);
+        }
+      } catch (error) {
+        console.error('[projects] Could not copy checkpoints:', error);
+      } finally {
+        source.close();
+        target.close();
+      }
+    }
+
+    if (this.#openVcs) {
+      const source = this.#openVcs(from);
+      const target = this.#openVcs(to);
+      try {
+        await Promise.all([source.open(), target.open()]);
+        const [objects, refs, head, merge] = await Promise.all([
+          source.allObjects(), source.readRefs(), source.readHead(), source.readMerge(),
+        ]);
+        await target.write({ reset: true, objects, refs, merge, ...(head ? { head } : {}) });
+      } catch (error) {
+        console.error('[projects] Could not copy the repository:', error);
+      } finally {
+        source.close();
+        target.close();
+      }
+    }
+  }
+
+  #require(id: string): ProjectRecord {
+    const record = this.get(id);
+    if (!record) throw new Error('That project no longer exists');
+    return record;
+  }
+
+  #requireName(name: string): string {
+    const trimmed = name.trim();
+    if (!trimmed) throw new Error('A project needs a name');
+    return trimmed;
+  }
+
+  /** `name`, or `name 2`, `name 3`... - whichever no other project has. */
+  #unusedName(name: string): string {
+    const taken = new Set(this.list().map(record => nameKey(record.name)));
+    if (!taken.has(nameKey(name))) return name;
+    for (let counter = 2; ; counter++) {
+      const candidate = `${name} ${counter}`;
+      if (!taken.has(nameKey(candidate))) return candidate;
+    }
+  }
+}
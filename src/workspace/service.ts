@@ -87,8 +87,19 @@ export interface ReplaceAllOptions {
    * suggested - `{ language: 'python', path: 'x.js' }` would get a JavaScript
    * version id, which the server then rejects. The caller owns the language
    * registry, so it is the only place that can answer this coherently.
+   *
+   * `path` is the normalized path, for a caller that already knows each file's
+   * language and version - a checkpoint being restored - and only has to look it up.
+   */
+  resolve: (fileName: string, explicitLanguage: string | undefined, path: string) => ResolvedLanguage;
+  /**
+   * Folder paths to create even when no file is inside them.
+   *
+   * A host project is files only, so its folders are whatever those paths imply. A
+   * workspace being put back as it was also has the folders the student made and has
+   * not filled yet; without this they would vanish on every restore.
    */
-  resolve: (fileName: string, explicitLanguage: string | undefined) => ResolvedLanguage;
+  folders?: readonly string[];
 }
 
 export interface ReplaceAllResult {
@@ -105,14 +116,32 @@ export type WorkspaceChangeReason =
   | 'move'
   | 'delete'
   | 'replace-all'
+  /**
+   * Clear Cache, from `clearAll()`. Its dialog says the deletion cannot be undone, so
+   * every store that keeps its own copy of file content empties itself on this reason
+   * rather than leaving a way to bring the project back.
+   */
   | 'clear'
-  | 'language';
+  | 'language'
+  /** Storage was re-read because another tab wrote to it; anything may have changed. */
+  | 'sync';
 
 export interface WorkspaceChangeEvent {
   readonly reason: WorkspaceChangeReason;
   readonly affected: readonly string[];
 }
 
+/**
+ * Documents about to be deleted, with their content still in their buffers.
+ *
+ * Fired synchronously, before the delete is written, so a listener can copy what is
+ * about to go - local history keeps it as the file's last version. Nothing here can
+ * veto the delete, and a listener must not await before it has copied what it needs.
+ */
+export interface WorkspaceWillDeleteEvent {
+  readonly documents: readonly WorkspaceDocument[];
+}
+
 function defaultNewId(kind: 'file' | 'folder'): string {
   // crypto.randomUUID exists in every supported browser and in node 19+. The
   // previous `Date.now()` + Math.random() scheme could collide inside one
@@ -137,6 +166,7 @@ export class WorkspaceService {
   #opened = false;
 
   #onDidChangeWorkspace = new Emitter<WorkspaceChangeEvent>();
+  #onWillDeleteDocuments = new Emitter<WorkspaceWillDeleteEvent>();
 
   constructor(options: WorkspaceServiceOptions) {
     this.#store = options.store;
@@ -155,6 +185,10 @@ export class WorkspaceService {
     listener: (event: WorkspaceChangeEvent) => void,
   ): Disposable => this.#onDidChangeWorkspace.event(listener);
 
+  readonly onWillDeleteDocuments = (
+    listener: (event: WorkspaceWillDeleteEvent) => void,
+  ): Disposable => this.#onWillDeleteDocuments.event(listener);
+
   get persistence(): PersistenceCoordinator {
     return this.#persistence;
   }
@@ -191,6 +225,52 @@ export class WorkspaceService {
     this.#fire('open', []);
   }
 
+  /**
+   * Re-read storage into the open workspace, keeping every document that is still
+   * there the same object.
+   *
+   * For a tab that is not the writer (blueprint section 9.5): another tab saved, and
+   * this one should show it. `open` would do it by disposing every document, which
+   * closes every tab and Monaco model the student has open here; reconciling by id
+   * instead moves only the text and names that changed. What is read is committed,
+   * so each document ends up clean whatever its buffer held - a tab that cannot
+   * write has nothing of its own to keep.
+   */
+  async reload(): Promise<void> {
+    const snapshot = await this.#store.loadAll();
+
+    const incoming = new Set(snapshot.files.map(record => record.id));
+    const removed: DocumentId[] = [];
+    for (const [id, document] of [...this.#documents]) {
+      if (incoming.has(id)) continue;
+      this.#persistence.unregister(id);
+      document.dispose();
+      this.#documents.delete(id);
+      removed.push(id);
+    }
+
+    this.#folders.clear();
+    for (const folder of snapshot.folders) this.#folders.set(folder.id, folder);
+
+    for (const record of snapshot.files) {
+      const { content, ...metadata } = record;
+      const existing = this.#documents.get(record.id);
+      if (!existing) {
+        const document = new WorkspaceDocument({ metadata, buffer: new MemoryBuffer(content) });
+        this.#documents.set(document.id, document);
+        this.#persistence.register(document);
+        continue;
+      }
+      existing.applyMetadata(metadata, { updatedAt: record.updatedAt });
+      if (existing.getContent() !== content) existing.setContent(content);
+      existing.markSaved(existing.revision);
+    }
+
+    this.#state = snapshot.state;
+    this.#rebuildTree();
+    this.#fire('sync', [...removed, ...incoming]);
+  }
+
   get isOpen(): boolean {
     return this.#opened;
   }
@@ -200,6 +280,7 @@ export class WorkspaceService {
     for (const document of this.#documents.values()) document.dispose();
     this.#documents.clear();
     this.#onDidChangeWorkspace.dispose();
+    this.#onWillDeleteDocuments.dispose();
     this.#store.close();
   }
 
@@ -406,6 +487,7 @@ export class WorkspaceService {
     const present = ids.filter(id => this.#documents.has(id));
     if (present.length === 0) return;
 
+    this.#onWillDeleteDocuments.fire({ documents: present.map(id => this.#documents.get(id)!) });
     for (const id of present) {
       this.#persistence.cancel(id);
       this.#persistence.unregister(id);
@@ -493,6 +575,8 @@ export class WorkspaceService {
       folders: this.allFolders(),
     });
 
+    const doomed = [...subtree.fileIds].flatMap(fileId => this.#documents.get(fileId) ?? []);
+    if (doomed.length > 0) this.#onWillDeleteDocuments.fire({ documents: doomed });
     for (const fileId of subtree.fileIds) {
       this.#persistence.cancel(fileId);
       this.#persistence.unregister(fileId);
@@ -526,7 +610,8 @@ export class WorkspaceService {
    * - **Identity-preserving.** A path that already exists keeps its document, so
    *   a host re-sending the same project does not dispose the editor model,
    *   discard undo history, or jump the user to a different tab. Content is
-   *   assigned only where it actually differs.
+   *   assigned only where it actually differs. A folder that is still there keeps
+   *   its id too, so the explorer does not collapse it.
    */
   async replaceAll(hostFiles: readonly HostFile[], options: ReplaceAllOptions): Promise<ReplaceAllResult> {
     const folders = new Map<string, FolderMetadata>();
@@ -540,6 +625,11 @@ export class WorkspaceService {
       const path = this.pathOf(document.id);
       if (path) existingByPath.set(path, document);
     }
+    const existingFolderByPath = new Map<string, FolderMetadata>();
+    for (const folder of this.#folders.values()) {
+      const path = this.pathOf(folder.id);
+      if (path) existingFolderByPath.set(path, folder);
+    }
 
     const ensureFolderChain = (segments: readonly string[]): FolderId | null => {
       let parentId: FolderId | null = null;
@@ -548,12 +638,13 @@ export class WorkspaceService {
         accumulated = accumulated ? `${accumulated}/${segment}` : segment;
         let folder = foldersByPath.get(accumulated);
         if (!folder) {
+          const existing = existingFolderByPath.get(accumulated);
           folder = {
-            id: this.#newId('folder'),
+            id: existing?.id ?? this.#newId('folder'),
             name: segment,
             parentId,
             order: foldersByPath.size,
-            createdAt: this.#now(),
+            createdAt: existing?.createdAt ?? this.#now(),
             updatedAt: this.#now(),
           };
           foldersByPath.set(accumulated, folder);
@@ -581,7 +672,7 @@ export class WorkspaceService {
       const fileName = segments.pop()!;
       const parentId = ensureFolderChain(segments);
 
-      const { id: language, version } = options.resolve(fileName, hostFile.language);
+      const { id: language, version } = options.resolve(fileName, hostFile.language, normalized.path);
       const existing = existingByPath.get(normalized.path);
       const content = hostFile.content ?? '';
 
@@ -602,6 +693,14 @@ export class WorkspaceService {
       plan.push({ record, content, reused: existing !== undefined });
     }
 
+    for (const folderPath of options.folders ?? []) {
+      const normalized = normalizeWorkspacePath(folderPath);
+      if (!normalized.ok) {
+        throw new Error(`Invalid folder path: ${normalized.message}`);
+      }
+      ensureFolderChain(normalized.segments);
+    }
+
     const snapshot: WorkspaceSnapshot = {
       files: records,
       folders: [...folders.values()],
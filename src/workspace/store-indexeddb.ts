@@ -17,6 +17,21 @@
  * code can still open. The new code derives paths from the folder chain instead,
  * and treats the stored field as write-only compatibility baggage. Keeping it
  * correct is this adapter's private business - the domain never mentions it.
+ *
+ * **The writer fence is checked inside each write's own transaction.** Once a tab
+ * has claimed the workspace (blueprint section 9.5), every write transaction also
+ * reads the `writer` row and aborts itself if another tab's claim is newer. Checking
+ * in a separate read first would leave the gap the fence exists to close: the other
+ * tab could claim between the check and the write. Still no schema change - the row
+ * lives in the existing `workspace` store beside the state.
+ *
+ * **Projects are a namespace, not a schema.** Each project of the standalone IDE is
+ * a database of its own, `BrowserCoderDB-project-<id>`, with exactly this schema. The
+ * unscoped `BrowserCoderDB` is only read again by the one-time migration into the
+ * first project (`projects.ts`, blueprint section 9.7), and the registry that lists
+ * the projects is a separate database with a version of its own
+ * (`projects-indexeddb.ts`) - so this file's DB_VERSION stays where a rollback can
+ * still open it.
  */
 
 import type {
@@ -28,6 +43,7 @@ import type {
   PersistedDocument,
   WorkspaceState,
 } from './types.ts';
+import { StaleWriterError } from './store.ts';
 import type { WorkspaceSnapshot, WorkspaceStore } from './store.ts';
 
 const DEFAULT_DB_NAME = 'BrowserCoderDB';
@@ -36,6 +52,28 @@ const FILES_STORE = 'files';
 const FOLDERS_STORE = 'folders';
 const STATE_STORE = 'workspace';
 const STATE_KEY = 'state';
+const WRITER_KEY = 'writer';
+const RECOVERY_KEY = 'recovery';
+
+/** The database the standalone IDE used before it had projects. */
+export const LEGACY_WORKSPACE_DATABASE = DEFAULT_DB_NAME;
+
+/** The workspace database of one project. */
+export function projectDatabaseName(projectId: string): string {
+  return `${DEFAULT_DB_NAME}-project-${projectId}`;
+}
+
+/**
+ * Whether a database exists, without creating it - which opening it would.
+ *
+ * Where `indexedDB.databases()` is missing the answer is "maybe", and true: opening
+ * an absent database only creates an empty one, which the migration then skips.
+ */
+export async function workspaceDatabaseExists(databaseName: string): Promise<boolean> {
+  if (typeof indexedDB.databases !== 'function') return true;
+  const databases = await indexedDB.databases();
+  return databases.some(database => database.name === databaseName);
+}
 
 /** A record as it sits on disk: the domain shape plus the compat path. */
 interface StoredFileRecord extends PersistedDocument {
@@ -84,10 +122,17 @@ function legacyPath(
   return `/${[...segments, name].join('/')}`;
 }
 
+/** What a fenced write learned from the `writer` row, once its transaction ends. */
+interface Fence {
+  stale: boolean;
+}
+
 export class IndexedDbWorkspaceStore implements WorkspaceStore {
   #databaseName: string;
   #db: IDBDatabase | null = null;
   #opening: Promise<void> | null = null;
+  /** Undefined until the first claim; 0 once released, which no claim ever hands out. */
+  #token: number | undefined;
 
   constructor(databaseName: string = DEFAULT_DB_NAME) {
     this.#databaseName = databaseName;
@@ -190,21 +235,23 @@ export class IndexedDbWorkspaceStore implements WorkspaceStore {
     // auto-commit rule; doing it before costs one extra read and is safe.
     const foldersById = await this.#loadFolderIndex(db);
 
-    const transaction = db.transaction(FILES_STORE, 'readwrite');
+    const transaction = db.transaction([FILES_STORE, STATE_STORE], 'readwrite');
+    const fence = this.#fence(transaction);
     transaction.objectStore(FILES_STORE).add({
       ...record,
       path: legacyPath(record.name, record.parentId, foldersById),
     } satisfies StoredFileRecord);
 
-    await transactionDone(transaction);
+    await this.#commit(transaction, fence);
   }
 
   async writeDocumentContent(id: DocumentId, content: string, updatedAt: number): Promise<void> {
     const db = await this.#require();
-    const transaction = db.transaction(FILES_STORE, 'readwrite');
+    const transaction = db.transaction([FILES_STORE, STATE_STORE], 'readwrite');
+    const fence = this.#fence(transaction);
     const store = transaction.objectStore(FILES_STORE);
 
-    const existing = await promisify<StoredFileRecord | undefined>(store.get(id));
+    const existing = await this.#read<StoredFileRecord | undefined>(store.get(id), fence);
     if (!existing) {
       // The document was deleted while this write was queued. Recreating it here
       // is exactly the resurrection bug the old debounced save could cause, so
@@ -214,7 +261,7 @@ export class IndexedDbWorkspaceStore implements WorkspaceStore {
     }
 
     store.put({ ...existing, content, updatedAt });
-    await transactionDone(transaction);
+    await this.#commit(transaction, fence);
   }
 
   async updateDocumentMetadata(
@@ -225,10 +272,11 @@ export class IndexedDbWorkspaceStore implements WorkspaceStore {
     const db = await this.#require();
     const foldersById = await this.#loadFolderIndex(db);
 
-    const transaction = db.transaction(FILES_STORE, 'readwrite');
+    const transaction = db.transaction([FILES_STORE, STATE_STORE], 'readwrite');
+    const fence = this.#fence(transaction);
     const store = transaction.objectStore(FILES_STORE);
 
-    const existing = await promisify<StoredFileRecord | undefined>(store.get(id));
+    const existing = await this.#read<StoredFileRecord | undefined>(store.get(id), fence);
     if (!existing) {
       transaction.abort();
       return;
@@ -238,30 +286,32 @@ export class IndexedDbWorkspaceStore implements WorkspaceStore {
     updated.path = legacyPath(updated.name, updated.parentId, foldersById);
     store.put(updated);
 
-    await transactionDone(transaction);
+    await this.#commit(transaction, fence);
   }
 
   async deleteDocuments(ids: readonly DocumentId[]): Promise<void> {
     if (ids.length === 0) return;
     const db = await this.#require();
-    const transaction = db.transaction(FILES_STORE, 'readwrite');
+    const transaction = db.transaction([FILES_STORE, STATE_STORE], 'readwrite');
+    const fence = this.#fence(transaction);
     const store = transaction.objectStore(FILES_STORE);
     for (const id of ids) store.delete(id);
-    await transactionDone(transaction);
+    await this.#commit(transaction, fence);
   }
 
   async createFolder(record: FolderMetadata): Promise<void> {
     const db = await this.#require();
     const foldersById = await this.#loadFolderIndex(db);
 
-    const transaction = db.transaction(FOLDERS_STORE, 'readwrite');
+    const transaction = db.transaction([FOLDERS_STORE, STATE_STORE], 'readwrite');
+    const fence = this.#fence(transaction);
     transaction.objectStore(FOLDERS_STORE).add({
       ...record,
       path: legacyPath(record.name, record.parentId, foldersById),
       isExpanded: false,
     } satisfies StoredFolderRecord);
 
-    await transactionDone(transaction);
+    await this.#commit(transaction, fence);
   }
 
   /**
@@ -281,13 +331,14 @@ export class IndexedDbWorkspaceStore implements WorkspaceStore {
     updatedAt: number,
   ): Promise<void> {
     const db = await this.#require();
-    const transaction = db.transaction([FOLDERS_STORE, FILES_STORE], 'readwrite');
+    const transaction = db.transaction([FOLDERS_STORE, FILES_STORE, STATE_STORE], 'readwrite');
+    const fence = this.#fence(transaction);
     const folderStore = transaction.objectStore(FOLDERS_STORE);
     const fileStore = transaction.objectStore(FILES_STORE);
 
     const [folders, files] = await Promise.all([
-      promisify<StoredFolderRecord[]>(folderStore.getAll()),
-      promisify<StoredFileRecord[]>(fileStore.getAll()),
+      this.#read<StoredFolderRecord[]>(folderStore.getAll(), fence),
+      this.#read<StoredFileRecord[]>(fileStore.getAll(), fence),
     ]);
 
     const existing = folders.find(folder => folder.id === id);
@@ -315,19 +366,20 @@ export class IndexedDbWorkspaceStore implements WorkspaceStore {
       fileStore.put({ ...file, path });
     }
 
-    await transactionDone(transaction);
+    await this.#commit(transaction, fence);
   }
 
   async deleteFoldersRecursive(ids: readonly FolderId[]): Promise<void> {
     if (ids.length === 0) return;
     const db = await this.#require();
-    const transaction = db.transaction([FOLDERS_STORE, FILES_STORE], 'readwrite');
+    const transaction = db.transaction([FOLDERS_STORE, FILES_STORE, STATE_STORE], 'readwrite');
+    const fence = this.#fence(transaction);
     const folderStore = transaction.objectStore(FOLDERS_STORE);
     const fileStore = transaction.objectStore(FILES_STORE);
 
     const [folders, files] = await Promise.all([
-      promisify<StoredFolderRecord[]>(folderStore.getAll()),
-      promisify<StoredFileRecord[]>(fileStore.getAll()),
+      this.#read<StoredFolderRecord[]>(folderStore.getAll(), fence),
+      this.#read<StoredFileRecord[]>(fileStore.getAll(), fence),
     ]);
 
     const doomed = new Set<FolderId>(ids);
@@ -347,13 +399,14 @@ export class IndexedDbWorkspaceStore implements WorkspaceStore {
       if (file.parentId && doomed.has(file.parentId)) fileStore.delete(file.id);
     }
 
-    await transactionDone(transaction);
+    await this.#commit(transaction, fence);
   }
 
   /** One transaction: either the whole new workspace lands, or none of it does. */
   async replaceAll(snapshot: WorkspaceSnapshot): Promise<void> {
     const db = await this.#require();
     const transaction = db.transaction([FILES_STORE, FOLDERS_STORE, STATE_STORE], 'readwrite');
+    const fence = this.#fence(transaction);
     const fileStore = transaction.objectStore(FILES_STORE);
     const folderStore = transaction.objectStore(FOLDERS_STORE);
     const stateStore = transaction.objectStore(STATE_STORE);
@@ -381,27 +434,124 @@ export class IndexedDbWorkspaceStore implements WorkspaceStore {
 
     stateStore.put({ key: STATE_KEY, value: snapshot.state });
 
-    await transactionDone(transaction);
+    await this.#commit(transaction, fence);
   }
 
   async clearAll(): Promise<void> {
     const db = await this.#require();
     const transaction = db.transaction([FILES_STORE, FOLDERS_STORE, STATE_STORE], 'readwrite');
+    const fence = this.#fence(transaction);
     transaction.objectStore(FILES_STORE).clear();
     transaction.objectStore(FOLDERS_STORE).clear();
     transaction.objectStore(STATE_STORE).clear();
-    await transactionDone(transaction);
+    // Emptying the workspace does not hand it to nobody: the claim survives, or the
+    // next write from this tab would be refused as stale and one from any other
+    // unfenced tab let through.
+    if (this.#token) transaction.objectStore(STATE_STORE).put({ key: WRITER_KEY, value: { token: this.#token } });
+    await this.#commit(transaction, fence);
   }
 
   async saveState(state: WorkspaceState): Promise<void> {
     const db = await this.#require();
     const transaction = db.transaction(STATE_STORE, 'readwrite');
+    const fence = this.#fence(transaction);
     transaction.objectStore(STATE_STORE).put({ key: STATE_KEY, value: state });
+    await this.#commit(transaction, fence);
+  }
+
+  /**
+   * Claim the workspace, and keep what was committed at that moment as the
+   * recovery checkpoint - one transaction, so the checkpoint is exactly the
+   * workspace the previous writer left.
+   *
+   * Blueprint section 9.5 asks that a takeover write one. A student who took over
+   * from the wrong tab, and only noticed after typing, still has the workspace as
+   * it stood before their first edit (`loadRecovery`).
+   */
+  async claimWriter(): Promise<number> {
+    const db = await this.#require();
+    const transaction = db.transaction([FILES_STORE, FOLDERS_STORE, STATE_STORE], 'readwrite');
+    const stateStore = transaction.objectStore(STATE_STORE);
+
+    const [row, files, folders, stateRow] = await Promise.all([
+      promisify<{ key: string; value: { token: number } } | undefined>(stateStore.get(WRITER_KEY)),
+      promisify<StoredFileRecord[]>(transaction.objectStore(FILES_STORE).getAll()),
+      promisify<StoredFolderRecord[]>(transaction.objectStore(FOLDERS_STORE).getAll()),
+      promisify<{ key: string; value: WorkspaceState } | undefined>(stateStore.get(STATE_KEY)),
+    ]);
+
+    const token = (row?.value.token ?? 0) + 1;
+    stateStore.put({ key: WRITER_KEY, value: { token } });
+    stateStore.put({
+      key: RECOVERY_KEY,
+      value: {
+        files: files.map(record => this.#toDocument(record)),
+        folders: folders.map(record => this.#toFolder(record)),
+        state: stateRow?.value ?? { activeFileId: null, theme: 'vs-dark' },
+      } satisfies WorkspaceSnapshot,
+    });
+
     await transactionDone(transaction);
+    this.#token = token;
+    return token;
+  }
+
+  releaseWriter(): void {
+    this.#token = 0;
+  }
+
+  /** The workspace as it stood at the last takeover, or null before the first. */
+  async loadRecovery(): Promise<WorkspaceSnapshot | null> {
+    const db = await this.#require();
+    const transaction = db.transaction(STATE_STORE, 'readonly');
+    const row = await promisify<{ key: string; value: WorkspaceSnapshot } | undefined>(
+      transaction.objectStore(STATE_STORE).get(RECOVERY_KEY),
+    );
+    return row?.value ?? null;
   }
 
   // ===== internals =====
 
+  /**
+   * Check the writer row as the transaction's first request, and abort the whole
+   * transaction if another tab has claimed since this store did. An unfenced store
+   * checks nothing. The transaction must include the `workspace` store.
+   */
+  #fence(transaction: IDBTransaction): Fence {
+    const fence: Fence = { stale: false };
+    if (this.#token === undefined) return fence;
+
+    const token = this.#token;
+    const request = transaction.objectStore(STATE_STORE).get(WRITER_KEY);
+    request.onsuccess = () => {
+      const row = request.result as { value?: { token?: number } } | undefined;
+      if (row?.value?.token === token) return;
+      fence.stale = true;
+      transaction.abort();
+    };
+    return fence;
+  }
+
+  /** `transactionDone`, but a fenced abort is reported as what it is. */
+  async #commit(transaction: IDBTransaction, fence: Fence): Promise<void> {
+    try {
+      await transactionDone(transaction);
+    } catch (error) {
+      if (fence.stale) throw new StaleWriterError();
+      throw error;
+    }
+  }
+
+  /** A read inside a fenced write: the fence's abort fails it too, and says why. */
+  async #read<T>(request: IDBRequest<T>, fence: Fence): Promise<T> {
+    try {
+      return await promisify(request);
+    } catch (error) {
+      if (fence.stale) throw new StaleWriterError();
+      throw error;
+    }
+  }
+
   async #require(): Promise<IDBDatabase> {
     await this.open();
     if (!this.#db) throw new Error('IndexedDB is not available');
@@ -13,6 +13,13 @@
  * destroyed workspace and no way back (V-13). An interface that offers only
  * `clear` and `create` cannot express the correct behaviour, so it offers this
  * instead.
+ *
+ * The writer fence (blueprint section 9.5) is here too, because only the store can
+ * make it hold. Two tabs on one database each believe they own it; a lease in one tab
+ * cannot stop a write the other tab already queued. `claimWriter` makes this store the
+ * writer under a new fencing token, and every later write - from any store on the same
+ * database - commits only while its token is still the newest. A tab that was taken
+ * over from learns so from a `StaleWriterError`, not from finding its work overwritten.
  */
 
 import type {
@@ -25,6 +32,19 @@ import type {
   WorkspaceState,
 } from './types.ts';
 
+/**
+ * A write refused because another tab claimed the workspace after this one did.
+ *
+ * Not a storage failure, and not worth retrying: no write from this store will commit
+ * again until it claims the workspace back.
+ */
+export class StaleWriterError extends Error {
+  constructor(message = 'Another tab took over editing this workspace') {
+    super(message);
+    this.name = 'StaleWriterError';
+  }
+}
+
 export interface WorkspaceSnapshot {
   readonly files: PersistedDocument[];
   readonly folders: FolderMetadata[];
@@ -76,6 +96,19 @@ export interface WorkspaceStore {
 
   saveState(state: WorkspaceState): Promise<void>;
 
+  /**
+   * Become the workspace's writer: take a fencing token newer than any claimed before
+   * and resolve with it. From then on a write commits only while no other store has
+   * claimed since; one that has makes every write here a `StaleWriterError`.
+   *
+   * A store that never claims is unfenced and writes as it always did, which is what
+   * an embedded IDE, with a database of its own, still does.
+   */
+  claimWriter(): Promise<number>;
+
+  /** Stop writing: every write fails with `StaleWriterError` until the next claim. */
+  releaseWriter(): void;
+
   close(): void;
 }
 
@@ -93,6 +126,10 @@ export class MemoryWorkspaceStore implements WorkspaceStore {
   #state: WorkspaceState = { activeFileId: null, theme: 'vs-dark' };
   #behaviour: MemoryStoreBehaviour;
   #callCounts = new Map<string, number>();
+  /** The newest token claimed, as the database would hold it. */
+  #writerToken = 0;
+  /** This store's own: undefined while unfenced, 0 once released. */
+  #token: number | undefined;
 
   /** Every operation in order, so tests can assert on write coalescing. */
   readonly operations: Array<{ operation: string; detail?: unknown }> = [];
@@ -122,6 +159,7 @@ export class MemoryWorkspaceStore implements WorkspaceStore {
 
   async createDocument(record: PersistedDocument): Promise<void> {
     await this.#gate('createDocument', record.id);
+    this.#fence();
     if (this.#files.has(record.id)) {
       throw new Error(`Document ${record.id} already exists`);
     }
@@ -134,6 +172,7 @@ export class MemoryWorkspaceStore implements WorkspaceStore {
     updatedAt: number,
   ): Promise<void> {
     await this.#gate('writeDocumentContent', { id, length: content.length });
+    this.#fence();
     const existing = this.#files.get(id);
     if (!existing) throw new Error(`Document ${id} does not exist`);
     this.#files.set(id, { ...existing, content, updatedAt });
@@ -145,6 +184,7 @@ export class MemoryWorkspaceStore implements WorkspaceStore {
     updatedAt: number,
   ): Promise<void> {
     await this.#gate('updateDocumentMetadata', { id, patch });
+    this.#fence();
     const existing = this.#files.get(id);
     if (!existing) throw new Error(`Document ${id} does not exist`);
     // Spreading `patch` cannot introduce content: the type has no such field,
@@ -154,11 +194,13 @@ export class MemoryWorkspaceStore implements WorkspaceStore {
 
   async deleteDocuments(ids: readonly DocumentId[]): Promise<void> {
     await this.#gate('deleteDocuments', ids);
+    this.#fence();
     for (const id of ids) this.#files.delete(id);
   }
 
   async createFolder(record: FolderMetadata): Promise<void> {
     await this.#gate('createFolder', record.id);
+    this.#fence();
     this.#folders.set(record.id, record);
   }
 
@@ -168,6 +210,7 @@ export class MemoryWorkspaceStore implements WorkspaceStore {
     updatedAt: number,
   ): Promise<void> {
     await this.#gate('updateFolderMetadata', { id, patch });
+    this.#fence();
     const existing = this.#folders.get(id);
     if (!existing) throw new Error(`Folder ${id} does not exist`);
     this.#folders.set(id, { ...existing, ...patch, updatedAt });
@@ -175,6 +218,7 @@ export class MemoryWorkspaceStore implements WorkspaceStore {
 
   async deleteFoldersRecursive(ids: readonly FolderId[]): Promise<void> {
     await this.#gate('deleteFoldersRecursive', ids);
+    this.#fence();
 
     const doomed = new Set(ids);
     let grew = true;
@@ -196,6 +240,7 @@ export class MemoryWorkspaceStore implements WorkspaceStore {
 
   async replaceAll(snapshot: WorkspaceSnapshot): Promise<void> {
     await this.#gate('replaceAll', snapshot.files.length);
+    this.#fence();
 
     // Build first, swap second - so a failure in the middle of constructing the
     // replacement cannot be observed as a half-empty workspace.
@@ -211,6 +256,7 @@ export class MemoryWorkspaceStore implements WorkspaceStore {
 
   async clearAll(): Promise<void> {
     await this.#gate('clearAll');
+    this.#fence();
     this.#files.clear();
     this.#folders.clear();
     this.#state = { activeFileId: null, theme: this.#state.theme };
@@ -218,11 +264,28 @@ export class MemoryWorkspaceStore implements WorkspaceStore {
 
   async saveState(state: WorkspaceState): Promise<void> {
     await this.#gate('saveState', state);
+    this.#fence();
     this.#state = state;
   }
 
+  async claimWriter(): Promise<number> {
+    await this.#gate('claimWriter');
+    this.#writerToken += 1;
+    this.#token = this.#writerToken;
+    return this.#token;
+  }
+
+  releaseWriter(): void {
+    this.#token = 0;
+  }
+
   // ===== test helpers =====
 
+  /** What another tab's claim does to this one: every later write is stale. */
+  simulateTakeover(): void {
+    this.#writerToken += 1;
+  }
+
   peekContent(id: DocumentId): string | undefined {
     return this.#files.get(id)?.content;
   }
@@ -235,6 +298,12 @@ export class MemoryWorkspaceStore implements WorkspaceStore {
     return this.operations.filter(entry => entry.operation === operation).length;
   }
 
+  #fence(): void {
+    if (this.#token !== undefined && this.#token !== this.#writerToken) {
+      throw new StaleWriterError();
+    }
+  }
+
   async #gate(operation: string, detail?: unknown): Promise<void> {
     this.operations.push({ operation, detail });
 
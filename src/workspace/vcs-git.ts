@@ -0,0 +1,229 @@
+/**
+ * A repository as real `git` stores it on disk - the `.git` directory that goes into
+ * the project ZIP, and comes back out of one.
+ *
+ * Objects are kept in git's own encoding already (`vcs.ts`), named by `gitObjectId`,
+ * so writing them out is framing and compression, not translation:
+ *
+ * - `objects/ab/cdef…`: each object zlib-deflated with its `"<type> <size>\0"` header,
+ *   as a loose object. Never packed: a pack is an optimisation git makes on its own
+ *   with `git gc`, and writing one correctly is far more code than reading loose
+ *   objects is for git.
+ * - `refs/heads/<branch>` and `HEAD`, as text.
+ * - `config`, declaring `objectformat = sha256`. The ids are SHA-256 because that is
+ *   the digest `content-hash.ts` has; git reads such a repository from 2.29 on.
+ *   Hosting services that only take SHA-1 repositories get one from
+ *   `git fast-export --all | git fast-import` into a fresh `git init`.
+ * - `index`, listing the branch's files, so `git status` on the unzipped project shows
+ *   the uncommitted changes and nothing else. Without one, git would report every file
+ *   as deleted and untracked at once. Its timestamps are zero; git notices they do not
+ *   match the files and compares the content instead.
+ *
+ * Reading is the reverse, and refuses what it cannot represent rather than importing
+ * half of it: a SHA-1 repository, and packed objects.
+ *
+ * zlib is `CompressionStream('deflate')`, which is exactly git's zlib format, in every
+ * browser this IDE supports and in node.
+ */
+
+import { digestToken, gitObjectId } from './content-hash.ts';
+
+export type GitObjectType = 'blob' | 'tree' | 'commit';
+
+export interface GitObject {
+  readonly id: string;
+  readonly type: GitObjectType;
+  /** The object's body, without git's header. */
+  readonly body: Uint8Array;
+}
+
+/** A file of the `.git` directory, by its path inside it. */
+export interface GitFile {
+  readonly path: string;
+  readonly data: Uint8Array;
+}
+
+/** One file of the index: what the branch has at `path`. */
+export interface IndexEntry {
+  readonly path: string;
+  readonly id: string;
+  readonly size: number;
+}
+
+export interface GitRepository {
+  readonly objects: readonly GitObject[];
+  /** Branch name to commit id. */
+  readonly branches: Readonly<Record<string, string>>;
+  /** The branch HEAD names. */
+  readonly head: string;
+}
+
+/** A `.git` directory's entries in a ZIP: at its root, or under the one folder it holds. */
+export const GIT_DIRECTORY = /^(?:[^/]+\/)?\.git\//;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+async function pipe(bytes: Uint8Array, transform: CompressionStream | DecompressionStream): Promise<Uint8Array> {
+  // A copy that owns its buffer: a view's `.buffer` can be a much larger one - a
+  // node Buffer's is its pool - and all of it would be read.
+  const stream = new Blob([new Uint8Array(bytes)]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export function hexToBytes(hex: string): Uint8Array {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let index = 0; index < bytes.length; index++) {
+    bytes[index] = parseInt(hex.slice(index * 2, index * 2 + 2), 16);
+  }
+  return bytes;
+}
+
+export function bytesToHex(bytes: Uint8Array): string {
+  return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function text(value: string): Uint8Array {
+  return encoder.encode(value);
+}
+
+/** Git's order for index entries and tree names: by bytes, not by locale. */
+function compareBytes(a: string, b: string): number {
+  const left = encoder.encode(a);
+  const right = encoder.encode(b);
+  const length = Math.min(left.length, right.length);
+  for (let index = 0; index < length; index++) {
+    if (left[index] !== right[index]) return left[index] - right[index];
+  }
+  return left.length - right.length;
+}
+
+/** `.git/index`, version 2, for a SHA-256 repository. */
+export async function encodeIndex(entries: readonly IndexEntry[]): Promise<Uint8Array> {
+  const sorted = [...entries].sort((a, b) => compareBytes(a.path, b.path));
+  const chunks: Uint8Array[] = [];
+
+  const header = new DataView(new ArrayBuffer(12));
+  header.setUint32(0, 0x44495243); // "DIRC"
+  header.setUint32(4, 2);
+  header.setUint32(8, sorted.length);
+  chunks.push(new Uint8Array(header.buffer));
+
+  for (const entry of sorted) {
+    const name = encoder.encode(entry.path);
+    // 40 bytes of stat data, 32 of id, 2 of flags, the name, then 1 to 8 NULs to a
+    // multiple of 8.
+    const unpadded = 40 + 32 + 2 + name.length;
+    const length = unpadded + (8 - (unpadded % 8));
+    const bytes = new Uint8Array(length);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(24, 0o100644);
+    view.setUint32(36, entry.size);
+    bytes.set(hexToBytes(entry.id), 40);
+    view.setUint16(72, Math.min(name.length, 0xfff));
+    bytes.set(name, 74);
+    chunks.push(bytes);
+  }
+
+  const body = concat(chunks);
+  const checksum = await digestToken(body);
+  if (!checksum) throw new Error('Hashing is not available on this page');
+  return concat([body, hexToBytes(checksum.slice('sha256-'.length))]);
+}
+
+function concat(chunks: readonly Uint8Array[]): Uint8Array {
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+const CONFIG = [
+  '[core]',
+  '\trepositoryformatversion = 1',
+  '\tfilemode = false',
+  '\tbare = false',
+  '[extensions]',
+  '\tobjectformat = sha256',
+  '',
+].join('\n');
+
+/** Every file of the `.git` directory for this repository. */
+export async function writeGitDirectory(repository: GitRepository, index: readonly IndexEntry[]): Promise<GitFile[]> {
+  const files: GitFile[] = [
+    { path: 'HEAD', data: text(`ref: refs/heads/${repository.head}\n`) },
+    { path: 'config', data: text(CONFIG) },
+    { path: 'description', data: text('Exported from Browser Coder\n') },
+  ];
+  for (const [branch, id] of Object.entries(repository.branches)) {
+    files.push({ path: `refs/heads/${branch}`, data: text(`${id}\n`) });
+  }
+  for (const object of repository.objects) {
+    const framed = concat([text(`${object.type} ${object.body.length}\0`), object.body]);
+    files.push({
+      path: `objects/${object.id.slice(0, 2)}/${object.id.slice(2)}`,
+      data: await pipe(framed, new CompressionStream('deflate')),
+    });
+  }
+  if (index.length > 0) files.push({ path: 'index', data: await encodeIndex(index) });
+  return files;
+}
+
+/**
+ * The repository in a `.git` directory, every object verified against its name.
+ *
+ * `files` is keyed by the path inside `.git`.
+ */
+export async function readGitDirectory(files: ReadonlyMap<string, Uint8Array>): Promise<GitRepository> {
+  const config = files.get('config');
+  if (!config || !/^\s*objectformat\s*=\s*sha256\s*$/im.test(decoder.decode(config))) {
+    throw new Error(
+      'This repository uses SHA-1 object ids. Only a repository made with '
+      + '`git init --object-format=sha256` can be imported.',
+    );
+  }
+  if ([...files.keys()].some(path => path.startsWith('objects/pack/') && path.endsWith('.pack'))) {
+    throw new Error(
+      'This repository has packed objects, which cannot be imported yet. Unpack them first: '
+      + 'move the .pack files out of .git/objects/pack and run `git unpack-objects < <file>.pack` for each.',
+    );
+  }
+
+  const objects: GitObject[] = [];
+  for (const [path, data] of files) {
+    const match = /^objects\/([0-9a-f]{2})\/([0-9a-f]{62})$/.exec(path);
+    if (!match) continue;
+    const id = match[1] + match[2];
+    const framed = await pipe(data, new DecompressionStream('deflate'));
+    const nul = framed.indexOf(0);
+    const [type, size] = decoder.decode(framed.subarray(0, nul)).split(' ');
+    const body = framed.slice(nul + 1);
+    if (type !== 'blob' && type !== 'tree' && type !== 'commit') continue;
+    if (Number(size) !== body.length || (await gitObjectId(type, body)) !== id) {
+      throw new Error(`The object ${id} is damaged: its content does not match its name`);
+    }
+    objects.push({ id, type, body });
+  }
+
+  const branches: Record<string, string> = {};
+  const packedRefs = files.get('packed-refs');
+  if (packedRefs) {
+    for (const line of decoder.decode(packedRefs).split('\n')) {
+      const ref = /^([0-9a-f]{64}) refs\/heads\/(.+)$/.exec(line.trim());
+      if (ref) branches[ref[2]] = ref[1];
+    }
+  }
+  for (const [path, data] of files) {
+    if (!path.startsWith('refs/heads/')) continue;
+    const id = decoder.decode(data).trim();
+    if (/^[0-9a-f]{64}$/.test(id)) branches[path.slice('refs/heads/'.length)] = id;
+  }
+
+  const headRef = /^ref: refs\/heads\/(.+)$/.exec(decoder.decode(files.get('HEAD') ?? new Uint8Array()).trim());
+  const head = headRef?.[1] ?? Object.keys(branches)[0] ?? 'main';
+  return { objects, branches, head };
+}
@@ -0,0 +1,174 @@
+/**
+ * IndexedDB implementation of VcsStore.
+ *
+ * In `<workspace database>-vcs`, at version 1, beside the history and checkpoint
+ * databases for the reason `checkpoints-indexeddb.ts` gives: a store added to one of
+ * theirs would raise its version, and a revert could no longer open it.
+ *
+ * Three stores: `objects` by id, holding each body as bytes; `refs`, one row per
+ * branch; and `meta`, with the branch `HEAD` names and the merge in progress. Every
+ * `write` is one transaction over all three, so a commit's objects and the branch that
+ * moves onto it land together or not at all - a branch never names a commit the
+ * database does not have.
+ */
+
+import type { GitObject } from './vcs-git.ts';
+import type { MergeState, VcsStore, VcsWrite } from './vcs.ts';
+
+const DB_VERSION = 1;
+const OBJECTS_STORE = 'objects';
+const REFS_STORE = 'refs';
+const META_STORE = 'meta';
+const HEAD_KEY = 'HEAD';
+const MERGE_KEY = 'MERGE';
+const ALL_STORES = [OBJECTS_STORE, REFS_STORE, META_STORE];
+
+function promisify<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error ?? new Error('IndexedDB request failed'));
+  });
+}
+
+function transactionDone(transaction: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error ?? new Error('IndexedDB transaction failed'));
+    transaction.onabort = () => reject(transaction.error ?? new Error('IndexedDB transaction aborted'));
+  });
+}
+
+/** The version control database that goes with a workspace database. */
+export function vcsDatabaseName(workspaceDatabaseName: string): string {
+  return `${workspaceDatabaseName}-vcs`;
+}
+
+export class IndexedDbVcsStore implements VcsStore {
+  #databaseName: string;
+  #db: IDBDatabase | null = null;
+  #opening: Promise<void> | null = null;
+
+  constructor(workspaceDatabaseName: string) {
+    this.#databaseName = vcsDatabaseName(workspaceDatabaseName);
+  }
+
+  get databaseName(): string {
+    return this.#databaseName;
+  }
+
+  open(): Promise<void> {
+    if (this.#db) return Promise.resolve();
+    if (this.#opening) return this.#opening;
+
+    this.#opening = new Promise<void>((resolve, reject) => {
+      const request = indexedDB.open(this.#databaseName, DB_VERSION);
+
+      request.onerror = () => reject(request.error ?? new Error('Could not open the version control database'));
+
+      request.onsuccess = () => {
+        this.#db = request.result;
+        this.#db.onversionchange = () => this.close();
+        resolve();
+      };
+
+      request.onupgradeneeded = event => {
+        const db = (event.target as IDBOpenDBRequest).result;
+        if (!db.objectStoreNames.contains(OBJECTS_STORE)) {
+          db.createObjectStore(OBJECTS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(REFS_STORE)) {
+          db.createObjectStore(REFS_STORE, { keyPath: 'name' });
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: 'key' });
+        }
+      };
+    }).finally(() => {
+      this.#opening = null;
+    });
+
+    return this.#opening;
+  }
+
+  close(): void {
+    this.#db?.close();
+    this.#db = null;
+  }
+
+  async readObject(id: string): Promise<GitObject | null> {
+    const db = await this.#require();
+    const transaction = db.transaction(OBJECTS_STORE, 'readonly');
+    return (await promisify<GitObject | undefined>(transaction.objectStore(OBJECTS_STORE).get(id))) ?? null;
+  }
+
+  async has(ids: readonly string[]): Promise<Set<string>> {
+    const db = await this.#require();
+    const transaction = db.transaction(OBJECTS_STORE, 'readonly');
+    const store = transaction.objectStore(OBJECTS_STORE);
+    // Counting by key reads no bodies, which for an asset is most of the object.
+    const counts = await Promise.all(ids.map(id => promisify(store.count(id))));
+    return new Set(ids.filter((_, index) => counts[index] > 0));
+  }
+
+  async allObjects(): Promise<GitObject[]> {
+    const db = await this.#require();
+    const transaction = db.transaction(OBJECTS_STORE, 'readonly');
+    return promisify<GitObject[]>(transaction.objectStore(OBJECTS_STORE).getAll());
+  }
+
+  async readRefs(): Promise<Record<string, string>> {
+    const db = await this.#require();
+    const transaction = db.transaction(REFS_STORE, 'readonly');
+    const rows = await promisify<Array<{ name: string; id: string }>>(transaction.objectStore(REFS_STORE).getAll());
+    return Object.fromEntries(rows.map(row => [row.name, row.id]));
+  }
+
+  async readHead(): Promise<string | null> {
+    return this.#readMeta<string>(HEAD_KEY);
+  }
+
+  async readMerge(): Promise<MergeState | null> {
+    return this.#readMeta<MergeState>(MERGE_KEY);
+  }
+
+  async write(change: VcsWrite): Promise<void> {
+    const db = await this.#require();
+    const transaction = db.transaction(ALL_STORES, 'readwrite');
+    if (change.reset) {
+      for (const name of ALL_STORES) transaction.objectStore(name).clear();
+    }
+    const objects = transaction.objectStore(OBJECTS_STORE);
+    for (const object of change.objects ?? []) objects.put({ id: object.id, type: object.type, body: object.body });
+    const refs = transaction.objectStore(REFS_STORE);
+    for (const [name, id] of Object.entries(change.refs ?? {})) {
+      if (id === null) refs.delete(name);
+      else refs.put({ name, id });
+    }
+    const meta = transaction.objectStore(META_STORE);
+    if (change.head !== undefined) meta.put({ key: HEAD_KEY, value: change.head });
+    if (change.merge !== undefined) meta.put({ key: MERGE_KEY, value: change.merge });
+    await transactionDone(transaction);
+  }
+
+  async clear(): Promise<void> {
+    const db = await this.#require();
+    const transaction = db.transaction(ALL_STORES, 'readwrite');
+    for (const name of ALL_STORES) transaction.objectStore(name).clear();
+    await transactionDone(transaction);
+  }
+
+  async #readMeta<T>(key: string): Promise<T | null> {
+    const db = await this.#require();
+    const transaction = db.transaction(META_STORE, 'readonly');
+    const row = await promisify<{ key: string; value: T | null } | undefined>(
+      transaction.objectStore(META_STORE).get(key),
+    );
+    return row?.value ?? null;
+  }
+
+  async #require(): Promise<IDBDatabase> {
+    await this.open();
+    if (!this.#db) throw new Error('The version control database is not open');
+    return this.#db;
+  }
+}
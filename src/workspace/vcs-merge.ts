@@ -0,0 +1,160 @@
+/**
+ * Three-way merge of one text file, line by line - what `git merge` does to a file
+ * both branches changed.
+ *
+ * The two sides are each matched against their common ancestor (the merge base) by
+ * longest common subsequence. A base line matched on both sides is stable; between
+ * two stable lines is a chunk, and each chunk is resolved the way diff3 resolves it:
+ *
+ * - changed on one side only: that side's lines;
+ * - changed the same way on both: those lines, once;
+ * - changed differently on both: a conflict, written into the file between git's
+ *   markers, so the student resolves it in the editor and a later `git` on a real
+ *   machine would recognise it.
+ *
+ * ```
+ * <<<<<<< main
+ * our lines
+ * =======
+ * their lines
+ * >>>>>>> feature
+ * ```
+ *
+ * The LCS table is quadratic. Common prefix and suffix are trimmed first, which is most
+ * of any real file; a middle still too large to tabulate is treated as one chunk - a
+ * conflict unless one side left it alone - rather than hanging the tab.
+ *
+ * Pure: no DOM, no storage.
+ */
+
+export interface MergeResult {
+  readonly content: string;
+  /** How many conflicts were written into `content`; zero for a clean merge. */
+  readonly conflicts: number;
+}
+
+export interface MergeLabels {
+  readonly ours: string;
+  readonly theirs: string;
+}
+
+/** Cells of LCS table allowed per comparison: about 16 MB of Uint32. */
+const MAX_TABLE_CELLS = 4_000_000;
+
+/**
+ * For each line of `base`, the index of the line in `other` it is matched to, or -1.
+ * Matches are increasing, as an LCS's are.
+ */
+export function matchLines(base: readonly string[], other: readonly string[]): Int32Array {
+  const matches = new Int32Array(base.length).fill(-1);
+
+  let start = 0;
+  while (start < base.length && start < other.length && base[start] === other[start]) {
+    matches[start] = start;
+    start += 1;
+  }
+  let baseEnd = base.length;
+  let otherEnd = other.length;
+  while (baseEnd > start && otherEnd > start && base[baseEnd - 1] === other[otherEnd - 1]) {
+    baseEnd -= 1;
+    otherEnd -= 1;
+    matches[baseEnd] = otherEnd;
+  }
+
+  const rows = baseEnd - start;
+  const columns = otherEnd - start;
+  if (rows === 0 || columns === 0 || (rows + 1) * (columns + 1) > MAX_TABLE_CELLS) return matches;
+
+  // lengths[i][j]: LCS of base[start+i..baseEnd) and other[start+j..otherEnd).
+  const width = columns + 1;
+  const lengths = new Uint32Array((rows + 1) * width);
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = columns - 1; j >= 0; j--) {
+      lengths[i * width + j] = base[start + i] === other[start + j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < columns) {
+    if (base[start + i] === other[start + j]) {
+      matches[start + i] = start + j;
+      i += 1;
+      j += 1;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i += 1;
+    } else {
+      j += 1;
+    }
+  }
+  return matches;
+}
+
+function sameLines(a: readonly string[], b: readonly string[]): boolean {
+  return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+/**
+ * Merge `ours` and `theirs`, which both descend from `base`.
+ *
+ * Lines are split on `\n` and joined with it again, so a final newline, or its
+ * absence, survives like any other line. A `\r` stays part of its line.
+ */
+export function mergeText(base: string, ours: string, theirs: string, labels: MergeLabels): MergeResult {
+  if (ours === theirs) return { content: ours, conflicts: 0 };
+  if (ours === base) return { content: theirs, conflicts: 0 };
+  if (theirs === base) return { content: ours, conflicts: 0 };
+
+  const o = base.split('\n');
+  const a = ours.split('\n');
+  const b = theirs.split('\n');
+  const matchA = matchLines(o, a);
+  const matchB = matchLines(o, b);
+
+  const out: string[] = [];
+  let conflicts = 0;
+  let io = 0;
+  let ia = 0;
+  let ib = 0;
+
+  for (;;) {
+    // The next base line both sides kept, or the end of all three.
+    let next = io;
+    while (next < o.length && (matchA[next] === -1 || matchB[next] === -1)) next += 1;
+    const na = next < o.length ? matchA[next] : a.length;
+    const nb = next < o.length ? matchB[next] : b.length;
+
+    if (next === io && na === ia && nb === ib) {
+      if (next === o.length) break;
+      out.push(o[io]);
+      io += 1;
+      ia += 1;
+      ib += 1;
+      continue;
+    }
+
+    const baseChunk = o.slice(io, next);
+    const ourChunk = a.slice(ia, na);
+    const theirChunk = b.slice(ib, nb);
+    if (sameLines(ourChunk, baseChunk)) {
+      out.push(...theirChunk);
+    } else if (sameLines(theirChunk, baseChunk) || sameLines(ourChunk, theirChunk)) {
+      out.push(...ourChunk);
+    } else {
+      conflicts += 1;
+      out.push(`<<<<<<< ${labels.ours}`, ...ourChunk, '=======', ...theirChunk, `>>>>>>> ${labels.theirs}`);
+    }
+    io = next;
+    ia = na;
+    ib = nb;
+  }
+
+  return { content: out.join('\n'), conflicts };
+}
+
+/** Whether a file still holds a conflict block: a line that opens one, at its start. */
+export function hasConflictMarkers(content: string): boolean {
+  return /^<{7} /m.test(content) && /^>{7} /m.test(content);
+}
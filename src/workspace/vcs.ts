@@ -0,0 +1,877 @@
+/**
+ * Version control - commits, branches and merges over the workspace, without `git`.
+ *
+ * The sandbox has no `git` binary and no network, and the students this is for are
+ * learning exactly what `git` does. So this does it, in git's own data model and
+ * encoding, over `WorkspaceService`:
+ *
+ * - a **blob** is a file's bytes: text as UTF-8, an asset as the bytes its base64
+ *   stands for - the file a real checkout would have;
+ * - a **tree** is a folder: `"<mode> <name>\0"` and the raw id, for each entry, in
+ *   git's order;
+ * - a **commit** names a tree, its parents, an author and a message;
+ * - every object is named by `gitObjectId` (`content-hash.ts`): SHA-256 of git's own
+ *   framing, so the ids are the ones `git hash-object` prints in a SHA-256 repository
+ *   and the `.git` directory `vcs-git.ts` writes needs no translation;
+ * - a **branch** is a name for a commit, and `HEAD` names the branch the project is on.
+ *
+ * Objects never change, so two commits of the same file share one blob, and nothing
+ * is ever deleted but by Clear Cache.
+ *
+ * ## The working tree is the workspace
+ *
+ * What a commit records is every document the IDE has now, edits autosave has not
+ * written yet included - read before the first `await`, as a checkpoint is. Files
+ * `tracks` says no to (the hidden support files a course ships) are neither committed
+ * nor touched by a checkout: git would call them untracked.
+ *
+ * A checkout - switching branch, a merge, aborting one - is one
+ * `WorkspaceService.replaceAll`, so it happens completely or not at all. A document at
+ * a path the branch also has keeps its id, tab and language; a new one gets the
+ * language `languageFor` gives its name.
+ *
+ * ## Deliberately stricter than git
+ *
+ * Switching branch and merging refuse while anything is uncommitted, where git would
+ * carry changes across when it can. "Commit first" is one rule a beginner can hold;
+ * "unless the files the other branch changed are not the ones you changed" is not.
+ * Branches with no common history are not merged either, as `git merge` refuses them.
+ *
+ * ## Merging
+ *
+ * A branch that already contains the other is up to date; one the other contains is
+ * fast-forwarded. Otherwise each file is merged from the merge base: a change on one
+ * side is taken, a text file changed on both goes through `mergeText`, and what it
+ * cannot reconcile is written into the file between git's conflict markers. A clean
+ * merge is committed at once, with two parents. One with conflicts leaves the files in
+ * the editor and remembers the merge; the commit the student makes once they are
+ * resolved has two parents. A file deleted on one side and changed on the other keeps
+ * the changed version and is listed as a conflict; an asset changed on both keeps
+ * ours.
+ *
+ * Hashing needs `crypto.subtle`, which needs a secure page. Where it is missing,
+ * `available` is false and every operation that would name an object says why.
+ *
+ * No DOM, no IndexedDB - the store is a port, as in `checkpoints.ts`.
+ */
+
+import { Emitter } from './emitter.ts';
+import { gitObjectId, supportsContentHash } from './content-hash.ts';
+import { base64ToBytes, bytesToBase64, isAssetName } from './assets.ts';
+import { diffProjects } from './checkpoints.ts';
+import { hasConflictMarkers, mergeText } from './vcs-merge.ts';
+import { bytesToHex, hexToBytes, readGitDirectory, writeGitDirectory } from './vcs-git.ts';
+import type { ProjectChange, ProjectFile } from './checkpoints.ts';
+import type { GitFile, GitObject, GitObjectType, IndexEntry } from './vcs-git.ts';
+import type { ReplaceAllResult, ResolvedLanguage, WorkspaceService } from './service.ts';
+import type { Disposable } from './types.ts';
+
+export type { GitFile, GitObject } from './vcs-git.ts';
+
+/** A merge the student is resolving conflicts in. */
+export interface MergeState {
+  /** The branch being merged in. */
+  readonly branch: string;
+  /** Its commit: the commit that finishes the merge has it as second parent. */
+  readonly theirs: string;
+  /** The files that conflicted, by path. */
+  readonly conflicts: readonly string[];
+}
+
+/** What one `VcsStore.write` changes, in one transaction. */
+export interface VcsWrite {
+  /** Everything the store held is deleted first: an import. */
+  readonly reset?: boolean;
+  readonly objects?: readonly GitObject[];
+  /** Branch name to commit id; null deletes the branch. */
+  readonly refs?: Readonly<Record<string, string | null>>;
+  /** The branch HEAD names. */
+  readonly head?: string;
+  /** The merge in progress; null when there is none. */
+  readonly merge?: MergeState | null;
+}
+
+/** The persistence port. */
+export interface VcsStore {
+  open(): Promise<void>;
+  readObject(id: string): Promise<GitObject | null>;
+  /** Which of `ids` the store already holds. */
+  has(ids: readonly string[]): Promise<Set<string>>;
+  allObjects(): Promise<GitObject[]>;
+  readRefs(): Promise<Record<string, string>>;
+  readHead(): Promise<string | null>;
+  readMerge(): Promise<MergeState | null>;
+  write(change: VcsWrite): Promise<void>;
+  clear(): Promise<void>;
+  close(): void;
+}
+
+/** An in-memory `VcsStore`, for tests. */
+export class MemoryVcsStore implements VcsStore {
+  #objects = new Map<string, GitObject>();
+  #refs = new Map<string, string>();
+  #head: string | null = null;
+  #merge: MergeState | null = null;
+
+  async open(): Promise<void> {}
+
+  async readObject(id: string): Promise<GitObject | null> {
+    return this.#objects.get(id) ?? null;
+  }
+
+  async has(ids: readonly string[]): Promise<Set<string>> {
+    return new Set(ids.filter(id => this.#objects.has(id)));
+  }
+
+  async allObjects(): Promise<GitObject[]> {
+    return [...this.#objects.values()];
+  }
+
+  async readRefs(): Promise<Record<string, string>> {
+    return Object.fromEntries(this.#refs);
+  }
+
+  async readHead(): Promise<string | null> {
+    return this.#head;
+  }
+
+  async readMerge(): Promise<MergeState | null> {
+    return this.#merge;
+  }
+
+  async write(change: VcsWrite): Promise<void> {
+    if (change.reset) await this.clear();
+    for (const object of change.objects ?? []) this.#objects.set(object.id, object);
+    for (const [name, id] of Object.entries(change.refs ?? {})) {
+      if (id === null) this.#refs.delete(name);
+      else this.#refs.set(name, id);
+    }
+    if (change.head !== undefined) this.#head = change.head;
+    if (change.merge !== undefined) this.#merge = change.merge;
+  }
+
+  async clear(): Promise<void> {
+    this.#objects.clear();
+    this.#refs.clear();
+    this.#head = null;
+    this.#merge = null;
+  }
+
+  close(): void {}
+}
+
+export interface CommitAuthor {
+  readonly name: string;
+  readonly email: string;
+}
+
+export interface CommitRecord {
+  readonly id: string;
+  readonly tree: string;
+  readonly parents: readonly string[];
+  readonly author: CommitAuthor;
+  /** Milliseconds, as everything else in the workspace; git keeps whole seconds. */
+  readonly time: number;
+  /** Without its final newline. */
+  readonly message: string;
+}
+
+export interface BranchInfo {
+  readonly name: string;
+  /** Null for a branch with no commits yet: the one a new project starts on. */
+  readonly id: string | null;
+  readonly current: boolean;
+}
+
+export type MergeOutcome =
+  | { readonly kind: 'up-to-date' }
+  | { readonly kind: 'fast-forward'; readonly commit: string; readonly result: ReplaceAllResult }
+  | { readonly kind: 'merged'; readonly commit: string; readonly result: ReplaceAllResult }
+  | { readonly kind: 'conflicts'; readonly conflicts: readonly string[]; readonly result: ReplaceAllResult };
+
+export interface VersionControlOptions {
+  store: VcsStore;
+  service: WorkspaceService;
+  /** The language and version for a file a checkout creates. */
+  languageFor: (path: string) => ResolvedLanguage;
+  /** Whether a file is under version control; the rest are left alone. */
+  tracks?: (path: string) => boolean;
+  author?: CommitAuthor;
+  now?: () => number;
+}
+
+export const DEFAULT_BRANCH = 'main';
+
+const DEFAULT_AUTHOR: CommitAuthor = { name: 'Student', email: 'student@browser-coder.invalid' };
+
+const TREE_MODE = '40000';
+const FILE_MODE = '100644';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Whether `name` can be a branch: what `git check-ref-format --branch` accepts, less
+ * the corners nobody learning needs.
+ */
+export function isValidBranchName(name: string): boolean {
+  if (!name || name === '@' || name.startsWith('-') || name.startsWith('/') || name.endsWith('/')) return false;
+  if (name.endsWith('.') || name.endsWith('.lock') || name.includes('..') || name.includes('//')) return false;
+  if (name.includes('@{') || name.split('/').some(part => part.startsWith('.'))) return false;
+  return !/[\x00-\x20\x7f~^:?*[\\]/.test(name);
+}
+
+/** A file's content as the bytes a real checkout would have. */
+export function contentBytes(path: string, content: string): Uint8Array {
+  // An asset is held as base64; anything under an asset name that is not - text a
+  // student typed there - is committed as the text it is, as the ZIP download does.
+  if (isAssetName(path)) {
+    const bytes = base64ToBytes(content);
+    if (bytesToBase64(bytes) === content.replace(/\s+/g, '')) return bytes;
+  }
+  return encoder.encode(content);
+}
+
+/** The reverse of `contentBytes`. */
+export function bytesContent(path: string, bytes: Uint8Array): string {
+  return isAssetName(path) ? bytesToBase64(bytes) : decoder.decode(bytes);
+}
+
+interface TreeEntry {
+  readonly mode: string;
+  readonly name: string;
+  readonly id: string;
+}
+
+/** Git orders a tree by name, comparing a subtree's as if it ended in `/`. */
+function treeOrder(a: TreeEntry, b: TreeEntry): number {
+  const left = encoder.encode(a.mode === TREE_MODE ? `${a.name}/` : a.name);
+  const right = encoder.encode(b.mode === TREE_MODE ? `${b.name}/` : b.name);
+  const length = Math.min(left.length, right.length);
+  for (let index = 0; index < length; index++) {
+    if (left[index] !== right[index]) return left[index] - right[index];
+  }
+  return left.length - right.length;
+}
+
+export function encodeTree(entries: readonly TreeEntry[]): Uint8Array {
+  const parts = [...entries].sort(treeOrder).flatMap(entry => [
+    encoder.encode(`${entry.mode} ${entry.name}\0`),
+    hexToBytes(entry.id),
+  ]);
+  const body = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    body.set(part, offset);
+    offset += part.length;
+  }
+  return body;
+}
+
+export function decodeTree(body: Uint8Array): TreeEntry[] {
+  const entries: TreeEntry[] = [];
+  let offset = 0;
+  while (offset < body.length) {
+    const space = body.indexOf(0x20, offset);
+    const nul = body.indexOf(0, space);
+    const mode = decoder.decode(body.subarray(offset, space));
+    const name = decoder.decode(body.subarray(space + 1, nul));
+    entries.push({ mode, name, id: bytesToHex(body.subarray(nul + 1, nul + 33)) });
+    offset = nul + 33;
+  }
+  return entries;
+}
+
+function signature(author: CommitAuthor, time: number): string {
+  return `${author.name} <${author.email}> ${Math.floor(time / 1000)} +0000`;
+}
+
+export function encodeCommit(commit: Omit<CommitRecord, 'id'>): Uint8Array {
+  const lines = [`tree ${commit.tree}`, ...commit.parents.map(parent => `parent ${parent}`)];
+  lines.push(`author ${signature(commit.author, commit.time)}`, `committer ${signature(commit.author, commit.time)}`);
+  return encoder.encode(`${lines.join('\n')}\n\n${commit.message}\n`);
+}
+
+export function decodeCommit(id: string, body: Uint8Array): CommitRecord {
+  const text = decoder.decode(body);
+  const split = text.indexOf('\n\n');
+  const headers = (split === -1 ? text : text.slice(0, split)).split('\n');
+  const message = split === -1 ? '' : text.slice(split + 2).replace(/\n$/, '');
+  let tree = '';
+  const parents: string[] = [];
+  let author: CommitAuthor = DEFAULT_AUTHOR;
+  let time = 0;
+  for (const line of headers) {
+    // A header's continuation lines - a signature's - start with a space.
+    const space = line.indexOf(' ');
+    const key = line.slice(0, space);
+    const value = line.slice(space + 1);
+    if (key === 'tree') tree = value;
+    else if (key === 'parent') parents.push(value);
+    else if (key === 'author') {
+      const match = /^(.*) <(.*)> (\d+) [+-]\d{4}$/.exec(value);
+      if (match) {
+        author = { name: match[1], email: match[2] };
+        time = Number(match[3]) * 1000;
+      }
+    }
+  }
+  return { id, tree, parents, author, time, message };
+}
+
+export class VersionControl {
+  #store: VcsStore;
+  #service: WorkspaceService;
+  #languageFor: (path: string) => ResolvedLanguage;
+  #tracks: (path: string) => boolean;
+  #author: CommitAuthor;
+  #now: () => number;
+
+  #head = DEFAULT_BRANCH;
+  #refs = new Map<string, string>();
+  #merge: MergeState | null = null;
+  /** Trees and commits, which never change and are read on every status. */
+  #parsed = new Map<string, TreeEntry[] | CommitRecord>();
+  #queue: Promise<unknown> = Promise.resolve();
+  #subscriptions: Disposable[] = [];
+  #onDidChange = new Emitter<void>();
+
+  constructor(options: VersionControlOptions) {
+    this.#store = options.store;
+    this.#service = options.service;
+    this.#languageFor = options.languageFor;
+    this.#tracks = options.tracks ?? (() => true);
+    this.#author = options.author ?? DEFAULT_AUTHOR;
+    this.#now = options.now ?? (() => Date.now());
+  }
+
+  /** A commit, a branch, a switch, or a merge began or ended. */
+  readonly onDidChange = (listener: () => void): Disposable => this.#onDidChange.event(listener);
+
+  /** Whether objects can be named on this page. */
+  get available(): boolean {
+    return supportsContentHash();
+  }
+
+  async open(): Promise<void> {
+    this.#subscriptions.push(
+      this.#service.onDidChangeWorkspace(event => {
+        // Every commit holds the content of each file it tracked, and a checkout would
+        // write the deleted project back; see 'clear' in WorkspaceChangeReason (service.ts).
+        if (event.reason !== 'clear') return;
+        this.#reset(DEFAULT_BRANCH, {}, null);
+        this.#store.clear().catch(error => console.error('[vcs] Could not clear:', error));
+      }),
+    );
+    await this.#store.open();
+    await this.refresh();
+  }
+
+  /** Re-read branches and HEAD: another tab on the same project may have committed. */
+  async refresh(): Promise<void> {
+    const [refs, head, merge] = await Promise.all([
+      this.#store.readRefs(),
+      this.#store.readHead(),
+      this.#store.readMerge(),
+    ]);
+    this.#reset(head ?? DEFAULT_BRANCH, refs, merge);
+  }
+
+  /** The branch the project is on. */
+  get branch(): string {
+    return this.#head;
+  }
+
+  /** The commit the project is on, or null before the first. */
+  get headCommit(): string | null {
+    return this.#refs.get(this.#head) ?? null;
+  }
+
+  get merging(): MergeState | null {
+    return this.#merge;
+  }
+
+  branches(): BranchInfo[] {
+    const names = new Set([...this.#refs.keys(), this.#head]);
+    return [...names].sort().map(name => ({
+      name,
+      id: this.#refs.get(name) ?? null,
+      current: name === this.#head,
+    }));
+  }
+
+  /** What differs between the last commit and the project now. */
+  async status(): Promise<ProjectChange[]> {
+    const working = this.#workingFiles();
+    const head = this.headCommit;
+    const committed = head ? await this.#projectFiles((await this.#commit(head)).tree) : [];
+    return diffProjects(committed, working);
+  }
+
+  /**
+   * Record the project as it is now.
+   *
+   * During a merge the commit has the merged branch as its second parent, and is
+   * refused while a conflicted file still holds conflict markers.
+   */
+  commit(message: string): Promise<CommitRecord> {
+    const trimmed = message.trim();
+    if (!trimmed) return Promise.reject(new Error('A commit needs a message'));
+    const working = this.#workingFiles();
+    return this.#serialize(async () => {
+      const merge = this.#merge;
+      if (merge) {
+        const unresolved = merge.conflicts.filter(path =>
+          working.some(file => file.path === path && hasConflictMarkers(file.content)));
+        if (unresolved.length > 0) {
+          throw new Error(`Resolve the conflicts in ${unresolved.join(', ')} first: they still have conflict markers`);
+        }
+      }
+      const objects: GitObject[] = [];
+      const tree = await this.#writeTree(working, objects);
+      const head = this.headCommit;
+      if (!merge && (head ? (await this.#commit(head)).tree === tree : working.length === 0)) {
+        throw new Error('Nothing to commit: the project is as the last commit has it');
+      }
+      const parents = [head, merge?.theirs].filter((id): id is string => Boolean(id));
+      const record = await this.#writeCommit(tree, parents, trimmed, objects);
+      await this.#save(objects, { refs: { [this.#head]: record.id }, merge: null });
+      this.#refs.set(this.#head, record.id);
+      this.#merge = null;
+      this.#onDidChange.fire();
+      return record;
+    });
+  }
+
+  /** Every commit the current branch holds, newest first. */
+  async log(): Promise<CommitRecord[]> {
+    const head = this.headCommit;
+    return head ? this.#history([head]) : [];
+  }
+
+  async readCommit(id: string): Promise<CommitRecord> {
+    return this.#commit(id);
+  }
+
+  /** What a commit changed from its first parent; a first commit adds everything. */
+  async commitChanges(id: string): Promise<ProjectChange[]> {
+    const commit = await this.#commit(id);
+    return this.compare(commit.parents[0] ?? null, id);
+  }
+
+  /** What differs from one commit to another; `from` null is an empty project. */
+  async compare(from: string | null, to: string): Promise<ProjectChange[]> {
+    const before = from ? await this.#projectFiles((await this.#commit(from)).tree) : [];
+    return diffProjects(before, await this.#projectFiles((await this.#commit(to)).tree));
+  }
+
+  /** What differs from a commit to the project now. */
+  async compareWithWorking(from: string): Promise<ProjectChange[]> {
+    return diffProjects(await this.#projectFiles((await this.#commit(from)).tree), this.#workingFiles());
+  }
+
+  /**
+   * A new branch at the current commit. With `switchTo`, the project moves onto it,
+   * uncommitted changes and all - the files are the same, so nothing is checked out.
+   */
+  createBranch(name: string, options: { switchTo?: boolean } = {}): Promise<BranchInfo> {
+    const trimmed = name.trim();
+    return this.#serialize(async () => {
+      if (!isValidBranchName(trimmed)) throw new Error(`"${trimmed}" cannot be a branch name`);
+      if (this.#refs.has(trimmed) || trimmed === this.#head) throw new Error(`There is already a branch called ${trimmed}`);
+      const head = this.headCommit;
+      if (!head) throw new Error('Make a first commit before creating a branch');
+      if (options.switchTo && this.#merge) throw new Error('Finish or abort the merge first');
+      await this.#store.write({ refs: { [trimmed]: head }, ...(options.switchTo ? { head: trimmed } : {}) });
+      this.#refs.set(trimmed, head);
+      if (options.switchTo) this.#head = trimmed;
+      this.#onDidChange.fire();
+      return { name: trimmed, id: head, current: trimmed === this.#head };
+    });
+  }
+
+  /** Put the project on another branch: its files become that branch's. */
+  switchBranch(name: string): Promise<ReplaceAllResult | null> {
+    return this.#serialize(async () => {
+      if (name === this.#head) return null;
+      const target = this.#refs.get(name);
+      if (!target) throw new Error(`There is no branch called ${name}`);
+      await this.#requireClean('switching branch');
+      const result = await this.#checkout(await this.#treeContents((await this.#commit(target)).tree));
+      await this.#store.write({ head: name });
+      this.#head = name;
+      this.#onDidChange.fire();
+      return result;
+    });
+  }
+
+  /** Bring another branch's commits into this one. See "Merging". */
+  merge(name: string): Promise<MergeOutcome> {
+    return this.#serialize(async () => {
+      const theirs = this.#refs.get(name);
+      if (!theirs) throw new Error(`There is no branch called ${name}`);
+      if (name === this.#head) throw new Error('A branch cannot be merged into itself');
+      await this.#requireClean('merging');
+      const ours = this.headCommit;
+
+      const base = ours ? await this.#mergeBase(ours, theirs) : null;
+      if (ours && base === theirs) return { kind: 'up-to-date' };
+      if (!ours || base === ours) {
+        const result = await this.#checkout(await this.#treeContents((await this.#commit(theirs)).tree));
+        await this.#store.write({ refs: { [this.#head]: theirs } });
+        this.#refs.set(this.#head, theirs);
+        this.#onDidChange.fire();
+        return { kind: 'fast-forward', commit: theirs, result };
+      }
+      if (!base) throw new Error(`${name} has no history in common with ${this.#head}, so they cannot be merged`);
+
+      const [baseFiles, ourFiles, theirFiles] = await Promise.all(
+        [base, ours, theirs].map(async id => this.#treeFiles((await this.#commit(id)).tree)),
+      );
+      const merged = new Map<string, string>();
+      const conflicts: string[] = [];
+      const labels = { ours: this.#head, theirs: name };
+      const paths = [...new Set([...baseFiles.keys(), ...ourFiles.keys(), ...theirFiles.keys()])].sort();
+      for (const path of paths) {
+        const was = baseFiles.get(path);
+        const mine = ourFiles.get(path);
+        const other = theirFiles.get(path);
+        const pick = (blob: string | undefined) => (blob === undefined ? null : this.#blobContent(path, blob));
+        let content: string | null;
+        if (mine === other || other === was) content = await pick(mine);
+        else if (mine === was) content = await pick(other);
+        else if (mine === undefined || other === undefined) {
+          // Deleted on one side, changed on the other: the change is kept for the
+          // student to keep or delete.
+          content = await pick(mine ?? other);
+          conflicts.push(path);
+        } else if (isAssetName(path)) {
+          content = await pick(mine);
+          conflicts.push(path);
+        } else {
+          const result = mergeText((await pick(was)) ?? '', (await pick(mine))!, (await pick(other))!, labels);
+          content = result.content;
+          if (result.conflicts > 0) conflicts.push(path);
+        }
+        if (content !== null) merged.set(path, content);
+      }
+
+      if (conflicts.length > 0) {
+        const merge: MergeState = { branch: name, theirs, conflicts };
+        await this.#store.write({ merge });
+        try {
+          const result = await this.#checkout(merged);
+          this.#merge = merge;
+          this.#onDidChange.fire();
+          return { kind: 'conflicts', conflicts, result };
+        } catch (error) {
+          await this.#store.write({ merge: null });
+          throw error;
+        }
+      }
+
+      const objects: GitObject[] = [];
+      const files = [...merged].map(([path, content]) => ({ path, content }));
+      const tree = await this.#writeTree(files, objects);
+      const record = await this.#writeCommit(tree, [ours, theirs], `Merge branch '${name}' into ${this.#head}`, objects);
+      await this.#save(objects, {});
+      const result = await this.#checkout(merged);
+      await this.#store.write({ refs: { [this.#head]: record.id } });
+      this.#refs.set(this.#head, record.id);
+      this.#onDidChange.fire();
+      return { kind: 'merged', commit: record.id, result };
+    });
+  }
+
+  /** Give up on the merge: the project goes back to the last commit. */
+  abortMerge(): Promise<ReplaceAllResult> {
+    return this.#serialize(async () => {
+      if (!this.#merge) throw new Error('There is no merge to abort');
+      const head = this.headCommit;
+      const result = await this.#checkout(head ? await this.#treeContents((await this.#commit(head)).tree) : new Map());
+      await this.#store.write({ merge: null });
+      this.#merge = null;
+      this.#onDidChange.fire();
+      return result;
+    });
+  }
+
+  /**
+   * The repository as a `.git` directory, with an index of the current commit; null
+   * before the first commit.
+   */
+  async exportGitDirectory(): Promise<GitFile[] | null> {
+    const head = this.headCommit;
+    if (!head) return null;
+    const index: IndexEntry[] = [];
+    for (const [path, id] of await this.#treeFiles((await this.#commit(head)).tree)) {
+      const blob = await this.#object(id);
+      index.push({ path, id, size: blob.body.length });
+    }
+    return writeGitDirectory(
+      { objects: await this.#store.allObjects(), branches: Object.fromEntries(this.#refs), head: this.#head },
+      index,
+    );
+  }
+
+  /**
+   * Replace the repository with one from a `.git` directory, and the project with
+   * `working` - the files beside it - or, without them, with its current branch.
+   *
+   * Everything is read and checked before anything is replaced.
+   */
+  importGitDirectory(
+    files: ReadonlyMap<string, Uint8Array>,
+    working: ReadonlyMap<string, Uint8Array> | null,
+  ): Promise<ReplaceAllResult> {
+    return this.#serialize(async () => {
+      const repository = await readGitDirectory(files);
+      const objects = new Map(repository.objects.map(object => [object.id, object]));
+      const need = (id: string, type: GitObjectType) => {
+        const object = objects.get(id);
+        if (!object || object.type !== type) throw new Error(`The repository is missing the ${type} ${id}`);
+        return object;
+      };
+      const visitTree = (id: string): void => {
+        for (const entry of decodeTree(need(id, 'tree').body)) {
+          if (entry.mode === TREE_MODE) visitTree(entry.id);
+          else if (entry.mode !== '160000') need(entry.id, 'blob');
+        }
+      };
+      const seen = new Set<string>();
+      const pending = Object.values(repository.branches);
+      while (pending.length > 0) {
+        const id = pending.pop()!;
+        if (seen.has(id)) continue;
+        seen.add(id);
+        const commit = decodeCommit(id, need(id, 'commit').body);
+        visitTree(commit.tree);
+        pending.push(...commit.parents);
+      }
+
+      const head = repository.branches[repository.head] ? repository.head : Object.keys(repository.branches)[0];
+      if (!head) throw new Error('The repository has no branches');
+      const checkout = working && working.size > 0
+        ? new Map([...working].map(([path, bytes]) => [path, bytesContent(path, bytes)]))
+        : null;
+
+      this.#parsed.clear();
+      await this.#store.write({ reset: true, objects: repository.objects, refs: repository.branches, head, merge: null });
+      this.#reset(head, repository.branches, null);
+      const headTree = (await this.#commit(repository.branches[head])).tree;
+      return this.#checkout(checkout ?? await this.#treeContents(headTree));
+    });
+  }
+
+  dispose(): void {
+    for (const subscription of this.#subscriptions) subscription.dispose();
+    this.#subscriptions = [];
+    this.#onDidChange.dispose();
+    this.#store.close();
+  }
+
+  // ===== internals =====
+
+  #serialize<T>(task: () => Promise<T>): Promise<T> {
+    const run = this.#queue.then(task, task);
+    this.#queue = run.catch(() => {});
+    return run;
+  }
+
+  #reset(head: string, refs: Record<string, string>, merge: MergeState | null): void {
+    this.#head = head;
+    this.#refs = new Map(Object.entries(refs));
+    this.#merge = merge;
+    this.#onDidChange.fire();
+  }
+
+  async #requireClean(doing: string): Promise<void> {
+    if (this.#merge) throw new Error(`Finish the merge of ${this.#merge.branch} (commit it) or abort it before ${doing}`);
+    if ((await this.status()).length > 0) throw new Error(`Commit your changes before ${doing}`);
+  }
+
+  #workingFiles(): ProjectFile[] {
+    return this.#service.allDocuments().flatMap(document => {
+      const path = this.#service.pathOf(document.id) ?? document.name;
+      if (!this.#tracks(path)) return [];
+      return [{
+        id: path,
+        path,
+        language: document.language,
+        version: document.version,
+        order: document.metadata.order,
+        content: document.getContent(),
+      }];
+    });
+  }
+
+  async #hash(type: GitObjectType, body: Uint8Array): Promise<GitObject> {
+    const id = await gitObjectId(type, body);
+    if (!id) throw new Error('Version control needs a secure page (https:// or localhost) to name its objects');
+    return { id, type, body };
+  }
+
+  async #object(id: string): Promise<GitObject> {
+    const object = await this.#store.readObject(id);
+    if (!object) throw new Error(`The repository is missing the object ${id}`);
+    return object;
+  }
+
+  async #commit(id: string): Promise<CommitRecord> {
+    const cached = this.#parsed.get(id);
+    if (cached && !Array.isArray(cached)) return cached;
+    const record = decodeCommit(id, (await this.#object(id)).body);
+    this.#parsed.set(id, record);
+    return record;
+  }
+
+  async #tree(id: string): Promise<TreeEntry[]> {
+    const cached = this.#parsed.get(id);
+    if (Array.isArray(cached)) return cached;
+    const entries = decodeTree((await this.#object(id)).body);
+    this.#parsed.set(id, entries);
+    return entries;
+  }
+
+  /** Path to blob id, for every file under a tree. */
+  async #treeFiles(id: string, prefix = '', out = new Map<string, string>()): Promise<Map<string, string>> {
+    for (const entry of await this.#tree(id)) {
+      const path = prefix + entry.name;
+      if (entry.mode === TREE_MODE) await this.#treeFiles(entry.id, `${path}/`, out);
+      // A submodule is a commit in another repository; there is nothing here to show.
+      else if (entry.mode !== '160000') out.set(path, entry.id);
+    }
+    return out;
+  }
+
+  /** Path to content, for every file under a tree: what a checkout writes. */
+  async #treeContents(id: string): Promise<Map<string, string>> {
+    const contents = new Map<string, string>();
+    for (const [path, blob] of await this.#treeFiles(id)) contents.set(path, await this.#blobContent(path, blob));
+    return contents;
+  }
+
+  async #blobContent(path: string, id: string): Promise<string> {
+    return bytesContent(path, (await this.#object(id)).body);
+  }
+
+  async #projectFiles(tree: string): Promise<ProjectFile[]> {
+    const files: ProjectFile[] = [];
+    for (const [path, id] of await this.#treeFiles(tree)) {
+      const language = this.#languageOf(path);
+      files.push({
+        id: path, path, language: language.id, version: language.version, order: files.length,
+        content: await this.#blobContent(path, id),
+      });
+    }
+    return files;
+  }
+
+  #languageOf(path: string): ResolvedLanguage {
+    const existing = this.#service.findByPath(path);
+    return existing ? { id: existing.language, version: existing.version } : this.#languageFor(path);
+  }
+
+  /** The tree for these files, with every object it needs added to `objects`. */
+  async #writeTree(files: ReadonlyArray<{ path: string; content: string }>, objects: GitObject[]): Promise<string> {
+    interface Folder { files: Map<string, string>; folders: Map<string, Folder> }
+    const root: Folder = { files: new Map(), folders: new Map() };
+    for (const file of files) {
+      const segments = file.path.split('/');
+      const name = segments.pop()!;
+      let folder = root;
+      for (const segment of segments) {
+        if (!folder.folders.has(segment)) folder.folders.set(segment, { files: new Map(), folders: new Map() });
+        folder = folder.folders.get(segment)!;
+      }
+      const blob = await this.#hash('blob', contentBytes(file.path, file.content));
+      objects.push(blob);
+      folder.files.set(name, blob.id);
+    }
+    const write = async (folder: Folder): Promise<string> => {
+      const entries: TreeEntry[] = [...folder.files].map(([name, id]) => ({ mode: FILE_MODE, name, id }));
+      for (const [name, child] of folder.folders) entries.push({ mode: TREE_MODE, name, id: await write(child) });
+      const tree = await this.#hash('tree', encodeTree(entries));
+      objects.push(tree);
+      return tree.id;
+    };
+    return write(root);
+  }
+
+  async #writeCommit(tree: string, parents: string[], message: string, objects: GitObject[]): Promise<CommitRecord> {
+    const fields = { tree, parents, author: this.#author, time: this.#now(), message };
+    const object = await this.#hash('commit', encodeCommit(fields));
+    objects.push(object);
+    // Back through the encoding, so the record says what git will read: whole seconds.
+    const record = decodeCommit(object.id, object.body);
+    this.#parsed.set(record.id, record);
+    return record;
+  }
+
+  /** Write the objects the store does not have yet, with `change`, in one transaction. */
+  async #save(objects: readonly GitObject[], change: VcsWrite): Promise<void> {
+    const unique = [...new Map(objects.map(object => [object.id, object])).values()];
+    const present = await this.#store.has(unique.map(object => object.id));
+    await this.#store.write({ ...change, objects: unique.filter(object => !present.has(object.id)) });
+  }
+
+  /** Commits reachable from `starts`, newest first. */
+  async #history(starts: readonly string[]): Promise<CommitRecord[]> {
+    const seen = new Map<string, CommitRecord>();
+    const pending = [...starts];
+    while (pending.length > 0) {
+      const id = pending.shift()!;
+      if (seen.has(id)) continue;
+      const commit = await this.#commit(id);
+      seen.set(id, commit);
+      pending.push(...commit.parents);
+    }
+    // Stable, so commits made in the same second keep parent-after-child order.
+    return [...seen.values()].sort((a, b) => b.time - a.time);
+  }
+
+  /** The nearest commit both descend from; null for unrelated histories. */
+  async #mergeBase(ours: string, theirs: string): Promise<string | null> {
+    const ancestors = new Set((await this.#history([ours])).map(commit => commit.id));
+    const pending = [theirs];
+    const seen = new Set<string>();
+    while (pending.length > 0) {
+      const id = pending.shift()!;
+      if (ancestors.has(id)) return id;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      pending.push(...(await this.#commit(id)).parents);
+    }
+    return null;
+  }
+
+  /**
+   * Make the project's tracked files exactly `files`, path to content, in one
+   * `replaceAll`. Untracked files, and folders with nothing tracked in them, stay.
+   */
+  async #checkout(files: ReadonlyMap<string, string>): Promise<ReplaceAllResult> {
+    const documents = this.#service.allDocuments()
+      .map(document => ({ document, path: this.#service.pathOf(document.id) ?? document.name }))
+      .sort((a, b) => a.document.metadata.order - b.document.metadata.order);
+    const kept = documents.filter(({ path }) => !this.#tracks(path));
+    // Files the project has keep their place in it; new ones follow, by path.
+    const order = new Map(documents.map(({ path }, index) => [path, index]));
+    const position = (path: string) => order.get(path) ?? documents.length;
+    const incoming = [...files.keys()].sort((a, b) =>
+      position(a) - position(b) || (a < b ? -1 : a > b ? 1 : 0));
+    // Git has no empty folders, so one the student just made is untracked, and stays.
+    const emptyFolders = this.#service.allFolders()
+      .flatMap(folder => this.#service.pathOf(folder.id) ?? [])
+      .filter(folder => !documents.some(({ path }) => path.startsWith(`${folder}/`)));
+    return this.#service.replaceAll(
+      [
+        ...kept.map(({ document, path }) => ({ path, content: document.getContent() })),
+        ...incoming.map(path => ({ path, content: files.get(path)! })),
+      ],
+      {
+        resolve: (_fileName, _explicitLanguage, path) => this.#languageOf(path),
+        folders: emptyFolders,
+      },
+    );
+  }
+}
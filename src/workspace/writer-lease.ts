@@ -0,0 +1,372 @@
+/**
+ * WriterLease - which of several tabs on one workspace may write to it.
+ *
+ * Every tab with the IDE open opened the same `BrowserCoderDB` and autosaved into
+ * it, and none knew the others existed. The tab that saved last won, silently: a
+ * student who opened the IDE twice by accident, typed for an afternoon in the
+ * newer tab and then touched the older one, had the afternoon overwritten by a
+ * file the older tab loaded at lunchtime.
+ *
+ * Blueprint section 9.5 is the design, and this is its three parts:
+ *
+ * - **One writer, by Web Locks.** The tab holding the lock named for the workspace
+ *   is the writer. Any other is a reader: read-only, waiting in the lock's queue, so
+ *   it becomes the writer by itself when the writer's tab closes.
+ *
+ * - **Readers follow, by `BroadcastChannel`.** The writer posts `changed` after each
+ *   committed write, and a reader re-reads storage, so the second tab shows the work
+ *   as it is typed rather than as it was when the tab opened.
+ *
+ * - **Taking over is explicit, and fences.** A reader asks; the writer flushes what
+ *   it has and answers; the reader then steals the lock and claims a new fencing
+ *   token from the store. A writer that did not answer - a frozen background tab -
+ *   loses the lock all the same, and its token is now old, so any write it still
+ *   has queued is refused by the store (`StaleWriterError`) instead of landing on
+ *   top of the new writer's work. The lock says who should write; the token is what
+ *   makes it true.
+ *
+ * Pure: the lock manager and the channel arrive through ports, so the protocol is
+ * tested in node with two "tabs" in one process. Without Web Locks (an insecure
+ * context, an old browser) every tab claims as it opens and a `claimed` message
+ * demotes the older writer - the fence still holds, only the waiting is lost.
+ */
+
+import { Emitter } from './emitter.ts';
+import type { Disposable } from './types.ts';
+
+export type LeaseRole = 'starting' | 'writer' | 'reader' | 'closed';
+
+/** The slice of `navigator.locks` this needs. */
+export interface LockManagerPort {
+  request(
+    name: string,
+    options: { ifAvailable?: boolean; steal?: boolean; signal?: AbortSignal },
+    callback: (lock: unknown) => Promise<unknown>,
+  ): Promise<unknown>;
+}
+
+/** The slice of `BroadcastChannel` this needs. */
+export interface LeaseChannelPort {
+  postMessage(message: unknown): void;
+  onmessage: ((event: MessageEvent) => void) | null;
+  close(): void;
+}
+
+export type LeaseMessage =
+  /** The writer committed something; readers should re-read. */
+  | { readonly type: 'changed'; readonly token: number }
+  /** A reader wants to write. The writer should flush and answer `flushed`. */
+  | { readonly type: 'handover'; readonly from: string }
+  | { readonly type: 'flushed'; readonly to: string }
+  /** A tab claimed the workspace under this token. */
+  | { readonly type: 'claimed'; readonly token: number; readonly from: string };
+
+export interface WriterLeaseOptions {
+  /** Names the lock and tells leases on different workspaces apart. */
+  readonly workspaceId: string;
+  readonly locks: LockManagerPort | null;
+  readonly channel: LeaseChannelPort | null;
+  /** Claim the store: `WorkspaceStore.claimWriter`. */
+  readonly claim: () => Promise<number>;
+  /** Stop the store writing: `WorkspaceStore.releaseWriter`. */
+  readonly release: () => void;
+  /** Make what this tab holds durable before handing over: `flushAll`. */
+  readonly flush: () => Promise<unknown>;
+  /** How long a takeover waits for the writer to flush before taking anyway. */
+  readonly handoverTimeoutMs?: number;
+  readonly tabId?: string;
+  readonly setTimer?: (handler: () => void, delayMs: number) => unknown;
+  readonly clearTimer?: (handle: unknown) => void;
+}
+
+const DEFAULT_HANDOVER_TIMEOUT_MS = 2000;
+
+function isLeaseMessage(value: unknown): value is LeaseMessage {
+  if (!value || typeof value !== 'object') return false;
+  const type = (value as { type?: unknown }).type;
+  return type === 'changed' || type === 'handover' || type === 'flushed' || type === 'claimed';
+}
+
+function newTabId(): string {
+  return typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export class WriterLease {
+  #options: WriterLeaseOptions;
+  #lockName: string;
+  #tabId: string;
+  #setTimer: (handler: () => void, delayMs: number) => unknown;
+  #clearTimer: (handle: unknown) => void;
+
+  #role: LeaseRole = 'starting';
+  #token: number | null = null;
+  /** Resolving this lets go of the held lock. */
+  #letGo: (() => void) | null = null;
+  /** Aborts the reader's place in the queue. */
+  #waiting: AbortController | null = null;
+  /** Set while a takeover waits for the writer's `flushed`. */
+  #answer: (() => void) | null = null;
+  #takingOver: Promise<void> | null = null;
+
+  #onDidChangeRole = new Emitter<LeaseRole>();
+  #onDidReceiveChange = new Emitter<number>();
+
+  constructor(options: WriterLeaseOptions) {
+    this.#options = options;
+    this.#lockName = `browser-coder:writer:${options.workspaceId}`;
+    this.#tabId = options.tabId ?? newTabId();
+    this.#setTimer = options.setTimer ?? ((handler, delay) => setTimeout(handler, delay));
+    this.#clearTimer = options.clearTimer ?? (handle => clearTimeout(handle as never));
+    if (options.channel) options.channel.onmessage = event => this.#receive(event.data);
+  }
+
+  readonly onDidChangeRole = (listener: (role: LeaseRole) => void): Disposable =>
+    this.#onDidChangeRole.event(listener);
+
+  /** Another tab committed a write; the argument is its token. Readers only. */
+  readonly onDidReceiveChange = (listener: (token: number) => void): Disposable =>
+    this.#onDidReceiveChange.event(listener);
+
+  get role(): LeaseRole {
+    return this.#role;
+  }
+
+  get token(): number | null {
+    return this.#token;
+  }
+
+  /**
+   * Find out whether this tab is the writer: take the lock if it is free, otherwise
+   * become a reader and queue for it. Resolves once the role is known.
+   */
+  async start(): Promise<void> {
+    const { locks } = this.#options;
+    if (!locks) {
+      await this.#becomeWriter();
+      return;
+    }
+
+    await new Promise<void>(decided => {
+      // `ifAvailable` answers at once: the callback runs with the lock, or with null
+      // because another tab has it.
+      const held = locks.request(this.#lockName, { ifAvailable: true }, async lock => {
+        if (!lock) {
+          this.#becomeReader();
+          decided();
+          return;
+        }
+        await this.#hold(decided);
+      });
+      this.#watch(held);
+      held.catch(async () => {
+        // Refused outright - a sandboxed frame, say. Claim without the lock, as a
+        // browser without Web Locks does, rather than open a tab nobody can type in.
+        if (this.#role === 'starting') await this.#becomeWriter();
+        decided();
+      });
+    });
+  }
+
+  /**
+   * Take editing over from whichever tab has it.
+   *
+   * Asks first, so a live writer flushes what it holds and nothing is lost; takes
+   * regardless after `handoverTimeoutMs`, because a tab the browser has frozen will
+   * never answer and must not be able to keep the student out of their own work.
+   */
+  takeOver(): Promise<void> {
+    if (this.#role !== 'reader') return Promise.resolve();
+    if (this.#takingOver) return this.#takingOver;
+
+    this.#takingOver = this.#takeOver().finally(() => {
+      this.#takingOver = null;
+    });
+    return this.#takingOver;
+  }
+
+  /** Tell readers the store changed. A no-op unless this tab is the writer. */
+  notifyChanged(): void {
+    if (this.#role !== 'writer' || this.#token === null) return;
+    this.#post({ type: 'changed', token: this.#token });
+  }
+
+  dispose(): void {
+    if (this.#role === 'closed') return;
+    this.#setRole('closed');
+    this.#waiting?.abort();
+    this.#waiting = null;
+    this.#letGo?.();
+    this.#letGo = null;
+    if (this.#options.channel) {
+      this.#options.channel.onmessage = null;
+      this.#options.channel.close();
+    }
+    this.#onDidChangeRole.dispose();
+    this.#onDidReceiveChange.dispose();
+  }
+
+  // ===== internals =====
+
+  async #takeOver(): Promise<void> {
+    const { locks } = this.#options;
+
+    await new Promise<void>(resolve => {
+      const timer = this.#setTimer(() => {
+        this.#answer = null;
+        resolve();
+      }, this.#options.handoverTimeoutMs ?? DEFAULT_HANDOVER_TIMEOUT_MS);
+      this.#answer = () => {
+        this.#clearTimer(timer);
+        this.#answer = null;
+        resolve();
+      };
+      this.#post({ type: 'handover', from: this.#tabId });
+    });
+
+    if (this.#role !== 'reader') return;
+
+    if (!locks) {
+      await this.#becomeWriter();
+      return;
+    }
+
+    // Out of the queue, then to the front of it. `steal` ends the writer's hold
+    // whether it answered or not; its own request rejects, and that is how a tab
+    // that never heard the handover learns it was taken over from.
+    this.#waiting?.abort();
+    this.#waiting = null;
+    await new Promise<void>(decided => {
+      const held = locks.request(this.#lockName, { steal: true }, async () => this.#hold(decided));
+      this.#watch(held);
+      held.catch(() => decided());
+    });
+  }
+
+  /**
+   * Runs inside a granted lock, and holds it until `#letGo`. `decided` is called
+   * once the claim has made this tab the writer, or failed to.
+   */
+  async #hold(decided?: () => void): Promise<void> {
+    const released = new Promise<void>(resolve => {
+      this.#letGo = resolve;
+    });
+    if (this.#role === 'closed') {
+      decided?.();
+      return;
+    }
+    await this.#becomeWriter();
+    decided?.();
+    await released;
+  }
+
+  async #becomeWriter(): Promise<void> {
+    try {
+      this.#token = await this.#options.claim();
+    } catch (error) {
+      // A tab that cannot claim cannot write. It reads, and lets go of a lock it
+      // would otherwise hold without using - without queueing for it again, which
+      // would hand it straight back to a claim that just failed.
+      console.error('[workspace] Could not claim the workspace for writing:', error);
+      this.#letGo?.();
+      this.#letGo = null;
+      if (this.#role === 'closed') return;
+      this.#options.release();
+      this.#token = null;
+      this.#setRole('reader');
+      return;
+    }
+    if (this.#role === 'closed') return;
+    this.#setRole('writer');
+    this.#post({ type: 'claimed', token: this.#token, from: this.#tabId });
+  }
+
+  #becomeReader(): void {
+    if (this.#role === 'closed') return;
+    this.#options.release();
+    this.#token = null;
+    this.#setRole('reader');
+    this.#queue();
+  }
+
+  /** Wait in line for the lock, so this tab writes when the writer's tab closes. */
+  #queue(): void {
+    const { locks } = this.#options;
+    if (!locks || this.#waiting || this.#role !== 'reader') return;
+
+    const waiting = new AbortController();
+    this.#waiting = waiting;
+    const held = locks.request(this.#lockName, { signal: waiting.signal }, async () => {
+      if (this.#waiting === waiting) this.#waiting = null;
+      await this.#hold();
+    });
+    this.#watch(held);
+  }
+
+  /**
+   * Follow one lock request to its end. A held lock that ends without this tab
+   * letting go was stolen: the tab is a reader from here on.
+   */
+  #watch(held: Promise<unknown>): void {
+    held.then(
+      () => this.#lost(),
+      () => this.#lost(),
+    );
+  }
+
+  #lost(): void {
+    if (this.#role !== 'writer' || this.#letGo === null) return;
+    // Not ours to release any more; the other tab has it.
+    this.#letGo = null;
+    this.#becomeReader();
+  }
+
+  #receive(data: unknown): void {
+    if (!isLeaseMessage(data) || this.#role === 'closed') return;
+
+    switch (data.type) {
+      case 'changed':
+        if (this.#role === 'reader') this.#onDidReceiveChange.fire(data.token);
+        return;
+
+      case 'handover':
+        if (this.#role !== 'writer' || data.from === this.#tabId) return;
+        void this.#handOver(data.from);
+        return;
+
+      case 'flushed':
+        if (data.to === this.#tabId) this.#answer?.();
+        return;
+
+      case 'claimed':
+        // Only needed without Web Locks, where two tabs can both believe they are
+        // the writer: the newer claim wins, as the store will already insist.
+        if (data.from === this.#tabId || this.#role !== 'writer') return;
+        if (this.#token !== null && data.token <= this.#token) return;
+        this.#letGo?.();
+        this.#letGo = null;
+        this.#becomeReader();
+        return;
+    }
+  }
+
+  async #handOver(to: string): Promise<void> {
+    try {
+      await this.#options.flush();
+    } catch {
+      /* Whatever did not flush is reported by the save status; the handover goes on. */
+    }
+    this.#post({ type: 'flushed', to });
+  }
+
+  #post(message: LeaseMessage): void {
+    this.#options.channel?.postMessage(message);
+  }
+
+  #setRole(role: LeaseRole): void {
+    if (this.#role === role) return;
+    this.#role = role;
+    this.#onDidChangeRole.fire(role);
+  }
+}
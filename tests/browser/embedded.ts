@@ -304,6 +304,18 @@ async function run(): Promise<void> {
     `aria-disabled was ${runButton?.getAttribute('aria-disabled')}`,
   );
 
+  // A host that asks for a check is owed an answer, including "not allowed".
+  fromIde.length = 0;
+  post({ type: 'stepup:run-tests' });
+  const refusedCheck = await waitFor(
+    'ide:test-report for a refused check',
+    () => fromIde.some(message => message.type === 'ide:test-report'),
+    10000,
+  );
+  const refusedReport = fromIde.find(message => message.type === 'ide:test-report');
+  check('a check the policy refuses is still answered', refusedCheck);
+  equal('and says it was refused', refusedReport?.status, 'refused');
+
   // Restoring the policy must re-enable it, or a task that unlocks mid-way is stuck.
   post({ type: 'stepup:set-readonly', readonly: false, allowRun: true, lockStructure: false });
   const unlocked = await waitFor(
@@ -312,6 +324,26 @@ async function run(): Promise<void> {
     10000,
   );
   check('restoring the policy re-enables the command', unlocked);
+
+  // ===== ide:test-report =====
+  //
+  // This project has no marking harness, which needs no API behind the page: the
+  // check ends before anything runs, and the report still names the snapshot.
+  fromIde.length = 0;
+  post({ type: 'stepup:run-tests' });
+  const answeredCheck = await waitFor(
+    'ide:test-report for a task without checks',
+    () => fromIde.some(message => message.type === 'ide:test-report'),
+    10000,
+  );
+  const noChecks = fromIde.find(message => message.type === 'ide:test-report');
+  check('stepup:run-tests is answered', answeredCheck);
+  equal('a task without checks says so', noChecks?.status, 'no-checks');
+  check(
+    'the report names the snapshot it looked at',
+    /^sha256-[0-9a-f]{64}$/.test(String(noChecks?.snapshotHash)),
+    `snapshotHash was ${noChecks?.snapshotHash}`,
+  );
   check('no errors inside the embedded IDE', errors.length === 0, errors.slice(0, 5).join(' | '));
   equal('the remaining documents are correct', seam()!.workspace.allDocuments().length, 2);
 }
@@ -0,0 +1,203 @@
+/**
+ * POST /api/analysis - Jedi answering questions about a real multi-file project.
+ *
+ * The project is the case the regex providers get wrong: two files define `helper`,
+ * and only the import says which one `main.py` means. Each answer asserted is one a
+ * name match could not give. The failures are contract too, because the editor falls
+ * back on them: a full broker is a 429, a server without Jedi a 503, and neither is
+ * ever an empty answer the editor would believe.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+
+import { startServer } from './support/server.mjs';
+import { requiresAnalysis } from './support/toolchain.mjs';
+
+const PROJECT = [
+  {
+    path: 'main.py',
+    content: [
+      'from pkg.mod import helper',
+      '',
+      'result = helper(2)',
+      'print(result.bit_length())',
+      'print(helper(3))',
+      '',
+    ].join('\n'),
+  },
+  { path: 'pkg/__init__.py', content: '' },
+  {
+    path: 'pkg/mod.py',
+    content: 'def helper(count: int) -> int:\n    """Twice the count."""\n    return count * 2\n',
+  },
+  { path: 'other.py', content: 'def helper():\n    return "not this one"\n' },
+];
+
+const SESSION = randomUUID();
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+function ask(method, fields, target = server, session = SESSION) {
+  return target.postJson('/api/analysis', {
+    session,
+    language: 'python',
+    method,
+    files: PROJECT,
+    path: 'main.py',
+    ...fields,
+  }, { timeoutMs: 60000 });
+}
+
+describe('the request surface', () => {
+  it('refuses a language without a broker', async () => {
+    const { status, body } = await ask('definition', { language: 'ruby', line: 1, column: 1 });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'analysis_unsupported');
+  });
+
+  it('refuses a guessable session key', async () => {
+    const { status, body } = await ask('definition', { line: 1, column: 1 }, server, 'abc');
+    assert.equal(status, 400);
+    assert.equal(body.code, 'session_invalid');
+  });
+
+  it('refuses a position that is not one', async () => {
+    const { status, body } = await ask('definition', { line: 0, column: 1 });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'position_invalid');
+  });
+});
+
+describe('python: Jedi', requiresAnalysis(), () => {
+  it('follows the import to the right helper, not the same-named one', async () => {
+    const { status, body } = await ask('definition', { line: 3, column: 10 });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.deepEqual(body.result.locations, [
+      { path: 'pkg/mod.py', line: 1, column: 5, endLine: 1, endColumn: 11 },
+    ]);
+  });
+
+  it('completes the members of an inferred type', async () => {
+    const { status, body } = await ask('complete', { line: 4, column: 14 });
+    assert.equal(status, 200, JSON.stringify(body));
+    const labels = body.result.items.map(item => item.label);
+    assert.ok(labels.includes('bit_length'), labels.slice(0, 20).join(' '));
+  });
+
+  it('shows the signature of the call being typed', async () => {
+    const { status, body } = await ask('signatures', { line: 3, column: 17 });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.result.signatures.length, 1);
+    assert.match(body.result.signatures[0].label, /helper\(count: int\)/);
+    assert.equal(body.result.signatures[0].activeParameter, 0);
+  });
+
+  it('finds every use across files, and none of the other helper', async () => {
+    const { status, body } = await ask('references', { line: 3, column: 10 });
+    assert.equal(status, 200, JSON.stringify(body));
+    const found = body.result.locations.map(({ path, line }) => `${path}:${line}`).sort();
+    assert.deepEqual(found, ['main.py:1', 'main.py:3', 'main.py:5', 'pkg/mod.py:1']);
+  });
+
+  it('renames across files', async () => {
+    const { status, body } = await ask('rename', { line: 3, column: 10, newName: 'double' });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.result.edits.length, 4);
+    assert.ok(body.result.edits.every(edit => edit.text === 'double'));
+  });
+
+  it('refuses to rename what the project does not own', async () => {
+    const { status, body } = await ask('rename', { line: 4, column: 2, newName: 'show' });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.match(body.result.rejectReason, /"print" is defined outside this project/);
+  });
+
+  it('answers from the text sent, not the text of the last request', async () => {
+    const edited = PROJECT.map(file => file.path === 'pkg/mod.py'
+      ? { ...file, content: '\n\ndef helper(count):\n    return count\n' }
+      : file);
+    const { status, body } = await server.postJson('/api/analysis', {
+      session: SESSION, language: 'python', method: 'definition', files: edited, path: 'main.py', line: 3, column: 10,
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.result.locations[0].line, 3);
+  });
+});
+
+describe('a broker with no session to spare', requiresAnalysis(), () => {
+  let small;
+  const remote = Boolean(process.env.CONTRACT_TARGET_URL);
+
+  before(async () => {
+    if (!remote) small = await startServer({ env: { MAX_ANALYSIS_SESSIONS: '1' } });
+  });
+
+  after(async () => {
+    await small?.stop();
+  });
+
+  it('refuses a new session with 429, and still answers the one it has', { skip: remote && 'needs a server this suite starts' }, async () => {
+    const first = randomUUID();
+    assert.equal((await ask('definition', { line: 3, column: 10 }, small, first)).status, 200);
+
+    const { status, body } = await ask('definition', { line: 3, column: 10 }, small, randomUUID());
+    assert.equal(status, 429);
+    assert.equal(body.code, 'analysis_busy');
+
+    assert.equal((await ask('definition', { line: 3, column: 10 }, small, first)).status, 200);
+  });
+});
+
+describe('a broker with sessions to spare, but not for one client', requiresAnalysis(), () => {
+  let small;
+  const remote = Boolean(process.env.CONTRACT_TARGET_URL);
+
+  before(async () => {
+    if (!remote) small = await startServer({ env: { MAX_ANALYSIS_SESSIONS: '4', MAX_ANALYSIS_PER_IP: '1' } });
+  });
+
+  after(async () => {
+    await small?.stop();
+  });
+
+  it('refuses a client minting session keys with 429, and still answers its first', { skip: remote && 'needs a server this suite starts' }, async () => {
+    const first = randomUUID();
+    assert.equal((await ask('definition', { line: 3, column: 10 }, small, first)).status, 200);
+
+    const { status, body } = await ask('definition', { line: 3, column: 10 }, small, randomUUID());
+    assert.equal(status, 429);
+    assert.equal(body.code, 'analysis_busy');
+    assert.match(body.error, /your connection/);
+
+    assert.equal((await ask('definition', { line: 3, column: 10 }, small, first)).status, 200);
+  });
+});
+
+describe('a server without Jedi', () => {
+  let bare;
+  const remote = Boolean(process.env.CONTRACT_TARGET_URL);
+
+  before(async () => {
+    if (!remote) bare = await startServer({ env: { PYTHON_BIN: '/nonexistent/python3' } });
+  });
+
+  after(async () => {
+    await bare?.stop();
+  });
+
+  it('is a 503 the editor can recognise, not an empty answer', { skip: remote && 'needs a server this suite starts' }, async () => {
+    const { status, body } = await ask('definition', { line: 3, column: 10 }, bare);
+    assert.equal(status, 503);
+    assert.equal(body.code, 'analysis_unavailable');
+  });
+});
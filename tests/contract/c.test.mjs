@@ -0,0 +1,209 @@
+/**
+ * C through the public API (blueprint §60).
+ *
+ * The adapter's choices that only show up with a real compiler: a build error is a
+ * compile-phase result naming the student's file, a sanitizer report becomes a
+ * `crashed` termination with the kind and the line, and what the program printed
+ * before it crashed is still there. Every case needs `gcc` and skips without it,
+ * except the refusals at the end: they happen before any compiler is involved.
+ *
+ * Where the image's C library has no AddressSanitizer (musl), a fault is classified
+ * from its signal alone; the crash assertions accept either and say which they saw.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startServer } from './support/server.mjs';
+import { requires } from './support/toolchain.mjs';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+const run = payload => server.postJson('/api/run', { language: 'c', version: 'c17', ...payload });
+
+/** Run on a terminal over the session socket: the output as drawn, and the exit. */
+async function runOnTerminal(code) {
+  const socket = new WebSocket(`${server.baseUrl.replace(/^http/, 'ws')}/api/session`);
+  const messages = [];
+  const exited = new Promise((resolve, reject) => {
+    socket.addEventListener('message', event => {
+      const message = JSON.parse(event.data);
+      messages.push(message);
+      if (message.type === 'session.exited') resolve(message.payload);
+      if (message.type === 'session.refused') reject(new Error(JSON.stringify(message)));
+    });
+    socket.addEventListener('error', () => reject(new Error('could not connect')));
+  });
+  await new Promise(resolve => socket.addEventListener('open', resolve, { once: true }));
+  socket.send(JSON.stringify({
+    type: 'session.create',
+    clientCommandId: 'c-pty',
+    request: { language: 'c', version: 'c17', code, transport: 'pty' },
+  }));
+  try {
+    const payload = await exited;
+    const text = messages.filter(message => message.type === 'stdout').map(message => message.payload.text).join('');
+    return { ...payload, text };
+  } finally {
+    socket.close();
+  }
+}
+
+describe('running a program', requires('c'), () => {
+  it('runs the single-file shape', async () => {
+    const { status, body } = await run({
+      code: '#include <stdio.h>\n\nint main(void) {\n    printf("hello %d\\n", 3 * 7);\n    return 0;\n}\n',
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.exitCode, 0, `stderr was: ${body.stderr}`);
+    assert.equal(body.stdout, 'hello 21\n');
+    assert.equal(body.phase, 'run');
+    assert.equal(body.crash, null);
+  });
+
+  it('builds every source in the project, headers in subdirectories included', async () => {
+    const { body } = await run({
+      files: [
+        {
+          path: 'main.c',
+          content: '#include <stdio.h>\n#include "geometry/area.h"\n\nint main(void) {\n    printf("%d\\n", area(3, 4));\n}\n',
+          isMain: true,
+        },
+        { path: 'geometry/area.h', content: 'int area(int w, int h);\n' },
+        { path: 'geometry/area.c', content: '#include "area.h"\n\nint area(int w, int h) { return w * h; }\n' },
+      ],
+      entryPoint: 'main.c',
+    });
+
+    assert.equal(body.exitCode, 0, `stderr was: ${body.stderr}`);
+    assert.equal(body.stdout, '12\n');
+  });
+
+  it('links the maths library', async () => {
+    const { body } = await run({
+      code: '#include <math.h>\n#include <stdio.h>\n\nint main(void) {\n    printf("%.1f\\n", sqrt(2.25));\n}\n',
+    });
+
+    assert.equal(body.stdout, '1.5\n', `stderr was: ${body.stderr}`);
+  });
+});
+
+describe('when it goes wrong', requires('c'), () => {
+  it('a build error is a compile-phase result naming the file, not the job directory', async () => {
+    const { status, body } = await run({ code: 'int main(void) {\n    return count;\n}\n' });
+
+    assert.equal(status, 200);
+    assert.equal(body.phase, 'compile');
+    assert.notEqual(body.exitCode, 0);
+    assert.match(body.stderr, /^main\.c:2:12: error: 'count' undeclared/m);
+    if (server.sandboxRoot) assert.ok(!body.stderr.includes(server.sandboxRoot), body.stderr);
+  });
+
+  it('an out-of-bounds write is a crash at its line, and the output before it survives', async () => {
+    const { body } = await run({
+      code: [
+        '#include <stdio.h>',
+        '#include <stdlib.h>',
+        '',
+        'int main(void) {',
+        '    int *a = malloc(3 * sizeof *a);',
+        '    puts("before");',
+        '    a[3] = 1;',
+        '    puts("after");',
+        '    free(a);',
+        '}',
+        '',
+      ].join('\n'),
+    });
+
+    assert.equal(body.phase, 'run');
+    assert.equal(body.terminationReason, 'crashed', `stderr was: ${body.stderr}`);
+    assert.equal(body.stdout, 'before\n', 'stdout printed before the crash was lost');
+    assert.ok(body.crash, 'no crash report came back');
+    if (body.crash.tool === 'asan') {
+      assert.equal(body.crash.kind, 'heap-buffer-overflow');
+      assert.deepEqual([body.crash.file, body.crash.line], ['main.c', 7]);
+      assert.doesNotMatch(body.stderr, /Shadow bytes/, 'the shadow dump is noise to a student');
+    }
+  });
+
+  it('on a terminal the report arrives on stdout, and is still read as a crash', async t => {
+    if (process.platform === 'win32') return t.skip('no pty on Windows; such a run is declared pipes');
+    const exited = await runOnTerminal([
+      '#include <stdio.h>',
+      '#include <stdlib.h>',
+      '',
+      'int main(void) {',
+      '    int *a = malloc(3 * sizeof *a);',
+      '    puts("before");',
+      '    a[3] = 1;',
+      '    free(a);',
+      '}',
+      '',
+    ].join('\n'));
+
+    assert.equal(exited.reason, 'crashed', exited.text);
+    assert.ok(exited.crash, 'no crash report came back');
+    assert.match(exited.text, /before\r\n/);
+    if (exited.crash.tool === 'asan') {
+      assert.equal(exited.crash.kind, 'heap-buffer-overflow');
+      assert.deepEqual([exited.crash.file, exited.crash.line], ['main.c', 7]);
+    }
+    if (server.sandboxRoot) assert.ok(!exited.text.includes(server.sandboxRoot), exited.text);
+  });
+
+  it('signed overflow is undefined behaviour, reported at its line', async () => {
+    const { body } = await run({
+      code: '#include <limits.h>\n#include <stdio.h>\n\nint main(void) {\n    int big = INT_MAX;\n    printf("%d\\n", big + 1);\n}\n',
+    });
+
+    // Without the sanitizers the overflow simply wraps, and the program exits 0.
+    if (body.terminationReason === 'crashed') {
+      assert.equal(body.crash.kind, 'signed-integer-overflow');
+      assert.deepEqual([body.crash.file, body.crash.line], ['main.c', 6]);
+    } else {
+      assert.equal(body.exitCode, 0, `stderr was: ${body.stderr}`);
+    }
+  });
+
+  it('exit(1) is an ordinary failure, not a crash', async () => {
+    const { body } = await run({
+      code: '#include <stdio.h>\n#include <stdlib.h>\n\nint main(void) {\n    fprintf(stderr, "bad input\\n");\n    exit(1);\n}\n',
+    });
+
+    assert.equal(body.exitCode, 1);
+    assert.equal(body.terminationReason, 'exited');
+    assert.equal(body.crash, null);
+  });
+});
+
+describe('what the policy refuses', () => {
+  it('system is blocked before anything runs', async () => {
+    const { status, body } = await run({ code: '#include <stdlib.h>\n\nint main(void) {\n    system("id");\n}\n' });
+
+    assert.equal(status, 403);
+    assert.equal(body.blocked, true);
+  });
+
+  it('an object file is refused as a project file', async () => {
+    const { status, body } = await run({
+      files: [
+        { path: 'main.c', content: 'int main(void) { return 0; }\n', isMain: true },
+        { path: 'helper.o', content: '' },
+      ],
+      entryPoint: 'main.c',
+    });
+
+    assert.equal(status, 400);
+    assert.match(body.error, /helper\.o/);
+  });
+});
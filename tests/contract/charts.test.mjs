@@ -0,0 +1,135 @@
+/**
+ * bcplot through the public API (blueprint section 68).
+ *
+ * The same chart from Python and JavaScript comes back as the same `chartData`,
+ * streams as `chart` operations while the program runs, and a mistake in a bcplot
+ * call is reported at the student's line. The sanitizer's own cases are unit tests
+ * (tests/unit/charts.test.mjs); what is checked here is the wiring on both sides.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { runInteractive, startServer } from './support/server.mjs';
+import { requires } from './support/toolchain.mjs';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+const run = (language, payload) => server.postJson('/api/run', { language, ...payload });
+
+const VISITORS = {
+  python: [
+    'import bcplot as plt',
+    'plt.title("Visitors")',
+    'plt.plot([1, 2, 3], [3, 5, 4], label="2024", color="red")',
+    'plt.scatter([1, 2], [2, 6])',
+    'plt.xlabel("day")',
+    'plt.show()',
+    'plt.bar(["Mon", "Tue"], [12, 7])',
+    'print("done")',
+  ].join('\n'),
+  javascript: [
+    "import * as plt from 'bcplot';",
+    "plt.title('Visitors');",
+    "plt.plot([1, 2, 3], [3, 5, 4], { label: '2024', color: 'red' });",
+    'plt.scatter([1, 2], [2, 6]);',
+    "plt.xlabel('day');",
+    'plt.show();',
+    "plt.bar(['Mon', 'Tue'], [12, 7]);",
+    "console.log('done');",
+  ].join('\n'),
+};
+
+const EXPECTED = {
+  charts: [
+    {
+      title: 'Visitors',
+      xlabel: 'day',
+      series: [
+        { k: 'line', label: '2024', c: 'red', pts: [[1, 3], [2, 5], [3, 4]] },
+        { k: 'scatter', pts: [[1, 2], [2, 6]] },
+      ],
+    },
+    { series: [{ k: 'bar', cats: ['Mon', 'Tue'], vals: [12, 7] }] },
+  ],
+};
+
+describe('python', requires('python'), () => {
+  it('charts come back as chartData, and nothing is printed for them', async () => {
+    const { body } = await run('python', { code: VISITORS.python });
+
+    assert.equal(body.exitCode, 0, `stderr was: ${body.stderr}`);
+    assert.equal(body.stdout, 'done\n');
+    assert.deepEqual(body.chartData, EXPECTED);
+    assert.equal(body.turtleData ?? null, null);
+  });
+
+  it("a mistake in a bcplot call is reported at the student's line", async () => {
+    const { body } = await run('python', { code: 'import bcplot\n\nbcplot.plot([1, 2], ["a", 3])\n' });
+
+    assert.notEqual(body.exitCode, 0);
+    assert.match(body.stderr, /TypeError: bcplot: y values must be numbers, got 'a'/);
+    assert.match(body.stderr, /line 3/);
+    assert.doesNotMatch(body.stderr, /browser-coder-bcplot/, body.stderr);
+  });
+
+  it('a chart streams while the program runs', async () => {
+    const result = await runInteractive(server, {
+      language: 'python',
+      code: 'import bcplot, time\nbcplot.plot([1, 2, 3])\nbcplot.pause(0.2)\nraise SystemExit(3)\n',
+      graphicsPolicy: 'livePreserveOnError',
+    });
+
+    const charts = result.events.filter(event => event.type === 'graphics')
+      .flatMap(event => event.batch.operations)
+      .filter(operation => operation.op === 'chart');
+    assert.ok(charts.length >= 1, JSON.stringify(result.events.map(event => event.type)));
+    assert.deepEqual(charts.at(-1), { op: 'chart', index: 0, chart: { series: [{ k: 'line', pts: [[0, 1], [1, 2], [2, 3]] }] } });
+    assert.equal(result.events.at(-1).exitCode, 3);
+  });
+});
+
+describe('javascript', () => {
+  it('charts come back as chartData, and nothing is printed for them', async () => {
+    const { body } = await run('javascript', { code: VISITORS.javascript });
+
+    assert.equal(body.exitCode, 0, `stderr was: ${body.stderr}`);
+    assert.equal(body.stdout, 'done\n');
+    assert.deepEqual(body.chartData, EXPECTED);
+  });
+
+  it("a mistake in a bcplot call is reported at the student's line, not the library's", async () => {
+    const { body } = await run('javascript', { code: "import { bar } from 'bcplot';\n\nbar(['a', 'b'], [1]);\n" });
+
+    assert.notEqual(body.exitCode, 0);
+    assert.match(body.stderr, /RangeError: bcplot\.bar: categories and heights must be the same length, got 2 and 1/);
+    assert.match(body.stderr, /^\s+at .*main\.mjs:3:1/m, body.stderr);
+    assert.doesNotMatch(body.stderr, /node_modules\/bcplot/, body.stderr);
+  });
+
+  it('turtle and bcplot in one program each bring back their own', async () => {
+    const { body } = await run('javascript', {
+      code: "import turtle from 'turtle';\nimport { plot } from 'bcplot';\n\nturtle.forward(30);\nplot([2, 4]);\n",
+    });
+
+    assert.equal(body.exitCode, 0, `stderr was: ${body.stderr}`);
+    assert.equal(body.turtleData.shapes.filter(shape => shape.k === 'l').length, 1);
+    assert.deepEqual(body.chartData, { charts: [{ series: [{ k: 'line', pts: [[0, 2], [1, 4]] }] }] });
+  });
+
+  it('a program that does not import bcplot cannot find it', async () => {
+    const { body } = await run('javascript', { code: "const plt = await import('bc' + 'plot');\n" });
+
+    assert.notEqual(body.exitCode, 0);
+    assert.match(body.stderr, /Cannot find package 'bcplot'/);
+    assert.equal(body.chartData ?? null, null);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * C++ through the public API (blueprint §60).
+ *
+ * Everything the C contract proves holds here too, through the same adapter factory;
+ * these are the crashes C++ adds. `std::vector` indexed past its end is caught by
+ * libstdc++'s own assertion rather than by AddressSanitizer and is walked back to the
+ * student's line, and an uncaught exception is a crash carrying its type and what().
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startServer } from './support/server.mjs';
+import { requires } from './support/toolchain.mjs';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+const run = payload => server.postJson('/api/run', { language: 'cpp', version: 'cpp17', ...payload });
+
+describe('running a program', requires('cpp'), () => {
+  it('runs the single-file shape', async () => {
+    const { status, body } = await run({
+      code: '#include <iostream>\n#include <vector>\n\nint main() {\n    std::vector<int> v{3, 7};\n    std::cout << "hello " << v[0] * v[1] << std::endl;\n}\n',
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.exitCode, 0, `stderr was: ${body.stderr}`);
+    assert.equal(body.stdout, 'hello 21\n');
+  });
+
+  it('builds a class split across a header and a source file', async () => {
+    const { body } = await run({
+      files: [
+        {
+          path: 'main.cpp',
+          content: '#include <iostream>\n#include "shapes/rect.hpp"\n\nint main() {\n    std::cout << Rect{3, 4}.area() << "\\n";\n}\n',
+          isMain: true,
+        },
+        { path: 'shapes/rect.hpp', content: 'struct Rect {\n    int w, h;\n    int area() const;\n};\n' },
+        { path: 'shapes/rect.cc', content: '#include "rect.hpp"\n\nint Rect::area() const { return w * h; }\n' },
+      ],
+      entryPoint: 'main.cpp',
+    });
+
+    assert.equal(body.exitCode, 0, `stderr was: ${body.stderr}`);
+    assert.equal(body.stdout, '12\n');
+  });
+});
+
+describe('when it goes wrong', requires('cpp'), () => {
+  it('a build error is a compile-phase result naming the file', async () => {
+    const { body } = await run({ code: '#include <string>\n\nint main() {\n    std::string s = 5;\n}\n' });
+
+    assert.equal(body.phase, 'compile');
+    assert.match(body.stderr, /^main\.cpp:4:\d+: error: conversion from 'int'/m);
+  });
+
+  it("indexing a vector past its end is reported at the student's line", async () => {
+    const { body } = await run({
+      code: '#include <iostream>\n#include <vector>\n\nint main() {\n    std::vector<int> v{1, 2, 3};\n    std::cout << v[3] << "\\n";\n}\n',
+    });
+
+    assert.equal(body.terminationReason, 'crashed', `stderr was: ${body.stderr}`);
+    assert.equal(body.crash.kind, 'library-assertion');
+    assert.match(body.crash.summary, /this->size\(\)/);
+    if (body.crash.tool === 'asan') assert.deepEqual([body.crash.file, body.crash.line], ['main.cpp', 6]);
+  });
+
+  it('an uncaught exception is a crash carrying its type and message', async () => {
+    const { body } = await run({
+      code: '#include <stdexcept>\n\nint main() {\n    throw std::runtime_error("out of widgets");\n}\n',
+    });
+
+    assert.equal(body.terminationReason, 'crashed', `stderr was: ${body.stderr}`);
+    assert.equal(body.crash.kind, 'uncaught-exception');
+    assert.equal(body.crash.summary, 'uncaught std::runtime_error: out of widgets');
+  });
+});
+
+describe('what the policy refuses', () => {
+  it('an input file stream is blocked before anything runs', async () => {
+    const { status, body } = await run({
+      code: '#include <fstream>\n\nint main() {\n    std::ifstream in("/etc/passwd");\n}\n',
+    });
+
+    assert.equal(status, 403);
+    assert.equal(body.blocked, true);
+  });
+});
@@ -254,6 +254,45 @@ describe('debugging over HTTP', requires('python'), () => {
     await run.close();
   });
 
+  test('a recorded run goes back over HTTP, and an unrecorded one is not recorded', async () => {
+    // `{ record: true }` is the same session with a recording behind it (blueprint
+    // section 73): the route has to turn it into the adapter's variable, and the two
+    // new commands have to get through the allowlist.
+    const run = await new StreamedRun(base).start({
+      language: 'python',
+      version: 'python3',
+      code: PROGRAM,
+      debug: { record: true },
+    });
+
+    await run.waitFor('debug:attached');
+    await run.debug('setBreakpoints', { lines: [4] });
+    const started = await run.waitFor('debug:started');
+    assert.ok(started.recording, 'the adapter was not told to record');
+
+    const timeline = await run.waitFor('debug:timeline');
+    await run.waitFor('debug:stopped');
+    assert.deepEqual(timeline.steps.map(step => step.line), [1, 2, 3, 2, 3, 2, 3, 2, 4]);
+
+    assert.equal(await run.debug('reverseContinue'), 200);
+    const start = await run.waitFor('debug:stopped');
+    assert.equal(start.line, 1);
+    assert.equal(start.replay.step, 1);
+
+    assert.equal(await run.debug('stepBack'), 200);
+    await run.waitFor('debug:error');
+
+    await run.debug('stop');
+    await run.waitFor('exit');
+    await run.close();
+
+    const plain = await new StreamedRun(base).start({
+      language: 'python', version: 'python3', code: PROGRAM, debug: true,
+    });
+    assert.equal((await plain.waitFor('debug:started')).recording, undefined);
+    await plain.close();
+  });
+
   test('evaluate runs in the paused frame', async () => {
     const run = await new StreamedRun(base).start({
       language: 'python',
@@ -0,0 +1,115 @@
+/**
+ * Offline dependency layers over HTTP (blueprint 12.6, section 56).
+ *
+ * The unit tests cover the lockfile parsers, the archive readers and the cache. What
+ * this proves is the part they cannot: that a package installed from the mirror is
+ * actually importable by a real run, under the real confinement - Python's `-I -S`
+ * and filesystem guard, Node's permission model - and that a mirror file which does
+ * not match the lock stops the run before it starts, with a message that says why.
+ *
+ * The mirror is built here, on disk, and the server is pointed at it. Nothing is
+ * fetched from anywhere.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { startServer } from './support/server.mjs';
+import { requires } from './support/toolchain.mjs';
+import { addNpmPackage, addWheel, packageLock } from '../unit/support/package-mirror.mjs';
+
+describe('dependencies from a local mirror', () => {
+  let server;
+  let mirror;
+  let wheel;
+  let tarball;
+
+  before(async () => {
+    mirror = fs.mkdtempSync(path.join(os.tmpdir(), 'bc-mirror-'));
+    wheel = addWheel(mirror, {
+      name: 'tiny-helper',
+      version: '1.0.0',
+      module: 'tiny_helper',
+      source: [
+        'import os',
+        'with open(os.path.join(os.path.dirname(__file__), "greeting.txt")) as handle:',
+        '    GREETING = handle.read().strip()',
+        '',
+      ].join('\n'),
+      extra: [{ name: 'tiny_helper/greeting.txt', content: 'hello from the mirror\n' }],
+    });
+    tarball = addNpmPackage(mirror, {
+      name: 'tiny-lib',
+      version: '2.1.0',
+      files: { 'index.js': 'module.exports = { shout: text => `${text.toUpperCase()}!` };' },
+    });
+
+    server = await startServer({ env: { DEPENDENCY_MIRROR_DIR: mirror } });
+  });
+
+  after(async () => {
+    await server?.stop();
+    if (mirror) fs.rmSync(mirror, { recursive: true, force: true });
+  });
+
+  const run = (language, files) =>
+    server.postJson('/api/run', {
+      language,
+      entryPoint: files[0].name,
+      files: files.map((file, index) => ({ ...file, path: file.name, isMain: index === 0 })),
+    });
+
+  test('a Python program imports a locked package, which can read its own files', requires('python'), async () => {
+    const response = await run('python', [
+      { name: 'main.py', content: 'from tiny_helper import GREETING\nprint(GREETING)\n' },
+      { name: 'requirements.txt', content: `tiny-helper==1.0.0 --hash=sha256:${wheel.sha256}\n` },
+    ]);
+    assert.equal(response.body.exitCode, 0, response.body.stderr);
+    assert.equal(response.body.stdout.trim(), 'hello from the mirror');
+  });
+
+  test('a JavaScript program imports a locked package under the permission model', requires('javascript'), async () => {
+    const response = await run('javascript', [
+      { name: 'main.mjs', content: "import lib from 'tiny-lib';\nconsole.log(lib.shout('hi'));\n" },
+      {
+        name: 'package-lock.json',
+        content: packageLock({ 'node_modules/tiny-lib': { version: '2.1.0', integrity: tarball.integrity } }),
+      },
+    ]);
+    assert.equal(response.body.exitCode, 0, response.body.stderr);
+    assert.equal(response.body.stdout.trim(), 'HI!');
+  });
+
+  test('a hash the mirror does not match stops the run before it starts', requires('python'), async () => {
+    const response = await run('python', [
+      { name: 'main.py', content: 'print("should not run")\n' },
+      { name: 'requirements.txt', content: `tiny-helper==1.0.0 --hash=sha256:${'0'.repeat(64)}\n` },
+    ]);
+    assert.notEqual(response.body.exitCode, 0);
+    assert.doesNotMatch(response.body.stdout, /should not run/);
+    assert.match(response.body.stderr, /does not match/);
+  });
+
+  test('a package the mirror does not have is named in the refusal', requires('javascript'), async () => {
+    const response = await run('javascript', [
+      { name: 'main.mjs', content: "console.log('should not run');\n" },
+      {
+        name: 'package-lock.json',
+        content: packageLock({ 'node_modules/absent': { version: '1.0.0', integrity: tarball.integrity } }),
+      },
+    ]);
+    assert.notEqual(response.body.exitCode, 0);
+    assert.match(response.body.stderr, /absent@1\.0\.0 is not in the server's package mirror/);
+  });
+
+  test('a project without a lockfile is unaffected', requires('python'), async () => {
+    const response = await run('python', [
+      { name: 'main.py', content: 'try:\n    import tiny_helper\nexcept ImportError:\n    print("not installed")\n' },
+    ]);
+    assert.equal(response.body.exitCode, 0, response.body.stderr);
+    assert.equal(response.body.stdout.trim(), 'not installed');
+  });
+});
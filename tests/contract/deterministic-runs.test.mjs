@@ -0,0 +1,214 @@
+/**
+ * Deterministic runs through the public API (blueprint section 69).
+ *
+ * What a marking harness needs: the same program, run twice, prints the same thing -
+ * dice, clocks, the order of a set - and reads the scripted input then end of input.
+ * And what a teacher needs: the response says which of those the language really fixed.
+ * The request parsing and the statement are unit tests (tests/unit/determinism.test.mjs);
+ * this is the shims inside real runtimes.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { runInteractive, startServer } from './support/server.mjs';
+import { requires } from './support/toolchain.mjs';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+const run = (language, payload) => server.postJson('/api/run', { language, ...payload });
+
+/** Two runs of the same program, which must agree. */
+async function twice(language, payload) {
+  const first = await run(language, payload);
+  const second = await run(language, payload);
+  assert.equal(first.body.exitCode, 0, `stderr was: ${first.body.stderr}`);
+  assert.equal(second.body.stdout, first.body.stdout);
+  return first.body;
+}
+
+const COMPLETE = { fixed: ['timezone', 'stdin', 'seed', 'clock'], notFixed: [], complete: true };
+
+describe('python', requires('python'), () => {
+  const DICE = [
+    'import random, time, datetime',
+    'print([random.randint(1, 6) for _ in range(8)])',
+    'print(time.time(), time.strftime("%Y-%m-%d %H:%M %Z"))',
+    'print(datetime.datetime.now(), datetime.date.today())',
+    'print(list({"apple", "banana", "cherry", "damson", "elder"}))',
+  ].join('\n');
+
+  it('the dice, the clock and the order of a set come out the same every run', async () => {
+    const body = await twice('python', { code: DICE, deterministic: true });
+
+    const lines = body.stdout.trim().split('\n');
+    assert.equal(lines[1], '946684800.0 2000-01-01 00:00 UTC');
+    assert.equal(lines[2], '2000-01-01 00:00:00 2000-01-01');
+    assert.deepEqual(body.deterministic, {
+      seed: 0, clock: '2000-01-01T00:00:00.000Z', timezone: 'UTC', stdinChars: 0, timeLimitMs: null, ...COMPLETE,
+    });
+  });
+
+  it('another seed is another sequence, and another clock another time', async () => {
+    const base = await run('python', { code: DICE, deterministic: true });
+    const other = await run('python', { code: DICE, deterministic: { seed: 1, clock: '2024-06-01T12:00:00Z' } });
+
+    const [baseDice] = base.body.stdout.split('\n');
+    const [otherDice, otherClock] = other.body.stdout.split('\n');
+    assert.notEqual(otherDice, baseDice);
+    assert.equal(otherClock, '1717243200.0 2024-06-01 12:00 UTC');
+  });
+
+  it('reads the scripted input, then end of input', async () => {
+    const { body } = await run('python', {
+      code: 'a = int(input())\nb = int(input())\nprint(a + b)\ninput()\n',
+      deterministic: { stdin: '3\n4\n' },
+    });
+
+    assert.equal(body.stdout, '7\n');
+    assert.match(body.stderr, /EOFError/);
+    assert.equal(body.deterministic.stdinChars, 4);
+  });
+
+  it('an ordinary run is unchanged, and says it was not deterministic', async () => {
+    const { body } = await run('python', { code: 'import time\nprint(time.time() > 1.7e9)\n' });
+    assert.equal(body.stdout, 'True\n');
+    assert.equal(body.deterministic, null);
+  });
+
+  it('a traceback does not mention the shim', async () => {
+    const { body } = await run('python', { code: 'import random\nrandom.choice([])\n', deterministic: true });
+    assert.match(body.stderr, /IndexError/);
+    assert.doesNotMatch(body.stderr, /determinism/);
+  });
+});
+
+describe('javascript', () => {
+  it('Math.random and Date come out the same every run', async () => {
+    const body = await twice('javascript', {
+      code: [
+        'console.log(Array.from({ length: 5 }, () => Math.floor(Math.random() * 6) + 1).join(","));',
+        'console.log(Date.now(), new Date().toISOString(), new Date() instanceof Date);',
+        'console.log(new Date(2020, 0, 1).getTimezoneOffset());',
+      ].join('\n'),
+      deterministic: { seed: 3 },
+    });
+
+    const lines = body.stdout.trim().split('\n');
+    assert.equal(lines[1], '946684800000 2000-01-01T00:00:00.000Z true');
+    assert.equal(lines[2], '0');
+    assert.deepEqual(body.deterministic.notFixed, []);
+  });
+
+  it('typescript runs under the same preload', async () => {
+    const body = await twice('typescript', {
+      code: 'const now: number = Date.now();\nconsole.log(now, Math.random() < 1);\n',
+      deterministic: true,
+    });
+    assert.equal(body.stdout, '946684800000 true\n');
+  });
+});
+
+describe('ruby', requires('ruby'), () => {
+  it('rand, shuffle and Time.now come out the same every run', async () => {
+    const body = await twice('ruby', {
+      code: 'p Array.new(5) { rand(1..6) }\np [1, 2, 3, 4].shuffle\nputs Time.now, Time.now.to_i\n',
+      deterministic: true,
+    });
+    assert.match(body.stdout, /2000-01-01 00:00:00 \+0000\n946684800\n$/);
+  });
+});
+
+describe('a language with no shims', requires('c'), () => {
+  it('still gets the timezone and the input, and the response says what it did not get', async () => {
+    const { body } = await run('c', {
+      code: [
+        '#include <stdio.h>',
+        '#include <time.h>',
+        'int main(void) {',
+        '  time_t epoch = 0;',
+        '  char zone[16];',
+        '  strftime(zone, sizeof zone, "%Z", localtime(&epoch));',
+        '  int n = 0;',
+        '  scanf("%d", &n);',
+        '  printf("%s %d\\n", zone, n * 2);',
+        '  return 0;',
+        '}',
+      ].join('\n'),
+      deterministic: { stdin: '21\n' },
+    });
+
+    assert.equal(body.stdout, 'UTC 42\n', `stderr was: ${body.stderr}`);
+    assert.deepEqual(body.deterministic.fixed, ['timezone', 'stdin']);
+    assert.deepEqual(body.deterministic.notFixed, ['seed', 'clock']);
+    assert.equal(body.deterministic.complete, false);
+  });
+});
+
+describe('the interactive stream', requires('python'), () => {
+  it('states determinism at the start and the end, and takes no keyboard input', async () => {
+    const result = await runInteractive(server, {
+      language: 'python',
+      code: 'print(input())\nprint(input())\n',
+      deterministic: { stdin: 'scripted\n' },
+    }, {
+      onEvent: async (event, sessionId) => {
+        if (event.type !== 'session') return;
+        await fetch(`${server.baseUrl}/api/run/interactive/${sessionId}/stdin`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ data: 'typed\n' }),
+        });
+      },
+    });
+
+    const session = result.events.find(event => event.type === 'session');
+    const exit = result.events.at(-1);
+    const stdout = result.events.filter(event => event.type === 'stdout').map(event => event.data).join('');
+    assert.equal(session.deterministic.stdinChars, 9);
+    assert.deepEqual(exit.deterministic, session.deterministic);
+    assert.equal(stdout, 'scripted\n');
+    assert.notEqual(exit.exitCode, 0, 'the second input() met end of input');
+  });
+
+  it('a deterministic run cannot be debugged', async () => {
+    const result = await runInteractive(server, {
+      language: 'python', code: 'print(1)\n', deterministic: true, debug: true,
+    });
+    assert.equal(result.status, 400);
+    assert.equal(result.body.code, 'deterministic_debug');
+  });
+});
+
+describe('a time limit', requires('python'), () => {
+  it('stops a scripted run that loops, on either route', async () => {
+    const payload = { language: 'python', code: 'while True:\n    pass\n', deterministic: { timeLimitMs: 500 } };
+
+    const buffered = await server.postJson('/api/run', payload);
+    assert.equal(buffered.body.terminationReason, 'timeout');
+    assert.equal(buffered.body.deterministic.timeLimitMs, 500);
+
+    // The interactive route has no run timer of its own: a person may take their time.
+    // A script cannot, so its limit applies there too.
+    const streamed = await runInteractive(server, payload, { timeoutMs: 30_000 });
+    const exit = streamed.events.at(-1);
+    assert.equal(exit.type, 'exit');
+    assert.equal(exit.note, 'time-limit');
+  });
+});
+
+describe('refusals', () => {
+  it('a malformed option is refused before anything runs', async () => {
+    const { status, body } = await run('javascript', { code: 'console.log(1)', deterministic: { seed: -4 } });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'deterministic_invalid');
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * POST /api/format - the real formatters, and every way of not having one.
+ *
+ * The client falls back to its own formatter whenever this route cannot answer, so
+ * the failures are as much the contract as the successes: each must be its own
+ * status, because the client treats "not installed" (stop asking) differently from
+ * "busy" (ask next time). A formatter that is present is checked by what it does to a
+ * file, with the returned edit applied the way the editor applies it.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startServer } from './support/server.mjs';
+import { requiresFormatter } from './support/toolchain.mjs';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+/** The editor's side: one replacement at offsets into the code that was sent. */
+function apply(code, edit) {
+  return edit ? code.slice(0, edit.start) + edit.text + code.slice(edit.end) : code;
+}
+
+async function format(language, code, options) {
+  return server.postJson('/api/format', { language, code, options }, { timeoutMs: 60000 });
+}
+
+describe('the request surface', () => {
+  it('rejects a missing language', async () => {
+    const { status, body } = await server.postJson('/api/format', { code: 'x = 1\n' });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'language_missing');
+  });
+
+  it('refuses a language with no server formatter, naming the ones that have one', async () => {
+    const { status, body } = await format('ruby', 'puts 1\n');
+    assert.equal(status, 400);
+    assert.equal(body.code, 'format_unsupported');
+    assert.match(body.error, /python/);
+  });
+
+  it('rejects a request without code', async () => {
+    const { status, body } = await server.postJson('/api/format', { language: 'python' });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'code_missing');
+  });
+});
+
+describe('a formatter the server does not have', () => {
+  let bare;
+  const remote = Boolean(process.env.CONTRACT_TARGET_URL);
+
+  before(async () => {
+    if (!remote) bare = await startServer({ env: { RUFF_BIN: '/nonexistent/ruff' } });
+  });
+
+  after(async () => {
+    await bare?.stop();
+  });
+
+  it('is a 503 the client can recognise, not a 500', { skip: remote && 'needs a server this suite starts' }, async () => {
+    const { status, body } = await bare.postJson('/api/format', { language: 'python', code: 'x=1\n' });
+    assert.equal(status, 503);
+    assert.equal(body.code, 'formatter_unavailable');
+    assert.match(body.error, /ruff/);
+  });
+});
+
+describe('csharp: dotnet format', requiresFormatter('csharp'), () => {
+  const messy = 'class Program{\nstatic void Main(){\nSystem.Console.WriteLine(1);\n}\n}';
+  const tidy = [
+    'class Program',
+    '{',
+    '    static void Main()',
+    '    {',
+    '        System.Console.WriteLine(1);',
+    '    }',
+    '}',
+    '',
+  ].join('\n');
+
+  it('formats, and the edit reproduces its output', async () => {
+    const { status, body } = await format('csharp', messy, { indentSize: 4, useTabs: false });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.ok, true);
+    assert.equal(body.formatter, 'dotnet format');
+    assert.equal(apply(messy, body.edit), tidy);
+  });
+
+  it('honours the editor indentation', async () => {
+    const { body } = await format('csharp', messy, { indentSize: 4, useTabs: true });
+    assert.match(apply(messy, body.edit), /^\tstatic void Main\(\)$/m);
+  });
+
+  it('returns no edit for a file that is already formatted', async () => {
+    const { body } = await format('csharp', tidy, { indentSize: 4 });
+    assert.equal(body.ok, true);
+    assert.equal(body.edit, null);
+  });
+
+  it('leaves nothing behind to influence the next request', async () => {
+    // Every format is its own job directory: two-space output after four-space must
+    // not see the earlier .editorconfig.
+    const { body } = await format('csharp', messy, { indentSize: 2 });
+    assert.match(apply(messy, body.edit), /^  static void Main\(\)$/m);
+  });
+});
+
+describe('python: ruff', requiresFormatter('python'), () => {
+  it('normalises spacing inside a line, which the local formatter never does', async () => {
+    const code = 'x=[1,2,3]\nprint( x )\n';
+    const { status, body } = await format('python', code);
+    assert.equal(status, 200);
+    assert.equal(body.formatter, 'ruff');
+    assert.equal(apply(code, body.edit), 'x = [1, 2, 3]\nprint(x)\n');
+  });
+
+  it('refuses code that does not parse, as an answer rather than an error', async () => {
+    const { status, body } = await format('python', 'def f(:\n  pass\n');
+    assert.equal(status, 200);
+    assert.equal(body.ok, false);
+    assert.ok(body.output.length > 0, 'and says why');
+  });
+});
+
+describe('java: google-java-format', requiresFormatter('java'), () => {
+  it('formats in AOSP style at four spaces', async () => {
+    const code = 'public class Main{public static void main(String[] a){System.out.println(1);}}\n';
+    const { status, body } = await format('java', code, { indentSize: 4 });
+    assert.equal(status, 200);
+    assert.equal(body.ok, true);
+    assert.match(apply(code, body.edit), /^ {4}public static void main\(String\[\] a\) \{$/m);
+  });
+});
+
+describe('php: php-cs-fixer', requiresFormatter('php'), () => {
+  it('applies PSR-12', async () => {
+    const code = '<?php\nif($x){echo 1;}\n';
+    const { status, body } = await format('php', code);
+    assert.equal(status, 200);
+    assert.equal(body.ok, true);
+    assert.match(apply(code, body.edit), /^if \(\$x\) \{$/m);
+  });
+});
@@ -32,8 +32,8 @@ describe('POST /api/run/interactive', () => {
 
   it('rejects an unsupported language with 400', async () => {
     const { status, body } = await server.postJson('/api/run/interactive', {
-      language: 'ruby',
-      code: 'puts 1',
+      language: 'cobol',
+      code: 'DISPLAY 1',
     });
     assert.equal(status, 400);
     assert.match(body.error, /Unsupported language/);
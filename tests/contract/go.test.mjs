@@ -0,0 +1,147 @@
+/**
+ * Go through the public API (blueprint §58).
+ *
+ * The adapter's choices that only show up with a real toolchain: the build never goes
+ * to the network, the student sees their own file names rather than the job
+ * directory, and the go.mod that decides how the code is built is the service's.
+ * Every case needs `go` and skips without it, except the two refusals at the end: both
+ * happen before any toolchain is involved.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startServer } from './support/server.mjs';
+import { requires } from './support/toolchain.mjs';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+const run = payload => server.postJson('/api/run', { language: 'go', version: 'go1.21', ...payload });
+
+describe('running a program', requires('go'), () => {
+  it('builds and runs the single-file shape', async () => {
+    const { status, body } = await run({
+      code: 'package main\n\nimport "fmt"\n\nfunc main() {\n\tfmt.Println("hello", max(3, 7))\n}\n',
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.exitCode, 0, `stderr was: ${body.stderr}`);
+    assert.equal(body.stdout, 'hello 7\n');
+    assert.equal(body.phase, 'run');
+  });
+
+  it('a program that reads stdin gets end-of-input rather than waiting', async () => {
+    // The buffered route closes stdin at once; the interactive route is where input
+    // is typed.
+    const { body } = await run({
+      code: [
+        'package main',
+        '',
+        'import (',
+        '\t"bufio"',
+        '\t"fmt"',
+        '\t"os"',
+        ')',
+        '',
+        'func main() {',
+        '\tscanner := bufio.NewScanner(os.Stdin)',
+        '\tfmt.Println("line read:", scanner.Scan())',
+        '}',
+        '',
+      ].join('\n'),
+    });
+
+    assert.equal(body.stdout, 'line read: false\n', `stderr was: ${body.stderr}`);
+  });
+
+  it('builds a package in a subdirectory under the module path its go.mod names', async () => {
+    const { body } = await run({
+      files: [
+        {
+          path: 'main.go',
+          content: 'package main\n\nimport (\n\t"fmt"\n\t"shapes/geometry"\n)\n\nfunc main() {\n\tfmt.Println(geometry.Area(3, 4))\n}\n',
+          isMain: true,
+        },
+        { path: 'geometry/area.go', content: 'package geometry\n\nfunc Area(w, h int) int { return w * h }\n' },
+        // Its `require` can never be satisfied offline, and its `go` line names a
+        // toolchain that is not installed. Only the module path may survive.
+        { path: 'go.mod', content: 'module shapes\n\ngo 1.99\n\nrequire example.com/x v1.0.0\n' },
+      ],
+      entryPoint: 'main.go',
+    });
+
+    assert.equal(body.exitCode, 0, `stderr was: ${body.stderr}`);
+    assert.equal(body.stdout, '12\n');
+  });
+});
+
+describe('when it goes wrong', requires('go'), () => {
+  it('a build error is a compile-phase result naming the file, not the job directory', async () => {
+    const { status, body } = await run({
+      code: 'package main\n\nimport "os"\n\nfunc main() {\n\tx := 1\n}\n',
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.phase, 'compile');
+    assert.notEqual(body.exitCode, 0);
+    assert.match(body.stderr, /main\.go:6:2: declared and not used: x|main\.go:6:2: x declared and not used/);
+    assert.match(body.stderr, /"os" imported and not used/);
+    assert.doesNotMatch(body.stderr, /^# /m, 'the `# <package>` heading is build noise');
+    if (server.sandboxRoot) assert.ok(!body.stderr.includes(server.sandboxRoot), body.stderr);
+  });
+
+  it('an import outside the standard library fails at once rather than going to the network', async () => {
+    const started = Date.now();
+    const { body } = await run({
+      code: 'package main\n\nimport "github.com/fatih/color"\n\nfunc main() {\n\tcolor.Red("hi")\n}\n',
+    });
+
+    assert.equal(body.phase, 'compile');
+    assert.match(body.stderr, /cannot find module providing package github\.com\/fatih\/color/);
+    assert.match(body.stderr, /GOPROXY=off/);
+    assert.ok(Date.now() - started < 30000, 'a module lookup would have waited on the network');
+  });
+
+  it('a panic is a run-phase failure whose trace names main.go', async () => {
+    const { body } = await run({
+      code: 'package main\n\nfunc main() {\n\tnums := []int{1, 2, 3}\n\ti := 5\n\t_ = nums[i]\n}\n',
+    });
+
+    assert.equal(body.phase, 'run');
+    assert.equal(body.exitCode, 2);
+    assert.match(body.stderr, /panic: runtime error: index out of range \[5\] with length 3/);
+    assert.match(body.stderr, /^\tmain\.go:6 /m);
+  });
+});
+
+describe('what the policy refuses', () => {
+  it('os/exec is blocked before anything is built', async () => {
+    const { status, body } = await run({
+      code: 'package main\n\nimport "os/exec"\n\nfunc main() {\n\texec.Command("id").Run()\n}\n',
+    });
+
+    assert.equal(status, 403);
+    assert.equal(body.blocked, true);
+  });
+
+  it('an assembly file is refused as a project file', async () => {
+    const { status, body } = await run({
+      files: [
+        { path: 'main.go', content: 'package main\n\nfunc main() {}\n', isMain: true },
+        { path: 'add_amd64.s', content: 'TEXT ·add(SB),$0\n\tRET\n' },
+      ],
+      entryPoint: 'main.go',
+    });
+
+    assert.equal(status, 400);
+    assert.match(body.error, /add_amd64\.s/);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * POST /api/lint - each language's linter, through the pipeline, on real code.
+ *
+ * Every program here compiles and runs. That is the point: the findings asserted are
+ * the ones no compiler reports - an unused variable, a shadowed name, an assignment
+ * nothing reads - and a compile error, where one is planted, must NOT come back,
+ * because the check already reports it. Each linter is gated on being installed, and
+ * the failures are contract too: a missing linter is a 503, never an empty list the
+ * client would read as "no problems".
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startServer } from './support/server.mjs';
+import { requiresLinter } from './support/toolchain.mjs';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+async function lint(language, files, entryPoint) {
+  return server.postJson('/api/lint', { language, files, entryPoint }, { timeoutMs: 120000 });
+}
+
+/** `rule@line` for each finding, the part a test can state exactly. */
+function rules(body) {
+  return body.findings.map(finding => `${finding.rule}@${finding.line}`);
+}
+
+describe('the request surface', () => {
+  it('rejects a missing language', async () => {
+    const { status, body } = await server.postJson('/api/lint', { code: 'x = 1\n' });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'language_missing');
+  });
+
+  it('refuses a language without a linter', async () => {
+    const { status, body } = await server.postJson('/api/lint', { language: 'ruby', code: 'puts 1\n' });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'lint_unsupported');
+  });
+});
+
+describe('a linter the server does not have', () => {
+  let bare;
+  const remote = Boolean(process.env.CONTRACT_TARGET_URL);
+
+  before(async () => {
+    if (!remote) bare = await startServer({ env: { RUFF_BIN: '/nonexistent/ruff' } });
+  });
+
+  after(async () => {
+    await bare?.stop();
+  });
+
+  it('is a 503 the client can recognise, not an empty list', { skip: remote && 'needs a server this suite starts' }, async () => {
+    const { status, body } = await bare.postJson('/api/lint', { language: 'python', code: 'x = 1\n' });
+    assert.equal(status, 503);
+    assert.equal(body.code, 'linter_unavailable');
+    assert.match(body.error, /ruff/);
+  });
+});
+
+describe('javascript: ESLint', requiresLinter('javascript'), () => {
+  it('finds the unused and the shadowed, in every file, and only those', async () => {
+    const { status, body } = await lint('javascript', [
+      {
+        path: 'main.js',
+        content: [
+          "import { scale } from './lib/scale.js';",
+          'const unused = 1;',
+          'const size = 3;',
+          'for (const size of [1, 2]) console.log(scale(size));',
+          'console.log(size);',
+        ].join('\n'),
+      },
+      { path: 'lib/scale.js', content: 'export function scale(n, factor) {\n  return n * 2;\n}\n' },
+    ], 'main.js');
+
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.tool, 'eslint');
+    assert.deepEqual(rules(body).sort(), ['no-shadow@4', 'no-unused-vars@2', 'no-unused-vars@1'].sort());
+    const fileOf = Object.fromEntries(body.findings.map(finding => [`${finding.rule}@${finding.line}`, finding.file]));
+    assert.equal(fileOf['no-unused-vars@1'], 'lib/scale.js', 'the unused parameter, in its own file');
+    const unused = body.findings.find(finding => finding.file === 'main.js' && finding.rule === 'no-unused-vars');
+    assert.deepEqual([unused.column, unused.endColumn], [7, 13], 'the name, not the line');
+  });
+
+  it('a clean program is an empty list', async () => {
+    const { status, body } = await lint('javascript', [{ path: 'main.js', content: 'console.log(1 + 1);\n' }], 'main.js');
+    assert.equal(status, 200);
+    assert.deepEqual(body.findings, []);
+  });
+});
+
+describe('typescript: ESLint with typescript-eslint', requiresLinter('typescript'), () => {
+  it('finds an unused variable and leaves type errors to the compiler', async () => {
+    const { status, body } = await lint('typescript', [{
+      path: 'main.ts',
+      content: 'const total: number = "not a number";\nlet count = 0;\nconsole.log(total);\n',
+    }], 'main.ts');
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.deepEqual(rules(body), ['@typescript-eslint/no-unused-vars@2']);
+  });
+});
+
+describe('python: ruff', requiresLinter('python'), () => {
+  it('finds the unused local and the mutable default, but not the syntax error', async () => {
+    const { status, body } = await lint('python', [
+      {
+        path: 'main.py',
+        content: 'def add(item, items=[]):\n    total = 0\n    items.append(item)\n    return items\n\nprint(add(1))\n',
+      },
+      { path: 'broken.py', content: 'def f(:\n    pass\n' },
+    ], 'main.py');
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.tool, 'ruff');
+    assert.deepEqual(rules(body).sort(), ['B006@1', 'F841@2']);
+  });
+
+  it('serves the first five hundred of a file with more findings than that', async () => {
+    // About 700 characters of output each: far past the run's 100k output limit.
+    const content = Array.from({ length: 800 }, (_, index) => `def f${index}():
+    unused = ${index}
+`).join('');
+    const { status, body } = await lint('python', [{ path: 'main.py', content }], 'main.py');
+    assert.equal(status, 200, JSON.stringify(body).slice(0, 500));
+    assert.equal(body.findings.length, 500);
+    assert.equal(body.findings[0].line, 2);
+  });
+});
+
+describe('java: javac -Xlint', requiresLinter('java'), () => {
+  it('finds a fall-through', async () => {
+    const { status, body } = await lint('java', [{
+      path: 'Main.java',
+      content: [
+        'public class Main {',
+        '    public static void main(String[] args) {',
+        '        switch (args.length) {',
+        '            case 0:',
+        '                System.out.println("none");',
+        '            case 1:',
+        '                System.out.println("one");',
+        '        }',
+        '    }',
+        '}',
+      ].join('\n'),
+    }], 'Main.java');
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.deepEqual(rules(body), ['fallthrough@6']);
+  });
+});
+
+describe('php: PHPStan', requiresLinter('php'), () => {
+  it('finds a call to a function that does not exist', async () => {
+    const { status, body } = await lint('php', [{
+      path: 'index.php',
+      content: '<?php\n$name = "x";\necho strlenn($name);\n',
+    }], 'index.php');
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.deepEqual(body.findings.map(({ rule, line, severity }) => ({ rule, line, severity })), [
+      { rule: 'function.notFound', line: 3, severity: 'error' },
+    ]);
+  });
+});
+
+describe('csharp: the Roslyn analyzers', requiresLinter('csharp'), () => {
+  it('finds an unread local, an overwritten assignment and an unused field', async () => {
+    const { status, body } = await lint('csharp', [{
+      path: 'Program.cs',
+      content: [
+        'class Program',
+        '{',
+        '    private static int unusedField;',
+        '    static void Main()',
+        '    {',
+        '        int neverRead = 1;',
+        '        int total = 0;',
+        '        total = 5;',
+        '        System.Console.WriteLine(total);',
+        '    }',
+        '}',
+      ].join('\n'),
+    }], 'Program.cs');
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.tool, 'roslyn');
+    const found = rules(body);
+    for (const expected of ['CS0219@6', 'IDE0059@7', 'IDE0051@3']) {
+      assert.ok(found.includes(expected), `${expected} in ${found.join(' ')}`);
+    }
+    assert.ok(body.findings.every(finding => finding.file === 'Program.cs'));
+  });
+});
@@ -34,7 +34,7 @@ describe('the request surface', () => {
   });
 
   it('rejects an unsupported language', async () => {
-    const { status } = await server.postJson('/api/check', { language: 'ruby', code: 'x' });
+    const { status } = await server.postJson('/api/check', { language: 'cobol', code: 'x' });
     assert.equal(status, 400);
   });
 });
@@ -92,6 +92,26 @@ const CASES = [
     broken: 'function f( {\n',
     valid: 'function f() { return 1; }\nconsole.log(f());\n',
   },
+  {
+    language: 'go',
+    broken: 'package main\n\nfunc main() {\n\tx := 1\n}\n',
+    valid: 'package main\n\nimport "fmt"\n\nfunc main() {\n\tfmt.Println(1)\n}\n',
+  },
+  {
+    language: 'ruby',
+    broken: 'def f\n  puts 1\n',
+    valid: 'def f\n  1\nend\nputs f\n',
+  },
+  {
+    language: 'c',
+    broken: '#include <stdio.h>\n\nint main(void) {\n    printf("%d\\n", count);\n}\n',
+    valid: '#include <stdio.h>\n\nint main(void) {\n    printf("%d\\n", 1);\n}\n',
+  },
+  {
+    language: 'cpp',
+    broken: '#include <string>\n\nint main() {\n    std::string s = 5;\n}\n',
+    valid: '#include <iostream>\n\nint main() {\n    std::cout << 1 << std::endl;\n}\n',
+  },
 ];
 
 for (const testCase of CASES) {
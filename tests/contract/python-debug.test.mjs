@@ -611,3 +611,166 @@ describe('debugging a program that draws', { skip }, () => {
     assert.ok(drawing.shapes.length > 0, 'with the square in it');
   });
 });
+
+describe('a recorded session goes back', { skip }, () => {
+  const SOURCE = [
+    'def square(n):',          // 1
+    '    result = n * n',      // 2
+    '    return result',       // 3
+    '',                        // 4
+    'total = 0',               // 5
+    'for i in range(3):',      // 6
+    '    total += square(i)',  // 7
+    'print(total)',            // 8
+  ].join('\n');
+
+  let debug;
+  let present;
+  let timeline;
+
+  before(async () => {
+    debug = session(SOURCE, { BROWSER_CODER_DEBUG_RECORD: '1' });
+    await debug.start();
+    await debug.waitFor('hello');
+    debug.send({ command: 'setBreakpoints', lines: [8] });
+    await debug.waitFor('breakpoints');
+  });
+
+  after(() => debug?.dispose());
+
+  const valueOf = (stop, name) => stop.locals.find(entry => entry.name === name)?.value.text;
+
+  test('says it is recording, and within what budget', async () => {
+    const started = await debug.waitFor('started');
+    assert.deepEqual(started.recording, { maxSteps: 2000, maxBytes: 8 * 1024 * 1024 });
+  });
+
+  test('the timeline comes before the stop, with every line run and its values', async () => {
+    timeline = await debug.waitFor('timeline');
+    present = await debug.waitFor('stopped');
+    assert.equal(present.line, 8);
+    assert.equal(present.replay, undefined, 'the real stop is not a replay');
+
+    assert.equal(timeline.first, 1);
+    assert.equal(timeline.steps.at(-1).line, 8, 'the stop is the newest step');
+    // Inside a function with no breakpoint, which Continue would not have traced.
+    const returns = timeline.steps.filter(step => step.function === 'square' && step.line === 3);
+    assert.deepEqual(returns.map(step => Object.fromEntries(step.values).result), ['0', '1', '4']);
+    assert.ok(returns.every(step => step.depth === 2));
+  });
+
+  test('step back shows the line before, as it was', async () => {
+    debug.send({ command: 'stepBack' });
+    const back = await debug.waitFor('stopped');
+    const newest = timeline.steps.at(-1).step;
+    assert.deepEqual(back.replay, { step: newest - 1, present: newest });
+    assert.equal(back.line, 6, 'the loop test that ended it');
+    assert.equal(valueOf(back, 'total'), '5');
+  });
+
+  test('the past cannot be evaluated in', async () => {
+    debug.send({ command: 'evaluate', expression: 'total' });
+    const evaluated = await debug.waitFor('evaluated');
+    assert.match(evaluated.error, /recorded step/);
+  });
+
+  test('reverse continue with no breakpoint behind goes to the start of the recording', async () => {
+    debug.send({ command: 'reverseContinue' });
+    const start = await debug.waitFor('stopped');
+    assert.equal(start.reason, 'recordingStart');
+    assert.equal(start.line, 1, 'the `def`, which is the first line a module runs');
+    assert.equal(start.replay.step, 1);
+
+    debug.send({ command: 'stepBack' });
+    const refused = await debug.waitFor('error');
+    assert.match(refused.message, /as far back as the recording goes/);
+  });
+
+  test('continue replays forward to a breakpoint, and reverse continue returns to the one before', async () => {
+    debug.send({ command: 'setBreakpoints', lines: [3, 8] });
+    await debug.waitFor('breakpoints');
+
+    const results = [];
+    for (let hit = 0; hit < 2; hit += 1) {
+      debug.send({ command: 'continue' });
+      const stop = await debug.waitFor('stopped');
+      assert.equal(stop.line, 3);
+      assert.ok(stop.replay);
+      results.push(valueOf(stop, 'result'));
+    }
+    assert.deepEqual(results, ['0', '1']);
+
+    debug.send({ command: 'reverseContinue' });
+    const before = await debug.waitFor('stopped');
+    assert.equal(before.reason, 'breakpoint');
+    assert.equal(valueOf(before, 'result'), '0');
+  });
+
+  test('step out in the past waits for the caller', async () => {
+    debug.send({ command: 'stepOut' });
+    const out = await debug.waitFor('stopped');
+    assert.equal(out.stack.length, 1);
+    assert.equal(out.line, 6);
+  });
+
+  test('replaying past the last breakpoint arrives at the present, and the program runs on', async () => {
+    for (const expected of ['1', '4']) {
+      debug.send({ command: 'continue' });
+      assert.equal(valueOf(await debug.waitFor('stopped'), 'result'), expected);
+    }
+    debug.send({ command: 'continue' });
+    const again = await debug.waitFor('stopped');
+    assert.equal(again.replay, undefined);
+    assert.equal(again.returned, true, 'the same pause, not a new one');
+    assert.equal(again.line, 8);
+
+    debug.send({ command: 'continue' });
+    await debug.waitFor('terminated');
+    await debug.waitForExit();
+    assert.equal(debug.stdout, '5\n');
+  });
+});
+
+describe('the recording budget', { skip }, () => {
+  test('drops the oldest steps, and going back stops where the recording does', async () => {
+    const debug = session('for i in range(3000):\n    pass\nprint(i)\n', { BROWSER_CODER_DEBUG_RECORD: '1' });
+    try {
+      await debug.start();
+      await debug.waitFor('hello');
+      debug.send({ command: 'setBreakpoints', lines: [3] });
+      await debug.waitFor('started');
+
+      const timeline = await debug.waitFor('timeline');
+      await debug.waitFor('stopped');
+      assert.equal(timeline.steps.length, 2000);
+      assert.equal(timeline.first, timeline.steps[0].step);
+      assert.ok(timeline.first > 1);
+
+      debug.send({ command: 'reverseContinue' });
+      const oldest = await debug.waitFor('stopped');
+      assert.equal(oldest.replay.step, timeline.first);
+
+      debug.send({ command: 'stepBack' });
+      assert.match((await debug.waitFor('error')).message, /as far back/);
+    } finally {
+      debug.dispose();
+    }
+  });
+
+  test('a session that is not recorded says so rather than guessing', async () => {
+    const debug = session('x = 1\nprint(x)\n');
+    try {
+      await debug.start();
+      await debug.waitFor('hello');
+      debug.send({ command: 'setBreakpoints', lines: [2] });
+      const started = await debug.waitFor('started');
+      assert.equal(started.recording, undefined);
+      await debug.waitFor('stopped');
+
+      debug.send({ command: 'stepBack' });
+      assert.match((await debug.waitFor('error')).message, /not recorded/);
+    } finally {
+      debug.dispose();
+    }
+  });
+});
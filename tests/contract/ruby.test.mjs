@@ -0,0 +1,121 @@
+/**
+ * Ruby through the public API (blueprint §59).
+ *
+ * The adapter's choices that only show up with a real interpreter: a syntax error is
+ * a compile-phase result, the student sees their own file names rather than the job
+ * directory, and `require 'turtle'` loads the service's library - whose frames never
+ * appear in the student's error. Every case needs `ruby` and skips without it, except
+ * the two refusals at the end: both happen before any interpreter is involved.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startServer } from './support/server.mjs';
+import { requires } from './support/toolchain.mjs';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+const run = payload => server.postJson('/api/run', { language: 'ruby', version: 'ruby3', ...payload });
+
+describe('running a program', requires('ruby'), () => {
+  it('runs the single-file shape', async () => {
+    const { status, body } = await run({ code: 'puts "hello #{[3, 7].max}"\n' });
+
+    assert.equal(status, 200);
+    assert.equal(body.exitCode, 0, `stderr was: ${body.stderr}`);
+    assert.equal(body.stdout, 'hello 7\n');
+    assert.equal(body.phase, 'run');
+  });
+
+  it('a program that reads stdin gets end-of-input rather than waiting', async () => {
+    // The buffered route closes stdin at once; the interactive route is where input
+    // is typed.
+    const { body } = await run({ code: 'line = gets\nputs "line read: #{line.inspect}"\n' });
+
+    assert.equal(body.stdout, 'line read: nil\n', `stderr was: ${body.stderr}`);
+  });
+
+  it('loads a helper from a subdirectory with require_relative', async () => {
+    const { body } = await run({
+      files: [
+        { path: 'main.rb', content: "require_relative 'geometry/area'\n\nputs Geometry.area(3, 4)\n", isMain: true },
+        { path: 'geometry/area.rb', content: 'module Geometry\n  def self.area(w, h) = w * h\nend\n' },
+      ],
+      entryPoint: 'main.rb',
+    });
+
+    assert.equal(body.exitCode, 0, `stderr was: ${body.stderr}`);
+    assert.equal(body.stdout, '12\n');
+  });
+
+  it('draws with the turtle library, and the drawing comes back as turtleData', async () => {
+    const { body } = await run({
+      code: "require 'turtle'\n\n4.times do\n  Turtle.forward 50\n  Turtle.right 90\nend\n",
+    });
+
+    assert.equal(body.exitCode, 0, `stderr was: ${body.stderr}`);
+    assert.ok(body.turtleData, 'no drawing came back');
+    assert.ok(body.turtleData.shapes.length >= 4, JSON.stringify(body.turtleData));
+  });
+});
+
+describe('when it goes wrong', requires('ruby'), () => {
+  it('a syntax error is a compile-phase result naming the file, not the job directory', async () => {
+    const { status, body } = await run({ code: 'def f\n  puts 1\n' });
+
+    assert.equal(status, 200);
+    assert.equal(body.phase, 'compile');
+    assert.notEqual(body.exitCode, 0);
+    assert.match(body.stderr, /^main\.rb:2: .*syntax error/m);
+    assert.doesNotMatch(body.stderr, /^main\.rb: main\.rb:/m, '`ruby -c` names the file twice');
+    if (server.sandboxRoot) assert.ok(!body.stderr.includes(server.sandboxRoot), body.stderr);
+  });
+
+  it('an uncaught exception is a run-phase failure naming main.rb', async () => {
+    const { body } = await run({ code: 'def f(a)\n  a.upcase\nend\n\nf(nil)\n' });
+
+    assert.equal(body.phase, 'run');
+    assert.equal(body.exitCode, 1);
+    assert.match(body.stderr, /^main\.rb:2:in .*undefined method .upcase. for nil/m);
+    assert.match(body.stderr, /from main\.rb:5:in/);
+  });
+
+  it("a mistake in a turtle call is reported at the student's line, not the library's", async () => {
+    const { body } = await run({ code: "require 'turtle'\n\nTurtle.forward 10\nTurtle.forward 10, 20\n" });
+
+    assert.equal(body.phase, 'run');
+    assert.match(body.stderr, /^main\.rb:4:in .*wrong number of arguments/m);
+    assert.doesNotMatch(body.stderr, /turtle\.rb/, body.stderr);
+  });
+});
+
+describe('what the policy refuses', () => {
+  it('system is blocked before anything runs', async () => {
+    const { status, body } = await run({ code: 'system("id")\n' });
+
+    assert.equal(status, 403);
+    assert.equal(body.blocked, true);
+  });
+
+  it('a .gemrc is refused as a project file', async () => {
+    const { status, body } = await run({
+      files: [
+        { path: 'main.rb', content: 'puts 1\n', isMain: true },
+        { path: '.gemrc', content: '---\n:sources:\n- http://gems.example/\n' },
+      ],
+      entryPoint: 'main.rb',
+    });
+
+    assert.equal(status, 400);
+    assert.match(body.error, /\.gemrc/);
+  });
+});
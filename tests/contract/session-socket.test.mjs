@@ -0,0 +1,342 @@
+/**
+ * The session WebSocket (blueprint section 11.1), against the real server.
+ *
+ * Black-box like the rest of this suite: the socket is Node's built-in WebSocket
+ * client, so what is asserted is what a browser would see. The NDJSON route stays
+ * frozen in frozen-interactive.test.mjs; this file covers only what the socket adds -
+ * sequenced events, replay after a drop, and input that is applied exactly once.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+
+import { startServer } from './support/server.mjs';
+import { requires } from './support/toolchain.mjs';
+
+const socketSupport = typeof WebSocket === 'function' ? {} : { skip: 'no global WebSocket in this Node' };
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+/** A connected socket with a message queue and a predicate-based wait. */
+async function connect(query = '') {
+  const url = `${server.baseUrl.replace(/^http/, 'ws')}/api/session${query}`;
+  const socket = new WebSocket(url);
+  const received = [];
+  const waiters = new Set();
+
+  socket.addEventListener('message', event => {
+    const message = JSON.parse(event.data);
+    received.push(message);
+    for (const waiter of waiters) {
+      if (waiter.predicate(message)) {
+        waiters.delete(waiter);
+        waiter.resolve(message);
+      }
+    }
+  });
+  await new Promise((resolve, reject) => {
+    socket.addEventListener('open', resolve, { once: true });
+    socket.addEventListener('error', () => reject(new Error(`could not connect to ${url}`)), { once: true });
+  });
+
+  return {
+    received,
+    send: message => socket.send(JSON.stringify(message)),
+    close: () =>
+      new Promise(resolve => {
+        if (socket.readyState === WebSocket.CLOSED) return resolve();
+        socket.addEventListener('close', resolve, { once: true });
+        socket.close();
+      }),
+    /** Resolve with the first message, already received or still to come, that matches. */
+    waitFor(predicate, timeoutMs = 30000) {
+      const seen = received.find(predicate);
+      if (seen) return Promise.resolve(seen);
+      return new Promise((resolve, reject) => {
+        const waiter = { predicate, resolve };
+        waiters.add(waiter);
+        setTimeout(() => {
+          if (waiters.delete(waiter)) {
+            reject(new Error(`timed out; received: ${JSON.stringify(received).slice(-800)}`));
+          }
+        }, timeoutMs).unref();
+      });
+    },
+  };
+}
+
+const output = (messages, sessionId) =>
+  messages
+    .filter(message => message.sessionId === sessionId && message.type === 'stdout')
+    .map(message => message.payload.text)
+    .join('');
+
+async function create(client, request, clientCommandId = `c-${Math.random()}`) {
+  client.send({ type: 'session.create', clientCommandId, request });
+  return client.waitFor(message => message.clientCommandId === clientCommandId);
+}
+
+const ECHO_TWICE = 'a = input("? ")\nb = input("? ")\nprint("got", a, b)\n';
+
+describe('WS /api/session', socketSupport, () => {
+  it('runs a program over the socket, with sequenced events and acknowledged input', requires('python'), async () => {
+    const client = await connect();
+    try {
+      const created = await create(client, { language: 'python', code: ECHO_TWICE });
+      assert.equal(created.type, 'session.created');
+      const { sessionId } = created;
+
+      const started = await client.waitFor(m => m.sessionId === sessionId && m.type === 'session.started');
+      assert.equal(started.protocolVersion, 2);
+      assert.equal(started.sequence, 1);
+
+      client.send({ type: 'stdin', sessionId, offset: 0, data: 'x\n' });
+      assert.equal((await client.waitFor(m => m.type === 'stdin.ack' && m.offset === 2)).sessionId, sessionId);
+      client.send({ type: 'stdin', sessionId, offset: 2, data: 'y\n' });
+
+      const exited = await client.waitFor(m => m.sessionId === sessionId && m.type === 'session.exited');
+      assert.equal(exited.payload.exitCode, 0);
+      assert.match(output(client.received, sessionId), /got x y/);
+
+      const sequences = client.received.filter(m => m.sessionId === sessionId && m.sequence).map(m => m.sequence);
+      assert.deepEqual(sequences, sequences.map((_, i) => i + 1), 'sequences are contiguous from 1');
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('applies a resent line once, and refuses input past a gap', requires('python'), async () => {
+    const client = await connect();
+    try {
+      const { sessionId } = await create(client, { language: 'python', code: ECHO_TWICE });
+
+      client.send({ type: 'stdin', sessionId, offset: 0, data: 'x\n' });
+      client.send({ type: 'stdin', sessionId, offset: 0, data: 'x\n' });
+      client.send({ type: 'stdin', sessionId, offset: 9, data: 'late\n' });
+      const rejected = await client.waitFor(m => m.type === 'stdin.rejected');
+      assert.equal(rejected.reason, 'gap');
+      assert.equal(rejected.acknowledged, 2);
+
+      client.send({ type: 'stdin', sessionId, offset: 2, data: 'y\n' });
+      await client.waitFor(m => m.sessionId === sessionId && m.type === 'session.exited');
+      // Had the resend been applied, `b` would have been "x".
+      assert.match(output(client.received, sessionId), /got x y/);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('keeps the program alive across a drop and replays what was missed', requires('python'), async () => {
+    const first = await connect();
+    const { sessionId } = await create(first, { language: 'python', code: ECHO_TWICE });
+    await first.waitFor(m => m.sessionId === sessionId && m.type === 'session.started');
+    await first.close();
+
+    const second = await connect(`?resume=${encodeURIComponent(sessionId)}`);
+    try {
+      second.send({ type: 'session.resume', sessionId, lastAcknowledgedSequence: 0 });
+      const resumed = await second.waitFor(m => m.type === 'session.resumed');
+      assert.equal(resumed.sessionId, sessionId);
+      assert.equal(resumed.stdinAcknowledged, 0);
+
+      // The prompt printed before the drop is replayed from sequence 1.
+      await second.waitFor(m => m.sessionId === sessionId && m.sequence === 1);
+      second.send({ type: 'stdin', sessionId, offset: 0, data: 'x\ny\n' });
+      await second.waitFor(m => m.sessionId === sessionId && m.type === 'session.exited');
+      assert.match(output(second.received, sessionId), /got x y/);
+    } finally {
+      await second.close();
+    }
+  });
+
+  it('treats a retried create as the same session', requires('python'), async () => {
+    const client = await connect();
+    try {
+      const request = { language: 'python', code: 'input()\n' };
+      const first = await create(client, request, 'same-create');
+      client.received.length = 0;
+      const second = await create(client, request, 'same-create');
+      assert.equal(second.sessionId, first.sessionId);
+
+      client.send({ type: 'control', sessionId: first.sessionId, commandId: 'stop-1', command: 'stop' });
+      await client.waitFor(m => m.type === 'command.ack' && m.commandId === 'stop-1');
+      await client.waitFor(m => m.sessionId === first.sessionId && m.type === 'session.exited');
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('answers a compile error without opening a session', async () => {
+    const client = await connect();
+    try {
+      const answer = await create(client, { language: 'typescript', code: 'const x: number = ;' });
+      assert.equal(answer.type, 'session.compile');
+      assert.equal(answer.compile.phase, 'compile');
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('gives a run that asks for one a real terminal, and resizes it', requires('javascript'), async t => {
+    if (process.platform === 'win32') return t.skip('no pty on Windows; such a run is declared pipes');
+    const client = await connect();
+    try {
+      // JavaScript rather than Python: the policy blocks the `os` import that
+      // Python would need to ask for its terminal's size.
+      const code = [
+        'const out = process.stdout;',
+        'console.log(`tty ${!!process.stdin.isTTY} ${!!out.isTTY} ${out.rows} ${out.columns}`);',
+        "console.log('\\x1b[31mred\\x1b[0m');",
+        "process.stdin.once('data', () => {",
+        '  console.log(`size ${out.rows} ${out.columns}`);',
+        '  process.stdin.pause();',
+        '});',
+        '',
+      ].join('\n');
+      const { sessionId } = await create(client, {
+        language: 'javascript',
+        code,
+        transport: 'pty',
+        terminal: { rows: 30, cols: 100 },
+      });
+
+      const started = await client.waitFor(m => m.sessionId === sessionId && m.type === 'session.started');
+      assert.equal(started.payload.transport, 'pty');
+      assert.deepEqual(started.payload.terminal, { rows: 30, cols: 100 });
+
+      await client.waitFor(() => /red/.test(output(client.received, sessionId)));
+      client.send({ type: 'resize', sessionId, rows: 40, cols: 120 });
+      await new Promise(resolve => setTimeout(resolve, 300));
+      client.send({ type: 'stdin', sessionId, offset: 0, data: 'go\n' });
+
+      const exited = await client.waitFor(m => m.sessionId === sessionId && m.type === 'session.exited');
+      assert.equal(exited.payload.exitCode, 0);
+      const text = output(client.received, sessionId);
+      assert.match(text, /tty true true 30 100/);
+      // Colour codes and the terminal's own line endings arrive untouched, to be drawn.
+      assert.match(text, /\x1b\[31mred\x1b\[0m\r\n/);
+      // The terminal echoes what it is sent, as any terminal does.
+      assert.match(text, /go\r\n/);
+      assert.match(text, /size 40 120/);
+      assert.ok(
+        client.received.filter(m => m.sessionId === sessionId && m.type === 'stdout').every(m => m.payload.transport === 'pty'),
+        'every output event declares its transport',
+      );
+    } finally {
+      await client.close();
+    }
+  });
+
+  it("a terminal run's traceback names the student's file, not the job directory", requires('python'), async t => {
+    if (process.platform === 'win32') return t.skip('no pty on Windows; such a run is declared pipes');
+    const client = await connect();
+    try {
+      const { sessionId } = await create(client, {
+        language: 'python',
+        code: 'def greet(name):\n    raise ValueError("no " + name)\n\ngreet("Ada")\n',
+        transport: 'pty',
+      });
+
+      const exited = await client.waitFor(m => m.sessionId === sessionId && m.type === 'session.exited');
+      assert.notEqual(exited.payload.exitCode, 0);
+      const text = output(client.received, sessionId);
+      assert.match(text, /File "main\.py", line 4/, text);
+      assert.match(text, /ValueError: no Ada/);
+      // The terminal merges stderr into stdout; the rewrite has to follow it there.
+      assert.doesNotMatch(text, /File "\//, text);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('stays on pipes unless a terminal is asked for', requires('python'), async () => {
+    const client = await connect();
+    try {
+      const { sessionId } = await create(client, {
+        language: 'python',
+        code: 'import sys\nprint("tty", sys.stdout.isatty())\n',
+      });
+      const started = await client.waitFor(m => m.sessionId === sessionId && m.type === 'session.started');
+      assert.equal(started.payload.transport, 'pipes');
+      assert.equal(started.payload.terminal, null);
+      await client.waitFor(m => m.sessionId === sessionId && m.type === 'session.exited');
+      assert.match(output(client.received, sessionId), /tty False\n/);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('refuses a transport it does not know', async () => {
+    const client = await connect();
+    try {
+      const answer = await create(client, { language: 'python', code: 'print(1)\n', transport: 'telnet' });
+      assert.equal(answer.type, 'session.refused');
+      assert.equal(answer.status, 400);
+      assert.equal(answer.code, 'transport_unsupported');
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('answers an unknown session on resume', async () => {
+    const client = await connect();
+    try {
+      client.send({ type: 'session.resume', sessionId: 'no-such-session', lastAcknowledgedSequence: 0 });
+      assert.equal((await client.waitFor(m => m.type === 'session.unknown')).sessionId, 'no-such-session');
+    } finally {
+      await client.close();
+    }
+  });
+});
+
+/** A raw upgrade request, so the refusal status is observable. */
+function rawUpgrade(path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(server.port, '127.0.0.1');
+    let response = '';
+    socket.on('data', chunk => {
+      response += chunk;
+    });
+    socket.on('end', () => resolve(response));
+    socket.on('close', () => resolve(response));
+    socket.on('error', reject);
+    const lines = [
+      `GET ${path} HTTP/1.1`,
+      `Host: 127.0.0.1:${server.port}`,
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      'Sec-WebSocket-Version: 13',
+      'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+      ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+    ];
+    socket.write(`${lines.join('\r\n')}\r\n\r\n`);
+    setTimeout(() => socket.destroy(), 5000).unref();
+  });
+}
+
+describe('WebSocket upgrades', () => {
+  it('refuses a page from another origin', async () => {
+    const response = await rawUpgrade('/api/session', { Origin: 'https://evil.example' });
+    assert.match(response, /^HTTP\/1\.1 403/);
+  });
+
+  it('refuses an upgrade on any other path', async () => {
+    const response = await rawUpgrade('/api/run');
+    assert.match(response, /^HTTP\/1\.1 404/);
+  });
+
+  it('switches protocols for a same-origin request', async () => {
+    const response = await rawUpgrade('/api/session', { Origin: server.baseUrl });
+    assert.match(response, /^HTTP\/1\.1 101/);
+    assert.match(response, /Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK\+xOo=/i);
+  });
+});
@@ -213,6 +213,151 @@ describe('a marking harness runs and reports per case', () => {
   }
 });
 
+describe('expected and actual, and one case', () => {
+  let server;
+  let base;
+
+  before(async () => {
+    server = await startServer();
+    base = server.baseUrl;
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  const run = body => fetch(`${base}/api/run`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  // The guide's Python example: a failed case followed by its payload line.
+  const files = [
+    { name: 'main.py', path: 'main.py', content: 'def add(a, b):\n    return a + b\n' },
+    {
+      name: 'X_HIDDEN_tests.py',
+      path: 'X_HIDDEN_tests.py',
+      isMain: true,
+      content: [
+        'import base64, json',
+        'from main import add',
+        'def check(name, expected, actual):',
+        '    print("BCTEST case", name, "pass" if expected == actual else "fail")',
+        '    if expected != actual:',
+        '        data = json.dumps({"expected": expected, "actual": actual}).encode()',
+        '        print("BCTEST data", base64.b64encode(data).decode())',
+        'check("adds two numbers", 5, add(2, 3))',
+        'check("adds zero", 0, add(0, 1))',
+        'print("BCTEST done")',
+      ].join('\n'),
+    },
+  ];
+
+  test('a harness can send both sides of a failure past the sandbox policy', requires('python'), async () => {
+    const body = await (await run({ language: 'python', files, entryPoint: 'X_HIDDEN_tests.py' })).json();
+
+    assert.equal(body.exitCode, 0, `the harness did not run cleanly:\n${body.stderr}`);
+    const data = body.stdout.split('\n').find(line => line.startsWith('BCTEST data '));
+    assert.ok(data, `no data line in:\n${body.stdout}`);
+    assert.deepEqual(JSON.parse(Buffer.from(data.slice('BCTEST data '.length), 'base64').toString()), {
+      expected: 0,
+      actual: 1,
+    });
+  });
+
+  test('a harness that does not read the name still runs every case', requires('python'), async () => {
+    // The panel narrows the report. What the server owes is to accept the field.
+    const response = await run({ language: 'python', files, entryPoint: 'X_HIDDEN_tests.py', testCase: 'adds zero' });
+    assert.equal(response.status, 200);
+    assert.equal(casesIn((await response.json()).stdout).length, 2);
+  });
+
+  /*
+   * The harness the guide shows for "Run only this": it reads BCTEST_ONLY and skips the
+   * other cases. Both gates have to let the read through - the pattern policy and, for
+   * Python, the AST preflight - and the variable has to reach the process.
+   */
+  const SKIPPING = {
+    python: {
+      entryPoint: 'X_HIDDEN_tests.py',
+      files: [
+        files[0],
+        {
+          name: 'X_HIDDEN_tests.py',
+          path: 'X_HIDDEN_tests.py',
+          isMain: true,
+          content: [
+            'import os',
+            'from main import add',
+            'only = os.environ.get("BCTEST_ONLY")',
+            'def check(name, expected, actual):',
+            '    if only is None or only == name:',
+            '        print("BCTEST case", name, "pass" if expected == actual else "fail")',
+            'check("adds two numbers", 5, add(2, 3))',
+            'check("adds zero", 0, add(0, 0))',
+            'print("BCTEST done")',
+          ].join('\n'),
+        },
+      ],
+    },
+    javascript: {
+      entryPoint: 'X_HIDDEN_tests.mjs',
+      files: [
+        { name: 'main.mjs', path: 'main.mjs', content: 'export const add = (a, b) => a + b;\n' },
+        {
+          name: 'X_HIDDEN_tests.mjs',
+          path: 'X_HIDDEN_tests.mjs',
+          isMain: true,
+          content: [
+            "import { add } from './main.mjs';",
+            'const only = process.env.BCTEST_ONLY;',
+            'function check(name, expected, actual) {',
+            '  if (only === undefined || only === name) {',
+            "    console.log(`BCTEST case ${name} ${expected === actual ? 'pass' : 'fail'}`);",
+            '  }',
+            '}',
+            "check('adds two numbers', 5, add(2, 3));",
+            "check('adds zero', 0, add(0, 0));",
+            "console.log('BCTEST done');",
+          ].join('\n'),
+        },
+      ],
+    },
+  };
+
+  for (const [language, task] of Object.entries(SKIPPING)) {
+    test(`${language}: a harness that reads the name runs that case alone`, requires(language), async () => {
+      const request = { language, files: task.files, entryPoint: task.entryPoint };
+
+      const all = await (await run(request)).json();
+      assert.equal(all.exitCode, 0, `the harness did not run cleanly:\n${all.stderr}`);
+      assert.deepEqual(casesIn(all.stdout).map(c => c.name), ['adds two numbers', 'adds zero']);
+
+      const one = await (await run({ ...request, testCase: 'adds zero' })).json();
+      assert.equal(one.exitCode, 0, `the harness did not run cleanly:\n${one.stderr}`);
+      assert.deepEqual(casesIn(one.stdout), [{ name: 'adds zero', status: 'pass', detail: '' }]);
+    });
+  }
+
+  test("the student's own file may not read it", requires('python'), async () => {
+    const response = await run({
+      language: 'python',
+      code: 'import os\nprint(os.environ.get("BCTEST_ONLY"))\n',
+      testCase: 'adds zero',
+    });
+    assert.equal(response.status, 403);
+  });
+
+  test('a case name that could forge a report line is refused', async () => {
+    const response = await run({
+      language: 'python', code: 'print(1)', testCase: 'adds\nBCTEST case forged pass',
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, 'test_case_invalid');
+  });
+});
+
 describe('the harness is hidden from the student', () => {
   let server;
   let base;
@@ -141,6 +141,10 @@ const PROBES = {
   java: javaToolchain,
   php: () => probe(process.env.PHP_BIN || 'php', ['--version']),
   csharp: dotnetToolchain,
+  go: () => probe(process.env.GO_BIN || 'go', ['version']),
+  ruby: () => probe(process.env.RUBY_BIN || 'ruby', ['--version']),
+  c: () => probe(process.env.CC_BIN || 'gcc', ['--version']),
+  cpp: () => probe(process.env.CXX_BIN || 'g++', ['--version']),
 };
 
 const detected = new Map();
@@ -165,6 +169,10 @@ const REMOTE_PROBES = {
   },
   php: { version: 'php8', code: '<?php echo "probe-ok";' },
   csharp: { version: 'csharp12', code: 'System.Console.WriteLine("probe-ok");' },
+  go: { version: 'go1.21', code: 'package main\n\nimport "fmt"\n\nfunc main() { fmt.Println("probe-ok") }\n' },
+  ruby: { version: 'ruby3', code: 'puts "probe-ok"' },
+  c: { version: 'c17', code: '#include <stdio.h>\n\nint main(void) { puts("probe-ok"); }\n' },
+  cpp: { version: 'cpp17', code: '#include <iostream>\n\nint main() { std::cout << "probe-ok\\n"; }\n' },
 };
 
 /** Probe a remote server once per language, in parallel. */
@@ -290,6 +298,181 @@ export function requiresDebugger(languageId) {
   };
 }
 
+/**
+ * Does the server have this language's FORMATTER?
+ *
+ * The formatters behind POST /api/format are separate installs from the compilers -
+ * ruff, a google-java-format jar, a php-cs-fixer phar - and a host with Python has no
+ * reason to have ruff. C# is the exception: `dotnet format` ships in the SDK.
+ *
+ * Against a remote target the answer comes from asking its /api/format, for the same
+ * reason the language probes execute something there.
+ */
+const FORMATTER_PROBES = {
+  python: () => probe(process.env.RUFF_BIN || 'ruff', ['--version']) !== null,
+  java: () => probe(process.env.GOOGLE_JAVA_FORMAT_BIN || 'google-java-format', ['--version']) !== null,
+  php: () => probe(process.env.PHP_CS_FIXER_BIN || 'php-cs-fixer', ['--version']) !== null,
+  csharp: () =>
+    hasToolchain('csharp') && probe(process.env.DOTNET_BIN || 'dotnet', ['format', '--version']) !== null,
+};
+
+const REMOTE_FORMAT_PROBES = {
+  python: 'x=1\n',
+  java: 'class Main {}\n',
+  php: '<?php\n$x = 1;\n',
+  csharp: 'class Program {}\n',
+};
+
+const formatterDetected = new Map();
+
+async function detectRemoteFormatters(baseUrl) {
+  const target = baseUrl.replace(/\/+$/, '');
+  await Promise.all(
+    Object.entries(REMOTE_FORMAT_PROBES).map(async ([languageId, code]) => {
+      try {
+        const response = await fetch(`${target}/api/format`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ language: languageId, code }),
+          signal: AbortSignal.timeout(60000),
+        });
+        formatterDetected.set(languageId, response.status === 200);
+      } catch {
+        formatterDetected.set(languageId, false);
+      }
+    }),
+  );
+}
+
+if (process.env.CONTRACT_TARGET_URL) {
+  await detectRemoteFormatters(process.env.CONTRACT_TARGET_URL);
+}
+
+export function hasFormatter(languageId) {
+  if (!formatterDetected.has(languageId)) {
+    const check = FORMATTER_PROBES[languageId];
+    formatterDetected.set(languageId, check ? check() === true : false);
+  }
+  return formatterDetected.get(languageId);
+}
+
+/** Like `requires`, but for a test that needs the language's server formatter. */
+export function requiresFormatter(languageId) {
+  if (hasFormatter(languageId)) return {};
+  return {
+    skip: `${languageId} formatter unavailable on this host - formatting NOT verified`,
+  };
+}
+
+/*
+ * Linters (POST /api/lint). ESLint runs inside the server, so JavaScript and
+ * TypeScript need only the npm packages; javac and the Roslyn analyzers come with their
+ * language's toolchain, and ruff and PHPStan are tools of their own.
+ */
+const LINTER_PROBES = {
+  python: () => probe(process.env.RUFF_BIN || 'ruff', ['--version']) !== null,
+  javascript: () => true,
+  typescript: () => true,
+  java: () => hasToolchain('java'),
+  php: () => hasToolchain('php') && probe(process.env.PHPSTAN_BIN || 'phpstan', ['--version']) !== null,
+  csharp: () => hasToolchain('csharp'),
+};
+
+const REMOTE_LINT_PROBES = {
+  python: 'x = 1\n',
+  javascript: 'console.log(1);\n',
+  typescript: 'console.log(1);\n',
+  java: 'class Main {}\n',
+  php: '<?php\necho 1;\n',
+  csharp: 'class Program { static void Main() {} }\n',
+};
+
+const linterDetected = new Map();
+
+async function detectRemoteLinters(baseUrl) {
+  const target = baseUrl.replace(/\/+$/, '');
+  await Promise.all(
+    Object.entries(REMOTE_LINT_PROBES).map(async ([languageId, code]) => {
+      try {
+        const response = await fetch(`${target}/api/lint`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ language: languageId, code }),
+          signal: AbortSignal.timeout(120000),
+        });
+        linterDetected.set(languageId, response.status === 200);
+      } catch {
+        linterDetected.set(languageId, false);
+      }
+    }),
+  );
+}
+
+if (process.env.CONTRACT_TARGET_URL) {
+  await detectRemoteLinters(process.env.CONTRACT_TARGET_URL);
+}
+
+export function hasLinter(languageId) {
+  if (!linterDetected.has(languageId)) {
+    const check = LINTER_PROBES[languageId];
+    linterDetected.set(languageId, check ? check() === true : false);
+  }
+  return linterDetected.get(languageId);
+}
+
+/** Like `requires`, but for a test that needs the language's linter. */
+export function requiresLinter(languageId) {
+  if (hasLinter(languageId)) return {};
+  return {
+    skip: `${languageId} linter unavailable on this host - linting NOT verified`,
+  };
+}
+
+/*
+ * The Python analysis broker (POST /api/analysis) needs Jedi importable by the
+ * server's Python. Against a remote target, one question settles it.
+ */
+let analysisDetected = null;
+
+async function detectRemoteAnalysis(baseUrl) {
+  try {
+    const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/api/analysis`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        session: `toolchain-probe-${process.pid}`,
+        language: 'python',
+        method: 'complete',
+        files: [{ path: 'main.py', content: 'x = 1\n' }],
+        path: 'main.py',
+        line: 1,
+        column: 1,
+      }),
+      signal: AbortSignal.timeout(60000),
+    });
+    analysisDetected = response.status === 200;
+  } catch {
+    analysisDetected = false;
+  }
+}
+
+if (process.env.CONTRACT_TARGET_URL) {
+  await detectRemoteAnalysis(process.env.CONTRACT_TARGET_URL);
+}
+
+export function hasAnalysis() {
+  if (analysisDetected === null) {
+    analysisDetected = probe(process.env.PYTHON_BIN || 'python3', ['-c', 'import jedi; print(jedi.__version__)']) !== null;
+  }
+  return analysisDetected;
+}
+
+/** Like `requires`, but for a test that needs the Python analysis broker. */
+export function requiresAnalysis() {
+  if (hasAnalysis()) return {};
+  return { skip: 'jedi unavailable on this host - Python analysis NOT verified' };
+}
+
 export function toolchainReport() {
   const lines = [];
   for (const id of Object.keys(PROBES)) {
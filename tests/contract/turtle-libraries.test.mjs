@@ -0,0 +1,217 @@
+/**
+ * The JavaScript and Java turtle libraries through the public API (blueprint section 66).
+ *
+ * One schema, four producers. The claim worth checking is that the same drawing comes
+ * back the same whichever language drew it - so the same square is drawn in Python,
+ * JavaScript and Java and the records compared, line numbers aside. The rest is what
+ * each adapter adds around its library: JavaScript's package resolution, its live
+ * stream and its error reports; Java's own `Turtle` taking precedence over ours.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { runInteractive, startServer } from './support/server.mjs';
+import { requires } from './support/toolchain.mjs';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+/** The records, without the lines that made them: those differ by language. */
+const drawing = turtleData => turtleData.shapes.map(({ ln, ...shape }) => shape);
+
+const SQUARE = {
+  python: [
+    'import turtle',
+    't = turtle.Turtle()',
+    't.color("red", "yellow")',
+    't.begin_fill()',
+    'for side in range(4):',
+    '    t.forward(50)',
+    '    t.left(90)',
+    't.end_fill()',
+    't.penup()',
+    't.goto(-20, 30)',
+    't.dot(8, "blue")',
+    't.write("done")',
+  ].join('\n'),
+  javascript: [
+    "import { Turtle } from 'turtle';",
+    'const t = new Turtle();',
+    "t.color('red', 'yellow');",
+    't.begin_fill();',
+    'for (let side = 0; side < 4; side++) {',
+    '  t.forward(50);',
+    '  t.left(90);',
+    '}',
+    't.end_fill();',
+    't.penup();',
+    't.goto(-20, 30);',
+    "t.dot(8, 'blue');",
+    "t.write('done');",
+  ].join('\n'),
+  java: [
+    'public class Main {',
+    '    public static void main(String[] args) {',
+    '        Turtle t = new Turtle();',
+    '        t.color("red", "yellow");',
+    '        t.beginFill();',
+    '        for (int side = 0; side < 4; side++) {',
+    '            t.forward(50);',
+    '            t.left(90);',
+    '        }',
+    '        t.endFill();',
+    '        t.penUp();',
+    '        t.goTo(-20, 30);',
+    '        t.dot(8, "blue");',
+    '        t.write("done");',
+    '    }',
+    '}',
+  ].join('\n'),
+};
+
+const run = (language, payload) => server.postJson('/api/run', { language, ...payload });
+
+describe('javascript', () => {
+  it("`import turtle from 'turtle'` draws, and the drawing comes back as turtleData", async () => {
+    const { body } = await run('javascript', {
+      code: "import turtle from 'turtle';\n\nfor (let i = 0; i < 4; i++) {\n  turtle.forward(50);\n  turtle.right(90);\n}\n",
+    });
+
+    assert.equal(body.exitCode, 0, `stderr was: ${body.stderr}`);
+    assert.ok(body.turtleData, 'no drawing came back');
+    const lines = body.turtleData.shapes.filter(shape => shape.k === 'l');
+    assert.equal(lines.length, 4);
+    assert.deepEqual(lines.map(shape => shape.ln), [4, 4, 4, 4]);
+    assert.equal(body.turtleData.cursors.length, 1);
+  });
+
+  it('a helper module can be the one drawing', async () => {
+    const { body } = await run('javascript', {
+      files: [
+        { path: 'main.mjs', content: "import { square } from './shapes/square.mjs';\n\nsquare(40);\n", isMain: true },
+        {
+          path: 'shapes/square.mjs',
+          content: "import { forward, left } from 'turtle';\n\nexport function square(size) {\n  for (let i = 0; i < 4; i++) { forward(size); left(90); }\n}\n",
+        },
+      ],
+      entryPoint: 'main.mjs',
+    });
+
+    assert.equal(body.exitCode, 0, `stderr was: ${body.stderr}`);
+    assert.equal(body.turtleData.shapes.filter(shape => shape.k === 'l').length, 4);
+  });
+
+  it("a mistake in a turtle call is reported at the student's line, not the library's", async () => {
+    const { body } = await run('javascript', {
+      code: "import { Turtle } from 'turtle';\n\nconst t = new Turtle();\nt.forward('far');\n",
+    });
+
+    assert.equal(body.phase, 'run');
+    assert.match(body.stderr, /TypeError: expected a number, got "far"/);
+    assert.match(body.stderr, /^\s+at .*main\.mjs:4:3/m, body.stderr);
+    assert.doesNotMatch(body.stderr, /node_modules\/turtle/, body.stderr);
+  });
+
+  it('a program that fails mid-drawing streamed what it drew before it failed', async () => {
+    const result = await runInteractive(server, {
+      language: 'javascript',
+      code: [
+        "import turtle from 'turtle';",
+        'for (let side = 0; side < 3; side++) {',
+        '  turtle.forward(40);',
+        '  turtle.left(120);',
+        '}',
+        'await new Promise(resolve => setTimeout(resolve, 100));',
+        "throw new Error('stop');",
+      ].join('\n'),
+      graphicsPolicy: 'livePreserveOnError',
+    });
+
+    const exit = result.events.at(-1);
+    assert.equal(exit.type, 'exit');
+    assert.notEqual(exit.exitCode, 0);
+    const shapes = result.events.filter(event => event.type === 'graphics')
+      .flatMap(event => event.batch.operations)
+      .filter(operation => operation.op === 'shapes')
+      .flatMap(operation => operation.shapes);
+    assert.equal(shapes.filter(shape => shape.k === 'l').length, 3);
+  });
+});
+
+describe('the same drawing from Python and JavaScript', requires('python'), () => {
+  it('records the same shapes, fill under outline, cursor and all', async () => {
+    const python = await run('python', { code: SQUARE.python });
+    const javascript = await run('javascript', { code: SQUARE.javascript });
+
+    assert.equal(javascript.body.exitCode, 0, `stderr was: ${javascript.body.stderr}`);
+    assert.deepEqual(drawing(javascript.body.turtleData), drawing(python.body.turtleData));
+    assert.deepEqual(javascript.body.turtleData.cursors, python.body.turtleData.cursors);
+  });
+});
+
+describe('java', requires('java'), () => {
+  it('`new Turtle()` draws the same drawing Python does', async () => {
+    const java = await run('java', { code: SQUARE.java });
+
+    assert.equal(java.body.exitCode, 0, `stderr was: ${java.body.stderr}`);
+    assert.ok(java.body.turtleData, 'no drawing came back');
+    const lines = java.body.turtleData.shapes.filter(shape => shape.k === 'l');
+    assert.deepEqual(lines.map(shape => shape.ln), [7, 7, 7, 7]);
+
+    const python = await run('python', { code: SQUARE.python });
+    if (python.body.turtleData) assert.deepEqual(drawing(java.body.turtleData), drawing(python.body.turtleData));
+  });
+
+  it('the window is static: Turtle.bgcolor and Turtle.tracer', async () => {
+    const { body } = await run('java', {
+      code: [
+        'public class Main {',
+        '    public static void main(String[] args) {',
+        '        Turtle.bgcolor("navy");',
+        '        Turtle.setup(400, 300);',
+        '        new Turtle().circle(30);',
+        '    }',
+        '}',
+      ].join('\n'),
+    });
+
+    assert.equal(body.exitCode, 0, `stderr was: ${body.stderr}`);
+    assert.deepEqual([body.turtleData.bg, body.turtleData.w, body.turtleData.h], ['navy', 400, 300]);
+  });
+
+  it("a student's own Turtle class is the one that runs", async () => {
+    const { body } = await run('java', {
+      files: [
+        {
+          path: 'Main.java',
+          content: 'public class Main {\n    public static void main(String[] args) {\n        new Turtle().forward(5);\n    }\n}\n',
+          isMain: true,
+        },
+        {
+          path: 'Turtle.java',
+          content: 'public class Turtle {\n    public void forward(int steps) { System.out.println("mine " + steps); }\n}\n',
+        },
+      ],
+      entryPoint: 'Main.java',
+    });
+
+    assert.equal(body.exitCode, 0, `stderr was: ${body.stderr}`);
+    assert.equal(body.stdout, 'mine 5\n');
+    assert.equal(body.turtleData ?? null, null);
+  });
+
+  it('lint reports nothing from the library', async () => {
+    const { status, body } = await server.postJson('/api/lint', { language: 'java', code: SQUARE.java }, { timeoutMs: 120000 });
+
+    assert.equal(status, 200);
+    assert.ok(body.findings.every(finding => !finding.file.includes('.browser-coder-java')), JSON.stringify(body));
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Live turtle graphics through the public API (blueprint sections 64 and 65).
+ *
+ * The point of the live channel is the drawing a student never saw before: the one
+ * from a program that did not finish. So the cases that matter are a program that
+ * fails part-way, and a Ruby process that dies through `exit!` without running its
+ * at_exit - no exit file at all - and still streamed what it drew. A clean run is
+ * checked the other way round: the batches, reduced, are exactly the drawing the exit
+ * payload carries.
+ *
+ * Events go the other way: a key, a click or a dialog answer posted to the session
+ * must reach the handler the program registered, and mainloop() must end when the
+ * program or the student says so - not only when a time limit does.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { runInteractive, startServer } from './support/server.mjs';
+import { requires } from './support/toolchain.mjs';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+/** The shapes a client holds after applying every batch, as turtle-scene.ts does. */
+function reduceShapes(batches) {
+  const shapes = [];
+  for (const batch of batches) {
+    for (const operation of batch.operations) {
+      if (operation.op === 'shapes') shapes.push(...operation.shapes);
+      if (operation.op === 'truncate') shapes.length = operation.length;
+    }
+  }
+  return shapes;
+}
+
+const graphicsOf = result => result.events.filter(event => event.type === 'graphics').map(event => event.batch);
+
+const SQUARE = [
+  'import turtle',
+  't = turtle.Turtle()',
+  't.begin_fill()',
+  'for side in range(4):',
+  '    t.forward(50)',
+  '    t.left(90)',
+  't.end_fill()',
+  't.write("done")',
+].join('\n');
+
+describe('the request surface', () => {
+  it('refuses a policy that is not one', async () => {
+    const { status, body } = await server.postJson('/api/run', {
+      language: 'python', code: 'print(1)', graphicsPolicy: 'always',
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'graphics_policy_invalid');
+  });
+});
+
+describe('python', requires('python'), () => {
+  it('streams nothing unless asked, and says so', async () => {
+    const result = await runInteractive(server, { language: 'python', code: SQUARE });
+    assert.equal(result.events[0].graphicsPolicy, 'successOnlyReplay');
+    assert.equal(graphicsOf(result).length, 0);
+    assert.ok(result.events.at(-1).turtleData.shapes.length > 0);
+  });
+
+  it('streams batches before the exit that reduce to the exit drawing', async () => {
+    const result = await runInteractive(server, {
+      language: 'python', code: SQUARE, graphicsPolicy: 'livePreserveOnError',
+    });
+    assert.equal(result.events[0].graphicsPolicy, 'livePreserveOnError');
+
+    const batches = graphicsOf(result);
+    assert.ok(batches.length > 0, 'no graphics batches');
+    assert.deepEqual(batches.map(batch => batch.sequence), batches.map((_, index) => index + 1));
+    assert.ok(batches.every(batch => batch.protocolVersion === 2));
+    // One run, one scene: the id is what tells a client this drawing from the next.
+    assert.equal(new Set(batches.map(batch => batch.sessionId)).size, 1);
+    assert.equal(typeof batches[0].sessionId, 'string');
+
+    const exit = result.events.at(-1);
+    assert.equal(exit.type, 'exit');
+    assert.equal(exit.exitCode, 0);
+    assert.deepEqual(reduceShapes(batches), exit.turtleData.shapes);
+  });
+
+  it('a program that fails mid-drawing streamed what it drew before it failed', async () => {
+    const result = await runInteractive(server, {
+      language: 'python',
+      code: [
+        'import time',
+        'import turtle',
+        't = turtle.Turtle()',
+        'for side in range(3):',
+        '    t.forward(40)',
+        '    t.left(120)',
+        'time.sleep(0.1)',
+        'print(1 / 0)',
+      ].join('\n'),
+      graphicsPolicy: 'liveDiscardOnError',
+    });
+
+    const exit = result.events.at(-1);
+    assert.equal(exit.type, 'exit');
+    assert.notEqual(exit.exitCode, 0);
+    const drawn = reduceShapes(graphicsOf(result)).filter(shape => shape.k === 'l');
+    assert.equal(drawn.length, 3);
+  });
+});
+
+describe('python events', requires('python'), () => {
+  const stdoutOf = result => result.events.filter(event => event.type === 'stdout').map(event => event.data).join('');
+  const sendEvent = (sessionId, event) => server.postJson(`/api/run/interactive/${sessionId}/graphics`, { event });
+
+  /** Run `code` live, and once it prints "ready", send it `events` from the window. */
+  const playing = (code, events) => runInteractive(server, {
+    language: 'python', code: code.join('\n'), graphicsPolicy: 'livePreserveOnError',
+  }, {
+    onEvent: async (event, sessionId) => {
+      if (event.type !== 'stdout' || !/ready/.test(event.data || '')) return;
+      for (const sent of events) assert.equal((await sendEvent(sessionId, sent)).status, 200);
+    },
+  });
+
+  it('a key press reaches the onkey handler, and bye() ends mainloop', async () => {
+    const result = await playing([
+      'import turtle',
+      'def up():',
+      '    print("up pressed")',
+      '    turtle.bye()',
+      'turtle.onkey(up, "Up")',
+      'turtle.listen()',
+      'print("ready")',
+      'turtle.mainloop()',
+      'print("after mainloop")',
+    ], [{ type: 'key', key: 'Up', down: true }, { type: 'key', key: 'Up', down: false }]);
+
+    assert.equal(result.events.at(-1).exitCode, 0);
+    assert.match(stdoutOf(result), /up pressed\s+after mainloop/);
+  });
+
+  it('a click reaches the screen handler in turtle coordinates', async () => {
+    const result = await playing([
+      'import turtle',
+      's = turtle.Screen()',
+      'def clicked(x, y):',
+      '    print("clicked", x, y)',
+      '    s.bye()',
+      's.onclick(clicked)',
+      'print("ready")',
+      's.mainloop()',
+    ], [{ type: 'click', x: 12.5, y: -40 }]);
+
+    assert.equal(result.events.at(-1).exitCode, 0);
+    assert.match(stdoutOf(result), /clicked 12\.5 -40\.0/);
+  });
+
+  it('timers fire in mainloop, which returns once nothing is left to call', async () => {
+    const result = await playing([
+      'import turtle',
+      'ticks = []',
+      'def tick():',
+      '    ticks.append(len(ticks) + 1)',
+      '    if len(ticks) < 3:',
+      '        turtle.ontimer(tick, 10)',
+      'turtle.ontimer(tick, 10)',
+      'turtle.mainloop()',
+      'print("ticks", ticks)',
+    ], []);
+
+    assert.equal(result.events.at(-1).exitCode, 0);
+    assert.match(stdoutOf(result), /ticks \[1, 2, 3\]/);
+  });
+
+  it('closing the window ends mainloop, and a handler that fails does not', async () => {
+    const result = await playing([
+      'import turtle',
+      'def broken():',
+      '    print("handler ran")',
+      '    1 / 0',
+      'turtle.onkeypress(broken, "space")',
+      'print("ready")',
+      'turtle.done()',
+      'print("window closed")',
+    ], [{ type: 'key', key: 'space', down: true }, { type: 'close' }]);
+
+    assert.equal(result.events.at(-1).exitCode, 0);
+    assert.match(stdoutOf(result), /handler ran\s+window closed/);
+    const stderr = result.events.filter(event => event.type === 'stderr').map(event => event.data).join('');
+    assert.match(stderr, /Exception in Tkinter callback[\s\S]*ZeroDivisionError/);
+  });
+
+  it('numinput and textinput ask in the window, and a number out of range is asked again', async () => {
+    const prompts = [];
+    const answers = ['50', '3', null];
+    const result = await runInteractive(server, {
+      language: 'python',
+      code: [
+        'import turtle',
+        'n = turtle.numinput("Size", "How big?", 5, minval=1, maxval=10)',
+        'print("got", n)',
+        'print("hello", turtle.textinput("Name", "Who?"))',
+      ].join('\n'),
+      graphicsPolicy: 'livePreserveOnError',
+    }, {
+      onEvent: async (event, sessionId) => {
+        if (event.type !== 'graphics') return;
+        for (const operation of event.batch.operations.filter(op => op.op === 'prompt')) {
+          prompts.push(operation);
+          await sendEvent(sessionId, { type: 'prompt', id: operation.id, value: answers.shift() });
+        }
+      },
+    });
+
+    assert.deepEqual(prompts.map(({ id, kind }) => [id, kind]), [[1, 'number'], [2, 'number'], [3, 'text']]);
+    assert.deepEqual([prompts[0].min, prompts[0].max, prompts[0].default], [1, 10, 5]);
+    assert.equal(result.events.at(-1).exitCode, 0);
+    assert.match(stdoutOf(result), /got 3\.0\s+hello None/);
+  });
+
+  it('refuses what is not a window event, and a run that streams nothing has no window', async () => {
+    const statuses = [];
+    const result = await runInteractive(server, {
+      language: 'python',
+      code: ['import turtle', 'turtle.onkey(print, "a")', 'print("ready")', 'input()'].join('\n'),
+    }, {
+      onEvent: async (event, sessionId) => {
+        if (event.type !== 'stdout' || !/ready/.test(event.data || '')) return;
+        statuses.push((await sendEvent(sessionId, { type: 'key', key: 'a\nb', down: true })).status);
+        statuses.push((await sendEvent(sessionId, { type: 'key', key: 'a', down: true })).status);
+        await server.postJson(`/api/run/interactive/${sessionId}/eof`, {});
+      },
+    });
+
+    assert.deepEqual(statuses, [400, 409]);
+    assert.ok(result.events.at(-1).type === 'exit');
+  });
+});
+
+describe('ruby', requires('ruby'), () => {
+  it('a program killed mid-drawing still streamed what it drew', async () => {
+    const result = await runInteractive(server, {
+      language: 'ruby',
+      version: 'ruby3',
+      code: [
+        "require 'turtle'",
+        't = Turtle.new',
+        '3.times do',
+        '  t.forward(40)',
+        '  t.left(120)',
+        'end',
+        'sleep 0.1',
+        'exit!(3)',
+      ].join('\n'),
+      graphicsPolicy: 'livePreserveOnError',
+    });
+
+    const exit = result.events.at(-1);
+    assert.equal(exit.exitCode, 3);
+    assert.equal(exit.turtleData ?? null, null);
+    const drawn = reduceShapes(graphicsOf(result)).filter(shape => shape.k === 'l');
+    assert.equal(drawn.length, 3);
+  });
+});
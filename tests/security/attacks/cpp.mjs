@@ -0,0 +1,373 @@
+/**
+ * C++ Security Attack Vectors
+ *
+ * Everything in the C corpus is C++ too - the C library is part of
+ * the C++ one - so the C++ policy starts from C's and this corpus
+ * covers what C++ adds: the std:: spellings of the same functions,
+ * file streams, std::filesystem, and the names C++ reuses for
+ * harmless things (the std::remove algorithm, a class's own open()
+ * method) that must stay allowed.
+ *
+ * Each test includes:
+ * - name: Test identifier
+ * - code: The malicious code attempt
+ * - expectBlocked: Whether this should be blocked (true) or allowed (false)
+ * - category: Attack category for grouping
+ * - explanation: Human-readable description of how hackers use this attack
+ */
+
+export const cppTests = [
+  // ════════════════════════════════════════════════════════════════
+  // COMMAND / PROCESS EXECUTION
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C++: std::system',
+    code: `#include <cstdlib>
+
+int main() {
+    std::system("id; cat /etc/passwd");
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Shell Command Execution
+
+      How hackers use this:
+      std::system is C's system() under a namespace - a string
+      handed to /bin/sh, run with the service's permissions.
+    `,
+  },
+  {
+    name: 'C++: ::system through the global namespace',
+    code: `#include <stdlib.h>
+
+int main() {
+    ::system("whoami");
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Qualified Name
+
+      How hackers use this:
+      "::system" names the same function with a prefix a naive
+      filter might not expect in front of the name.
+    `,
+  },
+  {
+    name: 'C++: popen into a string',
+    code: `#include <cstdio>
+#include <iostream>
+#include <string>
+
+int main() {
+    std::string out;
+    char buf[128];
+    FILE *p = popen("ls /", "r");
+    while (fgets(buf, sizeof buf, p)) out += buf;
+    std::cout << out;
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Command Output Capture
+
+      How hackers use this:
+      The C library comes with C++, popen included: a shell
+      command whose output comes back as a stream.
+    `,
+  },
+  {
+    name: 'C++: function pointer to system',
+    code: `#include <cstdlib>
+#include <functional>
+
+int main() {
+    std::function<int(const char *)> run = std::system;
+    run("id");
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Callable Indirection
+
+      How hackers use this:
+      std::function stores the dangerous function as a value and
+      calls it later under another name.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // RAW SYSTEM CALLS AND NATIVE CODE
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C++: inline assembly',
+    code: `int main() {
+    asm volatile ("syscall");
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 ATTACK: Inline Assembly
+
+      How hackers use this:
+      asm writes machine instructions - including syscall -
+      directly into the program.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // PREPROCESSOR TRICKS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C++: token pasting',
+    code: `#include <cstdlib>
+
+#define JOIN(a, b) a ## b
+
+int main() {
+    JOIN(sys, tem)("id");
+}`,
+    expectBlocked: true,
+    category: 'obfuscation',
+    explanation: `
+      🎯 ATTACK: Token Pasting
+
+      How hackers use this:
+      ## glues "sys" and "tem" into system during preprocessing,
+      after any scan of the source has seen two harmless words.
+    `,
+  },
+  {
+    name: 'C++: #include of a system file',
+    code: `#include "/etc/passwd"
+
+int main() {}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 ATTACK: Reading a File Through the Compiler
+
+      How hackers use this:
+      g++ tries to compile the file, fails, and quotes its lines
+      back in the error message.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // FILE SYSTEM ACCESS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C++: ifstream reads a host file',
+    code: `#include <fstream>
+#include <iostream>
+#include <string>
+
+int main() {
+    std::ifstream in("/etc/passwd");
+    std::string line;
+    while (std::getline(in, line)) std::cout << line << '\\n';
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 ATTACK: File Streams
+
+      How hackers use this:
+      std::ifstream is C++'s own way to open a file - no fopen
+      anywhere, and the same account lists and keys come back.
+    `,
+  },
+  {
+    name: 'C++: ofstream overwrites a file',
+    code: `#include <fstream>
+
+int main() {
+    std::ofstream out("../other-job/main.cpp");
+    out << "int main() { return 1; }";
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 ATTACK: Writing Outside the Project
+
+      How hackers use this:
+      An output stream replaces any file the process can write -
+      another student's program, a cache, a configuration file.
+    `,
+  },
+  {
+    name: 'C++: std::filesystem walks the disk',
+    code: `#include <filesystem>
+#include <iostream>
+
+namespace fs = std::filesystem;
+
+int main() {
+    for (const auto &entry : fs::recursive_directory_iterator("/app"))
+        std::cout << entry.path() << '\\n';
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 ATTACK: Directory Enumeration
+
+      How hackers use this:
+      std::filesystem lists, copies and deletes whole trees. Here
+      it maps the service's own installation.
+    `,
+  },
+  {
+    name: 'C++: std::remove of a file name',
+    code: `#include <cstdio>
+
+int main() {
+    std::remove("main.cpp");
+}`,
+    expectBlocked: true,
+    category: 'file_access',
+    explanation: `
+      🎯 ATTACK: File Deletion
+
+      How hackers use this:
+      std::remove with one argument is <cstdio>'s file deletion,
+      not the algorithm of the same name.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // NETWORK ACCESS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C++: reverse shell over a socket',
+    code: `#include <netinet/in.h>
+#include <sys/socket.h>
+
+int main() {
+    int s = socket(AF_INET, SOCK_STREAM, 0);
+    sockaddr_in a{};
+    a.sin_family = AF_INET;
+    connect(s, reinterpret_cast<sockaddr *>(&a), sizeof a);
+}`,
+    expectBlocked: true,
+    category: 'network_access',
+    explanation: `
+      🎯 ATTACK: Reverse Shell
+
+      How hackers use this:
+      The program connects out to the attacker and hands the
+      connection to a shell.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // ENVIRONMENT ACCESS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C++: std::getenv',
+    code: `#include <cstdlib>
+#include <iostream>
+
+int main() {
+    std::cout << std::getenv("API_TOKEN") << '\\n';
+}`,
+    expectBlocked: true,
+    category: 'environment_access',
+    explanation: `
+      🎯 ATTACK: Environment Secrets
+
+      How hackers use this:
+      Credentials live in environment variables, and getenv reads
+      them by name.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // SAFE CODE (Should NOT be blocked)
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'C++: Safe print',
+    code: `#include <iostream>
+
+int main() {
+    std::cout << "Hello, World!" << std::endl;
+}`,
+    expectBlocked: false,
+    expectedOutput: 'Hello, World!',
+    category: 'safe_code',
+    explanation: `
+      ✅ SAFE CODE: Should be allowed
+
+      This is ordinary teaching code, and must run.
+    `,
+  },
+  {
+    name: 'C++: Safe erase-remove idiom',
+    code: `#include <algorithm>
+#include <iostream>
+#include <vector>
+
+int main() {
+    std::vector<int> v{1, 2, 3, 2, 4};
+    v.erase(std::remove(v.begin(), v.end(), 2), v.end());
+    for (int x : v) std::cout << x << ' ';
+    std::cout << '\\n';
+}`,
+    expectBlocked: false,
+    expectedOutput: '1 3 4',
+    category: 'safe_code',
+    explanation: `
+      ✅ SAFE CODE: Should be allowed
+
+      std::remove with iterators is the <algorithm> function, and
+      erase-remove is taught in every C++ course. Only the
+      one-argument file form is refused.
+    `,
+  },
+  {
+    name: 'C++: Safe class with an open method',
+    code: `#include <iostream>
+#include <string>
+
+class Door {
+public:
+    void open() { isOpen = true; }
+    bool opened() const { return isOpen; }
+private:
+    bool isOpen = false;
+};
+
+int main() {
+    Door door;
+    door.open();
+    std::cout << std::boolalpha << door.opened() << '\\n';
+}`,
+    expectBlocked: false,
+    expectedOutput: 'true',
+    category: 'safe_code',
+    explanation: `
+      ✅ SAFE CODE: Should be allowed
+
+      A method called open is the student's own code, not the
+      open() system call.
+    `,
+  },
+  {
+    name: 'C++: Safe containers and strings',
+    code: `#include <iostream>
+#include <map>
+#include <sstream>
+#include <string>
+
+int main() {
+    std::map<std::string, int> counts;
+    std::istringstream words("to be or not to be");
+    std::string w;
+    while (words >> w) counts[w]++;
+    std::cout << "to=" << counts["to"] << " be=" << counts["be"] << '\\n';
+}`,
+    expectBlocked: false,
+    expectedOutput: 'to=2 be=2',
+    category: 'safe_code',
+    explanation: `
+      ✅ SAFE CODE: Should be allowed
+
+      String streams are in-memory - they touch no file, and stay
+      allowed.
+    `,
+  },
+];
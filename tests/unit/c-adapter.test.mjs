@@ -0,0 +1,218 @@
+/**
+ * The C and C++ adapters' decisions that do not need a compiler.
+ *
+ * What gcc and the sanitizers do with them is in tests/contract/c.test.mjs and
+ * cpp.test.mjs, which skip where the compilers are absent. These are the parts that
+ * must hold everywhere: reading a crash out of a sanitizer report - the fixtures are
+ * real gcc 12 output, job paths already stripped - the files gcc would treat as
+ * something other than source, and the policy agreeing with both attack corpora.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { classifyExit, TerminationReason } from '../../server/domain/termination.mjs';
+import { cAdapter, parseCrashReport, trimSanitizerReport } from '../../server/languages/adapters/c.mjs';
+import { cppAdapter } from '../../server/languages/adapters/cpp.mjs';
+import { validateCodeSecurity } from '../../server/security/validate.mjs';
+import { cTests } from '../security/attacks/c.mjs';
+import { cppTests } from '../security/attacks/cpp.mjs';
+
+const HEAP_OVERFLOW = [
+  '=================================================================',
+  '==24738==ERROR: AddressSanitizer: heap-buffer-overflow on address 0x60200000001c at pc 0x55dfa7e9f262 bp 0x7ffd8d933780 sp 0x7ffd8d933778',
+  'READ of size 4 at 0x60200000001c thread T0',
+  '    #0 0x55dfa7e9f261 in get util.c:2',
+  '    #1 0x55dfa7e9f28c in main main.c:5',
+  '    #2 0x7f89d6245249  (/lib/x86_64-linux-gnu/libc.so.6+0x27249)',
+  '',
+  '0x60200000001c is located 0 bytes to the right of 12-byte region [0x602000000010,0x60200000001c)',
+  'allocated by thread T0 here:',
+  '    #0 0x7f89d6cb89cf in __interceptor_malloc ../../../../src/libsanitizer/asan/asan_malloc_linux.cpp:69',
+  '    #1 0x55dfa7e9f277 in main main.c:4',
+  '',
+  'SUMMARY: AddressSanitizer: heap-buffer-overflow util.c:2 in get',
+  'Shadow bytes around the buggy address:',
+  '  0x0c047fff7fb0: 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00',
+  '=>0x0c047fff8000: fa fa 00[04]fa fa fa fa fa fa fa fa fa fa fa fa',
+  '==24738==ABORTING',
+].join('\n');
+
+const LIBRARY_ASSERTION = [
+  "/usr/include/c++/12/bits/stl_vector.h:1123: std::vector<_Tp, _Alloc>::reference std::vector<_Tp, _Alloc>::operator[](size_type) [with _Tp = int; _Alloc = std::allocator<int>; reference = int&; size_type = long unsigned int]: Assertion '__n < this->size()' failed.",
+  'AddressSanitizer:DEADLYSIGNAL',
+  '=================================================================',
+  '==24746==ERROR: AddressSanitizer: ABRT on unknown address 0x0000000060aa (pc 0x7f59402a8eec bp 0x7f59416a77c0 sp 0x7fff5358a400 T0)',
+  '    #0 0x7f59402a8eec  (/lib/x86_64-linux-gnu/libc.so.6+0x8aeec)',
+  '    #1 0x7f5940259fb1 in raise (/lib/x86_64-linux-gnu/libc.so.6+0x3bfb1)',
+  '    #4 0x55772304db2b in std::vector<int, std::allocator<int> >::operator[](unsigned long) /usr/include/c++/12/bits/stl_vector.h:1123',
+  '    #5 0x55772304d47f in main main.cpp:4',
+].join('\n');
+
+describe('reading a crash report', () => {
+  test('UBSan names the kind and the line itself', () => {
+    const report = parseCrashReport(
+      "main.c:10:21: runtime error: signed integer overflow: 2147483647 + 1 cannot be represented in type 'int'\n",
+    );
+    assert.deepEqual(report, {
+      tool: 'ubsan',
+      kind: 'signed-integer-overflow',
+      summary: "signed integer overflow: 2147483647 + 1 cannot be represented in type 'int'",
+      file: 'main.c',
+      line: 10,
+      column: 21,
+    });
+    assert.equal(parseCrashReport('grid.c:4:9: runtime error: division by zero\n').kind, 'division-by-zero');
+    assert.equal(
+      parseCrashReport("main.c:8:12: runtime error: index 7 out of bounds for type 'int [3]'\n").kind,
+      'index-out-of-bounds',
+    );
+  });
+
+  test('ASan is located at the first frame in a workspace file, not in the allocator', () => {
+    assert.deepEqual(parseCrashReport(HEAP_OVERFLOW), {
+      tool: 'asan',
+      kind: 'heap-buffer-overflow',
+      summary: 'heap-buffer-overflow: READ of size 4',
+      file: 'util.c',
+      line: 2,
+    });
+  });
+
+  test('a double free is named by what it is, not by the verb in front of it', () => {
+    const report = parseCrashReport([
+      '==7==ERROR: AddressSanitizer: attempting double-free on 0x602000000010 in thread T0:',
+      '    #0 0x7f00 in __interceptor_free ../../../../src/libsanitizer/asan/asan_malloc_linux.cpp:52',
+      '    #1 0x5500 in main main.c:6',
+    ].join('\n'));
+    assert.equal(report.kind, 'double-free');
+    assert.equal(report.line, 6);
+  });
+
+  test('a SEGV on the zero page is called a null pointer', () => {
+    const report = parseCrashReport([
+      '==9==ERROR: AddressSanitizer: SEGV on unknown address 0x000000000000 (pc 0x55 bp 0x7f sp 0x7f T0)',
+      '==9==The signal is caused by a WRITE memory access.',
+      '==9==Hint: address points to the zero page.',
+      '    #0 0x55 in set list.c:12',
+    ].join('\n'));
+    assert.equal(report.summary, 'SEGV: WRITE (a null pointer)');
+    assert.equal(report.file, 'list.c');
+  });
+
+  test("a C assert is reported at the student's assert", () => {
+    const report = parseCrashReport("program: main.c:4: main: Assertion `x > 0' failed.\n");
+    assert.equal(report.kind, 'assertion-failed');
+    assert.equal(report.summary, "Assertion 'x > 0' failed");
+    assert.deepEqual([report.file, report.line], ['main.c', 4]);
+  });
+
+  test("a libstdc++ assertion is walked back to the student's call", () => {
+    const report = parseCrashReport(LIBRARY_ASSERTION);
+    assert.equal(report.tool, 'asan');
+    assert.equal(report.kind, 'library-assertion');
+    assert.equal(report.summary, "Assertion '__n < this->size()' failed");
+    assert.deepEqual([report.file, report.line], ['main.cpp', 4]);
+  });
+
+  test("an uncaught exception carries its type and what()", () => {
+    const report = parseCrashReport([
+      "terminate called after throwing an instance of 'std::out_of_range'",
+      '  what():  vector::_M_range_check: __n (which is 5) >= this->size() (which is 0)',
+    ].join('\n'));
+    assert.equal(report.kind, 'uncaught-exception');
+    assert.equal(
+      report.summary,
+      'uncaught std::out_of_range: vector::_M_range_check: __n (which is 5) >= this->size() (which is 0)',
+    );
+  });
+
+  test('a program that wrote to stderr and returned 1 did not crash', () => {
+    assert.equal(parseCrashReport('usage: main <file>\n'), null);
+    assert.equal(parseCrashReport(''), null);
+  });
+});
+
+describe('trimming a report', () => {
+  test('the shadow-byte dump goes, the stack and the summary stay', () => {
+    const trimmed = trimSanitizerReport(HEAP_OVERFLOW);
+    assert.doesNotMatch(trimmed, /Shadow bytes|0x0c047fff/);
+    assert.match(trimmed, /#0 0x55dfa7e9f261 in get util\.c:2/);
+    assert.match(trimmed, /^SUMMARY: AddressSanitizer: heap-buffer-overflow util\.c:2 in get$/m);
+  });
+
+  test('ordinary stderr is untouched', () => {
+    assert.equal(trimSanitizerReport('warning: low on widgets\n'), 'warning: low on widgets\n');
+  });
+});
+
+describe('classifying a failed run', () => {
+  const job = { dir: '/app/sandbox/job-run-1' };
+
+  test("a sanitizer's exit becomes a crash, and its status is kept", () => {
+    const result = {
+      termination: classifyExit({ code: 1, signal: null }),
+      stderr: `${job.dir}/main.c:3:5: runtime error: division by zero\n`,
+    };
+    const { termination } = cAdapter.classifyFailure(result, job);
+    assert.equal(termination.reason, TerminationReason.CRASHED);
+    assert.equal(termination.exitCode, 1);
+    assert.deepEqual([termination.crash.file, termination.crash.line], ['main.c', 3]);
+  });
+
+  test('on a terminal the report is read from stdout, CRLF and all', () => {
+    const result = {
+      termination: classifyExit({ code: 1, signal: null }),
+      transport: 'pty',
+      stdout: `before\r\n${job.dir}/main.c:3:5: runtime error: division by zero\r\n`,
+      stderr: '',
+    };
+    const { termination } = cAdapter.classifyFailure(result, job);
+    assert.equal(termination.crash.summary, 'division by zero');
+    assert.deepEqual([termination.crash.file, termination.crash.line], ['main.c', 3]);
+  });
+
+  test('without a report, a fault signal is still a crash, with no location', () => {
+    const result = { termination: classifyExit({ code: null, signal: 'SIGSEGV' }), stderr: '' };
+    const { termination } = cppAdapter.classifyFailure(result, job);
+    assert.equal(termination.reason, TerminationReason.CRASHED);
+    assert.equal(termination.crash.kind, 'SIGSEGV');
+    assert.equal(termination.crash.file, undefined);
+  });
+
+  test('an ordinary failure and a timeout are left alone', () => {
+    assert.equal(cAdapter.classifyFailure({ termination: classifyExit({ code: 2, signal: null }), stderr: 'bad input\n' }, job), null);
+    const timedOut = classifyExit({ code: null, signal: 'SIGKILL', serviceReason: TerminationReason.TIMEOUT });
+    assert.equal(cAdapter.classifyFailure({ termination: timedOut, stderr: '' }, job), null);
+  });
+});
+
+describe('what reaches the compiler', () => {
+  test('assembly, objects and precompiled headers never reach the job', () => {
+    for (const name of ['start.s', 'lib.o', 'libx.a', 'stdio.h.gch']) {
+      const verdict = cAdapter.validateFiles([{ name: 'main.c', content: '' }, { name, content: '' }]);
+      assert.equal(verdict.ok, false, name);
+      assert.equal(verdict.code, 'native_build_file_not_allowed');
+    }
+  });
+
+  test('sources, headers and data files are accepted', () => {
+    const files = ['main.cpp', 'shapes/shape.hpp', 'shapes/shape.cc', 'scores.txt'].map(name => ({ name, content: '' }));
+    assert.deepEqual(cppAdapter.validateFiles(files), { ok: true });
+  });
+});
+
+for (const [language, corpus] of [['c', cTests], ['cpp', cppTests]]) {
+  describe(`the policy and the ${language} attack corpus agree`, () => {
+    for (const attack of corpus) {
+      test(attack.name, () => {
+        const verdict = validateCodeSecurity(language, attack.code);
+        assert.equal(
+          !verdict.safe,
+          attack.expectBlocked,
+          attack.expectBlocked ? 'not blocked' : `blocked by ${verdict.matched}`,
+        );
+      });
+    }
+  });
+}
@@ -0,0 +1,138 @@
+/**
+ * The chart viewer's arithmetic (blueprint section 68): ticks, scales, bars side by
+ * side, the value under the pointer, and the CSV.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  chartBars,
+  chartCsv,
+  chartCsvName,
+  chartLayout,
+  chartValueAt,
+  formatValue,
+  niceTicks,
+  type Chart,
+} from '../../src/components/chart-model.ts';
+
+describe('ticks', () => {
+  test('round steps of 1, 2 or 5, widened to cover the data', () => {
+    assert.deepEqual(niceTicks(3, 97, 5), { domain: [0, 100], step: 20, ticks: [0, 20, 40, 60, 80, 100] });
+    assert.deepEqual(niceTicks(0.1, 0.7, 3).ticks, [0, 0.2, 0.4, 0.6, 0.8]);
+    assert.deepEqual(niceTicks(-12, 7, 4).domain, [-15, 10]);
+  });
+
+  test('a single value still gets an axis around it', () => {
+    const { domain, ticks } = niceTicks(5, 5);
+    assert.ok(domain[0] < 5 && domain[1] > 5, String(domain));
+    assert.ok(ticks.length >= 2);
+    assert.deepEqual(niceTicks(0, 0).domain, [-1, 1]);
+  });
+
+  test('labels carry the decimals the step needs', () => {
+    assert.equal(formatValue(0.30000000000000004, 0.1), '0.3');
+    assert.equal(formatValue(40, 20), '40');
+    assert.equal(formatValue(2.5e10), '2.50e+10');
+  });
+});
+
+describe('layout', () => {
+  const chart: Chart = {
+    title: 'Visitors',
+    series: [
+      { k: 'bar', label: 'A', cats: ['Mon', 'Tue', 'Wed'], vals: [4, 8, 2] },
+      { k: 'bar', label: 'B', cats: ['Mon', 'Tue', 'Wed'], vals: [6, 3, 5] },
+    ],
+  };
+
+  test('bars put the x axis in categories, and the y axis through zero', () => {
+    const layout = chartLayout(chart, 500, 300);
+    assert.deepEqual(layout.categories, ['Mon', 'Tue', 'Wed']);
+    assert.deepEqual(layout.xTicks.map(tick => tick.label), ['Mon', 'Tue', 'Wed']);
+    assert.equal(layout.yTicks[0].label, '0');
+    assert.equal(layout.y(0), layout.plot.bottom);
+  });
+
+  test('bar series stand side by side within their category, from zero', () => {
+    const layout = chartLayout(chart, 500, 300);
+    const bars = chartBars(chart, layout);
+    const monday = bars.filter(bar => bar.category === 'Mon');
+
+    assert.equal(bars.length, 6);
+    assert.deepEqual(monday.map(bar => bar.series), [0, 1]);
+    assert.ok(Math.abs(monday[0].left + monday[0].width - monday[1].left) < 1e-9, 'adjacent');
+    assert.ok(monday[0].left < layout.x(0) && monday[1].left + monday[1].width > layout.x(0), 'centred on Mon');
+    for (const bar of bars) assert.ok(Math.abs(bar.top + bar.height - layout.y(0)) < 1e-9);
+  });
+
+  test('a negative bar hangs below zero', () => {
+    const layout = chartLayout({ series: [{ k: 'bar', cats: ['x'], vals: [-3] }] }, 400, 300);
+    const [bar] = chartBars({ series: [{ k: 'bar', cats: ['x'], vals: [-3] }] }, layout);
+    assert.ok(Math.abs(bar.top - layout.y(0)) < 1e-9);
+    assert.ok(Math.abs(bar.top + bar.height - layout.y(-3)) < 1e-9);
+  });
+
+  test('numbers keep their axis inside the plotting area', () => {
+    const layout = chartLayout({ xlabel: 'x', ylabel: 'y', series: [{ k: 'line', pts: [[1, 10], [9, 90]] }] }, 400, 300);
+    assert.equal(layout.categories, null);
+    for (const value of [1, 9]) assert.ok(layout.x(value) >= layout.plot.left && layout.x(value) <= layout.plot.right);
+    for (const value of [10, 90]) assert.ok(layout.y(value) >= layout.plot.top && layout.y(value) <= layout.plot.bottom);
+  });
+});
+
+describe('hover', () => {
+  const chart: Chart = {
+    series: [
+      { k: 'bar', label: 'Sales', cats: ['Q1', 'Q2'], vals: [10, 20] },
+      { k: 'line', label: 'Target', pts: [[0, 15], [1, 15]] },
+    ],
+  };
+  const layout = chartLayout(chart, 400, 300);
+
+  test('the nearest point within reach, named by its category', () => {
+    const hit = chartValueAt(chart, layout, layout.x(1) + 3, layout.y(15) - 2);
+    assert.deepEqual(hit && [hit.label, hit.x, hit.y], ['Target', 'Q2', '15']);
+  });
+
+  test('otherwise the bar under the pointer', () => {
+    const hit = chartValueAt(chart, layout, layout.x(0), layout.y(5));
+    assert.deepEqual(hit && [hit.series, hit.label, hit.x, hit.y], [0, 'Sales', 'Q1', '10']);
+  });
+
+  test('empty space is nothing', () => {
+    assert.equal(chartValueAt(chart, layout, layout.x(0.5), layout.plot.top + 1), null);
+  });
+});
+
+describe('CSV', () => {
+  test('one row per value, series named, text quoted where it must be', () => {
+    const csv = chartCsv({
+      series: [
+        { k: 'line', pts: [[1, 2.5], [2, 3]] },
+        { k: 'bar', label: 'Sales, "net"', cats: ['Q1', 'North\nSouth'], vals: [10, -4] },
+      ],
+    });
+
+    assert.equal(csv, [
+      'series,x,y',
+      'Series 1,1,2.5',
+      'Series 1,2,3',
+      '"Sales, ""net""",Q1,10',
+      '"Sales, ""net""","North\nSouth",-4',
+      '',
+    ].join('\r\n'));
+  });
+
+  test('a label cannot become a spreadsheet formula', () => {
+    const csv = chartCsv({ series: [{ k: 'bar', label: '=HYPERLINK("x")', cats: ['@a', '+b'], vals: [1, 2] }] });
+    assert.match(csv, /^"'=HYPERLINK\(""x""\)",'@a,1$/m);
+    assert.match(csv, /,'\+b,2\r\n$/);
+  });
+
+  test('named after the title', () => {
+    assert.equal(chartCsvName({ title: 'Visitors per Day!', series: [] }, 0), 'visitors-per-day.csv');
+    assert.equal(chartCsvName({ series: [] }, 2), 'chart-3.csv');
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * bcplot's records on the server (blueprint section 68): the allowlist each chart is
+ * rebuilt from, the bounds, and the `chart` operation on the live stream.
+ *
+ * The file and the pipe are written from inside the student's program, so what is
+ * checked is what is dropped: unlisted fields, values that are not finite numbers,
+ * and charts past the bounds - and that a chart streamed mid-run passes the same
+ * checks it passes at exit.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  CHART_LIMITS,
+  chartPointCount,
+  sanitizeChart,
+  sanitizeChartData,
+  usesCharts,
+} from '../../server/graphics/charts.mjs';
+import { GRAPHICS_PROTOCOL_VERSION, LIVE_GRAPHICS_LIMITS, LiveGraphicsReader } from '../../server/graphics/live.mjs';
+
+const line = (pts = [[0, 1], [1, 3]]) => ({ k: 'line', pts });
+
+describe('sanitizeChartData', () => {
+  test('every record kind comes through with only its listed fields', () => {
+    const data = sanitizeChartData({
+      charts: [{
+        title: 'Visitors', xlabel: 'day', ylabel: 'people', onclick: 'x',
+        series: [
+          { k: 'line', label: '2024', c: 'red', pts: [[0, 1], [1, 2]], style: 'x' },
+          { k: 'scatter', pts: [[2, 2]] },
+          { k: 'bar', cats: ['Mon', 'Tue'], vals: [3, 4], pts: [[9, 9]] },
+        ],
+      }],
+      extra: true,
+    });
+
+    assert.deepEqual(data, {
+      charts: [{
+        title: 'Visitors', xlabel: 'day', ylabel: 'people',
+        series: [
+          { k: 'line', label: '2024', c: 'red', pts: [[0, 1], [1, 2]] },
+          { k: 'scatter', pts: [[2, 2]] },
+          { k: 'bar', cats: ['Mon', 'Tue'], vals: [3, 4] },
+        ],
+      }],
+    });
+  });
+
+  test('a value that is not a finite number leaves a gap, not a broken chart', () => {
+    const chart = sanitizeChart({
+      series: [
+        line([[0, 1], [1, null], ['2', 3], [3, 1e300], [4, 5]]),
+        { k: 'bar', cats: ['a', 7, { no: 1 }, 'd'], vals: [1, 2, 3, 'x'] },
+      ],
+    });
+
+    assert.deepEqual(chart.series[0].pts, [[0, 1], [4, 5]]);
+    assert.deepEqual([chart.series[1].cats, chart.series[1].vals], [['a', '7'], [1, 2]]);
+  });
+
+  test('a series with nothing left is dropped, and a chart with no series is not a chart', () => {
+    assert.equal(sanitizeChart({ title: 'empty', series: [line([[null, 1]]), { k: 'pie', pts: [[1, 1]] }] }), null);
+    assert.equal(sanitizeChartData({ charts: [{ series: [] }] }), null);
+    assert.equal(sanitizeChartData({ charts: 'all of them' }), null);
+    assert.equal(sanitizeChartData(null), null);
+  });
+
+  test('counts, strings and points are bounded', () => {
+    const limits = { ...CHART_LIMITS, maxCharts: 2, maxSeriesPerChart: 2, maxPointsPerSeries: 3, maxTotalPoints: 5, maxStringLength: 4 };
+    const many = Array.from({ length: 10 }, (_, x) => [x, x]);
+    const data = sanitizeChartData({
+      charts: [
+        { title: 'a long title', series: [line(many), line(many), line(many)] },
+        { series: [line(many)] },
+        { series: [line(many)] },
+      ],
+    }, limits);
+
+    assert.equal(data.charts.length, 1, 'the second chart had no points left in the budget');
+    assert.equal(data.charts[0].title, 'a lo');
+    assert.deepEqual(data.charts[0].series.map(series => series.pts.length), [3, 2]);
+  });
+
+  test('chartPointCount counts bars and points alike', () => {
+    assert.equal(chartPointCount({ series: [line(), { k: 'bar', cats: ['a'], vals: [1] }] }), 3);
+  });
+});
+
+describe('usesCharts', () => {
+  for (const [language, source, expected] of [
+    ['python', 'import bcplot as plt', true],
+    ['python', 'from bcplot import plot', true],
+    ['python', 'import matplotlib.pyplot as plt', false],
+    ['javascript', "import * as plt from 'bcplot';", true],
+    ['javascript', 'const plt = await import("bcplot");', true],
+    ['javascript', "import plt from './bcplot.mjs';", false],
+    ['java', 'import bcplot;', false],
+  ]) {
+    test(`${language}: ${source}`, () => {
+      assert.equal(usesCharts(source, language), expected);
+    });
+  }
+});
+
+describe('the live chart operation', () => {
+  function frame(ops) {
+    const body = Buffer.from(JSON.stringify({ v: GRAPHICS_PROTOCOL_VERSION, ops }), 'utf8');
+    const header = Buffer.alloc(4);
+    header.writeUInt32BE(body.length, 0);
+    return Buffer.concat([header, body]);
+  }
+
+  function reader(limits = LIVE_GRAPHICS_LIMITS) {
+    const batches = [];
+    const live = new LiveGraphicsReader({ sessionId: 'run-1', limits, onBatch: batch => batches.push(batch), onWarning() {} });
+    return { live, batches };
+  }
+
+  test('a chart is rebuilt by the same allowlist as at exit', () => {
+    const { live, batches } = reader();
+    live.push(frame([{ op: 'chart', index: 0, chart: { title: 'T', series: [{ ...line(), script: 1 }] } }]));
+
+    assert.deepEqual(batches[0].operations, [{ op: 'chart', index: 0, chart: { title: 'T', series: [line()] } }]);
+  });
+
+  test('a chart may replace one already sent, or add the next', () => {
+    const { live, batches } = reader();
+    live.push(frame([
+      { op: 'chart', index: 0, chart: { series: [line()] } },
+      { op: 'chart', index: 0, chart: { series: [line(), line()] } },
+      { op: 'chart', index: 1, chart: { series: [line()] } },
+    ]));
+
+    assert.equal(live.stopped, null);
+    assert.deepEqual(batches[0].operations.map(operation => operation.index), [0, 0, 1]);
+  });
+
+  for (const [label, op] of [
+    ['an index that skips one', { op: 'chart', index: 1, chart: { series: [line()] } }],
+    ['an index that is not a whole number', { op: 'chart', index: 0.5, chart: { series: [line()] } }],
+    ['a chart with nothing to draw', { op: 'chart', index: 0, chart: { series: [] } }],
+    ['an index past the chart limit', { op: 'chart', index: CHART_LIMITS.maxCharts, chart: { series: [line()] } }],
+  ]) {
+    test(`refuses ${label}`, () => {
+      const { live } = reader();
+      live.push(frame([op]));
+      assert.equal(live.stopped, 'graphics_invalid');
+    });
+  }
+});
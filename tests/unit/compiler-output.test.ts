@@ -196,6 +196,221 @@ describe('typescript', () => {
   });
 });
 
+// Captured from go1.21.6 through the Go adapter, which strips the job directory and
+// the `# <package>` heading before the text leaves the server.
+describe('go', () => {
+  test('every build error is reported, with its column', () => {
+    const output = [
+      './main.go:3:8: "os" imported and not used',
+      './main.go:6:2: x declared and not used',
+      './main.go:7:2: undefined: fmt',
+      './main.go:7:14: undefined: y',
+    ].join('\n');
+
+    const diagnostics = parseCompilerOutput('go', output);
+    assert.equal(diagnostics.length, 4);
+    assert.equal(diagnostics[0].file, 'main.go');
+    assert.equal(diagnostics[0].line, 3);
+    assert.equal(diagnostics[0].column, 8);
+    assert.equal(diagnostics[0].message, '"os" imported and not used');
+    assert.equal(diagnostics[3].column, 14);
+  });
+
+  test('an error in another package keeps its directory', () => {
+    const [diagnostic] = parseCompilerOutput('go', 'shapes/shapes.go:3:26: undefined: x');
+    assert.equal(diagnostic.file, 'shapes/shapes.go');
+    assert.equal(diagnostic.line, 3);
+  });
+
+  test('a panic points at the frame that raised it', () => {
+    const output = [
+      'panic: runtime error: index out of range [5] with length 3',
+      '',
+      'goroutine 1 [running]:',
+      'main.main()',
+      '\tmain.go:8 +0x17',
+    ].join('\n');
+
+    const [diagnostic] = parseCompilerOutput('go', output);
+    assert.equal(diagnostic.file, 'main.go');
+    assert.equal(diagnostic.line, 8);
+    assert.equal(diagnostic.column, undefined);
+    assert.equal(diagnostic.message, 'panic: runtime error: index out of range [5] with length 3');
+  });
+
+  test("the standard library's own frames are never blamed", () => {
+    const output = [
+      'panic: strings: negative Repeat count',
+      '',
+      'goroutine 1 [running]:',
+      'strings.Repeat({0x494288?, 0x60?}, 0x0?)',
+      '\t/usr/local/go/src/strings/strings.go:554 +0x318',
+      'main.main()',
+      '\tmain.go:10 +0x26',
+    ].join('\n');
+
+    const [diagnostic] = parseCompilerOutput('go', output);
+    assert.equal(diagnostic.file, 'main.go');
+    assert.equal(diagnostic.line, 10);
+  });
+});
+
+// Captured from ruby 3.3.0 through the Ruby adapter, which strips the job directory and
+// the file name `ruby -c` repeats in front of its message.
+describe('ruby', () => {
+  test('a syntax error is its own line, caret snippet and all', () => {
+    const output = [
+      "main.rb:2: syntax error, unexpected end-of-input, expecting `end' or dummy end (SyntaxError)",
+      '  puts 1',
+      '        ^',
+    ].join('\n');
+
+    const [diagnostic, ...rest] = parseCompilerOutput('ruby', output);
+    assert.equal(rest.length, 0);
+    assert.equal(diagnostic.file, 'main.rb');
+    assert.equal(diagnostic.line, 2);
+    assert.equal(diagnostic.column, undefined);
+    assert.match(diagnostic.message, /^syntax error, unexpected end-of-input/);
+  });
+
+  test('an uncaught exception points at the innermost frame, with its message', () => {
+    const output = [
+      "main.rb:2:in `f': undefined method `upcase' for nil (NoMethodError)",
+      '',
+      '  a.upcase',
+      '   ^^^^^^^',
+      "\tfrom main.rb:4:in `<main>'",
+    ].join('\n');
+
+    const [diagnostic] = parseCompilerOutput('ruby', output);
+    assert.equal(diagnostic.file, 'main.rb');
+    assert.equal(diagnostic.line, 2);
+    assert.equal(diagnostic.message, "undefined method `upcase' for nil (NoMethodError)");
+  });
+
+  test("the interpreter's own frames are never blamed", () => {
+    const output = [
+      "<internal:/usr/lib/ruby/3.3.0/rubygems/core_ext/kernel_require.rb>:127:in `require': cannot load such file -- nothere (LoadError)",
+      "\tfrom <internal:/usr/lib/ruby/3.3.0/rubygems/core_ext/kernel_require.rb>:127:in `require'",
+      "\tfrom lib/helper.rb:1:in `<top (required)>'",
+      "\tfrom main.rb:1:in `require_relative'",
+    ].join('\n');
+
+    const [diagnostic] = parseCompilerOutput('ruby', output);
+    assert.equal(diagnostic.file, 'lib/helper.rb');
+    assert.equal(diagnostic.line, 1);
+    assert.equal(diagnostic.message, 'cannot load such file -- nothere (LoadError)');
+  });
+
+  test('a syntax error in a required file names that file, not the require', () => {
+    const output = [
+      "main.rb:1:in `require_relative': --> bad.rb",
+      "Unmatched `end', missing keyword (`do', `def`, `if`, etc.) ?",
+      '> 1  def g',
+      '> 3  end',
+      "bad.rb:3: syntax error, unexpected `end' (SyntaxError)",
+      "\tfrom main.rb:1:in `<main>'",
+    ].join('\n');
+
+    const [diagnostic, ...rest] = parseCompilerOutput('ruby', output);
+    assert.equal(rest.length, 0);
+    assert.equal(diagnostic.file, 'bad.rb');
+    assert.equal(diagnostic.line, 3);
+  });
+
+  test("warnings are warnings, and Ruby 3.4's quoting is read too", () => {
+    const output = [
+      'main.rb:1: warning: assigned but unused variable - a',
+      "main.rb:3:in 'Integer#/': divided by 0 (ZeroDivisionError)",
+      "\tfrom main.rb:3:in '<main>'",
+    ].join('\n');
+
+    const [warning, error] = parseCompilerOutput('ruby', output);
+    assert.equal(warning.severity, 'warning');
+    assert.equal(warning.message, 'assigned but unused variable - a');
+    assert.equal(error.severity, 'error');
+    assert.equal(error.line, 3);
+    assert.equal(error.message, 'divided by 0 (ZeroDivisionError)');
+  });
+});
+
+describe('c and c++', () => {
+  test('errors come before warnings, and the -W flag is not part of the message', () => {
+    const output = [
+      "main.c: In function 'main':",
+      "main.c:4:20: error: 'count' undeclared (first use in this function)",
+      '    4 |     printf("%d\\n", count)',
+      '      |                    ^~~~~',
+      'main.c:4:20: note: each undeclared identifier is reported only once for each function it appears in',
+      "main.c:4:26: error: expected ';' before 'return'",
+      "main.c:3:9: warning: unused variable 'unused' [-Wunused-variable]",
+      '    3 |     int unused;',
+    ].join('\n');
+
+    const diagnostics = parseCompilerOutput('c', output);
+    assert.deepEqual(
+      diagnostics.map(d => [d.severity, d.line, d.column, d.message]),
+      [
+        ['error', 4, 20, "'count' undeclared (first use in this function)"],
+        ['error', 4, 26, "expected ';' before 'return'"],
+        ['warning', 3, 9, "unused variable 'unused'"],
+      ],
+    );
+  });
+
+  test("an error inside a standard header is never blamed, the student's line is", () => {
+    const output = [
+      "main.cpp: In function 'int main()':",
+      "main.cpp:4:21: error: conversion from 'int' to non-scalar type 'std::string' requested",
+      "/usr/include/c++/12/ostream:754:5: error: no type named 'type' in 'struct std::enable_if<false, void>'",
+    ].join('\n');
+
+    const diagnostics = parseCompilerOutput('cpp', output);
+    assert.equal(diagnostics.length, 1);
+    assert.equal(diagnostics[0].file, 'main.cpp');
+    assert.equal(diagnostics[0].line, 4);
+  });
+
+  test('UBSan is a diagnostic at its own line', () => {
+    const [diagnostic] = parseCompilerOutput(
+      'c',
+      "grid.c:10:21: runtime error: signed integer overflow: 2147483647 + 1 cannot be represented in type 'int'",
+    );
+    assert.equal(diagnostic.file, 'grid.c');
+    assert.equal(diagnostic.line, 10);
+    assert.match(diagnostic.message, /^runtime error: signed integer overflow/);
+  });
+
+  test("ASan points at the first frame in the student's files, not at the allocator", () => {
+    const output = [
+      '==24738==ERROR: AddressSanitizer: heap-buffer-overflow on address 0x60200000001c at pc 0x55dfa7e9f262',
+      'READ of size 4 at 0x60200000001c thread T0',
+      '    #0 0x7f89d6cb89cf in __interceptor_memcpy ../../../../src/libsanitizer/sanitizer_common/sanitizer_common_interceptors.inc:827',
+      '    #1 0x55dfa7e9f261 in get util.c:2',
+      '    #2 0x55dfa7e9f28c in main main.c:5',
+    ].join('\n');
+
+    const [diagnostic] = parseCompilerOutput('c', output);
+    assert.equal(diagnostic.file, 'util.c');
+    assert.equal(diagnostic.line, 2);
+    assert.equal(diagnostic.message, 'AddressSanitizer: heap-buffer-overflow (READ of size 4)');
+  });
+
+  test("a libstdc++ assertion is reported at the student's call", () => {
+    const output = [
+      "/usr/include/c++/12/bits/stl_vector.h:1123: std::vector<_Tp, _Alloc>::reference std::vector<_Tp, _Alloc>::operator[](size_type) [with _Tp = int]: Assertion '__n < this->size()' failed.",
+      '==24746==ERROR: AddressSanitizer: ABRT on unknown address 0x0000000060aa',
+      '    #4 0x55772304db2b in std::vector<int, std::allocator<int> >::operator[](unsigned long) /usr/include/c++/12/bits/stl_vector.h:1123',
+      '    #5 0x55772304d47f in main main.cpp:4',
+    ].join('\n');
+
+    const [diagnostic] = parseCompilerOutput('cpp', output);
+    assert.equal(diagnostic.file, 'main.cpp');
+    assert.equal(diagnostic.line, 4);
+    assert.equal(diagnostic.message, "Assertion '__n < this->size()' failed.");
+  });
+});
+
 describe('refusing to guess', () => {
   test('unparseable output produces nothing rather than a wrong line', () => {
     // A marker on the wrong line sends the student to correct code, which is worse
@@ -207,6 +422,9 @@ describe('refusing to guess', () => {
       ['php', 'PHP Fatal error: unknown'],
       ['javascript', 'killed'],
       ['typescript', 'tsc: command not found'],
+      ['ruby', 'ruby: No such file or directory -- main.rb (LoadError)'],
+      // A linker error has an object offset where the line would be.
+      ['c', "/usr/bin/ld: main.c:(.text+0x13): undefined reference to `area'"],
     ] as const) {
       assert.deepEqual(parseCompilerOutput(language, text), [], `${language} guessed`);
     }
@@ -15,11 +15,12 @@ import {
   DebugChannel,
   DEBUG_COMMANDS,
   buildDebugCommand,
+  parseDebugRequest,
 } from '../../server/debug/channel.mjs';
 
 describe('the command allowlist', () => {
   test('the simple commands map to themselves', () => {
-    for (const name of ['continue', 'next', 'stepIn', 'stepOut', 'stop']) {
+    for (const name of ['continue', 'next', 'stepIn', 'stepOut', 'stop', 'stepBack', 'reverseContinue']) {
       assert.deepEqual(buildDebugCommand(name, {}), { command: name });
     }
   });
@@ -44,6 +45,24 @@ describe('the command allowlist', () => {
   });
 });
 
+describe('the debug field of a run request', () => {
+  test('true is a debug run, unrecorded, exactly as before', () => {
+    assert.deepEqual(parseDebugRequest(true), { record: false });
+  });
+
+  test('an object asks for a recording only with record: true', () => {
+    assert.deepEqual(parseDebugRequest({ record: true }), { record: true });
+    assert.deepEqual(parseDebugRequest({}), { record: false });
+    assert.deepEqual(parseDebugRequest({ record: 'yes' }), { record: false });
+  });
+
+  test('anything else is not a debug run, as it was not before', () => {
+    for (const value of [undefined, null, false, 'true', 1, [], [true]]) {
+      assert.equal(parseDebugRequest(value), null, JSON.stringify(value));
+    }
+  });
+});
+
 describe('setBreakpoints is bounded at the boundary', () => {
   test('valid line numbers pass through', () => {
     assert.deepEqual(buildDebugCommand('setBreakpoints', { lines: [1, 5, 200] }), {
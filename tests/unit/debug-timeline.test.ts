@@ -0,0 +1,134 @@
+/**
+ * A recorded debug session, on the client (blueprint section 73): the timeline the
+ * scrubber draws, and the state's idea of a step that is in the past.
+ *
+ * The adapter's half - keeping the lines, replaying them - is tested against real
+ * CPython in tests/contract/python-debug.test.mjs. What can go wrong here is quieter: a
+ * scrubber offering a step the adapter has already dropped, a recorded step recorded
+ * again as a pause, a watch waiting forever for an answer a recording cannot give.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DebugSessionState, capabilitiesFor } from '../../src/features/debug/state.ts';
+import {
+  ExecutionTimeline,
+  MAX_TIMELINE_STEPS,
+  describeStep,
+  indexOfStep,
+} from '../../src/features/debug/timeline.ts';
+
+const step = (number: number, line: number, values: Array<[string, string]> = [], fn = '(module)') => ({
+  step: number, file: 'main.py', line, depth: fn === '(module)' ? 1 : 2, function: fn, values,
+});
+
+const stopAt = (line: number, extra: Record<string, unknown> = {}) => ({
+  type: 'stopped', reason: 'step', file: 'main.py', line, stack: [], locals: [], globals: [], ...extra,
+});
+
+describe('the timeline', () => {
+  test('grows by what each event adds, and never takes a step twice', () => {
+    const timeline = new ExecutionTimeline();
+    timeline.apply({ type: 'timeline', first: 1, steps: [step(1, 1), step(2, 2)] });
+    timeline.apply({ type: 'timeline', first: 1, steps: [step(2, 2), step(3, 5)] });
+    assert.deepEqual(timeline.steps().map(entry => entry.step), [1, 2, 3]);
+  });
+
+  test('drops what the adapter dropped, so it never offers a step that cannot be gone back to', () => {
+    const timeline = new ExecutionTimeline();
+    timeline.apply({ type: 'timeline', first: 1, steps: [step(1, 1), step(2, 2), step(3, 3)] });
+    timeline.apply({ type: 'timeline', first: 3, steps: [step(4, 4)] });
+    assert.deepEqual(timeline.steps().map(entry => entry.step), [3, 4]);
+    assert.equal(indexOfStep(timeline.steps(), 4), 1);
+    assert.equal(indexOfStep(timeline.steps(), 2), -1);
+  });
+
+  test('is bounded whatever an adapter sends', () => {
+    const timeline = new ExecutionTimeline();
+    const many = Array.from({ length: MAX_TIMELINE_STEPS + 10 }, (_, index) => step(index + 1, 1));
+    timeline.apply({ type: 'timeline', first: 1, steps: many });
+    assert.equal(timeline.steps().length, MAX_TIMELINE_STEPS);
+    assert.equal(timeline.steps()[0].step, 11, 'the oldest go first');
+  });
+
+  test('a malformed step is skipped rather than drawn', () => {
+    const timeline = new ExecutionTimeline();
+    timeline.apply({ type: 'timeline', first: 1, steps: [null, { step: 'x', line: 2 }, { step: 1, line: 0 }, step(2, 3)] });
+    assert.deepEqual(timeline.steps().map(entry => entry.line), [3]);
+  });
+
+  test('a step reads as where it was and what the variables were', () => {
+    assert.equal(describeStep(step(4, 2, [['n', '2'], ['result', '4']], 'square')), 'line 2 in square · n = 2, result = 4');
+    assert.equal(describeStep(step(1, 1)), 'line 1');
+  });
+});
+
+describe('a recorded session in the state', () => {
+  test('the way back exists only when the adapter said it is recording', () => {
+    const plain = new DebugSessionState();
+    plain.starting();
+    plain.apply({ type: 'started' });
+    plain.apply(stopAt(3));
+    assert.equal(plain.capabilities().canStepBack, false);
+    assert.equal(plain.snapshot().recording, false);
+
+    const recorded = new DebugSessionState();
+    recorded.starting();
+    recorded.apply({ type: 'started', recording: { maxSteps: 2000, maxBytes: 8 } });
+    assert.equal(recorded.capabilities().canStepBack, false, 'not while running');
+    recorded.apply(stopAt(3));
+    assert.equal(recorded.capabilities().canStepBack, true);
+    assert.equal(recorded.capabilities().canReverseContinue, true);
+  });
+
+  test('a crash can be stepped back from, which is when it is worth most', () => {
+    assert.equal(capabilitiesFor('postMortem', true).canStepBack, true);
+    assert.equal(capabilitiesFor('postMortem', false).canStepBack, false);
+    assert.equal(capabilitiesFor('running', true).canStepBack, false);
+  });
+
+  test('a recorded step after a crash is paused, so stepping forward through it works', () => {
+    const state = new DebugSessionState();
+    state.starting();
+    state.apply({ type: 'started', recording: {} });
+    state.apply(stopAt(9, { reason: 'exception', postMortem: true }));
+    assert.equal(state.snapshot().status, 'postMortem');
+
+    state.apply(stopAt(7, { replay: { step: 40, present: 42 } }));
+    assert.equal(state.snapshot().status, 'paused');
+    assert.deepEqual(state.snapshot().stop?.replay, { step: 40, present: 42 });
+  });
+
+  test('the timeline arrives through the state, and a new session starts it empty', () => {
+    const state = new DebugSessionState();
+    state.starting();
+    state.apply({ type: 'started', recording: {} });
+    state.apply({ type: 'timeline', first: 1, steps: [step(1, 1), step(2, 2)] });
+    assert.equal(state.snapshot().timeline.length, 2);
+
+    state.starting();
+    assert.deepEqual(state.snapshot().timeline, []);
+    assert.equal(state.snapshot().recording, false);
+  });
+
+  test('a watch in a recorded step says it cannot be answered rather than waiting', () => {
+    const state = new DebugSessionState();
+    state.starting();
+    state.apply({ type: 'started', recording: {} });
+    state.addWatch('total');
+    state.apply(stopAt(7, { replay: { step: 3, present: 5 } }));
+    assert.deepEqual(state.snapshot().watchValues.get('total'), { text: null, error: 'not kept in the recording' });
+
+    // Back at the present the answer is asked for again, so nothing stale is shown.
+    state.apply(stopAt(8, { returned: true }));
+    assert.equal(state.snapshot().watchValues.has('total'), false);
+    assert.equal(state.snapshot().stop?.returned, true);
+  });
+
+  test('a replay that is not well formed is an ordinary stop', () => {
+    const state = new DebugSessionState();
+    state.apply(stopAt(2, { replay: { step: 'back' } }));
+    assert.equal(state.snapshot().stop?.replay, undefined);
+  });
+});
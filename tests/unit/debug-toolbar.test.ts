@@ -11,7 +11,7 @@
 import { test, describe } from 'node:test';
 import assert from 'node:assert/strict';
 
-import { debugActions, describeStatus } from '../../src/features/debug/toolbar.ts';
+import { debugActions, describeStatus, reverseActions } from '../../src/features/debug/toolbar.ts';
 import type { DebugSnapshot } from '../../src/features/debug/state.ts';
 
 const ALL_ALLOWED = {
@@ -89,6 +89,27 @@ describe('the controls', () => {
   });
 });
 
+describe('the controls that go back', () => {
+  const actions = reverseActions(() => ({ canStepBack: true, canReverseContinue: false }), () => {});
+
+  test('are shown only in a recorded session, and send their own commands', () => {
+    const sent: string[] = [];
+    for (const action of reverseActions(() => ({ canStepBack: true, canReverseContinue: true }), command => sent.push(command))) {
+      assert.equal(action.visible?.(snapshot({ recording: true })), true, action.label);
+      assert.equal(action.visible?.(snapshot({ recording: false })), false, action.label);
+      action.run();
+    }
+    assert.deepEqual(sent, ['reverseContinue', 'stepBack']);
+  });
+
+  test('each follows its own capability', () => {
+    assert.deepEqual(actions.map(action => [action.label, action.enabled(snapshot({}))]), [
+      ['Reverse', false],
+      ['Step back', true],
+    ]);
+  });
+});
+
 describe('the status sentence', () => {
   test('paused names the line, which is the thing to act on', () => {
     assert.equal(
@@ -97,6 +118,15 @@ describe('the status sentence', () => {
     );
   });
 
+  test('a recorded step says how far back it is, not that the program is there', () => {
+    const at = (step: number) => describeStatus(snapshot({
+      status: 'paused',
+      stop: { line: 3, replay: { step, present: 10 } } as DebugSnapshot['stop'],
+    }));
+    assert.equal(at(7), 'Looking back at line 3 — 3 steps before the program');
+    assert.equal(at(9), 'Looking back at line 3 — 1 step before the program');
+  });
+
   test('running says what will happen next rather than just "running"', () => {
     assert.match(describeStatus(snapshot({ status: 'running' })), /pause at your next breakpoint/);
   });
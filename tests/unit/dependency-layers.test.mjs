@@ -0,0 +1,443 @@
+/**
+ * Offline dependency layers: lockfiles, the mirror, and the installed result.
+ *
+ * The properties worth holding onto are the three blueprint 12.6 insists on. Nothing
+ * is installed that the lock did not pin to an exact version AND a hash, so a swapped
+ * file in the mirror is refused rather than run. Nothing is fetched: the mirror is a
+ * directory, and a package missing from it is a clear refusal, not a network call.
+ * And no install script runs unless an operator vetted that exact package.
+ */
+
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readFileSync, readdirSync, rmSync, utimesSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  ExtractionBudget,
+  readTarGz,
+  readZip,
+  safeMemberPath,
+} from '../../server/dependencies/archives.mjs';
+import { DependencyError } from '../../server/dependencies/errors.mjs';
+import { DependencyLayers } from '../../server/dependencies/layers.mjs';
+import {
+  findLockfile,
+  normalizePythonName,
+  parsePackageLock,
+  parseRequirements,
+  strongestIntegrity,
+} from '../../server/dependencies/lockfiles.mjs';
+import { parseWheelName } from '../../server/dependencies/pypi.mjs';
+import { tarballPath } from '../../server/dependencies/npm.mjs';
+import {
+  addNpmPackage,
+  addWheel,
+  makeTarGz,
+  makeZip,
+  packageLock,
+} from './support/package-mirror.mjs';
+
+const temporaries = [];
+function scratch() {
+  const dir = mkdtempSync(join(tmpdir(), 'bc-deps-'));
+  temporaries.push(dir);
+  return dir;
+}
+
+after(() => {
+  for (const dir of temporaries) {
+    try { rmSync(dir, { recursive: true, force: true }); } catch { /* fine */ }
+  }
+});
+
+const HASH = 'a'.repeat(64);
+const LIMITS = { maxPackages: 50, maxFiles: 1000, maxBytes: 10 * 1024 * 1024, maxArchiveBytes: 1024 * 1024, scriptTimeoutMs: 10000 };
+const budget = (overrides = {}) => new ExtractionBudget({ maxFiles: 1000, maxBytes: 1024 * 1024, ...overrides });
+
+const refusal = code => error => error instanceof DependencyError && error.code === code;
+
+function layers(mirror, options = {}) {
+  const instance = new DependencyLayers({
+    mirrorDirectory: mirror,
+    directory: join(scratch(), 'cache'),
+    ttlMs: 60 * 60 * 1000,
+    sweepIntervalMs: 60 * 60 * 1000,
+    limits: LIMITS,
+    node: process.execPath,
+    ...options,
+  });
+  instance.start();
+  return instance;
+}
+
+describe('requirements.txt', () => {
+  test('a hash-pinned lock parses, with continuation lines, comments and extras', () => {
+    const entries = parseRequirements([
+      '# generated by pip-compile',
+      '--require-hashes',
+      'Tiny_Helper[fast]==1.2.0 \\',
+      `    --hash=sha256:${HASH} \\`,
+      `    --hash=sha512:${'b'.repeat(128)}`,
+      `attrs==23.1.0 --hash sha256:${'C'.repeat(64)}  # via tiny-helper`,
+      '',
+    ].join('\n'));
+    assert.deepEqual(entries.map(entry => [entry.name, entry.version, entry.hashes.length]), [
+      ['attrs', '23.1.0', 1],
+      ['tiny-helper', '1.2.0', 2],
+    ]);
+    assert.equal(entries[0].hashes[0].hex, 'c'.repeat(64), 'hex is compared lower-case');
+  });
+
+  test('every requirement must be an exact pin with a hash', () => {
+    assert.throws(() => parseRequirements(`attrs>=23 --hash=sha256:${HASH}`), refusal('lock_unpinned'));
+    assert.throws(() => parseRequirements(`attrs==1.* --hash=sha256:${HASH}`), refusal('lock_unpinned'));
+    assert.throws(() => parseRequirements('attrs==23.1.0'), refusal('lock_hash_missing'));
+    assert.throws(() => parseRequirements(`attrs==23.1.0 --hash=md5:${'a'.repeat(32)}`), refusal('lock_hash_invalid'));
+  });
+
+  test('anything that would reach past the mirror is refused by line', () => {
+    assert.throws(() => parseRequirements('--index-url https://pypi.org/simple'), refusal('lock_option_unsupported'));
+    assert.throws(() => parseRequirements('-e ./local'), refusal('lock_option_unsupported'));
+    assert.throws(() => parseRequirements('\n-r other.txt'), error => /line 2/.test(error.message));
+    assert.throws(
+      () => parseRequirements(`pkg @ https://example.com/pkg.whl --hash=sha256:${HASH}`),
+      refusal('lock_source_unsupported'),
+    );
+    assert.throws(
+      () => parseRequirements(`attrs==23.1.0 ; python_version < "3.8" --hash=sha256:${HASH}`),
+      refusal('lock_marker_unsupported'),
+    );
+  });
+
+  test('a project listed twice under two spellings is one project', () => {
+    assert.equal(normalizePythonName('Zope.Interface_x'), 'zope-interface-x');
+    assert.throws(
+      () => parseRequirements(`a_b==1 --hash=sha256:${HASH}\nA-B==1 --hash=sha256:${HASH}`),
+      refusal('lock_duplicate'),
+    );
+  });
+
+  test('only the lockfile at the project root counts', () => {
+    const files = [{ name: 'data/requirements.txt', content: 'x' }];
+    assert.equal(findLockfile(files, 'pypi'), null);
+    assert.ok(findLockfile([...files, { name: 'requirements.txt', content: '' }], 'pypi'));
+  });
+});
+
+describe('package-lock.json', () => {
+  const integrity = 'sha512-' + Buffer.alloc(64, 1).toString('base64');
+
+  test('installs every package at the path the lock names', () => {
+    const entries = parsePackageLock(packageLock({
+      'node_modules/left-pad': { version: '1.3.0', integrity },
+      'node_modules/left-pad/node_modules/@scope/inner': { version: '2.0.0', integrity, hasInstallScript: true },
+      'node_modules/alias': { name: 'real-name', version: '1.0.0', integrity },
+    }));
+    assert.deepEqual(entries.map(entry => [entry.path, entry.name]), [
+      ['node_modules/alias', 'real-name'],
+      ['node_modules/left-pad', 'left-pad'],
+      ['node_modules/left-pad/node_modules/@scope/inner', '@scope/inner'],
+    ]);
+    assert.equal(entries[2].hasInstallScript, true);
+  });
+
+  test('skips bundled packages and optional ones for another platform, as npm does', () => {
+    const entries = parsePackageLock(packageLock({
+      'node_modules/a': { version: '1.0.0', integrity },
+      'node_modules/a/node_modules/b': { version: '1.0.0', inBundle: true },
+      'node_modules/fsevents': { version: '2.3.3', integrity, optional: true, os: ['darwin'] },
+    }), { platform: 'linux', arch: 'x64' });
+    assert.deepEqual(entries.map(entry => entry.name), ['a']);
+  });
+
+  test('refuses what cannot be installed offline and verified', () => {
+    const lock = packages => parsePackageLock(packageLock(packages));
+    assert.throws(() => parsePackageLock(JSON.stringify({ lockfileVersion: 1, dependencies: {} })), refusal('lock_version_unsupported'));
+    assert.throws(() => parsePackageLock('{'), refusal('lock_invalid'));
+    assert.throws(() => lock({ 'node_modules/a': { version: '1.0.0', integrity: 'sha1-AAAA' } }), refusal('lock_hash_missing'));
+    assert.throws(() => lock({ 'node_modules/a': { version: '^1.0.0', integrity } }), refusal('lock_unpinned'));
+    assert.throws(() => lock({ 'node_modules/a': { link: true, resolved: '../a' } }), refusal('lock_link_unsupported'));
+    assert.throws(() => lock({ 'packages/a': { version: '1.0.0', integrity } }), refusal('lock_workspace_unsupported'));
+    assert.throws(() => lock({ 'node_modules/../../etc': { version: '1.0.0', integrity } }), refusal('lock_workspace_unsupported'));
+    assert.throws(() => lock({ 'node_modules/Bad Name': { version: '1.0.0', integrity } }), refusal('lock_name_invalid'));
+  });
+
+  test('the strongest integrity is the one checked, and sha1 alone is none', () => {
+    const both = `sha1-${Buffer.alloc(20).toString('base64')} sha512-${Buffer.alloc(64, 2).toString('base64')}`;
+    assert.deepEqual(strongestIntegrity(both), { algorithm: 'sha512', hex: '02'.repeat(64) });
+    assert.equal(strongestIntegrity(`sha1-${Buffer.alloc(20).toString('base64')}`), null);
+  });
+
+  test('the mirror path comes from the name and version, never the resolved URL', () => {
+    assert.equal(tarballPath('/m', '@scope/pkg', '1.0.0'), join('/m', 'npm', '@scope', 'pkg', '-', 'pkg-1.0.0.tgz'));
+  });
+});
+
+describe('archives', () => {
+  test('member names that leave the layer are refused, not repaired', () => {
+    assert.equal(safeMemberPath('pkg/./mod.py'), 'pkg/mod.py');
+    for (const bad of ['../x', 'a/../../x', '/etc/passwd', 'C:/x', 'a\\b', '']) {
+      assert.equal(safeMemberPath(bad), null, bad);
+    }
+  });
+
+  test('a zip reads stored and deflated members', () => {
+    const zip = makeZip([
+      { name: 'a.py', content: 'x = 1\n' },
+      { name: 'pkg/', content: '' },
+      { name: 'pkg/b.py', content: 'y = 2\n'.repeat(100), deflate: true },
+    ]);
+    const members = readZip(zip, budget(), 'test.whl');
+    assert.deepEqual(members.map(member => member.name), ['a.py', 'pkg/b.py']);
+    assert.equal(members[1].data.toString(), 'y = 2\n'.repeat(100));
+  });
+
+  test('a zip with a traversal, a symlink or a lying size is refused', () => {
+    assert.throws(() => readZip(makeZip([{ name: '../evil.py', content: '' }]), budget(), 'x'), refusal('archive_invalid'));
+    assert.throws(() => readZip(makeZip([{ name: 'link', content: '/etc', mode: 0o120777 }]), budget(), 'x'), refusal('archive_invalid'));
+    const bomb = makeZip([{ name: 'a', content: 'a'.repeat(100000), deflate: true, declaredSize: 10 }]);
+    assert.throws(() => readZip(bomb, budget(), 'x'), refusal('archive_invalid'));
+  });
+
+  test('the budget is for the whole layer, across archives', () => {
+    const shared = budget({ maxBytes: 150 });
+    readZip(makeZip([{ name: 'a', content: 'a'.repeat(100) }]), shared, 'one');
+    assert.throws(() => readZip(makeZip([{ name: 'b', content: 'b'.repeat(100) }]), shared, 'two'), refusal('layer_too_large'));
+    assert.throws(
+      () => readZip(makeZip([{ name: 'a' }, { name: 'b' }, { name: 'c' }]), budget({ maxFiles: 2 }), 'x'),
+      refusal('layer_too_many_files'),
+    );
+  });
+
+  test('a tarball loses its top folder and its links, and keeps its files', () => {
+    const members = readTarGz(makeTarGz([
+      { name: 'package/index.js', content: 'module.exports = 1;' },
+      { name: 'package/bin/run', content: '#!/bin/sh', mode: 0o755 },
+      { name: 'package/escape', type: '2', linkname: '/etc/passwd' },
+      { name: 'package/hard', type: '1', linkname: 'package/index.js' },
+    ]), budget(), 'x.tgz');
+    assert.deepEqual(members.map(member => [member.name, member.executable]), [['index.js', false], ['bin/run', true]]);
+    assert.throws(() => readTarGz(makeTarGz([{ name: 'package/../../x', content: '' }]), budget(), 'x'), refusal('archive_invalid'));
+  });
+});
+
+describe('Python layers', () => {
+  test('a wheel is found by name and version and installed into site-packages', async () => {
+    const mirror = scratch();
+    const { sha256 } = addWheel(mirror, { name: 'tiny-helper', version: '1.0.0', module: 'tiny_helper', source: 'VALUE = 42\n' });
+    const service = layers(mirror);
+
+    const layer = await service.provide({
+      ecosystem: 'pypi',
+      files: [{ name: 'requirements.txt', content: `Tiny-Helper==1.0.0 --hash=sha256:${sha256}\n` }],
+    });
+
+    assert.equal(layer.reused, false);
+    assert.match(layer.path, /site-packages$/);
+    assert.equal(readFileSync(join(layer.path, 'tiny_helper', '__init__.py'), 'utf8'), 'VALUE = 42\n');
+    assert.ok(existsSync(join(layer.path, 'tiny_helper-1.0.0.dist-info', 'METADATA')));
+    assert.deepEqual(layer.packages.map(item => item.name), ['tiny-helper']);
+  });
+
+  test('purelib data goes to site-packages; scripts and headers do not', async () => {
+    const mirror = scratch();
+    const { sha256 } = addWheel(mirror, {
+      name: 'shaped', version: '2.0', source: '',
+      extra: [
+        { name: 'shaped-2.0.data/purelib/extra_mod.py', content: 'X = 1\n' },
+        { name: 'shaped-2.0.data/scripts/tool', content: '#!/bin/sh\n' },
+      ],
+    });
+    const layer = await layers(mirror).provide({
+      ecosystem: 'pypi',
+      files: [{ name: 'requirements.txt', content: `shaped==2.0 --hash=sha256:${sha256}` }],
+    });
+    assert.ok(existsSync(join(layer.path, 'extra_mod.py')));
+    assert.ok(!existsSync(join(layer.path, 'shaped-2.0.data')));
+  });
+
+  test('a wheel whose hash is not in the lock is refused, even with the right name', async () => {
+    const mirror = scratch();
+    addWheel(mirror, { name: 'tiny', version: '1.0.0', source: 'swapped = True\n' });
+    await assert.rejects(
+      layers(mirror).provide({ ecosystem: 'pypi', files: [{ name: 'requirements.txt', content: `tiny==1.0.0 --hash=sha256:${HASH}` }] }),
+      refusal('package_hash_mismatch'),
+    );
+  });
+
+  test('a package missing from the mirror, or only compiled, is refused by name', async () => {
+    const mirror = scratch();
+    addWheel(mirror, { name: 'present', version: '1.0', source: '' });
+    writeFileSync(join(mirror, 'pypi', 'native-1.0-cp312-cp312-manylinux_2_17_x86_64.whl'), 'x');
+    const service = layers(mirror);
+    await assert.rejects(
+      service.provide({ ecosystem: 'pypi', files: [{ name: 'requirements.txt', content: `absent==1.0 --hash=sha256:${HASH}` }] }),
+      error => error.code === 'package_not_in_mirror' && /absent==1\.0/.test(error.message),
+    );
+    await assert.rejects(
+      service.provide({ ecosystem: 'pypi', files: [{ name: 'requirements.txt', content: `native==1.0 --hash=sha256:${HASH}` }] }),
+      refusal('package_not_pure'),
+    );
+  });
+
+  test('the wheel filename is parsed the way the spec writes it', () => {
+    assert.deepEqual(parseWheelName('Tiny_Helper-1.0.0-1-py2.py3-none-any.whl'), {
+      name: 'tiny-helper', version: '1.0.0', python: 'py2.py3', abi: 'none', platform: 'any',
+    });
+    assert.equal(parseWheelName('tiny-1.0.tar.gz'), null);
+  });
+});
+
+describe('JavaScript layers', () => {
+  test('tarballs are installed at their lock paths, including nested ones', async () => {
+    const mirror = scratch();
+    const outer = addNpmPackage(mirror, { name: 'outer', version: '1.0.0', files: { 'index.js': 'module.exports = "outer";' } });
+    const inner = addNpmPackage(mirror, { name: '@scope/inner', version: '2.0.0', files: { 'index.js': 'module.exports = "inner";' } });
+
+    const layer = await layers(mirror).provide({
+      ecosystem: 'npm',
+      files: [{
+        name: 'package-lock.json',
+        content: packageLock({
+          'node_modules/outer': { version: '1.0.0', integrity: outer.integrity },
+          'node_modules/outer/node_modules/@scope/inner': { version: '2.0.0', integrity: inner.integrity },
+        }),
+      }],
+    });
+
+    assert.match(layer.path, /node_modules$/);
+    assert.ok(existsSync(join(layer.path, 'outer', 'index.js')));
+    assert.ok(existsSync(join(layer.path, 'outer', 'node_modules', '@scope', 'inner', 'index.js')));
+  });
+
+  test('a tarball that does not match its integrity is refused', async () => {
+    const mirror = scratch();
+    addNpmPackage(mirror, { name: 'swapped', version: '1.0.0' });
+    const other = addNpmPackage(scratch(), { name: 'swapped', version: '1.0.0', files: { 'x.js': '' } });
+    await assert.rejects(
+      layers(mirror).provide({
+        ecosystem: 'npm',
+        files: [{ name: 'package-lock.json', content: packageLock({ 'node_modules/swapped': { version: '1.0.0', integrity: other.integrity } }) }],
+      }),
+      refusal('package_hash_mismatch'),
+    );
+  });
+
+  test('an optional package absent from the mirror is skipped; a required one is refused', async () => {
+    const mirror = scratch();
+    const integrity = 'sha512-' + Buffer.alloc(64).toString('base64');
+    const service = layers(mirror);
+    const lockWith = optional => [{
+      name: 'package-lock.json',
+      content: packageLock({ 'node_modules/missing': { version: '1.0.0', integrity, optional } }),
+    }];
+    assert.ok(await service.provide({ ecosystem: 'npm', files: lockWith(true) }));
+    await assert.rejects(service.provide({ ecosystem: 'npm', files: lockWith(false) }), refusal('package_not_in_mirror'));
+  });
+
+  test('install scripts do not run by default, and run for a vetted package@version', async () => {
+    const mirror = scratch();
+    const manifest = { scripts: { postinstall: 'echo ran > ran.txt' } };
+    const pkg = addNpmPackage(mirror, { name: 'scripted', version: '1.0.0', manifest });
+    const files = [{
+      name: 'package-lock.json',
+      content: packageLock({ 'node_modules/scripted': { version: '1.0.0', integrity: pkg.integrity, hasInstallScript: true } }),
+    }];
+
+    const plain = await layers(mirror).provide({ ecosystem: 'npm', files });
+    assert.ok(!existsSync(join(plain.path, 'scripted', 'ran.txt')), 'a script ran without being vetted');
+    assert.equal(plain.packages[0].scripts, 'skipped');
+
+    // Vetting another version of the same package vets nothing.
+    const wrongVersion = await layers(mirror, { allowScripts: ['scripted@1.0.1'] }).provide({ ecosystem: 'npm', files });
+    assert.ok(!existsSync(join(wrongVersion.path, 'scripted', 'ran.txt')));
+
+    const vetted = await layers(mirror, { allowScripts: ['scripted@1.0.0'] }).provide({ ecosystem: 'npm', files });
+    assert.ok(existsSync(join(vetted.path, 'scripted', 'ran.txt')), 'the vetted script did not run');
+    assert.notEqual(vetted.key, plain.key, 'vetting a package must change the layer it belongs to');
+  });
+});
+
+describe('the layer cache', () => {
+  function pythonProject(mirror) {
+    const { sha256 } = addWheel(mirror, { name: 'cached', version: '1.0', source: '' });
+    return [{ name: 'requirements.txt', content: `cached==1.0 --hash=sha256:${sha256}` }];
+  }
+
+  test('the same lock is installed once and reused', async () => {
+    const mirror = scratch();
+    const files = pythonProject(mirror);
+    const service = layers(mirror);
+
+    const [first, concurrent] = await Promise.all([
+      service.provide({ ecosystem: 'pypi', files }),
+      service.provide({ ecosystem: 'pypi', files }),
+    ]);
+    assert.equal(first.path, concurrent.path, 'two concurrent runs built two layers');
+
+    const later = await service.provide({ ecosystem: 'pypi', files });
+    assert.equal(later.reused, true);
+    assert.equal(later.path, first.path);
+  });
+
+  test('the key follows the lock and the profile, not the order of its lines', () => {
+    const service = layers(scratch());
+    const a = parseRequirements(`x==1 --hash=sha256:${HASH}\ny==1 --hash=sha256:${HASH}`);
+    const b = parseRequirements(`y==1 --hash=sha256:${HASH}\nx==1 --hash=sha256:${HASH}`);
+    const profile = { languageId: 'python', versionId: '3.12' };
+    assert.equal(service.keyFor('pypi', a, profile), service.keyFor('pypi', b, profile));
+    assert.notEqual(service.keyFor('pypi', a, profile), service.keyFor('pypi', a.slice(1), profile));
+    assert.notEqual(service.keyFor('pypi', a, profile), service.keyFor('pypi', a, { ...profile, versionId: '3.11' }));
+  });
+
+  test('unconfigured, or with no lockfile, there is nothing to provide', async () => {
+    const off = new DependencyLayers({ mirrorDirectory: null, directory: scratch(), ttlMs: 1, sweepIntervalMs: 1000, limits: LIMITS });
+    off.start();
+    assert.equal(off.isReady, false);
+    assert.equal(await off.provide({ ecosystem: 'pypi', files: [{ name: 'requirements.txt', content: 'broken' }] }), null);
+
+    const on = layers(scratch());
+    assert.equal(await on.provide({ ecosystem: 'pypi', files: [{ name: 'main.py', content: '' }] }), null);
+    assert.equal(await on.provide({ ecosystem: 'pypi', files: [{ name: 'requirements.txt', content: '# nothing yet\n' }] }), null);
+  });
+
+  test('a mirror path that does not exist leaves the feature off', () => {
+    const service = layers(join(scratch(), 'not-there'));
+    assert.equal(service.isReady, false);
+  });
+
+  test('the package count is bounded before anything is read', async () => {
+    const service = layers(scratch(), { limits: { ...LIMITS, maxPackages: 1 } });
+    await assert.rejects(
+      service.provide({ ecosystem: 'pypi', files: [{ name: 'requirements.txt', content: `a==1 --hash=sha256:${HASH}\nb==1 --hash=sha256:${HASH}` }] }),
+      refusal('lock_too_many_packages'),
+    );
+  });
+
+  test('a failed build leaves nothing behind', async () => {
+    const mirror = scratch();
+    const service = layers(mirror);
+    await assert.rejects(service.provide({
+      ecosystem: 'pypi',
+      files: [{ name: 'requirements.txt', content: `gone==1 --hash=sha256:${HASH}` }],
+    }));
+    // Hidden entries included: an abandoned `.building-` directory is what this looks for.
+    assert.deepEqual(readdirSync(join(service.root, 'pypi')), []);
+  });
+
+  test('the sweep removes layers nobody has used within the TTL', async () => {
+    const mirror = scratch();
+    const files = pythonProject(mirror);
+    const service = layers(mirror);
+    const layer = await service.provide({ ecosystem: 'pypi', files });
+
+    assert.equal(service.sweep().removed, 0);
+
+    const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    utimesSync(join(layer.path, '..', '.layer.json'), old, old);
+    assert.equal(service.sweep().removed, 1);
+    assert.equal((await service.provide({ ecosystem: 'pypi', files })).reused, false);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Deterministic runs (blueprint section 69): what a request may ask for, the
+ * environment it becomes, and the statement the response makes about it.
+ *
+ * The statement is the part a teacher trusts, so what is checked there is that it
+ * never claims more than the language's shims did: a runtime without a clock shim
+ * says so, and is not `complete`.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  CLOCK_ENV,
+  DEFAULT_CLOCK_MS,
+  DETERMINISM_LIMITS,
+  SEED_ENV,
+  describeDeterminism,
+  determinismEnv,
+  determinismTimeoutMs,
+  parseDeterminism,
+} from '../../server/execution/determinism.mjs';
+import { buildSandboxEnv } from '../../server/execution/sandbox-env.mjs';
+import { getAdapter } from '../../server/languages/registry.mjs';
+
+const profileOf = raw => {
+  const parsed = parseDeterminism(raw);
+  assert.equal(parsed.ok, true, parsed.message);
+  return parsed.profile;
+};
+
+describe('parseDeterminism', () => {
+  test('absent or false is an ordinary run, and true is the defaults', () => {
+    for (const raw of [undefined, null, false]) assert.equal(profileOf(raw), null);
+    assert.deepEqual(profileOf(true), { seed: 0, clock: DEFAULT_CLOCK_MS, stdin: '', timeLimitMs: null });
+  });
+
+  test('a clock may be an ISO instant with its offset, or milliseconds', () => {
+    assert.equal(profileOf({ clock: '2024-03-01T09:30:00+02:00' }).clock, Date.UTC(2024, 2, 1, 7, 30));
+    assert.equal(profileOf({ clock: 86_400_000 }).clock, 86_400_000);
+    assert.deepEqual(profileOf({ seed: 42, stdin: '3\n4\n' }), {
+      seed: 42, clock: DEFAULT_CLOCK_MS, stdin: '3\n4\n', timeLimitMs: null,
+    });
+  });
+
+  for (const [label, raw, message] of [
+    ['a number', 7, /must be true or an object/],
+    ['an unknown option', { seed: 1, entropy: 0 }, /deterministic\.entropy is not an option/],
+    ['a negative seed', { seed: -1 }, /deterministic\.seed/],
+    ['a fractional seed', { seed: 1.5 }, /deterministic\.seed/],
+    ['a seed past 32 bits', { seed: 2 ** 32 }, /deterministic\.seed/],
+    ['a clock in the server\'s zone', { clock: '2024-03-01T09:30:00' }, /deterministic\.clock/],
+    ['a clock that is not a date', { clock: 'tomorrow' }, /deterministic\.clock/],
+    ['a clock before 1970', { clock: -1 }, /deterministic\.clock/],
+    ['input that is not text', { stdin: ['1', '2'] }, /deterministic\.stdin must be a string/],
+    ['too much input', { stdin: 'x'.repeat(DETERMINISM_LIMITS.maxStdinChars + 1) }, /too long/],
+    ['a time limit too short to start a runtime', { timeLimitMs: 10 }, /deterministic\.timeLimitMs/],
+    ['a time limit past a minute', { timeLimitMs: 120_000 }, /deterministic\.timeLimitMs/],
+    ['a time limit that is not whole', { timeLimitMs: 1500.5 }, /deterministic\.timeLimitMs/],
+  ]) {
+    test(`refuses ${label}`, () => {
+      const parsed = parseDeterminism(raw);
+      assert.equal(parsed.ok, false);
+      assert.equal(parsed.code, 'deterministic_invalid');
+      assert.match(parsed.message, message);
+    });
+  }
+});
+
+describe('the environment', () => {
+  const config = { isDev: false };
+
+  test('a deterministic run pins the timezone and carries the seed and clock', () => {
+    const env = buildSandboxEnv({ jobDir: '/job', config, determinism: profileOf({ seed: 9 }) });
+    assert.equal(env.TZ, 'UTC');
+    assert.equal(env[SEED_ENV], '9');
+    assert.equal(env[CLOCK_ENV], String(DEFAULT_CLOCK_MS));
+    assert.equal(env.PYTHONHASHSEED, '9');
+  });
+
+  test('an ordinary run has none of it', () => {
+    const env = buildSandboxEnv({ jobDir: '/job', config });
+    for (const name of Object.keys(determinismEnv(profileOf(true)))) assert.equal(env[name], undefined, name);
+  });
+});
+
+describe('the time limit', () => {
+  test('a scripted limit can shorten a run, never lengthen it', () => {
+    const profile = profileOf({ timeLimitMs: 2000 });
+    assert.equal(determinismTimeoutMs(profile, 10_000), 2000);
+    assert.equal(determinismTimeoutMs(profileOf({ timeLimitMs: 30_000 }), 10_000), 10_000);
+  });
+
+  test('it replaces the interactive route\'s "no run timer"', () => {
+    assert.equal(determinismTimeoutMs(profileOf({ timeLimitMs: 2000 }), 0), 2000);
+  });
+
+  test('without one, the run keeps the limit it had', () => {
+    assert.equal(determinismTimeoutMs(profileOf(true), 10_000), 10_000);
+    assert.equal(determinismTimeoutMs(null, 0), 0);
+  });
+});
+
+describe('describeDeterminism', () => {
+  const profile = { seed: 5, clock: DEFAULT_CLOCK_MS, stdin: 'ab\n', timeLimitMs: null };
+
+  test('a language with both shims is complete', () => {
+    assert.deepEqual(describeDeterminism(profile, ['seed', 'clock']), {
+      seed: 5,
+      clock: '2000-01-01T00:00:00.000Z',
+      timezone: 'UTC',
+      stdinChars: 3,
+      timeLimitMs: null,
+      fixed: ['timezone', 'stdin', 'seed', 'clock'],
+      notFixed: [],
+      complete: true,
+    });
+  });
+
+  test('a language without them says what was not fixed', () => {
+    const statement = describeDeterminism(profile, []);
+    assert.deepEqual(statement.fixed, ['timezone', 'stdin']);
+    assert.deepEqual(statement.notFixed, ['seed', 'clock']);
+    assert.equal(statement.complete, false);
+  });
+
+  test('the registry binds each language what its manifest declares', () => {
+    assert.deepEqual(getAdapter('python').deterministic, ['seed', 'clock']);
+    assert.deepEqual(getAdapter('java').deterministic, []);
+  });
+});
@@ -11,7 +11,7 @@
 import { test, describe } from 'node:test';
 import assert from 'node:assert/strict';
 
-import { DiagnosticsStore } from '../../src/diagnostics/store.ts';
+import { DiagnosticsStore, LINT_SOURCE } from '../../src/diagnostics/store.ts';
 import type { Diagnostic, DiagnosticSeverity } from '../../src/diagnostics/store.ts';
 
 function diagnostic(overrides: Partial<Diagnostic> = {}): Diagnostic {
@@ -156,6 +156,21 @@ describe('counts and the run gate', () => {
     assert.equal(store.hasErrors(), true);
   });
 
+  test("a linter's error is shown but never blocks a run", () => {
+    const store = new DiagnosticsStore();
+    store.set('doc-1', LINT_SOURCE, 1, [diagnostic({ severity: 'error', source: 'eslint', code: 'no-undef' })]);
+    assert.equal(store.counts().error, 1);
+    assert.equal(store.hasErrors(), false);
+  });
+
+  test('a lint finding does not hide the scanner on its line', () => {
+    const store = new DiagnosticsStore();
+    store.set('doc-1', 'syntax', 1, [diagnostic({ source: 'syntax', message: 'unclosed bracket' })]);
+    store.set('doc-1', LINT_SOURCE, 1, [diagnostic({ severity: 'warning', source: 'ruff', code: 'F841' })]);
+    assert.deepEqual(store.forDocument('doc-1').map(item => item.source).sort(), ['ruff', 'syntax']);
+    assert.equal(store.hasErrors(), true, 'the syntax error still blocks');
+  });
+
   test('an empty store reports zero rather than throwing', () => {
     const store = new DiagnosticsStore();
     assert.deepEqual(store.counts(), { error: 0, warning: 0, info: 0, total: 0 });
@@ -22,7 +22,7 @@ import { errorKeyCandidates, selectErrorKey } from '../../src/features/error-hel
 
 const LANGUAGES_ROOT = resolve(import.meta.dirname, '../../languages');
 
-const TAUGHT = ['python', 'javascript', 'typescript', 'java', 'php', 'csharp'] as const;
+const TAUGHT = ['python', 'javascript', 'typescript', 'java', 'php', 'csharp', 'go', 'ruby', 'c', 'cpp'] as const;
 
 interface Entry {
   explanation: string;
@@ -61,6 +61,101 @@ function plausibleMessage(language: string, key: string): string {
     if (key === 'variable might not have been initialized') return 'variable total might not have been initialized';
     return key;
   }
+  if (language === 'go') {
+    // Printed by go1.21.6; the compiler's `file:line:col:` prefix is already gone by
+    // the time a diagnostic's message reaches the resolver.
+    const go: Record<string, string> = {
+      'declared and not used': 'total declared and not used',
+      'imported and not used': '"os" imported and not used',
+      undefined: 'undefined: y',
+      'syntax error': 'syntax error: unexpected newline, expected {',
+      'cannot use': 'cannot use n (variable of type int) as float64 value in variable declaration',
+      'mismatched types': 'invalid operation: "age: " + age (mismatched types untyped string and int)',
+      'non-boolean condition': 'non-boolean condition in if statement',
+      'cannot find package': 'cannot find module providing package example.com/x: module lookup disabled by GOPROXY=off',
+      'not enough arguments': 'not enough arguments in call to add',
+      'too many arguments': 'too many arguments in call to greet',
+      'assignment mismatch': 'assignment mismatch: 1 variable but strconv.Atoi returns 2 values',
+      'index out of range': 'panic: runtime error: index out of range [5] with length 3',
+      'slice bounds out of range': 'panic: runtime error: slice bounds out of range [:5] with length 2',
+      'nil pointer': 'panic: runtime error: invalid memory address or nil pointer dereference',
+      'assignment to entry in nil map': 'panic: assignment to entry in nil map',
+      'integer divide by zero': 'panic: runtime error: integer divide by zero',
+      'all goroutines are asleep': 'fatal error: all goroutines are asleep - deadlock!',
+      'interface conversion': 'panic: interface conversion: interface {} is int, not string',
+      panic: 'panic: boom',
+    };
+    return go[key] ?? key;
+  }
+  if (language === 'ruby') {
+    // Printed by ruby 3.3.0, after the `file:line:in `method': ` location has been
+    // taken off by the parser.
+    const ruby: Record<string, string> = {
+      NameError: "undefined local variable or method `y' for main (NameError)",
+      'uninitialized constant': 'uninitialized constant Circle (NameError)',
+      NoMethodError: "undefined method `upcase' for an instance of Integer (NoMethodError)",
+      'undefined method for nil': "undefined method `upcase' for nil (NoMethodError)",
+      ArgumentError: 'invalid value for Integer(): "12a" (ArgumentError)',
+      'wrong number of arguments': 'wrong number of arguments (given 1, expected 2) (ArgumentError)',
+      TypeError: 'nil is not a symbol nor a string (TypeError)',
+      'no implicit conversion': 'no implicit conversion of Integer into String (TypeError)',
+      "can't be coerced": "String can't be coerced into Integer (TypeError)",
+      ZeroDivisionError: 'divided by 0 (ZeroDivisionError)',
+      SyntaxError: "syntax error, unexpected `end' (SyntaxError)",
+      'unexpected end-of-input': "syntax error, unexpected end-of-input, expecting `end' or dummy end (SyntaxError)",
+      IndexError: 'index 5 outside of array bounds: -2...2 (IndexError)',
+      KeyError: 'key not found: :dana (KeyError)',
+      FrozenError: 'can\'t modify frozen String: "ruby" (FrozenError)',
+      LocalJumpError: 'no block given (yield) (LocalJumpError)',
+      SystemStackError: 'stack level too deep (SystemStackError)',
+      FloatDomainError: 'Infinity (FloatDomainError)',
+      StopIteration: 'iteration reached an end (StopIteration)',
+      RuntimeError: 'not enough money (RuntimeError)',
+      LoadError: 'cannot load such file -- nothere (LoadError)',
+    };
+    return ruby[key] ?? key;
+  }
+  if (language === 'c' || language === 'cpp') {
+    // Printed by gcc/g++ 12 and their sanitizers, as the parser passes them on: the
+    // `file:line:col: error: ` prefix and any `[-Wflag]` suffix already taken off.
+    const gcc: Record<string, string> = {
+      expected: "expected ';' before 'return'",
+      undeclared: "'count' undeclared (first use in this function)",
+      'was not declared in this scope': "'count' was not declared in this scope",
+      'implicit declaration of function': "implicit declaration of function 'area'",
+      'conflicting types': "conflicting types for 'area'; have 'double(double)'",
+      'too few arguments to function': "too few arguments to function 'area'",
+      'too many arguments to function': "too many arguments to function 'area'",
+      'assignment to expression with array type': 'assignment to expression with array type',
+      'subscripted value is neither array nor pointer': 'subscripted value is neither array nor pointer nor vector',
+      'incompatible types': "incompatible types when assigning to type 'int' from type 'struct point'",
+      'invalid conversion': "invalid conversion from 'const char*' to 'int'",
+      'makes pointer from integer': "initialization of 'int *' from 'int' makes pointer from integer without a cast",
+      format: "format '%d' expects argument of type 'int', but argument 2 has type 'double'",
+      'unused variable': "unused variable 'total'",
+      'control reaches end of non-void function': 'control reaches end of non-void function',
+      'No such file or directory': 'stdlib: No such file or directory',
+      'is not a member of': "'vectr' is not a member of 'std'",
+      'has no member named': "'struct point' has no member named 'z'",
+      "no match for 'operator": "no match for 'operator<<' (operand types are 'std::ostream' and 'Point')",
+      'no matching function for call': "no matching function for call to 'area(int)'",
+      'heap-buffer-overflow': 'AddressSanitizer: heap-buffer-overflow (READ of size 4)',
+      'stack-buffer-overflow': 'AddressSanitizer: stack-buffer-overflow (WRITE of size 4)',
+      'global-buffer-overflow': 'AddressSanitizer: global-buffer-overflow (READ of size 4)',
+      'heap-use-after-free': 'AddressSanitizer: heap-use-after-free (READ of size 4)',
+      'double-free': 'AddressSanitizer: double-free',
+      SEGV: 'AddressSanitizer: SEGV',
+      'stack-overflow': 'AddressSanitizer: stack-overflow',
+      'signed integer overflow': "runtime error: signed integer overflow: 2147483647 + 1 cannot be represented in type 'int'",
+      'division by zero': 'runtime error: division by zero',
+      'index out of bounds': "runtime error: index 7 out of bounds for type 'int [3]'",
+      'null pointer': "runtime error: load of null pointer of type 'int'",
+      'Assertion failed': "Assertion `count > 0' failed.",
+      'index out of range': "Assertion '__n < this->size()' failed.",
+      'uncaught exception': "uncaught exception 'std::out_of_range': vector::_M_range_check: __n (which is 5) >= this->size() (which is 0)",
+    };
+    return gcc[key] ?? key;
+  }
   if (/^ERR_[A-Z_]+$/.test(key)) return `Error [${key}]: something is wrong`;
   if (/^E[A-Z]{3,}$/.test(key)) return `Error: ${key}: something is wrong`;
   // Exception classes, and the compound keys that are a message prefix.
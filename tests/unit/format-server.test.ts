@@ -0,0 +1,99 @@
+/**
+ * Asking the server's formatter, and falling back.
+ *
+ * Every non-answer must end in the local formatter with a reason, and only "not
+ * installed" may stop the client asking - a busy server today is a working one after.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createServerFormatter } from '../../src/features/format-server.ts';
+
+const OPTIONS = { indentSize: 4, useTabs: false };
+
+function respond(status: number, body: unknown) {
+  const calls: unknown[] = [];
+  const fetch = (async (_url: unknown, init: { body: string }) => {
+    calls.push(JSON.parse(init.body));
+    return new Response(JSON.stringify(body), { status });
+  }) as unknown as typeof globalThis.fetch;
+  return { fetch, calls };
+}
+
+describe('an answer', () => {
+  test('a formatted file comes back as its edit', async () => {
+    const edit = { start: 1, end: 2, text: ' = ' };
+    const { fetch, calls } = respond(200, { ok: true, formatter: 'ruff', edit });
+    const outcome = await createServerFormatter({ fetch }).format('python', 'x=1\n', OPTIONS);
+    assert.deepEqual(outcome, { kind: 'formatted', formatter: 'ruff', edit });
+    assert.deepEqual(calls, [{ language: 'python', code: 'x=1\n', options: OPTIONS }]);
+  });
+
+  test('a refusal carries what the formatter said', async () => {
+    const { fetch } = respond(200, { ok: false, formatter: 'ruff', output: 'error: Expected a parameter' });
+    const outcome = await createServerFormatter({ fetch }).format('python', 'def f(:\n', OPTIONS);
+    assert.deepEqual(outcome, { kind: 'rejected', formatter: 'ruff', output: 'error: Expected a parameter' });
+  });
+});
+
+describe('falling back', () => {
+  test('a language without a server formatter is never sent', async () => {
+    const { fetch, calls } = respond(200, {});
+    const formatter = createServerFormatter({ fetch });
+    assert.equal((await formatter.format('markdown', '# x', OPTIONS)).kind, 'fallback');
+    assert.equal(formatter.available('markdown'), false);
+    assert.equal(calls.length, 0);
+  });
+
+  test('a missing tool is remembered, and not asked about again', async () => {
+    const { fetch, calls } = respond(503, { code: 'formatter_unavailable' });
+    const formatter = createServerFormatter({ fetch });
+    assert.equal((await formatter.format('java', 'class A {}', OPTIONS)).kind, 'fallback');
+    assert.equal(formatter.available('java'), false);
+    await formatter.format('java', 'class A {}', OPTIONS);
+    assert.equal(calls.length, 1);
+    assert.equal(formatter.available('python'), true, 'only for that language');
+  });
+
+  test('busy and slow are asked again next time', async () => {
+    for (const [status, code, reason] of [
+      [429, 'format_busy', 'the server is busy'],
+      [504, 'format_timeout', 'the formatter took too long'],
+    ] as const) {
+      const { fetch, calls } = respond(status, { code });
+      const formatter = createServerFormatter({ fetch });
+      assert.deepEqual(await formatter.format('php', '<?php', OPTIONS), { kind: 'fallback', reason });
+      await formatter.format('php', '<?php', OPTIONS);
+      assert.equal(calls.length, 2, code);
+    }
+  });
+
+  test('no network is a fallback, not an error', async () => {
+    const fetch = (async () => {
+      throw new TypeError('Failed to fetch');
+    }) as unknown as typeof globalThis.fetch;
+    const outcome = await createServerFormatter({ fetch }).format('csharp', 'class A {}', OPTIONS);
+    assert.deepEqual(outcome, { kind: 'fallback', reason: 'the server could not be reached' });
+  });
+
+  test('a server that never answers is given up on', async () => {
+    const fetch = ((_url: unknown, init: { signal: AbortSignal }) =>
+      new Promise((_resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+      })) as unknown as typeof globalThis.fetch;
+    const outcome = await createServerFormatter({ fetch, timeoutMs: 10 }).format('python', 'x', OPTIONS);
+    assert.deepEqual(outcome, { kind: 'fallback', reason: 'the server took too long' });
+  });
+});
+
+test('cancelling is neither an answer nor a fallback', async () => {
+  const controller = new AbortController();
+  const fetch = ((_url: unknown, init: { signal: AbortSignal }) =>
+    new Promise((_resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+      controller.abort();
+    })) as unknown as typeof globalThis.fetch;
+  const outcome = await createServerFormatter({ fetch }).format('python', 'x', OPTIONS, controller.signal);
+  assert.deepEqual(outcome, { kind: 'cancelled' });
+});
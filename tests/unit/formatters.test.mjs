@@ -0,0 +1,105 @@
+/**
+ * The server formatters' decisions that do not need the tools.
+ *
+ * What ruff, google-java-format, php-cs-fixer and dotnet format do to a file is in
+ * tests/contract/format.test.mjs, gated on each being installed. These hold
+ * everywhere: the edit the editor applies, the options every tool is allowed to see,
+ * and the command lines - which is where config isolation lives.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  formattedLanguages,
+  formatterFor,
+  minimalEdit,
+  normalizeFormatOptions,
+} from '../../server/formatting/formatters.mjs';
+
+function apply(before, edit) {
+  return edit ? before.slice(0, edit.start) + edit.text + before.slice(edit.end) : before;
+}
+
+describe('the edit', () => {
+  test('nothing changed is no edit at all', () => {
+    assert.equal(minimalEdit('x = 1\n', 'x = 1\n'), null);
+  });
+
+  test('only the changed middle is replaced', () => {
+    const before = 'a\nx=1\nb\n';
+    const after = 'a\nx = 1\nb\n';
+    const edit = minimalEdit(before, after);
+    assert.deepEqual(edit, { start: 3, end: 4, text: ' = ' });
+    assert.equal(apply(before, edit), after);
+  });
+
+  test('insertions, deletions and whole rewrites all round-trip', () => {
+    const pairs = [
+      ['', 'x\n'],
+      ['x\n', ''],
+      ['abc', 'abcabc'],
+      ['aaaa', 'aa'],
+      ['if(x){y();}', 'if (x) {\n    y();\n}\n'],
+    ];
+    for (const [before, after] of pairs) {
+      assert.equal(apply(before, minimalEdit(before, after)), after, JSON.stringify(before));
+    }
+  });
+
+  test('a boundary never falls inside a surrogate pair', () => {
+    // U+1F600 and U+1F601 share their high surrogate; a naive prefix would stop
+    // between the two halves.
+    const before = 's = "\u{1F600}"\n';
+    const after = 's = "\u{1F601}"\n';
+    const edit = minimalEdit(before, after);
+    assert.equal(edit.text, '\u{1F601}');
+    assert.equal(apply(before, edit), after);
+  });
+});
+
+describe('the options a tool sees', () => {
+  test('defaults to four spaces', () => {
+    assert.deepEqual(normalizeFormatOptions(undefined), { indentSize: 4, useTabs: false });
+  });
+
+  test('an indent size is clamped, and only a real true means tabs', () => {
+    assert.deepEqual(normalizeFormatOptions({ indentSize: 40, useTabs: 'yes' }), { indentSize: 8, useTabs: false });
+    assert.deepEqual(normalizeFormatOptions({ indentSize: 0, useTabs: true }), { indentSize: 1, useTabs: true });
+    assert.equal(normalizeFormatOptions({ indentSize: '2' }).indentSize, 2);
+  });
+});
+
+describe('the formatters', () => {
+  test('exist for exactly the four languages Monaco cannot format itself', () => {
+    assert.deepEqual(formattedLanguages().sort(), ['csharp', 'java', 'php', 'python']);
+    assert.equal(formatterFor('ruby'), null);
+    assert.equal(formatterFor('toString'), null, 'not a prototype key');
+  });
+
+  test('ruff is isolated from any configuration it could find', () => {
+    const args = formatterFor('python').args('main.py', { indentSize: 2, useTabs: true });
+    assert.ok(args.includes('--isolated'));
+    assert.ok(args.includes('indent-width = 2'));
+    assert.ok(args.includes('format.indent-style = "tab"'));
+    assert.equal(args.at(-1), 'main.py');
+  });
+
+  test('php-cs-fixer takes its rules from the command line, never a config file', () => {
+    const args = formatterFor('php').args('main.php', { indentSize: 4, useTabs: false });
+    assert.ok(args.includes('--rules=@PSR12'));
+    assert.ok(!args.some(arg => arg.startsWith('--config')));
+  });
+
+  test('google-java-format uses AOSP style at four spaces and Google style below', () => {
+    assert.equal(formatterFor('java').args('Main.java', { indentSize: 4 })[0], '--aosp');
+    assert.ok(!formatterFor('java').args('Main.java', { indentSize: 2 }).includes('--aosp'));
+  });
+
+  test("dotnet format's indentation comes from a root .editorconfig", () => {
+    const config = formatterFor('csharp').editorConfig({ indentSize: 2, useTabs: false });
+    assert.match(config, /^root = true$/m);
+    assert.match(config, /^indent_style = space$/m);
+    assert.match(config, /^indent_size = 2$/m);
+  });
+});
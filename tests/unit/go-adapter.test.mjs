@@ -0,0 +1,95 @@
+/**
+ * The Go adapter's decisions that do not need a toolchain.
+ *
+ * What `go build` does with them is in tests/contract/go.test.mjs, which skips where
+ * Go is absent. These are the parts that must hold everywhere: the go.mod the student
+ * cannot influence beyond its module path, the files that never reach the compiler,
+ * and the policy agreeing with the Go attack corpus - which otherwise only runs
+ * against a live server.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { Job } from '../../server/execution/job.mjs';
+import {
+  DEFAULT_MODULE_PATH,
+  declaredModulePath,
+  goAdapter,
+  packageFor,
+  pinGoModule,
+} from '../../server/languages/adapters/go.mjs';
+import { validateCodeSecurity } from '../../server/security/validate.mjs';
+import { goTests } from '../security/attacks/go.mjs';
+
+describe('the pinned go.mod', () => {
+  test("a project's own module path is kept, so its package imports still resolve", () => {
+    const files = [{ name: 'go.mod', content: 'module shapes // the course project\n\ngo 1.22\n' }];
+    assert.equal(declaredModulePath(files), 'shapes');
+  });
+
+  test('anything that is not a plain module path is dropped, not interpolated', () => {
+    const files = [{ name: 'go.mod', content: 'module x\nrequire evil.example/y v1.0.0 ; echo\n' }];
+    assert.equal(declaredModulePath(files), 'x');
+    assert.equal(declaredModulePath([{ name: 'go.mod', content: 'module $(id)\n' }]), null);
+    assert.equal(declaredModulePath([{ name: 'main.go', content: 'package main\n' }]), null);
+  });
+
+  test("the student's go.mod is replaced: no require lines, and the profile's go version", () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'bc-go-mod-'));
+    try {
+      const job = new Job(root);
+      job.writeFiles([{
+        name: 'go.mod',
+        content: 'module shapes\n\ngo 1.99\n\ntoolchain go1.99.0\n\nrequire example.com/x v1.0.0\n',
+      }]);
+      pinGoModule(job, { modulePath: 'shapes', languageVersion: '1.21' });
+      assert.equal(fs.readFileSync(job.absolute('go.mod'), 'utf8'), 'module shapes\n\ngo 1.21\n');
+
+      pinGoModule(job, { modulePath: null, languageVersion: '1.21' });
+      assert.match(fs.readFileSync(job.absolute('go.mod'), 'utf8'), new RegExp(`^module ${DEFAULT_MODULE_PATH}\n`));
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('what gets built', () => {
+  test("the package is the entry point's directory", () => {
+    assert.equal(packageFor('main.go'), '.');
+    assert.equal(packageFor('cmd/app/main.go'), './cmd/app');
+    assert.equal(packageFor('cmd\\app\\main.go'), './cmd/app');
+  });
+
+  test('assembly and prebuilt objects never reach go build', () => {
+    for (const name of ['main.s', 'asm/add_amd64.S', 'rsrc.syso', 'helper.c']) {
+      const verdict = goAdapter.validateFiles([{ name: 'main.go', content: '' }, { name, content: '' }]);
+      assert.equal(verdict.ok, false, name);
+      assert.equal(verdict.code, 'go_build_file_not_allowed');
+    }
+  });
+
+  test('Go sources, go.mod and data files are accepted', () => {
+    const files = ['main.go', 'go.mod', 'shapes/shapes.go', 'input.txt'].map(name => ({ name, content: '' }));
+    assert.deepEqual(goAdapter.validateFiles(files), { ok: true });
+  });
+});
+
+describe('the policy and the Go attack corpus agree', () => {
+  // The corpus is asserted end to end by tests/security/security-tests.mjs, which needs
+  // a running server. Checking the patterns directly catches a regex that stops
+  // matching the moment it is edited rather than at the next security run.
+  for (const attack of goTests) {
+    test(attack.name, () => {
+      const verdict = validateCodeSecurity('go', attack.code);
+      assert.equal(
+        !verdict.safe,
+        attack.expectBlocked,
+        attack.expectBlocked ? 'not blocked' : `blocked by ${verdict.matched}`,
+      );
+    });
+  }
+});
@@ -21,7 +21,7 @@ import { escapeMarkdown, renderHover, typeLabel } from '../../src/features/hover
 
 const LANGUAGES_ROOT = resolve(import.meta.dirname, '../../languages');
 
-const TAUGHT = ['python', 'javascript', 'typescript', 'java', 'php', 'csharp'] as const;
+const TAUGHT = ['python', 'javascript', 'typescript', 'java', 'php', 'csharp', 'go', 'ruby'] as const;
 
 interface Entry {
   explanation: string;
@@ -49,12 +49,12 @@ after(() => {
  * Returns `{ok, value}` for a success and `{ok: false, code, name}` for a refusal, so a
  * test asserts on the outcome rather than on a stack trace.
  */
-function underGuard(expression) {
+function underGuard(expression, options = {}) {
   const script = `
     import { installFsGuard } from ${JSON.stringify(pathToFileURL(GUARD).href)};
     import { createRequire } from 'node:module';
     const require = createRequire(${JSON.stringify(pathToFileURL(GUARD).href)});
-    installFsGuard(${JSON.stringify(workspace)});
+    installFsGuard(${JSON.stringify(workspace)}, ${JSON.stringify(options)});
     const fs = require('node:fs');
     try {
       const value = (${expression});
@@ -188,3 +188,32 @@ describe('the boundary itself', () => {
     assert.equal(result.ok, true, JSON.stringify(result));
   });
 });
+
+describe("a project's installed packages", () => {
+  // server/dependencies/layers.mjs: shared by every run of the same lock, so readable
+  // by all of them and writable by none.
+  test('can be read and required, as CommonJS loading needs', () => {
+    const read = underGuard(
+      `fs.readFileSync(${JSON.stringify(join(outside, 'secret.txt'))}, 'utf8')`,
+      { readOnly: [outside] },
+    );
+    assert.equal(read.ok, true, JSON.stringify(read));
+
+    const opened = underGuard(
+      `(fs.closeSync(fs.openSync(${JSON.stringify(join(outside, 'secret.txt'))}, 'r')), 'opened')`,
+      { readOnly: [outside] },
+    );
+    assert.equal(opened.ok, true, JSON.stringify(opened));
+  });
+
+  test('cannot be written, by any route', () => {
+    for (const expression of [
+      `fs.writeFileSync(${JSON.stringify(join(outside, 'planted.txt'))}, 'x')`,
+      `fs.openSync(${JSON.stringify(join(outside, 'secret.txt'))}, 'a')`,
+      `fs.unlinkSync(${JSON.stringify(join(outside, 'secret.txt'))})`,
+    ]) {
+      const result = underGuard(expression, { readOnly: [outside] });
+      assert.equal(result.ok, false, `${expression}: ${JSON.stringify(result)}`);
+    }
+  });
+});
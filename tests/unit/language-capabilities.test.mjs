@@ -13,14 +13,11 @@
  *
  * `capabilities.debug` decides whether the client offers a Debug button.
  * `supportsDebug` on the server adapter decides whether a debug run actually attaches.
- * Those are two answers to one question, held in two repositories of truth, and the
- * old comment in editor-commands admitted it: "Duplicated rather than fetched...
- * the server still refuses honestly if this list is ever wrong".
- *
- * Honest refusal is not good enough. A student clicking a Debug button that the IDE
- * offered and then watching the run report `debug:unsupported` has been lied to by the
- * button. This test reads BOTH sides and fails if they disagree, which is what makes
- * the single source of truth actually single.
+ * Those used to be two answers to one question, held in two repositories of truth,
+ * and a student clicking a Debug button that then reported `debug:unsupported` had
+ * been lied to by the button. The registry now binds `supportsDebug` from the same
+ * manifest the client reads; the test below imports the real registry to prove it
+ * still does, rather than trusting the comment that says so.
  *
  * These read the real files rather than a copy of what they should contain - a test
  * that restates the data cannot catch the data being wrong.
@@ -33,24 +30,24 @@ import { join, resolve } from 'node:path';
 
 const LANGUAGES_DIR = resolve(import.meta.dirname, '../../languages');
 
-/** Every language that ships a config.json, which is what makes it executable. */
+/** Every language that ships a manifest.json, which is what makes it executable. */
 function executableLanguages() {
   return readdirSync(LANGUAGES_DIR, { withFileTypes: true })
     .filter(entry => entry.isDirectory())
     .map(entry => entry.name)
-    .filter(name => existsSync(join(LANGUAGES_DIR, name, 'config.json')))
+    .filter(name => existsSync(join(LANGUAGES_DIR, name, 'manifest.json')))
     .sort();
 }
 
 function configFor(id) {
-  return JSON.parse(readFileSync(join(LANGUAGES_DIR, id, 'config.json'), 'utf8'));
+  return JSON.parse(readFileSync(join(LANGUAGES_DIR, id, 'manifest.json'), 'utf8'));
 }
 
 const IDS = executableLanguages();
 
 describe('every executable language declares itself', () => {
-  test('the set is the six this IDE runs', () => {
-    assert.deepEqual(IDS, ['csharp', 'java', 'javascript', 'php', 'python', 'typescript']);
+  test('the set is the ten this IDE runs', () => {
+    assert.deepEqual(IDS, ['c', 'cpp', 'csharp', 'go', 'java', 'javascript', 'php', 'python', 'ruby', 'typescript']);
   });
 
   for (const id of IDS) {
@@ -74,14 +71,15 @@ describe('every executable language declares itself', () => {
 });
 
 describe('capabilities', () => {
-  const KNOWN = new Set(['debug', 'taughtKeywords', 'runSelection']);
+  const GATES = new Set(['debug', 'debugRecording', 'taughtKeywords', 'runSelection', 'check', 'lint']);
+  const KNOWN = new Set([...GATES, 'graphics', 'dependencies', 'deterministic']);
 
   for (const id of IDS) {
     test(`${id} declares only capabilities that exist`, () => {
       const capabilities = configFor(id).capabilities ?? {};
       for (const [name, value] of Object.entries(capabilities)) {
         assert.ok(KNOWN.has(name), `unknown capability "${name}" - a typo here silently disables a feature`);
-        assert.equal(typeof value, 'boolean', `${name} must be a boolean`);
+        if (GATES.has(name)) assert.equal(typeof value, 'boolean', `${name} must be a boolean`);
       }
     });
   }
@@ -98,13 +96,16 @@ describe('capabilities', () => {
     }
   });
 
-  test('Java is the one language that cannot run a selection', () => {
-    // Recorded as a test rather than only as a comment: its adapter needs a file
+  test('Java, Go and the C family are the languages that cannot run a selection', () => {
+    // Recorded as a test rather than only as a comment: the Java adapter needs a file
     // declaring a class with `main`, so a selection of statements can never compile,
     // and someone "fixing the inconsistency" would produce "class, interface, or enum
-    // expected" for a gesture that looks perfectly reasonable.
-    assert.equal(configFor('java').capabilities?.runSelection, false);
-    for (const id of IDS.filter(other => other !== 'java')) {
+    // expected" for a gesture that looks perfectly reasonable. Go is the same shape of
+    // problem - no `package main`, no `func main` - and fails with "expected 'package'".
+    // C and C++ need a `main` too, and statements outside a function do not compile.
+    const whole = ['java', 'go', 'c', 'cpp'];
+    for (const id of whole) assert.equal(configFor(id).capabilities?.runSelection, false, id);
+    for (const id of IDS.filter(other => !whole.includes(other))) {
       assert.equal(configFor(id).capabilities?.runSelection, true, id);
     }
   });
@@ -119,42 +120,59 @@ describe('capabilities', () => {
 });
 
 describe('the client and the server agree about debugging', () => {
-  /**
-   * `supportsDebug` as the server actually declares it.
-   *
-   * Read from the adapter source rather than by importing it: the adapters pull in the
-   * config, the process runner and the logger, and a unit test that has to boot half
-   * the server to ask one question is a test people stop running.
-   */
-  function serverSupportsDebug(id) {
-    const source = readFileSync(
-      resolve(import.meta.dirname, `../../server/languages/adapters/${id}.mjs`),
-      'utf8',
-    );
-    return /^\s*supportsDebug:\s*true\s*,/m.test(source);
-  }
-
   for (const id of IDS) {
-    test(`${id}: capabilities.debug matches the adapter's supportsDebug`, () => {
+    test(`${id}: capabilities.debug is what the registry binds as supportsDebug`, async () => {
+      const { getAdapter } = await import('../../server/languages/registry.mjs');
       const declared = configFor(id).capabilities?.debug === true;
-      const actual = serverSupportsDebug(id);
+      const adapter = getAdapter(id);
 
+      assert.ok(adapter, `${id} has a manifest but no adapter was bound for it`);
       assert.equal(
+        adapter.supportsDebug,
         declared,
-        actual,
         declared
-          ? `${id} offers a Debug button but its server adapter has no supportsDebug - `
-            + 'the run will report debug:unsupported after the student clicks it'
-          : `${id} can be debugged but its config.json does not say so - the button is hidden`,
+          ? `${id} offers a Debug button but the server would report debug:unsupported`
+          : `${id} can be debugged on the server but its manifest hides the button`,
       );
     });
   }
 
-  test('every one of the six is debuggable, which is the current state of the world', () => {
-    // If this ever fails because a language was ADDED, the right fix is to give it a
-    // debugger or to say plainly in its config that it has none - not to loosen this.
+  test('every language says whether it is debuggable, and only Go, Ruby and the C family say no', () => {
+    // This used to assert that all six were debuggable, with a note that a language
+    // ADDED without a debugger should say so plainly rather than loosen the test. Go was
+    // the first such language, then Ruby, C and C++: `debug: false` is written out in
+    // each manifest, not left to default.
+    const undebuggable = ['go', 'ruby', 'c', 'cpp'];
+    for (const id of IDS) {
+      assert.equal(typeof configFor(id).capabilities?.debug, 'boolean', `${id} leaves debug unsaid`);
+      assert.equal(configFor(id).capabilities.debug, !undebuggable.includes(id), id);
+    }
+  });
+
+  test('recording is bound the same way, and only Python records', async () => {
+    // Recording lives in the Python adapter alone (blueprint section 73). Another
+    // language claiming it would offer "Debug with recording" and then a session with
+    // no way back, which is the lie the Debug button used to tell.
+    const { getAdapter } = await import('../../server/languages/registry.mjs');
     for (const id of IDS) {
-      assert.equal(configFor(id).capabilities?.debug, true, id);
+      const declared = configFor(id).capabilities?.debugRecording === true;
+      assert.equal(getAdapter(id).supportsDebugRecording, declared, id);
+      assert.equal(declared, id === 'python', id);
     }
   });
 });
+
+describe('the client and the server agree about linting', () => {
+  test('a language asks /api/lint exactly when its bound adapter can answer', async () => {
+    const { getAdapter } = await import('../../server/languages/registry.mjs');
+    for (const id of IDS) {
+      const declared = configFor(id).capabilities?.lint === true;
+      assert.equal(typeof getAdapter(id).lint === 'function', declared, id);
+    }
+  });
+
+  test('the six languages with a linter in the image are the ones that lint', () => {
+    const linted = ['csharp', 'java', 'javascript', 'php', 'python', 'typescript'];
+    assert.deepEqual(IDS.filter(id => configFor(id).capabilities?.lint === true), linted);
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * Language manifests (blueprint 12.1): the schema, and the adapter a phase list becomes.
+ *
+ * The schema is the only thing between a JSON file and a language the service will run,
+ * so what it refuses matters as much as what it accepts. Each refusal here is a mistake
+ * that would otherwise have shipped quietly: an alias that names two versions resolves
+ * to whichever one a lookup reaches first, a misspelt capability reads as false, a
+ * phase that names a path rather than a tool runs whatever is at that path.
+ *
+ * The command adapter is exercised for real, with `node` standing in for a compiler:
+ * it is the one toolchain every test host has.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { CONFIG } from '../../server/config.mjs';
+import { Job } from '../../server/execution/job.mjs';
+import { runToCompletion } from '../../server/execution/process-runner.mjs';
+import { createCommandAdapter } from '../../server/languages/command-adapter.mjs';
+import { publicLanguage, validateManifest } from '../../server/languages/manifest.mjs';
+import { publicCatalog, resolveVersion } from '../../server/languages/catalog.mjs';
+
+const LANGUAGES_DIR = path.resolve(import.meta.dirname, '../../languages');
+
+/** A minimal valid phase-driven manifest, for each test to break one way. */
+function phased(overrides = {}) {
+  return {
+    schemaVersion: 1,
+    id: 'toy',
+    name: 'Toy',
+    icon: '🧸',
+    extension: 'js',
+    monacoLanguage: 'javascript',
+    versions: [{ id: 'toy1', name: 'Toy 1', default: true, aliases: ['1'] }],
+    capabilities: { runSelection: true },
+    resources: { run: 'interpreted' },
+    tools: { node: { env: 'NODE_BIN', default: 'node' } },
+    phases: {
+      compile: { command: 'node', args: ['--check', '{entry}'] },
+      run: { command: 'node', args: ['{entry}', '{sources}'], env: { TOY_HOME: '{build}' } },
+    },
+    ...overrides,
+  };
+}
+
+const errorsOf = manifest => {
+  const verdict = validateManifest(manifest);
+  assert.equal(verdict.ok, false, 'expected the manifest to be refused');
+  return verdict.errors.join('\n');
+};
+
+describe('the shipped manifests', () => {
+  const ids = fs.readdirSync(LANGUAGES_DIR)
+    .filter(name => fs.existsSync(path.join(LANGUAGES_DIR, name, 'manifest.json')));
+
+  for (const id of ids) {
+    test(`${id} passes the schema`, () => {
+      const raw = JSON.parse(fs.readFileSync(path.join(LANGUAGES_DIR, id, 'manifest.json'), 'utf8'));
+      const verdict = validateManifest(raw, { directory: id });
+      assert.ok(verdict.ok, verdict.ok ? '' : verdict.errors.join('\n'));
+    });
+  }
+
+  test('/api/languages carries what the IDE reads and nothing about how a language runs', () => {
+    const python = publicCatalog().python;
+    assert.equal(python.extension, 'py');
+    assert.equal(python.capabilities.debug, true);
+    assert.deepEqual(python.versions.map(version => version.id), ['python3']);
+    for (const field of ['adapter', 'phases', 'tools', 'resources', 'knownUnavailable', 'runtimeNote']) {
+      assert.equal(python[field], undefined, field);
+    }
+    assert.equal(python.versions[0].aliases, undefined);
+  });
+
+  test('runtime notes are rendered from the version they describe', () => {
+    assert.equal(
+      resolveVersion('java', 'java11').profile.runtimeNote,
+      'Compiled with --release 11 against the installed JDK.',
+    );
+    assert.equal(
+      resolveVersion('typescript', 'ts5').profile.runtimeNote,
+      "Compiled with target ES2022 and strict=false; executed on the service's Node runtime.",
+    );
+  });
+});
+
+describe('what the schema refuses', () => {
+  test('a valid phase manifest is accepted, and frozen', () => {
+    const verdict = validateManifest(phased(), { directory: 'toy' });
+    assert.ok(verdict.ok, verdict.ok ? '' : verdict.errors.join('\n'));
+    assert.ok(Object.isFrozen(verdict.manifest.phases.run.args));
+  });
+
+  test('another schema version is refused without second-guessing its fields', () => {
+    const verdict = validateManifest(phased({ schemaVersion: 2, bogus: true }));
+    assert.equal(verdict.ok, false);
+    assert.deepEqual(verdict.errors, ['schemaVersion: expected 1, got 2']);
+  });
+
+  test('an unknown field is an error, not a feature that silently reads as false', () => {
+    assert.match(errorsOf(phased({ capabilities: { runSelecton: true } })), /unknown field "runSelecton"/);
+    assert.match(errorsOf(phased({ color: 'red' })), /unknown field "color"/);
+  });
+
+  test('the id must be the directory it was found in', () => {
+    const verdict = validateManifest(phased(), { directory: 'other' });
+    assert.equal(verdict.ok, false);
+    assert.match(verdict.errors.join('\n'), /must equal its directory/);
+  });
+
+  test('exactly one default version', () => {
+    const versions = [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }];
+    assert.match(errorsOf(phased({ versions })), /exactly one version must be the default/);
+  });
+
+  test('a display value may name one version only', () => {
+    const versions = [
+      { id: 'a', name: 'A', default: true, aliases: ['Latest'] },
+      { id: 'b', name: 'B', aliases: ['  latest '] },
+    ];
+    assert.match(errorsOf(phased({ versions })), /"  latest " already names a/);
+  });
+
+  test('a known-unavailable value may not be one a profile answers', () => {
+    assert.match(errorsOf(phased({ knownUnavailable: ['1'] })), /knownUnavailable: "1" names toy1/);
+  });
+
+  test('a runtime note may only use fields its version has', () => {
+    assert.match(
+      errorsOf(phased({ runtimeNote: 'Compiled with --release {sourceLevel}.' })),
+      /uses \{sourceLevel\} but the version has no sourceLevel/,
+    );
+  });
+
+  test('an undeclared resource profile is refused', () => {
+    assert.match(errorsOf(phased({ resources: { run: 'generous' } })), /resources\.run: must be one of/);
+  });
+
+  test('debugging, dependencies and linting need a code adapter', () => {
+    const errors = errorsOf(phased({ capabilities: { debug: true, dependencies: 'npm', lint: true } }));
+    assert.match(errors, /capabilities\.debug: requires a code adapter/);
+    assert.match(errors, /capabilities\.dependencies: requires a code adapter/);
+    assert.match(errors, /capabilities\.lint: requires a code adapter/);
+  });
+
+  test('recording is a mode of the debugger, not a capability of its own', () => {
+    assert.match(
+      errorsOf(phased({ adapter: 'python', phases: undefined, capabilities: { debugRecording: true } })),
+      /capabilities\.debugRecording: requires capabilities\.debug/,
+    );
+  });
+
+  test('a deterministic run can only freeze what a shim exists for, and a shim needs an adapter', () => {
+    assert.match(
+      errorsOf(phased({ adapter: 'python', phases: undefined, capabilities: { deterministic: ['seed', 'entropy'] } })),
+      /capabilities\.deterministic: must list controls from seed, clock/,
+    );
+    assert.match(
+      errorsOf(phased({ capabilities: { deterministic: ['seed'] } })),
+      /capabilities\.deterministic: requires a code adapter/,
+    );
+  });
+
+  test('an adapter and a phase list are mutually exclusive, and one is required', () => {
+    assert.match(errorsOf(phased({ adapter: 'python' })), /exactly one of "adapter" or "phases"/);
+    assert.match(errorsOf(phased({ phases: undefined, tools: undefined })), /exactly one of/);
+  });
+
+  test('a named adapter must exist', () => {
+    const manifest = phased({ adapter: 'cobol', phases: undefined, tools: undefined });
+    assert.match(errorsOf(manifest), /adapters\/cobol\.mjs does not exist/);
+  });
+
+  test('a phase runs a declared tool or a built file - never a path', () => {
+    const run = { command: '/bin/sh', args: ['-c', 'id'] };
+    assert.match(errorsOf(phased({ phases: { run } })), /must be a declared tool or \{build\}\/<file>/);
+
+    const built = { run: { command: '{build}/program', args: [] } };
+    assert.match(errorsOf(phased({ phases: built })), /only produced by a compile phase/);
+  });
+
+  test('placeholders are the four the service fills in, and {sources} stands alone', () => {
+    const args = ['{entry}', '--out={home}', '--files={sources}'];
+    const errors = errorsOf(phased({ phases: { run: { command: 'node', args } } }));
+    assert.match(errors, /unknown placeholder \{home\}/);
+    assert.match(errors, /\{sources\} must be an argument on its own/);
+  });
+
+  test("a phase may not set the loader's or the service's own variables", () => {
+    for (const key of ['LD_PRELOAD', 'BROWSER_CODER_GRAPHICS_OUT']) {
+      const run = { command: 'node', args: ['{entry}'], env: { [key]: 'x' } };
+      assert.match(errorsOf(phased({ phases: { run } })), new RegExp(`"${key}" may not be set`));
+    }
+  });
+
+  test('a tool binary comes from a *_BIN variable only', () => {
+    const tools = { node: { env: 'AWS_SECRET_ACCESS_KEY', default: 'node' } };
+    assert.match(errorsOf(phased({ tools })), /must name a \*_BIN variable/);
+  });
+
+  test('the public view drops aliases but keeps the version fields the IDE uses', () => {
+    const view = publicLanguage(validateManifest(phased()).manifest);
+    assert.deepEqual(view.versions, [{ id: 'toy1', name: 'Toy 1', default: true }]);
+    assert.equal(view.phases, undefined);
+  });
+});
+
+describe('a language run from its phases', () => {
+  const manifest = validateManifest(phased()).manifest;
+  const adapter = createCommandAdapter(manifest);
+
+  /** Prepares `files`, then hands the plan to `launch` while the job still exists. */
+  async function prepare(files, launch = null) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'bc-phases-'));
+    const job = new Job(root);
+    job.writeFiles(files);
+    try {
+      const prepared = await adapter.prepare({
+        job,
+        files,
+        entryPoint: files[0].name,
+        config: CONFIG,
+        sandboxEnv: { PATH: process.env.PATH },
+        timeoutMs: 5000,
+      });
+      return { job, prepared, launched: launch ? await launch(prepared, job) : null };
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  }
+
+  test('a compile failure is diagnostics, with the job directory stripped', async () => {
+    const { prepared } = await prepare([{ name: 'main.js', content: 'function (\n' }]);
+    assert.equal(prepared.kind, 'diagnostics');
+    assert.match(prepared.stderr, /main\.js/);
+    assert.doesNotMatch(prepared.stderr, /bc-phases-/);
+  });
+
+  test('a clean compile launches the run phase with its placeholders filled', async () => {
+    const { job, prepared } = await prepare([
+      { name: 'main.js', content: 'console.log(1);\n' },
+      { name: 'notes.txt', content: 'not a source file' },
+      { name: 'lib/util.js', content: 'module.exports = 2;\n' },
+    ]);
+    assert.equal(prepared.kind, 'launch');
+    assert.equal(prepared.command, CONFIG.tools.node);
+    // {sources} is one argument per file with the language's extension, and only those.
+    assert.deepEqual(prepared.args, [
+      job.absolute('main.js'),
+      job.absolute('main.js'),
+      job.absolute('lib/util.js'),
+    ]);
+    assert.deepEqual(prepared.extraEnv, { TOY_HOME: job.absolute('.build') });
+    assert.equal(prepared.timeoutMs, 5000);
+  });
+
+  test('the launch plan runs the program, with its sources and environment', async () => {
+    // The pipeline spawns exactly this plan: command, args and extraEnv from the
+    // manifest, in the job directory.
+    const { launched } = await prepare([
+      { name: 'main.js', content: 'const [, , ...rest] = process.argv;\n'
+        + 'console.log(rest.length, require("./lib/util.js"), process.env.TOY_HOME.endsWith(".build"));\n' },
+      { name: 'lib/util.js', content: 'module.exports = 2;\n' },
+    ], (prepared, job) => runToCompletion({
+      command: prepared.command,
+      args: prepared.args,
+      cwd: job.dir,
+      env: { PATH: process.env.PATH, ...prepared.extraEnv },
+      timeoutMs: prepared.timeoutMs,
+    }));
+    assert.equal(launched.termination.exitCode, 0, launched.stderr);
+    // After the entry, {sources}: main.js and lib/util.js.
+    assert.equal(launched.stdout, '2 2 true\n');
+  });
+
+  test('a single file is named from the manifest extension', () => {
+    assert.equal(adapter.defaultEntryName(''), 'main.js');
+  });
+});
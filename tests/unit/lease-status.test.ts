@@ -0,0 +1,159 @@
+/**
+ * What the writer lease does to the rest of the IDE (blueprint section 9.5): a reader
+ * is read-only, follows the writer, and is told so; a writer tells the readers.
+ *
+ * The lease itself is tested in workspace-writer-lease.test.ts. Here it is a stand-in
+ * whose role a test sets, so each test is about one transition and what the student
+ * sees because of it.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  READER_MESSAGE,
+  TAKEN_OVER_MESSAGE,
+  WRITER_MESSAGE,
+  connectLeaseStatus,
+} from '../../src/features/lease-status.ts';
+import { Emitter } from '../../src/workspace/emitter.ts';
+import { WorkspaceService } from '../../src/workspace/service.ts';
+import { MemoryWorkspaceStore } from '../../src/workspace/store.ts';
+import type { LeaseRole, WriterLease } from '../../src/workspace/writer-lease.ts';
+import { persisted, settle } from './support/workspace-fixtures.ts';
+
+/** The lease as `connectLeaseStatus` sees it, driven by hand. */
+function fakeLease(initial: LeaseRole = 'writer') {
+  const roles = new Emitter<LeaseRole>();
+  const changes = new Emitter<number>();
+  const state = { role: initial, notified: 0 };
+  const lease = {
+    get role() {
+      return state.role;
+    },
+    onDidChangeRole: roles.event,
+    onDidReceiveChange: changes.event,
+    notifyChanged: () => {
+      state.notified++;
+    },
+  } as unknown as WriterLease;
+  return {
+    lease,
+    state,
+    become(role: LeaseRole) {
+      state.role = role;
+      roles.fire(role);
+    },
+    otherTabSaved: () => changes.fire(1),
+  };
+}
+
+function recorder() {
+  const said: string[] = [];
+  const readOnly: boolean[] = [];
+  return {
+    said,
+    readOnly,
+    reporter: {
+      status: (message: string) => said.push(message),
+      announce: () => {},
+      setReadOnly: (value: boolean) => readOnly.push(value),
+    },
+  };
+}
+
+async function openService(store = new MemoryWorkspaceStore({ files: [persisted({ id: 'doc-1', name: 'main.py', content: 'a' })] })) {
+  const service = new WorkspaceService({ store, autoSaveDelayMs: 0 });
+  await service.open();
+  return { service, store };
+}
+
+describe('a reader', () => {
+  test('is read-only, says why, and does not autosave', async () => {
+    const { service, store } = await openService();
+    const fake = fakeLease('starting');
+    const seen = recorder();
+    connectLeaseStatus(service, fake.lease, seen.reporter);
+
+    fake.become('reader');
+    await settle();
+    service.getDocument('doc-1')!.setContent('cannot be typed, but if it were');
+    await settle();
+
+    assert.deepEqual(seen.readOnly, [true]);
+    assert.deepEqual(seen.said, [READER_MESSAGE]);
+    assert.equal(store.countOperations('writeDocumentContent'), 0);
+  });
+
+  test('shows what the writer saved when the writer says so', async () => {
+    const { service, store } = await openService();
+    const fake = fakeLease('starting');
+    connectLeaseStatus(service, fake.lease, recorder().reporter);
+    fake.become('reader');
+    await settle();
+
+    await store.writeDocumentContent('doc-1', 'typed in the other tab', 2);
+    fake.otherTabSaved();
+    await settle();
+
+    assert.equal(service.getDocument('doc-1')?.getContent(), 'typed in the other tab');
+  });
+
+  test('that was a reader from the moment it connected is told so', async () => {
+    const { service } = await openService();
+    const fake = fakeLease('reader');
+    const seen = recorder();
+    connectLeaseStatus(service, fake.lease, seen.reporter);
+    await settle();
+    assert.deepEqual(seen.said, [READER_MESSAGE]);
+  });
+});
+
+describe('a writer', () => {
+  test('tells the readers about each save and each structural change', async () => {
+    const { service } = await openService();
+    const fake = fakeLease('writer');
+    connectLeaseStatus(service, fake.lease, recorder().reporter);
+
+    service.getDocument('doc-1')!.setContent('b');
+    await service.flushAll();
+    await service.createFolder('lib');
+
+    assert.equal(fake.state.notified, 2);
+  });
+
+  test('that was taken over from names what it could not save', async () => {
+    const { service } = await openService();
+    const fake = fakeLease('writer');
+    const seen = recorder();
+    connectLeaseStatus(service, fake.lease, seen.reporter);
+
+    service.getDocument('doc-1')!.setContent('the last second of typing');
+    fake.become('reader');
+    await settle();
+
+    assert.deepEqual(seen.said, [`${TAKEN_OVER_MESSAGE} Your last changes to main.py were not saved.`]);
+    assert.equal(service.getDocument('doc-1')?.getContent(), 'a', 'it now shows what was committed');
+  });
+
+  test('taking over gives editing back, from what is committed', async () => {
+    const { service, store } = await openService();
+    const fake = fakeLease('starting');
+    const seen = recorder();
+    connectLeaseStatus(service, fake.lease, seen.reporter);
+    fake.become('reader');
+    await settle();
+
+    await store.writeDocumentContent('doc-1', 'the other tab\'s last save', 2);
+    fake.become('writer');
+    await settle();
+
+    assert.deepEqual(seen.readOnly, [true, false]);
+    assert.equal(seen.said.at(-1), WRITER_MESSAGE);
+    assert.equal(service.getDocument('doc-1')?.getContent(), 'the other tab\'s last save');
+
+    service.getDocument('doc-1')!.setContent('mine');
+    await service.flushAll();
+    assert.equal(store.peekContent('doc-1'), 'mine', 'autosave is back');
+  });
+});
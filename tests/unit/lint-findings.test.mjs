@@ -0,0 +1,271 @@
+/**
+ * Reading each linter's output into one shape of finding.
+ *
+ * The tools themselves are exercised in tests/contract/lint.test.mjs, gated on each
+ * being installed. These are their outputs as captured, and hold everywhere - above
+ * all the rule that a compile error is never a lint finding, because the check
+ * already reports it.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+
+import {
+  LINT_OUTPUT_CHARS,
+  MAX_FINDINGS,
+  parseJavacLint,
+  parseMsbuildWarnings,
+  parsePhpstan,
+  parseRuff,
+  runLinter,
+  workspacePath,
+} from '../../server/linting/findings.mjs';
+import { lintWithEslint } from '../../server/linting/eslint.mjs';
+
+const JOB = '/tmp/bc-lint-1';
+
+describe('paths', () => {
+  test('an absolute path inside the job becomes a workspace path', () => {
+    assert.equal(workspacePath('/tmp/bc-lint-1/src/util.py', JOB), 'src/util.py');
+    assert.equal(workspacePath('./main.py', JOB), 'main.py');
+    assert.equal(workspacePath('/usr/lib/python3/x.py', JOB), '/usr/lib/python3/x.py');
+  });
+});
+
+describe('ruff', () => {
+  const lines = entries => entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+
+  const report = lines([
+    {
+      code: 'F841',
+      message: 'Local variable `total` is assigned to but never used',
+      filename: `${JOB}/main.py`,
+      location: { row: 2, column: 5 },
+      end_location: { row: 2, column: 10 },
+    },
+    {
+      code: 'F821',
+      message: 'Undefined name `totl`',
+      filename: `${JOB}/main.py`,
+      location: { row: 3, column: 11 },
+      end_location: { row: 3, column: 15 },
+    },
+    {
+      code: null,
+      message: 'SyntaxError: Expected an expression',
+      filename: `${JOB}/main.py`,
+      location: { row: 5, column: 1 },
+      end_location: { row: 5, column: 2 },
+    },
+  ]);
+
+  test('findings keep their range and rule, and a syntax error is dropped', () => {
+    assert.deepEqual(parseRuff(report, JOB), [
+      {
+        file: 'main.py', line: 2, column: 5, endLine: 2, endColumn: 10,
+        severity: 'warning', rule: 'F841',
+        message: 'Local variable `total` is assigned to but never used',
+      },
+      {
+        file: 'main.py', line: 3, column: 11, endLine: 3, endColumn: 15,
+        severity: 'error', rule: 'F821', message: 'Undefined name `totl`',
+      },
+    ]);
+  });
+
+  test('no output is no findings', () => {
+    assert.deepEqual(parseRuff('', JOB), []);
+  });
+});
+
+describe('runLinter', () => {
+  const ctx = {
+    job: { dir: os.tmpdir() },
+    sandboxEnv: { PATH: process.env.PATH },
+    timeoutMs: 30000,
+    config: { execution: { maxOutputChars: 100000 } },
+  };
+
+  /** A stand-in for a lint tool: node, printing what `script` builds. */
+  const tool = (script, parse, perLine = true) => runLinter({
+    tool: 'fake',
+    command: process.execPath,
+    args: ['-e', script],
+    ctx,
+    perLine,
+    parse,
+  });
+
+  // Ruff's json-lines finding as it prints one with a fix: about 700 characters.
+  const RUFF_FINDING = `
+    const finding = row => JSON.stringify({
+      cell: null, code: 'F841', end_location: { column: 10, row },
+      filename: '${JOB}/main.py',
+      fix: { applicability: 'unsafe', edits: [{ content: '', end_location: { column: 1, row: row + 1 },
+        location: { column: 1, row } }], message: 'Remove assignment to unused variable \`total\`' },
+      location: { column: 5, row }, message: 'Local variable \`total\` is assigned to but never used',
+      noqa_row: row, url: 'https://docs.astral.sh/ruff/rules/unused-variable',
+    });`;
+
+  test('a file with hundreds of findings is served the first five hundred', async () => {
+    // Past the run's 100k output limit, inside the lint budget.
+    const result = await tool(
+      `${RUFF_FINDING} for (let row = 1; row <= 800; row++) console.log(finding(row));`,
+      output => parseRuff(output.stdout, JOB),
+    );
+    assert.equal(result.outcome, 'linted');
+    assert.equal(result.findings.length, MAX_FINDINGS);
+    assert.equal(result.findings[0].line, 1);
+    assert.equal(result.findings[MAX_FINDINGS - 1].line, MAX_FINDINGS);
+  });
+
+  test('output past the budget is read up to the cut', async () => {
+    const result = await tool(
+      `${RUFF_FINDING} let out = ''; for (let row = 1; out.length <= ${LINT_OUTPUT_CHARS}; row++) out += finding(row) + '\\n';
+       process.stdout.write(out);`,
+      output => parseRuff(output.stdout, JOB),
+    );
+    assert.equal(result.outcome, 'linted');
+    assert.equal(result.findings.length, MAX_FINDINGS);
+  });
+
+  test('one document cut at the budget is unreadable, not a server error', async () => {
+    const result = await tool(
+      `process.stdout.write(JSON.stringify({ files: { 'main.php': { messages: [] } }, pad: 'x'.repeat(${LINT_OUTPUT_CHARS}) }));`,
+      output => parsePhpstan(output.stdout, JOB),
+      false,
+    );
+    assert.deepEqual(result, { outcome: 'unreadable', tool: 'fake' });
+  });
+
+  test('output that is not what the tool promised is unreadable', async () => {
+    const result = await tool("console.log('Traceback (most recent call last):')", output => parseRuff(output.stdout, JOB));
+    assert.deepEqual(result, { outcome: 'unreadable', tool: 'fake' });
+  });
+});
+
+describe('javac -Xlint', () => {
+  const output = [
+    `${JOB}/Main.java:4: warning: [fallthrough] possible fall-through into case`,
+    '            case 2:',
+    '            ^',
+    `${JOB}/Main.java:9: error: cannot find symbol`,
+    '        prinln("x");',
+    '        ^',
+    `${JOB}/Util.java:3: warning: [rawtypes] found raw type: List`,
+    '    List items;',
+    '  missing type arguments for generic class List<E>',
+    '    ^',
+    'warning: [options] system modules path not set in conjunction with -source 17',
+    '1 error',
+    '2 warnings',
+  ].join('\n');
+
+  test('bracketed warnings are findings, with the caret as the column', () => {
+    const findings = parseJavacLint(output, JOB);
+    assert.deepEqual(findings.map(({ file, line, column, rule }) => ({ file, line, column, rule })), [
+      { file: 'Main.java', line: 4, column: 13, rule: 'fallthrough' },
+      { file: 'Util.java', line: 3, column: 5, rule: 'rawtypes' },
+    ]);
+    assert.ok(findings.every(finding => finding.severity === 'warning'));
+  });
+});
+
+describe('PHPStan', () => {
+  const report = JSON.stringify({
+    totals: { errors: 0, file_errors: 2 },
+    files: {
+      [`${JOB}/index.php`]: {
+        errors: 2,
+        messages: [
+          { message: 'Function undefined_thing not found.', line: 3, identifier: 'function.notFound' },
+          { message: 'Variable $x might not be defined.', line: 7, identifier: 'variable.undefined' },
+        ],
+      },
+    },
+    errors: ['Ignored error pattern was not matched'],
+  });
+
+  test('unknown functions are errors, the rest warnings, and analysis errors are not findings', () => {
+    assert.deepEqual(parsePhpstan(report, JOB).map(({ file, line, column, severity, rule }) =>
+      ({ file, line, column, severity, rule })), [
+      { file: 'index.php', line: 3, column: 1, severity: 'error', rule: 'function.notFound' },
+      { file: 'index.php', line: 7, column: 1, severity: 'warning', rule: 'variable.undefined' },
+    ]);
+  });
+});
+
+describe('Roslyn through MSBuild', () => {
+  const line = `${JOB}/Program.cs(5,13): warning CS0168: The variable 'e' is declared but never used [${JOB}/Program.csproj]`;
+  const analyzer =
+    `${JOB}/Program.cs(7,9,7,18): warning IDE0059: Unnecessary assignment of a value to 'total' ` +
+    `(https://learn.microsoft.com/dotnet/fundamentals/code-analysis/style-rules/ide0059) [${JOB}/Program.csproj]`;
+  const output = [
+    line,
+    analyzer,
+    `${JOB}/Program.cs(9,1): error CS1002: ; expected [${JOB}/Program.csproj]`,
+    '',
+    'Build succeeded.',
+    `    ${line}`,
+    `    ${analyzer}`,
+  ].join('\n');
+
+  test('each warning once, without its link or project suffix; errors are the check\'s', () => {
+    assert.deepEqual(parseMsbuildWarnings(output, JOB), [
+      {
+        file: 'Program.cs', line: 5, column: 13, severity: 'warning', rule: 'CS0168',
+        message: "The variable 'e' is declared but never used",
+      },
+      {
+        file: 'Program.cs', line: 7, column: 9, endLine: 7, endColumn: 18, severity: 'warning',
+        rule: 'IDE0059', message: "Unnecessary assignment of a value to 'total'",
+      },
+    ]);
+  });
+});
+
+describe('ESLint', () => {
+  const javascript = ['.js', '.mjs', '.cjs', '.jsx'];
+
+  test('finds the unused, the shadowed and the undefined', async () => {
+    const source = [
+      'const unused = 1;',
+      'function area(r) {',
+      '  const r2 = r * r;',
+      '  return [1].map(r => r * PI);',
+      '}',
+      'console.log(area(2), r2);',
+    ].join('\n');
+    const result = await lintWithEslint([{ name: 'main.js', content: source }], javascript);
+    assert.equal(result.outcome, 'linted');
+    assert.equal(result.tool, 'eslint');
+    const rules = result.findings.map(finding => `${finding.line}:${finding.rule}`);
+    assert.ok(rules.includes('1:no-unused-vars'), rules.join(' '));
+    assert.ok(rules.includes('4:no-shadow'), rules.join(' '));
+    assert.ok(rules.includes('4:no-undef'), rules.join(' '));
+    assert.ok(rules.includes('6:no-undef'), rules.join(' '));
+    assert.equal(result.findings.find(finding => finding.rule === 'no-undef').severity, 'error');
+  });
+
+  test('an underscore marks a name unused on purpose', async () => {
+    const result = await lintWithEslint([{ name: 'main.js', content: 'const _ignored = 1;\n' }], javascript);
+    assert.deepEqual(result.findings, []);
+  });
+
+  test('a file that does not parse is the check\'s, not a finding', async () => {
+    const result = await lintWithEslint([{ name: 'main.js', content: 'const = ;\n' }], javascript);
+    assert.deepEqual(result.findings, []);
+  });
+
+  test('TypeScript uses the type-aware rules, and only script files are read', async () => {
+    const files = [
+      { name: 'main.ts', content: 'import type { Thing } from "./thing";\nconst x: Thing = {};\nlet unused = 2;\nconsole.log(x);\n' },
+      { name: 'notes.md', content: 'const nope = 1;\n' },
+    ];
+    const result = await lintWithEslint(files, ['.ts']);
+    assert.deepEqual(result.findings.map(finding => `${finding.file}:${finding.line}:${finding.rule}`), [
+      'main.ts:3:@typescript-eslint/no-unused-vars',
+    ]);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * The linter's findings, as diagnostics.
+ *
+ * The request cycle is check-source's; what is new is carrying the rule and the range
+ * through, and finding the document each finding is about.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findingsToDiagnostics } from '../../src/diagnostics/lint-source.ts';
+import type { LintFinding } from '../../src/diagnostics/lint-source.ts';
+
+const DOCUMENTS: Record<string, { id: string }> = {
+  'main.py': { id: 'doc-main' },
+  'lib/util.py': { id: 'doc-util' },
+};
+
+const find = (path: string) => DOCUMENTS[path] ?? null;
+
+function finding(overrides: Partial<LintFinding> = {}): LintFinding {
+  return {
+    file: 'main.py',
+    line: 2,
+    column: 5,
+    severity: 'warning',
+    rule: 'F841',
+    message: 'Local variable `x` is assigned to but never used',
+    ...overrides,
+  };
+}
+
+test('a finding keeps its rule as the code, and the tool as the source', () => {
+  const byDocument = findingsToDiagnostics([finding({ endLine: 2, endColumn: 6 })], 'ruff', find);
+  assert.deepEqual(byDocument.get('doc-main'), [{
+    documentId: 'doc-main',
+    path: 'main.py',
+    severity: 'warning',
+    message: 'Local variable `x` is assigned to but never used',
+    line: 2,
+    column: 5,
+    endLine: 2,
+    endColumn: 6,
+    source: 'ruff',
+    code: 'F841',
+  }]);
+});
+
+test('findings are grouped by document, and one for a vanished file is dropped', () => {
+  const byDocument = findingsToDiagnostics([
+    finding(),
+    finding({ file: 'lib/util.py', rule: 'B006' }),
+    finding({ file: 'renamed.py' }),
+    finding({ line: 9, rule: 'F811' }),
+  ], 'ruff', find);
+
+  assert.deepEqual([...byDocument.keys()], ['doc-main', 'doc-util']);
+  assert.deepEqual(byDocument.get('doc-main')!.map(item => item.code), ['F841', 'F811']);
+  assert.deepEqual(byDocument.get('doc-util')!.map(item => item.code), ['B006']);
+});
@@ -0,0 +1,206 @@
+/**
+ * The live graphics reader: frames off the pipe in, GraphicsBatch messages out.
+ *
+ * The pipe is written by a shim running inside an untrusted program, so everything
+ * here is about what the reader refuses and where it stops - a frame split across
+ * reads, a truncate past the end, a budget reached - and that what it does deliver
+ * is numbered so a client can tell when one went missing.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  GRAPHICS_PROTOCOL_VERSION,
+  LIVE_GRAPHICS_LIMITS,
+  LiveGraphicsReader,
+  buildGraphicsEvent,
+} from '../../server/graphics/live.mjs';
+
+function frame(ops, version = GRAPHICS_PROTOCOL_VERSION) {
+  const body = Buffer.from(JSON.stringify({ v: version, ops }), 'utf8');
+  const header = Buffer.alloc(4);
+  header.writeUInt32BE(body.length, 0);
+  return Buffer.concat([header, body]);
+}
+
+function reader(limits = LIVE_GRAPHICS_LIMITS) {
+  const batches = [];
+  const warnings = [];
+  const live = new LiveGraphicsReader({
+    sessionId: 'run-1',
+    limits,
+    onBatch: batch => batches.push(batch),
+    onWarning: warning => warnings.push(warning),
+  });
+  return { live, batches, warnings };
+}
+
+const line = (x2 = 10) => ({ k: 'l', x1: 0, y1: 0, x2, y2: 0 });
+
+describe('framing', () => {
+  test('a frame becomes a numbered batch', () => {
+    const { live, batches } = reader();
+    live.push(frame([{ op: 'shapes', shapes: [line(), line(20)] }]));
+    live.push(frame([{ op: 'truncate', length: 1 }]));
+
+    assert.deepEqual(batches.map(({ protocolVersion, sessionId, sequence, sceneRevision }) =>
+      [protocolVersion, sessionId, sequence, sceneRevision]), [[2, 'run-1', 1, 2], [2, 'run-1', 2, 3]]);
+    assert.deepEqual(batches[1].operations, [{ op: 'truncate', length: 1 }]);
+  });
+
+  test('a frame split across reads is delivered once it is whole', () => {
+    const { live, batches } = reader();
+    const bytes = frame([{ op: 'shapes', shapes: [line()] }]);
+    live.push(bytes.subarray(0, 3));
+    live.push(bytes.subarray(3, 9));
+    assert.equal(batches.length, 0);
+    live.push(bytes.subarray(9));
+    assert.equal(batches.length, 1);
+  });
+
+  test('a half-written frame at close is dropped quietly', () => {
+    const { live, batches, warnings } = reader();
+    live.push(frame([{ op: 'shapes', shapes: [line()] }]).subarray(0, 8));
+    live.finish();
+    assert.deepEqual([batches.length, warnings.length], [0, 0]);
+  });
+
+  test('fields the renderer does not read are dropped from a shape', () => {
+    const { live, batches } = reader();
+    live.push(frame([{ op: 'shapes', shapes: [{ ...line(), onload: 'alert(1)' }] }]));
+    assert.deepEqual(batches[0].operations[0].shapes, [line()]);
+  });
+});
+
+describe('refusals stop the stream', () => {
+  for (const [label, ops, version] of [
+    ['another protocol version', [{ op: 'shapes', shapes: [line()] }], 1],
+    ['an unknown operation', [{ op: 'eval', code: '1' }]],
+    ['a shape of no known kind', [{ op: 'shapes', shapes: [{ k: 'script' }] }]],
+    ['a truncate past the end', [{ op: 'shapes', shapes: [line()] }, { op: 'truncate', length: 2 }]],
+    ['a negative truncate', [{ op: 'truncate', length: -1 }]],
+  ]) {
+    test(label, () => {
+      const { live, batches, warnings } = reader();
+      live.push(frame(ops, version));
+      live.push(frame([{ op: 'shapes', shapes: [line()] }]));
+
+      assert.equal(live.stopped, 'graphics_invalid');
+      assert.equal(warnings.length, 1);
+      assert.equal(warnings[0].stopped, true);
+      // Nothing after the refusal, whatever it was.
+      assert.ok(batches.every(batch => batch.sequence === 1));
+    });
+  }
+
+  test('what validated before the refusal is still delivered', () => {
+    const { live, batches } = reader();
+    live.push(Buffer.concat([
+      frame([{ op: 'shapes', shapes: [line()] }]),
+      frame([{ op: 'truncate', length: 5 }]),
+    ]));
+    assert.equal(batches.length, 1);
+    assert.equal(batches[0].operations[0].shapes.length, 1);
+  });
+
+  test('a frame over the size limit is refused from its header alone', () => {
+    const { live } = reader({ ...LIVE_GRAPHICS_LIMITS, maxFrameBytes: 16 });
+    live.push(frame([{ op: 'shapes', shapes: [line()] }]).subarray(0, 4));
+    assert.equal(live.stopped, 'graphics_invalid');
+  });
+});
+
+describe('batches', () => {
+  test('consecutive cursor updates collapse to the last', () => {
+    const { live, batches } = reader();
+    live.push(Buffer.concat([
+      frame([{ op: 'cursors', cursors: [{ x: 1, y: 1 }] }]),
+      frame([{ op: 'cursors', cursors: [{ x: 2, y: 2 }] }]),
+      frame([{ op: 'shapes', shapes: [line()] }, { op: 'cursors', cursors: [{ x: 3, y: 3 }] }]),
+    ]));
+    assert.deepEqual(batches[0].operations.map(operation => operation.op), ['cursors', 'shapes', 'cursors']);
+    assert.equal(batches[0].operations[0].cursors[0].x, 2);
+  });
+
+  test('a long run of shapes is split at the per-batch bound, in order', () => {
+    const { live, batches } = reader({ ...LIVE_GRAPHICS_LIMITS, maxOperationsPerBatch: 3 });
+    live.push(frame([{ op: 'shapes', shapes: [1, 2, 3, 4, 5, 6, 7].map(line) }]));
+
+    assert.deepEqual(batches.map(batch => batch.sequence), [1, 2, 3]);
+    assert.deepEqual(batches.map(batch => batch.sceneRevision), [3, 6, 7]);
+    const drawn = batches.flatMap(batch => batch.operations.flatMap(operation => operation.shapes));
+    assert.deepEqual(drawn.map(shape => shape.x2), [1, 2, 3, 4, 5, 6, 7]);
+  });
+});
+
+describe('session budgets', () => {
+  const small = { ...LIVE_GRAPHICS_LIMITS, maxSessionOperations: 10, maxSessionBytes: 1024 * 1024 };
+
+  test('warns once at the threshold, then stops at the budget', () => {
+    const { live, batches, warnings } = reader(small);
+    for (let i = 0; i < 12; i++) live.push(frame([{ op: 'shapes', shapes: [line(i)] }]));
+
+    assert.deepEqual(warnings.map(({ resource, stopped }) => [resource, stopped]),
+      [['graphics_operations', false], ['graphics_operations', true]]);
+    assert.equal(warnings[0].used, 8);
+    assert.equal(batches.length, 10);
+    assert.equal(live.stopped, 'graphics_operations');
+  });
+
+  test('keeps accepting reads after it stops, so the program never blocks on the pipe', () => {
+    const { live, batches } = reader(small);
+    for (let i = 0; i < 11; i++) live.push(frame([{ op: 'shapes', shapes: [line(i)] }]));
+    assert.doesNotThrow(() => live.push(frame([{ op: 'shapes', shapes: [line()] }])));
+    assert.equal(batches.length, 10);
+  });
+});
+
+describe('dialogs', () => {
+  test('a number prompt keeps its bounds; a text prompt has none to keep', () => {
+    const { live, batches } = reader();
+    live.push(frame([
+      { op: 'prompt', id: 1, kind: 'number', title: 'Size', prompt: 'How big?', default: 5, min: 1, max: 'ten' },
+      { op: 'prompt', id: 2, kind: 'text', title: 'Name', prompt: 'Who?', default: 5 },
+    ]));
+    assert.deepEqual(batches[0].operations, [
+      { op: 'prompt', id: 1, kind: 'number', title: 'Size', prompt: 'How big?', default: 5, min: 1, max: null },
+      { op: 'prompt', id: 2, kind: 'text', title: 'Name', prompt: 'Who?', default: null, min: null, max: null },
+    ]);
+  });
+
+  test('a prompt with no id is a refusal like any other', () => {
+    const { live } = reader();
+    live.push(frame([{ op: 'prompt', kind: 'text', title: '', prompt: '' }]));
+    assert.equal(live.stopped, 'graphics_invalid');
+  });
+});
+
+describe('events from the window', () => {
+  test('each of the four kinds is rebuilt field by field', () => {
+    assert.deepEqual(buildGraphicsEvent({ type: 'key', key: 'Up', down: true, extra: 1 }), { type: 'key', key: 'Up', down: true });
+    assert.deepEqual(buildGraphicsEvent({ type: 'click', x: 1.5, y: -2 }), { type: 'click', x: 1.5, y: -2, button: 1 });
+    assert.deepEqual(buildGraphicsEvent({ type: 'prompt', id: 3, value: null }), { type: 'prompt', id: 3, value: null });
+    assert.deepEqual(buildGraphicsEvent({ type: 'close', reason: 'x' }), { type: 'close' });
+  });
+
+  test('a dialog answer is cut to the text limit', () => {
+    const event = buildGraphicsEvent({ type: 'prompt', id: 1, value: 'a'.repeat(5000) }, { ...LIVE_GRAPHICS_LIMITS, maxTextLength: 8 });
+    assert.equal(event.value, 'aaaaaaaa');
+  });
+
+  for (const [label, raw] of [
+    ['no event at all', undefined],
+    ['an unknown kind', { type: 'scroll' }],
+    ['a key name with a newline in it', { type: 'key', key: 'Up\nimport os', down: true }],
+    ['a key with no direction', { type: 'key', key: 'a' }],
+    ['a click off any canvas', { type: 'click', x: 1e12, y: 0 }],
+    ['a click with a fourth button', { type: 'click', x: 0, y: 0, button: 4 }],
+    ['an answer to no question', { type: 'prompt', id: 0, value: '1' }],
+    ['an answer that is not text', { type: 'prompt', id: 1, value: 42 }],
+  ]) {
+    test(`refuses ${label}`, () => {
+      assert.equal(buildGraphicsEvent(raw), null);
+    });
+  }
+});
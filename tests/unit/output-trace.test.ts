@@ -1,6 +1,6 @@
 import { describe, test } from 'node:test';
 import assert from 'node:assert/strict';
-import { findPrintSites, OutputTraceMapper } from '../../src/features/output-trace.ts';
+import { errorReportLocation, findPrintSites, OutputTraceMapper } from '../../src/features/output-trace.ts';
 
 describe('output to code tracing', () => {
   test('finds print APIs in all five debug languages', () => {
@@ -32,4 +32,33 @@ describe('output to code tracing', () => {
     const mapper = new OutputTraceMapper('console.log("selected")', 'javascript', 'main.js', 7);
     assert.equal(mapper.locationFor('selected')?.line, 8);
   });
+
+  test("printf's format is not an anchor, a plain literal's trailing newline is", () => {
+    const mapper = new OutputTraceMapper(
+      '#include <stdio.h>\nint main(void) {\n    puts("Start");\n    for (int i = 1; i < 3; i++) printf("%d\\n", i * 10);\n    printf("Done\\n");\n}',
+      'c',
+      'main.c',
+    );
+    assert.equal(mapper.locationFor('Start')?.line, 3);
+    assert.equal(mapper.locationFor('10')?.line, 4);
+    assert.equal(mapper.locationFor('Done')?.line, 5);
+  });
+});
+
+describe('crash report to code tracing', () => {
+  test("reads the student's file and line from each kind of report line", () => {
+    assert.deepEqual(
+      errorReportLocation('c', "main.c:10:21: runtime error: signed integer overflow: 2147483647 + 1\n"),
+      { file: 'main.c', line: 10 },
+    );
+    assert.deepEqual(errorReportLocation('cpp', '    #5 0x55772304d47f in main shapes/area.cpp:4'), { file: 'shapes/area.cpp', line: 4 });
+    assert.deepEqual(errorReportLocation('c', "prog: main.c:4: main: Assertion `x > 0' failed."), { file: 'main.c', line: 4 });
+  });
+
+  test('never links into the library, the sanitizer or a language without reports', () => {
+    assert.equal(errorReportLocation('cpp', '    #4 0x55 in std::vector<int>::operator[](unsigned long) /usr/include/c++/12/bits/stl_vector.h:1123'), null);
+    assert.equal(errorReportLocation('c', '    #0 0x7f in __interceptor_malloc ../../../../src/libsanitizer/asan/asan_malloc_linux.cpp:69'), null);
+    assert.equal(errorReportLocation('c', 'Hello, World!'), null);
+    assert.equal(errorReportLocation('python', 'main.py:3: runtime error: nope'), null);
+  });
 });
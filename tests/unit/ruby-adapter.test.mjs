@@ -0,0 +1,95 @@
+/**
+ * The Ruby adapter's decisions that do not need an interpreter.
+ *
+ * What `ruby` does with them is in tests/contract/ruby.test.mjs, which skips where
+ * Ruby is absent. These are the parts that must hold everywhere: the turtle library's
+ * frames leaving an error report, the RubyGems config that never reaches the job, the
+ * `require` that installs the library, and the policy agreeing with the Ruby attack
+ * corpus - which otherwise only runs against a live server.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { usesTurtle } from '../../server/graphics/turtle.mjs';
+import { dropShimFrames, rubyAdapter } from '../../server/languages/adapters/ruby.mjs';
+import { validateCodeSecurity } from '../../server/security/validate.mjs';
+import { rubyTests } from '../security/attacks/ruby.mjs';
+
+describe("the turtle library's frames", () => {
+  const SHIM = '.browser-coder-ruby/turtle.rb';
+
+  test("the heading is re-pointed at the student's call, and the message is kept", () => {
+    const raw = [
+      `${SHIM}:212:in \`forward': wrong number of arguments (given 2, expected 1) (ArgumentError)`,
+      `\tfrom ${SHIM}:380:in \`forward'`,
+      '\tfrom main.rb:4:in `<main>\'',
+    ].join('\n');
+    assert.equal(
+      dropShimFrames(raw),
+      "main.rb:4:in `forward': wrong number of arguments (given 2, expected 1) (ArgumentError)\n" +
+        "\tfrom main.rb:4:in `<main>'",
+    );
+  });
+
+  test('frames inside Ruby itself are skipped when looking for the caller', () => {
+    const raw = [
+      `${SHIM}:90:in \`Float': invalid value for Float(): "far" (ArgumentError)`,
+      "\tfrom <internal:kernel>:173:in `loop'",
+      "\tfrom shapes.rb:7:in `square'",
+      "\tfrom main.rb:2:in `<main>'",
+    ].join('\n');
+    assert.match(dropShimFrames(raw), /^shapes\.rb:7:in `Float': invalid value/);
+  });
+
+  test('an absolute path to the library is recognised too', () => {
+    const raw = `/tmp/job/${SHIM}:5:in \`color': boom (RuntimeError)\n\tfrom main.rb:3:in \`<main>'`;
+    assert.match(dropShimFrames(raw), /^main\.rb:3:in `color': boom \(RuntimeError\)$/m);
+  });
+
+  test("an error in the student's own code is left exactly as Ruby wrote it", () => {
+    const raw = "main.rb:2:in `f': undefined method `upcase' for nil (NoMethodError)\n\tfrom main.rb:4:in `<main>'";
+    assert.equal(dropShimFrames(raw), raw);
+    assert.equal(dropShimFrames(''), '');
+  });
+});
+
+describe('what reaches the interpreter', () => {
+  test('a .gemrc never reaches the job', () => {
+    const verdict = rubyAdapter.validateFiles([{ name: 'main.rb', content: '' }, { name: '.gemrc', content: '' }]);
+    assert.equal(verdict.ok, false);
+    assert.equal(verdict.code, 'ruby_config_file_not_allowed');
+  });
+
+  test('Ruby sources and data files are accepted', () => {
+    const files = ['main.rb', 'lib/shapes.rb', 'scores.csv', 'notes/gemrc.txt'].map(name => ({ name, content: '' }));
+    assert.deepEqual(rubyAdapter.validateFiles(files), { ok: true });
+  });
+
+  test('the turtle library is installed for a require, not for a mention', () => {
+    assert.equal(usesTurtle("require 'turtle'\nforward 10\n", 'ruby'), true);
+    assert.equal(usesTurtle('require "turtle"\n', 'ruby'), true);
+    assert.equal(usesTurtle('  require("turtle")\n', 'ruby'), true);
+    assert.equal(usesTurtle("# require 'turtle'\nputs 1\n", 'ruby'), false);
+    assert.equal(usesTurtle("puts 'turtle'\n", 'ruby'), false);
+    // Python's import line means nothing to Ruby, and Ruby's nothing to Python.
+    assert.equal(usesTurtle('import turtle\n', 'ruby'), false);
+    assert.equal(usesTurtle("require 'turtle'\n", 'python'), false);
+  });
+});
+
+describe('the policy and the Ruby attack corpus agree', () => {
+  // The corpus is asserted end to end by tests/security/security-tests.mjs, which needs
+  // a running server. Checking the patterns directly catches a regex that stops
+  // matching the moment it is edited rather than at the next security run.
+  for (const attack of rubyTests) {
+    test(attack.name, () => {
+      const verdict = validateCodeSecurity('ruby', attack.code);
+      assert.equal(
+        !verdict.safe,
+        attack.expectBlocked,
+        attack.expectBlocked ? 'not blocked' : `blocked by ${verdict.matched}`,
+      );
+    });
+  }
+});
@@ -112,6 +112,28 @@ describe('a failing browser database', () => {
   });
 });
 
+describe('another tab taking over', () => {
+  test('is not reported as the browser failing to save', async () => {
+    // lease-status.ts says what happened; "could not be saved to this browser" would
+    // send the student looking for a full disk.
+    const store = new MemoryWorkspaceStore();
+    await store.claimWriter();
+    const service = serviceWith(store);
+    await service.open();
+    const { said, reporter } = recorder();
+    const wiring = connectSaveStatus(service, reporter, fakeHost().host);
+
+    const created = await service.createDocument({ name: 'main.py', content: 'a\n', ...PYTHON });
+    store.simulateTakeover();
+    service.getDocument(created.id)!.setContent('changed\n');
+    const outcome = await service.flush(created.id);
+
+    assert.equal(outcome.status, 'failed');
+    assert.deepEqual(said, []);
+    wiring.dispose();
+  });
+});
+
 describe('when saving starts working again', () => {
   test('the student is told that too', async () => {
     let refuse = true;
@@ -32,7 +32,7 @@ const ROOT = resolve(import.meta.dirname, '../..');
 const CANONICAL = join(ROOT, 'tests/security/attacks');
 const OVERLAY = join(ROOT, 'security/attacks');
 
-const LANGUAGES = ['javascript', 'typescript', 'python', 'php', 'java', 'csharp'];
+const LANGUAGES = ['javascript', 'typescript', 'python', 'php', 'java', 'csharp', 'go', 'ruby', 'c', 'cpp'];
 
 describe('one canonical corpus', () => {
   test('every language has exactly one English fixture file, and it is the canonical one', () => {
@@ -0,0 +1,370 @@
+/**
+ * The client half of the session socket: reconnect, replay and resend.
+ *
+ * What matters to a student on flaky Wi-Fi is observable here with a fake socket and
+ * a manual clock: after a drop the channel resumes from the last sequence it saw,
+ * discards what it already showed, resends only the input the server has not
+ * acknowledged, and tells the console when output was lost rather than pretending.
+ * And when no socket can be opened at all, it says so once, so the console can fall
+ * back to NDJSON instead of retrying into a proxy that strips Upgrade.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  SessionChannel,
+  isRefusal,
+  reconnectDelay,
+  type ConsoleMessage,
+  type SessionSocketLike,
+} from '../../src/components/session-channel.ts';
+
+class FakeSocket implements SessionSocketLike {
+  readyState = 0;
+  onopen: ((event: unknown) => void) | null = null;
+  onmessage: ((event: { data: unknown }) => void) | null = null;
+  onclose: ((event: unknown) => void) | null = null;
+  onerror: ((event: unknown) => void) | null = null;
+  readonly sent: any[] = [];
+  readonly url: string;
+
+  constructor(url: string) {
+    this.url = url;
+  }
+
+  send(data: string): void {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close(): void {
+    this.drop();
+  }
+
+  open(): void {
+    this.readyState = 1;
+    this.onopen?.({});
+  }
+
+  drop(): void {
+    this.readyState = 3;
+    this.onclose?.({});
+  }
+
+  receive(message: Record<string, unknown>): void {
+    this.onmessage?.({ data: JSON.stringify(message) });
+  }
+
+  sentOfType(type: string): any[] {
+    return this.sent.filter(message => message.type === type);
+  }
+}
+
+function harness() {
+  const sockets: FakeSocket[] = [];
+  const timers: Array<{ callback: () => void; ms: number }> = [];
+  const channel = new SessionChannel({
+    url: 'ws://test/api/session',
+    createSocket: url => {
+      const socket = new FakeSocket(url);
+      sockets.push(socket);
+      return socket;
+    },
+    random: () => 0.5,
+    setTimer: (callback, ms) => {
+      const timer = { callback, ms };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimer: handle => {
+      const index = timers.indexOf(handle as (typeof timers)[number]);
+      if (index !== -1) timers.splice(index, 1);
+    },
+  });
+  const messages: ConsoleMessage[] = [];
+  const latest = () => sockets[sockets.length - 1];
+  /** Fire the pending reconnect timer (not the heartbeat). */
+  const fireReconnect = () => {
+    const index = timers.findIndex(timer => timer.ms !== 15000);
+    assert.notEqual(index, -1, 'expected a reconnect to be scheduled');
+    const [timer] = timers.splice(index, 1);
+    timer.callback();
+  };
+  return { channel, sockets, timers, messages, latest, fireReconnect };
+}
+
+const event = (sessionId: string, sequence: number, type: string, payload: Record<string, unknown> = {}) => ({
+  protocolVersion: 2,
+  sessionId,
+  sequence,
+  timestamp: '2026-01-01T00:00:00.000Z',
+  type,
+  payload,
+});
+
+/** A run that has been created as session `s1`. */
+function started() {
+  const h = harness();
+  const run = h.channel.start({ language: 'python', code: 'x' }, message => h.messages.push(message));
+  h.latest().open();
+  const create = h.latest().sentOfType('session.create')[0];
+  h.latest().receive({ type: 'session.created', clientCommandId: create.clientCommandId, sessionId: 's1' });
+  return { ...h, run, create };
+}
+
+describe('creating a session', () => {
+  test('sends one create with a clientCommandId and reports the session in v1 shape', () => {
+    const { messages, create, run } = started();
+    assert.equal(create.request.language, 'python');
+    assert.equal(typeof create.clientCommandId, 'string');
+    assert.deepEqual(messages[0], { type: 'session', sessionId: 's1' });
+    assert.equal(run.sessionId, 's1');
+  });
+
+  test('translates sequenced events into the messages the console already handles', () => {
+    const { latest, messages } = started();
+    latest().receive(event('s1', 1, 'session.started', { transport: 'pipes' }));
+    latest().receive(event('s1', 2, 'stdout', { stream: 'stdout', text: 'Name? ' }));
+    latest().receive(event('s1', 3, 'input.available'));
+    latest().receive(event('s1', 4, 'debug.event', { type: 'debug:stopped', line: 3 }));
+    latest().receive(event('s1', 5, 'session.exited', { exitCode: 0, durationMs: 12, reason: 'exited' }));
+
+    assert.deepEqual(messages.slice(1).map(message => message.type), [
+      'started',
+      'stdout',
+      'waiting',
+      'debug:stopped',
+      'exit',
+    ]);
+    assert.deepEqual(messages[1], { type: 'started', transport: 'pipes', terminal: null });
+    assert.equal(messages[2].data, 'Name? ');
+    assert.equal(messages[5].exitCode, 0);
+  });
+
+  test('reports the transport the server granted, which may not be the one asked for', () => {
+    const { latest, messages } = started();
+    latest().receive(event('s1', 1, 'session.started', { transport: 'pty', terminal: { rows: 30, cols: 100 } }));
+    assert.deepEqual(messages.at(-1), { type: 'started', transport: 'pty', terminal: { rows: 30, cols: 100 } });
+  });
+
+  test('hands graphics batches and resource warnings to the console as they arrive', () => {
+    const { latest, messages } = started();
+    const batch = { protocolVersion: 2, sessionId: 'job-1', sequence: 1, sceneRevision: 1, operations: [] };
+    latest().receive(event('s1', 1, 'session.started', { transport: 'pipes', graphicsPolicy: 'livePreserveOnError' }));
+    latest().receive(event('s1', 2, 'graphics.batch', batch));
+    latest().receive(event('s1', 3, 'resource.warning', { resource: 'graphics_bytes', stopped: false, message: 'close' }));
+
+    assert.equal(messages[1].graphicsPolicy, 'livePreserveOnError');
+    assert.deepEqual(messages[2], { type: 'graphics', batch });
+    assert.equal(messages[3].type, 'resource.warning');
+    assert.equal(messages[3].message, 'close');
+  });
+
+  test('reports that no socket could be opened, so the console can fall back', () => {
+    const { channel, latest, messages } = harness();
+    channel.start({}, message => messages.push(message));
+    latest().drop();
+    assert.deepEqual(messages, [{ type: 'unavailable' }]);
+  });
+
+  test('a refusal names the assets the replica is missing, as the asset retry reads them', () => {
+    const { channel, latest, messages } = harness();
+    channel.start({}, message => messages.push(message));
+    latest().open();
+    const create = latest().sentOfType('session.create')[0];
+    latest().receive({
+      type: 'session.refused',
+      clientCommandId: create.clientCommandId,
+      status: 409,
+      code: 'blob_missing',
+      missing: ['sha256-a', 'sha256-b'],
+    });
+
+    const [refusal] = messages;
+    assert.ok(isRefusal(refusal));
+    assert.equal(refusal.status, 409);
+    assert.deepEqual(refusal.missing, ['sha256-a', 'sha256-b']);
+  });
+
+  test('input typed before the session is named goes out once it is', () => {
+    const h = harness();
+    const run = h.channel.start({}, message => h.messages.push(message));
+    h.latest().open();
+    run.sendStdin('early\n');
+    assert.deepEqual(h.latest().sentOfType('stdin'), []);
+
+    const create = h.latest().sentOfType('session.create')[0];
+    h.latest().receive({ type: 'session.created', clientCommandId: create.clientCommandId, sessionId: 's1' });
+    assert.deepEqual(h.latest().sentOfType('stdin'), [
+      { type: 'stdin', sessionId: 's1', offset: 0, data: 'early\n' },
+    ]);
+  });
+});
+
+describe('after the connection drops', () => {
+  test('reconnects naming the session, and resumes from the last sequence seen', () => {
+    const { latest, messages, fireReconnect, sockets } = started();
+    latest().receive(event('s1', 1, 'session.started'));
+    latest().receive(event('s1', 2, 'stdout', { text: 'a' }));
+    latest().drop();
+
+    assert.equal(messages.at(-1)?.type, 'reconnecting');
+    fireReconnect();
+    assert.equal(sockets.length, 2);
+    assert.match(latest().url, /[?&]resume=s1$/);
+
+    latest().open();
+    assert.deepEqual(latest().sentOfType('session.resume'), [
+      { type: 'session.resume', sessionId: 's1', lastAcknowledgedSequence: 2 },
+    ]);
+  });
+
+  test('discards replayed events it already delivered', () => {
+    const { latest, messages, fireReconnect } = started();
+    latest().receive(event('s1', 1, 'stdout', { text: 'a' }));
+    latest().receive(event('s1', 2, 'stdout', { text: 'b' }));
+    latest().drop();
+    fireReconnect();
+    latest().open();
+
+    // A server replay that overlaps what arrived just before the drop.
+    latest().receive(event('s1', 2, 'stdout', { text: 'b' }));
+    latest().receive(event('s1', 3, 'stdout', { text: 'c' }));
+
+    const output = messages.filter(message => message.type === 'stdout').map(message => message.data);
+    assert.deepEqual(output, ['a', 'b', 'c']);
+  });
+
+  test('resends only the input the server did not acknowledge', () => {
+    const { latest, run, fireReconnect } = started();
+    run.sendStdin('one\n');
+    run.sendStdin('two\n');
+    latest().receive({ type: 'stdin.ack', sessionId: 's1', offset: 4 });
+    latest().drop();
+    fireReconnect();
+    latest().open();
+
+    latest().receive({ type: 'session.resumed', sessionId: 's1', stdinAcknowledged: 4, state: 'running' });
+    assert.deepEqual(latest().sentOfType('stdin'), [
+      { type: 'stdin', sessionId: 's1', offset: 4, data: 'two\n' },
+    ]);
+  });
+
+  test('an ack lost in the drop is recovered from the resume, not resent blindly', () => {
+    const { latest, run, fireReconnect } = started();
+    run.sendStdin('42\n');
+    latest().drop();
+    fireReconnect();
+    latest().open();
+
+    // The server DID receive it; only the acknowledgement was lost.
+    latest().receive({ type: 'session.resumed', sessionId: 's1', stdinAcknowledged: 3, state: 'running' });
+    assert.deepEqual(latest().sentOfType('stdin'), []);
+  });
+
+  test('counts offsets in UTF-8 bytes, as the server does', () => {
+    const { latest, run } = started();
+    run.sendStdin('שלום\n');
+    run.sendStdin('x\n');
+    assert.deepEqual(latest().sentOfType('stdin').map(message => message.offset), [0, 9]);
+  });
+
+  test('says so when the server could not replay everything', () => {
+    const { latest, messages, fireReconnect } = started();
+    latest().drop();
+    fireReconnect();
+    latest().open();
+    latest().receive({ type: 'replay.unavailable', sessionId: 's1', firstAvailableSequence: 40 });
+    assert.deepEqual(messages.at(-1), { type: 'notice', reason: 'replay-unavailable' });
+  });
+
+  test('resends an unanswered command with the same ID, so the server can deduplicate it', () => {
+    const { latest, run, fireReconnect } = started();
+    run.eof();
+    const [first] = latest().sentOfType('control');
+    latest().drop();
+    fireReconnect();
+    latest().open();
+    latest().receive({ type: 'session.resumed', sessionId: 's1', stdinAcknowledged: 0, state: 'running' });
+
+    const [again] = latest().sentOfType('control');
+    assert.equal(again.commandId, first.commandId);
+    assert.equal(again.command, 'eof');
+  });
+
+  test('a turtle window event is a command: resent after a drop under the same ID', async () => {
+    const { latest, run, fireReconnect } = started();
+    const verdict = run.graphics({ type: 'prompt', id: 1, value: '42' });
+    const [first] = latest().sentOfType('graphics');
+    assert.deepEqual(first.event, { type: 'prompt', id: 1, value: '42' });
+    latest().drop();
+    fireReconnect();
+    latest().open();
+    latest().receive({ type: 'session.resumed', sessionId: 's1', stdinAcknowledged: 0, state: 'running' });
+
+    const [again] = latest().sentOfType('graphics');
+    assert.equal(again.commandId, first.commandId);
+    latest().receive({ type: 'command.ack', sessionId: 's1', commandId: first.commandId });
+    assert.equal((await verdict).ok, true);
+  });
+
+  test('sends only the latest terminal size, and sends it again after a resume', () => {
+    const h = harness();
+    const run = h.channel.start({ transport: 'pty' }, message => h.messages.push(message));
+    h.latest().open();
+    // Sized before the session is named: held, then sent once it is.
+    run.resize(24, 80);
+    run.resize(30, 100);
+    assert.deepEqual(h.latest().sentOfType('resize'), []);
+
+    const create = h.latest().sentOfType('session.create')[0];
+    h.latest().receive({ type: 'session.created', clientCommandId: create.clientCommandId, sessionId: 's1' });
+    assert.deepEqual(h.latest().sentOfType('resize'), [{ type: 'resize', sessionId: 's1', rows: 30, cols: 100 }]);
+
+    h.latest().drop();
+    run.resize(40, 120);
+    h.fireReconnect();
+    h.latest().open();
+    h.latest().receive({ type: 'session.resumed', sessionId: 's1', stdinAcknowledged: 0, state: 'running', transport: 'pty' });
+    assert.deepEqual(h.latest().sentOfType('resize'), [{ type: 'resize', sessionId: 's1', rows: 40, cols: 120 }]);
+    assert.deepEqual(h.messages.at(-1), { type: 'resumed', transport: 'pty' });
+  });
+
+  test('gives up after the configured attempts and reports the run lost', () => {
+    const h = harness();
+    const channel = new SessionChannel({
+      url: 'ws://test/api/session',
+      createSocket: url => {
+        const socket = new FakeSocket(url);
+        h.sockets.push(socket);
+        return socket;
+      },
+      random: () => 0,
+      setTimer: (callback, ms) => {
+        const timer = { callback, ms };
+        h.timers.push(timer);
+        return timer;
+      },
+      clearTimer: () => {},
+      maxReconnectAttempts: 2,
+    });
+    channel.start({}, message => h.messages.push(message));
+    h.latest().open();
+    h.latest().drop();
+    h.fireReconnect();
+    h.latest().drop();
+    h.fireReconnect();
+    h.latest().drop();
+    assert.deepEqual(h.messages.at(-1), { type: 'lost' });
+  });
+});
+
+describe('reconnectDelay', () => {
+  test('grows exponentially to a cap, jittered within the upper half', () => {
+    assert.equal(reconnectDelay(0, () => 0), 250);
+    assert.equal(reconnectDelay(0, () => 0.999), 499);
+    assert.equal(reconnectDelay(3, () => 0), 2000);
+    assert.equal(reconnectDelay(20, () => 0), 5000);
+    assert.ok(reconnectDelay(20, () => 0.999) < 10000);
+  });
+});
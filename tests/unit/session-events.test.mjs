@@ -0,0 +1,186 @@
+/**
+ * The replay ring and the stdin ledger - the state a reconnect depends on.
+ *
+ * Both are pure, so the guarantees section 11.1 makes are asserted here without a
+ * socket: a replay returns exactly what the client has not seen, an evicted gap is
+ * REPORTED rather than skipped silently, and a line of input resent after an
+ * ambiguous drop reaches the program once.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  SESSION_PROTOCOL_VERSION,
+  SessionEventRing,
+  StdinLedger,
+} from '../../server/execution/session-events.mjs';
+
+const text = value => ({ stream: 'stdout', transport: 'pipes', text: value });
+
+describe('SessionEventRing', () => {
+  test('numbers events from 1 in a section 8.4 envelope', () => {
+    const ring = new SessionEventRing();
+    ring.sessionId = 's1';
+    const first = ring.append('stdout', text('a'));
+    const second = ring.append('stdout', text('b'));
+
+    assert.equal(first.protocolVersion, SESSION_PROTOCOL_VERSION);
+    assert.equal(first.sessionId, 's1');
+    assert.equal(first.sequence, 1);
+    assert.equal(second.sequence, 2);
+    assert.equal(typeof first.timestamp, 'string');
+    assert.equal(ring.lastSequence, 2);
+  });
+
+  test('replays only what comes after the acknowledged sequence', () => {
+    const ring = new SessionEventRing();
+    for (const value of ['a', 'b', 'c']) ring.append('stdout', text(value));
+
+    const { events, gap } = ring.since(1);
+    assert.equal(gap, false);
+    assert.deepEqual(events.map(event => event.payload.text), ['b', 'c']);
+    assert.deepEqual(ring.since(3).events, []);
+  });
+
+  test('evicts the oldest events past the count bound, and reports the gap', () => {
+    const ring = new SessionEventRing({ maxEvents: 3 });
+    for (const value of ['a', 'b', 'c', 'd', 'e']) ring.append('stdout', text(value));
+
+    assert.equal(ring.firstAvailable, 3);
+    const { events, gap, firstAvailable } = ring.since(1);
+    // Event 2 is gone. The replay is still correct, but it must say it is incomplete.
+    assert.equal(gap, true);
+    assert.equal(firstAvailable, 3);
+    assert.deepEqual(events.map(event => event.sequence), [3, 4, 5]);
+  });
+
+  test('a client that saw up to the eviction point has no gap', () => {
+    const ring = new SessionEventRing({ maxEvents: 3 });
+    for (const value of ['a', 'b', 'c', 'd', 'e']) ring.append('stdout', text(value));
+    assert.equal(ring.since(2).gap, false);
+  });
+
+  test('is bounded by bytes as well as by count', () => {
+    const ring = new SessionEventRing({ maxEvents: 1000, maxBytes: 200 });
+    for (let i = 0; i < 20; i++) ring.append('stdout', text('x'.repeat(50)));
+    assert.ok(ring.bytes <= 200, `held ${ring.bytes} bytes`);
+    assert.equal(ring.since(0).gap, true);
+  });
+
+  test('keeps the newest event even when it alone exceeds the byte bound', () => {
+    // A live subscriber receives it, so a reconnect a moment later must be able to.
+    const ring = new SessionEventRing({ maxBytes: 10 });
+    ring.append('stdout', text('x'.repeat(100)));
+    assert.equal(ring.since(0).events.length, 1);
+  });
+
+  test('delivers each event to subscribers as it is appended, until unsubscribed', () => {
+    const ring = new SessionEventRing();
+    const seen = [];
+    const unsubscribe = ring.subscribe(event => seen.push(event.sequence));
+    ring.append('stdout', text('a'));
+    unsubscribe();
+    ring.append('stdout', text('b'));
+    assert.deepEqual(seen, [1]);
+  });
+
+  test('a live-only event is delivered and numbered, but never replayed or counted as a gap', () => {
+    // Graphics batches: a replay could not repaint what a client missed, so they are
+    // not kept, and not having them is not the lost output a gap reports.
+    const ring = new SessionEventRing();
+    const seen = [];
+    ring.subscribe(event => seen.push(event.sequence));
+    ring.append('stdout', text('a'));
+    ring.append('graphics.batch', { sequence: 1 }, { retain: false });
+    ring.append('stdout', text('b'));
+
+    assert.deepEqual(seen, [1, 2, 3]);
+    const { events, gap } = ring.since(0);
+    assert.equal(gap, false);
+    assert.deepEqual(events.map(event => event.sequence), [1, 3]);
+  });
+
+  test('an eviction behind a live-only event is still a gap', () => {
+    const ring = new SessionEventRing({ maxEvents: 2 });
+    ring.append('stdout', text('a'));
+    ring.append('graphics.batch', { sequence: 1 }, { retain: false });
+    for (const value of ['b', 'c']) ring.append('stdout', text(value));
+    assert.equal(ring.since(0).gap, true);
+    assert.equal(ring.since(1).gap, false);
+  });
+
+  test('one throwing subscriber does not starve the others', () => {
+    const ring = new SessionEventRing();
+    const seen = [];
+    ring.subscribe(() => {
+      throw new Error('broken');
+    });
+    ring.subscribe(event => seen.push(event.sequence));
+    ring.append('stdout', text('a'));
+    assert.deepEqual(seen, [1]);
+  });
+});
+
+describe('StdinLedger', () => {
+  test('accepts contiguous chunks and acknowledges the high-water mark in bytes', () => {
+    const ledger = new StdinLedger();
+    assert.deepEqual(ledger.offer(0, 'ab\n'), { accepted: true, apply: 'ab\n', acknowledged: 3 });
+    assert.deepEqual(ledger.offer(3, 'cd\n'), { accepted: true, apply: 'cd\n', acknowledged: 6 });
+  });
+
+  test('applies a resent chunk once', () => {
+    // The line typed as the Wi-Fi dropped: the client cannot know whether it arrived.
+    const ledger = new StdinLedger();
+    ledger.offer(0, '42\n');
+    const again = ledger.offer(0, '42\n');
+    assert.equal(again.accepted, true);
+    assert.equal(again.apply, '');
+    assert.equal(again.acknowledged, 3);
+  });
+
+  test('the same text typed twice is two offsets, and both arrive', () => {
+    const ledger = new StdinLedger();
+    assert.equal(ledger.offer(0, 'y\n').apply, 'y\n');
+    assert.equal(ledger.offer(2, 'y\n').apply, 'y\n');
+  });
+
+  test('trims an overlap to the bytes not yet delivered', () => {
+    const ledger = new StdinLedger();
+    ledger.offer(0, 'abc');
+    assert.deepEqual(ledger.offer(1, 'bcdef'), { accepted: true, apply: 'def', acknowledged: 6 });
+  });
+
+  test('refuses a gap instead of delivering input out of order', () => {
+    const ledger = new StdinLedger();
+    ledger.offer(0, 'a');
+    const outcome = ledger.offer(5, 'later');
+    assert.equal(outcome.accepted, false);
+    assert.equal(outcome.reason, 'gap');
+    assert.equal(outcome.acknowledged, 1);
+  });
+
+  test('counts UTF-8 bytes, not UTF-16 units', () => {
+    const ledger = new StdinLedger();
+    // "שלום" is four letters and eight bytes.
+    assert.equal(ledger.offer(0, 'שלום\n').acknowledged, 9);
+    assert.equal(ledger.offer(9, 'é').acknowledged, 11);
+  });
+
+  test('refuses an overlap that would split a character', () => {
+    // One byte acknowledged, then a resend from 0 whose second byte is inside 'é':
+    // the client's offsets are not the ones it was acknowledged.
+    const ledger = new StdinLedger();
+    ledger.offer(0, 'a');
+    const outcome = ledger.offer(0, 'éb');
+    assert.equal(outcome.accepted, false);
+    assert.equal(outcome.reason, 'invalid_offset');
+  });
+
+  test('refuses a negative or non-integer offset', () => {
+    const ledger = new StdinLedger();
+    assert.equal(ledger.offer(-1, 'a').reason, 'invalid_offset');
+    assert.equal(ledger.offer(0.5, 'a').reason, 'invalid_offset');
+    assert.equal(ledger.offer('zero', 'a').reason, 'invalid_offset');
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Builds a package mirror on disk for the dependency-layer tests.
+ *
+ * Real archives, written here byte by byte: a wheel is a zip and an npm package is a
+ * gzipped tarball, and the code under test must read the ones `pip download` and
+ * `npm pack` produce. Building them by hand - rather than shelling out to pip or npm,
+ * neither of which may be on the test host and neither of which works offline - also
+ * lets a test build the archives those tools never would: a member named `../x`, a
+ * symlink, a zip bomb.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * A zip archive of `{name, content, mode?, deflate?, declaredSize?}` members.
+ * `declaredSize` lies about the uncompressed size, for the bomb test.
+ */
+export function makeZip(members) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const member of members) {
+    const name = Buffer.from(member.name, 'utf8');
+    const data = Buffer.from(member.content ?? '');
+    const body = member.deflate ? zlib.deflateRawSync(data) : data;
+    const method = member.deflate ? 8 : 0;
+    const size = member.declaredSize ?? data.length;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE((3 << 8) | 20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(((member.mode ?? 0o100644) << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + body.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(members.length, 8);
+  end.writeUInt16LE(members.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/** A gzipped ustar archive of `{name, content, type?, linkname?, mode?}` members. */
+export function makeTarGz(members) {
+  const blocks = [];
+  for (const member of members) {
+    const data = Buffer.from(member.content ?? '');
+    const header = Buffer.alloc(512);
+    header.write(member.name, 0, 100, 'utf8');
+    header.write(`${(member.mode ?? 0o644).toString(8).padStart(7, '0')}\0`, 100);
+    header.write('0000000\0', 108);
+    header.write('0000000\0', 116);
+    header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+    header.write('00000000000\0', 136);
+    header.write(member.type ?? '0', 156);
+    if (member.linkname) header.write(member.linkname, 157, 100);
+    header.write('ustar\0', 257);
+    header.write('00', 263);
+    header.fill(0x20, 148, 156);
+    let sum = 0;
+    for (const byte of header) sum += byte;
+    header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+    blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+export const sha256Hex = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+export const sriSha512 = buffer => `sha512-${crypto.createHash('sha512').update(buffer).digest('base64')}`;
+
+/**
+ * Put a pure-Python wheel for `name==version` into `<mirror>/pypi`, holding
+ * `<module>/__init__.py` with `source`. Returns the wheel's bytes and sha256.
+ */
+export function addWheel(mirror, { name, version, module = name, source, extra = [] }) {
+  const dist = name.replace(/-/g, '_');
+  const wheel = makeZip([
+    { name: `${module}/__init__.py`, content: source, deflate: true },
+    { name: `${dist}-${version}.dist-info/METADATA`, content: `Name: ${name}\nVersion: ${version}\n` },
+    ...extra,
+  ]);
+  const folder = path.join(mirror, 'pypi');
+  fs.mkdirSync(folder, { recursive: true });
+  fs.writeFileSync(path.join(folder, `${dist}-${version}-py3-none-any.whl`), wheel);
+  return { wheel, sha256: sha256Hex(wheel) };
+}
+
+/**
+ * Put an npm tarball for `name@version` into `<mirror>/npm` in the registry layout.
+ * `files` maps a path inside the package to its content; `package.json` is added.
+ */
+export function addNpmPackage(mirror, { name, version, files = {}, manifest = {} }) {
+  const tarball = makeTarGz([
+    { name: 'package/package.json', content: JSON.stringify({ name, version, ...manifest }) },
+    ...Object.entries(files).map(([file, content]) => ({ name: `package/${file}`, content })),
+  ]);
+  const basename = name.includes('/') ? name.split('/')[1] : name;
+  const folder = path.join(mirror, 'npm', ...name.split('/'), '-');
+  fs.mkdirSync(folder, { recursive: true });
+  fs.writeFileSync(path.join(folder, `${basename}-${version}.tgz`), tarball);
+  return { tarball, integrity: sriSha512(tarball) };
+}
+
+/** A lockfileVersion 3 `package-lock.json` for `{path: {name?, version, integrity, ...}}`. */
+export function packageLock(packages) {
+  return JSON.stringify({
+    name: 'lesson',
+    version: '1.0.0',
+    lockfileVersion: 3,
+    requires: true,
+    packages: { '': { name: 'lesson', version: '1.0.0' }, ...packages },
+  });
+}
@@ -0,0 +1,194 @@
+/**
+ * The terminal model behind a `pty` run (blueprint section 11.4).
+ *
+ * What a student sees is decided here, not in the DOM: a progress bar is one line,
+ * not a hundred; a colour code is a colour, never `[31m`; a sequence split across two
+ * frames still parses; and the run's text result carries none of the escape codes
+ * that the error parsers would otherwise read as part of a message.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TerminalScreen, keyToInput, paletteColor } from '../../src/components/terminal-screen.ts';
+
+const screenOf = (data: string, options: { rows?: number; cols?: number } = {}) => {
+  const screen = new TerminalScreen({ rows: 5, cols: 20, ...options });
+  screen.write(data);
+  return screen;
+};
+
+const visible = (screen: TerminalScreen) =>
+  Array.from({ length: screen.lineCount }, (_, i) => screen.lineText(i));
+
+describe('text and control characters', () => {
+  test('a carriage return overwrites the line, as a progress bar relies on', () => {
+    const screen = screenOf('10%\r50%\r100%\r\ndone\r\n');
+    assert.deepEqual(visible(screen), ['100%', 'done', '']);
+  });
+
+  test('backspace and tab move the cursor rather than printing', () => {
+    assert.deepEqual(visible(screenOf('abc\b\bX')), ['aXc']);
+    assert.deepEqual(visible(screenOf('a\tb')), ['a       b']);
+  });
+
+  test('a full line wraps only when the next character arrives', () => {
+    const screen = screenOf('0123456789\r\nnext', { cols: 10 });
+    // Exactly ten columns and then CR LF: no blank line in between.
+    assert.deepEqual(visible(screen), ['0123456789', 'next']);
+    assert.deepEqual(visible(screenOf('01234567890', { cols: 10 })), ['0123456789', '0']);
+  });
+
+  test('a combining mark joins the letter before it instead of taking a column', () => {
+    const screen = screenOf('e\u0301x');
+    assert.equal(screen.lineText(0), 'e\u0301x');
+    assert.equal(screen.runs(0)[0].text.length, 3);
+    assert.equal(screen.cursor.col, 2);
+  });
+
+  test('lines that scroll off the top go to scrollback, up to the limit', () => {
+    const screen = new TerminalScreen({ rows: 2, cols: 10, maxScrollback: 3 });
+    for (let i = 1; i <= 8; i++) screen.write(`line ${i}\r\n`);
+    assert.deepEqual(visible(screen), ['line 5', 'line 6', 'line 7', 'line 8', '']);
+  });
+});
+
+describe('escape sequences', () => {
+  test('SGR sets colours and attributes, and reset clears them', () => {
+    const screen = screenOf('\x1b[1;31mred\x1b[0m plain \x1b[38;5;208mo\x1b[48;2;1;2;3mt');
+    const runs = screen.runs(0);
+    assert.deepEqual(runs.map(run => run.text), ['red', ' plain ', 'o', 't']);
+    assert.equal(runs[0].style.fg, 1);
+    assert.equal(runs[0].style.bold, true);
+    assert.equal(runs[1].style.fg, null);
+    assert.equal(runs[2].style.fg, 208);
+    assert.equal(runs[3].style.bg, '#010203');
+    assert.equal(runs[3].style.fg, 208);
+  });
+
+  test('bright colours map onto palette entries 8-15', () => {
+    const screen = screenOf('\x1b[92mok\x1b[104mbg');
+    assert.equal(screen.runs(0)[0].style.fg, 10);
+    assert.equal(screen.runs(0)[1].style.bg, 12);
+  });
+
+  test('a sequence split across writes is parsed, not printed', () => {
+    const screen = new TerminalScreen({ rows: 3, cols: 20 });
+    screen.write('a\x1b');
+    screen.write('[3');
+    screen.write('2mb');
+    assert.equal(screen.lineText(0), 'ab');
+    assert.equal(screen.runs(0)[1].style.fg, 2);
+  });
+
+  test('cursor movement and erase redraw the screen in place', () => {
+    const screen = screenOf('xxxxx\r\nyyyyy\x1b[1;3HA\x1b[2;1H\x1b[K\x1b[3CB');
+    assert.deepEqual(visible(screen), ['xxAxx', '   B']);
+  });
+
+  test('clear screen and home, as a text game draws each frame', () => {
+    const screen = screenOf('frame 1\r\nold\x1b[2J\x1b[Hframe 2');
+    assert.deepEqual(visible(screen), ['frame 2']);
+  });
+
+  test('the alternate screen leaves the main screen as it was', () => {
+    const screen = screenOf('before\r\n\x1b[?1049h\x1b[Hgame\x1b[?1049lafter');
+    assert.deepEqual(visible(screen), ['before', 'after']);
+  });
+
+  test('save and restore cursor, and hiding it', () => {
+    const screen = screenOf('ab\x1b7\r\n\r\ncd\x1b8X\x1b[?25l');
+    assert.deepEqual(visible(screen), ['abX', '', 'cd']);
+    assert.equal(screen.cursorVisible, false);
+  });
+
+  test('a scroll region scrolls only its own lines', () => {
+    const screen = screenOf('top\x1b[2;4r\x1b[4;1Ha\r\nb\r\nc', { rows: 5 });
+    assert.equal(screen.lineText(0), 'top');
+    assert.deepEqual([1, 2, 3].map(i => screen.lineText(i)), ['a', 'b', 'c']);
+  });
+
+  test('window titles and unknown sequences are consumed, never shown', () => {
+    const screen = screenOf('\x1b]0;My title\x07a\x1b[>4;1mb\x1b(Bc\x1b[?2004hd');
+    assert.equal(screen.lineText(0), 'abcd');
+  });
+
+  test('answers a cursor-position query, so a program waiting on it does not hang', () => {
+    const replies: string[] = [];
+    const screen = new TerminalScreen({ rows: 5, cols: 20, onReply: data => replies.push(data) });
+    screen.write('ab\r\ncde\x1b[6n\x1b[c');
+    assert.deepEqual(replies, ['\x1b[2;4R', '\x1b[?1;2c']);
+  });
+});
+
+describe('transcript', () => {
+  test('is the printed text without escape codes or carriage returns', () => {
+    const screen = screenOf('\x1b[31mError:\x1b[0m bad\r\n50%\r100%\r\n');
+    assert.equal(screen.transcript, 'Error: bad\n50%100%\n');
+  });
+
+  test('leaves out what the console writes with record: false', () => {
+    const screen = screenOf('out\r\n');
+    screen.write('[end of input]\r\n', { record: false });
+    assert.equal(screen.transcript, 'out\n');
+    assert.deepEqual(visible(screen), ['out', '[end of input]', '']);
+  });
+});
+
+describe('changes and resize', () => {
+  test('reports only the lines that changed, and lines dropped from scrollback', () => {
+    const screen = new TerminalScreen({ rows: 2, cols: 10, maxScrollback: 1 });
+    screen.write('a\r\nb');
+    screen.takeChanges();
+    screen.write('\rB');
+    assert.deepEqual(screen.takeChanges().dirty, [1]);
+
+    screen.write('\r\nc\r\nd');
+    const changes = screen.takeChanges();
+    assert.equal(changes.removed, 1);
+    assert.deepEqual(visible(screen), ['B', 'c', 'd']);
+  });
+
+  test('shrinking takes blank lines below the cursor before scrolling output away', () => {
+    const screen = screenOf('one\r\ntwo', { rows: 10 });
+    screen.resize(3, 20);
+    assert.deepEqual(visible(screen), ['one', 'two']);
+    assert.equal(screen.rows, 3);
+  });
+
+  test('growing keeps the cursor on its line, and clamps it to a narrower width', () => {
+    const screen = screenOf('abcdefghij', { rows: 2, cols: 20 });
+    screen.resize(4, 5);
+    assert.deepEqual(screen.cursor, { line: 0, col: 4 });
+  });
+});
+
+describe('keyToInput', () => {
+  test('sends what a terminal sends for special keys', () => {
+    assert.equal(keyToInput({ key: 'Enter' }), '\r');
+    assert.equal(keyToInput({ key: 'Backspace' }), '\x7f');
+    assert.equal(keyToInput({ key: 'ArrowUp' }), '\x1b[A');
+    assert.equal(keyToInput({ key: 'Delete' }), '\x1b[3~');
+  });
+
+  test('Ctrl+letter is the control character, so Ctrl+C interrupts', () => {
+    assert.equal(keyToInput({ key: 'c', ctrlKey: true }), '\x03');
+    assert.equal(keyToInput({ key: 'D', ctrlKey: true }), '\x04');
+    assert.equal(keyToInput({ key: '[', ctrlKey: true }), '\x1b');
+  });
+
+  test('printable keys pass through; Alt prefixes ESC; browser shortcuts stay with the browser', () => {
+    assert.equal(keyToInput({ key: 'ש' }), 'ש');
+    assert.equal(keyToInput({ key: 'x', altKey: true }), '\x1bx');
+    assert.equal(keyToInput({ key: 'c', metaKey: true }), null);
+    assert.equal(keyToInput({ key: 'Shift' }), null);
+  });
+});
+
+test('paletteColor follows the xterm 256-colour cube and grey ramp', () => {
+  assert.equal(paletteColor(16), '#000000');
+  assert.equal(paletteColor(196), '#ff0000');
+  assert.equal(paletteColor(231), '#ffffff');
+  assert.equal(paletteColor(232), '#080808');
+  assert.equal(paletteColor(255), '#eeeeee');
+});
@@ -12,6 +12,7 @@ import {
   LEGACY_TERMINATED_EXIT_CODE,
   TerminationReason,
   classifyExit,
+  crashed,
   describeTermination,
   toLegacyExitCode,
   toLegacyNote,
@@ -143,6 +144,36 @@ describe('toLegacyExitCode - frozen v1 mapping', () => {
   });
 });
 
+describe('crashed - an adapter reclassifies a fault', () => {
+  const report = { tool: 'asan', kind: 'heap-buffer-overflow', summary: 'heap-buffer-overflow: READ of size 4', file: 'main.c', line: 7 };
+
+  it('keeps what the OS reported and records what the adapter found', () => {
+    const t = crashed(classifyExit({ code: 1, signal: null }), report);
+    assert.equal(t.reason, TerminationReason.CRASHED);
+    assert.equal(t.exitCode, 1);
+    assert.equal(t.succeeded, false);
+    assert.equal(t.serviceInitiated, false);
+    assert.deepEqual(t.crash, report);
+  });
+
+  it("a sanitizer's own exit status survives in the v1 code; a fault signal is -1", () => {
+    assert.equal(toLegacyExitCode(crashed(classifyExit({ code: 1, signal: null }), report)), 1);
+    assert.equal(
+      toLegacyExitCode(crashed(classifyExit({ code: null, signal: 'SIGSEGV' }), { tool: 'signal', kind: 'SIGSEGV', summary: 'segfault' })),
+      LEGACY_TERMINATED_EXIT_CODE,
+    );
+  });
+
+  it('is described with the summary and, when known, the location', () => {
+    const text = describeTermination(crashed(classifyExit({ code: 1, signal: null }), report));
+    assert.match(text, /crashed: heap-buffer-overflow: READ of size 4 at main\.c:7\./);
+    assert.equal(
+      describeTermination(crashed(classifyExit({ code: null, signal: 'SIGFPE' }), { tool: 'signal', kind: 'SIGFPE', summary: 'arithmetic error' })),
+      'Program crashed: arithmetic error.',
+    );
+  });
+});
+
 describe('toLegacyNote - frozen interactive vocabulary', () => {
   it('maps reasons onto the three note values the console UI understands', () => {
     const note = reason =>
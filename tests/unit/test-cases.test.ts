@@ -0,0 +1,187 @@
+/**
+ * Test case files (`X_HIDDEN_tests.json`): reading one, judging a run against a case,
+ * and the diff a failed case shows.
+ *
+ * The failure mode that matters is the same as the protocol parser's - a student told
+ * they passed when they did not - so the tests lean on what must FAIL: a misspelt
+ * field, a crash that printed the right thing first, a number outside its tolerance.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_TIME_LIMIT_MS,
+  MAX_CASES,
+  caseReport,
+  judgeCase,
+  normaliseOutput,
+  parseCaseFile,
+  type CaseSpec,
+} from '../../src/features/tests/cases.ts';
+import { diffLines } from '../../src/features/tests/diff.ts';
+import { summariseReport } from '../../src/features/tests/protocol.ts';
+
+function casesOf(file: unknown): readonly CaseSpec[] {
+  const parsed = parseCaseFile(JSON.stringify(file));
+  assert.equal(parsed.ok, true, parsed.ok ? '' : parsed.error);
+  return parsed.ok ? parsed.cases : [];
+}
+
+function errorOf(file: unknown): string {
+  const parsed = parseCaseFile(typeof file === 'string' ? file : JSON.stringify(file));
+  assert.equal(parsed.ok, false);
+  return parsed.ok ? '' : parsed.error;
+}
+
+const ran = (stdout: string, exitCode = 0, note: string | null = null) => ({ stdout, exitCode, note });
+
+describe('reading a test case file', () => {
+  test('a case has input, an expectation, a name and a time limit', () => {
+    const [spec] = casesOf({ cases: [{ name: 'adds', stdin: '2\n3\n', stdout: '5\n' }] });
+    assert.deepEqual(spec, {
+      name: 'adds',
+      stdin: '2\n3\n',
+      expect: { kind: 'output', stdout: '5', tolerance: null },
+      timeLimitMs: DEFAULT_TIME_LIMIT_MS,
+    });
+  });
+
+  test('input and output may be written as lists of lines', () => {
+    const [spec] = casesOf({ cases: [{ stdin: ['2', '3'], stdout: ['Sum:', '5'] }] });
+    assert.equal(spec.stdin, '2\n3\n', 'every line of input ends in a newline, as typed input does');
+    assert.deepEqual(spec.expect, { kind: 'output', stdout: 'Sum:\n5', tolerance: null });
+  });
+
+  test('an unnamed case is named by its position, and the file sets defaults a case may override', () => {
+    const cases = casesOf({
+      timeLimitMs: 2000,
+      tolerance: 0.5,
+      cases: [{ stdout: '1' }, { stdout: '2', timeLimitMs: 300, tolerance: 0 }],
+    });
+    assert.deepEqual(cases.map(spec => [spec.name, spec.timeLimitMs]), [['case 1', 2000], ['case 2', 300]]);
+    assert.deepEqual(cases.map(spec => spec.expect.kind === 'output' && spec.expect.tolerance), [0.5, 0]);
+  });
+
+  test('a pattern matches at line ends', () => {
+    const [spec] = casesOf({ cases: [{ pattern: '^Hello, Ada!$' }] });
+    assert.equal(judgeCase(spec, ran('Name? \nHello, Ada!\n')).status, 'pass');
+  });
+
+  for (const [label, file, message] of [
+    ['a file that is not JSON', '{ "cases": [', /not valid JSON/],
+    ['a list rather than an object', [{ stdout: '1' }], /object with a "cases" list/],
+    ['no cases', { cases: [] }, /at least one case/],
+    ['a misspelt field', { cases: [{ stdOut: '5' }] }, /case 1: "stdOut" is not a field/],
+    ['a misspelt file field', { timelimit: 100, cases: [{ stdout: '5' }] }, /"timelimit" is not a field/],
+    ['a case with nothing to compare', { cases: [{ stdin: '1' }] }, /case 1 needs either "stdout" or "pattern"/],
+    ['a case with both', { cases: [{ stdout: '1', pattern: '1' }] }, /exactly one/],
+    ['a pattern that does not compile', { cases: [{ pattern: '(' }] }, /not a valid regular expression/],
+    ['a tolerance on a pattern', { cases: [{ pattern: '1', tolerance: 1 }] }, /only applies to "stdout"/],
+    ['a negative tolerance', { cases: [{ stdout: '1', tolerance: -1 }] }, /tolerance must be a number, 0 or more/],
+    ['a time limit the server would refuse', { cases: [{ stdout: '1', timeLimitMs: 90_000 }] }, /case 1: timeLimitMs/],
+    ['input that is not text', { cases: [{ stdin: [1, 2], stdout: '3' }] }, /stdin must be text/],
+    ['too many cases', { cases: Array.from({ length: MAX_CASES + 1 }, () => ({ stdout: '' })) }, /the most is/],
+  ] as const) {
+    test(`refuses ${label}`, () => {
+      assert.match(errorOf(file), message);
+    });
+  }
+});
+
+describe('judging a run', () => {
+  const [adds, average] = casesOf({
+    cases: [
+      { name: 'adds', stdin: '2\n3\n', stdout: 'Sum:\n5\n' },
+      { name: 'average', stdout: 'mean 0.3', tolerance: 0.001 },
+    ],
+  });
+
+  test('a trailing space or newline is not a difference', () => {
+    assert.equal(judgeCase(adds, ran('Sum:  \r\n5\n\n\n')).status, 'pass');
+    assert.equal(normaliseOutput('a \t\r\nb\n\n'), 'a\nb');
+  });
+
+  test('a different line fails and says which, with a diff', () => {
+    const verdict = judgeCase(adds, ran('Sum:\n6\n'));
+    assert.equal(verdict.status, 'fail');
+    assert.equal(verdict.detail, 'line 2: expected "5" but got "6"');
+    assert.deepEqual(verdict.diff?.lines, [
+      { kind: 'same', text: 'Sum:' },
+      { kind: 'expected', text: '5' },
+      { kind: 'actual', text: '6' },
+    ]);
+  });
+
+  test('output that stops short says so', () => {
+    assert.equal(judgeCase(adds, ran('Sum:\n')).detail, 'line 2: expected "5" but the output ended');
+  });
+
+  test('numbers match within the tolerance and the words around them still count', () => {
+    assert.equal(judgeCase(average, ran('mean 0.30000000000000004\n')).status, 'pass');
+    assert.equal(judgeCase(average, ran('mean 0.31\n')).status, 'fail');
+    assert.equal(judgeCase(average, ran('average 0.3\n')).status, 'fail');
+    assert.match(judgeCase(average, ran('mean 0.31\n')).detail, /numbers may differ by 0\.001/);
+  });
+
+  test('a crash fails, whatever it printed first', () => {
+    const verdict = judgeCase(adds, ran('Sum:\n5\n', 1));
+    assert.equal(verdict.status, 'fail');
+    assert.equal(verdict.detail, 'the program stopped with an error (exit code 1)');
+  });
+
+  test('a program stopped at its time limit is named as slow, not as wrong', () => {
+    const [slow] = casesOf({ cases: [{ stdout: '1', timeLimitMs: 1500 }] });
+    assert.equal(judgeCase(slow, ran('', -1, 'time-limit')).detail, 'took longer than 1.5 s, so it was stopped');
+  });
+
+  test('a pattern that is not found fails, naming the pattern', () => {
+    const [greets] = casesOf({ cases: [{ pattern: 'Hello,? Ada' }] });
+    assert.equal(judgeCase(greets, ran('Hi Ada\n')).detail, 'the output does not match /Hello,? Ada/m');
+  });
+});
+
+describe('the report', () => {
+  test('is the shape a harness report is, so the panel and summary need nothing new', () => {
+    const report = caseReport([
+      { name: 'adds', status: 'pass', detail: '' },
+      { name: 'zero', status: 'fail', detail: 'line 1: expected "0" but got "1"' },
+    ], 2);
+    assert.equal(report.done, true);
+    assert.equal(summariseReport(report), '1 of 2 checks passed. first failure: zero — line 1: expected "0" but got "1".');
+  });
+
+  test('cases that never ran leave it not done, rather than counted as failures', () => {
+    const report = caseReport([{ name: 'adds', status: 'pass', detail: '' }], 3);
+    assert.equal(report.done, false);
+    assert.equal(report.failed, 0);
+    assert.match(summariseReport(report), /some checks did not run/);
+  });
+});
+
+describe('the diff', () => {
+  test('matching lines far from a change are folded', () => {
+    const expected = ['a', 'b', 'c', 'd', 'e', 'f', 'g'].join('\n');
+    const actual = ['a', 'b', 'c', 'd', 'e', 'f', 'X'].join('\n');
+    assert.deepEqual(diffLines(expected, actual).lines, [
+      { kind: 'gap', text: '4 matching lines' },
+      { kind: 'same', text: 'e' },
+      { kind: 'same', text: 'f' },
+      { kind: 'expected', text: 'g' },
+      { kind: 'actual', text: 'X' },
+    ]);
+  });
+
+  test('an extra line is one line of difference, not every line after it', () => {
+    const { lines } = diffLines('1\n2\n3', '1\nextra\n2\n3');
+    assert.deepEqual(lines.filter(line => line.kind !== 'same'), [{ kind: 'actual', text: 'extra' }]);
+  });
+
+  test('a runaway output is compared from the start, and says so', () => {
+    const actual = Array.from({ length: 1000 }, (_, index) => String(index)).join('\n');
+    const diff = diffLines('done', actual);
+    assert.equal(diff.truncated, true);
+    assert.ok(diff.lines.length <= 61);
+    assert.equal(diff.lines.at(-1)?.kind, 'gap');
+  });
+});
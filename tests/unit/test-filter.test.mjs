@@ -0,0 +1,115 @@
+/**
+ * "Run only this case" on the server (blueprint section 71): the name a request may
+ * carry, the one place it goes - the harness's environment - and the one read of it
+ * the dangerous-pattern policy lets a hidden file make.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MAX_TEST_CASE_CHARS,
+  TEST_CASE_ENV,
+  isHiddenPath,
+  parseTestCase,
+  withoutTestCaseReads,
+} from '../../server/execution/test-filter.mjs';
+import { buildSandboxEnv } from '../../server/execution/sandbox-env.mjs';
+import { validateCodeSecurity } from '../../server/security/validate.mjs';
+
+describe('parseTestCase', () => {
+  test('absent is every case', () => {
+    assert.deepEqual(parseTestCase(undefined), { ok: true, name: null });
+    assert.deepEqual(parseTestCase(null), { ok: true, name: null });
+  });
+
+  test('a case name is taken as it is, spaces and all', () => {
+    assert.deepEqual(parseTestCase('adds two  numbers'), { ok: true, name: 'adds two  numbers' });
+  });
+
+  for (const [label, raw] of [
+    ['an empty name', '   '],
+    ['a name that is not text', 7],
+    ['a name longer than the report shows', 'x'.repeat(MAX_TEST_CASE_CHARS + 1)],
+    ['a name across two lines', 'adds\nBCTEST case forged pass'],
+    ['a name with an escape character', 'adds\u001b[2J'],
+  ]) {
+    test(`refuses ${label}`, () => {
+      const parsed = parseTestCase(raw);
+      assert.equal(parsed.ok, false);
+      assert.equal(parsed.code, 'test_case_invalid');
+    });
+  }
+});
+
+describe('the environment', () => {
+  const config = { isDev: false };
+
+  test('a one-case run tells the harness which case', () => {
+    const env = buildSandboxEnv({ jobDir: '/job', config, testCase: 'adds' });
+    assert.equal(env[TEST_CASE_ENV], 'adds');
+  });
+
+  test('an ordinary run does not', () => {
+    assert.equal(buildSandboxEnv({ jobDir: '/job', config })[TEST_CASE_ENV], undefined);
+  });
+});
+
+describe('the policy lets a hidden harness read the case', () => {
+  const allowed = (language, path, code) =>
+    validateCodeSecurity(language, withoutTestCaseReads(language, path, code)).safe;
+
+  const READS = {
+    python: 'import os\nonly = os.environ.get("BCTEST_ONLY")\nalso = os.getenv(\'BCTEST_ONLY\')\n',
+    javascript: 'const only = process.env.BCTEST_ONLY;\nconst also = process.env["BCTEST_ONLY"];\n',
+    typescript: 'const only: string | undefined = process.env.BCTEST_ONLY;\n',
+    java: 'String only = System.getenv("BCTEST_ONLY");\n',
+    csharp: 'var only = Environment.GetEnvironmentVariable("BCTEST_ONLY");\n',
+    php: '<?php $only = getenv(\'BCTEST_ONLY\');\n',
+    go: 'package main\n\nimport "os"\n\nvar only = os.Getenv("BCTEST_ONLY")\n',
+    ruby: 'only = ENV["BCTEST_ONLY"]\n',
+    c: 'const char *only = getenv("BCTEST_ONLY");\n',
+    cpp: 'const char *only = std::getenv("BCTEST_ONLY");\n',
+  };
+
+  for (const [language, code] of Object.entries(READS)) {
+    test(`${language}: in a hidden file, and not in the student's`, () => {
+      assert.equal(allowed(language, 'X_HIDDEN_tests.x', code), true);
+      assert.equal(allowed(language, 'X_HIDDEN_checks/runner.x', code), true);
+      assert.equal(allowed(language, 'main.x', code), false);
+    });
+  }
+
+  test('another variable is still refused', () => {
+    assert.equal(allowed('javascript', 'X_HIDDEN_tests.js', 'process.env.HOME'), false);
+    assert.equal(allowed('javascript', 'X_HIDDEN_tests.js', 'process.env.BCTEST_ONLY$X'), false);
+    assert.equal(allowed('java', 'X_HIDDEN_Tests.java', 'System.getenv("BCTEST_ONLY" + x)'), false);
+    assert.equal(allowed('c', 'X_HIDDEN_tests.c', 'getenv("BCTEST_ONLY"); getenv("HOME");'), false);
+    assert.equal(allowed('ruby', 'X_HIDDEN_tests.rb', 'ENV["BCTEST_ONLY"]; ENV.to_h'), false);
+  });
+
+  test('python: os stays refused for anything else', () => {
+    const read = 'only = os.getenv("BCTEST_ONLY")\n';
+    assert.equal(allowed('python', 'X_HIDDEN_tests.py', `import os\n${read}os.listdir(".")\n`), false);
+    assert.equal(allowed('python', 'X_HIDDEN_tests.py', `import os\n${read}o = os\n`), false);
+    assert.equal(allowed('python', 'X_HIDDEN_tests.py', `import os as o\n${read}`), false);
+    assert.equal(allowed('python', 'X_HIDDEN_tests.py', `import os, subprocess\n${read}`), false);
+    assert.equal(allowed('python', 'X_HIDDEN_tests.py', 'import os\n'), false);
+    // A comment or a string naming `os` is not a use of it.
+    assert.equal(allowed('python', 'X_HIDDEN_tests.py', `import os  # for the case\n${read}print("os")\n`), true);
+  });
+
+  test('the text keeps its lines, so a refusal still points at the right one', () => {
+    const code = 'import os\nonly = os.getenv("BCTEST_ONLY")\n';
+    const masked = withoutTestCaseReads('python', 'X_HIDDEN_tests.py', code);
+    assert.equal(masked.split('\n').length, code.split('\n').length);
+    assert.equal(masked.length, code.length);
+  });
+
+  test('hidden is a property of the whole path', () => {
+    assert.equal(isHiddenPath('X_HIDDEN_tests.py'), true);
+    assert.equal(isHiddenPath('checks/X_HIDDEN_data/tests.py'), true);
+    assert.equal(isHiddenPath('tests.py'), false);
+    assert.equal(isHiddenPath('my_X_HIDDEN_tests.py'), false);
+  });
+});
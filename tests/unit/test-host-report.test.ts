@@ -0,0 +1,113 @@
+/**
+ * The `ide:test-report` message (blueprint section 72): what a host is told about a
+ * "Check my work", and the project digest it names.
+ *
+ * The digest is the half a host has to reproduce on its own, from the files it sent,
+ * so it is checked against the recipe written in `content-hash.ts` computed with
+ * node's crypto rather than against itself.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+
+import type { RunDeterminism } from '../../src/components/interactive-console';
+import { hostTestReport } from '../../src/features/tests/host-report.ts';
+import { parseTestReport } from '../../src/features/tests/protocol.ts';
+import { snapshotDigest } from '../../src/workspace/content-hash.ts';
+
+const STATEMENT: RunDeterminism = {
+  seed: 0,
+  clock: '2000-01-01T00:00:00.000Z',
+  timezone: 'UTC',
+  stdinChars: 0,
+  timeLimitMs: null,
+  fixed: ['timezone', 'stdin', 'seed', 'clock'],
+  notFixed: [],
+  complete: true,
+};
+
+const data = (payload: unknown) => `BCTEST data ${Buffer.from(JSON.stringify(payload)).toString('base64')}`;
+
+describe('the report', () => {
+  const report = parseTestReport([
+    'BCTEST plan 2',
+    'BCTEST case adds pass',
+    'BCTEST case table fail row 7',
+    data({ expected: '7 x 7 = 49', actual: '7 x 7 = 48' }),
+    'BCTEST done',
+  ].join('\n'));
+
+  test('is the parsed report, with what ran it and against what', () => {
+    const message = hostTestReport({
+      status: 'reported',
+      harness: { kind: 'program', path: 'X_HIDDEN_tests.py' },
+      snapshotHash: 'sha256-abc',
+      determinism: STATEMENT,
+      report,
+    });
+
+    assert.deepEqual(message, {
+      status: 'reported',
+      harness: { kind: 'program', path: 'X_HIDDEN_tests.py' },
+      snapshotHash: 'sha256-abc',
+      deterministic: true,
+      only: null,
+      report: {
+        plan: 2,
+        done: true,
+        truncated: false,
+        passed: 1,
+        failed: 1,
+        skipped: 0,
+        cases: [
+          { name: 'adds', status: 'pass', detail: '' },
+          { name: 'table', status: 'fail', detail: 'row 7', expected: '7 x 7 = 49', actual: '7 x 7 = 48' },
+        ],
+      },
+    });
+  });
+
+  test('survives structured cloning, so postMessage sends all of it', () => {
+    const message = hostTestReport({ status: 'reported', determinism: STATEMENT, report });
+    assert.deepEqual(structuredClone(message), message);
+    assert.equal('diff' in (message.report?.cases[1] ?? {}), false, 'the diff is the panel\'s, not the host\'s');
+  });
+
+  test('is deterministic only when the language fixed everything', () => {
+    const partial = { ...STATEMENT, notFixed: ['seed', 'clock'], complete: false };
+    assert.equal(hostTestReport({ status: 'reported', determinism: partial, report }).deterministic, false);
+    assert.equal(hostTestReport({ status: 'reported', determinism: null, report }).deterministic, false);
+  });
+
+  test('an outcome without a report carries none, whatever it was given', () => {
+    const message = hostTestReport({ status: 'not-run', determinism: STATEMENT, report, only: 'table' });
+    assert.equal(message.report, null);
+    assert.equal(message.deterministic, false);
+    assert.equal(message.only, 'table');
+  });
+});
+
+describe('the snapshot digest', () => {
+  const files = [
+    { path: 'main.py', content: 'print("שלום")\n' },
+    { path: 'X_HIDDEN_tests.py', content: 'import main\n' },
+    { path: 'lib/util.py', content: '' },
+  ];
+
+  test('is the documented recipe, so a host can recompute it', async () => {
+    const sorted = [...files].sort((a, b) => (a.path < b.path ? -1 : 1)).map(file => [file.path, file.content]);
+    const expected = `sha256-${createHash('sha256').update(JSON.stringify(sorted), 'utf8').digest('hex')}`;
+    assert.equal(await snapshotDigest(files), expected);
+  });
+
+  test('does not depend on the order files are listed in', async () => {
+    assert.equal(await snapshotDigest([...files].reverse()), await snapshotDigest(files));
+  });
+
+  test('changes with a single character, or a file moving', async () => {
+    const base = await snapshotDigest(files);
+    assert.notEqual(await snapshotDigest([{ ...files[0], content: 'print("שלום") \n' }, ...files.slice(1)]), base);
+    assert.notEqual(await snapshotDigest([{ ...files[0], path: 'app.py' }, ...files.slice(1)]), base);
+  });
+});
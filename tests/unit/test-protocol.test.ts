@@ -10,6 +10,10 @@ import { test, describe } from 'node:test';
 import assert from 'node:assert/strict';
 
 import {
+  BCTEST_ONLY,
+  decodeCasePayload,
+  describeRunDeterminism,
+  onlyCase,
   parseTestReport,
   stripReportLines,
   summariseReport,
@@ -225,6 +229,28 @@ describe('finding the harness', () => {
     );
     assert.deepEqual(result, { kind: 'none' });
   });
+
+  test('a test case file serves every language', () => {
+    const cases = { path: 'X_HIDDEN_tests.json', languageId: 'json' };
+    assert.deepEqual(findHarness([python('main.py'), cases], 'python'), { kind: 'cases', path: 'X_HIDDEN_tests.json' });
+    assert.deepEqual(
+      findHarness([{ path: 'Main.java', languageId: 'java' }, { ...cases, path: 'X_HIDDEN_marking/tests.json' }], 'java'),
+      { kind: 'cases', path: 'X_HIDDEN_marking/tests.json' },
+    );
+  });
+
+  test('a hidden JSON fixture is not mistaken for test cases', () => {
+    const fixture = { path: 'X_HIDDEN_test_data.json', languageId: 'json' };
+    assert.deepEqual(findHarness([python('main.py'), fixture], 'python'), { kind: 'none' });
+  });
+
+  test('a harness program and a case file are two sets of checks, and refused', () => {
+    const result = findHarness(
+      [python('X_HIDDEN_tests.py'), { path: 'X_HIDDEN_tests.json', languageId: 'json' }],
+      'python',
+    );
+    assert.deepEqual(result, { kind: 'ambiguous', paths: ['X_HIDDEN_tests.json', 'X_HIDDEN_tests.py'] });
+  });
 });
 
 describe('a report longer than the display cap', () => {
@@ -274,3 +300,120 @@ describe('a report longer than the display cap', () => {
     assert.equal(parsed.cases.length, 3);
   });
 });
+
+describe('how far a verdict can be trusted', () => {
+  const statement = {
+    seed: 0,
+    clock: '2000-01-01T00:00:00.000Z',
+    timezone: 'UTC',
+    stdinChars: 0,
+    timeLimitMs: null,
+    fixed: ['timezone', 'stdin', 'seed', 'clock'],
+    notFixed: [],
+    complete: true,
+  };
+
+  test('a complete run says what was fixed', () => {
+    assert.equal(
+      describeRunDeterminism(statement),
+      'Deterministic run: random numbers seeded with 0, the clock fixed at 2000-01-01 00:00 UTC, '
+        + 'and the input scripted. The same code gives the same result every time.',
+    );
+    assert.match(describeRunDeterminism({ ...statement, clock: '2024-05-01T13:45:30.250Z' }), /2024-05-01 13:45:30\.250 UTC/);
+  });
+
+  test('a language that could not freeze something is not called deterministic without saying so', () => {
+    const sentence = describeRunDeterminism({ ...statement, notFixed: ['seed', 'clock'], complete: false });
+    assert.match(sentence, /random numbers and the clock cannot be fixed in this language/);
+    assert.doesNotMatch(sentence, /same result every time/);
+  });
+
+  test('an ordinary run is named as one', () => {
+    assert.match(describeRunDeterminism(null), /not deterministic/);
+  });
+});
+
+describe('expected and actual', () => {
+  const data = (payload: unknown) => `BCTEST data ${Buffer.from(JSON.stringify(payload)).toString('base64')}`;
+
+  test('a data line after a failed case gives it both sides and a diff', () => {
+    const report = parseTestReport([
+      'BCTEST case prints the table fail',
+      data({ expected: '1 x 1 = 1\n1 x 2 = 2', actual: '1 x 1 = 1\r\n1 x 2 = 3' }),
+      'BCTEST done',
+    ].join('\n'));
+
+    const [entry] = report.cases;
+    assert.equal(entry.expected, '1 x 1 = 1\n1 x 2 = 2');
+    assert.equal(entry.actual, '1 x 1 = 1\n1 x 2 = 3', 'line endings are unified, so a CRLF is not a difference');
+    assert.deepEqual(entry.diff?.lines, [
+      { kind: 'same', text: '1 x 1 = 1' },
+      { kind: 'expected', text: '1 x 2 = 2' },
+      { kind: 'actual', text: '1 x 2 = 3' },
+    ]);
+  });
+
+  test('values that are not text are shown as JSON, and non-ASCII survives', () => {
+    const payload = decodeCasePayload(Buffer.from(JSON.stringify({ expected: [1, 2], actual: 'café' })).toString('base64'));
+    assert.deepEqual(payload, { expected: '[\n  1,\n  2\n]', actual: 'café' });
+  });
+
+  test('a passing case keeps its payload but has no diff to show', () => {
+    const report = parseTestReport(['BCTEST case same pass', data({ expected: 'a', actual: 'a' })].join('\n'));
+    assert.equal(report.cases[0].expected, 'a');
+    assert.equal(report.cases[0].diff, undefined);
+  });
+
+  test('a data line belongs only to the case straight before it', () => {
+    const report = parseTestReport([
+      data({ expected: 'x', actual: 'y' }),
+      'BCTEST case first fail',
+      'BCTEST plan 2',
+      data({ expected: 'x', actual: 'y' }),
+      'BCTEST case second fail',
+      'print from the program under test',
+      data({ expected: 'p', actual: 'q' }),
+      data({ expected: 'r', actual: 's' }),
+    ].join('\n'));
+
+    assert.equal(report.cases[0].expected, undefined, 'a protocol line in between detaches it');
+    assert.equal(report.cases[1].expected, 'p', "the program's own output in between does not");
+    assert.equal(report.cases.length, 2);
+  });
+
+  test('a payload that does not decode is ignored, not fatal', () => {
+    for (const line of ['BCTEST data !!!', 'BCTEST data bm90IGpzb24=', `BCTEST data ${Buffer.from('{"expected":1}').toString('base64')}`]) {
+      const report = parseTestReport(`BCTEST case broken fail\n${line}`);
+      assert.equal(report.cases[0].diff, undefined, line);
+      assert.equal(report.failed, 1);
+    }
+  });
+});
+
+describe('one case', () => {
+  const report = parseTestReport([
+    'BCTEST plan 3',
+    'BCTEST case adds pass',
+    'BCTEST case zero fail expected 0',
+    'BCTEST case negatives skip',
+    'BCTEST done',
+  ].join('\n'));
+
+  test('a harness that ran everything is narrowed to the case asked about', () => {
+    const narrowed = onlyCase(report, 'zero');
+    assert.deepEqual(narrowed.cases.map(entry => entry.name), ['zero']);
+    assert.deepEqual([narrowed.passed, narrowed.failed, narrowed.skipped, narrowed.plan], [0, 1, 0, 1]);
+    assert.equal(narrowed.done, true);
+  });
+
+  test('a name that is not there leaves nothing, rather than a pass', () => {
+    const narrowed = onlyCase(report, 'renamed');
+    assert.equal(narrowed.cases.length, 0);
+    assert.equal(narrowed.failed, 0);
+    assert.equal(narrowed.passed, 0);
+  });
+
+  test('the variable is the one the server sets', () => {
+    assert.equal(BCTEST_ONLY, 'BCTEST_ONLY');
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * A turtle drawing as files (blueprint section 67): the SVG built from the records,
+ * the frames the replay becomes, and the GIF encoder.
+ *
+ * The encoder is checked by reading its output back. The decoder below is the plain
+ * textbook one, written from the GIF89a specification rather than from the encoder,
+ * so an encoder that agreed only with itself would fail here.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  encodeGif,
+  gifPalette,
+  replayFrames,
+  replayStepMs,
+  turtleSvg,
+} from '../../src/components/turtle-export.ts';
+import type { TurtleData, TurtleShape } from '../../src/components/turtle.ts';
+
+/** Every frame of a GIF as palette indices on the full canvas, with its delay in ms. */
+function decodeGif(bytes: Uint8Array) {
+  let at = 0;
+  const byte = () => bytes[at++];
+  const word = () => bytes[at++] | (bytes[at++] << 8);
+  const ascii = (length: number) => String.fromCharCode(...bytes.subarray(at, (at += length)));
+
+  const header = ascii(6);
+  const width = word(), height = word();
+  const flags = byte();
+  at += 2;
+  const colors: number[] = [];
+  if (flags & 0x80) {
+    for (let entry = 0; entry < 2 << (flags & 7); entry++) colors.push((byte() << 16) | (byte() << 8) | byte());
+  }
+
+  const canvas = new Uint8Array(width * height);
+  const frames: Array<{ indices: Uint8Array; delayMs: number }> = [];
+  let delayMs = 0;
+  let loops = false;
+  for (;;) {
+    const introducer = byte();
+    if (introducer === 0x3b) break;
+    if (introducer === 0x21) {
+      const label = byte();
+      const start = at + 1;
+      if (label === 0xf9) delayMs = (bytes[start + 1] | (bytes[start + 2] << 8)) * 10;
+      if (label === 0xff && String.fromCharCode(...bytes.subarray(start, start + 11)) === 'NETSCAPE2.0') loops = true;
+      for (let length = byte(); length > 0; length = byte()) at += length;
+      continue;
+    }
+    assert.equal(introducer, 0x2c, `unexpected block 0x${introducer.toString(16)} at ${at - 1}`);
+    const x = word(), y = word(), w = word(), h = word();
+    at += 1;
+    const minCodeSize = byte();
+    const data: number[] = [];
+    for (let length = byte(); length > 0; length = byte()) data.push(...bytes.subarray(at, (at += length)));
+
+    const clearCode = 1 << minCodeSize;
+    let codeSize = minCodeSize + 1;
+    let dictionary: number[][] = [];
+    const reset = () => {
+      dictionary = Array.from({ length: clearCode + 2 }, (_, code) => [code]);
+      codeSize = minCodeSize + 1;
+    };
+    reset();
+    const pixels: number[] = [];
+    let previous: number[] | null = null;
+    for (let bit = 0; bit + codeSize <= data.length * 8;) {
+      let code = 0;
+      for (let i = 0; i < codeSize; i++, bit++) code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+      if (code === clearCode) { reset(); previous = null; continue; }
+      if (code === clearCode + 1) break;
+      const entry: number[] = code < dictionary.length ? dictionary[code] : [...previous!, previous![0]];
+      pixels.push(...entry);
+      if (previous) dictionary.push([...previous, entry[0]]);
+      if (dictionary.length === 1 << codeSize && codeSize < 12) codeSize++;
+      previous = entry;
+    }
+    assert.equal(pixels.length, w * h, 'the rectangle decodes to its own size');
+    for (let row = 0; row < h; row++) canvas.set(pixels.slice(row * w, row * w + w), (y + row) * width + x);
+    frames.push({ indices: canvas.slice(), delayMs });
+  }
+  return { header, width, height, colors, frames, loops };
+}
+
+/** A w×h RGBA frame of one colour, with some pixels painted another. */
+function frame(width: number, height: number, background: number, painted: Record<number, number> = {}) {
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let pixel = 0; pixel < width * height; pixel++) {
+    const rgb = painted[pixel] ?? background;
+    rgba.set([rgb >> 16, (rgb >> 8) & 0xff, rgb & 0xff, 255], pixel * 4);
+  }
+  return rgba;
+}
+
+describe('SVG', () => {
+  const data = (shapes: TurtleShape[], extra: Partial<TurtleData> = {}): TurtleData =>
+    ({ w: 200, h: 100, bg: 'navy', shapes, cursors: [], ...extra } as TurtleData);
+
+  test('every kind of record becomes its element, in turtle coordinates moved to the centre', () => {
+    const svg = turtleSvg(data([
+      { k: 'l', x1: 0, y1: 0, x2: 50, y2: 25, c: 'red', w: 3 },
+      { k: 'F', pts: [[0, 0], [10, 0], [10, 10]], fc: 'yellow', pc: 'red', pw: 2 },
+      { k: 'D', x: -20, y: 10, r: 4, c: 'blue' },
+      { k: 'T', x: 0, y: -30, txt: 'done', c: 'white', font: 'bold 14px Arial', align: 'center' },
+    ] as TurtleShape[]));
+
+    assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="200" height="100" viewBox="0 0 200 100">/);
+    assert.match(svg, /<rect width="200" height="100" fill="navy"\/>/);
+    assert.match(svg, /<line x1="100" y1="50" x2="150" y2="25" stroke="red" stroke-width="3"\/>/);
+    assert.match(svg, /<polygon points="100,50 110,50 110,40" fill="yellow" stroke="red" stroke-width="2"\/>/);
+    assert.match(svg, /<circle cx="80" cy="40" r="4" fill="blue"\/>/);
+    assert.match(svg, /<text x="100" y="80" fill="white" text-anchor="middle" style="font: bold 14px Arial; white-space: pre">done<\/text>/);
+  });
+
+  test('a clear() wipes what came before it', () => {
+    const svg = turtleSvg(data([
+      { k: 'l', x1: 0, y1: 0, x2: 10, y2: 0, c: 'red' },
+      { k: 'C' },
+      { k: 'l', x1: 0, y1: 0, x2: 0, y2: 10, c: 'green' },
+    ] as TurtleShape[]));
+
+    assert.doesNotMatch(svg, /stroke="red"/);
+    assert.match(svg, /stroke="green"/);
+  });
+
+  test("a student's text cannot become markup", () => {
+    const svg = turtleSvg(data([{ k: 'T', x: 0, y: 0, txt: '<b>"A" & B</b>' }] as TurtleShape[]));
+
+    assert.match(svg, />&#60;b&#62;&#34;A&#34; &#38; B&#60;\/b&#62;<\/text>/);
+  });
+
+  test('visible turtles are drawn where they stopped, hidden ones are not', () => {
+    const svg = turtleSvg(data([], {
+      cursors: [
+        { x: 0, y: 0, h: 90, vis: true, sh: 'square', fc: 'orange', pc: 'black', sw: 1, sl: 1, ow: 1, tl: 0 },
+        { x: 40, y: 0, h: 0, vis: false, sh: 'triangle', fc: 'pink', pc: 'black', sw: 1, sl: 1, ow: 1, tl: 0 },
+      ],
+    } as Partial<TurtleData>));
+
+    assert.match(svg, /<polygon points="110,40 110,60 90,60 90,40" fill="orange" stroke="black" stroke-width="1"\/>/);
+    assert.doesNotMatch(svg, /fill="pink"/);
+  });
+});
+
+describe('replay frames', () => {
+  const line = { k: 'l', x1: 0, y1: 0, x2: 1, y2: 1 } as TurtleShape;
+  const move = { k: 'M', x: 0, y: 0 } as TurtleShape;
+
+  test('the empty canvas, then one frame per drawing step; cursor moves add none', () => {
+    assert.deepEqual(replayFrames([line, move, line, move]), [
+      { count: 0, steps: 1 },
+      { count: 1, steps: 1 },
+      { count: 4, steps: 1 },
+    ]);
+  });
+
+  test('a long drawing is thinned evenly and still ends on the whole drawing', () => {
+    const shapes = Array.from({ length: 1000 }, () => line);
+    const frames = replayFrames(shapes, 50);
+
+    assert.ok(frames.length <= 51, `${frames.length} frames`);
+    assert.equal(frames.at(-1)!.count, 1000);
+    assert.equal(frames.slice(1).reduce((sum, each) => sum + each.steps, 0), 1000);
+  });
+
+  test('nothing drawn is one frame of the cursors', () => {
+    assert.deepEqual(replayFrames([move, move]), [{ count: 2, steps: 1 }]);
+  });
+
+  test("the GIF keeps the window's pace", () => {
+    assert.equal(replayStepMs(1), 240);
+    assert.equal(replayStepMs(2), 120);
+    assert.equal(replayStepMs(100), 35);
+  });
+});
+
+describe('GIF', () => {
+  test('a drawing in a few colours gets exactly those colours', () => {
+    const palette = gifPalette([frame(4, 1, 0xffffff, { 1: 0xff0000 }), frame(4, 1, 0xffffff, { 2: 0x00ff00 })]);
+
+    assert.deepEqual(palette.colors, [0xffffff, 0xff0000, 0x00ff00]);
+    assert.equal(palette.index(0x00ff00), 2);
+  });
+
+  test('past 256 colours the cube stands in', () => {
+    const painted: Record<number, number> = {};
+    for (let pixel = 0; pixel < 300; pixel++) painted[pixel] = pixel * 0x010203;
+    const palette = gifPalette([frame(300, 1, 0, painted)]);
+
+    assert.equal(palette.colors.length, 252);
+    assert.equal(palette.colors[palette.index(0xffffff)], 0xffffff);
+    assert.equal(palette.colors[palette.index(0x000000)], 0x000000);
+  });
+
+  test('reads back as the frames it was given, looping, each carrying only what changed', () => {
+    const width = 5, height = 4;
+    const frames = [
+      { rgba: frame(width, height, 0xffffff), delayMs: 240 },
+      { rgba: frame(width, height, 0xffffff, { 6: 0xff0000 }), delayMs: 240 },
+      { rgba: frame(width, height, 0xffffff, { 6: 0xff0000, 13: 0x0000ff, 14: 0x0000ff }), delayMs: 2000 },
+    ];
+    const palette = gifPalette(frames.map(each => each.rgba));
+    const gif = decodeGif(encodeGif(width, height, palette, frames));
+
+    assert.equal(gif.header, 'GIF89a');
+    assert.deepEqual([gif.width, gif.height, gif.loops], [width, height, true]);
+    assert.deepEqual(gif.frames.map(each => each.delayMs), [240, 240, 2000]);
+    frames.forEach((expected, index) => {
+      const colors = [...gif.frames[index].indices].map(entry => gif.colors[entry]);
+      const wanted = Array.from({ length: width * height }, (_, pixel) =>
+        (expected.rgba[pixel * 4] << 16) | (expected.rgba[pixel * 4 + 1] << 8) | expected.rgba[pixel * 4 + 2]);
+      assert.deepEqual(colors, wanted, `frame ${index}`);
+    });
+  });
+
+  test('a frame that changes nothing lengthens the one before instead', () => {
+    const still = frame(3, 3, 0x000000);
+    const frames = [{ rgba: still, delayMs: 100 }, { rgba: still, delayMs: 300 }, { rgba: still, delayMs: 500 }];
+    const gif = decodeGif(encodeGif(3, 3, gifPalette([still]), frames));
+
+    assert.deepEqual(gif.frames.map(each => each.delayMs), [900]);
+  });
+
+  test('a frame big enough to fill the code table still decodes', () => {
+    const width = 160, height = 120;
+    const painted: Record<number, number> = {};
+    let seed = 7;
+    for (let pixel = 0; pixel < width * height; pixel++) {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      painted[pixel] = [0xff0000, 0x00ff00, 0x0000ff, 0xffff00, 0xffffff][seed % 5];
+    }
+    const rgba = frame(width, height, 0, painted);
+    const gif = decodeGif(encodeGif(width, height, gifPalette([rgba]), [{ rgba, delayMs: 100 }]));
+
+    const decoded = [...gif.frames[0].indices].map(entry => gif.colors[entry]);
+    assert.deepEqual(decoded, Array.from({ length: width * height }, (_, pixel) => painted[pixel]));
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * The turtle window's events, in the terms a turtle program binds.
+ *
+ * A student writes `onkey(up, "Up")` and clicks where they saw the turtle. Both
+ * only work if the browser's "ArrowUp" arrives as Tk's "Up", and if a click on a
+ * canvas that CSS shrank to fit the window lands on the turtle and not beside it.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  promptAnswerError,
+  turtleButton,
+  turtleClickPoint,
+  turtleKeyName,
+  turtleKeyScrolls,
+} from '../../src/components/turtle-input.ts';
+import type { GraphicsPrompt } from '../../src/components/turtle-scene.ts';
+
+describe('key names', () => {
+  test('keys are named as Tk names them', () => {
+    assert.deepEqual(
+      ['ArrowUp', 'ArrowLeft', ' ', 'Enter', 'Backspace', 'Escape', 'F5', 'a', 'Q', '7', '+'].map(turtleKeyName),
+      ['Up', 'Left', 'space', 'Return', 'BackSpace', 'Escape', 'F5', 'a', 'Q', '7', '+'],
+    );
+  });
+
+  test('a key no program can bind is not sent', () => {
+    for (const key of ['Dead', 'AudioVolumeUp', 'Unidentified', '\n']) assert.equal(turtleKeyName(key), null, key);
+  });
+
+  test('only keys that would scroll the page are kept from it', () => {
+    assert.deepEqual(['ArrowDown', ' ', 'a', 'Enter'].map(turtleKeyScrolls), [true, true, false, false]);
+  });
+});
+
+describe('clicks', () => {
+  test('the centre of the canvas is the origin, and y points up', () => {
+    const box = { left: 100, top: 50, width: 400, height: 300 };
+    assert.deepEqual(turtleClickPoint(300, 200, box, 400, 300), { x: 0, y: 0 });
+    assert.deepEqual(turtleClickPoint(100, 50, box, 400, 300), { x: -200, y: 150 });
+  });
+
+  test('a canvas shown smaller than it draws is scaled back to drawing units', () => {
+    // A 600x600 drawing squeezed into 300x300 on screen: a quarter of the way in is
+    // a quarter of the way in, not 75 pixels.
+    const box = { left: 0, top: 0, width: 300, height: 300 };
+    assert.deepEqual(turtleClickPoint(75, 75, box, 600, 600), { x: -150, y: 150 });
+  });
+
+  test('mouse buttons are numbered as Tk numbers them', () => {
+    assert.deepEqual([0, 1, 2, 3].map(turtleButton), [1, 2, 3, null]);
+  });
+});
+
+describe('dialog answers', () => {
+  const number: GraphicsPrompt = { op: 'prompt', id: 1, kind: 'number', title: 'Size', prompt: 'How big?', min: 1, max: 10 };
+
+  test('a number prompt takes a number within its bounds', () => {
+    assert.equal(promptAnswerError(number, ' 2.5 '), null);
+    assert.match(promptAnswerError(number, 'big') ?? '', /number/);
+    assert.match(promptAnswerError(number, '') ?? '', /number/);
+    assert.match(promptAnswerError(number, '0') ?? '', /at least 1/);
+    assert.match(promptAnswerError(number, '11') ?? '', /at most 10/);
+  });
+
+  test('a text prompt takes anything, even nothing', () => {
+    assert.equal(promptAnswerError({ ...number, kind: 'text' }, ''), null);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * The JavaScript and Java turtle libraries' adapter decisions that need no interpreter
+ * (blueprint section 66).
+ *
+ * What the libraries draw is in tests/contract/turtle-libraries.test.mjs. These are
+ * the parts that must hold everywhere: which sources install a library, what the one
+ * write grant names, and the library's frames leaving an error report.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { usesTurtle } from '../../server/graphics/turtle.mjs';
+import {
+  dropTurtleFrames as dropJavaScriptFrames,
+  nodeLaunchArgs,
+} from '../../server/languages/adapters/javascript.mjs';
+import { dropTurtleFrames as dropJavaFrames } from '../../server/languages/adapters/java.mjs';
+
+describe('which sources install the library', () => {
+  test('JavaScript: an import or a require of the package, not a mention', () => {
+    assert.equal(usesTurtle("import turtle from 'turtle';\n", 'javascript'), true);
+    assert.equal(usesTurtle('import { forward, left } from "turtle";\n', 'javascript'), true);
+    assert.equal(usesTurtle("import 'turtle';\n", 'javascript'), true);
+    assert.equal(usesTurtle("const turtle = await import('turtle');\n", 'javascript'), true);
+    assert.equal(usesTurtle("const turtle = require('turtle');\n", 'javascript'), true);
+    assert.equal(usesTurtle("console.log('turtle');\n", 'javascript'), false);
+    assert.equal(usesTurtle("import turtle from './turtle.mjs';\n", 'javascript'), false);
+  });
+
+  test('Java: the class in use, made or called', () => {
+    assert.equal(usesTurtle('Turtle t = new Turtle();\n', 'java'), true);
+    assert.equal(usesTurtle('Turtle.bgcolor("navy");\n', 'java'), true);
+    assert.equal(usesTurtle('new SeaTurtle();\n', 'java'), false);
+    assert.equal(usesTurtle('System.out.println("Turtle");\n', 'java'), false);
+  });
+
+  test("one language's spelling means nothing to another", () => {
+    assert.equal(usesTurtle('import turtle\n', 'javascript'), false);
+    assert.equal(usesTurtle('Turtle t = new Turtle();\n', 'javascript'), false);
+  });
+});
+
+describe('the write grant', () => {
+  const job = { dir: '/sandbox/job-1' };
+
+  test('names the drawing file and nothing else', () => {
+    const args = nodeLaunchArgs(job, '/sandbox/job-1/main.mjs', null, '/sandbox/job-1/.graphics/turtle.json');
+    assert.deepEqual(args.filter(arg => arg.startsWith('--allow-fs-write')), [
+      '--allow-fs-write=/sandbox/job-1/.graphics/turtle.json',
+    ]);
+  });
+
+  test('a program that draws nothing may write nothing', () => {
+    const args = nodeLaunchArgs(job, '/sandbox/job-1/main.mjs');
+    assert.equal(args.some(arg => arg.startsWith('--allow-fs-write')), false);
+  });
+});
+
+describe("the library's frames", () => {
+  test("JavaScript: the excerpt and the library's frames go, the student's call stays", () => {
+    const raw = [
+      'file://node_modules/turtle/turtle.mjs:131',
+      '  if (!Number.isFinite(n)) throw new TypeError(`expected a number, got ${value}`);',
+      '                                 ^',
+      '',
+      'TypeError: expected a number, got "far"',
+      '    at number (file://node_modules/turtle/turtle.mjs:131:34)',
+      '    at Turtle.forward (file://node_modules/turtle/turtle.mjs:440:15)',
+      '    at file://main.mjs:3:3',
+      '',
+      'Node.js v22.20.0',
+    ].join('\n');
+    assert.equal(
+      dropJavaScriptFrames(raw),
+      'TypeError: expected a number, got "far"\n    at file://main.mjs:3:3\n\nNode.js v22.20.0',
+    );
+  });
+
+  test("JavaScript: an error in the student's own code is left as Node wrote it", () => {
+    const raw = "file://main.mjs:2\nnull.x;\n     ^\n\nTypeError: Cannot read properties of null (reading 'x')\n    at file://main.mjs:2:6";
+    assert.equal(dropJavaScriptFrames(raw), raw);
+    assert.equal(dropJavaScriptFrames(''), '');
+  });
+
+  test("Java: the library's frames go, a student class that merely starts with Turtle stays", () => {
+    const raw = [
+      'Exception in thread "main" java.lang.NumberFormatException: For input string: "quick"',
+      '\tat java.base/java.lang.Integer.parseInt(Integer.java:652)',
+      '\tat Turtle.speed(Turtle.java:260)',
+      '\tat TurtleRace.start(TurtleRace.java:8)',
+      '\tat Main.main(Main.java:4)',
+    ].join('\n');
+    assert.equal(dropJavaFrames(raw), [
+      'Exception in thread "main" java.lang.NumberFormatException: For input string: "quick"',
+      '\tat java.base/java.lang.Integer.parseInt(Integer.java:652)',
+      '\tat TurtleRace.start(TurtleRace.java:8)',
+      '\tat Main.main(Main.java:4)',
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * The live turtle scene reducer.
+ *
+ * The same batches in the same order must give the same scene, a missing batch must
+ * freeze it rather than apply truncates to the wrong list, and the damage it reports
+ * must be only what a canvas has to repaint.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  applyGraphicsBatch,
+  createTurtleScene,
+  sceneSnapshot,
+  takeSceneDamage,
+  type GraphicsBatch,
+  type GraphicsOperation,
+} from '../../src/components/turtle-scene.ts';
+import type { TurtleShape } from '../../src/components/turtle.ts';
+
+const line = (x2: number): TurtleShape => ({ k: 'l', x1: 0, y1: 0, x2, y2: 0 });
+const move = (x: number): TurtleShape => ({ k: 'M', x, y: 0 });
+
+function batches(sessionId: string, ...operations: GraphicsOperation[][]): GraphicsBatch[] {
+  let revision = 0;
+  return operations.map((ops, index) => {
+    revision += ops.length;
+    return { protocolVersion: 2, sessionId, sequence: index + 1, sceneRevision: revision, operations: ops };
+  });
+}
+
+const RUN = batches(
+  'run-1',
+  [{ op: 'screen', bg: 'black', w: 400, h: 300 }, { op: 'shapes', shapes: [line(1), line(2)] }],
+  [{ op: 'truncate', length: 1 }, { op: 'shapes', shapes: [line(3)] }],
+  [{ op: 'cursors', cursors: [{ x: 3, y: 0 }] }],
+);
+
+describe('applying batches', () => {
+  test('the same batches give the same scene', () => {
+    const first = createTurtleScene();
+    const second = createTurtleScene();
+    for (const batch of RUN) {
+      assert.equal(applyGraphicsBatch(first, batch), true);
+      applyGraphicsBatch(second, structuredClone(batch));
+    }
+    assert.deepEqual(sceneSnapshot(first), sceneSnapshot(second));
+    assert.deepEqual(first.data.shapes, [line(1), line(3)]);
+    assert.deepEqual([first.sequence, first.revision], [3, 5]);
+    assert.equal(first.data.bg, 'black');
+  });
+
+  test('a batch already applied changes nothing', () => {
+    const scene = createTurtleScene();
+    for (const batch of RUN) applyGraphicsBatch(scene, batch);
+    assert.equal(applyGraphicsBatch(scene, RUN[1]), false);
+    assert.equal(scene.data.shapes.length, 2);
+  });
+
+  test('a missing batch freezes the scene where it was last right', () => {
+    const scene = createTurtleScene();
+    applyGraphicsBatch(scene, RUN[0]);
+    assert.equal(applyGraphicsBatch(scene, RUN[2]), false);
+    assert.equal(scene.stale, true);
+    assert.equal(applyGraphicsBatch(scene, RUN[1]), false);
+    assert.deepEqual(scene.data.shapes, [line(1), line(2)]);
+  });
+
+  test('a new session is a new scene, stale or not', () => {
+    const scene = createTurtleScene();
+    applyGraphicsBatch(scene, RUN[0]);
+    applyGraphicsBatch(scene, RUN[2]);
+    const [next] = batches('run-2', [{ op: 'shapes', shapes: [line(9)] }]);
+    assert.equal(applyGraphicsBatch(scene, next), true);
+    assert.equal(scene.stale, false);
+    assert.deepEqual(scene.data.shapes, [line(9)]);
+    assert.equal(scene.data.bg, undefined);
+  });
+
+  test('a dialog is not part of the drawing', () => {
+    const scene = createTurtleScene();
+    const [asked] = batches('s', [{ op: 'prompt', id: 1, kind: 'text', title: 'Name', prompt: 'Who?' }]);
+    assert.equal(applyGraphicsBatch(scene, asked), true);
+    assert.deepEqual(scene.data.shapes, []);
+    assert.equal(takeSceneDamage(scene), null);
+  });
+
+  test('a batch from another protocol version is ignored', () => {
+    const scene = createTurtleScene();
+    assert.equal(applyGraphicsBatch(scene, { ...RUN[0], protocolVersion: 3 }), false);
+    assert.equal(scene.sequence, 0);
+  });
+});
+
+describe('damage', () => {
+  test('appending damages nothing already drawn', () => {
+    const scene = createTurtleScene();
+    applyGraphicsBatch(scene, batches('s', [{ op: 'shapes', shapes: [line(1)] }])[0]);
+    assert.equal(takeSceneDamage(scene), null);
+  });
+
+  test('truncating cursor bookkeeping costs no repaint', () => {
+    const scene = createTurtleScene();
+    for (const batch of batches(
+      's',
+      [{ op: 'shapes', shapes: [line(1), move(1), move(2)] }],
+      [{ op: 'truncate', length: 1 }, { op: 'shapes', shapes: [move(3)] }],
+    )) applyGraphicsBatch(scene, batch);
+    assert.equal(takeSceneDamage(scene), null);
+  });
+
+  test('truncating a drawn shape damages from that shape, once', () => {
+    const scene = createTurtleScene();
+    for (const batch of batches(
+      's',
+      [{ op: 'shapes', shapes: [line(1), move(1), line(2), line(3)] }],
+      [{ op: 'truncate', length: 1 }],
+    )) applyGraphicsBatch(scene, batch);
+    assert.equal(takeSceneDamage(scene), 2);
+    assert.equal(takeSceneDamage(scene), null);
+  });
+
+  test('a new background repaints everything; a new speed nothing', () => {
+    const scene = createTurtleScene();
+    const [first, second, third] = batches(
+      's',
+      [{ op: 'shapes', shapes: [line(1)] }],
+      [{ op: 'screen', speed: 3 }],
+      [{ op: 'screen', speed: 3, bg: 'navy' }],
+    );
+    applyGraphicsBatch(scene, first);
+    applyGraphicsBatch(scene, second);
+    assert.equal(takeSceneDamage(scene), null);
+    applyGraphicsBatch(scene, third);
+    assert.equal(takeSceneDamage(scene), 0);
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * The WebSocket frame parser, against the byte sequences a hostile client can send.
+ *
+ * The protocol is written here rather than depended on (see server/http/websocket.mjs),
+ * so the parts a library would have been trusted for are tested here instead: the
+ * handshake arithmetic, masking, reassembly, and above all that a declared length is
+ * refused BEFORE anything is allocated for it.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  CloseCode,
+  FrameParser,
+  Opcode,
+  acceptKey,
+  encodeFrame,
+} from '../../server/http/websocket.mjs';
+
+/** Build a masked client frame, as a browser would. */
+function clientFrame(opcode, payload, { fin = true, mask = true, declaredLength } = {}) {
+  const body = Buffer.from(payload);
+  const length = declaredLength ?? body.length;
+  const key = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+
+  let header;
+  if (length < 126) {
+    header = Buffer.from([(fin ? 0x80 : 0) | opcode, (mask ? 0x80 : 0) | length]);
+  } else if (length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[0] = (fin ? 0x80 : 0) | opcode;
+    header[1] = (mask ? 0x80 : 0) | 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = (fin ? 0x80 : 0) | opcode;
+    header[1] = (mask ? 0x80 : 0) | 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+
+  if (!mask) return Buffer.concat([header, body]);
+  const masked = Buffer.from(body);
+  for (let i = 0; i < masked.length; i++) masked[i] ^= key[i & 3];
+  return Buffer.concat([header, key, masked]);
+}
+
+function parser(maxMessageBytes = 1024) {
+  const messages = [];
+  const controls = [];
+  const errors = [];
+  const instance = new FrameParser({
+    maxMessageBytes,
+    onMessage: (opcode, payload) => messages.push({ opcode, text: payload.toString('utf8') }),
+    onControl: (opcode, payload) => controls.push({ opcode, payload }),
+    onError: (code, reason) => errors.push({ code, reason }),
+  });
+  return { instance, messages, controls, errors };
+}
+
+describe('the opening handshake', () => {
+  test('computes the accept key from the example in RFC 6455 section 1.3', () => {
+    assert.equal(acceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+  });
+});
+
+describe('reading client frames', () => {
+  test('unmasks a text message', () => {
+    const { instance, messages, errors } = parser();
+    instance.push(clientFrame(Opcode.TEXT, '{"type":"ping"}'));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(messages, [{ opcode: Opcode.TEXT, text: '{"type":"ping"}' }]);
+  });
+
+  test('assembles a frame that arrives one byte at a time', () => {
+    const { instance, messages } = parser();
+    const frame = clientFrame(Opcode.TEXT, 'x'.repeat(300));
+    for (const byte of frame) instance.push(Buffer.from([byte]));
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].text.length, 300);
+  });
+
+  test('reads several frames from one chunk', () => {
+    const { instance, messages } = parser();
+    instance.push(Buffer.concat([clientFrame(Opcode.TEXT, 'a'), clientFrame(Opcode.TEXT, 'b')]));
+    assert.deepEqual(messages.map(m => m.text), ['a', 'b']);
+  });
+
+  test('refuses an unmasked client frame', () => {
+    // Masking is what stops a page shaping bytes an intermediary would misread.
+    const { instance, messages, errors } = parser();
+    instance.push(clientFrame(Opcode.TEXT, 'hi', { mask: false }));
+    assert.deepEqual(messages, []);
+    assert.equal(errors[0].code, CloseCode.PROTOCOL_ERROR);
+  });
+
+  test('refuses a reserved bit, since no extension was negotiated', () => {
+    const { instance, errors } = parser();
+    const frame = clientFrame(Opcode.TEXT, 'hi');
+    frame[0] |= 0x40;
+    instance.push(frame);
+    assert.equal(errors[0].code, CloseCode.PROTOCOL_ERROR);
+  });
+});
+
+describe('size bounds', () => {
+  test('refuses a 64-bit length from the header alone, before the payload exists', () => {
+    // Ten bytes announcing an exabyte. Nothing follows them, so if the parser waited
+    // for the payload - or sized a buffer from the header - this would hang or OOM.
+    const { instance, errors } = parser(1024);
+    const header = Buffer.alloc(10);
+    header[0] = 0x80 | Opcode.TEXT;
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(2n ** 60n, 2);
+    instance.push(header);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].code, CloseCode.TOO_BIG);
+  });
+
+  test('refuses a length above 2^53, which would round if converted first', () => {
+    const { instance, errors } = parser(1024);
+    const header = Buffer.alloc(10);
+    header[0] = 0x80 | Opcode.TEXT;
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(2n ** 63n + 1n, 2);
+    instance.push(header);
+    assert.equal(errors[0].code, CloseCode.TOO_BIG);
+  });
+
+  test('bounds a message reassembled from fragments, not only each fragment', () => {
+    const { instance, messages, errors } = parser(100);
+    instance.push(clientFrame(Opcode.TEXT, 'a'.repeat(60), { fin: false }));
+    instance.push(clientFrame(Opcode.CONTINUATION, 'b'.repeat(60)));
+    assert.deepEqual(messages, []);
+    assert.equal(errors[0].code, CloseCode.TOO_BIG);
+  });
+
+  test('accepts a message exactly at the bound', () => {
+    const { instance, messages, errors } = parser(200);
+    instance.push(clientFrame(Opcode.TEXT, 'z'.repeat(200)));
+    assert.deepEqual(errors, []);
+    assert.equal(messages[0].text.length, 200);
+  });
+});
+
+describe('fragmentation and control frames', () => {
+  test('reassembles a fragmented message, with a ping between the fragments', () => {
+    const { instance, messages, controls } = parser();
+    instance.push(clientFrame(Opcode.TEXT, 'hel', { fin: false }));
+    instance.push(clientFrame(Opcode.PING, 'p'));
+    instance.push(clientFrame(Opcode.CONTINUATION, 'lo'));
+    assert.deepEqual(messages.map(m => m.text), ['hello']);
+    assert.equal(controls[0].opcode, Opcode.PING);
+  });
+
+  test('refuses a continuation with no message to continue', () => {
+    const { instance, errors } = parser();
+    instance.push(clientFrame(Opcode.CONTINUATION, 'x'));
+    assert.equal(errors[0].code, CloseCode.PROTOCOL_ERROR);
+  });
+
+  test('refuses a fragmented or oversized control frame', () => {
+    const fragmented = parser();
+    fragmented.instance.push(clientFrame(Opcode.PING, 'p', { fin: false }));
+    assert.equal(fragmented.errors[0].code, CloseCode.PROTOCOL_ERROR);
+
+    const oversized = parser();
+    oversized.instance.push(clientFrame(Opcode.PING, 'p'.repeat(126)));
+    assert.equal(oversized.errors[0].code, CloseCode.PROTOCOL_ERROR);
+  });
+
+  test('stops parsing after the first violation', () => {
+    const { instance, messages } = parser();
+    instance.push(Buffer.concat([clientFrame(Opcode.TEXT, 'x', { mask: false }), clientFrame(Opcode.TEXT, 'y')]));
+    assert.deepEqual(messages, []);
+  });
+});
+
+describe('writing server frames', () => {
+  test('uses the 7-bit, 16-bit and 64-bit length forms at their boundaries', () => {
+    assert.equal(encodeFrame(Opcode.TEXT, 'a'.repeat(125))[1], 125);
+    assert.equal(encodeFrame(Opcode.TEXT, 'a'.repeat(126))[1], 126);
+    assert.equal(encodeFrame(Opcode.TEXT, 'a'.repeat(0x10000))[1], 127);
+  });
+
+  test('never masks, and always sets FIN', () => {
+    const frame = encodeFrame(Opcode.TEXT, 'hi');
+    assert.equal(frame[0], 0x80 | Opcode.TEXT);
+    assert.equal(frame[1] & 0x80, 0);
+    assert.equal(frame.subarray(2).toString(), 'hi');
+  });
+});
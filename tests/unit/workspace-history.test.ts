@@ -0,0 +1,318 @@
+/**
+ * Local history (blueprint sections 9.3-9.5): earlier versions of each file, what
+ * records them, what bounds them, and putting one back.
+ *
+ * What can go wrong is a version that is not the content it claims to be - captured
+ * after the change it was meant to precede - and a budget that throws away the one
+ * version a student came looking for. The domain runs against the in-memory stores;
+ * the IndexedDB store is checked at the end against fake-indexeddb, for the part only
+ * a real IndexedDB can get wrong.
+ */
+
+import 'fake-indexeddb/auto';
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  LocalHistory,
+  MemoryHistoryStore,
+  planPrune,
+  storagePressureWarning,
+} from '../../src/workspace/history.ts';
+import type { HistoryEntry } from '../../src/workspace/history.ts';
+import { IndexedDbHistoryStore } from '../../src/workspace/history-indexeddb.ts';
+import { WorkspaceService } from '../../src/workspace/service.ts';
+import { MemoryWorkspaceStore } from '../../src/workspace/store.ts';
+import { persisted, settle } from './support/workspace-fixtures.ts';
+
+function entry(overrides: Partial<HistoryEntry> & { id: string }): HistoryEntry {
+  return {
+    documentId: 'doc-1',
+    path: 'main.py',
+    language: 'python',
+    version: 'python3',
+    reason: 'save',
+    createdAt: 0,
+    since: 0,
+    bytes: 10,
+    fingerprint: '00000000',
+    ...overrides,
+  };
+}
+
+async function setup(
+  options: { files?: ReturnType<typeof persisted>[]; store?: MemoryHistoryStore; recording?: () => boolean } = {},
+) {
+  const clock = { now: 1_000_000 };
+  const workspaceStore = new MemoryWorkspaceStore({
+    files: options.files ?? [persisted({ id: 'doc-1', name: 'main.py', content: 'print(1)' })],
+  });
+  const service = new WorkspaceService({ store: workspaceStore, autoSaveDelayMs: 0 });
+  await service.open();
+  const store = options.store ?? new MemoryHistoryStore();
+  let counter = 0;
+  const history = new LocalHistory({
+    store,
+    service,
+    now: () => clock.now,
+    newId: () => `v${++counter}`,
+    canRecord: options.recording,
+  });
+  await history.open();
+  return { clock, service, store, history };
+}
+
+/** What a version holds. */
+async function contents(history: LocalHistory, documentId: string): Promise<Array<string | null>> {
+  return Promise.all(history.versionsOf(documentId).map(version => history.content(version.id)));
+}
+
+describe('what is recorded', () => {
+  test('each file as it was opened, once', async () => {
+    const store = new MemoryHistoryStore();
+    const { history } = await setup({ store });
+    assert.deepEqual(await contents(history, 'doc-1'), ['print(1)']);
+    assert.equal(history.versionsOf('doc-1')[0].reason, 'open');
+
+    const again = await setup({ store });
+    assert.equal(again.history.versionsOf('doc-1').length, 1, 'unchanged since, so nothing new');
+  });
+
+  test('saves close together are one version, and a pause starts the next', async () => {
+    const { clock, service, history } = await setup();
+    const document = service.getDocument('doc-1')!;
+
+    document.setContent('print(2)');
+    await service.flushAll();
+    clock.now += 10_000;
+    document.setContent('print(3)');
+    await service.flushAll();
+    await settle();
+    assert.deepEqual(await contents(history, 'doc-1'), ['print(3)', 'print(1)']);
+
+    clock.now += 120_000;
+    document.setContent('print(4)');
+    await service.flushAll();
+    await settle();
+    assert.deepEqual(await contents(history, 'doc-1'), ['print(4)', 'print(3)', 'print(1)']);
+  });
+
+  test('a checkpoint is the content when it was asked for, not when it was written', async () => {
+    const { service, history } = await setup();
+    const document = service.getDocument('doc-1')!;
+    document.setContent('the code that ran');
+
+    const written = history.checkpoint('run');
+    document.setContent('typed while it ran');
+    assert.equal(await written, 1);
+
+    const [latest] = history.versionsOf('doc-1');
+    assert.equal(latest.reason, 'run');
+    assert.equal(await history.content(latest.id), 'the code that ran');
+  });
+
+  test('typing on after a run does not write over the version that ran', async () => {
+    const { clock, service, history } = await setup();
+    const document = service.getDocument('doc-1')!;
+
+    document.setContent('the code that ran');
+    await service.flushAll();
+    await history.checkpoint('run');
+    clock.now += 5_000;
+    document.setContent('the code after');
+    await service.flushAll();
+    await settle();
+
+    assert.deepEqual(await contents(history, 'doc-1'), ['the code after', 'the code that ran', 'print(1)']);
+  });
+
+  test('content the latest version already holds is not recorded again', async () => {
+    const { history } = await setup();
+    assert.equal(await history.checkpoint('run'), 0);
+    assert.equal(await history.checkpoint('run'), 0);
+    assert.equal(history.versionsOf('doc-1').length, 1);
+  });
+
+  test('a tab that is only reading records nothing', async () => {
+    const { service, history } = await setup({ recording: () => false });
+    service.getDocument('doc-1')!.setContent('changed');
+    assert.equal(await history.checkpoint('run'), 0);
+    assert.equal(history.versionsOf('doc-1').length, 0);
+  });
+
+  test('Clear Cache clears it too', async () => {
+    const { service, store, history } = await setup();
+    await service.clearAll();
+    await settle();
+    assert.deepEqual(await store.list(), []);
+    assert.deepEqual(history.deletedDocuments(), []);
+  });
+});
+
+describe('restoring', () => {
+  test('a version goes back into its file, and what the file held is kept first', async () => {
+    const { service, history } = await setup();
+    const document = service.getDocument('doc-1')!;
+    const original = history.versionsOf('doc-1')[0];
+
+    document.setContent('a find-and-replace gone wrong');
+    await service.flushAll();
+    await settle();
+
+    await history.restore(original.id);
+    await settle();
+
+    assert.equal(document.getContent(), 'print(1)');
+    assert.equal(document.isDirty, false, 'and it is saved');
+    assert.deepEqual(
+      await contents(history, 'doc-1'),
+      ['print(1)', 'a find-and-replace gone wrong', 'print(1)'],
+      'what it held before is still there, so the restore can be undone',
+    );
+  });
+
+  test('an edit autosave has not written yet is kept before it is replaced', async () => {
+    const { service, history } = await setup();
+    const document = service.getDocument('doc-1')!;
+    const original = history.versionsOf('doc-1')[0];
+
+    document.setContent('typed a second ago');
+    await history.restore(original.id);
+
+    const before = history.versionsOf('doc-1').find(version => version.reason === 'restore');
+    assert.ok(before);
+    assert.equal(await history.content(before.id), 'typed a second ago');
+  });
+
+  test('a deleted file comes back where it was, with its versions', async () => {
+    const { service, history } = await setup({ files: [] });
+    const folder = await service.createFolder('lib');
+    const created = await service.createDocument({
+      name: 'util.py',
+      parentId: folder.id,
+      language: 'python',
+      version: 'python3',
+      content: 'def helper(): pass',
+    });
+    created.setContent('def helper(): return 42');
+    await service.flushAll();
+    await settle();
+
+    await service.deleteFolders([folder.id]);
+    await settle();
+
+    const [gone] = history.deletedDocuments();
+    assert.equal(gone.path, 'lib/util.py');
+    assert.equal(gone.reason, 'delete');
+
+    const restored = await history.restore(gone.id);
+    await settle();
+    assert.ok(restored);
+    assert.equal(service.pathOf(restored.id), 'lib/util.py');
+    assert.equal(restored.getContent(), 'def helper(): return 42');
+    assert.deepEqual(history.deletedDocuments(), [], 'no longer listed as deleted');
+    assert.ok(
+      (await contents(history, restored.id)).includes('def helper(): pass'),
+      'its timeline carries on from before the delete',
+    );
+  });
+});
+
+describe('the byte budget', () => {
+  const budget = { maxBytes: 100, maxDocumentBytes: 40 };
+
+  test('a file\'s oldest versions go once its own share is spent, never its newest', () => {
+    const entries = [
+      entry({ id: 'old', createdAt: 1, bytes: 30 }),
+      entry({ id: 'middle', createdAt: 2, bytes: 30 }),
+      entry({ id: 'newest', createdAt: 3, bytes: 500 }),
+    ];
+    assert.deepEqual(planPrune(entries, new Set(['doc-1']), { ...budget, maxBytes: 10_000 }), ['old']);
+  });
+
+  test('past the total, the oldest versions anywhere go first', () => {
+    const entries = [
+      entry({ id: 'a-old', documentId: 'a', createdAt: 1, bytes: 30 }),
+      entry({ id: 'b-old', documentId: 'b', createdAt: 2, bytes: 30 }),
+      entry({ id: 'a-new', documentId: 'a', createdAt: 3, bytes: 30 }),
+      entry({ id: 'b-new', documentId: 'b', createdAt: 4, bytes: 30 }),
+    ];
+    assert.deepEqual(planPrune(entries, new Set(['a', 'b']), budget), ['a-old']);
+  });
+
+  test('a file that is gone loses its last version before a live file does', () => {
+    const entries = [
+      entry({ id: 'live', documentId: 'live', createdAt: 1, bytes: 80 }),
+      entry({ id: 'deleted', documentId: 'deleted', createdAt: 2, bytes: 80 }),
+    ];
+    assert.deepEqual(planPrune(entries, new Set(['live']), budget), ['deleted']);
+  });
+
+  test('is applied as versions are recorded', async () => {
+    const { clock, service, history } = await setup();
+    const live = new LocalHistory({
+      store: new MemoryHistoryStore(),
+      service,
+      now: () => clock.now,
+      budget: { maxBytes: 1_000_000, maxDocumentBytes: 40, coalesceMs: 0 },
+    });
+    await live.open();
+    const document = service.getDocument('doc-1')!;
+    for (const text of ['first ten', 'second ten', 'third ten.']) {
+      clock.now += 1;
+      document.setContent(text);
+      await live.checkpoint('run');
+    }
+    assert.deepEqual(await contents(live, 'doc-1'), ['third ten.', 'second ten', 'first ten']);
+    assert.equal(history.versionsOf('doc-1').length, 1);
+  });
+});
+
+describe('storage pressure', () => {
+  test('says nothing while there is room, or when the browser will not say', () => {
+    assert.equal(storagePressureWarning({ usage: 10, quota: 100 }), null);
+    assert.equal(storagePressureWarning({}), null);
+    assert.equal(storagePressureWarning(null), null);
+  });
+
+  test('warns past the threshold, with the numbers', () => {
+    const warning = storagePressureWarning({ usage: 85 * 1024 * 1024, quota: 100 * 1024 * 1024 });
+    assert.match(warning ?? '', /85% full \(85 MB of 100 MB\)/);
+  });
+});
+
+describe('in IndexedDB', () => {
+  let counter = 0;
+
+  test('an entry and its content are written, replaced and removed together', async () => {
+    const store = new IndexedDbHistoryStore(`HistoryTestDB-${++counter}`);
+    assert.equal(store.databaseName, `HistoryTestDB-${counter}-history`);
+    await store.open();
+
+    await store.put(entry({ id: 'v1', reason: 'open' }), 'first');
+    await store.put(entry({ id: 'v1', reason: 'save' }), 'replaced');
+    await store.put(entry({ id: 'v2', documentId: 'doc-2' }), 'other');
+
+    assert.deepEqual((await store.list()).map(row => [row.id, row.reason]).sort(), [['v1', 'save'], ['v2', 'save']]);
+    assert.equal(await store.read('v1'), 'replaced');
+
+    await store.remove(['v1']);
+    assert.equal(await store.read('v1'), null);
+    assert.deepEqual((await store.list()).map(row => row.id), ['v2']);
+
+    await store.clear();
+    assert.deepEqual(await store.list(), []);
+    store.close();
+  });
+
+  test('leaves the workspace database alone', async () => {
+    const name = `HistoryTestDB-${++counter}`;
+    const store = new IndexedDbHistoryStore(name);
+    await store.open();
+    store.close();
+    const databases = (await indexedDB.databases()).map(database => database.name);
+    assert.ok(databases.includes(`${name}-history`));
+    assert.ok(!databases.includes(name));
+  });
+});
@@ -11,7 +11,7 @@ import { test, describe } from 'node:test';
 import assert from 'node:assert/strict';
 
 import { PersistenceCoordinator } from '../../src/workspace/persistence.ts';
-import { MemoryWorkspaceStore } from '../../src/workspace/store.ts';
+import { MemoryWorkspaceStore, StaleWriterError } from '../../src/workspace/store.ts';
 import {
   FakeClock,
   GatedStore,
@@ -241,6 +241,28 @@ describe('failure handling', () => {
 
     assert.equal(attempts, 1, 'one flush must mean one attempt, not a retry loop');
   });
+
+  test('a tab taken over from stops writing until it is the writer again', async () => {
+    const store = new MemoryWorkspaceStore({ files: [persisted({ id: 'doc-1', content: 'old' })] });
+    await store.claimWriter();
+    const coordinator = new PersistenceCoordinator({ store, autoSaveDelayMs: 0 });
+    const document = makeDocument('old');
+    coordinator.register(document);
+
+    store.simulateTakeover();
+    document.setContent('typed here');
+    const outcome = await coordinator.flush('doc-1');
+
+    assert.equal(outcome.status, 'failed');
+    assert.ok(coordinator.lastErrorFor('doc-1') instanceof StaleWriterError);
+    assert.equal(store.peekContent('doc-1'), 'old', 'the other tab\'s work is not overwritten');
+
+    // Every later keystroke would be refused the same way; none is even tried.
+    document.setContent('typed here, still');
+    await settle();
+    assert.equal(store.countOperations('writeDocumentContent'), 1);
+    assert.equal(coordinator.hasPendingWrites, false);
+  });
 });
 
 describe('flush', () => {
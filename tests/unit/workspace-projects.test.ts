@@ -0,0 +1,286 @@
+/**
+ * Projects: one workspace database each, a registry that lists them, and the one-time
+ * move of the old single workspace into the first of them (blueprint section 9.7).
+ *
+ * The migration's failure is the one that matters most, because it is silent: a copy
+ * that dropped a file, or a byte of one, would be the workspace from then on while the
+ * original sat unread. So it is pinned with a target that writes something other than
+ * it was given, and the test asks that nothing was activated, nothing was deleted, and
+ * the next attempt lands in the same project rather than a second one.
+ */
+
+import 'fake-indexeddb/auto';
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MemoryProjectRegistry,
+  ProjectManager,
+  ProjectMigrationError,
+  compareSnapshots,
+} from '../../src/workspace/projects.ts';
+import type { ProjectRegistryStore } from '../../src/workspace/projects.ts';
+import { IndexedDbProjectRegistry } from '../../src/workspace/projects-indexeddb.ts';
+import {
+  IndexedDbWorkspaceStore,
+  projectDatabaseName,
+  workspaceDatabaseExists,
+} from '../../src/workspace/store-indexeddb.ts';
+import { MemoryWorkspaceStore } from '../../src/workspace/store.ts';
+import type { WorkspaceSnapshot } from '../../src/workspace/store.ts';
+import { MemoryHistoryStore } from '../../src/workspace/history.ts';
+import type { HistoryEntry } from '../../src/workspace/history.ts';
+import { MemoryCheckpointStore } from '../../src/workspace/checkpoints.ts';
+import { persisted } from './support/workspace-fixtures.ts';
+
+const LEGACY = 'BrowserCoderDB';
+
+function legacySnapshot(): WorkspaceSnapshot {
+  return {
+    files: [
+      persisted({ id: 'main', name: 'main.py', content: 'print("hi")', order: 0 }),
+      persisted({ id: 'util', name: 'util.py', parentId: 'lib', content: 'def helper(): pass', order: 1 }),
+    ],
+    folders: [{ id: 'lib', name: 'lib', parentId: null, order: 0, createdAt: 1, updatedAt: 1 }],
+    state: { activeFileId: 'util', theme: 'vs-dark' },
+  };
+}
+
+function historyEntry(id: string): HistoryEntry {
+  return {
+    id, documentId: 'main', path: 'main.py', language: 'python', version: 'python3',
+    reason: 'save', createdAt: 5, since: 5, bytes: 4, fingerprint: 'f',
+  };
+}
+
+/** Every database the manager can reach, by name, in memory. */
+function setup(options: {
+  legacy?: WorkspaceSnapshot | null;
+  registry?: ProjectRegistryStore;
+  workspaceFor?: (databaseName: string) => MemoryWorkspaceStore | undefined;
+} = {}) {
+  const workspaces = new Map<string, MemoryWorkspaceStore>();
+  const histories = new Map<string, MemoryHistoryStore>();
+  const checkpoints = new Map<string, MemoryCheckpointStore>();
+  const deleted: string[] = [];
+  if (options.legacy) workspaces.set(LEGACY, new MemoryWorkspaceStore(options.legacy));
+
+  const registry = options.registry ?? new MemoryProjectRegistry();
+  let clock = 100;
+  let counter = 0;
+  const manager = () => new ProjectManager({
+    registry,
+    databaseNameFor: id => `db-${id}`,
+    openWorkspace: name => {
+      const custom = options.workspaceFor?.(name);
+      if (custom) return custom;
+      if (!workspaces.has(name)) workspaces.set(name, new MemoryWorkspaceStore());
+      return workspaces.get(name)!;
+    },
+    openHistory: name => {
+      if (!histories.has(name)) histories.set(name, new MemoryHistoryStore());
+      return histories.get(name)!;
+    },
+    openCheckpoints: name => {
+      if (!checkpoints.has(name)) checkpoints.set(name, new MemoryCheckpointStore());
+      return checkpoints.get(name)!;
+    },
+    deleteDatabases: async name => {
+      deleted.push(name);
+      workspaces.delete(name);
+      histories.delete(name);
+      checkpoints.delete(name);
+    },
+    legacy: { databaseName: LEGACY, exists: async () => workspaces.has(LEGACY) },
+    now: () => ++clock,
+    newId: () => `p${++counter}`,
+  });
+  return { registry, workspaces, histories, checkpoints, deleted, manager };
+}
+
+describe('moving the old workspace into a project', () => {
+  test('it becomes the first project, exactly, and the old database is left as it was', async () => {
+    const { registry, workspaces, manager } = setup({ legacy: legacySnapshot() });
+    const projects = manager();
+    await projects.open();
+
+    assert.deepEqual(projects.list().map(project => [project.id, project.name, project.databaseName]), [
+      ['p1', 'My project', 'db-p1'],
+    ]);
+    assert.equal(compareSnapshots(legacySnapshot(), await workspaces.get('db-p1')!.loadAll()), null);
+    assert.equal(
+      (await workspaces.get('db-p1')!.loadAll()).state.activeFileId,
+      'util',
+      'the file that was open is still the one that opens',
+    );
+    assert.equal(workspaces.get(LEGACY)!.countOperations('replaceAll'), 0, 'only read');
+    assert.equal(compareSnapshots(legacySnapshot(), await workspaces.get(LEGACY)!.loadAll()), null);
+    assert.equal((await registry.readMigration())?.phase, 'done');
+  });
+
+  test('runs once: what the old database holds later is not copied again', async () => {
+    const { workspaces, manager } = setup({ legacy: legacySnapshot() });
+    await manager().open();
+    await workspaces.get(LEGACY)!.writeDocumentContent('main', 'an old build wrote this', 200);
+
+    const projects = manager();
+    await projects.open();
+    assert.equal(projects.list().length, 1);
+    assert.equal(workspaces.get('db-p1')!.peekContent('main'), 'print("hi")');
+  });
+
+  test('brings local history and checkpoints with it', async () => {
+    const { histories, checkpoints, manager } = setup({ legacy: legacySnapshot() });
+    const oldHistory = new MemoryHistoryStore();
+    await oldHistory.put(historyEntry('h1'), 'v0');
+    histories.set(LEGACY, oldHistory);
+    const oldCheckpoints = new MemoryCheckpointStore();
+    await oldCheckpoints.put({ id: 'c1', name: 'before', createdAt: 3, files: 2, bytes: 10 }, legacySnapshot());
+    checkpoints.set(LEGACY, oldCheckpoints);
+
+    await manager().open();
+
+    assert.equal(await histories.get('db-p1')!.read('h1'), 'v0');
+    assert.deepEqual((await checkpoints.get('db-p1')!.list()).map(summary => summary.name), ['before']);
+  });
+
+  test('a copy that does not verify activates nothing, and the next load retries into the same project', async () => {
+    class LossyStore extends MemoryWorkspaceStore {
+      override async replaceAll(snapshot: WorkspaceSnapshot): Promise<void> {
+        await super.replaceAll({ ...snapshot, files: snapshot.files.map(file => ({ ...file, content: '' })) });
+      }
+    }
+    let lossy = true;
+    const { registry, workspaces, deleted, manager } = setup({
+      legacy: legacySnapshot(),
+      workspaceFor: name => (lossy && name === 'db-p1' ? new LossyStore() : undefined),
+    });
+
+    await assert.rejects(() => manager().open(), ProjectMigrationError);
+    assert.deepEqual(await registry.list(), [], 'no project to open');
+    assert.deepEqual(await registry.readMigration(), {
+      source: LEGACY, target: 'p1', phase: 'copying', startedAt: 101, completedAt: null,
+    });
+    assert.deepEqual(deleted, []);
+    assert.ok(workspaces.has(LEGACY));
+
+    lossy = false;
+    const projects = manager();
+    await projects.open();
+    assert.deepEqual(projects.list().map(project => project.id), ['p1']);
+    assert.equal(workspaces.get('db-p1')!.peekContent('main'), 'print("hi")');
+  });
+
+  test('with no old workspace, or an empty one, there is nothing to move', async () => {
+    for (const legacy of [null, { files: [], folders: [], state: { activeFileId: null, theme: 'vs-dark' } }]) {
+      const { registry, manager } = setup({ legacy });
+      const projects = manager();
+      await projects.open();
+      assert.deepEqual(projects.list(), []);
+      assert.deepEqual((await registry.readMigration())?.target, null);
+
+      const first = await projects.choose(null);
+      assert.equal(first.name, 'My project', 'a browser with none gets one');
+    }
+  });
+});
+
+describe('projects', () => {
+  test('a page opens the one asked for, else the one opened last, and it moves to the top', async () => {
+    const { manager } = setup();
+    const projects = manager();
+    await projects.open();
+    const one = await projects.create('Exercise 1');
+    const two = await projects.create('Exercise 2');
+
+    assert.equal((await projects.choose(one.id)).id, one.id);
+    assert.equal((await projects.choose(two.id)).id, two.id);
+    assert.equal((await projects.choose('gone')).id, two.id, 'an unknown id falls back to the most recent');
+    assert.deepEqual(projects.list().map(project => project.name), ['Exercise 2', 'Exercise 1']);
+    assert.equal(projects.current?.id, two.id);
+  });
+
+  test('names are needed, and not shared', async () => {
+    const { manager } = setup();
+    const projects = manager();
+    await projects.open();
+    const first = await projects.create('  Loops ');
+    assert.equal(first.name, 'Loops');
+    assert.equal((await projects.create('loops')).name, 'loops 2');
+
+    await assert.rejects(() => projects.create(' '), /needs a name/);
+    await assert.rejects(() => projects.rename(first.id, 'LOOPS 2'), /already a project called/);
+    assert.equal((await projects.rename(first.id, 'While loops')).name, 'While loops');
+  });
+
+  test('a duplicate has the files, the open file, history and checkpoints of the original', async () => {
+    const { workspaces, histories, manager } = setup({ legacy: legacySnapshot() });
+    const projects = manager();
+    await projects.open();
+    await histories.get('db-p1')!.put(historyEntry('h2'), 'earlier');
+
+    const copy = await projects.duplicate('p1');
+    assert.equal(copy.name, 'My project (copy)');
+    assert.equal(compareSnapshots(legacySnapshot(), await workspaces.get(copy.databaseName)!.loadAll()), null);
+    assert.equal(await histories.get(copy.databaseName)!.read('h2'), 'earlier');
+
+    await workspaces.get(copy.databaseName)!.writeDocumentContent('main', 'changed in the copy', 300);
+    assert.equal(workspaces.get('db-p1')!.peekContent('main'), 'print("hi")', 'and they are separate');
+  });
+
+  test('a duplicate that fails is not listed, and leaves no database behind', async () => {
+    const { deleted, manager } = setup({
+      legacy: legacySnapshot(),
+      workspaceFor: name => (name === 'db-p2'
+        ? new MemoryWorkspaceStore({}, { failOn: operation => (operation === 'replaceAll' ? new Error('quota') : null) })
+        : undefined),
+    });
+    const projects = manager();
+    await projects.open();
+
+    await assert.rejects(() => projects.duplicate('p1'), /quota/);
+    assert.deepEqual(projects.list().map(project => project.id), ['p1']);
+    assert.deepEqual(deleted, ['db-p2']);
+  });
+
+  test('deleting takes it out of the list first, then its databases', async () => {
+    const { registry, workspaces, deleted, manager } = setup({ legacy: legacySnapshot() });
+    const projects = manager();
+    await projects.open();
+    await projects.choose('p1');
+
+    await projects.remove('p1');
+    assert.deepEqual(await registry.list(), []);
+    assert.equal(projects.current, null);
+    assert.deepEqual(deleted, ['db-p1']);
+    assert.ok(workspaces.has(LEGACY), 'the old database is still never touched');
+  });
+});
+
+describe('in IndexedDB', () => {
+  test('the registry keeps projects and the migration record, in a database of its own', async () => {
+    const registry = new IndexedDbProjectRegistry('ProjectRegistryTestDB');
+    await registry.open();
+    const record = { id: 'p1', name: 'Loops', databaseName: projectDatabaseName('p1'), createdAt: 1, openedAt: 2 };
+    await registry.activate(record, { source: LEGACY, target: 'p1', phase: 'done', startedAt: 1, completedAt: 2 });
+
+    assert.deepEqual(await registry.list(), [record]);
+    assert.equal((await registry.readMigration())?.phase, 'done');
+    await registry.remove('p1');
+    assert.deepEqual(await registry.list(), []);
+    registry.close();
+
+    assert.equal(record.databaseName, 'BrowserCoderDB-project-p1');
+  });
+
+  test('asking whether the old database exists does not create it', async () => {
+    assert.equal(await workspaceDatabaseExists('NeverOpenedDB'), false);
+    assert.equal(await workspaceDatabaseExists('NeverOpenedDB'), false);
+
+    const store = new IndexedDbWorkspaceStore('OpenedOnceDB');
+    await store.open();
+    store.close();
+    assert.equal(await workspaceDatabaseExists('OpenedOnceDB'), true);
+  });
+});
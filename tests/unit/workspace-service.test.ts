@@ -417,6 +417,81 @@ describe('replaceAll', () => {
     assert.equal(service.findByPath('b.py'), null);
     assert.equal(service.allDocuments().length, 1);
   });
+
+  test('a folder still there keeps its id, and an empty one can be asked for', async () => {
+    // A restore puts back folders the student made and has not filled yet, and must
+    // not collapse the ones the explorer has open.
+    const { service } = makeService();
+    await service.open();
+    await service.replaceAll([{ path: 'src/main.py', content: 'main' }], resolveAlwaysPython);
+    const src = service.allFolders().find(folder => folder.name === 'src')!;
+
+    const paths: string[] = [];
+    await service.replaceAll([{ path: 'src/main.py', content: 'main' }], {
+      resolve: (_name, _language, path) => {
+        paths.push(path);
+        return PYTHON;
+      },
+      folders: ['src', 'notes/later'],
+    });
+
+    assert.deepEqual(paths, ['src/main.py']);
+    assert.equal(service.allFolders().find(folder => folder.name === 'src')?.id, src.id);
+    assert.deepEqual(
+      service.entries().filter(entry => entry.kind === 'folder').map(entry => entry.path).sort(),
+      ['notes', 'notes/later', 'src'],
+    );
+  });
+});
+
+describe('reload', () => {
+  // Another tab writing is another service on the same store.
+  test('shows what another tab saved, keeping the documents this tab has open', async () => {
+    const store = new MemoryWorkspaceStore();
+    const { service: writer } = makeService(store);
+    const reader = new WorkspaceService({ store, autoSaveDelayMs: 0, now: () => 5_000 });
+    await writer.open();
+    await writer.replaceAll(
+      [
+        { path: 'main.py', content: 'v1' },
+        { path: 'gone.py', content: 'soon' },
+      ],
+      resolveAlwaysPython,
+    );
+    await reader.open();
+    const shown = reader.findByPath('main.py')!;
+
+    await writer.replaceAll(
+      [
+        { path: 'main.py', content: 'v2' },
+        { path: 'lib/new.py', content: 'new' },
+      ],
+      resolveAlwaysPython,
+    );
+    const events: string[] = [];
+    reader.onDidChangeWorkspace(event => events.push(event.reason));
+    await reader.reload();
+
+    assert.equal(reader.findByPath('main.py'), shown, 'the same document, not a replacement');
+    assert.equal(shown.getContent(), 'v2');
+    assert.equal(shown.isDirty, false);
+    assert.equal(reader.findByPath('gone.py'), null);
+    assert.equal(reader.findByPath('lib/new.py')?.getContent(), 'new');
+    assert.deepEqual(events, ['sync']);
+  });
+
+  test('writes nothing back', async () => {
+    const store = new MemoryWorkspaceStore({ files: [persisted({ id: 'doc-1', content: 'a' })] });
+    const { service } = makeService(store);
+    await service.open();
+    await store.writeDocumentContent('doc-1', 'b', 6_000);
+
+    await service.reload();
+    await settle();
+
+    assert.equal(service.getDocument('doc-1')?.getContent(), 'b');
+    assert.equal(store.countOperations('writeDocumentContent'), 1, 'only the other tab\'s write');
+  });
 });
 
 describe('deletion', () => {
@@ -452,6 +527,24 @@ describe('deletion', () => {
     assert.equal(service.getDocument(outside.id)?.name, 'keep.py');
     assert.equal(service.getFolder(nested.id), null);
   });
+
+  test('says what is about to go while its content can still be read', async () => {
+    const { service } = makeService();
+    await service.open();
+    const src = await service.createFolder('src');
+    const inner = await service.createDocument({ name: 'inner.py', parentId: src.id, language: 'python', version: 'python3' });
+    const loose = await service.createDocument({ name: 'loose.py', language: 'python', version: 'python3' });
+    inner.setContent('unsaved, and about to be deleted');
+
+    const seen: string[] = [];
+    service.onWillDeleteDocuments(event => {
+      for (const document of event.documents) seen.push(`${document.name}: ${document.getContent()}`);
+    });
+    await service.deleteFolders([src.id]);
+    await service.deleteDocuments([loose.id]);
+
+    assert.deepEqual(seen, ['inner.py: unsaved, and about to be deleted', 'loose.py: ']);
+  });
 });
 
 describe('clearAll', () => {
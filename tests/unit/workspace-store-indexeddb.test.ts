@@ -13,6 +13,7 @@ import { test, describe, beforeEach } from 'node:test';
 import assert from 'node:assert/strict';
 
 import { IndexedDbWorkspaceStore } from '../../src/workspace/store-indexeddb.ts';
+import { StaleWriterError } from '../../src/workspace/store.ts';
 import { WorkspaceService } from '../../src/workspace/service.ts';
 import type { FolderMetadata, PersistedDocument } from '../../src/workspace/types.ts';
 
@@ -304,6 +305,105 @@ describe('end to end through the service', () => {
   });
 });
 
+describe('the writer fence', () => {
+  // Two tabs are two stores on one database: what each writes, the other must see
+  // refused or accepted exactly as the claims say.
+  function twoTabs(): [IndexedDbWorkspaceStore, IndexedDbWorkspaceStore] {
+    const first = freshStore();
+    return [first, new IndexedDbWorkspaceStore(first.databaseName)];
+  }
+
+  test('a tab taken over from cannot write, whatever it had queued', async () => {
+    const [older, newer] = twoTabs();
+    await older.open();
+    await older.createDocument(document({ content: 'from the morning' }));
+    assert.equal(await older.claimWriter(), 1);
+
+    assert.equal(await newer.claimWriter(), 2);
+    await newer.writeDocumentContent('doc-1', 'from the afternoon', 2);
+
+    await assert.rejects(older.writeDocumentContent('doc-1', 'from the morning, again', 3), StaleWriterError);
+    await assert.rejects(older.createFolder(folder()), StaleWriterError);
+    await assert.rejects(older.saveState({ activeFileId: null, theme: 'vs' }), StaleWriterError);
+    await assert.rejects(older.replaceAll({ files: [], folders: [], state: { activeFileId: null, theme: 'vs' } }), StaleWriterError);
+
+    const snapshot = await newer.loadAll();
+    assert.equal(snapshot.files[0].content, 'from the afternoon');
+    assert.equal(snapshot.folders.length, 0, 'the refused transaction wrote nothing');
+    older.close();
+    newer.close();
+  });
+
+  test('claiming back makes the tab the writer again', async () => {
+    const [first, second] = twoTabs();
+    await first.open();
+    await first.createDocument(document());
+    await first.claimWriter();
+    await second.claimWriter();
+    assert.equal(await first.claimWriter(), 3);
+
+    await first.writeDocumentContent('doc-1', 'mine again', 4);
+    await assert.rejects(second.writeDocumentContent('doc-1', 'not any more', 5), StaleWriterError);
+    first.close();
+    second.close();
+  });
+
+  test('a released store refuses, before and after anyone claims', async () => {
+    const [reader, writer] = twoTabs();
+    await reader.open();
+    reader.releaseWriter();
+    await assert.rejects(reader.createDocument(document()), StaleWriterError);
+
+    await writer.claimWriter();
+    await assert.rejects(reader.createDocument(document()), StaleWriterError);
+    assert.equal((await writer.loadAll()).files.length, 0);
+    reader.close();
+    writer.close();
+  });
+
+  test('a store that never claims writes as it always did', async () => {
+    const store = freshStore();
+    await store.open();
+    await store.createDocument(document({ content: 'embedded' }));
+    await store.writeDocumentContent('doc-1', 'still embedded', 2);
+    assert.equal((await store.loadAll()).files[0].content, 'still embedded');
+    store.close();
+  });
+
+  test('emptying the workspace keeps the claim', async () => {
+    const [writer, other] = twoTabs();
+    await writer.open();
+    await writer.claimWriter();
+    await writer.clearAll();
+
+    await writer.createDocument(document());
+    other.releaseWriter();
+    await assert.rejects(other.createDocument(document({ id: 'doc-2' })), StaleWriterError);
+    writer.close();
+    other.close();
+  });
+
+  test('a takeover keeps the workspace as the previous writer left it', async () => {
+    const [older, newer] = twoTabs();
+    await older.open();
+    assert.equal(await newer.loadRecovery(), null, 'nothing before the first claim');
+
+    await older.claimWriter();
+    await older.createFolder(folder());
+    await older.createDocument(document({ parentId: 'folder-1', content: 'before the takeover' }));
+
+    await newer.claimWriter();
+    await newer.writeDocumentContent('doc-1', 'after it', 2);
+
+    const recovery = await newer.loadRecovery();
+    assert.equal(recovery?.files[0].content, 'before the takeover');
+    assert.equal(recovery?.folders[0].name, 'src');
+    assert.equal((await newer.loadAll()).files[0].content, 'after it');
+    older.close();
+    newer.close();
+  });
+});
+
 // ===== raw helpers, to inspect what actually landed on disk =====
 
 function openRaw(name: string): Promise<IDBDatabase> {
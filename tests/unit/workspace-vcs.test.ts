@@ -0,0 +1,361 @@
+/**
+ * Version control: commits, branches and merges over the workspace, in git's own
+ * object format, and the `.git` directory that takes them to a real machine.
+ *
+ * Two failures matter most. An id that differs from git's by one byte of framing
+ * makes every exported object unreadable, so the ids are pinned against values a real
+ * `git` printed for the same content in a SHA-256 repository. And a merge that loses a
+ * change silently is worse than one that stops, so both sides of every merge are
+ * asserted to be in the result - or in its conflict markers.
+ */
+
+import 'fake-indexeddb/auto';
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MemoryVcsStore,
+  VersionControl,
+  contentBytes,
+  isValidBranchName,
+} from '../../src/workspace/vcs.ts';
+import type { CommitAuthor, VcsStore } from '../../src/workspace/vcs.ts';
+import { IndexedDbVcsStore, vcsDatabaseName } from '../../src/workspace/vcs-indexeddb.ts';
+import { encodeIndex, readGitDirectory } from '../../src/workspace/vcs-git.ts';
+import { hasConflictMarkers, mergeText } from '../../src/workspace/vcs-merge.ts';
+import { gitObjectId } from '../../src/workspace/content-hash.ts';
+import { WorkspaceService } from '../../src/workspace/service.ts';
+import { MemoryWorkspaceStore } from '../../src/workspace/store.ts';
+import { persisted, settle } from './support/workspace-fixtures.ts';
+
+const AUTHOR: CommitAuthor = { name: 'Student', email: 's@e' };
+const labels = { ours: 'main', theirs: 'feature' };
+
+async function setup(options: { store?: VcsStore; empty?: boolean } = {}) {
+  const workspaceStore = new MemoryWorkspaceStore(options.empty ? {} : {
+    files: [
+      persisted({ id: 'main', name: 'main.py', content: 'print(1)\n', order: 0 }),
+      persisted({ id: 'util', name: 'u.py', parentId: 'lib', content: 'x', order: 1 }),
+      persisted({ id: 'hidden', name: 'X_HIDDEN_grader.py', content: 'secret', order: 2 }),
+    ],
+    folders: [{ id: 'lib', name: 'lib', parentId: null, order: 0, createdAt: 1, updatedAt: 1 }],
+  });
+  const service = new WorkspaceService({ store: workspaceStore, autoSaveDelayMs: 0 });
+  await service.open();
+  let clock = 1_700_000_000_000;
+  const vcs = new VersionControl({
+    store: options.store ?? new MemoryVcsStore(),
+    service,
+    languageFor: () => ({ id: 'python', version: 'python3' }),
+    tracks: path => !path.split('/').some(segment => segment.startsWith('X_HIDDEN_')),
+    author: AUTHOR,
+    now: () => (clock += 1_000) - 1_000,
+  });
+  await vcs.open();
+  return { service, vcs };
+}
+
+/** Every file, by path, as the service holds it now. */
+function project(service: WorkspaceService): Record<string, string> {
+  return Object.fromEntries(service.snapshotForExecution().map(entry => [entry.path, entry.content]));
+}
+
+function edit(service: WorkspaceService, path: string, content: string): void {
+  service.findByPath(path)!.setContent(content);
+}
+
+describe('objects are git objects', () => {
+  test('blob ids are what git prints for the same bytes', async () => {
+    assert.equal(
+      await gitObjectId('blob', new TextEncoder().encode('hello\n')),
+      '2cf8d83d9ee29543b34a87727421fdecb7e3f3a183d337639025de576db9ebb4',
+    );
+    assert.equal(
+      await gitObjectId('blob', new Uint8Array()),
+      '473a0f4c3be8a93681a267e3b1e9a7dcda1185436fe141f7749120a303721813',
+    );
+  });
+
+  test('a commit of the same files, author and second has the same id as git gave it', async () => {
+    const { vcs } = await setup();
+    const commit = await vcs.commit('init');
+    assert.equal(commit.tree, '24f4ffdf331e114e84e91b7fcd5c89bc7abca31481a96d06a4764d5b113921b2');
+    assert.equal(commit.id, 'e561a18abe44c32ca7f2da419fca4a78d51411b80f9fc0de48b84fb34d40bac6');
+  });
+
+  test('an asset is committed as the bytes its base64 stands for', () => {
+    assert.deepEqual([...contentBytes('logo.png', 'iVBORw==')], [0x89, 0x50, 0x4e, 0x47]);
+    assert.deepEqual([...contentBytes('notes.py', 'iVBORw==')], [...new TextEncoder().encode('iVBORw==')]);
+  });
+
+  test('branch names follow git', () => {
+    for (const name of ['feature', 'fix/loop-bug', 'v1.2']) assert.ok(isValidBranchName(name), name);
+    for (const name of ['', 'two words', '-x', 'a..b', 'x.lock', 'end/', '.hidden', 'a~1', 'what?']) {
+      assert.ok(!isValidBranchName(name), name);
+    }
+  });
+});
+
+describe('commits', () => {
+  test('record the project as the student sees it, and leave hidden files out', async () => {
+    const { service, vcs } = await setup();
+    assert.equal(vcs.branch, 'main');
+    assert.equal(vcs.headCommit, null);
+
+    const first = await vcs.commit('  init ');
+    assert.equal(first.message, 'init');
+    assert.deepEqual(await vcs.status(), []);
+
+    edit(service, 'main.py', 'print(2)\n');
+    assert.deepEqual((await vcs.status()).map(change => [change.kind, change.path]), [['modified', 'main.py']]);
+    edit(service, 'X_HIDDEN_grader.py', 'changed by the course');
+    assert.equal((await vcs.status()).length, 1, 'a hidden file is untracked');
+
+    const second = await vcs.commit('print two');
+    assert.deepEqual(second.parents, [first.id]);
+    assert.deepEqual((await vcs.log()).map(commit => commit.message), ['print two', 'init']);
+    assert.deepEqual(
+      (await vcs.commitChanges(second.id)).map(change => [change.kind, change.before?.content, change.after?.content]),
+      [['modified', 'print(1)\n', 'print(2)\n']],
+    );
+    assert.deepEqual(
+      (await vcs.commitChanges(first.id)).map(change => [change.kind, change.path]),
+      [['added', 'lib/u.py'], ['added', 'main.py']],
+    );
+  });
+
+  test('need a message, and a change', async () => {
+    const { vcs } = await setup();
+    await assert.rejects(() => vcs.commit('  '), /needs a message/);
+    await vcs.commit('init');
+    await assert.rejects(() => vcs.commit('again'), /Nothing to commit/);
+    assert.equal((await vcs.log()).length, 1);
+  });
+});
+
+describe('branches', () => {
+  test('a switch puts the other branch\'s files in the project, and back', async () => {
+    const { service, vcs } = await setup();
+    await vcs.commit('init');
+    await assert.rejects(() => vcs.createBranch('main'), /already a branch/);
+    await vcs.createBranch('feature', { switchTo: true });
+    assert.equal(vcs.branch, 'feature');
+
+    edit(service, 'main.py', 'print("feature")\n');
+    await service.createDocument({ name: 'extra.py', parentId: null, language: 'python', version: 'python3', content: 'new' });
+    await vcs.commit('feature work');
+
+    await vcs.switchBranch('main');
+    assert.deepEqual(project(service), {
+      'main.py': 'print(1)\n', 'lib/u.py': 'x', 'X_HIDDEN_grader.py': 'secret',
+    });
+    await vcs.switchBranch('feature');
+    assert.equal(project(service)['extra.py'], 'new');
+    assert.deepEqual(vcs.branches().map(branch => [branch.name, branch.current]), [['feature', true], ['main', false]]);
+  });
+
+  test('uncommitted changes stop a switch, and are not lost by it', async () => {
+    const { service, vcs } = await setup();
+    await vcs.commit('init');
+    await vcs.createBranch('feature');
+    edit(service, 'main.py', 'unsaved work');
+    await assert.rejects(() => vcs.switchBranch('feature'), /Commit your changes/);
+    assert.equal(vcs.branch, 'main');
+    assert.equal(project(service)['main.py'], 'unsaved work');
+  });
+
+  test('a branch needs a first commit to start from', async () => {
+    const { vcs } = await setup();
+    await assert.rejects(() => vcs.createBranch('feature'), /first commit/);
+  });
+});
+
+describe('merging', () => {
+  async function diverged() {
+    const context = await setup();
+    const { service, vcs } = context;
+    edit(service, 'main.py', 'one\ntwo\nthree\n');
+    await vcs.commit('base');
+    await vcs.createBranch('feature', { switchTo: true });
+    return { ...context, edit: (path: string, content: string) => edit(service, path, content) };
+  }
+
+  test('a branch behind is fast-forwarded, and one ahead is up to date', async () => {
+    const { service, vcs, edit } = await diverged();
+    edit('main.py', 'one\ntwo\nthree\nfour\n');
+    const ahead = await vcs.commit('four');
+    await vcs.switchBranch('main');
+
+    const outcome = await vcs.merge('feature');
+    assert.equal(outcome.kind, 'fast-forward');
+    assert.equal(vcs.headCommit, ahead.id);
+    assert.equal(project(service)['main.py'], 'one\ntwo\nthree\nfour\n');
+
+    await vcs.switchBranch('feature');
+    assert.equal((await vcs.merge('main')).kind, 'up-to-date');
+  });
+
+  test('changes on both sides to different lines and files are merged and committed', async () => {
+    const { service, vcs, edit } = await diverged();
+    edit('main.py', 'ONE\ntwo\nthree\n');
+    edit('lib/u.py', 'y');
+    const theirs = await vcs.commit('feature');
+    await vcs.switchBranch('main');
+    edit('main.py', 'one\ntwo\nTHREE\n');
+    const ours = await vcs.commit('main');
+
+    const outcome = await vcs.merge('feature');
+    assert.equal(outcome.kind, 'merged');
+    assert.equal(project(service)['main.py'], 'ONE\ntwo\nTHREE\n');
+    assert.equal(project(service)['lib/u.py'], 'y');
+    const [merge] = await vcs.log();
+    assert.equal(merge.message, "Merge branch 'feature' into main");
+    assert.deepEqual(merge.parents, [ours.id, theirs.id]);
+    assert.deepEqual(await vcs.status(), []);
+  });
+
+  test('a conflict is written between markers, and blocks the commit until resolved', async () => {
+    const { service, vcs, edit } = await diverged();
+    edit('main.py', 'one\nfeature two\nthree\n');
+    const theirs = await vcs.commit('feature');
+    await vcs.switchBranch('main');
+    edit('main.py', 'one\nmain two\nthree\n');
+    const ours = await vcs.commit('main');
+
+    const outcome = await vcs.merge('feature');
+    assert.equal(outcome.kind, 'conflicts');
+    assert.deepEqual(outcome.kind === 'conflicts' && outcome.conflicts, ['main.py']);
+    assert.equal(
+      project(service)['main.py'],
+      'one\n<<<<<<< main\nmain two\n=======\nfeature two\n>>>>>>> feature\nthree\n',
+    );
+    assert.equal(vcs.merging?.branch, 'feature');
+    await assert.rejects(() => vcs.switchBranch('feature'), /Finish the merge/);
+    await assert.rejects(() => vcs.commit('merge'), /still have conflict markers/);
+
+    edit('main.py', 'one\nboth twos\nthree\n');
+    const merged = await vcs.commit("Merge branch 'feature'");
+    assert.deepEqual(merged.parents, [ours.id, theirs.id]);
+    assert.equal(vcs.merging, null);
+  });
+
+  test('an aborted merge leaves the project as the last commit had it', async () => {
+    const { service, vcs, edit } = await diverged();
+    edit('main.py', 'feature\n');
+    await vcs.commit('feature');
+    await vcs.switchBranch('main');
+    edit('main.py', 'main\n');
+    await vcs.commit('main');
+    await vcs.merge('feature');
+
+    await vcs.abortMerge();
+    assert.equal(project(service)['main.py'], 'main\n');
+    assert.equal(vcs.merging, null);
+    assert.deepEqual(await vcs.status(), []);
+  });
+
+  test('a file deleted on one side and changed on the other is kept, as a conflict', async () => {
+    const { service, vcs, edit } = await diverged();
+    edit('lib/u.py', 'changed');
+    await vcs.commit('change u');
+    await vcs.switchBranch('main');
+    await service.deleteDocuments([service.findByPath('lib/u.py')!.id]);
+    await vcs.commit('delete u');
+
+    const outcome = await vcs.merge('feature');
+    assert.deepEqual(outcome.kind === 'conflicts' && outcome.conflicts, ['lib/u.py']);
+    assert.equal(project(service)['lib/u.py'], 'changed');
+  });
+});
+
+describe('mergeText', () => {
+  test('takes each side\'s change, once when they agree', () => {
+    assert.deepEqual(mergeText('a\nb\nc', 'A\nb\nc', 'a\nb\nC', labels), { content: 'A\nb\nC', conflicts: 0 });
+    assert.deepEqual(mergeText('a\nb', 'a\nB', 'a\nB', labels), { content: 'a\nB', conflicts: 0 });
+    assert.deepEqual(mergeText('b', 'top\nb', 'b\nbottom', labels), { content: 'top\nb\nbottom', conflicts: 0 });
+  });
+
+  test('marks lines both sides changed differently, and what both added', () => {
+    const result = mergeText('', 'mine', 'yours', labels);
+    assert.equal(result.conflicts, 1);
+    assert.equal(result.content, '<<<<<<< main\nmine\n=======\nyours\n>>>>>>> feature');
+    assert.ok(hasConflictMarkers(result.content));
+    assert.ok(!hasConflictMarkers('a <<<<<<< b'));
+  });
+});
+
+describe('the .git directory', () => {
+  test('round-trips branches, history and files into another project', async () => {
+    const { service, vcs } = await setup();
+    await vcs.commit('init');
+    await vcs.createBranch('feature', { switchTo: true });
+    edit(service, 'main.py', 'print("feature")\n');
+    const tip = await vcs.commit('feature work');
+
+    const exported = await vcs.exportGitDirectory();
+    const files = new Map(exported!.map(file => [file.path, file.data]));
+    assert.equal(new TextDecoder().decode(files.get('HEAD')), 'ref: refs/heads/feature\n');
+    assert.match(new TextDecoder().decode(files.get('config')), /objectformat = sha256/);
+    assert.equal(new TextDecoder().decode(files.get('refs/heads/feature')), `${tip.id}\n`);
+    assert.ok(files.has(`objects/${tip.id.slice(0, 2)}/${tip.id.slice(2)}`));
+    assert.equal(new TextDecoder().decode(files.get('index')!.subarray(0, 4)), 'DIRC');
+
+    const other = await setup({ empty: true });
+    await other.vcs.importGitDirectory(files, null);
+    assert.equal(other.vcs.branch, 'feature');
+    assert.deepEqual((await other.vcs.log()).map(commit => commit.id), (await vcs.log()).map(commit => commit.id));
+    assert.deepEqual(project(other.service), { 'main.py': 'print("feature")\n', 'lib/u.py': 'x' });
+  });
+
+  test('an index lists paths in git\'s order and ends in its checksum', async () => {
+    const id = '473a0f4c3be8a93681a267e3b1e9a7dcda1185436fe141f7749120a303721813';
+    const index = await encodeIndex([{ path: 'b.py', id, size: 0 }, { path: 'a/z.py', id, size: 0 }]);
+    const view = new DataView(index.buffer);
+    assert.equal(view.getUint32(8), 2);
+    assert.equal(new TextDecoder().decode(index.subarray(12 + 74, 12 + 80)), 'a/z.py');
+    assert.equal((index.length - 12 - 32) % 8, 0);
+  });
+
+  test('refuses a SHA-1 repository and packed objects rather than importing half', async () => {
+    const sha1 = new Map([['config', new TextEncoder().encode('[core]\n\trepositoryformatversion = 0\n')]]);
+    await assert.rejects(() => readGitDirectory(sha1), /SHA-1/);
+    const packed = new Map([
+      ['config', new TextEncoder().encode('[extensions]\n\tobjectformat = sha256\n')],
+      ['objects/pack/pack-1.pack', new Uint8Array()],
+    ]);
+    await assert.rejects(() => readGitDirectory(packed), /unpack-objects/);
+  });
+});
+
+describe('in IndexedDB', () => {
+  test('objects, branches, HEAD and a merge are kept, and an import replaces them all', async () => {
+    const store = new IndexedDbVcsStore('VcsTestDB');
+    assert.equal(store.databaseName, vcsDatabaseName('VcsTestDB'));
+    const { service, vcs } = await setup({ store });
+    const first = await vcs.commit('init');
+    edit(service, 'main.py', 'two');
+    await vcs.commit('two');
+
+    const reopened = new IndexedDbVcsStore('VcsTestDB');
+    assert.deepEqual(await reopened.readRefs(), { main: vcs.headCommit });
+    assert.deepEqual([...await reopened.has([first.id, 'missing'])], [first.id]);
+    assert.deepEqual((await reopened.readObject(first.id))?.type, 'commit');
+
+    await reopened.write({ reset: true, refs: { other: first.id }, head: 'other' });
+    assert.deepEqual(await reopened.readRefs(), { other: first.id });
+    assert.equal(await reopened.readHead(), 'other');
+    assert.equal(await reopened.readObject(first.id), null);
+    reopened.close();
+    vcs.dispose();
+  });
+
+  test('Clear Cache deletes the repository too', async () => {
+    const { service, vcs } = await setup();
+    await vcs.commit('init');
+    await service.clearAll();
+    await settle();
+    assert.equal(vcs.headCommit, null);
+    assert.deepEqual(vcs.branches().map(branch => branch.name), ['main']);
+  });
+});
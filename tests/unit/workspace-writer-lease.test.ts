@@ -0,0 +1,294 @@
+/**
+ * One writer per workspace across tabs (blueprint section 9.5): the lease protocol.
+ *
+ * Two "tabs" in one process, sharing a lock manager and a channel that behave as the
+ * browser's do where it matters here - `ifAvailable` answers at once, `steal` ends
+ * the holder's request with an AbortError, a queued request waits its turn. What can
+ * go wrong is a tab that believes it is the writer when it is not, and a takeover
+ * that waits for an answer a frozen tab will never send.
+ *
+ * That the store refuses a stale writer is tested against IndexedDB in
+ * workspace-store-indexeddb.test.ts; this is the protocol deciding who that is.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WriterLease } from '../../src/workspace/writer-lease.ts';
+import type { LeaseChannelPort, LockManagerPort } from '../../src/workspace/writer-lease.ts';
+
+function abortError(message: string): Error {
+  return Object.assign(new Error(message), { name: 'AbortError' });
+}
+
+interface Held {
+  steal: () => void;
+}
+
+/** Web Locks for one origin, as far as the lease uses it. */
+class FakeLocks implements LockManagerPort {
+  #held = new Map<string, Held>();
+  #queue = new Map<string, Array<() => void>>();
+
+  request(
+    name: string,
+    options: { ifAvailable?: boolean; steal?: boolean; signal?: AbortSignal },
+    callback: (lock: unknown) => Promise<unknown>,
+  ): Promise<unknown> {
+    return new Promise((resolve, reject) => {
+      const grant = () => {
+        const entry: Held = { steal: () => reject(abortError('The lock was stolen')) };
+        this.#held.set(name, entry);
+        Promise.resolve()
+          .then(() => callback({ name }))
+          .then(
+            value => {
+              this.#free(name, entry);
+              resolve(value);
+            },
+            error => {
+              this.#free(name, entry);
+              reject(error);
+            },
+          );
+      };
+
+      if (options.steal) {
+        const current = this.#held.get(name);
+        this.#held.delete(name);
+        current?.steal();
+        grant();
+        return;
+      }
+      if (!this.#held.has(name)) {
+        grant();
+        return;
+      }
+      if (options.ifAvailable) {
+        Promise.resolve().then(() => callback(null)).then(resolve, reject);
+        return;
+      }
+
+      const queue = this.#queue.get(name) ?? [];
+      this.#queue.set(name, queue);
+      queue.push(grant);
+      options.signal?.addEventListener('abort', () => {
+        const index = queue.indexOf(grant);
+        if (index === -1) return;
+        queue.splice(index, 1);
+        reject(abortError('The request was aborted'));
+      });
+    });
+  }
+
+  isHeld(name: string): boolean {
+    return this.#held.has(name);
+  }
+
+  #free(name: string, entry: Held): void {
+    // A stolen lock's callback ending frees nothing: it is someone else's now.
+    if (this.#held.get(name) !== entry) return;
+    this.#held.delete(name);
+    this.#queue.get(name)?.shift()?.();
+  }
+}
+
+/** A BroadcastChannel between the tabs: delivered later, to everyone but the sender. */
+function channels() {
+  const members = new Set<LeaseChannelPort>();
+  return (): LeaseChannelPort => {
+    const channel: LeaseChannelPort = {
+      onmessage: null,
+      postMessage(message: unknown) {
+        for (const other of members) {
+          if (other === channel) continue;
+          setTimeout(() => other.onmessage?.({ data: structuredClone(message) } as MessageEvent), 0);
+        }
+      },
+      close() {
+        members.delete(channel);
+      },
+    };
+    members.add(channel);
+    return channel;
+  };
+}
+
+/** What one tab's store saw, so a test can read the claims. */
+function tab(
+  name: string,
+  shared: { locks: LockManagerPort | null; channel: () => LeaseChannelPort; tokens: { next: number } },
+  overrides: { flush?: () => Promise<unknown> } = {},
+) {
+  const log: string[] = [];
+  const channel = shared.channel();
+  const lease = new WriterLease({
+    workspaceId: 'BrowserCoderDB',
+    locks: shared.locks,
+    channel,
+    tabId: name,
+    handoverTimeoutMs: 30,
+    claim: async () => {
+      shared.tokens.next += 1;
+      log.push(`claim ${shared.tokens.next}`);
+      return shared.tokens.next;
+    },
+    release: () => log.push('release'),
+    flush: overrides.flush ?? (async () => log.push('flush')),
+  });
+  return { lease, log, channel };
+}
+
+function world(locks: LockManagerPort | null = new FakeLocks()) {
+  return { locks, channel: channels(), tokens: { next: 0 } };
+}
+
+/** Wait for the queued deliveries and lock grants to play out. */
+const settle = (ms = 5) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('who writes', () => {
+  test('the first tab is the writer, and the second reads', async () => {
+    const shared = world();
+    const first = tab('first', shared);
+    const second = tab('second', shared);
+
+    await first.lease.start();
+    await second.lease.start();
+
+    assert.equal(first.lease.role, 'writer');
+    assert.equal(first.lease.token, 1);
+    assert.equal(second.lease.role, 'reader');
+    assert.equal(second.lease.token, null);
+    assert.deepEqual(second.log, ['release'], 'a reader makes its store refuse writes');
+  });
+
+  test('a reader hears what the writer saved, and the writer hears nothing of its own', async () => {
+    const shared = world();
+    const writer = tab('writer', shared);
+    const reader = tab('reader', shared);
+    await writer.lease.start();
+    await reader.lease.start();
+
+    const heardByReader: number[] = [];
+    const heardByWriter: number[] = [];
+    reader.lease.onDidReceiveChange(token => heardByReader.push(token));
+    writer.lease.onDidReceiveChange(token => heardByWriter.push(token));
+
+    writer.lease.notifyChanged();
+    reader.lease.notifyChanged();
+    await settle();
+
+    assert.deepEqual(heardByReader, [1]);
+    assert.deepEqual(heardByWriter, [], 'a reader has nothing to announce');
+  });
+
+  test('when the writer\'s tab closes, a reader becomes the writer by itself', async () => {
+    const shared = world();
+    const writer = tab('writer', shared);
+    const reader = tab('reader', shared);
+    await writer.lease.start();
+    await reader.lease.start();
+
+    writer.lease.dispose();
+    await settle();
+
+    assert.equal(reader.lease.role, 'writer');
+    assert.equal(reader.lease.token, 2, 'under a token of its own');
+  });
+});
+
+describe('taking over', () => {
+  test('asks the writer to flush first, then holds a newer token', async () => {
+    const shared = world();
+    const writer = tab('writer', shared);
+    const reader = tab('reader', shared);
+    await writer.lease.start();
+    await reader.lease.start();
+
+    await reader.lease.takeOver();
+    await settle();
+
+    assert.equal(reader.lease.role, 'writer');
+    assert.equal(reader.lease.token, 2);
+    assert.equal(writer.lease.role, 'reader');
+    assert.deepEqual(writer.log, ['claim 1', 'flush', 'release'], 'flushed before it let go');
+  });
+
+  test('a writer that never answers is taken over from anyway', async () => {
+    const shared = world();
+    const frozen = tab('frozen', shared, { flush: () => new Promise(() => {}) });
+    const reader = tab('reader', shared);
+    await frozen.lease.start();
+    await reader.lease.start();
+
+    const started = Date.now();
+    await reader.lease.takeOver();
+    await settle();
+
+    assert.equal(reader.lease.role, 'writer');
+    assert.ok(Date.now() - started >= 25, 'it waited for the handover first');
+    assert.equal(frozen.lease.role, 'reader', 'the stolen lock told it');
+    assert.ok(frozen.log.includes('release'));
+  });
+
+  test('a third tab that only reads stays a reader', async () => {
+    const shared = world();
+    const writer = tab('writer', shared);
+    const asking = tab('asking', shared);
+    const watching = tab('watching', shared);
+    await writer.lease.start();
+    await asking.lease.start();
+    await watching.lease.start();
+
+    await asking.lease.takeOver();
+    await settle();
+
+    assert.equal(asking.lease.role, 'writer');
+    assert.equal(watching.lease.role, 'reader');
+    assert.equal(writer.lease.role, 'reader');
+  });
+
+  test('is only for a reader', async () => {
+    const shared = world();
+    const writer = tab('writer', shared);
+    await writer.lease.start();
+    await writer.lease.takeOver();
+    assert.equal(writer.lease.token, 1, 'no second claim');
+  });
+});
+
+describe('without Web Locks', () => {
+  test('every tab claims as it opens, and the newer claim demotes the older writer', async () => {
+    const shared = world(null);
+    const older = tab('older', shared);
+    const newer = tab('newer', shared);
+
+    await older.lease.start();
+    await newer.lease.start();
+    await settle();
+
+    assert.equal(newer.lease.role, 'writer');
+    assert.equal(older.lease.role, 'reader');
+  });
+
+  test('a tab that cannot claim does not call itself the writer', async () => {
+    const lease = new WriterLease({
+      workspaceId: 'BrowserCoderDB',
+      locks: new FakeLocks(),
+      channel: null,
+      claim: async () => {
+        throw new Error('quota exceeded');
+      },
+      release: () => {},
+      flush: async () => {},
+    });
+    const error = console.error;
+    console.error = () => {};
+    try {
+      await lease.start();
+    } finally {
+      console.error = error;
+    }
+    assert.equal(lease.role, 'reader');
+  });
+});
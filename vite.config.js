@@ -16,6 +16,8 @@ export default defineConfig({
       '/api': {
         target: process.env.VITE_API_URL || 'http://localhost:3001',
         changeOrigin: true,
+        // Carries the /api/session WebSocket upgrade as well.
+        ws: true,
       },
       '/lsp': {
         target: process.env.VITE_API_URL?.replace('http', 'ws') || 'ws://localhost:3001',